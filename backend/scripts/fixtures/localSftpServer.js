@@ -0,0 +1,272 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import ssh2 from "ssh2";
+
+const {
+  Server,
+  utils: {
+    generateKeyPairSync,
+    parseKey,
+    sftp: { OPEN_MODE, STATUS_CODE },
+  },
+} = ssh2;
+
+function safeEqual(left, right) {
+  const leftBuffer = Buffer.from(String(left));
+  const rightBuffer = Buffer.from(String(right));
+  return leftBuffer.length === rightBuffer.length && crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+function toAttrs(stat) {
+  return {
+    mode: stat.mode,
+    uid: stat.uid,
+    gid: stat.gid,
+    size: stat.size,
+    atime: Math.floor(stat.atimeMs / 1000),
+    mtime: Math.floor(stat.mtimeMs / 1000),
+  };
+}
+
+// SFTP v3 clients read the entry type from the ls-style long name, not from attrs.
+function toLongname(name, stat) {
+  const type = stat.isDirectory() ? "d" : "-";
+  return `${type}rw-r--r-- 1 sftp sftp ${stat.size} ${stat.mtime.toISOString()} ${name}`;
+}
+
+function toOpenFlags(flags) {
+  let mode = "r";
+  if (flags & OPEN_MODE.WRITE) {
+    if (flags & OPEN_MODE.APPEND) mode = "a";
+    else mode = flags & OPEN_MODE.READ ? "r+" : "w";
+    if ((flags & OPEN_MODE.CREAT) && (flags & OPEN_MODE.EXCL)) mode = `${mode}x`;
+  }
+  return mode;
+}
+
+function statusForError(err) {
+  if (err?.code === "ENOENT") return STATUS_CODE.NO_SUCH_FILE;
+  if (err?.code === "EACCES" || err?.code === "EPERM" || err?.code === "EEXIST") {
+    return STATUS_CODE.PERMISSION_DENIED;
+  }
+  return STATUS_CODE.FAILURE;
+}
+
+// Serves one SFTP session per client, rooted at rootDir, for connector tests and local demos.
+// Supports the subset of requests the SFTP connector uses (stat, list, read, write, rename, mkdir).
+function handleSftpSession(sftp, rootDir) {
+  const handles = new Map();
+  let nextHandleId = 1;
+
+  function toLocalPath(remotePath) {
+    const normalized = path.posix.normalize(`/${String(remotePath || "")}`);
+    const resolved = path.resolve(rootDir, `.${normalized}`);
+    if (resolved !== rootDir && !resolved.startsWith(`${rootDir}${path.sep}`)) {
+      throw Object.assign(new Error("Path escapes root"), { code: "EACCES" });
+    }
+    return resolved;
+  }
+
+  function addHandle(entry) {
+    const id = Buffer.alloc(4);
+    id.writeUInt32BE(nextHandleId);
+    nextHandleId += 1;
+    handles.set(id.toString("hex"), entry);
+    return id;
+  }
+
+  function run(reqId, work) {
+    try {
+      work();
+    } catch (err) {
+      sftp.status(reqId, statusForError(err));
+    }
+  }
+
+  sftp.on("REALPATH", (reqId, remotePath) => {
+    const normalized = path.posix.normalize(`/${remotePath === "." ? "" : remotePath}`);
+    sftp.name(reqId, [{ filename: normalized, longname: normalized, attrs: {} }]);
+  });
+
+  for (const event of ["STAT", "LSTAT"]) {
+    sftp.on(event, (reqId, remotePath) =>
+      run(reqId, () => sftp.attrs(reqId, toAttrs(fs.statSync(toLocalPath(remotePath)))))
+    );
+  }
+
+  sftp.on("FSTAT", (reqId, handle) =>
+    run(reqId, () => {
+      const entry = handles.get(handle.toString("hex"));
+      if (!entry || entry.type !== "file") throw new Error("Invalid handle");
+      sftp.attrs(reqId, toAttrs(fs.fstatSync(entry.fd)));
+    })
+  );
+
+  sftp.on("SETSTAT", (reqId) => sftp.status(reqId, STATUS_CODE.OK));
+  sftp.on("FSETSTAT", (reqId) => sftp.status(reqId, STATUS_CODE.OK));
+
+  sftp.on("OPENDIR", (reqId, remotePath) =>
+    run(reqId, () => {
+      const dirPath = toLocalPath(remotePath);
+      const names = fs.readdirSync(dirPath).map((name) => {
+        const stat = fs.statSync(path.join(dirPath, name));
+        return { filename: name, longname: toLongname(name, stat), attrs: toAttrs(stat) };
+      });
+      sftp.handle(reqId, addHandle({ type: "dir", names, done: false }));
+    })
+  );
+
+  sftp.on("READDIR", (reqId, handle) => {
+    const entry = handles.get(handle.toString("hex"));
+    if (!entry || entry.type !== "dir") {
+      sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+    if (entry.done) {
+      sftp.status(reqId, STATUS_CODE.EOF);
+      return;
+    }
+    entry.done = true;
+    sftp.name(reqId, entry.names);
+  });
+
+  sftp.on("OPEN", (reqId, remotePath, flags) =>
+    run(reqId, () => {
+      const fd = fs.openSync(toLocalPath(remotePath), toOpenFlags(flags));
+      sftp.handle(reqId, addHandle({ type: "file", fd }));
+    })
+  );
+
+  sftp.on("READ", (reqId, handle, offset, length) =>
+    run(reqId, () => {
+      const entry = handles.get(handle.toString("hex"));
+      if (!entry || entry.type !== "file") throw new Error("Invalid handle");
+      const buffer = Buffer.alloc(length);
+      const bytesRead = fs.readSync(entry.fd, buffer, 0, length, offset);
+      if (bytesRead === 0) {
+        sftp.status(reqId, STATUS_CODE.EOF);
+        return;
+      }
+      sftp.data(reqId, buffer.subarray(0, bytesRead));
+    })
+  );
+
+  sftp.on("WRITE", (reqId, handle, offset, data) =>
+    run(reqId, () => {
+      const entry = handles.get(handle.toString("hex"));
+      if (!entry || entry.type !== "file") throw new Error("Invalid handle");
+      fs.writeSync(entry.fd, data, 0, data.length, offset);
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("CLOSE", (reqId, handle) =>
+    run(reqId, () => {
+      const key = handle.toString("hex");
+      const entry = handles.get(key);
+      if (!entry) throw new Error("Invalid handle");
+      if (entry.type === "file") fs.closeSync(entry.fd);
+      handles.delete(key);
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("MKDIR", (reqId, remotePath) =>
+    run(reqId, () => {
+      fs.mkdirSync(toLocalPath(remotePath));
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("RENAME", (reqId, fromPath, toPath) =>
+    run(reqId, () => {
+      const target = toLocalPath(toPath);
+      if (fs.existsSync(target)) {
+        throw Object.assign(new Error("Target exists"), { code: "EEXIST" });
+      }
+      fs.renameSync(toLocalPath(fromPath), target);
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("REMOVE", (reqId, remotePath) =>
+    run(reqId, () => {
+      fs.unlinkSync(toLocalPath(remotePath));
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("RMDIR", (reqId, remotePath) =>
+    run(reqId, () => {
+      fs.rmdirSync(toLocalPath(remotePath));
+      sftp.status(reqId, STATUS_CODE.OK);
+    })
+  );
+
+  sftp.on("end", () => {
+    for (const entry of handles.values()) {
+      if (entry.type === "file") fs.closeSync(entry.fd);
+    }
+    handles.clear();
+  });
+}
+
+export async function startLocalSftpServer({
+  rootDir,
+  username = "bank",
+  password = "bank-sftp",
+  host = "127.0.0.1",
+  port = 0,
+} = {}) {
+  const resolvedRoot = path.resolve(rootDir);
+  fs.mkdirSync(resolvedRoot, { recursive: true });
+
+  const { private: hostKey } = generateKeyPairSync("ed25519");
+  const publicKeyBlob = parseKey(hostKey).getPublicSSH();
+  const hostKeySha256 = `SHA256:${crypto
+    .createHash("sha256")
+    .update(publicKeyBlob)
+    .digest("base64")
+    .replace(/=+$/, "")}`;
+
+  const server = new Server({ hostKeys: [hostKey] }, (client) => {
+    client.on("authentication", (ctx) => {
+      if (
+        ctx.method === "password" &&
+        safeEqual(ctx.username, username) &&
+        safeEqual(ctx.password, password)
+      ) {
+        ctx.accept();
+        return;
+      }
+      ctx.reject(["password"]);
+    });
+    client.on("ready", () => {
+      client.on("session", (acceptSession) => {
+        const session = acceptSession();
+        session.on("sftp", (acceptSftp) => handleSftpSession(acceptSftp(), resolvedRoot));
+      });
+    });
+    client.on("error", () => {});
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    host,
+    port: server.address().port,
+    username,
+    password,
+    rootDir: resolvedRoot,
+    hostKeySha256,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+export default {
+  startLocalSftpServer,
+};
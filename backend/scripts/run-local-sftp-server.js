@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { startLocalSftpServer } from "./fixtures/localSftpServer.js";
+
+function parseOptionalPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+async function main() {
+  const rootDir = path.resolve(
+    process.env.SFTP_LOCAL_ROOT || path.join(os.tmpdir(), "bank-sftp-local")
+  );
+  for (const dir of ["inbound", "outbound", "archive"]) {
+    fs.mkdirSync(path.join(rootDir, dir), { recursive: true });
+  }
+
+  const server = await startLocalSftpServer({
+    rootDir,
+    username: process.env.SFTP_LOCAL_USERNAME || "bank",
+    password: process.env.SFTP_LOCAL_PASSWORD || "bank-sftp",
+    port: parseOptionalPositiveInt(process.env.SFTP_LOCAL_PORT) || 2222,
+  });
+
+  // eslint-disable-next-line no-console
+  console.log("[local-sftp-server] listening", {
+    host: server.host,
+    port: server.port,
+    root_dir: server.rootDir,
+    username: server.username,
+    host_key_sha256: server.hostKeySha256,
+  });
+
+  const shutdown = async () => {
+    await server.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error("[local-sftp-server] fatal", err?.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,552 @@
+import bcrypt from "bcrypt";
+import { closePool, query, withTransaction } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  copyJournalLineDimensionsTx,
+  createDimensionType,
+  createDimensionValue,
+  findPayrollCostCenterDimension,
+  insertJournalLineDimensionsTx,
+  listDimensionValues,
+  loadJournalLineDimensions,
+  replaceAccountDimensionRules,
+  updateDimensionType,
+  updateDimensionValue,
+  validateLineDimensions,
+} from "../src/services/gl.dimensions.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return error;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  return insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, code],
+    `account ${code}`
+  );
+}
+
+async function createLegalEntity({ tenantId, groupCompanyId, countryId, currencyCode, code }) {
+  return insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, code, `Legal Entity ${code}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, code],
+    `legal entity ${code}`
+  );
+}
+
+async function createTenantWithDimensionFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`DIM_T_${stamp}`, `DIM Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`DIM_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `DIM_G_${stamp}`, `DIM Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `DIM_G_${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await createLegalEntity({
+    tenantId,
+    groupCompanyId,
+    countryId,
+    currencyCode,
+    code: `DIM_LE_${stamp}`,
+  });
+  const otherLegalEntityId = await createLegalEntity({
+    tenantId,
+    groupCompanyId,
+    countryId,
+    currencyCode,
+    code: `DIM_LE2_${stamp}`,
+  });
+
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `DIM_CAL_${stamp}`, `DIM Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `DIM_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  const fiscalPeriodId = await insertAndFetchId(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 1, '2026-01', '2026-01-01', '2026-01-31', FALSE)`,
+    [calendarId],
+    `SELECT id FROM fiscal_periods WHERE calendar_id = ? AND fiscal_year = 2026 AND period_no = 1 LIMIT 1`,
+    [calendarId],
+    "fiscal period"
+  );
+
+  const bookId = await insertAndFetchId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `DIM_BOOK_${stamp}`, `DIM Book ${stamp}`, currencyCode],
+    `SELECT id FROM books WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `DIM_BOOK_${stamp}`],
+    "book"
+  );
+
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `DIM_COA_${stamp}`, `DIM Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `DIM_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const accounts = {
+    bank: await insertAccount(coaId, "102", "Bankalar", "ASSET", "DEBIT"),
+    expense: await insertAccount(coaId, "770", "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+  };
+
+  const passwordHash = await bcrypt.hash("DIM#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `dim_user_${stamp}@example.com`, passwordHash, "DIM Controller"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `dim_user_${stamp}@example.com`],
+    "user"
+  );
+
+  return {
+    tenantId,
+    legalEntityId,
+    otherLegalEntityId,
+    bookId,
+    fiscalPeriodId,
+    currencyCode,
+    accounts,
+    userId,
+  };
+}
+
+async function insertJournalTx(tx, fixture, { journalNo, lines }) {
+  const total = lines.reduce((sum, line) => sum + Number(line.debitBase || 0), 0);
+  const insertResult = await tx.query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id
+     )
+     VALUES (?, ?, ?, ?, ?, 'MANUAL', 'POSTED', '2026-01-15', '2026-01-15', ?, ?, ?, ?, ?)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.bookId,
+      fixture.fiscalPeriodId,
+      journalNo,
+      fixture.currencyCode,
+      "Dimension fixture",
+      total,
+      total,
+      fixture.userId,
+    ]
+  );
+  const journalEntryId = toNumber(insertResult.rows?.insertId);
+  assert(journalEntryId > 0, "Failed to create journal fixture");
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    await tx.query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          description,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        "Dimension fixture line",
+        fixture.currencyCode,
+        Number(line.debitBase || 0) - Number(line.creditBase || 0),
+        line.debitBase || 0,
+        line.creditBase || 0,
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithDimensionFixtures(stamp);
+  const { accounts } = fixture;
+  const scope = { req: null, assertScopeAccess: noScopeGuard };
+  const basePayload = { tenantId: fixture.tenantId, userId: fixture.userId };
+
+  const costCenter = await createDimensionType({
+    payload: {
+      ...basePayload,
+      code: "CC",
+      name: "Cost Center",
+      description: null,
+      status: "ACTIVE",
+      isPayrollCostCenter: true,
+    },
+  });
+  assert(costCenter.isPayrollCostCenter, "Cost center type should be the payroll cost center");
+  const project = await createDimensionType({
+    payload: {
+      ...basePayload,
+      code: "PRJ",
+      name: "Project",
+      description: "Customer projects",
+      status: "ACTIVE",
+      isPayrollCostCenter: false,
+    },
+  });
+
+  await expectFailure(
+    () =>
+      createDimensionType({
+        payload: {
+          ...basePayload,
+          code: "CC",
+          name: "Duplicate",
+          description: null,
+          status: "ACTIVE",
+          isPayrollCostCenter: false,
+        },
+      }),
+    { status: 400, includes: "already exists" }
+  );
+  await expectFailure(
+    () =>
+      updateDimensionType({
+        payload: { ...basePayload, dimensionTypeId: project.id, isPayrollCostCenter: true },
+      }),
+    { status: 400, includes: "payroll cost center" }
+  );
+
+  const createValue = (dimensionTypeId, code, legalEntityId = null) =>
+    createDimensionValue({
+      ...scope,
+      payload: {
+        ...basePayload,
+        dimensionTypeId,
+        legalEntityId,
+        code,
+        name: `Value ${code}`,
+        status: "ACTIVE",
+      },
+    });
+  const sales = await createValue(costCenter.id, "SALES");
+  const ops = await createValue(costCenter.id, "OPS", fixture.legalEntityId);
+  const foreign = await createValue(costCenter.id, "FOREIGN", fixture.otherLegalEntityId);
+  const apollo = await createValue(project.id, "APOLLO");
+
+  const valueList = await listDimensionValues({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { dimensionTypeId: costCenter.id, legalEntityId: null, status: null, q: null },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(valueList.rows.length === 3, "Cost center should list three values");
+
+  await replaceAccountDimensionRules({
+    payload: {
+      ...basePayload,
+      accountId: accounts.expense,
+      rules: [{ dimensionTypeId: costCenter.id, ruleType: "REQUIRED" }],
+    },
+  });
+  await replaceAccountDimensionRules({
+    payload: {
+      ...basePayload,
+      accountId: accounts.bank,
+      rules: [{ dimensionTypeId: project.id, ruleType: "FORBIDDEN" }],
+    },
+  });
+
+  const validate = (lines) =>
+    validateLineDimensions({
+      tenantId: fixture.tenantId,
+      legalEntityId: fixture.legalEntityId,
+      lines,
+    });
+  await expectFailure(
+    () => validate([{ accountId: accounts.expense, dimensions: [], label: "lines[0]" }]),
+    { status: 400, includes: "requires dimension CC" }
+  );
+  await expectFailure(
+    () =>
+      validate([
+        {
+          accountId: accounts.bank,
+          dimensions: [{ dimensionTypeId: project.id, dimensionValueId: apollo.id }],
+          label: "lines[1]",
+        },
+      ]),
+    { status: 400, includes: "cannot carry dimension PRJ" }
+  );
+  await expectFailure(
+    () =>
+      validate([
+        {
+          accountId: accounts.expense,
+          dimensions: [{ dimensionTypeId: project.id, dimensionValueId: sales.id }],
+          label: "lines[0]",
+        },
+      ]),
+    { status: 400, includes: "does not belong to dimensionTypeId" }
+  );
+  await expectFailure(
+    () =>
+      validate([
+        {
+          accountId: accounts.expense,
+          dimensions: [{ dimensionTypeId: costCenter.id, dimensionValueId: foreign.id }],
+          label: "lines[0]",
+        },
+      ]),
+    { status: 400, includes: "restricted to another legal entity" }
+  );
+
+  const journalLines = [
+    {
+      accountId: accounts.expense,
+      debitBase: 300,
+      dimensions: [
+        { dimensionTypeId: project.id, dimensionValueId: apollo.id },
+        { dimensionTypeId: costCenter.id, dimensionValueId: sales.id },
+      ],
+      label: "lines[0]",
+    },
+    {
+      accountId: accounts.expense,
+      debitBase: 200,
+      dimensions: [{ dimensionTypeId: costCenter.id, dimensionValueId: ops.id }],
+      label: "lines[1]",
+    },
+    { accountId: accounts.bank, creditBase: 500, dimensions: [], label: "lines[2]" },
+  ];
+  const resolved = await validate(journalLines);
+  assert(resolved.length === 3, "Validation should return one assignment list per line");
+  assert(
+    resolved[0][0].dimensionTypeId === costCenter.id && resolved[0][0].dimensionValueCode === "SALES",
+    "Resolved assignments should be ordered by dimension type"
+  );
+
+  const { journalEntryId, reversalJournalEntryId } = await withTransaction(async (tx) => {
+    const originalId = await insertJournalTx(tx, fixture, {
+      journalNo: `DIM-${stamp}-1`,
+      lines: journalLines,
+    });
+    await insertJournalLineDimensionsTx(tx, {
+      tenantId: fixture.tenantId,
+      journalEntryId: originalId,
+      lines: journalLines.map((line, index) => ({ ...line, dimensions: resolved[index] })),
+    });
+    const reversalId = await insertJournalTx(tx, fixture, {
+      journalNo: `DIM-${stamp}-1R`,
+      lines: journalLines.map((line) => ({
+        accountId: line.accountId,
+        debitBase: line.creditBase || 0,
+        creditBase: line.debitBase || 0,
+      })),
+    });
+    await copyJournalLineDimensionsTx(tx, {
+      tenantId: fixture.tenantId,
+      sourceJournalEntryId: originalId,
+      targetJournalEntryId: reversalId,
+    });
+    return { journalEntryId: originalId, reversalJournalEntryId: reversalId };
+  });
+
+  const lineDimensions = await loadJournalLineDimensions({
+    tenantId: fixture.tenantId,
+    journalEntryIds: [journalEntryId, reversalJournalEntryId],
+  });
+  const storedRows = await query(
+    `SELECT d.journal_entry_id, l.line_no, d.dimension_value_id
+     FROM journal_line_dimensions d
+     JOIN journal_lines l ON l.id = d.journal_line_id
+     WHERE d.tenant_id = ?
+     ORDER BY d.journal_entry_id, l.line_no, d.dimension_type_id`,
+    [fixture.tenantId]
+  );
+  const originalRows = storedRows.rows.filter((row) => toNumber(row.journal_entry_id) === journalEntryId);
+  const reversalRows = storedRows.rows.filter(
+    (row) => toNumber(row.journal_entry_id) === reversalJournalEntryId
+  );
+  assert(originalRows.length === 3, "Original journal should store three line dimensions");
+  assert(reversalRows.length === 3, "Reversal journal should copy all line dimensions");
+  assert(
+    reversalRows.every(
+      (row, index) =>
+        toNumber(row.line_no) === toNumber(originalRows[index].line_no) &&
+        toNumber(row.dimension_value_id) === toNumber(originalRows[index].dimension_value_id)
+    ),
+    "Reversal dimensions should follow line numbers"
+  );
+  const loadedTotal = Array.from(lineDimensions.values()).reduce((sum, items) => sum + items.length, 0);
+  assert(loadedTotal === 6, "Loaded dimensions should cover both journals");
+
+  const grouped = await query(
+    `SELECT v.code, SUM(l.debit_base - l.credit_base) AS balance
+     FROM journal_lines l
+     JOIN journal_line_dimensions d
+       ON d.journal_line_id = l.id
+      AND d.dimension_type_id = ?
+     JOIN analytic_dimension_values v ON v.id = d.dimension_value_id
+     WHERE l.journal_entry_id = ?
+     GROUP BY v.code
+     ORDER BY v.code`,
+    [costCenter.id, journalEntryId]
+  );
+  assert(
+    grouped.rows.length === 2 &&
+      toNumber(grouped.rows[0].balance) === 200 &&
+      toNumber(grouped.rows[1].balance) === 300,
+    "Cost center grouping should split expense into OPS=200 and SALES=300"
+  );
+
+  const payrollDimension = await findPayrollCostCenterDimension({
+    tenantId: fixture.tenantId,
+    legalEntityId: fixture.legalEntityId,
+  });
+  assert(payrollDimension?.dimensionTypeId === costCenter.id, "Payroll cost center type should resolve");
+  assert(
+    payrollDimension.valuesByCode.has("SALES") &&
+      payrollDimension.valuesByCode.has("OPS") &&
+      !payrollDimension.valuesByCode.has("FOREIGN"),
+    "Payroll cost center values should respect legal entity restrictions"
+  );
+
+  await updateDimensionValue({
+    ...scope,
+    payload: { ...basePayload, dimensionValueId: ops.id, status: "INACTIVE" },
+  });
+  await expectFailure(
+    () =>
+      validate([
+        {
+          accountId: accounts.expense,
+          dimensions: [{ dimensionTypeId: costCenter.id, dimensionValueId: ops.id }],
+          label: "lines[0]",
+        },
+      ]),
+    { status: 400, includes: "ACTIVE dimension type and value" }
+  );
+
+  await updateDimensionType({
+    payload: { ...basePayload, dimensionTypeId: costCenter.id, status: "INACTIVE" },
+  });
+  const withoutRule = await validate([{ accountId: accounts.expense, dimensions: [], label: "lines[0]" }]);
+  assert(withoutRule[0].length === 0, "Rules of inactive dimension types should not be enforced");
+  assert(
+    (await findPayrollCostCenterDimension({
+      tenantId: fixture.tenantId,
+      legalEntityId: fixture.legalEntityId,
+    })) === null,
+    "Inactive cost center type should not drive payroll splits"
+  );
+
+  console.log(
+    "Analytic dimensions test passed (types, values, account rules, journal lines, reversal copy, payroll cost center)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
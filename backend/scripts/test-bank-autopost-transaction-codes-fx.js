@@ -0,0 +1,777 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  bankTransactionCodeMatches,
+  createPostingTemplate,
+  findPostingTemplateForBankTransactionCode,
+} from "../src/services/bank.reconciliationPostingTemplates.service.js";
+import { createReconciliationRule } from "../src/services/bank.reconciliationRules.service.js";
+import {
+  applyBankReconciliationAutoRun,
+  previewBankReconciliationAutoRun,
+} from "../src/services/bank.reconciliationEngine.service.js";
+import {
+  postRealisedFxForJournalMatchTx,
+  reverseRealisedFxForUnmatchTx,
+} from "../src/services/bank.reconciliationAutoPosting.service.js";
+import {
+  matchReconciliationLine,
+  unmatchReconciliationLine,
+} from "../src/services/bank.reconciliation.service.js";
+import { parseReconciliationRuleCreateInput } from "../src/routes/bank.reconciliationRules.validators.js";
+import { parseStatementCsv } from "../src/services/bank.parsers.csv.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Number(parsed.toFixed(6)) : 0;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function expectFailure(work, { status, includes }) {
+  try {
+    work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(`Expected error status ${status} but got ${String(error?.status)}`);
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function expectAsyncFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(`Expected error status ${status} but got ${String(error?.status)}: ${error?.message}`);
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertId(sql, params, label) {
+  const result = await query(sql, params);
+  const id = toNumber(result.rows?.insertId);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createFixtures(stamp) {
+  const tenantId = await insertId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`BAFX_T_${stamp}`, `BAFX Tenant ${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(`SELECT id FROM countries WHERE iso2 = 'TR' LIMIT 1`);
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `BAFX_G_${stamp}`, `BAFX Group ${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, 'TRY', 'ACTIVE')`,
+    [tenantId, groupCompanyId, `BAFX_LE_${stamp}`, `BAFX Legal Entity ${stamp}`, countryId],
+    "legal entity"
+  );
+  const calendarId = await insertId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `BAFX_CAL_${stamp}`, `BAFX Calendar ${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+  const bookId = await insertId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', 'TRY')`,
+    [tenantId, legalEntityId, calendarId, `BAFX_BOOK_${stamp}`, `BAFX Book ${stamp}`],
+    "book"
+  );
+  const fiscalPeriodRows = await query(
+    `SELECT id FROM fiscal_periods WHERE calendar_id = ? AND period_no = 2 LIMIT 1`,
+    [calendarId]
+  );
+  const fiscalPeriodId = toNumber(fiscalPeriodRows.rows?.[0]?.id);
+  assert(fiscalPeriodId > 0, "Failed to create fiscal period fixture");
+
+  const coaId = await insertId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `BAFX_COA_${stamp}`, `BAFX Chart ${stamp}`],
+    "chart of accounts"
+  );
+  async function createAccount(code, name, accountType, normalSide) {
+    return insertId(
+      `INSERT INTO accounts (
+          coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+        )
+        VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+      [coaId, `${code}${stamp}`, name, accountType, normalSide],
+      `${name} account`
+    );
+  }
+  const bankGlAccountId = await createAccount("102", "Bankalar USD", "ASSET", "DEBIT");
+  const feeAccountId = await createAccount("780", "Finansman giderleri", "EXPENSE", "DEBIT");
+  const interestAccountId = await createAccount("642", "Faiz gelirleri", "REVENUE", "CREDIT");
+  const payableAccountId = await createAccount("320", "Saticilar", "LIABILITY", "CREDIT");
+  const fxGainAccountId = await createAccount("646", "Kambiyo karlari", "REVENUE", "CREDIT");
+  const fxLossAccountId = await createAccount("656", "Kambiyo zararlari", "EXPENSE", "DEBIT");
+
+  const passwordHash = await bcrypt.hash("BAFX#Smoke123", 10);
+  const userId = await insertId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `bafx_user_${stamp}@example.com`, passwordHash, "BAFX User"],
+    "user"
+  );
+
+  const bankAccountId = await insertId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, 'BAFX USD Account', 'USD', ?, 'Smoke Bank', TRUE, ?)`,
+    [tenantId, legalEntityId, `BAFX_BA_${stamp}`, bankGlAccountId, userId],
+    "bank account"
+  );
+  const importId = await insertId(
+    `INSERT INTO bank_statement_imports (
+        tenant_id, legal_entity_id, bank_account_id, import_source, original_filename,
+        file_checksum, period_start, period_end, status, imported_by_user_id
+      )
+      VALUES (?, ?, ?, 'MANUAL', ?, SHA2(?, 256), '2026-02-01', '2026-02-28', 'IMPORTED', ?)`,
+    [tenantId, legalEntityId, bankAccountId, `bafx-${stamp}.csv`, `bafx-${stamp}`, userId],
+    "statement import"
+  );
+
+  let lineNo = 0;
+  async function createLine({ txnDate, description, referenceNo, amount, code }) {
+    lineNo += 1;
+    return insertId(
+      `INSERT INTO bank_statement_lines (
+          tenant_id, legal_entity_id, import_id, bank_account_id, line_no, txn_date, value_date,
+          description, reference_no, bank_transaction_code, amount, currency_code, line_hash,
+          recon_status
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'USD', SHA2(?, 256), 'UNMATCHED')`,
+      [
+        tenantId,
+        legalEntityId,
+        importId,
+        bankAccountId,
+        lineNo,
+        txnDate,
+        txnDate,
+        description,
+        referenceNo,
+        code,
+        amount,
+        `bafx-${stamp}-${lineNo}`,
+      ],
+      `statement line ${lineNo}`
+    );
+  }
+
+  const feeLineId = await createLine({
+    txnDate: "2026-02-12",
+    description: "SWIFT charges",
+    referenceNo: `BAFX-FEE-${stamp}`,
+    amount: -25,
+    code: "NCHG",
+  });
+  const interestLineId = await createLine({
+    txnDate: "2026-02-27",
+    description: "Credit interest February",
+    referenceNo: `BAFX-INT-${stamp}`,
+    amount: 10,
+    code: "NINT",
+  });
+  const paymentLineId = await createLine({
+    txnDate: "2026-02-20",
+    description: "Supplier payment",
+    referenceNo: `BAFX-PAY-${stamp}`,
+    amount: -1000,
+    code: "NTRF",
+  });
+
+  async function upsertSpotRate(rateDate, rate) {
+    await query(
+      `INSERT INTO fx_rates (
+          tenant_id, rate_date, from_currency_code, to_currency_code, rate_type, rate, source, is_locked
+        )
+        VALUES (?, ?, 'USD', 'TRY', 'SPOT', ?, 'TEST', FALSE)
+        ON DUPLICATE KEY UPDATE rate = VALUES(rate)`,
+      [tenantId, rateDate, rate]
+    );
+  }
+  await upsertSpotRate("2026-02-10", 30);
+  await upsertSpotRate("2026-02-20", 30.5);
+
+  return {
+    tenantId,
+    legalEntityId,
+    bookId,
+    fiscalPeriodId,
+    userId,
+    bankAccountId,
+    bankGlAccountId,
+    feeAccountId,
+    interestAccountId,
+    payableAccountId,
+    fxGainAccountId,
+    fxLossAccountId,
+    feeLineId,
+    interestLineId,
+    paymentLineId,
+  };
+}
+
+function templateInput(fixture, overrides) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    status: "ACTIVE",
+    scopeType: "LEGAL_ENTITY",
+    legalEntityId: fixture.legalEntityId,
+    bankAccountId: null,
+    entryKind: "BANK_MISC",
+    bankTransactionCode: null,
+    directionPolicy: "BOTH",
+    taxAccountId: null,
+    taxMode: "NONE",
+    taxRate: null,
+    fxGainAccountId: null,
+    fxLossAccountId: null,
+    currencyCode: null,
+    minAmountAbs: null,
+    maxAmountAbs: null,
+    descriptionMode: "USE_STATEMENT_TEXT",
+    fixedDescription: null,
+    descriptionPrefix: null,
+    journalSourceCode: "BANK_AUTO_POST",
+    journalDocType: "BANK_AUTO",
+    effectiveFrom: null,
+    effectiveTo: null,
+    ...overrides,
+  };
+}
+
+async function getJournalLines(journalEntryId) {
+  const result = await query(
+    `SELECT account_id, currency_code, amount_txn, debit_base, credit_base
+     FROM journal_lines
+     WHERE journal_entry_id = ?
+     ORDER BY line_no ASC`,
+    [journalEntryId]
+  );
+  return result.rows || [];
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  assert(bankTransactionCodeMatches("NCHG", "nchg"), "Exact code match should ignore case");
+  assert(bankTransactionCodeMatches("PMNT/CCRD/*", "PMNT/CCRD/CHRG"), "Wildcard should match suffix");
+  assert(!bankTransactionCodeMatches("PMNT/CCRD/*", "PMNT/RCDT/ESCT"), "Wildcard must not match other family");
+  assert(!bankTransactionCodeMatches("NCHG", null), "Missing line code should not match");
+
+  const csvRows = parseStatementCsv(
+    [
+      "txn_date,value_date,description,reference_no,amount,currency_code,balance_after,bank_transaction_code",
+      "2026-02-12,2026-02-12,Fee,REF1,-25,USD,975,nchg",
+    ].join("\n")
+  );
+  assert(
+    csvRows[0]?.bank_transaction_code === "NCHG",
+    "CSV parser should read and uppercase bank_transaction_code"
+  );
+
+  expectFailure(
+    () =>
+      parseReconciliationRuleCreateInput({
+        user: { tenantId: 1, userId: 1 },
+        query: {},
+        body: {
+          ruleCode: "BAD",
+          ruleName: "Bad pairing",
+          matchType: "TEMPLATE_BY_BANK_TRANSACTION_CODE",
+          actionType: "AUTO_MATCH_JOURNAL",
+        },
+      }),
+    { status: 400, includes: "TEMPLATE_BY_BANK_TRANSACTION_CODE rules support" }
+  );
+
+  const stamp = Date.now();
+  const fixture = await createFixtures(stamp);
+
+  await expectAsyncFailure(
+    () =>
+      createPostingTemplate({
+        req: null,
+        input: templateInput(fixture, {
+          templateCode: `BAFX_HALF_${stamp}`,
+          templateName: "Half FX config",
+          counterAccountId: fixture.feeAccountId,
+          fxGainAccountId: fixture.fxGainAccountId,
+        }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "must be set together" }
+  );
+  await expectAsyncFailure(
+    () =>
+      createPostingTemplate({
+        req: null,
+        input: templateInput(fixture, {
+          templateCode: `BAFX_WILD_${stamp}`,
+          templateName: "Wildcard only",
+          counterAccountId: fixture.feeAccountId,
+          bankTransactionCode: "*",
+        }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "at least one literal character" }
+  );
+
+  const feeTemplate = await createPostingTemplate({
+    req: null,
+    input: templateInput(fixture, {
+      templateCode: `BAFX_FEE_${stamp}`,
+      templateName: "USD bank charges",
+      scopeType: "BANK_ACCOUNT",
+      bankAccountId: fixture.bankAccountId,
+      bankTransactionCode: "nchg",
+      directionPolicy: "OUTFLOW_ONLY",
+      counterAccountId: fixture.feeAccountId,
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  const feeTemplateId = toNumber(feeTemplate?.row?.id);
+  assert(feeTemplateId > 0, "Failed to create fee template");
+  assert(feeTemplate.row.bank_transaction_code === "NCHG", "Template code should be stored uppercase");
+
+  const interestTemplate = await createPostingTemplate({
+    req: null,
+    input: templateInput(fixture, {
+      templateCode: `BAFX_INT_${stamp}`,
+      templateName: "Interest credits",
+      bankTransactionCode: "NIN*",
+      directionPolicy: "INFLOW_ONLY",
+      counterAccountId: fixture.interestAccountId,
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  const interestTemplateId = toNumber(interestTemplate?.row?.id);
+  assert(interestTemplateId > 0, "Failed to create interest template");
+
+  const fxTemplate = await createPostingTemplate({
+    req: null,
+    input: templateInput(fixture, {
+      templateCode: `BAFX_FX_${stamp}`,
+      templateName: "Realised FX",
+      counterAccountId: fixture.feeAccountId,
+      fxGainAccountId: fixture.fxGainAccountId,
+      fxLossAccountId: fixture.fxLossAccountId,
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  const fxTemplateId = toNumber(fxTemplate?.row?.id);
+  assert(fxTemplateId > 0, "Failed to create FX template");
+
+  const paymentLookup = await findPostingTemplateForBankTransactionCode({
+    tenantId: fixture.tenantId,
+    line: {
+      legal_entity_id: fixture.legalEntityId,
+      bank_account_id: fixture.bankAccountId,
+      currency_code: "USD",
+      txn_date: "2026-02-20",
+      amount: -1000,
+      bank_transaction_code: "NTRF",
+    },
+  });
+  assert(paymentLookup === null, "NTRF should not resolve to any auto-post template");
+
+  await createReconciliationRule({
+    req: null,
+    input: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      ruleCode: `BAFX_RULE_${stamp}`,
+      ruleName: "Auto-post by bank transaction code",
+      status: "ACTIVE",
+      priority: 1,
+      scopeType: "LEGAL_ENTITY",
+      legalEntityId: fixture.legalEntityId,
+      bankAccountId: null,
+      matchType: "TEMPLATE_BY_BANK_TRANSACTION_CODE",
+      conditions: {},
+      actionType: "AUTO_POST_TEMPLATE",
+      actionPayload: {},
+      stopOnMatch: true,
+      effectiveFrom: null,
+      effectiveTo: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const filters = {
+    legalEntityId: fixture.legalEntityId,
+    bankAccountId: fixture.bankAccountId,
+    dateFrom: "2026-02-01",
+    dateTo: "2026-02-28",
+    limit: 100,
+    userId: fixture.userId,
+  };
+  const preview = await previewBankReconciliationAutoRun({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters,
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  const previewByLine = new Map((preview.rows || []).map((row) => [toNumber(row.statementLineId), row]));
+  assert(
+    previewByLine.get(fixture.feeLineId)?.outcome === "AUTO_POST_READY" &&
+      toNumber(previewByLine.get(fixture.feeLineId)?.target?.entityId) === feeTemplateId,
+    "Fee line should resolve to the NCHG template"
+  );
+  assert(
+    toNumber(previewByLine.get(fixture.interestLineId)?.target?.entityId) === interestTemplateId,
+    "Interest line should resolve to the NIN* template"
+  );
+  assert(
+    previewByLine.get(fixture.paymentLineId)?.outcome === "NO_RULE_MATCH",
+    "Payment line without a code template should fall through"
+  );
+
+  const apply = await applyBankReconciliationAutoRun({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters,
+    runRequestId: `BAFX_APPLY_${stamp}`,
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  const applyByLine = new Map((apply.rows || []).map((row) => [toNumber(row.statementLineId), row]));
+  const feeRow = applyByLine.get(fixture.feeLineId);
+  assert(feeRow?.outcome === "AUTO_POSTED_RECONCILED", "Fee line should be auto-posted");
+
+  const feeJournalLines = await getJournalLines(feeRow.autoPosting.journalId);
+  assert(feeJournalLines.length === 2, "Fee journal should have two lines");
+  assert(
+    toNumber(feeJournalLines[0].account_id) === fixture.feeAccountId &&
+      feeJournalLines[0].currency_code === "USD" &&
+      toAmount(feeJournalLines[0].amount_txn) === 25 &&
+      toAmount(feeJournalLines[0].debit_base) === 750,
+    "Fee expense should be 25 USD booked at 750 TRY (prior-date SPOT 30)"
+  );
+  assert(
+    toNumber(feeJournalLines[1].account_id) === fixture.bankGlAccountId &&
+      toAmount(feeJournalLines[1].amount_txn) === -25 &&
+      toAmount(feeJournalLines[1].credit_base) === 750,
+    "Bank line should credit 25 USD / 750 TRY"
+  );
+  const feeTrace = await query(
+    `SELECT posted_amount, currency_code, amount_base, fx_rate
+     FROM bank_reconciliation_auto_postings
+     WHERE tenant_id = ? AND statement_line_id = ?`,
+    [fixture.tenantId, fixture.feeLineId]
+  );
+  assert(
+    toAmount(feeTrace.rows?.[0]?.posted_amount) === 25 &&
+      toAmount(feeTrace.rows?.[0]?.amount_base) === 750 &&
+      toAmount(feeTrace.rows?.[0]?.fx_rate) === 30,
+    "Auto-post trace should keep statement and base amounts with the rate"
+  );
+
+  const interestRow = applyByLine.get(fixture.interestLineId);
+  assert(interestRow?.outcome === "AUTO_POSTED_RECONCILED", "Interest line should be auto-posted");
+  const interestJournalLines = await getJournalLines(interestRow.autoPosting.journalId);
+  assert(
+    toAmount(interestJournalLines[0].debit_base) === 305 &&
+      toAmount(interestJournalLines[1].credit_base) === 305,
+    "Interest should convert at the latest SPOT rate on or before the line date (30.5)"
+  );
+
+  // Supplier payment booked in TRY at 29.00 before the bank debited USD 1,000 at 30.50.
+  const paymentJournalResult = await query(
+    `INSERT INTO journal_entries (
+        tenant_id, legal_entity_id, book_id, fiscal_period_id, journal_no, source_type, status,
+        entry_date, document_date, currency_code, description, reference_no,
+        total_debit_base, total_credit_base, created_by_user_id, posted_by_user_id, posted_at
+      )
+      VALUES (?, ?, ?, ?, ?, 'MANUAL', 'POSTED', '2026-02-18', '2026-02-18', 'TRY', ?, ?, 29000, 29000, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.bookId,
+      fixture.fiscalPeriodId,
+      `BAFX-PAY-${stamp}`,
+      "Supplier payment USD 1000",
+      `BAFX-PAY-${stamp}`,
+      fixture.userId,
+      fixture.userId,
+    ]
+  );
+  const paymentJournalId = toNumber(paymentJournalResult.rows?.insertId);
+  assert(paymentJournalId > 0, "Failed to create base-currency payment journal");
+  await query(
+    `INSERT INTO journal_lines (
+        journal_entry_id, line_no, account_id, description, currency_code, amount_txn, debit_base, credit_base
+      )
+      VALUES (?, 1, ?, 'Supplier', 'TRY', 29000, 29000, 0),
+             (?, 2, ?, 'Bank', 'TRY', -29000, 0, 29000)`,
+    [paymentJournalId, fixture.payableAccountId, paymentJournalId, fixture.bankGlAccountId]
+  );
+
+  // Same wiring as POST /queue/:lineId/match and /unmatch: FX posts and reverses inside the match transaction.
+  const matchPaymentWithFx = (matchedAmount) =>
+    matchReconciliationLine({
+      req: null,
+      tenantId: fixture.tenantId,
+      lineId: fixture.paymentLineId,
+      matchInput: {
+        matchType: "MANUAL",
+        matchedEntityType: "JOURNAL",
+        matchedEntityId: paymentJournalId,
+        matchedAmount,
+      },
+      userId: fixture.userId,
+      assertScopeAccess: noScopeGuard,
+      afterMatchTx: (tx) =>
+        postRealisedFxForJournalMatchTx(tx, {
+          tenantId: fixture.tenantId,
+          lineId: fixture.paymentLineId,
+          journalEntryId: paymentJournalId,
+          matchedAmount,
+          userId: fixture.userId,
+        }),
+    });
+  const unmatchPaymentWithFx = () =>
+    unmatchReconciliationLine({
+      req: null,
+      tenantId: fixture.tenantId,
+      lineId: fixture.paymentLineId,
+      unmatchInput: { notes: "Wrong journal" },
+      userId: fixture.userId,
+      assertScopeAccess: noScopeGuard,
+      afterUnmatchTx: (tx, { reversedMatches }) =>
+        reverseRealisedFxForUnmatchTx(tx, {
+          tenantId: fixture.tenantId,
+          lineId: fixture.paymentLineId,
+          matches: reversedMatches,
+          userId: fixture.userId,
+        }),
+    });
+  async function getPaymentFxState() {
+    const postings = await query(
+      `SELECT id, status, fx_journal_entry_id, reversal_journal_entry_id
+       FROM bank_reconciliation_fx_postings
+       WHERE tenant_id = ? AND statement_line_id = ?
+       ORDER BY id ASC`,
+      [fixture.tenantId, fixture.paymentLineId]
+    );
+    const fxJournals = await query(
+      `SELECT COUNT(*) AS total
+       FROM journal_entries
+       WHERE tenant_id = ? AND journal_no LIKE ?`,
+      [fixture.tenantId, `BFX-${fixture.paymentLineId}-%`]
+    );
+    const activeMatches = await query(
+      `SELECT COUNT(*) AS total
+       FROM bank_reconciliation_matches
+       WHERE tenant_id = ? AND statement_line_id = ? AND status = 'ACTIVE'`,
+      [fixture.tenantId, fixture.paymentLineId]
+    );
+    return {
+      postings: postings.rows || [],
+      fxJournalCount: toNumber(fxJournals.rows?.[0]?.total),
+      activeMatchCount: toNumber(activeMatches.rows?.[0]?.total),
+    };
+  }
+
+  await expectAsyncFailure(() => matchPaymentWithFx(1000.5), {
+    status: 400,
+    includes: "exceeds statement line amount",
+  });
+  let fxState = await getPaymentFxState();
+  assert(
+    fxState.postings.length === 0 && fxState.fxJournalCount === 0,
+    "A failed match should leave no realised FX journal or posting"
+  );
+
+  await query(
+    `UPDATE bank_reconciliation_posting_templates
+     SET status = 'PAUSED'
+     WHERE tenant_id = ? AND id = ?`,
+    [fixture.tenantId, fxTemplateId]
+  );
+  await expectAsyncFailure(() => matchPaymentWithFx(1000), {
+    status: 400,
+    includes: "FX gain/loss accounts",
+  });
+  fxState = await getPaymentFxState();
+  assert(
+    fxState.activeMatchCount === 0 && fxState.postings.length === 0,
+    "A missing FX template should roll the match back"
+  );
+  await query(
+    `UPDATE bank_reconciliation_posting_templates
+     SET status = 'ACTIVE'
+     WHERE tenant_id = ? AND id = ?`,
+    [fixture.tenantId, fxTemplateId]
+  );
+
+  const match = await matchPaymentWithFx(1000);
+  assert(match?.line?.recon_status === "MATCHED", "Payment line should be matched with its FX posting");
+  const realisedFx = match.afterMatchResult;
+  assert(realisedFx?.idempotent === false, "First realised FX post should not be idempotent");
+  const fxPosting = realisedFx.fx_posting;
+  assert(fxPosting?.fx_category === "FX_LOSS", "Paying more TRY than booked should be an FX loss");
+  assert(
+    toAmount(fxPosting.booked_amount_base) === 29000 &&
+      toAmount(fxPosting.actual_amount_base) === 30500 &&
+      toAmount(fxPosting.fx_difference_base) === -1500,
+    "FX posting should record booked 29000, actual 30500 and a -1500 bank difference"
+  );
+  assert(
+    toNumber(fxPosting.bank_reconciliation_posting_template_id) === fxTemplateId,
+    "FX posting should reference the FX template"
+  );
+  assert(
+    realisedFx.journal?.journal_no === `BFX-${fixture.paymentLineId}-${paymentJournalId}`,
+    "First FX journal should be numbered by line and matched journal"
+  );
+  const fxJournalLines = await getJournalLines(fxPosting.fx_journal_entry_id);
+  assert(
+    toNumber(fxJournalLines[0].account_id) === fixture.bankGlAccountId &&
+      fxJournalLines[0].currency_code === "USD" &&
+      toAmount(fxJournalLines[0].amount_txn) === 0 &&
+      toAmount(fxJournalLines[0].credit_base) === 1500,
+    "FX journal should credit the bank GL in base only"
+  );
+  assert(
+    toNumber(fxJournalLines[1].account_id) === fixture.fxLossAccountId &&
+      fxJournalLines[1].currency_code === "TRY" &&
+      toAmount(fxJournalLines[1].debit_base) === 1500,
+    "FX journal should debit the FX loss account"
+  );
+
+  const unmatch = await unmatchPaymentWithFx();
+  assert(unmatch?.line?.recon_status === "UNMATCHED", "Payment line should be unmatched");
+  const reversal = unmatch.afterUnmatchResult?.[0];
+  assert(
+    unmatch.afterUnmatchResult?.length === 1 &&
+      toNumber(reversal?.fxPostingId) === toNumber(fxPosting.id),
+    "Unmatch should reverse the realised FX posting of the matched journal"
+  );
+  fxState = await getPaymentFxState();
+  assert(
+    fxState.postings[0]?.status === "REVERSED" &&
+      toNumber(fxState.postings[0]?.reversal_journal_entry_id) === toNumber(reversal.reversalJournalId),
+    "FX posting row should be REVERSED and point at its reversal journal"
+  );
+  const reversedFxJournal = await query(
+    `SELECT status, reversal_journal_entry_id FROM journal_entries WHERE id = ?`,
+    [fxPosting.fx_journal_entry_id]
+  );
+  assert(
+    reversedFxJournal.rows?.[0]?.status === "REVERSED" &&
+      toNumber(reversedFxJournal.rows?.[0]?.reversal_journal_entry_id) ===
+        toNumber(reversal.reversalJournalId),
+    "Original FX journal should be marked REVERSED"
+  );
+  const reversalLines = await getJournalLines(reversal.reversalJournalId);
+  assert(
+    toNumber(reversalLines[0].account_id) === fixture.bankGlAccountId &&
+      toAmount(reversalLines[0].debit_base) === 1500 &&
+      toNumber(reversalLines[1].account_id) === fixture.fxLossAccountId &&
+      toAmount(reversalLines[1].credit_base) === 1500,
+    "FX reversal should swap the bank and FX loss sides"
+  );
+
+  const rematch = await matchPaymentWithFx(1000);
+  assert(
+    rematch.afterMatchResult?.idempotent === false &&
+      rematch.afterMatchResult?.journal?.journal_no ===
+        `BFX-${fixture.paymentLineId}-${paymentJournalId}-2`,
+    "Rematch after unmatch should post a fresh FX journal"
+  );
+  fxState = await getPaymentFxState();
+  assert(
+    fxState.postings.length === 2 &&
+      fxState.postings.filter((row) => row.status === "POSTED").length === 1,
+    "Only the latest FX posting should stay POSTED"
+  );
+
+  const bankBalance = await query(
+    `SELECT COALESCE(SUM(jl.debit_base - jl.credit_base), 0) AS base_total,
+            COALESCE(SUM(CASE WHEN jl.currency_code = 'USD' THEN jl.amount_txn ELSE 0 END), 0) AS usd_total
+     FROM journal_lines jl
+     JOIN journal_entries je ON je.id = jl.journal_entry_id
+     WHERE je.tenant_id = ? AND jl.account_id = ? AND je.status IN ('POSTED', 'REVERSED')`,
+    [fixture.tenantId, fixture.bankGlAccountId]
+  );
+  assert(
+    toAmount(bankBalance.rows?.[0]?.base_total) === toAmount(-750 + 305 - 29000 - 1500),
+    "Bank GL base balance should count the realised FX once after unmatch and rematch"
+  );
+
+  console.log(
+    "Bank auto-post transaction code + multi-currency + realised FX test passed."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
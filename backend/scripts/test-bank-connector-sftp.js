@@ -0,0 +1,583 @@
+import bcrypt from "bcrypt";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  createBankConnector,
+  pushBankConnectorPaymentFiles,
+  runBankConnectorStatementSync,
+  testBankConnectorConnection,
+  upsertBankConnectorAccountLink,
+} from "../src/services/bank.connectors.service.js";
+import { exportPaymentBatchFile } from "../src/services/bank.paymentFiles.service.js";
+import { approvePaymentBatch, createPaymentBatch } from "../src/services/payments.service.js";
+import { startLocalSftpServer } from "./fixtures/localSftpServer.js";
+
+const IBAN = "TR330006100519786457841326";
+const UNLINKED_IBAN = "TR320010009999901234567890";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createTenantWithConnectorFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`SFTP_T_${stamp}`, `SFTP Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`SFTP_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `SFTP_G_${stamp}`, `SFTP Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `SFTP_G_${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `SFTP_LE_${stamp}`, `SFTP Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `SFTP_LE_${stamp}`],
+    "legal entity"
+  );
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `SFTP_CAL_${stamp}`, `SFTP Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `SFTP_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `SFTP_BOOK_${stamp}`, `SFTP Book ${stamp}`, currencyCode]
+  );
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `SFTP_COA_${stamp}`, `SFTP Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `SFTP_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const bankGlAccountId = await insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Bankalar', 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `102${stamp}`],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, `102${stamp}`],
+    "bank GL account"
+  );
+  const payableGlAccountId = await insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Saticilar', 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `320${stamp}`],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, `320${stamp}`],
+    "payable GL account"
+  );
+
+  const passwordHash = await bcrypt.hash("SFTP#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `sftp_user_${stamp}@example.com`, passwordHash, "SFTP User"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `sftp_user_${stamp}@example.com`],
+    "user"
+  );
+
+  const bankAccountId = await insertAndFetchId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, branch_name, iban, account_no, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'Smoke Bank', 'Main', ?, '6457841326', TRUE, ?)`,
+    [tenantId, legalEntityId, `SFTP_BA_${stamp}`, `SFTP Bank ${stamp}`, currencyCode, bankGlAccountId, IBAN, userId],
+    `SELECT id FROM bank_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `SFTP_BA_${stamp}`],
+    "bank account"
+  );
+
+  return { tenantId, legalEntityId, userId, currencyCode, bankAccountId, payableGlAccountId };
+}
+
+function buildMt940({ statementRef, accountId, currencyCode, opening, closing, lines }) {
+  const formatAmount = (value) => Math.abs(value).toFixed(2).replace(".", ",");
+  const formatBalance = (tag, balance) =>
+    `:${tag}:${balance.amount < 0 ? "D" : "C"}${balance.date}${currencyCode}${formatAmount(
+      balance.amount
+    )}`;
+  return [
+    "{1:F01AKBKTRISAXXX0000000000}{2:O9401200260302AKBKTRISAXXX00000000002603021200N}{4:",
+    `:20:${statementRef}`,
+    `:25:${accountId}`,
+    ":28C:00059/001",
+    formatBalance("60F", opening),
+    ...lines.flatMap((line) => [
+      `:61:${line.valueDate}${line.valueDate.slice(2)}${line.amount < 0 ? "D" : "C"}${formatAmount(
+        line.amount
+      )}NTRF${line.ref}//${line.ref}`,
+      `:86:${line.information}`,
+    ]),
+    formatBalance("62F", closing),
+    "-}",
+  ].join("\r\n");
+}
+
+async function createExportedBatch(fixture, stamp, suffix, payableEntityId) {
+  const created = await createPaymentBatch({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      sourceType: "MANUAL",
+      sourceId: null,
+      bankAccountId: fixture.bankAccountId,
+      currencyCode: fixture.currencyCode,
+      idempotencyKey: `SFTP_${suffix}_${stamp}`,
+      notes: `sftp push ${suffix}`,
+      lines: [
+        {
+          beneficiaryType: "VENDOR",
+          beneficiaryId: 5001,
+          beneficiaryName: `Vendor ${suffix}`,
+          beneficiaryBankRef: "DE89370400440532013000",
+          payableEntityType: "AP",
+          payableEntityId,
+          payableGlAccountId: fixture.payableGlAccountId,
+          payableRef: `INV-${suffix}`,
+          amount: 250,
+        },
+      ],
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const batchId = toNumber(created?.id);
+  assert(batchId > 0, `Failed to create ${suffix} payment batch`);
+  await approvePaymentBatch({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    approveInput: { note: "approve for connector push" },
+    assertScopeAccess: noScopeGuard,
+  });
+  const exported = await exportPaymentBatchFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: { exportRequestId: `SFTP_EXP_${suffix}_${stamp}` },
+    assertScopeAccess: noScopeGuard,
+  });
+  const exportRow = exported?.export || {};
+  assert(toNumber(exportRow.id) > 0, `Failed to export ${suffix} payment batch`);
+  return { batchId, exportId: toNumber(exportRow.id), fileName: String(exportRow.file_name) };
+}
+
+async function createFileConnector(fixture, stamp, suffix, config, credentials = null) {
+  const connector = await createBankConnector({
+    req: null,
+    input: {
+      tenantId: fixture.tenantId,
+      legalEntityId: fixture.legalEntityId,
+      connectorCode: `SFTP_${suffix}_${stamp}`,
+      connectorName: `SFTP ${suffix} ${stamp}`,
+      providerCode: "SFTP_FILE",
+      connectorType: "SFTP",
+      status: "ACTIVE",
+      config,
+      credentials,
+      userId: fixture.userId,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const connectorId = toNumber(connector?.id);
+  assert(connectorId > 0, `Failed to create ${suffix} connector`);
+  await upsertBankConnectorAccountLink({
+    req: null,
+    input: {
+      tenantId: fixture.tenantId,
+      connectorId,
+      bankAccountId: fixture.bankAccountId,
+      externalAccountId: IBAN,
+      externalAccountName: "Main TRY",
+      externalCurrencyCode: fixture.currencyCode,
+      status: "ACTIVE",
+      userId: fixture.userId,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  return connectorId;
+}
+
+function listFilesRecursive(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map((entry) => String(entry))
+    .filter((entry) => fs.statSync(path.join(dir, entry)).isFile());
+}
+
+async function getExportStatus(fixture, exportId) {
+  const rows = await query(
+    `SELECT e.export_status, b.bank_export_status
+     FROM payment_batch_exports e
+     JOIN payment_batches b
+       ON b.tenant_id = e.tenant_id
+      AND b.id = e.batch_id
+     WHERE e.tenant_id = ?
+       AND e.id = ?`,
+    [fixture.tenantId, exportId]
+  );
+  return rows.rows?.[0] || {};
+}
+
+async function runLocalTransportScenario(fixture, stamp, localBase) {
+  const rootName = `local-${stamp}`;
+  const rootDir = path.join(localBase, rootName);
+  for (const dir of ["inbound", "outbound"]) {
+    fs.mkdirSync(path.join(rootDir, dir), { recursive: true });
+  }
+  const connectorId = await createFileConnector(fixture, stamp, "LOCAL", {
+    transport: "LOCAL",
+    rootDir: rootName,
+  });
+
+  const testResult = await testBankConnectorConnection({
+    req: null,
+    tenantId: fixture.tenantId,
+    connectorId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(testResult?.result?.transport === "LOCAL", "Connection test should report LOCAL transport");
+
+  const statementText = buildMt940({
+    statementRef: `STMT${stamp}`.slice(0, 16),
+    accountId: IBAN,
+    currencyCode: fixture.currencyCode,
+    opening: { date: "260302", amount: 10000 },
+    closing: { date: "260302", amount: 10100 },
+    lines: [
+      { valueDate: "260302", amount: 150, ref: "LOC1", information: "Tahsilat LOC1" },
+      { valueDate: "260302", amount: -50, ref: "LOC2", information: "Odeme LOC2" },
+    ],
+  });
+  fs.writeFileSync(path.join(rootDir, "inbound", "20260302.sta"), statementText);
+  fs.writeFileSync(
+    path.join(rootDir, "inbound", "other-account.sta"),
+    statementText.replace(`:25:${IBAN}`, `:25:${UNLINKED_IBAN}`)
+  );
+  fs.writeFileSync(path.join(rootDir, "inbound", "notes.pdf"), "ignored extension");
+
+  const firstSync = await runBankConnectorStatementSync({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_SYNC_1_${stamp}` },
+  });
+  const firstRun = firstSync?.sync_run || {};
+  assert(String(firstRun.run_type) === "STATEMENT_PULL", "Statement sync must be a STATEMENT_PULL run");
+  assert(String(firstRun.status) === "PARTIAL", "Unmapped file should make the run PARTIAL");
+  assert(toNumber(firstRun.fetched_count) === 2, "Only files with statement extensions are fetched");
+  assert(toNumber(firstRun.imported_count) === 2, "Both MT940 lines should be imported");
+  assert(toNumber(firstRun.skipped_unmapped_count) === 1, "Unlinked account file should be skipped");
+  assert(firstSync.imports?.length === 1, "One statement import should be linked to the run");
+
+  const filesByName = new Map((firstSync.files || []).map((row) => [row.file_name, row]));
+  const imported = filesByName.get("20260302.sta");
+  assert(imported?.status === "IMPORTED", "Linked statement file should be IMPORTED");
+  assert(imported?.statement_format === "MT940", "Statement format should be detected as MT940");
+  assert(
+    toNumber(imported?.bank_statement_import_id) === toNumber(firstSync.imports[0].bank_statement_import_id),
+    "File transfer should reference the statement import"
+  );
+  assert(
+    String(imported?.archive_path || "").startsWith("/archive/"),
+    "Imported file should be archived under /archive"
+  );
+  const unmapped = filesByName.get("other-account.sta");
+  assert(unmapped?.status === "FAILED", "Unlinked file should be recorded as FAILED");
+  assert(
+    String(unmapped?.archive_path || "").startsWith("/archive/failed/"),
+    "Unlinked file should be moved to the failed folder"
+  );
+  assert(
+    fs.readdirSync(path.join(rootDir, "inbound")).join(",") === "notes.pdf",
+    "Processed statement files must leave the inbound folder"
+  );
+
+  fs.writeFileSync(path.join(rootDir, "inbound", "20260302-resend.sta"), statementText);
+  const secondSync = await runBankConnectorStatementSync({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_SYNC_2_${stamp}` },
+  });
+  assert(String(secondSync?.sync_run?.status) === "SUCCESS", "Duplicate file should not fail the run");
+  assert(toNumber(secondSync?.sync_run?.duplicate_count) === 1, "Re-delivered file counts as duplicate");
+  assert(secondSync.files?.[0]?.status === "DUPLICATE", "Re-delivered file should be DUPLICATE");
+  assert(
+    listFilesRecursive(path.join(rootDir, "archive")).length === 3,
+    "Imported, failed and duplicate files should all be archived"
+  );
+
+  const brokenChainText = buildMt940({
+    statementRef: `GAP${stamp}`.slice(0, 16),
+    accountId: IBAN,
+    currencyCode: fixture.currencyCode,
+    opening: { date: "260303", amount: 9000 },
+    closing: { date: "260303", amount: 9075 },
+    lines: [{ valueDate: "260303", amount: 75, ref: "GAP1", information: "Tahsilat GAP1" }],
+  });
+  fs.writeFileSync(path.join(rootDir, "inbound", "20260303-gap.sta"), brokenChainText);
+  const gapSync = await runBankConnectorStatementSync({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_SYNC_GAP_${stamp}` },
+  });
+  assert(
+    String(gapSync?.sync_run?.status) === "PARTIAL",
+    "Opening balance mismatch should make the run PARTIAL"
+  );
+  assert(toNumber(gapSync?.sync_run?.duplicate_count) === 0, "Balance mismatch is not a duplicate");
+  assert(toNumber(gapSync?.sync_run?.error_count) === 1, "Balance mismatch should count as an error");
+  assert(gapSync.files?.[0]?.status === "FAILED", "Balance mismatch file should be FAILED");
+  assert(
+    String(gapSync.files?.[0]?.archive_path || "").startsWith("/archive/failed/"),
+    "Balance mismatch file should be moved to the failed folder"
+  );
+
+  const replay = await runBankConnectorStatementSync({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_SYNC_2_${stamp}` },
+  });
+  assert(replay?.idempotent === true, "Replaying a sync requestId should be idempotent");
+
+  const pushed = await createExportedBatch(fixture, stamp, "LOCALPUSH", 6001);
+  const pushResult = await pushBankConnectorPaymentFiles({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_PUSH_${stamp}` },
+  });
+  assert(String(pushResult?.sync_run?.run_type) === "PAYMENT_PUSH", "Push must be a PAYMENT_PUSH run");
+  assert(String(pushResult?.sync_run?.status) === "SUCCESS", "Payment push should succeed");
+  assert(toNumber(pushResult?.sync_run?.imported_count) === 1, "One payment file should be pushed");
+  assert(pushResult.files?.[0]?.status === "PUSHED", "Pushed file should be recorded as PUSHED");
+  assert(
+    toNumber(pushResult.files?.[0]?.payment_batch_export_id) === pushed.exportId,
+    "Pushed file should reference the payment export"
+  );
+  assert(
+    fs.existsSync(path.join(rootDir, "outbound", pushed.fileName)),
+    "Payment file should land in the outbound folder"
+  );
+  const sentStatus = await getExportStatus(fixture, pushed.exportId);
+  assert(sentStatus.export_status === "SENT", "Pushed export should be marked SENT");
+  assert(sentStatus.bank_export_status === "SENT", "Pushed batch should be marked SENT");
+
+  const pushReplay = await pushBankConnectorPaymentFiles({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_PUSH_${stamp}` },
+  });
+  assert(pushReplay?.idempotent === true, "Replaying a push requestId should be idempotent");
+
+  const clashing = await createExportedBatch(fixture, stamp, "CLASH", 6002);
+  fs.writeFileSync(path.join(rootDir, "outbound", clashing.fileName), "already delivered");
+  const clashResult = await pushBankConnectorPaymentFiles({
+    tenantId: fixture.tenantId,
+    connectorId,
+    userId: fixture.userId,
+    input: { requestId: `SFTP_LOCAL_PUSH_CLASH_${stamp}`, exportIds: [clashing.exportId] },
+  });
+  assert(String(clashResult?.sync_run?.status) === "PARTIAL", "Existing remote file should make push PARTIAL");
+  assert(clashResult.files?.[0]?.status === "FAILED", "Clashing file should be recorded as FAILED");
+  assert(
+    (await getExportStatus(fixture, clashing.exportId)).export_status === "GENERATED",
+    "Export that failed to push must stay GENERATED"
+  );
+  assert(
+    fs.readFileSync(path.join(rootDir, "outbound", clashing.fileName), "utf8") === "already delivered",
+    "Push must never overwrite an existing remote file"
+  );
+  return clashing;
+}
+
+async function runSftpTransportScenario(fixture, stamp, sftpRoot, clashing) {
+  for (const dir of ["inbound", "outbound"]) {
+    fs.mkdirSync(path.join(sftpRoot, dir), { recursive: true });
+  }
+  const server = await startLocalSftpServer({ rootDir: sftpRoot });
+  try {
+    const baseConfig = {
+      transport: "SFTP",
+      host: server.host,
+      port: server.port,
+      readyTimeoutMs: 5000,
+      hostKeySha256: server.hostKeySha256,
+    };
+    const credentials = { username: server.username, password: server.password };
+    const connectorId = await createFileConnector(fixture, stamp, "REMOTE", baseConfig, credentials);
+
+    const statementText = buildMt940({
+      statementRef: `SFTP${stamp}`.slice(0, 16),
+      accountId: IBAN,
+      currencyCode: fixture.currencyCode,
+      opening: { date: "260303", amount: 10100 },
+      closing: { date: "260303", amount: 10400 },
+      lines: [{ valueDate: "260303", amount: 300, ref: "SFTP1", information: "Tahsilat SFTP1" }],
+    });
+    fs.writeFileSync(path.join(sftpRoot, "inbound", "20260303.940"), statementText);
+
+    const sync = await runBankConnectorStatementSync({
+      tenantId: fixture.tenantId,
+      connectorId,
+      userId: fixture.userId,
+      input: { requestId: `SFTP_REMOTE_SYNC_${stamp}` },
+    });
+    assert(String(sync?.sync_run?.status) === "SUCCESS", "SFTP statement sync should succeed");
+    assert(toNumber(sync?.sync_run?.imported_count) === 1, "SFTP statement line should be imported");
+    assert(sync.files?.[0]?.status === "IMPORTED", "SFTP file should be IMPORTED");
+    assert(
+      listFilesRecursive(path.join(sftpRoot, "inbound")).length === 0,
+      "SFTP inbound folder should be empty after sync"
+    );
+    assert(
+      listFilesRecursive(path.join(sftpRoot, "archive")).length === 1,
+      "SFTP statement file should be archived on the server"
+    );
+
+    const pushResult = await pushBankConnectorPaymentFiles({
+      tenantId: fixture.tenantId,
+      connectorId,
+      userId: fixture.userId,
+      input: { requestId: `SFTP_REMOTE_PUSH_${stamp}`, exportIds: [clashing.exportId] },
+    });
+    assert(String(pushResult?.sync_run?.status) === "SUCCESS", "SFTP payment push should succeed");
+    assert(
+      fs.existsSync(path.join(sftpRoot, "outbound", clashing.fileName)),
+      "Payment file should land in the SFTP outbound folder"
+    );
+    assert(
+      (await getExportStatus(fixture, clashing.exportId)).export_status === "SENT",
+      "Export pushed over SFTP should be marked SENT"
+    );
+
+    const pinnedConnectorId = await createFileConnector(
+      fixture,
+      stamp,
+      "PINNED",
+      { ...baseConfig, hostKeySha256: "SHA256:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA" },
+      credentials
+    );
+    let pinError = null;
+    try {
+      await testBankConnectorConnection({
+        req: null,
+        tenantId: fixture.tenantId,
+        connectorId: pinnedConnectorId,
+        assertScopeAccess: noScopeGuard,
+      });
+    } catch (err) {
+      pinError = err;
+    }
+    assert(toNumber(pinError?.status) === 502, "Host key mismatch should fail the connection test");
+
+    const unpinnedConfig = { ...baseConfig };
+    delete unpinnedConfig.hostKeySha256;
+    let unpinnedError = null;
+    try {
+      await createFileConnector(fixture, stamp, "UNPINNED", unpinnedConfig, credentials);
+    } catch (err) {
+      unpinnedError = err;
+    }
+    assert(
+      toNumber(unpinnedError?.status) === 400,
+      "SFTP connector without hostKeySha256 should be rejected with 400"
+    );
+  } finally {
+    await server.close();
+  }
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-connector-sftp-"));
+  const localBase = path.join(workDir, "local");
+  fs.mkdirSync(localBase, { recursive: true });
+  process.env.BANK_CONNECTOR_LOCAL_ROOT = localBase;
+
+  try {
+    const fixture = await createTenantWithConnectorFixtures(stamp);
+    const clashing = await runLocalTransportScenario(fixture, stamp, localBase);
+    await runSftpTransportScenario(fixture, stamp, path.join(workDir, "sftp"), clashing);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(
+    "Bank connector SFTP test passed (LOCAL + SFTP transports, archive/failed folders, duplicate and broken-chain files, payment push)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,610 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  approvePaymentBatch,
+  createPaymentBatch,
+} from "../src/services/payments.service.js";
+import {
+  exportPaymentBatchFile,
+  importPaymentBatchAck,
+} from "../src/services/bank.paymentFiles.service.js";
+
+const DEBTOR_IBAN = "TR330006100519786457841326";
+const CREDITOR_IBANS = ["DE89370400440532013000", "FR1420041010050500013M02606"];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (err) {
+    assert(
+      toNumber(err?.status) === status,
+      `Expected HTTP ${status}, got ${err?.status}: ${err?.message}`
+    );
+    if (includes) {
+      assert(
+        String(err?.message || "").includes(includes),
+        `Expected error to include "${includes}", got: ${err?.message}`
+      );
+    }
+    return err;
+  }
+  throw new Error(`Expected failure with status ${status}`);
+}
+
+async function createTenantWithIsoAckFixtures(stamp) {
+  const tenantCode = `ISOACK_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `ISOACK Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `ISOACK_G_${stamp}`, `ISOACK Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `ISOACK_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `ISOACK_LE_${stamp}`,
+      `ISOACK Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `ISOACK_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `ISOACK_CAL_${stamp}`, `ISOACK Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `ISOACK_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `ISOACK_BOOK_${stamp}`,
+      `ISOACK Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `ISOACK_COA_${stamp}`, `ISOACK Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `ISOACK_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `ISOBANK${stamp}`, `ISOACK Bank GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `ISOPAY${stamp}`, `ISOACK Payable GL ${stamp}`]
+  );
+
+  const bankGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `ISOACK Bank GL ${stamp}`]
+  );
+  const payableGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `ISOACK Payable GL ${stamp}`]
+  );
+  const bankGlAccountId = toNumber(bankGlRows.rows?.[0]?.id);
+  const payableGlAccountId = toNumber(payableGlRows.rows?.[0]?.id);
+  assert(bankGlAccountId > 0, "Failed to create bank GL account fixture");
+  assert(payableGlAccountId > 0, "Failed to create payable GL account fixture");
+
+  const passwordHash = await bcrypt.hash("ISOACK#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `isoack_user_${stamp}@example.com`, passwordHash, "ISOACK User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `isoack_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  await query(
+    `INSERT INTO bank_accounts (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        currency_code,
+        gl_account_id,
+        bank_name,
+        branch_name,
+        iban,
+        account_no,
+        swift_bic,
+        payment_file_format_code,
+        payment_charge_bearer,
+        is_active,
+        created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ISBKTRISXXX', 'PAIN001_V09', 'SHAR', TRUE, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `ISOACK_BA_${stamp}`,
+      `ISOACK Bank Account ${stamp}`,
+      currencyCode,
+      bankGlAccountId,
+      "Smoke Bank",
+      "Main",
+      DEBTOR_IBAN,
+      String(stamp),
+      userId,
+    ]
+  );
+  const bankAccountRows = await query(
+    `SELECT id
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `ISOACK_BA_${stamp}`]
+  );
+  const bankAccountId = toNumber(bankAccountRows.rows?.[0]?.id);
+  assert(bankAccountId > 0, "Failed to create bank account fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    currencyCode,
+    userId,
+    bankAccountId,
+    payableGlAccountId,
+  };
+}
+
+async function createApprovedBatch(fixture, stamp, suffix, beneficiaryBankRefs) {
+  const created = await createPaymentBatch({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      sourceType: "MANUAL",
+      sourceId: null,
+      bankAccountId: fixture.bankAccountId,
+      currencyCode: fixture.currencyCode,
+      idempotencyKey: `ISOACK_${suffix}_${stamp}`,
+      notes: `ISO ack smoke ${suffix}`,
+      lines: beneficiaryBankRefs.map((bankRef, index) => ({
+        beneficiaryType: "VENDOR",
+        beneficiaryId: 3000 + index,
+        beneficiaryName: `Vendor ${index + 1} & Sons`,
+        beneficiaryBankRef: bankRef,
+        payableEntityType: "AP",
+        payableEntityId: 4000 + index,
+        payableGlAccountId: fixture.payableGlAccountId,
+        payableRef: `INV-${suffix}-${index + 1}`,
+        amount: 125.5 * (index + 1),
+      })),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const batchId = toNumber(created?.id);
+  assert(batchId > 0, `Failed to create ${suffix} payment batch`);
+
+  await approvePaymentBatch({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    approveInput: { note: "approve for ISO ack import" },
+    assertScopeAccess: noScopeGuard,
+  });
+  return batchId;
+}
+
+function buildPain002({ originalMessageId, transactions, groupStatus = null }) {
+  const txXml = transactions
+    .map(
+      (tx) => `
+      <TxInfAndSts>
+        <OrgnlInstrId>${tx.instructionId}</OrgnlInstrId>
+        <OrgnlEndToEndId>${tx.endToEndId}</OrgnlEndToEndId>
+        <TxSts>${tx.status}</TxSts>${
+          tx.reasonCode
+            ? `
+        <StsRsnInf>
+          <Rsn><Cd>${tx.reasonCode}</Cd></Rsn>
+        </StsRsnInf>`
+            : ""
+        }
+        <AccptncDtTm>2026-02-27T09:30:00Z</AccptncDtTm>
+        <AcctSvcrRef>BR-${tx.endToEndId}</AcctSvcrRef>
+        <OrgnlTxRef>
+          <Amt><InstdAmt Ccy="${tx.currencyCode}">${tx.amount}</InstdAmt></Amt>
+        </OrgnlTxRef>
+      </TxInfAndSts>`
+    )
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.10">
+  <CstmrPmtStsRpt>
+    <GrpHdr>
+      <MsgId>STS-${originalMessageId}</MsgId>
+      <CreDtTm>2026-02-27T10:00:00Z</CreDtTm>
+    </GrpHdr>
+    <OrgnlGrpInfAndSts>
+      <OrgnlMsgId>${originalMessageId}</OrgnlMsgId>
+      <OrgnlMsgNmId>pain.001.001.09</OrgnlMsgNmId>${
+        groupStatus ? `\n      <GrpSts>${groupStatus}</GrpSts>` : ""
+      }
+    </OrgnlGrpInfAndSts>
+    <OrgnlPmtInfAndSts>
+      <OrgnlPmtInfId>PMT-1</OrgnlPmtInfId>${txXml}
+    </OrgnlPmtInfAndSts>
+  </CstmrPmtStsRpt>
+</Document>`;
+}
+
+function buildCamt054Return({ endToEndId, amount, currencyCode, reasonCode }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.054.001.08">
+  <BkToCstmrDbtCdtNtfctn>
+    <GrpHdr>
+      <MsgId>NTF-${endToEndId}</MsgId>
+      <CreDtTm>2026-03-02T08:00:00Z</CreDtTm>
+    </GrpHdr>
+    <Ntfctn>
+      <Id>NTF-1</Id>
+      <Acct><Id><IBAN>${DEBTOR_IBAN}</IBAN></Id></Acct>
+      <Ntry>
+        <Amt Ccy="${currencyCode}">${amount}</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><Dt>2026-03-02</Dt></BookgDt>
+        <NtryDtls>
+          <TxDtls>
+            <Refs>
+              <AcctSvcrRef>RTN-${endToEndId}</AcctSvcrRef>
+              <EndToEndId>${endToEndId}</EndToEndId>
+            </Refs>
+            <RtrInf>
+              <Rsn><Cd>${reasonCode}</Cd></Rsn>
+            </RtrInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+    </Ntfctn>
+  </BkToCstmrDbtCdtNtfctn>
+</Document>`;
+}
+
+async function loadBatchLines(tenantId, batchId) {
+  const result = await query(
+    `SELECT id, line_no, amount, status, bank_execution_status, return_status, return_reason_code
+     FROM payment_batch_lines
+     WHERE tenant_id = ?
+       AND batch_id = ?
+     ORDER BY line_no ASC`,
+    [tenantId, batchId]
+  );
+  return result.rows || [];
+}
+
+async function loadReturnEvents(tenantId, batchId) {
+  const result = await query(
+    `SELECT payment_batch_line_id, event_type, reason_code, reason_message, amount, source_type
+     FROM bank_payment_return_events
+     WHERE tenant_id = ?
+       AND payment_batch_id = ?
+     ORDER BY id ASC`,
+    [tenantId, batchId]
+  );
+  return result.rows || [];
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createTenantWithIsoAckFixtures(stamp);
+  const batchId = await createApprovedBatch(fixture, stamp, "MAIN", CREDITOR_IBANS);
+
+  const exported = await exportPaymentBatchFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: { exportRequestId: `ISOACK_EXP_${stamp}` },
+    assertScopeAccess: noScopeGuard,
+  });
+  const messageId = String(exported?.export?.raw_meta_json?.message_id || "");
+  assert(messageId, "pain.001 export must record its message id");
+
+  const exportLineRows = await query(
+    `SELECT line_ref, payment_batch_line_id
+     FROM payment_batch_export_lines
+     WHERE tenant_id = ?
+       AND payment_batch_export_id = ?
+     ORDER BY id ASC`,
+    [fixture.tenantId, toNumber(exported?.export?.id)]
+  );
+  const exportLines = exportLineRows.rows || [];
+  assert(exportLines.length === 2, "Both batch lines must be exported");
+  const [paidLine, rejectedLine] = await loadBatchLines(fixture.tenantId, batchId);
+
+  await expectFailure(
+    () =>
+      exportPaymentBatchFile({
+        req: null,
+        tenantId: fixture.tenantId,
+        batchId,
+        userId: fixture.userId,
+        input: { fileFormatCode: "PAIN002" },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "acknowledgement format" }
+  );
+
+  const pain002 = buildPain002({
+    originalMessageId: messageId,
+    transactions: [
+      {
+        instructionId: `X-1`,
+        endToEndId: exportLines[0].line_ref,
+        status: "ACSC",
+        amount: toNumber(paidLine.amount).toFixed(2),
+        currencyCode: fixture.currencyCode,
+      },
+      {
+        instructionId: `X-2`,
+        endToEndId: exportLines[1].line_ref,
+        status: "RJCT",
+        reasonCode: "AC04",
+        amount: toNumber(rejectedLine.amount).toFixed(2),
+        currencyCode: fixture.currencyCode,
+      },
+    ],
+  });
+  const statusImport = await importPaymentBatchAck({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: {
+      fileFormatCode: "PAIN002",
+      ackRequestId: `ISOACK_PAIN002_${stamp}`,
+      fileName: "pain002.xml",
+      ackText: pain002,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const statusAck = statusImport?.ack_import || {};
+  assert(
+    toNumber(statusAck.payment_batch_export_id) === toNumber(exported?.export?.id),
+    "pain.002 must link to the export named by OrgnlMsgId"
+  );
+  assert(toNumber(statusAck.applied_rows) === 2, "Both pain.002 rows must apply");
+  assert(
+    toNumber(statusAck.payload_json?.return_events_created) === 1,
+    "pain.002 rejection must raise exactly one return event"
+  );
+
+  let lines = await loadBatchLines(fixture.tenantId, batchId);
+  assert(lines[0].bank_execution_status === "PAID", "ACSC must mark the line as paid by the bank");
+  assert(lines[1].status === "FAILED", "RJCT must fail the batch line");
+  assert(lines[1].return_status === "REJECTED_POST_ACK", "RJCT must set return_status");
+  assert(lines[1].return_reason_code === "AC04", "RJCT must keep the ISO reason code");
+
+  let events = await loadReturnEvents(fixture.tenantId, batchId);
+  assert(events.length === 1, "Exactly one return event expected after pain.002");
+  assert(events[0].event_type === "PAYMENT_REJECTED", "pain.002 rejection must be PAYMENT_REJECTED");
+  assert(events[0].source_type === "ACK", "Return event must be sourced from the ack import");
+  assert(events[0].reason_code === "AC04", "Return event must carry the ISO reason code");
+  assert(
+    events[0].reason_message === "Closed account number",
+    "Reason message must fall back to the ISO code description"
+  );
+
+  const replay = await importPaymentBatchAck({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: {
+      fileFormatCode: "PAIN002",
+      ackRequestId: `ISOACK_PAIN002_${stamp}`,
+      ackText: pain002,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(replay?.idempotent === true, "Replaying the same ackRequestId must be idempotent");
+
+  const camt054 = buildCamt054Return({
+    endToEndId: exportLines[0].line_ref,
+    amount: toNumber(paidLine.amount).toFixed(2),
+    currencyCode: fixture.currencyCode,
+    reasonCode: "MD07",
+  });
+  const returnImport = await importPaymentBatchAck({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: {
+      fileFormatCode: "CAMT054",
+      ackRequestId: `ISOACK_CAMT054_${stamp}`,
+      exportId: toNumber(exported?.export?.id),
+      ackText: camt054,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    toNumber(returnImport?.ack_import?.payload_json?.return_events_created) === 1,
+    "camt.054 return must raise one return event"
+  );
+
+  events = await loadReturnEvents(fixture.tenantId, batchId);
+  assert(events.length === 2, "camt.054 return must add a second return event");
+  const returned = events[1];
+  assert(returned.event_type === "PAYMENT_RETURNED", "camt.054 credit with RtrInf must be PAYMENT_RETURNED");
+  assert(returned.reason_code === "MD07", "camt.054 return must carry RtrInf/Rsn/Cd");
+  assert(
+    Math.abs(toNumber(returned.amount) - toNumber(paidLine.amount)) < 0.000001,
+    "camt.054 return amount must equal the credited amount"
+  );
+
+  lines = await loadBatchLines(fixture.tenantId, batchId);
+  assert(lines[0].return_status === "RETURNED", "Full camt.054 return must mark the line RETURNED");
+
+  await expectFailure(
+    () =>
+      importPaymentBatchAck({
+        req: null,
+        tenantId: fixture.tenantId,
+        batchId,
+        userId: fixture.userId,
+        input: { fileFormatCode: "CAMT054", ackText: "<Document><Other/></Document>" },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "BkToCstmrDbtCdtNtfctn" }
+  );
+
+  console.log(
+    "ISO ack import test passed (pain.002 status mapping, camt.054 returns, automatic return events)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
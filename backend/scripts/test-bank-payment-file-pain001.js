@@ -0,0 +1,502 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  approvePaymentBatch,
+  createPaymentBatch,
+} from "../src/services/payments.service.js";
+import {
+  exportPaymentBatchFile,
+  importPaymentBatchAck,
+} from "../src/services/bank.paymentFiles.service.js";
+import {
+  isValidIbanChecksum,
+  validatePain001Xml,
+} from "../src/services/bankPaymentFileFormats/pain001.format.js";
+
+const DEBTOR_IBAN = "TR330006100519786457841326";
+const CREDITOR_IBANS = ["DE89370400440532013000", "FR1420041010050500013M02606"];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function addDays(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (err) {
+    assert(
+      toNumber(err?.status) === status,
+      `Expected HTTP ${status}, got ${err?.status}: ${err?.message}`
+    );
+    if (includes) {
+      assert(
+        String(err?.message || "").includes(includes),
+        `Expected error to include "${includes}", got: ${err?.message}`
+      );
+    }
+    return err;
+  }
+  throw new Error(`Expected failure with status ${status}`);
+}
+
+async function createTenantWithPainFixtures(stamp) {
+  const tenantCode = `PAIN001_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `PAIN001 Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `PAIN001_G_${stamp}`, `PAIN001 Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PAIN001_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `PAIN001_LE_${stamp}`,
+      `PAIN001 Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PAIN001_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `PAIN001_CAL_${stamp}`, `PAIN001 Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PAIN001_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `PAIN001_BOOK_${stamp}`,
+      `PAIN001 Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `PAIN001_COA_${stamp}`, `PAIN001 Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PAIN001_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `PAINBANK${stamp}`, `PAIN001 Bank GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `PAINPAY${stamp}`, `PAIN001 Payable GL ${stamp}`]
+  );
+
+  const bankGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PAIN001 Bank GL ${stamp}`]
+  );
+  const payableGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PAIN001 Payable GL ${stamp}`]
+  );
+  const bankGlAccountId = toNumber(bankGlRows.rows?.[0]?.id);
+  const payableGlAccountId = toNumber(payableGlRows.rows?.[0]?.id);
+  assert(bankGlAccountId > 0, "Failed to create bank GL account fixture");
+  assert(payableGlAccountId > 0, "Failed to create payable GL account fixture");
+
+  const passwordHash = await bcrypt.hash("PAIN001#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `pain001_user_${stamp}@example.com`, passwordHash, "PAIN001 User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `pain001_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  await query(
+    `INSERT INTO bank_accounts (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        currency_code,
+        gl_account_id,
+        bank_name,
+        branch_name,
+        iban,
+        account_no,
+        swift_bic,
+        payment_file_format_code,
+        payment_charge_bearer,
+        is_active,
+        created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ISBKTRISXXX', 'PAIN001_V09', 'SHAR', TRUE, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `PAIN001_BA_${stamp}`,
+      `PAIN001 Bank Account ${stamp}`,
+      currencyCode,
+      bankGlAccountId,
+      "Smoke Bank",
+      "Main",
+      DEBTOR_IBAN,
+      String(stamp),
+      userId,
+    ]
+  );
+  const bankAccountRows = await query(
+    `SELECT id
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `PAIN001_BA_${stamp}`]
+  );
+  const bankAccountId = toNumber(bankAccountRows.rows?.[0]?.id);
+  assert(bankAccountId > 0, "Failed to create bank account fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    currencyCode,
+    userId,
+    bankAccountId,
+    payableGlAccountId,
+  };
+}
+
+async function createApprovedBatch(fixture, stamp, suffix, beneficiaryBankRefs) {
+  const created = await createPaymentBatch({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      sourceType: "MANUAL",
+      sourceId: null,
+      bankAccountId: fixture.bankAccountId,
+      currencyCode: fixture.currencyCode,
+      idempotencyKey: `PAIN001_${suffix}_${stamp}`,
+      notes: `pain.001 smoke ${suffix}`,
+      lines: beneficiaryBankRefs.map((bankRef, index) => ({
+        beneficiaryType: "VENDOR",
+        beneficiaryId: 3000 + index,
+        beneficiaryName: `Vendor ${index + 1} & Sons`,
+        beneficiaryBankRef: bankRef,
+        payableEntityType: "AP",
+        payableEntityId: 4000 + index,
+        payableGlAccountId: fixture.payableGlAccountId,
+        payableRef: `INV-${suffix}-${index + 1}`,
+        amount: 125.5 * (index + 1),
+      })),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const batchId = toNumber(created?.id);
+  assert(batchId > 0, `Failed to create ${suffix} payment batch`);
+
+  await approvePaymentBatch({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    approveInput: { note: "approve for pain.001 export" },
+    assertScopeAccess: noScopeGuard,
+  });
+  return batchId;
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  assert(isValidIbanChecksum(DEBTOR_IBAN), "Fixture debtor IBAN must be valid");
+  assert(!isValidIbanChecksum("TR340006100519786457841326"), "IBAN checksum must reject bad digits");
+
+  const stamp = Date.now();
+  const fixture = await createTenantWithPainFixtures(stamp);
+  const requestedExecutionDate = addDays(3);
+
+  const batchId = await createApprovedBatch(fixture, stamp, "MAIN", CREDITOR_IBANS);
+
+  const defaultExport = await exportPaymentBatchFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: { requestedExecutionDate, exportRequestId: `PAIN001_EXP_${stamp}` },
+    assertScopeAccess: noScopeGuard,
+  });
+  const v09 = defaultExport?.export || {};
+  assert(
+    String(v09.bank_file_format_code || "") === "PAIN001_V09",
+    "Export without fileFormatCode should use the bank account default PAIN001_V09"
+  );
+  assert(String(v09.export_format || "") === "XML", "pain.001 export must be stored as XML");
+  assert(String(v09.file_name || "").endsWith(".xml"), "pain.001 export file name must end with .xml");
+  const v09Xml = String(v09.export_payload_text || "");
+  assert(validatePain001Xml(v09Xml, "09").length === 0, "Stored v09 payload must pass validation");
+  assert(
+    v09Xml.includes("urn:iso:std:iso:20022:tech:xsd:pain.001.001.09"),
+    "v09 payload must carry the pain.001.001.09 namespace"
+  );
+  assert(
+    v09Xml.includes(`<ReqdExctnDt>\n          <Dt>${requestedExecutionDate}</Dt>`),
+    "v09 payload must wrap ReqdExctnDt in Dt"
+  );
+  assert(v09Xml.includes(`<IBAN>${DEBTOR_IBAN}</IBAN>`), "Debtor IBAN must be exported");
+  assert(v09Xml.includes("<BICFI>ISBKTRISXXX</BICFI>"), "Debtor BIC must be exported as BICFI");
+  assert(v09Xml.includes("<ChrgBr>SHAR</ChrgBr>"), "Bank account charge bearer default must apply");
+  assert(v09Xml.includes("Vendor 1 &amp; Sons"), "Creditor names must be XML-escaped");
+
+  const exportLineRows = await query(
+    `SELECT line_ref
+     FROM payment_batch_export_lines
+     WHERE tenant_id = ?
+       AND payment_batch_export_id = ?
+     ORDER BY id ASC`,
+    [fixture.tenantId, toNumber(v09.id)]
+  );
+  assert(exportLineRows.rows?.length === CREDITOR_IBANS.length, "Export lines must be recorded");
+  for (const row of exportLineRows.rows || []) {
+    assert(
+      v09Xml.includes(`<EndToEndId>${row.line_ref}</EndToEndId>`),
+      `EndToEndId must equal the export line_ref ${row.line_ref}`
+    );
+  }
+  for (const iban of CREDITOR_IBANS) {
+    assert(v09Xml.includes(`<IBAN>${iban}</IBAN>`), `Creditor IBAN ${iban} must be exported`);
+  }
+
+  const v03Export = await exportPaymentBatchFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: { fileFormatCode: "PAIN001_V03", requestedExecutionDate, chargeBearer: "SLEV" },
+    assertScopeAccess: noScopeGuard,
+  });
+  const v03Xml = String(v03Export?.export?.export_payload_text || "");
+  assert(validatePain001Xml(v03Xml, "03").length === 0, "Stored v03 payload must pass validation");
+  assert(
+    v03Xml.includes(`<ReqdExctnDt>${requestedExecutionDate}</ReqdExctnDt>`),
+    "v03 payload must carry ReqdExctnDt as a plain date"
+  );
+  assert(v03Xml.includes("<BIC>ISBKTRISXXX</BIC>"), "v03 payload must use BIC");
+  assert(v03Xml.includes("<ChrgBr>SLEV</ChrgBr>"), "Requested charge bearer must override the default");
+  const storedDateRows = await query(
+    `SELECT DATE_FORMAT(requested_execution_date, '%Y-%m-%d') AS requested_execution_date
+     FROM payment_batch_exports
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [fixture.tenantId, toNumber(v03Export?.export?.id)]
+  );
+  assert(
+    storedDateRows.rows?.[0]?.requested_execution_date === requestedExecutionDate,
+    "Export row must store requested_execution_date"
+  );
+
+  const csvExport = await exportPaymentBatchFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    batchId,
+    userId: fixture.userId,
+    input: { fileFormatCode: "GENERIC_CSV_V1" },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    String(csvExport?.export?.export_format || "") === "CSV",
+    "Explicit GENERIC_CSV_V1 must still produce CSV"
+  );
+
+  const invalidBatchId = await createApprovedBatch(fixture, stamp, "BADIBAN", [
+    "DE00370400440532013000",
+  ]);
+  const exportCountBefore = await query(
+    `SELECT COUNT(*) AS total
+     FROM payment_batch_exports
+     WHERE tenant_id = ?
+       AND batch_id = ?`,
+    [fixture.tenantId, invalidBatchId]
+  );
+  await expectFailure(
+    () =>
+      exportPaymentBatchFile({
+        req: null,
+        tenantId: fixture.tenantId,
+        batchId: invalidBatchId,
+        userId: fixture.userId,
+        input: { requestedExecutionDate },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "schema validation failed" }
+  );
+  const exportCountAfter = await query(
+    `SELECT COUNT(*) AS total
+     FROM payment_batch_exports
+     WHERE tenant_id = ?
+       AND batch_id = ?`,
+    [fixture.tenantId, invalidBatchId]
+  );
+  assert(
+    toNumber(exportCountAfter.rows?.[0]?.total) === toNumber(exportCountBefore.rows?.[0]?.total),
+    "Failed schema validation must not persist an export"
+  );
+
+  await expectFailure(
+    () =>
+      importPaymentBatchAck({
+        req: null,
+        tenantId: fixture.tenantId,
+        batchId,
+        userId: fixture.userId,
+        input: { fileFormatCode: "PAIN001_V09", ackText: "<Document/>" },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "does not support acknowledgement import" }
+  );
+
+  console.log(
+    "pain.001 export test passed (bank account default, v03/v09 layouts, end-to-end ids, schema gate)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
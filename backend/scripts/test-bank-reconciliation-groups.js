@@ -0,0 +1,743 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  findAmountCombinations,
+  getReconciliationMatchGroup,
+  getReconciliationSuggestionsForLine,
+  matchReconciliationGroup,
+  unmatchReconciliationGroup,
+  unmatchReconciliationLine,
+} from "../src/services/bank.reconciliation.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function createTenantWithGroupFixtures(stamp) {
+  const tenantCode = `RGRP_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `RGRP Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `RGRP_G_${stamp}`, `RGRP Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RGRP_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `RGRP_LE_${stamp}`,
+      `RGRP Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RGRP_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `RGRP_CAL_${stamp}`, `RGRP Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RGRP_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+  const periodRows = await query(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+       AND fiscal_year = 2026
+       AND period_no = 2
+       AND is_adjustment = FALSE
+     LIMIT 1`,
+    [calendarId]
+  );
+  const fiscalPeriodId = toNumber(periodRows.rows?.[0]?.id);
+  assert(fiscalPeriodId > 0, "Failed to create fiscal period fixture");
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `RGRP_BOOK_${stamp}`,
+      `RGRP Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+  const bookRows = await query(
+    `SELECT id
+     FROM books
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `RGRP_BOOK_${stamp}`]
+  );
+  const bookId = toNumber(bookRows.rows?.[0]?.id);
+  assert(bookId > 0, "Failed to create book fixture");
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `RGRP_COA_${stamp}`, `RGRP Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RGRP_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `RGRPBANK${stamp}`, `RGRP Bank GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `RGRPOFF${stamp}`, `RGRP Offset GL ${stamp}`]
+  );
+  const bankGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `RGRP Bank GL ${stamp}`]
+  );
+  const offsetGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `RGRP Offset GL ${stamp}`]
+  );
+  const bankGlAccountId = toNumber(bankGlRows.rows?.[0]?.id);
+  const offsetGlAccountId = toNumber(offsetGlRows.rows?.[0]?.id);
+  assert(bankGlAccountId > 0, "Failed to create bank GL account fixture");
+  assert(offsetGlAccountId > 0, "Failed to create offset GL account fixture");
+
+  const passwordHash = await bcrypt.hash("RGRP#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `rgrp_user_${stamp}@example.com`, passwordHash, "RGRP User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `rgrp_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  await query(
+    `INSERT INTO bank_accounts (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        currency_code,
+        gl_account_id,
+        bank_name,
+        branch_name,
+        iban,
+        account_no,
+        is_active,
+        created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `RGRP_BA_${stamp}`,
+      `RGRP Bank Account ${stamp}`,
+      currencyCode,
+      bankGlAccountId,
+      "Smoke Bank",
+      "Main",
+      `TR${String(stamp).slice(-20)}`,
+      String(stamp),
+      userId,
+    ]
+  );
+  const bankAccountRows = await query(
+    `SELECT id
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `RGRP_BA_${stamp}`]
+  );
+  const bankAccountId = toNumber(bankAccountRows.rows?.[0]?.id);
+  assert(bankAccountId > 0, "Failed to create bank account fixture");
+
+  await query(
+    `INSERT INTO bank_statement_imports (
+        tenant_id,
+        legal_entity_id,
+        bank_account_id,
+        import_source,
+        original_filename,
+        file_checksum,
+        status,
+        line_count_total,
+        line_count_inserted,
+        line_count_duplicates,
+        raw_meta_json,
+        imported_by_user_id
+      )
+      VALUES (?, ?, ?, 'CSV', ?, ?, 'IMPORTED', 1, 1, 0, ?, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      bankAccountId,
+      `rgrp-${stamp}.csv`,
+      `rgrp-checksum-${stamp}`,
+      JSON.stringify({ source: "smoke-test" }),
+      userId,
+    ]
+  );
+  const importRows = await query(
+    `SELECT id
+     FROM bank_statement_imports
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND bank_account_id = ?
+       AND file_checksum = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, bankAccountId, `rgrp-checksum-${stamp}`]
+  );
+  const importId = toNumber(importRows.rows?.[0]?.id);
+  assert(importId > 0, "Failed to create statement import fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `RGRPCASH${stamp}`, `RGRP Cash GL ${stamp}`]
+  );
+  const cashGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `RGRP Cash GL ${stamp}`]
+  );
+  const cashGlAccountId = toNumber(cashGlRows.rows?.[0]?.id);
+  assert(cashGlAccountId > 0, "Failed to create cash GL account fixture");
+
+  const registerInsert = await query(
+    `INSERT INTO cash_registers (
+        tenant_id, legal_entity_id, account_id, code, name, register_type, session_mode, currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, 'VAULT', 'NONE', ?, 'ACTIVE')`,
+    [tenantId, legalEntityId, cashGlAccountId, `RGRP_CR_${stamp}`, `RGRP Register ${stamp}`, currencyCode]
+  );
+  const cashRegisterId = toNumber(registerInsert.rows?.insertId);
+  assert(cashRegisterId > 0, "Failed to create cash register fixture");
+
+  async function insertLine(lineNo, txnDate, amount, description) {
+    const insert = await query(
+      `INSERT INTO bank_statement_lines (
+          tenant_id,
+          legal_entity_id,
+          import_id,
+          bank_account_id,
+          line_no,
+          txn_date,
+          value_date,
+          description,
+          reference_no,
+          amount,
+          currency_code,
+          balance_after,
+          line_hash,
+          recon_status,
+          raw_row_json
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, NULL, ?, 'UNMATCHED', ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        importId,
+        bankAccountId,
+        lineNo,
+        txnDate,
+        txnDate,
+        description,
+        amount,
+        currencyCode,
+        `RGRP-LINE-${stamp}-${lineNo}`.padEnd(64, "0").slice(0, 64),
+        JSON.stringify({ rowNo: lineNo }),
+      ]
+    );
+    const lineId = toNumber(insert.rows?.insertId);
+    assert(lineId > 0, `Failed to create statement line ${lineNo}`);
+    return lineId;
+  }
+
+  async function insertCashDeposit(txnNo, amount) {
+    const insert = await query(
+      `INSERT INTO cash_transactions (
+          tenant_id,
+          cash_register_id,
+          txn_no,
+          txn_type,
+          status,
+          txn_datetime,
+          book_date,
+          amount,
+          currency_code,
+          description,
+          created_by_user_id,
+          posted_by_user_id,
+          posted_at
+        )
+        VALUES (?, ?, ?, 'DEPOSIT_TO_BANK', 'POSTED', '2026-02-12 10:00:00', '2026-02-12', ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [tenantId, cashRegisterId, txnNo, amount, currencyCode, `Deposit ${txnNo}`, userId, userId]
+    );
+    const cashTxnId = toNumber(insert.rows?.insertId);
+    assert(cashTxnId > 0, `Failed to create cash transaction ${txnNo}`);
+    return cashTxnId;
+  }
+
+  const collectionLineAId = await insertLine(1, "2026-02-10", 60, "Collection part A");
+  const collectionLineBId = await insertLine(2, "2026-02-11", 40, "Collection part B");
+  const depositLineId = await insertLine(3, "2026-02-12", 150, "Cash deposit");
+  const toleranceLineId = await insertLine(4, "2026-02-12", 135.3, "Cash deposit with rounding");
+
+  const journalInsert = await query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at
+      )
+      VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', '2026-02-10', '2026-02-10', ?, ?, NULL, 100.000000, 100.000000, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      tenantId,
+      legalEntityId,
+      bookId,
+      fiscalPeriodId,
+      `RGRP-JE-${stamp}`,
+      currencyCode,
+      "Customer collection received in two transfers",
+      userId,
+      userId,
+    ]
+  );
+  const journalId = toNumber(journalInsert.rows?.insertId);
+  assert(journalId > 0, "Failed to create journal entry fixture");
+  await query(
+    `INSERT INTO journal_lines (
+        journal_entry_id, line_no, account_id, description, currency_code, amount_txn, debit_base, credit_base
+      )
+      VALUES (?, 1, ?, 'Bank debit', ?, 100.000000, 100.000000, 0.000000),
+             (?, 2, ?, 'Offset credit', ?, -100.000000, 0.000000, 100.000000)`,
+    [journalId, bankGlAccountId, currencyCode, journalId, offsetGlAccountId, currencyCode]
+  );
+
+  const deposit90Id = await insertCashDeposit(`RGRP-CT-${stamp}-90`, 90);
+  const deposit60Id = await insertCashDeposit(`RGRP-CT-${stamp}-60`, 60);
+  const deposit45Id = await insertCashDeposit(`RGRP-CT-${stamp}-45`, 45);
+
+  return {
+    tenantId,
+    legalEntityId,
+    bankAccountId,
+    userId,
+    collectionLineAId,
+    collectionLineBId,
+    depositLineId,
+    toleranceLineId,
+    journalId,
+    deposit90Id,
+    deposit60Id,
+    deposit45Id,
+  };
+}
+
+async function getLineStatus(tenantId, lineId) {
+  const result = await query(
+    `SELECT recon_status
+     FROM bank_statement_lines
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, lineId]
+  );
+  return String(result.rows?.[0]?.recon_status || "").toUpperCase();
+}
+
+function assertCombinationSearch() {
+  const combos = findAmountCombinations(
+    [
+      { id: "a", amount: 100 },
+      { id: "b", amount: 250.5 },
+      { id: "c", amount: 49.5 },
+      { id: "d", amount: 200 },
+    ],
+    300
+  );
+  assert(combos.length === 2, "Expected two exact two-item combinations for 300");
+  assert(
+    combos.every((combo) => Math.abs(combo.difference) < 0.000001),
+    "Exact combinations should have zero difference"
+  );
+
+  const withinTolerance = findAmountCombinations(
+    [
+      { id: "a", amount: 10 },
+      { id: "b", amount: 20.3 },
+    ],
+    30,
+    { tolerance: 0.5 }
+  );
+  assert(withinTolerance.length === 1, "Tolerance should admit a near combination");
+  assert(Math.abs(withinTolerance[0].difference - 0.3) < 0.000001, "Difference should be 0.3");
+
+  const capped = findAmountCombinations(
+    Array.from({ length: 40 }, (_, index) => ({ id: index, amount: 1 })),
+    1000,
+    { maxSize: 5 }
+  );
+  assert(capped.length === 0, "Unreachable target should return no combinations");
+
+  const budgeted = findAmountCombinations(
+    Array.from({ length: 40 }, (_, index) => ({ id: index, amount: 1 + index / 1000 })),
+    5.1,
+    { maxSize: 5, nodeBudget: 200 }
+  );
+  assert(Array.isArray(budgeted), "Node budget should stop the search without throwing");
+}
+
+async function main() {
+  assertCombinationSearch();
+
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithGroupFixtures(stamp);
+  const baseArgs = {
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    assertScopeAccess: noScopeGuard,
+  };
+
+  const collectionSuggestions = await getReconciliationSuggestionsForLine({
+    ...baseArgs,
+    lineId: fixture.collectionLineAId,
+  });
+  const manyToOne = (collectionSuggestions.groupSuggestions || []).find(
+    (row) =>
+      row.groupType === "MANY_TO_ONE" &&
+      row.targets?.[0]?.matchedEntityId === fixture.journalId &&
+      row.statementLineIds.includes(fixture.collectionLineBId)
+  );
+  assert(Boolean(manyToOne), "Expected a MANY_TO_ONE suggestion pairing both collection lines with the journal");
+  assert(Math.abs(manyToOne.differenceAmount) < 0.000001, "MANY_TO_ONE suggestion should balance exactly");
+
+  const depositSuggestions = await getReconciliationSuggestionsForLine({
+    ...baseArgs,
+    lineId: fixture.depositLineId,
+  });
+  const oneToMany = (depositSuggestions.groupSuggestions || []).find(
+    (row) => row.groupType === "ONE_TO_MANY"
+  );
+  assert(Boolean(oneToMany), "Expected a ONE_TO_MANY cash deposit suggestion");
+  const suggestedCashIds = oneToMany.targets.map((row) => row.matchedEntityId).sort((a, b) => a - b);
+  assert(
+    JSON.stringify(suggestedCashIds) ===
+      JSON.stringify([fixture.deposit90Id, fixture.deposit60Id].sort((a, b) => a - b)),
+    "ONE_TO_MANY suggestion should pick the 90 + 60 deposits"
+  );
+
+  await expectFailure(
+    () =>
+      matchReconciliationGroup({
+        ...baseArgs,
+        groupInput: {
+          statementLineIds: [fixture.collectionLineAId, fixture.collectionLineBId],
+          targets: [
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit90Id },
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit60Id },
+          ],
+        },
+      }),
+    { status: 400, includes: "Many-to-many" }
+  );
+  await expectFailure(
+    () =>
+      matchReconciliationGroup({
+        ...baseArgs,
+        groupInput: {
+          statementLineIds: [fixture.depositLineId],
+          targets: [
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit90Id },
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit45Id },
+          ],
+        },
+      }),
+    { status: 400, includes: "outside tolerance" }
+  );
+  await expectFailure(
+    () =>
+      matchReconciliationGroup({
+        ...baseArgs,
+        groupInput: {
+          statementLineIds: [fixture.collectionLineAId, fixture.collectionLineBId],
+          targets: [{ matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit90Id }],
+        },
+      }),
+    { status: 400, includes: "MANY_TO_ONE groups support" }
+  );
+
+  const journalGroup = await matchReconciliationGroup({
+    ...baseArgs,
+    groupInput: {
+      statementLineIds: manyToOne.statementLineIds,
+      targets: manyToOne.targets,
+      notes: "two transfers for one collection",
+    },
+  });
+  assert(journalGroup.group?.group_type === "MANY_TO_ONE", "Group type should be MANY_TO_ONE");
+  assert((journalGroup.matches || []).length === 2, "MANY_TO_ONE group should create one match per line");
+  assert(
+    (journalGroup.lines || []).every((row) => String(row.recon_status).toUpperCase() === "MATCHED"),
+    "All grouped lines should be MATCHED"
+  );
+
+  const cashGroup = await matchReconciliationGroup({
+    ...baseArgs,
+    groupInput: {
+      statementLineIds: [fixture.depositLineId],
+      targets: oneToMany.targets,
+    },
+  });
+  assert(cashGroup.group?.group_type === "ONE_TO_MANY", "Group type should be ONE_TO_MANY");
+  assert((await getLineStatus(fixture.tenantId, fixture.depositLineId)) === "MATCHED", "Deposit line should be MATCHED");
+
+  await expectFailure(
+    () =>
+      matchReconciliationGroup({
+        ...baseArgs,
+        groupInput: {
+          statementLineIds: [fixture.toleranceLineId],
+          targets: [
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit90Id },
+            { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit45Id },
+          ],
+          toleranceAmount: 0.5,
+        },
+      }),
+    { status: 400, includes: "no unmatched amount left" }
+  );
+
+  // Unmatching one member line reverses the whole group it belongs to.
+  await unmatchReconciliationLine({
+    ...baseArgs,
+    lineId: fixture.collectionLineBId,
+    unmatchInput: { matchId: null, notes: "reverse via member line" },
+  });
+  assert(
+    (await getLineStatus(fixture.tenantId, fixture.collectionLineAId)) === "UNMATCHED",
+    "Sibling line should return to UNMATCHED when its group is reversed"
+  );
+  const reversedJournalGroup = await getReconciliationMatchGroup({
+    ...baseArgs,
+    groupId: journalGroup.group.id,
+  });
+  assert(reversedJournalGroup.group?.status === "REVERSED", "Journal group should be REVERSED");
+
+  await unmatchReconciliationGroup({
+    ...baseArgs,
+    groupId: cashGroup.group.id,
+    unmatchInput: { notes: "reverse cash group" },
+  });
+  assert(
+    (await getLineStatus(fixture.tenantId, fixture.depositLineId)) === "UNMATCHED",
+    "Deposit line should be UNMATCHED after group unmatch"
+  );
+  await expectFailure(
+    () =>
+      unmatchReconciliationGroup({
+        ...baseArgs,
+        groupId: cashGroup.group.id,
+        unmatchInput: {},
+      }),
+    { status: 400, includes: "already reversed" }
+  );
+
+  const toleranceGroup = await matchReconciliationGroup({
+    ...baseArgs,
+    groupInput: {
+      statementLineIds: [fixture.toleranceLineId],
+      targets: [
+        { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit90Id },
+        { matchedEntityType: "CASH_TXN", matchedEntityId: fixture.deposit45Id },
+      ],
+      toleranceAmount: 0.5,
+    },
+  });
+  assert(
+    Math.abs(toNumber(toleranceGroup.group?.difference_amount) - 0.3) < 0.000001,
+    "Tolerance group should record the 0.30 difference"
+  );
+  assert(
+    (await getLineStatus(fixture.tenantId, fixture.toleranceLineId)) === "MATCHED",
+    "Line within tolerance should be fully MATCHED"
+  );
+
+  console.log(
+    "Bank reconciliation group matching test passed (search, suggestions, many-to-one, one-to-many, tolerance, group unmatch)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,714 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { matchReconciliationLine } from "../src/services/bank.reconciliation.service.js";
+import {
+  acceptReconciliationRuleProposal,
+  descriptionPatternTokens,
+  dismissReconciliationRuleProposal,
+  generateReconciliationRuleProposals,
+  listReconciliationRuleProposals,
+  pickDescriptionNeedle,
+  scoreProposalConfidence,
+} from "../src/services/bank.reconciliationRuleLearning.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function createTenantWithLearningFixtures(stamp) {
+  const tenantCode = `RLRN_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `RLRN Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `RLRN_G_${stamp}`, `RLRN Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RLRN_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `RLRN_LE_${stamp}`,
+      `RLRN Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RLRN_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `RLRN_CAL_${stamp}`, `RLRN Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RLRN_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+  const periodRows = await query(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+       AND fiscal_year = 2026
+       AND period_no = 2
+       AND is_adjustment = FALSE
+     LIMIT 1`,
+    [calendarId]
+  );
+  const fiscalPeriodId = toNumber(periodRows.rows?.[0]?.id);
+  assert(fiscalPeriodId > 0, "Failed to create fiscal period fixture");
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `RLRN_BOOK_${stamp}`,
+      `RLRN Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+  const bookRows = await query(
+    `SELECT id
+     FROM books
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `RLRN_BOOK_${stamp}`]
+  );
+  const bookId = toNumber(bookRows.rows?.[0]?.id);
+  assert(bookId > 0, "Failed to create book fixture");
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `RLRN_COA_${stamp}`, `RLRN Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `RLRN_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `RLRNBANK${stamp}`, `RLRN Bank GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'EXPENSE', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `RLRNOFF${stamp}`, `RLRN Offset GL ${stamp}`]
+  );
+  const bankGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `RLRN Bank GL ${stamp}`]
+  );
+  const offsetGlRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `RLRN Offset GL ${stamp}`]
+  );
+  const bankGlAccountId = toNumber(bankGlRows.rows?.[0]?.id);
+  const offsetGlAccountId = toNumber(offsetGlRows.rows?.[0]?.id);
+  assert(bankGlAccountId > 0, "Failed to create bank GL account fixture");
+  assert(offsetGlAccountId > 0, "Failed to create offset GL account fixture");
+
+  const passwordHash = await bcrypt.hash("RLRN#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `rlrn_user_${stamp}@example.com`, passwordHash, "RLRN User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `rlrn_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  await query(
+    `INSERT INTO bank_accounts (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        currency_code,
+        gl_account_id,
+        bank_name,
+        branch_name,
+        iban,
+        account_no,
+        is_active,
+        created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `RLRN_BA_${stamp}`,
+      `RLRN Bank Account ${stamp}`,
+      currencyCode,
+      bankGlAccountId,
+      "Smoke Bank",
+      "Main",
+      `TR${String(stamp).slice(-20)}`,
+      String(stamp),
+      userId,
+    ]
+  );
+  const bankAccountRows = await query(
+    `SELECT id
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, `RLRN_BA_${stamp}`]
+  );
+  const bankAccountId = toNumber(bankAccountRows.rows?.[0]?.id);
+  assert(bankAccountId > 0, "Failed to create bank account fixture");
+
+  await query(
+    `INSERT INTO bank_statement_imports (
+        tenant_id,
+        legal_entity_id,
+        bank_account_id,
+        import_source,
+        original_filename,
+        file_checksum,
+        status,
+        line_count_total,
+        line_count_inserted,
+        line_count_duplicates,
+        raw_meta_json,
+        imported_by_user_id
+      )
+      VALUES (?, ?, ?, 'CSV', ?, ?, 'IMPORTED', 1, 1, 0, ?, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      bankAccountId,
+      `rlrn-${stamp}.csv`,
+      `rlrn-checksum-${stamp}`,
+      JSON.stringify({ source: "smoke-test" }),
+      userId,
+    ]
+  );
+  const importRows = await query(
+    `SELECT id
+     FROM bank_statement_imports
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND bank_account_id = ?
+       AND file_checksum = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, bankAccountId, `rlrn-checksum-${stamp}`]
+  );
+  const importId = toNumber(importRows.rows?.[0]?.id);
+  assert(importId > 0, "Failed to create statement import fixture");
+
+
+  const templateInsert = await query(
+    `INSERT INTO bank_reconciliation_posting_templates (
+        tenant_id,
+        legal_entity_id,
+        template_code,
+        template_name,
+        status,
+        scope_type,
+        bank_account_id,
+        entry_kind,
+        direction_policy,
+        counter_account_id,
+        created_by_user_id,
+        updated_by_user_id
+      )
+      VALUES (?, ?, ?, ?, 'ACTIVE', 'BANK_ACCOUNT', ?, 'BANK_MISC', 'OUTFLOW_ONLY', ?, ?, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `RLRN_TPL_${stamp}`,
+      `RLRN Rent Template ${stamp}`,
+      bankAccountId,
+      offsetGlAccountId,
+      userId,
+      userId,
+    ]
+  );
+  const postingTemplateId = toNumber(templateInsert.rows?.insertId);
+  assert(postingTemplateId > 0, "Failed to create posting template fixture");
+
+  async function insertLine(lineNo, txnDate, amount, description, counterpartyName = null) {
+    const insert = await query(
+      `INSERT INTO bank_statement_lines (
+          tenant_id,
+          legal_entity_id,
+          import_id,
+          bank_account_id,
+          line_no,
+          txn_date,
+          value_date,
+          description,
+          reference_no,
+          remittance_info_json,
+          amount,
+          currency_code,
+          balance_after,
+          line_hash,
+          recon_status,
+          raw_row_json
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, NULL, ?, 'UNMATCHED', ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        importId,
+        bankAccountId,
+        lineNo,
+        txnDate,
+        txnDate,
+        description,
+        counterpartyName ? JSON.stringify({ counterpartyName }) : null,
+        amount,
+        currencyCode,
+        `RLRN-LINE-${stamp}-${lineNo}`.padEnd(64, "0").slice(0, 64),
+        JSON.stringify({ rowNo: lineNo }),
+      ]
+    );
+    const lineId = toNumber(insert.rows?.insertId);
+    assert(lineId > 0, `Failed to create statement line ${lineNo}`);
+    return lineId;
+  }
+
+  async function insertRentJournal(suffix, amount) {
+    const insert = await query(
+      `INSERT INTO journal_entries (
+          tenant_id,
+          legal_entity_id,
+          book_id,
+          fiscal_period_id,
+          journal_no,
+          source_type,
+          status,
+          entry_date,
+          document_date,
+          currency_code,
+          description,
+          reference_no,
+          total_debit_base,
+          total_credit_base,
+          created_by_user_id,
+          posted_by_user_id,
+          posted_at
+        )
+        VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', '2026-02-10', '2026-02-10', ?, ?, NULL, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        tenantId,
+        legalEntityId,
+        bookId,
+        fiscalPeriodId,
+        `RLRN-JE-${stamp}-${suffix}`,
+        currencyCode,
+        `Office rent ${suffix}`,
+        amount,
+        amount,
+        userId,
+        userId,
+      ]
+    );
+    const journalId = toNumber(insert.rows?.insertId);
+    assert(journalId > 0, `Failed to create journal ${suffix}`);
+    await query(
+      `INSERT INTO journal_lines (
+          journal_entry_id, line_no, account_id, description, currency_code, amount_txn, debit_base, credit_base
+        )
+        VALUES (?, 1, ?, 'Rent expense', ?, ?, ?, 0.000000),
+               (?, 2, ?, 'Bank credit', ?, ?, 0.000000, ?)`,
+      [
+        journalId,
+        offsetGlAccountId,
+        currencyCode,
+        amount,
+        amount,
+        journalId,
+        bankGlAccountId,
+        currencyCode,
+        -amount,
+        amount,
+      ]
+    );
+    return journalId;
+  }
+
+  const rentLines = [];
+  const rentAmounts = [1000, 1000, 1050, 1000];
+  for (let index = 0; index < rentAmounts.length; index += 1) {
+    const lineId = await insertLine(
+      index + 1,
+      daysAgo(120 - index * 30),
+      -rentAmounts[index],
+      `OFIS KIRA ODEMESI 2026/0${index + 1} REF${stamp}${index}`,
+      "ACME GAYRIMENKUL AS"
+    );
+    const journalId = await insertRentJournal(`R${index + 1}`, rentAmounts[index]);
+    rentLines.push({ lineId, journalId, amount: rentAmounts[index] });
+  }
+  const unmatchedRentLineId = await insertLine(
+    10,
+    daysAgo(5),
+    -1000,
+    `OFIS KIRA ODEMESI 2026/09 REF${stamp}`,
+    "ACME GAYRIMENKUL AS"
+  );
+  const posLineId = await insertLine(11, daysAgo(6), 250, `POS SATIS ${stamp}`);
+
+  return {
+    tenantId,
+    legalEntityId,
+    bankAccountId,
+    userId,
+    postingTemplateId,
+    rentLines,
+    unmatchedRentLineId,
+    posLineId,
+  };
+}
+
+function assertPureHelpers() {
+  const tokens = descriptionPatternTokens("Ofis kira odemesi 2026/01 REF123 - TR12");
+  assert(
+    JSON.stringify(tokens.slice(0, 3)) === JSON.stringify(["OFIS", "KIRA", "ODEMESI"]),
+    "Digit-bearing and short tokens should be dropped from the pattern"
+  );
+  assert(
+    pickDescriptionNeedle(["OFIS", "KIRA", "ODEMESI"], [
+      "OFIS KIRA ODEMESI 01",
+      "OFIS KIRA ODEMESI 02",
+    ]) === "OFIS KIRA ODEMESI",
+    "Contiguous signature should be used as needle"
+  );
+  assert(
+    pickDescriptionNeedle(["ELEKTRIK", "FATURA"], [
+      "ELEKTRIK 01 FATURA",
+      "ELEKTRIK/FATURA",
+    ]) === "ELEKTRIK",
+    "Longest shared token should be used when the phrase is not contiguous"
+  );
+  const full = scoreProposalConfidence({
+    supportCount: 10,
+    clusterSize: 10,
+    coveredSupportCount: 10,
+    conflictingCount: 0,
+  });
+  const weaker = scoreProposalConfidence({
+    supportCount: 3,
+    clusterSize: 4,
+    coveredSupportCount: 3,
+    conflictingCount: 1,
+  });
+  assert(full === 100, "Consistent, well supported history should score 100");
+  assert(weaker > 0 && weaker < full, "Mixed history should score lower");
+}
+
+async function main() {
+  assertPureHelpers();
+
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithLearningFixtures(stamp);
+  const baseArgs = {
+    req: null,
+    tenantId: fixture.tenantId,
+    assertScopeAccess: noScopeGuard,
+  };
+
+  for (const rent of fixture.rentLines) {
+    await matchReconciliationLine({
+      ...baseArgs,
+      userId: fixture.userId,
+      lineId: rent.lineId,
+      matchInput: {
+        matchType: "MANUAL",
+        matchedEntityType: "JOURNAL",
+        matchedEntityId: rent.journalId,
+        matchedAmount: rent.amount,
+      },
+    });
+  }
+
+  const generated = await generateReconciliationRuleProposals({
+    ...baseArgs,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: null,
+      bankAccountId: fixture.bankAccountId,
+      lookbackDays: 365,
+      minSupport: 3,
+    },
+    buildScopeFilter: allowAllScopeFilter,
+  });
+  assert(generated.summary.manualMatchCount === 4, "Expected four manual matches in history");
+  assert(generated.summary.created === 1, "Expected exactly one new proposal");
+  const proposal = generated.rows[0];
+  assert(proposal.description_pattern === "OFIS KIRA ODEMESI", "Unexpected description pattern");
+  assert(proposal.direction === "OUT", "Rent proposal should be an outflow rule");
+  assert(proposal.action_type === "AUTO_POST_TEMPLATE", "Rent proposal should target the posting template");
+  assert(
+    toNumber(proposal.posting_template_id) === fixture.postingTemplateId,
+    "Proposal should reference the rent posting template"
+  );
+  assert(proposal.counterparty_name === "ACME GAYRIMENKUL AS", "Counterparty should be learned");
+  assert(
+    toNumber(proposal.amount_min) === 900 && toNumber(proposal.amount_max) === 1155,
+    "Amount range should pad the observed 1000-1050 range by 10%"
+  );
+  assert(toNumber(proposal.support_count) === 4, "Support count should be four");
+  assert(
+    toNumber(proposal.historical_match_count) === 5,
+    "Conditions should have matched the four manual lines plus the unmatched rent line"
+  );
+  assert(toNumber(proposal.confidence) > 50, "Consistent rent history should be confident");
+
+  const regenerated = await generateReconciliationRuleProposals({
+    ...baseArgs,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: null,
+      bankAccountId: fixture.bankAccountId,
+      lookbackDays: 365,
+      minSupport: 3,
+    },
+    buildScopeFilter: allowAllScopeFilter,
+  });
+  assert(
+    regenerated.summary.created === 0 && regenerated.summary.updated === 1,
+    "Regeneration should refresh the open proposal instead of duplicating it"
+  );
+
+  const highSupport = await generateReconciliationRuleProposals({
+    ...baseArgs,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: null,
+      bankAccountId: fixture.bankAccountId,
+      lookbackDays: 365,
+      minSupport: 5,
+    },
+    buildScopeFilter: allowAllScopeFilter,
+  });
+  assert(highSupport.rows.length === 0, "minSupport above history size should yield no proposals");
+
+  const accepted = await acceptReconciliationRuleProposal({
+    req: null,
+    input: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      proposalId: proposal.id,
+      ruleCode: null,
+      ruleName: null,
+      priority: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(accepted.row.status === "ACCEPTED", "Proposal should be ACCEPTED");
+  assert(accepted.rule?.status === "ACTIVE" || accepted.approval_required, "Rule should be ACTIVE");
+  assert(accepted.rule?.rule_code === `LEARNED-${proposal.id}`, "Default learned rule code expected");
+  assert(
+    toNumber(accepted.row.accepted_rule_id) === toNumber(accepted.rule?.id),
+    "Proposal should link the created rule"
+  );
+  const conditions =
+    typeof accepted.rule.conditions_json === "string"
+      ? JSON.parse(accepted.rule.conditions_json)
+      : accepted.rule.conditions_json;
+  assert(
+    conditions.descriptionIncludesAny?.[0] === "OFIS KIRA ODEMESI" &&
+      conditions.counterpartyIncludesAny?.[0] === "ACME GAYRIMENKUL AS",
+    "Rule conditions should carry the learned pattern and counterparty"
+  );
+
+  await expectFailure(
+    () =>
+      dismissReconciliationRuleProposal({
+        req: null,
+        input: { tenantId: fixture.tenantId, userId: fixture.userId, proposalId: proposal.id },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "already ACCEPTED" }
+  );
+
+  const afterAccept = await generateReconciliationRuleProposals({
+    ...baseArgs,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: null,
+      bankAccountId: fixture.bankAccountId,
+      lookbackDays: 365,
+      minSupport: 3,
+    },
+    buildScopeFilter: allowAllScopeFilter,
+  });
+  assert(
+    afterAccept.rows.length === 0 &&
+      afterAccept.summary.skippedCoveredByRule + afterAccept.summary.skippedDecided === 1,
+    "Accepted pattern should not be proposed again"
+  );
+
+  const listed = await listReconciliationRuleProposals({
+    ...baseArgs,
+    filters: { bankAccountId: fixture.bankAccountId, status: "ACCEPTED", limit: 10, offset: 0 },
+    buildScopeFilter: allowAllScopeFilter,
+  });
+  assert(listed.total === 1, "Accepted proposal should be listed under ACCEPTED");
+
+  console.log(
+    "Bank reconciliation rule learning test passed (clustering, template targeting, regeneration, accept, dedupe)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
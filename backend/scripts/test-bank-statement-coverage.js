@@ -0,0 +1,391 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { getBankStatementCoverage } from "../src/services/bank.statementCoverage.service.js";
+import { importBankStatementFile } from "../src/services/bank.statements.service.js";
+import { refreshExceptionWorkbench } from "../src/services/exceptions.workbench.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function toDateText(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value || "").slice(0, 10);
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createTenantWithBankFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`BSC_T_${stamp}`, `BSC Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`BSC_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `BSC_G_${stamp}`, `BSC Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSC_G_${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `BSC_LE_${stamp}`, `BSC Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSC_LE_${stamp}`],
+    "legal entity"
+  );
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `BSC_COA_${stamp}`, `BSC Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSC_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const bankGlAccountId = await insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Bankalar', 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `102${stamp}`],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, `102${stamp}`],
+    "bank GL account"
+  );
+
+  const passwordHash = await bcrypt.hash("BSC#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `bsc_user_${stamp}@example.com`, passwordHash, "BSC User"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `bsc_user_${stamp}@example.com`],
+    "user"
+  );
+
+  const iban = "TR330006100519786457841326";
+  const bankAccountId = await insertAndFetchId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, branch_name, iban, account_no, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'Smoke Bank', 'Main', ?, '6457841326', TRUE, ?)`,
+    [tenantId, legalEntityId, `BSC_BA_${stamp}`, `BSC Bank ${stamp}`, currencyCode, bankGlAccountId, iban, userId],
+    `SELECT id FROM bank_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSC_BA_${stamp}`],
+    "bank account"
+  );
+
+  return { tenantId, legalEntityId, userId, currencyCode, iban, bankAccountId, stamp };
+}
+
+function buildCsv(rows, currencyCode) {
+  return [
+    "txn_date,value_date,description,reference_no,amount,currency_code,balance_after",
+    ...rows.map(
+      (row) =>
+        `${row.date},${row.date},${row.description},${row.ref},${row.amount},${currencyCode},${
+          row.balance ?? ""
+        }`
+    ),
+  ].join("\n");
+}
+
+function importCsv(fixture, label, rows, overrides = {}) {
+  return importBankStatementFile({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      bankAccountId: fixture.bankAccountId,
+      statementFormat: "CSV",
+      importSource: "CSV",
+      originalFilename: `bsc-${label}-${fixture.stamp}.csv`,
+      allowBalanceMismatch: false,
+      fileText: buildCsv(rows, fixture.currencyCode),
+      ...overrides,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function listIssues(fixture) {
+  const result = await query(
+    `SELECT id, issue_type, status, import_id, related_import_id, range_start, range_end,
+            day_count, expected_balance, actual_balance, difference_amount, resolved_at
+     FROM bank_statement_coverage_issues
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+     ORDER BY id`,
+    [fixture.tenantId, fixture.bankAccountId]
+  );
+  return result.rows || [];
+}
+
+function findIssue(issues, issueType) {
+  return issues.find((row) => row.issue_type === issueType) || null;
+}
+
+function dayStatus(coverage, date) {
+  return coverage.days.find((day) => day.date === date)?.status || null;
+}
+
+async function loadCoverage(fixture) {
+  return getBankStatementCoverage({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      bankAccountId: fixture.bankAccountId,
+      dateFrom: "2026-02-01",
+      dateTo: "2026-02-09",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithBankFixtures(stamp);
+
+  const first = await importCsv(fixture, "a", [
+    { date: "2026-02-01", description: "Havale gelisi", ref: "A-1", amount: "15000.00", balance: "15000.00" },
+    { date: "2026-02-02", description: "POS tahsilat", ref: "A-2", amount: "2500.50", balance: "17500.50" },
+  ]);
+  assert(toNumber(first.opening_balance) === 0, "CSV opening balance should be derived from the first row");
+  assert(toNumber(first.closing_balance) === 17500.5, "CSV closing balance should be the last running balance");
+  assert(first.balance_continuity_status === "NO_PREVIOUS", "First CSV import has nothing to continue");
+
+  const newestFirst = await importCsv(fixture, "b", [
+    { date: "2026-02-04", description: "Kira odemesi", ref: "B-2", amount: "-500.00", balance: "17200.50" },
+    { date: "2026-02-03", description: "Faiz", ref: "B-1", amount: "200.00", balance: "17700.50" },
+  ]);
+  assert(
+    newestFirst.balance_continuity_status === "MATCHED" &&
+      toNumber(newestFirst.previous_import_id) === toNumber(first.id),
+    "Newest-first CSV should derive its opening balance from the oldest row"
+  );
+  assert(toNumber(newestFirst.closing_balance) === 17200.5, "Newest-first CSV closing balance mismatch");
+
+  const laterRows = [
+    { date: "2026-02-08", description: "Tahsilat", ref: "C-1", amount: "100.00", balance: "20100.00" },
+  ];
+  const later = await importCsv(fixture, "c", laterRows);
+  assert(
+    later.balance_continuity_status === "MISMATCH" &&
+      toNumber(later.previous_import_id) === toNumber(newestFirst.id),
+    "CSV continuity break should be imported and recorded as MISMATCH"
+  );
+
+  const overlapping = await importCsv(fixture, "d", [
+    { date: "2026-02-04", description: "Gec kayit", ref: "D-1", amount: "-10.00", balance: "" },
+  ]);
+  assert(
+    overlapping.balance_continuity_status === "NOT_CHECKED",
+    "CSV rows without running balances should skip continuity"
+  );
+
+  let issues = await listIssues(fixture);
+  assert(issues.length === 3, `Expected 3 coverage issues, got ${issues.length}`);
+  const gap = findIssue(issues, "DATE_GAP");
+  assert(
+    gap?.status === "OPEN" &&
+      toDateText(gap.range_start) === "2026-02-05" &&
+      toDateText(gap.range_end) === "2026-02-07" &&
+      toNumber(gap.day_count) === 3 &&
+      toNumber(gap.import_id) === toNumber(later.id),
+    "Missing 2026-02-05..07 should be an open DATE_GAP on the later import"
+  );
+  const mismatch = findIssue(issues, "BALANCE_MISMATCH");
+  assert(
+    mismatch?.status === "OPEN" &&
+      toNumber(mismatch.expected_balance) === 17200.5 &&
+      toNumber(mismatch.actual_balance) === 20000 &&
+      toNumber(mismatch.related_import_id) === toNumber(newestFirst.id),
+    "Opening balance break should be an open BALANCE_MISMATCH"
+  );
+  const overlap = findIssue(issues, "OVERLAP");
+  assert(
+    overlap?.status === "OPEN" &&
+      toNumber(overlap.import_id) === toNumber(overlapping.id) &&
+      toNumber(overlap.related_import_id) === toNumber(newestFirst.id) &&
+      toDateText(overlap.range_start) === "2026-02-04",
+    "Second import for 2026-02-04 should be an open OVERLAP"
+  );
+
+  let coverage = await loadCoverage(fixture);
+  assert(coverage.days.length === 9, "Coverage calendar should list every day in the window");
+  assert(dayStatus(coverage, "2026-02-01") === "COVERED", "2026-02-01 should be covered");
+  assert(dayStatus(coverage, "2026-02-04") === "OVERLAP", "2026-02-04 should be an overlap");
+  assert(dayStatus(coverage, "2026-02-06") === "GAP", "2026-02-06 should be a gap");
+  assert(dayStatus(coverage, "2026-02-09") === "NONE", "Days after the last import are not covered");
+  assert(toNumber(coverage.summary.open_issue_count) === 3, "Coverage summary should count open issues");
+
+  const refresh1 = await refreshExceptionWorkbench({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, days: 30 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    toNumber(refresh1.by_source.bank_statement_coverage_issues) === 3,
+    "Workbench should collect the coverage issues"
+  );
+  const workbenchRows = await query(
+    `SELECT exception_type, severity, status
+     FROM exception_workbench
+     WHERE tenant_id = ?
+       AND source_type = 'BANK_STATEMENT_COVERAGE_ISSUE'
+     ORDER BY exception_type`,
+    [fixture.tenantId]
+  );
+  const workbenchByType = Object.fromEntries(
+    (workbenchRows.rows || []).map((row) => [row.exception_type, row])
+  );
+  assert(
+    workbenchByType.BANK_STATEMENT_BALANCE_MISMATCH?.severity === "HIGH" &&
+      workbenchByType.BANK_STATEMENT_DATE_GAP?.severity === "MEDIUM" &&
+      workbenchByType.BANK_STATEMENT_OVERLAP?.severity === "LOW",
+    "Coverage exceptions should be typed and ranked by severity"
+  );
+
+  const filler = await importCsv(fixture, "e", [
+    { date: "2026-02-06", description: "Toplu tahsilat", ref: "E-1", amount: "2799.50", balance: "20000.00" },
+  ]);
+  assert(filler.balance_continuity_status === "MATCHED", "Missing statement should continue the chain");
+
+  issues = await listIssues(fixture);
+  assert(
+    findIssue(issues, "DATE_GAP")?.status === "RESOLVED" &&
+      findIssue(issues, "BALANCE_MISMATCH")?.status === "RESOLVED",
+    "Importing the missing statement should resolve the gap and the balance break"
+  );
+  assert(findIssue(issues, "OVERLAP")?.status === "OPEN", "Overlap should stay open");
+  assert(issues.length === 3, "Quiet days between chained balances should not open new gaps");
+
+  coverage = await loadCoverage(fixture);
+  assert(dayStatus(coverage, "2026-02-05") === "QUIET", "2026-02-05 should be bridged by balances");
+  assert(dayStatus(coverage, "2026-02-06") === "COVERED", "2026-02-06 should now be covered");
+
+  await refreshExceptionWorkbench({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, days: 30 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  const refreshedRows = await query(
+    `SELECT exception_type, status
+     FROM exception_workbench
+     WHERE tenant_id = ?
+       AND source_type = 'BANK_STATEMENT_COVERAGE_ISSUE'`,
+    [fixture.tenantId]
+  );
+  const refreshedByType = Object.fromEntries(
+    (refreshedRows.rows || []).map((row) => [row.exception_type, row.status])
+  );
+  assert(
+    refreshedByType.BANK_STATEMENT_DATE_GAP === "RESOLVED" &&
+      refreshedByType.BANK_STATEMENT_BALANCE_MISMATCH === "RESOLVED" &&
+      refreshedByType.BANK_STATEMENT_OVERLAP === "OPEN",
+    "Workbench should follow resolved coverage issues"
+  );
+
+  const broken = await importCsv(fixture, "broken", [
+    { date: "2026-02-09", description: "Gelen", ref: "X-1", amount: "200.00", balance: "20300.00" },
+    { date: "2026-02-10", description: "Giden", ref: "X-2", amount: "-500.00", balance: "19000.00" },
+  ]);
+  assert(
+    broken.balance_continuity_status === "NOT_CHECKED" && broken.opening_balance === null,
+    "CSV with a broken running balance should import without statement balances"
+  );
+  issues = await listIssues(fixture);
+  const runningBreak = issues.find(
+    (row) => row.issue_type === "BALANCE_MISMATCH" && toNumber(row.import_id) === toNumber(broken.id)
+  );
+  assert(
+    runningBreak?.status === "OPEN" &&
+      runningBreak.related_import_id === null &&
+      toDateText(runningBreak.range_start) === "2026-02-10" &&
+      toNumber(runningBreak.expected_balance) === 19800 &&
+      toNumber(runningBreak.actual_balance) === 19000,
+    "Running balance break should be an open BALANCE_MISMATCH on the imported file"
+  );
+
+  await refreshExceptionWorkbench({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, days: 30 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  const runningBreakRows = await query(
+    `SELECT status, severity
+     FROM exception_workbench
+     WHERE tenant_id = ?
+       AND source_type = 'BANK_STATEMENT_COVERAGE_ISSUE'
+       AND source_ref_id = ?`,
+    [fixture.tenantId, runningBreak.id]
+  );
+  assert(
+    runningBreakRows.rows?.[0]?.status === "OPEN" && runningBreakRows.rows[0].severity === "HIGH",
+    "Running balance break should open a workbench exception"
+  );
+
+  console.log(
+    "Bank statement coverage test passed (CSV balances, running balance breaks, continuity, gaps, overlaps, calendar, workbench)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,500 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { parseStatementCamt } from "../src/services/bank.parsers.camt.js";
+import { parseStatementMt940 } from "../src/services/bank.parsers.mt940.js";
+import { importBankStatementFile } from "../src/services/bank.statements.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function parseJson(value) {
+  if (value && typeof value === "object") {
+    return value;
+  }
+  return JSON.parse(String(value || "null"));
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createTenantWithBankFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`BSF_T_${stamp}`, `BSF Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`BSF_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `BSF_G_${stamp}`, `BSF Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSF_G_${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `BSF_LE_${stamp}`, `BSF Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSF_LE_${stamp}`],
+    "legal entity"
+  );
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `BSF_COA_${stamp}`, `BSF Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSF_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const bankGlAccountId = await insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Bankalar', 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `102${stamp}`],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, `102${stamp}`],
+    "bank GL account"
+  );
+
+  const passwordHash = await bcrypt.hash("BSF#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `bsf_user_${stamp}@example.com`, passwordHash, "BSF User"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `bsf_user_${stamp}@example.com`],
+    "user"
+  );
+
+  const iban = "TR330006100519786457841326";
+  const bankAccountId = await insertAndFetchId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, branch_name, iban, account_no, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'Smoke Bank', 'Main', ?, '6457841326', TRUE, ?)`,
+    [tenantId, legalEntityId, `BSF_BA_${stamp}`, `BSF Bank ${stamp}`, currencyCode, bankGlAccountId, iban, userId],
+    `SELECT id FROM bank_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `BSF_BA_${stamp}`],
+    "bank account"
+  );
+
+  return { tenantId, legalEntityId, userId, currencyCode, iban, bankAccountId, stamp };
+}
+
+function buildMt940({ statementRef, accountId, currencyCode, opening, closing, lines }) {
+  const formatAmount = (value) => Math.abs(value).toFixed(2).replace(".", ",");
+  const formatBalance = (tag, balance) =>
+    `:${tag}:${balance.amount < 0 ? "D" : "C"}${balance.date}${currencyCode}${formatAmount(
+      balance.amount
+    )}`;
+  return [
+    "{1:F01AKBKTRISAXXX0000000000}{2:O9401200260302AKBKTRISAXXX00000000002603021200N}{4:",
+    `:20:${statementRef}`,
+    `:25:${accountId}`,
+    ":28C:00059/001",
+    formatBalance("60F", opening),
+    ...lines.flatMap((line) => [
+      `:61:${line.valueDate}${line.entryDate}${line.amount < 0 ? "D" : "C"}${formatAmount(
+        line.amount
+      )}${line.typeCode}${line.customerRef}//${line.bankRef}`,
+      `:86:${line.information}`,
+    ]),
+    formatBalance("62F", closing),
+    "-}",
+  ].join("\r\n");
+}
+
+function buildCamt053({ iban, currencyCode, opening, closing, entries }) {
+  const balance = (code, value) => `
+      <Bal>
+        <Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="${currencyCode}">${Math.abs(value.amount).toFixed(2)}</Amt>
+        <CdtDbtInd>${value.amount < 0 ? "DBIT" : "CRDT"}</CdtDbtInd>
+        <Dt><Dt>${value.date}</Dt></Dt>
+      </Bal>`;
+  const entry = (value) => `
+      <Ntry>
+        <Amt Ccy="${currencyCode}">${Math.abs(value.amount).toFixed(2)}</Amt>
+        <CdtDbtInd>${value.amount < 0 ? "DBIT" : "CRDT"}</CdtDbtInd>
+        <Sts>${value.status || "BOOK"}</Sts>
+        <BookgDt><Dt>${value.date}</Dt></BookgDt>
+        <ValDt><Dt>${value.valueDate || value.date}</Dt></ValDt>
+        <AcctSvcrRef>${value.bankRef}</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>${value.endToEndId}</EndToEndId></Refs>
+            <RltdPties>
+              <Dbtr><Nm>${value.counterpartyName}</Nm></Dbtr>
+              <Cdtr><Nm>${value.counterpartyName}</Nm></Cdtr>
+            </RltdPties>
+            <RmtInf>
+              <Ustrd>${value.remittance}</Ustrd>
+              <Strd><CdtrRefInf><Ref>${value.creditorRef}</Ref></CdtrRefInf></Strd>
+            </RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>BSF-CAMT-1</MsgId><CreDtTm>2026-03-04T07:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>CAMT-STMT-0303</Id>
+      <ElctrncSeqNb>60</ElctrncSeqNb>
+      <Acct><Id><IBAN>${iban}</IBAN></Id><Ccy>${currencyCode}</Ccy></Acct>
+      ${balance("OPBD", opening)}
+      ${balance("CLBD", closing)}
+      ${entries.map(entry).join("")}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+}
+
+function buildImportPayload(fixture, statementFormat, fileText, overrides = {}) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    bankAccountId: fixture.bankAccountId,
+    statementFormat,
+    importSource: statementFormat,
+    originalFilename: `bsf-${statementFormat.toLowerCase()}-${fixture.stamp}`,
+    allowBalanceMismatch: false,
+    fileText,
+    ...overrides,
+  };
+}
+
+async function listImportLines(fixture, importId) {
+  const result = await query(
+    `SELECT line_no, txn_date, value_date, description, reference_no, bank_reference,
+            end_to_end_id, amount, balance_after, remittance_info_json
+     FROM bank_statement_lines
+     WHERE tenant_id = ?
+       AND import_id = ?
+     ORDER BY line_no`,
+    [fixture.tenantId, importId]
+  );
+  return result.rows || [];
+}
+
+function toDateText(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return String(value || "").slice(0, 10);
+}
+
+async function main() {
+  const parsedMt940 = parseStatementMt940(
+    buildMt940({
+      statementRef: "PARSE-ONLY",
+      accountId: "00061/6457841326",
+      currencyCode: "EUR",
+      opening: { amount: -50, date: "251231" },
+      closing: { amount: 50, date: "260102" },
+      lines: [
+        {
+          valueDate: "260102",
+          entryDate: "1231",
+          amount: 100,
+          typeCode: "NTRF",
+          customerRef: "NONREF",
+          bankRef: "YE-1",
+          information: "166?00SEPA GUTSCHRIFT?20EREF+YE-E2E-1SVWZ+Rechnung 42?32Kunde GmbH",
+        },
+      ],
+    })
+  );
+  const yearEndLine = parsedMt940.statements[0].lines[0];
+  assert(parsedMt940.statements[0].openingBalance.amount === -50, "D opening balance should be negative");
+  assert(yearEndLine.txn_date === "2025-12-31", "Entry date should roll back into the previous year");
+  assert(yearEndLine.value_date === "2026-01-02", "Value date should be kept");
+  assert(yearEndLine.end_to_end_id === "YE-E2E-1", "GVC :86: EREF+ should become the end-to-end id");
+  assert(
+    yearEndLine.remittance_info.unstructured === "Rechnung 42" &&
+      yearEndLine.remittance_info.counterpartyName === "Kunde GmbH",
+    "GVC :86: subfields should map to structured remittance"
+  );
+
+  const parsedCamt052 = parseStatementCamt(
+    buildCamt053({
+      iban: "TR0001",
+      currencyCode: "TRY",
+      opening: { amount: 10, date: "2026-03-01" },
+      closing: { amount: 10, date: "2026-03-01" },
+      entries: [],
+    })
+      .replace(/BkToCstmrStmt/g, "BkToCstmrAcctRpt")
+      .replace(/<(\/?)Stmt>/g, "<$1Rpt>")
+  );
+  assert(parsedCamt052.format === "CAMT052", "camt.052 report root should be detected");
+
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithBankFixtures(stamp);
+
+  const mt940Text = buildMt940({
+    statementRef: `MT-${stamp}`,
+    accountId: fixture.iban,
+    currencyCode: fixture.currencyCode,
+    opening: { amount: 10000, date: "260301" },
+    closing: { amount: 11249.5, date: "260302" },
+    lines: [
+      {
+        valueDate: "260302",
+        entryDate: "0302",
+        amount: 1500,
+        typeCode: "NTRF",
+        customerRef: "INV-1001",
+        bankRef: "BNK-987",
+        information: "/EREF/E2E-1001/REMI/USTD//Fatura INV-1001 odemesi/ORDP//NAME/ACME LTD",
+      },
+      {
+        valueDate: "260302",
+        entryDate: "0302",
+        amount: -250.5,
+        typeCode: "NCHG",
+        customerRef: "NONREF",
+        bankRef: "BNK-988",
+        information: "Hesap isletim ucreti",
+      },
+    ],
+  });
+
+  await expectFailure(
+    () =>
+      importBankStatementFile({
+        req: null,
+        payload: buildImportPayload(
+          fixture,
+          "MT940",
+          mt940Text.replace(":62F:C260302TRY11249,50", ":62F:C260302TRY11249,00")
+        ),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "do not reconcile" }
+  );
+  await expectFailure(
+    () =>
+      importBankStatementFile({
+        req: null,
+        payload: buildImportPayload(
+          fixture,
+          "MT940",
+          mt940Text.replace(`:25:${fixture.iban}`, ":25:TR999999999999999999999999")
+        ),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "does not match bank account" }
+  );
+
+  const mt940Import = await importBankStatementFile({
+    req: null,
+    payload: buildImportPayload(fixture, "MT940", mt940Text),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(mt940Import.import_source === "MT940", "MT940 import should record its source");
+  assert(toNumber(mt940Import.line_count_inserted) === 2, "MT940 import should insert both lines");
+  assert(toNumber(mt940Import.opening_balance) === 10000, "MT940 opening balance should be stored");
+  assert(toNumber(mt940Import.closing_balance) === 11249.5, "MT940 closing balance should be stored");
+  assert(toDateText(mt940Import.closing_balance_date) === "2026-03-02", "Closing date should be stored");
+  assert(
+    mt940Import.balance_continuity_status === "NO_PREVIOUS",
+    "First import for the account has nothing to continue from"
+  );
+
+  const mt940Lines = await listImportLines(fixture, mt940Import.id);
+  assert(mt940Lines[0].end_to_end_id === "E2E-1001", "MT940 EREF should be stored");
+  assert(mt940Lines[0].reference_no === "E2E-1001", "End-to-end id should drive reference_no");
+  assert(mt940Lines[0].bank_reference === "BNK-987", "Bank reference should be stored");
+  assert(toNumber(mt940Lines[0].balance_after) === 11500, "Running balance should start from opening");
+  assert(toNumber(mt940Lines[1].amount) === -250.5, "Debit lines should be negative");
+  assert(toNumber(mt940Lines[1].balance_after) === 11249.5, "Last running balance should equal closing");
+  assert(
+    parseJson(mt940Lines[0].remittance_info_json)?.unstructured === "Fatura INV-1001 odemesi",
+    "Structured remittance should be stored"
+  );
+
+  await expectFailure(
+    () =>
+      importBankStatementFile({
+        req: null,
+        payload: buildImportPayload(fixture, "MT940", mt940Text),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 409, includes: "already imported" }
+  );
+
+  const camtEntries = [
+    {
+      amount: -1000,
+      date: "2026-03-03",
+      bankRef: "CAMT-BNK-1",
+      endToEndId: "PAY-77",
+      counterpartyName: "Tedarikci AS",
+      remittance: "Mart kira",
+      creditorRef: "RF18539007547034",
+    },
+    {
+      amount: -5,
+      date: "2026-03-03",
+      status: "PDNG",
+      bankRef: "CAMT-BNK-2",
+      endToEndId: "NOTPROVIDED",
+      counterpartyName: "Pending",
+      remittance: "Pending fee",
+      creditorRef: "RF00",
+    },
+  ];
+  const gapCamt = buildCamt053({
+    iban: fixture.iban,
+    currencyCode: fixture.currencyCode,
+    opening: { amount: 11000, date: "2026-03-03" },
+    closing: { amount: 10000, date: "2026-03-03" },
+    entries: camtEntries,
+  });
+  await expectFailure(
+    () =>
+      importBankStatementFile({
+        req: null,
+        payload: buildImportPayload(fixture, "CAMT053", gapCamt),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 409, includes: `previous import #${mt940Import.id}` }
+  );
+  await expectFailure(
+    () =>
+      importBankStatementFile({
+        req: null,
+        payload: buildImportPayload(fixture, "CAMT052", gapCamt),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "not CAMT052" }
+  );
+
+  const camtImport = await importBankStatementFile({
+    req: null,
+    payload: buildImportPayload(
+      fixture,
+      "CAMT053",
+      buildCamt053({
+        iban: fixture.iban,
+        currencyCode: fixture.currencyCode,
+        opening: { amount: 11249.5, date: "2026-03-03" },
+        closing: { amount: 10249.5, date: "2026-03-03" },
+        entries: camtEntries,
+      })
+    ),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(camtImport.import_source === "CAMT053", "camt.053 import should record its source");
+  assert(
+    camtImport.balance_continuity_status === "MATCHED" &&
+      toNumber(camtImport.previous_import_id) === toNumber(mt940Import.id),
+    "camt.053 opening balance should continue the MT940 closing balance"
+  );
+  assert(toNumber(camtImport.line_count_inserted) === 1, "Pending camt entries should be skipped");
+  const camtLines = await listImportLines(fixture, camtImport.id);
+  assert(camtLines[0].end_to_end_id === "PAY-77", "camt EndToEndId should be stored");
+  assert(camtLines[0].bank_reference === "CAMT-BNK-1", "camt AcctSvcrRef should be stored");
+  assert(
+    camtLines[0].description === "Tedarikci AS - Mart kira",
+    "Debit entries should describe the creditor and remittance"
+  );
+  assert(
+    parseJson(camtLines[0].remittance_info_json)?.structuredReference === "RF18539007547034",
+    "Creditor reference should be stored as structured remittance"
+  );
+
+  const acceptedGap = await importBankStatementFile({
+    req: null,
+    payload: buildImportPayload(
+      fixture,
+      "CAMT053",
+      buildCamt053({
+        iban: fixture.iban,
+        currencyCode: fixture.currencyCode,
+        opening: { amount: 9000, date: "2026-03-05" },
+        closing: { amount: 9000, date: "2026-03-05" },
+        entries: [],
+      }),
+      { allowBalanceMismatch: true }
+    ),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    acceptedGap.balance_continuity_status === "MISMATCH" &&
+      toNumber(acceptedGap.previous_import_id) === toNumber(camtImport.id),
+    "Accepted gaps should be recorded as MISMATCH against the previous import"
+  );
+  assert(toNumber(acceptedGap.line_count_total) === 0, "Balance-only statements should import");
+
+  console.log(
+    "Bank statement formats test passed (MT940, camt.053/052 parsing, balances, continuity, remittance)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,608 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { createTaxCode } from "../src/services/gl.tax-codes.service.js";
+import {
+  createCariDraftDocument,
+  getCariDocumentByIdForTenant,
+  postCariDocumentById,
+  reverseCariPostedDocumentById,
+  updateCariDraftDocumentById,
+} from "../src/services/cari.document.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return 0;
+  }
+  return Number(parsed.toFixed(6));
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide]
+  );
+  const rows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [coaId, code]
+  );
+  const accountId = toNumber(rows.rows?.[0]?.id);
+  assert(accountId > 0, `Failed to create account fixture ${code}`);
+  return accountId;
+}
+
+async function createTenantWithLineFixtures(stamp) {
+  const tenantCode = `CDL_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `CDL Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `CDL_G_${stamp}`, `CDL Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CDL_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CDL_LE_${stamp}`, `CDL Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CDL_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CDL_CAL_${stamp}`, `CDL Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CDL_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE)`,
+    [calendarId, calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `CDL_BOOK_${stamp}`, `CDL Book ${stamp}`, currencyCode]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CDL_COA_${stamp}`, `CDL Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CDL_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    serviceRevenue: await insertAccount(coaId, `602${stamp}`, "Diger Gelirler", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    inputVat: await insertAccount(coaId, `191${stamp}`, "Indirilecek KDV", "ASSET", "DEBIT"),
+    outputVat: await insertAccount(coaId, `391${stamp}`, "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+  };
+
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        default_currency_code,
+        status
+     )
+     VALUES (?, ?, ?, ?, TRUE, TRUE, ?, 'ACTIVE')`,
+    [tenantId, legalEntityId, `CDLCP${stamp}`, `CDL Counterparty ${stamp}`, currencyCode]
+  );
+  const counterpartyRows = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CDLCP${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyRows.rows?.[0]?.id);
+  assert(counterpartyId > 0, "Failed to create counterparty fixture");
+
+  const passwordHash = await bcrypt.hash("CDL#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cdl_user_${stamp}@example.com`, passwordHash, "CDL User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `cdl_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  await query(
+    `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name, unit_type, status)
+     VALUES (?, ?, ?, ?, 'BRANCH', 'ACTIVE')`,
+    [tenantId, legalEntityId, `CDL_OU_${stamp}`, `CDL Branch ${stamp}`]
+  );
+  const unitRows = await query(
+    `SELECT id
+     FROM operating_units
+     WHERE legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [legalEntityId, `CDL_OU_${stamp}`]
+  );
+  const operatingUnitId = toNumber(unitRows.rows?.[0]?.id);
+  assert(operatingUnitId > 0, "Failed to create operating unit fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    counterpartyId,
+    userId,
+    currencyCode,
+    accounts,
+    operatingUnitId,
+  };
+}
+
+async function loadJournalLines(journalEntryId) {
+  const result = await query(
+    `SELECT line_no, account_id, operating_unit_id, debit_base, credit_base, amount_txn, tax_code
+     FROM journal_lines
+     WHERE journal_entry_id = ?
+     ORDER BY line_no ASC`,
+    [journalEntryId]
+  );
+  return result.rows || [];
+}
+
+function findLine(lines, accountId, taxCode) {
+  return lines.find(
+    (line) =>
+      toNumber(line.account_id) === accountId && (line.tax_code || null) === (taxCode || null)
+  );
+}
+
+function buildDraftPayload(fixture, overrides) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    counterpartyId: fixture.counterpartyId,
+    paymentTermId: null,
+    direction: "AR",
+    documentType: "INVOICE",
+    documentDate: "2026-03-10",
+    dueDate: "2026-04-10",
+    amountTxn: null,
+    amountBase: null,
+    currencyCode: fixture.currencyCode,
+    fxRate: null,
+    taxCode: "KDV20",
+    lines: [],
+    ...overrides,
+  };
+}
+
+async function postDocument(fixture, documentId) {
+  return postCariDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId,
+      useFxOverride: false,
+      fxOverrideReason: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithLineFixtures(stamp);
+  const taxCodePayload = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    taxType: "VAT",
+    deductiblePct: 100,
+    inputAccountId: fixture.accounts.inputVat,
+    outputAccountId: fixture.accounts.outputVat,
+    effectiveFrom: "2026-01-01",
+    effectiveTo: null,
+    status: "ACTIVE",
+  };
+  for (const [code, ratePct, deductiblePct] of [
+    ["KDV20", 20, 100],
+    ["KDV10", 10, 100],
+    ["KDV20K50", 20, 50],
+  ]) {
+    await createTaxCode({
+      req: null,
+      payload: { ...taxCodePayload, code, name: code, ratePct, deductiblePct },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+
+  const arLines = [
+    { description: "Goods A", quantity: "2", unitPrice: "100", discountPct: "10" },
+    { description: "Goods B", quantity: "1", unitPrice: "120", discountPct: "0" },
+    {
+      description: "Installation",
+      quantity: "1",
+      unitPrice: "200",
+      discountPct: "0",
+      taxCode: "KDV10",
+      accountId: fixture.accounts.serviceRevenue,
+      operatingUnitId: fixture.operatingUnitId,
+    },
+  ];
+
+  await expectFailure(
+    () =>
+      createCariDraftDocument({
+        req: null,
+        payload: buildDraftPayload(fixture, { amountTxn: "999.000000", lines: arLines }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "must equal the document lines total" }
+  );
+  await expectFailure(
+    () =>
+      createCariDraftDocument({
+        req: null,
+        payload: buildDraftPayload(fixture, {
+          documentType: "PAYMENT",
+          dueDate: null,
+          taxCode: null,
+          lines: arLines,
+        }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "lines are not allowed" }
+  );
+
+  // Lines 1-2 share revenue/KDV20; line 3 overrides account and unit with KDV10.
+  const arDraft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, { lines: arLines }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(arDraft.lines.length === 3, "Draft should return its lines");
+  assert(arDraft.lines[0].netAmountTxn === 180, "Discounted line net should be 2 x 100 - 10%");
+  assert(arDraft.lines[0].taxAmountTxn === 36, "Line tax should use the default header code");
+  assert(arDraft.lines[2].taxAmountTxn === 20, "Line tax should use the line tax code");
+  assert(arDraft.amountTxn === 580, "Document amount should be the sum of line gross amounts");
+  assert(arDraft.amountBase === 580, "Functional-currency lines should default base to txn");
+  assert(arDraft.taxCode === null, "Mixed line tax codes should leave the header code empty");
+  assert(arDraft.netAmountTxn === 500 && arDraft.taxAmountTxn === 80, "Header should sum lines");
+
+  await expectFailure(
+    () =>
+      updateCariDraftDocumentById({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          documentId: arDraft.id,
+          taxCode: "KDV10",
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "update lines instead" }
+  );
+
+  const keptLines = await updateCariDraftDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: arDraft.id,
+      dueDate: "2026-04-15",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(keptLines.lines.length === 3, "Omitting lines on update should keep them");
+  assert(keptLines.amountTxn === 580, "Kept lines should keep the document amount");
+
+  const arPosted = await postDocument(fixture, arDraft.id);
+  const arJournalLines = await loadJournalLines(arPosted.journal.journalEntryId);
+  assert(arJournalLines.length === 5, "AR line invoice should post one GL line per bucket");
+  assert(
+    toAmount(findLine(arJournalLines, fixture.accounts.arControl, null)?.debit_base) === 580,
+    "AR control should carry the gross total"
+  );
+  assert(
+    toAmount(findLine(arJournalLines, fixture.accounts.revenue, "KDV20")?.credit_base) === 300,
+    "Revenue bucket should aggregate lines sharing account and tax code"
+  );
+  assert(
+    toAmount(findLine(arJournalLines, fixture.accounts.outputVat, "KDV20")?.credit_base) === 60,
+    "Output VAT KDV20 bucket should aggregate line taxes"
+  );
+  const serviceLine = findLine(arJournalLines, fixture.accounts.serviceRevenue, "KDV10");
+  assert(toAmount(serviceLine?.credit_base) === 200, "Account override should get its own line");
+  assert(
+    toNumber(serviceLine?.operating_unit_id) === fixture.operatingUnitId,
+    "Operating unit should be carried to the journal line"
+  );
+  assert(
+    toAmount(findLine(arJournalLines, fixture.accounts.outputVat, "KDV10")?.credit_base) === 20,
+    "Output VAT KDV10 should be a separate bucket"
+  );
+
+  // AP line with a 50% deductible code: half of the VAT lands on the expense account.
+  const apDraft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, {
+      direction: "AP",
+      taxCode: null,
+      lines: [{ description: "Fuel", quantity: "10", unitPrice: "100", taxCode: "KDV20K50" }],
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  const apPosted = await postDocument(fixture, apDraft.id);
+  const apJournalLines = await loadJournalLines(apPosted.journal.journalEntryId);
+  assert(apJournalLines.length === 4, "AP partially deductible line should post 4 GL lines");
+  assert(
+    toAmount(findLine(apJournalLines, fixture.accounts.inputVat, "KDV20K50")?.debit_base) === 100,
+    "Input VAT should be debited the deductible share"
+  );
+  assert(
+    toAmount(findLine(apJournalLines, fixture.accounts.expense, null)?.debit_base) === 100,
+    "Non-deductible VAT should be expensed untagged"
+  );
+  assert(
+    toAmount(findLine(apJournalLines, fixture.accounts.apControl, null)?.credit_base) === 1200,
+    "AP control should be credited gross"
+  );
+
+  // Line VAT is rounded per line: 3 x 2.066 posts 6.21, not the 6dp sum 6.198 (6.20).
+  const roundingLine = { description: "Rounding", quantity: "1", unitPrice: "10.33", taxCode: "KDV20" };
+  const roundingDraft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, { lines: [roundingLine, roundingLine, roundingLine] }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    roundingDraft.lines.every((line) => line.taxAmountTxn === 2.07),
+    "Line VAT should be rounded to kurus"
+  );
+  assert(
+    roundingDraft.taxAmountTxn === 6.21 && roundingDraft.amountTxn === 37.2,
+    "Header tax and gross should sum the rounded line VAT"
+  );
+  const roundingPosted = await postDocument(fixture, roundingDraft.id);
+  const roundingJournalLines = await loadJournalLines(roundingPosted.journal.journalEntryId);
+  assert(
+    toAmount(findLine(roundingJournalLines, fixture.accounts.outputVat, "KDV20")?.credit_base) ===
+      6.21,
+    "Posted VAT should equal the sum of the rounded line VAT"
+  );
+  assert(
+    toAmount(findLine(roundingJournalLines, fixture.accounts.arControl, null)?.debit_base) === 37.2,
+    "AR control should be debited the rounded gross"
+  );
+
+  // Replacing lines recomputes totals; an empty array falls back to header amounts.
+  const replaceDraft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, { lines: arLines }),
+    assertScopeAccess: noScopeGuard,
+  });
+  const replaced = await updateCariDraftDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: replaceDraft.id,
+      lines: [{ description: "Single", quantity: "1", unitPrice: "50", taxCode: "KDV20" }],
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(replaced.lines.length === 1 && replaced.amountTxn === 60, "Lines should be replaced");
+  const headerOnly = await updateCariDraftDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: replaceDraft.id,
+      lines: [],
+      amountTxn: "240.000000",
+      amountBase: "240.000000",
+      taxCode: "KDV20",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(headerOnly.lines.length === 0, "Empty lines should remove stored lines");
+  assert(headerOnly.taxAmountTxn === 40, "Header mode should split the gross amount again");
+
+  // Reversal carries the unit onto the reversal journal and copies the lines.
+  const reversed = await reverseCariPostedDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: arDraft.id,
+      reason: "Line reversal test",
+      reversalDate: "2026-04-05",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const reversalJournalLines = await loadJournalLines(reversed.journal.reversalJournalEntryId);
+  const reversedServiceLine = findLine(
+    reversalJournalLines,
+    fixture.accounts.serviceRevenue,
+    "KDV10"
+  );
+  assert(toAmount(reversedServiceLine?.debit_base) === 200, "Reversal should swap line sides");
+  assert(
+    toNumber(reversedServiceLine?.operating_unit_id) === fixture.operatingUnitId,
+    "Reversal should keep the operating unit"
+  );
+  const reversalDocument = await getCariDocumentByIdForTenant({
+    req: null,
+    tenantId: fixture.tenantId,
+    documentId: reversed.row.id,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(reversalDocument.lines.length === 3, "Reversal document should copy the lines");
+
+  console.log(
+    "Cari document lines test passed (line math, bucketed posting, operating units, update semantics, reversal)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,688 @@
+import crypto from "node:crypto";
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { createTaxCode } from "../src/services/gl.tax-codes.service.js";
+import { getCariDocumentByIdForTenant } from "../src/services/cari.document.service.js";
+import {
+  buildUblTrInvoiceXml,
+  resolvePartyTaxIdentifier,
+} from "../src/services/cari.einvoice.service.js";
+import {
+  createCariEinvoiceInboxRule,
+  createCounterpartyFromInboxItem,
+  dismissCariEinvoiceInboxItem,
+  importCariEinvoiceToInbox,
+  processCariEinvoiceInboxItem,
+} from "../src/services/cari.einvoice.inbox.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+// Passes the import-level scope check and rejects the draft document's, so processing
+// fails with a non-400 error after the inbox row is stored.
+function draftScopeDeniedGuard() {
+  let calls = 0;
+  return () => {
+    calls += 1;
+    if (calls > 1) {
+      const err = new Error("Scope denied for draft document");
+      err.status = 403;
+      throw err;
+    }
+  };
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide]
+  );
+  const rows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [coaId, code]
+  );
+  const accountId = toNumber(rows.rows?.[0]?.id);
+  assert(accountId > 0, `Failed to create account fixture ${code}`);
+  return accountId;
+}
+
+async function createTenantWithInboxFixtures(stamp) {
+  const tenantCode = `CIB_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `CIB Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `CIB_G_${stamp}`, `CIB Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CIB_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        tax_id,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, '1234567890', 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CIB_LE_${stamp}`, `CIB Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CIB_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CIB_CAL_${stamp}`, `CIB Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CIB_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE)`,
+    [calendarId, calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `CIB_BOOK_${stamp}`, `CIB Book ${stamp}`, currencyCode]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CIB_COA_${stamp}`, `CIB Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CIB_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    rentExpense: await insertAccount(coaId, `7701${stamp}`, "Kira Giderleri", "EXPENSE", "DEBIT"),
+    inputVat: await insertAccount(coaId, `191${stamp}`, "Indirilecek KDV", "ASSET", "DEBIT"),
+    outputVat: await insertAccount(coaId, `391${stamp}`, "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+  };
+
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        default_currency_code,
+        tax_id,
+        email,
+        status
+     )
+     VALUES (?, ?, ?, ?, TRUE, TRUE, ?, '987 654 3210', 'billing@example.com', 'ACTIVE')`,
+    [tenantId, legalEntityId, `CIBCP${stamp}`, `CIB Counterparty & Sons ${stamp}`, currencyCode]
+  );
+  const counterpartyRows = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CIBCP${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyRows.rows?.[0]?.id);
+  assert(counterpartyId > 0, "Failed to create counterparty fixture");
+
+  const passwordHash = await bcrypt.hash("CIB#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cib_user_${stamp}@example.com`, passwordHash, "CIB User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `cib_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    counterpartyId,
+    userId,
+    currencyCode,
+    accounts,
+  };
+}
+
+const SUPPLIER_VKN = "5550001112";
+const LEGAL_ENTITY_VKN = "1234567890";
+
+function buildSupplierInvoiceXml({
+  ettn = crypto.randomUUID().toUpperCase(),
+  invoiceNo,
+  supplierTaxId = SUPPLIER_VKN,
+  supplierName = "Kira Emlak A.S.",
+  customerTaxId = LEGAL_ENTITY_VKN,
+  currencyCode,
+  lines,
+}) {
+  return buildUblTrInvoiceXml({
+    profileId: "TICARIFATURA",
+    invoiceNo,
+    ettn,
+    issueDate: "2026-03-12",
+    issueTime: "09:30:00",
+    dueDate: "2026-04-12",
+    currencyCode,
+    supplier: {
+      name: supplierName,
+      identifier: resolvePartyTaxIdentifier(supplierTaxId, "Supplier"),
+      email: "fatura@kira-emlak.example",
+      address: { streetName: "Ataturk Cad. 1", cityName: "Istanbul", countryName: "Turkiye" },
+    },
+    customer: {
+      name: "Buyer",
+      identifier: resolvePartyTaxIdentifier(customerTaxId, "Customer"),
+      address: { countryName: "Turkiye" },
+    },
+    lines,
+  });
+}
+
+function buildImportPayload(fixture, xmlText) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    xmlText,
+    fileName: "invoice.xml",
+  };
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithInboxFixtures(stamp);
+  const taxCodePayload = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    taxType: "VAT",
+    deductiblePct: 100,
+    inputAccountId: fixture.accounts.inputVat,
+    outputAccountId: fixture.accounts.outputVat,
+    effectiveFrom: "2026-01-01",
+    effectiveTo: null,
+    status: "ACTIVE",
+  };
+  for (const [code, ratePct] of [
+    ["KDV20", 20],
+    ["KDV10", 10],
+  ]) {
+    await createTaxCode({
+      req: null,
+      payload: { ...taxCodePayload, code, name: code, ratePct },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+
+  const rentRule = await createCariEinvoiceInboxRule({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      counterpartyId: null,
+      itemKeyword: "kira",
+      taxRatePct: null,
+      accountId: fixture.accounts.rentExpense,
+      taxCode: null,
+      priority: 10,
+      status: "ACTIVE",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(rentRule.accountId === fixture.accounts.rentExpense, "Rule should store the account");
+
+  const firstEttn = crypto.randomUUID().toUpperCase();
+  const firstXml = buildSupplierInvoiceXml({
+    ettn: firstEttn,
+    invoiceNo: "KEA2026000000007",
+    currencyCode: fixture.currencyCode,
+    lines: [
+      {
+        description: "Mart KIRA bedeli",
+        quantity: 1,
+        unitPrice: 1000,
+        taxRatePct: 20,
+        netAmount: 1000,
+        taxAmount: 200,
+      },
+      {
+        description: "Aidat",
+        quantity: 2,
+        unitPrice: 100,
+        discountPct: 10,
+        taxRatePct: 10,
+        netAmount: 180,
+        taxAmount: 18,
+      },
+    ],
+  });
+
+  const imported = await importCariEinvoiceToInbox({
+    req: null,
+    payload: buildImportPayload(fixture, firstXml),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(imported.status === "NEEDS_COUNTERPARTY", "Unknown VKN should wait for a counterparty");
+  assert(imported.ettn === firstEttn, "Inbox row should keep the ETTN");
+  assert(
+    imported.counterpartyProposal?.taxId === SUPPLIER_VKN &&
+      imported.counterpartyProposal?.isVendor === true,
+    "Inbox row should offer an inline vendor card proposal"
+  );
+
+  await expectFailure(
+    () =>
+      importCariEinvoiceToInbox({
+        req: null,
+        payload: buildImportPayload(fixture, firstXml),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: `ETTN ${firstEttn}` }
+  );
+  await expectFailure(
+    () =>
+      importCariEinvoiceToInbox({
+        req: null,
+        payload: buildImportPayload(
+          fixture,
+          buildSupplierInvoiceXml({
+            invoiceNo: "KEA2026000000007",
+            currencyCode: fixture.currencyCode,
+            lines: [
+              { description: "Resend", quantity: 1, unitPrice: 1, taxRatePct: 20, netAmount: 1, taxAmount: 0.2 },
+            ],
+          })
+        ),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "invoice KEA2026000000007" }
+  );
+
+  const created = await createCounterpartyFromInboxItem({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      inboxId: imported.id,
+      code: null,
+      name: null,
+      defaultPaymentTermId: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(created.counterparty.isVendor === true, "Inline-created card should be a vendor");
+  assert(created.row.status === "DRAFT_CREATED", `Expected DRAFT_CREATED, got ${created.row.status}`);
+  assert(created.row.statusMessage === null, "Draft total should tie to the invoice payable");
+
+  const draft = await getCariDocumentByIdForTenant({
+    req: null,
+    tenantId: fixture.tenantId,
+    documentId: created.row.documentId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(draft.direction === "AP" && draft.status === "DRAFT", "Inbox should create an AP draft");
+  assert(draft.amountTxn === 1398, "Draft gross should equal the invoice payable (1180 + 218)");
+  assert(draft.dueDate === "2026-04-12", "Draft should take the invoice due date");
+  assert(draft.lines.length === 2, "Draft should carry both invoice lines");
+  assert(
+    draft.lines[0].accountId === fixture.accounts.rentExpense && draft.lines[0].taxCode === "KDV20",
+    "Keyword rule should map the rent line to the rent expense account"
+  );
+  assert(
+    !draft.lines[1].accountId && draft.lines[1].taxCode === "KDV10",
+    "Unmatched lines should keep the default offset and resolve the tax code by rate"
+  );
+  assert(draft.lines[1].netAmountTxn === 180, "Line discount should be preserved");
+
+  await expectFailure(
+    () =>
+      processCariEinvoiceInboxItem({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          inboxId: imported.id,
+          counterpartyId: null,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "already DRAFT_CREATED" }
+  );
+
+  // The fixture counterparty is stored as "987 654 3210"; VKN matching ignores formatting.
+  const unmapped = await importCariEinvoiceToInbox({
+    req: null,
+    payload: buildImportPayload(
+      fixture,
+      buildSupplierInvoiceXml({
+        invoiceNo: "ABC2026000000001",
+        supplierTaxId: "9876543210",
+        supplierName: "Existing Vendor",
+        currencyCode: fixture.currencyCode,
+        lines: [
+          {
+            description: "Hizmet",
+            quantity: 1,
+            unitPrice: 500,
+            taxRatePct: 18,
+            netAmount: 500,
+            taxAmount: 90,
+          },
+        ],
+      })
+    ),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(unmapped.counterpartyId === fixture.counterpartyId, "Supplier VKN should match the card");
+  assert(unmapped.status === "NEEDS_MAPPING", "Missing 18% tax code should need mapping");
+  assert(String(unmapped.statusMessage || "").includes("KDV 18%"), "Message should name the rate");
+
+  await createTaxCode({
+    req: null,
+    payload: { ...taxCodePayload, code: "KDV18", name: "KDV18", ratePct: 18 },
+    assertScopeAccess: noScopeGuard,
+  });
+  const reprocessed = await processCariEinvoiceInboxItem({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      inboxId: unmapped.id,
+      counterpartyId: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(reprocessed.status === "DRAFT_CREATED", "Reprocess should create the draft");
+
+  await expectFailure(
+    () =>
+      importCariEinvoiceToInbox({
+        req: null,
+        payload: buildImportPayload(
+          fixture,
+          buildSupplierInvoiceXml({
+            invoiceNo: "KEA2026000000099",
+            customerTaxId: "1111111111",
+            currencyCode: fixture.currencyCode,
+            lines: [{ description: "X", quantity: 1, unitPrice: 1, taxRatePct: 20, netAmount: 1, taxAmount: 0.2 }],
+          })
+        ),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "not to legalEntityId" }
+  );
+  await expectFailure(
+    () =>
+      importCariEinvoiceToInbox({
+        req: null,
+        payload: buildImportPayload(fixture, "<Invoice><cbc:ID>1</Invoice>"),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "UBL-TR parse failed" }
+  );
+
+  const failed = await importCariEinvoiceToInbox({
+    req: null,
+    payload: buildImportPayload(
+      fixture,
+      buildSupplierInvoiceXml({
+        invoiceNo: "KEA2026000000077",
+        supplierTaxId: "9876543210",
+        supplierName: "Existing Vendor",
+        currencyCode: fixture.currencyCode,
+        lines: [{ description: "Z", quantity: 1, unitPrice: 50, taxRatePct: 20, netAmount: 50, taxAmount: 10 }],
+      })
+    ),
+    assertScopeAccess: draftScopeDeniedGuard(),
+  });
+  assert(failed.status === "FAILED", "Processing error after import should park the row as FAILED");
+  assert(
+    String(failed.statusMessage || "").includes("Scope denied"),
+    "FAILED row should keep the processing error"
+  );
+  const retried = await processCariEinvoiceInboxItem({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      inboxId: failed.id,
+      counterpartyId: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(retried.status === "DRAFT_CREATED", "FAILED row should reprocess into a draft");
+
+  // A retry of a row that is already linked to a draft must not create a second draft: the draft
+  // insert rolls back together with the rejected DRAFT_CREATED link.
+  const countDocuments = async () =>
+    toNumber(
+      (
+        await query(
+          `SELECT COUNT(*) AS total
+           FROM cari_documents
+           WHERE tenant_id = ?`,
+          [fixture.tenantId]
+        )
+      ).rows?.[0]?.total
+    );
+  const documentsBeforeRetry = await countDocuments();
+  await query(
+    `UPDATE cari_einvoice_inbox
+     SET status = 'FAILED'
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [fixture.tenantId, retried.id]
+  );
+  await expectFailure(
+    () =>
+      processCariEinvoiceInboxItem({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          inboxId: retried.id,
+          counterpartyId: null,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 409, includes: "already has a draft" }
+  );
+  assert(
+    (await countDocuments()) === documentsBeforeRetry,
+    "Rejected retry should roll back its draft document"
+  );
+  const relinked = await query(
+    `SELECT document_id
+     FROM cari_einvoice_inbox
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [fixture.tenantId, retried.id]
+  );
+  assert(
+    toNumber(relinked.rows?.[0]?.document_id) === retried.documentId,
+    "Inbox row should stay linked to its first draft"
+  );
+
+  const toDismiss = await importCariEinvoiceToInbox({
+    req: null,
+    payload: buildImportPayload(
+      fixture,
+      buildSupplierInvoiceXml({
+        invoiceNo: "ZZZ2026000000001",
+        supplierTaxId: "4440001112",
+        currencyCode: fixture.currencyCode,
+        lines: [{ description: "Y", quantity: 1, unitPrice: 10, taxRatePct: 20, netAmount: 10, taxAmount: 2 }],
+      })
+    ),
+    assertScopeAccess: noScopeGuard,
+  });
+  const dismissed = await dismissCariEinvoiceInboxItem({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      inboxId: toDismiss.id,
+      reason: "Sent to wrong company",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(dismissed.status === "DISMISSED", "Dismiss should close the inbox row");
+
+  console.log(
+    "Cari e-invoice inbox test passed (UBL parse, VKN match, inline vendor create, rules, ETTN duplicates, FAILED retry, single draft per item)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,548 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { createTaxCode } from "../src/services/gl.tax-codes.service.js";
+import {
+  createCariDraftDocument,
+  postCariDocumentById,
+} from "../src/services/cari.document.service.js";
+import {
+  generateCariEinvoice,
+  getCariEinvoiceByDocumentId,
+  refreshCariEinvoiceStatus,
+  submitCariEinvoice,
+} from "../src/services/cari.einvoice.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide]
+  );
+  const rows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [coaId, code]
+  );
+  const accountId = toNumber(rows.rows?.[0]?.id);
+  assert(accountId > 0, `Failed to create account fixture ${code}`);
+  return accountId;
+}
+
+async function createTenantWithEinvoiceFixtures(stamp) {
+  const tenantCode = `CEI_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `CEI Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `CEI_G_${stamp}`, `CEI Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CEI_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        tax_id,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, '1234567890', 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CEI_LE_${stamp}`, `CEI Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CEI_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CEI_CAL_${stamp}`, `CEI Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CEI_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE)`,
+    [calendarId, calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `CEI_BOOK_${stamp}`, `CEI Book ${stamp}`, currencyCode]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CEI_COA_${stamp}`, `CEI Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CEI_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    inputVat: await insertAccount(coaId, `191${stamp}`, "Indirilecek KDV", "ASSET", "DEBIT"),
+    outputVat: await insertAccount(coaId, `391${stamp}`, "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+  };
+
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        default_currency_code,
+        tax_id,
+        email,
+        status
+     )
+     VALUES (?, ?, ?, ?, TRUE, TRUE, ?, '987 654 3210', 'billing@example.com', 'ACTIVE')`,
+    [tenantId, legalEntityId, `CEICP${stamp}`, `CEI Counterparty & Sons ${stamp}`, currencyCode]
+  );
+  const counterpartyRows = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `CEICP${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyRows.rows?.[0]?.id);
+  assert(counterpartyId > 0, "Failed to create counterparty fixture");
+
+  const passwordHash = await bcrypt.hash("CEI#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cei_user_${stamp}@example.com`, passwordHash, "CEI User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `cei_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    counterpartyId,
+    userId,
+    currencyCode,
+    accounts,
+  };
+}
+
+function buildDraftPayload(fixture, overrides) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    counterpartyId: fixture.counterpartyId,
+    paymentTermId: null,
+    direction: "AR",
+    documentType: "INVOICE",
+    documentDate: "2026-03-10",
+    dueDate: "2026-04-10",
+    amountTxn: null,
+    amountBase: null,
+    currencyCode: fixture.currencyCode,
+    fxRate: null,
+    taxCode: "KDV20",
+    lines: [],
+    ...overrides,
+  };
+}
+
+async function createPostedDocument(fixture, overrides) {
+  const draft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, overrides),
+    assertScopeAccess: noScopeGuard,
+  });
+  const posted = await postCariDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: draft.id,
+      useFxOverride: false,
+      fxOverrideReason: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  return posted.row;
+}
+
+function buildEinvoicePayload(fixture, documentId, overrides = {}) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    documentId,
+    profileId: "TICARIFATURA",
+    seriesPrefix: "TST",
+    ...overrides,
+  };
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithEinvoiceFixtures(stamp);
+  for (const [code, ratePct] of [
+    ["KDV20", 20],
+    ["KDV10", 10],
+  ]) {
+    await createTaxCode({
+      req: null,
+      payload: {
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        legalEntityId: fixture.legalEntityId,
+        code,
+        name: code,
+        taxType: "VAT",
+        ratePct,
+        deductiblePct: 100,
+        inputAccountId: fixture.accounts.inputVat,
+        outputAccountId: fixture.accounts.outputVat,
+        effectiveFrom: "2026-01-01",
+        effectiveTo: null,
+        status: "ACTIVE",
+      },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+
+  const invoice = await createPostedDocument(fixture, {
+    lines: [
+      { description: "Goods A", quantity: "2", unitPrice: "100", discountPct: "10" },
+      { description: "Installation", quantity: "1", unitPrice: "200", taxCode: "KDV10" },
+    ],
+  });
+
+  const generated = await generateCariEinvoice({
+    req: null,
+    payload: buildEinvoicePayload(fixture, invoice.id),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(generated.created === true, "First generate call should create the artifact");
+  const artifact = generated.row;
+  assert(/^[0-9A-F-]{36}$/.test(artifact.ettn), "ETTN should be an upper-case UUID");
+  assert(/^TST2026\d{9}$/.test(artifact.invoiceNo), "Invoice no should be series + year + 9 digits");
+  assert(artifact.submissionStatus === "GENERATED", "New artifact should be GENERATED");
+
+  const withXml = await getCariEinvoiceByDocumentId({
+    req: null,
+    tenantId: fixture.tenantId,
+    documentId: invoice.id,
+    includeXml: true,
+    assertScopeAccess: noScopeGuard,
+  });
+  const xml = withXml.xml;
+  assert(xml.includes(`<cbc:UUID>${artifact.ettn}</cbc:UUID>`), "XML should carry the ETTN");
+  assert(xml.includes("<cbc:ProfileID>TICARIFATURA</cbc:ProfileID>"), "XML should carry the profile");
+  assert(xml.includes('<cbc:ID schemeID="VKN">1234567890</cbc:ID>'), "Supplier VKN missing");
+  assert(xml.includes('<cbc:ID schemeID="VKN">9876543210</cbc:ID>'), "Customer VKN should be digits only");
+  assert(xml.includes("Counterparty &amp; Sons"), "Party names should be XML-escaped");
+  assert(xml.includes("<cbc:LineCountNumeric>2</cbc:LineCountNumeric>"), "Line count mismatch");
+  assert(
+    xml.includes(`<cbc:TaxAmount currencyID="${fixture.currencyCode}">56.00</cbc:TaxAmount>`),
+    "Document tax total should be 36 + 20"
+  );
+  assert(
+    xml.includes(
+      `<cbc:PayableAmount currencyID="${fixture.currencyCode}">436.00</cbc:PayableAmount>`
+    ),
+    "Payable amount should equal net 380 + tax 56"
+  );
+  assert(
+    xml.includes(`<cbc:Amount currencyID="${fixture.currencyCode}">20.00</cbc:Amount>`),
+    "Line discount should be exported as an allowance"
+  );
+
+  // Non-round amounts: the exported totals must equal the posted document, kurus for kurus.
+  for (const overrides of [
+    {
+      lines: [1, 2, 3].map((lineNo) => ({
+        description: `Rounding ${lineNo}`,
+        quantity: "1",
+        unitPrice: "10.33",
+      })),
+    },
+    { amountTxn: "100.000000", amountBase: "100.000000" },
+  ]) {
+    const oddInvoice = await createPostedDocument(fixture, overrides);
+    await generateCariEinvoice({
+      req: null,
+      payload: buildEinvoicePayload(fixture, oddInvoice.id),
+      assertScopeAccess: noScopeGuard,
+    });
+    const oddXml = (
+      await getCariEinvoiceByDocumentId({
+        req: null,
+        tenantId: fixture.tenantId,
+        documentId: oddInvoice.id,
+        includeXml: true,
+        assertScopeAccess: noScopeGuard,
+      })
+    ).xml;
+    const taxTotal = Number(oddInvoice.taxAmountTxn).toFixed(2);
+    const payable = Number(oddInvoice.amountTxn).toFixed(2);
+    assert(
+      oddXml.includes(`<cbc:TaxAmount currencyID="${fixture.currencyCode}">${taxTotal}</cbc:TaxAmount>`),
+      `Exported tax total should equal posted tax ${taxTotal}`
+    );
+    assert(
+      oddXml.includes(
+        `<cbc:PayableAmount currencyID="${fixture.currencyCode}">${payable}</cbc:PayableAmount>`
+      ),
+      `Exported payable amount should equal posted gross ${payable}`
+    );
+  }
+
+  const again = await generateCariEinvoice({
+    req: null,
+    payload: buildEinvoicePayload(fixture, invoice.id, { profileId: "EARSIVFATURA" }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(again.created === false, "Second generate call should not create a new artifact");
+  assert(again.row.ettn === artifact.ettn, "Artifact should be immutable (same ETTN)");
+  assert(again.row.fileChecksum === artifact.fileChecksum, "Artifact XML should not change");
+
+  const submitted = await submitCariEinvoice({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: invoice.id,
+      providerCode: "MOCK_EINVOICE",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(submitted.submissionStatus === "SUBMITTED", "Submit should move artifact to SUBMITTED");
+  assert(
+    submitted.providerReference === `MOCK-EF-${artifact.ettn}`,
+    "Submit should store the provider reference"
+  );
+  await expectFailure(
+    () =>
+      submitCariEinvoice({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          documentId: invoice.id,
+          providerCode: "MOCK_EINVOICE",
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "cannot be submitted" }
+  );
+
+  const refreshed = await refreshCariEinvoiceStatus({
+    req: null,
+    payload: { tenantId: fixture.tenantId, userId: fixture.userId, documentId: invoice.id },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(refreshed.submissionStatus === "ACCEPTED", "Mock integrator should accept the invoice");
+
+  const apInvoice = await createPostedDocument(fixture, {
+    direction: "AP",
+    lines: [{ description: "Purchase", quantity: "1", unitPrice: "50" }],
+  });
+  await expectFailure(
+    () =>
+      generateCariEinvoice({
+        req: null,
+        payload: buildEinvoicePayload(fixture, apInvoice.id),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "Only AR documents" }
+  );
+
+  const draft = await createCariDraftDocument({
+    req: null,
+    payload: buildDraftPayload(fixture, {
+      lines: [{ description: "Draft only", quantity: "1", unitPrice: "10" }],
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  await expectFailure(
+    () =>
+      generateCariEinvoice({
+        req: null,
+        payload: buildEinvoicePayload(fixture, draft.id),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "Only posted" }
+  );
+
+  await query(
+    `UPDATE counterparties
+     SET tax_id = 'ABC123'
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [fixture.tenantId, fixture.counterpartyId]
+  );
+  const badTaxIdInvoice = await createPostedDocument(fixture, {
+    lines: [{ description: "Goods C", quantity: "1", unitPrice: "10" }],
+  });
+  await expectFailure(
+    () =>
+      generateCariEinvoice({
+        req: null,
+        payload: buildEinvoicePayload(fixture, badTaxIdInvoice.id),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "10-digit VKN or 11-digit TCKN" }
+  );
+
+  console.log(
+    "Cari e-invoice test passed (UBL-TR XML, immutable artifact, mock integrator submit/status, guards)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
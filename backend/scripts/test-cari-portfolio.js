@@ -0,0 +1,704 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  createCariDraftDocument,
+  postCariDocumentById,
+} from "../src/services/cari.document.service.js";
+import {
+  bounceCariPortfolioInstrument,
+  collectCariPortfolioInstrument,
+  endorseCariPortfolioInstrument,
+  listCariPortfolioInstruments,
+  listCariPortfolioStatementLineCandidates,
+  payCariPortfolioInstrument,
+  protestCariPortfolioInstrument,
+  registerCariPortfolioInstrument,
+  sendCariPortfolioInstrumentToCollection,
+} from "../src/services/cari.portfolio.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function noScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  return insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, code],
+    `account ${code}`
+  );
+}
+
+async function insertCounterparty(fixture, code, { isCustomer, isVendor }) {
+  return insertAndFetchId(
+    `INSERT INTO counterparties (
+        tenant_id, legal_entity_id, code, name, is_customer, is_vendor, default_currency_code, status
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      code,
+      `${code} Ltd.`,
+      isCustomer,
+      isVendor,
+      fixture.currencyCode,
+    ],
+    `SELECT id FROM counterparties WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [fixture.tenantId, code],
+    `counterparty ${code}`
+  );
+}
+
+async function createTenantWithPortfolioFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`CPF_T_${stamp}`, `CPF Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`CPF_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `CPF_G_${stamp}`, `CPF Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CPF_G_${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CPF_LE_${stamp}`, `CPF Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CPF_LE_${stamp}`],
+    "legal entity"
+  );
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CPF_CAL_${stamp}`, `CPF Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CPF_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE),
+        (?, 2026, 5, '2026-05', '2026-05-01', '2026-05-31', FALSE)`,
+    [calendarId, calendarId, calendarId]
+  );
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `CPF_BOOK_${stamp}`, `CPF Book ${stamp}`, currencyCode]
+  );
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CPF_COA_${stamp}`, `CPF Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CPF_COA_${stamp}`],
+    "chart of accounts"
+  );
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    bank: await insertAccount(coaId, `102${stamp}`, "Bankalar", "ASSET", "DEBIT"),
+    chequeReceived: await insertAccount(coaId, `1011${stamp}`, "Portfoydeki Cekler", "ASSET", "DEBIT"),
+    chequeInCollection: await insertAccount(coaId, `1012${stamp}`, "Tahsile Verilen Cekler", "ASSET", "DEBIT"),
+    chequeIssued: await insertAccount(coaId, `103${stamp}`, "Verilen Cekler", "LIABILITY", "CREDIT"),
+  };
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+    ["CARI_PORTFOLIO_CHEQUE_RECEIVED", accounts.chequeReceived],
+    ["CARI_PORTFOLIO_CHEQUE_IN_COLLECTION", accounts.chequeInCollection],
+    ["CARI_PORTFOLIO_CHEQUE_ISSUED", accounts.chequeIssued],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  const passwordHash = await bcrypt.hash("CPF#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cpf_user_${stamp}@example.com`, passwordHash, "CPF User"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `cpf_user_${stamp}@example.com`],
+    "user"
+  );
+
+  const bankAccountId = await insertAndFetchId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, branch_name, iban, account_no, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'Smoke Bank', 'Main', ?, ?, TRUE, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      `CPF_BA_${stamp}`,
+      `CPF Bank Account ${stamp}`,
+      currencyCode,
+      accounts.bank,
+      `TR${String(stamp).slice(-20)}`,
+      String(stamp),
+      userId,
+    ],
+    `SELECT id FROM bank_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CPF_BA_${stamp}`],
+    "bank account"
+  );
+  const importId = await insertAndFetchId(
+    `INSERT INTO bank_statement_imports (
+        tenant_id, legal_entity_id, bank_account_id, import_source, original_filename,
+        file_checksum, status, line_count_total, line_count_inserted, line_count_duplicates,
+        raw_meta_json, imported_by_user_id
+      )
+      VALUES (?, ?, ?, 'CSV', ?, ?, 'IMPORTED', 2, 2, 0, ?, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      bankAccountId,
+      `cpf-${stamp}.csv`,
+      `cpf-checksum-${stamp}`,
+      JSON.stringify({ source: "smoke-test" }),
+      userId,
+    ],
+    `SELECT id FROM bank_statement_imports WHERE tenant_id = ? AND file_checksum = ? LIMIT 1`,
+    [tenantId, `cpf-checksum-${stamp}`],
+    "statement import"
+  );
+
+  const fixture = {
+    tenantId,
+    legalEntityId,
+    userId,
+    currencyCode,
+    accounts,
+    bankAccountId,
+    importId,
+    stamp,
+  };
+  fixture.customerId = await insertCounterparty(fixture, `CPFC${stamp}`, {
+    isCustomer: true,
+    isVendor: false,
+  });
+  fixture.vendorId = await insertCounterparty(fixture, `CPFV${stamp}`, {
+    isCustomer: false,
+    isVendor: true,
+  });
+  return fixture;
+}
+
+async function insertStatementLine(fixture, { lineNo, txnDate, amount }) {
+  return insertAndFetchId(
+    `INSERT INTO bank_statement_lines (
+        tenant_id, legal_entity_id, import_id, bank_account_id, line_no, txn_date, value_date,
+        description, reference_no, amount, currency_code, balance_after, line_hash,
+        recon_status, raw_row_json
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, 'UNMATCHED', ?)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.importId,
+      fixture.bankAccountId,
+      lineNo,
+      txnDate,
+      txnDate,
+      "CEK TAHSILAT",
+      `CPF-${lineNo}`,
+      amount,
+      fixture.currencyCode,
+      `CPF-${fixture.stamp}-${lineNo}`.padEnd(64, "0").slice(0, 64),
+      JSON.stringify({ rowNo: lineNo }),
+    ],
+    `SELECT id FROM bank_statement_lines WHERE tenant_id = ? AND import_id = ? AND line_no = ? LIMIT 1`,
+    [fixture.tenantId, fixture.importId, lineNo],
+    "statement line"
+  );
+}
+
+async function createPostedDocument(fixture, { counterpartyId, direction, amountTxn }) {
+  const draft = await createCariDraftDocument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      counterpartyId,
+      paymentTermId: null,
+      direction,
+      documentType: "INVOICE",
+      documentDate: "2026-03-05",
+      dueDate: "2026-04-05",
+      amountTxn,
+      amountBase: amountTxn,
+      currencyCode: fixture.currencyCode,
+      fxRate: null,
+      taxCode: null,
+      lines: [],
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  await postCariDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: draft.id,
+      useFxOverride: false,
+      fxOverrideReason: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  return draft.id;
+}
+
+async function getOpenItem(fixture, documentId) {
+  const result = await query(
+    `SELECT id, status, residual_amount_txn
+     FROM cari_open_items
+     WHERE tenant_id = ?
+       AND document_id = ?
+     LIMIT 1`,
+    [fixture.tenantId, documentId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function getAccountBalance(fixture, accountId) {
+  const result = await query(
+    `SELECT COALESCE(SUM(jl.debit_base - jl.credit_base), 0) AS balance
+     FROM journal_lines jl
+     JOIN journal_entries je ON je.id = jl.journal_entry_id
+     WHERE je.tenant_id = ?
+       AND je.legal_entity_id = ?
+       AND je.status = 'POSTED'
+       AND jl.account_id = ?`,
+    [fixture.tenantId, fixture.legalEntityId, accountId]
+  );
+  return toNumber(result.rows?.[0]?.balance);
+}
+
+function buildRegisterPayload(fixture, overrides) {
+  return {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    direction: "RECEIVED",
+    instrumentType: "CHEQUE",
+    serialNo: "A0001",
+    bankName: "Ziraat Bankasi",
+    bankBranch: "Kadikoy",
+    drawerName: "Musteri A.S.",
+    drawerTaxId: null,
+    issuePlace: "Istanbul",
+    issueDate: "2026-03-10",
+    dueDate: "2026-04-20",
+    counterpartyId: fixture.customerId,
+    currencyCode: fixture.currencyCode,
+    amountTxn: "1000.000000",
+    fxRate: null,
+    bankAccountId: null,
+    allocations: [],
+    eventDate: "2026-03-10",
+    idempotencyKey: `CPF-${fixture.stamp}-A0001`,
+    note: null,
+    ...overrides,
+  };
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithPortfolioFixtures(stamp);
+
+  const arDocA = await createPostedDocument(fixture, {
+    counterpartyId: fixture.customerId,
+    direction: "AR",
+    amountTxn: "1000.000000",
+  });
+  const arDocB = await createPostedDocument(fixture, {
+    counterpartyId: fixture.customerId,
+    direction: "AR",
+    amountTxn: "500.000000",
+  });
+  const apDoc = await createPostedDocument(fixture, {
+    counterpartyId: fixture.vendorId,
+    direction: "AP",
+    amountTxn: "800.000000",
+  });
+  const apDocB = await createPostedDocument(fixture, {
+    counterpartyId: fixture.vendorId,
+    direction: "AP",
+    amountTxn: "300.000000",
+  });
+
+  // Receive: settles the AR item oldest-first and parks the amount in the portfolio account.
+  const received = await registerCariPortfolioInstrument({
+    req: null,
+    payload: buildRegisterPayload(fixture, {
+      allocations: [
+        { openItemId: toNumber((await getOpenItem(fixture, arDocA)).id), amountTxn: "1000.000000" },
+      ],
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(received.idempotentReplay === false, "First receive should not be a replay");
+  assert(received.row.status === "IN_PORTFOLIO", "Received cheque should start IN_PORTFOLIO");
+  assert(received.row.amountBase === 1000, "Carrying base amount should come from settlement");
+  assert(received.row.events.length === 1 && received.row.events[0].eventType === "RECEIVE", "Receive event expected");
+  assert(
+    (await getOpenItem(fixture, arDocA)).status === "SETTLED",
+    "Received cheque should settle the customer invoice"
+  );
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeReceived)) === 1000,
+    "Portfolio account should be debited on receipt"
+  );
+
+  const replay = await registerCariPortfolioInstrument({
+    req: null,
+    payload: buildRegisterPayload(fixture, {}),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(replay.idempotentReplay === true && replay.row.id === received.row.id, "Same key should replay");
+
+  await expectFailure(
+    () =>
+      registerCariPortfolioInstrument({
+        req: null,
+        payload: buildRegisterPayload(fixture, { idempotencyKey: `CPF-${stamp}-DUP` }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "Duplicate instrument" }
+  );
+  await expectFailure(
+    () =>
+      registerCariPortfolioInstrument({
+        req: null,
+        payload: buildRegisterPayload(fixture, {
+          serialNo: "A0002",
+          amountTxn: "900.000000",
+          idempotencyKey: `CPF-${stamp}-A0002-TOO-BIG`,
+        }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "must be fully allocated" }
+  );
+  await expectFailure(
+    () =>
+      registerCariPortfolioInstrument({
+        req: null,
+        payload: buildRegisterPayload(fixture, {
+          instrumentType: "NOTE",
+          serialNo: "S0001",
+          amountTxn: "500.000000",
+          idempotencyKey: `CPF-${stamp}-S0001`,
+        }),
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "Setup required" }
+  );
+
+  // Collection through the bank, matched against the incoming statement line.
+  const inCollection = await sendCariPortfolioInstrumentToCollection({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: received.row.id,
+      bankAccountId: fixture.bankAccountId,
+      eventDate: "2026-04-01",
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(inCollection.status === "IN_COLLECTION", "Cheque should be IN_COLLECTION");
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeInCollection)) === 1000,
+    "Collection account should carry the cheque"
+  );
+
+  const creditLineId = await insertStatementLine(fixture, {
+    lineNo: 1,
+    txnDate: "2026-04-21",
+    amount: "1000.000000",
+  });
+  const candidates = await listCariPortfolioStatementLineCandidates({
+    req: null,
+    tenantId: fixture.tenantId,
+    bankStatementLineId: creditLineId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    candidates.rows[0]?.id === received.row.id && candidates.rows[0].exactAmount,
+    "Statement candidates should propose the cheque in collection"
+  );
+
+  const collected = await collectCariPortfolioInstrument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: received.row.id,
+      bankAccountId: null,
+      cashRegisterId: null,
+      cashSessionId: null,
+      bankStatementLineId: creditLineId,
+      eventDate: "2026-04-21",
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(collected.status === "COLLECTED", "Cheque should be COLLECTED");
+  assert(collected.closingBankStatementLineId === creditLineId, "Statement line should be linked");
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeInCollection)) === 0 &&
+      (await getAccountBalance(fixture, fixture.accounts.bank)) === 1000,
+    "Collection should move the amount to the bank account"
+  );
+  const lineStatus = await query(
+    `SELECT recon_status FROM bank_statement_lines WHERE tenant_id = ? AND id = ?`,
+    [fixture.tenantId, creditLineId]
+  );
+  assert(lineStatus.rows?.[0]?.recon_status === "MATCHED", "Statement line should be matched");
+
+  // Endorse a second cheque to a supplier, then bounce it: both settlements unwind.
+  const second = await registerCariPortfolioInstrument({
+    req: null,
+    payload: buildRegisterPayload(fixture, {
+      serialNo: "B0001",
+      amountTxn: "500.000000",
+      idempotencyKey: `CPF-${stamp}-B0001`,
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert((await getOpenItem(fixture, arDocB)).status === "SETTLED", "Auto allocation should settle B");
+  const endorsed = await endorseCariPortfolioInstrument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: second.row.id,
+      vendorCounterpartyId: fixture.vendorId,
+      allocations: [],
+      eventDate: "2026-03-20",
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(endorsed.status === "ENDORSED", "Cheque should be ENDORSED");
+  assert(endorsed.endorsedCounterpartyId === fixture.vendorId, "Endorsee should be recorded");
+  assert(
+    toNumber((await getOpenItem(fixture, apDoc)).residual_amount_txn) === 300,
+    "Endorsement should reduce the supplier invoice"
+  );
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeReceived)) === 0,
+    "Endorsement should relieve the portfolio account"
+  );
+
+  await expectFailure(
+    () =>
+      sendCariPortfolioInstrumentToCollection({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          instrumentId: second.row.id,
+          bankAccountId: fixture.bankAccountId,
+          eventDate: "2026-03-21",
+          note: null,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "status ENDORSED" }
+  );
+
+  const bounced = await bounceCariPortfolioInstrument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: second.row.id,
+      eventDate: "2026-04-25",
+      note: "Karsiliksiz",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(bounced.status === "BOUNCED", "Cheque should be BOUNCED");
+  const bounceEvent = bounced.events[bounced.events.length - 1];
+  assert(bounceEvent.reversedSettlementBatchIds.length === 2, "Bounce should reverse both settlements");
+  assert(
+    toNumber((await getOpenItem(fixture, arDocB)).residual_amount_txn) === 500,
+    "Bounce should reopen the customer receivable"
+  );
+  assert(
+    toNumber((await getOpenItem(fixture, apDoc)).residual_amount_txn) === 800,
+    "Bounce should reopen the supplier payable"
+  );
+
+  const protested = await protestCariPortfolioInstrument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: second.row.id,
+      eventDate: "2026-04-28",
+      note: "Protesto cekildi",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(protested.status === "PROTESTED", "Bounced cheque can be protested");
+
+  // Issued cheque: settles AP, then clears against an outgoing statement line.
+  const issued = await registerCariPortfolioInstrument({
+    req: null,
+    payload: buildRegisterPayload(fixture, {
+      direction: "ISSUED",
+      serialNo: "V0001",
+      bankName: "",
+      counterpartyId: fixture.vendorId,
+      amountTxn: "300.000000",
+      bankAccountId: fixture.bankAccountId,
+      allocations: [
+        { openItemId: toNumber((await getOpenItem(fixture, apDocB)).id), amountTxn: "300.000000" },
+      ],
+      dueDate: "2026-05-05",
+      idempotencyKey: `CPF-${stamp}-V0001`,
+    }),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(issued.row.status === "ISSUED", "Issued cheque should start ISSUED");
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeIssued)) === -300,
+    "Issued cheques account should be credited"
+  );
+  const debitLineId = await insertStatementLine(fixture, {
+    lineNo: 2,
+    txnDate: "2026-05-05",
+    amount: "-300.000000",
+  });
+  const paid = await payCariPortfolioInstrument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      instrumentId: issued.row.id,
+      bankAccountId: null,
+      cashRegisterId: null,
+      cashSessionId: null,
+      bankStatementLineId: debitLineId,
+      eventDate: "2026-05-05",
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(paid.status === "PAID", "Issued cheque should be PAID");
+  assert(
+    (await getAccountBalance(fixture, fixture.accounts.chequeIssued)) === 0,
+    "Payment should clear the issued cheques account"
+  );
+
+  const listed = await listCariPortfolioInstruments({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, direction: "RECEIVED", limit: 50, offset: 0 },
+    buildScopeFilter: noScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(listed.total === 2, "List should return both received cheques");
+
+  console.log(
+    "Cari portfolio test passed (receive, collection with statement match, endorse, bounce, protest, issue/pay)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
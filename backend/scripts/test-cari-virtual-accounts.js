@@ -0,0 +1,631 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  buildCariReceiptAllocations,
+  createCounterpartyVirtualAccount,
+  fetchStatementLineForPayerIdentification,
+  findReferencedDocumentIds,
+  identifyCariPayerForStatementLine,
+  listCounterpartyVirtualAccounts,
+  listOpenReceivablesForPayer,
+  updateCounterpartyVirtualAccountStatus,
+} from "../src/services/cari.virtual-account.service.js";
+import { createCariReceiptFromStatementLine } from "../src/services/cari.settlement.service.js";
+import { matchReconciliationLineTx } from "../src/services/bank.reconciliation.service.js";
+import { parseVirtualAccountCreateInput } from "../src/routes/cari.counterparty.validators.js";
+import { parseBankAttachInput } from "../src/routes/cari.settlement.validators.js";
+import { parseReconciliationRuleCreateInput } from "../src/routes/bank.reconciliationRules.validators.js";
+
+const VIRTUAL_IBAN = "TR33 0006 1005 1978 6457 8413 26";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function expectFailure(work, { status, includes }) {
+  try {
+    work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(`Expected error status ${status} but got ${String(error?.status)}`);
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function expectAsyncFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(`Expected error status ${status} but got ${String(error?.status)}: ${error?.message}`);
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertId(sql, params, label) {
+  const result = await query(sql, params);
+  const id = toNumber(result.rows?.insertId);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createFixtures(stamp) {
+  const tenantId = await insertId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`CVA_T_${stamp}`, `CVA Tenant ${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(`SELECT id FROM countries WHERE iso2 = 'TR' LIMIT 1`);
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `CVA_G_${stamp}`, `CVA Group ${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, 'TRY', 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CVA_LE_${stamp}`, `CVA Legal Entity ${stamp}`, countryId],
+    "legal entity"
+  );
+  const calendarId = await insertId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CVA_CAL_${stamp}`, `CVA Calendar ${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE)`,
+    [calendarId]
+  );
+  await insertId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', 'TRY')`,
+    [tenantId, legalEntityId, calendarId, `CVA_BOOK_${stamp}`, `CVA Book ${stamp}`],
+    "book"
+  );
+  const coaId = await insertId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CVA_COA_${stamp}`, `CVA Chart ${stamp}`],
+    "chart of accounts"
+  );
+  const bankGlAccountId = await insertId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Bankalar', 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `102${stamp}`],
+    "bank GL account"
+  );
+  const arControlAccountId = await insertId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, 'Alicilar', 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `120${stamp}`],
+    "AR control account"
+  );
+  await query(
+    `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+     VALUES (?, ?, 'CARI_AR_CONTROL', ?), (?, ?, 'CARI_AR_OFFSET', ?)`,
+    [tenantId, legalEntityId, arControlAccountId, tenantId, legalEntityId, bankGlAccountId]
+  );
+
+  const passwordHash = await bcrypt.hash("CVA#Smoke123", 10);
+  const userId = await insertId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cva_user_${stamp}@example.com`, passwordHash, "CVA User"],
+    "user"
+  );
+
+  const bankAccountId = await insertId(
+    `INSERT INTO bank_accounts (
+        tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+        bank_name, is_active, created_by_user_id
+      )
+      VALUES (?, ?, ?, 'CVA Collections', 'TRY', ?, 'Smoke Bank', TRUE, ?)`,
+    [tenantId, legalEntityId, `CVA_BA_${stamp}`, bankGlAccountId, userId],
+    "bank account"
+  );
+  const importId = await insertId(
+    `INSERT INTO bank_statement_imports (
+        tenant_id, legal_entity_id, bank_account_id, import_source, original_filename,
+        file_checksum, period_start, period_end, status, imported_by_user_id
+      )
+      VALUES (?, ?, ?, 'MANUAL', ?, SHA2(?, 256), '2026-03-01', '2026-03-31', 'IMPORTED', ?)`,
+    [tenantId, legalEntityId, bankAccountId, `cva-${stamp}.csv`, `cva-${stamp}`, userId],
+    "statement import"
+  );
+
+  async function createCounterparty(suffix) {
+    return insertId(
+      `INSERT INTO counterparties (
+          tenant_id, legal_entity_id, code, name, is_customer, is_vendor, default_currency_code, status
+        )
+        VALUES (?, ?, ?, ?, TRUE, FALSE, 'TRY', 'ACTIVE')`,
+      [tenantId, legalEntityId, `CVA_${suffix}_${stamp}`, `CVA Customer ${suffix}`],
+      `counterparty ${suffix}`
+    );
+  }
+
+  const alphaId = await createCounterparty("ALPHA");
+  const betaId = await createCounterparty("BETA");
+  const gammaId = await createCounterparty("GAMMA");
+
+  let documentSeq = 0;
+  async function createArOpenItem(counterpartyId, documentNo, documentDate, dueDate, amount) {
+    documentSeq += 1;
+    const documentId = await insertId(
+      `INSERT INTO cari_documents (
+          tenant_id, legal_entity_id, counterparty_id, direction, document_type,
+          sequence_namespace, fiscal_year, sequence_no, document_no, status,
+          document_date, due_date, amount_txn, amount_base, open_amount_txn, open_amount_base,
+          currency_code, counterparty_code_snapshot, counterparty_name_snapshot, currency_code_snapshot
+        )
+        VALUES (?, ?, ?, 'AR', 'INVOICE', 'CARI_AR', 2026, ?, ?, 'POSTED', ?, ?, ?, ?, ?, ?, 'TRY', ?, ?, 'TRY')`,
+      [
+        tenantId,
+        legalEntityId,
+        counterpartyId,
+        documentSeq,
+        documentNo,
+        documentDate,
+        dueDate,
+        amount,
+        amount,
+        amount,
+        amount,
+        `CVA_CP_${counterpartyId}`,
+        `CVA Customer ${counterpartyId}`,
+      ],
+      "AR document"
+    );
+    const openItemId = await insertId(
+      `INSERT INTO cari_open_items (
+          tenant_id, legal_entity_id, counterparty_id, document_id, item_no, status,
+          document_date, due_date, original_amount_txn, original_amount_base,
+          residual_amount_txn, residual_amount_base, settled_amount_txn, settled_amount_base, currency_code
+        )
+        VALUES (?, ?, ?, ?, 1, 'OPEN', ?, ?, ?, ?, ?, ?, 0, 0, 'TRY')`,
+      [tenantId, legalEntityId, counterpartyId, documentId, documentDate, dueDate, amount, amount, amount, amount],
+      "AR open item"
+    );
+    return { documentId, openItemId };
+  }
+
+  const alphaOld = await createArOpenItem(alphaId, `CVA-INV-${stamp}-01`, "2026-01-05", "2026-02-05", 300);
+  const alphaNew = await createArOpenItem(alphaId, `CVA-INV-${stamp}-02`, "2026-02-05", "2026-03-05", 500);
+
+  let lineNo = 0;
+  async function createLine({ description, referenceNo = null, amount, remittance = null }) {
+    lineNo += 1;
+    return insertId(
+      `INSERT INTO bank_statement_lines (
+          tenant_id, legal_entity_id, import_id, bank_account_id, line_no, txn_date, value_date,
+          description, reference_no, remittance_info_json, amount, currency_code, line_hash, recon_status
+        )
+        VALUES (?, ?, ?, ?, ?, '2026-03-10', '2026-03-10', ?, ?, ?, ?, 'TRY', SHA2(?, 256), 'UNMATCHED')`,
+      [
+        tenantId,
+        legalEntityId,
+        importId,
+        bankAccountId,
+        lineNo,
+        description,
+        referenceNo,
+        remittance ? JSON.stringify(remittance) : null,
+        amount,
+        `cva-${stamp}-${lineNo}`,
+      ],
+      `statement line ${lineNo}`
+    );
+  }
+
+  return {
+    tenantId,
+    legalEntityId,
+    userId,
+    bankAccountId,
+    alphaId,
+    betaId,
+    gammaId,
+    alphaOld,
+    alphaNew,
+    createLine,
+  };
+}
+
+function buildReq(fixture, params = {}, body = {}) {
+  return {
+    user: { tenantId: fixture.tenantId, userId: fixture.userId },
+    params,
+    body,
+    query: {},
+    headers: {},
+  };
+}
+
+async function identifyLine(fixture, lineId) {
+  const line = await fetchStatementLineForPayerIdentification({
+    tenantId: fixture.tenantId,
+    legalEntityId: fixture.legalEntityId,
+    statementLineId: lineId,
+  });
+  assert(line, `Statement line ${lineId} should load`);
+  const identification = await identifyCariPayerForStatementLine({
+    tenantId: fixture.tenantId,
+    legalEntityId: fixture.legalEntityId,
+    line,
+  });
+  return { line, identification };
+}
+
+async function addIdentifier(fixture, counterpartyId, identifierType, identifierValue, extra = {}) {
+  return createCounterpartyVirtualAccount({
+    req: buildReq(fixture),
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      counterpartyId,
+      identifierType,
+      identifierValue,
+      ...extra,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixtures(stamp);
+
+  const ibanRow = await addIdentifier(fixture, fixture.alphaId, "VIRTUAL_IBAN", VIRTUAL_IBAN, {
+    bankAccountId: fixture.bankAccountId,
+  });
+  assert(
+    ibanRow?.normalizedValue === "TR330006100519786457841326",
+    "Virtual IBAN should be stored without spaces"
+  );
+  await addIdentifier(fixture, fixture.betaId, "REFERENCE_CODE", `BETA-${stamp}`);
+  await addIdentifier(fixture, fixture.betaId, "REFERENCE_PATTERN", "KOLAY-####");
+  await addIdentifier(fixture, fixture.gammaId, "REFERENCE_PATTERN", "KOLAY-1*");
+
+  await expectAsyncFailure(
+    () => addIdentifier(fixture, fixture.gammaId, "VIRTUAL_IBAN", VIRTUAL_IBAN.replace(/ /g, "")),
+    { status: 400, includes: "already registered" }
+  );
+  await expectAsyncFailure(() => addIdentifier(fixture, fixture.gammaId, "VIRTUAL_IBAN", "12345"), {
+    status: 400,
+    includes: "valid IBAN",
+  });
+  await expectAsyncFailure(() => addIdentifier(fixture, fixture.gammaId, "REFERENCE_PATTERN", "A*#"), {
+    status: 400,
+    includes: "literal characters",
+  });
+
+  const ibanLineId = await fixture.createLine({
+    description: "GELEN EFT MUSTERI ODEMESI",
+    amount: 600,
+    remittance: { ownAccount: VIRTUAL_IBAN, counterpartyName: "Alpha Ltd" },
+  });
+  const ibanResult = await identifyLine(fixture, ibanLineId);
+  assert(ibanResult.identification.status === "IDENTIFIED", "Virtual IBAN line should be identified");
+  assert(ibanResult.identification.counterpartyId === fixture.alphaId, "Virtual IBAN should map to ALPHA");
+  assert(ibanResult.identification.matchedBy.source === "ownAccount", "Match should come from ownAccount");
+
+  const openItems = await listOpenReceivablesForPayer({
+    tenantId: fixture.tenantId,
+    legalEntityId: fixture.legalEntityId,
+    counterpartyId: fixture.alphaId,
+    currencyCode: "TRY",
+  });
+  assert(openItems.length === 2, "ALPHA should have two open AR items");
+  const fifoPlan = buildCariReceiptAllocations({
+    openItems,
+    amountTxn: 600,
+    referencedDocumentIds: findReferencedDocumentIds(ibanResult.line, openItems),
+  });
+  assert(fifoPlan.allocationMode === "FIFO", "Line without invoice reference should allocate FIFO");
+  assert(
+    fifoPlan.allocations[0].openItemId === fixture.alphaOld.openItemId &&
+      fifoPlan.allocations[0].amountTxn === 300 &&
+      fifoPlan.allocations[1].amountTxn === 300,
+    "FIFO should settle the oldest invoice first"
+  );
+
+  const invoiceLineId = await fixture.createLine({
+    description: `ODEME CVA-INV-${stamp}-02`,
+    amount: 650,
+    remittance: { ownAccount: VIRTUAL_IBAN },
+  });
+  const invoiceResult = await identifyLine(fixture, invoiceLineId);
+  const invoicePlan = buildCariReceiptAllocations({
+    openItems,
+    amountTxn: 650,
+    referencedDocumentIds: findReferencedDocumentIds(invoiceResult.line, openItems),
+  });
+  assert(invoicePlan.allocationMode === "REFERENCED_INVOICE", "Invoice number should drive allocation");
+  assert(
+    invoicePlan.allocations.length === 1 &&
+      invoicePlan.allocations[0].openItemId === fixture.alphaNew.openItemId &&
+      invoicePlan.allocations[0].amountTxn === 500,
+    "Referenced invoice should be settled in full"
+  );
+  assert(invoicePlan.unappliedAmountTxn === 150, "Excess over the referenced invoice stays unapplied");
+
+  const codeLineId = await fixture.createLine({
+    description: "HAVALE",
+    referenceNo: `beta-${stamp}`,
+    amount: 100,
+  });
+  const codeResult = await identifyLine(fixture, codeLineId);
+  assert(codeResult.identification.counterpartyId === fixture.betaId, "Reference code should map to BETA");
+
+  const ambiguousLineId = await fixture.createLine({ description: "TAHSILAT KOLAY-1234", amount: 100 });
+  const ambiguousResult = await identifyLine(fixture, ambiguousLineId);
+  assert(ambiguousResult.identification.status === "AMBIGUOUS", "Overlapping patterns should be ambiguous");
+  assert(ambiguousResult.identification.candidates.length === 2, "Both pattern owners should be candidates");
+
+  const patternLineId = await fixture.createLine({ description: "TAHSILAT KOLAY-2234", amount: 100 });
+  const patternResult = await identifyLine(fixture, patternLineId);
+  assert(patternResult.identification.counterpartyId === fixture.betaId, "Only BETA pattern should match");
+
+  const unknownLineId = await fixture.createLine({ description: "BILINMEYEN ODEME", amount: 100 });
+  await expectAsyncFailure(
+    () =>
+      createCariReceiptFromStatementLine({
+        req: buildReq(fixture),
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          legalEntityId: fixture.legalEntityId,
+          bankStatementLineId: unknownLineId,
+          idempotencyKey: `CVA-UNKNOWN-${stamp}`,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "could not be identified" }
+  );
+  await expectAsyncFailure(
+    () =>
+      createCariReceiptFromStatementLine({
+        req: buildReq(fixture),
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          legalEntityId: fixture.legalEntityId,
+          bankStatementLineId: ambiguousLineId,
+          idempotencyKey: `CVA-AMBIGUOUS-${stamp}`,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "ambiguous" }
+  );
+  const outgoingLineId = await fixture.createLine({ description: "EFT GIDEN", amount: -50 });
+  await expectAsyncFailure(
+    () =>
+      createCariReceiptFromStatementLine({
+        req: buildReq(fixture),
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          legalEntityId: fixture.legalEntityId,
+          bankStatementLineId: outgoingLineId,
+          idempotencyKey: `CVA-OUT-${stamp}`,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "Only incoming" }
+  );
+
+  // The receipt and the reconciliation match share one transaction: when the match
+  // fails (here a concurrent manual match leaves no room), no receipt is posted.
+  const atomicLineId = await fixture.createLine({
+    description: "GELEN EFT MUSTERI ODEMESI",
+    amount: 300,
+    remittance: { ownAccount: VIRTUAL_IBAN },
+  });
+  const blockingMatchId = await insertId(
+    `INSERT INTO bank_reconciliation_matches (
+        tenant_id, legal_entity_id, statement_line_id, match_type, matched_entity_type,
+        matched_entity_id, matched_amount, status, matched_by_user_id
+      )
+      VALUES (?, ?, ?, 'MANUAL', 'MANUAL_ADJUSTMENT', 1, 100, 'ACTIVE', ?)`,
+    [fixture.tenantId, fixture.legalEntityId, atomicLineId, fixture.userId],
+    "blocking match"
+  );
+  const createAtomicReceipt = (idempotencyKey) =>
+    createCariReceiptFromStatementLine({
+      req: buildReq(fixture),
+      payload: {
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        legalEntityId: fixture.legalEntityId,
+        bankStatementLineId: atomicLineId,
+        idempotencyKey,
+      },
+      assertScopeAccess: noScopeGuard,
+      afterPostTx: (tx, posted) =>
+        matchReconciliationLineTx(tx, {
+          tenantId: fixture.tenantId,
+          lineId: atomicLineId,
+          matchInput: {
+            matchType: "AUTO_RULE",
+            matchedEntityType: "JOURNAL",
+            matchedEntityId: posted.row.postedJournalEntryId,
+            matchedAmount: 300,
+          },
+          userId: fixture.userId,
+        }),
+    });
+  await expectAsyncFailure(() => createAtomicReceipt(`CVA-ATOMIC-${stamp}`), {
+    status: 400,
+    includes: "exceeds statement line amount",
+  });
+  const atomicBatches = await query(
+    `SELECT COUNT(*) AS total
+     FROM cari_settlement_batches
+     WHERE tenant_id = ?
+       AND bank_statement_line_id = ?`,
+    [fixture.tenantId, atomicLineId]
+  );
+  assert(toNumber(atomicBatches.rows?.[0]?.total) === 0, "A failed match should roll back the receipt");
+  const oldItemAfterFailure = await query(
+    `SELECT residual_amount_txn FROM cari_open_items WHERE id = ?`,
+    [fixture.alphaOld.openItemId]
+  );
+  assert(
+    toNumber(oldItemAfterFailure.rows?.[0]?.residual_amount_txn) === 300,
+    "A failed match should leave the open item unsettled"
+  );
+  const receiptAudits = await query(
+    `SELECT COUNT(*) AS total
+     FROM audit_logs
+     WHERE tenant_id = ?
+       AND action = 'cari.bank.auto_receipt'`,
+    [fixture.tenantId]
+  );
+  assert(toNumber(receiptAudits.rows?.[0]?.total) === 0, "A failed match should not audit a receipt");
+
+  await query(`UPDATE bank_reconciliation_matches SET status = 'REVERSED' WHERE id = ?`, [
+    blockingMatchId,
+  ]);
+  const atomicReceipt = await createAtomicReceipt(`CVA-ATOMIC-${stamp}`);
+  assert(
+    atomicReceipt.afterPostResult?.line?.recon_status === "MATCHED",
+    "Receipt and match should commit together"
+  );
+  await expectAsyncFailure(() => createAtomicReceipt(`CVA-ATOMIC-2-${stamp}`), {
+    status: 400,
+    includes: "already applied",
+  });
+
+  await updateCounterpartyVirtualAccountStatus({
+    req: buildReq(fixture),
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      counterpartyId: fixture.alphaId,
+      virtualAccountId: ibanRow.id,
+      status: "INACTIVE",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const afterDeactivate = await identifyLine(fixture, ibanLineId);
+  assert(
+    afterDeactivate.identification.status === "NOT_IDENTIFIED",
+    "Inactive identifiers should not identify payers"
+  );
+  const listed = await listCounterpartyVirtualAccounts({
+    req: buildReq(fixture),
+    tenantId: fixture.tenantId,
+    counterpartyId: fixture.alphaId,
+    filters: { status: "INACTIVE" },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(listed.rows.length === 1, "Inactive filter should list the deactivated identifier");
+
+  const auditRows = await query(
+    `SELECT COUNT(*) AS total
+     FROM audit_logs
+     WHERE tenant_id = ?
+       AND action LIKE 'cari.counterparty.virtual_account.%'`,
+    [fixture.tenantId]
+  );
+  assert(toNumber(auditRows.rows?.[0]?.total) === 5, "Identifier changes should be audited");
+
+  expectFailure(
+    () =>
+      parseVirtualAccountCreateInput(
+        buildReq(fixture, { id: String(fixture.alphaId) }, { identifierType: "PHONE", identifierValue: "1" })
+      ),
+    { status: 400, includes: "identifierType" }
+  );
+  expectFailure(
+    () =>
+      parseBankAttachInput(
+        buildReq(fixture, {}, {
+          legalEntityId: fixture.legalEntityId,
+          targetType: "AUTO_RECEIPT",
+          idempotencyKey: "CVA-ATTACH",
+          bankTransactionRef: "REF-ONLY",
+        })
+      ),
+    { status: 400, includes: "bankStatementLineId is required when targetType=AUTO_RECEIPT" }
+  );
+  expectFailure(
+    () =>
+      parseReconciliationRuleCreateInput(
+        buildReq(fixture, {}, {
+          ruleCode: "CVA-RULE",
+          ruleName: "CVA rule",
+          matchType: "CARI_RECEIPT_BY_VIRTUAL_ACCOUNT",
+          actionType: "AUTO_MATCH_JOURNAL",
+        })
+      ),
+    { status: 400, includes: "AUTO_CREATE_CARI_RECEIPT" }
+  );
+  expectFailure(
+    () =>
+      parseReconciliationRuleCreateInput(
+        buildReq(fixture, {}, {
+          ruleCode: "CVA-RULE",
+          ruleName: "CVA rule",
+          matchType: "JOURNAL_BY_TEXT_AND_AMOUNT",
+          actionType: "AUTO_CREATE_CARI_RECEIPT",
+        })
+      ),
+    { status: 400, includes: "CARI_RECEIPT_BY_VIRTUAL_ACCOUNT" }
+  );
+
+  console.log("Cari virtual account identification test passed.");
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
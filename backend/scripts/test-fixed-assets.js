@@ -0,0 +1,733 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { computeCumulativeDepreciation } from "../src/services/fixedAssets.depreciation.js";
+import {
+  acquireFixedAssetFromApDocument,
+  createDepreciationRun,
+  createFixedAsset,
+  createFixedAssetClass,
+  disposeFixedAsset,
+  getFixedAssetById,
+  postDepreciationRun,
+  previewDepreciationRun,
+  reverseDepreciationRun,
+  updateFixedAsset,
+  updateFixedAssetClass,
+} from "../src/services/fixedAssets.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return error;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  return insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, code],
+    `account ${code}`
+  );
+}
+
+async function createUser(tenantId, email, name, passwordHash) {
+  return insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, email, passwordHash, name],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, email],
+    `user ${email}`
+  );
+}
+
+async function createTenantWithFixedAssetFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`FA_T_${stamp}`, `FA Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`FA_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `FA_G_${stamp}`, `FA Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `FA_G_${stamp}`],
+    "group company"
+  );
+
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `FA_LE_${stamp}`, `FA Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `FA_LE_${stamp}`],
+    "legal entity"
+  );
+
+  const unitId = await insertAndFetchId(
+    `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name, unit_type)
+     VALUES (?, ?, 'IST', 'Istanbul', 'BRANCH')`,
+    [tenantId, legalEntityId],
+    `SELECT id FROM operating_units WHERE legal_entity_id = ? AND code = 'IST' LIMIT 1`,
+    [legalEntityId],
+    "operating unit IST"
+  );
+
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `FA_CAL_${stamp}`, `FA Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `FA_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 1, '2026-01', '2026-01-01', '2026-01-31', FALSE),
+        (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE),
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE)`,
+    [calendarId, calendarId, calendarId]
+  );
+  const periodRows = await query(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+     ORDER BY fiscal_year ASC, period_no ASC`,
+    [calendarId]
+  );
+  const periods = {
+    jan: toNumber(periodRows.rows?.[0]?.id),
+    feb: toNumber(periodRows.rows?.[1]?.id),
+    mar: toNumber(periodRows.rows?.[2]?.id),
+  };
+  assert(periods.jan > 0 && periods.feb > 0 && periods.mar > 0, "Failed to create periods");
+
+  const bookId = await insertAndFetchId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `FA_BOOK_${stamp}`, `FA Book ${stamp}`, currencyCode],
+    `SELECT id FROM books WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `FA_BOOK_${stamp}`],
+    "book"
+  );
+
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `FA_COA_${stamp}`, `FA Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `FA_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const accounts = {
+    bank: await insertAccount(coaId, "102", "Bankalar", "ASSET", "DEBIT"),
+    advances: await insertAccount(coaId, "159", "Verilen Siparis Avanslari", "ASSET", "DEBIT"),
+    machinery: await insertAccount(coaId, "253", "Tesis Makine ve Cihazlar", "ASSET", "DEBIT"),
+    vehicles: await insertAccount(coaId, "254", "Tasitlar", "ASSET", "DEBIT"),
+    accumulated: await insertAccount(coaId, "257", "Birikmis Amortismanlar", "ASSET", "CREDIT"),
+    gain: await insertAccount(coaId, "679", "Diger Olagandisi Gelir ve Karlar", "REVENUE", "CREDIT"),
+    loss: await insertAccount(coaId, "689", "Diger Olagandisi Gider ve Zararlar", "EXPENSE", "DEBIT"),
+    expense: await insertAccount(coaId, "770", "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+  };
+
+  const passwordHash = await bcrypt.hash("FA#Smoke123", 10);
+  const userId = await createUser(tenantId, `fa_user_${stamp}@example.com`, "FA Accountant", passwordHash);
+
+  const counterpartyResult = await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        status
+     )
+     VALUES (?, ?, ?, ?, FALSE, TRUE, 'ACTIVE')`,
+    [tenantId, legalEntityId, `FA_VENDOR_${stamp}`, `Vendor ${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyResult.rows?.insertId);
+  assert(counterpartyId > 0, "Failed to create counterparty");
+
+  const documentResult = await query(
+    `INSERT INTO cari_documents (
+        tenant_id,
+        legal_entity_id,
+        counterparty_id,
+        payment_term_id,
+        direction,
+        document_type,
+        sequence_namespace,
+        fiscal_year,
+        sequence_no,
+        document_no,
+        status,
+        document_date,
+        due_date,
+        amount_txn,
+        amount_base,
+        open_amount_txn,
+        open_amount_base,
+        net_amount_txn,
+        net_amount_base,
+        currency_code,
+        fx_rate,
+        counterparty_code_snapshot,
+        counterparty_name_snapshot,
+        payment_term_snapshot,
+        due_date_snapshot,
+        currency_code_snapshot,
+        fx_rate_snapshot
+     )
+     VALUES (?, ?, ?, NULL, 'AP', 'INVOICE', 'FA_AP', 2026, 1, ?, 'POSTED', '2026-01-10', '2026-02-10',
+             8260, 8260, 8260, 8260, 7000, 7000, ?, 1, ?, ?, NULL, '2026-02-10', ?, 1)`,
+    [
+      tenantId,
+      legalEntityId,
+      counterpartyId,
+      `FA-AP-${stamp}`,
+      currencyCode,
+      `FA_VENDOR_${stamp}`,
+      `Vendor ${stamp}`,
+      currencyCode,
+    ]
+  );
+  const documentId = toNumber(documentResult.rows?.insertId);
+  assert(documentId > 0, "Failed to create AP document");
+
+  const lineIds = [];
+  for (const line of [
+    { lineNo: 1, description: "Delivery van", accountId: accounts.advances, net: 6000 },
+    { lineNo: 2, description: "Registration fees", accountId: accounts.expense, net: 1000 },
+  ]) {
+    const lineResult = await query(
+      `INSERT INTO cari_document_lines (
+          tenant_id,
+          legal_entity_id,
+          document_id,
+          line_no,
+          description,
+          quantity,
+          unit_price,
+          account_id,
+          operating_unit_id,
+          net_amount_txn,
+          net_amount_base
+       )
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        documentId,
+        line.lineNo,
+        line.description,
+        line.net,
+        line.accountId,
+        unitId,
+        line.net,
+        line.net,
+      ]
+    );
+    lineIds.push(toNumber(lineResult.rows?.insertId));
+  }
+
+  return {
+    tenantId,
+    legalEntityId,
+    bookId,
+    currencyCode,
+    periods,
+    unitId,
+    accounts,
+    userId,
+    documentId,
+    lineIds,
+  };
+}
+
+async function setPeriodStatus({ bookId, fiscalPeriodId, status, userId }) {
+  await query(
+    `INSERT INTO period_statuses (
+       book_id, fiscal_period_id, status, closed_by_user_id, closed_at, note
+     )
+     VALUES (?, ?, ?, ?, UTC_TIMESTAMP(), 'Fixed asset test')
+     ON DUPLICATE KEY UPDATE
+       status = VALUES(status),
+       closed_by_user_id = VALUES(closed_by_user_id),
+       closed_at = VALUES(closed_at)`,
+    [bookId, fiscalPeriodId, status, userId]
+  );
+}
+
+async function fetchJournalLines(journalEntryId) {
+  const result = await query(
+    `SELECT account_id, operating_unit_id, debit_base, credit_base
+     FROM journal_lines
+     WHERE journal_entry_id = ?
+     ORDER BY line_no ASC`,
+    [journalEntryId]
+  );
+  return (result.rows || []).map((row) => ({
+    accountId: toNumber(row.account_id),
+    operatingUnitId: toNumber(row.operating_unit_id) || null,
+    debit: toNumber(row.debit_base),
+    credit: toNumber(row.credit_base),
+  }));
+}
+
+function sumFor(lines, accountId, side) {
+  return lines
+    .filter((line) => line.accountId === accountId)
+    .reduce((sum, line) => sum + line[side], 0);
+}
+
+function assertScheduleMath() {
+  const base = {
+    acquisitionCost: 12000,
+    salvageValue: 0,
+    usefulLifeMonths: 60,
+    depreciationStartDate: "2026-01-01",
+  };
+  const sl = (throughDate) =>
+    computeCumulativeDepreciation({ ...base, method: "STRAIGHT_LINE", throughDate });
+  assert(sl("2026-01-31") === 200, "Straight line month 1 should be 200");
+  assert(sl("2026-12-31") === 2400, "Straight line year 1 should be 2400");
+  assert(sl("2031-06-30") === 12000, "Straight line is capped at cost less salvage");
+
+  const vukDeclining = (throughDate) =>
+    computeCumulativeDepreciation({ ...base, method: "VUK_DECLINING", throughDate });
+  assert(vukDeclining("2026-12-31") === 4800, "VUK declining year 1 should be 40% of cost");
+  assert(vukDeclining("2027-12-31") === 7680, "VUK declining year 2 applies 40% to the remainder");
+  assert(vukDeclining("2030-12-31") === 12000, "VUK declining writes off the rest in the final year");
+
+  const midYear = computeCumulativeDepreciation({
+    ...base,
+    method: "VUK_NORMAL",
+    depreciationStartDate: "2026-10-01",
+    throughDate: "2026-12-31",
+  });
+  assert(midYear === 2400, "VUK normal takes the full annual charge in the acquisition year");
+}
+
+async function main() {
+  assertScheduleMath();
+
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithFixedAssetFixtures(stamp);
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const { accounts, periods } = fixture;
+  const scope = { req: null, assertScopeAccess: noScopeGuard };
+
+  await expectFailure(
+    () =>
+      createFixedAssetClass({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          legalEntityId: fixture.legalEntityId,
+          code: "BAD",
+          name: "Bad VUK life",
+          depreciationMethod: "VUK_NORMAL",
+          usefulLifeMonths: 30,
+          decliningFactor: null,
+          status: "ACTIVE",
+          assetAccountId: accounts.machinery,
+          accumulatedDepreciationAccountId: accounts.accumulated,
+          depreciationExpenseAccountId: accounts.expense,
+          disposalGainAccountId: accounts.gain,
+          disposalLossAccountId: accounts.loss,
+        },
+      }),
+    { status: 400, includes: "multiple of 12" }
+  );
+
+  const classPayload = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    decliningFactor: null,
+    status: "ACTIVE",
+    accumulatedDepreciationAccountId: accounts.accumulated,
+    depreciationExpenseAccountId: accounts.expense,
+    disposalGainAccountId: accounts.gain,
+    disposalLossAccountId: accounts.loss,
+  };
+  const machineryClass = await createFixedAssetClass({
+    ...scope,
+    payload: {
+      ...classPayload,
+      code: "MACH",
+      name: "Machinery",
+      depreciationMethod: "STRAIGHT_LINE",
+      usefulLifeMonths: 60,
+      assetAccountId: accounts.machinery,
+    },
+  });
+  const vehicleClass = await createFixedAssetClass({
+    ...scope,
+    payload: {
+      ...classPayload,
+      code: "VEH",
+      name: "Vehicles",
+      depreciationMethod: "VUK_NORMAL",
+      usefulLifeMonths: 60,
+      assetAccountId: accounts.vehicles,
+    },
+  });
+
+  const press = await createFixedAsset({
+    ...scope,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      assetClassId: machineryClass.id,
+      assetNo: "FA-0001",
+      name: "Hydraulic press",
+      operatingUnitId: fixture.unitId,
+      acquisitionDate: "2026-01-01",
+      depreciationStartDate: null,
+      acquisitionCost: "12000.000000",
+      salvageValue: "0.000000",
+      openingAccumulatedDepreciation: "0.000000",
+      depreciationMethod: null,
+      usefulLifeMonths: null,
+      decliningFactor: null,
+    },
+  });
+  assert(press.depreciationMethod === "STRAIGHT_LINE", "Asset should inherit the class method");
+  assert(press.netBookValue === 12000, "New asset NBV should equal cost");
+  assert(press.currencyCode === fixture.currencyCode, "Asset currency should be the book base currency");
+
+  await expectFailure(
+    () =>
+      acquireFixedAssetFromApDocument({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          assetClassId: vehicleClass.id,
+          cariDocumentId: fixture.documentId,
+          cariDocumentLineId: null,
+          assetNo: "FA-0002",
+          name: "Delivery van",
+          operatingUnitId: null,
+          depreciationStartDate: null,
+          salvageValue: "0.000000",
+          depreciationMethod: null,
+          usefulLifeMonths: null,
+          decliningFactor: null,
+        },
+      }),
+    { status: 400, includes: "cariDocumentLineId is required" }
+  );
+
+  const acquirePayload = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    assetClassId: vehicleClass.id,
+    cariDocumentId: fixture.documentId,
+    cariDocumentLineId: fixture.lineIds[0],
+    assetNo: "FA-0002",
+    name: "Delivery van",
+    operatingUnitId: null,
+    depreciationStartDate: null,
+    salvageValue: "0.000000",
+    depreciationMethod: null,
+    usefulLifeMonths: null,
+    decliningFactor: null,
+  };
+  const van = await acquireFixedAssetFromApDocument({ ...scope, payload: acquirePayload });
+  assert(van.sourceType === "AP_DOCUMENT", "Van should be sourced from the AP document");
+  assert(van.acquisitionCost === 6000, "Van cost should be the AP line net amount");
+  assert(van.acquisitionDate === "2026-01-10", "Van acquisition date should be the document date");
+  assert(van.operatingUnitId === fixture.unitId, "Van should inherit the line operating unit");
+  assert(van.acquisitionJournalEntryId, "Capitalisation journal should be posted for a non-asset line account");
+  const capitalisationLines = await fetchJournalLines(van.acquisitionJournalEntryId);
+  assert(sumFor(capitalisationLines, accounts.vehicles, "debit") === 6000, "Capitalisation should debit vehicles");
+  assert(sumFor(capitalisationLines, accounts.advances, "credit") === 6000, "Capitalisation should credit the line account");
+
+  await expectFailure(
+    () =>
+      acquireFixedAssetFromApDocument({
+        ...scope,
+        payload: { ...acquirePayload, assetNo: "FA-0003" },
+      }),
+    { status: 409, includes: "already capitalised" }
+  );
+
+  await expectFailure(
+    () =>
+      updateFixedAssetClass({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          classId: machineryClass.id,
+          assetAccountId: accounts.vehicles,
+        },
+      }),
+    { status: 409, includes: "undisposed assets" }
+  );
+
+  const runInput = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    runNo: null,
+  };
+  const janPreview = await previewDepreciationRun({
+    ...scope,
+    payload: { ...runInput, fiscalPeriodId: periods.jan },
+  });
+  assert(janPreview.assetCount === 2, "January preview should include both assets");
+  assert(janPreview.totalAmount === 300, "January depreciation should be 200 (SL) + 100 (VUK)");
+
+  const janRun = await createDepreciationRun({
+    ...scope,
+    payload: { ...runInput, fiscalPeriodId: periods.jan, runNo: "DEP-2026-01" },
+  });
+  assert(janRun.status === "DRAFT", "New run should be DRAFT");
+  await expectFailure(
+    () => createDepreciationRun({ ...scope, payload: { ...runInput, fiscalPeriodId: periods.jan } }),
+    { status: 409, includes: "already exists for this period" }
+  );
+
+  const janPosted = await postDepreciationRun({
+    ...scope,
+    payload: { tenantId: fixture.tenantId, userId: fixture.userId, runId: janRun.id },
+  });
+  assert(janPosted.row.status === "POSTED", "January run should be POSTED");
+  const janLines = await fetchJournalLines(janPosted.journal.journalEntryId);
+  assert(sumFor(janLines, accounts.expense, "debit") === 300, "Depreciation journal should debit expense");
+  assert(sumFor(janLines, accounts.accumulated, "credit") === 300, "Depreciation journal should credit accumulated");
+  assert(
+    janLines.every((line) => line.operatingUnitId === fixture.unitId),
+    "Depreciation lines should carry the asset operating unit"
+  );
+
+  await expectFailure(
+    () =>
+      updateFixedAsset({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          assetId: press.id,
+          usefulLifeMonths: 48,
+        },
+      }),
+    { status: 409, includes: "after depreciation has been posted" }
+  );
+
+  const febRun = await createDepreciationRun({
+    ...scope,
+    payload: { ...runInput, fiscalPeriodId: periods.feb },
+  });
+  await setPeriodStatus({
+    bookId: fixture.bookId,
+    fiscalPeriodId: periods.feb,
+    status: "SOFT_CLOSED",
+    userId: fixture.userId,
+  });
+  await expectFailure(
+    () =>
+      postDepreciationRun({
+        ...scope,
+        payload: { tenantId: fixture.tenantId, userId: fixture.userId, runId: febRun.id },
+      }),
+    { status: 400, includes: "Period is SOFT_CLOSED" }
+  );
+  await setPeriodStatus({
+    bookId: fixture.bookId,
+    fiscalPeriodId: periods.feb,
+    status: "OPEN",
+    userId: fixture.userId,
+  });
+  await postDepreciationRun({
+    ...scope,
+    payload: { tenantId: fixture.tenantId, userId: fixture.userId, runId: febRun.id },
+  });
+  let pressState = await getFixedAssetById({ ...scope, tenantId: fixture.tenantId, assetId: press.id });
+  assert(pressState.accumulatedDepreciation === 400, "Press should carry two months of depreciation");
+
+  await expectFailure(
+    () =>
+      reverseDepreciationRun({
+        ...scope,
+        payload: { tenantId: fixture.tenantId, userId: fixture.userId, runId: janRun.id },
+      }),
+    { status: 409, includes: "Reverse the later depreciation run" }
+  );
+  const febReversed = await reverseDepreciationRun({
+    ...scope,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      runId: febRun.id,
+      reversalPeriodId: null,
+      reason: "Wrong useful life",
+    },
+  });
+  assert(febReversed.row.status === "REVERSED", "February run should be REVERSED");
+  const originalJournal = await query(
+    `SELECT status, reversal_journal_entry_id
+     FROM journal_entries
+     WHERE id = ?`,
+    [febReversed.row.postedJournalEntryId]
+  );
+  assert(originalJournal.rows?.[0]?.status === "REVERSED", "Original depreciation journal should be REVERSED");
+  assert(
+    toNumber(originalJournal.rows?.[0]?.reversal_journal_entry_id) ===
+      febReversed.journal.reversalJournalEntryId,
+    "Original journal should link to its reversal"
+  );
+  pressState = await getFixedAssetById({ ...scope, tenantId: fixture.tenantId, assetId: press.id });
+  assert(pressState.accumulatedDepreciation === 200, "Reversal should restore accumulated depreciation");
+
+  await expectFailure(
+    () =>
+      disposeFixedAsset({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          assetId: press.id,
+          disposalDate: "2026-01-20",
+          proceedsAmount: "0.000000",
+          proceedsAccountId: null,
+          note: null,
+        },
+      }),
+    { status: 400, includes: "after the last depreciated period" }
+  );
+
+  const disposedPress = await disposeFixedAsset({
+    ...scope,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      assetId: press.id,
+      disposalDate: "2026-03-15",
+      proceedsAmount: "11000.000000",
+      proceedsAccountId: accounts.bank,
+      note: "Sold to third party",
+    },
+  });
+  assert(disposedPress.status === "DISPOSED", "Press should be DISPOSED");
+  assert(disposedPress.disposalGainLoss === -800, "Press disposal should book an 800 loss");
+  const disposalLines = await fetchJournalLines(disposedPress.disposalJournalEntryId);
+  assert(sumFor(disposalLines, accounts.accumulated, "debit") === 200, "Disposal should clear accumulated");
+  assert(sumFor(disposalLines, accounts.bank, "debit") === 11000, "Disposal should book proceeds");
+  assert(sumFor(disposalLines, accounts.machinery, "credit") === 12000, "Disposal should clear cost");
+  assert(sumFor(disposalLines, accounts.loss, "debit") === 800, "Disposal loss should hit the loss account");
+
+  await setPeriodStatus({
+    bookId: fixture.bookId,
+    fiscalPeriodId: periods.mar,
+    status: "HARD_CLOSED",
+    userId: fixture.userId,
+  });
+  await expectFailure(
+    () =>
+      disposeFixedAsset({
+        ...scope,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          assetId: van.id,
+          disposalDate: "2026-03-20",
+          proceedsAmount: "7000.000000",
+          proceedsAccountId: accounts.bank,
+          note: null,
+        },
+      }),
+    { status: 400, includes: "Period is HARD_CLOSED" }
+  );
+
+  const vanState = await getFixedAssetById({ ...scope, tenantId: fixture.tenantId, assetId: van.id });
+  assert(vanState.status === "ACTIVE", "Van should stay ACTIVE after a rejected disposal");
+  assert(vanState.depreciationHistory.length === 2, "Van history should show the posted and reversed runs");
+
+  console.log(
+    "Fixed assets test passed (schedules, AP acquisition, depreciation runs, period locks, disposal)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
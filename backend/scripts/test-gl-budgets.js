@@ -0,0 +1,755 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  approveApprovalRequest,
+  createApprovalPolicy,
+} from "../src/services/approvalPolicies.service.js";
+import {
+  approveGlBudgetVersion,
+  buildGlBudgetVsActualCsv,
+  createGlBudgetVersion,
+  getGlBudgetVersionById,
+  getGlBudgetVsActualReport,
+  importGlBudgetLinesCsv,
+  listGlBudgetActualLines,
+  listGlBudgetLines,
+  listGlBudgetVersions,
+  returnGlBudgetVersionToDraft,
+  upsertGlBudgetLines,
+} from "../src/services/gl.budgets.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return error;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  return insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, code],
+    `account ${code}`
+  );
+}
+
+async function createUser(tenantId, email, name, passwordHash) {
+  return insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, email, passwordHash, name],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, email],
+    `user ${email}`
+  );
+}
+
+async function assignTenantAdminRole({ tenantId, userId }) {
+  const roleRows = await query(
+    `SELECT id
+     FROM roles
+     WHERE tenant_id = ?
+       AND code = 'TenantAdmin'
+     LIMIT 1`,
+    [tenantId]
+  );
+  const roleId = toNumber(roleRows.rows?.[0]?.id);
+  assert(roleId > 0, "TenantAdmin role not found for tenant");
+
+  await query(
+    `INSERT INTO user_role_scopes (
+        tenant_id, user_id, role_id, scope_type, scope_id, effect
+      )
+      VALUES (?, ?, ?, 'TENANT', ?, 'ALLOW')
+      ON DUPLICATE KEY UPDATE
+        effect = VALUES(effect)`,
+    [tenantId, userId, roleId, tenantId]
+  );
+}
+
+async function createTenantWithBudgetFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`GLBUD_T_${stamp}`, `GLBUD Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`GLBUD_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `GLBUD_G_${stamp}`, `GLBUD Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `GLBUD_G_${stamp}`],
+    "group company"
+  );
+
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `GLBUD_LE_${stamp}`, `GLBUD Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `GLBUD_LE_${stamp}`],
+    "legal entity"
+  );
+
+  const unitA = await insertAndFetchId(
+    `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name, unit_type)
+     VALUES (?, ?, 'IST', 'Istanbul', 'BRANCH')`,
+    [tenantId, legalEntityId],
+    `SELECT id FROM operating_units WHERE legal_entity_id = ? AND code = 'IST' LIMIT 1`,
+    [legalEntityId],
+    "operating unit IST"
+  );
+  const unitB = await insertAndFetchId(
+    `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name, unit_type)
+     VALUES (?, ?, 'ANK', 'Ankara', 'BRANCH')`,
+    [tenantId, legalEntityId],
+    `SELECT id FROM operating_units WHERE legal_entity_id = ? AND code = 'ANK' LIMIT 1`,
+    [legalEntityId],
+    "operating unit ANK"
+  );
+
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `GLBUD_CAL_${stamp}`, `GLBUD Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `GLBUD_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 1, '2026-01', '2026-01-01', '2026-01-31', FALSE),
+        (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE),
+        (?, 2027, 1, '2027-01', '2027-01-01', '2027-01-31', FALSE)`,
+    [calendarId, calendarId, calendarId]
+  );
+  const periodRows = await query(
+    `SELECT id, fiscal_year, period_no
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+     ORDER BY fiscal_year ASC, period_no ASC`,
+    [calendarId]
+  );
+  const periods = {
+    jan: toNumber(periodRows.rows?.[0]?.id),
+    feb: toNumber(periodRows.rows?.[1]?.id),
+    nextJan: toNumber(periodRows.rows?.[2]?.id),
+  };
+  assert(periods.jan > 0 && periods.feb > 0 && periods.nextJan > 0, "Failed to create periods");
+
+  const bookId = await insertAndFetchId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `GLBUD_BOOK_${stamp}`, `GLBUD Book ${stamp}`, currencyCode],
+    `SELECT id FROM books WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `GLBUD_BOOK_${stamp}`],
+    "book"
+  );
+
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `GLBUD_COA_${stamp}`, `GLBUD Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `GLBUD_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const accounts = {
+    bank: await insertAccount(coaId, "102", "Bankalar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, "600", "Yurtici Satislar", "REVENUE", "CREDIT"),
+    expense: await insertAccount(coaId, "770", "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+  };
+
+  const passwordHash = await bcrypt.hash("GLBUD#Smoke123", 10);
+  const userId = await createUser(tenantId, `glbud_user_${stamp}@example.com`, "GLBUD Maker", passwordHash);
+  const approverUserId = await createUser(
+    tenantId,
+    `glbud_approver_${stamp}@example.com`,
+    "GLBUD Checker",
+    passwordHash
+  );
+
+  return {
+    tenantId,
+    legalEntityId,
+    bookId,
+    currencyCode,
+    periods,
+    units: { ist: unitA, ank: unitB },
+    accounts,
+    userId,
+    approverUserId,
+  };
+}
+
+async function insertJournal(fixture, { fiscalPeriodId, entryDate, journalNo, status = "POSTED", lines }) {
+  const totalDebit = lines.reduce((sum, line) => sum + Number(line.debitBase || 0), 0);
+  const totalCredit = lines.reduce((sum, line) => sum + Number(line.creditBase || 0), 0);
+  const insertResult = await query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id
+     )
+     VALUES (?, ?, ?, ?, ?, 'MANUAL', ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.bookId,
+      fiscalPeriodId,
+      journalNo,
+      status,
+      entryDate,
+      entryDate,
+      fixture.currencyCode,
+      "Budget actuals fixture",
+      totalDebit,
+      totalCredit,
+      fixture.userId,
+    ]
+  );
+  const journalEntryId = toNumber(insertResult.rows?.insertId);
+  assert(journalEntryId > 0, "Failed to create journal fixture");
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    await query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          operating_unit_id,
+          description,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        line.operatingUnitId || null,
+        "Budget actuals fixture line",
+        fixture.currencyCode,
+        Number(line.debitBase || 0) - Number(line.creditBase || 0),
+        line.debitBase || 0,
+        line.creditBase || 0,
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+function findRow(report, { accountId, operatingUnitId = null, fiscalPeriodId = null }) {
+  return report.rows.find(
+    (row) =>
+      row.accountId === accountId &&
+      (row.operatingUnitId || null) === operatingUnitId &&
+      (row.fiscalPeriodId || null) === fiscalPeriodId
+  );
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithBudgetFixtures(stamp);
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  await assignTenantAdminRole({ tenantId: fixture.tenantId, userId: fixture.approverUserId });
+  const { accounts, periods, units } = fixture;
+
+  const original = await createGlBudgetVersion({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      bookId: fixture.bookId,
+      fiscalYear: 2026,
+      code: "B2026",
+      name: "Budget 2026",
+      versionType: "ORIGINAL",
+      baseVersionId: null,
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(original.status === "DRAFT", "New budget version should start as DRAFT");
+  assert(original.currencyCode === fixture.currencyCode, "Version currency should follow book");
+
+  await expectFailure(
+    () =>
+      createGlBudgetVersion({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          bookId: fixture.bookId,
+          fiscalYear: 2026,
+          code: "R1",
+          name: "Revision without base",
+          versionType: "REVISED",
+          baseVersionId: null,
+          note: null,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "baseVersionId is required" }
+  );
+
+  await upsertGlBudgetLines({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      versionId: original.id,
+      lines: [
+        { accountId: accounts.expense, operatingUnitId: units.ist, fiscalPeriodId: periods.jan, amount: 1000 },
+        { accountId: accounts.expense, operatingUnitId: units.ank, fiscalPeriodId: periods.jan, amount: 500 },
+        { accountId: accounts.revenue, operatingUnitId: null, fiscalPeriodId: periods.jan, amount: 5000 },
+      ],
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  await expectFailure(
+    () =>
+      upsertGlBudgetLines({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          versionId: original.id,
+          lines: [
+            { accountId: accounts.expense, operatingUnitId: null, fiscalPeriodId: periods.nextJan, amount: 1 },
+          ],
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "fiscal period of 2026" }
+  );
+
+  // CSV import reports every bad row and writes nothing when any row fails.
+  const badCsv = [
+    "account_code,operating_unit_code,period_no,amount",
+    "770,IST,2,1100",
+    "999,IST,2,10",
+    "770,XXX,2,10",
+    "600,,7,10",
+    "600,,2,abc",
+  ].join("\n");
+  const csvError = await expectFailure(
+    () =>
+      importGlBudgetLinesCsv({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          versionId: original.id,
+          csvText: badCsv,
+          mode: "MERGE",
+          dryRun: false,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "4 invalid row(s)" }
+  );
+  assert(csvError.details?.errors?.length === 4, "CSV error details should list each bad row");
+  assert(csvError.details.errors[0].rowNo === 3, "CSV errors should carry the file row number");
+
+  const goodCsv = [
+    "accountCode,operatingUnitCode,periodNo,amount,note",
+    "770,IST,2,1100,",
+    '770,ANK,2,"600",',
+    "600,,2,5200,uplift",
+    "770,IST,1,1000,",
+  ].join("\r\n");
+  const dryRun = await importGlBudgetLinesCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      versionId: original.id,
+      csvText: goodCsv,
+      mode: "MERGE",
+      dryRun: true,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(dryRun.rowCount === 4 && dryRun.version.lineCount === 3, "Dry run should not write lines");
+
+  const imported = await importGlBudgetLinesCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      versionId: original.id,
+      csvText: goodCsv,
+      mode: "MERGE",
+      dryRun: false,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(imported.version.lineCount === 6, "MERGE import should upsert over existing cells");
+  assert(imported.version.totalAmount === 13400, "Version total should include imported amounts");
+
+  const febLines = await listGlBudgetLines({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      versionId: original.id,
+      accountId: null,
+      operatingUnitId: null,
+      fiscalPeriodId: periods.feb,
+      limit: 100,
+      offset: 0,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(febLines.total === 3, "February should hold the three imported lines");
+
+  // Actuals: posted journals count, drafts do not.
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.jan,
+    entryDate: "2026-01-15",
+    journalNo: `GLBUD-${stamp}-1`,
+    lines: [
+      { accountId: accounts.expense, operatingUnitId: units.ist, debitBase: 600 },
+      { accountId: accounts.expense, operatingUnitId: units.ank, debitBase: 700 },
+      { accountId: accounts.bank, creditBase: 1300 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.jan,
+    entryDate: "2026-01-20",
+    journalNo: `GLBUD-${stamp}-2`,
+    lines: [
+      { accountId: accounts.bank, debitBase: 4000 },
+      { accountId: accounts.revenue, operatingUnitId: units.ist, creditBase: 3000 },
+      { accountId: accounts.revenue, operatingUnitId: units.ank, creditBase: 1000 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.jan,
+    entryDate: "2026-01-25",
+    journalNo: `GLBUD-${stamp}-3`,
+    status: "DRAFT",
+    lines: [
+      { accountId: accounts.expense, operatingUnitId: units.ist, debitBase: 9999 },
+      { accountId: accounts.bank, creditBase: 9999 },
+    ],
+  });
+
+  const report = await getGlBudgetVsActualReport({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      versionId: original.id,
+      fiscalPeriodId: null,
+      periodNoFrom: null,
+      periodNoTo: null,
+      accountId: null,
+      operatingUnitId: null,
+      groupBy: "ACCOUNT_UNIT_PERIOD",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const istJan = findRow(report, {
+    accountId: accounts.expense,
+    operatingUnitId: units.ist,
+    fiscalPeriodId: periods.jan,
+  });
+  assert(istJan, "Report should include expense/IST/January");
+  assert(istJan.budgetAmount === 1000 && istJan.actualAmount === 600, "IST January budget vs actual");
+  assert(istJan.varianceAmount === -400 && istJan.percentUsed === 60, "IST January variance and % used");
+  const ankJan = findRow(report, {
+    accountId: accounts.expense,
+    operatingUnitId: units.ank,
+    fiscalPeriodId: periods.jan,
+  });
+  assert(ankJan.actualAmount === 700 && ankJan.percentUsed === 140, "ANK January should be over budget");
+  const revenueJan = findRow(report, { accountId: accounts.revenue, fiscalPeriodId: periods.jan });
+  assert(revenueJan, "Revenue budgeted without a unit should roll up actuals of all units");
+  assert(revenueJan.actualAmount === 4000, "Revenue actuals should be credit-positive");
+  assert(revenueJan.percentUsed === 80, "Revenue % used should be 80");
+  assert(
+    !report.rows.some((row) => row.accountId === accounts.bank),
+    "Unbudgeted accounts should stay out of the report"
+  );
+  const expenseTotals = report.totalsByAccountType.find((row) => row.accountType === "EXPENSE");
+  assert(expenseTotals.budgetAmount === 3200 && expenseTotals.actualAmount === 1300, "Expense totals");
+
+  const byAccount = await getGlBudgetVsActualReport({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      versionId: original.id,
+      fiscalPeriodId: null,
+      periodNoFrom: 1,
+      periodNoTo: 1,
+      accountId: accounts.expense,
+      operatingUnitId: null,
+      groupBy: "ACCOUNT",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(byAccount.rows.length === 1, "ACCOUNT grouping with accountId filter should return one row");
+  assert(
+    byAccount.rows[0].budgetAmount === 1500 && byAccount.rows[0].actualAmount === 1300,
+    "January expense should aggregate across units"
+  );
+  const csv = buildGlBudgetVsActualCsv(byAccount);
+  assert(csv.includes("770,Genel Yonetim Giderleri,,,1500.00,1300.00,-200.00,86.67"), "CSV row");
+
+  const drill = await listGlBudgetActualLines({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      versionId: original.id,
+      accountId: accounts.expense,
+      fiscalPeriodId: periods.jan,
+      periodNoFrom: null,
+      periodNoTo: null,
+      operatingUnitId: units.ist,
+      withoutOperatingUnit: false,
+      limit: 50,
+      offset: 0,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(drill.total === 1 && drill.actualAmount === 600, "Drill-down should list the posted IST line");
+  assert(drill.rows[0].journalNo === `GLBUD-${stamp}-1`, "Drill-down should expose the journal number");
+
+  // No policy configured: approval applies immediately and locks the lines.
+  const approved = await approveGlBudgetVersion({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    versionId: original.id,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(approved.approval_required === false, "Without a GL policy approval should not be gated");
+  assert(approved.row.status === "APPROVED", "Version should be APPROVED");
+  await expectFailure(
+    () =>
+      upsertGlBudgetLines({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          versionId: original.id,
+          lines: [
+            { accountId: accounts.expense, operatingUnitId: null, fiscalPeriodId: periods.jan, amount: 1 },
+          ],
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 409, includes: "only be changed while DRAFT" }
+  );
+
+  // A revision copies its base; with a GL policy its approval goes through the request engine.
+  const revised = await createGlBudgetVersion({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      bookId: fixture.bookId,
+      fiscalYear: 2026,
+      code: "B2026-R1",
+      name: "Budget 2026 revision 1",
+      versionType: "REVISED",
+      baseVersionId: original.id,
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(revised.lineCount === 6 && revised.totalAmount === 13400, "Revision should copy base lines");
+
+  await createApprovalPolicy({
+    req: null,
+    input: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      policyCode: `GLBUD_${stamp}`,
+      policyName: "Budget version approval",
+      moduleCode: "GL",
+      status: "ACTIVE",
+      targetType: "BUDGET_VERSION",
+      actionType: "APPROVE",
+      scopeType: "LEGAL_ENTITY",
+      legalEntityId: fixture.legalEntityId,
+      bankAccountId: null,
+      currencyCode: fixture.currencyCode,
+      minAmount: 0,
+      maxAmount: null,
+      requiredApprovals: 1,
+      makerCheckerRequired: true,
+      approverPermissionCode: "approvals.requests.approve",
+      autoExecuteOnFinalApproval: true,
+      effectiveFrom: null,
+      effectiveTo: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const submitted = await approveGlBudgetVersion({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    versionId: revised.id,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(submitted.approval_required === true, "GL policy should gate budget approval");
+  assert(submitted.row.status === "PENDING_APPROVAL", "Gated version should be PENDING_APPROVAL");
+  const requestId = toNumber(submitted.approval_request?.id);
+  assert(requestId > 0 && submitted.row.approvalRequestId === requestId, "Request id should be stored");
+
+  // Returning to draft detaches the request; resubmitting opens a fresh one.
+  await returnGlBudgetVersionToDraft({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      versionId: revised.id,
+      note: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const resubmitted = await approveGlBudgetVersion({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    versionId: revised.id,
+    assertScopeAccess: noScopeGuard,
+  });
+  const resubmittedRequestId = toNumber(resubmitted.approval_request?.id);
+  assert(resubmittedRequestId > 0 && resubmittedRequestId !== requestId, "Resubmit should open a new request");
+
+  const finalApproval = await approveApprovalRequest({
+    req: null,
+    tenantId: fixture.tenantId,
+    requestId: resubmittedRequestId,
+    userId: fixture.approverUserId,
+    decisionComment: "budget approved",
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(
+    String(finalApproval?.item?.execution_status || "").toUpperCase() === "EXECUTED",
+    "Final approval should execute the budget approval"
+  );
+  const revisedAfter = await getGlBudgetVersionById({
+    req: null,
+    tenantId: fixture.tenantId,
+    versionId: revised.id,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(revisedAfter.status === "APPROVED", "Executed request should approve the revision");
+  assert(revisedAfter.approvedByUserId === fixture.approverUserId, "Approver should be recorded");
+
+  const listed = await listGlBudgetVersions({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      legalEntityId: fixture.legalEntityId,
+      bookId: null,
+      fiscalYear: 2026,
+      versionType: null,
+      status: "APPROVED",
+      limit: 50,
+      offset: 0,
+    },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(listed.total === 2, "Both versions should be listed as APPROVED");
+
+  console.log(
+    "GL budgets test passed (versions, CSV import, budget vs actual, drill-down, approval policy)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,490 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  deleteCashFlowMapping,
+  getGlCashFlowStatement,
+  listCashFlowMappings,
+  upsertCashFlowMappings,
+} from "../src/services/gl.cash-flow.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return error;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAndFetchId(insertSql, insertParams, selectSql, selectParams, label) {
+  await query(insertSql, insertParams);
+  const rows = await query(selectSql, selectParams);
+  const id = toNumber(rows.rows?.[0]?.id);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide, parentAccountId = null) {
+  return insertAndFetchId(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, ?, TRUE)`,
+    [coaId, code, name, accountType, normalSide, parentAccountId],
+    `SELECT id FROM accounts WHERE coa_id = ? AND code = ? LIMIT 1`,
+    [coaId, code],
+    `account ${code}`
+  );
+}
+
+async function createTenantWithCashFlowFixtures(stamp) {
+  const tenantId = await insertAndFetchId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`CF_T_${stamp}`, `CF Tenant ${stamp}`],
+    `SELECT id FROM tenants WHERE code = ? LIMIT 1`,
+    [`CF_T_${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertAndFetchId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `CF_G_${stamp}`, `CF Group ${stamp}`],
+    `SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CF_G_${stamp}`],
+    "group company"
+  );
+
+  const legalEntityId = await insertAndFetchId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `CF_LE_${stamp}`, `CF Legal Entity ${stamp}`, countryId, currencyCode],
+    `SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CF_LE_${stamp}`],
+    "legal entity"
+  );
+
+  const calendarId = await insertAndFetchId(
+    `INSERT INTO fiscal_calendars (tenant_id, code, name, year_start_month, year_start_day)
+     VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `CF_CAL_${stamp}`, `CF Calendar ${stamp}`],
+    `SELECT id FROM fiscal_calendars WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CF_CAL_${stamp}`],
+    "fiscal calendar"
+  );
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 1, '2026-01', '2026-01-01', '2026-01-31', FALSE),
+        (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId, calendarId]
+  );
+  const periodRows = await query(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+     ORDER BY fiscal_year ASC, period_no ASC`,
+    [calendarId]
+  );
+  const periods = {
+    jan: toNumber(periodRows.rows?.[0]?.id),
+    feb: toNumber(periodRows.rows?.[1]?.id),
+  };
+  assert(periods.jan > 0 && periods.feb > 0, "Failed to create periods");
+
+  const bookId = await insertAndFetchId(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `CF_BOOK_${stamp}`, `CF Book ${stamp}`, currencyCode],
+    `SELECT id FROM books WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CF_BOOK_${stamp}`],
+    "book"
+  );
+
+  const coaId = await insertAndFetchId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `CF_COA_${stamp}`, `CF Chart ${stamp}`],
+    `SELECT id FROM charts_of_accounts WHERE tenant_id = ? AND code = ? LIMIT 1`,
+    [tenantId, `CF_COA_${stamp}`],
+    "chart of accounts"
+  );
+  const liquidHeader = await insertAccount(coaId, "10", "Hazir Degerler", "ASSET", "DEBIT");
+  const receivableHeader = await insertAccount(coaId, "12", "Ticari Alacaklar", "ASSET", "DEBIT");
+  const accounts = {
+    liquidHeader,
+    receivableHeader,
+    cash: await insertAccount(coaId, "100", "Kasa", "ASSET", "DEBIT", liquidHeader),
+    bank: await insertAccount(coaId, "102", "Bankalar", "ASSET", "DEBIT", liquidHeader),
+    receivable: await insertAccount(coaId, "120", "Alicilar", "ASSET", "DEBIT", receivableHeader),
+    machinery: await insertAccount(coaId, "253", "Tesis Makine ve Cihazlar", "ASSET", "DEBIT"),
+    accumulated: await insertAccount(coaId, "257", "Birikmis Amortismanlar", "ASSET", "CREDIT"),
+    loan: await insertAccount(coaId, "300", "Banka Kredileri", "LIABILITY", "CREDIT"),
+    vat: await insertAccount(coaId, "391", "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+    capital: await insertAccount(coaId, "500", "Sermaye", "EQUITY", "CREDIT"),
+    revenue: await insertAccount(coaId, "600", "Yurtici Satislar", "REVENUE", "CREDIT"),
+    expense: await insertAccount(coaId, "770", "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+  };
+
+  const passwordHash = await bcrypt.hash("CF#Smoke123", 10);
+  const userId = await insertAndFetchId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `cf_user_${stamp}@example.com`, passwordHash, "CF Controller"],
+    `SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`,
+    [tenantId, `cf_user_${stamp}@example.com`],
+    "user"
+  );
+
+  return {
+    tenantId,
+    legalEntityId,
+    bookId,
+    currencyCode,
+    periods,
+    accounts,
+    userId,
+  };
+}
+
+async function insertJournal(
+  fixture,
+  { fiscalPeriodId, entryDate, journalNo, sourceType = "MANUAL", referenceNo = null, lines }
+) {
+  const total = lines.reduce((sum, line) => sum + Number(line.debitBase || 0), 0);
+  const insertResult = await query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id
+     )
+     VALUES (?, ?, ?, ?, ?, ?, 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.bookId,
+      fiscalPeriodId,
+      journalNo,
+      sourceType,
+      entryDate,
+      entryDate,
+      fixture.currencyCode,
+      "Cash-flow fixture",
+      referenceNo,
+      total,
+      total,
+      fixture.userId,
+    ]
+  );
+  const journalEntryId = toNumber(insertResult.rows?.insertId);
+  assert(journalEntryId > 0, "Failed to create journal fixture");
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    await query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          description,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        "Cash-flow fixture line",
+        fixture.currencyCode,
+        Number(line.debitBase || 0) - Number(line.creditBase || 0),
+        line.debitBase || 0,
+        line.creditBase || 0,
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+function findLine(section, lineCode) {
+  return section.lines.find((line) => line.lineCode === lineCode) || null;
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithCashFlowFixtures(stamp);
+  const { accounts, periods } = fixture;
+
+  await expectFailure(
+    () =>
+      upsertCashFlowMappings({
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          mappings: [{ accountId: accounts.revenue, category: "WORKING_CAPITAL", lineCode: null, lineName: null }],
+        },
+      }),
+    { status: 400, includes: "P&L account" }
+  );
+
+  const upserted = await upsertCashFlowMappings({
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      mappings: [
+        { accountId: accounts.liquidHeader, category: "CASH", lineCode: null, lineName: null },
+        {
+          accountId: accounts.receivableHeader,
+          category: "WORKING_CAPITAL",
+          lineCode: "TRADE_RECEIVABLES",
+          lineName: "Change in trade receivables",
+        },
+        { accountId: accounts.machinery, category: "INVESTING", lineCode: "PPE", lineName: "Purchase of PP&E" },
+        { accountId: accounts.accumulated, category: "NON_CASH", lineCode: "DEPRECIATION", lineName: "Depreciation" },
+        { accountId: accounts.loan, category: "FINANCING", lineCode: "BORROWINGS", lineName: "Bank loans" },
+        { accountId: accounts.capital, category: "FINANCING", lineCode: "EQUITY", lineName: "Capital" },
+      ],
+    },
+  });
+  assert(upserted.rows.length === 6, "Six cash-flow mappings should be stored");
+
+  const temporary = await upsertCashFlowMappings({
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      mappings: [{ accountId: accounts.vat, category: "FINANCING", lineCode: null, lineName: null }],
+    },
+  });
+  await deleteCashFlowMapping({
+    payload: { tenantId: fixture.tenantId, mappingId: temporary.rows[0].id },
+  });
+  const listed = await listCashFlowMappings({ tenantId: fixture.tenantId, filters: {} });
+  assert(listed.rows.length === 6, "Deleted mapping should no longer be listed");
+
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.jan,
+    entryDate: "2026-01-05",
+    journalNo: `CF-${stamp}-CAP`,
+    lines: [
+      { accountId: accounts.bank, debitBase: 1000 },
+      { accountId: accounts.capital, creditBase: 1000 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-01",
+    journalNo: `CF-${stamp}-CARRY`,
+    sourceType: "SYSTEM",
+    referenceNo: "PERIOD_CLOSE_RUN:1",
+    lines: [
+      { accountId: accounts.bank, debitBase: 1000 },
+      { accountId: accounts.capital, creditBase: 1000 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-03",
+    journalNo: `CF-${stamp}-SALE`,
+    lines: [
+      { accountId: accounts.receivable, debitBase: 1180 },
+      { accountId: accounts.revenue, creditBase: 1000 },
+      { accountId: accounts.vat, creditBase: 180 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-10",
+    journalNo: `CF-${stamp}-COLLECT`,
+    sourceType: "CASH",
+    lines: [
+      { accountId: accounts.cash, debitBase: 500 },
+      { accountId: accounts.receivable, creditBase: 500 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-11",
+    journalNo: `BAP-${stamp}`,
+    sourceType: "SYSTEM",
+    lines: [
+      { accountId: accounts.expense, debitBase: 50 },
+      { accountId: accounts.bank, creditBase: 50 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-12",
+    journalNo: `PAYB-${stamp}`,
+    sourceType: "SYSTEM",
+    lines: [
+      { accountId: accounts.machinery, debitBase: 2000 },
+      { accountId: accounts.bank, creditBase: 2000 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-13",
+    journalNo: `CF-${stamp}-LOAN`,
+    lines: [
+      { accountId: accounts.bank, debitBase: 3000 },
+      { accountId: accounts.loan, creditBase: 3000 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-28",
+    journalNo: `CF-${stamp}-DEP`,
+    lines: [
+      { accountId: accounts.expense, debitBase: 100 },
+      { accountId: accounts.accumulated, creditBase: 100 },
+    ],
+  });
+  await insertJournal(fixture, {
+    fiscalPeriodId: periods.feb,
+    entryDate: "2026-02-20",
+    journalNo: `CF-${stamp}-XFER`,
+    lines: [
+      { accountId: accounts.cash, debitBase: 200 },
+      { accountId: accounts.bank, creditBase: 200 },
+    ],
+  });
+
+  const baseFilters = {
+    bookId: fixture.bookId,
+    fiscalPeriodId: periods.feb,
+    includeZero: false,
+  };
+  const indirect = await getGlCashFlowStatement({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { ...baseFilters, method: "INDIRECT" },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(indirect.method === "INDIRECT", "Default statement should be INDIRECT");
+  assert(indirect.operating.netIncome === 850, "Net income should be 1000 - 50 - 100");
+  assert(findLine(indirect.operating.adjustments, "DEPRECIATION")?.amount === 100, "Depreciation should be added back");
+  assert(
+    findLine(indirect.operating.workingCapital, "TRADE_RECEIVABLES")?.amount === -680,
+    "Receivable increase should reduce operating cash via the header mapping"
+  );
+  assert(indirect.operating.unclassified.total === 180, "Unmapped VAT movement should be unclassified");
+  assert(
+    indirect.unmappedAccounts.length === 1 && indirect.unmappedAccounts[0].accountId === accounts.vat,
+    "VAT account should be reported as unmapped"
+  );
+  assert(indirect.operating.total === 450, "Operating cash flow should be 450");
+  assert(indirect.investing.total === -2000, "Investing cash flow should be -2000");
+  assert(indirect.financing.total === 3000, "Financing should exclude the carry-forward journal");
+  assert(indirect.netCashFlow === 1450, "Net cash flow should be 1450");
+  assert(
+    indirect.cash.opening === 1000 && indirect.cash.movement === 1450 && indirect.cash.closing === 2450,
+    "Cash summary should roll January activity into the opening balance"
+  );
+  assert(indirect.reconciliationDelta === 0, "Indirect statement should reconcile to cash accounts");
+
+  const direct = await getGlCashFlowStatement({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { ...baseFilters, method: "DIRECT" },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(direct.method === "DIRECT", "DIRECT statement should be returned");
+  assert(
+    findLine(direct.operating, "TRADE_RECEIVABLES")?.inflow === 500,
+    "Customer collection should be an operating inflow"
+  );
+  assert(
+    findLine(direct.operating, "EXPENSE_PAYMENTS")?.outflow === 50,
+    "Bank fee should be an operating outflow"
+  );
+  assert(direct.operating.total === 450, "Direct operating cash flow should be 450");
+  assert(direct.investing.total === -2000, "Direct investing cash flow should be -2000");
+  assert(direct.financing.total === 3000, "Direct financing cash flow should be 3000");
+  assert(direct.internalTransferCount === 1, "Cash to bank transfer should be an internal transfer");
+  assert(direct.reconciliationDelta === 0, "Direct statement should reconcile to cash accounts");
+  const sources = new Map(direct.bySource.map((item) => [item.source, item]));
+  assert(sources.get("CASH")?.netCashFlow === 500, "CASH source should carry the collection");
+  assert(sources.get("BANK_AUTO_POSTING")?.netCashFlow === -50, "Bank auto-posting should carry the fee");
+  assert(sources.get("PAYMENT_BATCH")?.netCashFlow === -2000, "Payment batch should carry the purchase");
+  assert(sources.get("OTHER")?.netCashFlow === 3000, "Manual loan journal should be OTHER");
+
+  await expectFailure(
+    () =>
+      getGlCashFlowStatement({
+        req: null,
+        tenantId: fixture.tenantId,
+        filters: { ...baseFilters, fiscalPeriodId: 999999999, method: "INDIRECT" },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "fiscalPeriodId not found" }
+  );
+
+  console.log("GL cash-flow test passed (mappings, indirect and direct statements, opening cash).");
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,729 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { createTaxCode } from "../src/services/gl.tax-codes.service.js";
+import {
+  createCariDraftDocument,
+  postCariDocumentById,
+  reverseCariPostedDocumentById,
+} from "../src/services/cari.document.service.js";
+import {
+  buildKdvReturnCsv,
+  createKdvBoxMapping,
+  getKdvReturnReport,
+  listKdvReturnLines,
+  updateKdvBoxMappingById,
+} from "../src/services/gl.kdv-return.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide]
+  );
+  const rows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [coaId, code]
+  );
+  const accountId = toNumber(rows.rows?.[0]?.id);
+  assert(accountId > 0, `Failed to create account fixture ${code}`);
+  return accountId;
+}
+
+async function createTenantWithTaxFixtures(stamp) {
+  const tenantCode = `KDVR_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `KDVR Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `KDVR_G_${stamp}`, `KDVR Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVR_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `KDVR_LE_${stamp}`, `KDVR Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVR_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `KDVR_CAL_${stamp}`, `KDVR Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVR_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE)`,
+    [calendarId, calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `KDVR_BOOK_${stamp}`, `KDVR Book ${stamp}`, currencyCode]
+  );
+  const bookRows = await query(
+    `SELECT id
+     FROM books
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVR_BOOK_${stamp}`]
+  );
+  const bookId = toNumber(bookRows.rows?.[0]?.id);
+  assert(bookId > 0, "Failed to create book fixture");
+
+  const periodRows = await query(
+    `SELECT id, period_no
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+     ORDER BY period_no ASC`,
+    [calendarId]
+  );
+  const marchPeriodId = toNumber(periodRows.rows?.[0]?.id);
+  const aprilPeriodId = toNumber(periodRows.rows?.[1]?.id);
+  assert(marchPeriodId > 0 && aprilPeriodId > 0, "Failed to create fiscal period fixtures");
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `KDVR_COA_${stamp}`, `KDVR Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVR_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    inputVat: await insertAccount(coaId, `191${stamp}`, "Indirilecek KDV", "ASSET", "DEBIT"),
+    outputVat: await insertAccount(coaId, `391${stamp}`, "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+    withheldVat: await insertAccount(coaId, `360${stamp}`, "Odenecek Vergi ve Fonlar", "LIABILITY", "CREDIT"),
+    withheldSalesVat: await insertAccount(coaId, `136${stamp}`, "Tevkif Edilen KDV", "ASSET", "DEBIT"),
+  };
+
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        default_currency_code,
+        status
+     )
+     VALUES (?, ?, ?, ?, TRUE, TRUE, ?, 'ACTIVE')`,
+    [tenantId, legalEntityId, `KDVRCP${stamp}`, `KDVR Counterparty ${stamp}`, currencyCode]
+  );
+  const counterpartyRows = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVRCP${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyRows.rows?.[0]?.id);
+  assert(counterpartyId > 0, "Failed to create counterparty fixture");
+
+  const passwordHash = await bcrypt.hash("KDVR#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `kdvr_user_${stamp}@example.com`, passwordHash, "KDVR User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `kdvr_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    bookId,
+    marchPeriodId,
+    aprilPeriodId,
+    counterpartyId,
+    userId,
+    currencyCode,
+    accounts,
+  };
+}
+
+async function createAndPostDocument(fixture, overrides) {
+  const draft = await createCariDraftDocument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      counterpartyId: fixture.counterpartyId,
+      paymentTermId: null,
+      direction: "AR",
+      documentType: "INVOICE",
+      documentDate: "2026-03-10",
+      dueDate: "2026-04-10",
+      amountTxn: "1200.000000",
+      amountBase: "1200.000000",
+      currencyCode: fixture.currencyCode,
+      fxRate: null,
+      taxCode: "KDV20",
+      ...overrides,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const posted = await postCariDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: draft.id,
+      useFxOverride: false,
+      fxOverrideReason: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  return { draft, posted };
+}
+
+async function insertManualPostedJournal(fixture, { fiscalPeriodId, entryDate, journalNo, lines }) {
+  const totalDebit = lines.reduce((sum, line) => sum + Number(line.debitBase || 0), 0);
+  const totalCredit = lines.reduce((sum, line) => sum + Number(line.creditBase || 0), 0);
+  const insertResult = await query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at
+     )
+     VALUES (?, ?, ?, ?, ?, 'MANUAL', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      fixture.tenantId,
+      fixture.legalEntityId,
+      fixture.bookId,
+      fiscalPeriodId,
+      journalNo,
+      entryDate,
+      entryDate,
+      fixture.currencyCode,
+      "KDV return manual fixture",
+      totalDebit,
+      totalCredit,
+      fixture.userId,
+      fixture.userId,
+    ]
+  );
+  const journalEntryId = toNumber(insertResult.rows?.insertId);
+  assert(journalEntryId > 0, "Failed to create manual journal fixture");
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    await query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          description,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base,
+          tax_code
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        "KDV return manual fixture line",
+        fixture.currencyCode,
+        Number(line.debitBase || 0) - Number(line.creditBase || 0),
+        line.debitBase || 0,
+        line.creditBase || 0,
+        line.taxCode || null,
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+async function createMapping(fixture, payload) {
+  return createKdvBoxMapping({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      taxCode: null,
+      accountId: null,
+      amountBasis: "TAX",
+      sortOrder: 0,
+      status: "ACTIVE",
+      ...payload,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function loadReport(fixture, fiscalPeriodId) {
+  return getKdvReturnReport({
+    req: null,
+    tenantId: fixture.tenantId,
+    bookId: fixture.bookId,
+    fiscalPeriodId,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function findBox(report, boxCode) {
+  const box = report.boxes.find((row) => row.boxCode === boxCode);
+  assert(box, `Expected box ${boxCode} in report`);
+  return box;
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithTaxFixtures(stamp);
+
+  await createTaxCode({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      code: "KDV20",
+      name: "KDV %20",
+      taxType: "VAT",
+      ratePct: 20,
+      deductiblePct: 100,
+      inputAccountId: fixture.accounts.inputVat,
+      outputAccountId: fixture.accounts.outputVat,
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      status: "ACTIVE",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  await createMapping(fixture, {
+    boxCode: "OUT_KDV20",
+    boxName: "Teslim ve hizmetler %20",
+    section: "OUTPUT",
+    taxCode: "KDV20",
+    amountBasis: "BASE",
+    sortOrder: 10,
+  });
+  await createMapping(fixture, {
+    boxCode: "OUT_KDV20",
+    boxName: "Teslim ve hizmetler %20",
+    section: "OUTPUT",
+    taxCode: "KDV20",
+    amountBasis: "TAX",
+    sortOrder: 10,
+  });
+  const inputTaxMapping = await createMapping(fixture, {
+    boxCode: "IN_KDV20",
+    boxName: "Indirilecek KDV %20",
+    section: "INPUT",
+    taxCode: "KDV20",
+    amountBasis: "TAX",
+    sortOrder: 20,
+  });
+  await createMapping(fixture, {
+    boxCode: "WHT_360",
+    boxName: "Sorumlu sifatiyla beyan edilen KDV",
+    section: "WITHHOLDING",
+    accountId: fixture.accounts.withheldVat,
+    sortOrder: 30,
+  });
+  await createMapping(fixture, {
+    boxCode: "WHT_SALES",
+    boxName: "Kismi tevkifat uygulanan islemler",
+    section: "WITHHOLDING",
+    accountId: fixture.accounts.withheldSalesVat,
+    sortOrder: 40,
+  });
+
+  await expectFailure(
+    () =>
+      createMapping(fixture, {
+        boxCode: "IN_KDV20",
+        boxName: "Duplicate",
+        section: "INPUT",
+        taxCode: "KDV20",
+        amountBasis: "TAX",
+      }),
+    { status: 400, includes: "already has an ACTIVE mapping" }
+  );
+  await expectFailure(
+    () =>
+      createMapping(fixture, {
+        boxCode: "IN_KDV20",
+        boxName: "Wrong section",
+        section: "OUTPUT",
+        taxCode: "KDV20",
+        amountBasis: "BASE",
+      }),
+    { status: 400, includes: "already mapped under section" }
+  );
+  await expectFailure(
+    () =>
+      createMapping(fixture, {
+        boxCode: "OUT_UNKNOWN",
+        boxName: "Unknown code",
+        section: "OUTPUT",
+        taxCode: "KDV99",
+      }),
+    { status: 400, includes: "not found for legalEntityId" }
+  );
+
+  // March: output 200 on 1000 base, input 600 on 3000 base -> 400 carried forward.
+  await createAndPostDocument(fixture, {});
+  const marchAp = await createAndPostDocument(fixture, {
+    direction: "AP",
+    amountTxn: "3600.000000",
+    amountBase: "3600.000000",
+  });
+
+  const march = await loadReport(fixture, fixture.marchPeriodId);
+  assert(march.isFinal === false, "Open period should not be final");
+  assert(march.periodStatus === "OPEN", "March should default to OPEN status");
+  assert(findBox(march, "OUT_KDV20").baseAmount === 1000, "March output base should be 1000");
+  assert(findBox(march, "OUT_KDV20").taxAmount === 200, "March output tax should be 200");
+  assert(findBox(march, "IN_KDV20").taxAmount === 600, "March input tax should be 600");
+  assert(march.summary.carryForwardIn === 0, "March should have no carry-forward in");
+  assert(march.summary.payableTax === 0, "March should have nothing payable");
+  assert(march.summary.carryForwardOut === 400, "March should carry forward 400");
+  assert(
+    march.unmappedRows.some((row) => row.side === "INPUT" && row.basis === "BASE"),
+    "Unmapped AP base lines should be surfaced"
+  );
+
+  // April: output 1000 + 200, carry-forward 400; an AP invoice posted and reversed in April
+  // nets out. The tevkifatli sale has 160 of its 200 VAT withheld by the customer, which
+  // leaves the payable; the tevkifatli purchase deducts its full 100 input VAT and adds 50
+  // to the sorumlu sifatiyla (KDV-2) withholding next to the manual 90 -> 540 payable.
+  await createAndPostDocument(fixture, {
+    documentDate: "2026-04-10",
+    dueDate: "2026-05-10",
+    amountTxn: "6000.000000",
+    amountBase: "6000.000000",
+  });
+  const aprilAp = await createAndPostDocument(fixture, {
+    direction: "AP",
+    documentDate: "2026-04-12",
+    dueDate: "2026-05-12",
+  });
+  await reverseCariPostedDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: aprilAp.posted.row.id,
+      reason: "KDV return reversal test",
+      reversalDate: "2026-04-20",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  await insertManualPostedJournal(fixture, {
+    fiscalPeriodId: fixture.aprilPeriodId,
+    entryDate: "2026-04-25",
+    journalNo: `KDVR-WHT-${stamp}`,
+    lines: [
+      { accountId: fixture.accounts.apControl, debitBase: 90 },
+      { accountId: fixture.accounts.withheldVat, creditBase: 90 },
+    ],
+  });
+  await insertManualPostedJournal(fixture, {
+    fiscalPeriodId: fixture.aprilPeriodId,
+    entryDate: "2026-04-26",
+    journalNo: `KDVR-WHT-SALE-${stamp}`,
+    lines: [
+      { accountId: fixture.accounts.arControl, debitBase: 1040 },
+      { accountId: fixture.accounts.withheldSalesVat, debitBase: 160 },
+      { accountId: fixture.accounts.revenue, creditBase: 1000, taxCode: "KDV20" },
+      { accountId: fixture.accounts.outputVat, creditBase: 200, taxCode: "KDV20" },
+    ],
+  });
+  await insertManualPostedJournal(fixture, {
+    fiscalPeriodId: fixture.aprilPeriodId,
+    entryDate: "2026-04-27",
+    journalNo: `KDVR-WHT-PURCHASE-${stamp}`,
+    lines: [
+      { accountId: fixture.accounts.expense, debitBase: 500, taxCode: "KDV20" },
+      { accountId: fixture.accounts.inputVat, debitBase: 100, taxCode: "KDV20" },
+      { accountId: fixture.accounts.withheldVat, creditBase: 50 },
+      { accountId: fixture.accounts.apControl, creditBase: 550 },
+    ],
+  });
+
+  const april = await loadReport(fixture, fixture.aprilPeriodId);
+  assert(findBox(april, "OUT_KDV20").taxAmount === 1200, "April output tax should be 1200");
+  assert(
+    findBox(april, "IN_KDV20").taxAmount === 100,
+    "Reversed AP invoice should net to zero, leaving the tevkifatli purchase VAT"
+  );
+  assert(findBox(april, "WHT_SALES").taxAmount === 160, "Sales withholding box should be 160");
+  assert(findBox(april, "WHT_360").taxAmount === 140, "Purchase withholding box should be 140");
+  assert(april.summary.carryForwardIn === 400, "April should carry 400 in from March");
+  assert(april.summary.salesWithholdingTax === 160, "April sales withholding should be 160");
+  assert(april.summary.withholdingTax === 140, "April KDV-2 withholding should be 140");
+  assert(
+    april.summary.payableTax === 540,
+    "April payable should net the sales withholding off output VAT"
+  );
+  assert(april.summary.carryForwardOut === 0, "April should carry nothing forward");
+  assert(april.carryForwardIsFinal === false, "Carry-forward from an OPEN March is not final");
+
+  const csv = buildKdvReturnCsv(april);
+  assert(
+    csv.split("\n")[0] === "section,box_code,box_name,base_amount,tax_amount,tax_codes",
+    "CSV header mismatch"
+  );
+  assert(csv.includes("SUMMARY,payableTax,,,540.00,"), "CSV should include payable summary row");
+
+  // Drill-down to journal lines and cari documents.
+  const inputLines = await listKdvReturnLines({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      bookId: fixture.bookId,
+      fiscalPeriodId: fixture.marchPeriodId,
+      boxCode: "IN_KDV20",
+      taxCode: null,
+      limit: 100,
+      offset: 0,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(inputLines.total === 1, "March input box should drill down to one VAT line");
+  assert(
+    inputLines.rows[0].cariDocumentId === marchAp.posted.row.id,
+    "Drill-down line should link back to the AP cari document"
+  );
+  assert(inputLines.rows[0].debitBase === 600, "Drill-down line should carry the VAT amount");
+
+  const withholdingLines = await listKdvReturnLines({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: {
+      bookId: fixture.bookId,
+      fiscalPeriodId: fixture.aprilPeriodId,
+      boxCode: "WHT_360",
+      taxCode: null,
+      limit: 100,
+      offset: 0,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(withholdingLines.total === 2, "Withholding box should drill down to both 360 lines");
+  assert(withholdingLines.rows[0].cariDocumentId === null, "Manual journal has no cari document");
+  assert(
+    withholdingLines.rows[0].side === null && withholdingLines.rows[1].side === "INPUT",
+    "Withholding lines should take the side of their journal"
+  );
+
+  // Closing March makes it final and deactivating a mapping moves amounts to unmapped.
+  await query(
+    `INSERT INTO period_statuses (book_id, fiscal_period_id, status, closed_by_user_id, closed_at)
+     VALUES (?, ?, 'SOFT_CLOSED', ?, CURRENT_TIMESTAMP)`,
+    [fixture.bookId, fixture.marchPeriodId, fixture.userId]
+  );
+  const closedMarch = await loadReport(fixture, fixture.marchPeriodId);
+  assert(closedMarch.isFinal === true, "SOFT_CLOSED period should be final");
+  const aprilAfterClose = await loadReport(fixture, fixture.aprilPeriodId);
+  assert(aprilAfterClose.carryForwardIsFinal === true, "Carry-forward from closed March is final");
+
+  await updateKdvBoxMappingById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      mappingId: inputTaxMapping.id,
+      status: "INACTIVE",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const marchWithoutInput = await loadReport(fixture, fixture.marchPeriodId);
+  assert(
+    marchWithoutInput.summary.payableTax === 200,
+    "Without an input mapping March output should become payable"
+  );
+  assert(
+    marchWithoutInput.unmappedRows.some((row) => row.side === "INPUT" && row.basis === "TAX"),
+    "Input VAT should surface as unmapped once its mapping is inactive"
+  );
+
+  console.log(
+    "GL KDV return test passed (box mappings, output/input split, carry-forward, withholding, drill-down, period finality)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,600 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  createTaxCode,
+  listTaxCodes,
+  splitGrossAmountByTaxRate,
+  updateTaxCodeById,
+} from "../src/services/gl.tax-codes.service.js";
+import {
+  createCariDraftDocument,
+  postCariDocumentById,
+  reverseCariPostedDocumentById,
+} from "../src/services/cari.document.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return 0;
+  }
+  return Number(parsed.toFixed(6));
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertAccount(coaId, code, name, accountType, normalSide) {
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, ?, ?, TRUE, NULL, TRUE)`,
+    [coaId, code, name, accountType, normalSide]
+  );
+  const rows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [coaId, code]
+  );
+  const accountId = toNumber(rows.rows?.[0]?.id);
+  assert(accountId > 0, `Failed to create account fixture ${code}`);
+  return accountId;
+}
+
+async function createTenantWithTaxFixtures(stamp) {
+  const tenantCode = `KDV_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `KDV Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `KDV_G_${stamp}`, `KDV Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDV_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `KDV_LE_${stamp}`, `KDV Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDV_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `KDV_CAL_${stamp}`, `KDV Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDV_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES
+        (?, 2026, 3, '2026-03', '2026-03-01', '2026-03-31', FALSE),
+        (?, 2026, 4, '2026-04', '2026-04-01', '2026-04-30', FALSE)`,
+    [calendarId, calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [tenantId, legalEntityId, calendarId, `KDV_BOOK_${stamp}`, `KDV Book ${stamp}`, currencyCode]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `KDV_COA_${stamp}`, `KDV Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDV_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  const accounts = {
+    arControl: await insertAccount(coaId, `120${stamp}`, "Alicilar", "ASSET", "DEBIT"),
+    revenue: await insertAccount(coaId, `600${stamp}`, "Yurtici Satislar", "REVENUE", "CREDIT"),
+    apControl: await insertAccount(coaId, `320${stamp}`, "Saticilar", "LIABILITY", "CREDIT"),
+    expense: await insertAccount(coaId, `770${stamp}`, "Genel Yonetim Giderleri", "EXPENSE", "DEBIT"),
+    inputVat: await insertAccount(coaId, `191${stamp}`, "Indirilecek KDV", "ASSET", "DEBIT"),
+    outputVat: await insertAccount(coaId, `391${stamp}`, "Hesaplanan KDV", "LIABILITY", "CREDIT"),
+  };
+
+  for (const [purposeCode, accountId] of [
+    ["CARI_AR_CONTROL", accounts.arControl],
+    ["CARI_AR_OFFSET", accounts.revenue],
+    ["CARI_AP_CONTROL", accounts.apControl],
+    ["CARI_AP_OFFSET", accounts.expense],
+  ]) {
+    await query(
+      `INSERT INTO journal_purpose_accounts (tenant_id, legal_entity_id, purpose_code, account_id)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, purposeCode, accountId]
+    );
+  }
+
+  await query(
+    `INSERT INTO counterparties (
+        tenant_id,
+        legal_entity_id,
+        code,
+        name,
+        is_customer,
+        is_vendor,
+        default_currency_code,
+        status
+     )
+     VALUES (?, ?, ?, ?, TRUE, TRUE, ?, 'ACTIVE')`,
+    [tenantId, legalEntityId, `KDVCP${stamp}`, `KDV Counterparty ${stamp}`, currencyCode]
+  );
+  const counterpartyRows = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `KDVCP${stamp}`]
+  );
+  const counterpartyId = toNumber(counterpartyRows.rows?.[0]?.id);
+  assert(counterpartyId > 0, "Failed to create counterparty fixture");
+
+  const passwordHash = await bcrypt.hash("KDV#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `kdv_user_${stamp}@example.com`, passwordHash, "KDV User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `kdv_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    counterpartyId,
+    userId,
+    currencyCode,
+    accounts,
+  };
+}
+
+async function loadJournalLines(journalEntryId) {
+  const result = await query(
+    `SELECT line_no, account_id, debit_base, credit_base, amount_txn, tax_code
+     FROM journal_lines
+     WHERE journal_entry_id = ?
+     ORDER BY line_no ASC`,
+    [journalEntryId]
+  );
+  return result.rows || [];
+}
+
+function findLine(lines, accountId, taxCode) {
+  return lines.find(
+    (line) =>
+      toNumber(line.account_id) === accountId && (line.tax_code || null) === (taxCode || null)
+  );
+}
+
+async function createAndPostDocument(fixture, overrides) {
+  const draft = await createCariDraftDocument({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      counterpartyId: fixture.counterpartyId,
+      paymentTermId: null,
+      direction: "AR",
+      documentType: "INVOICE",
+      documentDate: "2026-03-10",
+      dueDate: "2026-04-10",
+      amountTxn: "1200.000000",
+      amountBase: "1200.000000",
+      currencyCode: fixture.currencyCode,
+      fxRate: null,
+      taxCode: "KDV20",
+      ...overrides,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const posted = await postCariDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: draft.id,
+      useFxOverride: false,
+      fxOverrideReason: null,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  return { draft, posted };
+}
+
+async function main() {
+  const split = splitGrossAmountByTaxRate(1200, 20);
+  assert(split.netAmount === 1000 && split.taxAmount === 200, "20% split of 1200 should be 1000/200");
+  const oddSplit = splitGrossAmountByTaxRate(100, 18, 50);
+  assert(
+    oddSplit.taxAmount === 15.25 && oddSplit.netAmount === 84.75,
+    "18% split of 100 should round VAT to kurus and leave the remainder on net"
+  );
+  assert(
+    oddSplit.deductibleTaxAmount === 7.63 && oddSplit.nonDeductibleTaxAmount === 7.62,
+    "Deductible share should be rounded to kurus"
+  );
+  assert(
+    toAmount(oddSplit.netAmount + oddSplit.taxAmount) === 100,
+    "Net + tax should always tie back to gross"
+  );
+  assert(
+    toAmount(oddSplit.deductibleTaxAmount + oddSplit.nonDeductibleTaxAmount) ===
+      toAmount(oddSplit.taxAmount),
+    "Deductible + non-deductible tax should equal tax amount"
+  );
+
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+  const stamp = Date.now();
+  const fixture = await createTenantWithTaxFixtures(stamp);
+  const taxCodePayload = {
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    legalEntityId: fixture.legalEntityId,
+    taxType: "VAT",
+    deductiblePct: 100,
+    inputAccountId: fixture.accounts.inputVat,
+    outputAccountId: fixture.accounts.outputVat,
+    effectiveTo: null,
+    status: "ACTIVE",
+  };
+
+  const legacyVersion = await createTaxCode({
+    req: null,
+    payload: {
+      ...taxCodePayload,
+      code: "KDV20",
+      name: "KDV %18 (legacy)",
+      ratePct: 18,
+      effectiveFrom: "2020-01-01",
+      effectiveTo: "2026-02-28",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  await createTaxCode({
+    req: null,
+    payload: {
+      ...taxCodePayload,
+      code: "KDV20",
+      name: "KDV %20",
+      ratePct: 20,
+      effectiveFrom: "2026-03-01",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  await createTaxCode({
+    req: null,
+    payload: {
+      ...taxCodePayload,
+      code: "KDV20K50",
+      name: "KDV %20 (50% deductible)",
+      ratePct: 20,
+      deductiblePct: 50,
+      effectiveFrom: "2026-01-01",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  await expectFailure(
+    () =>
+      createTaxCode({
+        req: null,
+        payload: {
+          ...taxCodePayload,
+          code: "KDV20",
+          name: "Overlapping",
+          ratePct: 20,
+          effectiveFrom: "2026-06-01",
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "overlapping" }
+  );
+  await expectFailure(
+    () =>
+      updateTaxCodeById({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          taxCodeId: legacyVersion.id,
+          effectiveTo: null,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "overlapping" }
+  );
+
+  const effectiveList = await listTaxCodes({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, asOfDate: "2026-03-10", limit: 50, offset: 0 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  const effectiveKdv20 = effectiveList.rows.filter((row) => row.code === "KDV20");
+  assert(effectiveKdv20.length === 1, "Only one KDV20 version should be effective on 2026-03-10");
+  assert(effectiveKdv20[0].ratePct === 20, "Effective KDV20 version should carry 20%");
+
+  // AR invoice: Dr control 1200 / Cr revenue 1000 / Cr output VAT 200.
+  const arInvoice = await createAndPostDocument(fixture, {});
+  assert(arInvoice.draft.taxAmountTxn === 200, "Draft should preview the tax split");
+  assert(arInvoice.posted.row.netAmountBase === 1000, "Posted document should store net base");
+  assert(arInvoice.posted.row.taxAmountBase === 200, "Posted document should store tax base");
+  const arLines = await loadJournalLines(arInvoice.posted.journal.journalEntryId);
+  assert(arLines.length === 3, "AR taxed invoice should post 3 journal lines");
+  assert(
+    toAmount(findLine(arLines, fixture.accounts.arControl, null)?.debit_base) === 1200,
+    "AR control should be debited gross"
+  );
+  assert(
+    toAmount(findLine(arLines, fixture.accounts.revenue, "KDV20")?.credit_base) === 1000,
+    "Revenue should be credited net and tagged with tax code"
+  );
+  assert(
+    toAmount(findLine(arLines, fixture.accounts.outputVat, "KDV20")?.credit_base) === 200,
+    "Output VAT should be credited tax amount"
+  );
+
+  // AR credit note mirrors the split on the opposite sides.
+  const arCreditNote = await createAndPostDocument(fixture, {
+    documentType: "CREDIT_NOTE",
+    dueDate: null,
+    amountTxn: "600.000000",
+    amountBase: "600.000000",
+  });
+  const creditLines = await loadJournalLines(arCreditNote.posted.journal.journalEntryId);
+  assert(
+    toAmount(findLine(creditLines, fixture.accounts.outputVat, "KDV20")?.debit_base) === 100,
+    "Credit note should debit output VAT"
+  );
+  assert(
+    toAmount(findLine(creditLines, fixture.accounts.revenue, "KDV20")?.debit_base) === 500,
+    "Credit note should debit revenue net"
+  );
+
+  // AP invoice with 50% deductible: half of the VAT is expensed.
+  const apInvoice = await createAndPostDocument(fixture, {
+    direction: "AP",
+    taxCode: "KDV20K50",
+  });
+  const apLines = await loadJournalLines(apInvoice.posted.journal.journalEntryId);
+  assert(apLines.length === 4, "AP partially deductible invoice should post 4 journal lines");
+  assert(
+    toAmount(findLine(apLines, fixture.accounts.inputVat, "KDV20K50")?.debit_base) === 100,
+    "Input VAT should be debited deductible tax"
+  );
+  assert(
+    toAmount(findLine(apLines, fixture.accounts.expense, "KDV20K50")?.debit_base) === 1000,
+    "Expense should be debited net"
+  );
+  assert(
+    toAmount(findLine(apLines, fixture.accounts.expense, null)?.debit_base) === 100,
+    "Non-deductible VAT should be expensed without tax code"
+  );
+  assert(
+    toAmount(findLine(apLines, fixture.accounts.apControl, null)?.credit_base) === 1200,
+    "AP control should be credited gross"
+  );
+
+  // Non-round gross: VAT lines carry kurus amounts and net absorbs the remainder.
+  const oddArInvoice = await createAndPostDocument(fixture, {
+    amountTxn: "100.000000",
+    amountBase: "100.000000",
+  });
+  assert(
+    oddArInvoice.posted.row.taxAmountBase === 16.67 &&
+      oddArInvoice.posted.row.netAmountBase === 83.33,
+    "Posted non-round document should store kurus VAT and the net remainder"
+  );
+  const oddArLines = await loadJournalLines(oddArInvoice.posted.journal.journalEntryId);
+  assert(
+    toAmount(findLine(oddArLines, fixture.accounts.outputVat, "KDV20")?.credit_base) === 16.67,
+    "Output VAT on a non-round invoice should be rounded to kurus"
+  );
+  assert(
+    toAmount(findLine(oddArLines, fixture.accounts.revenue, "KDV20")?.credit_base) === 83.33,
+    "Revenue should take the net remainder"
+  );
+  const oddApInvoice = await createAndPostDocument(fixture, {
+    direction: "AP",
+    taxCode: "KDV20K50",
+    amountTxn: "100.000000",
+    amountBase: "100.000000",
+  });
+  const oddApLines = await loadJournalLines(oddApInvoice.posted.journal.journalEntryId);
+  assert(
+    toAmount(findLine(oddApLines, fixture.accounts.inputVat, "KDV20K50")?.debit_base) === 8.34,
+    "Deductible input VAT should be rounded to kurus"
+  );
+  assert(
+    toAmount(findLine(oddApLines, fixture.accounts.expense, null)?.debit_base) === 8.33,
+    "Non-deductible VAT should take the rest of the kurus VAT"
+  );
+
+  // Reversal copies tax codes onto the swapped lines.
+  const reversed = await reverseCariPostedDocumentById({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      documentId: arInvoice.posted.row.id,
+      reason: "KDV reversal test",
+      reversalDate: "2026-04-05",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(reversed.row.taxCode === "KDV20", "Reversal document should keep tax code");
+  const reversalLines = await loadJournalLines(reversed.journal.reversalJournalEntryId);
+  assert(
+    toAmount(findLine(reversalLines, fixture.accounts.outputVat, "KDV20")?.debit_base) === 200,
+    "Reversal should debit output VAT with the original tax code"
+  );
+
+  await expectFailure(
+    () =>
+      createCariDraftDocument({
+        req: null,
+        payload: {
+          tenantId: fixture.tenantId,
+          userId: fixture.userId,
+          legalEntityId: fixture.legalEntityId,
+          counterpartyId: fixture.counterpartyId,
+          paymentTermId: null,
+          direction: "AR",
+          documentType: "PAYMENT",
+          documentDate: "2026-03-10",
+          dueDate: null,
+          amountTxn: "100.000000",
+          amountBase: "100.000000",
+          currencyCode: fixture.currencyCode,
+          fxRate: null,
+          taxCode: "KDV20",
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "taxCode is not allowed" }
+  );
+
+  console.log(
+    "GL tax codes test passed (effective-dated versions, AR/AP/credit-note tax split, deductible %, reversal mirror)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,557 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  finalizePayrollRunAccrual,
+  getPayrollRunAccrualPreview,
+  markPayrollRunReviewed,
+} from "../src/services/payroll.accruals.service.js";
+import { createPayrollEmployeeBeneficiaryBankAccount } from "../src/services/payroll.beneficiaries.service.js";
+import {
+  createPayrollEmployee,
+  getPayrollEmployeeDetail,
+  listPayrollEmployees,
+  recordPayrollEmployeeChange,
+} from "../src/services/payroll.employees.service.js";
+import { upsertPayrollComponentMapping } from "../src/services/payroll.mappings.service.js";
+import { importPayrollRunCsv, listPayrollRunLineRows } from "../src/services/payroll.runs.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+function buildCsv() {
+  return [
+    "employee_code,employee_name,cost_center_code,base_salary,overtime_pay,bonus_pay,allowances_total,gross_pay,employee_tax,employee_social_security,other_deductions,employer_tax,employer_social_security,net_pay",
+    "E001,Alpha User,CC-01,1000,0,0,0,1000,100,80,0,120,100,820",
+    "E002,Beta User,CC-02,900,0,0,0,900,90,70,0,110,90,740",
+    "E003,Gamma User,CC-02,800,0,0,0,800,80,60,0,100,80,660",
+  ].join("\n");
+}
+
+async function createFixture(stamp) {
+  const tenantCode = `EMPM_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `EMPM Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `EMPM_G_${stamp}`, `EMPM Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `EMPM_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `EMPM_LE_${stamp}`,
+      `EMPM Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `EMPM_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `EMPM_CAL_${stamp}`, `EMPM Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `EMPM_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  await query(
+    `INSERT INTO fiscal_periods (
+        calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+      )
+      VALUES (?, 2026, 2, '2026-02', '2026-02-01', '2026-02-28', FALSE)`,
+    [calendarId]
+  );
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `EMPM_BOOK_${stamp}`,
+      `EMPM Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `EMPM_COA_${stamp}`, `EMPM Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `EMPM_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'EXPENSE', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `EMPMEXP${stamp}`, `EMPM Expense GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `EMPMLIA${stamp}`, `EMPM Liability GL ${stamp}`]
+  );
+  const expenseRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `EMPM Expense GL ${stamp}`]
+  );
+  const liabilityRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `EMPM Liability GL ${stamp}`]
+  );
+  const expenseGlAccountId = toNumber(expenseRows.rows?.[0]?.id);
+  const liabilityGlAccountId = toNumber(liabilityRows.rows?.[0]?.id);
+  assert(expenseGlAccountId > 0, "Failed to create expense account fixture");
+  assert(liabilityGlAccountId > 0, "Failed to create liability account fixture");
+
+  const operatingUnitIds = [];
+  for (const code of ["HQ", "PLANT"]) {
+    await query(
+      `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name)
+       VALUES (?, ?, ?, ?)`,
+      [tenantId, legalEntityId, `EMPM_${code}_${stamp}`, `EMPM ${code} ${stamp}`]
+    );
+    const unitRows = await query(
+      `SELECT id
+       FROM operating_units
+       WHERE tenant_id = ?
+         AND code = ?
+       LIMIT 1`,
+      [tenantId, `EMPM_${code}_${stamp}`]
+    );
+    operatingUnitIds.push(toNumber(unitRows.rows?.[0]?.id));
+  }
+  assert(operatingUnitIds.every((id) => id > 0), "Failed to create operating unit fixtures");
+
+  const passwordHash = await bcrypt.hash("EMPM#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `empm_user_${stamp}@example.com`, passwordHash, "EMPM User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `empm_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    userId,
+    currencyCode,
+    hqUnitId: operatingUnitIds[0],
+    plantUnitId: operatingUnitIds[1],
+    expenseGlAccountId,
+    liabilityGlAccountId,
+  };
+}
+
+function hire(fixture, input) {
+  return createPayrollEmployee({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: { legalEntityId: fixture.legalEntityId, salaryCurrencyCode: fixture.currencyCode, ...input },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function recordChange(fixture, employeeId, input) {
+  return recordPayrollEmployeeChange({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    employeeId,
+    input,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function listAsOf(fixture, asOfDate) {
+  return listPayrollEmployees({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, asOfDate, limit: 50, offset: 0 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function finalize(fixture, runId) {
+  return finalizePayrollRunAccrual({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "employee master finalize",
+    forceFromImported: false,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixture(stamp);
+  const providerCode = `EMPM_${stamp}`;
+
+  const alpha = await hire(fixture, {
+    employeeCode: "E001",
+    fullName: "Alpha User",
+    nationalId: "12345678901",
+    hireDate: "2025-06-01",
+    operatingUnitId: fixture.hqUnitId,
+    costCenterCode: "CC-01",
+    positionTitle: "Analyst",
+    baseSalary: "1000.000000",
+  });
+  const alphaId = toNumber(alpha?.row?.id);
+  assert(alphaId > 0, "Hire should create employee E001");
+  assert(alpha.row.national_id_masked === "*******8901", "National id must be masked in responses");
+  assert(alpha.row.national_id === undefined, "Raw national id must not be returned");
+  assert(alpha.history.length === 1 && alpha.history[0].change_type === "HIRE", "Hire writes a HIRE history row");
+
+  await expectFailure(
+    () => hire(fixture, { employeeCode: "E001", fullName: "Duplicate", hireDate: "2025-07-01" }),
+    { status: 409, includes: "already exists" }
+  );
+
+  const transferred = await recordChange(fixture, alphaId, {
+    changeType: "TRANSFER",
+    effectiveFrom: "2026-03-01",
+    operatingUnitId: fixture.plantUnitId,
+    positionTitle: "Senior Analyst",
+  });
+  assert(transferred.history.length === 2, "Transfer should append a history row");
+  assert(transferred.history[0].effective_to === "2026-02-28", "Prior history row should end the day before");
+  assert(
+    transferred.history[1].cost_center_code === "CC-01",
+    "Attributes not supplied should carry forward from the prior row"
+  );
+
+  await expectFailure(
+    () => recordChange(fixture, alphaId, { changeType: "SALARY_CHANGE", effectiveFrom: "2026-03-01", baseSalary: "1200" }),
+    { status: 409, includes: "already recorded on 2026-03-01" }
+  );
+  await expectFailure(() => recordChange(fixture, alphaId, { changeType: "REHIRE", effectiveFrom: "2026-04-01" }), {
+    status: 409,
+    includes: "Only a terminated employee",
+  });
+
+  const febList = await listAsOf(fixture, "2026-02-15");
+  const marList = await listAsOf(fixture, "2026-03-15");
+  const febAlpha = febList.rows.find((row) => toNumber(row.id) === alphaId);
+  const marAlpha = marList.rows.find((row) => toNumber(row.id) === alphaId);
+  assert(toNumber(febAlpha?.operating_unit_id) === fixture.hqUnitId, "As-of February should show the HQ unit");
+  assert(toNumber(marAlpha?.operating_unit_id) === fixture.plantUnitId, "As-of March should show the plant unit");
+  assert(marAlpha?.position_title === "Senior Analyst", "As-of March should show the new position");
+
+  const beta = await hire(fixture, { employeeCode: "E002", fullName: "Beta User", hireDate: "2026-01-01" });
+  const betaId = toNumber(beta?.row?.id);
+  const terminated = await recordChange(fixture, betaId, {
+    changeType: "TERMINATION",
+    effectiveFrom: "2026-01-20",
+    terminationReason: "Resignation",
+  });
+  assert(terminated.row.status === "TERMINATED", "Termination should set status");
+  assert(terminated.row.termination_date === "2026-01-20", "Termination should set termination_date");
+  await expectFailure(
+    () => recordChange(fixture, betaId, { changeType: "POSITION_CHANGE", effectiveFrom: "2026-02-01", positionTitle: "X" }),
+    { status: 409, includes: "record a REHIRE" }
+  );
+
+  await expectFailure(
+    () =>
+      createPayrollEmployeeBeneficiaryBankAccount({
+        req: null,
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        input: {
+          legalEntityId: fixture.legalEntityId,
+          employeeCode: "E999",
+          accountHolderName: "Nobody",
+          bankName: "Smoke Bank",
+          currencyCode: fixture.currencyCode,
+          iban: "TR000000000000000000000999",
+          isPrimary: true,
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "not in the payroll employee master" }
+  );
+  const beneficiary = await createPayrollEmployeeBeneficiaryBankAccount({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: fixture.legalEntityId,
+      employeeCode: "E001",
+      accountHolderName: "Alpha User",
+      bankName: "Smoke Bank",
+      currencyCode: fixture.currencyCode,
+      iban: "TR000000000000000000000001",
+      isPrimary: true,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(toNumber(beneficiary?.item?.employee_id) === alphaId, "Beneficiary account should link to the employee");
+  const alphaDetail = await getPayrollEmployeeDetail({
+    req: null,
+    tenantId: fixture.tenantId,
+    employeeId: alphaId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(alphaDetail.beneficiary_accounts.length === 1, "Employee detail should list linked beneficiary accounts");
+
+  const imported = await importPayrollRunCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      providerCode,
+      payrollPeriod: "2026-02-01",
+      payDate: "2026-02-15",
+      currencyCode: fixture.currencyCode,
+      sourceBatchRef: `EMPM-SRC-${stamp}`,
+      originalFilename: `empm-${stamp}.csv`,
+      csvText: buildCsv(),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const runId = toNumber(imported?.id);
+  assert(runId > 0, "importPayrollRunCsv should return run id");
+
+  const lines = await listPayrollRunLineRows({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    filters: { limit: 50, offset: 0 },
+    assertScopeAccess: noScopeGuard,
+  });
+  const statusByCode = new Map((lines.rows || []).map((row) => [row.employee_code, row.employee_check_status]));
+  assert(statusByCode.get("E001") === "MATCHED", "E001 line should match the employee master");
+  assert(statusByCode.get("E002") === "TERMINATED", "E002 line should be flagged as terminated");
+  assert(statusByCode.get("E003") === "UNKNOWN", "E003 line should be flagged as unknown");
+
+  const preview = await getPayrollRunAccrualPreview({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+  for (const component of preview.component_totals || []) {
+    const entrySide = String(component?.entry_side || "").toUpperCase();
+    await upsertPayrollComponentMapping({
+      req: null,
+      payload: {
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        legalEntityId: fixture.legalEntityId,
+        entityCodeInput: null,
+        providerCode,
+        currencyCode: fixture.currencyCode,
+        componentCode: String(component?.component_code || "").toUpperCase(),
+        entrySide,
+        glAccountId: entrySide === "DEBIT" ? fixture.expenseGlAccountId : fixture.liabilityGlAccountId,
+        effectiveFrom: "2026-01-01",
+        effectiveTo: null,
+        closePreviousOpenMapping: true,
+        notes: "EMPM smoke mapping",
+      },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+  await markPayrollRunReviewed({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "review run",
+    assertScopeAccess: noScopeGuard,
+  });
+  const reviewedPreview = await getPayrollRunAccrualPreview({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert((reviewedPreview.employee_issues || []).length === 2, "Preview should list two employee issues");
+  assert(reviewedPreview.can_finalize === false, "Run with employee issues cannot finalize");
+
+  await expectFailure(() => finalize(fixture, runId), {
+    status: 400,
+    includes: "E002 (TERMINATED), E003 (UNKNOWN)",
+  });
+
+  await recordChange(fixture, betaId, { changeType: "REHIRE", effectiveFrom: "2026-02-01" });
+  const gamma = await hire(fixture, { employeeCode: "E003", fullName: "Gamma User", hireDate: "2026-02-10" });
+  const backfilled = await query(
+    `SELECT employee_id FROM payroll_run_lines WHERE tenant_id = ? AND run_id = ? AND employee_code = 'E003'`,
+    [fixture.tenantId, runId]
+  );
+  assert(
+    toNumber(backfilled.rows?.[0]?.employee_id) === toNumber(gamma?.row?.id),
+    "Hiring should backfill the employee link on existing run lines"
+  );
+
+  const finalized = await finalize(fixture, runId);
+  assert(toNumber(finalized?.accrualJournalEntryId) > 0, "Finalize should succeed once all employees are valid");
+  const refreshed = await listPayrollRunLineRows({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    filters: { employeeCheckStatus: "MATCHED", limit: 50, offset: 0 },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert((refreshed.rows || []).length === 3, "Finalize should refresh every line to MATCHED");
+
+  console.log(
+    "Payroll employee master test passed (hire/transfer/terminate/rehire history, as-of listing, beneficiary linking, run line checks, finalize gate)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,508 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  finalizePayrollRunAccrual,
+  getPayrollRunAccrualPreview,
+  markPayrollRunReviewed,
+} from "../src/services/payroll.accruals.service.js";
+import { createPayrollEmployeeBeneficiaryBankAccount } from "../src/services/payroll.beneficiaries.service.js";
+import { createPayrollEmployee } from "../src/services/payroll.employees.service.js";
+import { upsertPayrollComponentMapping } from "../src/services/payroll.mappings.service.js";
+import {
+  downloadPayrollPayslip,
+  generatePayrollRunPayslips,
+  listPayrollPayslips,
+} from "../src/services/payroll.payslips.service.js";
+import { importPayrollRunCsv } from "../src/services/payroll.runs.service.js";
+
+const NATIONAL_ID = "12345678901";
+const IBAN = "TR330006100519786457841326";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function near(actual, expected, tolerance = 0.01) {
+  return Math.abs(toNumber(actual) - toNumber(expected)) <= tolerance;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+function buildCsv(bonusPay) {
+  const gross = 40000 + bonusPay;
+  return [
+    "employee_code,employee_name,cost_center_code,base_salary,overtime_pay,bonus_pay,allowances_total,gross_pay,employee_tax,employee_social_security,other_deductions,employer_tax,employer_social_security,net_pay",
+    `E001,Alpha User,CC-01,40000,0,${bonusPay},0,${gross},6000,6000,0,0,8700,${gross - 12000}`,
+    "E002,Beta User,CC-01,30000,500,0,0,30500,4500,4575,100,0,6634,21325",
+  ].join("\n");
+}
+
+async function createFixture(stamp) {
+  const tenantCode = `PSLP_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `PSLP Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `PSLP_G_${stamp}`, `PSLP Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PSLP_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `PSLP_LE_${stamp}`,
+      `PSLP Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PSLP_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `PSLP_CAL_${stamp}`, `PSLP Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PSLP_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  for (const [periodNo, startDate, endDate] of [
+    [1, "2026-01-01", "2026-01-31"],
+    [2, "2026-02-01", "2026-02-28"],
+    [3, "2026-03-01", "2026-03-31"],
+  ]) {
+    await query(
+      `INSERT INTO fiscal_periods (
+          calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+        )
+        VALUES (?, 2026, ?, ?, ?, ?, FALSE)`,
+      [calendarId, periodNo, `2026-${String(periodNo).padStart(2, "0")}`, startDate, endDate]
+    );
+  }
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `PSLP_BOOK_${stamp}`,
+      `PSLP Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `PSLP_COA_${stamp}`, `PSLP Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PSLP_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'EXPENSE', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `PSLPEXP${stamp}`, `PSLP Expense GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `PSLPLIA${stamp}`, `PSLP Liability GL ${stamp}`]
+  );
+  const expenseRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PSLP Expense GL ${stamp}`]
+  );
+  const liabilityRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PSLP Liability GL ${stamp}`]
+  );
+  const expenseGlAccountId = toNumber(expenseRows.rows?.[0]?.id);
+  const liabilityGlAccountId = toNumber(liabilityRows.rows?.[0]?.id);
+  assert(expenseGlAccountId > 0, "Failed to create expense account fixture");
+  assert(liabilityGlAccountId > 0, "Failed to create liability account fixture");
+
+  const passwordHash = await bcrypt.hash("PSLP#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `pslp_user_${stamp}@example.com`, passwordHash, "PSLP User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `pslp_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    userId,
+    currencyCode,
+    expenseGlAccountId,
+    liabilityGlAccountId,
+  };
+}
+
+async function upsertMapping(fixture, { providerCode, componentCode, entrySide }) {
+  await upsertPayrollComponentMapping({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      entityCodeInput: null,
+      providerCode,
+      currencyCode: fixture.currencyCode,
+      componentCode,
+      entrySide,
+      glAccountId: entrySide === "DEBIT" ? fixture.expenseGlAccountId : fixture.liabilityGlAccountId,
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      closePreviousOpenMapping: true,
+      notes: "PSLP smoke mapping",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function importRun(fixture, { providerCode, stamp, period, payDate, bonusPay }) {
+  const imported = await importPayrollRunCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      providerCode,
+      payrollPeriod: period,
+      payDate,
+      currencyCode: fixture.currencyCode,
+      sourceBatchRef: `PSLP-SRC-${stamp}-${period}`,
+      originalFilename: `pslp-${stamp}-${period}.csv`,
+      csvText: buildCsv(bonusPay),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const runId = toNumber(imported?.id);
+  assert(runId > 0, "importPayrollRunCsv should return run id");
+  return runId;
+}
+
+async function finalizeRun(fixture, { providerCode, runId }) {
+  const preview = await getPayrollRunAccrualPreview({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+  for (const component of preview.component_totals || []) {
+    await upsertMapping(fixture, {
+      providerCode,
+      componentCode: String(component?.component_code || "").toUpperCase(),
+      entrySide: String(component?.entry_side || "").toUpperCase(),
+    });
+  }
+  await markPayrollRunReviewed({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "review run",
+    assertScopeAccess: noScopeGuard,
+  });
+  return finalizePayrollRunAccrual({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "payslip smoke",
+    forceFromImported: false,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function listPayslips(fixture, runId) {
+  return listPayrollPayslips({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, runId, limit: 100, offset: 0 },
+    buildScopeFilter: null,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function download(fixture, payslipId, format) {
+  return downloadPayrollPayslip({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    payslipId,
+    format,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixture(stamp);
+  const providerCode = `PSLP_${stamp}`;
+
+  for (const [employeeCode, fullName, nationalId] of [
+    ["E001", "Alpha User", NATIONAL_ID],
+    ["E002", "Beta User", null],
+  ]) {
+    await createPayrollEmployee({
+      req: null,
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      input: {
+        legalEntityId: fixture.legalEntityId,
+        employeeCode,
+        fullName,
+        nationalId,
+        hireDate: "2025-01-01",
+        baseSalary: "30000",
+        salaryCurrencyCode: fixture.currencyCode,
+      },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+  await createPayrollEmployeeBeneficiaryBankAccount({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: {
+      legalEntityId: fixture.legalEntityId,
+      employeeCode: "E001",
+      accountHolderName: "Alpha User",
+      bankName: "PSLP Bank",
+      currencyCode: fixture.currencyCode,
+      iban: IBAN,
+      isPrimary: true,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const janRunId = await importRun(fixture, {
+    providerCode,
+    stamp,
+    period: "2026-01-01",
+    payDate: "2026-01-31",
+    bonusPay: 0,
+  });
+  await expectFailure(
+    () =>
+      generatePayrollRunPayslips({
+        req: null,
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        runId: janRunId,
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "FINALIZED" }
+  );
+  const janFinalize = await finalizeRun(fixture, { providerCode, runId: janRunId });
+  assert(toNumber(janFinalize.payslipCount) === 2, "Finalize should generate one payslip per run line");
+
+  const febRunId = await importRun(fixture, {
+    providerCode,
+    stamp,
+    period: "2026-02-01",
+    payDate: "2026-02-28",
+    bonusPay: 5000,
+  });
+  await finalizeRun(fixture, { providerCode, runId: febRunId });
+
+  const febList = await listPayslips(fixture, febRunId);
+  assert(febList.total === 2, "February run should have two payslips");
+  assert(
+    febList.rows.every((row) => row.html_content === undefined && row.pdf_content === undefined),
+    "Payslip list must not return document content"
+  );
+  const alpha = febList.rows.find((row) => row.employee_code === "E001");
+  const summary = alpha.summary_json;
+  assert(near(summary.current.bonus_pay, 5000), "Current period should show the February bonus");
+  assert(near(summary.current.gross_pay, 45000), "Current gross should come from the run line");
+  assert(near(summary.ytd.gross_pay, 85000), "YTD gross should add January and February");
+  assert(near(summary.ytd.net_pay, 40000 - 12000 + 45000 - 12000), "YTD net should add both months");
+  assert(near(summary.current.total_employer_cost, 45000 + 8700), "Employer cost is gross plus employer charges");
+  assert(near(summary.ytd.total_employer_cost, 85000 + 17400), "YTD employer cost should add both months");
+  assert(summary.national_id_masked === "*******8901", "National ID should be masked to its last four digits");
+  assert(String(summary.bank_account_masked || "").endsWith("1326"), "IBAN should keep only its last four");
+
+  const html = await download(fixture, toNumber(alpha.id), "HTML");
+  assert(html.contentType.startsWith("text/html"), "HTML download content type mismatch");
+  assert(html.content.includes("85,000.00"), "HTML payslip should show YTD gross");
+  assert(html.content.includes("*******8901"), "HTML payslip should show the masked national ID");
+  const pdf = await download(fixture, toNumber(alpha.id), "PDF");
+  assert(pdf.content.subarray(0, 8).toString("latin1") === "%PDF-1.4", "PDF download should be a PDF document");
+  assert(pdf.fileName.endsWith(".pdf"), "PDF download should carry a .pdf file name");
+  for (const file of [html, pdf]) {
+    const text = Buffer.from(file.content).toString("latin1");
+    assert(!text.includes(NATIONAL_ID), "Payslip must not contain the full national ID");
+    assert(!text.includes(IBAN), "Payslip must not contain the full IBAN");
+  }
+
+  const auditRes = await query(
+    `SELECT action, payload_json
+     FROM sensitive_data_audit
+     WHERE tenant_id = ? AND module_code = 'PAYROLL' AND object_type = 'PAYSLIP' AND object_id = ?
+     ORDER BY id ASC`,
+    [fixture.tenantId, alpha.id]
+  );
+  assert(auditRes.rows.length === 2, "Each payslip download should write a sensitive data audit row");
+  assert(auditRes.rows.every((row) => row.action === "DOWNLOAD"), "Download audit action mismatch");
+  const countRes = await query(`SELECT download_count FROM payroll_payslips WHERE id = ?`, [alpha.id]);
+  assert(toNumber(countRes.rows?.[0]?.download_count) === 2, "Download count should track audited downloads");
+
+  const regenerated = await generatePayrollRunPayslips({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    runId: febRunId,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(regenerated.createdCount === 0 && regenerated.existingCount === 2, "Issued payslips are kept as is");
+
+  await expectFailure(() => download(fixture, 999999999, "PDF"), { status: 404, includes: "Payslip not found" });
+
+  console.log(
+    "Payroll payslips test passed (generation on finalize, component/employer cost/YTD totals, masking, audited PDF/HTML download, idempotent regeneration)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
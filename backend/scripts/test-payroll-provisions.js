@@ -0,0 +1,601 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  finalizePayrollRunAccrual,
+  getPayrollRunAccrualPreview,
+  markPayrollRunReviewed,
+} from "../src/services/payroll.accruals.service.js";
+import { createPayrollCalculationParameterSet } from "../src/services/payroll.calculationParameters.service.js";
+import {
+  createPayrollEmployee,
+  recordPayrollEmployeeChange,
+  recordPayrollEmployeeLeaveEntry,
+} from "../src/services/payroll.employees.service.js";
+import { upsertPayrollComponentMapping } from "../src/services/payroll.mappings.service.js";
+import {
+  calculateEmployeeProvision,
+  calculatePayrollProvisionRun,
+  postPayrollProvisionRun,
+} from "../src/services/payroll.provisions.service.js";
+import { importPayrollRunCsv } from "../src/services/payroll.runs.service.js";
+
+const SEVERANCE_CEILING = 46655.43;
+
+const PROVISION_COMPONENTS = [
+  ["SEVERANCE_PROVISION_EXPENSE", "DEBIT"],
+  ["SEVERANCE_PROVISION_LIABILITY", "CREDIT"],
+  ["NOTICE_PROVISION_EXPENSE", "DEBIT"],
+  ["NOTICE_PROVISION_LIABILITY", "CREDIT"],
+  ["LEAVE_PROVISION_EXPENSE", "DEBIT"],
+  ["LEAVE_PROVISION_LIABILITY", "CREDIT"],
+];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function near(actual, expected, tolerance = 0.01) {
+  return Math.abs(toNumber(actual) - toNumber(expected)) <= tolerance;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+function buildCsv() {
+  return [
+    "employee_code,employee_name,cost_center_code,base_salary,overtime_pay,bonus_pay,allowances_total,gross_pay,employee_tax,employee_social_security,other_deductions,employer_tax,employer_social_security,net_pay",
+    "E002,Beta User,CC-01,32000,0,0,1000,33000,3300,4620,0,0,7000,25080",
+  ].join("\n");
+}
+
+async function createFixture(stamp) {
+  const tenantCode = `PROV_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `PROV Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `PROV_G_${stamp}`, `PROV Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PROV_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `PROV_LE_${stamp}`,
+      `PROV Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PROV_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `PROV_CAL_${stamp}`, `PROV Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PROV_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  for (const [periodNo, startDate, endDate] of [
+    [3, "2026-03-01", "2026-03-31"],
+    [4, "2026-04-01", "2026-04-30"],
+    [5, "2026-05-01", "2026-05-31"],
+    [6, "2026-06-01", "2026-06-30"],
+  ]) {
+    await query(
+      `INSERT INTO fiscal_periods (
+          calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+        )
+        VALUES (?, 2026, ?, ?, ?, ?, FALSE)`,
+      [calendarId, periodNo, `2026-${String(periodNo).padStart(2, "0")}`, startDate, endDate]
+    );
+  }
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `PROV_BOOK_${stamp}`,
+      `PROV Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `PROV_COA_${stamp}`, `PROV Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `PROV_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'EXPENSE', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `PROVEXP${stamp}`, `PROV Expense GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `PROVLIA${stamp}`, `PROV Liability GL ${stamp}`]
+  );
+  const expenseRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PROV Expense GL ${stamp}`]
+  );
+  const liabilityRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `PROV Liability GL ${stamp}`]
+  );
+  const expenseGlAccountId = toNumber(expenseRows.rows?.[0]?.id);
+  const liabilityGlAccountId = toNumber(liabilityRows.rows?.[0]?.id);
+  assert(expenseGlAccountId > 0, "Failed to create expense account fixture");
+  assert(liabilityGlAccountId > 0, "Failed to create liability account fixture");
+
+  const passwordHash = await bcrypt.hash("PROV#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `prov_user_${stamp}@example.com`, passwordHash, "PROV User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `prov_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    userId,
+    currencyCode,
+    expenseGlAccountId,
+    liabilityGlAccountId,
+  };
+}
+
+function hire(fixture, input) {
+  return createPayrollEmployee({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: { legalEntityId: fixture.legalEntityId, salaryCurrencyCode: fixture.currencyCode, ...input },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function calculate(fixture, periodEndDate) {
+  return calculatePayrollProvisionRun({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: { legalEntityId: fixture.legalEntityId, periodEndDate, currencyCode: null },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function post(fixture, runId) {
+  return postPayrollProvisionRun({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function upsertMapping(fixture, { providerCode, componentCode, entrySide }) {
+  await upsertPayrollComponentMapping({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      entityCodeInput: null,
+      providerCode,
+      currencyCode: fixture.currencyCode,
+      componentCode,
+      entrySide,
+      glAccountId: entrySide === "DEBIT" ? fixture.expenseGlAccountId : fixture.liabilityGlAccountId,
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      closePreviousOpenMapping: true,
+      notes: "PROV smoke mapping",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+// Finalizes a March run for E002 so that employee's wage base comes from payroll history.
+async function finalizeMarchRun(fixture, providerCode, stamp) {
+  const imported = await importPayrollRunCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      providerCode,
+      payrollPeriod: "2026-03-01",
+      payDate: "2026-03-31",
+      currencyCode: fixture.currencyCode,
+      sourceBatchRef: `PROV-SRC-${stamp}`,
+      originalFilename: `prov-${stamp}.csv`,
+      csvText: buildCsv(),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const runId = toNumber(imported?.id);
+  assert(runId > 0, "importPayrollRunCsv should return run id");
+  const preview = await getPayrollRunAccrualPreview({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+  for (const component of preview.component_totals || []) {
+    await upsertMapping(fixture, {
+      providerCode,
+      componentCode: String(component?.component_code || "").toUpperCase(),
+      entrySide: String(component?.entry_side || "").toUpperCase(),
+    });
+  }
+  await markPayrollRunReviewed({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "review run",
+    assertScopeAccess: noScopeGuard,
+  });
+  await finalizePayrollRunAccrual({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "provision wage base",
+    forceFromImported: false,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function loadJournal(tenantId, journalNo) {
+  const res = await query(
+    `SELECT id, status, entry_date, total_debit_base, total_credit_base, reversal_journal_entry_id
+     FROM journal_entries
+     WHERE tenant_id = ? AND journal_no = ?
+     LIMIT 1`,
+    [tenantId, journalNo]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function expenseNetBetween(fixture, fromDate, toDate) {
+  const res = await query(
+    `SELECT COALESCE(SUM(jl.debit_base - jl.credit_base), 0) AS net
+     FROM journal_lines jl
+     JOIN journal_entries je ON je.id = jl.journal_entry_id
+     WHERE je.tenant_id = ?
+       AND je.reference_no LIKE 'PAYROLL-PROVISION:%'
+       AND jl.account_id = ?
+       AND je.entry_date BETWEEN ? AND ?`,
+    [fixture.tenantId, fixture.expenseGlAccountId, fromDate, toDate]
+  );
+  return toNumber(res.rows?.[0]?.net);
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixture(stamp);
+  const providerCode = `PROV_${stamp}`;
+
+  const alpha = await hire(fixture, {
+    employeeCode: "E001",
+    fullName: "Alpha User",
+    hireDate: "2020-01-01",
+    baseSalary: "60000",
+  });
+  const beta = await hire(fixture, {
+    employeeCode: "E002",
+    fullName: "Beta User",
+    hireDate: "2025-10-01",
+    baseSalary: "30000",
+  });
+  const gamma = await hire(fixture, {
+    employeeCode: "E003",
+    fullName: "Gamma User",
+    hireDate: "2024-01-01",
+    baseSalary: "25000",
+  });
+  const alphaId = toNumber(alpha?.row?.id);
+  const betaId = toNumber(beta?.row?.id);
+  await recordPayrollEmployeeChange({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    employeeId: toNumber(gamma?.row?.id),
+    input: { changeType: "TERMINATION", effectiveFrom: "2026-03-31", terminationReason: "Resignation" },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const leaveDetail = await recordPayrollEmployeeLeaveEntry({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    employeeId: alphaId,
+    input: { entryType: "USED", entryDate: "2026-02-10", days: 30, note: "Annual leave" },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(leaveDetail.leave_entries.length === 1, "Employee detail should list leave entries");
+  await expectFailure(
+    () =>
+      recordPayrollEmployeeLeaveEntry({
+        req: null,
+        tenantId: fixture.tenantId,
+        userId: fixture.userId,
+        employeeId: betaId,
+        input: { entryType: "USED", entryDate: "2025-09-01", days: 1 },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "before the hire date" }
+  );
+
+  await expectFailure(() => calculate(fixture, "2026-03-31"), {
+    status: 400,
+    includes: "severance_ceiling_amount",
+  });
+  await createPayrollCalculationParameterSet({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: {
+      countryCode: "TR",
+      versionCode: "TR-2026-H1",
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      status: "ACTIVE",
+      parametersJson: {
+        minimum_wage_gross: 26005.5,
+        sgk_ceiling_multiplier: 7.5,
+        sgk_employee_rate: 0.14,
+        unemployment_employee_rate: 0.01,
+        sgk_employer_rate: 0.2175,
+        unemployment_employer_rate: 0.02,
+        stamp_tax_rate: 0.00759,
+        income_tax_brackets: [{ up_to: null, rate: 0.15 }],
+        severance_ceiling_amount: SEVERANCE_CEILING,
+      },
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  await finalizeMarchRun(fixture, providerCode, stamp);
+
+  const march = await calculate(fixture, "2026-03-31");
+  const marchRunId = toNumber(march?.row?.id);
+  assert(march.row.status === "DRAFT", "Calculation should create a DRAFT run");
+  assert(march.lines.length === 2, "Employee terminated at period end should be excluded");
+  const alphaLine = march.lines.find((line) => line.employee_code === "E001");
+  const betaLine = march.lines.find((line) => line.employee_code === "E002");
+  assert(alphaLine?.wage_source === "EMPLOYEE_MASTER", "E001 has no payroll run; wage comes from the master");
+  assert(betaLine?.wage_source === "PAYROLL_RUN", "E002 wage should come from the finalized run");
+  assert(near(betaLine.wage_base, 33000), "Payroll wage base is base salary plus allowances");
+  assert(near(alphaLine.severance_wage_base, SEVERANCE_CEILING), "Severance wage is capped at the ceiling");
+  assert(toNumber(alphaLine.notice_weeks) === 8 && toNumber(betaLine.notice_weeks) === 2, "Notice weeks by tenure");
+
+  const expectedAlpha = calculateEmployeeProvision({
+    hireDate: "2020-01-01",
+    periodEndDate: "2026-03-31",
+    wageBase: 60000,
+    severanceCeilingAmount: SEVERANCE_CEILING,
+    usedLeaveDays: 30,
+  });
+  assert(near(expectedAlpha.leave_entitled_days, 94.8767, 0.0001), "Five years at 14 days, then 20 days pro rata");
+  assert(near(alphaLine.total_amount, expectedAlpha.total_amount), "E001 provision total mismatch");
+  assert(near(alphaLine.leave_unused_days, 64.8767, 0.0001), "Used leave reduces unused days");
+  assert(
+    near(march.row.total_provision, toNumber(alphaLine.total_amount) + toNumber(betaLine.total_amount)),
+    "Run total should equal the sum of employee totals"
+  );
+  assert(near(march.row.delta_total, march.row.total_provision), "First run delta equals its balance");
+
+  const recalculated = await calculate(fixture, "2026-03-31");
+  assert(toNumber(recalculated?.row?.id) === marchRunId, "Recalculation should replace the DRAFT of the period");
+
+  await expectFailure(() => post(fixture, marchRunId), {
+    status: 400,
+    includes: "SEVERANCE_PROVISION_EXPENSE (missing_mapping)",
+  });
+  for (const [componentCode, entrySide] of PROVISION_COMPONENTS) {
+    await upsertMapping(fixture, { providerCode: null, componentCode, entrySide });
+  }
+
+  const postedMarch = await post(fixture, marchRunId);
+  assert(postedMarch.row.status === "POSTED", "Post should mark the run POSTED");
+  const marchJournal = await loadJournal(fixture.tenantId, `PRPRV-${marchRunId}`);
+  assert(toNumber(marchJournal?.id) === toNumber(postedMarch.row.accrual_journal_entry_id), "Run links its journal");
+  assert(near(marchJournal.total_debit_base, march.row.total_provision), "Journal carries the full balance");
+  await expectFailure(() => calculate(fixture, "2026-03-31"), { status: 409, includes: "already POSTED" });
+
+  await recordPayrollEmployeeChange({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    employeeId: alphaId,
+    input: { changeType: "SALARY_CHANGE", effectiveFrom: "2026-05-01", baseSalary: "70000" },
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const june = await calculate(fixture, "2026-06-30");
+  const juneRunId = toNumber(june?.row?.id);
+  assert(toNumber(june.row.previous_run_id) === marchRunId, "June should measure its delta against March");
+  const juneAlpha = june.lines.find((line) => line.employee_code === "E001");
+  assert(near(juneAlpha.wage_base, 70000), "As-of salary change should feed the June wage base");
+  assert(
+    near(juneAlpha.delta_amount, toNumber(juneAlpha.total_amount) - toNumber(alphaLine.total_amount)),
+    "Line delta should compare with the previous posted balance"
+  );
+  assert(
+    near(june.row.delta_total, toNumber(june.row.total_provision) - toNumber(march.row.total_provision)),
+    "Run delta should compare with the previous posted total"
+  );
+
+  await post(fixture, juneRunId);
+  const reversedMarch = await loadJournal(fixture.tenantId, `PRPRV-${marchRunId}`);
+  assert(reversedMarch.status === "REVERSED", "March journal should be reversed when June posts");
+  const reversal = await loadJournal(fixture.tenantId, `PRPRV-${marchRunId}-R`);
+  assert(toNumber(reversal?.id) === toNumber(reversedMarch.reversal_journal_entry_id), "Reversal links back");
+  assert(
+    String(reversal.entry_date instanceof Date ? reversal.entry_date.toISOString() : reversal.entry_date).slice(0, 10) ===
+      "2026-06-01",
+    "Reversal is dated at the start of the posting period"
+  );
+  const marchStatus = await query(`SELECT status FROM payroll_provision_runs WHERE id = ?`, [marchRunId]);
+  assert(marchStatus.rows?.[0]?.status === "REVERSED", "Superseded run should be REVERSED");
+  assert(
+    near(await expenseNetBetween(fixture, "2026-04-01", "2026-06-30"), june.row.delta_total),
+    "Net provision expense of the quarter should equal the run delta"
+  );
+
+  await expectFailure(() => calculate(fixture, "2026-04-30"), { status: 409, includes: "already posted" });
+
+  console.log(
+    "Payroll provisions test passed (kidem ceiling, ihbar bands, unused leave, payroll/master wage base, delta vs previous run, posting and next-period reversal)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
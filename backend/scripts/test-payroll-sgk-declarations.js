@@ -0,0 +1,553 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  finalizePayrollRunAccrual,
+  getPayrollRunAccrualPreview,
+  markPayrollRunReviewed,
+} from "../src/services/payroll.accruals.service.js";
+import { createPayrollEmployee } from "../src/services/payroll.employees.service.js";
+import { buildPayrollRunLiabilities } from "../src/services/payroll.liabilities.service.js";
+import { upsertPayrollComponentMapping } from "../src/services/payroll.mappings.service.js";
+import { importPayrollRunCsv } from "../src/services/payroll.runs.service.js";
+import {
+  createPayrollSgkDeclarationExport,
+  downloadPayrollSgkDeclarationFile,
+  listPayrollSgkDeclarationFiles,
+  upsertPayrollSgkWorkplace,
+} from "../src/services/payroll.sgkDeclarations.service.js";
+
+const TAX_ID = "1234567890";
+const NATIONAL_IDS = { E001: "12345678901", E002: "23456789012" };
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function near(actual, expected, tolerance = 0.01) {
+  return Math.abs(toNumber(actual) - toNumber(expected)) <= tolerance;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+function buildCsv(bonusPay) {
+  const gross = 40000 + bonusPay;
+  return [
+    "employee_code,employee_name,cost_center_code,base_salary,overtime_pay,bonus_pay,allowances_total,gross_pay,employee_tax,employee_social_security,other_deductions,employer_tax,employer_social_security,net_pay",
+    `E001,Alpha User,CC-01,40000,0,${bonusPay},0,${gross},6000,6000,0,0,8700,${gross - 12000}`,
+    "E002,Beta User,CC-01,30000,500,0,0,30500,4500,4575,100,0,6634,21325",
+  ].join("\n");
+}
+
+async function createFixture(stamp) {
+  const tenantCode = `SGKD_T_${stamp}`;
+  await query(
+    `INSERT INTO tenants (code, name)
+     VALUES (?, ?)`,
+    [tenantCode, `SGKD Tenant ${stamp}`]
+  );
+  const tenantRows = await query(
+    `SELECT id
+     FROM tenants
+     WHERE code = ?
+     LIMIT 1`,
+    [tenantCode]
+  );
+  const tenantId = toNumber(tenantRows.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRows = await query(
+    `SELECT id, default_currency_code
+     FROM countries
+     WHERE iso2 = 'TR'
+     LIMIT 1`
+  );
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  const currencyCode = String(countryRows.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(
+    `INSERT INTO group_companies (tenant_id, code, name)
+     VALUES (?, ?, ?)`,
+    [tenantId, `SGKD_G_${stamp}`, `SGKD Group ${stamp}`]
+  );
+  const groupRows = await query(
+    `SELECT id
+     FROM group_companies
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `SGKD_G_${stamp}`]
+  );
+  const groupCompanyId = toNumber(groupRows.rows?.[0]?.id);
+  assert(groupCompanyId > 0, "Failed to create group company fixture");
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id,
+        group_company_id,
+        code,
+        name,
+        country_id,
+        functional_currency_code,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [
+      tenantId,
+      groupCompanyId,
+      `SGKD_LE_${stamp}`,
+      `SGKD Legal Entity ${stamp}`,
+      countryId,
+      currencyCode,
+    ]
+  );
+  const legalEntityRows = await query(
+    `SELECT id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `SGKD_LE_${stamp}`]
+  );
+  const legalEntityId = toNumber(legalEntityRows.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+  await query(`UPDATE legal_entities SET tax_id = ? WHERE id = ?`, [TAX_ID, legalEntityId]);
+
+  const operatingUnitIds = {};
+  for (const unitCode of ["IST", "ANK"]) {
+    const unitIns = await query(
+      `INSERT INTO operating_units (tenant_id, legal_entity_id, code, name, unit_type)
+       VALUES (?, ?, ?, ?, 'BRANCH')`,
+      [tenantId, legalEntityId, `SGKD_${unitCode}_${stamp}`, `SGKD ${unitCode} ${stamp}`]
+    );
+    operatingUnitIds[unitCode] = toNumber(unitIns.rows?.insertId);
+    assert(operatingUnitIds[unitCode] > 0, "Failed to create operating unit fixture");
+  }
+
+  await query(
+    `INSERT INTO fiscal_calendars (
+        tenant_id, code, name, year_start_month, year_start_day
+      )
+      VALUES (?, ?, ?, 1, 1)`,
+    [tenantId, `SGKD_CAL_${stamp}`, `SGKD Calendar ${stamp}`]
+  );
+  const calendarRows = await query(
+    `SELECT id
+     FROM fiscal_calendars
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `SGKD_CAL_${stamp}`]
+  );
+  const calendarId = toNumber(calendarRows.rows?.[0]?.id);
+  assert(calendarId > 0, "Failed to create fiscal calendar fixture");
+
+  for (const [periodNo, startDate, endDate] of [
+    [1, "2026-01-01", "2026-01-31"],
+    [2, "2026-02-01", "2026-02-28"],
+    [3, "2026-03-01", "2026-03-31"],
+  ]) {
+    await query(
+      `INSERT INTO fiscal_periods (
+          calendar_id, fiscal_year, period_no, period_name, start_date, end_date, is_adjustment
+        )
+        VALUES (?, 2026, ?, ?, ?, ?, FALSE)`,
+      [calendarId, periodNo, `2026-${String(periodNo).padStart(2, "0")}`, startDate, endDate]
+    );
+  }
+
+  await query(
+    `INSERT INTO books (
+        tenant_id, legal_entity_id, calendar_id, code, name, book_type, base_currency_code
+      )
+      VALUES (?, ?, ?, ?, ?, 'LOCAL', ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      calendarId,
+      `SGKD_BOOK_${stamp}`,
+      `SGKD Book ${stamp}`,
+      currencyCode,
+    ]
+  );
+
+  await query(
+    `INSERT INTO charts_of_accounts (
+        tenant_id, legal_entity_id, scope, code, name
+      )
+      VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `SGKD_COA_${stamp}`, `SGKD Chart ${stamp}`]
+  );
+  const coaRows = await query(
+    `SELECT id
+     FROM charts_of_accounts
+     WHERE tenant_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, `SGKD_COA_${stamp}`]
+  );
+  const coaId = toNumber(coaRows.rows?.[0]?.id);
+  assert(coaId > 0, "Failed to create chart of accounts fixture");
+
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'EXPENSE', 'DEBIT', TRUE, NULL, TRUE)`,
+    [coaId, `SGKDEXP${stamp}`, `SGKD Expense GL ${stamp}`]
+  );
+  await query(
+    `INSERT INTO accounts (
+        coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+      )
+      VALUES (?, ?, ?, 'LIABILITY', 'CREDIT', TRUE, NULL, TRUE)`,
+    [coaId, `SGKDLIA${stamp}`, `SGKD Liability GL ${stamp}`]
+  );
+  const expenseRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `SGKD Expense GL ${stamp}`]
+  );
+  const liabilityRows = await query(
+    `SELECT id
+     FROM accounts
+     WHERE coa_id = ?
+       AND name = ?
+     LIMIT 1`,
+    [coaId, `SGKD Liability GL ${stamp}`]
+  );
+  const expenseGlAccountId = toNumber(expenseRows.rows?.[0]?.id);
+  const liabilityGlAccountId = toNumber(liabilityRows.rows?.[0]?.id);
+  assert(expenseGlAccountId > 0, "Failed to create expense account fixture");
+  assert(liabilityGlAccountId > 0, "Failed to create liability account fixture");
+
+  const passwordHash = await bcrypt.hash("SGKD#Smoke123", 10);
+  await query(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `sgkd_user_${stamp}@example.com`, passwordHash, "SGKD User"]
+  );
+  const userRows = await query(
+    `SELECT id
+     FROM users
+     WHERE tenant_id = ?
+       AND email = ?
+     LIMIT 1`,
+    [tenantId, `sgkd_user_${stamp}@example.com`]
+  );
+  const userId = toNumber(userRows.rows?.[0]?.id);
+  assert(userId > 0, "Failed to create user fixture");
+
+  return {
+    tenantId,
+    legalEntityId,
+    userId,
+    currencyCode,
+    operatingUnitIds,
+    expenseGlAccountId,
+    liabilityGlAccountId,
+  };
+}
+
+async function upsertMapping(fixture, { providerCode, componentCode, entrySide }) {
+  await upsertPayrollComponentMapping({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      entityCodeInput: null,
+      providerCode,
+      currencyCode: fixture.currencyCode,
+      componentCode,
+      entrySide,
+      glAccountId: entrySide === "DEBIT" ? fixture.expenseGlAccountId : fixture.liabilityGlAccountId,
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      closePreviousOpenMapping: true,
+      notes: "SGKD smoke mapping",
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function importRun(fixture, { providerCode, stamp, period, payDate, bonusPay }) {
+  const imported = await importPayrollRunCsv({
+    req: null,
+    payload: {
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      legalEntityId: fixture.legalEntityId,
+      providerCode,
+      payrollPeriod: period,
+      payDate,
+      currencyCode: fixture.currencyCode,
+      sourceBatchRef: `SGKD-SRC-${stamp}-${period}`,
+      originalFilename: `sgkd-${stamp}-${period}.csv`,
+      csvText: buildCsv(bonusPay),
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const runId = toNumber(imported?.id);
+  assert(runId > 0, "importPayrollRunCsv should return run id");
+  return runId;
+}
+
+async function finalizeRun(fixture, { providerCode, runId }) {
+  const preview = await getPayrollRunAccrualPreview({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    assertScopeAccess: noScopeGuard,
+  });
+  for (const component of preview.component_totals || []) {
+    await upsertMapping(fixture, {
+      providerCode,
+      componentCode: String(component?.component_code || "").toUpperCase(),
+      entrySide: String(component?.entry_side || "").toUpperCase(),
+    });
+  }
+  await markPayrollRunReviewed({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "review run",
+    assertScopeAccess: noScopeGuard,
+  });
+  return finalizePayrollRunAccrual({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "sgk declaration smoke",
+    forceFromImported: false,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function exportDeclaration(fixture, idempotencyKey = null) {
+  return createPayrollSgkDeclarationExport({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: { legalEntityId: fixture.legalEntityId, payrollPeriod: "2026-01-01", idempotencyKey },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function upsertWorkplace(fixture, input) {
+  return upsertPayrollSgkWorkplace({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    input: { legalEntityId: fixture.legalEntityId, status: "ACTIVE", isDefault: false, ...input },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixture(stamp);
+  const providerCode = `SGKD_${stamp}`;
+
+  for (const [employeeCode, fullName, operatingUnitId] of [
+    ["E001", "Alpha Ayşe User", fixture.operatingUnitIds.IST],
+    ["E002", "Beta User", null],
+  ]) {
+    await createPayrollEmployee({
+      req: null,
+      tenantId: fixture.tenantId,
+      userId: fixture.userId,
+      input: {
+        legalEntityId: fixture.legalEntityId,
+        employeeCode,
+        fullName,
+        nationalId: NATIONAL_IDS[employeeCode],
+        hireDate: employeeCode === "E002" ? "2026-01-10" : "2025-01-01",
+        operatingUnitId,
+        baseSalary: "30000",
+        salaryCurrencyCode: fixture.currencyCode,
+      },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+
+  const runId = await importRun(fixture, {
+    providerCode,
+    stamp,
+    period: "2026-01-01",
+    payDate: "2026-01-31",
+    bonusPay: 2000,
+  });
+  await expectFailure(() => exportDeclaration(fixture), { status: 409, includes: "No FINALIZED TRY payroll runs" });
+  await finalizeRun(fixture, { providerCode, runId });
+
+  await expectFailure(() => exportDeclaration(fixture), { status: 400, includes: "cannot be declared" });
+
+  const istanbul = await upsertWorkplace(fixture, {
+    workplaceCode: "W-IST",
+    workplaceName: "Istanbul",
+    sgkRegistrationNo: `1${String(stamp).padStart(25, "0")}`,
+    operatingUnitId: fixture.operatingUnitIds.IST,
+  });
+  const head = await upsertWorkplace(fixture, {
+    workplaceCode: "W-HQ",
+    workplaceName: "Head office",
+    sgkRegistrationNo: `2${String(stamp).padStart(25, "0")}`,
+    operatingUnitId: null,
+    isDefault: true,
+  });
+  assert(head.is_default === true && istanbul.is_default === false, "Only the HQ workplace should be default");
+  await expectFailure(
+    () =>
+      upsertWorkplace(fixture, {
+        workplaceCode: "W-DUP",
+        workplaceName: "Duplicate",
+        sgkRegistrationNo: head.sgk_registration_no,
+        operatingUnitId: null,
+      }),
+    { status: 409, includes: "already assigned" }
+  );
+
+  await expectFailure(() => exportDeclaration(fixture), { status: 409, includes: "liabilities must be built" });
+  await buildPayrollRunLiabilities({
+    req: null,
+    tenantId: fixture.tenantId,
+    runId,
+    userId: fixture.userId,
+    note: "sgk declaration smoke",
+    assertScopeAccess: noScopeGuard,
+  });
+
+  const created = await exportDeclaration(fixture, `SGKD-${stamp}`);
+  assert(created.idempotent === false, "First export should create a snapshot");
+  assert(created.snapshot.snapshot_type === "PAYROLL_SGK_DECLARATION", "Snapshot type mismatch");
+  assert(created.snapshot.period_end === "2026-01-31", "Snapshot should cover the whole month");
+  assert(created.files.length === 4, "Each workplace should get one APHB and one MUHSGK file");
+  const itemCodes = created.items.map((item) => item.item_code).sort();
+  assert(
+    JSON.stringify(itemCodes) ===
+      JSON.stringify(["MUHSGK:W-HQ", "MUHSGK:W-IST", "SGK_APHB:W-HQ", "SGK_APHB:W-IST", "SGK_TAX_RECONCILIATION"]),
+    `Unexpected snapshot items ${itemCodes.join(",")}`
+  );
+  const reconciliation = created.items.find((item) => item.item_code === "SGK_TAX_RECONCILIATION").payload_json;
+  assert(reconciliation.checks.every((check) => check.status === "MATCHED"), "Reconciliation checks should match");
+  const withholding = reconciliation.checks.find((check) => check.check_code === "WITHHOLDING_TAX");
+  assert(near(withholding.declared_amount, 6000 + 4500), "Withholding should add both employees' taxes");
+  const employerPremium = reconciliation.checks.find((check) => check.check_code === "SGK_EMPLOYER_PREMIUM");
+  assert(near(employerPremium.liability_amount, 8700 + 6634), "Employer premium liability total mismatch");
+  for (const item of created.items) {
+    assert(!JSON.stringify(item.payload_json).includes(NATIONAL_IDS.E001), "Snapshot items must not hold TCKNs");
+  }
+
+  const aphbIst = created.files.find((file) => file.file_type === "APHB_XML" && file.workplace_code === "W-IST");
+  assert(aphbIst.employee_count === 1, "Istanbul workplace should declare the employee assigned to its unit");
+  const aphb = await downloadPayrollSgkDeclarationFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    fileId: toNumber(aphbIst.id),
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(aphb.contentType.startsWith("application/xml"), "APHB download content type mismatch");
+  assert(aphb.content.includes(`<TC_KIMLIK_NO>${NATIONAL_IDS.E001}</TC_KIMLIK_NO>`), "APHB should carry the TCKN");
+  assert(aphb.content.includes("<AD>ALPHA AYŞE</AD>"), "Given names should be upper-cased in Turkish");
+  assert(aphb.content.includes("<PRIM_IKRAMIYE>2000.00</PRIM_IKRAMIYE>"), "Bonus should be declared separately");
+  assert(aphb.content.includes("<HAK_EDILEN_UCRET>40000.00</HAK_EDILEN_UCRET>"), "Earned wage mismatch");
+
+  const muhsgkHq = created.files.find((file) => file.file_type === "MUHSGK_TXT" && file.workplace_code === "W-HQ");
+  const muhsgk = await downloadPayrollSgkDeclarationFile({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.userId,
+    fileId: toNumber(muhsgkHq.id),
+    assertScopeAccess: noScopeGuard,
+  });
+  const records = muhsgk.content.trim().split("\r\n");
+  assert(records[0].startsWith(`H;MUHSGK-TXT-1;${TAX_ID};`), "MUHSGK header record mismatch");
+  assert(records[1].startsWith(`D;1;${NATIONAL_IDS.E002};BETA;USER;`), "MUHSGK detail record mismatch");
+  assert(records[records.length - 1].startsWith("T;1;"), "MUHSGK trailer should count one employee");
+
+  const auditRes = await query(
+    `SELECT COUNT(*) AS total
+     FROM sensitive_data_audit
+     WHERE tenant_id = ? AND module_code = 'PAYROLL' AND object_type = 'SGK_DECLARATION_FILE'
+       AND action = 'DOWNLOAD'`,
+    [fixture.tenantId]
+  );
+  assert(toNumber(auditRes.rows?.[0]?.total) === 2, "Each declaration download should be audited");
+
+  const replay = await exportDeclaration(fixture, `SGKD-${stamp}`);
+  assert(replay.idempotent === true, "Same idempotency key should return the recorded export");
+  assert(toNumber(replay.snapshot.id) === toNumber(created.snapshot.id), "Replay should return the same snapshot");
+  assert(replay.files.length === 4, "Replay should list the recorded files");
+
+  await query(
+    `UPDATE payroll_run_liabilities
+     SET amount = amount + 10
+     WHERE tenant_id = ? AND run_id = ? AND liability_type = 'EMPLOYEE_TAX'
+     LIMIT 1`,
+    [fixture.tenantId, runId]
+  );
+  await expectFailure(() => exportDeclaration(fixture), { status: 409, includes: "WITHHOLDING_TAX" });
+
+  const register = await listPayrollSgkDeclarationFiles({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { legalEntityId: fixture.legalEntityId, payrollPeriod: "2026-01-15", limit: 100, offset: 0 },
+    buildScopeFilter: null,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(register.total === 4, "Blocked export must not leave declaration files behind");
+  assert(register.rows.every((row) => row.content === undefined), "Register must not return file content");
+
+  console.log(
+    "Payroll SGK declarations test passed (workplace registry, APHB/MUHSGK per workplace, liability reconciliation, snapshot items, audited download, idempotency)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
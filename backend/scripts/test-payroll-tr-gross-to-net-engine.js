@@ -0,0 +1,462 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import {
+  applyPayrollProviderImport,
+  createPayrollProviderConnection,
+  listSupportedPayrollProviders,
+  previewPayrollProviderImport,
+  upsertPayrollEmployeeProviderRef,
+} from "../src/services/payroll.providers.service.js";
+import {
+  createPayrollCalculationParameterSet,
+  listPayrollCalculationParameterSets,
+  resolveEffectivePayrollCalculationParameterSet,
+  updatePayrollCalculationParameterSetStatus,
+} from "../src/services/payroll.calculationParameters.service.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function near(actual, expected, tolerance = 0.01) {
+  return Math.abs(toNumber(actual) - toNumber(expected)) <= tolerance;
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+async function expectFailure(work, { status, includes }) {
+  try {
+    await work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(
+        `Expected error status ${status} but got ${String(error?.status)} message=${String(
+          error?.message || ""
+        )}`
+      );
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+const TR_2026_PARAMETERS = {
+  minimum_wage_gross: 26005.5,
+  sgk_ceiling_multiplier: 7.5,
+  sgk_employee_rate: 0.14,
+  unemployment_employee_rate: 0.01,
+  sgk_employer_rate: 0.2175,
+  sgk_employer_incentive_rate: 0.05,
+  unemployment_employer_rate: 0.02,
+  stamp_tax_rate: 0.00759,
+  income_tax_brackets: [
+    { up_to: 158000, rate: 0.15 },
+    { up_to: 330000, rate: 0.2 },
+    { up_to: 1200000, rate: 0.27 },
+    { up_to: 4300000, rate: 0.35 },
+    { up_to: null, rate: 0.4 },
+  ],
+};
+
+async function createFixture(stamp) {
+  const tenantCode = `TRG2N_T_${stamp}`;
+  await query(`INSERT INTO tenants (code, name) VALUES (?, ?)`, [tenantCode, `TR G2N Tenant ${stamp}`]);
+  const tenantRes = await query(`SELECT id FROM tenants WHERE code = ? LIMIT 1`, [tenantCode]);
+  const tenantId = toNumber(tenantRes.rows?.[0]?.id);
+  assert(tenantId > 0, "Failed to create tenant fixture");
+
+  const countryRes = await query(
+    `SELECT id, default_currency_code FROM countries WHERE iso2 = 'TR' LIMIT 1`
+  );
+  const countryId = toNumber(countryRes.rows?.[0]?.id);
+  const currencyCode = String(countryRes.rows?.[0]?.default_currency_code || "TRY");
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  await query(`INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`, [
+    tenantId,
+    `TRG2N_G_${stamp}`,
+    `TR G2N Group ${stamp}`,
+  ]);
+  const groupRes = await query(`SELECT id FROM group_companies WHERE tenant_id = ? AND code = ? LIMIT 1`, [
+    tenantId,
+    `TRG2N_G_${stamp}`,
+  ]);
+  const groupCompanyId = toNumber(groupRes.rows?.[0]?.id);
+
+  await query(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      ) VALUES (?, ?, ?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, groupCompanyId, `TRG2N_LE_${stamp}`, `TR G2N Legal Entity ${stamp}`, countryId, currencyCode]
+  );
+  const leRes = await query(`SELECT id FROM legal_entities WHERE tenant_id = ? AND code = ? LIMIT 1`, [
+    tenantId,
+    `TRG2N_LE_${stamp}`,
+  ]);
+  const legalEntityId = toNumber(leRes.rows?.[0]?.id);
+  assert(legalEntityId > 0, "Failed to create legal entity fixture");
+
+  const passwordHash = await bcrypt.hash("TRG2N#Smoke123", 10);
+  const userIds = [];
+  for (const role of ["maker", "checker"]) {
+    const email = `trg2n_${role}_${stamp}@example.com`;
+    await query(
+      `INSERT INTO users (tenant_id, email, password_hash, name, status) VALUES (?, ?, ?, ?, 'ACTIVE')`,
+      [tenantId, email, passwordHash, `TR G2N ${role}`]
+    );
+    const userRes = await query(`SELECT id FROM users WHERE tenant_id = ? AND email = ? LIMIT 1`, [
+      tenantId,
+      email,
+    ]);
+    userIds.push(toNumber(userRes.rows?.[0]?.id));
+  }
+  return { tenantId, legalEntityId, currencyCode, makerUserId: userIds[0], checkerUserId: userIds[1] };
+}
+
+function buildPayload() {
+  return {
+    employees: [
+      {
+        external_employee_id: "TR-E001",
+        external_employee_code: "TR-E001",
+        employee_name: "Asgari Ucretli",
+        cost_center_code: "CC-01",
+        base_salary: 26005.5,
+      },
+      {
+        external_employee_id: "TR-E002",
+        external_employee_code: "TR-E002",
+        employee_name: "Tavan Ustu",
+        cost_center_code: "CC-02",
+        base_salary: 250000,
+        overtime_hours: 10,
+        bonus_pay: 5000,
+        other_deductions: 1000,
+        apply_sgk_employer_incentive: true,
+      },
+    ],
+  };
+}
+
+async function previewMonth({ fixture, connectionId, payrollPeriod, periodEnd, stamp, attempt = "" }) {
+  return previewPayrollProviderImport({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    input: {
+      payrollProviderConnectionId: connectionId,
+      payrollPeriod,
+      periodStart: payrollPeriod,
+      periodEnd,
+      payDate: periodEnd,
+      currencyCode: fixture.currencyCode,
+      sourceFormat: "JSON",
+      sourceFilename: `tr-g2n-${payrollPeriod}${attempt}-${stamp}.json`,
+      sourceBatchRef: `TRG2N-${payrollPeriod}${attempt}-${stamp}`,
+      // A recalculation sends the same employees; indentation keeps its payload hash distinct.
+      rawPayloadText: attempt ? JSON.stringify(buildPayload(), null, 2) : JSON.stringify(buildPayload()),
+      importKey: `TRG2N-${payrollPeriod}${attempt}-${stamp}`,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+function employeeByExtId(preview, extId) {
+  return (preview?.job?.normalized_payload_json?.employees || []).find(
+    (row) => String(row?.external_employee_id || "") === extId
+  );
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const supported = listSupportedPayrollProviders();
+  const native = (supported || []).find((row) => row?.provider_code === "TR_GROSS_TO_NET");
+  assert(native, "TR_GROSS_TO_NET adapter must be registered");
+  assert(native.calculation_country_code === "TR", "TR_GROSS_TO_NET must declare TR calculation parameters");
+
+  const stamp = Date.now();
+  const fixture = await createFixture(stamp);
+
+  await expectFailure(
+    () =>
+      createPayrollCalculationParameterSet({
+        req: null,
+        tenantId: fixture.tenantId,
+        userId: fixture.makerUserId,
+        input: {
+          countryCode: "TR",
+          versionCode: "TR-BROKEN",
+          effectiveFrom: "2026-01-01",
+          status: "DRAFT",
+          parametersJson: { ...TR_2026_PARAMETERS, income_tax_brackets: [{ up_to: 1000, rate: 0.15 }] },
+        },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 400, includes: "up_to = null" }
+  );
+
+  const parameterSet = await createPayrollCalculationParameterSet({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    input: {
+      countryCode: "TR",
+      versionCode: "TR-2026-H1",
+      effectiveFrom: "2026-01-01",
+      effectiveTo: null,
+      status: "ACTIVE",
+      parametersJson: TR_2026_PARAMETERS,
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  assert(toNumber(parameterSet?.id) > 0, "Parameter set should be created");
+  assert(
+    near(parameterSet?.parameters_json?.sgk_ceiling_amount, 195041.25),
+    "SGK ceiling should be derived from the minimum wage multiplier"
+  );
+
+  const overlapping = await createPayrollCalculationParameterSet({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    input: {
+      countryCode: "TR",
+      versionCode: "TR-2026-H2",
+      effectiveFrom: "2026-07-01",
+      status: "DRAFT",
+      parametersJson: { ...TR_2026_PARAMETERS, minimum_wage_gross: 30000 },
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  await expectFailure(
+    () =>
+      updatePayrollCalculationParameterSetStatus({
+        req: null,
+        tenantId: fixture.tenantId,
+        userId: fixture.makerUserId,
+        parameterSetId: toNumber(overlapping?.id),
+        input: { status: "ACTIVE" },
+        assertScopeAccess: noScopeGuard,
+      }),
+    { status: 409, includes: "overlap" }
+  );
+  await updatePayrollCalculationParameterSetStatus({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    parameterSetId: toNumber(parameterSet?.id),
+    input: { status: "ACTIVE", effectiveTo: "2026-06-30" },
+    assertScopeAccess: noScopeGuard,
+  });
+  await updatePayrollCalculationParameterSetStatus({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    parameterSetId: toNumber(overlapping?.id),
+    input: { status: "ACTIVE" },
+    assertScopeAccess: noScopeGuard,
+  });
+  const julySet = await resolveEffectivePayrollCalculationParameterSet({
+    tenantId: fixture.tenantId,
+    legalEntityId: fixture.legalEntityId,
+    countryCode: "TR",
+    effectiveDate: "2026-07-01",
+  });
+  assert(julySet?.version_code === "TR-2026-H2", "July should resolve the second-half parameter set");
+  const listed = await listPayrollCalculationParameterSets({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { countryCode: "TR", status: "ACTIVE", effectiveOn: "2026-02-01", limit: 50, offset: 0 },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+  assert((listed?.rows || []).length === 1, "Exactly one ACTIVE set should be effective in February");
+
+  const providerCode = "TR_GROSS_TO_NET";
+  const connection = await createPayrollProviderConnection({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.makerUserId,
+    input: {
+      legalEntityId: fixture.legalEntityId,
+      providerCode,
+      providerName: "Native TR gross-to-net",
+      adapterVersion: "v1",
+      status: "ACTIVE",
+      isDefault: true,
+      settingsJson: {},
+    },
+    assertScopeAccess: noScopeGuard,
+  });
+  const connectionId = toNumber(connection?.id);
+  for (const extId of ["TR-E001", "TR-E002"]) {
+    await upsertPayrollEmployeeProviderRef({
+      req: null,
+      tenantId: fixture.tenantId,
+      userId: fixture.makerUserId,
+      input: {
+        legalEntityId: fixture.legalEntityId,
+        providerCode,
+        externalEmployeeId: extId,
+        externalEmployeeCode: extId,
+        internalEmployeeCode: extId.replace("TR-", ""),
+        internalEmployeeName: extId,
+        status: "ACTIVE",
+        isPrimary: true,
+        payloadJson: { source: "TR gross-to-net smoke" },
+      },
+      assertScopeAccess: noScopeGuard,
+    });
+  }
+
+  const january = await previewMonth({
+    fixture,
+    connectionId,
+    payrollPeriod: "2026-01-01",
+    periodEnd: "2026-01-31",
+    stamp,
+  });
+  assert(january?.preview_summary?.apply_blocked === false, "January calculation preview should be applyable");
+  const janMinimum = employeeByExtId(january, "TR-E001");
+  assert(near(janMinimum?.net_pay, 22104.67), "Minimum wage net should be 22104.67");
+  assert(near(janMinimum?.employee_tax, 0), "Minimum wage earner should pay no income or stamp tax");
+  assert(near(janMinimum?.employer_social_security, 6176.31), "Minimum wage employer SGK + unemployment mismatch");
+
+  const janHigh = employeeByExtId(january, "TR-E002");
+  const janHighCalc = janHigh?.calculation || {};
+  assert(near(janHigh?.overtime_pay, 16666.67), "Overtime should be base/225 x 1.5 x hours");
+  assert(near(janHigh?.gross_pay, 271666.67), "Gross should include base, overtime and bonus");
+  assert(janHighCalc.sgk_ceiling_applied === true, "SGK ceiling should cap the high earner");
+  assert(near(janHighCalc.sgk_base, 195041.25), "SGK base should equal the ceiling");
+  assert(near(janHighCalc.income_tax_exemption, 3315.7), "Minimum-wage income tax exemption mismatch");
+  assert(near(janHighCalc.income_tax, 37266.4), "January income tax mismatch");
+  assert(near(janHighCalc.stamp_tax, 1864.57), "January stamp tax mismatch");
+  assert(near(janHigh?.employer_social_security, 36570.24), "Employer SGK with incentive mismatch");
+  assert(
+    near(
+      janHigh?.net_pay,
+      toNumber(janHigh?.gross_pay) -
+        toNumber(janHigh?.employee_tax) -
+        toNumber(janHigh?.employee_social_security) -
+        toNumber(janHigh?.other_deductions)
+    ),
+    "Net must equal gross less taxes, SGK and other deductions"
+  );
+  assert(
+    january?.job?.normalized_payload_json?.calculation?.parameter_version_code === "TR-2026-H1",
+    "Canonical payload should trace the parameter set version"
+  );
+
+  const applied = await applyPayrollProviderImport({
+    req: null,
+    tenantId: fixture.tenantId,
+    userId: fixture.checkerUserId,
+    importJobId: toNumber(january?.job?.id),
+    input: { applyIdempotencyKey: `TRG2N-APPLY-JAN-${stamp}`, note: "apply January", allowSameUserApply: false },
+    assertScopeAccess: noScopeGuard,
+    skipUnifiedApprovalGate: true,
+  });
+  const runId = toNumber(applied?.job?.applied_payroll_run_id);
+  assert(runId > 0, "January apply should create a payroll run");
+  const lineRes = await query(
+    `SELECT employee_code, gross_pay, employee_tax, net_pay
+     FROM payroll_run_lines
+     WHERE tenant_id = ? AND run_id = ?
+     ORDER BY line_no`,
+    [fixture.tenantId, runId]
+  );
+  const runLines = lineRes.rows || [];
+  assert(runLines.length === 2, "Applied run should carry two payroll_run_lines");
+  assert(
+    near(runLines.find((row) => row.employee_code === "E002")?.net_pay, janHigh?.net_pay),
+    "payroll_run_lines net pay should match the calculated preview"
+  );
+
+  const januaryRecalc = await previewMonth({
+    fixture,
+    connectionId,
+    payrollPeriod: "2026-01-01",
+    periodEnd: "2026-01-31",
+    stamp,
+    attempt: "-RECALC",
+  });
+  assert(
+    toNumber(januaryRecalc?.job?.id) !== toNumber(january?.job?.id),
+    "January recalculation should be a new import job"
+  );
+  const janHighRecalc = employeeByExtId(januaryRecalc, "TR-E002");
+  assert(
+    near(janHighRecalc?.calculation?.cumulative_income_tax_base_before, 0),
+    "Recalculating January must not start from January's own cumulative base"
+  );
+  assert(near(janHighRecalc?.net_pay, janHigh?.net_pay), "Recalculating January must give the same net pay");
+
+  const february = await previewMonth({
+    fixture,
+    connectionId,
+    payrollPeriod: "2026-02-01",
+    periodEnd: "2026-02-28",
+    stamp,
+  });
+  const febHighCalc = employeeByExtId(february, "TR-E002")?.calculation || {};
+  assert(
+    near(febHighCalc.cumulative_income_tax_base_before, janHighCalc.cumulative_income_tax_base),
+    "February should continue from January cumulative income tax base"
+  );
+  assert(
+    near(febHighCalc.income_tax_calculated, 59319.56),
+    "February income tax should move into the next bracket on the cumulative base"
+  );
+
+  await query(
+    `UPDATE payroll_calculation_parameter_sets SET status = 'RETIRED' WHERE tenant_id = ?`,
+    [fixture.tenantId]
+  );
+  const noParams = await previewMonth({
+    fixture,
+    connectionId,
+    payrollPeriod: "2026-03-01",
+    periodEnd: "2026-03-31",
+    stamp,
+  });
+  assert(noParams?.preview_summary?.apply_blocked === true, "Preview without parameters must be blocked");
+  assert(
+    (noParams?.job?.validation_errors_json || []).some((message) =>
+      String(message).includes("No ACTIVE TR payroll calculation parameter set")
+    ),
+    "Missing parameter set should surface as a validation error"
+  );
+
+  console.log(
+    "TR gross-to-net engine smoke test passed (parameter set versioning/overlap, SGK ceiling and incentive, cumulative brackets, minimum-wage exemptions, preview/apply into payroll_run_lines, YTD carry-forward, same-month recalculation)."
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -0,0 +1,353 @@
+import bcrypt from "bcrypt";
+import { closePool, query } from "../src/db.js";
+import { seedCore } from "../src/seedCore.js";
+import { getTreasuryLiquidityReport } from "../src/services/treasury.liquidity.service.js";
+import { parseTreasuryLiquidityFilters } from "../src/routes/treasury.validators.js";
+
+const AS_OF_DATE = "2026-03-02";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function approxEqual(actual, expected, message) {
+  assert(
+    Math.abs(toNumber(actual) - toNumber(expected)) < 0.01,
+    `${message}: expected ${expected}, got ${actual}`
+  );
+}
+
+function noScopeGuard() {
+  return true;
+}
+
+function allowAllScopeFilter() {
+  return "1 = 1";
+}
+
+function expectFailure(work, { status, includes }) {
+  try {
+    work();
+  } catch (error) {
+    if (status !== undefined && Number(error?.status || 0) !== Number(status)) {
+      throw new Error(`Expected error status ${status} but got ${String(error?.status)}`);
+    }
+    if (includes && !String(error?.message || "").includes(includes)) {
+      throw new Error(
+        `Expected error message to include "${includes}" but got "${String(error?.message || "")}"`
+      );
+    }
+    return;
+  }
+  throw new Error("Expected operation to fail, but it succeeded");
+}
+
+async function insertId(sql, params, label) {
+  const result = await query(sql, params);
+  const id = toNumber(result.rows?.insertId);
+  assert(id > 0, `Failed to create ${label} fixture`);
+  return id;
+}
+
+async function createFixtures(stamp) {
+  const tenantId = await insertId(
+    `INSERT INTO tenants (code, name) VALUES (?, ?)`,
+    [`TLQ_T_${stamp}`, `TLQ Tenant ${stamp}`],
+    "tenant"
+  );
+
+  const countryRows = await query(`SELECT id FROM countries WHERE iso2 = 'TR' LIMIT 1`);
+  const countryId = toNumber(countryRows.rows?.[0]?.id);
+  assert(countryId > 0, "Missing country seed row (TR)");
+
+  const groupCompanyId = await insertId(
+    `INSERT INTO group_companies (tenant_id, code, name) VALUES (?, ?, ?)`,
+    [tenantId, `TLQ_G_${stamp}`, `TLQ Group ${stamp}`],
+    "group company"
+  );
+  const legalEntityId = await insertId(
+    `INSERT INTO legal_entities (
+        tenant_id, group_company_id, code, name, country_id, functional_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, ?, 'TRY', 'ACTIVE')`,
+    [tenantId, groupCompanyId, `TLQ_LE_${stamp}`, `TLQ Legal Entity ${stamp}`, countryId],
+    "legal entity"
+  );
+  const coaId = await insertId(
+    `INSERT INTO charts_of_accounts (tenant_id, legal_entity_id, scope, code, name)
+     VALUES (?, ?, 'LEGAL_ENTITY', ?, ?)`,
+    [tenantId, legalEntityId, `TLQ_COA_${stamp}`, `TLQ Chart ${stamp}`],
+    "chart of accounts"
+  );
+
+  async function createAccount(code, name) {
+    return insertId(
+      `INSERT INTO accounts (
+          coa_id, code, name, account_type, normal_side, allow_posting, parent_account_id, is_active
+        )
+        VALUES (?, ?, ?, 'ASSET', 'DEBIT', TRUE, NULL, TRUE)`,
+      [coaId, code, name],
+      `${name} GL account`
+    );
+  }
+
+  const passwordHash = await bcrypt.hash("TLQ#Smoke123", 10);
+  const userId = await insertId(
+    `INSERT INTO users (tenant_id, email, password_hash, name, status)
+     VALUES (?, ?, ?, ?, 'ACTIVE')`,
+    [tenantId, `tlq_user_${stamp}@example.com`, passwordHash, "TLQ User"],
+    "user"
+  );
+
+  async function createBankAccount(suffix, currencyCode) {
+    const glAccountId = await createAccount(`102${suffix}${stamp}`, `Bankalar ${suffix}`);
+    return insertId(
+      `INSERT INTO bank_accounts (
+          tenant_id, legal_entity_id, code, name, currency_code, gl_account_id,
+          bank_name, is_active, created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, 'Smoke Bank', TRUE, ?)`,
+      [tenantId, legalEntityId, `TLQ_BA_${suffix}_${stamp}`, `TLQ Bank ${suffix}`, currencyCode, glAccountId, userId],
+      `${currencyCode} bank account`
+    );
+  }
+
+  async function createStatement(bankAccountId, currencyCode, periodEnd, closingBalance) {
+    await insertId(
+      `INSERT INTO bank_statement_imports (
+          tenant_id, legal_entity_id, bank_account_id, import_source, original_filename,
+          file_checksum, period_start, period_end, status, opening_balance, opening_balance_date,
+          closing_balance, closing_balance_date, imported_by_user_id
+        )
+        VALUES (?, ?, ?, 'MANUAL', ?, SHA2(?, 256), ?, ?, 'IMPORTED', 0, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        bankAccountId,
+        `tlq-${currencyCode}-${periodEnd}.csv`,
+        `${stamp}-${bankAccountId}-${periodEnd}`,
+        periodEnd,
+        periodEnd,
+        periodEnd,
+        closingBalance,
+        periodEnd,
+        userId,
+      ],
+      `${currencyCode} statement import`
+    );
+  }
+
+  const tryBankId = await createBankAccount("TRY", "TRY");
+  await createStatement(tryBankId, "TRY", "2026-02-27", 100000);
+  await createStatement(tryBankId, "TRY", "2026-03-05", 999);
+  const usdBankId = await createBankAccount("USD", "USD");
+  await createStatement(usdBankId, "USD", "2026-02-27", 1000);
+  const eurBankId = await createBankAccount("EUR", "EUR");
+  await createStatement(eurBankId, "EUR", "2026-02-27", 500);
+
+  await query(
+    `INSERT INTO fx_rates (tenant_id, rate_date, from_currency_code, to_currency_code, rate_type, rate)
+     VALUES (?, '2026-02-27', 'USD', 'TRY', 'SPOT', 30)`,
+    [tenantId]
+  );
+
+  const cashAccountId = await createAccount(`100${stamp}`, "Kasa");
+  const registerId = await insertId(
+    `INSERT INTO cash_registers (
+        tenant_id, legal_entity_id, account_id, code, name, currency_code, status, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, 'TLQ Register', 'TRY', 'ACTIVE', ?)`,
+    [tenantId, legalEntityId, cashAccountId, `TLQ_CR_${stamp}`, userId],
+    "cash register"
+  );
+  await insertId(
+    `INSERT INTO cash_sessions (tenant_id, cash_register_id, status, opening_amount, opened_by_user_id)
+     VALUES (?, ?, 'OPEN', 2500, ?)`,
+    [tenantId, registerId, userId],
+    "cash session"
+  );
+
+  const counterpartyId = await insertId(
+    `INSERT INTO counterparties (
+        tenant_id, legal_entity_id, code, name, is_customer, is_vendor, default_currency_code, status
+      )
+      VALUES (?, ?, ?, ?, TRUE, TRUE, 'TRY', 'ACTIVE')`,
+    [tenantId, legalEntityId, `TLQ_CP_${stamp}`, `TLQ Counterparty ${stamp}`],
+    "counterparty"
+  );
+
+  let sequenceNo = 0;
+  async function createOpenItem(direction, documentDate, dueDate, amount) {
+    sequenceNo += 1;
+    const documentId = await insertId(
+      `INSERT INTO cari_documents (
+          tenant_id, legal_entity_id, counterparty_id, direction, document_type,
+          sequence_namespace, fiscal_year, sequence_no, document_no, status,
+          document_date, due_date, amount_txn, amount_base, open_amount_txn, open_amount_base,
+          currency_code, counterparty_code_snapshot, counterparty_name_snapshot, currency_code_snapshot
+        )
+        VALUES (?, ?, ?, ?, 'INVOICE', ?, 2026, ?, ?, 'DRAFT', ?, ?, ?, ?, ?, ?, 'TRY', ?, ?, 'TRY')`,
+      [
+        tenantId,
+        legalEntityId,
+        counterpartyId,
+        direction,
+        `CARI_${direction}`,
+        sequenceNo,
+        `TLQ-${direction}-${stamp}-${sequenceNo}`,
+        documentDate,
+        dueDate,
+        amount,
+        amount,
+        amount,
+        amount,
+        `TLQ_CP_${stamp}`,
+        `TLQ Counterparty ${stamp}`,
+      ],
+      `${direction} document`
+    );
+    await insertId(
+      `INSERT INTO cari_open_items (
+          tenant_id, legal_entity_id, counterparty_id, document_id, item_no, status,
+          document_date, due_date, original_amount_txn, original_amount_base,
+          residual_amount_txn, residual_amount_base, settled_amount_txn, settled_amount_base, currency_code
+        )
+        VALUES (?, ?, ?, ?, 1, 'OPEN', ?, ?, ?, ?, ?, ?, 0, 0, 'TRY')`,
+      [tenantId, legalEntityId, counterpartyId, documentId, documentDate, dueDate, amount, amount, amount, amount],
+      `${direction} open item`
+    );
+  }
+
+  await createOpenItem("AR", "2026-02-10", "2026-03-10", 20000);
+  await createOpenItem("AP", "2026-02-01", "2026-02-20", 8000);
+  await createOpenItem("AR", "2026-02-15", "2026-08-01", 50000);
+
+  async function createPaymentBatch(status, amount) {
+    return insertId(
+      `INSERT INTO payment_batches (
+          tenant_id, legal_entity_id, batch_no, source_type, bank_account_id, currency_code,
+          total_amount, status, created_by_user_id, approved_by_user_id, approved_at
+        )
+        VALUES (?, ?, ?, 'MANUAL', ?, 'TRY', ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        `TLQ-PB-${status}-${stamp}`,
+        tryBankId,
+        amount,
+        status,
+        userId,
+        status === "APPROVED" ? userId : null,
+        status === "APPROVED" ? `${AS_OF_DATE} 09:00:00` : null,
+      ],
+      `${status} payment batch`
+    );
+  }
+
+  await createPaymentBatch("APPROVED", 5000);
+  await createPaymentBatch("DRAFT", 7000);
+
+  await insertId(
+    `INSERT INTO contracts (
+        tenant_id, legal_entity_id, counterparty_id, contract_no, contract_type, status,
+        currency_code, start_date, end_date, total_amount_txn, total_amount_base, created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, 'CUSTOMER', 'ACTIVE', 'TRY', '2026-03-02', '2026-03-15', 14000, 14000, ?)`,
+    [tenantId, legalEntityId, counterpartyId, `TLQ-CTR-${stamp}`, userId],
+    "contract"
+  );
+
+  return { tenantId, legalEntityId };
+}
+
+function loadReport(fixture, filters = {}) {
+  return getTreasuryLiquidityReport({
+    req: null,
+    tenantId: fixture.tenantId,
+    filters: { asOfDate: AS_OF_DATE, ...filters },
+    buildScopeFilter: allowAllScopeFilter,
+    assertScopeAccess: noScopeGuard,
+  });
+}
+
+async function main() {
+  await seedCore({ ensureDefaultTenantIfMissing: true });
+
+  const stamp = Date.now();
+  const fixture = await createFixtures(stamp);
+
+  const report = await loadReport(fixture, { groupCurrencyCode: "TRY" });
+  assert(report.groupCurrencyCode === "TRY", "Group currency should follow the request");
+  assert(report.forecast.weeks.length === 13, "Forecast should default to 13 weeks");
+
+  const tryRow = report.cashPosition.rows.find((row) => row.currency_code === "TRY");
+  approxEqual(tryRow?.bank_balance, 100000, "TRY bank balance should use the latest closing on or before as-of");
+  approxEqual(tryRow?.cash_balance, 2500, "Open cash session balance should be included");
+  const usdRow = report.cashPosition.rows.find((row) => row.currency_code === "USD");
+  approxEqual(usdRow?.total_balance_group, 30000, "USD balance should convert with USD->TRY rate");
+  const eurRow = report.cashPosition.rows.find((row) => row.currency_code === "EUR");
+  assert(eurRow?.fx_missing === true && eurRow.total_balance_group === null, "EUR row should flag missing FX");
+  assert(report.fx.complete === false, "FX summary should be incomplete");
+  assert(report.fx.missingCurrencies.includes("EUR"), "EUR should be listed as missing currency");
+  approxEqual(report.cashPosition.totalBalanceGroup, 132500, "Group total should exclude unconverted balances");
+
+  const [week1, week2, week3] = report.forecast.weeks;
+  assert(week1.week_start === AS_OF_DATE && week1.week_end === "2026-03-08", "Week 1 should start on as-of");
+  approxEqual(week1.opening_balance_group, 132500, "Week 1 should open with total cash");
+  approxEqual(week1.by_source.AP_OPEN_ITEMS, -8000, "Overdue AP should land in week 1");
+  approxEqual(week1.by_source.PAYMENT_BATCHES, -5000, "Only approved unexported batches count");
+  approxEqual(week1.by_source.CONTRACT_BILLING, 7000, "Contract remainder should spread across its term");
+  approxEqual(week1.closing_balance_group, 126500, "Week 1 closing balance mismatch");
+  approxEqual(week2.by_source.AR_OPEN_ITEMS, 20000, "AR due in week 2 should land in week 2");
+  approxEqual(week2.by_source.CONTRACT_BILLING, 7000, "Contract remainder second week mismatch");
+  approxEqual(week2.closing_balance_group, 153500, "Week 2 closing balance mismatch");
+  approxEqual(week3.net_flow_group, 0, "Week 3 should be empty");
+  approxEqual(report.forecast.overdueInWeek1.AP_OPEN_ITEMS, -8000, "Overdue AP should be reported");
+  approxEqual(report.forecast.closingBalanceGroup, 153500, "Horizon closing balance mismatch");
+
+  const usdReport = await loadReport(fixture, { groupCurrencyCode: "USD", weeks: 4 });
+  assert(usdReport.forecast.weeks.length === 4, "weeks filter should shorten the horizon");
+  approxEqual(
+    usdReport.cashPosition.totalBalanceGroup,
+    100000 / 30 + 1000 + 2500 / 30,
+    "Inverse USD->TRY rate should convert TRY balances to USD"
+  );
+  assert(
+    usdReport.fx.rates.some((rate) => rate.currency_code === "TRY" && rate.inverted === true),
+    "TRY->USD should be marked as an inverted rate"
+  );
+
+  const defaultReport = await loadReport(fixture);
+  assert(defaultReport.groupCurrencySource === "LEGAL_ENTITY", "Default group currency should fall back to LE");
+
+  expectFailure(
+    () => parseTreasuryLiquidityFilters({ user: { tenantId: fixture.tenantId }, query: { weeks: "30" } }),
+    { status: 400, includes: "weeks" }
+  );
+  expectFailure(
+    () =>
+      parseTreasuryLiquidityFilters({
+        user: { tenantId: fixture.tenantId },
+        query: { rateType: "HISTORICAL" },
+      }),
+    { status: 400, includes: "rateType" }
+  );
+
+  console.log("Treasury liquidity report test passed.");
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closePool();
+  });
@@ -12,6 +12,7 @@ import approvalPoliciesRoutes from "./routes/approvalPolicies.routes.js";
 import jobsAdminRoutes from "./routes/jobs.admin.routes.js";
 import opsDashboardRoutes from "./routes/ops.dashboard.routes.js";
 import exceptionsWorkbenchRoutes from "./routes/exceptions.workbench.routes.js";
+import treasuryRoutes from "./routes/treasury.routes.js";
 import retentionAdminRoutes from "./routes/retention.admin.routes.js";
 import glRoutes from "./routes/gl.js";
 import fxRoutes from "./routes/fx.js";
@@ -52,9 +53,14 @@ import payrollSettlementOverridesRoutes from "./routes/payroll.settlementOverrid
 import payrollBeneficiariesRoutes from "./routes/payroll.beneficiaries.routes.js";
 import payrollCloseRoutes from "./routes/payroll.close.routes.js";
 import payrollProvidersRoutes from "./routes/payroll.providers.routes.js";
+import payrollEmployeesRoutes from "./routes/payroll.employees.routes.js";
+import payrollProvisionsRoutes from "./routes/payroll.provisions.routes.js";
+import payrollPayslipsRoutes from "./routes/payroll.payslips.routes.js";
+import payrollSgkDeclarationsRoutes from "./routes/payroll.sgkDeclarations.routes.js";
 import cariRoutes from "./routes/cari.js";
 import contractsRoutes from "./routes/contracts.js";
 import revenueRecognitionRoutes from "./routes/revenue-recognition.js";
+import fixedAssetsRoutes from "./routes/fixedAssets.routes.js";
 import { requireAuth } from "./middleware/auth.js";
 import {
   buildRequestLogMeta,
@@ -153,6 +159,8 @@ const corsOptions = {
   optionsSuccessStatus: 200,
 };
 
+// UBL-TR invoices can embed a base64 PDF copy, so the inbox upload gets a larger body limit.
+app.use("/api/v1/cari/einvoice-inbox", express.json({ limit: "6mb" }));
 app.use(express.json());
 app.use(cors(corsOptions));
 app.options(/.*/, cors(corsOptions));
@@ -256,6 +264,11 @@ app.use("/api/v1/bank", requireAuth, bankPaymentReturnsRoutes);
 app.use("/api/v1/bank", requireAuth, bankApprovalPoliciesRoutes);
 app.use("/api/v1/bank", requireAuth, bankApprovalRequestsRoutes);
 app.use("/api/v1/payments", requireAuth, paymentsRoutes);
+app.use("/api/v1/treasury", requireAuth, treasuryRoutes);
+app.use("/api/v1/payroll/employees", requireAuth, payrollEmployeesRoutes);
+app.use("/api/v1/payroll/provisions", requireAuth, payrollProvisionsRoutes);
+app.use("/api/v1/payroll/payslips", requireAuth, payrollPayslipsRoutes);
+app.use("/api/v1/payroll/sgk-declarations", requireAuth, payrollSgkDeclarationsRoutes);
 app.use("/api/v1/payroll/runs", requireAuth, payrollRunsRoutes);
 app.use("/api/v1/payroll/mappings", requireAuth, payrollMappingsRoutes);
 app.use("/api/v1/payroll/runs", requireAuth, payrollAccrualsRoutes);
@@ -269,6 +282,7 @@ app.use("/api/v1/payroll/close-controls", requireAuth, payrollCloseRoutes);
 app.use("/api/v1/cari", requireAuth, cariRoutes);
 app.use("/api/v1/contracts", requireAuth, contractsRoutes);
 app.use("/api/v1/revenue-recognition", requireAuth, revenueRecognitionRoutes);
+app.use("/api/v1/fixed-assets", requireAuth, fixedAssetsRoutes);
 
 app.use((req, res) => {
   return res
@@ -56,6 +56,29 @@ import migration065DataRetentionArchival from "./m065_data_retention_archival.js
 import migration066BankReconAutopostTaxModes from "./m066_bank_recon_autopost_tax_modes.js";
 import migration067UserPreferences from "./m067_user_preferences.js";
 import migration068ExceptionWorkbenchSlaDueAt from "./m068_exception_workbench_sla_due_at.js";
+import migration069TaxCodes from "./m069_tax_codes.js";
+import migration070KdvReturnBoxMappings from "./m070_kdv_return_box_mappings.js";
+import migration071CariDocumentLines from "./m071_cari_document_lines.js";
+import migration072CariEinvoiceArtifacts from "./m072_cari_einvoice_artifacts.js";
+import migration073CariEinvoiceInbox from "./m073_cari_einvoice_inbox.js";
+import migration074CariPortfolioInstruments from "./m074_cari_portfolio_instruments.js";
+import migration075GlBudgets from "./m075_gl_budgets.js";
+import migration076FixedAssets from "./m076_fixed_assets.js";
+import migration077AnalyticDimensions from "./m077_analytic_dimensions.js";
+import migration078CashFlowMappings from "./m078_cash_flow_mappings.js";
+import migration079BankStatementFormats from "./m079_bank_statement_formats.js";
+import migration080PaymentFilePain001 from "./m080_payment_file_pain001.js";
+import migration081BankConnectorFileTransfers from "./m081_bank_connector_file_transfers.js";
+import migration082BankReconciliationMatchGroups from "./m082_bank_reconciliation_match_groups.js";
+import migration083BankReconciliationRuleProposals from "./m083_bank_reconciliation_rule_proposals.js";
+import migration084BankStatementCoverageIssues from "./m084_bank_statement_coverage_issues.js";
+import migration085CariCounterpartyVirtualAccounts from "./m085_cari_counterparty_virtual_accounts.js";
+import migration086BankAutopostTransactionCodesFx from "./m086_bank_autopost_transaction_codes_fx.js";
+import migration087PayrollCalculationParameterSets from "./m087_payroll_calculation_parameter_sets.js";
+import migration088PayrollEmployeeMaster from "./m088_payroll_employee_master.js";
+import migration089PayrollProvisions from "./m089_payroll_provisions.js";
+import migration090PayrollPayslips from "./m090_payroll_payslips.js";
+import migration091PayrollSgkDeclarations from "./m091_payroll_sgk_declarations.js";
 
 const migrations = [
   migration001GlobalMultiEntity,
@@ -116,6 +139,29 @@ const migrations = [
   migration066BankReconAutopostTaxModes,
   migration067UserPreferences,
   migration068ExceptionWorkbenchSlaDueAt,
+  migration069TaxCodes,
+  migration070KdvReturnBoxMappings,
+  migration071CariDocumentLines,
+  migration072CariEinvoiceArtifacts,
+  migration073CariEinvoiceInbox,
+  migration074CariPortfolioInstruments,
+  migration075GlBudgets,
+  migration076FixedAssets,
+  migration077AnalyticDimensions,
+  migration078CashFlowMappings,
+  migration079BankStatementFormats,
+  migration080PaymentFilePain001,
+  migration081BankConnectorFileTransfers,
+  migration082BankReconciliationMatchGroups,
+  migration083BankReconciliationRuleProposals,
+  migration084BankStatementCoverageIssues,
+  migration085CariCounterpartyVirtualAccounts,
+  migration086BankAutopostTransactionCodesFx,
+  migration087PayrollCalculationParameterSets,
+  migration088PayrollEmployeeMaster,
+  migration089PayrollProvisions,
+  migration090PayrollPayslips,
+  migration091PayrollSgkDeclarations,
 ];
 
 export default migrations;
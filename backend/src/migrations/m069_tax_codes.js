@@ -0,0 +1,131 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration069TaxCodes = {
+  key: "m069_tax_codes",
+  description: "VAT/KDV tax code master and net/tax split on cari documents",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS tax_codes (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         code VARCHAR(40) NOT NULL,
+         name VARCHAR(190) NOT NULL,
+         tax_type ENUM('VAT','VAT_EXEMPT') NOT NULL DEFAULT 'VAT',
+         rate_pct DECIMAL(9,4) NOT NULL DEFAULT 0,
+         deductible_pct DECIMAL(9,4) NOT NULL DEFAULT 100,
+         input_account_id BIGINT UNSIGNED NULL,
+         output_account_id BIGINT UNSIGNED NULL,
+         effective_from DATE NOT NULL,
+         effective_to DATE NULL,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_tax_codes_tenant_id (tenant_id, id),
+         UNIQUE KEY uk_tax_codes_tenant_entity_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_tax_codes_code_effective (tenant_id, legal_entity_id, code, effective_from),
+         KEY ix_tax_codes_lookup (tenant_id, legal_entity_id, code, status, effective_from),
+         CONSTRAINT fk_tax_codes_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_tax_codes_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_tax_codes_input_account
+           FOREIGN KEY (input_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_tax_codes_output_account
+           FOREIGN KEY (output_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_tax_codes_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_tax_codes_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT chk_tax_codes_rate_range
+           CHECK (rate_pct >= 0 AND rate_pct < 100),
+         CONSTRAINT chk_tax_codes_deductible_range
+           CHECK (deductible_pct >= 0 AND deductible_pct <= 100),
+         CONSTRAINT chk_tax_codes_effective_range
+           CHECK (effective_to IS NULL OR effective_to >= effective_from)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN tax_code VARCHAR(40) NULL AFTER fx_rate`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN tax_code_id BIGINT UNSIGNED NULL AFTER tax_code`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN tax_rate_pct DECIMAL(9,4) NULL AFTER tax_code_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN net_amount_txn DECIMAL(20,6) NULL AFTER tax_rate_pct`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN net_amount_base DECIMAL(20,6) NULL AFTER net_amount_txn`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN tax_amount_txn DECIMAL(20,6) NULL AFTER net_amount_base`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD COLUMN tax_amount_base DECIMAL(20,6) NULL AFTER tax_amount_txn`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD KEY ix_cari_docs_tax_code (tenant_id, legal_entity_id, tax_code)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE cari_documents
+         ADD CONSTRAINT fk_cari_docs_tax_code
+         FOREIGN KEY (tenant_id, legal_entity_id, tax_code_id)
+         REFERENCES tax_codes(tenant_id, legal_entity_id, id)`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE journal_lines
+         ADD KEY ix_journal_lines_tax_code (tax_code)`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`ALTER TABLE cari_documents DROP FOREIGN KEY fk_cari_docs_tax_code`);
+    await connection.execute(`DROP TABLE IF EXISTS tax_codes`);
+    // Additive ALTER reversals intentionally omitted for safety.
+  },
+};
+
+export default migration069TaxCodes;
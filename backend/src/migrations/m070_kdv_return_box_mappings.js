@@ -0,0 +1,73 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration070KdvReturnBoxMappings = {
+  key: "m070_kdv_return_box_mappings",
+  description: "Tenant-maintained mapping of tax codes/accounts to KDV return boxes",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS kdv_return_box_mappings (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         box_code VARCHAR(40) NOT NULL,
+         box_name VARCHAR(190) NOT NULL,
+         section ENUM('OUTPUT','INPUT','WITHHOLDING') NOT NULL,
+         tax_code VARCHAR(40) NULL,
+         account_id BIGINT UNSIGNED NULL,
+         amount_basis ENUM('BASE','TAX') NOT NULL DEFAULT 'TAX',
+         sort_order INT NOT NULL DEFAULT 0,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_kdv_box_map_tenant_id (tenant_id, id),
+         KEY ix_kdv_box_map_entity (tenant_id, legal_entity_id, status, sort_order, box_code),
+         KEY ix_kdv_box_map_tax_code (tenant_id, legal_entity_id, tax_code),
+         CONSTRAINT fk_kdv_box_map_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_kdv_box_map_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_kdv_box_map_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_kdv_box_map_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_kdv_box_map_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT chk_kdv_box_map_matcher
+           CHECK (tax_code IS NOT NULL OR account_id IS NOT NULL)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE journal_lines
+         ADD KEY ix_journal_lines_account_tax_code (account_id, tax_code)`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS kdv_return_box_mappings`);
+    // Additive ALTER reversals intentionally omitted for safety.
+  },
+};
+
+export default migration070KdvReturnBoxMappings;
@@ -0,0 +1,81 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration071CariDocumentLines = {
+  key: "m071_cari_document_lines",
+  description: "Line items (quantity, price, discount, tax code, account/unit override) on cari documents",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_document_lines (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         document_id BIGINT UNSIGNED NOT NULL,
+         line_no INT NOT NULL,
+         description VARCHAR(255) NOT NULL,
+         quantity DECIMAL(20,6) NOT NULL DEFAULT 1,
+         unit_price DECIMAL(20,6) NOT NULL DEFAULT 0,
+         discount_pct DECIMAL(9,4) NOT NULL DEFAULT 0,
+         tax_code VARCHAR(40) NULL,
+         tax_code_id BIGINT UNSIGNED NULL,
+         tax_rate_pct DECIMAL(9,4) NULL,
+         account_id BIGINT UNSIGNED NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         net_amount_txn DECIMAL(20,6) NOT NULL DEFAULT 0,
+         tax_amount_txn DECIMAL(20,6) NOT NULL DEFAULT 0,
+         gross_amount_txn DECIMAL(20,6) NOT NULL DEFAULT 0,
+         net_amount_base DECIMAL(20,6) NOT NULL DEFAULT 0,
+         tax_amount_base DECIMAL(20,6) NOT NULL DEFAULT 0,
+         gross_amount_base DECIMAL(20,6) NOT NULL DEFAULT 0,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_doc_lines_doc_line (tenant_id, document_id, line_no),
+         KEY ix_cari_doc_lines_entity_tax_code (tenant_id, legal_entity_id, tax_code),
+         KEY ix_cari_doc_lines_account (account_id),
+         CONSTRAINT fk_cari_doc_lines_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_doc_lines_document
+           FOREIGN KEY (tenant_id, legal_entity_id, document_id)
+           REFERENCES cari_documents(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_doc_lines_tax_code
+           FOREIGN KEY (tenant_id, legal_entity_id, tax_code_id)
+           REFERENCES tax_codes(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_doc_lines_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_cari_doc_lines_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT chk_cari_doc_lines_quantity
+           CHECK (quantity > 0),
+         CONSTRAINT chk_cari_doc_lines_unit_price
+           CHECK (unit_price >= 0),
+         CONSTRAINT chk_cari_doc_lines_discount
+           CHECK (discount_pct >= 0 AND discount_pct <= 100),
+         CONSTRAINT chk_cari_doc_lines_amounts
+           CHECK (net_amount_txn >= 0 AND tax_amount_txn >= 0 AND net_amount_base >= 0 AND tax_amount_base >= 0)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS cari_document_lines`);
+  },
+};
+
+export default migration071CariDocumentLines;
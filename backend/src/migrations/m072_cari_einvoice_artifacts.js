@@ -0,0 +1,70 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration072CariEinvoiceArtifacts = {
+  key: "m072_cari_einvoice_artifacts",
+  description: "Immutable UBL-TR e-Fatura/e-Arsiv XML artifacts and integrator submission tracking",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_einvoice_artifacts (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         document_id BIGINT UNSIGNED NOT NULL,
+         profile_id ENUM('TEMELFATURA','TICARIFATURA','EARSIVFATURA') NOT NULL,
+         invoice_type_code VARCHAR(20) NOT NULL DEFAULT 'SATIS',
+         invoice_no CHAR(16) NOT NULL,
+         ettn CHAR(36) NOT NULL,
+         file_name VARCHAR(190) NOT NULL,
+         file_checksum CHAR(64) NOT NULL,
+         xml_payload_text MEDIUMTEXT NOT NULL,
+         provider_code VARCHAR(40) NULL,
+         submission_status ENUM('GENERATED','SUBMITTED','ACCEPTED','REJECTED','FAILED') NOT NULL DEFAULT 'GENERATED',
+         provider_reference VARCHAR(120) NULL,
+         status_message VARCHAR(500) NULL,
+         submitted_at TIMESTAMP NULL,
+         status_checked_at TIMESTAMP NULL,
+         generated_by_user_id INT NULL,
+         submitted_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_einvoice_document (tenant_id, document_id),
+         UNIQUE KEY uk_cari_einvoice_ettn (ettn),
+         UNIQUE KEY uk_cari_einvoice_invoice_no (tenant_id, legal_entity_id, invoice_no),
+         KEY ix_cari_einvoice_status (tenant_id, legal_entity_id, submission_status),
+         CONSTRAINT fk_cari_einvoice_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_einvoice_document
+           FOREIGN KEY (tenant_id, legal_entity_id, document_id)
+           REFERENCES cari_documents(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_einvoice_generated_user
+           FOREIGN KEY (tenant_id, generated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_cari_einvoice_submitted_user
+           FOREIGN KEY (tenant_id, submitted_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS cari_einvoice_artifacts`);
+  },
+};
+
+export default migration072CariEinvoiceArtifacts;
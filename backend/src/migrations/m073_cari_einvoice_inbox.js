@@ -0,0 +1,123 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration073CariEinvoiceInbox = {
+  key: "m073_cari_einvoice_inbox",
+  description: "Incoming UBL-TR e-invoice inbox and line-to-expense-account mapping rules",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_einvoice_inbox (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         ettn CHAR(36) NOT NULL,
+         invoice_no VARCHAR(40) NOT NULL,
+         profile_id VARCHAR(40) NOT NULL,
+         invoice_type_code VARCHAR(20) NOT NULL,
+         issue_date DATE NOT NULL,
+         due_date DATE NULL,
+         currency_code CHAR(3) NOT NULL,
+         supplier_tax_id VARCHAR(20) NOT NULL,
+         supplier_name VARCHAR(255) NOT NULL,
+         line_count INT NOT NULL DEFAULT 0,
+         tax_total_txn DECIMAL(20,6) NOT NULL DEFAULT 0,
+         payable_amount_txn DECIMAL(20,6) NOT NULL DEFAULT 0,
+         counterparty_id BIGINT UNSIGNED NULL,
+         document_id BIGINT UNSIGNED NULL,
+         status ENUM('NEEDS_COUNTERPARTY','NEEDS_MAPPING','DRAFT_CREATED','DISMISSED','FAILED')
+           NOT NULL DEFAULT 'NEEDS_COUNTERPARTY',
+         status_message VARCHAR(500) NULL,
+         file_name VARCHAR(190) NULL,
+         file_checksum CHAR(64) NOT NULL,
+         xml_payload_text MEDIUMTEXT NOT NULL,
+         parsed_json JSON NOT NULL,
+         imported_by_user_id INT NULL,
+         processed_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_einvoice_inbox_ettn (tenant_id, ettn),
+         UNIQUE KEY uk_cari_einvoice_inbox_supplier_no (
+           tenant_id,
+           legal_entity_id,
+           supplier_tax_id,
+           invoice_no
+         ),
+         UNIQUE KEY uk_cari_einvoice_inbox_document (tenant_id, document_id),
+         KEY ix_cari_einvoice_inbox_status (tenant_id, legal_entity_id, status),
+         CONSTRAINT fk_cari_einvoice_inbox_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_einvoice_inbox_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_cari_einvoice_inbox_counterparty
+           FOREIGN KEY (tenant_id, legal_entity_id, counterparty_id)
+           REFERENCES counterparties(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_einvoice_inbox_document
+           FOREIGN KEY (tenant_id, legal_entity_id, document_id)
+           REFERENCES cari_documents(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_einvoice_inbox_imported_user
+           FOREIGN KEY (tenant_id, imported_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_cari_einvoice_inbox_processed_user
+           FOREIGN KEY (tenant_id, processed_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_einvoice_inbox_rules (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         counterparty_id BIGINT UNSIGNED NULL,
+         item_keyword VARCHAR(120) NULL,
+         tax_rate_pct DECIMAL(9,4) NULL,
+         account_id BIGINT UNSIGNED NOT NULL,
+         tax_code VARCHAR(40) NULL,
+         priority INT NOT NULL DEFAULT 100,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_einvoice_rules_tenant_id (tenant_id, id),
+         KEY ix_cari_einvoice_rules_lookup (tenant_id, legal_entity_id, status, priority),
+         CONSTRAINT fk_cari_einvoice_rules_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_einvoice_rules_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_cari_einvoice_rules_counterparty
+           FOREIGN KEY (tenant_id, legal_entity_id, counterparty_id)
+           REFERENCES counterparties(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_einvoice_rules_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_cari_einvoice_rules_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_cari_einvoice_rules_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS cari_einvoice_inbox_rules`);
+    await connection.execute(`DROP TABLE IF EXISTS cari_einvoice_inbox`);
+  },
+};
+
+export default migration073CariEinvoiceInbox;
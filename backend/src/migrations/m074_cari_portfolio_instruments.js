@@ -0,0 +1,160 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration074CariPortfolioInstruments = {
+  key: "m074_cari_portfolio_instruments",
+  description: "Cheque/promissory note (cek/senet) portfolio instruments and lifecycle events",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_portfolio_instruments (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         direction ENUM('RECEIVED','ISSUED') NOT NULL,
+         instrument_type ENUM('CHEQUE','NOTE') NOT NULL,
+         serial_no VARCHAR(40) NOT NULL,
+         bank_name VARCHAR(120) NOT NULL DEFAULT '',
+         bank_branch VARCHAR(120) NULL,
+         drawer_name VARCHAR(255) NULL,
+         drawer_tax_id VARCHAR(20) NULL,
+         issue_place VARCHAR(120) NULL,
+         issue_date DATE NOT NULL,
+         due_date DATE NOT NULL,
+         counterparty_id BIGINT UNSIGNED NOT NULL,
+         currency_code CHAR(3) NOT NULL,
+         amount_txn DECIMAL(20,6) NOT NULL,
+         amount_base DECIMAL(20,6) NOT NULL,
+         status ENUM(
+           'IN_PORTFOLIO',
+           'ENDORSED',
+           'IN_COLLECTION',
+           'COLLATERAL',
+           'COLLECTED',
+           'ISSUED',
+           'PAID',
+           'BOUNCED',
+           'PROTESTED'
+         ) NOT NULL,
+         endorsed_counterparty_id BIGINT UNSIGNED NULL,
+         bank_account_id BIGINT UNSIGNED NULL,
+         origin_settlement_batch_id BIGINT UNSIGNED NOT NULL,
+         endorsement_settlement_batch_id BIGINT UNSIGNED NULL,
+         closing_journal_entry_id BIGINT UNSIGNED NULL,
+         closing_cash_transaction_id BIGINT UNSIGNED NULL,
+         closing_bank_statement_line_id BIGINT UNSIGNED NULL,
+         idempotency_key VARCHAR(100) NOT NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_portfolio_tenant_entity_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_cari_portfolio_serial (tenant_id, legal_entity_id, direction, instrument_type, bank_name, serial_no),
+         UNIQUE KEY uk_cari_portfolio_idempotency (tenant_id, legal_entity_id, idempotency_key),
+         KEY ix_cari_portfolio_status_due (tenant_id, legal_entity_id, status, due_date),
+         KEY ix_cari_portfolio_counterparty (tenant_id, legal_entity_id, counterparty_id),
+         KEY ix_cari_portfolio_bank_account (tenant_id, legal_entity_id, bank_account_id, status),
+         CONSTRAINT fk_cari_portfolio_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_portfolio_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_cari_portfolio_counterparty
+           FOREIGN KEY (tenant_id, legal_entity_id, counterparty_id)
+           REFERENCES counterparties(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_endorsed_counterparty
+           FOREIGN KEY (tenant_id, legal_entity_id, endorsed_counterparty_id)
+           REFERENCES counterparties(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_bank_account
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_account_id)
+           REFERENCES bank_accounts(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_origin_settlement
+           FOREIGN KEY (tenant_id, legal_entity_id, origin_settlement_batch_id)
+           REFERENCES cari_settlement_batches(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_endorsement_settlement
+           FOREIGN KEY (tenant_id, legal_entity_id, endorsement_settlement_batch_id)
+           REFERENCES cari_settlement_batches(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_closing_journal
+           FOREIGN KEY (closing_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_cari_portfolio_closing_cash_txn
+           FOREIGN KEY (closing_cash_transaction_id) REFERENCES cash_transactions(id),
+         CONSTRAINT fk_cari_portfolio_closing_statement_line
+           FOREIGN KEY (tenant_id, legal_entity_id, closing_bank_statement_line_id)
+           REFERENCES bank_statement_lines(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_cari_portfolio_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_portfolio_instrument_events (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         instrument_id BIGINT UNSIGNED NOT NULL,
+         event_type ENUM(
+           'RECEIVE',
+           'ISSUE',
+           'ENDORSE',
+           'SEND_TO_COLLECTION',
+           'GIVE_AS_COLLATERAL',
+           'RETURN_FROM_COLLATERAL',
+           'COLLECT',
+           'PAY',
+           'BOUNCE',
+           'PROTEST'
+         ) NOT NULL,
+         from_status VARCHAR(20) NULL,
+         to_status VARCHAR(20) NOT NULL,
+         event_date DATE NOT NULL,
+         counterparty_id BIGINT UNSIGNED NULL,
+         bank_account_id BIGINT UNSIGNED NULL,
+         settlement_batch_id BIGINT UNSIGNED NULL,
+         journal_entry_id BIGINT UNSIGNED NULL,
+         cash_transaction_id BIGINT UNSIGNED NULL,
+         bank_statement_line_id BIGINT UNSIGNED NULL,
+         reversed_settlement_batch_ids JSON NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NOT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         KEY ix_cari_portfolio_events_instrument (tenant_id, legal_entity_id, instrument_id, id),
+         KEY ix_cari_portfolio_events_type_date (tenant_id, legal_entity_id, event_type, event_date),
+         CONSTRAINT fk_cari_portfolio_events_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_portfolio_events_instrument
+           FOREIGN KEY (tenant_id, legal_entity_id, instrument_id)
+           REFERENCES cari_portfolio_instruments(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_portfolio_events_journal
+           FOREIGN KEY (journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_cari_portfolio_events_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS cari_portfolio_instrument_events`);
+    await connection.execute(`DROP TABLE IF EXISTS cari_portfolio_instruments`);
+  },
+};
+
+export default migration074CariPortfolioInstruments;
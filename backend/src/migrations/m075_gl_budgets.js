@@ -0,0 +1,129 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration075GlBudgets = {
+  key: "m075_gl_budgets",
+  description: "Budget versions and budget lines by account, operating unit and fiscal period",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS gl_budget_versions (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         book_id BIGINT UNSIGNED NOT NULL,
+         fiscal_year INT NOT NULL,
+         code VARCHAR(40) NOT NULL,
+         name VARCHAR(190) NOT NULL,
+         version_type ENUM('ORIGINAL','REVISED','FORECAST') NOT NULL,
+         status ENUM('DRAFT','PENDING_APPROVAL','APPROVED','ARCHIVED') NOT NULL DEFAULT 'DRAFT',
+         base_version_id BIGINT UNSIGNED NULL,
+         currency_code CHAR(3) NOT NULL,
+         submission_no INT NOT NULL DEFAULT 0,
+         approval_request_id BIGINT UNSIGNED NULL,
+         submitted_by_user_id INT NULL,
+         submitted_at TIMESTAMP NULL,
+         approved_by_user_id INT NULL,
+         approved_at TIMESTAMP NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_gl_budget_versions_tenant_entity_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_gl_budget_versions_code (tenant_id, book_id, fiscal_year, code),
+         KEY ix_gl_budget_versions_scope (tenant_id, legal_entity_id, fiscal_year, version_type, status),
+         CONSTRAINT fk_gl_budget_versions_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_gl_budget_versions_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_gl_budget_versions_book
+           FOREIGN KEY (book_id) REFERENCES books(id),
+         CONSTRAINT fk_gl_budget_versions_base
+           FOREIGN KEY (tenant_id, legal_entity_id, base_version_id)
+           REFERENCES gl_budget_versions(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_gl_budget_versions_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_gl_budget_versions_approval_request
+           FOREIGN KEY (approval_request_id) REFERENCES bank_approval_requests(id),
+         CONSTRAINT fk_gl_budget_versions_submitted_user
+           FOREIGN KEY (tenant_id, submitted_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_gl_budget_versions_approved_user
+           FOREIGN KEY (tenant_id, approved_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_gl_budget_versions_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_gl_budget_versions_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS gl_budget_lines (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         budget_version_id BIGINT UNSIGNED NOT NULL,
+         account_id BIGINT UNSIGNED NOT NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         operating_unit_key BIGINT UNSIGNED
+           GENERATED ALWAYS AS (COALESCE(operating_unit_id, 0)) STORED,
+         fiscal_period_id BIGINT UNSIGNED NOT NULL,
+         amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         note VARCHAR(255) NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_gl_budget_lines_cell (budget_version_id, account_id, operating_unit_key, fiscal_period_id),
+         KEY ix_gl_budget_lines_version (tenant_id, legal_entity_id, budget_version_id),
+         KEY ix_gl_budget_lines_period (budget_version_id, fiscal_period_id),
+         CONSTRAINT fk_gl_budget_lines_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_gl_budget_lines_version
+           FOREIGN KEY (tenant_id, legal_entity_id, budget_version_id)
+           REFERENCES gl_budget_versions(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_gl_budget_lines_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_gl_budget_lines_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT fk_gl_budget_lines_period
+           FOREIGN KEY (fiscal_period_id) REFERENCES fiscal_periods(id),
+         CONSTRAINT fk_gl_budget_lines_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_gl_budget_lines_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE journal_lines
+         ADD KEY ix_journal_lines_account_unit (account_id, operating_unit_id)`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS gl_budget_lines`);
+    await connection.execute(`DROP TABLE IF EXISTS gl_budget_versions`);
+    // Additive ALTER reversals intentionally omitted for safety.
+  },
+};
+
+export default migration075GlBudgets;
@@ -0,0 +1,258 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const DEPRECIATION_METHODS = "'STRAIGHT_LINE','DECLINING_BALANCE','VUK_NORMAL','VUK_DECLINING'";
+
+const migration076FixedAssets = {
+  key: "m076_fixed_assets",
+  description: "Fixed asset classes, asset register, depreciation runs and disposals",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS fa_asset_classes (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         code VARCHAR(40) NOT NULL,
+         name VARCHAR(190) NOT NULL,
+         depreciation_method ENUM(${DEPRECIATION_METHODS}) NOT NULL DEFAULT 'STRAIGHT_LINE',
+         useful_life_months INT NOT NULL,
+         declining_factor DECIMAL(9,4) NULL,
+         asset_account_id BIGINT UNSIGNED NOT NULL,
+         accumulated_depreciation_account_id BIGINT UNSIGNED NOT NULL,
+         depreciation_expense_account_id BIGINT UNSIGNED NOT NULL,
+         disposal_gain_account_id BIGINT UNSIGNED NOT NULL,
+         disposal_loss_account_id BIGINT UNSIGNED NOT NULL,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_fa_asset_classes_code (tenant_id, legal_entity_id, code),
+         UNIQUE KEY uk_fa_asset_classes_tenant_entity_id (tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_fa_asset_classes_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_fa_asset_classes_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_fa_asset_classes_asset_account
+           FOREIGN KEY (asset_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_asset_classes_accum_account
+           FOREIGN KEY (accumulated_depreciation_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_asset_classes_expense_account
+           FOREIGN KEY (depreciation_expense_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_asset_classes_gain_account
+           FOREIGN KEY (disposal_gain_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_asset_classes_loss_account
+           FOREIGN KEY (disposal_loss_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_asset_classes_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_fa_asset_classes_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT chk_fa_asset_classes_life
+           CHECK (useful_life_months > 0),
+         CONSTRAINT chk_fa_asset_classes_factor
+           CHECK (declining_factor IS NULL OR declining_factor > 0)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS fa_assets (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         asset_class_id BIGINT UNSIGNED NOT NULL,
+         asset_no VARCHAR(60) NOT NULL,
+         name VARCHAR(255) NOT NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         status ENUM('ACTIVE','FULLY_DEPRECIATED','DISPOSED') NOT NULL DEFAULT 'ACTIVE',
+         currency_code CHAR(3) NOT NULL,
+         acquisition_date DATE NOT NULL,
+         depreciation_start_date DATE NOT NULL,
+         acquisition_cost DECIMAL(20,6) NOT NULL,
+         salvage_value DECIMAL(20,6) NOT NULL DEFAULT 0,
+         depreciation_method ENUM(${DEPRECIATION_METHODS}) NOT NULL,
+         useful_life_months INT NOT NULL,
+         declining_factor DECIMAL(9,4) NULL,
+         opening_accumulated_depreciation DECIMAL(20,6) NOT NULL DEFAULT 0,
+         accumulated_depreciation DECIMAL(20,6) NOT NULL DEFAULT 0,
+         source_type ENUM('MANUAL','AP_DOCUMENT') NOT NULL DEFAULT 'MANUAL',
+         source_cari_document_id BIGINT UNSIGNED NULL,
+         source_cari_document_line_id BIGINT UNSIGNED NULL,
+         source_line_key BIGINT UNSIGNED
+           GENERATED ALWAYS AS (COALESCE(source_cari_document_line_id, 0)) STORED,
+         acquisition_journal_entry_id BIGINT UNSIGNED NULL,
+         disposal_date DATE NULL,
+         disposal_proceeds DECIMAL(20,6) NULL,
+         disposal_proceeds_account_id BIGINT UNSIGNED NULL,
+         disposal_gain_loss DECIMAL(20,6) NULL,
+         disposal_journal_entry_id BIGINT UNSIGNED NULL,
+         disposal_note VARCHAR(500) NULL,
+         disposed_by_user_id INT NULL,
+         disposed_at TIMESTAMP NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_fa_assets_asset_no (tenant_id, legal_entity_id, asset_no),
+         UNIQUE KEY uk_fa_assets_tenant_entity_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_fa_assets_source_line (tenant_id, source_cari_document_id, source_line_key),
+         KEY ix_fa_assets_scope (tenant_id, legal_entity_id, status, asset_class_id),
+         CONSTRAINT fk_fa_assets_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_fa_assets_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_fa_assets_class
+           FOREIGN KEY (tenant_id, legal_entity_id, asset_class_id)
+           REFERENCES fa_asset_classes(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_fa_assets_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT fk_fa_assets_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_fa_assets_source_document
+           FOREIGN KEY (tenant_id, legal_entity_id, source_cari_document_id)
+           REFERENCES cari_documents(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_fa_assets_source_document_line
+           FOREIGN KEY (source_cari_document_line_id) REFERENCES cari_document_lines(id),
+         CONSTRAINT fk_fa_assets_acquisition_journal
+           FOREIGN KEY (tenant_id, acquisition_journal_entry_id) REFERENCES journal_entries(tenant_id, id),
+         CONSTRAINT fk_fa_assets_proceeds_account
+           FOREIGN KEY (disposal_proceeds_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_assets_disposal_journal
+           FOREIGN KEY (tenant_id, disposal_journal_entry_id) REFERENCES journal_entries(tenant_id, id),
+         CONSTRAINT fk_fa_assets_disposed_user
+           FOREIGN KEY (tenant_id, disposed_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_fa_assets_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_fa_assets_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT chk_fa_assets_cost
+           CHECK (acquisition_cost > 0),
+         CONSTRAINT chk_fa_assets_salvage
+           CHECK (salvage_value >= 0 AND salvage_value < acquisition_cost),
+         CONSTRAINT chk_fa_assets_life
+           CHECK (useful_life_months > 0),
+         CONSTRAINT chk_fa_assets_accumulated
+           CHECK (accumulated_depreciation >= 0 AND accumulated_depreciation <= acquisition_cost - salvage_value),
+         CONSTRAINT chk_fa_assets_dates
+           CHECK (depreciation_start_date >= acquisition_date)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS fa_depreciation_runs (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         book_id BIGINT UNSIGNED NOT NULL,
+         fiscal_period_id BIGINT UNSIGNED NOT NULL,
+         run_no VARCHAR(80) NOT NULL,
+         status ENUM('DRAFT','POSTED','REVERSED','CANCELLED') NOT NULL DEFAULT 'DRAFT',
+         open_period_key BIGINT UNSIGNED
+           GENERATED ALWAYS AS (IF(status IN ('DRAFT','POSTED'), fiscal_period_id, NULL)) STORED,
+         period_start_date DATE NOT NULL,
+         period_end_date DATE NOT NULL,
+         currency_code CHAR(3) NOT NULL,
+         asset_count INT NOT NULL DEFAULT 0,
+         total_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         posted_journal_entry_id BIGINT UNSIGNED NULL,
+         reversal_journal_entry_id BIGINT UNSIGNED NULL,
+         reverse_reason VARCHAR(255) NULL,
+         created_by_user_id INT NOT NULL,
+         posted_by_user_id INT NULL,
+         reversed_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         posted_at TIMESTAMP NULL,
+         reversed_at TIMESTAMP NULL,
+         UNIQUE KEY uk_fa_dep_runs_run_no (tenant_id, legal_entity_id, run_no),
+         UNIQUE KEY uk_fa_dep_runs_open_period (tenant_id, legal_entity_id, open_period_key),
+         UNIQUE KEY uk_fa_dep_runs_tenant_entity_id (tenant_id, legal_entity_id, id),
+         KEY ix_fa_dep_runs_scope (tenant_id, legal_entity_id, status, period_end_date),
+         CONSTRAINT fk_fa_dep_runs_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_fa_dep_runs_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_fa_dep_runs_book
+           FOREIGN KEY (book_id) REFERENCES books(id),
+         CONSTRAINT fk_fa_dep_runs_period
+           FOREIGN KEY (fiscal_period_id) REFERENCES fiscal_periods(id),
+         CONSTRAINT fk_fa_dep_runs_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_fa_dep_runs_posted_journal
+           FOREIGN KEY (tenant_id, posted_journal_entry_id) REFERENCES journal_entries(tenant_id, id),
+         CONSTRAINT fk_fa_dep_runs_reversal_journal
+           FOREIGN KEY (tenant_id, reversal_journal_entry_id) REFERENCES journal_entries(tenant_id, id),
+         CONSTRAINT fk_fa_dep_runs_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_fa_dep_runs_posted_user
+           FOREIGN KEY (tenant_id, posted_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_fa_dep_runs_reversed_user
+           FOREIGN KEY (tenant_id, reversed_by_user_id) REFERENCES users(tenant_id, id),
+         CHECK (period_end_date >= period_start_date)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS fa_depreciation_run_lines (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         run_id BIGINT UNSIGNED NOT NULL,
+         asset_id BIGINT UNSIGNED NOT NULL,
+         line_no INT NOT NULL,
+         depreciation_amount DECIMAL(20,6) NOT NULL,
+         accumulated_before DECIMAL(20,6) NOT NULL,
+         accumulated_after DECIMAL(20,6) NOT NULL,
+         net_book_value_after DECIMAL(20,6) NOT NULL,
+         expense_account_id BIGINT UNSIGNED NOT NULL,
+         accumulated_depreciation_account_id BIGINT UNSIGNED NOT NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_fa_dep_run_lines_asset (run_id, asset_id),
+         KEY ix_fa_dep_run_lines_asset (tenant_id, legal_entity_id, asset_id),
+         CONSTRAINT fk_fa_dep_run_lines_run
+           FOREIGN KEY (tenant_id, legal_entity_id, run_id)
+           REFERENCES fa_depreciation_runs(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_fa_dep_run_lines_asset
+           FOREIGN KEY (tenant_id, legal_entity_id, asset_id)
+           REFERENCES fa_assets(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_fa_dep_run_lines_expense_account
+           FOREIGN KEY (expense_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_dep_run_lines_accum_account
+           FOREIGN KEY (accumulated_depreciation_account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_fa_dep_run_lines_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT chk_fa_dep_run_lines_amount
+           CHECK (depreciation_amount > 0)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS fa_depreciation_run_lines`);
+    await connection.execute(`DROP TABLE IF EXISTS fa_depreciation_runs`);
+    await connection.execute(`DROP TABLE IF EXISTS fa_assets`);
+    await connection.execute(`DROP TABLE IF EXISTS fa_asset_classes`);
+  },
+};
+
+export default migration076FixedAssets;
@@ -0,0 +1,207 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration077AnalyticDimensions = {
+  key: "m077_analytic_dimensions",
+  description: "Analytic dimension types/values, account dimension rules and line dimension assignments",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS analytic_dimension_types (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         code VARCHAR(40) NOT NULL,
+         name VARCHAR(190) NOT NULL,
+         description VARCHAR(500) NULL,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         is_payroll_cost_center BOOLEAN NOT NULL DEFAULT FALSE,
+         payroll_cost_center_key TINYINT
+           GENERATED ALWAYS AS (CASE WHEN is_payroll_cost_center THEN 1 ELSE NULL END) STORED,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_analytic_dimension_types_code (tenant_id, code),
+         UNIQUE KEY uk_analytic_dimension_types_tenant_id (tenant_id, id),
+         UNIQUE KEY uk_analytic_dimension_types_payroll (tenant_id, payroll_cost_center_key),
+         CONSTRAINT fk_analytic_dimension_types_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_analytic_dimension_types_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_analytic_dimension_types_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS analytic_dimension_values (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NULL,
+         code VARCHAR(60) NOT NULL,
+         name VARCHAR(190) NOT NULL,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_analytic_dimension_values_code (tenant_id, dimension_type_id, code),
+         UNIQUE KEY uk_analytic_dimension_values_type_id (tenant_id, dimension_type_id, id),
+         KEY ix_analytic_dimension_values_entity (tenant_id, legal_entity_id),
+         CONSTRAINT fk_analytic_dimension_values_type
+           FOREIGN KEY (tenant_id, dimension_type_id)
+           REFERENCES analytic_dimension_types(tenant_id, id),
+         CONSTRAINT fk_analytic_dimension_values_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_analytic_dimension_values_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_analytic_dimension_values_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS account_dimension_rules (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         account_id BIGINT UNSIGNED NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         rule_type ENUM('REQUIRED','FORBIDDEN') NOT NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_account_dimension_rules_account_type (tenant_id, account_id, dimension_type_id),
+         CONSTRAINT fk_account_dimension_rules_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_account_dimension_rules_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_account_dimension_rules_type
+           FOREIGN KEY (tenant_id, dimension_type_id)
+           REFERENCES analytic_dimension_types(tenant_id, id),
+         CONSTRAINT fk_account_dimension_rules_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_account_dimension_rules_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS journal_line_dimensions (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         journal_entry_id BIGINT UNSIGNED NOT NULL,
+         journal_line_id BIGINT UNSIGNED NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         dimension_value_id BIGINT UNSIGNED NOT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_journal_line_dimensions_line_type (journal_line_id, dimension_type_id),
+         KEY ix_journal_line_dimensions_entry (tenant_id, journal_entry_id),
+         KEY ix_journal_line_dimensions_value (tenant_id, dimension_value_id),
+         CONSTRAINT fk_journal_line_dimensions_entry
+           FOREIGN KEY (tenant_id, journal_entry_id) REFERENCES journal_entries(tenant_id, id),
+         CONSTRAINT fk_journal_line_dimensions_line
+           FOREIGN KEY (journal_line_id) REFERENCES journal_lines(id),
+         CONSTRAINT fk_journal_line_dimensions_value
+           FOREIGN KEY (tenant_id, dimension_type_id, dimension_value_id)
+           REFERENCES analytic_dimension_values(tenant_id, dimension_type_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_document_line_dimensions (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         document_id BIGINT UNSIGNED NOT NULL,
+         line_no INT NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         dimension_value_id BIGINT UNSIGNED NOT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_document_line_dimensions_line_type (
+           tenant_id,
+           document_id,
+           line_no,
+           dimension_type_id
+         ),
+         CONSTRAINT fk_cari_document_line_dimensions_document
+           FOREIGN KEY (tenant_id, document_id) REFERENCES cari_documents(tenant_id, id),
+         CONSTRAINT fk_cari_document_line_dimensions_value
+           FOREIGN KEY (tenant_id, dimension_type_id, dimension_value_id)
+           REFERENCES analytic_dimension_values(tenant_id, dimension_type_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cash_transaction_dimensions (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         cash_transaction_id BIGINT UNSIGNED NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         dimension_value_id BIGINT UNSIGNED NOT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cash_transaction_dimensions_txn_type (cash_transaction_id, dimension_type_id),
+         KEY ix_cash_transaction_dimensions_tenant_txn (tenant_id, cash_transaction_id),
+         CONSTRAINT fk_cash_transaction_dimensions_txn
+           FOREIGN KEY (cash_transaction_id) REFERENCES cash_transactions(id),
+         CONSTRAINT fk_cash_transaction_dimensions_value
+           FOREIGN KEY (tenant_id, dimension_type_id, dimension_value_id)
+           REFERENCES analytic_dimension_values(tenant_id, dimension_type_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_component_mapping_dimensions (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         mapping_id BIGINT UNSIGNED NOT NULL,
+         dimension_type_id BIGINT UNSIGNED NOT NULL,
+         dimension_value_id BIGINT UNSIGNED NOT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_component_mapping_dimensions_type (mapping_id, dimension_type_id),
+         KEY ix_payroll_component_mapping_dimensions_scope (tenant_id, legal_entity_id, mapping_id),
+         CONSTRAINT fk_payroll_component_mapping_dimensions_mapping
+           FOREIGN KEY (tenant_id, legal_entity_id, mapping_id)
+           REFERENCES payroll_component_gl_mappings(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_component_mapping_dimensions_value
+           FOREIGN KEY (tenant_id, dimension_type_id, dimension_value_id)
+           REFERENCES analytic_dimension_values(tenant_id, dimension_type_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS payroll_component_mapping_dimensions`);
+    await connection.execute(`DROP TABLE IF EXISTS cash_transaction_dimensions`);
+    await connection.execute(`DROP TABLE IF EXISTS cari_document_line_dimensions`);
+    await connection.execute(`DROP TABLE IF EXISTS journal_line_dimensions`);
+    await connection.execute(`DROP TABLE IF EXISTS account_dimension_rules`);
+    await connection.execute(`DROP TABLE IF EXISTS analytic_dimension_values`);
+    await connection.execute(`DROP TABLE IF EXISTS analytic_dimension_types`);
+  },
+};
+
+export default migration077AnalyticDimensions;
@@ -0,0 +1,56 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration078CashFlowMappings = {
+  key: "m078_cash_flow_mappings",
+  description: "Account to cash-flow statement category mappings",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cash_flow_account_mappings (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         account_id BIGINT UNSIGNED NOT NULL,
+         category ENUM('CASH','NON_CASH','WORKING_CAPITAL','INVESTING','FINANCING') NOT NULL,
+         line_code VARCHAR(40) NULL,
+         line_name VARCHAR(190) NULL,
+         created_by_user_id INT NOT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cash_flow_account_mappings_account (tenant_id, account_id),
+         KEY ix_cash_flow_account_mappings_category (tenant_id, category),
+         CONSTRAINT fk_cash_flow_account_mappings_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cash_flow_account_mappings_account
+           FOREIGN KEY (account_id) REFERENCES accounts(id),
+         CONSTRAINT fk_cash_flow_account_mappings_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_cash_flow_account_mappings_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS cash_flow_account_mappings`);
+  },
+};
+
+export default migration078CashFlowMappings;
@@ -0,0 +1,98 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration079BankStatementFormats = {
+  key: "m079_bank_statement_formats",
+  description: "MT940/camt statement sources, statement balances, continuity checks and line remittance data",
+  async up(connection) {
+    await connection.execute(
+      `ALTER TABLE bank_statement_imports
+       MODIFY COLUMN import_source ENUM('CSV','API','MANUAL','MT940','CAMT053','CAMT052')
+         NOT NULL DEFAULT 'CSV'`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN opening_balance DECIMAL(20,6) NULL AFTER period_end`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN opening_balance_date DATE NULL AFTER opening_balance`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN closing_balance DECIMAL(20,6) NULL AFTER opening_balance_date`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN closing_balance_date DATE NULL AFTER closing_balance`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN balance_continuity_status
+           ENUM('NOT_CHECKED','NO_PREVIOUS','MATCHED','MISMATCH') NOT NULL DEFAULT 'NOT_CHECKED'
+           AFTER closing_balance_date`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD COLUMN previous_import_id BIGINT UNSIGNED NULL AFTER balance_continuity_status`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD KEY ix_bank_stmt_imports_closing (tenant_id, bank_account_id, closing_balance_date)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_imports
+         ADD CONSTRAINT fk_bank_stmt_imports_previous
+           FOREIGN KEY (tenant_id, legal_entity_id, previous_import_id)
+           REFERENCES bank_statement_imports(tenant_id, legal_entity_id, id)`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD COLUMN bank_reference VARCHAR(255) NULL AFTER reference_no`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD COLUMN end_to_end_id VARCHAR(120) NULL AFTER bank_reference`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD COLUMN remittance_info_json JSON NULL AFTER end_to_end_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD KEY ix_bank_stmt_lines_end_to_end (tenant_id, bank_account_id, end_to_end_id)`
+    );
+  },
+};
+
+export default migration079BankStatementFormats;
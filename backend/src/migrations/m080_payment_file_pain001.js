@@ -0,0 +1,54 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration080PaymentFilePain001 = {
+  key: "m080_payment_file_pain001",
+  description: "ISO 20022 pain.001 payment export format, bank account BIC and default payment file settings",
+  async up(connection) {
+    await connection.execute(
+      `ALTER TABLE payment_batch_exports
+       MODIFY COLUMN export_format ENUM('CSV','XML') NOT NULL DEFAULT 'CSV'`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_accounts
+         ADD COLUMN swift_bic VARCHAR(11) NULL AFTER account_no`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_accounts
+         ADD COLUMN payment_file_format_code VARCHAR(50) NULL AFTER swift_bic`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_accounts
+         ADD COLUMN payment_charge_bearer ENUM('DEBT','CRED','SHAR','SLEV') NULL
+           AFTER payment_file_format_code`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE payment_batch_exports
+         ADD COLUMN requested_execution_date DATE NULL AFTER bank_file_format_code`
+    );
+  },
+};
+
+export default migration080PaymentFilePain001;
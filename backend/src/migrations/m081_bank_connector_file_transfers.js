@@ -0,0 +1,70 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration081BankConnectorFileTransfers = {
+  key: "m081_bank_connector_file_transfers",
+  description: "SFTP / host-to-host connector file transfer log and payment push sync runs",
+  async up(connection) {
+    await connection.execute(
+      `ALTER TABLE bank_connector_sync_runs
+       MODIFY COLUMN run_type ENUM('STATEMENT_PULL','PAYMENT_PUSH') NOT NULL DEFAULT 'STATEMENT_PULL'`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS bank_connector_file_transfers (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         bank_connector_id BIGINT UNSIGNED NOT NULL,
+         bank_connector_sync_run_id BIGINT UNSIGNED NOT NULL,
+         direction ENUM('INBOUND','OUTBOUND') NOT NULL,
+         status ENUM('IMPORTED','DUPLICATE','PUSHED','FAILED') NOT NULL,
+         file_name VARCHAR(255) NOT NULL,
+         remote_path VARCHAR(500) NOT NULL,
+         archive_path VARCHAR(500) NULL,
+         file_checksum CHAR(64) NOT NULL,
+         file_size_bytes INT NOT NULL DEFAULT 0,
+         statement_format VARCHAR(20) NULL,
+         bank_account_id BIGINT UNSIGNED NULL,
+         bank_statement_import_id BIGINT UNSIGNED NULL,
+         payment_batch_export_id BIGINT UNSIGNED NULL,
+         error_message VARCHAR(500) NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_bank_connector_file_transfers_scope_id (tenant_id, legal_entity_id, id),
+         KEY ix_bank_connector_file_transfers_run (tenant_id, legal_entity_id, bank_connector_sync_run_id),
+         KEY ix_bank_connector_file_transfers_checksum
+           (tenant_id, legal_entity_id, bank_connector_id, direction, file_checksum),
+         KEY ix_bank_connector_file_transfers_export (tenant_id, legal_entity_id, payment_batch_export_id),
+         CONSTRAINT fk_bank_connector_file_transfers_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_bank_connector_file_transfers_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_bank_connector_file_transfers_connector
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_connector_id)
+           REFERENCES bank_connectors(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_connector_file_transfers_run
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_connector_sync_run_id)
+           REFERENCES bank_connector_sync_runs(tenant_id, legal_entity_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+};
+
+export default migration081BankConnectorFileTransfers;
@@ -0,0 +1,91 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration082BankReconciliationMatchGroups = {
+  key: "m082_bank_reconciliation_match_groups",
+  description: "Grouped bank reconciliation matches (many-to-one / one-to-many) and cari open item targets",
+  async up(connection) {
+    await connection.execute(
+      `ALTER TABLE bank_reconciliation_matches
+       MODIFY COLUMN matched_entity_type
+         ENUM('JOURNAL','PAYMENT_BATCH','CASH_TXN','MANUAL_ADJUSTMENT','CARI_OPEN_ITEM') NOT NULL`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS bank_reconciliation_match_groups (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         bank_account_id BIGINT UNSIGNED NOT NULL,
+         group_type ENUM('MANY_TO_ONE','ONE_TO_MANY') NOT NULL,
+         match_type VARCHAR(30) NOT NULL DEFAULT 'MANUAL',
+         status ENUM('ACTIVE','REVERSED') NOT NULL DEFAULT 'ACTIVE',
+         statement_line_count INT NOT NULL,
+         target_count INT NOT NULL,
+         statement_total DECIMAL(20,6) NOT NULL,
+         target_total DECIMAL(20,6) NOT NULL,
+         difference_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         tolerance_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         reconciliation_rule_id BIGINT UNSIGNED NULL,
+         reconciliation_confidence DECIMAL(5,2) NULL,
+         notes VARCHAR(500) NULL,
+         created_by_user_id INT NULL,
+         reversed_by_user_id INT NULL,
+         reversed_at TIMESTAMP NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+           ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_bank_recon_match_groups_scope_id (tenant_id, legal_entity_id, id),
+         KEY ix_bank_recon_match_groups_account_status (tenant_id, legal_entity_id, bank_account_id, status),
+         CONSTRAINT fk_bank_recon_match_groups_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_bank_recon_match_groups_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_bank_recon_match_groups_bank_account
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_account_id)
+           REFERENCES bank_accounts(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_recon_match_groups_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_bank_recon_match_groups_rev_user
+           FOREIGN KEY (tenant_id, reversed_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_matches
+         ADD COLUMN match_group_id BIGINT UNSIGNED NULL AFTER matched_entity_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_matches
+         ADD KEY ix_bank_recon_match_group (tenant_id, legal_entity_id, match_group_id)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_matches
+         ADD CONSTRAINT fk_bank_recon_match_group
+           FOREIGN KEY (tenant_id, legal_entity_id, match_group_id)
+           REFERENCES bank_reconciliation_match_groups(tenant_id, legal_entity_id, id)`
+    );
+  },
+};
+
+export default migration082BankReconciliationMatchGroups;
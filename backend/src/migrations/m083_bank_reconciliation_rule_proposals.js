@@ -0,0 +1,85 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration083BankReconciliationRuleProposals = {
+  key: "m083_bank_reconciliation_rule_proposals",
+  description: "Reconciliation rule proposals learned from manual match history",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS bank_reconciliation_rule_proposals (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         bank_account_id BIGINT UNSIGNED NOT NULL,
+         proposal_key CHAR(64) NOT NULL,
+         status ENUM('PROPOSED','ACCEPTED','DISMISSED') NOT NULL DEFAULT 'PROPOSED',
+         direction ENUM('IN','OUT') NOT NULL,
+         currency_code CHAR(3) NOT NULL,
+         description_pattern VARCHAR(120) NOT NULL,
+         amount_min DECIMAL(20,6) NULL,
+         amount_max DECIMAL(20,6) NULL,
+         counterparty_name VARCHAR(190) NULL,
+         counterparty_id BIGINT UNSIGNED NULL,
+         target_entity_type VARCHAR(30) NOT NULL,
+         counter_account_id BIGINT UNSIGNED NULL,
+         posting_template_id BIGINT UNSIGNED NULL,
+         match_type VARCHAR(40) NOT NULL,
+         action_type VARCHAR(40) NOT NULL,
+         conditions_json JSON NOT NULL,
+         action_payload_json JSON NULL,
+         confidence DECIMAL(5,2) NOT NULL,
+         support_count INT NOT NULL,
+         historical_match_count INT NOT NULL,
+         conflicting_match_count INT NOT NULL DEFAULT 0,
+         sample_json JSON NULL,
+         accepted_rule_id BIGINT UNSIGNED NULL,
+         generated_by_user_id INT NULL,
+         decided_by_user_id INT NULL,
+         decided_at TIMESTAMP NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+           ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_bank_recon_rule_proposals_key (tenant_id, proposal_key),
+         KEY ix_bank_recon_rule_proposals_status (tenant_id, legal_entity_id, status),
+         KEY ix_bank_recon_rule_proposals_account (tenant_id, bank_account_id, status),
+         CONSTRAINT fk_bank_recon_rule_proposals_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_bank_recon_rule_proposals_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_bank_account
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_account_id)
+           REFERENCES bank_accounts(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_counterparty
+           FOREIGN KEY (tenant_id, counterparty_id) REFERENCES counterparties(tenant_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_template
+           FOREIGN KEY (tenant_id, posting_template_id)
+           REFERENCES bank_reconciliation_posting_templates(tenant_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_rule
+           FOREIGN KEY (tenant_id, accepted_rule_id) REFERENCES bank_reconciliation_rules(tenant_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_gen_user
+           FOREIGN KEY (tenant_id, generated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_bank_recon_rule_proposals_dec_user
+           FOREIGN KEY (tenant_id, decided_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+};
+
+export default migration083BankReconciliationRuleProposals;
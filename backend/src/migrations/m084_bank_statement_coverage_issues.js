@@ -0,0 +1,71 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration084BankStatementCoverageIssues = {
+  key: "m084_bank_statement_coverage_issues",
+  description: "Bank statement coverage issues (balance breaks, missing date ranges, overlapping imports)",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS bank_statement_coverage_issues (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         bank_account_id BIGINT UNSIGNED NOT NULL,
+         issue_type ENUM('BALANCE_MISMATCH','DATE_GAP','OVERLAP') NOT NULL,
+         issue_key CHAR(64) NOT NULL,
+         status ENUM('OPEN','RESOLVED') NOT NULL DEFAULT 'OPEN',
+         import_id BIGINT UNSIGNED NOT NULL,
+         related_import_id BIGINT UNSIGNED NULL,
+         range_start DATE NULL,
+         range_end DATE NULL,
+         day_count INT NULL,
+         expected_balance DECIMAL(20,6) NULL,
+         actual_balance DECIMAL(20,6) NULL,
+         difference_amount DECIMAL(20,6) NULL,
+         detail_json JSON NULL,
+         first_detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         last_detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         resolved_at TIMESTAMP NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+           ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_bank_stmt_coverage_issue_key (tenant_id, bank_account_id, issue_key),
+         UNIQUE KEY uk_bank_stmt_coverage_scope_id (tenant_id, legal_entity_id, id),
+         KEY ix_bank_stmt_coverage_account_status (tenant_id, legal_entity_id, bank_account_id, status),
+         KEY ix_bank_stmt_coverage_detected (tenant_id, legal_entity_id, first_detected_at),
+         CONSTRAINT fk_bank_stmt_coverage_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_bank_stmt_coverage_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_bank_stmt_coverage_bank_account
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_account_id)
+           REFERENCES bank_accounts(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_stmt_coverage_import
+           FOREIGN KEY (tenant_id, legal_entity_id, import_id)
+           REFERENCES bank_statement_imports(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_stmt_coverage_related_import
+           FOREIGN KEY (tenant_id, legal_entity_id, related_import_id)
+           REFERENCES bank_statement_imports(tenant_id, legal_entity_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+};
+
+export default migration084BankStatementCoverageIssues;
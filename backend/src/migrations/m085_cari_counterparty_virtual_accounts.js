@@ -0,0 +1,62 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration085CariCounterpartyVirtualAccounts = {
+  key: "m085_cari_counterparty_virtual_accounts",
+  description: "Counterparty virtual IBANs and collection reference identifiers for payer identification",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS cari_counterparty_virtual_accounts (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         counterparty_id BIGINT UNSIGNED NOT NULL,
+         bank_account_id BIGINT UNSIGNED NULL,
+         identifier_type ENUM('VIRTUAL_IBAN','IBAN_SUFFIX','REFERENCE_CODE','REFERENCE_PATTERN') NOT NULL,
+         identifier_value VARCHAR(120) NOT NULL,
+         normalized_value VARCHAR(120) NOT NULL,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         note VARCHAR(255) NULL,
+         created_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+           ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_cari_cp_virtual_acct_value (tenant_id, legal_entity_id, identifier_type, normalized_value),
+         UNIQUE KEY uk_cari_cp_virtual_acct_scope_id (tenant_id, legal_entity_id, id),
+         KEY ix_cari_cp_virtual_acct_counterparty (tenant_id, legal_entity_id, counterparty_id, status),
+         KEY ix_cari_cp_virtual_acct_lookup (tenant_id, legal_entity_id, status, identifier_type),
+         CONSTRAINT fk_cari_cp_virtual_acct_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_cari_cp_virtual_acct_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_cari_cp_virtual_acct_counterparty
+           FOREIGN KEY (tenant_id, legal_entity_id, counterparty_id)
+           REFERENCES counterparties(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_cp_virtual_acct_bank_account
+           FOREIGN KEY (tenant_id, legal_entity_id, bank_account_id)
+           REFERENCES bank_accounts(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_cari_cp_virtual_acct_created_by
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+};
+
+export default migration085CariCounterpartyVirtualAccounts;
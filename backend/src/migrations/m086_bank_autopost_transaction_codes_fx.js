@@ -0,0 +1,143 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration086BankAutopostTransactionCodesFx = {
+  key: "m086_bank_autopost_transaction_codes_fx",
+  description:
+    "Bank transaction codes on statement lines, code-keyed auto-post templates, multi-currency auto-post and realised FX postings",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD COLUMN bank_transaction_code VARCHAR(60) NULL AFTER end_to_end_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_statement_lines
+         ADD KEY ix_bank_stmt_lines_txn_code (tenant_id, bank_account_id, bank_transaction_code)`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD COLUMN bank_transaction_code VARCHAR(60) NULL AFTER entry_kind`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD COLUMN fx_gain_account_id BIGINT UNSIGNED NULL AFTER tax_rate`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD COLUMN fx_loss_account_id BIGINT UNSIGNED NULL AFTER fx_gain_account_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD KEY ix_bank_recon_post_tpl_txn_code (tenant_id, status, bank_transaction_code)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD CONSTRAINT fk_bank_recon_post_tpl_fx_gain_account
+           FOREIGN KEY (fx_gain_account_id) REFERENCES accounts(id)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_posting_templates
+         ADD CONSTRAINT fk_bank_recon_post_tpl_fx_loss_account
+           FOREIGN KEY (fx_loss_account_id) REFERENCES accounts(id)`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_auto_postings
+         ADD COLUMN amount_base DECIMAL(20,6) NULL AFTER currency_code`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE bank_reconciliation_auto_postings
+         ADD COLUMN fx_rate DECIMAL(20,10) NULL AFTER amount_base`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS bank_reconciliation_fx_postings (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         statement_line_id BIGINT UNSIGNED NOT NULL,
+         matched_journal_entry_id BIGINT UNSIGNED NOT NULL,
+         bank_reconciliation_posting_template_id BIGINT UNSIGNED NOT NULL,
+         fx_journal_entry_id BIGINT UNSIGNED NOT NULL,
+         status ENUM('POSTED','REVERSED') NOT NULL DEFAULT 'POSTED',
+         reversal_journal_entry_id BIGINT UNSIGNED NULL,
+         reversed_by_user_id INT NULL,
+         reversed_at TIMESTAMP NULL,
+         currency_code CHAR(3) NOT NULL,
+         base_currency_code CHAR(3) NOT NULL,
+         matched_amount_txn DECIMAL(20,6) NOT NULL,
+         fx_rate DECIMAL(20,10) NOT NULL,
+         fx_rate_date DATE NOT NULL,
+         booked_amount_base DECIMAL(20,6) NOT NULL,
+         actual_amount_base DECIMAL(20,6) NOT NULL,
+         fx_difference_base DECIMAL(20,6) NOT NULL,
+         fx_category ENUM('FX_GAIN','FX_LOSS') NOT NULL,
+         created_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_bank_recon_fx_post_scope_id (tenant_id, legal_entity_id, id),
+         KEY ix_bank_recon_fx_post_line_journal (tenant_id, legal_entity_id, statement_line_id, matched_journal_entry_id, status),
+         KEY ix_bank_recon_fx_post_journal (tenant_id, legal_entity_id, fx_journal_entry_id),
+         KEY ix_bank_recon_fx_post_tpl (tenant_id, bank_reconciliation_posting_template_id),
+         CONSTRAINT fk_bank_recon_fx_post_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_bank_recon_fx_post_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_bank_recon_fx_post_statement_line
+           FOREIGN KEY (tenant_id, legal_entity_id, statement_line_id)
+           REFERENCES bank_statement_lines(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_bank_recon_fx_post_matched_journal
+           FOREIGN KEY (matched_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_bank_recon_fx_post_fx_journal
+           FOREIGN KEY (fx_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_bank_recon_fx_post_reversal_journal
+           FOREIGN KEY (reversal_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_bank_recon_fx_post_template
+           FOREIGN KEY (tenant_id, bank_reconciliation_posting_template_id)
+           REFERENCES bank_reconciliation_posting_templates(tenant_id, id),
+         CONSTRAINT fk_bank_recon_fx_post_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_bank_recon_fx_post_base_currency
+           FOREIGN KEY (base_currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_bank_recon_fx_post_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_bank_recon_fx_post_reversed_user
+           FOREIGN KEY (tenant_id, reversed_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS bank_reconciliation_fx_postings`);
+    // Additive ALTER reversals intentionally omitted for safety.
+  },
+};
+
+export default migration086BankAutopostTransactionCodesFx;
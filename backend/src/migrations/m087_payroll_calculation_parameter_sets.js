@@ -0,0 +1,62 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration087PayrollCalculationParameterSets = {
+  key: "m087_payroll_calculation_parameter_sets",
+  description:
+    "Versioned, effective-dated statutory parameter sets for the native gross-to-net payroll calculation provider",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_calculation_parameter_sets (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NULL,
+         country_code CHAR(2) NOT NULL DEFAULT 'TR',
+         version_code VARCHAR(40) NOT NULL,
+         effective_from DATE NOT NULL,
+         effective_to DATE NULL,
+         status ENUM('DRAFT','ACTIVE','RETIRED') NOT NULL DEFAULT 'DRAFT',
+         parameters_json JSON NOT NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_calc_param_sets_version (tenant_id, country_code, version_code),
+         KEY ix_payroll_calc_param_sets_effective (tenant_id, country_code, status, effective_from),
+         KEY ix_payroll_calc_param_sets_le (tenant_id, legal_entity_id),
+         CONSTRAINT fk_payroll_calc_param_sets_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_calc_param_sets_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_payroll_calc_param_sets_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_payroll_calc_param_sets_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS payroll_calculation_parameter_sets`);
+  },
+};
+
+export default migration087PayrollCalculationParameterSets;
@@ -0,0 +1,146 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration088PayrollEmployeeMaster = {
+  key: "m088_payroll_employee_master",
+  description:
+    "Payroll employee master with effective-dated employment history, linked from payroll run lines and beneficiary accounts",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_employees (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         employee_code VARCHAR(100) NOT NULL,
+         full_name VARCHAR(255) NOT NULL,
+         national_id VARCHAR(20) NULL,
+         email VARCHAR(190) NULL,
+         sgk_number VARCHAR(40) NULL,
+         hire_date DATE NOT NULL,
+         termination_date DATE NULL,
+         termination_reason VARCHAR(255) NULL,
+         status ENUM('ACTIVE','TERMINATED') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_employees_scope_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_payroll_employees_code (tenant_id, legal_entity_id, employee_code),
+         KEY ix_payroll_employees_status (tenant_id, legal_entity_id, status),
+         KEY ix_payroll_employees_national_id (tenant_id, national_id),
+         CONSTRAINT fk_payroll_employees_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_employees_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_payroll_employees_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_payroll_employees_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_employee_history (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         employee_id BIGINT UNSIGNED NOT NULL,
+         effective_from DATE NOT NULL,
+         effective_to DATE NULL,
+         change_type ENUM('HIRE','TRANSFER','SALARY_CHANGE','POSITION_CHANGE','UPDATE','TERMINATION','REHIRE') NOT NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         cost_center_code VARCHAR(100) NULL,
+         position_title VARCHAR(190) NULL,
+         base_salary DECIMAL(20,6) NULL,
+         salary_currency_code CHAR(3) NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_employee_history_effective (tenant_id, employee_id, effective_from),
+         KEY ix_payroll_employee_history_scope (tenant_id, legal_entity_id, employee_id, effective_from),
+         CONSTRAINT fk_payroll_employee_history_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_employee_history_employee
+           FOREIGN KEY (tenant_id, legal_entity_id, employee_id)
+           REFERENCES payroll_employees(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_employee_history_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT fk_payroll_employee_history_currency
+           FOREIGN KEY (salary_currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_payroll_employee_history_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_run_lines
+         ADD COLUMN employee_id BIGINT UNSIGNED NULL AFTER employee_code`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_run_lines
+         ADD COLUMN employee_check_status VARCHAR(20) NULL AFTER employee_id`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_run_lines
+         ADD KEY ix_payroll_run_lines_employee (tenant_id, legal_entity_id, employee_id)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_run_lines
+         ADD CONSTRAINT fk_payroll_run_lines_employee
+           FOREIGN KEY (tenant_id, legal_entity_id, employee_id)
+           REFERENCES payroll_employees(tenant_id, legal_entity_id, id)`
+    );
+
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_beneficiary_bank_accounts
+         ADD COLUMN employee_id BIGINT UNSIGNED NULL AFTER employee_code`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_beneficiary_bank_accounts
+         ADD KEY ix_payroll_beneficiary_bank_accounts_employee (tenant_id, legal_entity_id, employee_id)`
+    );
+    await safeExecute(
+      connection,
+      `ALTER TABLE payroll_beneficiary_bank_accounts
+         ADD CONSTRAINT fk_payroll_beneficiary_bank_accounts_employee
+           FOREIGN KEY (tenant_id, legal_entity_id, employee_id)
+           REFERENCES payroll_employees(tenant_id, legal_entity_id, id)`
+    );
+  },
+
+  async down(connection) {
+    await safeExecute(connection, `ALTER TABLE payroll_beneficiary_bank_accounts DROP FOREIGN KEY fk_payroll_beneficiary_bank_accounts_employee`);
+    await safeExecute(connection, `ALTER TABLE payroll_beneficiary_bank_accounts DROP COLUMN employee_id`);
+    await safeExecute(connection, `ALTER TABLE payroll_run_lines DROP FOREIGN KEY fk_payroll_run_lines_employee`);
+    await safeExecute(connection, `ALTER TABLE payroll_run_lines DROP COLUMN employee_check_status`);
+    await safeExecute(connection, `ALTER TABLE payroll_run_lines DROP COLUMN employee_id`);
+    await connection.execute(`DROP TABLE IF EXISTS payroll_employee_history`);
+    await connection.execute(`DROP TABLE IF EXISTS payroll_employees`);
+  },
+};
+
+export default migration088PayrollEmployeeMaster;
@@ -0,0 +1,147 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration089PayrollProvisions = {
+  key: "m089_payroll_provisions",
+  description:
+    "Period-end severance, notice and unused leave provisions per employee with accrual journal links, plus employee leave usage entries",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_employee_leave_entries (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         employee_id BIGINT UNSIGNED NOT NULL,
+         entry_date DATE NOT NULL,
+         entry_type ENUM('USED','ADJUSTMENT') NOT NULL,
+         days DECIMAL(10,4) NOT NULL,
+         note VARCHAR(500) NULL,
+         created_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         KEY ix_payroll_employee_leave_entries_employee (tenant_id, employee_id, entry_date),
+         CONSTRAINT fk_payroll_employee_leave_entries_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_employee_leave_entries_employee
+           FOREIGN KEY (tenant_id, legal_entity_id, employee_id)
+           REFERENCES payroll_employees(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_employee_leave_entries_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_provision_runs (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         period_end_date DATE NOT NULL,
+         currency_code CHAR(3) NOT NULL,
+         status ENUM('DRAFT','POSTED','REVERSED') NOT NULL DEFAULT 'DRAFT',
+         employee_count INT NOT NULL DEFAULT 0,
+         severance_ceiling_amount DECIMAL(20,6) NULL,
+         total_severance DECIMAL(20,6) NOT NULL DEFAULT 0,
+         total_notice DECIMAL(20,6) NOT NULL DEFAULT 0,
+         total_leave DECIMAL(20,6) NOT NULL DEFAULT 0,
+         total_provision DECIMAL(20,6) NOT NULL DEFAULT 0,
+         previous_run_id BIGINT UNSIGNED NULL,
+         delta_severance DECIMAL(20,6) NOT NULL DEFAULT 0,
+         delta_notice DECIMAL(20,6) NOT NULL DEFAULT 0,
+         delta_leave DECIMAL(20,6) NOT NULL DEFAULT 0,
+         delta_total DECIMAL(20,6) NOT NULL DEFAULT 0,
+         accrual_journal_entry_id BIGINT UNSIGNED NULL,
+         reversal_journal_entry_id BIGINT UNSIGNED NULL,
+         calculated_by_user_id INT NULL,
+         calculated_at TIMESTAMP NULL,
+         posted_by_user_id INT NULL,
+         posted_at TIMESTAMP NULL,
+         reversed_at TIMESTAMP NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_provision_runs_scope_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_payroll_provision_runs_period (tenant_id, legal_entity_id, period_end_date),
+         KEY ix_payroll_provision_runs_status (tenant_id, legal_entity_id, status, period_end_date),
+         CONSTRAINT fk_payroll_provision_runs_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_provision_runs_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_payroll_provision_runs_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_payroll_provision_runs_previous
+           FOREIGN KEY (tenant_id, legal_entity_id, previous_run_id)
+           REFERENCES payroll_provision_runs(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_provision_runs_accrual_journal
+           FOREIGN KEY (accrual_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_payroll_provision_runs_reversal_journal
+           FOREIGN KEY (reversal_journal_entry_id) REFERENCES journal_entries(id),
+         CONSTRAINT fk_payroll_provision_runs_calculated_user
+           FOREIGN KEY (tenant_id, calculated_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_payroll_provision_runs_posted_user
+           FOREIGN KEY (tenant_id, posted_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_provision_lines (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         provision_run_id BIGINT UNSIGNED NOT NULL,
+         employee_id BIGINT UNSIGNED NOT NULL,
+         employee_code VARCHAR(100) NOT NULL,
+         hire_date DATE NOT NULL,
+         service_days INT NOT NULL,
+         wage_base DECIMAL(20,6) NOT NULL DEFAULT 0,
+         wage_source VARCHAR(30) NOT NULL,
+         severance_wage_base DECIMAL(20,6) NOT NULL DEFAULT 0,
+         severance_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         notice_weeks INT NOT NULL DEFAULT 0,
+         notice_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         leave_entitled_days DECIMAL(10,4) NOT NULL DEFAULT 0,
+         leave_used_days DECIMAL(10,4) NOT NULL DEFAULT 0,
+         leave_unused_days DECIMAL(10,4) NOT NULL DEFAULT 0,
+         leave_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         total_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         previous_total_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         delta_amount DECIMAL(20,6) NOT NULL DEFAULT 0,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_provision_lines_employee (tenant_id, provision_run_id, employee_id),
+         KEY ix_payroll_provision_lines_employee (tenant_id, legal_entity_id, employee_id),
+         CONSTRAINT fk_payroll_provision_lines_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_provision_lines_run
+           FOREIGN KEY (tenant_id, legal_entity_id, provision_run_id)
+           REFERENCES payroll_provision_runs(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_provision_lines_employee
+           FOREIGN KEY (tenant_id, legal_entity_id, employee_id)
+           REFERENCES payroll_employees(tenant_id, legal_entity_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS payroll_provision_lines`);
+    await connection.execute(`DROP TABLE IF EXISTS payroll_provision_runs`);
+    await connection.execute(`DROP TABLE IF EXISTS payroll_employee_leave_entries`);
+  },
+};
+
+export default migration089PayrollProvisions;
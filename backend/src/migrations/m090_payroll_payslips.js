@@ -0,0 +1,75 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration090PayrollPayslips = {
+  key: "m090_payroll_payslips",
+  description:
+    "Per-employee payslips (HTML and PDF) generated from finalized payroll run lines with component, employer cost and YTD totals",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_payslips (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         run_id BIGINT UNSIGNED NOT NULL,
+         run_line_id BIGINT UNSIGNED NOT NULL,
+         employee_id BIGINT UNSIGNED NULL,
+         employee_code VARCHAR(100) NOT NULL,
+         employee_name VARCHAR(255) NULL,
+         payroll_period DATE NOT NULL,
+         currency_code CHAR(3) NOT NULL,
+         gross_pay DECIMAL(20,6) NOT NULL DEFAULT 0,
+         net_pay DECIMAL(20,6) NOT NULL DEFAULT 0,
+         total_employer_cost DECIMAL(20,6) NOT NULL DEFAULT 0,
+         summary_json JSON NULL,
+         html_content MEDIUMTEXT NOT NULL,
+         html_checksum CHAR(64) NOT NULL,
+         pdf_content MEDIUMBLOB NOT NULL,
+         pdf_checksum CHAR(64) NOT NULL,
+         download_count INT NOT NULL DEFAULT 0,
+         last_downloaded_at TIMESTAMP NULL,
+         generated_by_user_id INT NULL,
+         generated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_payslips_scope_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_payroll_payslips_run_line (tenant_id, run_id, run_line_id),
+         KEY ix_payroll_payslips_run (tenant_id, legal_entity_id, run_id),
+         KEY ix_payroll_payslips_employee (tenant_id, legal_entity_id, employee_code, payroll_period),
+         CONSTRAINT fk_payroll_payslips_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_payslips_run
+           FOREIGN KEY (tenant_id, legal_entity_id, run_id)
+           REFERENCES payroll_runs(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_payslips_run_line
+           FOREIGN KEY (tenant_id, legal_entity_id, run_line_id)
+           REFERENCES payroll_run_lines(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_payslips_currency
+           FOREIGN KEY (currency_code) REFERENCES currencies(code),
+         CONSTRAINT fk_payroll_payslips_generated_user
+           FOREIGN KEY (tenant_id, generated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS payroll_payslips`);
+  },
+};
+
+export default migration090PayrollPayslips;
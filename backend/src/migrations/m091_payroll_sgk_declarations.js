@@ -0,0 +1,127 @@
+const ignorableErrnos = new Set([
+  1050, // ER_TABLE_EXISTS_ERROR
+  1060, // ER_DUP_FIELDNAME
+  1061, // ER_DUP_KEYNAME
+  1091, // ER_CANT_DROP_FIELD_OR_KEY
+  1826, // ER_FK_DUP_NAME
+]);
+
+async function safeExecute(connection, sql, params = []) {
+  try {
+    await connection.execute(sql, params);
+  } catch (err) {
+    if (ignorableErrnos.has(Number(err?.errno))) {
+      return;
+    }
+    throw err;
+  }
+}
+
+const migration091PayrollSgkDeclarations = {
+  key: "m091_payroll_sgk_declarations",
+  description:
+    "SGK workplace registry and monthly APHB/MUHSGK declaration files recorded as period export snapshots",
+  async up(connection) {
+    await safeExecute(
+      connection,
+      `ALTER TABLE period_export_snapshots
+         MODIFY COLUMN snapshot_type ENUM('PAYROLL_CLOSE_PERIOD','PAYROLL_SGK_DECLARATION')
+           NOT NULL DEFAULT 'PAYROLL_CLOSE_PERIOD'`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_sgk_workplaces (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         workplace_code VARCHAR(40) NOT NULL,
+         workplace_name VARCHAR(190) NOT NULL,
+         sgk_registration_no VARCHAR(30) NOT NULL,
+         operating_unit_id BIGINT UNSIGNED NULL,
+         is_default TINYINT(1) NOT NULL DEFAULT 0,
+         status ENUM('ACTIVE','INACTIVE') NOT NULL DEFAULT 'ACTIVE',
+         created_by_user_id INT NULL,
+         updated_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_sgk_workplaces_scope_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_payroll_sgk_workplaces_scope_code (tenant_id, legal_entity_id, workplace_code),
+         UNIQUE KEY uk_payroll_sgk_workplaces_scope_registration (tenant_id, sgk_registration_no),
+         UNIQUE KEY uk_payroll_sgk_workplaces_scope_unit (tenant_id, legal_entity_id, operating_unit_id),
+         KEY ix_payroll_sgk_workplaces_scope_status (tenant_id, legal_entity_id, status),
+         CONSTRAINT fk_payroll_sgk_workplaces_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_sgk_workplaces_legal_entity
+           FOREIGN KEY (tenant_id, legal_entity_id) REFERENCES legal_entities(tenant_id, id),
+         CONSTRAINT fk_payroll_sgk_workplaces_operating_unit
+           FOREIGN KEY (operating_unit_id) REFERENCES operating_units(id),
+         CONSTRAINT fk_payroll_sgk_workplaces_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id),
+         CONSTRAINT fk_payroll_sgk_workplaces_updated_user
+           FOREIGN KEY (tenant_id, updated_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+
+    await safeExecute(
+      connection,
+      `CREATE TABLE IF NOT EXISTS payroll_sgk_declaration_files (
+         id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+         tenant_id BIGINT UNSIGNED NOT NULL,
+         legal_entity_id BIGINT UNSIGNED NOT NULL,
+         period_export_snapshot_id BIGINT UNSIGNED NOT NULL,
+         workplace_id BIGINT UNSIGNED NOT NULL,
+         payroll_period DATE NOT NULL,
+         file_type ENUM('APHB_XML','MUHSGK_TXT') NOT NULL,
+         layout_version VARCHAR(30) NOT NULL,
+         file_name VARCHAR(190) NOT NULL,
+         employee_count INT UNSIGNED NOT NULL DEFAULT 0,
+         totals_json JSON NULL,
+         content MEDIUMTEXT NOT NULL,
+         content_checksum CHAR(64) NOT NULL,
+         download_count INT NOT NULL DEFAULT 0,
+         last_downloaded_at TIMESTAMP NULL,
+         created_by_user_id INT NULL,
+         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uk_payroll_sgk_declaration_files_scope_id (tenant_id, legal_entity_id, id),
+         UNIQUE KEY uk_payroll_sgk_declaration_files_snapshot_file
+           (tenant_id, period_export_snapshot_id, workplace_id, file_type),
+         KEY ix_payroll_sgk_declaration_files_period (tenant_id, legal_entity_id, payroll_period),
+         CONSTRAINT fk_payroll_sgk_declaration_files_tenant
+           FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+         CONSTRAINT fk_payroll_sgk_declaration_files_snapshot
+           FOREIGN KEY (tenant_id, legal_entity_id, period_export_snapshot_id)
+           REFERENCES period_export_snapshots(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_sgk_declaration_files_workplace
+           FOREIGN KEY (tenant_id, legal_entity_id, workplace_id)
+           REFERENCES payroll_sgk_workplaces(tenant_id, legal_entity_id, id),
+         CONSTRAINT fk_payroll_sgk_declaration_files_created_user
+           FOREIGN KEY (tenant_id, created_by_user_id) REFERENCES users(tenant_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+  },
+
+  async down(connection) {
+    await connection.execute(`DROP TABLE IF EXISTS payroll_sgk_declaration_files`);
+    await connection.execute(`DROP TABLE IF EXISTS payroll_sgk_workplaces`);
+    await connection.execute(
+      `DELETE i
+       FROM period_export_snapshot_items i
+       JOIN period_export_snapshots s
+         ON s.tenant_id = i.tenant_id
+        AND s.legal_entity_id = i.legal_entity_id
+        AND s.id = i.period_export_snapshot_id
+       WHERE s.snapshot_type = 'PAYROLL_SGK_DECLARATION'`
+    );
+    await connection.execute(
+      `DELETE FROM period_export_snapshots WHERE snapshot_type = 'PAYROLL_SGK_DECLARATION'`
+    );
+    await connection.execute(
+      `ALTER TABLE period_export_snapshots
+         MODIFY COLUMN snapshot_type ENUM('PAYROLL_CLOSE_PERIOD')
+           NOT NULL DEFAULT 'PAYROLL_CLOSE_PERIOD'`
+    );
+  },
+};
+
+export default migration091PayrollSgkDeclarations;
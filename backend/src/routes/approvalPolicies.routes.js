@@ -85,10 +85,10 @@ router.post(
   requirePermission("approvals.policies.write", { resolveScope: resolvePoliciesScope }),
   asyncHandler(async (req, res) => {
     const input = parseBankApprovalPolicyCreateInput(req);
-    // For PAYROLL policies, default approver permission to generic H04 approval permission if caller did not set it.
+    // For PAYROLL/GL policies, default approver permission to generic H04 approval permission if caller did not set it.
     const rawApproverPermission = req.body?.approverPermissionCode ?? req.body?.approver_permission_code;
     if (
-      String(input.moduleCode || "BANK").toUpperCase() === "PAYROLL" &&
+      ["PAYROLL", "GL"].includes(String(input.moduleCode || "BANK").toUpperCase()) &&
       (rawApproverPermission === undefined || rawApproverPermission === null || rawApproverPermission === "")
     ) {
       input.approverPermissionCode = "approvals.requests.approve";
@@ -107,7 +107,7 @@ router.patch(
     const input = parseBankApprovalPolicyUpdateInput(req);
     const rawApproverPermission = req.body?.approverPermissionCode ?? req.body?.approver_permission_code;
     if (
-      String(input.moduleCode || "").toUpperCase() === "PAYROLL" &&
+      ["PAYROLL", "GL"].includes(String(input.moduleCode || "").toUpperCase()) &&
       (rawApproverPermission === undefined || rawApproverPermission === null || rawApproverPermission === "")
     ) {
       input.approverPermissionCode = "approvals.requests.approve";
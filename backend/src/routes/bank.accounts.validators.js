@@ -1,7 +1,10 @@
 import { badRequest, parsePositiveInt } from "./_utils.js";
+import { BANK_PAYMENT_EXPORT_FORMAT_CODES } from "../services/bankPaymentFileFormats/index.js";
+import { PAIN001_CHARGE_BEARER_VALUES } from "../services/bankPaymentFileFormats/pain001.format.js";
 import {
   normalizeCode,
   normalizeCurrencyCode,
+  normalizeEnum,
   normalizeText,
   optionalPositiveInt,
   parseBooleanFlag,
@@ -27,6 +30,21 @@ function normalizeOptionalCompactUpperText(value, label, maxLength) {
   return normalized;
 }
 
+function normalizeOptionalEnum(value, label, allowedValues) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  return normalizeEnum(value, label, allowedValues);
+}
+
+function normalizeOptionalSwiftBic(value) {
+  const bic = normalizeOptionalCompactUpperText(value, "swiftBic", 11);
+  if (bic && !/^[A-Z0-9]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+    throw badRequest("swiftBic must be an 8 or 11 character BIC");
+  }
+  return bic;
+}
+
 function parseOptionalIsActiveFilter(rawValue) {
   if (rawValue === undefined || rawValue === null || rawValue === "") {
     return null;
@@ -77,6 +95,17 @@ function parseBankAccountBody(req, { requireIdFromParam = false } = {}) {
   const branchName = normalizeText(req.body?.branchName, "branchName", 255);
   const iban = normalizeOptionalCompactUpperText(req.body?.iban, "iban", 64);
   const accountNo = normalizeText(req.body?.accountNo, "accountNo", 80);
+  const swiftBic = normalizeOptionalSwiftBic(req.body?.swiftBic);
+  const paymentFileFormatCode = normalizeOptionalEnum(
+    req.body?.paymentFileFormatCode,
+    "paymentFileFormatCode",
+    BANK_PAYMENT_EXPORT_FORMAT_CODES
+  );
+  const paymentChargeBearer = normalizeOptionalEnum(
+    req.body?.paymentChargeBearer,
+    "paymentChargeBearer",
+    PAIN001_CHARGE_BEARER_VALUES
+  );
   const isActive = parseBooleanFlag(req.body?.isActive, true);
 
   return {
@@ -92,6 +121,9 @@ function parseBankAccountBody(req, { requireIdFromParam = false } = {}) {
     branchName,
     iban,
     accountNo,
+    swiftBic,
+    paymentFileFormatCode,
+    paymentChargeBearer,
     isActive,
   };
 }
@@ -15,7 +15,7 @@ import { badRequest } from "./_utils.js";
 
 const POLICY_STATUS = ["ACTIVE", "PAUSED", "DISABLED"];
 const SCOPE_TYPES = ["GLOBAL", "LEGAL_ENTITY", "BANK_ACCOUNT"];
-const MODULE_CODES = ["BANK", "PAYROLL"];
+const MODULE_CODES = ["BANK", "PAYROLL", "GL"];
 
 function normalizeOptionalEnum(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") return null;
@@ -7,6 +7,7 @@ import {
   getBankConnectorByIdForTenant,
   listBankConnectorRows,
   listBankConnectorSyncRuns,
+  pushBankConnectorPaymentFiles,
   resolveBankConnectorScope,
   runBankConnectorStatementSync,
   testBankConnectorConnection,
@@ -18,6 +19,7 @@ import {
   parseBankConnectorCreateInput,
   parseBankConnectorIdParam,
   parseBankConnectorListFilters,
+  parseBankConnectorPaymentPushInput,
   parseBankConnectorSyncRunListFilters,
   parseBankConnectorSyncTriggerInput,
   parseBankConnectorUpdateInput,
@@ -232,4 +234,27 @@ router.post(
   })
 );
 
+router.post(
+  "/connectors/:connectorId/push-payment-files",
+  requirePermission("bank.connectors.sync", {
+    resolveScope: async (req, tenantId) =>
+      resolveBankConnectorScope(req.params?.connectorId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parseBankConnectorPaymentPushInput(req);
+    const result = await pushBankConnectorPaymentFiles({
+      req,
+      tenantId: input.tenantId,
+      connectorId: input.connectorId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: input.tenantId,
+      ...result,
+    });
+  })
+);
+
 export default router;
@@ -286,6 +286,35 @@ export function parseBankConnectorSyncTriggerInput(req) {
   };
 }
 
+export function parseBankConnectorPaymentPushInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const connectorId = parseBankConnectorIdParam(req);
+  const rawExportIds = req.body?.exportIds ?? req.body?.export_ids;
+  let exportIds = null;
+  if (rawExportIds !== undefined && rawExportIds !== null) {
+    if (!Array.isArray(rawExportIds)) {
+      throw badRequest("exportIds must be an array");
+    }
+    exportIds = rawExportIds.map((value) => {
+      const parsed = parsePositiveInt(value);
+      if (!parsed) throw badRequest("exportIds must contain positive integers");
+      return parsed;
+    });
+    if (exportIds.length > 200) {
+      throw badRequest("exportIds cannot contain more than 200 ids");
+    }
+  }
+  return {
+    tenantId,
+    userId,
+    connectorId,
+    exportIds: exportIds && exportIds.length > 0 ? exportIds : null,
+    requestId:
+      normalizeText(req.body?.requestId ?? req.body?.request_id, "requestId", 190) || null,
+  };
+}
+
 export function parseBankConnectorSyncRunListFilters(req) {
   const tenantId = requireTenantId(req);
   const userId = requireUserId(req);
@@ -307,5 +336,6 @@ export default {
   parseBankConnectorUpdateInput,
   parseBankConnectorAccountLinkInput,
   parseBankConnectorSyncTriggerInput,
+  parseBankConnectorPaymentPushInput,
   parseBankConnectorSyncRunListFilters,
 };
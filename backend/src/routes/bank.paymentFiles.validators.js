@@ -1,5 +1,6 @@
 import { badRequest, parsePositiveInt } from "./_utils.js";
-import { requireTenantId, requireUserId } from "./cash.validators.common.js";
+import { parseDateOnly, requireTenantId, requireUserId } from "./cash.validators.common.js";
+import { PAIN001_CHARGE_BEARER_VALUES } from "../services/bankPaymentFileFormats/pain001.format.js";
 
 function normalizeText(value, label, maxLen, { required = false } = {}) {
   const text = String(value || "").trim();
@@ -13,14 +14,38 @@ function normalizeText(value, label, maxLen, { required = false } = {}) {
   return text;
 }
 
-function normalizeFileFormatCode(value) {
+function normalizeFileFormatCode(value, fallback = "GENERIC_CSV_V1") {
   return (
-    String(value || "GENERIC_CSV_V1")
+    String(value || "")
       .trim()
-      .toUpperCase() || "GENERIC_CSV_V1"
+      .toUpperCase() || fallback
   );
 }
 
+// Shared by B04 (/payments/batches/:id/export) and B06 exports. fileFormatCode stays null
+// when omitted so the bank account's payment_file_format_code can apply.
+export function parsePaymentFileExportOptions(body = {}) {
+  const rawDate = body?.requestedExecutionDate ?? body?.requested_execution_date;
+  let requestedExecutionDate = null;
+  if (rawDate !== undefined && rawDate !== null && String(rawDate).trim() !== "") {
+    requestedExecutionDate = parseDateOnly(rawDate, "requestedExecutionDate");
+    if (requestedExecutionDate < new Date().toISOString().slice(0, 10)) {
+      throw badRequest("requestedExecutionDate cannot be in the past");
+    }
+  }
+
+  const chargeBearer = normalizeFileFormatCode(body?.chargeBearer ?? body?.charge_bearer, null);
+  if (chargeBearer && !PAIN001_CHARGE_BEARER_VALUES.includes(chargeBearer)) {
+    throw badRequest(`chargeBearer must be one of ${PAIN001_CHARGE_BEARER_VALUES.join(", ")}`);
+  }
+
+  return {
+    fileFormatCode: normalizeFileFormatCode(body?.fileFormatCode ?? body?.file_format_code, null),
+    requestedExecutionDate,
+    chargeBearer,
+  };
+}
+
 function parseBatchIdParam(req) {
   const batchId = parsePositiveInt(req.params?.id ?? req.params?.batchId);
   if (!batchId) throw badRequest("batchId must be a positive integer");
@@ -39,9 +64,7 @@ export function parseBankPaymentBatchExportCreateInput(req) {
     tenantId: requireTenantId(req),
     userId: requireUserId(req),
     batchId: parseBatchIdParam(req),
-    fileFormatCode: normalizeFileFormatCode(
-      req.body?.fileFormatCode ?? req.body?.file_format_code
-    ),
+    ...parsePaymentFileExportOptions(req.body),
     exportRequestId: normalizeText(
       req.body?.exportRequestId ?? req.body?.export_request_id,
       "exportRequestId",
@@ -66,13 +89,15 @@ export function parseBankPaymentBatchAckImportCreateInput(req) {
   const ackText = String(req.body?.ackText ?? req.body?.ack_text ?? "");
   if (!ackText.trim()) throw badRequest("ackText is required");
 
+  const fileFormatCode = normalizeFileFormatCode(
+    req.body?.fileFormatCode ?? req.body?.file_format_code
+  );
+
   return {
     tenantId: requireTenantId(req),
     userId: requireUserId(req),
     batchId: parseBatchIdParam(req),
-    fileFormatCode: normalizeFileFormatCode(
-      req.body?.fileFormatCode ?? req.body?.file_format_code
-    ),
+    fileFormatCode,
     ackRequestId: normalizeText(
       req.body?.ackRequestId ?? req.body?.ack_request_id,
       "ackRequestId",
@@ -80,7 +105,7 @@ export function parseBankPaymentBatchAckImportCreateInput(req) {
     ),
     fileName:
       normalizeText(req.body?.fileName ?? req.body?.file_name, "fileName", 255) ||
-      "ack.csv",
+      (fileFormatCode === "GENERIC_CSV_V1" ? "ack.csv" : "ack.xml"),
     exportId: (() => {
       const raw = req.body?.exportId ?? req.body?.export_id;
       if (raw === undefined || raw === null || raw === "") return null;
@@ -93,6 +118,7 @@ export function parseBankPaymentBatchAckImportCreateInput(req) {
 }
 
 export default {
+  parsePaymentFileExportOptions,
   parseBankPaymentBatchExportsListInput,
   parseBankPaymentBatchExportCreateInput,
   parseBankPaymentBatchAckImportListInput,
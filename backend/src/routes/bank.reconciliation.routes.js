@@ -5,16 +5,27 @@ import { requireTenantId } from "./cash.validators.common.js";
 import { resolveBankAccountScope } from "../services/bank.accounts.service.js";
 import { resolveBankStatementLineScope } from "../services/bank.statements.service.js";
 import {
+  postRealisedFxForJournalMatchTx,
+  reverseRealisedFxForUnmatchTx,
+} from "../services/bank.reconciliationAutoPosting.service.js";
+import {
+  getReconciliationMatchGroup,
   getReconciliationSuggestionsForLine,
   ignoreReconciliationLine,
   listReconciliationAuditRows,
   listReconciliationQueueRows,
+  matchReconciliationGroup,
   matchReconciliationLine,
+  resolveReconciliationMatchGroupScope,
   unignoreReconciliationLine,
+  unmatchReconciliationGroup,
   unmatchReconciliationLine,
 } from "../services/bank.reconciliation.service.js";
 import {
   parseReconciliationAuditFilters,
+  parseReconciliationGroupIdParam,
+  parseReconciliationGroupMatchInput,
+  parseReconciliationGroupUnmatchInput,
   parseReconciliationIgnoreInput,
   parseReconciliationLineIdParam,
   parseReconciliationMatchInput,
@@ -104,17 +115,29 @@ router.post(
   }),
   asyncHandler(async (req, res) => {
     const payload = parseReconciliationMatchInput(req);
-    const result = await matchReconciliationLine({
+    const { afterMatchResult, ...result } = await matchReconciliationLine({
       req,
       tenantId: payload.tenantId,
       lineId: payload.lineId,
       matchInput: payload,
       userId: payload.userId,
       assertScopeAccess,
+      afterMatchTx:
+        payload.matchedEntityType === "JOURNAL"
+          ? (tx) =>
+              postRealisedFxForJournalMatchTx(tx, {
+                tenantId: payload.tenantId,
+                lineId: payload.lineId,
+                journalEntryId: payload.matchedEntityId,
+                matchedAmount: payload.matchedAmount,
+                userId: payload.userId,
+              })
+          : null,
     });
     return res.json({
       tenantId: payload.tenantId,
       ...result,
+      realisedFx: afterMatchResult || null,
     });
   })
 );
@@ -128,13 +151,92 @@ router.post(
   }),
   asyncHandler(async (req, res) => {
     const payload = parseReconciliationUnmatchInput(req);
-    const result = await unmatchReconciliationLine({
+    const { afterUnmatchResult, ...result } = await unmatchReconciliationLine({
       req,
       tenantId: payload.tenantId,
       lineId: payload.lineId,
       unmatchInput: payload,
       userId: payload.userId,
       assertScopeAccess,
+      afterUnmatchTx: (tx, { reversedMatches }) =>
+        reverseRealisedFxForUnmatchTx(tx, {
+          tenantId: payload.tenantId,
+          lineId: payload.lineId,
+          matches: reversedMatches,
+          userId: payload.userId,
+        }),
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      ...result,
+      realisedFxReversals: afterUnmatchResult,
+    });
+  })
+);
+
+router.post(
+  "/match-groups",
+  requirePermission("bank.reconcile.write", {
+    resolveScope: async (req, tenantId) => {
+      const lineIds = req.body?.statementLineIds ?? req.body?.statement_line_ids;
+      return resolveBankStatementLineScope(Array.isArray(lineIds) ? lineIds[0] : null, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseReconciliationGroupMatchInput(req);
+    const result = await matchReconciliationGroup({
+      req,
+      tenantId: payload.tenantId,
+      groupInput: payload,
+      userId: payload.userId,
+      assertScopeAccess,
+    });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.get(
+  "/match-groups/:groupId",
+  requirePermission("bank.reconcile.read", {
+    resolveScope: async (req, tenantId) => {
+      return resolveReconciliationMatchGroupScope(req.params?.groupId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const groupId = parseReconciliationGroupIdParam(req);
+    const result = await getReconciliationMatchGroup({
+      req,
+      tenantId,
+      groupId,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/match-groups/:groupId/unmatch",
+  requirePermission("bank.reconcile.write", {
+    resolveScope: async (req, tenantId) => {
+      return resolveReconciliationMatchGroupScope(req.params?.groupId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseReconciliationGroupUnmatchInput(req);
+    const result = await unmatchReconciliationGroup({
+      req,
+      tenantId: payload.tenantId,
+      groupId: payload.groupId,
+      unmatchInput: payload,
+      userId: payload.userId,
+      assertScopeAccess,
     });
     return res.json({
       tenantId: payload.tenantId,
@@ -8,7 +8,15 @@ import {
 } from "./cash.validators.common.js";
 
 const QUEUE_STATUS_VALUES = ["UNMATCHED", "PARTIAL", "MATCHED", "IGNORED"];
-const MATCH_ENTITY_TYPES = ["JOURNAL", "PAYMENT_BATCH", "CASH_TXN", "MANUAL_ADJUSTMENT"];
+const MATCH_ENTITY_TYPES = [
+  "JOURNAL",
+  "PAYMENT_BATCH",
+  "CASH_TXN",
+  "MANUAL_ADJUSTMENT",
+  "CARI_OPEN_ITEM",
+];
+const GROUP_TARGET_ENTITY_TYPES = ["JOURNAL", "PAYMENT_BATCH", "CASH_TXN", "CARI_OPEN_ITEM"];
+const GROUP_MAX_ITEMS = 50;
 
 function normalizeEnumOrNull(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") {
@@ -40,6 +48,14 @@ export function parseReconciliationLineIdParam(req) {
   return lineId;
 }
 
+export function parseReconciliationGroupIdParam(req) {
+  const groupId = parsePositiveInt(req.params?.groupId);
+  if (!groupId) {
+    throw badRequest("groupId must be a positive integer");
+  }
+  return groupId;
+}
+
 export function parseReconciliationQueueFilters(req) {
   const tenantId = requireTenantId(req);
   const legalEntityId = optionalPositiveInt(req.query?.legalEntityId, "legalEntityId");
@@ -129,6 +145,95 @@ export function parseReconciliationMatchInput(req) {
   };
 }
 
+export function parseReconciliationGroupMatchInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+
+  const rawLineIds = req.body?.statementLineIds ?? req.body?.statement_line_ids;
+  if (!Array.isArray(rawLineIds) || rawLineIds.length === 0) {
+    throw badRequest("statementLineIds must be a non-empty array");
+  }
+  if (rawLineIds.length > GROUP_MAX_ITEMS) {
+    throw badRequest(`statementLineIds cannot exceed ${GROUP_MAX_ITEMS} items`);
+  }
+  const statementLineIds = rawLineIds.map((value, index) =>
+    optionalPositiveInt(value, `statementLineIds[${index}]`)
+  );
+  if (statementLineIds.some((value) => !value)) {
+    throw badRequest("statementLineIds must contain positive integers");
+  }
+
+  const rawTargets = req.body?.targets;
+  if (!Array.isArray(rawTargets) || rawTargets.length === 0) {
+    throw badRequest("targets must be a non-empty array");
+  }
+  if (rawTargets.length > GROUP_MAX_ITEMS) {
+    throw badRequest(`targets cannot exceed ${GROUP_MAX_ITEMS} items`);
+  }
+  const targets = rawTargets.map((target, index) => {
+    const label = `targets[${index}]`;
+    const matchedEntityType = normalizeEnumOrNull(
+      target?.matchedEntityType ?? target?.matched_entity_type,
+      `${label}.matchedEntityType`,
+      GROUP_TARGET_ENTITY_TYPES
+    );
+    if (!matchedEntityType) {
+      throw badRequest(`${label}.matchedEntityType is required`);
+    }
+    const matchedEntityId = optionalPositiveInt(
+      target?.matchedEntityId ?? target?.matched_entity_id,
+      `${label}.matchedEntityId`
+    );
+    if (!matchedEntityId) {
+      throw badRequest(`${label}.matchedEntityId is required`);
+    }
+    const rawAmount = target?.amount;
+    return {
+      matchedEntityType,
+      matchedEntityId,
+      amount:
+        rawAmount === undefined || rawAmount === null || rawAmount === ""
+          ? null
+          : parsePositiveAmount(rawAmount, `${label}.amount`),
+    };
+  });
+
+  const rawTolerance = req.body?.toleranceAmount ?? req.body?.tolerance_amount;
+  let toleranceAmount = null;
+  if (rawTolerance !== undefined && rawTolerance !== null && rawTolerance !== "") {
+    toleranceAmount = Number(rawTolerance);
+    if (!Number.isFinite(toleranceAmount) || toleranceAmount < 0) {
+      throw badRequest("toleranceAmount must be a non-negative number");
+    }
+    toleranceAmount = Number(toleranceAmount.toFixed(6));
+  }
+
+  const matchType = normalizeText(req.body?.matchType ?? req.body?.match_type, "matchType", 30);
+
+  return {
+    tenantId,
+    userId,
+    statementLineIds,
+    targets,
+    toleranceAmount,
+    matchType: String(matchType || "MANUAL").trim().toUpperCase(),
+    notes: normalizeText(req.body?.notes, "notes", 500),
+  };
+}
+
+export function parseReconciliationGroupUnmatchInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const groupId = parseReconciliationGroupIdParam(req);
+
+  return {
+    tenantId,
+    userId,
+    groupId,
+    notes: normalizeText(req.body?.notes, "notes", 500),
+  };
+}
+
 export function parseReconciliationUnmatchInput(req) {
   const tenantId = requireTenantId(req);
   const userId = requireUserId(req);
@@ -179,6 +179,12 @@ export function parsePostingTemplateCreateInput(req) {
     entryKind:
       normalizeText(req.body?.entryKind ?? req.body?.entry_kind, "entryKind", 40) ||
       "BANK_MISC",
+    bankTransactionCode:
+      normalizeText(
+        req.body?.bankTransactionCode ?? req.body?.bank_transaction_code,
+        "bankTransactionCode",
+        60
+      ) || null,
     directionPolicy: normalizeEnum(
       req.body?.directionPolicy ?? req.body?.direction_policy,
       "directionPolicy",
@@ -193,6 +199,14 @@ export function parsePostingTemplateCreateInput(req) {
     taxAccountId: optionalPositiveInt(req.body?.taxAccountId ?? req.body?.tax_account_id, "taxAccountId"),
     taxMode,
     taxRate: parseOptionalDecimal(req.body?.taxRate ?? req.body?.tax_rate, "taxRate"),
+    fxGainAccountId: optionalPositiveInt(
+      req.body?.fxGainAccountId ?? req.body?.fx_gain_account_id,
+      "fxGainAccountId"
+    ),
+    fxLossAccountId: optionalPositiveInt(
+      req.body?.fxLossAccountId ?? req.body?.fx_loss_account_id,
+      "fxLossAccountId"
+    ),
     currencyCode: parseOptionalCurrencyCode(req.body?.currencyCode ?? req.body?.currency_code, "currencyCode"),
     minAmountAbs,
     maxAmountAbs,
@@ -282,6 +296,14 @@ export function parsePostingTemplateUpdateInput(req) {
       req.body?.entryKind !== undefined || req.body?.entry_kind !== undefined
         ? (normalizeText(req.body?.entryKind ?? req.body?.entry_kind, "entryKind", 40) || null)
         : undefined,
+    bankTransactionCode:
+      req.body?.bankTransactionCode !== undefined || req.body?.bank_transaction_code !== undefined
+        ? (normalizeText(
+            req.body?.bankTransactionCode ?? req.body?.bank_transaction_code,
+            "bankTransactionCode",
+            60
+          ) || null)
+        : undefined,
     directionPolicy:
       req.body?.directionPolicy !== undefined || req.body?.direction_policy !== undefined
         ? normalizeEnum(
@@ -306,6 +328,14 @@ export function parsePostingTemplateUpdateInput(req) {
       req.body?.taxRate !== undefined || req.body?.tax_rate !== undefined
         ? parseOptionalDecimal(req.body?.taxRate ?? req.body?.tax_rate, "taxRate")
         : undefined,
+    fxGainAccountId:
+      req.body?.fxGainAccountId !== undefined || req.body?.fx_gain_account_id !== undefined
+        ? optionalPositiveInt(req.body?.fxGainAccountId ?? req.body?.fx_gain_account_id, "fxGainAccountId")
+        : undefined,
+    fxLossAccountId:
+      req.body?.fxLossAccountId !== undefined || req.body?.fx_loss_account_id !== undefined
+        ? optionalPositiveInt(req.body?.fxLossAccountId ?? req.body?.fx_loss_account_id, "fxLossAccountId")
+        : undefined,
     currencyCode:
       req.body?.currencyCode !== undefined || req.body?.currency_code !== undefined
         ? parseOptionalCurrencyCode(req.body?.currencyCode ?? req.body?.currency_code, "currencyCode")
@@ -9,6 +9,10 @@ import {
   parseReconciliationRuleListFilters,
   parseReconciliationRuleUpdateInput,
   parseReconciliationRuleIdParam,
+  parseReconciliationRuleProposalAcceptInput,
+  parseReconciliationRuleProposalDismissInput,
+  parseReconciliationRuleProposalGenerateInput,
+  parseReconciliationRuleProposalListFilters,
 } from "./bank.reconciliationRules.validators.js";
 import {
   listReconciliationRuleRows,
@@ -20,6 +24,12 @@ import {
   previewBankReconciliationAutoRun,
   applyBankReconciliationAutoRun,
 } from "../services/bank.reconciliationEngine.service.js";
+import {
+  acceptReconciliationRuleProposal,
+  dismissReconciliationRuleProposal,
+  generateReconciliationRuleProposals,
+  listReconciliationRuleProposals,
+} from "../services/bank.reconciliationRuleLearning.service.js";
 
 const router = express.Router();
 
@@ -89,6 +99,59 @@ router.patch(
   })
 );
 
+router.get(
+  "/rule-proposals",
+  requirePermission("bank.reconcile.rules.read", { resolveScope: resolveRulesScope }),
+  asyncHandler(async (req, res) => {
+    const filters = parseReconciliationRuleProposalListFilters(req);
+    const result = await listReconciliationRuleProposals({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/rule-proposals/generate",
+  requirePermission("bank.reconcile.rules.write", { resolveScope: resolveRulesScope }),
+  asyncHandler(async (req, res) => {
+    const input = parseReconciliationRuleProposalGenerateInput(req);
+    const result = await generateReconciliationRuleProposals({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/rule-proposals/:proposalId/accept",
+  requirePermission("bank.reconcile.rules.write"),
+  asyncHandler(async (req, res) => {
+    const input = parseReconciliationRuleProposalAcceptInput(req);
+    const result = await acceptReconciliationRuleProposal({ req, input, assertScopeAccess });
+    return res.status(201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/rule-proposals/:proposalId/dismiss",
+  requirePermission("bank.reconcile.rules.write"),
+  asyncHandler(async (req, res) => {
+    const input = parseReconciliationRuleProposalDismissInput(req);
+    const result = await dismissReconciliationRuleProposal({ req, input, assertScopeAccess });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
 router.post(
   "/auto/preview",
   requirePermission("bank.reconcile.auto.run", { resolveScope: resolveRulesScope }),
@@ -14,17 +14,63 @@ const RULE_MATCH_TYPES = [
   "PAYMENT_BY_TEXT_AND_AMOUNT",
   "JOURNAL_BY_TEXT_AND_AMOUNT",
   "JOURNAL_BY_REFERENCE_AND_AMOUNT",
+  "CARI_OPEN_ITEMS_BY_AMOUNT",
+  "CASH_TXNS_BY_AMOUNT",
+  "STATEMENT_LINES_TO_PAYMENT_BATCH",
+  "STATEMENT_LINES_TO_JOURNAL",
+  "CARI_RECEIPT_BY_VIRTUAL_ACCOUNT",
+  "TEMPLATE_BY_BANK_TRANSACTION_CODE",
 ];
+const GROUP_RULE_MATCH_TYPES = [
+  "CARI_OPEN_ITEMS_BY_AMOUNT",
+  "CASH_TXNS_BY_AMOUNT",
+  "STATEMENT_LINES_TO_PAYMENT_BATCH",
+  "STATEMENT_LINES_TO_JOURNAL",
+];
+const GROUP_RULE_ACTION_TYPES = ["AUTO_MATCH_GROUP", "SUGGEST_ONLY", "QUEUE_EXCEPTION"];
+const CARI_RECEIPT_RULE_ACTION_TYPES = ["AUTO_CREATE_CARI_RECEIPT", "SUGGEST_ONLY", "QUEUE_EXCEPTION"];
+const TRANSACTION_CODE_RULE_ACTION_TYPES = ["AUTO_POST_TEMPLATE", "SUGGEST_ONLY", "QUEUE_EXCEPTION"];
+const RULE_PROPOSAL_STATUSES = ["PROPOSED", "ACCEPTED", "DISMISSED"];
 const RULE_ACTION_TYPES = [
   "AUTO_MATCH_PAYMENT_BATCH",
   "AUTO_MATCH_PAYMENT_LINE_WITH_DIFFERENCE",
   "AUTO_MATCH_JOURNAL",
+  "AUTO_MATCH_GROUP",
   "AUTO_POST_TEMPLATE",
   "PROCESS_PAYMENT_RETURN",
+  "AUTO_CREATE_CARI_RECEIPT",
   "QUEUE_EXCEPTION",
   "SUGGEST_ONLY",
 ];
 
+function validateRuleActionPairing(matchType, actionType) {
+  if (!matchType || !actionType) return;
+  const groupMatch = GROUP_RULE_MATCH_TYPES.includes(matchType);
+  if (groupMatch && !GROUP_RULE_ACTION_TYPES.includes(actionType)) {
+    throw badRequest(`${matchType} rules support ${GROUP_RULE_ACTION_TYPES.join(", ")} actions only`);
+  }
+  if (!groupMatch && actionType === "AUTO_MATCH_GROUP") {
+    throw badRequest(`AUTO_MATCH_GROUP requires one of ${GROUP_RULE_MATCH_TYPES.join(", ")}`);
+  }
+  const cariReceiptMatch = matchType === "CARI_RECEIPT_BY_VIRTUAL_ACCOUNT";
+  if (cariReceiptMatch && !CARI_RECEIPT_RULE_ACTION_TYPES.includes(actionType)) {
+    throw badRequest(
+      `${matchType} rules support ${CARI_RECEIPT_RULE_ACTION_TYPES.join(", ")} actions only`
+    );
+  }
+  if (!cariReceiptMatch && actionType === "AUTO_CREATE_CARI_RECEIPT") {
+    throw badRequest("AUTO_CREATE_CARI_RECEIPT requires CARI_RECEIPT_BY_VIRTUAL_ACCOUNT");
+  }
+  if (
+    matchType === "TEMPLATE_BY_BANK_TRANSACTION_CODE" &&
+    !TRANSACTION_CODE_RULE_ACTION_TYPES.includes(actionType)
+  ) {
+    throw badRequest(
+      `${matchType} rules support ${TRANSACTION_CODE_RULE_ACTION_TYPES.join(", ")} actions only`
+    );
+  }
+}
+
 function normalizeEnum(value, label, allowedValues, { required = false, fallback = null } = {}) {
   if (value === undefined || value === null || value === "") {
     if (required) throw badRequest(`${label} is required`);
@@ -131,6 +177,7 @@ export function parseReconciliationRuleCreateInput(req) {
     RULE_ACTION_TYPES,
     { required: true }
   );
+  validateRuleActionPairing(matchType, actionType);
 
   const priority = parsePositiveOrDefault(req.body?.priority, 100, 1, 1000000);
   const status = normalizeEnum(req.body?.status, "status", RULE_STATUSES, { fallback: "ACTIVE" });
@@ -248,6 +295,7 @@ export function parseReconciliationRuleUpdateInput(req) {
         : undefined,
   };
 
+  validateRuleActionPairing(input.matchType, input.actionType);
   if (input.conditions !== undefined) {
     if (input.conditions === null || typeof input.conditions !== "object" || Array.isArray(input.conditions)) {
       throw badRequest("conditions must be an object");
@@ -309,6 +357,74 @@ export function parseReconciliationAutoApplyInput(req) {
   };
 }
 
+export function parseReconciliationRuleProposalIdParam(req) {
+  const proposalId = parsePositiveInt(req.params?.proposalId);
+  if (!proposalId) throw badRequest("proposalId must be a positive integer");
+  return proposalId;
+}
+
+export function parseReconciliationRuleProposalListFilters(req) {
+  const tenantId = requireTenantId(req);
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    bankAccountId: optionalPositiveInt(req.query?.bankAccountId, "bankAccountId"),
+    status: normalizeEnum(req.query?.status, "status", RULE_PROPOSAL_STATUSES),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseReconciliationRuleProposalGenerateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  return {
+    tenantId,
+    userId,
+    legalEntityId: optionalPositiveInt(
+      req.body?.legalEntityId ?? req.body?.legal_entity_id,
+      "legalEntityId"
+    ),
+    bankAccountId: optionalPositiveInt(
+      req.body?.bankAccountId ?? req.body?.bank_account_id,
+      "bankAccountId"
+    ),
+    lookbackDays: parsePositiveOrDefault(
+      req.body?.lookbackDays ?? req.body?.lookback_days,
+      180,
+      7,
+      730
+    ),
+    minSupport: parsePositiveOrDefault(req.body?.minSupport ?? req.body?.min_support, 3, 2, 100),
+  };
+}
+
+export function parseReconciliationRuleProposalAcceptInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const ruleCode = normalizeText(req.body?.ruleCode ?? req.body?.rule_code, "ruleCode", 60);
+  return {
+    tenantId,
+    userId,
+    proposalId: parseReconciliationRuleProposalIdParam(req),
+    ruleCode: ruleCode ? String(ruleCode).trim().toUpperCase() : null,
+    ruleName: normalizeText(req.body?.ruleName ?? req.body?.rule_name, "ruleName", 190) || null,
+    priority:
+      req.body?.priority !== undefined
+        ? parsePositiveOrDefault(req.body?.priority, 500, 1, 1000000)
+        : null,
+  };
+}
+
+export function parseReconciliationRuleProposalDismissInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    proposalId: parseReconciliationRuleProposalIdParam(req),
+  };
+}
+
 export default {
   parseReconciliationRuleIdParam,
   parseReconciliationRuleListFilters,
@@ -316,4 +432,9 @@ export default {
   parseReconciliationRuleUpdateInput,
   parseReconciliationAutoPreviewInput,
   parseReconciliationAutoApplyInput,
+  parseReconciliationRuleProposalIdParam,
+  parseReconciliationRuleProposalListFilters,
+  parseReconciliationRuleProposalGenerateInput,
+  parseReconciliationRuleProposalAcceptInput,
+  parseReconciliationRuleProposalDismissInput,
 };
@@ -6,13 +6,19 @@ import { resolveBankAccountScope } from "../services/bank.accounts.service.js";
 import {
   getBankStatementImportByIdForTenant,
   getBankStatementLineByIdForTenant,
-  importBankStatementCsv,
+  importBankStatementFile,
   listBankStatementImportRows,
   listBankStatementLineRows,
   resolveBankStatementImportScope,
   resolveBankStatementLineScope,
 } from "../services/bank.statements.service.js";
 import {
+  getBankStatementCoverage,
+  reevaluateBankStatementCoverage,
+} from "../services/bank.statementCoverage.service.js";
+import {
+  parseBankStatementCoverageEvaluateInput,
+  parseBankStatementCoverageFilters,
   parseBankStatementImportCreateInput,
   parseBankStatementImportIdParam,
   parseBankStatementImportReadFilters,
@@ -64,7 +70,7 @@ router.post(
   }),
   asyncHandler(async (req, res) => {
     const payload = parseBankStatementImportCreateInput(req);
-    const row = await importBankStatementCsv({
+    const row = await importBankStatementFile({
       req,
       payload,
       assertScopeAccess,
@@ -169,4 +175,50 @@ router.get(
   })
 );
 
+router.get(
+  "/coverage",
+  requirePermission("bank.statements.read", {
+    resolveScope: async (req, tenantId) => {
+      return resolveBankAccountScope(req.query?.bankAccountId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseBankStatementCoverageFilters(req);
+    const result = await getBankStatementCoverage({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      assertScopeAccess,
+    });
+
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/coverage/evaluate",
+  requirePermission("bank.statements.import", {
+    resolveScope: async (req, tenantId) => {
+      return resolveBankAccountScope(req.body?.bankAccountId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseBankStatementCoverageEvaluateInput(req);
+    const result = await reevaluateBankStatementCoverage({
+      req,
+      tenantId: payload.tenantId,
+      bankAccountId: payload.bankAccountId,
+      assertScopeAccess,
+    });
+
+    return res.json({
+      tenantId: payload.tenantId,
+      ...result,
+    });
+  })
+);
+
 export default router;
@@ -2,12 +2,21 @@ import { badRequest, parsePositiveInt } from "./_utils.js";
 import {
   normalizeText,
   optionalPositiveInt,
+  parseBooleanFlag,
+  parseDateOnly,
   parsePagination,
   requireTenantId,
   requireUserId,
 } from "./cash.validators.common.js";
 
 const RECON_STATUS_VALUES = ["UNMATCHED", "PARTIAL", "MATCHED", "IGNORED"];
+const STATEMENT_FORMAT_VALUES = ["CSV", "MT940", "CAMT053", "CAMT052"];
+const DEFAULT_FILENAMES = {
+  CSV: "manual.csv",
+  MT940: "statement.sta",
+  CAMT053: "statement.xml",
+  CAMT052: "statement.xml",
+};
 
 function normalizeEnumOrNull(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") {
@@ -52,18 +61,27 @@ export function parseBankStatementImportCreateInput(req) {
     throw badRequest("bankAccountId is required");
   }
 
-  const csvText = String(req.body?.csvText || "");
-  if (!csvText.trim()) {
-    throw badRequest("csvText is required");
+  const statementFormat =
+    normalizeEnumOrNull(req.body?.statementFormat, "statementFormat", STATEMENT_FORMAT_VALUES) ||
+    "CSV";
+  const fileText = String(req.body?.fileText ?? req.body?.csvText ?? "");
+  if (!fileText.trim()) {
+    throw badRequest(statementFormat === "CSV" ? "csvText is required" : "fileText is required");
   }
 
   return {
     tenantId,
     userId,
     bankAccountId,
-    importSource: parseCsvImportSource(req.body?.importSource),
-    originalFilename: normalizeText(req.body?.originalFilename, "originalFilename", 255) || "manual.csv",
-    csvText,
+    statementFormat,
+    importSource:
+      statementFormat === "CSV" ? parseCsvImportSource(req.body?.importSource) : statementFormat,
+    originalFilename:
+      normalizeText(req.body?.originalFilename, "originalFilename", 255) ||
+      DEFAULT_FILENAMES[statementFormat],
+    allowBalanceMismatch: parseBooleanFlag(req.body?.allowBalanceMismatch, false),
+    fileText,
+    csvText: fileText,
   };
 }
 
@@ -106,3 +124,38 @@ export function parseBankStatementLineReadFilters(req) {
     offset: pagination.offset,
   };
 }
+
+function parseOptionalDateOnly(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  return parseDateOnly(value, label);
+}
+
+export function parseBankStatementCoverageFilters(req) {
+  const tenantId = requireTenantId(req);
+  const bankAccountId = optionalPositiveInt(req.query?.bankAccountId, "bankAccountId");
+  if (!bankAccountId) {
+    throw badRequest("bankAccountId is required");
+  }
+
+  return {
+    tenantId,
+    bankAccountId,
+    dateFrom: parseOptionalDateOnly(req.query?.dateFrom, "dateFrom"),
+    dateTo: parseOptionalDateOnly(req.query?.dateTo, "dateTo"),
+  };
+}
+
+export function parseBankStatementCoverageEvaluateInput(req) {
+  const tenantId = requireTenantId(req);
+  const bankAccountId = optionalPositiveInt(req.body?.bankAccountId, "bankAccountId");
+  if (!bankAccountId) {
+    throw badRequest("bankAccountId is required");
+  }
+
+  return {
+    tenantId,
+    bankAccountId,
+  };
+}
@@ -10,6 +10,9 @@ import {
   parseCounterpartyIdParam,
   parseCounterpartyReadFilters,
   parseCounterpartyUpdateInput,
+  parseVirtualAccountCreateInput,
+  parseVirtualAccountListFilters,
+  parseVirtualAccountStatusInput,
 } from "./cari.counterparty.validators.js";
 import { requireTenantId } from "./cash.validators.common.js";
 import {
@@ -19,6 +22,11 @@ import {
   resolveCounterpartyScope,
   updateCounterpartyById,
 } from "../services/cari.counterparty.service.js";
+import {
+  createCounterpartyVirtualAccount,
+  listCounterpartyVirtualAccounts,
+  updateCounterpartyVirtualAccountStatus,
+} from "../services/cari.virtual-account.service.js";
 
 const router = express.Router();
 
@@ -126,4 +134,69 @@ router.put(
   })
 );
 
+router.get(
+  "/:id/virtual-accounts",
+  requirePermission("cari.card.read", {
+    resolveScope: async (req, tenantId) => {
+      return resolveCounterpartyScope(req.params?.id, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseVirtualAccountListFilters(req);
+    const result = await listCounterpartyVirtualAccounts({
+      req,
+      tenantId: filters.tenantId,
+      counterpartyId: filters.counterpartyId,
+      filters,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/:id/virtual-accounts",
+  requirePermission("cari.card.upsert", {
+    resolveScope: async (req, tenantId) => {
+      return resolveCounterpartyScope(req.params?.id, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseVirtualAccountCreateInput(req);
+    const row = await createCounterpartyVirtualAccount({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.patch(
+  "/:id/virtual-accounts/:virtualAccountId",
+  requirePermission("cari.card.upsert", {
+    resolveScope: async (req, tenantId) => {
+      return resolveCounterpartyScope(req.params?.id, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseVirtualAccountStatusInput(req);
+    const row = await updateCounterpartyVirtualAccountStatus({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
 export default router;
@@ -16,6 +16,13 @@ const CONTACT_STATUSES = ["ACTIVE", "INACTIVE"];
 const ADDRESS_STATUSES = ["ACTIVE", "INACTIVE"];
 const ADDRESS_TYPES = ["BILLING", "SHIPPING", "REGISTERED", "OTHER"];
 const LIST_ROLE_FILTERS = ["CUSTOMER", "VENDOR", "BOTH"];
+const VIRTUAL_ACCOUNT_STATUSES = ["ACTIVE", "INACTIVE"];
+const VIRTUAL_ACCOUNT_IDENTIFIER_TYPES = [
+  "VIRTUAL_IBAN",
+  "IBAN_SUFFIX",
+  "REFERENCE_CODE",
+  "REFERENCE_PATTERN",
+];
 const LIST_SORT_DIRECTIONS = ["ASC", "DESC"];
 const LIST_SORT_FIELD_HINTS = [
   "id",
@@ -490,3 +497,56 @@ export function parseCounterpartyUpdateInput(req) {
     addresses,
   };
 }
+
+export function parseVirtualAccountListFilters(req) {
+  const tenantId = requireTenantId(req);
+  const counterpartyId = parseCounterpartyIdParam(req);
+  const status = req.query?.status
+    ? normalizeEnum(req.query.status, "status", VIRTUAL_ACCOUNT_STATUSES)
+    : null;
+  return {
+    tenantId,
+    counterpartyId,
+    status,
+  };
+}
+
+export function parseVirtualAccountCreateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const counterpartyId = parseCounterpartyIdParam(req);
+  const identifierType = normalizeEnum(
+    req.body?.identifierType,
+    "identifierType",
+    VIRTUAL_ACCOUNT_IDENTIFIER_TYPES
+  );
+  const identifierValue = normalizeText(req.body?.identifierValue, "identifierValue", 120, {
+    required: true,
+  });
+  return {
+    tenantId,
+    userId,
+    counterpartyId,
+    identifierType,
+    identifierValue,
+    bankAccountId: optionalPositiveInt(req.body?.bankAccountId, "bankAccountId"),
+    note: normalizeText(req.body?.note, "note", 255),
+  };
+}
+
+export function parseVirtualAccountStatusInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const counterpartyId = parseCounterpartyIdParam(req);
+  const virtualAccountId = parsePositiveInt(req.params?.virtualAccountId);
+  if (!virtualAccountId) {
+    throw badRequest("virtualAccountId must be a positive integer");
+  }
+  return {
+    tenantId,
+    userId,
+    counterpartyId,
+    virtualAccountId,
+    status: normalizeEnum(req.body?.status, "status", VIRTUAL_ACCOUNT_STATUSES),
+  };
+}
@@ -11,6 +11,7 @@ import {
   requireTenantId,
   requireUserId,
 } from "./cash.validators.common.js";
+import { parseDimensionAssignments } from "./gl.dimensions.validators.js";
 
 const DIRECTION_VALUES = ["AR", "AP"];
 const DOCUMENT_TYPE_VALUES = [
@@ -29,6 +30,8 @@ const DOCUMENT_STATUS_VALUES = [
   "SETTLED",
 ];
 const DUE_DATE_REQUIRED_TYPES = new Set(["INVOICE", "DEBIT_NOTE"]);
+const LINE_ITEM_DOCUMENT_TYPES = new Set(["INVOICE", "DEBIT_NOTE", "CREDIT_NOTE"]);
+const MAX_DOCUMENT_LINES = 500;
 
 function parseOptionalDate(value, label) {
   if (value === undefined) {
@@ -110,6 +113,23 @@ function parseOptionalShortText(value, label, maxLength = 255) {
   return normalized;
 }
 
+function parseOptionalTaxCode(value, label = "taxCode") {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null) {
+    return null;
+  }
+  const normalized = String(value).trim().toUpperCase();
+  if (!normalized) {
+    return null;
+  }
+  if (normalized.length > 40) {
+    throw badRequest(`${label} cannot exceed 40 characters`);
+  }
+  return normalized;
+}
+
 function parseRequiredAmount(value, label) {
   return parseAmount(value, label, {
     required: true,
@@ -130,6 +150,61 @@ function parseOptionalAmount(value, label) {
   });
 }
 
+function parseDocumentLine(line, index) {
+  const label = `lines[${index}]`;
+  if (!line || typeof line !== "object" || Array.isArray(line)) {
+    throw badRequest(`${label} must be an object`);
+  }
+
+  const quantity =
+    line.quantity === undefined || line.quantity === null || line.quantity === ""
+      ? "1.000000"
+      : parseAmount(line.quantity, `${label}.quantity`, { required: true });
+  const discountPct =
+    parseAmount(line.discountPct, `${label}.discountPct`, { allowZero: true }) ?? "0.000000";
+  if (Number(discountPct) > 100) {
+    throw badRequest(`${label}.discountPct cannot exceed 100`);
+  }
+
+  return {
+    description: normalizeText(line.description, `${label}.description`, 255, {
+      required: true,
+    }),
+    quantity,
+    unitPrice: parseAmount(line.unitPrice, `${label}.unitPrice`, {
+      required: true,
+      allowZero: true,
+    }),
+    discountPct,
+    taxCode: parseOptionalTaxCode(line.taxCode, `${label}.taxCode`) ?? null,
+    accountId: optionalPositiveInt(line.accountId, `${label}.accountId`),
+    operatingUnitId: optionalPositiveInt(line.operatingUnitId, `${label}.operatingUnitId`),
+    dimensions: parseDimensionAssignments(line.dimensions, `${label}.dimensions`),
+  };
+}
+
+function parseOptionalDocumentLines(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw badRequest("lines must be an array");
+  }
+  if (value.length > MAX_DOCUMENT_LINES) {
+    throw badRequest(`lines cannot exceed ${MAX_DOCUMENT_LINES} entries`);
+  }
+  return value.map((line, index) => parseDocumentLine(line, index));
+}
+
+function assertLineItemDocumentType(documentType, lines) {
+  if (lines?.length && documentType && !LINE_ITEM_DOCUMENT_TYPES.has(documentType)) {
+    throw badRequest(`lines are not allowed for documentType=${documentType}`);
+  }
+}
+
 function assertFrozenTxnType({ direction, documentType }) {
   if (!DIRECTION_VALUES.includes(direction)) {
     throw badRequest(`direction must be one of ${DIRECTION_VALUES.join(", ")}`);
@@ -240,11 +315,20 @@ export function parseDocumentCreateInput(req) {
   const dueDate = dueDateInput === undefined ? null : dueDateInput;
   assertDueDateRule({ documentType, dueDate });
 
-  const amountTxn = parseRequiredAmount(req.body?.amountTxn, "amountTxn");
-  const amountBase = parseRequiredAmount(req.body?.amountBase, "amountBase");
+  const lines = parseOptionalDocumentLines(req.body?.lines) ?? [];
+  assertLineItemDocumentType(documentType, lines);
+
+  // With lines the totals are derived from them; header amounts become optional cross-checks.
+  const amountTxn = lines.length
+    ? parseOptionalAmount(req.body?.amountTxn, "amountTxn") ?? null
+    : parseRequiredAmount(req.body?.amountTxn, "amountTxn");
+  const amountBase = lines.length
+    ? parseOptionalAmount(req.body?.amountBase, "amountBase") ?? null
+    : parseRequiredAmount(req.body?.amountBase, "amountBase");
   const currencyCode = normalizeCurrencyCode(req.body?.currencyCode, "currencyCode");
   const fxRateInput = parseOptionalDecimal(req.body?.fxRate, "fxRate");
   const fxRate = fxRateInput === undefined ? null : fxRateInput;
+  const taxCode = parseOptionalTaxCode(req.body?.taxCode) ?? null;
 
   return {
     tenantId,
@@ -260,6 +344,8 @@ export function parseDocumentCreateInput(req) {
     amountBase,
     currencyCode,
     fxRate,
+    taxCode,
+    lines,
   };
 }
 
@@ -311,6 +397,9 @@ export function parseDocumentUpdateInput(req) {
       ? normalizeCurrencyCode(req.body?.currencyCode, "currencyCode")
       : undefined;
   const fxRate = parseOptionalDecimal(req.body?.fxRate, "fxRate");
+  const taxCode = parseOptionalTaxCode(req.body?.taxCode);
+  const lines = parseOptionalDocumentLines(req.body?.lines);
+  assertLineItemDocumentType(documentType, lines);
 
   const hasAnyMutationField =
     legalEntityId !== undefined ||
@@ -323,7 +412,9 @@ export function parseDocumentUpdateInput(req) {
     amountTxn !== undefined ||
     amountBase !== undefined ||
     currencyCode !== undefined ||
-    fxRate !== undefined;
+    fxRate !== undefined ||
+    taxCode !== undefined ||
+    lines !== undefined;
 
   if (!hasAnyMutationField) {
     throw badRequest("At least one updatable field is required");
@@ -344,6 +435,8 @@ export function parseDocumentUpdateInput(req) {
     amountBase,
     currencyCode,
     fxRate,
+    taxCode,
+    lines,
   };
 }
 
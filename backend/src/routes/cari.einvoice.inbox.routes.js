@@ -0,0 +1,248 @@
+import express from "express";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId } from "./cash.validators.common.js";
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import {
+  parseInboxCounterpartyCreateInput,
+  parseInboxDismissInput,
+  parseInboxIdParam,
+  parseInboxImportInput,
+  parseInboxProcessInput,
+  parseInboxReadFilters,
+  parseInboxRuleCreateInput,
+  parseInboxRuleReadFilters,
+  parseInboxRuleUpdateInput,
+} from "./cari.einvoice.inbox.validators.js";
+import {
+  createCariEinvoiceInboxRule,
+  createCounterpartyFromInboxItem,
+  dismissCariEinvoiceInboxItem,
+  getCariEinvoiceInboxItemById,
+  importCariEinvoiceToInbox,
+  listCariEinvoiceInbox,
+  listCariEinvoiceInboxRules,
+  processCariEinvoiceInboxItem,
+  resolveCariEinvoiceInboxRuleScope,
+  resolveCariEinvoiceInboxScope,
+  updateCariEinvoiceInboxRuleById,
+} from "../services/cari.einvoice.inbox.service.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveLegalEntityScopeFromBody(req) {
+  const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function requireInboxPermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveCariEinvoiceInboxScope(req.params?.inboxId, tenantId);
+    },
+  });
+}
+
+async function runPermissionMiddleware(middleware, req, res) {
+  await new Promise((resolve, reject) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+const requireCardUpsertPermission = requireInboxPermission("cari.card.upsert");
+
+router.get(
+  "/",
+  requirePermission("cari.einvoice.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseInboxReadFilters(req);
+    const result = await listCariEinvoiceInbox({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.get(
+  "/rules",
+  requirePermission("cari.einvoice.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseInboxRuleReadFilters(req);
+    const result = await listCariEinvoiceInboxRules({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/rules",
+  requirePermission("cari.einvoice.import", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseInboxRuleCreateInput(req);
+    const row = await createCariEinvoiceInboxRule({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.put(
+  "/rules/:ruleId",
+  requirePermission("cari.einvoice.import", {
+    resolveScope: async (req, tenantId) => {
+      return resolveCariEinvoiceInboxRuleScope(req.params?.ruleId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseInboxRuleUpdateInput(req);
+    const row = await updateCariEinvoiceInboxRuleById({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/",
+  requirePermission("cari.einvoice.import", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseInboxImportInput(req);
+    const row = await importCariEinvoiceToInbox({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/:inboxId",
+  requireInboxPermission("cari.einvoice.read"),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const inboxId = parseInboxIdParam(req);
+    const row = await getCariEinvoiceInboxItemById({
+      req,
+      tenantId,
+      inboxId,
+      includeXml: true,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/:inboxId/process",
+  requireInboxPermission("cari.einvoice.import"),
+  asyncHandler(async (req, res) => {
+    const payload = parseInboxProcessInput(req);
+    const row = await processCariEinvoiceInboxItem({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/:inboxId/create-counterparty",
+  requireInboxPermission("cari.einvoice.import"),
+  asyncHandler(async (req, res) => {
+    await runPermissionMiddleware(requireCardUpsertPermission, req, res);
+    const payload = parseInboxCounterpartyCreateInput(req);
+    const result = await createCounterpartyFromInboxItem({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      counterparty: result.counterparty,
+      row: result.row,
+    });
+  })
+);
+
+router.post(
+  "/:inboxId/dismiss",
+  requireInboxPermission("cari.einvoice.import"),
+  asyncHandler(async (req, res) => {
+    const payload = parseInboxDismissInput(req);
+    const row = await dismissCariEinvoiceInboxItem({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,240 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseAmount,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const INBOX_STATUS_VALUES = [
+  "NEEDS_COUNTERPARTY",
+  "NEEDS_MAPPING",
+  "DRAFT_CREATED",
+  "DISMISSED",
+  "FAILED",
+];
+const RULE_STATUS_VALUES = ["ACTIVE", "INACTIVE"];
+const MAX_XML_LENGTH = 5 * 1024 * 1024;
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+function parseNullablePositiveInt(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return optionalPositiveInt(value, label);
+}
+
+function parseNullableText(value, label, maxLength) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return normalizeText(value, label, maxLength) || null;
+}
+
+function parseNullableTaxRate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  const parsed = parseAmount(value, "taxRatePct", { allowZero: true, required: true });
+  if (Number(parsed) >= 100) {
+    throw badRequest("taxRatePct must be less than 100");
+  }
+  return Number(parsed).toFixed(4);
+}
+
+function parseNullableTaxCode(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return normalizeCode(value, "taxCode", 40);
+}
+
+function parsePriority(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw badRequest("priority must be a non-negative integer");
+  }
+  return parsed;
+}
+
+export function parseInboxIdParam(req) {
+  const inboxId = parsePositiveInt(req.params?.inboxId);
+  if (!inboxId) {
+    throw badRequest("inboxId must be a positive integer");
+  }
+  return inboxId;
+}
+
+export function parseInboxRuleIdParam(req) {
+  const ruleId = parsePositiveInt(req.params?.ruleId);
+  if (!ruleId) {
+    throw badRequest("ruleId must be a positive integer");
+  }
+  return ruleId;
+}
+
+export function parseInboxReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  const supplierTaxId = String(req.query?.supplierTaxId || "").replace(/\D/g, "");
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    status: parseOptionalUpperEnum(req.query?.status, "status", INBOX_STATUS_VALUES),
+    supplierTaxId: supplierTaxId || null,
+    q: normalizeText(req.query?.q, "q", 120) || null,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseInboxImportInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const legalEntityId = optionalPositiveInt(req.body?.legalEntityId, "legalEntityId");
+  if (!legalEntityId) {
+    throw badRequest("legalEntityId is required");
+  }
+  const xmlText = String(req.body?.xmlText ?? req.body?.xml_text ?? "");
+  if (!xmlText.trim()) {
+    throw badRequest("xmlText is required");
+  }
+  if (xmlText.length > MAX_XML_LENGTH) {
+    throw badRequest("xmlText cannot exceed 5 MB");
+  }
+
+  return {
+    tenantId,
+    userId,
+    legalEntityId,
+    xmlText,
+    fileName: normalizeText(req.body?.fileName, "fileName", 190) || null,
+  };
+}
+
+export function parseInboxProcessInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    inboxId: parseInboxIdParam(req),
+    counterpartyId: optionalPositiveInt(req.body?.counterpartyId, "counterpartyId"),
+  };
+}
+
+export function parseInboxCounterpartyCreateInput(req) {
+  const code = String(req.body?.code || "").trim();
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    inboxId: parseInboxIdParam(req),
+    code: code ? normalizeCode(code, "code", 60) : null,
+    name: normalizeText(req.body?.name, "name", 255) || null,
+    defaultPaymentTermId: optionalPositiveInt(
+      req.body?.defaultPaymentTermId,
+      "defaultPaymentTermId"
+    ),
+  };
+}
+
+export function parseInboxDismissInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    inboxId: parseInboxIdParam(req),
+    reason: normalizeText(req.body?.reason, "reason", 500, { required: true }),
+  };
+}
+
+export function parseInboxRuleReadFilters(req) {
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    status: parseOptionalUpperEnum(req.query?.status, "status", RULE_STATUS_VALUES),
+  };
+}
+
+export function parseInboxRuleCreateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const legalEntityId = optionalPositiveInt(req.body?.legalEntityId, "legalEntityId");
+  if (!legalEntityId) {
+    throw badRequest("legalEntityId is required");
+  }
+  const accountId = optionalPositiveInt(req.body?.accountId, "accountId");
+  if (!accountId) {
+    throw badRequest("accountId is required");
+  }
+
+  return {
+    tenantId,
+    userId,
+    legalEntityId,
+    counterpartyId: parseNullablePositiveInt(req.body?.counterpartyId, "counterpartyId") ?? null,
+    itemKeyword: parseNullableText(req.body?.itemKeyword, "itemKeyword", 120) ?? null,
+    taxRatePct: parseNullableTaxRate(req.body?.taxRatePct) ?? null,
+    accountId,
+    taxCode: parseNullableTaxCode(req.body?.taxCode) ?? null,
+    priority: parsePriority(req.body?.priority, 100),
+    status: normalizeEnum(req.body?.status, "status", RULE_STATUS_VALUES, "ACTIVE"),
+  };
+}
+
+export function parseInboxRuleUpdateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const ruleId = parseInboxRuleIdParam(req);
+  const body = req.body || {};
+  if (body.legalEntityId !== undefined) {
+    throw badRequest("legalEntityId cannot be changed; create a new rule instead");
+  }
+
+  const payload = {
+    tenantId,
+    userId,
+    ruleId,
+    counterpartyId: parseNullablePositiveInt(body.counterpartyId, "counterpartyId"),
+    itemKeyword: parseNullableText(body.itemKeyword, "itemKeyword", 120),
+    taxRatePct: parseNullableTaxRate(body.taxRatePct),
+    accountId:
+      body.accountId === undefined ? undefined : optionalPositiveInt(body.accountId, "accountId"),
+    taxCode: parseNullableTaxCode(body.taxCode),
+    priority: body.priority === undefined ? undefined : parsePriority(body.priority, 100),
+    status:
+      body.status === undefined
+        ? undefined
+        : normalizeEnum(body.status, "status", RULE_STATUS_VALUES),
+  };
+  if (payload.accountId === null) {
+    throw badRequest("accountId cannot be cleared");
+  }
+
+  const hasAnyMutationField = Object.entries(payload).some(
+    ([key, value]) => !["tenantId", "userId", "ruleId"].includes(key) && value !== undefined
+  );
+  if (!hasAnyMutationField) {
+    throw badRequest("At least one updatable field is required");
+  }
+  return payload;
+}
@@ -0,0 +1,152 @@
+import express from "express";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import {
+  parseEinvoiceDocumentParams,
+  parseEinvoiceGenerateInput,
+  parseEinvoiceReadFilters,
+  parseEinvoiceStatusRefreshInput,
+  parseEinvoiceSubmitInput,
+} from "./cari.einvoice.validators.js";
+import { resolveCariDocumentScope } from "../services/cari.document.service.js";
+import {
+  generateCariEinvoice,
+  getCariEinvoiceByDocumentId,
+  listCariEinvoices,
+  refreshCariEinvoiceStatus,
+  submitCariEinvoice,
+} from "../services/cari.einvoice.service.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function requireEinvoicePermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveCariDocumentScope(req.params?.documentId, tenantId);
+    },
+  });
+}
+
+router.get(
+  "/",
+  requirePermission("cari.einvoice.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseEinvoiceReadFilters(req);
+    const result = await listCariEinvoices({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.get(
+  "/documents/:documentId",
+  requireEinvoicePermission("cari.einvoice.read"),
+  asyncHandler(async (req, res) => {
+    const input = parseEinvoiceDocumentParams(req);
+    const row = await getCariEinvoiceByDocumentId({
+      req,
+      tenantId: input.tenantId,
+      documentId: input.documentId,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: input.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/documents/:documentId/xml",
+  requireEinvoicePermission("cari.einvoice.read"),
+  asyncHandler(async (req, res) => {
+    const input = parseEinvoiceDocumentParams(req);
+    const row = await getCariEinvoiceByDocumentId({
+      req,
+      tenantId: input.tenantId,
+      documentId: input.documentId,
+      includeXml: true,
+      assertScopeAccess,
+    });
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${row.fileName}"`);
+    res.setHeader("X-Content-SHA256", row.fileChecksum);
+    return res.send(row.xml);
+  })
+);
+
+router.post(
+  "/documents/:documentId",
+  requireEinvoicePermission("cari.einvoice.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parseEinvoiceGenerateInput(req);
+    const result = await generateCariEinvoice({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(result.created ? 201 : 200).json({
+      tenantId: payload.tenantId,
+      created: result.created,
+      row: result.row,
+    });
+  })
+);
+
+router.post(
+  "/documents/:documentId/submit",
+  requireEinvoicePermission("cari.einvoice.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parseEinvoiceSubmitInput(req);
+    const row = await submitCariEinvoice({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/documents/:documentId/refresh-status",
+  requireEinvoicePermission("cari.einvoice.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parseEinvoiceStatusRefreshInput(req);
+    const row = await refreshCariEinvoiceStatus({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+export default router;
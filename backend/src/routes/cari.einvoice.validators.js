@@ -0,0 +1,95 @@
+import { badRequest } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  optionalPositiveInt,
+  parseDateOnly,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+import { parseDocumentIdParam } from "./cari.document.validators.js";
+
+const PROFILE_VALUES = ["TEMELFATURA", "TICARIFATURA", "EARSIVFATURA"];
+const SUBMISSION_STATUS_VALUES = ["GENERATED", "SUBMITTED", "ACCEPTED", "REJECTED", "FAILED"];
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+function parseSeriesPrefix(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const normalized = String(value).trim().toUpperCase();
+  if (!/^[A-Z0-9]{3}$/.test(normalized)) {
+    throw badRequest("seriesPrefix must be 3 letters or digits");
+  }
+  return normalized;
+}
+
+function parseOptionalProviderCode(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  return normalizeCode(value, "providerCode", 40);
+}
+
+export function parseEinvoiceReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  const dateFrom = req.query?.dateFrom ? parseDateOnly(req.query.dateFrom, "dateFrom") : null;
+  const dateTo = req.query?.dateTo ? parseDateOnly(req.query.dateTo, "dateTo") : null;
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw badRequest("dateFrom cannot be later than dateTo");
+  }
+
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    submissionStatus: parseOptionalUpperEnum(
+      req.query?.submissionStatus,
+      "submissionStatus",
+      SUBMISSION_STATUS_VALUES
+    ),
+    profileId: parseOptionalUpperEnum(req.query?.profileId, "profileId", PROFILE_VALUES),
+    dateFrom,
+    dateTo,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseEinvoiceDocumentParams(req) {
+  return {
+    tenantId: requireTenantId(req),
+    documentId: parseDocumentIdParam(req),
+  };
+}
+
+export function parseEinvoiceGenerateInput(req) {
+  return {
+    ...parseEinvoiceDocumentParams(req),
+    userId: requireUserId(req),
+    profileId: normalizeEnum(req.body?.profileId, "profileId", PROFILE_VALUES, "TEMELFATURA"),
+    seriesPrefix: parseSeriesPrefix(req.body?.seriesPrefix),
+  };
+}
+
+export function parseEinvoiceSubmitInput(req) {
+  return {
+    ...parseEinvoiceDocumentParams(req),
+    userId: requireUserId(req),
+    providerCode: parseOptionalProviderCode(req.body?.providerCode),
+  };
+}
+
+export function parseEinvoiceStatusRefreshInput(req) {
+  return {
+    ...parseEinvoiceDocumentParams(req),
+    userId: requireUserId(req),
+  };
+}
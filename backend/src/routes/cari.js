@@ -7,6 +7,9 @@ import {
 import counterpartyRoutes from "./cari.counterparty.routes.js";
 import paymentTermRoutes from "./cari.payment-term.routes.js";
 import documentRoutes from "./cari.document.routes.js";
+import einvoiceRoutes from "./cari.einvoice.routes.js";
+import einvoiceInboxRoutes from "./cari.einvoice.inbox.routes.js";
+import portfolioRoutes from "./cari.portfolio.routes.js";
 import {
   parseAgingReportFilters,
   parseCariAuditFilters,
@@ -45,6 +48,9 @@ const router = express.Router();
 router.use("/counterparties", counterpartyRoutes);
 router.use("/payment-terms", paymentTermRoutes);
 router.use("/documents", documentRoutes);
+router.use("/einvoices", einvoiceRoutes);
+router.use("/einvoice-inbox", einvoiceInboxRoutes);
+router.use("/portfolio", portfolioRoutes);
 
 function requireTenant(req) {
   const tenantId = resolveTenantId(req);
@@ -377,6 +383,7 @@ router.post(
       settlement: result.settlement,
       unappliedCash: result.unappliedCash,
       idempotentReplay: result.idempotentReplay,
+      ...(result.autoReceipt ? { autoReceipt: result.autoReceipt } : {}),
     });
   })
 );
@@ -0,0 +1,266 @@
+import express from "express";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId } from "./cash.validators.common.js";
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import {
+  parseInstrumentIdParam,
+  parsePortfolioBankMoveInput,
+  parsePortfolioCandidateInput,
+  parsePortfolioCloseInput,
+  parsePortfolioDishonourInput,
+  parsePortfolioEndorseInput,
+  parsePortfolioReadFilters,
+  parsePortfolioRegisterInput,
+  parsePortfolioSimpleTransitionInput,
+} from "./cari.portfolio.validators.js";
+import {
+  bounceCariPortfolioInstrument,
+  collectCariPortfolioInstrument,
+  endorseCariPortfolioInstrument,
+  getCariPortfolioInstrumentById,
+  giveCariPortfolioInstrumentAsCollateral,
+  listCariPortfolioInstruments,
+  listCariPortfolioStatementLineCandidates,
+  payCariPortfolioInstrument,
+  protestCariPortfolioInstrument,
+  registerCariPortfolioInstrument,
+  resolveCariPortfolioInstrumentScope,
+  returnCariPortfolioInstrumentFromCollateral,
+  sendCariPortfolioInstrumentToCollection,
+} from "../services/cari.portfolio.service.js";
+import { resolveCashRegisterScope } from "../services/cash.register.service.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveLegalEntityScopeFromBody(req) {
+  const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function requireInstrumentPermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveCariPortfolioInstrumentScope(req.params?.instrumentId, tenantId);
+    },
+  });
+}
+
+function requireCashRegisterPermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveCashRegisterScope(parsePositiveInt(req.body?.cashRegisterId), tenantId);
+    },
+  });
+}
+
+async function runPermissionMiddleware(middleware, req, res) {
+  await new Promise((resolve, reject) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+const requireCashTxnCreatePermission = requireCashRegisterPermission("cash.txn.create");
+const requireCashTxnPostPermission = requireCashRegisterPermission("cash.txn.post");
+const requireReconcileWritePermission = requireInstrumentPermission("bank.reconcile.write");
+
+// Closing through the cash desk or against a statement line also needs the cash/bank grant.
+async function assertClosingChannelPermissions(req, res, payload) {
+  if (payload.cashRegisterId) {
+    await runPermissionMiddleware(requireCashTxnCreatePermission, req, res);
+    await runPermissionMiddleware(requireCashTxnPostPermission, req, res);
+  }
+  if (payload.bankStatementLineId) {
+    await runPermissionMiddleware(requireReconcileWritePermission, req, res);
+  }
+}
+
+function respondWithRow(res, tenantId, row) {
+  return res.json({
+    tenantId,
+    row,
+  });
+}
+
+router.get(
+  "/",
+  requirePermission("cari.portfolio.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePortfolioReadFilters(req);
+    const result = await listCariPortfolioInstruments({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.get(
+  "/statement-candidates",
+  requirePermission("cari.portfolio.read"),
+  asyncHandler(async (req, res) => {
+    const input = parsePortfolioCandidateInput(req);
+    const result = await listCariPortfolioStatementLineCandidates({
+      req,
+      tenantId: input.tenantId,
+      bankStatementLineId: input.bankStatementLineId,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: input.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/",
+  requirePermission("cari.portfolio.manage", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioRegisterInput(req);
+    const result = await registerCariPortfolioInstrument({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return res.status(result.idempotentReplay ? 200 : 201).json({
+      tenantId: payload.tenantId,
+      row: result.row,
+      idempotentReplay: result.idempotentReplay,
+    });
+  })
+);
+
+router.get(
+  "/:instrumentId",
+  requireInstrumentPermission("cari.portfolio.read"),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const instrumentId = parseInstrumentIdParam(req);
+    const row = await getCariPortfolioInstrumentById({
+      req,
+      tenantId,
+      instrumentId,
+      assertScopeAccess,
+    });
+    return respondWithRow(res, tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/endorse",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioEndorseInput(req);
+    const row = await endorseCariPortfolioInstrument({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/send-to-collection",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioBankMoveInput(req);
+    const row = await sendCariPortfolioInstrumentToCollection({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/give-as-collateral",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioBankMoveInput(req);
+    const row = await giveCariPortfolioInstrumentAsCollateral({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/return-from-collateral",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioSimpleTransitionInput(req);
+    const row = await returnCariPortfolioInstrumentFromCollateral({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/collect",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioCloseInput(req);
+    await assertClosingChannelPermissions(req, res, payload);
+    const row = await collectCariPortfolioInstrument({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/pay",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioCloseInput(req);
+    await assertClosingChannelPermissions(req, res, payload);
+    const row = await payCariPortfolioInstrument({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/bounce",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioDishonourInput(req);
+    const row = await bounceCariPortfolioInstrument({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+router.post(
+  "/:instrumentId/protest",
+  requireInstrumentPermission("cari.portfolio.manage"),
+  asyncHandler(async (req, res) => {
+    const payload = parsePortfolioDishonourInput(req);
+    const row = await protestCariPortfolioInstrument({ req, payload, assertScopeAccess });
+    return respondWithRow(res, payload.tenantId, row);
+  })
+);
+
+export default router;
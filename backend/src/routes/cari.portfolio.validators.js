@@ -0,0 +1,234 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeCurrencyCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseAmount,
+  parseDateOnly,
+  parsePagination,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const DIRECTION_VALUES = ["RECEIVED", "ISSUED"];
+const INSTRUMENT_TYPE_VALUES = ["CHEQUE", "NOTE"];
+const STATUS_VALUES = [
+  "IN_PORTFOLIO",
+  "ENDORSED",
+  "IN_COLLECTION",
+  "COLLATERAL",
+  "COLLECTED",
+  "ISSUED",
+  "PAID",
+  "BOUNCED",
+  "PROTESTED",
+];
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+function parseOptionalDate(value, label) {
+  const raw = String(value || "").trim();
+  return raw ? parseDateOnly(raw, label) : null;
+}
+
+function parseEventDate(value) {
+  return parseDateOnly(value, "eventDate", new Date().toISOString().slice(0, 10));
+}
+
+function parseOptionalPositiveDecimal(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw badRequest(`${label} must be a numeric value greater than 0`);
+  }
+  return Number(parsed.toFixed(10));
+}
+
+function parseAllocations(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw badRequest("allocations must be an array");
+  }
+  return value.map((entry, index) => ({
+    openItemId: requirePositiveInt(entry?.openItemId, `allocations[${index}].openItemId`),
+    amountTxn: parseAmount(entry?.amountTxn, `allocations[${index}].amountTxn`, {
+      required: true,
+      allowZero: false,
+    }),
+  }));
+}
+
+function parseTransitionBase(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    instrumentId: parseInstrumentIdParam(req),
+    eventDate: parseEventDate(req.body?.eventDate),
+    note: normalizeText(req.body?.note, "note", 500) || null,
+  };
+}
+
+export function parseInstrumentIdParam(req) {
+  const instrumentId = parsePositiveInt(req.params?.instrumentId);
+  if (!instrumentId) {
+    throw badRequest("instrumentId must be a positive integer");
+  }
+  return instrumentId;
+}
+
+export function parsePortfolioReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  const dueDateFrom = parseOptionalDate(req.query?.dueDateFrom, "dueDateFrom");
+  const dueDateTo = parseOptionalDate(req.query?.dueDateTo, "dueDateTo");
+  if (dueDateFrom && dueDateTo && dueDateFrom > dueDateTo) {
+    throw badRequest("dueDateFrom cannot be after dueDateTo");
+  }
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    direction: parseOptionalUpperEnum(req.query?.direction, "direction", DIRECTION_VALUES),
+    instrumentType: parseOptionalUpperEnum(
+      req.query?.instrumentType,
+      "instrumentType",
+      INSTRUMENT_TYPE_VALUES
+    ),
+    status: parseOptionalUpperEnum(req.query?.status, "status", STATUS_VALUES),
+    counterpartyId: optionalPositiveInt(req.query?.counterpartyId, "counterpartyId"),
+    bankAccountId: optionalPositiveInt(req.query?.bankAccountId, "bankAccountId"),
+    dueDateFrom,
+    dueDateTo,
+    q: normalizeText(req.query?.q, "q", 120) || null,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePortfolioRegisterInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const body = req.body || {};
+  const legalEntityId = optionalPositiveInt(body.legalEntityId, "legalEntityId");
+  if (!legalEntityId) {
+    throw badRequest("legalEntityId is required");
+  }
+  const counterpartyId = optionalPositiveInt(body.counterpartyId, "counterpartyId");
+  if (!counterpartyId) {
+    throw badRequest("counterpartyId is required");
+  }
+  const direction = normalizeEnum(body.direction, "direction", DIRECTION_VALUES);
+  const instrumentType = normalizeEnum(body.instrumentType, "instrumentType", INSTRUMENT_TYPE_VALUES);
+  const issueDate = parseDateOnly(body.issueDate, "issueDate");
+  const dueDate = parseDateOnly(body.dueDate, "dueDate");
+  if (dueDate < issueDate) {
+    throw badRequest("dueDate cannot be before issueDate");
+  }
+  const bankName = normalizeText(body.bankName, "bankName", 120) || "";
+  if (instrumentType === "CHEQUE" && direction === "RECEIVED" && !bankName) {
+    throw badRequest("bankName is required for received cheques");
+  }
+  const bankAccountId = optionalPositiveInt(body.bankAccountId, "bankAccountId");
+  if (instrumentType === "CHEQUE" && direction === "ISSUED" && !bankAccountId) {
+    throw badRequest("bankAccountId is required for issued cheques");
+  }
+  const drawerTaxId = String(body.drawerTaxId || "").replace(/\D/g, "");
+  if (drawerTaxId && ![10, 11].includes(drawerTaxId.length)) {
+    throw badRequest("drawerTaxId must be a 10-digit VKN or 11-digit TCKN");
+  }
+
+  return {
+    tenantId,
+    userId,
+    legalEntityId,
+    direction,
+    instrumentType,
+    serialNo: normalizeCode(body.serialNo, "serialNo", 40),
+    bankName,
+    bankBranch: normalizeText(body.bankBranch, "bankBranch", 120) || null,
+    drawerName: normalizeText(body.drawerName, "drawerName", 255) || null,
+    drawerTaxId: drawerTaxId || null,
+    issuePlace: normalizeText(body.issuePlace, "issuePlace", 120) || null,
+    issueDate,
+    dueDate,
+    counterpartyId,
+    currencyCode: normalizeCurrencyCode(body.currencyCode),
+    amountTxn: parseAmount(body.amountTxn, "amountTxn", { required: true }),
+    fxRate: parseOptionalPositiveDecimal(body.fxRate, "fxRate"),
+    bankAccountId,
+    allocations: parseAllocations(body.allocations),
+    eventDate: parseEventDate(body.eventDate),
+    idempotencyKey: normalizeText(body.idempotencyKey, "idempotencyKey", 90, { required: true }),
+    note: normalizeText(body.note, "note", 500) || null,
+  };
+}
+
+export function parsePortfolioEndorseInput(req) {
+  const vendorCounterpartyId = optionalPositiveInt(
+    req.body?.vendorCounterpartyId,
+    "vendorCounterpartyId"
+  );
+  if (!vendorCounterpartyId) {
+    throw badRequest("vendorCounterpartyId is required");
+  }
+  return {
+    ...parseTransitionBase(req),
+    vendorCounterpartyId,
+    allocations: parseAllocations(req.body?.allocations),
+  };
+}
+
+export function parsePortfolioBankMoveInput(req) {
+  const bankAccountId = optionalPositiveInt(req.body?.bankAccountId, "bankAccountId");
+  if (!bankAccountId) {
+    throw badRequest("bankAccountId is required");
+  }
+  return {
+    ...parseTransitionBase(req),
+    bankAccountId,
+  };
+}
+
+export function parsePortfolioSimpleTransitionInput(req) {
+  return parseTransitionBase(req);
+}
+
+export function parsePortfolioCloseInput(req) {
+  const bankAccountId = optionalPositiveInt(req.body?.bankAccountId, "bankAccountId");
+  const cashRegisterId = optionalPositiveInt(req.body?.cashRegisterId, "cashRegisterId");
+  if (bankAccountId && cashRegisterId) {
+    throw badRequest("Provide either bankAccountId or cashRegisterId, not both");
+  }
+  return {
+    ...parseTransitionBase(req),
+    bankAccountId,
+    cashRegisterId,
+    cashSessionId: optionalPositiveInt(req.body?.cashSessionId, "cashSessionId"),
+    bankStatementLineId: optionalPositiveInt(req.body?.bankStatementLineId, "bankStatementLineId"),
+  };
+}
+
+export function parsePortfolioDishonourInput(req) {
+  return {
+    ...parseTransitionBase(req),
+    note: normalizeText(req.body?.note, "note", 500, { required: true }),
+  };
+}
+
+export function parsePortfolioCandidateInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    bankStatementLineId: requirePositiveInt(req.query?.bankStatementLineId, "bankStatementLineId"),
+  };
+}
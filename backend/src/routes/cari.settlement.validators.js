@@ -14,7 +14,7 @@ import {
 } from "./cash.validators.common.js";
 
 const DIRECTION_VALUES = ["AR", "AP"];
-const BANK_ATTACH_TARGET_VALUES = ["SETTLEMENT", "UNAPPLIED_CASH"];
+const BANK_ATTACH_TARGET_VALUES = ["SETTLEMENT", "UNAPPLIED_CASH", "AUTO_RECEIPT"];
 const PAYMENT_CHANNEL_VALUES = ["CASH", "MANUAL"];
 const FX_FALLBACK_MODE_VALUES = ["EXACT_ONLY", "PRIOR_DATE"];
 const SOURCE_MODULE_VALUES = ["MANUAL", "CARI", "CONTRACTS", "REVREC", "CASH", "SYSTEM", "OTHER"];
@@ -380,6 +380,16 @@ export function parseBankAttachInput(req) {
   if (targetType === "UNAPPLIED_CASH" && settlementBatchId) {
     throw badRequest("settlementBatchId must be empty when targetType=UNAPPLIED_CASH");
   }
+  if (targetType === "AUTO_RECEIPT") {
+    if (!bankFields.bankStatementLineId) {
+      throw badRequest("bankStatementLineId is required when targetType=AUTO_RECEIPT");
+    }
+    if (settlementBatchId || unappliedCashId) {
+      throw badRequest(
+        "settlementBatchId and unappliedCashId must be empty when targetType=AUTO_RECEIPT"
+      );
+    }
+  }
 
   return {
     tenantId,
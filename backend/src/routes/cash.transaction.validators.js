@@ -12,6 +12,7 @@ import {
   requireTenantId,
   requireUserId,
 } from "./cash.validators.common.js";
+import { parseDimensionAssignments } from "./gl.dimensions.validators.js";
 
 const TXN_TYPES = [
   "RECEIPT",
@@ -138,6 +139,7 @@ export function parseCashTransactionCreateInput(req) {
     req.body?.counterCashRegisterId,
     "counterCashRegisterId"
   );
+  const dimensions = parseDimensionAssignments(req.body?.dimensions);
   const counterpartyId = optionalPositiveInt(req.body?.counterpartyId, "counterpartyId");
   const linkedCariSettlementBatchId = optionalPositiveInt(
     req.body?.linkedCariSettlementBatchId,
@@ -233,6 +235,7 @@ export function parseCashTransactionCreateInput(req) {
     counterpartyType,
     counterpartyId,
     counterAccountId,
+    dimensions,
     counterCashRegisterId,
     linkedCariSettlementBatchId,
     linkedCariUnappliedCashId,
@@ -18,6 +18,10 @@ import {
   parsePositiveInt,
   resolveTenantId,
 } from "./_utils.js";
+import {
+  buildIndirectCashFlowStatement,
+  loadCashFlowClassification,
+} from "../services/gl.cash-flow.service.js";
 
 const router = express.Router();
 
@@ -245,8 +249,12 @@ async function loadMemberMappedBalances({
   consolidationGroupId,
   fiscalPeriodId,
   legalEntityId,
+  excludeCloseRuns = false,
   runQuery = query,
 }) {
+  const closeRunFilterSql = excludeCloseRuns
+    ? "AND (je.reference_no IS NULL OR je.reference_no NOT LIKE 'PERIOD_CLOSE_RUN:%')"
+    : "";
   const result = await runQuery(
     `SELECT
        je.legal_entity_id,
@@ -269,6 +277,7 @@ async function loadMemberMappedBalances({
        AND je.status = 'POSTED'
        AND je.fiscal_period_id = ?
        AND je.legal_entity_id = ?
+       ${closeRunFilterSql}
      GROUP BY je.legal_entity_id, group_acc.id`,
     [consolidationGroupId, tenantId, fiscalPeriodId, legalEntityId]
   );
@@ -672,6 +681,66 @@ async function loadRunReportAccountBalances({
   };
 }
 
+// Cash-flow movements per group account: member activity translated with the rates and
+// ownership factors stored on the run entries, without period-close journals, plus the
+// run's adjustments and eliminations.
+async function loadRunCashFlowMovements({ tenantId, run, reportData, runQuery = query }) {
+  const memberResult = await runQuery(
+    `SELECT
+       legal_entity_id,
+       MAX(translation_rate) AS translation_rate,
+       MAX(consolidation_method) AS consolidation_method,
+       MAX(ownership_pct) AS ownership_pct
+     FROM consolidation_run_entries
+     WHERE consolidation_run_id = ?
+     GROUP BY legal_entity_id`,
+    [parsePositiveInt(run.id)]
+  );
+
+  const movementByAccountId = new Map();
+  const addMovement = (accountId, amount) => {
+    movementByAccountId.set(accountId, (movementByAccountId.get(accountId) || 0) + amount);
+  };
+
+  for (const member of memberResult.rows || []) {
+    const legalEntityId = parsePositiveInt(member.legal_entity_id);
+    if (!legalEntityId) {
+      continue;
+    }
+    const rate = Number(member.translation_rate || 0);
+    const factor = ownershipFactor(member.consolidation_method, member.ownership_pct);
+    // eslint-disable-next-line no-await-in-loop
+    const rows = await loadMemberMappedBalances({
+      tenantId,
+      consolidationGroupId: parsePositiveInt(run.consolidation_group_id),
+      fiscalPeriodId: parsePositiveInt(run.fiscal_period_id),
+      legalEntityId,
+      excludeCloseRuns: true,
+      runQuery,
+    });
+    for (const row of rows) {
+      addMovement(
+        parsePositiveInt(row.group_account_id),
+        Number(row.local_balance_base || 0) * rate * factor
+      );
+    }
+  }
+
+  const accountById = new Map();
+  for (const row of reportData.rows) {
+    accountById.set(row.accountId, row);
+    addMovement(row.accountId, Number(row.adjustmentBalance || 0) + Number(row.eliminationBalance || 0));
+  }
+
+  return Array.from(movementByAccountId.entries()).map(([accountId, movement]) => ({
+    accountId,
+    accountCode: accountById.get(accountId)?.accountCode || null,
+    accountName: accountById.get(accountId)?.accountName || null,
+    accountType: accountById.get(accountId)?.accountType || null,
+    movement,
+  }));
+}
+
 router.get(
   "/groups",
   requirePermission("consolidation.group.read"),
@@ -2444,4 +2513,72 @@ router.get(
   })
 );
 
+router.get(
+  "/runs/:runId/reports/cash-flow",
+  requirePermission("consolidation.report.cash_flow.read", {
+    resolveScope: async (req, tenantId) => {
+      return resolveRunScope(req.params?.runId, tenantId);
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const tenantId = resolveTenantId(req);
+    if (!tenantId) {
+      throw badRequest("tenantId is required");
+    }
+
+    const runId = parsePositiveInt(req.params.runId);
+    if (!runId) {
+      throw badRequest("runId must be a positive integer");
+    }
+
+    const run = await requireRun(tenantId, runId);
+    const includeDraft = parseBooleanLike(
+      req.query.includeDraft,
+      false,
+      "includeDraft"
+    );
+    const includeZero = parseBooleanLike(req.query.includeZero, false, "includeZero");
+    const preferredRateType = normalizeRateType(req.query.rateType);
+
+    const reportData = await loadRunReportAccountBalances({
+      tenantId,
+      run,
+      includeDraft,
+      preferredRateType,
+    });
+    const movements = await loadRunCashFlowMovements({ tenantId, run, reportData });
+    const classification = await loadCashFlowClassification({
+      tenantId,
+      accountIds: movements.map((row) => row.accountId),
+    });
+    const statement = buildIndirectCashFlowStatement({
+      movements,
+      classification,
+      includeZero,
+    });
+
+    return res.json({
+      runId,
+      run: {
+        id: parsePositiveInt(run.id),
+        consolidationGroupId: parsePositiveInt(run.consolidation_group_id),
+        consolidationGroupCode: run.consolidation_group_code || null,
+        consolidationGroupName: run.consolidation_group_name || null,
+        fiscalPeriodId: parsePositiveInt(run.fiscal_period_id),
+        periodStartDate: run.period_start_date || null,
+        periodEndDate: run.period_end_date || null,
+        status: String(run.status || "").toUpperCase(),
+        presentationCurrencyCode: String(run.presentation_currency_code || "").toUpperCase(),
+      },
+      options: {
+        includeDraft,
+        includeZero,
+        rateType: preferredRateType,
+        includedStatuses: reportData.statusFilter,
+      },
+      ...statement,
+    });
+  })
+);
+
 export default router;
@@ -0,0 +1,348 @@
+import express from "express";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId } from "./cash.validators.common.js";
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import {
+  parseAssetAcquireInput,
+  parseAssetClassCreateInput,
+  parseAssetClassIdParam,
+  parseAssetClassReadFilters,
+  parseAssetClassUpdateInput,
+  parseAssetCreateInput,
+  parseAssetDisposeInput,
+  parseAssetIdParam,
+  parseAssetReadFilters,
+  parseAssetUpdateInput,
+  parseDepreciationRunActionInput,
+  parseDepreciationRunInput,
+  parseDepreciationRunReadFilters,
+  parseDepreciationRunReverseInput,
+  parseRunIdParam,
+} from "./fixedAssets.validators.js";
+import {
+  acquireFixedAssetFromApDocument,
+  cancelDepreciationRun,
+  createDepreciationRun,
+  createFixedAsset,
+  createFixedAssetClass,
+  disposeFixedAsset,
+  getDepreciationRunById,
+  getFixedAssetById,
+  getFixedAssetClassById,
+  listDepreciationRuns,
+  listFixedAssetClasses,
+  listFixedAssets,
+  postDepreciationRun,
+  previewDepreciationRun,
+  resolveDepreciationRunScope,
+  resolveFixedAssetClassScope,
+  resolveFixedAssetScope,
+  reverseDepreciationRun,
+  updateFixedAsset,
+  updateFixedAssetClass,
+} from "../services/fixedAssets.service.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveLegalEntityScopeFromBody(req) {
+  const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+  if (!legalEntityId) {
+    return null;
+  }
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function requireClassPermission(permissionCode, readClassId = (req) => req.params?.classId) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveFixedAssetClassScope(readClassId(req), tenantId);
+    },
+  });
+}
+
+function requireAssetPermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveFixedAssetScope(req.params?.assetId, tenantId);
+    },
+  });
+}
+
+function requireRunPermission(permissionCode) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveDepreciationRunScope(req.params?.runId, tenantId);
+    },
+  });
+}
+
+router.get(
+  "/classes",
+  requirePermission("fa.asset.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseAssetClassReadFilters(req);
+    const result = await listFixedAssetClasses({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/classes",
+  requirePermission("fa.asset.upsert", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetClassCreateInput(req);
+    const row = await createFixedAssetClass({ req, payload, assertScopeAccess });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/classes/:classId",
+  requireClassPermission("fa.asset.read"),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const row = await getFixedAssetClassById({
+      req,
+      tenantId,
+      classId: parseAssetClassIdParam(req),
+      assertScopeAccess,
+    });
+    return res.json({ tenantId, row });
+  })
+);
+
+router.put(
+  "/classes/:classId",
+  requireClassPermission("fa.asset.upsert"),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetClassUpdateInput(req);
+    const row = await updateFixedAssetClass({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/assets",
+  requirePermission("fa.asset.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseAssetReadFilters(req);
+    const result = await listFixedAssets({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/assets",
+  requireClassPermission("fa.asset.upsert", (req) => req.body?.assetClassId),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetCreateInput(req);
+    const row = await createFixedAsset({ req, payload, assertScopeAccess });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/assets/acquire-from-ap",
+  requireClassPermission("fa.asset.upsert", (req) => req.body?.assetClassId),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetAcquireInput(req);
+    const row = await acquireFixedAssetFromApDocument({ req, payload, assertScopeAccess });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/assets/:assetId",
+  requireAssetPermission("fa.asset.read"),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const row = await getFixedAssetById({
+      req,
+      tenantId,
+      assetId: parseAssetIdParam(req),
+      assertScopeAccess,
+    });
+    return res.json({ tenantId, row });
+  })
+);
+
+router.put(
+  "/assets/:assetId",
+  requireAssetPermission("fa.asset.upsert"),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetUpdateInput(req);
+    const row = await updateFixedAsset({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/assets/:assetId/dispose",
+  requireAssetPermission("fa.asset.dispose"),
+  asyncHandler(async (req, res) => {
+    const payload = parseAssetDisposeInput(req);
+    const row = await disposeFixedAsset({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/depreciation-runs",
+  requirePermission("fa.asset.read", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromQuery(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parseDepreciationRunReadFilters(req);
+    const result = await listDepreciationRuns({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/depreciation-runs/preview",
+  requirePermission("fa.depreciation.run", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseDepreciationRunInput(req);
+    const preview = await previewDepreciationRun({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      preview,
+    });
+  })
+);
+
+router.post(
+  "/depreciation-runs",
+  requirePermission("fa.depreciation.run", {
+    resolveScope: async (req) => resolveLegalEntityScopeFromBody(req),
+  }),
+  asyncHandler(async (req, res) => {
+    const payload = parseDepreciationRunInput(req);
+    const row = await createDepreciationRun({ req, payload, assertScopeAccess });
+    return res.status(201).json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.get(
+  "/depreciation-runs/:runId",
+  requireRunPermission("fa.asset.read"),
+  asyncHandler(async (req, res) => {
+    const tenantId = requireTenantId(req);
+    const row = await getDepreciationRunById({
+      req,
+      tenantId,
+      runId: parseRunIdParam(req),
+      assertScopeAccess,
+    });
+    return res.json({ tenantId, row });
+  })
+);
+
+router.post(
+  "/depreciation-runs/:runId/post",
+  requireRunPermission("fa.depreciation.post"),
+  asyncHandler(async (req, res) => {
+    const payload = parseDepreciationRunActionInput(req);
+    const result = await postDepreciationRun({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.post(
+  "/depreciation-runs/:runId/cancel",
+  requireRunPermission("fa.depreciation.run"),
+  asyncHandler(async (req, res) => {
+    const payload = parseDepreciationRunActionInput(req);
+    const row = await cancelDepreciationRun({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      row,
+    });
+  })
+);
+
+router.post(
+  "/depreciation-runs/:runId/reverse",
+  requireRunPermission("fa.depreciation.reverse"),
+  asyncHandler(async (req, res) => {
+    const payload = parseDepreciationRunReverseInput(req);
+    const result = await reverseDepreciationRun({ req, payload, assertScopeAccess });
+    return res.json({
+      tenantId: payload.tenantId,
+      ...result,
+    });
+  })
+);
+
+export default router;
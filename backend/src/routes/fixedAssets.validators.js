@@ -0,0 +1,300 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseAmount,
+  parseDateOnly,
+  parsePagination,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+import { DEPRECIATION_METHODS } from "../services/fixedAssets.depreciation.js";
+
+const CLASS_STATUSES = ["ACTIVE", "INACTIVE"];
+const ASSET_STATUSES = ["ACTIVE", "FULLY_DEPRECIATED", "DISPOSED"];
+const RUN_STATUSES = ["DRAFT", "POSTED", "REVERSED", "CANCELLED"];
+const MAX_USEFUL_LIFE_MONTHS = 1200;
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+function parseUsefulLifeMonths(value, { required = false } = {}) {
+  if (!hasValue(value)) {
+    if (required) {
+      throw badRequest("usefulLifeMonths is required");
+    }
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > MAX_USEFUL_LIFE_MONTHS) {
+    throw badRequest(`usefulLifeMonths must be an integer between 1 and ${MAX_USEFUL_LIFE_MONTHS}`);
+  }
+  return parsed;
+}
+
+function parseDecliningFactor(value) {
+  if (!hasValue(value)) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0 || parsed > 5) {
+    throw badRequest("decliningFactor must be greater than 0 and at most 5");
+  }
+  return parsed;
+}
+
+function parseIdParam(req, name) {
+  const value = parsePositiveInt(req.params?.[name]);
+  if (!value) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+export function parseAssetClassIdParam(req) {
+  return parseIdParam(req, "classId");
+}
+
+export function parseAssetIdParam(req) {
+  return parseIdParam(req, "assetId");
+}
+
+export function parseRunIdParam(req) {
+  return parseIdParam(req, "runId");
+}
+
+export function parseAssetClassReadFilters(req) {
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    status: parseOptionalUpperEnum(req.query?.status, "status", CLASS_STATUSES),
+  };
+}
+
+function parseClassAccounts(body, { required }) {
+  const read = required ? requirePositiveInt : optionalPositiveInt;
+  return {
+    assetAccountId: read(body?.assetAccountId, "assetAccountId"),
+    accumulatedDepreciationAccountId: read(
+      body?.accumulatedDepreciationAccountId,
+      "accumulatedDepreciationAccountId"
+    ),
+    depreciationExpenseAccountId: read(body?.depreciationExpenseAccountId, "depreciationExpenseAccountId"),
+    disposalGainAccountId: read(body?.disposalGainAccountId, "disposalGainAccountId"),
+    disposalLossAccountId: read(body?.disposalLossAccountId, "disposalLossAccountId"),
+  };
+}
+
+export function parseAssetClassCreateInput(req) {
+  const depreciationMethod = normalizeEnum(
+    req.body?.depreciationMethod,
+    "depreciationMethod",
+    DEPRECIATION_METHODS,
+    "STRAIGHT_LINE"
+  );
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(req.body?.legalEntityId, "legalEntityId"),
+    code: normalizeCode(req.body?.code, "code", 40),
+    name: normalizeText(req.body?.name, "name", 190, { required: true }),
+    depreciationMethod,
+    usefulLifeMonths: parseUsefulLifeMonths(req.body?.usefulLifeMonths, { required: true }),
+    decliningFactor: depreciationMethod === "DECLINING_BALANCE"
+      ? parseDecliningFactor(req.body?.decliningFactor)
+      : null,
+    status: normalizeEnum(req.body?.status, "status", CLASS_STATUSES, "ACTIVE"),
+    ...parseClassAccounts(req.body, { required: true }),
+  };
+}
+
+export function parseAssetClassUpdateInput(req) {
+  const body = req.body || {};
+  const accounts = parseClassAccounts(body, { required: false });
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    classId: parseAssetClassIdParam(req),
+    name: hasValue(body.name) ? normalizeText(body.name, "name", 190, { required: true }) : undefined,
+    depreciationMethod: hasValue(body.depreciationMethod)
+      ? normalizeEnum(body.depreciationMethod, "depreciationMethod", DEPRECIATION_METHODS)
+      : undefined,
+    usefulLifeMonths: hasValue(body.usefulLifeMonths)
+      ? parseUsefulLifeMonths(body.usefulLifeMonths)
+      : undefined,
+    decliningFactor: body.decliningFactor === undefined ? undefined : parseDecliningFactor(body.decliningFactor),
+    status: hasValue(body.status) ? normalizeEnum(body.status, "status", CLASS_STATUSES) : undefined,
+    assetAccountId: accounts.assetAccountId ?? undefined,
+    accumulatedDepreciationAccountId: accounts.accumulatedDepreciationAccountId ?? undefined,
+    depreciationExpenseAccountId: accounts.depreciationExpenseAccountId ?? undefined,
+    disposalGainAccountId: accounts.disposalGainAccountId ?? undefined,
+    disposalLossAccountId: accounts.disposalLossAccountId ?? undefined,
+  };
+}
+
+export function parseAssetReadFilters(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    assetClassId: optionalPositiveInt(req.query?.assetClassId, "assetClassId"),
+    operatingUnitId: optionalPositiveInt(req.query?.operatingUnitId, "operatingUnitId"),
+    status: parseOptionalUpperEnum(req.query?.status, "status", ASSET_STATUSES),
+    q: normalizeText(req.query?.q, "q", 120) || null,
+    ...pagination,
+  };
+}
+
+// Method, life and factor are optional on assets; the class supplies the defaults.
+function parseAssetTerms(body) {
+  const depreciationMethod = hasValue(body?.depreciationMethod)
+    ? normalizeEnum(body.depreciationMethod, "depreciationMethod", DEPRECIATION_METHODS)
+    : null;
+  return {
+    depreciationMethod,
+    usefulLifeMonths: parseUsefulLifeMonths(body?.usefulLifeMonths),
+    decliningFactor: parseDecliningFactor(body?.decliningFactor),
+  };
+}
+
+function parseOptionalDate(value, label) {
+  return hasValue(value) ? parseDateOnly(value, label) : null;
+}
+
+export function parseAssetCreateInput(req) {
+  const body = req.body || {};
+  const acquisitionDate = parseDateOnly(body.acquisitionDate, "acquisitionDate");
+  const depreciationStartDate = parseOptionalDate(body.depreciationStartDate, "depreciationStartDate");
+  if (depreciationStartDate && depreciationStartDate < acquisitionDate) {
+    throw badRequest("depreciationStartDate cannot be before acquisitionDate");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: optionalPositiveInt(body.legalEntityId, "legalEntityId"),
+    assetClassId: requirePositiveInt(body.assetClassId, "assetClassId"),
+    assetNo: normalizeCode(body.assetNo, "assetNo", 60),
+    name: normalizeText(body.name, "name", 255, { required: true }),
+    operatingUnitId: optionalPositiveInt(body.operatingUnitId, "operatingUnitId"),
+    acquisitionDate,
+    depreciationStartDate,
+    acquisitionCost: parseAmount(body.acquisitionCost, "acquisitionCost", { required: true }),
+    salvageValue: parseAmount(body.salvageValue, "salvageValue", { allowZero: true }) || "0.000000",
+    openingAccumulatedDepreciation:
+      parseAmount(body.openingAccumulatedDepreciation, "openingAccumulatedDepreciation", {
+        allowZero: true,
+      }) || "0.000000",
+    ...parseAssetTerms(body),
+  };
+}
+
+export function parseAssetAcquireInput(req) {
+  const body = req.body || {};
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    assetClassId: requirePositiveInt(body.assetClassId, "assetClassId"),
+    cariDocumentId: requirePositiveInt(body.cariDocumentId, "cariDocumentId"),
+    cariDocumentLineId: optionalPositiveInt(body.cariDocumentLineId, "cariDocumentLineId"),
+    assetNo: normalizeCode(body.assetNo, "assetNo", 60),
+    name: normalizeText(body.name, "name", 255, { required: true }),
+    operatingUnitId: optionalPositiveInt(body.operatingUnitId, "operatingUnitId"),
+    depreciationStartDate: parseOptionalDate(body.depreciationStartDate, "depreciationStartDate"),
+    salvageValue: parseAmount(body.salvageValue, "salvageValue", { allowZero: true }) || "0.000000",
+    ...parseAssetTerms(body),
+  };
+}
+
+export function parseAssetUpdateInput(req) {
+  const body = req.body || {};
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    assetId: parseAssetIdParam(req),
+    name: hasValue(body.name) ? normalizeText(body.name, "name", 255, { required: true }) : undefined,
+    operatingUnitId:
+      body.operatingUnitId === undefined
+        ? undefined
+        : optionalPositiveInt(body.operatingUnitId, "operatingUnitId"),
+    depreciationMethod: hasValue(body.depreciationMethod)
+      ? normalizeEnum(body.depreciationMethod, "depreciationMethod", DEPRECIATION_METHODS)
+      : undefined,
+    usefulLifeMonths: hasValue(body.usefulLifeMonths)
+      ? parseUsefulLifeMonths(body.usefulLifeMonths)
+      : undefined,
+    decliningFactor: body.decliningFactor === undefined ? undefined : parseDecliningFactor(body.decliningFactor),
+    salvageValue: hasValue(body.salvageValue)
+      ? parseAmount(body.salvageValue, "salvageValue", { allowZero: true })
+      : undefined,
+    depreciationStartDate: hasValue(body.depreciationStartDate)
+      ? parseDateOnly(body.depreciationStartDate, "depreciationStartDate")
+      : undefined,
+  };
+}
+
+export function parseAssetDisposeInput(req) {
+  const body = req.body || {};
+  const proceedsAmount = parseAmount(body.proceedsAmount, "proceedsAmount", { allowZero: true }) || "0.000000";
+  const proceedsAccountId = optionalPositiveInt(body.proceedsAccountId, "proceedsAccountId");
+  if (Number(proceedsAmount) > 0 && !proceedsAccountId) {
+    throw badRequest("proceedsAccountId is required when proceedsAmount is positive");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    assetId: parseAssetIdParam(req),
+    disposalDate: parseDateOnly(body.disposalDate, "disposalDate"),
+    proceedsAmount,
+    proceedsAccountId,
+    note: normalizeText(body.note, "note", 500) || null,
+  };
+}
+
+export function parseDepreciationRunReadFilters(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    fiscalPeriodId: optionalPositiveInt(req.query?.fiscalPeriodId, "fiscalPeriodId"),
+    status: parseOptionalUpperEnum(req.query?.status, "status", RUN_STATUSES),
+    ...pagination,
+  };
+}
+
+export function parseDepreciationRunInput(req) {
+  const body = req.body || {};
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(body.legalEntityId, "legalEntityId"),
+    fiscalPeriodId: requirePositiveInt(body.fiscalPeriodId, "fiscalPeriodId"),
+    runNo: hasValue(body.runNo) ? normalizeCode(body.runNo, "runNo", 80) : null,
+  };
+}
+
+export function parseDepreciationRunActionInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    runId: parseRunIdParam(req),
+  };
+}
+
+export function parseDepreciationRunReverseInput(req) {
+  return {
+    ...parseDepreciationRunActionInput(req),
+    reversalPeriodId: optionalPositiveInt(req.body?.reversalPeriodId, "reversalPeriodId"),
+    reason: normalizeText(req.body?.reason, "reason", 255) || null,
+  };
+}
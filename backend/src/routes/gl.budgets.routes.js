@@ -0,0 +1,309 @@
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId, requireUserId } from "./cash.validators.common.js";
+import {
+  parseBudgetActualLinesQuery,
+  parseBudgetCsvImportInput,
+  parseBudgetLineDeleteInput,
+  parseBudgetLineReadFilters,
+  parseBudgetLinesUpsertInput,
+  parseBudgetVersionActionInput,
+  parseBudgetVersionCreateInput,
+  parseBudgetVersionIdParam,
+  parseBudgetVersionReadFilters,
+  parseBudgetVersionUpdateInput,
+  parseBudgetVsActualQuery,
+} from "./gl.budgets.validators.js";
+import {
+  approveGlBudgetVersion,
+  archiveGlBudgetVersion,
+  buildGlBudgetVsActualCsv,
+  createGlBudgetVersion,
+  deleteGlBudgetLine,
+  getGlBudgetVersionById,
+  getGlBudgetVsActualReport,
+  importGlBudgetLinesCsv,
+  listGlBudgetActualLines,
+  listGlBudgetLines,
+  listGlBudgetVersions,
+  resolveGlBudgetVersionScope,
+  returnGlBudgetVersionToDraft,
+  updateGlBudgetVersion,
+  upsertGlBudgetLines,
+} from "../services/gl.budgets.service.js";
+
+function requireVersionPermission(permissionCode, readVersionId = (req) => req.params?.versionId) {
+  return requirePermission(permissionCode, {
+    resolveScope: async (req, tenantId) => {
+      return resolveGlBudgetVersionScope(readVersionId(req), tenantId);
+    },
+  });
+}
+
+export function registerGlBudgetRoutes(router, deps = {}) {
+  const { resolveScopeFromBookId } = deps;
+
+  if (typeof resolveScopeFromBookId !== "function") {
+    throw new Error("registerGlBudgetRoutes requires resolveScopeFromBookId");
+  }
+
+  router.get(
+    "/budgets/versions",
+    requirePermission("gl.budget.read", {
+      resolveScope: (req) => {
+        const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+        return legalEntityId
+          ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId }
+          : null;
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseBudgetVersionReadFilters(req);
+      const result = await listGlBudgetVersions({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        buildScopeFilter,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/budgets/versions",
+    requirePermission("gl.budget.upsert", {
+      resolveScope: async (req, tenantId) => {
+        return resolveScopeFromBookId(req.body?.bookId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetVersionCreateInput(req);
+      const row = await createGlBudgetVersion({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.status(201).json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/budgets/versions/:versionId",
+    requireVersionPermission("gl.budget.read"),
+    asyncHandler(async (req, res) => {
+      const tenantId = requireTenantId(req);
+      const versionId = parseBudgetVersionIdParam(req);
+      const row = await getGlBudgetVersionById({
+        req,
+        tenantId,
+        versionId,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId,
+        row,
+      });
+    })
+  );
+
+  router.put(
+    "/budgets/versions/:versionId",
+    requireVersionPermission("gl.budget.upsert"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetVersionUpdateInput(req);
+      const row = await updateGlBudgetVersion({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/budgets/versions/:versionId/lines",
+    requireVersionPermission("gl.budget.read"),
+    asyncHandler(async (req, res) => {
+      const filters = parseBudgetLineReadFilters(req);
+      const result = await listGlBudgetLines({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.put(
+    "/budgets/versions/:versionId/lines",
+    requireVersionPermission("gl.budget.upsert"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetLinesUpsertInput(req);
+      const row = await upsertGlBudgetLines({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.delete(
+    "/budgets/versions/:versionId/lines/:lineId",
+    requireVersionPermission("gl.budget.upsert"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetLineDeleteInput(req);
+      const row = await deleteGlBudgetLine({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.post(
+    "/budgets/versions/:versionId/import-csv",
+    requireVersionPermission("gl.budget.upsert"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetCsvImportInput(req);
+      const result = await importGlBudgetLinesCsv({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/budgets/versions/:versionId/approve",
+    requireVersionPermission("gl.budget.approve"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetVersionActionInput(req);
+      const result = await approveGlBudgetVersion({
+        req,
+        tenantId: payload.tenantId,
+        userId: requireUserId(req),
+        versionId: payload.versionId,
+        note: payload.note,
+        assertScopeAccess,
+      });
+      return res.status(result.approval_required ? 202 : 200).json({
+        tenantId: payload.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/budgets/versions/:versionId/return-to-draft",
+    requireVersionPermission("gl.budget.upsert"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetVersionActionInput(req);
+      const row = await returnGlBudgetVersionToDraft({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.post(
+    "/budgets/versions/:versionId/archive",
+    requireVersionPermission("gl.budget.approve"),
+    asyncHandler(async (req, res) => {
+      const payload = parseBudgetVersionActionInput(req);
+      const row = await archiveGlBudgetVersion({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/budgets/vs-actual",
+    requireVersionPermission("gl.budget.read", (req) => req.query?.versionId),
+    asyncHandler(async (req, res) => {
+      const filters = parseBudgetVsActualQuery(req);
+      const report = await getGlBudgetVsActualReport({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        assertScopeAccess,
+      });
+
+      if (filters.format === "CSV") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="budget-vs-actual-${filters.versionId}.csv"`
+        );
+        return res.send(buildGlBudgetVsActualCsv(report));
+      }
+      return res.json({
+        tenantId: filters.tenantId,
+        ...report,
+      });
+    })
+  );
+
+  router.get(
+    "/budgets/vs-actual/lines",
+    requireVersionPermission("gl.budget.read", (req) => req.query?.versionId),
+    requirePermission("gl.journal.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveGlBudgetVersionScope(req.query?.versionId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseBudgetActualLinesQuery(req);
+      const result = await listGlBudgetActualLines({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+}
@@ -0,0 +1,261 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseAmount,
+  parseBooleanFlag,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const VERSION_TYPES = ["ORIGINAL", "REVISED", "FORECAST"];
+const VERSION_STATUSES = ["DRAFT", "PENDING_APPROVAL", "APPROVED", "ARCHIVED"];
+const IMPORT_MODES = ["MERGE", "REPLACE"];
+const REPORT_GROUPINGS = ["ACCOUNT", "ACCOUNT_UNIT", "ACCOUNT_UNIT_PERIOD"];
+const REPORT_FORMATS = ["JSON", "CSV"];
+const MAX_LINES_PER_REQUEST = 5000;
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+function parseFiscalYear(value, label, { required = false } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (required) {
+      throw badRequest(`${label} is required`);
+    }
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1900 || parsed > 9999) {
+    throw badRequest(`${label} must be a four-digit year`);
+  }
+  return parsed;
+}
+
+function parseOptionalPeriodNo(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > 99) {
+    throw badRequest(`${label} must be a positive integer`);
+  }
+  return parsed;
+}
+
+function parsePeriodRange(query) {
+  const periodNoFrom = parseOptionalPeriodNo(query?.periodNoFrom, "periodNoFrom");
+  const periodNoTo = parseOptionalPeriodNo(query?.periodNoTo, "periodNoTo");
+  if (periodNoFrom && periodNoTo && periodNoFrom > periodNoTo) {
+    throw badRequest("periodNoFrom cannot be after periodNoTo");
+  }
+  return {
+    fiscalPeriodId: optionalPositiveInt(query?.fiscalPeriodId, "fiscalPeriodId"),
+    periodNoFrom,
+    periodNoTo,
+  };
+}
+
+export function parseBudgetVersionIdParam(req) {
+  const versionId = parsePositiveInt(req.params?.versionId);
+  if (!versionId) {
+    throw badRequest("versionId must be a positive integer");
+  }
+  return versionId;
+}
+
+export function parseBudgetVersionReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    bookId: optionalPositiveInt(req.query?.bookId, "bookId"),
+    fiscalYear: parseFiscalYear(req.query?.fiscalYear, "fiscalYear"),
+    versionType: parseOptionalUpperEnum(req.query?.versionType, "versionType", VERSION_TYPES),
+    status: parseOptionalUpperEnum(req.query?.status, "status", VERSION_STATUSES),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseBudgetVersionCreateInput(req) {
+  const body = req.body || {};
+  const bookId = optionalPositiveInt(body.bookId, "bookId");
+  if (!bookId) {
+    throw badRequest("bookId is required");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    bookId,
+    fiscalYear: parseFiscalYear(body.fiscalYear, "fiscalYear", { required: true }),
+    code: normalizeCode(body.code, "code", 40),
+    name: normalizeText(body.name, "name", 190, { required: true }),
+    versionType: normalizeEnum(body.versionType, "versionType", VERSION_TYPES, "ORIGINAL"),
+    baseVersionId: optionalPositiveInt(body.baseVersionId, "baseVersionId"),
+    note: normalizeText(body.note, "note", 500) || null,
+  };
+}
+
+export function parseBudgetVersionUpdateInput(req) {
+  const body = req.body || {};
+  if (body.bookId !== undefined || body.fiscalYear !== undefined || body.code !== undefined) {
+    throw badRequest("bookId, fiscalYear and code cannot be changed; create a new version instead");
+  }
+  const payload = {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    name:
+      body.name === undefined ? undefined : normalizeText(body.name, "name", 190, { required: true }),
+    note: body.note === undefined ? undefined : normalizeText(body.note, "note", 500) || null,
+  };
+  if (payload.name === undefined && payload.note === undefined) {
+    throw badRequest("At least one updatable field is required");
+  }
+  return payload;
+}
+
+export function parseBudgetLineReadFilters(req) {
+  const pagination = parsePagination(req.query, { limit: 500, offset: 0, maxLimit: 5000 });
+  return {
+    tenantId: requireTenantId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    accountId: optionalPositiveInt(req.query?.accountId, "accountId"),
+    operatingUnitId: optionalPositiveInt(req.query?.operatingUnitId, "operatingUnitId"),
+    fiscalPeriodId: optionalPositiveInt(req.query?.fiscalPeriodId, "fiscalPeriodId"),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseBudgetLinesUpsertInput(req) {
+  const lines = req.body?.lines;
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw badRequest("lines must be a non-empty array");
+  }
+  if (lines.length > MAX_LINES_PER_REQUEST) {
+    throw badRequest(`lines cannot exceed ${MAX_LINES_PER_REQUEST} entries; use the CSV import`);
+  }
+
+  const seen = new Set();
+  const parsedLines = lines.map((line, index) => {
+    const label = `lines[${index}]`;
+    const accountId = optionalPositiveInt(line?.accountId, `${label}.accountId`);
+    const fiscalPeriodId = optionalPositiveInt(line?.fiscalPeriodId, `${label}.fiscalPeriodId`);
+    if (!accountId || !fiscalPeriodId) {
+      throw badRequest(`${label}.accountId and ${label}.fiscalPeriodId are required`);
+    }
+    const operatingUnitId = optionalPositiveInt(line?.operatingUnitId, `${label}.operatingUnitId`);
+    const cellKey = `${accountId}:${operatingUnitId || 0}:${fiscalPeriodId}`;
+    if (seen.has(cellKey)) {
+      throw badRequest(`${label} duplicates another line for the same account, operating unit and period`);
+    }
+    seen.add(cellKey);
+    return {
+      accountId,
+      operatingUnitId,
+      fiscalPeriodId,
+      amount: Number(
+        parseAmount(line?.amount, `${label}.amount`, {
+          required: true,
+          allowZero: true,
+          allowNegative: true,
+        })
+      ),
+      note: normalizeText(line?.note, `${label}.note`, 255) || null,
+    };
+  });
+
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    lines: parsedLines,
+  };
+}
+
+export function parseBudgetLineDeleteInput(req) {
+  const lineId = parsePositiveInt(req.params?.lineId);
+  if (!lineId) {
+    throw badRequest("lineId must be a positive integer");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    lineId,
+  };
+}
+
+export function parseBudgetCsvImportInput(req) {
+  const csvText = String(req.body?.csvText ?? req.body?.csv_text ?? "");
+  if (!csvText.trim()) {
+    throw badRequest("csvText is required");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    csvText,
+    mode: normalizeEnum(req.body?.mode, "mode", IMPORT_MODES, "MERGE"),
+    dryRun: parseBooleanFlag(req.body?.dryRun, false),
+  };
+}
+
+export function parseBudgetVersionActionInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    versionId: parseBudgetVersionIdParam(req),
+    note: normalizeText(req.body?.note, "note", 500) || null,
+  };
+}
+
+export function parseBudgetVsActualQuery(req) {
+  const versionId = optionalPositiveInt(req.query?.versionId, "versionId");
+  if (!versionId) {
+    throw badRequest("versionId query param is required");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    versionId,
+    ...parsePeriodRange(req.query),
+    accountId: optionalPositiveInt(req.query?.accountId, "accountId"),
+    operatingUnitId: optionalPositiveInt(req.query?.operatingUnitId, "operatingUnitId"),
+    groupBy: normalizeEnum(req.query?.groupBy, "groupBy", REPORT_GROUPINGS, "ACCOUNT_UNIT_PERIOD"),
+    format: normalizeEnum(req.query?.format, "format", REPORT_FORMATS, "JSON"),
+  };
+}
+
+export function parseBudgetActualLinesQuery(req) {
+  const versionId = optionalPositiveInt(req.query?.versionId, "versionId");
+  const accountId = optionalPositiveInt(req.query?.accountId, "accountId");
+  if (!versionId || !accountId) {
+    throw badRequest("versionId and accountId query params are required");
+  }
+  const operatingUnitId = optionalPositiveInt(req.query?.operatingUnitId, "operatingUnitId");
+  const withoutOperatingUnit = parseBooleanFlag(req.query?.withoutOperatingUnit, false);
+  if (operatingUnitId && withoutOperatingUnit) {
+    throw badRequest("operatingUnitId cannot be combined with withoutOperatingUnit");
+  }
+  const pagination = parsePagination(req.query, { limit: 200, offset: 0, maxLimit: 1000 });
+  return {
+    tenantId: requireTenantId(req),
+    versionId,
+    accountId,
+    ...parsePeriodRange(req.query),
+    operatingUnitId,
+    withoutOperatingUnit,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
@@ -0,0 +1,87 @@
+import { assertScopeAccess, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler } from "./_utils.js";
+import {
+  parseCashFlowMappingDeleteInput,
+  parseCashFlowMappingReadFilters,
+  parseCashFlowMappingsUpsertInput,
+  parseCashFlowStatementQuery,
+} from "./gl.cash-flow.validators.js";
+import {
+  deleteCashFlowMapping,
+  getGlCashFlowStatement,
+  listCashFlowMappings,
+  upsertCashFlowMappings,
+} from "../services/gl.cash-flow.service.js";
+
+function resolveTenantScope(req, tenantId) {
+  return { scopeType: "TENANT", scopeId: tenantId };
+}
+
+export function registerGlCashFlowRoutes(router, deps = {}) {
+  const { resolveScopeFromBookId } = deps;
+
+  if (typeof resolveScopeFromBookId !== "function") {
+    throw new Error("registerGlCashFlowRoutes requires resolveScopeFromBookId");
+  }
+
+  router.get(
+    "/cash-flow-mappings",
+    requirePermission("gl.cash_flow.read"),
+    asyncHandler(async (req, res) => {
+      const filters = parseCashFlowMappingReadFilters(req);
+      const result = await listCashFlowMappings({ tenantId: filters.tenantId, filters });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.put(
+    "/cash-flow-mappings",
+    requirePermission("gl.cash_flow.upsert", { resolveScope: resolveTenantScope }),
+    asyncHandler(async (req, res) => {
+      const payload = parseCashFlowMappingsUpsertInput(req);
+      const result = await upsertCashFlowMappings({ payload });
+      return res.json({
+        tenantId: payload.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.delete(
+    "/cash-flow-mappings/:mappingId",
+    requirePermission("gl.cash_flow.upsert", { resolveScope: resolveTenantScope }),
+    asyncHandler(async (req, res) => {
+      const payload = parseCashFlowMappingDeleteInput(req);
+      const result = await deleteCashFlowMapping({ payload });
+      return res.json({
+        tenantId: payload.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.get(
+    "/cash-flow-statement",
+    requirePermission("gl.cash_flow.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveScopeFromBookId(req.query?.bookId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseCashFlowStatementQuery(req);
+      const statement = await getGlCashFlowStatement({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...statement,
+      });
+    })
+  );
+}
@@ -0,0 +1,81 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseBooleanFlag,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const CASH_FLOW_CATEGORIES = ["CASH", "NON_CASH", "WORKING_CAPITAL", "INVESTING", "FINANCING"];
+const CASH_FLOW_METHODS = ["INDIRECT", "DIRECT"];
+const MAX_MAPPINGS_PER_REQUEST = 500;
+
+export function parseCashFlowMappingReadFilters(req) {
+  const category = String(req.query?.category || "").trim();
+  return {
+    tenantId: requireTenantId(req),
+    coaId: optionalPositiveInt(req.query?.coaId, "coaId"),
+    category: category ? normalizeEnum(category, "category", CASH_FLOW_CATEGORIES) : null,
+  };
+}
+
+export function parseCashFlowMappingsUpsertInput(req) {
+  const rawMappings = req.body?.mappings;
+  if (!Array.isArray(rawMappings) || rawMappings.length === 0) {
+    throw badRequest("mappings must be a non-empty array");
+  }
+  if (rawMappings.length > MAX_MAPPINGS_PER_REQUEST) {
+    throw badRequest(`mappings cannot exceed ${MAX_MAPPINGS_PER_REQUEST} rows per request`);
+  }
+  const seenAccountIds = new Set();
+  const mappings = rawMappings.map((item, index) => {
+    const label = `mappings[${index}]`;
+    const accountId = requirePositiveInt(item?.accountId, `${label}.accountId`);
+    if (seenAccountIds.has(accountId)) {
+      throw badRequest(`mappings cannot repeat accountId ${accountId}`);
+    }
+    seenAccountIds.add(accountId);
+    const rawLineCode = String(item?.lineCode || "").trim();
+    return {
+      accountId,
+      category: normalizeEnum(item?.category, `${label}.category`, CASH_FLOW_CATEGORIES),
+      lineCode: rawLineCode ? normalizeCode(rawLineCode, `${label}.lineCode`, 40) : null,
+      lineName: normalizeText(item?.lineName, `${label}.lineName`, 190),
+    };
+  });
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    mappings,
+  };
+}
+
+export function parseCashFlowMappingDeleteInput(req) {
+  const mappingId = parsePositiveInt(req.params?.mappingId);
+  if (!mappingId) {
+    throw badRequest("mappingId must be a positive integer");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    mappingId,
+  };
+}
+
+export function parseCashFlowStatementQuery(req) {
+  const bookId = parsePositiveInt(req.query?.bookId);
+  const fiscalPeriodId = parsePositiveInt(req.query?.fiscalPeriodId);
+  if (!bookId || !fiscalPeriodId) {
+    throw badRequest("bookId and fiscalPeriodId query params are required");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    bookId,
+    fiscalPeriodId,
+    method: normalizeEnum(req.query?.method, "method", CASH_FLOW_METHODS, "INDIRECT"),
+    includeZero: parseBooleanFlag(req.query?.includeZero, false),
+  };
+}
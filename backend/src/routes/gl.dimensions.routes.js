@@ -0,0 +1,163 @@
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import {
+  parseAccountDimensionRuleReadFilters,
+  parseAccountDimensionRulesReplaceInput,
+  parseDimensionTypeCreateInput,
+  parseDimensionTypeReadFilters,
+  parseDimensionTypeUpdateInput,
+  parseDimensionValueCreateInput,
+  parseDimensionValueReadFilters,
+  parseDimensionValueUpdateInput,
+} from "./gl.dimensions.validators.js";
+import {
+  createDimensionType,
+  createDimensionValue,
+  listAccountDimensionRules,
+  listDimensionTypes,
+  listDimensionValues,
+  replaceAccountDimensionRules,
+  resolveDimensionValueScope,
+  updateDimensionType,
+  updateDimensionValue,
+} from "../services/gl.dimensions.service.js";
+
+function resolveTenantScope(req, tenantId) {
+  return { scopeType: "TENANT", scopeId: tenantId };
+}
+
+export function registerGlDimensionRoutes(router) {
+  router.get(
+    "/dimension-types",
+    requirePermission("gl.dimension.read"),
+    asyncHandler(async (req, res) => {
+      const filters = parseDimensionTypeReadFilters(req);
+      const result = await listDimensionTypes({ tenantId: filters.tenantId, filters });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/dimension-types",
+    requirePermission("gl.dimension.upsert", { resolveScope: resolveTenantScope }),
+    asyncHandler(async (req, res) => {
+      const payload = parseDimensionTypeCreateInput(req);
+      const row = await createDimensionType({ payload });
+      return res.status(201).json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.put(
+    "/dimension-types/:dimensionTypeId",
+    requirePermission("gl.dimension.upsert", { resolveScope: resolveTenantScope }),
+    asyncHandler(async (req, res) => {
+      const payload = parseDimensionTypeUpdateInput(req);
+      const row = await updateDimensionType({ payload });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/dimension-types/:dimensionTypeId/values",
+    requirePermission("gl.dimension.read", {
+      resolveScope: (req) => {
+        const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+        return legalEntityId
+          ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId }
+          : null;
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseDimensionValueReadFilters(req);
+      const result = await listDimensionValues({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        buildScopeFilter,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/dimension-types/:dimensionTypeId/values",
+    requirePermission("gl.dimension.upsert", {
+      resolveScope: (req, tenantId) => {
+        const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+        if (legalEntityId) {
+          return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+        }
+        return { scopeType: "TENANT", scopeId: tenantId };
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseDimensionValueCreateInput(req);
+      const row = await createDimensionValue({ req, payload, assertScopeAccess });
+      return res.status(201).json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.put(
+    "/dimension-values/:dimensionValueId",
+    requirePermission("gl.dimension.upsert", {
+      resolveScope: async (req, tenantId) => {
+        return resolveDimensionValueScope(req.params?.dimensionValueId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseDimensionValueUpdateInput(req);
+      const row = await updateDimensionValue({ req, payload, assertScopeAccess });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/account-dimension-rules",
+    requirePermission("gl.dimension.read"),
+    asyncHandler(async (req, res) => {
+      const filters = parseAccountDimensionRuleReadFilters(req);
+      const result = await listAccountDimensionRules({ tenantId: filters.tenantId, filters });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.put(
+    "/accounts/:accountId/dimension-rules",
+    requirePermission("gl.dimension.upsert", { resolveScope: resolveTenantScope }),
+    asyncHandler(async (req, res) => {
+      const payload = parseAccountDimensionRulesReplaceInput(req);
+      const result = await replaceAccountDimensionRules({ payload });
+      return res.json({
+        tenantId: payload.tenantId,
+        accountId: payload.accountId,
+        ...result,
+      });
+    })
+  );
+}
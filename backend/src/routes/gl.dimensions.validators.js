@@ -0,0 +1,193 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseBooleanFlag,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const DIMENSION_STATUSES = ["ACTIVE", "INACTIVE"];
+const RULE_TYPES = ["REQUIRED", "FORBIDDEN"];
+
+function parseOptionalStatus(value) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, "status", DIMENSION_STATUSES) : null;
+}
+
+function assertHasMutationField(payload, fixedKeys) {
+  const hasAnyMutationField = Object.entries(payload).some(
+    ([key, value]) => !fixedKeys.includes(key) && value !== undefined
+  );
+  if (!hasAnyMutationField) {
+    throw badRequest("At least one updatable field is required");
+  }
+}
+
+// Shared by every payload that carries dimensions: [{ dimensionTypeId, dimensionValueId }].
+export function parseDimensionAssignments(value, label = "dimensions") {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw badRequest(`${label} must be an array`);
+  }
+  const seenTypeIds = new Set();
+  return value.map((item, index) => {
+    const dimensionTypeId = parsePositiveInt(item?.dimensionTypeId);
+    const dimensionValueId = parsePositiveInt(item?.dimensionValueId);
+    if (!dimensionTypeId || !dimensionValueId) {
+      throw badRequest(`${label}[${index}] requires dimensionTypeId and dimensionValueId`);
+    }
+    if (seenTypeIds.has(dimensionTypeId)) {
+      throw badRequest(`${label} cannot repeat dimensionTypeId ${dimensionTypeId}`);
+    }
+    seenTypeIds.add(dimensionTypeId);
+    return { dimensionTypeId, dimensionValueId };
+  });
+}
+
+export function parseDimensionTypeIdParam(req) {
+  const dimensionTypeId = parsePositiveInt(req.params?.dimensionTypeId);
+  if (!dimensionTypeId) {
+    throw badRequest("dimensionTypeId must be a positive integer");
+  }
+  return dimensionTypeId;
+}
+
+export function parseDimensionValueIdParam(req) {
+  const dimensionValueId = parsePositiveInt(req.params?.dimensionValueId);
+  if (!dimensionValueId) {
+    throw badRequest("dimensionValueId must be a positive integer");
+  }
+  return dimensionValueId;
+}
+
+export function parseDimensionTypeReadFilters(req) {
+  return {
+    tenantId: requireTenantId(req),
+    status: parseOptionalStatus(req.query?.status),
+  };
+}
+
+export function parseDimensionTypeCreateInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    code: normalizeCode(req.body?.code, "code", 40),
+    name: normalizeText(req.body?.name, "name", 190, { required: true }),
+    description: normalizeText(req.body?.description, "description", 500),
+    status: normalizeEnum(req.body?.status, "status", DIMENSION_STATUSES, "ACTIVE"),
+    isPayrollCostCenter: parseBooleanFlag(req.body?.isPayrollCostCenter, false),
+  };
+}
+
+export function parseDimensionTypeUpdateInput(req) {
+  const body = req.body || {};
+  if (body.code !== undefined) {
+    throw badRequest("code cannot be changed");
+  }
+  const payload = {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    dimensionTypeId: parseDimensionTypeIdParam(req),
+    name:
+      body.name === undefined ? undefined : normalizeText(body.name, "name", 190, { required: true }),
+    description:
+      body.description === undefined
+        ? undefined
+        : normalizeText(body.description, "description", 500),
+    status:
+      body.status === undefined ? undefined : normalizeEnum(body.status, "status", DIMENSION_STATUSES),
+    isPayrollCostCenter:
+      body.isPayrollCostCenter === undefined
+        ? undefined
+        : parseBooleanFlag(body.isPayrollCostCenter, false),
+  };
+  assertHasMutationField(payload, ["tenantId", "userId", "dimensionTypeId"]);
+  return payload;
+}
+
+export function parseDimensionValueReadFilters(req) {
+  return {
+    tenantId: requireTenantId(req),
+    dimensionTypeId: parseDimensionTypeIdParam(req),
+    legalEntityId: optionalPositiveInt(req.query?.legalEntityId, "legalEntityId"),
+    status: parseOptionalStatus(req.query?.status),
+    q: normalizeText(req.query?.q, "q", 120),
+  };
+}
+
+export function parseDimensionValueCreateInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    dimensionTypeId: parseDimensionTypeIdParam(req),
+    legalEntityId: optionalPositiveInt(req.body?.legalEntityId, "legalEntityId"),
+    code: normalizeCode(req.body?.code, "code", 60),
+    name: normalizeText(req.body?.name, "name", 190, { required: true }),
+    status: normalizeEnum(req.body?.status, "status", DIMENSION_STATUSES, "ACTIVE"),
+  };
+}
+
+export function parseDimensionValueUpdateInput(req) {
+  const body = req.body || {};
+  if (body.code !== undefined || body.legalEntityId !== undefined) {
+    throw badRequest("code and legalEntityId cannot be changed; create a new value instead");
+  }
+  const payload = {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    dimensionValueId: parseDimensionValueIdParam(req),
+    name:
+      body.name === undefined ? undefined : normalizeText(body.name, "name", 190, { required: true }),
+    status:
+      body.status === undefined ? undefined : normalizeEnum(body.status, "status", DIMENSION_STATUSES),
+  };
+  assertHasMutationField(payload, ["tenantId", "userId", "dimensionValueId"]);
+  return payload;
+}
+
+export function parseAccountDimensionRuleReadFilters(req) {
+  return {
+    tenantId: requireTenantId(req),
+    accountId: optionalPositiveInt(req.query?.accountId, "accountId"),
+    dimensionTypeId: optionalPositiveInt(req.query?.dimensionTypeId, "dimensionTypeId"),
+  };
+}
+
+export function parseAccountDimensionRulesReplaceInput(req) {
+  const accountId = parsePositiveInt(req.params?.accountId);
+  if (!accountId) {
+    throw badRequest("accountId must be a positive integer");
+  }
+  const rawRules = req.body?.rules;
+  if (!Array.isArray(rawRules)) {
+    throw badRequest("rules must be an array");
+  }
+  const seenTypeIds = new Set();
+  const rules = rawRules.map((rule, index) => {
+    const dimensionTypeId = parsePositiveInt(rule?.dimensionTypeId);
+    if (!dimensionTypeId) {
+      throw badRequest(`rules[${index}].dimensionTypeId must be a positive integer`);
+    }
+    if (seenTypeIds.has(dimensionTypeId)) {
+      throw badRequest(`rules cannot repeat dimensionTypeId ${dimensionTypeId}`);
+    }
+    seenTypeIds.add(dimensionTypeId);
+    return {
+      dimensionTypeId,
+      ruleType: normalizeEnum(rule?.ruleType, `rules[${index}].ruleType`, RULE_TYPES),
+    };
+  });
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    accountId,
+    rules,
+  };
+}
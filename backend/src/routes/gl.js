@@ -15,6 +15,7 @@ import {
   assertLegalEntityBelongsToTenant,
 } from "../tenantGuards.js";
 import { recalculateShareholderOwnershipPctTx } from "../services/shareholderOwnership.js";
+import { copyJournalLineDimensionsTx } from "../services/gl.dimensions.service.js";
 import {
   asyncHandler,
   assertRequiredFields,
@@ -24,6 +25,7 @@ import {
 } from "./_utils.js";
 import {
   registerGlReadJournalRoutes,
+  registerGlReadKdvReturnRoutes,
   registerGlReadTrialBalanceRoute,
 } from "./gl.read.journal.routes.js";
 import { registerGlReadCoreRoutes } from "./gl.read.routes.js";
@@ -32,6 +34,11 @@ import { registerGlWriteJournalRoutes } from "./gl.write.journal.routes.js";
 import { registerGlReclassificationRoutes } from "./gl.reclass.routes.js";
 import { registerGlPeriodClosingRoutes } from "./gl.period-closing.routes.js";
 import { registerGlPurposeMappingsRoutes } from "./gl.purpose-mappings.routes.js";
+import { registerGlTaxCodesRoutes } from "./gl.tax-codes.routes.js";
+import { registerGlDimensionRoutes } from "./gl.dimensions.routes.js";
+import { registerGlKdvReturnMappingRoutes } from "./gl.kdv-return.routes.js";
+import { registerGlBudgetRoutes } from "./gl.budgets.routes.js";
+import { registerGlCashFlowRoutes } from "./gl.cash-flow.routes.js";
 
 const router = express.Router();
 const CLOSE_RUN_STATUSES = new Set(["IN_PROGRESS", "COMPLETED", "FAILED", "REOPENED"]);
@@ -1014,6 +1021,11 @@ async function reversePostedJournalWithinTransaction(tx, params) {
        AND tenant_id = ?`,
     [params.userId, reversalJournalId, reason, journalId, params.tenantId]
   );
+  await copyJournalLineDimensionsTx(tx, {
+    tenantId: params.tenantId,
+    sourceJournalEntryId: journalId,
+    targetJournalEntryId: reversalJournalId,
+  });
 
   return reversalJournalId;
 }
@@ -2049,6 +2061,9 @@ async function validateJournalLineScope(req, tenantId, legalEntityId, line, inde
 registerGlReadCoreRoutes(router);
 registerGlWriteCoreRoutes(router);
 registerGlPurposeMappingsRoutes(router);
+registerGlTaxCodesRoutes(router);
+registerGlDimensionRoutes(router);
+registerGlKdvReturnMappingRoutes(router);
 registerGlReadJournalRoutes(router, {
   resolveScopeFromBookId,
   resolveScopeFromJournalId,
@@ -2057,6 +2072,15 @@ registerGlReadTrialBalanceRoute(router, {
   resolveScopeFromBookId,
   isNearlyZero,
 });
+registerGlReadKdvReturnRoutes(router, {
+  resolveScopeFromBookId,
+});
+registerGlBudgetRoutes(router, {
+  resolveScopeFromBookId,
+});
+registerGlCashFlowRoutes(router, {
+  resolveScopeFromBookId,
+});
 
 registerGlWriteJournalRoutes(router, {
   applyShareholderCommitmentSyncForPostedJournalTx,
@@ -0,0 +1,117 @@
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId } from "./cash.validators.common.js";
+import {
+  parseKdvBoxMappingCreateInput,
+  parseKdvBoxMappingIdParam,
+  parseKdvBoxMappingReadFilters,
+  parseKdvBoxMappingUpdateInput,
+} from "./gl.kdv-return.validators.js";
+import {
+  createKdvBoxMapping,
+  getKdvBoxMappingByIdForTenant,
+  listKdvBoxMappings,
+  resolveKdvBoxMappingScope,
+  updateKdvBoxMappingById,
+} from "../services/gl.kdv-return.service.js";
+
+export function registerGlKdvReturnMappingRoutes(router) {
+  router.get(
+    "/kdv-return/box-mappings",
+    requirePermission("gl.kdv_return.read", {
+      resolveScope: (req) => {
+        const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+        return legalEntityId
+          ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId }
+          : null;
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseKdvBoxMappingReadFilters(req);
+      const result = await listKdvBoxMappings({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        buildScopeFilter,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/kdv-return/box-mappings",
+    requirePermission("gl.kdv_return.mapping.upsert", {
+      resolveScope: (req, tenantId) => {
+        const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+        if (legalEntityId) {
+          return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+        }
+        return { scopeType: "TENANT", scopeId: tenantId };
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseKdvBoxMappingCreateInput(req);
+      const row = await createKdvBoxMapping({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.status(201).json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/kdv-return/box-mappings/:mappingId",
+    requirePermission("gl.kdv_return.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveKdvBoxMappingScope(req.params?.mappingId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const tenantId = requireTenantId(req);
+      const mappingId = parseKdvBoxMappingIdParam(req);
+      const row = await getKdvBoxMappingByIdForTenant({
+        req,
+        tenantId,
+        mappingId,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId,
+        row,
+      });
+    })
+  );
+
+  router.put(
+    "/kdv-return/box-mappings/:mappingId",
+    requirePermission("gl.kdv_return.mapping.upsert", {
+      resolveScope: async (req, tenantId) => {
+        return resolveKdvBoxMappingScope(req.params?.mappingId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseKdvBoxMappingUpdateInput(req);
+      const row = await updateKdvBoxMappingById({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+}
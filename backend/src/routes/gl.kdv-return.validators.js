@@ -0,0 +1,180 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const BOX_SECTIONS = ["OUTPUT", "INPUT", "WITHHOLDING"];
+const AMOUNT_BASES = ["BASE", "TAX"];
+const MAPPING_STATUSES = ["ACTIVE", "INACTIVE"];
+const REPORT_FORMATS = ["JSON", "CSV"];
+
+function parseOptionalTaxCode(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return normalizeCode(value, "taxCode", 40);
+}
+
+function parseOptionalAccountId(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return optionalPositiveInt(value, "accountId");
+}
+
+function parseSortOrder(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw badRequest("sortOrder must be a non-negative integer");
+  }
+  return parsed;
+}
+
+function parseOptionalUpperEnum(value, label, allowed) {
+  const raw = String(value || "")
+    .trim()
+    .toUpperCase();
+  return raw ? normalizeEnum(raw, label, allowed) : null;
+}
+
+export function parseKdvBoxMappingIdParam(req) {
+  const mappingId = parsePositiveInt(req.params?.mappingId);
+  if (!mappingId) {
+    throw badRequest("mappingId must be a positive integer");
+  }
+  return mappingId;
+}
+
+export function parseKdvBoxMappingReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const legalEntityId = optionalPositiveInt(req.query?.legalEntityId, "legalEntityId");
+  const section = parseOptionalUpperEnum(req.query?.section, "section", BOX_SECTIONS);
+  const status = parseOptionalUpperEnum(req.query?.status, "status", MAPPING_STATUSES);
+  const taxCode = parseOptionalTaxCode(req.query?.taxCode) ?? null;
+  const pagination = parsePagination(req.query, { limit: 200, offset: 0, maxLimit: 500 });
+
+  return {
+    tenantId,
+    legalEntityId,
+    section,
+    status,
+    taxCode,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseKdvBoxMappingCreateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const legalEntityId = optionalPositiveInt(req.body?.legalEntityId, "legalEntityId");
+  if (!legalEntityId) {
+    throw badRequest("legalEntityId is required");
+  }
+
+  const taxCode = parseOptionalTaxCode(req.body?.taxCode) ?? null;
+  const accountId = parseOptionalAccountId(req.body?.accountId) ?? null;
+  if (!taxCode && !accountId) {
+    throw badRequest("taxCode or accountId is required");
+  }
+
+  return {
+    tenantId,
+    userId,
+    legalEntityId,
+    boxCode: normalizeCode(req.body?.boxCode, "boxCode", 40),
+    boxName: normalizeText(req.body?.boxName, "boxName", 190, { required: true }),
+    section: normalizeEnum(req.body?.section, "section", BOX_SECTIONS),
+    taxCode,
+    accountId,
+    amountBasis: normalizeEnum(req.body?.amountBasis, "amountBasis", AMOUNT_BASES, "TAX"),
+    sortOrder: parseSortOrder(req.body?.sortOrder, 0),
+    status: normalizeEnum(req.body?.status, "status", MAPPING_STATUSES, "ACTIVE"),
+  };
+}
+
+export function parseKdvBoxMappingUpdateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const mappingId = parseKdvBoxMappingIdParam(req);
+  const body = req.body || {};
+
+  if (body.boxCode !== undefined || body.legalEntityId !== undefined) {
+    throw badRequest("boxCode and legalEntityId cannot be changed; create a new mapping instead");
+  }
+
+  const payload = {
+    tenantId,
+    userId,
+    mappingId,
+    boxName:
+      body.boxName === undefined
+        ? undefined
+        : normalizeText(body.boxName, "boxName", 190, { required: true }),
+    section:
+      body.section === undefined ? undefined : normalizeEnum(body.section, "section", BOX_SECTIONS),
+    taxCode: parseOptionalTaxCode(body.taxCode),
+    accountId: parseOptionalAccountId(body.accountId),
+    amountBasis:
+      body.amountBasis === undefined
+        ? undefined
+        : normalizeEnum(body.amountBasis, "amountBasis", AMOUNT_BASES),
+    sortOrder: body.sortOrder === undefined ? undefined : parseSortOrder(body.sortOrder, 0),
+    status:
+      body.status === undefined ? undefined : normalizeEnum(body.status, "status", MAPPING_STATUSES),
+  };
+
+  const hasAnyMutationField = Object.entries(payload).some(
+    ([key, value]) => !["tenantId", "userId", "mappingId"].includes(key) && value !== undefined
+  );
+  if (!hasAnyMutationField) {
+    throw badRequest("At least one updatable field is required");
+  }
+
+  return payload;
+}
+
+function parseReportPeriod(req) {
+  const tenantId = requireTenantId(req);
+  const bookId = parsePositiveInt(req.query?.bookId);
+  const fiscalPeriodId = parsePositiveInt(req.query?.fiscalPeriodId);
+  if (!bookId || !fiscalPeriodId) {
+    throw badRequest("bookId and fiscalPeriodId query params are required");
+  }
+  return { tenantId, bookId, fiscalPeriodId };
+}
+
+export function parseKdvReturnReportQuery(req) {
+  return {
+    ...parseReportPeriod(req),
+    format: normalizeEnum(req.query?.format, "format", REPORT_FORMATS, "JSON"),
+  };
+}
+
+export function parseKdvReturnLinesQuery(req) {
+  const boxCodeRaw = String(req.query?.boxCode || "").trim();
+  const pagination = parsePagination(req.query, { limit: 200, offset: 0, maxLimit: 1000 });
+  return {
+    ...parseReportPeriod(req),
+    boxCode: boxCodeRaw ? normalizeCode(boxCodeRaw, "boxCode", 40) : null,
+    taxCode: parseOptionalTaxCode(req.query?.taxCode) ?? null,
+    format: normalizeEnum(req.query?.format, "format", REPORT_FORMATS, "JSON"),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
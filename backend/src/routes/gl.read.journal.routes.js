@@ -14,6 +14,28 @@ import {
   parsePositiveInt,
   resolveTenantId,
 } from "./_utils.js";
+import {
+  parseKdvReturnLinesQuery,
+  parseKdvReturnReportQuery,
+} from "./gl.kdv-return.validators.js";
+import {
+  buildKdvReturnCsv,
+  buildKdvReturnLinesCsv,
+  getKdvReturnReport,
+  listKdvReturnLines,
+} from "../services/gl.kdv-return.service.js";
+import { loadJournalLineDimensions } from "../services/gl.dimensions.service.js";
+
+function parseOptionalQueryId(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = parsePositiveInt(value);
+  if (!parsed) {
+    throw badRequest(`${label} must be a positive integer`);
+  }
+  return parsed;
+}
 
 export function registerGlReadJournalRoutes(router, deps = {}) {
   const { resolveScopeFromBookId, resolveScopeFromJournalId } = deps;
@@ -240,11 +262,19 @@ export function registerGlReadJournalRoutes(router, deps = {}) {
         [journalId]
       );
 
+      const dimensionsByLineId = await loadJournalLineDimensions({
+        tenantId,
+        journalEntryIds: [journalId],
+      });
+
       return res.json({
         tenantId,
         row: {
           ...journal,
-          lines: lineResult.rows || [],
+          lines: (lineResult.rows || []).map((line) => ({
+            ...line,
+            dimensions: dimensionsByLineId.get(parsePositiveInt(line.id)) || [],
+          })),
         },
       });
     })
@@ -275,10 +305,17 @@ export function registerGlReadTrialBalanceRoute(router, deps = {}) {
       const bookId = parsePositiveInt(req.query.bookId);
       const fiscalPeriodId = parsePositiveInt(req.query.fiscalPeriodId);
       const includeRollupRaw = req.query.includeRollup;
+      const dimensionValueId = parseOptionalQueryId(req.query.dimensionValueId, "dimensionValueId");
+      const groupByDimensionTypeId = parseOptionalQueryId(
+        req.query.groupByDimensionTypeId,
+        "groupByDimensionTypeId"
+      );
+      // Per-dimension rows cannot be rolled up into the account hierarchy.
       const includeRollup =
-        includeRollupRaw === undefined || includeRollupRaw === null || includeRollupRaw === ""
+        !groupByDimensionTypeId &&
+        (includeRollupRaw === undefined || includeRollupRaw === null || includeRollupRaw === ""
           ? true
-          : String(includeRollupRaw).toLowerCase() === "true";
+          : String(includeRollupRaw).toLowerCase() === "true");
       if (!bookId || !fiscalPeriodId) {
         throw badRequest("bookId and fiscalPeriodId query params are required");
       }
@@ -290,6 +327,34 @@ export function registerGlReadTrialBalanceRoute(router, deps = {}) {
         "fiscalPeriodId"
       );
 
+      const dimensionParams = [];
+      const dimensionJoins = [];
+      if (dimensionValueId) {
+        dimensionJoins.push(
+          `JOIN journal_line_dimensions fd
+             ON fd.journal_line_id = jl.id
+            AND fd.tenant_id = je.tenant_id
+            AND fd.dimension_value_id = ?`
+        );
+        dimensionParams.push(dimensionValueId);
+      }
+      if (groupByDimensionTypeId) {
+        dimensionJoins.push(
+          `LEFT JOIN journal_line_dimensions gd
+             ON gd.journal_line_id = jl.id
+            AND gd.tenant_id = je.tenant_id
+            AND gd.dimension_type_id = ?
+           LEFT JOIN analytic_dimension_values gv ON gv.id = gd.dimension_value_id`
+        );
+        dimensionParams.push(groupByDimensionTypeId);
+      }
+      const groupColumnsSql = groupByDimensionTypeId
+        ? `,
+           gd.dimension_value_id,
+           gv.code AS dimension_value_code,
+           gv.name AS dimension_value_name`
+        : "";
+
       const result = await query(
         `SELECT
            a.id AS account_id,
@@ -297,23 +362,33 @@ export function registerGlReadTrialBalanceRoute(router, deps = {}) {
            a.name AS account_name,
            SUM(jl.debit_base) AS debit_total,
            SUM(jl.credit_base) AS credit_total,
-           SUM(jl.debit_base - jl.credit_base) AS balance
+           SUM(jl.debit_base - jl.credit_base) AS balance${groupColumnsSql}
          FROM journal_entries je
          JOIN journal_lines jl ON jl.journal_entry_id = je.id
          JOIN accounts a ON a.id = jl.account_id
+         ${dimensionJoins.join("\n         ")}
          WHERE je.tenant_id = ?
            AND je.book_id = ?
            AND je.fiscal_period_id = ?
            AND je.status = 'POSTED'
-         GROUP BY a.id, a.code, a.name
-         ORDER BY a.code`,
-        [tenantId, bookId, fiscalPeriodId]
+         GROUP BY a.id, a.code, a.name${
+           groupByDimensionTypeId ? ", gd.dimension_value_id, gv.code, gv.name" : ""
+         }
+         ORDER BY a.code${groupByDimensionTypeId ? ", gv.code" : ""}`,
+        [...dimensionParams, tenantId, bookId, fiscalPeriodId]
       );
 
       const postedRows = (result.rows || []).map((row) => ({
         account_id: parsePositiveInt(row.account_id),
         account_code: row.account_code,
         account_name: row.account_name,
+        ...(groupByDimensionTypeId
+          ? {
+              dimension_value_id: parsePositiveInt(row.dimension_value_id),
+              dimension_value_code: row.dimension_value_code || null,
+              dimension_value_name: row.dimension_value_name || null,
+            }
+          : {}),
         debit_total: Number(row.debit_total || 0),
         credit_total: Number(row.credit_total || 0),
         balance: Number(row.balance || 0),
@@ -338,6 +413,8 @@ export function registerGlReadTrialBalanceRoute(router, deps = {}) {
           bookId,
           fiscalPeriodId,
           includeRollup,
+          dimensionValueId,
+          groupByDimensionTypeId,
           summary,
           rows: postedRows,
         });
@@ -474,9 +551,82 @@ export function registerGlReadTrialBalanceRoute(router, deps = {}) {
         bookId,
         fiscalPeriodId,
         includeRollup,
+        dimensionValueId,
+        groupByDimensionTypeId,
         summary,
         rows,
       });
     })
   );
 }
+
+export function registerGlReadKdvReturnRoutes(router, deps = {}) {
+  const { resolveScopeFromBookId } = deps;
+
+  if (typeof resolveScopeFromBookId !== "function") {
+    throw new Error("registerGlReadKdvReturnRoutes requires resolveScopeFromBookId");
+  }
+
+  router.get(
+    "/kdv-return",
+    requirePermission("gl.kdv_return.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveScopeFromBookId(req.query?.bookId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const input = parseKdvReturnReportQuery(req);
+      const report = await getKdvReturnReport({
+        req,
+        tenantId: input.tenantId,
+        bookId: input.bookId,
+        fiscalPeriodId: input.fiscalPeriodId,
+        assertScopeAccess,
+      });
+
+      if (input.format === "CSV") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="kdv-return-${input.bookId}-${input.fiscalPeriodId}.csv"`
+        );
+        return res.send(buildKdvReturnCsv(report));
+      }
+      return res.json({
+        tenantId: input.tenantId,
+        ...report,
+      });
+    })
+  );
+
+  router.get(
+    "/kdv-return/lines",
+    requirePermission("gl.kdv_return.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveScopeFromBookId(req.query?.bookId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseKdvReturnLinesQuery(req);
+      const result = await listKdvReturnLines({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        assertScopeAccess,
+      });
+
+      if (filters.format === "CSV") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="kdv-return-lines-${filters.bookId}-${filters.fiscalPeriodId}.csv"`
+        );
+        return res.send(buildKdvReturnLinesCsv(result));
+      }
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+}
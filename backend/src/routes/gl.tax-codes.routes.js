@@ -0,0 +1,117 @@
+import {
+  assertScopeAccess,
+  buildScopeFilter,
+  requirePermission,
+} from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { requireTenantId } from "./cash.validators.common.js";
+import {
+  parseTaxCodeCreateInput,
+  parseTaxCodeIdParam,
+  parseTaxCodeReadFilters,
+  parseTaxCodeUpdateInput,
+} from "./gl.tax-codes.validators.js";
+import {
+  createTaxCode,
+  getTaxCodeByIdForTenant,
+  listTaxCodes,
+  resolveTaxCodeScope,
+  updateTaxCodeById,
+} from "../services/gl.tax-codes.service.js";
+
+export function registerGlTaxCodesRoutes(router) {
+  router.get(
+    "/tax-codes",
+    requirePermission("gl.tax_code.read", {
+      resolveScope: (req) => {
+        const legalEntityId = parsePositiveInt(req.query?.legalEntityId);
+        return legalEntityId
+          ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId }
+          : null;
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const filters = parseTaxCodeReadFilters(req);
+      const result = await listTaxCodes({
+        req,
+        tenantId: filters.tenantId,
+        filters,
+        buildScopeFilter,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: filters.tenantId,
+        ...result,
+      });
+    })
+  );
+
+  router.post(
+    "/tax-codes",
+    requirePermission("gl.tax_code.upsert", {
+      resolveScope: (req, tenantId) => {
+        const legalEntityId = parsePositiveInt(req.body?.legalEntityId);
+        if (legalEntityId) {
+          return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+        }
+        return { scopeType: "TENANT", scopeId: tenantId };
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseTaxCodeCreateInput(req);
+      const row = await createTaxCode({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.status(201).json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+
+  router.get(
+    "/tax-codes/:taxCodeId",
+    requirePermission("gl.tax_code.read", {
+      resolveScope: async (req, tenantId) => {
+        return resolveTaxCodeScope(req.params?.taxCodeId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const tenantId = requireTenantId(req);
+      const taxCodeId = parseTaxCodeIdParam(req);
+      const row = await getTaxCodeByIdForTenant({
+        req,
+        tenantId,
+        taxCodeId,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId,
+        row,
+      });
+    })
+  );
+
+  router.put(
+    "/tax-codes/:taxCodeId",
+    requirePermission("gl.tax_code.upsert", {
+      resolveScope: async (req, tenantId) => {
+        return resolveTaxCodeScope(req.params?.taxCodeId, tenantId);
+      },
+    }),
+    asyncHandler(async (req, res) => {
+      const payload = parseTaxCodeUpdateInput(req);
+      const row = await updateTaxCodeById({
+        req,
+        payload,
+        assertScopeAccess,
+      });
+      return res.json({
+        tenantId: payload.tenantId,
+        row,
+      });
+    })
+  );
+}
@@ -0,0 +1,175 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseDateOnly,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const TAX_CODE_STATUSES = ["ACTIVE", "INACTIVE"];
+const TAX_TYPES = ["VAT", "VAT_EXEMPT"];
+
+function parsePercent(value, label, { fallback = null, allowHundred = false } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (fallback === null) {
+      throw badRequest(`${label} is required`);
+    }
+    return fallback;
+  }
+  const parsed = Number(value);
+  const upperBoundOk = allowHundred ? parsed <= 100 : parsed < 100;
+  if (!Number.isFinite(parsed) || parsed < 0 || !upperBoundOk) {
+    throw badRequest(
+      allowHundred ? `${label} must be between 0 and 100` : `${label} must be >= 0 and < 100`
+    );
+  }
+  return Number(parsed.toFixed(4));
+}
+
+function parseOptionalAccountId(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return optionalPositiveInt(value, label);
+}
+
+function parseOptionalDate(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return parseDateOnly(value, label);
+}
+
+export function parseTaxCodeIdParam(req) {
+  const taxCodeId = parsePositiveInt(req.params?.taxCodeId);
+  if (!taxCodeId) {
+    throw badRequest("taxCodeId must be a positive integer");
+  }
+  return taxCodeId;
+}
+
+export function parseTaxCodeReadFilters(req) {
+  const tenantId = requireTenantId(req);
+  const legalEntityId = optionalPositiveInt(req.query?.legalEntityId, "legalEntityId");
+  const q = normalizeText(req.query?.q, "q", 120);
+
+  const statusRaw = String(req.query?.status || "")
+    .trim()
+    .toUpperCase();
+  const status = statusRaw ? normalizeEnum(statusRaw, "status", TAX_CODE_STATUSES) : null;
+
+  const taxTypeRaw = String(req.query?.taxType || "")
+    .trim()
+    .toUpperCase();
+  const taxType = taxTypeRaw ? normalizeEnum(taxTypeRaw, "taxType", TAX_TYPES) : null;
+
+  const asOfDateRaw = String(req.query?.asOfDate || "").trim();
+  const asOfDate = asOfDateRaw ? parseDateOnly(asOfDateRaw, "asOfDate") : null;
+
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+
+  return {
+    tenantId,
+    legalEntityId,
+    q,
+    status,
+    taxType,
+    asOfDate,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parseTaxCodeCreateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const legalEntityId = optionalPositiveInt(req.body?.legalEntityId, "legalEntityId");
+  if (!legalEntityId) {
+    throw badRequest("legalEntityId is required");
+  }
+
+  const code = normalizeCode(req.body?.code, "code", 40);
+  const name = normalizeText(req.body?.name, "name", 190, { required: true });
+  const taxType = normalizeEnum(req.body?.taxType, "taxType", TAX_TYPES, "VAT");
+  const ratePct = parsePercent(req.body?.ratePct, "ratePct");
+  const deductiblePct = parsePercent(req.body?.deductiblePct, "deductiblePct", {
+    fallback: 100,
+    allowHundred: true,
+  });
+  const inputAccountId = parseOptionalAccountId(req.body?.inputAccountId, "inputAccountId") ?? null;
+  const outputAccountId =
+    parseOptionalAccountId(req.body?.outputAccountId, "outputAccountId") ?? null;
+  const effectiveFrom = parseDateOnly(req.body?.effectiveFrom, "effectiveFrom");
+  const effectiveTo = parseOptionalDate(req.body?.effectiveTo, "effectiveTo") ?? null;
+  if (effectiveTo && effectiveTo < effectiveFrom) {
+    throw badRequest("effectiveTo cannot be earlier than effectiveFrom");
+  }
+  const status = normalizeEnum(req.body?.status, "status", TAX_CODE_STATUSES, "ACTIVE");
+
+  return {
+    tenantId,
+    userId,
+    legalEntityId,
+    code,
+    name,
+    taxType,
+    ratePct,
+    deductiblePct,
+    inputAccountId,
+    outputAccountId,
+    effectiveFrom,
+    effectiveTo,
+    status,
+  };
+}
+
+export function parseTaxCodeUpdateInput(req) {
+  const tenantId = requireTenantId(req);
+  const userId = requireUserId(req);
+  const taxCodeId = parseTaxCodeIdParam(req);
+  const body = req.body || {};
+
+  if (body.code !== undefined || body.legalEntityId !== undefined) {
+    throw badRequest("code and legalEntityId cannot be changed; create a new tax code instead");
+  }
+
+  const payload = {
+    tenantId,
+    userId,
+    taxCodeId,
+    name:
+      body.name === undefined ? undefined : normalizeText(body.name, "name", 190, { required: true }),
+    taxType: body.taxType === undefined ? undefined : normalizeEnum(body.taxType, "taxType", TAX_TYPES),
+    ratePct: body.ratePct === undefined ? undefined : parsePercent(body.ratePct, "ratePct"),
+    deductiblePct:
+      body.deductiblePct === undefined
+        ? undefined
+        : parsePercent(body.deductiblePct, "deductiblePct", { allowHundred: true }),
+    inputAccountId: parseOptionalAccountId(body.inputAccountId, "inputAccountId"),
+    outputAccountId: parseOptionalAccountId(body.outputAccountId, "outputAccountId"),
+    effectiveFrom:
+      body.effectiveFrom === undefined ? undefined : parseDateOnly(body.effectiveFrom, "effectiveFrom"),
+    effectiveTo: parseOptionalDate(body.effectiveTo, "effectiveTo"),
+    status:
+      body.status === undefined ? undefined : normalizeEnum(body.status, "status", TAX_CODE_STATUSES),
+  };
+
+  const hasAnyMutationField = Object.entries(payload).some(
+    ([key, value]) => !["tenantId", "userId", "taxCodeId"].includes(key) && value !== undefined
+  );
+  if (!hasAnyMutationField) {
+    throw badRequest("At least one updatable field is required");
+  }
+
+  return payload;
+}
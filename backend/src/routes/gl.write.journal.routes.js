@@ -12,6 +12,12 @@ import {
   parsePositiveInt,
   resolveTenantId,
 } from "./_utils.js";
+import { parseDimensionAssignments } from "./gl.dimensions.validators.js";
+import {
+  copyJournalLineDimensionsTx,
+  insertJournalLineDimensionsTx,
+  validateLineDimensions,
+} from "../services/gl.dimensions.service.js";
 
 const CASH_CONTROL_MODES = new Set(["OFF", "WARN", "ENFORCE"]);
 
@@ -417,6 +423,15 @@ export function registerGlWriteJournalRoutes(router, deps = {}) {
         totalCredit += toAmount(line.creditBase);
         await validateJournalLineScope(req, tenantId, legalEntityId, line, i);
       }
+      const lineDimensions = await validateLineDimensions({
+        tenantId,
+        legalEntityId,
+        lines: lines.map((line, i) => ({
+          accountId: parsePositiveInt(line?.accountId),
+          dimensions: parseDimensionAssignments(line?.dimensions, `lines[${i}].dimensions`),
+          label: `lines[${i}]`,
+        })),
+      });
 
       const controlledAccounts = await loadCashControlledAccounts({
         tenantId,
@@ -488,6 +503,11 @@ export function registerGlWriteJournalRoutes(router, deps = {}) {
           userId,
           lines,
         });
+        await insertJournalLineDimensionsTx(tx, {
+          tenantId,
+          journalEntryId: createdJournalEntryId,
+          lines: lineDimensions.map((dimensions) => ({ dimensions })),
+        });
 
         const createdMirrorIds = [];
         for (const mirrorSpec of mirrorDraftSpecs) {
@@ -966,6 +986,12 @@ export function registerGlWriteJournalRoutes(router, deps = {}) {
           );
         }
 
+        await copyJournalLineDimensionsTx(tx, {
+          tenantId,
+          sourceJournalEntryId: journalId,
+          targetJournalEntryId: createdReversalJournalId,
+        });
+
         let markedReversed = false;
         if (autoPost) {
           const updateResult = await tx.query(
@@ -9,6 +9,8 @@ import {
   getOpsPayrollCloseStatus,
   getOpsPayrollImportHealth,
 } from "../services/ops.dashboard.service.js";
+import { getTreasuryLiquidityReport } from "../services/treasury.liquidity.service.js";
+import { parseTreasuryLiquidityFilters } from "./treasury.validators.js";
 
 const router = express.Router();
 
@@ -161,4 +163,20 @@ router.get(
   })
 );
 
+router.get(
+  "/treasury/liquidity",
+  requirePermission("ops.dashboard.read", { resolveScope: resolveOpsScope }),
+  asyncHandler(async (req, res) => {
+    const filters = parseTreasuryLiquidityFilters(req);
+    const result = await getTreasuryLiquidityReport({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
 export default router;
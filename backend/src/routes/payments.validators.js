@@ -11,6 +11,7 @@ import {
   requireTenantId,
   requireUserId,
 } from "./cash.validators.common.js";
+import { parsePaymentFileExportOptions } from "./bank.paymentFiles.validators.js";
 
 const PAYMENT_BATCH_STATUS_VALUES = [
   "DRAFT",
@@ -21,7 +22,7 @@ const PAYMENT_BATCH_STATUS_VALUES = [
   "CANCELLED",
 ];
 const PAYMENT_SOURCE_TYPE_VALUES = ["PAYROLL", "AP", "TAX", "MANUAL"];
-const EXPORT_FORMAT_VALUES = ["CSV"];
+const EXPORT_FORMAT_VALUES = ["CSV", "XML"];
 
 function normalizeEnumOrNull(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") {
@@ -201,11 +202,8 @@ export function parsePaymentBatchExportInput(req) {
     tenantId,
     userId,
     batchId,
-    format: normalizeEnum(
-      req.body?.format || "CSV",
-      "format",
-      EXPORT_FORMAT_VALUES
-    ),
+    format: normalizeEnumOrNull(req.body?.format, "format", EXPORT_FORMAT_VALUES),
+    ...parsePaymentFileExportOptions(req.body),
   };
 }
 
@@ -96,6 +96,7 @@ router.post(
       runId: payload.runId,
       idempotentReplay: Boolean(result?.idempotentReplay),
       accrualJournalEntryId: result?.accrualJournalEntryId || null,
+      payslipCount: result?.payslipCount ?? null,
       preview: result?.preview || null,
       row,
     });
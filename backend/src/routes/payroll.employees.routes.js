@@ -0,0 +1,138 @@
+import express from "express";
+import { assertScopeAccess, buildScopeFilter, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import {
+  createPayrollEmployee,
+  getPayrollEmployeeDetail,
+  listPayrollEmployees,
+  recordPayrollEmployeeChange,
+  recordPayrollEmployeeLeaveEntry,
+  resolvePayrollEmployeeScope,
+  updatePayrollEmployeeIdentity,
+} from "../services/payroll.employees.service.js";
+import {
+  parsePayrollEmployeeChangeInput,
+  parsePayrollEmployeeCreateInput,
+  parsePayrollEmployeeIdentityUpdateInput,
+  parsePayrollEmployeeLeaveEntryInput,
+  parsePayrollEmployeeListInput,
+  parsePayrollEmployeeReadInput,
+} from "./payroll.employees.validators.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId ?? req.query?.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveLegalEntityScopeFromBody(req) {
+  const legalEntityId = parsePositiveInt(req.body?.legalEntityId ?? req.body?.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveEmployeeScope(req, tenantId) {
+  return resolvePayrollEmployeeScope(req.params?.employeeId, tenantId);
+}
+
+router.get(
+  "/",
+  requirePermission("payroll.employee.read", { resolveScope: resolveLegalEntityScopeFromQuery }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollEmployeeListInput(req);
+    const result = await listPayrollEmployees({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/",
+  requirePermission("payroll.employee.write", { resolveScope: resolveLegalEntityScopeFromBody }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollEmployeeCreateInput(req);
+    const result = await createPayrollEmployee({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.get(
+  "/:employeeId",
+  requirePermission("payroll.employee.read", { resolveScope: resolveEmployeeScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollEmployeeReadInput(req);
+    const result = await getPayrollEmployeeDetail({
+      req,
+      tenantId: input.tenantId,
+      employeeId: input.employeeId,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.patch(
+  "/:employeeId",
+  requirePermission("payroll.employee.write", { resolveScope: resolveEmployeeScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollEmployeeIdentityUpdateInput(req);
+    const result = await updatePayrollEmployeeIdentity({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      employeeId: input.employeeId,
+      input,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/:employeeId/changes",
+  requirePermission("payroll.employee.write", { resolveScope: resolveEmployeeScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollEmployeeChangeInput(req);
+    const result = await recordPayrollEmployeeChange({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      employeeId: input.employeeId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/:employeeId/leave-entries",
+  requirePermission("payroll.employee.write", { resolveScope: resolveEmployeeScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollEmployeeLeaveEntryInput(req);
+    const result = await recordPayrollEmployeeLeaveEntry({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      employeeId: input.employeeId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+export default router;
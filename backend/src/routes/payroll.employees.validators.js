@@ -0,0 +1,223 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeCurrencyCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseAmount,
+  parseDateOnly,
+  parsePagination,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const EMPLOYEE_STATUS_VALUES = ["ACTIVE", "TERMINATED"];
+const CHANGE_TYPE_VALUES = [
+  "TRANSFER",
+  "SALARY_CHANGE",
+  "POSITION_CHANGE",
+  "UPDATE",
+  "TERMINATION",
+  "REHIRE",
+];
+const LEAVE_ENTRY_TYPE_VALUES = ["USED", "ADJUSTMENT"];
+
+function hasField(body, camelKey, snakeKey) {
+  return body?.[camelKey] !== undefined || body?.[snakeKey] !== undefined;
+}
+
+function parseEmployeeIdParam(req) {
+  const employeeId = parsePositiveInt(req.params?.employeeId ?? req.params?.id);
+  if (!employeeId) {
+    throw badRequest("employeeId must be a positive integer");
+  }
+  return employeeId;
+}
+
+// Attributes left out of the body stay undefined so the service can carry the prior value forward.
+function parseHistoryAttributes(body) {
+  const attributes = {};
+  if (hasField(body, "operatingUnitId", "operating_unit_id")) {
+    attributes.operatingUnitId = optionalPositiveInt(
+      body.operatingUnitId ?? body.operating_unit_id,
+      "operatingUnitId"
+    );
+  }
+  if (hasField(body, "costCenterCode", "cost_center_code")) {
+    attributes.costCenterCode = normalizeText(
+      body.costCenterCode ?? body.cost_center_code,
+      "costCenterCode",
+      100
+    );
+  }
+  if (hasField(body, "positionTitle", "position_title")) {
+    attributes.positionTitle = normalizeText(
+      body.positionTitle ?? body.position_title,
+      "positionTitle",
+      190
+    );
+  }
+  if (hasField(body, "baseSalary", "base_salary")) {
+    attributes.baseSalary = parseAmount(body.baseSalary ?? body.base_salary, "baseSalary", {
+      allowZero: true,
+    });
+  }
+  if (hasField(body, "salaryCurrencyCode", "salary_currency_code")) {
+    const raw = body.salaryCurrencyCode ?? body.salary_currency_code;
+    attributes.salaryCurrencyCode = raw ? normalizeCurrencyCode(raw, "salaryCurrencyCode") : null;
+  }
+  return attributes;
+}
+
+export function parsePayrollEmployeeListInput(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+  const statusRaw = req.query?.status;
+  const asOfRaw = req.query?.asOfDate ?? req.query?.as_of_date;
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    operatingUnitId: optionalPositiveInt(
+      req.query?.operatingUnitId ?? req.query?.operating_unit_id,
+      "operatingUnitId"
+    ),
+    status: statusRaw ? normalizeEnum(statusRaw, "status", EMPLOYEE_STATUS_VALUES) : null,
+    asOfDate: asOfRaw ? parseDateOnly(asOfRaw, "asOfDate") : null,
+    q: normalizeText(req.query?.q, "q", 120),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePayrollEmployeeReadInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    employeeId: parseEmployeeIdParam(req),
+  };
+}
+
+export function parsePayrollEmployeeCreateInput(req) {
+  const salaryCurrencyRaw = req.body?.salaryCurrencyCode ?? req.body?.salary_currency_code;
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(
+      req.body?.legalEntityId ?? req.body?.legal_entity_id,
+      "legalEntityId"
+    ),
+    employeeCode: normalizeCode(
+      req.body?.employeeCode ?? req.body?.employee_code,
+      "employeeCode",
+      100
+    ),
+    fullName: normalizeText(req.body?.fullName ?? req.body?.full_name, "fullName", 255, {
+      required: true,
+    }),
+    nationalId: normalizeText(req.body?.nationalId ?? req.body?.national_id, "nationalId", 32),
+    email: normalizeText(req.body?.email, "email", 255),
+    sgkNumber: normalizeText(req.body?.sgkNumber ?? req.body?.sgk_number, "sgkNumber", 40),
+    hireDate: parseDateOnly(req.body?.hireDate ?? req.body?.hire_date, "hireDate"),
+    operatingUnitId: optionalPositiveInt(
+      req.body?.operatingUnitId ?? req.body?.operating_unit_id,
+      "operatingUnitId"
+    ),
+    costCenterCode: normalizeText(
+      req.body?.costCenterCode ?? req.body?.cost_center_code,
+      "costCenterCode",
+      100
+    ),
+    positionTitle: normalizeText(
+      req.body?.positionTitle ?? req.body?.position_title,
+      "positionTitle",
+      190
+    ),
+    baseSalary: parseAmount(req.body?.baseSalary ?? req.body?.base_salary, "baseSalary", {
+      allowZero: true,
+    }),
+    salaryCurrencyCode: salaryCurrencyRaw
+      ? normalizeCurrencyCode(salaryCurrencyRaw, "salaryCurrencyCode")
+      : null,
+    note: normalizeText(req.body?.note, "note", 500),
+  };
+}
+
+export function parsePayrollEmployeeIdentityUpdateInput(req) {
+  const body = req.body || {};
+  const payload = {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    employeeId: parseEmployeeIdParam(req),
+  };
+  if (hasField(body, "fullName", "full_name")) {
+    payload.fullName = normalizeText(body.fullName ?? body.full_name, "fullName", 255);
+  }
+  if (hasField(body, "nationalId", "national_id")) {
+    payload.nationalId = normalizeText(body.nationalId ?? body.national_id, "nationalId", 32);
+  }
+  if (body.email !== undefined) {
+    payload.email = normalizeText(body.email, "email", 255);
+  }
+  if (hasField(body, "sgkNumber", "sgk_number")) {
+    payload.sgkNumber = normalizeText(body.sgkNumber ?? body.sgk_number, "sgkNumber", 40);
+  }
+  return payload;
+}
+
+export function parsePayrollEmployeeChangeInput(req) {
+  const body = req.body || {};
+  const changeType = normalizeEnum(
+    body.changeType ?? body.change_type,
+    "changeType",
+    CHANGE_TYPE_VALUES
+  );
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    employeeId: parseEmployeeIdParam(req),
+    changeType,
+    effectiveFrom: parseDateOnly(body.effectiveFrom ?? body.effective_from, "effectiveFrom"),
+    terminationReason:
+      changeType === "TERMINATION"
+        ? normalizeText(
+            body.terminationReason ?? body.termination_reason,
+            "terminationReason",
+            255,
+            { required: true }
+          )
+        : null,
+    note: normalizeText(body.note, "note", 500),
+    ...parseHistoryAttributes(body),
+  };
+}
+
+export function parsePayrollEmployeeLeaveEntryInput(req) {
+  const body = req.body || {};
+  const entryType = normalizeEnum(
+    body.entryType ?? body.entry_type,
+    "entryType",
+    LEAVE_ENTRY_TYPE_VALUES
+  );
+  const days = Number(body.days);
+  if (!Number.isFinite(days) || days === 0) {
+    throw badRequest("days must be a non-zero number");
+  }
+  if (entryType === "USED" && days < 0) {
+    throw badRequest("days must be positive for USED entries");
+  }
+  if (Math.abs(days) > 366) {
+    throw badRequest("days is out of range");
+  }
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    employeeId: parseEmployeeIdParam(req),
+    entryType,
+    entryDate: parseDateOnly(body.entryDate ?? body.entry_date, "entryDate"),
+    days: Number(days.toFixed(4)),
+    note: normalizeText(body.note, "note", 500),
+  };
+}
@@ -10,6 +10,7 @@ import {
   requireTenantId,
   requireUserId,
 } from "./cash.validators.common.js";
+import { parseDimensionAssignments } from "./gl.dimensions.validators.js";
 
 export const PAYROLL_COMPONENT_CODES = [
   "BASE_SALARY_EXPENSE",
@@ -24,6 +25,12 @@ export const PAYROLL_COMPONENT_CODES = [
   "EMPLOYER_TAX_PAYABLE",
   "EMPLOYER_SOCIAL_SECURITY_PAYABLE",
   "OTHER_DEDUCTIONS_PAYABLE",
+  "SEVERANCE_PROVISION_EXPENSE",
+  "SEVERANCE_PROVISION_LIABILITY",
+  "NOTICE_PROVISION_EXPENSE",
+  "NOTICE_PROVISION_LIABILITY",
+  "LEAVE_PROVISION_EXPENSE",
+  "LEAVE_PROVISION_LIABILITY",
 ];
 
 function normalizeUpperToken(value, label, maxLength, { required = false } = {}) {
@@ -155,6 +162,7 @@ export function parsePayrollMappingUpsertInput(req) {
       true
     ),
     notes: normalizeText(req.body?.notes, "notes", 500),
+    dimensions: parseDimensionAssignments(req.body?.dimensions),
   };
 }
 
@@ -0,0 +1,89 @@
+import express from "express";
+import { assertScopeAccess, buildScopeFilter, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { resolvePayrollRunScope } from "../services/payroll.runs.service.js";
+import {
+  downloadPayrollPayslip,
+  generatePayrollRunPayslips,
+  listPayrollPayslips,
+  resolvePayrollPayslipScope,
+} from "../services/payroll.payslips.service.js";
+import {
+  parsePayrollPayslipDownloadInput,
+  parsePayrollPayslipGenerateInput,
+  parsePayrollPayslipListInput,
+} from "./payroll.payslips.validators.js";
+
+const router = express.Router();
+
+async function resolveListScope(req, tenantId) {
+  const runId = parsePositiveInt(req.query?.runId ?? req.query?.run_id);
+  if (runId) {
+    return resolvePayrollRunScope(runId, tenantId);
+  }
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId ?? req.query?.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+router.get(
+  "/",
+  requirePermission("payroll.payslips.read", { resolveScope: resolveListScope }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollPayslipListInput(req);
+    const result = await listPayrollPayslips({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/runs/:runId/generate",
+  requirePermission("payroll.payslips.generate", {
+    resolveScope: async (req, tenantId) => resolvePayrollRunScope(req.params?.runId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollPayslipGenerateInput(req);
+    const result = await generatePayrollRunPayslips({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      runId: input.runId,
+      assertScopeAccess,
+    });
+    return res.status(result.createdCount > 0 ? 201 : 200).json({
+      tenantId: input.tenantId,
+      ...result,
+    });
+  })
+);
+
+router.get(
+  "/:payslipId/download",
+  requirePermission("payroll.payslips.download", {
+    resolveScope: async (req, tenantId) => resolvePayrollPayslipScope(req.params?.payslipId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollPayslipDownloadInput(req);
+    const file = await downloadPayrollPayslip({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      payslipId: input.payslipId,
+      format: input.format,
+      assertScopeAccess,
+    });
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${file.fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Content-SHA256", file.checksum);
+    return res.send(file.content);
+  })
+);
+
+export default router;
@@ -0,0 +1,58 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseDateOnly,
+  parsePagination,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const PAYSLIP_FORMAT_VALUES = ["PDF", "HTML"];
+
+function parseIdParam(req, key) {
+  const id = parsePositiveInt(req.params?.[key]);
+  if (!id) {
+    throw badRequest(`${key} must be a positive integer`);
+  }
+  return id;
+}
+
+export function parsePayrollPayslipListInput(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+  const payrollPeriodRaw = req.query?.payrollPeriod ?? req.query?.payroll_period;
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    runId: optionalPositiveInt(req.query?.runId ?? req.query?.run_id, "runId"),
+    employeeCode: normalizeText(
+      req.query?.employeeCode ?? req.query?.employee_code,
+      "employeeCode",
+      100
+    ),
+    payrollPeriod: payrollPeriodRaw ? parseDateOnly(payrollPeriodRaw, "payrollPeriod") : null,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePayrollPayslipGenerateInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    runId: parseIdParam(req, "runId"),
+  };
+}
+
+export function parsePayrollPayslipDownloadInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    payslipId: parseIdParam(req, "payslipId"),
+    format: normalizeEnum(req.query?.format, "format", PAYSLIP_FORMAT_VALUES, "PDF"),
+  };
+}
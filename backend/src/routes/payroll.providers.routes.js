@@ -19,6 +19,15 @@ import {
   updatePayrollProviderConnection,
 } from "../services/payroll.providers.service.js";
 import {
+  createPayrollCalculationParameterSet,
+  listPayrollCalculationParameterSets,
+  resolvePayrollCalculationParameterSetScope,
+  updatePayrollCalculationParameterSetStatus,
+} from "../services/payroll.calculationParameters.service.js";
+import {
+  parsePayrollCalculationParameterSetCreateInput,
+  parsePayrollCalculationParameterSetListInput,
+  parsePayrollCalculationParameterSetStatusInput,
   parsePayrollEmployeeProviderRefListInput,
   parsePayrollEmployeeProviderRefUpsertInput,
   parsePayrollProviderConnectionCreateInput,
@@ -112,6 +121,58 @@ router.patch(
   })
 );
 
+router.get(
+  "/calculation-parameter-sets",
+  requirePermission("payroll.provider.read", { resolveScope: resolveLegalEntityScopeFromQuery }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollCalculationParameterSetListInput(req);
+    const result = await listPayrollCalculationParameterSets({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/calculation-parameter-sets",
+  requirePermission("payroll.provider.write", { resolveScope: resolveLegalEntityScopeFromBody }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollCalculationParameterSetCreateInput(req);
+    const row = await createPayrollCalculationParameterSet({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(201).json({ tenantId: input.tenantId, row });
+  })
+);
+
+router.post(
+  "/calculation-parameter-sets/:parameterSetId/status",
+  requirePermission("payroll.provider.write", {
+    resolveScope: async (req, tenantId) =>
+      resolvePayrollCalculationParameterSetScope(req.params?.parameterSetId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollCalculationParameterSetStatusInput(req);
+    const row = await updatePayrollCalculationParameterSetStatus({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      parameterSetId: input.parameterSetId,
+      input,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, row });
+  })
+);
+
 router.get(
   "/employee-provider-refs",
   requirePermission("payroll.provider.mapping.read", { resolveScope: resolveLegalEntityScopeFromQuery }),
@@ -15,6 +15,7 @@ import {
 const CONNECTION_STATUS_VALUES = ["ACTIVE", "INACTIVE"];
 const IMPORT_JOB_STATUS_VALUES = ["PREVIEWED", "APPLYING", "APPLIED", "REJECTED", "FAILED"];
 const SOURCE_FORMAT_VALUES = ["CSV", "JSON"];
+const CALCULATION_PARAMETER_STATUS_VALUES = ["DRAFT", "ACTIVE", "RETIRED"];
 
 function normalizeEnumOrNull(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") {
@@ -364,3 +365,83 @@ export function parseSensitiveRetentionActionInput(req) {
       normalizeText(req.body?.reason, "reason", 500) || "Manual retention action",
   };
 }
+
+function parseParameterSetIdParam(req) {
+  const parameterSetId = parsePositiveInt(req.params?.parameterSetId ?? req.params?.id);
+  if (!parameterSetId) {
+    throw badRequest("parameterSetId must be a positive integer");
+  }
+  return parameterSetId;
+}
+
+function parseCountryCodeOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const countryCode = normalizeCode(value, "countryCode", 2);
+  if (!/^[A-Z]{2}$/.test(countryCode)) {
+    throw badRequest("countryCode must be a 2-letter ISO code");
+  }
+  return countryCode;
+}
+
+export function parsePayrollCalculationParameterSetListInput(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 300 });
+  const effectiveOnRaw = req.query?.effectiveOn ?? req.query?.effective_on;
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    countryCode: parseCountryCodeOrNull(req.query?.countryCode ?? req.query?.country_code),
+    status: normalizeEnumOrNull(req.query?.status, "status", CALCULATION_PARAMETER_STATUS_VALUES),
+    effectiveOn: effectiveOnRaw ? parseDateOnly(effectiveOnRaw, "effectiveOn") : null,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePayrollCalculationParameterSetCreateInput(req) {
+  const effectiveToRaw = req.body?.effectiveTo ?? req.body?.effective_to;
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: optionalPositiveInt(
+      req.body?.legalEntityId ?? req.body?.legal_entity_id,
+      "legalEntityId"
+    ),
+    countryCode: parseCountryCodeOrNull(req.body?.countryCode ?? req.body?.country_code) || "TR",
+    versionCode: normalizeCode(req.body?.versionCode ?? req.body?.version_code, "versionCode", 40),
+    effectiveFrom: parseDateOnly(req.body?.effectiveFrom ?? req.body?.effective_from, "effectiveFrom"),
+    effectiveTo: effectiveToRaw ? parseDateOnly(effectiveToRaw, "effectiveTo") : null,
+    status:
+      normalizeEnumOrNull(req.body?.status, "status", ["DRAFT", "ACTIVE"]) || "DRAFT",
+    parametersJson: parseJsonObjectField(
+      req.body?.parametersJson ?? req.body?.parameters_json,
+      "parametersJson",
+      { required: true }
+    ),
+    note: normalizeText(req.body?.note, "note", 500),
+  };
+}
+
+export function parsePayrollCalculationParameterSetStatusInput(req) {
+  const status = normalizeEnumOrNull(req.body?.status, "status", CALCULATION_PARAMETER_STATUS_VALUES);
+  if (!status) {
+    throw badRequest("status is required");
+  }
+  const hasEffectiveTo =
+    req.body?.effectiveTo !== undefined || req.body?.effective_to !== undefined;
+  const effectiveToRaw = req.body?.effectiveTo ?? req.body?.effective_to;
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    parameterSetId: parseParameterSetIdParam(req),
+    status,
+    effectiveTo: !hasEffectiveTo
+      ? undefined
+      : effectiveToRaw
+        ? parseDateOnly(effectiveToRaw, "effectiveTo")
+        : null,
+    note: normalizeText(req.body?.note, "note", 500),
+  };
+}
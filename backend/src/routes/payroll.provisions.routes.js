@@ -0,0 +1,99 @@
+import express from "express";
+import { assertScopeAccess, buildScopeFilter, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import {
+  calculatePayrollProvisionRun,
+  getPayrollProvisionRunDetail,
+  listPayrollProvisionRuns,
+  postPayrollProvisionRun,
+  resolvePayrollProvisionRunScope,
+} from "../services/payroll.provisions.service.js";
+import {
+  parsePayrollProvisionRunCalculateInput,
+  parsePayrollProvisionRunListInput,
+  parsePayrollProvisionRunPostInput,
+  parsePayrollProvisionRunReadInput,
+} from "./payroll.provisions.validators.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScopeFromQuery(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId ?? req.query?.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveLegalEntityScopeFromBody(req) {
+  const legalEntityId = parsePositiveInt(req.body?.legalEntityId ?? req.body?.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+function resolveRunScope(req, tenantId) {
+  return resolvePayrollProvisionRunScope(req.params?.runId, tenantId);
+}
+
+router.get(
+  "/",
+  requirePermission("payroll.provisions.read", { resolveScope: resolveLegalEntityScopeFromQuery }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollProvisionRunListInput(req);
+    const result = await listPayrollProvisionRuns({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/calculate",
+  requirePermission("payroll.provisions.post", { resolveScope: resolveLegalEntityScopeFromBody }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollProvisionRunCalculateInput(req);
+    const result = await calculatePayrollProvisionRun({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.get(
+  "/:runId",
+  requirePermission("payroll.provisions.read", { resolveScope: resolveRunScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollProvisionRunReadInput(req);
+    const result = await getPayrollProvisionRunDetail({
+      req,
+      tenantId: input.tenantId,
+      runId: input.runId,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/:runId/post",
+  requirePermission("payroll.provisions.post", { resolveScope: resolveRunScope }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollProvisionRunPostInput(req);
+    const result = await postPayrollProvisionRun({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      runId: input.runId,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+export default router;
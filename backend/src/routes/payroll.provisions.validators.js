@@ -0,0 +1,68 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCurrencyCode,
+  normalizeEnum,
+  optionalPositiveInt,
+  parseDateOnly,
+  parsePagination,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const PROVISION_RUN_STATUS_VALUES = ["DRAFT", "POSTED", "REVERSED"];
+
+function parseRunIdParam(req) {
+  const runId = parsePositiveInt(req.params?.runId ?? req.params?.id);
+  if (!runId) {
+    throw badRequest("runId must be a positive integer");
+  }
+  return runId;
+}
+
+export function parsePayrollProvisionRunListInput(req) {
+  const pagination = parsePagination(req.query, { limit: 50, offset: 0, maxLimit: 200 });
+  const statusRaw = req.query?.status;
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    status: statusRaw ? normalizeEnum(statusRaw, "status", PROVISION_RUN_STATUS_VALUES) : null,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePayrollProvisionRunReadInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    runId: parseRunIdParam(req),
+  };
+}
+
+export function parsePayrollProvisionRunCalculateInput(req) {
+  const currencyRaw = req.body?.currencyCode ?? req.body?.currency_code;
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(
+      req.body?.legalEntityId ?? req.body?.legal_entity_id,
+      "legalEntityId"
+    ),
+    periodEndDate: parseDateOnly(
+      req.body?.periodEndDate ?? req.body?.period_end_date,
+      "periodEndDate"
+    ),
+    currencyCode: currencyRaw ? normalizeCurrencyCode(currencyRaw, "currencyCode") : null,
+  };
+}
+
+export function parsePayrollProvisionRunPostInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    runId: parseRunIdParam(req),
+  };
+}
@@ -10,6 +10,7 @@ import {
 } from "./cash.validators.common.js";
 
 const PAYROLL_RUN_STATUS_VALUES = ["DRAFT", "IMPORTED", "REVIEWED", "FINALIZED"];
+const EMPLOYEE_CHECK_STATUS_VALUES = ["MATCHED", "UNKNOWN", "TERMINATED", "NOT_HIRED"];
 
 function normalizeEnumOrNull(value, label, allowedValues) {
   if (value === undefined || value === null || value === "") {
@@ -162,6 +163,11 @@ export function parsePayrollRunLineListFilters(req) {
     req.query?.costCenterCode ?? req.query?.cost_center_code,
     "costCenterCode"
   );
+  const employeeCheckStatus = normalizeEnumOrNull(
+    req.query?.employeeCheckStatus ?? req.query?.employee_check_status,
+    "employeeCheckStatus",
+    EMPLOYEE_CHECK_STATUS_VALUES
+  );
   const pagination = parsePagination(req.query, { limit: 200, offset: 0, maxLimit: 500 });
 
   return {
@@ -169,6 +175,7 @@ export function parsePayrollRunLineListFilters(req) {
     runId,
     q,
     costCenterCode,
+    employeeCheckStatus,
     limit: pagination.limit,
     offset: pagination.offset,
   };
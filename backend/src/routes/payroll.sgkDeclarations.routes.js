@@ -0,0 +1,142 @@
+import express from "express";
+import { assertScopeAccess, buildScopeFilter, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { resolvePeriodExportSnapshotScope } from "../services/exportSnapshots.service.js";
+import {
+  createPayrollSgkDeclarationExport,
+  downloadPayrollSgkDeclarationFile,
+  getPayrollSgkDeclarationDetail,
+  listPayrollSgkDeclarationFiles,
+  listPayrollSgkWorkplaces,
+  resolvePayrollSgkDeclarationFileScope,
+  upsertPayrollSgkWorkplace,
+} from "../services/payroll.sgkDeclarations.service.js";
+import {
+  parsePayrollSgkDeclarationCreateInput,
+  parsePayrollSgkDeclarationDownloadInput,
+  parsePayrollSgkDeclarationListInput,
+  parsePayrollSgkDeclarationReadInput,
+  parsePayrollSgkWorkplaceListInput,
+  parsePayrollSgkWorkplaceUpsertInput,
+} from "./payroll.sgkDeclarations.validators.js";
+
+const router = express.Router();
+
+function resolveLegalEntityScope(input = {}) {
+  const legalEntityId = parsePositiveInt(input.legalEntityId ?? input.legal_entity_id);
+  if (!legalEntityId) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+}
+
+router.get(
+  "/workplaces",
+  requirePermission("payroll.sgk.read", {
+    resolveScope: async (req) => resolveLegalEntityScope(req.query),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollSgkWorkplaceListInput(req);
+    const result = await listPayrollSgkWorkplaces({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/workplaces",
+  requirePermission("payroll.sgk.workplace.write", {
+    resolveScope: async (req) => resolveLegalEntityScope(req.body),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollSgkWorkplaceUpsertInput(req);
+    const row = await upsertPayrollSgkWorkplace({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, row });
+  })
+);
+
+router.get(
+  "/",
+  requirePermission("payroll.sgk.read", {
+    resolveScope: async (req) => resolveLegalEntityScope(req.query),
+  }),
+  asyncHandler(async (req, res) => {
+    const filters = parsePayrollSgkDeclarationListInput(req);
+    const result = await listPayrollSgkDeclarationFiles({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: filters.tenantId, ...result });
+  })
+);
+
+router.post(
+  "/",
+  requirePermission("payroll.sgk.export", {
+    resolveScope: async (req) => resolveLegalEntityScope(req.body),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollSgkDeclarationCreateInput(req);
+    const result = await createPayrollSgkDeclarationExport({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      input,
+      assertScopeAccess,
+    });
+    return res.status(result.idempotent ? 200 : 201).json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+router.get(
+  "/files/:fileId/download",
+  requirePermission("payroll.sgk.download", {
+    resolveScope: async (req, tenantId) => resolvePayrollSgkDeclarationFileScope(req.params?.fileId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollSgkDeclarationDownloadInput(req);
+    const file = await downloadPayrollSgkDeclarationFile({
+      req,
+      tenantId: input.tenantId,
+      userId: input.userId,
+      fileId: input.fileId,
+      assertScopeAccess,
+    });
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${file.fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Content-SHA256", file.checksum);
+    return res.send(file.content);
+  })
+);
+
+router.get(
+  "/:snapshotId",
+  requirePermission("payroll.sgk.read", {
+    resolveScope: async (req, tenantId) => resolvePeriodExportSnapshotScope(req.params?.snapshotId, tenantId),
+  }),
+  asyncHandler(async (req, res) => {
+    const input = parsePayrollSgkDeclarationReadInput(req);
+    const result = await getPayrollSgkDeclarationDetail({
+      req,
+      tenantId: input.tenantId,
+      snapshotId: input.snapshotId,
+      assertScopeAccess,
+    });
+    return res.json({ tenantId: input.tenantId, ...result });
+  })
+);
+
+export default router;
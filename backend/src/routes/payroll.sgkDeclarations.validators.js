@@ -0,0 +1,114 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCode,
+  normalizeEnum,
+  normalizeText,
+  optionalPositiveInt,
+  parseBooleanFlag,
+  parseDateOnly,
+  parsePagination,
+  requirePositiveInt,
+  requireTenantId,
+  requireUserId,
+} from "./cash.validators.common.js";
+
+const WORKPLACE_STATUS_VALUES = ["ACTIVE", "INACTIVE"];
+
+function parseIdParam(req, key) {
+  const id = parsePositiveInt(req.params?.[key]);
+  if (!id) {
+    throw badRequest(`${key} must be a positive integer`);
+  }
+  return id;
+}
+
+// Accepts YYYY-MM as well as a full date; the declaration month is what matters.
+function parsePayrollMonth(value, { required = false } = {}) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    if (required) throw badRequest("payrollPeriod is required");
+    return null;
+  }
+  return parseDateOnly(/^\d{4}-\d{2}$/.test(raw) ? `${raw}-01` : raw, "payrollPeriod");
+}
+
+function parseSgkRegistrationNo(value) {
+  const normalized = String(value || "").replace(/[\s.-]+/g, "");
+  if (!/^\d{10,26}$/.test(normalized)) {
+    throw badRequest("sgkRegistrationNo must be 10 to 26 digits");
+  }
+  return normalized;
+}
+
+export function parsePayrollSgkWorkplaceListInput(req) {
+  const statusRaw = req.query?.status;
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    status: statusRaw ? normalizeEnum(statusRaw, "status", WORKPLACE_STATUS_VALUES) : null,
+  };
+}
+
+export function parsePayrollSgkWorkplaceUpsertInput(req) {
+  const body = req.body || {};
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(body.legalEntityId ?? body.legal_entity_id, "legalEntityId"),
+    workplaceCode: normalizeCode(body.workplaceCode ?? body.workplace_code, "workplaceCode", 40),
+    workplaceName: normalizeText(body.workplaceName ?? body.workplace_name, "workplaceName", 190, {
+      required: true,
+    }),
+    sgkRegistrationNo: parseSgkRegistrationNo(body.sgkRegistrationNo ?? body.sgk_registration_no),
+    operatingUnitId: optionalPositiveInt(
+      body.operatingUnitId ?? body.operating_unit_id,
+      "operatingUnitId"
+    ),
+    isDefault: parseBooleanFlag(body.isDefault ?? body.is_default, false),
+    status: normalizeEnum(body.status, "status", WORKPLACE_STATUS_VALUES, "ACTIVE"),
+  };
+}
+
+export function parsePayrollSgkDeclarationListInput(req) {
+  const pagination = parsePagination(req.query, { limit: 100, offset: 0, maxLimit: 500 });
+  return {
+    tenantId: requireTenantId(req),
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    snapshotId: optionalPositiveInt(req.query?.snapshotId ?? req.query?.snapshot_id, "snapshotId"),
+    payrollPeriod: parsePayrollMonth(req.query?.payrollPeriod ?? req.query?.payroll_period),
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+}
+
+export function parsePayrollSgkDeclarationCreateInput(req) {
+  const body = req.body || {};
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    legalEntityId: requirePositiveInt(body.legalEntityId ?? body.legal_entity_id, "legalEntityId"),
+    payrollPeriod: parsePayrollMonth(body.payrollPeriod ?? body.payroll_period, { required: true }),
+    idempotencyKey: normalizeText(body.idempotencyKey ?? body.idempotency_key, "idempotencyKey", 190),
+  };
+}
+
+export function parsePayrollSgkDeclarationReadInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    snapshotId: parseIdParam(req, "snapshotId"),
+  };
+}
+
+export function parsePayrollSgkDeclarationDownloadInput(req) {
+  return {
+    tenantId: requireTenantId(req),
+    userId: requireUserId(req),
+    fileId: parseIdParam(req, "fileId"),
+  };
+}
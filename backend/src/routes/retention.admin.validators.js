@@ -215,6 +215,7 @@ export function parseExportSnapshotListInput(req) {
       req.query?.payrollPeriodCloseId ?? req.query?.payroll_period_close_id ?? req.query?.closeId,
       "payrollPeriodCloseId"
     ),
+    snapshotType: optionalUpper(req.query?.snapshotType ?? req.query?.snapshot_type, "snapshotType", 40),
     status: optionalUpper(req.query?.status, "status", 20),
     periodStart: optionalDate(req.query?.periodStart ?? req.query?.period_start, "periodStart"),
     periodEnd: optionalDate(req.query?.periodEnd ?? req.query?.period_end, "periodEnd"),
@@ -0,0 +1,37 @@
+import express from "express";
+import { assertScopeAccess, buildScopeFilter, requirePermission } from "../middleware/rbac.js";
+import { asyncHandler, parsePositiveInt } from "./_utils.js";
+import { getTreasuryLiquidityReport } from "../services/treasury.liquidity.service.js";
+import { parseTreasuryLiquidityFilters } from "./treasury.validators.js";
+
+const router = express.Router();
+
+async function resolveTreasuryScope(req) {
+  const legalEntityId = parsePositiveInt(req.query?.legalEntityId ?? req.query?.legal_entity_id);
+  if (legalEntityId) {
+    return { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId };
+  }
+  return null;
+}
+
+router.get(
+  "/liquidity-report",
+  requirePermission("treasury.liquidity.read", { resolveScope: resolveTreasuryScope }),
+  asyncHandler(async (req, res) => {
+    const filters = parseTreasuryLiquidityFilters(req);
+    const result = await getTreasuryLiquidityReport({
+      req,
+      tenantId: filters.tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+    });
+
+    return res.json({
+      tenantId: filters.tenantId,
+      ...result,
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,47 @@
+import { badRequest, parsePositiveInt } from "./_utils.js";
+import {
+  normalizeCurrencyCode,
+  normalizeEnum,
+  optionalPositiveInt,
+  parseDateOnly,
+  requireTenantId,
+} from "./cash.validators.common.js";
+
+const FX_RATE_TYPE_VALUES = ["SPOT", "CLOSING", "AVERAGE"];
+const MAX_FORECAST_WEEKS = 26;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+export function parseTreasuryLiquidityFilters(req) {
+  const tenantId = requireTenantId(req);
+  const asOfRaw = req.query?.asOfDate ?? req.query?.as_of_date;
+  const weeksRaw = req.query?.weeks;
+  const currencyRaw = req.query?.groupCurrencyCode ?? req.query?.group_currency_code;
+  const rateTypeRaw = req.query?.rateType ?? req.query?.rate_type;
+
+  let weeks = null;
+  if (!isBlank(weeksRaw)) {
+    weeks = parsePositiveInt(weeksRaw);
+    if (!weeks || weeks > MAX_FORECAST_WEEKS) {
+      throw badRequest(`weeks must be an integer between 1 and ${MAX_FORECAST_WEEKS}`);
+    }
+  }
+
+  return {
+    tenantId,
+    legalEntityId: optionalPositiveInt(
+      req.query?.legalEntityId ?? req.query?.legal_entity_id,
+      "legalEntityId"
+    ),
+    asOfDate: isBlank(asOfRaw) ? null : parseDateOnly(asOfRaw, "asOfDate"),
+    weeks,
+    groupCurrencyCode: isBlank(currencyRaw)
+      ? null
+      : normalizeCurrencyCode(currencyRaw, "groupCurrencyCode"),
+    rateType: isBlank(rateTypeRaw)
+      ? null
+      : normalizeEnum(rateTypeRaw, "rateType", FX_RATE_TYPE_VALUES),
+  };
+}
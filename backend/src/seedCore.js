@@ -68,11 +68,22 @@ const PERMISSIONS = [
   ["gl.account.read", "Read accounts"],
   ["gl.account.upsert", "Create/update accounts"],
   ["gl.account_mapping.upsert", "Create/update account mappings"],
+  ["gl.tax_code.read", "Read VAT/KDV tax codes"],
+  ["gl.tax_code.upsert", "Create/update VAT/KDV tax codes"],
+  ["gl.dimension.read", "Read analytic dimension types, values and account rules"],
+  ["gl.dimension.upsert", "Create/update analytic dimensions and account dimension rules"],
+  ["gl.kdv_return.read", "Read KDV return report and box mappings"],
+  ["gl.kdv_return.mapping.upsert", "Create/update KDV return box mappings"],
+  ["gl.budget.read", "Read budget versions and budget-vs-actual reports"],
+  ["gl.budget.upsert", "Create/update budget versions, lines and CSV imports"],
+  ["gl.budget.approve", "Approve/archive budget versions"],
   ["gl.journal.read", "Read journals"],
   ["gl.journal.create", "Create journals"],
   ["gl.journal.post", "Post journals"],
   ["gl.journal.reverse", "Reverse posted journals"],
   ["gl.trial_balance.read", "Read trial balance"],
+  ["gl.cash_flow.read", "Read cash-flow mappings and cash-flow statements"],
+  ["gl.cash_flow.upsert", "Create/update/delete cash-flow account mappings"],
   ["gl.period.close", "Close accounting periods"],
   ["cash.register.read", "Read cash registers"],
   ["cash.register.upsert", "Create/update cash registers"],
@@ -149,6 +160,7 @@ const PERMISSIONS = [
   ["ops.jobs.manage", "Cancel/requeue tenant-scoped background jobs"],
   ["ops.jobs.run", "Run one tenant-scoped background job manually (admin/ops)"],
   ["ops.dashboard.read", "Read operational dashboard KPI/SLA/health summaries"],
+  ["treasury.liquidity.read", "Read daily cash position and short-term liquidity forecast"],
   ["ops.exceptions.read", "Read unified exception workbench queue and audit"],
   ["ops.exceptions.manage", "Claim/resolve/ignore/reopen unified exceptions"],
   ["ops.retention.read", "Read data retention policies/runs and retention execution history (H07)"],
@@ -171,6 +183,17 @@ const PERMISSIONS = [
   ["payroll.beneficiary.write", "Create/update payroll beneficiary bank master accounts"],
   ["payroll.beneficiary.set_primary", "Set primary payroll beneficiary bank account"],
   ["payroll.beneficiary.snapshot.read", "Read payroll liability beneficiary bank snapshots"],
+  ["payroll.employee.read", "Read payroll employee master and employment history"],
+  ["payroll.employee.write", "Create payroll employees and record effective-dated employment changes"],
+  ["payroll.provisions.read", "Read severance, notice and unused leave provision runs"],
+  ["payroll.provisions.post", "Calculate payroll provision runs and post provision accrual journals"],
+  ["payroll.payslips.read", "Read payroll payslip register (masked, without document content)"],
+  ["payroll.payslips.generate", "Generate missing payslips for finalized payroll runs"],
+  ["payroll.payslips.download", "Download individual payslip PDF/HTML documents (audited)"],
+  ["payroll.sgk.read", "Read SGK workplaces and monthly APHB/MUHSGK declaration export register"],
+  ["payroll.sgk.workplace.write", "Create/update SGK workplace registrations"],
+  ["payroll.sgk.export", "Generate monthly APHB/MUHSGK declaration exports reconciled to payroll liabilities"],
+  ["payroll.sgk.download", "Download SGK declaration files with full national IDs (audited)"],
   ["payroll.close.read", "Read payroll close controls, checklist results, and close audit"],
   ["payroll.close.prepare", "Prepare payroll close checklist and lock flags for a payroll period"],
   ["payroll.close.request", "Request payroll period close after checklist passes (maker)"],
@@ -186,8 +209,13 @@ const PERMISSIONS = [
   ["cari.doc.update", "Update draft Cari documents"],
   ["cari.doc.post", "Post Cari documents"],
   ["cari.doc.reverse", "Reverse posted Cari documents"],
+  ["cari.einvoice.read", "Read Cari e-invoice (UBL-TR) artifacts"],
+  ["cari.einvoice.manage", "Generate/submit Cari e-invoices"],
+  ["cari.einvoice.import", "Import incoming e-invoices into Cari AP drafts"],
   ["cari.settlement.apply", "Apply Cari settlement allocations"],
   ["cari.settlement.reverse", "Reverse Cari settlement batches"],
+  ["cari.portfolio.read", "Read Cari cheque/note portfolio"],
+  ["cari.portfolio.manage", "Register and move Cari cheques/notes through the portfolio lifecycle"],
   ["cari.report.read", "Read Cari reports"],
   ["cari.fx.override", "Override Cari FX rates during posting/settlement"],
   ["cari.audit.read", "Read Cari audit trail"],
@@ -207,6 +235,12 @@ const PERMISSIONS = [
   ["revenue.run.post", "Post revenue-recognition runs"],
   ["revenue.run.reverse", "Reverse revenue-recognition runs"],
   ["revenue.report.read", "Read revenue-recognition reports"],
+  ["fa.asset.read", "Read fixed asset classes, assets and depreciation runs"],
+  ["fa.asset.upsert", "Create/update fixed asset classes and assets, capitalise AP invoices"],
+  ["fa.asset.dispose", "Dispose fixed assets with gain/loss posting"],
+  ["fa.depreciation.run", "Preview, create and cancel depreciation runs"],
+  ["fa.depreciation.post", "Post depreciation runs to the GL"],
+  ["fa.depreciation.reverse", "Reverse posted depreciation runs"],
   ["fx.rate.bulk_upsert", "Bulk upsert FX rates"],
   ["fx.rate.read", "Read FX rates"],
   ["intercompany.flag.read", "Read legal entity intercompany flags"],
@@ -232,6 +266,7 @@ const PERMISSIONS = [
   ["consolidation.report.summary.read", "Read consolidation summary report"],
   ["consolidation.report.balance_sheet.read", "Read consolidation balance sheet"],
   ["consolidation.report.income_statement.read", "Read consolidation income statement"],
+  ["consolidation.report.cash_flow.read", "Read consolidation cash-flow statement"],
   ["onboarding.company.setup", "Run company onboarding bootstrap flow"],
 ];
 
@@ -256,8 +291,14 @@ const ROLE_DEFINITIONS = [
       "gl.book.read",
       "gl.coa.read",
       "gl.account.read",
+      "gl.tax_code.read",
+      "gl.dimension.read",
+      "gl.kdv_return.read",
+      "gl.budget.read",
+      "gl.budget.approve",
       "gl.journal.read",
       "gl.trial_balance.read",
+      "gl.cash_flow.read",
       "cash.register.read",
       "bank.accounts.read",
       "bank.connectors.read",
@@ -282,6 +323,7 @@ const ROLE_DEFINITIONS = [
       "security.sensitive_data.audit.read",
       "ops.jobs.read",
       "ops.dashboard.read",
+      "treasury.liquidity.read",
       "ops.exceptions.read",
       "ops.retention.read",
       "ops.export_snapshot.read",
@@ -291,6 +333,10 @@ const ROLE_DEFINITIONS = [
       "payroll.settlement.override.read",
       "payroll.beneficiary.read",
       "payroll.beneficiary.snapshot.read",
+      "payroll.employee.read",
+      "payroll.provisions.read",
+      "payroll.payslips.read",
+      "payroll.sgk.read",
       "payroll.close.read",
       "payroll.corrections.read",
       "cash.txn.read",
@@ -298,6 +344,8 @@ const ROLE_DEFINITIONS = [
       "cash.report.read",
       "cari.card.read",
       "cari.doc.read",
+      "cari.einvoice.read",
+      "cari.portfolio.read",
       "cari.report.read",
       "cari.audit.read",
       "contract.read",
@@ -308,6 +356,7 @@ const ROLE_DEFINITIONS = [
       "revenue.run.post",
       "revenue.run.reverse",
       "revenue.report.read",
+      "fa.asset.read",
       "intercompany.flag.read",
       "intercompany.flag.upsert",
       "fx.rate.read",
@@ -332,6 +381,7 @@ const ROLE_DEFINITIONS = [
       "consolidation.report.summary.read",
       "consolidation.report.balance_sheet.read",
       "consolidation.report.income_statement.read",
+      "consolidation.report.cash_flow.read",
     ],
   },
   {
@@ -350,11 +400,22 @@ const ROLE_DEFINITIONS = [
       "gl.account.read",
       "gl.account.upsert",
       "gl.account_mapping.upsert",
+      "gl.tax_code.read",
+      "gl.tax_code.upsert",
+      "gl.dimension.read",
+      "gl.dimension.upsert",
+      "gl.kdv_return.read",
+      "gl.kdv_return.mapping.upsert",
+      "gl.budget.read",
+      "gl.budget.upsert",
+      "gl.budget.approve",
       "gl.journal.read",
       "gl.journal.create",
       "gl.journal.post",
       "gl.journal.reverse",
       "gl.trial_balance.read",
+      "gl.cash_flow.read",
+      "gl.cash_flow.upsert",
       "gl.period.close",
       "cash.register.read",
       "cash.register.upsert",
@@ -431,6 +492,7 @@ const ROLE_DEFINITIONS = [
       "ops.jobs.manage",
       "ops.jobs.run",
       "ops.dashboard.read",
+      "treasury.liquidity.read",
       "ops.exceptions.read",
       "ops.exceptions.manage",
       "ops.retention.read",
@@ -453,6 +515,17 @@ const ROLE_DEFINITIONS = [
       "payroll.beneficiary.write",
       "payroll.beneficiary.set_primary",
       "payroll.beneficiary.snapshot.read",
+      "payroll.employee.read",
+      "payroll.employee.write",
+      "payroll.provisions.read",
+      "payroll.provisions.post",
+      "payroll.payslips.read",
+      "payroll.payslips.generate",
+      "payroll.payslips.download",
+      "payroll.sgk.read",
+      "payroll.sgk.workplace.write",
+      "payroll.sgk.export",
+      "payroll.sgk.download",
       "payroll.close.read",
       "payroll.close.prepare",
       "payroll.close.request",
@@ -464,11 +537,16 @@ const ROLE_DEFINITIONS = [
       "cari.card.read",
       "cari.card.upsert",
       "cari.doc.read",
+      "cari.einvoice.read",
+      "cari.portfolio.read",
       "cari.doc.create",
+      "cari.einvoice.import",
       "cari.doc.update",
       "cari.doc.post",
+      "cari.einvoice.manage",
       "cari.doc.reverse",
       "cari.settlement.apply",
+      "cari.portfolio.manage",
       "cari.settlement.reverse",
       "cari.report.read",
       "cari.fx.override",
@@ -488,6 +566,12 @@ const ROLE_DEFINITIONS = [
       "revenue.run.post",
       "revenue.run.reverse",
       "revenue.report.read",
+      "fa.asset.read",
+      "fa.asset.upsert",
+      "fa.asset.dispose",
+      "fa.depreciation.run",
+      "fa.depreciation.post",
+      "fa.depreciation.reverse",
       "intercompany.flag.read",
       "intercompany.flag.upsert",
       "fx.rate.read",
@@ -507,11 +591,21 @@ const ROLE_DEFINITIONS = [
       "gl.account.read",
       "gl.account.upsert",
       "gl.account_mapping.upsert",
+      "gl.tax_code.read",
+      "gl.tax_code.upsert",
+      "gl.dimension.read",
+      "gl.dimension.upsert",
+      "gl.kdv_return.read",
+      "gl.kdv_return.mapping.upsert",
+      "gl.budget.read",
+      "gl.budget.upsert",
       "gl.journal.read",
       "gl.journal.create",
       "gl.journal.post",
       "gl.journal.reverse",
       "gl.trial_balance.read",
+      "gl.cash_flow.read",
+      "gl.cash_flow.upsert",
       "gl.period.close",
       "cash.register.read",
       "bank.accounts.read",
@@ -577,6 +671,7 @@ const ROLE_DEFINITIONS = [
       "ops.jobs.manage",
       "ops.jobs.run",
       "ops.dashboard.read",
+      "treasury.liquidity.read",
       "ops.exceptions.read",
       "ops.exceptions.manage",
       "ops.retention.read",
@@ -599,6 +694,17 @@ const ROLE_DEFINITIONS = [
       "payroll.beneficiary.write",
       "payroll.beneficiary.set_primary",
       "payroll.beneficiary.snapshot.read",
+      "payroll.employee.read",
+      "payroll.employee.write",
+      "payroll.provisions.read",
+      "payroll.provisions.post",
+      "payroll.payslips.read",
+      "payroll.payslips.generate",
+      "payroll.payslips.download",
+      "payroll.sgk.read",
+      "payroll.sgk.workplace.write",
+      "payroll.sgk.export",
+      "payroll.sgk.download",
       "payroll.close.read",
       "payroll.close.prepare",
       "payroll.close.request",
@@ -618,11 +724,16 @@ const ROLE_DEFINITIONS = [
       "cari.card.read",
       "cari.card.upsert",
       "cari.doc.read",
+      "cari.einvoice.read",
+      "cari.portfolio.read",
       "cari.doc.create",
+      "cari.einvoice.import",
       "cari.doc.update",
       "cari.doc.post",
+      "cari.einvoice.manage",
       "cari.doc.reverse",
       "cari.settlement.apply",
+      "cari.portfolio.manage",
       "cari.settlement.reverse",
       "cari.report.read",
       "cari.bank.attach",
@@ -641,6 +752,12 @@ const ROLE_DEFINITIONS = [
       "revenue.run.post",
       "revenue.run.reverse",
       "revenue.report.read",
+      "fa.asset.read",
+      "fa.asset.upsert",
+      "fa.asset.dispose",
+      "fa.depreciation.run",
+      "fa.depreciation.post",
+      "fa.depreciation.reverse",
       "intercompany.flag.read",
       "intercompany.flag.upsert",
       "fx.rate.read",
@@ -670,9 +787,13 @@ const ROLE_DEFINITIONS = [
       "cash.report.read",
       "cari.card.read",
       "cari.doc.read",
+      "cari.einvoice.read",
+      "cari.portfolio.read",
       "cari.doc.create",
+      "cari.einvoice.import",
       "cari.doc.update",
       "cari.settlement.apply",
+      "cari.portfolio.manage",
       "cari.report.read",
       "cari.bank.attach",
       "contract.read",
@@ -695,8 +816,13 @@ const ROLE_DEFINITIONS = [
       "gl.book.read",
       "gl.coa.read",
       "gl.account.read",
+      "gl.tax_code.read",
+      "gl.dimension.read",
+      "gl.kdv_return.read",
+      "gl.budget.read",
       "gl.journal.read",
       "gl.trial_balance.read",
+      "gl.cash_flow.read",
       "cash.register.read",
       "bank.accounts.read",
       "bank.connectors.read",
@@ -721,6 +847,7 @@ const ROLE_DEFINITIONS = [
       "security.sensitive_data.audit.read",
       "ops.jobs.read",
       "ops.dashboard.read",
+      "treasury.liquidity.read",
       "ops.exceptions.read",
       "ops.retention.read",
       "ops.export_snapshot.read",
@@ -730,24 +857,32 @@ const ROLE_DEFINITIONS = [
       "payroll.settlement.override.read",
       "payroll.beneficiary.read",
       "payroll.beneficiary.snapshot.read",
+      "payroll.employee.read",
+      "payroll.provisions.read",
+      "payroll.payslips.read",
+      "payroll.sgk.read",
       "payroll.close.read",
       "payroll.corrections.read",
       "cash.txn.read",
       "cash.report.read",
       "cari.card.read",
       "cari.doc.read",
+      "cari.einvoice.read",
+      "cari.portfolio.read",
       "cari.report.read",
       "cari.audit.read",
       "contract.read",
       "revenue.schedule.read",
       "revenue.run.read",
       "revenue.report.read",
+      "fa.asset.read",
       "fx.rate.read",
       "consolidation.run.read",
       "consolidation.report.trial_balance.read",
       "consolidation.report.summary.read",
       "consolidation.report.balance_sheet.read",
       "consolidation.report.income_statement.read",
+      "consolidation.report.cash_flow.read",
     ],
   },
 ];
@@ -67,6 +67,9 @@ async function findBankAccountById({ tenantId, bankAccountId, runQuery = query }
         ba.branch_name,
         ba.iban,
         ba.account_no,
+        ba.swift_bic,
+        ba.payment_file_format_code,
+        ba.payment_charge_bearer,
         ba.is_active,
         ba.created_by_user_id,
         ba.created_at,
@@ -183,10 +186,13 @@ async function insertBankAccount({ payload, runQuery = query }) {
         branch_name,
         iban,
         account_no,
+        swift_bic,
+        payment_file_format_code,
+        payment_charge_bearer,
         is_active,
         created_by_user_id
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       payload.tenantId,
       payload.legalEntityId,
@@ -198,6 +204,9 @@ async function insertBankAccount({ payload, runQuery = query }) {
       toNullableString(payload.branchName, 255),
       toNullableString(payload.iban, 64),
       toNullableString(payload.accountNo, 80),
+      toNullableString(payload.swiftBic, 11),
+      toNullableString(payload.paymentFileFormatCode, 50),
+      toNullableString(payload.paymentChargeBearer, 4),
       payload.isActive ? 1 : 0,
       payload.userId,
     ]
@@ -216,6 +225,9 @@ async function updateBankAccountRow({ bankAccountId, payload, runQuery = query }
          branch_name = ?,
          iban = ?,
          account_no = ?,
+         swift_bic = ?,
+         payment_file_format_code = ?,
+         payment_charge_bearer = ?,
          is_active = ?
      WHERE id = ?`,
     [
@@ -227,6 +239,9 @@ async function updateBankAccountRow({ bankAccountId, payload, runQuery = query }
       toNullableString(payload.branchName, 255),
       toNullableString(payload.iban, 64),
       toNullableString(payload.accountNo, 80),
+      toNullableString(payload.swiftBic, 11),
+      toNullableString(payload.paymentFileFormatCode, 50),
+      toNullableString(payload.paymentChargeBearer, 4),
       payload.isActive ? 1 : 0,
       bankAccountId,
     ]
@@ -311,6 +326,9 @@ export async function listBankAccountRows({
         ba.branch_name,
         ba.iban,
         ba.account_no,
+        ba.swift_bic,
+        ba.payment_file_format_code,
+        ba.payment_charge_bearer,
         ba.is_active,
         ba.created_by_user_id,
         ba.created_at,
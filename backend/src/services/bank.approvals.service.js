@@ -370,6 +370,16 @@ async function executeApprovalAction({ requestRow, approvedByUserId }) {
     });
   }
 
+  if (moduleCode === "GL" && targetType === "BUDGET_VERSION" && actionType === "APPROVE") {
+    const mod = await import("./gl.budgets.service.js");
+    return mod.executeApprovedGlBudgetVersionApproval({
+      tenantId,
+      approvalRequestId: requestId,
+      approvedByUserId,
+      payload,
+    });
+  }
+
   throw conflict(`No approval execution resolver for ${moduleCode}/${targetType}/${actionType}`);
 }
 
@@ -1,3 +1,4 @@
+import crypto from "node:crypto";
 import { query, withTransaction } from "../db.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
 import {
@@ -6,8 +7,15 @@ import {
   parseEnvelopeText,
   serializeEnvelope,
 } from "../utils/cryptoEnvelope.js";
-import { getBankConnectorAdapter } from "./bankConnectorAdapters/index.js";
-import { importNormalizedBankStatementLines } from "./bank.statements.service.js";
+import {
+  assertBankConnectorConfig,
+  getBankConnectorAdapter,
+} from "./bankConnectorAdapters/index.js";
+import {
+  detectBankStatementFile,
+  importBankStatementFile,
+  importNormalizedBankStatementLines,
+} from "./bank.statements.service.js";
 
 function u(value) {
   return String(value || "")
@@ -29,6 +37,16 @@ function safeJson(value) {
   return JSON.stringify(value ?? null);
 }
 
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function normalizeAccountIdentifier(value) {
+  return String(value || "")
+    .replace(/[\s\-/]/g, "")
+    .toUpperCase();
+}
+
 function isDuplicateEntryError(err) {
   return Number(err?.errno) === 1062 || u(err?.code) === "ER_DUP_ENTRY";
 }
@@ -107,7 +125,9 @@ async function getConnectorAccountLinks({ tenantId, legalEntityId, connectorId,
         l.*,
         ba.code AS bank_account_code,
         ba.name AS bank_account_name,
-        ba.currency_code AS bank_account_currency_code
+        ba.currency_code AS bank_account_currency_code,
+        ba.iban AS bank_account_iban,
+        ba.account_no AS bank_account_no
      FROM bank_connector_account_links l
      JOIN bank_accounts ba
        ON ba.tenant_id = l.tenant_id
@@ -183,6 +203,7 @@ async function assertConnectorScope(req, connectorRow, assertScopeAccess) {
 
 async function createConnectorSyncRun({
   connectorRow,
+  runType = "STATEMENT_PULL",
   requestId = null,
   fromDate = null,
   toDate = null,
@@ -202,11 +223,12 @@ async function createConnectorSyncRun({
           window_to,
           cursor_before,
           triggered_by_user_id
-        ) VALUES (?, ?, ?, 'STATEMENT_PULL', 'RUNNING', ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, 'RUNNING', ?, ?, ?, ?, ?)`,
       [
         connectorRow.tenant_id,
         connectorRow.legal_entity_id,
         connectorRow.id,
+        runType,
         requestId || null,
         fromDate || null,
         toDate || null,
@@ -351,6 +373,329 @@ async function insertConnectorSyncRunImport({
   );
 }
 
+async function insertConnectorFileTransfer({
+  connectorRow,
+  syncRunId,
+  direction,
+  status,
+  fileName,
+  remotePath,
+  archivePath = null,
+  fileChecksum,
+  fileSizeBytes = 0,
+  statementFormat = null,
+  bankAccountId = null,
+  bankStatementImportId = null,
+  paymentBatchExportId = null,
+  errorMessage = null,
+}) {
+  await query(
+    `INSERT INTO bank_connector_file_transfers (
+        tenant_id,
+        legal_entity_id,
+        bank_connector_id,
+        bank_connector_sync_run_id,
+        direction,
+        status,
+        file_name,
+        remote_path,
+        archive_path,
+        file_checksum,
+        file_size_bytes,
+        statement_format,
+        bank_account_id,
+        bank_statement_import_id,
+        payment_batch_export_id,
+        error_message
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      connectorRow.tenant_id,
+      connectorRow.legal_entity_id,
+      connectorRow.id,
+      syncRunId,
+      direction,
+      status,
+      String(fileName).slice(0, 255),
+      String(remotePath).slice(0, 500),
+      archivePath ? String(archivePath).slice(0, 500) : null,
+      fileChecksum,
+      Number(fileSizeBytes || 0),
+      statementFormat || null,
+      bankAccountId || null,
+      bankStatementImportId || null,
+      paymentBatchExportId || null,
+      errorMessage ? String(errorMessage).slice(0, 500) : null,
+    ]
+  );
+}
+
+async function listConnectorFileTransfers({ tenantId, legalEntityId, syncRunId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT *
+     FROM bank_connector_file_transfers
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND bank_connector_sync_run_id = ?
+     ORDER BY id ASC`,
+    [tenantId, legalEntityId, syncRunId]
+  );
+  return result.rows || [];
+}
+
+function accountIdentifierMatchesLink(identifier, link) {
+  const normalized = normalizeAccountIdentifier(identifier);
+  if (!normalized) return false;
+  const externalId = normalizeAccountIdentifier(link.external_account_id);
+  const iban = normalizeAccountIdentifier(link.bank_account_iban);
+  const accountNo = normalizeAccountIdentifier(link.bank_account_no);
+  return Boolean(
+    (externalId && (normalized === externalId || normalized.includes(externalId))) ||
+      (iban && normalized.includes(iban)) ||
+      (accountNo && normalized.endsWith(accountNo))
+  );
+}
+
+// MT940/camt files are routed by their account identifiers; CSV files carry none, so they are
+// only accepted when the connector has exactly one active account link.
+function resolveInboundFileLink(detected, activeLinks) {
+  if (detected.accountIdentifiers.length === 0) {
+    return activeLinks.length === 1 ? activeLinks[0] : null;
+  }
+  const matched = new Map();
+  for (const identifier of detected.accountIdentifiers) {
+    const link = activeLinks.find((candidate) => accountIdentifierMatchesLink(identifier, candidate));
+    if (!link) return null;
+    matched.set(parsePositiveInt(link.bank_account_id), link);
+  }
+  if (matched.size > 1) {
+    throw badRequest("Statement file covers more than one linked bank account");
+  }
+  return [...matched.values()][0] || null;
+}
+
+async function importConnectorInboundFile({ connector, session, file, activeLinks, syncRunId, userId }) {
+  const content = await session.readInboundFile(file);
+  const fileText = content.toString("utf8");
+  const fileChecksum = sha256(content);
+  const transfer = {
+    connectorRow: connector,
+    syncRunId,
+    direction: "INBOUND",
+    fileName: file.name,
+    remotePath: file.remote_path,
+    fileChecksum,
+    fileSizeBytes: content.length,
+  };
+
+  let statementFormat = null;
+  let link = null;
+  try {
+    const detected = detectBankStatementFile(fileText);
+    statementFormat = detected.statementFormat;
+    link = resolveInboundFileLink(detected, activeLinks);
+    if (!link) {
+      const err = badRequest(
+        `No active account link matches ${detected.accountIdentifiers.join(", ") || file.name}`
+      );
+      err.unmapped = true;
+      throw err;
+    }
+
+    const importRow = await importBankStatementFile({
+      req: null,
+      payload: {
+        tenantId: connector.tenant_id,
+        bankAccountId: link.bank_account_id,
+        userId: userId || null,
+        statementFormat,
+        importSource: statementFormat === "CSV" ? "API" : statementFormat,
+        originalFilename: file.name,
+        allowBalanceMismatch: connector.config_json?.allowBalanceMismatch === true,
+        fileText,
+        csvText: fileText,
+      },
+      assertScopeAccess: () => {},
+    });
+
+    const archivePath = await session.archiveInboundFile(file);
+    await insertConnectorSyncRunImport({
+      tenantId: connector.tenant_id,
+      legalEntityId: connector.legal_entity_id,
+      syncRunId,
+      bankAccountId: link.bank_account_id,
+      externalAccountId: link.external_account_id,
+      bankStatementImportId: importRow.id,
+      importRef: `FILE:${file.name}`.slice(0, 190),
+      importedCount: importRow.line_count_inserted || 0,
+      duplicateCount: importRow.line_count_duplicates || 0,
+    });
+    await insertConnectorFileTransfer({
+      ...transfer,
+      status: "IMPORTED",
+      archivePath,
+      statementFormat,
+      bankAccountId: link.bank_account_id,
+      bankStatementImportId: importRow.id,
+    });
+    return {
+      status: "IMPORTED",
+      importedCount: Number(importRow.line_count_inserted || 0),
+      duplicateCount: Number(importRow.line_count_duplicates || 0),
+    };
+  } catch (err) {
+    const status = Number(err?.status);
+    // DUPLICATE_STATEMENT = same file already imported for the account; any other 400/409
+    // (unparseable, unroutable or breaking the balance chain) is a failed file. Both are moved
+    // out of the inbound folder so the next poll does not pick them up again.
+    if (status !== 409 && status !== 400) throw err;
+    const duplicate = err?.code === "DUPLICATE_STATEMENT";
+    const archivePath = await session.archiveInboundFile(file, { failed: !duplicate });
+    await insertConnectorFileTransfer({
+      ...transfer,
+      status: duplicate ? "DUPLICATE" : "FAILED",
+      archivePath,
+      statementFormat,
+      bankAccountId: link?.bank_account_id || null,
+      errorMessage: err?.message || null,
+    });
+    return {
+      status: duplicate ? "DUPLICATE" : "FAILED",
+      unmapped: Boolean(err?.unmapped),
+      message: String(err?.message || ""),
+    };
+  }
+}
+
+async function executeFileConnectorStatementSync({
+  connector,
+  adapter,
+  syncRunId,
+  userId = null,
+}) {
+  const tenantId = connector.tenant_id;
+  const legalEntityId = connector.legal_entity_id;
+  const links = await getConnectorAccountLinks({
+    tenantId,
+    legalEntityId,
+    connectorId: connector.id,
+  });
+  const activeLinks = links.filter((link) => u(link.status) === "ACTIVE");
+
+  let fetchedCount = 0;
+  let importedCount = 0;
+  let duplicateCount = 0;
+  let skippedUnmappedCount = 0;
+  let errorCount = 0;
+  const errorItems = [];
+  let session = null;
+
+  try {
+    session = await adapter.openFileSession({
+      config: connector.config_json || {},
+      credentials: decryptConnectorCredentials(connector),
+    });
+    const files = await session.listInboundFiles();
+
+    for (const file of files) {
+      fetchedCount += 1;
+      // eslint-disable-next-line no-await-in-loop
+      const outcome = await importConnectorInboundFile({
+        connector,
+        session,
+        file,
+        activeLinks,
+        syncRunId,
+        userId,
+      });
+      if (outcome.status === "IMPORTED") {
+        importedCount += outcome.importedCount;
+        duplicateCount += outcome.duplicateCount;
+      } else if (outcome.status === "DUPLICATE") {
+        duplicateCount += 1;
+      } else {
+        if (outcome.unmapped) skippedUnmappedCount += 1;
+        else errorCount += 1;
+        errorItems.push({
+          type: outcome.unmapped ? "UNMAPPED_STATEMENT_FILE" : "STATEMENT_FILE_ERROR",
+          file_name: file.name,
+          message: outcome.message,
+        });
+      }
+    }
+
+    const finalStatus = errorCount > 0 || skippedUnmappedCount > 0 ? "PARTIAL" : "SUCCESS";
+    await updateConnectorSyncRunFinal({
+      tenantId,
+      legalEntityId,
+      syncRunId,
+      status: finalStatus,
+      cursorAfter: connector.last_cursor || null,
+      fetchedCount,
+      importedCount,
+      duplicateCount,
+      skippedUnmappedCount,
+      errorCount,
+      payload: {
+        provider_code: connector.provider_code,
+        transport: session.transport,
+        inbound_dir: session.directories.inboundDir,
+        file_count: fetchedCount,
+        errors: errorItems.slice(0, 50),
+      },
+      errorMessage:
+        finalStatus === "PARTIAL"
+          ? errorItems[0]?.message || "Connector sync partially completed"
+          : null,
+    });
+    await updateConnectorAfterSync({
+      connectorRow: connector,
+      status: finalStatus,
+      cursorAfter: connector.last_cursor || null,
+      userId,
+      errorMessage: errorItems[0]?.message || null,
+    });
+  } catch (err) {
+    await updateConnectorSyncRunFinal({
+      tenantId,
+      legalEntityId,
+      syncRunId,
+      status: "FAILED",
+      cursorAfter: connector.last_cursor || null,
+      fetchedCount,
+      importedCount,
+      duplicateCount,
+      skippedUnmappedCount,
+      errorCount: errorCount + 1,
+      payload: {
+        provider_code: connector.provider_code,
+        errors: [
+          ...errorItems.slice(0, 25),
+          { type: "SYNC_FATAL", message: String(err?.message || "Connector sync failed") },
+        ],
+      },
+      errorMessage: String(err?.message || "Connector sync failed"),
+    });
+    await updateConnectorAfterSync({
+      connectorRow: connector,
+      status: "FAILED",
+      cursorAfter: connector.last_cursor || null,
+      userId,
+      errorMessage: String(err?.message || "Connector sync failed"),
+    });
+    throw err;
+  } finally {
+    if (session) await session.close();
+  }
+
+  return {
+    connector: await getConnectorById({ tenantId, connectorId: connector.id }),
+    sync_run: await getConnectorSyncRunById({ tenantId, legalEntityId, syncRunId }),
+    imports: await listConnectorSyncRunImports({ tenantId, legalEntityId, syncRunId }),
+    files: await listConnectorFileTransfers({ tenantId, legalEntityId, syncRunId }),
+    idempotent: false,
+  };
+}
+
 export async function resolveBankConnectorScope(connectorId, tenantId) {
   const parsedConnectorId = parsePositiveInt(connectorId);
   const parsedTenantId = parsePositiveInt(tenantId);
@@ -456,6 +801,7 @@ export async function getBankConnectorByIdForTenant({
 
 export async function createBankConnector({ req, input, assertScopeAccess }) {
   assertScopeAccess(req, "legal_entity", input.legalEntityId, "legalEntityId");
+  assertBankConnectorConfig(input.providerCode, input.connectorType, input.config);
   let credentialsEnvelope = null;
   if (input.credentials && Object.keys(input.credentials).length > 0) {
     credentialsEnvelope = encryptJson(input.credentials);
@@ -522,6 +868,16 @@ export async function createBankConnector({ req, input, assertScopeAccess }) {
 export async function updateBankConnectorById({ req, input, assertScopeAccess }) {
   const existing = await getConnectorById({ tenantId: input.tenantId, connectorId: input.connectorId });
   await assertConnectorScope(req, existing, assertScopeAccess);
+  if (
+    Object.prototype.hasOwnProperty.call(input, "config") ||
+    Object.prototype.hasOwnProperty.call(input, "connectorType")
+  ) {
+    assertBankConnectorConfig(
+      existing.provider_code,
+      input.connectorType || existing.connector_type,
+      Object.prototype.hasOwnProperty.call(input, "config") ? input.config : existing.config_json
+    );
+  }
 
   let credentialsEnvelope = null;
   if (Object.prototype.hasOwnProperty.call(input, "credentials") && input.credentials) {
@@ -742,10 +1098,11 @@ export async function testBankConnectorConnection({
 }) {
   const connector = await getConnectorById({ tenantId, connectorId });
   await assertConnectorScope(req, connector, assertScopeAccess);
-  const adapter = getBankConnectorAdapter(connector.provider_code);
+  const adapter = getBankConnectorAdapter(connector.provider_code, connector.connector_type);
   const result = await adapter.testConnection({
     config: connector.config_json || {},
     credentials: decryptConnectorCredentials(connector),
+    connectorType: connector.connector_type,
   });
   return {
     connector,
@@ -837,6 +1194,11 @@ async function executeBankConnectorStatementSync({
       connector: await getConnectorById({ tenantId, connectorId }),
       sync_run: existingByRequest,
       imports,
+      files: await listConnectorFileTransfers({
+        tenantId,
+        legalEntityId: connector.legal_entity_id,
+        syncRunId: existingByRequest.id,
+      }),
       idempotent: true,
     };
   }
@@ -874,7 +1236,10 @@ async function executeBankConnectorStatementSync({
     throw new Error("Failed to create connector sync run");
   }
 
-  const adapter = getBankConnectorAdapter(connector.provider_code);
+  const adapter = getBankConnectorAdapter(connector.provider_code, connector.connector_type);
+  if (adapter.file_transfer) {
+    return executeFileConnectorStatementSync({ connector, adapter, syncRunId, userId });
+  }
   const credentials = decryptConnectorCredentials(connector);
   const links = await getConnectorAccountLinks({
     tenantId,
@@ -994,7 +1359,7 @@ async function executeBankConnectorStatementSync({
         });
       } catch (err) {
         // B02 checksum conflict => duplicate import batch for same normalized payload
-        if (Number(err?.status) === 409) {
+        if (err?.code === "DUPLICATE_STATEMENT") {
           duplicateCount += rawLines.length;
           errorItems.push({
             type: "DUPLICATE_IMPORT_BATCH",
@@ -1128,6 +1493,273 @@ export async function runBankConnectorStatementSync({
   });
 }
 
+async function listPendingConnectorPaymentExports({ connector, activeLinks, exportIds = null }) {
+  const bankAccountIds = [
+    ...new Set(activeLinks.map((link) => parsePositiveInt(link.bank_account_id)).filter(Boolean)),
+  ];
+  if (bankAccountIds.length === 0) return [];
+
+  const params = [connector.tenant_id, connector.legal_entity_id, ...bankAccountIds];
+  let exportFilterSql = "";
+  if (Array.isArray(exportIds) && exportIds.length > 0) {
+    exportFilterSql = `AND e.id IN (${exportIds.map(() => "?").join(", ")})`;
+    params.push(...exportIds);
+  }
+
+  // Only the latest export of a batch is pushed; superseded re-exports stay local.
+  const result = await query(
+    `SELECT
+        e.id,
+        e.batch_id,
+        e.file_name,
+        e.export_payload_text,
+        e.bank_file_format_code,
+        b.batch_no,
+        b.bank_account_id
+     FROM payment_batch_exports e
+     JOIN payment_batches b
+       ON b.tenant_id = e.tenant_id
+      AND b.legal_entity_id = e.legal_entity_id
+      AND b.id = e.batch_id
+     WHERE e.tenant_id = ?
+       AND e.legal_entity_id = ?
+       AND b.bank_account_id IN (${bankAccountIds.map(() => "?").join(", ")})
+       AND b.status IN ('APPROVED','EXPORTED')
+       AND e.export_status = 'GENERATED'
+       AND e.id = (
+         SELECT MAX(e2.id)
+         FROM payment_batch_exports e2
+         WHERE e2.tenant_id = e.tenant_id
+           AND e2.batch_id = e.batch_id
+       )
+       ${exportFilterSql}
+     ORDER BY e.id ASC
+     LIMIT 200`,
+    params
+  );
+  return result.rows || [];
+}
+
+async function markConnectorPaymentExportSent({ connector, exportRow, syncRunId, remotePath, userId }) {
+  await withTransaction(async (tx) => {
+    await tx.query(
+      `UPDATE payment_batch_exports
+       SET export_status = 'SENT'
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?`,
+      [connector.tenant_id, connector.legal_entity_id, exportRow.id]
+    );
+    await tx.query(
+      `UPDATE payment_batches
+       SET bank_export_status = 'SENT'
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?`,
+      [connector.tenant_id, connector.legal_entity_id, exportRow.batch_id]
+    );
+    await tx.query(
+      `INSERT INTO payment_batch_audit (
+          tenant_id, legal_entity_id, batch_id, action, payload_json, acted_by_user_id
+        )
+        VALUES (?, ?, ?, 'STATUS', ?, ?)`,
+      [
+        connector.tenant_id,
+        connector.legal_entity_id,
+        exportRow.batch_id,
+        safeJson({
+          event: "BANK_FILE_SENT_CONNECTOR",
+          export_id: exportRow.id,
+          connector_id: connector.id,
+          sync_run_id: syncRunId,
+          remote_path: remotePath,
+        }),
+        userId || null,
+      ]
+    );
+  });
+}
+
+export async function pushBankConnectorPaymentFiles({
+  req = null,
+  tenantId,
+  connectorId,
+  userId = null,
+  input = {},
+  assertScopeAccess = null,
+}) {
+  const connector = await getConnectorById({ tenantId, connectorId });
+  if (!connector) {
+    throw badRequest("Connector not found");
+  }
+  if (req && typeof assertScopeAccess === "function") {
+    await assertConnectorScope(req, connector, assertScopeAccess);
+  }
+  if (u(connector.status) === "DISABLED") {
+    throw badRequest("Connector is disabled");
+  }
+  const adapter = getBankConnectorAdapter(connector.provider_code, connector.connector_type);
+  if (!adapter.file_transfer) {
+    throw badRequest("Connector does not support payment file push");
+  }
+
+  const requestId = input.requestId || null;
+  const existingByRequest = await getConnectorSyncRunByRequestId({
+    tenantId,
+    legalEntityId: connector.legal_entity_id,
+    connectorId: connector.id,
+    requestId,
+  });
+  if (existingByRequest) {
+    return {
+      connector,
+      sync_run: existingByRequest,
+      files: await listConnectorFileTransfers({
+        tenantId,
+        legalEntityId: connector.legal_entity_id,
+        syncRunId: existingByRequest.id,
+      }),
+      idempotent: true,
+    };
+  }
+
+  const syncRunId = await createConnectorSyncRun({
+    connectorRow: connector,
+    runType: "PAYMENT_PUSH",
+    requestId,
+    userId,
+  });
+  if (!syncRunId) {
+    throw conflictError("Payment file push with this requestId is already running");
+  }
+
+  const links = await getConnectorAccountLinks({
+    tenantId,
+    legalEntityId: connector.legal_entity_id,
+    connectorId: connector.id,
+  });
+  const activeLinks = links.filter((link) => u(link.status) === "ACTIVE");
+
+  let pushedCount = 0;
+  let errorCount = 0;
+  let fetchedCount = 0;
+  const errorItems = [];
+  let session = null;
+
+  try {
+    const pendingExports = await listPendingConnectorPaymentExports({
+      connector,
+      activeLinks,
+      exportIds: input.exportIds || null,
+    });
+    fetchedCount = pendingExports.length;
+    if (pendingExports.length > 0) {
+      session = await adapter.openFileSession({
+        config: connector.config_json || {},
+        credentials: decryptConnectorCredentials(connector),
+      });
+    }
+
+    for (const exportRow of pendingExports) {
+      const payloadText = String(exportRow.export_payload_text || "");
+      const transfer = {
+        connectorRow: connector,
+        syncRunId,
+        direction: "OUTBOUND",
+        fileName: exportRow.file_name,
+        fileChecksum: sha256(payloadText),
+        fileSizeBytes: Buffer.byteLength(payloadText, "utf8"),
+        bankAccountId: exportRow.bank_account_id,
+        paymentBatchExportId: exportRow.id,
+      };
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const remotePath = await session.pushOutboundFile({
+          fileName: exportRow.file_name,
+          content: payloadText,
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await markConnectorPaymentExportSent({ connector, exportRow, syncRunId, remotePath, userId });
+        // eslint-disable-next-line no-await-in-loop
+        await insertConnectorFileTransfer({ ...transfer, status: "PUSHED", remotePath });
+        pushedCount += 1;
+      } catch (err) {
+        const status = Number(err?.status);
+        if (status !== 400 && status !== 409) throw err;
+        errorCount += 1;
+        errorItems.push({
+          type: "PAYMENT_FILE_PUSH_ERROR",
+          export_id: exportRow.id,
+          file_name: exportRow.file_name,
+          message: String(err?.message || "Payment file push failed"),
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await insertConnectorFileTransfer({
+          ...transfer,
+          status: "FAILED",
+          remotePath: session.directories.outboundDir,
+          errorMessage: err?.message || null,
+        });
+      }
+    }
+
+    await updateConnectorSyncRunFinal({
+      tenantId,
+      legalEntityId: connector.legal_entity_id,
+      syncRunId,
+      status: errorCount > 0 ? "PARTIAL" : "SUCCESS",
+      cursorAfter: connector.last_cursor || null,
+      fetchedCount,
+      importedCount: pushedCount,
+      errorCount,
+      payload: {
+        provider_code: connector.provider_code,
+        outbound_dir: session?.directories?.outboundDir || null,
+        pushed_count: pushedCount,
+        errors: errorItems.slice(0, 50),
+      },
+      errorMessage: errorItems[0]?.message || null,
+    });
+  } catch (err) {
+    await updateConnectorSyncRunFinal({
+      tenantId,
+      legalEntityId: connector.legal_entity_id,
+      syncRunId,
+      status: "FAILED",
+      cursorAfter: connector.last_cursor || null,
+      fetchedCount,
+      importedCount: pushedCount,
+      errorCount: errorCount + 1,
+      payload: {
+        provider_code: connector.provider_code,
+        errors: [
+          ...errorItems.slice(0, 25),
+          { type: "PUSH_FATAL", message: String(err?.message || "Payment file push failed") },
+        ],
+      },
+      errorMessage: String(err?.message || "Payment file push failed"),
+    });
+    throw err;
+  } finally {
+    if (session) await session.close();
+  }
+
+  return {
+    connector,
+    sync_run: await getConnectorSyncRunById({
+      tenantId,
+      legalEntityId: connector.legal_entity_id,
+      syncRunId,
+    }),
+    files: await listConnectorFileTransfers({
+      tenantId,
+      legalEntityId: connector.legal_entity_id,
+      syncRunId,
+    }),
+    idempotent: false,
+  };
+}
+
 export async function syncDueBankConnectors({
   tenantId = null,
   limit = 20,
@@ -1147,7 +1779,7 @@ export async function syncDueBankConnectors({
   const safeLimit = Number.isInteger(limit) && limit > 0 ? Math.min(limit, 100) : 20;
 
   const dueRows = await query(
-    `SELECT tenant_id, id AS connector_id
+    `SELECT tenant_id, id AS connector_id, provider_code, connector_type, config_json
      FROM bank_connectors
      WHERE ${conditions.join(" AND ")}
      ORDER BY next_sync_at ASC, id ASC
@@ -1169,6 +1801,19 @@ export async function syncDueBankConnectors({
         requestId: `AUTOSYNC|T:${rowTenantId}|C:${rowConnectorId}|${minuteBucket}`,
         forceFull: false,
       });
+      // File connectors can also deliver pending payment files on the same schedule.
+      let pushResult = null;
+      if (
+        parseJson(row.config_json, {})?.autoPushPaymentFiles === true &&
+        getBankConnectorAdapter(row.provider_code, row.connector_type).file_transfer
+      ) {
+        pushResult = await pushBankConnectorPaymentFiles({
+          tenantId: rowTenantId,
+          connectorId: rowConnectorId,
+          userId: userId || null,
+          input: { requestId: `AUTOPUSH|T:${rowTenantId}|C:${rowConnectorId}|${minuteBucket}` },
+        });
+      }
       results.push({
         tenant_id: rowTenantId,
         connector_id: rowConnectorId,
@@ -1176,6 +1821,8 @@ export async function syncDueBankConnectors({
         idempotent: Boolean(result.idempotent),
         sync_run_id: parsePositiveInt(result?.sync_run?.id) || null,
         sync_status: result?.sync_run?.status || null,
+        push_sync_run_id: parsePositiveInt(pushResult?.sync_run?.id) || null,
+        push_status: pushResult?.sync_run?.status || null,
       });
     } catch (err) {
       results.push({
@@ -1199,5 +1846,6 @@ export default {
   listBankConnectorSyncRuns,
   testBankConnectorConnection,
   runBankConnectorStatementSync,
+  pushBankConnectorPaymentFiles,
   syncDueBankConnectors,
 };
@@ -0,0 +1,270 @@
+import { child, children, parseXmlTree, textOf } from "../utils/xmlTree.js";
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const CAMT_VARIANTS = [
+  { format: "CAMT053", rootName: "BkToCstmrStmt", statementName: "Stmt", closingCodes: ["CLBD"] },
+  {
+    format: "CAMT052",
+    rootName: "BkToCstmrAcctRpt",
+    statementName: "Rpt",
+    closingCodes: ["CLBD", "ITBD"],
+  },
+];
+
+function collapseWhitespace(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseIsoDateNode(node, fieldName, { required = false } = {}) {
+  const raw = String(textOf(node, "Dt") || textOf(node, "DtTm") || "").slice(0, 10);
+  if (!raw) {
+    if (required) {
+      throw new Error(`${fieldName} is required`);
+    }
+    return null;
+  }
+  const parsed = new Date(`${raw}T00:00:00.000Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(raw) ||
+    Number.isNaN(parsed.getTime()) ||
+    parsed.toISOString().slice(0, 10) !== raw
+  ) {
+    throw new Error(`${fieldName} must be a valid ISO date`);
+  }
+  return raw;
+}
+
+function parseSignedAmount(parentNode, fieldName) {
+  const amountNode = child(parentNode, "Amt");
+  const raw = textOf(amountNode);
+  const parsed = Number(raw);
+  if (!raw || !Number.isFinite(parsed)) {
+    throw new Error(`${fieldName} Amt must be numeric`);
+  }
+  const indicator = String(textOf(parentNode, "CdtDbtInd") || "").toUpperCase();
+  if (!["CRDT", "DBIT"].includes(indicator)) {
+    throw new Error(`${fieldName} CdtDbtInd must be CRDT or DBIT`);
+  }
+  const amount = Number(Math.abs(parsed).toFixed(6));
+  return {
+    amount: indicator === "DBIT" ? -amount : amount,
+    currencyCode: String(amountNode?.attributes?.Ccy || "").toUpperCase() || null,
+  };
+}
+
+function parseBalances(statementNode, label) {
+  const balances = {};
+  for (const balanceNode of children(statementNode, "Bal")) {
+    const code = String(
+      textOf(balanceNode, "Tp", "CdOrPrtry", "Cd") ||
+        textOf(balanceNode, "Tp", "CdOrPrtry", "Prtry") ||
+        ""
+    ).toUpperCase();
+    if (!code || balances[code]) {
+      continue;
+    }
+    const signed = parseSignedAmount(balanceNode, `${label} balance ${code}`);
+    balances[code] = {
+      amount: signed.amount,
+      currencyCode: signed.currencyCode,
+      date: parseIsoDateNode(child(balanceNode, "Dt"), `${label} balance ${code} date`),
+    };
+  }
+  return balances;
+}
+
+function partyName(partyNode) {
+  return textOf(partyNode, "Nm") || textOf(partyNode, "Pty", "Nm") || null;
+}
+
+function accountIdentifier(accountNode) {
+  return textOf(accountNode, "Id", "IBAN") || textOf(accountNode, "Id", "Othr", "Id") || null;
+}
+
+function parseTransactionDetails(txNode, isCredit) {
+  if (!txNode) {
+    return null;
+  }
+  const related = child(txNode, "RltdPties");
+  const agents = child(txNode, "RltdAgts");
+  const counterpartyName = isCredit
+    ? partyName(child(related, "Dbtr")) || partyName(child(related, "UltmtDbtr"))
+    : partyName(child(related, "Cdtr")) || partyName(child(related, "UltmtCdtr"));
+  const counterpartyAccount = accountIdentifier(child(related, isCredit ? "DbtrAcct" : "CdtrAcct"));
+  // Banks that issue per-customer virtual IBANs report the credited sub-account here.
+  const ownAccount = accountIdentifier(child(related, isCredit ? "CdtrAcct" : "DbtrAcct"));
+  const agent = child(agents, isCredit ? "DbtrAgt" : "CdtrAgt", "FinInstnId");
+  const remittanceNode = child(txNode, "RmtInf");
+  const unstructured = children(remittanceNode, "Ustrd")
+    .map((node) => textOf(node))
+    .filter(Boolean)
+    .join(" ");
+  const structuredReferences = children(remittanceNode, "Strd")
+    .map((node) => textOf(node, "CdtrRefInf", "Ref") || textOf(node, "RfrdDocInf", "Nb"))
+    .filter(Boolean);
+
+  const endToEndId = textOf(txNode, "Refs", "EndToEndId");
+  return {
+    endToEndId: endToEndId && endToEndId.toUpperCase() !== "NOTPROVIDED" ? endToEndId : null,
+    instructionId: textOf(txNode, "Refs", "InstrId"),
+    paymentInformationId: textOf(txNode, "Refs", "PmtInfId"),
+    mandateReference: textOf(txNode, "Refs", "MndtId"),
+    accountServicerReference: textOf(txNode, "Refs", "AcctSvcrRef"),
+    unstructured: collapseWhitespace(unstructured) || null,
+    structuredReference: structuredReferences[0] || null,
+    structuredReferences,
+    counterpartyName,
+    counterpartyAccount,
+    ownAccount,
+    counterpartyBic: textOf(agent, "BICFI") || textOf(agent, "BIC") || null,
+    purposeCode: textOf(txNode, "Purp", "Cd"),
+    additionalInfo: textOf(txNode, "AddtlTxInf"),
+  };
+}
+
+function parseBankTransactionCode(entryNode) {
+  const domain = child(entryNode, "BkTxCd", "Domn");
+  if (domain) {
+    return [
+      textOf(domain, "Cd"),
+      textOf(domain, "Fmly", "Cd"),
+      textOf(domain, "Fmly", "SubFmlyCd"),
+    ]
+      .filter(Boolean)
+      .join("/");
+  }
+  return textOf(entryNode, "BkTxCd", "Prtry", "Cd");
+}
+
+function parseEntry(entryNode, label, statementCurrency) {
+  const signed = parseSignedAmount(entryNode, label);
+  const isCredit = signed.amount > 0;
+  const bookingDate = parseIsoDateNode(child(entryNode, "BookgDt"), `${label} BookgDt`);
+  const valueDate = parseIsoDateNode(child(entryNode, "ValDt"), `${label} ValDt`);
+  if (!bookingDate && !valueDate) {
+    throw new Error(`${label} BookgDt or ValDt is required`);
+  }
+
+  const transactions = children(child(entryNode, "NtryDtls"), "TxDtls").map((txNode) =>
+    parseTransactionDetails(txNode, isCredit)
+  );
+  const primary = transactions[0] || null;
+  const bankReference =
+    textOf(entryNode, "AcctSvcrRef") || primary?.accountServicerReference || null;
+  const additionalEntryInfo = textOf(entryNode, "AddtlNtryInf");
+  const narrative =
+    primary?.unstructured ||
+    primary?.structuredReference ||
+    primary?.additionalInfo ||
+    additionalEntryInfo;
+  const description =
+    collapseWhitespace([primary?.counterpartyName, narrative].filter(Boolean).join(" - ")) ||
+    collapseWhitespace(parseBankTransactionCode(entryNode)) ||
+    "Bank entry";
+
+  return {
+    txn_date: bookingDate || valueDate,
+    value_date: valueDate,
+    description: description.slice(0, MAX_DESCRIPTION_LENGTH),
+    reference_no:
+      primary?.endToEndId ||
+      primary?.instructionId ||
+      primary?.structuredReference ||
+      bankReference ||
+      textOf(entryNode, "NtryRef") ||
+      null,
+    bank_reference: bankReference,
+    end_to_end_id: primary?.endToEndId || null,
+    bank_transaction_code: parseBankTransactionCode(entryNode),
+    amount: signed.amount,
+    currency_code: signed.currencyCode || statementCurrency,
+    remittance_info: primary
+      ? {
+          ...primary,
+          transactionCode: parseBankTransactionCode(entryNode),
+          batchTransactionCount: transactions.length,
+        }
+      : {
+          transactionCode: parseBankTransactionCode(entryNode),
+          unstructured: collapseWhitespace(additionalEntryInfo) || null,
+          batchTransactionCount: 0,
+        },
+    raw_row_json: {
+      entry_ref: textOf(entryNode, "NtryRef"),
+      is_reversal: String(textOf(entryNode, "RvslInd") || "").toLowerCase() === "true",
+      bank_transaction_code: parseBankTransactionCode(entryNode),
+      additional_entry_info: additionalEntryInfo,
+      transactions,
+    },
+  };
+}
+
+function isBookedEntry(entryNode) {
+  const status = String(textOf(entryNode, "Sts", "Cd") || textOf(entryNode, "Sts") || "BOOK")
+    .trim()
+    .toUpperCase();
+  return status === "BOOK";
+}
+
+export function parseStatementCamt(xmlText) {
+  const tree = parseXmlTree(xmlText);
+  const documentNode = child(tree, "Document");
+  if (!documentNode) {
+    throw new Error("XML root element must be an ISO 20022 Document");
+  }
+
+  const variant = CAMT_VARIANTS.find((entry) => child(documentNode, entry.rootName));
+  if (!variant) {
+    throw new Error("Document must contain BkToCstmrStmt (camt.053) or BkToCstmrAcctRpt (camt.052)");
+  }
+  const messageNode = child(documentNode, variant.rootName);
+  const statementNodes = children(messageNode, variant.statementName);
+  if (statementNodes.length === 0) {
+    throw new Error(`${variant.rootName} has no ${variant.statementName} elements`);
+  }
+
+  const statements = statementNodes.map((statementNode, index) => {
+    const label = `Statement ${index + 1}`;
+    const accountNode = child(statementNode, "Acct");
+    const balances = parseBalances(statementNode, label);
+    const openingBalance = balances.OPBD || balances.PRCD || null;
+    const closingCode = variant.closingCodes.find((code) => balances[code]);
+    const closingBalance = closingCode ? balances[closingCode] : null;
+    const currencyCode = String(
+      textOf(accountNode, "Ccy") || openingBalance?.currencyCode || closingBalance?.currencyCode || ""
+    ).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currencyCode)) {
+      throw new Error(`${label}: account currency (Acct/Ccy) is required`);
+    }
+
+    const lines = children(statementNode, "Ntry")
+      .filter(isBookedEntry)
+      .map((entryNode, entryIndex) =>
+        parseEntry(entryNode, `${label} entry ${entryIndex + 1}`, currencyCode)
+      );
+
+    return {
+      statementRef: textOf(statementNode, "Id"),
+      sequenceNo: textOf(statementNode, "ElctrncSeqNb") || textOf(statementNode, "LglSeqNb"),
+      accountIdentifier: accountIdentifier(accountNode),
+      currencyCode,
+      openingBalance,
+      closingBalance,
+      availableBalance: balances.CLAV || null,
+      lines,
+    };
+  });
+
+  return {
+    format: variant.format,
+    messageId: textOf(messageNode, "GrpHdr", "MsgId"),
+    statements,
+  };
+}
+
+export default {
+  parseStatementCamt,
+};
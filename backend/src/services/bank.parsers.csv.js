@@ -103,6 +103,8 @@ export function parseStatementCsv(csvText) {
   const columnIndex = Object.fromEntries(
     requiredColumns.map((column) => [column, header.indexOf(column)])
   );
+  // Optional: bank transaction code used to key auto-post templates (fees, interest).
+  const transactionCodeIndex = header.indexOf("bank_transaction_code");
 
   const rows = [];
   for (let i = 1; i < lines.length; i += 1) {
@@ -120,6 +122,9 @@ export function parseStatementCsv(csvText) {
       currency_code: cols[columnIndex.currency_code] ?? "",
       balance_after: cols[columnIndex.balance_after] ?? "",
     };
+    if (transactionCodeIndex >= 0) {
+      raw.bank_transaction_code = cols[transactionCodeIndex] ?? "";
+    }
 
     const description = String(raw.description || "").trim();
     if (!description) {
@@ -142,6 +147,11 @@ export function parseStatementCsv(csvText) {
       value_date: parseDateOnly(raw.value_date, `Row ${i + 1} value_date`),
       description,
       reference_no: String(raw.reference_no || "").trim() || null,
+      bank_transaction_code:
+        String(raw.bank_transaction_code || "")
+          .trim()
+          .toUpperCase()
+          .slice(0, 60) || null,
       amount: parseDecimal(raw.amount, `Row ${i + 1} amount`),
       currency_code: currencyCode,
       balance_after: parseOptionalDecimal(raw.balance_after, `Row ${i + 1} balance_after`),
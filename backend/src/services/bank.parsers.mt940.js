@@ -0,0 +1,373 @@
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// SWIFT-style :86: subfield codes (/EREF/.../REMI/...) used by EU and most Turkish banks.
+const SWIFT_86_CODES = [
+  "EREF",
+  "MREF",
+  "KREF",
+  "CRED",
+  "REMI",
+  "ORDP",
+  "BENM",
+  "NAME",
+  "IBAN",
+  "BIC",
+  "PURP",
+  "CDTRREF",
+  "RTRN",
+];
+
+function parseYymmdd(value, fieldName) {
+  const raw = String(value || "").trim();
+  if (!/^\d{6}$/.test(raw)) {
+    throw new Error(`${fieldName} must be YYMMDD`);
+  }
+  const iso = `20${raw.slice(0, 2)}-${raw.slice(2, 4)}-${raw.slice(4, 6)}`;
+  const parsed = new Date(`${iso}T00:00:00.000Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== iso) {
+    throw new Error(`${fieldName} must be a valid date`);
+  }
+  return iso;
+}
+
+// :61: entry date is MMDD only; borrow the year from the value date and roll it over at year end.
+function resolveEntryDate(valueDate, entryMmdd, fieldName) {
+  if (!entryMmdd) {
+    return valueDate;
+  }
+  const valueYear = Number(valueDate.slice(0, 4));
+  const valueMonth = Number(valueDate.slice(5, 7));
+  const entryMonth = Number(entryMmdd.slice(0, 2));
+  let year = valueYear;
+  if (entryMonth === 12 && valueMonth === 1) {
+    year -= 1;
+  } else if (entryMonth === 1 && valueMonth === 12) {
+    year += 1;
+  }
+  return parseYymmdd(`${String(year).slice(2)}${entryMmdd}`, fieldName);
+}
+
+function parseSwiftAmount(value, fieldName) {
+  const raw = String(value || "").trim();
+  if (!/^\d+,\d*$/.test(raw)) {
+    throw new Error(`${fieldName} must use SWIFT decimal format (e.g. 1250,50)`);
+  }
+  return Number(Number(raw.replace(",", ".")).toFixed(6));
+}
+
+function collapseWhitespace(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function splitFields(messageText) {
+  const source = String(messageText || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    // Strip FIN envelope blocks {1:..}{2:..}{3:{..}}{5:..}, the "{4:" opener and the "-}" trailer.
+    .replace(/\{[1235]:(?:[^{}]|\{[^{}]*\})*\}/g, "")
+    .replace(/\{4:/g, "\n")
+    .replace(/^-\}?\s*$/gm, "")
+    .replace(/\}/g, "");
+
+  const fields = [];
+  for (const line of source.split("\n")) {
+    const tagMatch = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tagMatch) {
+      fields.push({ tag: tagMatch[1], value: tagMatch[2] });
+      continue;
+    }
+    if (!line.trim()) {
+      continue;
+    }
+    if (fields.length === 0) {
+      throw new Error("MT940 content must start with a :20: field");
+    }
+    fields[fields.length - 1].value += `\n${line}`;
+  }
+  return fields;
+}
+
+function parseBalanceField(field, label) {
+  const match = collapseWhitespace(field.value).match(/^([CD])(\d{6})([A-Z]{3})(\d+,\d*)$/);
+  if (!match) {
+    throw new Error(`${label} (:${field.tag}:) is malformed`);
+  }
+  const amount = parseSwiftAmount(match[4], `${label} amount`);
+  return {
+    amount: match[1] === "D" ? -amount : amount,
+    date: parseYymmdd(match[2], `${label} date`),
+    currencyCode: match[3],
+  };
+}
+
+function parseGvcInformation(text) {
+  const subfields = {};
+  const pattern = /\?(\d{2})([^?]*)/g;
+  let match = pattern.exec(text);
+  while (match) {
+    const code = match[1];
+    subfields[code] = `${subfields[code] || ""}${match[2].replace(/\n/g, "")}`;
+    match = pattern.exec(text);
+  }
+  const purposeText = collapseWhitespace(
+    ["20", "21", "22", "23", "24", "25", "26", "27", "28", "29", "60", "61", "62", "63"]
+      .map((code) => subfields[code] || "")
+      .join("")
+  );
+  const sepaKey = (key) => {
+    const keyMatch = purposeText.match(new RegExp(`${key}\\+(.*?)(?=[A-Z]{4}\\+|$)`));
+    return keyMatch ? collapseWhitespace(keyMatch[1]) || null : null;
+  };
+  return {
+    transactionCode: text.slice(0, 3),
+    bookingText: collapseWhitespace(subfields["00"]) || null,
+    unstructured: collapseWhitespace(sepaKey("SVWZ") || purposeText) || null,
+    structuredReference: null,
+    endToEndId: sepaKey("EREF"),
+    mandateReference: sepaKey("MREF"),
+    counterpartyName: collapseWhitespace(`${subfields["32"] || ""}${subfields["33"] || ""}`) || null,
+    counterpartyAccount: collapseWhitespace(subfields["31"]) || null,
+    counterpartyBic: collapseWhitespace(subfields["30"]) || null,
+    purposeCode: null,
+    fields: subfields,
+  };
+}
+
+function parseSwiftInformation(text) {
+  const flat = String(text || "").replace(/\n/g, "");
+  const tokenPattern = new RegExp(`/(${SWIFT_86_CODES.join("|")})/`, "g");
+  const tokens = [];
+  let match = tokenPattern.exec(flat);
+  while (match) {
+    tokens.push({ code: match[1], start: match.index, valueStart: match.index + match[0].length });
+    match = tokenPattern.exec(flat);
+  }
+  const fields = {};
+  tokens.forEach((token, index) => {
+    const end = index + 1 < tokens.length ? tokens[index + 1].start : flat.length;
+    const value = flat
+      .slice(token.valueStart, end)
+      .replace(/^(USTD|STRD)\/\/?/, "")
+      .replace(/\/+$/, "");
+    fields[token.code] = collapseWhitespace(value) || null;
+  });
+
+  const counterparty = fields.ORDP || fields.BENM || null;
+  return {
+    transactionCode: null,
+    bookingText: null,
+    unstructured: fields.REMI || null,
+    structuredReference: fields.CDTRREF || null,
+    endToEndId: fields.EREF || null,
+    mandateReference: fields.MREF || null,
+    counterpartyName: fields.NAME || counterparty,
+    counterpartyAccount: fields.IBAN || null,
+    counterpartyBic: fields.BIC || null,
+    purposeCode: fields.PURP || null,
+    fields,
+  };
+}
+
+function parseInformationToOwner(rawText) {
+  const text = String(rawText || "");
+  if (!text.trim()) {
+    return null;
+  }
+  if (/^\d{3}\?\d{2}/.test(text)) {
+    return parseGvcInformation(text);
+  }
+  if (new RegExp(`/(${SWIFT_86_CODES.join("|")})/`).test(text.replace(/\n/g, ""))) {
+    return parseSwiftInformation(text);
+  }
+  return {
+    transactionCode: null,
+    bookingText: null,
+    unstructured: collapseWhitespace(text),
+    structuredReference: null,
+    endToEndId: null,
+    mandateReference: null,
+    counterpartyName: null,
+    counterpartyAccount: null,
+    counterpartyBic: null,
+    purposeCode: null,
+    fields: {},
+  };
+}
+
+function parseStatementLineField(field, label) {
+  const [firstLine, ...rest] = String(field.value || "").split("\n");
+  const match = firstLine
+    .trim()
+    .match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NSF][A-Z0-9]{3})((?:(?!\/\/).){0,16})(?:\/\/(.*))?$/);
+  if (!match) {
+    throw new Error(`${label} (:61:) is malformed`);
+  }
+  const [, valueYymmdd, entryMmdd, mark, , amountText, typeCode, customerRef, bankRef] = match;
+  const valueDate = parseYymmdd(valueYymmdd, `${label} value date`);
+  const absoluteAmount = parseSwiftAmount(amountText, `${label} amount`);
+  // RD reverses a debit (credits the account); RC reverses a credit.
+  const isDebit = mark === "D" || mark === "RC";
+  const normalizedCustomerRef = String(customerRef || "").trim();
+  return {
+    txn_date: resolveEntryDate(valueDate, entryMmdd || null, `${label} entry date`),
+    value_date: valueDate,
+    amount: isDebit ? -absoluteAmount : absoluteAmount,
+    is_reversal: mark.startsWith("R"),
+    transaction_type: typeCode,
+    customer_reference:
+      normalizedCustomerRef && normalizedCustomerRef.toUpperCase() !== "NONREF"
+        ? normalizedCustomerRef
+        : null,
+    bank_reference: String(bankRef || "").trim() || null,
+    supplementary_details: collapseWhitespace(rest.join(" ")) || null,
+  };
+}
+
+function buildLineDescription(entry, remittance) {
+  const parts = [
+    remittance?.counterpartyName || remittance?.bookingText,
+    remittance?.unstructured,
+  ].filter(Boolean);
+  const description =
+    collapseWhitespace(parts.join(" - ")) ||
+    entry.supplementary_details ||
+    collapseWhitespace(`${entry.transaction_type} ${entry.customer_reference || ""}`);
+  return description.slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+function finalizeStatementLine(entry, informationText, currencyCode) {
+  const remittance = parseInformationToOwner(informationText);
+  return {
+    txn_date: entry.txn_date,
+    value_date: entry.value_date,
+    description: buildLineDescription(entry, remittance),
+    reference_no:
+      remittance?.endToEndId || entry.customer_reference || entry.bank_reference || null,
+    bank_reference: entry.bank_reference,
+    end_to_end_id: remittance?.endToEndId || null,
+    // GVC (?-structured :86:) is more specific than the SWIFT :61: type code when both exist.
+    bank_transaction_code: remittance?.transactionCode || entry.transaction_type || null,
+    amount: entry.amount,
+    currency_code: currencyCode,
+    remittance_info: remittance,
+    raw_row_json: {
+      transaction_type: entry.transaction_type,
+      is_reversal: entry.is_reversal,
+      customer_reference: entry.customer_reference,
+      bank_reference: entry.bank_reference,
+      supplementary_details: entry.supplementary_details,
+      information_to_owner: informationText ? String(informationText) : null,
+    },
+  };
+}
+
+export function parseStatementMt940(messageText) {
+  const fields = splitFields(messageText);
+  if (fields.length === 0) {
+    throw new Error("MT940 content is empty");
+  }
+
+  const statements = [];
+  let current = null;
+  let pendingEntry = null;
+  let pendingInformation = null;
+
+  const flushEntry = () => {
+    if (pendingEntry) {
+      current.lines.push(
+        finalizeStatementLine(pendingEntry, pendingInformation, current.currencyCode)
+      );
+    }
+    pendingEntry = null;
+    pendingInformation = null;
+  };
+
+  for (const field of fields) {
+    if (field.tag === "20") {
+      if (current) {
+        flushEntry();
+      }
+      current = {
+        statementRef: collapseWhitespace(field.value) || null,
+        sequenceNo: null,
+        accountIdentifier: null,
+        currencyCode: null,
+        openingBalance: null,
+        closingBalance: null,
+        availableBalance: null,
+        lines: [],
+      };
+      statements.push(current);
+      continue;
+    }
+    if (!current) {
+      throw new Error("MT940 content must start with a :20: field");
+    }
+
+    const label = `Statement ${statements.length}`;
+    switch (field.tag) {
+      case "25":
+        current.accountIdentifier = collapseWhitespace(field.value) || null;
+        break;
+      case "28C":
+      case "28":
+        current.sequenceNo = collapseWhitespace(field.value) || null;
+        break;
+      case "60F":
+      case "60M":
+        current.openingBalance = parseBalanceField(field, `${label} opening balance`);
+        current.currencyCode = current.openingBalance.currencyCode;
+        break;
+      case "61":
+        if (!current.currencyCode) {
+          throw new Error(`${label}: :60F: opening balance must precede :61: lines`);
+        }
+        flushEntry();
+        pendingEntry = parseStatementLineField(
+          field,
+          `${label} line ${current.lines.length + 1}`
+        );
+        break;
+      case "86":
+        if (pendingEntry) {
+          pendingInformation = field.value;
+        }
+        break;
+      case "62F":
+      case "62M":
+        flushEntry();
+        current.closingBalance = parseBalanceField(field, `${label} closing balance`);
+        break;
+      case "64":
+        current.availableBalance = parseBalanceField(field, `${label} available balance`);
+        break;
+      default:
+        break;
+    }
+  }
+  flushEntry();
+
+  statements.forEach((statement, index) => {
+    const label = `Statement ${index + 1}`;
+    if (!statement.openingBalance) {
+      throw new Error(`${label}: :60F: opening balance is required`);
+    }
+    if (!statement.closingBalance) {
+      throw new Error(`${label}: :62F: closing balance is required`);
+    }
+    if (statement.closingBalance.currencyCode !== statement.currencyCode) {
+      throw new Error(`${label}: opening and closing balance currencies differ`);
+    }
+  });
+
+  return {
+    format: "MT940",
+    statements,
+  };
+}
+
+export default {
+  parseStatementMt940,
+};
@@ -5,7 +5,7 @@ import {
   exportPaymentBatch,
   getPaymentBatchDetailByIdForTenant,
 } from "./payments.service.js";
-import { getBankPaymentFileFormat } from "./bankPaymentFileFormats/index.js";
+import { getBankPaymentFileFormat, toPaymentLineRef } from "./bankPaymentFileFormats/index.js";
 import { ingestReturnEventsFromAckImportTx } from "./bank.paymentReturns.service.js";
 import { evaluateBankApprovalNeed } from "./bank.governance.service.js";
 import { submitBankApprovalRequest } from "./bank.approvals.service.js";
@@ -56,7 +56,7 @@ function isDuplicateEntryError(err) {
 }
 
 function toLineRef(batchId, lineId) {
-  return `PB${batchId}-L${lineId}`;
+  return toPaymentLineRef(batchId, lineId);
 }
 
 function resolveExportBeneficiaryFields(batch, line) {
@@ -96,8 +96,12 @@ async function findBatchHeader({ tenantId, batchId, runQuery = query, forUpdate
         pb.bank_ack_status,
         pb.governance_approval_status,
         pb.governance_approval_request_id,
-        pb.updated_at
+        pb.updated_at,
+        ba.payment_file_format_code AS bank_account_payment_file_format_code
      FROM payment_batches pb
+     LEFT JOIN bank_accounts ba
+       ON ba.tenant_id = pb.tenant_id
+      AND ba.id = pb.bank_account_id
      WHERE pb.tenant_id = ?
        AND pb.id = ?
      LIMIT 1
@@ -232,6 +236,72 @@ function computeBatchAckStatusFromAppliedRows(appliedRows = []) {
   return "PARTIAL";
 }
 
+async function findExportByMessageId({ tenantId, batchId, messageId, runQuery = query }) {
+  if (!messageId) return null;
+  const result = await runQuery(
+    `SELECT *
+     FROM payment_batch_exports
+     WHERE tenant_id = ?
+       AND batch_id = ?
+       AND JSON_UNQUOTE(JSON_EXTRACT(raw_meta_json, '$.message_id')) = ?
+     ORDER BY id DESC
+     LIMIT 1`,
+    [tenantId, batchId, messageId]
+  );
+  const row = result.rows?.[0] || null;
+  return row ? { ...row, raw_meta_json: parseOptionalJson(row.raw_meta_json) } : null;
+}
+
+// pain.002 may report only a group or payment-info status. A rejected group covers every
+// exported line not reported individually; other group statuses apply only when no
+// transaction-level rows exist.
+function expandGroupAckRows({ parsed, batchId, lines, snapshots }) {
+  const rows = Array.isArray(parsed?.rows) ? [...parsed.rows] : [];
+  const group = parsed?.group_status || null;
+  if (!group) return rows;
+  if (rows.length > 0 && up(group.ack_status) !== "REJECTED") return rows;
+
+  const covered = new Set();
+  for (const row of rows) {
+    if (row.line_ref) covered.add(`REF:${String(row.line_ref).trim()}`);
+    if (Number.isInteger(row.line_no)) covered.add(`NO:${row.line_no}`);
+  }
+  const exportedLineIds = new Set(
+    snapshots.map((snapshot) => parsePositiveInt(snapshot.payment_batch_line_id)).filter(Boolean)
+  );
+
+  for (const line of lines) {
+    const lineId = parsePositiveInt(line.id);
+    if (!lineId) continue;
+    if (exportedLineIds.size > 0 && !exportedLineIds.has(lineId)) continue;
+    const lineRef = toLineRef(batchId, lineId);
+    if (covered.has(`REF:${lineRef}`) || covered.has(`NO:${Number(line.line_no)}`)) continue;
+    rows.push({
+      row_no: rows.length + 1,
+      line_ref: lineRef,
+      batch_no: null,
+      line_no: null,
+      ack_status: group.ack_status,
+      ack_amount: up(group.ack_status) === "PAID" ? toAmount(line.amount) : null,
+      bank_reference: null,
+      ack_code: group.ack_code || null,
+      ack_message: group.ack_message || null,
+      executed_at: group.executed_at || null,
+      currency_code: null,
+      raw_row: JSON.stringify({ group_status: group.iso_status || group.ack_status }),
+    });
+  }
+  return rows;
+}
+
+function ackLinePayload(row) {
+  return safeJson({
+    row_no: row.row_no,
+    raw_row: row.raw_row,
+    return_event_type: row.return_event_type || null,
+  });
+}
+
 function mapDbRowWithJson(row) {
   if (!row) return null;
   return { ...row, payload_json: parseOptionalJson(row.payload_json), raw_meta_json: parseOptionalJson(row.raw_meta_json) };
@@ -315,6 +385,8 @@ async function maybeRequestPaymentBatchExportApproval({
       actionPayload: {
         batchId,
         fileFormatCode: up(input?.fileFormatCode || "GENERIC_CSV_V1"),
+        requestedExecutionDate: input?.requestedExecutionDate || null,
+        chargeBearer: input?.chargeBearer || null,
         markSent: Boolean(input?.markSent),
         exportRequestId: input?.exportRequestId || null,
       },
@@ -372,11 +444,15 @@ export async function exportPaymentBatchFile({
   input,
   assertScopeAccess,
 }) {
-  const formatCode = up(input?.fileFormatCode || "GENERIC_CSV_V1");
-  getBankPaymentFileFormat(formatCode);
-
   const headerForGate = await findBatchHeader({ tenantId, batchId });
   if (!headerForGate) throw notFound("Payment batch not found");
+  const formatCode = up(
+    input?.fileFormatCode || headerForGate.bank_account_payment_file_format_code || "GENERIC_CSV_V1"
+  );
+  if (!getBankPaymentFileFormat(formatCode).export_format) {
+    throw badRequest(`${formatCode} is an acknowledgement format and cannot be exported`);
+  }
+
   const approvalPending = await maybeRequestPaymentBatchExportApproval({
     req,
     tenantId,
@@ -405,7 +481,11 @@ export async function exportPaymentBatchFile({
     tenantId,
     batchId,
     userId,
-    exportInput: { format: "CSV" },
+    exportInput: {
+      fileFormatCode: formatCode,
+      requestedExecutionDate: input?.requestedExecutionDate || null,
+      chargeBearer: input?.chargeBearer || null,
+    },
     assertScopeAccess,
   });
 
@@ -557,6 +637,8 @@ export async function executeApprovedPaymentBatchExportFile({
     userId: approvedByUserId,
     input: {
       fileFormatCode: payload.fileFormatCode || payload.file_format_code || "GENERIC_CSV_V1",
+      requestedExecutionDate: payload.requestedExecutionDate || null,
+      chargeBearer: payload.chargeBearer || null,
       markSent: Boolean(payload.markSent ?? payload.mark_sent),
       exportRequestId: payload.exportRequestId || payload.export_request_id || null,
       _b09SkipApprovalGate: true,
@@ -616,6 +698,9 @@ export async function importPaymentBatchAck({
 }) {
   const formatCode = up(input?.fileFormatCode || "GENERIC_CSV_V1");
   const format = getBankPaymentFileFormat(formatCode);
+  if (typeof format.parseAcknowledgement !== "function") {
+    throw badRequest(`${formatCode} does not support acknowledgement import`);
+  }
 
   if (input?.ackRequestId) {
     const existing = await query(
@@ -654,7 +739,12 @@ export async function importPaymentBatchAck({
 
     const exportRow = input?.exportId
       ? await getExportById({ tenantId, batchId, exportId: input.exportId, runQuery: tx.query })
-      : await getLatestExportForBatch({ tenantId, batchId, runQuery: tx.query });
+      : (await findExportByMessageId({
+          tenantId,
+          batchId,
+          messageId: parsed.original_message_id,
+          runQuery: tx.query,
+        })) || (await getLatestExportForBatch({ tenantId, batchId, runQuery: tx.query }));
 
     const snapshots = exportRow
       ? await listExportSnapshotsByExportId({
@@ -713,6 +803,8 @@ export async function importPaymentBatchAck({
       }
     }
 
+    const ackRows = expandGroupAckRows({ parsed, batchId, lines, snapshots });
+
     const ackIns = await tx.query(
       `INSERT INTO payment_batch_ack_imports (
           tenant_id,
@@ -747,7 +839,7 @@ export async function importPaymentBatchAck({
     let errorRows = 0;
     const appliedAckRowsForStatus = [];
 
-    for (const row of parsed.rows || []) {
+    for (const row of ackRows) {
       totalRows += 1;
 
       const ackStatus = up(row.ack_status);
@@ -773,7 +865,7 @@ export async function importPaymentBatchAck({
             row.currency_code || null,
             row.executed_at || null,
             buildAckImportRowHash({ ...row, ack_status: "INVALID" }),
-            safeJson({ row_no: row.row_no, raw_row: row.raw_row }),
+            ackLinePayload(row),
           ]
         );
         continue;
@@ -815,7 +907,7 @@ export async function importPaymentBatchAck({
               row.currency_code || null,
               row.executed_at || null,
               rowHash,
-              safeJson({ row_no: row.row_no, raw_row: row.raw_row }),
+              ackLinePayload(row),
             ]
           );
         } catch (err) {
@@ -850,7 +942,7 @@ export async function importPaymentBatchAck({
               row.currency_code || null,
               row.executed_at || null,
               rowHash,
-              safeJson({ row_no: row.row_no, raw_row: row.raw_row }),
+              ackLinePayload(row),
             ]
           );
         } catch (err) {
@@ -881,7 +973,7 @@ export async function importPaymentBatchAck({
             row.currency_code || null,
             row.executed_at || null,
             rowHash,
-            safeJson({ row_no: row.row_no, raw_row: row.raw_row }),
+            ackLinePayload(row),
           ]
         );
       } catch (err) {
@@ -937,6 +1029,14 @@ export async function importPaymentBatchAck({
       });
     }
 
+    const returnEvents = await ingestReturnEventsFromAckImportTx({
+      tenantId,
+      legalEntityId: batch.legal_entity_id,
+      ackImportId,
+      userId,
+      runQuery: tx.query,
+    });
+
     const batchAckStatus = computeBatchAckStatusFromAppliedRows(appliedAckRowsForStatus);
     const ackImportStatus = errorRows > 0 && appliedRows > 0 ? "PARTIAL" : errorRows > 0 ? "FAILED" : "APPLIED";
 
@@ -957,7 +1057,12 @@ export async function importPaymentBatchAck({
         appliedRows,
         duplicateRows,
         errorRows,
-        safeJson({ batch_ack_status_after: batchAckStatus }),
+        safeJson({
+          batch_ack_status_after: batchAckStatus,
+          message_id: parsed.message_id || null,
+          original_message_id: parsed.original_message_id || null,
+          return_events_created: returnEvents.createdCount,
+        }),
         tenantId,
         batch.legal_entity_id,
         ackImportId,
@@ -989,6 +1094,7 @@ export async function importPaymentBatchAck({
           applied_rows: appliedRows,
           duplicate_rows: duplicateRows,
           error_rows: errorRows,
+          return_events_created: returnEvents.createdCount,
           batch_ack_status_after: batchAckStatus,
         }),
         userId,
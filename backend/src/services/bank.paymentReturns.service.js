@@ -24,6 +24,16 @@ function safeJson(value) {
   return JSON.stringify(value ?? null);
 }
 
+function parseJsonObject(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
 async function getPaymentBatchLineForReturn({ tenantId, paymentBatchLineId, runQuery = query }) {
   const res = await runQuery(
     `SELECT
@@ -625,6 +635,7 @@ export async function ingestReturnEventsFromAckImportTx({
         l.ack_amount,
         l.currency_code,
         l.bank_reference,
+        l.payload_json,
         i.batch_id,
         i.id AS ack_import_id
      FROM payment_batch_ack_import_lines l
@@ -645,6 +656,11 @@ export async function ingestReturnEventsFromAckImportTx({
 
   for (const row of rows) {
     const requestId = `B08B-ACKREJ:${ackImportId}:${row.id}`;
+    // camt.054 returns are flagged on the ack line; everything else is a bank rejection.
+    const eventType =
+      u(parseJsonObject(row.payload_json)?.return_event_type) === "PAYMENT_RETURNED"
+        ? "PAYMENT_RETURNED"
+        : "PAYMENT_REJECTED";
     // eslint-disable-next-line no-await-in-loop
     const result = await createPaymentReturnEventTx({
       tenantId,
@@ -655,7 +671,7 @@ export async function ingestReturnEventsFromAckImportTx({
         paymentBatchLineId: row.payment_batch_line_id,
         paymentBatchAckImportId: row.ack_import_id,
         paymentBatchAckImportLineId: row.id,
-        eventType: "PAYMENT_REJECTED",
+        eventType,
         eventStatus: "CONFIRMED",
         amount: row.ack_amount === null || row.ack_amount === undefined ? 0 : absAmount(row.ack_amount),
         currencyCode: row.currency_code || (await getPaymentBatchLineForReturn({
@@ -665,7 +681,11 @@ export async function ingestReturnEventsFromAckImportTx({
         }))?.currency_code,
         bankReference: row.bank_reference || null,
         reasonCode: row.ack_code || "ACK_REJECTED",
-        reasonMessage: row.ack_message || "Rejected by bank acknowledgement",
+        reasonMessage:
+          row.ack_message ||
+          (eventType === "PAYMENT_RETURNED"
+            ? "Returned by bank notification"
+            : "Rejected by bank acknowledgement"),
         payload: {
           ack_import_line_id: row.id,
           ack_import_id: row.ack_import_id,
@@ -11,6 +11,15 @@ import { autoResolveOpenReconciliationExceptionsForLine } from "./bank.reconcili
 
 const MATCH_EPSILON = 0.005;
 const SUGGESTION_LIMIT = 20;
+const DEFAULT_GROUP_TOLERANCE = 0.01;
+const GROUP_MAX_ITEMS = 50;
+const GROUP_SEARCH_CANDIDATE_LIMIT = 24;
+const GROUP_SEARCH_MAX_SIZE = 5;
+const GROUP_SEARCH_NODE_BUDGET = 20000;
+const GROUP_SUGGESTION_LIMIT = 10;
+const GROUP_DATE_WINDOW_DAYS = 7;
+const MANY_TO_ONE_TARGET_TYPES = ["JOURNAL", "PAYMENT_BATCH"];
+const ONE_TO_MANY_TARGET_TYPES = ["CARI_OPEN_ITEM", "CASH_TXN"];
 
 function normalizeUpperText(value) {
   return String(value || "")
@@ -34,6 +43,90 @@ function absAmount(value) {
   return Math.abs(toAmount(value));
 }
 
+function lineDirection(line) {
+  return Number(line?.amount || 0) >= 0 ? "IN" : "OUT";
+}
+
+function parseGroupTolerance(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_GROUP_TOLERANCE;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return DEFAULT_GROUP_TOLERANCE;
+  }
+  return toAmount(parsed);
+}
+
+// Bounded subset-sum search over positive candidate amounts. Candidates are walked largest
+// first so a branch can be cut as soon as the remaining suffix cannot reach the target, and
+// the node budget keeps a wide candidate list from turning one request into an exponential walk.
+export function findAmountCombinations(
+  candidates,
+  targetAmount,
+  {
+    tolerance = DEFAULT_GROUP_TOLERANCE,
+    minSize = 2,
+    maxSize = GROUP_SEARCH_MAX_SIZE,
+    limit = GROUP_SUGGESTION_LIMIT,
+    nodeBudget = GROUP_SEARCH_NODE_BUDGET,
+  } = {}
+) {
+  const target = absAmount(targetAmount);
+  const slack = Math.max(0, Number(tolerance) || 0) + 1e-9;
+  const items = (candidates || [])
+    .map((candidate) => ({ candidate, amount: absAmount(candidate?.amount) }))
+    .filter((item) => item.amount > MATCH_EPSILON)
+    .sort((a, b) => b.amount - a.amount);
+  const suffixTotals = new Array(items.length + 1).fill(0);
+  for (let index = items.length - 1; index >= 0; index -= 1) {
+    suffixTotals[index] = suffixTotals[index + 1] + items[index].amount;
+  }
+
+  const results = [];
+  let nodes = 0;
+  function walk(start, picked, total) {
+    nodes += 1;
+    if (picked.length >= minSize && Math.abs(total - target) <= slack) {
+      results.push({ picked: [...picked], total });
+    }
+    if (picked.length >= maxSize) {
+      return;
+    }
+    for (let index = start; index < items.length; index += 1) {
+      if (nodes >= nodeBudget) {
+        return;
+      }
+      if (total + suffixTotals[index] < target - slack) {
+        break;
+      }
+      const next = total + items[index].amount;
+      if (next - target > slack) {
+        continue;
+      }
+      picked.push(index);
+      walk(index + 1, picked, next);
+      picked.pop();
+    }
+  }
+  walk(0, [], 0);
+
+  return results
+    .map(({ picked, total }) => {
+      const roundedTotal = toAmount(total);
+      return {
+        items: picked.map((index) => items[index].candidate),
+        total: roundedTotal,
+        difference: toAmount(roundedTotal - target),
+      };
+    })
+    .sort(
+      (a, b) =>
+        Math.abs(a.difference) - Math.abs(b.difference) || a.items.length - b.items.length
+    )
+    .slice(0, limit);
+}
+
 function lineStatusFromMatchedTotal(lineAmountAbs, matchedTotal) {
   const target = absAmount(lineAmountAbs);
   const matched = absAmount(matchedTotal);
@@ -130,6 +223,7 @@ async function getActiveMatchesForLine({ tenantId, lineId, runQuery = query }) {
         m.match_type,
         m.matched_entity_type,
         m.matched_entity_id,
+        m.match_group_id,
         m.reconciliation_rule_id,
         m.reconciliation_confidence,
         m.matched_amount,
@@ -337,9 +431,207 @@ async function assertMatchTargetExists({ tenantId, legalEntityId, matchInput, ru
     return row;
   }
 
+  if (matchInput.matchedEntityType === "CARI_OPEN_ITEM") {
+    const result = await runQuery(
+      `SELECT id, status, tenant_id, legal_entity_id
+       FROM cari_open_items
+       WHERE id = ?
+         AND tenant_id = ?
+         AND legal_entity_id = ?
+       LIMIT 1`,
+      [matchInput.matchedEntityId, tenantId, legalEntityId]
+    );
+    const row = result.rows?.[0] || null;
+    if (!row) {
+      throw badRequest("Cari open item not found for tenant/legal entity");
+    }
+    if (!["OPEN", "PARTIALLY_SETTLED"].includes(normalizeUpperText(row.status))) {
+      throw badRequest("Only OPEN or PARTIALLY_SETTLED cari open items can be reconciled");
+    }
+    return row;
+  }
+
   throw badRequest(`${matchInput.matchedEntityType} matching is not enabled yet`);
 }
 
+async function loadGroupTarget({ tenantId, line, target, runQuery = query }) {
+  const entityType = target.matchedEntityType;
+  const entityId = target.matchedEntityId;
+  let row = null;
+  let direction = null;
+  let displayRef = null;
+  let displayText = null;
+
+  if (entityType === "JOURNAL") {
+    const result = await runQuery(
+      `SELECT
+          je.id,
+          je.status,
+          je.journal_no,
+          je.description,
+          COALESCE(SUM(CASE WHEN jl.account_id = ? THEN jl.debit_base - jl.credit_base ELSE 0 END), 0)
+            AS signed_amount
+       FROM journal_entries je
+       LEFT JOIN journal_lines jl
+         ON jl.journal_entry_id = je.id
+       WHERE je.id = ?
+         AND je.tenant_id = ?
+         AND je.legal_entity_id = ?
+       GROUP BY je.id, je.status, je.journal_no, je.description`,
+      [line.bank_gl_account_id, entityId, tenantId, line.legal_entity_id]
+    );
+    row = result.rows?.[0] || null;
+    if (!row) {
+      throw badRequest("Journal not found for tenant/legal entity");
+    }
+    if (normalizeUpperText(row.status) !== "POSTED") {
+      throw badRequest("Only POSTED journals can be reconciled");
+    }
+    direction = toAmount(row.signed_amount) >= 0 ? "IN" : "OUT";
+    displayRef = row.journal_no || `JE#${row.id}`;
+    displayText = row.description || null;
+    row.total_amount = absAmount(row.signed_amount);
+  } else if (entityType === "PAYMENT_BATCH") {
+    const result = await runQuery(
+      `SELECT
+          pb.id,
+          pb.status,
+          pb.batch_no,
+          pb.bank_account_id,
+          COALESCE(SUM(CASE
+            WHEN pl.executed_amount > 0 THEN ABS(pl.executed_amount)
+            WHEN pl.exported_amount > 0 THEN ABS(pl.exported_amount)
+            ELSE ABS(pl.amount)
+          END), 0) AS total_amount
+       FROM payment_batches pb
+       LEFT JOIN payment_batch_lines pl
+         ON pl.tenant_id = pb.tenant_id
+        AND pl.legal_entity_id = pb.legal_entity_id
+        AND pl.batch_id = pb.id
+       WHERE pb.id = ?
+         AND pb.tenant_id = ?
+         AND pb.legal_entity_id = ?
+       GROUP BY pb.id, pb.status, pb.batch_no, pb.bank_account_id`,
+      [entityId, tenantId, line.legal_entity_id]
+    );
+    row = result.rows?.[0] || null;
+    if (!row) {
+      throw badRequest("Payment batch not found for tenant/legal entity");
+    }
+    if (normalizeUpperText(row.status) !== "POSTED") {
+      throw badRequest("Only POSTED payment batches can be reconciled");
+    }
+    if (parsePositiveInt(row.bank_account_id) !== parsePositiveInt(line.bank_account_id)) {
+      throw badRequest("Payment batch belongs to a different bank account");
+    }
+    direction = "OUT";
+    displayRef = row.batch_no || `PB#${row.id}`;
+  } else if (entityType === "CASH_TXN") {
+    const result = await runQuery(
+      `SELECT
+          ct.id,
+          ct.status,
+          ct.txn_no,
+          ct.txn_type,
+          ct.description,
+          ct.currency_code,
+          ABS(ct.amount) AS total_amount
+       FROM cash_transactions ct
+       JOIN cash_registers cr
+         ON cr.id = ct.cash_register_id
+        AND cr.tenant_id = ct.tenant_id
+       WHERE ct.id = ?
+         AND ct.tenant_id = ?
+         AND cr.legal_entity_id = ?
+       LIMIT 1`,
+      [entityId, tenantId, line.legal_entity_id]
+    );
+    row = result.rows?.[0] || null;
+    if (!row) {
+      throw badRequest("Cash transaction not found for tenant/legal entity");
+    }
+    if (normalizeUpperText(row.status) !== "POSTED") {
+      throw badRequest("Only POSTED cash transactions can be reconciled");
+    }
+    const txnType = normalizeUpperText(row.txn_type);
+    if (txnType === "DEPOSIT_TO_BANK") {
+      direction = "IN";
+    } else if (txnType === "WITHDRAWAL_FROM_BANK") {
+      direction = "OUT";
+    } else {
+      throw badRequest("Only DEPOSIT_TO_BANK or WITHDRAWAL_FROM_BANK cash transactions can be grouped");
+    }
+    if (normalizeUpperText(row.currency_code) !== normalizeUpperText(line.currency_code)) {
+      throw badRequest(`Cash transaction #${entityId} currency does not match the statement line`);
+    }
+    displayRef = row.txn_no || `CT#${row.id}`;
+    displayText = row.description || null;
+  } else if (entityType === "CARI_OPEN_ITEM") {
+    const result = await runQuery(
+      `SELECT
+          oi.id,
+          oi.status,
+          oi.currency_code,
+          oi.residual_amount_txn AS total_amount,
+          d.direction AS document_direction,
+          d.document_no,
+          d.counterparty_name_snapshot
+       FROM cari_open_items oi
+       JOIN cari_documents d
+         ON d.id = oi.document_id
+        AND d.tenant_id = oi.tenant_id
+        AND d.legal_entity_id = oi.legal_entity_id
+       WHERE oi.id = ?
+         AND oi.tenant_id = ?
+         AND oi.legal_entity_id = ?
+       LIMIT 1`,
+      [entityId, tenantId, line.legal_entity_id]
+    );
+    row = result.rows?.[0] || null;
+    if (!row) {
+      throw badRequest("Cari open item not found for tenant/legal entity");
+    }
+    if (!["OPEN", "PARTIALLY_SETTLED"].includes(normalizeUpperText(row.status))) {
+      throw badRequest("Only OPEN or PARTIALLY_SETTLED cari open items can be reconciled");
+    }
+    if (normalizeUpperText(row.currency_code) !== normalizeUpperText(line.currency_code)) {
+      throw badRequest(`Cari open item #${entityId} currency does not match the statement line`);
+    }
+    direction = normalizeUpperText(row.document_direction) === "AP" ? "OUT" : "IN";
+    displayRef = row.document_no || `OI#${row.id}`;
+    displayText = row.counterparty_name_snapshot || null;
+  } else {
+    throw badRequest(`${entityType} cannot be used as a grouped match target`);
+  }
+
+  if (direction !== lineDirection(line)) {
+    throw badRequest(`${entityType} #${entityId} direction does not match the statement lines`);
+  }
+
+  const matchedResult = await runQuery(
+    `SELECT COALESCE(SUM(matched_amount), 0) AS matched_total
+     FROM bank_reconciliation_matches
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND matched_entity_type = ?
+       AND matched_entity_id = ?
+       AND status = 'ACTIVE'`,
+    [tenantId, line.legal_entity_id, entityType, entityId]
+  );
+  const totalAmount = absAmount(row.total_amount);
+  const matchedTotal = absAmount(matchedResult.rows?.[0]?.matched_total || 0);
+
+  return {
+    matchedEntityType: entityType,
+    matchedEntityId: entityId,
+    displayRef,
+    displayText,
+    totalAmount,
+    matchedTotal,
+    availableAmount: toAmount(Math.max(0, totalAmount - matchedTotal)),
+  };
+}
+
 function buildJournalSuggestionScore(line, row) {
   let score = 0;
   const lineAbs = absAmount(line.amount);
@@ -384,6 +676,436 @@ function buildJournalSuggestionScore(line, row) {
   return score;
 }
 
+function buildGroupSuggestionScore(line, { differenceAmount, size, refs }) {
+  let score = 60;
+  score += Math.abs(toAmount(differenceAmount)) <= MATCH_EPSILON ? 20 : 5;
+  score -= Math.max(0, size - 2) * 3;
+  const hay = `${normalizeUpperText(line.reference_no)} ${normalizeUpperText(line.description)}`;
+  const hit = (refs || []).some((ref) => {
+    const token = normalizeUpperText(ref);
+    return token.length >= 4 && hay.includes(token);
+  });
+  if (hit) {
+    score += 15;
+  }
+  return Math.min(100, Math.max(0, score));
+}
+
+function toGroupSuggestion({ line, groupType, statementLineIds, statementTotal, targets }) {
+  const targetTotal = toAmount(targets.reduce((sum, target) => sum + toAmount(target.amount), 0));
+  const differenceAmount = toAmount(statementTotal - targetTotal);
+  return {
+    suggestionType: `GROUP_${groupType}`,
+    groupType,
+    statementLineIds,
+    targets,
+    statementTotal: toAmount(statementTotal),
+    targetTotal,
+    differenceAmount,
+    score: buildGroupSuggestionScore(line, {
+      differenceAmount,
+      size: Math.max(statementLineIds.length, targets.length),
+      refs: targets.map((target) => target.displayRef),
+    }),
+  };
+}
+
+async function findOpenItemGroupSuggestions({ tenantId, line, remainingAmount, tolerance, maxSize }) {
+  const result = await query(
+    `SELECT
+        oi.id,
+        oi.counterparty_id,
+        oi.due_date,
+        oi.residual_amount_txn - COALESCE(m.matched_total, 0) AS available_amount,
+        d.document_no,
+        d.counterparty_name_snapshot
+     FROM cari_open_items oi
+     JOIN cari_documents d
+       ON d.id = oi.document_id
+      AND d.tenant_id = oi.tenant_id
+      AND d.legal_entity_id = oi.legal_entity_id
+     LEFT JOIN (
+       SELECT matched_entity_id, SUM(matched_amount) AS matched_total
+       FROM bank_reconciliation_matches
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND matched_entity_type = 'CARI_OPEN_ITEM'
+         AND status = 'ACTIVE'
+       GROUP BY matched_entity_id
+     ) m
+       ON m.matched_entity_id = oi.id
+     WHERE oi.tenant_id = ?
+       AND oi.legal_entity_id = ?
+       AND oi.status IN ('OPEN','PARTIALLY_SETTLED')
+       AND oi.currency_code = ?
+       AND d.direction = ?
+       AND oi.residual_amount_txn - COALESCE(m.matched_total, 0) > ?
+       AND oi.residual_amount_txn - COALESCE(m.matched_total, 0) <= ?
+     ORDER BY oi.counterparty_id ASC, oi.due_date ASC, oi.id ASC
+     LIMIT 500`,
+    [
+      tenantId,
+      line.legal_entity_id,
+      tenantId,
+      line.legal_entity_id,
+      line.currency_code,
+      lineDirection(line) === "IN" ? "AR" : "AP",
+      MATCH_EPSILON,
+      remainingAmount + tolerance,
+    ]
+  );
+
+  const byCounterparty = new Map();
+  for (const row of result.rows || []) {
+    const key = parsePositiveInt(row.counterparty_id) || 0;
+    const bucket = byCounterparty.get(key) || [];
+    if (bucket.length < GROUP_SEARCH_CANDIDATE_LIMIT) {
+      bucket.push({
+        matchedEntityType: "CARI_OPEN_ITEM",
+        matchedEntityId: parsePositiveInt(row.id),
+        amount: toAmount(row.available_amount),
+        displayRef: row.document_no || `OI#${row.id}`,
+        displayText: row.counterparty_name_snapshot || null,
+      });
+    }
+    byCounterparty.set(key, bucket);
+  }
+
+  const suggestions = [];
+  for (const candidates of byCounterparty.values()) {
+    const combos = findAmountCombinations(candidates, remainingAmount, { tolerance, maxSize });
+    for (const combo of combos) {
+      suggestions.push(
+        toGroupSuggestion({
+          line,
+          groupType: "ONE_TO_MANY",
+          statementLineIds: [parsePositiveInt(line.id)],
+          statementTotal: remainingAmount,
+          targets: combo.items,
+        })
+      );
+    }
+  }
+  return suggestions;
+}
+
+async function findCashTxnGroupSuggestions({
+  tenantId,
+  line,
+  remainingAmount,
+  tolerance,
+  maxSize,
+  dateWindowDays,
+}) {
+  const result = await query(
+    `SELECT
+        ct.id,
+        ct.txn_no,
+        ct.description,
+        ABS(ct.amount) - COALESCE(m.matched_total, 0) AS available_amount
+     FROM cash_transactions ct
+     JOIN cash_registers cr
+       ON cr.id = ct.cash_register_id
+      AND cr.tenant_id = ct.tenant_id
+     LEFT JOIN (
+       SELECT matched_entity_id, SUM(matched_amount) AS matched_total
+       FROM bank_reconciliation_matches
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND matched_entity_type = 'CASH_TXN'
+         AND status = 'ACTIVE'
+       GROUP BY matched_entity_id
+     ) m
+       ON m.matched_entity_id = ct.id
+     WHERE ct.tenant_id = ?
+       AND cr.legal_entity_id = ?
+       AND ct.status = 'POSTED'
+       AND ct.txn_type = ?
+       AND ct.currency_code = ?
+       AND ct.book_date BETWEEN DATE_SUB(?, INTERVAL ${dateWindowDays} DAY)
+                            AND DATE_ADD(?, INTERVAL ${dateWindowDays} DAY)
+       AND ABS(ct.amount) - COALESCE(m.matched_total, 0) > ?
+       AND ABS(ct.amount) - COALESCE(m.matched_total, 0) <= ?
+     ORDER BY ABS(DATEDIFF(ct.book_date, ?)) ASC, ct.id ASC
+     LIMIT ${GROUP_SEARCH_CANDIDATE_LIMIT}`,
+    [
+      tenantId,
+      line.legal_entity_id,
+      tenantId,
+      line.legal_entity_id,
+      lineDirection(line) === "IN" ? "DEPOSIT_TO_BANK" : "WITHDRAWAL_FROM_BANK",
+      line.currency_code,
+      line.txn_date,
+      line.txn_date,
+      MATCH_EPSILON,
+      remainingAmount + tolerance,
+      line.txn_date,
+    ]
+  );
+
+  const candidates = (result.rows || []).map((row) => ({
+    matchedEntityType: "CASH_TXN",
+    matchedEntityId: parsePositiveInt(row.id),
+    amount: toAmount(row.available_amount),
+    displayRef: row.txn_no || `CT#${row.id}`,
+    displayText: row.description || null,
+  }));
+  return findAmountCombinations(candidates, remainingAmount, { tolerance, maxSize }).map((combo) =>
+    toGroupSuggestion({
+      line,
+      groupType: "ONE_TO_MANY",
+      statementLineIds: [parsePositiveInt(line.id)],
+      statementTotal: remainingAmount,
+      targets: combo.items,
+    })
+  );
+}
+
+async function findManyToOneTargets({ tenantId, line, remainingAmount, tolerance, dateWindowDays, kinds }) {
+  const targets = [];
+  const matchedJoin = (entityType) => `LEFT JOIN (
+       SELECT matched_entity_id, SUM(matched_amount) AS matched_total
+       FROM bank_reconciliation_matches
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND matched_entity_type = '${entityType}'
+         AND status = 'ACTIVE'
+       GROUP BY matched_entity_id
+     ) m`;
+
+  if (kinds.includes("JOURNAL") && parsePositiveInt(line.bank_gl_account_id)) {
+    const result = await query(
+      `SELECT
+          je.id,
+          je.journal_no,
+          je.description,
+          COALESCE(SUM(jl.debit_base - jl.credit_base), 0) AS signed_amount,
+          MAX(COALESCE(m.matched_total, 0)) AS matched_total
+       FROM journal_entries je
+       JOIN journal_lines jl
+         ON jl.journal_entry_id = je.id
+       ${matchedJoin("JOURNAL")}
+         ON m.matched_entity_id = je.id
+       WHERE je.tenant_id = ?
+         AND je.legal_entity_id = ?
+         AND je.status = 'POSTED'
+         AND jl.account_id = ?
+         AND je.entry_date BETWEEN DATE_SUB(?, INTERVAL ${dateWindowDays} DAY)
+                              AND DATE_ADD(?, INTERVAL ${dateWindowDays} DAY)
+       GROUP BY je.id, je.journal_no, je.description
+       ORDER BY je.entry_date DESC, je.id DESC
+       LIMIT 50`,
+      [
+        tenantId,
+        line.legal_entity_id,
+        tenantId,
+        line.legal_entity_id,
+        line.bank_gl_account_id,
+        line.txn_date,
+        line.txn_date,
+      ]
+    );
+    for (const row of result.rows || []) {
+      const signed = toAmount(row.signed_amount);
+      if ((signed >= 0 ? "IN" : "OUT") !== lineDirection(line)) {
+        continue;
+      }
+      targets.push({
+        matchedEntityType: "JOURNAL",
+        matchedEntityId: parsePositiveInt(row.id),
+        amount: toAmount(Math.abs(signed) - absAmount(row.matched_total)),
+        displayRef: row.journal_no || `JE#${row.id}`,
+        displayText: row.description || null,
+      });
+    }
+  }
+
+  if (kinds.includes("PAYMENT_BATCH") && lineDirection(line) === "OUT") {
+    const result = await query(
+      `SELECT
+          pb.id,
+          pb.batch_no,
+          COALESCE(SUM(CASE
+            WHEN pl.executed_amount > 0 THEN ABS(pl.executed_amount)
+            WHEN pl.exported_amount > 0 THEN ABS(pl.exported_amount)
+            ELSE ABS(pl.amount)
+          END), 0) AS total_amount,
+          MAX(COALESCE(m.matched_total, 0)) AS matched_total
+       FROM payment_batches pb
+       JOIN payment_batch_lines pl
+         ON pl.tenant_id = pb.tenant_id
+        AND pl.legal_entity_id = pb.legal_entity_id
+        AND pl.batch_id = pb.id
+       ${matchedJoin("PAYMENT_BATCH")}
+         ON m.matched_entity_id = pb.id
+       WHERE pb.tenant_id = ?
+         AND pb.legal_entity_id = ?
+         AND pb.bank_account_id = ?
+         AND pb.status = 'POSTED'
+         AND (pb.posted_at IS NULL OR DATE(pb.posted_at)
+              BETWEEN DATE_SUB(?, INTERVAL ${dateWindowDays} DAY)
+                  AND DATE_ADD(?, INTERVAL ${dateWindowDays} DAY))
+       GROUP BY pb.id, pb.batch_no
+       ORDER BY pb.id DESC
+       LIMIT 50`,
+      [
+        tenantId,
+        line.legal_entity_id,
+        tenantId,
+        line.legal_entity_id,
+        line.bank_account_id,
+        line.txn_date,
+        line.txn_date,
+      ]
+    );
+    for (const row of result.rows || []) {
+      targets.push({
+        matchedEntityType: "PAYMENT_BATCH",
+        matchedEntityId: parsePositiveInt(row.id),
+        amount: toAmount(absAmount(row.total_amount) - absAmount(row.matched_total)),
+        displayRef: row.batch_no || `PB#${row.id}`,
+        displayText: null,
+      });
+    }
+  }
+
+  // Only targets the line alone cannot cover are worth a group; exact 1:1 hits already show
+  // up in the plain suggestion list.
+  return targets
+    .filter((target) => target.amount - remainingAmount > tolerance)
+    .slice(0, GROUP_SUGGESTION_LIMIT);
+}
+
+async function findManyToOneGroupSuggestions({
+  tenantId,
+  line,
+  remainingAmount,
+  tolerance,
+  maxSize,
+  dateWindowDays,
+  kinds,
+}) {
+  const targets = await findManyToOneTargets({
+    tenantId,
+    line,
+    remainingAmount,
+    tolerance,
+    dateWindowDays,
+    kinds,
+  });
+  if (!targets.length) {
+    return [];
+  }
+
+  const siblingResult = await query(
+    `SELECT
+        l.id,
+        ABS(l.amount) - COALESCE(m.matched_total, 0) AS remaining_amount
+     FROM bank_statement_lines l
+     LEFT JOIN (
+       SELECT statement_line_id, SUM(matched_amount) AS matched_total
+       FROM bank_reconciliation_matches
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND status = 'ACTIVE'
+       GROUP BY statement_line_id
+     ) m
+       ON m.statement_line_id = l.id
+     WHERE l.tenant_id = ?
+       AND l.legal_entity_id = ?
+       AND l.bank_account_id = ?
+       AND l.id <> ?
+       AND l.recon_status IN ('UNMATCHED','PARTIAL')
+       AND ${lineDirection(line) === "IN" ? "l.amount > 0" : "l.amount < 0"}
+       AND l.txn_date BETWEEN DATE_SUB(?, INTERVAL ${dateWindowDays} DAY)
+                          AND DATE_ADD(?, INTERVAL ${dateWindowDays} DAY)
+     ORDER BY ABS(DATEDIFF(l.txn_date, ?)) ASC, l.id ASC
+     LIMIT ${GROUP_SEARCH_CANDIDATE_LIMIT}`,
+    [
+      tenantId,
+      line.legal_entity_id,
+      tenantId,
+      line.legal_entity_id,
+      line.bank_account_id,
+      line.id,
+      line.txn_date,
+      line.txn_date,
+      line.txn_date,
+    ]
+  );
+  const siblings = (siblingResult.rows || []).map((row) => ({
+    id: parsePositiveInt(row.id),
+    amount: toAmount(row.remaining_amount),
+  }));
+
+  const suggestions = [];
+  for (const target of targets) {
+    // The requested line is always part of the group, so search for the rest of the target.
+    const combos = findAmountCombinations(siblings, target.amount - remainingAmount, {
+      tolerance,
+      minSize: 1,
+      maxSize: Math.max(1, maxSize - 1),
+    });
+    for (const combo of combos) {
+      suggestions.push(
+        toGroupSuggestion({
+          line,
+          groupType: "MANY_TO_ONE",
+          statementLineIds: [parsePositiveInt(line.id), ...combo.items.map((item) => item.id)],
+          statementTotal: remainingAmount + combo.total,
+          targets: [target],
+        })
+      );
+    }
+  }
+  return suggestions;
+}
+
+export async function findGroupMatchCandidatesForLine({
+  tenantId,
+  line,
+  remainingAmount,
+  kinds = [...MANY_TO_ONE_TARGET_TYPES, ...ONE_TO_MANY_TARGET_TYPES],
+  tolerance = DEFAULT_GROUP_TOLERANCE,
+  dateWindowDays = GROUP_DATE_WINDOW_DAYS,
+  maxSize = GROUP_SEARCH_MAX_SIZE,
+}) {
+  const remaining = toAmount(remainingAmount);
+  if (!(remaining > MATCH_EPSILON)) {
+    return [];
+  }
+  const options = {
+    tenantId,
+    line,
+    remainingAmount: remaining,
+    tolerance: parseGroupTolerance(tolerance),
+    maxSize,
+    dateWindowDays,
+    kinds,
+  };
+
+  const suggestions = [];
+  if (kinds.includes("CARI_OPEN_ITEM")) {
+    suggestions.push(...(await findOpenItemGroupSuggestions(options)));
+  }
+  if (kinds.includes("CASH_TXN")) {
+    suggestions.push(...(await findCashTxnGroupSuggestions(options)));
+  }
+  if (kinds.some((kind) => MANY_TO_ONE_TARGET_TYPES.includes(kind))) {
+    suggestions.push(...(await findManyToOneGroupSuggestions(options)));
+  }
+
+  return suggestions
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        Math.abs(a.differenceAmount) - Math.abs(b.differenceAmount) ||
+        Math.max(a.statementLineIds.length, a.targets.length) -
+          Math.max(b.statementLineIds.length, b.targets.length)
+    )
+    .slice(0, GROUP_SUGGESTION_LIMIT);
+}
+
 export async function listReconciliationQueueRows({
   req,
   tenantId,
@@ -605,6 +1327,11 @@ export async function getReconciliationSuggestionsForLine({
     }))
     .sort((a, b) => b.score - a.score || b.matchedEntityId - a.matchedEntityId);
 
+  const groupSuggestions =
+    normalizeUpperText(line.recon_status) === "IGNORED"
+      ? []
+      : await findGroupMatchCandidatesForLine({ tenantId, line, remainingAmount });
+
   await writeReconciliationAudit({
     tenantId,
     legalEntityId: line.legal_entity_id,
@@ -613,6 +1340,7 @@ export async function getReconciliationSuggestionsForLine({
     payload: {
       engine: "journal-v1",
       suggestionCount: suggestions.length,
+      groupSuggestionCount: groupSuggestions.length,
       activeMatchedTotal,
       remainingAmount,
     },
@@ -623,143 +1351,185 @@ export async function getReconciliationSuggestionsForLine({
     line,
     matches: activeMatches,
     suggestions,
+    groupSuggestions,
   };
 }
 
-export async function matchReconciliationLine({
-  req,
-  tenantId,
-  lineId,
-  matchInput,
-  userId,
-  assertScopeAccess,
-}) {
-  const line = await getStatementLineCore({ tenantId, lineId });
-  if (!line) {
-    throw badRequest("Statement line not found");
-  }
-  assertScopeAccess(req, "legal_entity", line.legal_entity_id, "lineId");
-
+function assertLineAcceptsMatch({ line, currentMatched, matchInput }) {
   if (normalizeUpperText(line.recon_status) === "IGNORED") {
     throw badRequest("Ignored line cannot be matched (unignore flow is not implemented yet)");
   }
-
-  const currentMatched = await getActiveMatchedTotalForLine({ tenantId, lineId });
   const targetAbs = absAmount(line.amount);
   const nextTotal = toAmount(currentMatched + toAmount(matchInput.matchedAmount));
   if (nextTotal - targetAbs > MATCH_EPSILON) {
     throw badRequest("Matched amount exceeds statement line amount");
   }
+}
 
-  return withTransaction(async (tx) => {
-    await assertMatchTargetExists({
-      tenantId,
-      legalEntityId: line.legal_entity_id,
-      matchInput,
-      runQuery: tx.query,
-    });
+/**
+ * Matches a statement line inside the caller's transaction. The line row is
+ * locked and its matched total re-read under the lock, so callers that post
+ * the match target in the same transaction cannot over-match the line.
+ */
+export async function matchReconciliationLineTx(tx, { tenantId, lineId, matchInput, userId }) {
+  const lockResult = await tx.query(
+    `SELECT id
+     FROM bank_statement_lines
+     WHERE tenant_id = ?
+       AND id = ?
+     FOR UPDATE`,
+    [tenantId, lineId]
+  );
+  if (!lockResult.rows?.length) {
+    throw badRequest("Statement line not found");
+  }
+  const line = await getStatementLineCore({ tenantId, lineId, runQuery: tx.query });
+  const currentMatched = await getActiveMatchedTotalForLine({
+    tenantId,
+    lineId,
+    runQuery: tx.query,
+  });
+  assertLineAcceptsMatch({ line, currentMatched, matchInput });
 
-    const reconciliationRuleId = parsePositiveInt(matchInput.reconciliationRuleId);
-    const reconciliationConfidence =
-      matchInput.reconciliationConfidence === undefined ||
-      matchInput.reconciliationConfidence === null ||
-      matchInput.reconciliationConfidence === ""
-        ? null
-        : Number(Number(matchInput.reconciliationConfidence).toFixed(2));
-    const reconciliationMethod = matchInput.reconciliationMethod
-      ? normalizeUpperText(matchInput.reconciliationMethod)
-      : null;
+  await assertMatchTargetExists({
+    tenantId,
+    legalEntityId: line.legal_entity_id,
+    matchInput,
+    runQuery: tx.query,
+  });
 
-    const insertResult = await tx.query(
-      `INSERT INTO bank_reconciliation_matches (
-          tenant_id,
-          legal_entity_id,
-          statement_line_id,
-          match_type,
-          matched_entity_type,
-          matched_entity_id,
-          reconciliation_rule_id,
-          reconciliation_confidence,
-          matched_amount,
-          status,
-          notes,
-          matched_by_user_id
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+  const reconciliationRuleId = parsePositiveInt(matchInput.reconciliationRuleId);
+  const reconciliationConfidence =
+    matchInput.reconciliationConfidence === undefined ||
+    matchInput.reconciliationConfidence === null ||
+    matchInput.reconciliationConfidence === ""
+      ? null
+      : Number(Number(matchInput.reconciliationConfidence).toFixed(2));
+  const reconciliationMethod = matchInput.reconciliationMethod
+    ? normalizeUpperText(matchInput.reconciliationMethod)
+    : null;
+
+  const insertResult = await tx.query(
+    `INSERT INTO bank_reconciliation_matches (
+        tenant_id,
+        legal_entity_id,
+        statement_line_id,
+        match_type,
+        matched_entity_type,
+        matched_entity_id,
+        reconciliation_rule_id,
+        reconciliation_confidence,
+        matched_amount,
+        status,
+        notes,
+        matched_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+    [
+      tenantId,
+      line.legal_entity_id,
+      lineId,
+      matchInput.matchType || "MANUAL",
+      matchInput.matchedEntityType,
+      matchInput.matchedEntityId,
+      reconciliationRuleId || null,
+      reconciliationConfidence,
+      toAmount(matchInput.matchedAmount),
+      matchInput.notes || null,
+      userId,
+    ]
+  );
+
+  if (reconciliationMethod || reconciliationRuleId || reconciliationConfidence !== null) {
+    await tx.query(
+      `UPDATE bank_statement_lines
+       SET reconciliation_method = ?,
+           reconciliation_rule_id = ?,
+           reconciliation_confidence = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
       [
-        tenantId,
-        line.legal_entity_id,
-        lineId,
-        matchInput.matchType || "MANUAL",
-        matchInput.matchedEntityType,
-        matchInput.matchedEntityId,
+        reconciliationMethod || null,
         reconciliationRuleId || null,
         reconciliationConfidence,
-        toAmount(matchInput.matchedAmount),
-        matchInput.notes || null,
-        userId,
+        tenantId,
+        lineId,
       ]
     );
+  }
 
-    if (reconciliationMethod || reconciliationRuleId || reconciliationConfidence !== null) {
-      await tx.query(
-        `UPDATE bank_statement_lines
-         SET reconciliation_method = ?,
-             reconciliation_rule_id = ?,
-             reconciliation_confidence = ?
-         WHERE tenant_id = ?
-           AND id = ?`,
-        [
-          reconciliationMethod || null,
-          reconciliationRuleId || null,
-          reconciliationConfidence,
-          tenantId,
-          lineId,
-        ]
-      );
-    }
+  const matchId = parsePositiveInt(insertResult.rows?.insertId);
+  await writeReconciliationAudit({
+    tenantId,
+    legalEntityId: line.legal_entity_id,
+    statementLineId: lineId,
+    action: "MATCHED",
+    payload: {
+      matchId,
+      matchType: matchInput.matchType || "MANUAL",
+      matchedEntityType: matchInput.matchedEntityType,
+      matchedEntityId: matchInput.matchedEntityId,
+      matchedAmount: toAmount(matchInput.matchedAmount),
+      reconciliationMethod: reconciliationMethod || null,
+      reconciliationRuleId: reconciliationRuleId || null,
+      reconciliationConfidence,
+      notes: matchInput.notes || null,
+    },
+    userId,
+    runQuery: tx.query,
+  });
 
-    const matchId = parsePositiveInt(insertResult.rows?.insertId);
-    await writeReconciliationAudit({
+  const updatedLine = await recomputeLineReconStatus({
+    tenantId,
+    lineId,
+    userId,
+    runQuery: tx.query,
+  });
+  if (normalizeUpperText(updatedLine?.recon_status) === "MATCHED") {
+    await autoResolveOpenReconciliationExceptionsForLine({
       tenantId,
       legalEntityId: line.legal_entity_id,
       statementLineId: lineId,
-      action: "MATCHED",
-      payload: {
-        matchId,
-        matchType: matchInput.matchType || "MANUAL",
-        matchedEntityType: matchInput.matchedEntityType,
-        matchedEntityId: matchInput.matchedEntityId,
-        matchedAmount: toAmount(matchInput.matchedAmount),
-        reconciliationMethod: reconciliationMethod || null,
-        reconciliationRuleId: reconciliationRuleId || null,
-        reconciliationConfidence,
-        notes: matchInput.notes || null,
-      },
       userId,
       runQuery: tx.query,
     });
+  }
+  const matches = await getActiveMatchesForLine({ tenantId, lineId, runQuery: tx.query });
 
-    const updatedLine = await recomputeLineReconStatus({
-      tenantId,
-      lineId,
-      userId,
-      runQuery: tx.query,
-    });
-    if (normalizeUpperText(updatedLine?.recon_status) === "MATCHED") {
-      await autoResolveOpenReconciliationExceptionsForLine({
-        tenantId,
-        legalEntityId: line.legal_entity_id,
-        statementLineId: lineId,
-        userId,
-        runQuery: tx.query,
-      });
-    }
-    const matches = await getActiveMatchesForLine({ tenantId, lineId, runQuery: tx.query });
+  return {
+    line: updatedLine,
+    matches,
+  };
+}
 
+// afterMatchTx(tx, result) runs inside the match transaction, so callers can post rows that belong
+// to the match atomically with it; its return value is exposed as afterMatchResult.
+export async function matchReconciliationLine({
+  req,
+  tenantId,
+  lineId,
+  matchInput,
+  userId,
+  assertScopeAccess,
+  afterMatchTx = null,
+}) {
+  const line = await getStatementLineCore({ tenantId, lineId });
+  if (!line) {
+    throw badRequest("Statement line not found");
+  }
+  assertScopeAccess(req, "legal_entity", line.legal_entity_id, "lineId");
+
+  const currentMatched = await getActiveMatchedTotalForLine({ tenantId, lineId });
+  assertLineAcceptsMatch({ line, currentMatched, matchInput });
+
+  return withTransaction(async (tx) => {
+    const result = await matchReconciliationLineTx(tx, { tenantId, lineId, matchInput, userId });
+    if (!afterMatchTx) {
+      return result;
+    }
     return {
-      line: updatedLine,
-      matches,
+      ...result,
+      afterMatchResult: await afterMatchTx(tx, result),
     };
   });
 }
@@ -851,6 +1621,504 @@ export async function reconcileStatementLineToJournal({
   };
 }
 
+async function getMatchGroupRow({ tenantId, groupId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `SELECT
+        g.id,
+        g.tenant_id,
+        g.legal_entity_id,
+        g.bank_account_id,
+        g.group_type,
+        g.match_type,
+        g.status,
+        g.statement_line_count,
+        g.target_count,
+        g.statement_total,
+        g.target_total,
+        g.difference_amount,
+        g.tolerance_amount,
+        g.reconciliation_rule_id,
+        g.reconciliation_confidence,
+        g.notes,
+        g.created_by_user_id,
+        g.reversed_by_user_id,
+        g.reversed_at,
+        g.created_at,
+        g.updated_at
+     FROM bank_reconciliation_match_groups g
+     WHERE g.tenant_id = ?
+       AND g.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, groupId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function getMatchesForGroup({ tenantId, groupId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+        m.id,
+        m.legal_entity_id,
+        m.statement_line_id,
+        m.match_type,
+        m.matched_entity_type,
+        m.matched_entity_id,
+        m.match_group_id,
+        m.matched_amount,
+        m.status,
+        m.notes,
+        m.matched_by_user_id,
+        m.matched_at,
+        m.reversed_by_user_id,
+        m.reversed_at,
+        l.txn_date,
+        l.amount AS statement_amount,
+        l.reference_no AS statement_reference_no,
+        l.description AS statement_description,
+        l.recon_status AS statement_recon_status
+     FROM bank_reconciliation_matches m
+     JOIN bank_statement_lines l
+       ON l.id = m.statement_line_id
+      AND l.tenant_id = m.tenant_id
+     WHERE m.tenant_id = ?
+       AND m.match_group_id = ?
+     ORDER BY m.id ASC`,
+    [tenantId, groupId]
+  );
+  return result.rows || [];
+}
+
+async function reverseMatchGroupTx({
+  tenantId,
+  groupId,
+  userId,
+  notes = null,
+  skipLineId = null,
+  runQuery,
+}) {
+  const activeResult = await runQuery(
+    `SELECT id, legal_entity_id, statement_line_id
+     FROM bank_reconciliation_matches
+     WHERE tenant_id = ?
+       AND match_group_id = ?
+       AND status = 'ACTIVE'
+     FOR UPDATE`,
+    [tenantId, groupId]
+  );
+  const activeRows = activeResult.rows || [];
+
+  await runQuery(
+    `UPDATE bank_reconciliation_matches
+     SET status = 'REVERSED',
+         reversed_by_user_id = ?,
+         reversed_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND match_group_id = ?
+       AND status = 'ACTIVE'`,
+    [userId, tenantId, groupId]
+  );
+  await runQuery(
+    `UPDATE bank_reconciliation_match_groups
+     SET status = 'REVERSED',
+         reversed_by_user_id = ?,
+         reversed_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND id = ?
+       AND status = 'ACTIVE'`,
+    [userId, tenantId, groupId]
+  );
+
+  const countsByLine = new Map();
+  for (const row of activeRows) {
+    const lineId = parsePositiveInt(row.statement_line_id);
+    countsByLine.set(lineId, (countsByLine.get(lineId) || 0) + 1);
+  }
+  for (const [lineId, reversedCount] of countsByLine) {
+    if (lineId === parsePositiveInt(skipLineId)) {
+      continue;
+    }
+    const line = await getStatementLineCore({ tenantId, lineId, runQuery });
+    await writeReconciliationAudit({
+      tenantId,
+      legalEntityId: line.legal_entity_id,
+      statementLineId: lineId,
+      action: "UNMATCHED",
+      payload: {
+        matchId: null,
+        matchGroupIds: [groupId],
+        reversedCount,
+        notes,
+      },
+      userId,
+      runQuery,
+    });
+    if (normalizeUpperText(line.recon_status) !== "IGNORED") {
+      await recomputeLineReconStatus({ tenantId, lineId, userId, runQuery });
+    }
+  }
+
+  return {
+    reversedCount: activeRows.length,
+    lineIds: Array.from(countsByLine.keys()),
+  };
+}
+
+export async function resolveReconciliationMatchGroupScope(groupId, tenantId) {
+  const parsedGroupId = parsePositiveInt(groupId);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedGroupId || !parsedTenantId) {
+    return null;
+  }
+  const row = await getMatchGroupRow({ tenantId: parsedTenantId, groupId: parsedGroupId });
+  if (!row) {
+    return null;
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function matchReconciliationGroup({
+  req,
+  tenantId,
+  groupInput,
+  userId,
+  assertScopeAccess,
+}) {
+  const lineIds = Array.from(new Set(groupInput.statementLineIds || []));
+  const targets = groupInput.targets || [];
+  if (!lineIds.length || !targets.length) {
+    throw badRequest("statementLineIds and targets are required");
+  }
+  if (lineIds.length + targets.length > GROUP_MAX_ITEMS) {
+    throw badRequest(`A match group can hold at most ${GROUP_MAX_ITEMS} lines and targets`);
+  }
+  if (lineIds.length > 1 && targets.length > 1) {
+    throw badRequest("Many-to-many grouped matches are not supported");
+  }
+  if (lineIds.length === 1 && targets.length === 1) {
+    throw badRequest("Use the line match endpoint for one-to-one matches");
+  }
+  const targetKeys = new Set(targets.map((t) => `${t.matchedEntityType}:${t.matchedEntityId}`));
+  if (targetKeys.size !== targets.length) {
+    throw badRequest("targets must not contain duplicates");
+  }
+
+  const groupType = lineIds.length > 1 ? "MANY_TO_ONE" : "ONE_TO_MANY";
+  const allowedTargetTypes =
+    groupType === "MANY_TO_ONE" ? MANY_TO_ONE_TARGET_TYPES : ONE_TO_MANY_TARGET_TYPES;
+  for (const target of targets) {
+    if (!allowedTargetTypes.includes(target.matchedEntityType)) {
+      throw badRequest(
+        `${groupType} groups support ${allowedTargetTypes.join(", ")} targets only`
+      );
+    }
+  }
+  const tolerance = parseGroupTolerance(groupInput.toleranceAmount);
+
+  const firstLine = await getStatementLineCore({ tenantId, lineId: lineIds[0] });
+  if (!firstLine) {
+    throw badRequest("Statement line not found");
+  }
+  assertScopeAccess(req, "legal_entity", firstLine.legal_entity_id, "statementLineIds");
+
+  return withTransaction(async (tx) => {
+    const lockResult = await tx.query(
+      `SELECT id
+       FROM bank_statement_lines
+       WHERE tenant_id = ?
+         AND id IN (${lineIds.map(() => "?").join(", ")})
+       FOR UPDATE`,
+      [tenantId, ...lineIds]
+    );
+    if ((lockResult.rows || []).length !== lineIds.length) {
+      throw badRequest("One or more statement lines were not found");
+    }
+
+    const lines = [];
+    for (const lineId of lineIds) {
+      const line = await getStatementLineCore({ tenantId, lineId, runQuery: tx.query });
+      if (
+        parsePositiveInt(line.legal_entity_id) !== parsePositiveInt(firstLine.legal_entity_id) ||
+        parsePositiveInt(line.bank_account_id) !== parsePositiveInt(firstLine.bank_account_id)
+      ) {
+        throw badRequest("Grouped statement lines must belong to the same bank account");
+      }
+      if (normalizeUpperText(line.recon_status) === "IGNORED") {
+        throw badRequest(`Statement line #${lineId} is ignored`);
+      }
+      if (lineDirection(line) !== lineDirection(firstLine)) {
+        throw badRequest("Grouped statement lines must share the same direction");
+      }
+      const matchedTotal = await getActiveMatchedTotalForLine({
+        tenantId,
+        lineId,
+        runQuery: tx.query,
+      });
+      const remaining = toAmount(Math.max(0, absAmount(line.amount) - absAmount(matchedTotal)));
+      if (remaining <= MATCH_EPSILON) {
+        throw badRequest(`Statement line #${lineId} is already fully matched`);
+      }
+      lines.push({ line, remaining });
+    }
+
+    const loadedTargets = [];
+    for (const target of targets) {
+      const loaded = await loadGroupTarget({
+        tenantId,
+        line: firstLine,
+        target,
+        runQuery: tx.query,
+      });
+      if (loaded.availableAmount <= MATCH_EPSILON) {
+        throw badRequest(
+          `${loaded.matchedEntityType} #${loaded.matchedEntityId} has no unmatched amount left`
+        );
+      }
+      let amount = loaded.availableAmount;
+      if (target.amount !== null && target.amount !== undefined) {
+        if (toAmount(target.amount) - loaded.availableAmount > MATCH_EPSILON) {
+          throw badRequest(
+            `Amount for ${loaded.matchedEntityType} #${loaded.matchedEntityId} exceeds its unmatched amount`
+          );
+        }
+        amount = toAmount(target.amount);
+      }
+      loadedTargets.push({ ...loaded, amount });
+    }
+
+    const statementTotal = toAmount(lines.reduce((sum, entry) => sum + entry.remaining, 0));
+    const targetTotal = toAmount(loadedTargets.reduce((sum, entry) => sum + entry.amount, 0));
+    const differenceAmount = toAmount(statementTotal - targetTotal);
+    if (Math.abs(differenceAmount) - tolerance > 1e-9) {
+      throw badRequest(
+        `Grouped totals differ by ${differenceAmount}, outside tolerance ${tolerance}`
+      );
+    }
+
+    const reconciliationRuleId = parsePositiveInt(groupInput.reconciliationRuleId) || null;
+    const reconciliationConfidence =
+      groupInput.reconciliationConfidence === undefined ||
+      groupInput.reconciliationConfidence === null ||
+      groupInput.reconciliationConfidence === ""
+        ? null
+        : Number(Number(groupInput.reconciliationConfidence).toFixed(2));
+    const reconciliationMethod = groupInput.reconciliationMethod
+      ? normalizeUpperText(groupInput.reconciliationMethod)
+      : null;
+    const matchType = groupInput.matchType || "MANUAL";
+
+    const groupInsert = await tx.query(
+      `INSERT INTO bank_reconciliation_match_groups (
+          tenant_id,
+          legal_entity_id,
+          bank_account_id,
+          group_type,
+          match_type,
+          status,
+          statement_line_count,
+          target_count,
+          statement_total,
+          target_total,
+          difference_amount,
+          tolerance_amount,
+          reconciliation_rule_id,
+          reconciliation_confidence,
+          notes,
+          created_by_user_id
+        )
+        VALUES (?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        firstLine.legal_entity_id,
+        firstLine.bank_account_id,
+        groupType,
+        matchType,
+        lines.length,
+        loadedTargets.length,
+        statementTotal,
+        targetTotal,
+        differenceAmount,
+        tolerance,
+        reconciliationRuleId,
+        reconciliationConfidence,
+        groupInput.notes || null,
+        userId,
+      ]
+    );
+    const groupId = parsePositiveInt(groupInsert.rows?.insertId);
+
+    // Every statement line is matched for its full remaining amount, so the difference
+    // within tolerance lands on the last target of a one-to-many group.
+    const matchRows =
+      groupType === "MANY_TO_ONE"
+        ? lines.map((entry) => ({
+            lineId: parsePositiveInt(entry.line.id),
+            target: loadedTargets[0],
+            amount: entry.remaining,
+          }))
+        : loadedTargets.map((target, index) => ({
+            lineId: parsePositiveInt(lines[0].line.id),
+            target,
+            amount:
+              index === loadedTargets.length - 1
+                ? toAmount(target.amount + differenceAmount)
+                : target.amount,
+          }));
+
+    for (const row of matchRows) {
+      const insertResult = await tx.query(
+        `INSERT INTO bank_reconciliation_matches (
+            tenant_id,
+            legal_entity_id,
+            statement_line_id,
+            match_type,
+            matched_entity_type,
+            matched_entity_id,
+            match_group_id,
+            reconciliation_rule_id,
+            reconciliation_confidence,
+            matched_amount,
+            status,
+            notes,
+            matched_by_user_id
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+        [
+          tenantId,
+          firstLine.legal_entity_id,
+          row.lineId,
+          matchType,
+          row.target.matchedEntityType,
+          row.target.matchedEntityId,
+          groupId,
+          reconciliationRuleId,
+          reconciliationConfidence,
+          row.amount,
+          groupInput.notes || null,
+          userId,
+        ]
+      );
+      row.matchId = parsePositiveInt(insertResult.rows?.insertId);
+    }
+
+    const updatedLines = [];
+    for (const entry of lines) {
+      const lineId = parsePositiveInt(entry.line.id);
+      const lineMatches = matchRows.filter((row) => row.lineId === lineId);
+      if (reconciliationMethod || reconciliationRuleId || reconciliationConfidence !== null) {
+        await tx.query(
+          `UPDATE bank_statement_lines
+           SET reconciliation_method = ?,
+               reconciliation_rule_id = ?,
+               reconciliation_confidence = ?
+           WHERE tenant_id = ?
+             AND id = ?`,
+          [reconciliationMethod, reconciliationRuleId, reconciliationConfidence, tenantId, lineId]
+        );
+      }
+      await writeReconciliationAudit({
+        tenantId,
+        legalEntityId: firstLine.legal_entity_id,
+        statementLineId: lineId,
+        action: "MATCHED",
+        payload: {
+          matchGroupId: groupId,
+          groupType,
+          matchType,
+          matches: lineMatches.map((row) => ({
+            matchId: row.matchId,
+            matchedEntityType: row.target.matchedEntityType,
+            matchedEntityId: row.target.matchedEntityId,
+            matchedAmount: row.amount,
+          })),
+          statementTotal,
+          targetTotal,
+          differenceAmount,
+          toleranceAmount: tolerance,
+          reconciliationMethod,
+          reconciliationRuleId,
+          reconciliationConfidence,
+          notes: groupInput.notes || null,
+        },
+        userId,
+        runQuery: tx.query,
+      });
+
+      const updatedLine = await recomputeLineReconStatus({
+        tenantId,
+        lineId,
+        userId,
+        runQuery: tx.query,
+      });
+      if (normalizeUpperText(updatedLine?.recon_status) === "MATCHED") {
+        await autoResolveOpenReconciliationExceptionsForLine({
+          tenantId,
+          legalEntityId: firstLine.legal_entity_id,
+          statementLineId: lineId,
+          userId,
+          runQuery: tx.query,
+        });
+      }
+      updatedLines.push(updatedLine);
+    }
+
+    return {
+      group: await getMatchGroupRow({ tenantId, groupId, runQuery: tx.query }),
+      lines: updatedLines,
+      matches: await getMatchesForGroup({ tenantId, groupId, runQuery: tx.query }),
+    };
+  });
+}
+
+export async function getReconciliationMatchGroup({ req, tenantId, groupId, assertScopeAccess }) {
+  const group = await getMatchGroupRow({ tenantId, groupId });
+  if (!group) {
+    throw badRequest("Match group not found");
+  }
+  assertScopeAccess(req, "legal_entity", group.legal_entity_id, "groupId");
+  return {
+    group,
+    matches: await getMatchesForGroup({ tenantId, groupId }),
+  };
+}
+
+export async function unmatchReconciliationGroup({
+  req,
+  tenantId,
+  groupId,
+  unmatchInput,
+  userId,
+  assertScopeAccess,
+}) {
+  const group = await getMatchGroupRow({ tenantId, groupId });
+  if (!group) {
+    throw badRequest("Match group not found");
+  }
+  assertScopeAccess(req, "legal_entity", group.legal_entity_id, "groupId");
+
+  return withTransaction(async (tx) => {
+    const locked = await getMatchGroupRow({ tenantId, groupId, runQuery: tx.query, forUpdate: true });
+    if (normalizeUpperText(locked?.status) !== "ACTIVE") {
+      throw badRequest("Match group is already reversed");
+    }
+    await reverseMatchGroupTx({
+      tenantId,
+      groupId,
+      userId,
+      notes: unmatchInput?.notes || null,
+      runQuery: tx.query,
+    });
+    return {
+      group: await getMatchGroupRow({ tenantId, groupId, runQuery: tx.query }),
+      matches: await getMatchesForGroup({ tenantId, groupId, runQuery: tx.query }),
+    };
+  });
+}
+
+// afterUnmatchTx(tx, { line, reversedMatches }) runs inside the unmatch transaction, so callers
+// can reverse rows they posted for those matches atomically with it.
 export async function unmatchReconciliationLine({
   req,
   tenantId,
@@ -858,6 +2126,7 @@ export async function unmatchReconciliationLine({
   unmatchInput,
   userId,
   assertScopeAccess,
+  afterUnmatchTx = null,
 }) {
   const line = await getStatementLineCore({ tenantId, lineId });
   if (!line) {
@@ -866,25 +2135,56 @@ export async function unmatchReconciliationLine({
   assertScopeAccess(req, "legal_entity", line.legal_entity_id, "lineId");
 
   return withTransaction(async (tx) => {
-    let sql = `UPDATE bank_reconciliation_matches
-               SET status = 'REVERSED',
-                   reversed_by_user_id = ?,
-                   reversed_at = CURRENT_TIMESTAMP
-               WHERE tenant_id = ?
-                 AND statement_line_id = ?
-                 AND status = 'ACTIVE'`;
-    const params = [userId, tenantId, lineId];
+    let selectSql = `SELECT id, match_group_id, matched_entity_type, matched_entity_id
+                     FROM bank_reconciliation_matches
+                     WHERE tenant_id = ?
+                       AND statement_line_id = ?
+                       AND status = 'ACTIVE'`;
+    const selectParams = [tenantId, lineId];
     if (unmatchInput.matchId) {
-      sql += " AND id = ?";
-      params.push(unmatchInput.matchId);
+      selectSql += " AND id = ?";
+      selectParams.push(unmatchInput.matchId);
     }
-
-    const updateResult = await tx.query(sql, params);
-    const affectedRows = Number(updateResult.rows?.affectedRows || 0);
-    if (!affectedRows) {
+    const selectResult = await tx.query(`${selectSql} FOR UPDATE`, selectParams);
+    const targetMatches = selectResult.rows || [];
+    if (!targetMatches.length) {
       throw badRequest("No active match found to unmatch");
     }
 
+    // A grouped match only balances as a whole, so unmatching any member reverses its group.
+    const matchGroupIds = Array.from(
+      new Set(targetMatches.map((row) => parsePositiveInt(row.match_group_id)).filter(Boolean))
+    );
+    const singleMatchIds = targetMatches
+      .filter((row) => !parsePositiveInt(row.match_group_id))
+      .map((row) => parsePositiveInt(row.id));
+
+    let affectedRows = 0;
+    if (singleMatchIds.length) {
+      const updateResult = await tx.query(
+        `UPDATE bank_reconciliation_matches
+         SET status = 'REVERSED',
+             reversed_by_user_id = ?,
+             reversed_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = ?
+           AND status = 'ACTIVE'
+           AND id IN (${singleMatchIds.map(() => "?").join(", ")})`,
+        [userId, tenantId, ...singleMatchIds]
+      );
+      affectedRows += Number(updateResult.rows?.affectedRows || 0);
+    }
+    for (const matchGroupId of matchGroupIds) {
+      const reversed = await reverseMatchGroupTx({
+        tenantId,
+        groupId: matchGroupId,
+        userId,
+        notes: unmatchInput.notes || null,
+        skipLineId: lineId,
+        runQuery: tx.query,
+      });
+      affectedRows += reversed.reversedCount;
+    }
+
     await writeReconciliationAudit({
       tenantId,
       legalEntityId: line.legal_entity_id,
@@ -892,6 +2192,7 @@ export async function unmatchReconciliationLine({
       action: "UNMATCHED",
       payload: {
         matchId: unmatchInput.matchId || null,
+        matchGroupIds,
         reversedCount: affectedRows,
         notes: unmatchInput.notes || null,
       },
@@ -912,10 +2213,17 @@ export async function unmatchReconciliationLine({
     }
     const matches = await getActiveMatchesForLine({ tenantId, lineId, runQuery: tx.query });
 
-    return {
+    const result = {
       line: updatedLine,
       matches,
     };
+    if (!afterUnmatchTx) {
+      return result;
+    }
+    return {
+      ...result,
+      afterUnmatchResult: await afterUnmatchTx(tx, { line: updatedLine, reversedMatches: targetMatches }),
+    };
   });
 }
 
@@ -1,8 +1,14 @@
 import { query, withTransaction } from "../db.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
-import { getPostingTemplateByIdForAutoPost } from "./bank.reconciliationPostingTemplates.service.js";
+import {
+  bankTransactionCodeMatches,
+  findRealisedFxTemplateForStatementLine,
+  getPostingTemplateByIdForAutoPost,
+} from "./bank.reconciliationPostingTemplates.service.js";
 import { reconcileStatementLineToJournal } from "./bank.reconciliation.service.js";
 
+const FX_DIFFERENCE_EPSILON = 0.005;
+
 function u(value) {
   return String(value || "").trim().toUpperCase();
 }
@@ -99,6 +105,7 @@ async function getStatementLineForAutoPost({ tenantId, lineId, runQuery = query
         l.reference_no,
         l.amount,
         l.currency_code,
+        l.bank_transaction_code,
         l.recon_status,
         l.auto_post_template_id,
         l.auto_post_journal_entry_id,
@@ -134,7 +141,8 @@ async function getAutoPostingByLine({ tenantId, legalEntityId, lineId, runQuery
 
 async function getJournalById({ tenantId, legalEntityId, journalEntryId, runQuery = query }) {
   const result = await runQuery(
-    `SELECT id, tenant_id, legal_entity_id, journal_no, status, entry_date, currency_code, description, reference_no
+    `SELECT id, tenant_id, legal_entity_id, journal_no, status, entry_date, currency_code, description, reference_no,
+            total_debit_base, total_credit_base
      FROM journal_entries
      WHERE id = ?
        AND tenant_id = ?
@@ -220,6 +228,40 @@ async function resolveBookAndPeriodForPostingTx(tx, { tenantId, legalEntityId, p
   };
 }
 
+async function resolveSpotRateToBase({ tenantId, currencyCode, baseCurrencyCode, rateDate, runQuery = query }) {
+  const fromCode = u(currencyCode);
+  const toCode = u(baseCurrencyCode);
+  if (!toCode || fromCode === toCode) {
+    return { rate: 1, rateDate, inverted: false };
+  }
+
+  async function findRate(from, to) {
+    const result = await runQuery(
+      `SELECT rate, rate_date
+       FROM fx_rates
+       WHERE tenant_id = ?
+         AND from_currency_code = ?
+         AND to_currency_code = ?
+         AND rate_type = 'SPOT'
+         AND rate_date <= ?
+       ORDER BY rate_date DESC, id DESC
+       LIMIT 1`,
+      [tenantId, from, to, rateDate]
+    );
+    const row = result.rows?.[0] || null;
+    const rate = Number(row?.rate);
+    return row && Number.isFinite(rate) && rate > 0 ? { rate, rateDate: toDateOnly(row.rate_date) } : null;
+  }
+
+  const direct = await findRate(fromCode, toCode);
+  if (direct) return { ...direct, inverted: false };
+  const inverse = await findRate(toCode, fromCode);
+  if (inverse) {
+    return { rate: Number((1 / inverse.rate).toFixed(10)), rateDate: inverse.rateDate, inverted: true };
+  }
+  throw badRequest(`No SPOT fx rate ${fromCode}/${toCode} on or before ${rateDate}`);
+}
+
 function resolveTemplateTaxConfig(template) {
   const taxMode = u(template?.tax_mode || "NONE");
   if (taxMode === "NONE") {
@@ -276,6 +318,12 @@ function validateTemplateForLine({ template, line }) {
   if (template.currency_code && u(template.currency_code) !== u(line.currency_code)) {
     throw badRequest("Template currency does not match statement line currency");
   }
+  if (
+    template.bank_transaction_code &&
+    !bankTransactionCodeMatches(template.bank_transaction_code, line.bank_transaction_code)
+  ) {
+    throw badRequest("Template bank transaction code does not match statement line");
+  }
 
   const scopeType = u(template.scope_type);
   if (scopeType === "BANK_ACCOUNT") {
@@ -417,6 +465,25 @@ function buildJournalLinePayloads({ template, line, bankGlAccountId, narration }
   ];
 }
 
+// Lines are built in statement currency; base amounts are then converted and
+// the bank line absorbs rounding so the journal stays balanced in base.
+function convertJournalLinePayloadsToBase(linePayloads, { bankGlAccountId, fxRate }) {
+  if (fxRate === 1) return linePayloads;
+  const converted = linePayloads.map((jl) => ({
+    ...jl,
+    debitBase: toAmount(jl.debitBase * fxRate),
+    creditBase: toAmount(jl.creditBase * fxRate),
+  }));
+  const bankLine = converted.find((jl) => jl.accountId === parsePositiveInt(bankGlAccountId));
+  const others = converted.filter((jl) => jl !== bankLine);
+  const otherNet = toAmount(
+    others.reduce((sum, jl) => sum + jl.debitBase - jl.creditBase, 0)
+  );
+  bankLine.debitBase = otherNet < 0 ? toAmount(-otherNet) : 0;
+  bankLine.creditBase = otherNet > 0 ? otherNet : 0;
+  return converted;
+}
+
 async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, userId }) {
   const postDate = toDateOnly(line.txn_date);
   if (!postDate) throw badRequest("Statement line txn_date is required for auto-posting");
@@ -457,12 +524,13 @@ async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, us
     legalEntityId: line.legal_entity_id,
     postDate,
   });
-  const bookCurrency = u(journalContext.book?.base_currency_code);
-  if (bookCurrency && bookCurrency !== u(line.currency_code)) {
-    throw badRequest(
-      `Statement currency (${line.currency_code}) must match book base currency (${bookCurrency})`
-    );
-  }
+  const fx = await resolveSpotRateToBase({
+    tenantId,
+    currencyCode: line.currency_code,
+    baseCurrencyCode: journalContext.book?.base_currency_code,
+    rateDate: postDate,
+    runQuery: tx.query,
+  });
 
   const journalNo = `BAP-${line.id}`;
   const existingJournalResult = await tx.query(
@@ -485,11 +553,23 @@ async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, us
       postingDate: postDate,
       narration: buildNarration(template, line),
       totalAmount: absAmount(line.amount),
+      totalAmountBase: toAmount(absAmount(line.amount) * fx.rate),
+      fxRate: fx.rate,
     };
   }
 
   const narration = buildNarration(template, line);
   const total = absAmount(line.amount);
+  const linePayloads = convertJournalLinePayloadsToBase(
+    buildJournalLinePayloads({
+      template,
+      line,
+      bankGlAccountId,
+      narration,
+    }),
+    { bankGlAccountId, fxRate: fx.rate }
+  );
+  const totalBase = toAmount(linePayloads.reduce((sum, jl) => sum + jl.debitBase, 0));
   const referenceNo = line.reference_no
     ? String(line.reference_no).slice(0, 100)
     : `BSL-${line.id}`;
@@ -526,8 +606,8 @@ async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, us
       u(line.currency_code),
       narration,
       referenceNo,
-      total,
-      total,
+      totalBase,
+      totalBase,
       userId,
       userId,
     ]
@@ -536,12 +616,6 @@ async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, us
   const journalEntryId = parsePositiveInt(headerInsert.rows?.insertId);
   if (!journalEntryId) throw new Error("Failed to create auto-post journal");
 
-  const linePayloads = buildJournalLinePayloads({
-    template,
-    line,
-    bankGlAccountId,
-    narration,
-  });
   for (const jl of linePayloads) {
     // eslint-disable-next-line no-await-in-loop
     await tx.query(
@@ -581,6 +655,8 @@ async function insertOrReuseAutoPostJournalTx(tx, { tenantId, line, template, us
     postingDate: postDate,
     narration,
     totalAmount: total,
+    totalAmountBase: totalBase,
+    fxRate: fx.rate,
   };
 }
 
@@ -605,10 +681,12 @@ async function ensureAutoPostingTraceTx(tx, { tenantId, line, template, journal,
         status,
         posted_amount,
         currency_code,
+        amount_base,
+        fx_rate,
         payload_json,
         created_by_user_id
       )
-      VALUES (?, ?, ?, ?, ?, 'POSTED', ?, ?, ?, ?)`,
+      VALUES (?, ?, ?, ?, ?, 'POSTED', ?, ?, ?, ?, ?, ?)`,
     [
       tenantId,
       line.legal_entity_id,
@@ -617,6 +695,8 @@ async function ensureAutoPostingTraceTx(tx, { tenantId, line, template, journal,
       journal.journalEntryId,
       journal.totalAmount,
       u(line.currency_code),
+      journal.totalAmountBase,
+      journal.fxRate,
       safeJson({
         template_code: template.template_code,
         template_name: template.template_name,
@@ -625,6 +705,7 @@ async function ensureAutoPostingTraceTx(tx, { tenantId, line, template, journal,
         tax_rate: template.tax_rate === null ? null : Number(Number(template.tax_rate).toFixed(4)),
         bank_account_code: line.bank_account_code,
         bank_account_id: line.bank_account_id,
+        bank_transaction_code: line.bank_transaction_code || null,
         statement_ref: line.reference_no || null,
         narration: journal.narration,
       }),
@@ -789,6 +870,536 @@ export async function autoPostTemplateAndReconcileStatementLine({
   };
 }
 
+async function getFxPostingByLineJournal({
+  tenantId,
+  legalEntityId,
+  lineId,
+  journalEntryId,
+  runQuery = query,
+  forUpdate = false,
+}) {
+  const result = await runQuery(
+    `SELECT *
+     FROM bank_reconciliation_fx_postings
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND statement_line_id = ?
+       AND matched_journal_entry_id = ?
+       AND status = 'POSTED'
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, legalEntityId, lineId, journalEntryId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function countFxPostingsByLineJournal({
+  tenantId,
+  legalEntityId,
+  lineId,
+  journalEntryId,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT COUNT(*) AS total
+     FROM bank_reconciliation_fx_postings
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND statement_line_id = ?
+       AND matched_journal_entry_id = ?`,
+    [tenantId, legalEntityId, lineId, journalEntryId]
+  );
+  return Number(result.rows?.[0]?.total || 0);
+}
+
+async function getBookBaseCurrencyCode({ tenantId, legalEntityId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT base_currency_code
+     FROM books
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+     ORDER BY CASE WHEN book_type = 'LOCAL' THEN 0 ELSE 1 END, id ASC
+     LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  return u(result.rows?.[0]?.base_currency_code);
+}
+
+async function getJournalBankGlTotals({ journalEntryId, bankGlAccountId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+        COALESCE(SUM(jl.debit_base - jl.credit_base), 0) AS net_base,
+        COALESCE(SUM(jl.amount_txn), 0) AS net_txn,
+        COUNT(DISTINCT jl.currency_code) AS currency_count,
+        MAX(jl.currency_code) AS currency_code
+     FROM journal_lines jl
+     WHERE jl.journal_entry_id = ?
+       AND jl.account_id = ?`,
+    [journalEntryId, bankGlAccountId]
+  );
+  const row = result.rows?.[0] || {};
+  return {
+    netBase: toAmount(row.net_base),
+    netTxn: toAmount(row.net_txn),
+    currencyCode: Number(row.currency_count) === 1 ? u(row.currency_code) : null,
+  };
+}
+
+/**
+ * Books the realised FX difference between what a matched journal carried on
+ * the bank GL in base currency and the statement amount at the SPOT rate of
+ * the statement date. Runs inside the match transaction, so a missing FX
+ * template or a failed match leaves neither the match nor the FX journal.
+ * Returns null when there is nothing to post.
+ */
+export async function postRealisedFxForJournalMatchTx(
+  tx,
+  { tenantId, lineId, journalEntryId, matchedAmount, userId }
+) {
+  const parsedTenantId = parsePositiveInt(tenantId);
+  const parsedLineId = parsePositiveInt(lineId);
+  const parsedJournalEntryId = parsePositiveInt(journalEntryId);
+  const parsedUserId = parsePositiveInt(userId) || null;
+  if (!parsedTenantId || !parsedLineId || !parsedJournalEntryId) {
+    throw badRequest("tenantId, lineId, and journalEntryId are required");
+  }
+
+  const line = await getStatementLineForAutoPost({
+    tenantId: parsedTenantId,
+    lineId: parsedLineId,
+    runQuery: tx.query,
+  });
+  if (!line) throw badRequest("Statement line not found");
+
+  const baseCurrencyCode = await getBookBaseCurrencyCode({
+    tenantId: parsedTenantId,
+    legalEntityId: line.legal_entity_id,
+    runQuery: tx.query,
+  });
+  if (!baseCurrencyCode || baseCurrencyCode === u(line.currency_code)) return null;
+
+  const existing = await getFxPostingByLineJournal({
+    tenantId: parsedTenantId,
+    legalEntityId: line.legal_entity_id,
+    lineId: line.id,
+    journalEntryId: parsedJournalEntryId,
+    runQuery: tx.query,
+  });
+  if (existing) return { idempotent: true, fx_posting: existing };
+
+  const bankGlAccountId = parsePositiveInt(line.bank_gl_account_id);
+  if (!bankGlAccountId) throw badRequest("Bank account GL mapping is missing");
+
+  const matchedAbs = absAmount(matchedAmount ?? line.amount);
+  if (!(matchedAbs > 0)) throw badRequest("matchedAmount must be positive");
+
+  const totals = await getJournalBankGlTotals({
+    journalEntryId: parsedJournalEntryId,
+    bankGlAccountId,
+    runQuery: tx.query,
+  });
+  if (Math.abs(totals.netBase) <= 0) return null;
+
+  // A journal booked in statement currency can be matched partially, so only
+  // the matched share of its base amount counts as booked.
+  let bookedBase = Math.abs(totals.netBase);
+  if (totals.currencyCode === u(line.currency_code) && Math.abs(totals.netTxn) > 0) {
+    bookedBase = toAmount((bookedBase * matchedAbs) / Math.abs(totals.netTxn));
+  }
+
+  const postDate = toDateOnly(line.txn_date);
+  const fx = await resolveSpotRateToBase({
+    tenantId: parsedTenantId,
+    currencyCode: line.currency_code,
+    baseCurrencyCode,
+    rateDate: postDate,
+    runQuery: tx.query,
+  });
+  const actualBase = toAmount(matchedAbs * fx.rate);
+  const direction = Number(line.amount) > 0 ? 1 : -1;
+  const bankDelta = toAmount((actualBase - bookedBase) * direction);
+  if (Math.abs(bankDelta) < FX_DIFFERENCE_EPSILON) return null;
+
+  const template = await findRealisedFxTemplateForStatementLine({
+    tenantId: parsedTenantId,
+    line,
+    runQuery: tx.query,
+  });
+  if (!template) {
+    throw badRequest(
+      `Realised FX difference ${bankDelta} ${baseCurrencyCode} requires an approved posting template with FX gain/loss accounts`
+    );
+  }
+
+  const fxCategory = bankDelta > 0 ? "FX_GAIN" : "FX_LOSS";
+  const fxAccountId = parsePositiveInt(
+    fxCategory === "FX_GAIN" ? template.fx_gain_account_id : template.fx_loss_account_id
+  );
+  const diffAbs = Math.abs(bankDelta);
+
+  const fxAccount = await getCounterAccount({
+    tenantId: parsedTenantId,
+    accountId: fxAccountId,
+    runQuery: tx.query,
+  });
+  const label = fxCategory === "FX_GAIN" ? "Template FX gain account" : "Template FX loss account";
+  if (!fxAccount) throw badRequest(`${label} not found`);
+  if (!parseDbBoolean(fxAccount.is_active) || !parseDbBoolean(fxAccount.allow_posting)) {
+    throw badRequest(`${label} must be active and postable`);
+  }
+  if (parsePositiveInt(fxAccount.legal_entity_id) !== parsePositiveInt(line.legal_entity_id)) {
+    throw badRequest(`${label} legal entity mismatch`);
+  }
+
+  const journalContext = await resolveBookAndPeriodForPostingTx(tx, {
+    tenantId: parsedTenantId,
+    legalEntityId: line.legal_entity_id,
+    postDate,
+  });
+  // A rematch after an unmatch posts again, so later postings get a sequence suffix.
+  const priorPostingCount = await countFxPostingsByLineJournal({
+    tenantId: parsedTenantId,
+    legalEntityId: line.legal_entity_id,
+    lineId: line.id,
+    journalEntryId: parsedJournalEntryId,
+    runQuery: tx.query,
+  });
+  const journalNo = `BFX-${line.id}-${parsedJournalEntryId}${
+    priorPostingCount > 0 ? `-${priorPostingCount + 1}` : ""
+  }`;
+  const narration = `Realised FX ${fxCategory === "FX_GAIN" ? "gain" : "loss"} ${u(
+    line.currency_code
+  )} ${matchedAbs} @ ${fx.rate}`;
+
+  const headerInsert = await tx.query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at
+      )
+      VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      parsedTenantId,
+      line.legal_entity_id,
+      journalContext.bookId,
+      journalContext.fiscalPeriodId,
+      journalNo,
+      postDate,
+      postDate,
+      baseCurrencyCode,
+      narration,
+      line.reference_no ? String(line.reference_no).slice(0, 100) : `BSL-${line.id}`,
+      diffAbs,
+      diffAbs,
+      parsedUserId,
+      parsedUserId,
+    ]
+  );
+  const fxJournalEntryId = parsePositiveInt(headerInsert.rows?.insertId);
+  if (!fxJournalEntryId) throw new Error("Failed to create realised FX journal");
+
+  // The bank line carries no statement-currency amount: only its base value moves.
+  const journalLines = [
+    {
+      lineNo: 1,
+      accountId: bankGlAccountId,
+      currencyCode: u(line.currency_code),
+      amountTxn: 0,
+      debitBase: bankDelta > 0 ? diffAbs : 0,
+      creditBase: bankDelta > 0 ? 0 : diffAbs,
+      subledgerReferenceNo: `BANKFX:${line.id}:${parsedJournalEntryId}:BANK`,
+    },
+    {
+      lineNo: 2,
+      accountId: fxAccountId,
+      currencyCode: baseCurrencyCode,
+      amountTxn: bankDelta > 0 ? -diffAbs : diffAbs,
+      debitBase: bankDelta > 0 ? 0 : diffAbs,
+      creditBase: bankDelta > 0 ? diffAbs : 0,
+      subledgerReferenceNo: `BANKFX:${line.id}:${parsedJournalEntryId}:${fxCategory}`,
+    },
+  ];
+  for (const jl of journalLines) {
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          operating_unit_id,
+          counterparty_legal_entity_id,
+          description,
+          subledger_reference_no,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base,
+          tax_code
+        )
+        VALUES (?, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?, NULL)`,
+      [
+        fxJournalEntryId,
+        jl.lineNo,
+        jl.accountId,
+        narration,
+        jl.subledgerReferenceNo,
+        jl.currencyCode,
+        jl.amountTxn,
+        jl.debitBase,
+        jl.creditBase,
+      ]
+    );
+  }
+
+  await tx.query(
+    `INSERT INTO bank_reconciliation_fx_postings (
+        tenant_id,
+        legal_entity_id,
+        statement_line_id,
+        matched_journal_entry_id,
+        bank_reconciliation_posting_template_id,
+        fx_journal_entry_id,
+        status,
+        currency_code,
+        base_currency_code,
+        matched_amount_txn,
+        fx_rate,
+        fx_rate_date,
+        booked_amount_base,
+        actual_amount_base,
+        fx_difference_base,
+        fx_category,
+        created_by_user_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      parsedTenantId,
+      line.legal_entity_id,
+      line.id,
+      parsedJournalEntryId,
+      template.id,
+      fxJournalEntryId,
+      u(line.currency_code),
+      baseCurrencyCode,
+      matchedAbs,
+      fx.rate,
+      fx.rateDate || postDate,
+      bookedBase,
+      actualBase,
+      bankDelta,
+      fxCategory,
+      parsedUserId,
+    ]
+  );
+
+  const fxPosting = await getFxPostingByLineJournal({
+    tenantId: parsedTenantId,
+    legalEntityId: line.legal_entity_id,
+    lineId: line.id,
+    journalEntryId: parsedJournalEntryId,
+    runQuery: tx.query,
+  });
+  return {
+    idempotent: false,
+    journal: { id: fxJournalEntryId, journal_no: journalNo },
+    fx_posting: fxPosting,
+  };
+}
+
+/**
+ * Reverses the realised FX journals posted for the journal matches an unmatch
+ * deactivates, inside the unmatch transaction. The reversal swaps the FX
+ * journal's lines on its own entry date and marks both the FX journal and its
+ * fx_postings row REVERSED, so a later rematch posts a fresh difference.
+ */
+export async function reverseRealisedFxForUnmatchTx(tx, { tenantId, lineId, matches, userId }) {
+  const parsedTenantId = parsePositiveInt(tenantId);
+  const parsedLineId = parsePositiveInt(lineId);
+  const parsedUserId = parsePositiveInt(userId) || null;
+  const journalEntryIds = Array.from(
+    new Set(
+      (matches || [])
+        .filter((row) => u(row?.matched_entity_type) === "JOURNAL")
+        .map((row) => parsePositiveInt(row?.matched_entity_id))
+        .filter(Boolean)
+    )
+  );
+  if (!parsedTenantId || !parsedLineId || !journalEntryIds.length) return [];
+
+  const line = await getStatementLineForAutoPost({
+    tenantId: parsedTenantId,
+    lineId: parsedLineId,
+    runQuery: tx.query,
+  });
+  if (!line) throw badRequest("Statement line not found");
+
+  const reversals = [];
+  for (const journalEntryId of journalEntryIds) {
+    // eslint-disable-next-line no-await-in-loop
+    const fxPosting = await getFxPostingByLineJournal({
+      tenantId: parsedTenantId,
+      legalEntityId: line.legal_entity_id,
+      lineId: line.id,
+      journalEntryId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (!fxPosting) continue;
+
+    const fxJournalEntryId = parsePositiveInt(fxPosting.fx_journal_entry_id);
+    // eslint-disable-next-line no-await-in-loop
+    const fxJournal = await getJournalById({
+      tenantId: parsedTenantId,
+      legalEntityId: line.legal_entity_id,
+      journalEntryId: fxJournalEntryId,
+      runQuery: tx.query,
+    });
+    if (!fxJournal || u(fxJournal.status) !== "POSTED") {
+      throw badRequest(`Realised FX journal ${fxJournalEntryId} is not posted and cannot be reversed`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const fxLinesResult = await tx.query(
+      `SELECT line_no, account_id, description, subledger_reference_no, currency_code,
+              amount_txn, debit_base, credit_base
+       FROM journal_lines
+       WHERE journal_entry_id = ?
+       ORDER BY line_no ASC`,
+      [fxJournalEntryId]
+    );
+    const fxLines = fxLinesResult.rows || [];
+
+    const reverseDate = toDateOnly(fxJournal.entry_date);
+    // eslint-disable-next-line no-await-in-loop
+    const journalContext = await resolveBookAndPeriodForPostingTx(tx, {
+      tenantId: parsedTenantId,
+      legalEntityId: line.legal_entity_id,
+      postDate: reverseDate,
+    });
+    const reversalJournalNo = `${fxJournal.journal_no}-REV`;
+    const narration = `Reversal of ${fxJournal.journal_no} (statement line unmatched)`;
+    // eslint-disable-next-line no-await-in-loop
+    const headerInsert = await tx.query(
+      `INSERT INTO journal_entries (
+          tenant_id,
+          legal_entity_id,
+          book_id,
+          fiscal_period_id,
+          journal_no,
+          source_type,
+          status,
+          entry_date,
+          document_date,
+          currency_code,
+          description,
+          reference_no,
+          total_debit_base,
+          total_credit_base,
+          created_by_user_id,
+          posted_by_user_id,
+          posted_at
+        )
+        VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        parsedTenantId,
+        line.legal_entity_id,
+        journalContext.bookId,
+        journalContext.fiscalPeriodId,
+        reversalJournalNo,
+        reverseDate,
+        reverseDate,
+        fxJournal.currency_code,
+        narration,
+        fxJournal.reference_no || null,
+        fxJournal.total_credit_base,
+        fxJournal.total_debit_base,
+        parsedUserId,
+        parsedUserId,
+      ]
+    );
+    const reversalJournalEntryId = parsePositiveInt(headerInsert.rows?.insertId);
+    if (!reversalJournalEntryId) throw new Error("Failed to create realised FX reversal journal");
+
+    for (const jl of fxLines) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `INSERT INTO journal_lines (
+            journal_entry_id,
+            line_no,
+            account_id,
+            operating_unit_id,
+            counterparty_legal_entity_id,
+            description,
+            subledger_reference_no,
+            currency_code,
+            amount_txn,
+            debit_base,
+            credit_base,
+            tax_code
+          )
+          VALUES (?, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?, NULL)`,
+        [
+          reversalJournalEntryId,
+          jl.line_no,
+          jl.account_id,
+          narration,
+          jl.subledger_reference_no,
+          jl.currency_code,
+          toAmount(Number(jl.amount_txn || 0) * -1),
+          jl.credit_base,
+          jl.debit_base,
+        ]
+      );
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `UPDATE journal_entries
+       SET status = 'REVERSED',
+           reversed_by_user_id = ?,
+           reversed_at = CURRENT_TIMESTAMP,
+           reversal_journal_entry_id = ?,
+           reverse_reason = ?
+       WHERE tenant_id = ?
+         AND id = ?
+         AND status = 'POSTED'`,
+      [parsedUserId, reversalJournalEntryId, "Statement line unmatched", parsedTenantId, fxJournalEntryId]
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `UPDATE bank_reconciliation_fx_postings
+       SET status = 'REVERSED',
+           reversal_journal_entry_id = ?,
+           reversed_by_user_id = ?,
+           reversed_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [reversalJournalEntryId, parsedUserId, parsedTenantId, fxPosting.id]
+    );
+    reversals.push({
+      fxPostingId: parsePositiveInt(fxPosting.id),
+      journalId: fxJournalEntryId,
+      reversalJournalId: reversalJournalEntryId,
+      reversalJournalNo,
+    });
+  }
+  return reversals;
+}
+
 export default {
   autoPostTemplateAndReconcileStatementLine,
+  postRealisedFxForJournalMatchTx,
+  reverseRealisedFxForUnmatchTx,
 };
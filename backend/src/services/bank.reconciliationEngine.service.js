@@ -2,8 +2,17 @@ import { query } from "../db.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
 import { listActiveRulesForAutomation } from "./bank.reconciliationRules.service.js";
 import { upsertReconciliationException } from "./bank.reconciliationExceptions.service.js";
-import { matchReconciliationLine } from "./bank.reconciliation.service.js";
-import { autoPostTemplateAndReconcileStatementLine } from "./bank.reconciliationAutoPosting.service.js";
+import {
+  findGroupMatchCandidatesForLine,
+  matchReconciliationGroup,
+  matchReconciliationLine,
+  matchReconciliationLineTx,
+} from "./bank.reconciliation.service.js";
+import {
+  autoPostTemplateAndReconcileStatementLine,
+  postRealisedFxForJournalMatchTx,
+} from "./bank.reconciliationAutoPosting.service.js";
+import { findPostingTemplateForBankTransactionCode } from "./bank.reconciliationPostingTemplates.service.js";
 import {
   findPaymentLineCandidatesForReturnAutomation,
   processPaymentReturnFromStatementLine,
@@ -13,8 +22,16 @@ import {
   findPaymentLineCandidatesForDifferenceAutomation,
 } from "./bank.reconciliationDifferences.service.js";
 import { resolveBankAccountScope } from "./bank.accounts.service.js";
+import { createCariReceiptFromStatementLine } from "./cari.settlement.service.js";
+import { identifyCariPayerForStatementLine } from "./cari.virtual-account.service.js";
 
 const AMOUNT_EPSILON = 0.01;
+const GROUP_MATCH_KINDS = {
+  CARI_OPEN_ITEMS_BY_AMOUNT: ["CARI_OPEN_ITEM"],
+  CASH_TXNS_BY_AMOUNT: ["CASH_TXN"],
+  STATEMENT_LINES_TO_PAYMENT_BATCH: ["PAYMENT_BATCH"],
+  STATEMENT_LINES_TO_JOURNAL: ["JOURNAL"],
+};
 
 function u(value) {
   return String(value || "").trim().toUpperCase();
@@ -92,6 +109,12 @@ function remainingAmountAbs(line) {
   return Number(Math.max(0, absAmount(line?.amount) - absAmount(line?.active_matched_total)).toFixed(6));
 }
 
+function maxGroupSize(rule) {
+  const raw = Number(rule?.conditions_json?.maxGroupSize ?? rule?.conditions_json?.max_group_size ?? 5);
+  if (!Number.isInteger(raw) || raw < 2 || raw > 8) return 5;
+  return raw;
+}
+
 function ruleTrace(rule) {
   if (!rule) return null;
   return {
@@ -118,6 +141,18 @@ function targetSummary(t) {
     amount: toAmount(t.amount),
     displayRef: t.displayRef || null,
     displayText: t.displayText || null,
+    group: t.group
+      ? {
+          groupType: t.group.groupType,
+          statementLineIds: t.group.statementLineIds,
+          targets: (t.group.targets || []).map((x) => ({
+            matchedEntityType: x.matchedEntityType,
+            matchedEntityId: x.matchedEntityId,
+            amount: toAmount(x.amount),
+          })),
+          differenceAmount: toAmount(t.group.differenceAmount),
+        }
+      : null,
   };
 }
 
@@ -181,17 +216,55 @@ function policyCheck(line, rule) {
   return { blocked: false };
 }
 
+function optionalAmount(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function lineCounterpartyText(line) {
+  const remittance = parseJson(line?.remittance_info_json, null) || {};
+  return [remittance.counterpartyName, remittance.counterpartyAccount]
+    .map((value) => u(value))
+    .filter(Boolean)
+    .join(" ");
+}
+
 function textPrecheck(line, rule) {
   const c = rule?.conditions_json || {};
   const refNeedles = arr(c.referenceIncludesAny ?? c.reference_includes_any);
   const textNeedles = arr(c.textIncludesAny ?? c.text_includes_any);
+  const descriptionNeedles = arr(c.descriptionIncludesAny ?? c.description_includes_any);
+  const counterpartyNeedles = arr(c.counterpartyIncludesAny ?? c.counterparty_includes_any);
   const ref = u(line.reference_no);
   const text = `${ref} ${u(line.description)}`.trim();
   if (refNeedles.length && !refNeedles.some((n) => ref.includes(n))) return false;
   if (textNeedles.length && !textNeedles.some((n) => text.includes(n))) return false;
+  // Unlike textIncludesAny, description needles only gate the statement line
+  // and are not required to appear on the matched journal/batch.
+  if (descriptionNeedles.length && !descriptionNeedles.some((n) => u(line.description).includes(n))) {
+    return false;
+  }
+  if (counterpartyNeedles.length) {
+    // Lines without structured remittance data fall back to the description,
+    // which camt/MT940 imports prefix with the counterparty name.
+    const counterparty = lineCounterpartyText(line) || u(line.description);
+    if (!counterpartyNeedles.some((n) => counterparty.includes(n))) return false;
+  }
+
+  const amountMin = optionalAmount(c.amountMin ?? c.amount_min);
+  const amountMax = optionalAmount(c.amountMax ?? c.amount_max);
+  const lineAmount = absAmount(line.amount);
+  if (amountMin !== null && lineAmount < amountMin - AMOUNT_EPSILON) return false;
+  if (amountMax !== null && lineAmount > amountMax + AMOUNT_EPSILON) return false;
   return true;
 }
 
+export function ruleConditionsMatchLine(rule, line) {
+  if (!applicable(rule, line) || !effective(rule, line) || !textPrecheck(line, rule)) return false;
+  return !policyCheck(line, rule).blocked;
+}
+
 function applicable(rule, line) {
   const scope = u(rule.scope_type);
   if (scope === "LEGAL_ENTITY") {
@@ -249,13 +322,17 @@ async function loadLines({ req, tenantId, filters, buildScopeFilter, assertScope
   const result = await query(
     `SELECT
         l.id, l.tenant_id, l.legal_entity_id, l.bank_account_id, l.txn_date, l.value_date,
-        l.description, l.reference_no, l.amount, l.currency_code, l.recon_status,
+        l.description, l.reference_no, l.bank_reference, l.end_to_end_id, l.bank_transaction_code, l.remittance_info_json,
+        l.amount, l.currency_code, l.recon_status,
         l.reconciliation_method, l.reconciliation_rule_id, l.reconciliation_confidence,
         ba.code AS bank_account_code, ba.name AS bank_account_name, ba.gl_account_id AS bank_gl_account_id,
+        le.functional_currency_code AS base_currency_code,
         COALESCE(m.active_matched_total, 0) AS active_matched_total
      FROM bank_statement_lines l
      JOIN bank_accounts ba
        ON ba.tenant_id = l.tenant_id AND ba.legal_entity_id = l.legal_entity_id AND ba.id = l.bank_account_id
+     JOIN legal_entities le
+       ON le.tenant_id = l.tenant_id AND le.id = l.legal_entity_id
      LEFT JOIN (
        SELECT tenant_id, statement_line_id, COALESCE(SUM(matched_amount),0) AS active_matched_total
        FROM bank_reconciliation_matches
@@ -343,7 +420,8 @@ async function journalCandidates({ tenantId, line, rule }) {
         je.entry_date,
         je.reference_no,
         je.description,
-        ABS(COALESCE(SUM(jl.debit_base - jl.credit_base),0)) AS bank_gl_amount
+        ABS(COALESCE(SUM(jl.debit_base - jl.credit_base),0)) AS bank_gl_amount,
+        ABS(COALESCE(SUM(CASE WHEN jl.currency_code = ? THEN jl.amount_txn ELSE 0 END),0)) AS bank_gl_amount_txn
      FROM journal_entries je
      JOIN journal_lines jl ON jl.journal_entry_id = je.id
      WHERE je.tenant_id = ?
@@ -354,9 +432,11 @@ async function journalCandidates({ tenantId, line, rule }) {
      GROUP BY je.id, je.journal_no, je.entry_date, je.reference_no, je.description
      ORDER BY je.entry_date DESC, je.id DESC
      LIMIT 200`,
-    [tenantId, line.legal_entity_id, line.bank_gl_account_id, line.txn_date, line.txn_date]
+    [u(line.currency_code), tenantId, line.legal_entity_id, line.bank_gl_account_id, line.txn_date, line.txn_date]
   );
 
+  // Foreign-currency lines compare in statement currency; base amounts carry booking-rate noise.
+  const foreignCurrency = Boolean(line.base_currency_code) && u(line.base_currency_code) !== u(line.currency_code);
   const tol = amountTolerance(rule);
   const ref = u(line.reference_no);
   const toks = tokenize(line.reference_no, line.description);
@@ -365,7 +445,7 @@ async function journalCandidates({ tenantId, line, rule }) {
   const requireExactRef = u(rule.match_type) === "JOURNAL_BY_REFERENCE_AND_AMOUNT";
   const rows = [];
   for (const r of result.rows || []) {
-    const total = absAmount(r.bank_gl_amount);
+    const total = absAmount(foreignCurrency ? r.bank_gl_amount_txn : r.bank_gl_amount);
     if (Math.abs(total - rem) > tol) continue;
     const blob = u(`${r.journal_no || ""} ${r.reference_no || ""} ${r.description || ""}`);
     if (refNeedles.length && !refNeedles.some((n) => blob.includes(n))) continue;
@@ -387,9 +467,72 @@ async function journalCandidates({ tenantId, line, rule }) {
   return rows.sort((a, b) => b.confidence - a.confidence || b.entityId - a.entityId);
 }
 
+async function groupCandidates({ tenantId, line, rule }) {
+  const suggestions = await findGroupMatchCandidatesForLine({
+    tenantId,
+    line,
+    remainingAmount: remainingAmountAbs(line),
+    kinds: GROUP_MATCH_KINDS[u(rule.match_type)],
+    tolerance: amountTolerance(rule),
+    dateWindowDays: dateLagDays(rule),
+    maxSize: maxGroupSize(rule),
+  });
+  return suggestions.map((g) => ({
+    entityType: `GROUP_${g.groupType}`,
+    entityId: null,
+    amount: g.targetTotal,
+    displayRef: g.targets.slice(0, 3).map((x) => x.displayRef).join(", "),
+    displayText: `${g.statementLineIds.length} line(s) -> ${g.targets.length} target(s)`,
+    date: line.txn_date || null,
+    group: g,
+    confidence: g.score,
+  }));
+}
+
+async function payerCandidates({ tenantId, line }) {
+  if (lineDirection(line) !== "IN") return [];
+  const identification = await identifyCariPayerForStatementLine({
+    tenantId,
+    legalEntityId: parsePositiveInt(line.legal_entity_id),
+    line,
+  });
+  const byCounterparty = new Map();
+  for (const entry of identification.candidates) {
+    if (!byCounterparty.has(entry.counterpartyId)) byCounterparty.set(entry.counterpartyId, entry);
+  }
+  return Array.from(byCounterparty.values()).map((entry) => ({
+    entityType: "COUNTERPARTY",
+    entityId: entry.counterpartyId,
+    amount: remainingAmountAbs(line),
+    displayRef: entry.counterpartyCode || null,
+    displayText: `${entry.identifierType} ${entry.identifierValue} (${entry.source})`,
+    date: line.txn_date || null,
+    confidence: entry.identifierType === "REFERENCE_PATTERN" ? 80 : 90,
+  }));
+}
+
+async function transactionCodeTemplateCandidates({ tenantId, line }) {
+  const template = await findPostingTemplateForBankTransactionCode({ tenantId, line });
+  if (!template) return [];
+  return [
+    {
+      entityType: "POSTING_TEMPLATE",
+      entityId: parsePositiveInt(template.id),
+      amount: remainingAmountAbs(line),
+      displayRef: template.template_code || `B08TPL#${template.id}`,
+      displayText: `${template.template_name || "Auto-post template"} (${line.bank_transaction_code})`,
+      date: line?.txn_date || null,
+      confidence: 95,
+    },
+  ];
+}
+
 async function candidatesForRule({ tenantId, line, rule }) {
   const mt = u(rule.match_type);
   const action = u(rule.action_type);
+  if (GROUP_MATCH_KINDS[mt]) {
+    return groupCandidates({ tenantId, line, rule });
+  }
   if (action === "PROCESS_PAYMENT_RETURN") {
     return findPaymentLineCandidatesForReturnAutomation({ tenantId, line, rule });
   }
@@ -402,6 +545,12 @@ async function candidatesForRule({ tenantId, line, rule }) {
   if (mt === "JOURNAL_BY_TEXT_AND_AMOUNT" || mt === "JOURNAL_BY_REFERENCE_AND_AMOUNT") {
     return journalCandidates({ tenantId, line, rule });
   }
+  if (mt === "CARI_RECEIPT_BY_VIRTUAL_ACCOUNT") {
+    return payerCandidates({ tenantId, line });
+  }
+  if (mt === "TEMPLATE_BY_BANK_TRANSACTION_CODE") {
+    return transactionCodeTemplateCandidates({ tenantId, line });
+  }
   return [];
 }
 
@@ -420,7 +569,11 @@ async function evaluateLine({ tenantId, line, rules }) {
       return { line, outcome: "RULE_QUEUE_EXCEPTION", reasonCode: "RULE_QUEUE_EXCEPTION", reasonMessage: "Rule requested queue", rule, candidates: [], target: null, confidence: null };
     }
     if (action === "AUTO_POST_TEMPLATE") {
-      const target = getAutoPostTemplateTargetFromRule(rule, line);
+      let target = getAutoPostTemplateTargetFromRule(rule, line);
+      if (!target && u(rule.match_type) === "TEMPLATE_BY_BANK_TRANSACTION_CODE") {
+        [target] = await transactionCodeTemplateCandidates({ tenantId, line });
+        if (!target) continue;
+      }
       if (!target) {
         return {
           line,
@@ -512,6 +665,18 @@ async function evaluateLine({ tenantId, line, rules }) {
         confidence: Number(target.confidence ?? 85),
       };
     }
+    if (action === "AUTO_MATCH_GROUP") {
+      if (!GROUP_MATCH_KINDS[u(rule.match_type)]) {
+        return { line, outcome: "POLICY_BLOCKED", reasonCode: "POLICY_BLOCKED", reasonMessage: "AUTO_MATCH_GROUP requires a grouped match type", rule, candidates: [], target: null, confidence: null };
+      }
+      const candidates = await candidatesForRule({ tenantId, line, rule });
+      if (!candidates.length) continue;
+      if (candidates.length > 1) {
+        return { line, outcome: "AMBIGUOUS_TARGET", reasonCode: "AMBIGUOUS_TARGET", reasonMessage: `Group rule found ${candidates.length} candidate groups`, rule, candidates, target: null, confidence: null };
+      }
+      const target = candidates[0];
+      return { line, outcome: "AUTO_GROUP_READY", reasonCode: null, reasonMessage: null, rule, candidates, target, confidence: Number(target.confidence ?? 80) };
+    }
     const candidates = await candidatesForRule({ tenantId, line, rule });
     if (!candidates.length) continue;
     if (action === "SUGGEST_ONLY") {
@@ -522,6 +687,12 @@ async function evaluateLine({ tenantId, line, rules }) {
     }
     const target = candidates[0];
     if (!target?.entityId || !target?.entityType) continue;
+    if (action === "AUTO_CREATE_CARI_RECEIPT") {
+      if (u(target.entityType) !== "COUNTERPARTY") {
+        return { line, outcome: "POLICY_BLOCKED", reasonCode: "POLICY_BLOCKED", reasonMessage: "AUTO_CREATE_CARI_RECEIPT requires an identified payer", rule, candidates, target: null, confidence: null };
+      }
+      return { line, outcome: "AUTO_CARI_RECEIPT_READY", reasonCode: null, reasonMessage: null, rule, candidates, target, confidence: Number(target.confidence ?? 85) };
+    }
     if (action === "AUTO_MATCH_PAYMENT_BATCH" && u(target.entityType) !== "PAYMENT_BATCH") {
       return { line, outcome: "POLICY_BLOCKED", reasonCode: "POLICY_BLOCKED", reasonMessage: "Target type mismatch for payment rule", rule, candidates, target: null, confidence: null };
     }
@@ -559,14 +730,28 @@ function evalRow(e) {
 function summarize(rows, mode) {
   const s = { scannedCount: rows.length, matchedCount: 0, reconciledCount: 0, exceptionCount: 0, skippedCount: 0, errorCount: 0 };
   for (const row of rows) {
-    if (["AUTO_MATCH_READY", "AUTO_POST_READY", "AUTO_RETURN_READY", "AUTO_DIFF_READY"].includes(row.outcome)) {
+    if (
+      [
+        "AUTO_MATCH_READY",
+        "AUTO_POST_READY",
+        "AUTO_RETURN_READY",
+        "AUTO_DIFF_READY",
+        "AUTO_GROUP_READY",
+        "AUTO_CARI_RECEIPT_READY",
+      ].includes(row.outcome)
+    ) {
       s.matchedCount += 1;
     }
     if (
       mode === "APPLY" &&
-      ["RECONCILED", "AUTO_POSTED_RECONCILED", "RETURN_PROCESSED_RECONCILED", "DIFFERENCE_RECONCILED"].includes(
-        row.outcome
-      )
+      [
+        "RECONCILED",
+        "AUTO_POSTED_RECONCILED",
+        "RETURN_PROCESSED_RECONCILED",
+        "DIFFERENCE_RECONCILED",
+        "GROUP_RECONCILED",
+        "CARI_RECEIPT_RECONCILED",
+      ].includes(row.outcome)
     ) {
       s.reconciledCount += 1;
     }
@@ -717,9 +902,62 @@ export async function applyBankReconciliationAutoRun({
 
   let status = "SUCCESS";
   const rows = [];
+  // Lines consumed by a many-to-one group earlier in this run are stale in `lines`.
+  const groupedLineIds = new Set();
   for (const line of lines) {
+    if (groupedLineIds.has(parsePositiveInt(line.id))) {
+      rows.push(
+        evalRow({ line, outcome: "SKIPPED", reasonCode: "MATCHED_IN_GROUP", reasonMessage: "Matched by an earlier group in this run" })
+      );
+      continue;
+    }
     try {
       const evaluation = await evaluateLine({ tenantId, line, rules });
+      if (evaluation.outcome === "AUTO_GROUP_READY" && evaluation.target?.group) {
+        try {
+          const group = evaluation.target.group;
+          const groupResult = await matchReconciliationGroup({
+            req,
+            tenantId,
+            groupInput: {
+              statementLineIds: group.statementLineIds,
+              targets: group.targets.map((x) => ({
+                matchedEntityType: x.matchedEntityType,
+                matchedEntityId: x.matchedEntityId,
+                amount: x.amount,
+              })),
+              toleranceAmount: amountTolerance(evaluation.rule),
+              matchType: "AUTO_RULE",
+              notes: `Auto group matched by rule ${evaluation.rule?.rule_code || evaluation.rule?.id}`,
+              reconciliationMethod: "RULE",
+              reconciliationRuleId: parsePositiveInt(evaluation.rule?.id) || null,
+              reconciliationConfidence:
+                evaluation.confidence === null || evaluation.confidence === undefined
+                  ? null
+                  : Number(Number(evaluation.confidence).toFixed(2)),
+            },
+            userId: filters.userId || null,
+            assertScopeAccess,
+          });
+          for (const lineId of group.statementLineIds) groupedLineIds.add(parsePositiveInt(lineId));
+          const ownLine = (groupResult?.lines || []).find(
+            (x) => parsePositiveInt(x?.id) === parsePositiveInt(line.id)
+          );
+          rows.push({
+            ...evalRow(evaluation),
+            outcome: "GROUP_RECONCILED",
+            reconStatus: ownLine?.recon_status || "MATCHED",
+            matchGroupId: parsePositiveInt(groupResult?.group?.id) || null,
+            exceptionId: null,
+          });
+          continue;
+        } catch (err) {
+          evaluation.outcome = "APPLY_ERROR";
+          evaluation.reasonCode = "APPLY_ERROR";
+          evaluation.reasonMessage = err?.message || "Group auto-match failed";
+          status = "PARTIAL";
+        }
+      }
       if (evaluation.outcome === "AUTO_MATCH_READY" && evaluation.target) {
         try {
           const matchResult = await matchReconciliationLine({
@@ -741,12 +979,33 @@ export async function applyBankReconciliationAutoRun({
             },
             userId: filters.userId || null,
             assertScopeAccess,
+            afterMatchTx:
+              evaluation.target.entityType === "JOURNAL"
+                ? (tx) =>
+                    postRealisedFxForJournalMatchTx(tx, {
+                      tenantId,
+                      lineId: line.id,
+                      journalEntryId: evaluation.target.entityId,
+                      matchedAmount: remainingAmountAbs(line),
+                      userId: filters.userId || null,
+                    })
+                : null,
           });
+          const realisedFx = matchResult?.afterMatchResult || null;
           rows.push({
             ...evalRow(evaluation),
             outcome: "RECONCILED",
             reconStatus: matchResult?.line?.recon_status || "MATCHED",
             exceptionId: null,
+            realisedFx: realisedFx?.fx_posting
+              ? {
+                  id: parsePositiveInt(realisedFx.fx_posting.id) || null,
+                  journalId: parsePositiveInt(realisedFx.fx_posting.fx_journal_entry_id) || null,
+                  category: realisedFx.fx_posting.fx_category,
+                  differenceBase: toAmount(realisedFx.fx_posting.fx_difference_base),
+                  idempotent: Boolean(realisedFx.idempotent),
+                }
+              : null,
           });
           continue;
         } catch (err) {
@@ -900,6 +1159,94 @@ export async function applyBankReconciliationAutoRun({
         }
       }
 
+      if (evaluation.outcome === "AUTO_CARI_RECEIPT_READY" && evaluation.target) {
+        try {
+          const buildReceiptMatchInput = (posted) => {
+            const journalEntryId = parsePositiveInt(posted?.row?.postedJournalEntryId);
+            if (!journalEntryId) {
+              throw badRequest("Automatic receipt did not produce a posted journal");
+            }
+            return {
+              matchType: "AUTO_RULE",
+              matchedEntityType: "JOURNAL",
+              matchedEntityId: journalEntryId,
+              matchedAmount: remainingAmountAbs(line),
+              notes: `Auto receipt ${posted.row?.settlementNo || journalEntryId} by rule ${
+                evaluation.rule?.rule_code || evaluation.rule?.id
+              }`,
+              reconciliationMethod: "RULE",
+              reconciliationRuleId: parsePositiveInt(evaluation.rule?.id) || null,
+              reconciliationConfidence:
+                evaluation.confidence === null || evaluation.confidence === undefined
+                  ? null
+                  : Number(Number(evaluation.confidence).toFixed(2)),
+            };
+          };
+          // The receipt and its match commit together, so a failed match leaves no receipt behind.
+          const receipt = await createCariReceiptFromStatementLine({
+            req,
+            payload: {
+              tenantId,
+              userId: filters.userId || null,
+              legalEntityId: parsePositiveInt(line.legal_entity_id),
+              bankStatementLineId: parsePositiveInt(line.id),
+              idempotencyKey: `RECON_RECEIPT:${line.id}`,
+              amountTxn: remainingAmountAbs(line),
+              note: `Auto receipt by rule ${evaluation.rule?.rule_code || evaluation.rule?.id}`,
+            },
+            assertScopeAccess,
+            afterPostTx: (tx, posted) =>
+              matchReconciliationLineTx(tx, {
+                tenantId,
+                lineId: line.id,
+                matchInput: buildReceiptMatchInput(posted),
+                userId: filters.userId || null,
+              }),
+          });
+          const receiptMatchInput = buildReceiptMatchInput(receipt);
+          const journalEntryId = receiptMatchInput.matchedEntityId;
+          const matchResult =
+            receipt.afterPostResult ||
+            (await matchReconciliationLine({
+              req,
+              tenantId,
+              lineId: line.id,
+              matchInput: receiptMatchInput,
+              userId: filters.userId || null,
+              assertScopeAccess,
+            }));
+          const unappliedRows = Array.isArray(receipt?.unappliedCash) ? receipt.unappliedCash : [];
+          rows.push({
+            ...evalRow(evaluation),
+            outcome: "CARI_RECEIPT_RECONCILED",
+            reconStatus: matchResult?.line?.recon_status || "MATCHED",
+            target: {
+              entityType: "JOURNAL",
+              entityId: journalEntryId,
+              amount: remainingAmountAbs(line),
+              displayRef: receipt.row?.settlementNo || null,
+              displayText: evaluation.target?.displayText || "Automatic AR receipt",
+            },
+            cariReceipt: {
+              settlementBatchId: parsePositiveInt(receipt.row?.id) || null,
+              counterpartyId: parsePositiveInt(receipt.row?.counterpartyId) || evaluation.target.entityId,
+              allocationMode: receipt.allocationMode || null,
+              referencedDocumentNos: receipt.referencedDocumentNos || [],
+              allocationCount: Array.isArray(receipt.allocations) ? receipt.allocations.length : 0,
+              unappliedCashId: parsePositiveInt(unappliedRows[0]?.id) || null,
+              idempotent: Boolean(receipt.idempotentReplay),
+            },
+            exceptionId: null,
+          });
+          continue;
+        } catch (err) {
+          evaluation.outcome = "APPLY_ERROR";
+          evaluation.reasonCode = "APPLY_ERROR";
+          evaluation.reasonMessage = err?.message || "Automatic AR receipt failed";
+          status = "PARTIAL";
+        }
+      }
+
       let exceptionId = null;
       if (["NO_RULE_MATCH", "AMBIGUOUS_TARGET", "POLICY_BLOCKED", "APPLY_ERROR", "RULE_QUEUE_EXCEPTION"].includes(evaluation.outcome)) {
         exceptionId = await queueExceptionFromEval({
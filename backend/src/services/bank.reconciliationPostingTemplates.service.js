@@ -22,6 +22,8 @@ function toAmount(value) {
   return Number.isFinite(n) ? Number(n.toFixed(6)) : null;
 }
 
+const TRANSACTION_CODE_PATTERN = /^[A-Z0-9*/ ._-]+$/;
+
 function hydrateTemplateRow(row) {
   if (!row) return null;
   return {
@@ -43,7 +45,9 @@ async function getTemplateById({ tenantId, templateId, runQuery = query }) {
         ba.currency_code AS bank_account_currency_code,
         a.code AS counter_account_code,
         a.name AS counter_account_name,
-        a.account_type AS counter_account_type
+        a.account_type AS counter_account_type,
+        fga.code AS fx_gain_account_code,
+        fla.code AS fx_loss_account_code
      FROM bank_reconciliation_posting_templates t
      LEFT JOIN legal_entities le
        ON le.tenant_id = t.tenant_id
@@ -54,6 +58,10 @@ async function getTemplateById({ tenantId, templateId, runQuery = query }) {
       AND ba.id = t.bank_account_id
      LEFT JOIN accounts a
        ON a.id = t.counter_account_id
+     LEFT JOIN accounts fga
+       ON fga.id = t.fx_gain_account_id
+     LEFT JOIN accounts fla
+       ON fla.id = t.fx_loss_account_id
      WHERE t.tenant_id = ?
        AND t.id = ?
      LIMIT 1`,
@@ -148,6 +156,28 @@ function normalizeTaxWriteFields({ taxMode, taxAccountId, taxRate }) {
   };
 }
 
+function normalizeTransactionCodeForWrite(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const code = u(value).replace(/\s+/g, " ");
+  if (code.length > 60) throw badRequest("bankTransactionCode cannot exceed 60 characters");
+  if (!TRANSACTION_CODE_PATTERN.test(code)) {
+    throw badRequest("bankTransactionCode may contain letters, digits, / . _ - and * wildcards only");
+  }
+  if (!code.replace(/[*/\s]/g, "")) {
+    throw badRequest("bankTransactionCode must contain at least one literal character");
+  }
+  return code;
+}
+
+function normalizeFxAccountWriteFields({ fxGainAccountId, fxLossAccountId }) {
+  const gain = parsePositiveInt(fxGainAccountId) || null;
+  const loss = parsePositiveInt(fxLossAccountId) || null;
+  if (Boolean(gain) !== Boolean(loss)) {
+    throw badRequest("fxGainAccountId and fxLossAccountId must be set together");
+  }
+  return { fxGainAccountId: gain, fxLossAccountId: loss };
+}
+
 function normalizeTemplateScopeForWrite(input, current = null) {
   const next = {
     scopeType: input.scopeType ?? current?.scope_type ?? "LEGAL_ENTITY",
@@ -230,12 +260,27 @@ async function validateTemplateWriteContext({ req, tenantId, input, scope, asser
   assertTemplateGlAccount(counterAccount, { label: "Counter" });
   assertTemplateGlAccount(taxAccount, { label: "Tax" });
 
+  const fxAccounts = {};
+  for (const [key, label] of [
+    ["fxGainAccountId", "FX gain"],
+    ["fxLossAccountId", "FX loss"],
+  ]) {
+    const accountId = parsePositiveInt(input[key]);
+    if (!accountId) continue;
+    const account = await getCounterAccount({ tenantId, accountId });
+    if (!account) throw badRequest(`${key} not found`);
+    assertTemplateGlAccount(account, { label });
+    fxAccounts[key] = account;
+  }
+
   return {
     legalEntityId: resolvedLegalEntityId,
     legalEntity,
     bankAccount,
     counterAccount,
     taxAccount,
+    fxGainAccount: fxAccounts.fxGainAccountId || null,
+    fxLossAccount: fxAccounts.fxLossAccountId || null,
   };
 }
 
@@ -355,11 +400,15 @@ export async function createPostingTemplate({
     taxAccountId: input.taxAccountId,
     taxRate: input.taxRate,
   });
+  const normalizedFx = normalizeFxAccountWriteFields(input);
   const normalizedInput = {
     ...input,
     taxMode: normalizedTax.taxMode,
     taxAccountId: normalizedTax.taxAccountId,
     taxRate: normalizedTax.taxRate,
+    bankTransactionCode: normalizeTransactionCodeForWrite(input.bankTransactionCode),
+    fxGainAccountId: normalizedFx.fxGainAccountId,
+    fxLossAccountId: normalizedFx.fxLossAccountId,
   };
   const scope = normalizeTemplateScopeForWrite(normalizedInput);
   const validated = await validateTemplateWriteContext({
@@ -380,11 +429,14 @@ export async function createPostingTemplate({
         scope_type,
         bank_account_id,
         entry_kind,
+        bank_transaction_code,
         direction_policy,
         counter_account_id,
         tax_account_id,
         tax_mode,
         tax_rate,
+        fx_gain_account_id,
+        fx_loss_account_id,
         currency_code,
         min_amount_abs,
         max_amount_abs,
@@ -397,7 +449,7 @@ export async function createPostingTemplate({
         effective_to,
         created_by_user_id,
         updated_by_user_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       normalizedInput.tenantId,
       validated.legalEntityId,
@@ -407,11 +459,14 @@ export async function createPostingTemplate({
       scope.scopeType,
       scope.scopeType === "BANK_ACCOUNT" ? scope.bankAccountId : null,
       normalizedInput.entryKind,
+      normalizedInput.bankTransactionCode,
       normalizedInput.directionPolicy,
       normalizedInput.counterAccountId,
       normalizedInput.taxAccountId || null,
       normalizedInput.taxMode || "NONE",
       normalizedInput.taxRate === null ? null : normalizedInput.taxRate,
+      normalizedInput.fxGainAccountId,
+      normalizedInput.fxLossAccountId,
       normalizedInput.currencyCode || null,
       normalizedInput.minAmountAbs === null ? null : normalizedInput.minAmountAbs,
       normalizedInput.maxAmountAbs === null ? null : normalizedInput.maxAmountAbs,
@@ -458,6 +513,12 @@ export async function updatePostingTemplate({
       input.taxAccountId !== undefined ? input.taxAccountId : current.tax_account_id,
     taxRate: input.taxRate !== undefined ? input.taxRate : current.tax_rate,
   });
+  const normalizedFx = normalizeFxAccountWriteFields({
+    fxGainAccountId:
+      input.fxGainAccountId !== undefined ? input.fxGainAccountId : current.fx_gain_account_id,
+    fxLossAccountId:
+      input.fxLossAccountId !== undefined ? input.fxLossAccountId : current.fx_loss_account_id,
+  });
   const scope = normalizeTemplateScopeForWrite(input, current);
   const validated = await validateTemplateWriteContext({
     req,
@@ -470,6 +531,8 @@ export async function updatePostingTemplate({
       taxMode: normalizedTax.taxMode,
       taxAccountId: normalizedTax.taxAccountId,
       taxRate: normalizedTax.taxRate,
+      fxGainAccountId: normalizedFx.fxGainAccountId,
+      fxLossAccountId: normalizedFx.fxLossAccountId,
     },
     scope,
     assertScopeAccess,
@@ -479,6 +542,11 @@ export async function updatePostingTemplate({
     templateName: input.templateName !== undefined ? input.templateName : current.template_name,
     status: input.status !== undefined ? input.status : current.status,
     entryKind: input.entryKind !== undefined ? input.entryKind : current.entry_kind,
+    bankTransactionCode: normalizeTransactionCodeForWrite(
+      input.bankTransactionCode !== undefined
+        ? input.bankTransactionCode
+        : current.bank_transaction_code
+    ),
     directionPolicy:
       input.directionPolicy !== undefined ? input.directionPolicy : current.direction_policy,
     counterAccountId:
@@ -486,6 +554,8 @@ export async function updatePostingTemplate({
     taxAccountId: normalizedTax.taxAccountId,
     taxMode: normalizedTax.taxMode,
     taxRate: normalizedTax.taxRate,
+    fxGainAccountId: normalizedFx.fxGainAccountId,
+    fxLossAccountId: normalizedFx.fxLossAccountId,
     currencyCode:
       input.currencyCode !== undefined ? input.currencyCode : current.currency_code,
     minAmountAbs:
@@ -517,11 +587,14 @@ export async function updatePostingTemplate({
          scope_type = ?,
          bank_account_id = ?,
          entry_kind = ?,
+         bank_transaction_code = ?,
          direction_policy = ?,
          counter_account_id = ?,
          tax_account_id = ?,
          tax_mode = ?,
          tax_rate = ?,
+         fx_gain_account_id = ?,
+         fx_loss_account_id = ?,
          currency_code = ?,
          min_amount_abs = ?,
          max_amount_abs = ?,
@@ -542,11 +615,14 @@ export async function updatePostingTemplate({
       scope.scopeType,
       scope.scopeType === "BANK_ACCOUNT" ? scope.bankAccountId : null,
       next.entryKind,
+      next.bankTransactionCode,
       next.directionPolicy,
       next.counterAccountId,
       next.taxAccountId || null,
       next.taxMode || "NONE",
       next.taxRate === null ? null : next.taxRate,
+      next.fxGainAccountId,
+      next.fxLossAccountId,
       next.currencyCode || null,
       next.minAmountAbs === null ? null : next.minAmountAbs,
       next.maxAmountAbs === null ? null : next.maxAmountAbs,
@@ -587,6 +663,109 @@ export async function getPostingTemplateByIdForAutoPost({
   return row;
 }
 
+export function bankTransactionCodeMatches(pattern, code) {
+  const normalizedPattern = u(pattern);
+  const normalizedCode = u(code);
+  if (!normalizedPattern || !normalizedCode) return false;
+  if (!normalizedPattern.includes("*")) return normalizedPattern === normalizedCode;
+  const body = normalizedPattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}$`).test(normalizedCode);
+}
+
+async function listApprovedTemplatesForLine({ tenantId, line, extraSql, runQuery = query }) {
+  const lineDate = String(
+    line?.txn_date instanceof Date ? line.txn_date.toISOString() : line?.txn_date || ""
+  ).slice(0, 10);
+  const result = await runQuery(
+    `SELECT t.*
+     FROM bank_reconciliation_posting_templates t
+     WHERE t.tenant_id = ?
+       AND t.legal_entity_id = ?
+       AND t.status = 'ACTIVE'
+       AND t.approval_state = 'APPROVED'
+       AND (t.scope_type <> 'BANK_ACCOUNT' OR t.bank_account_id = ?)
+       AND (t.currency_code IS NULL OR t.currency_code = ?)
+       AND (t.effective_from IS NULL OR t.effective_from <= ?)
+       AND (t.effective_to IS NULL OR t.effective_to >= ?)
+       ${extraSql}
+     ORDER BY CASE WHEN t.scope_type = 'BANK_ACCOUNT' THEN 0 ELSE 1 END, t.id ASC`,
+    [
+      tenantId,
+      line.legal_entity_id,
+      line.bank_account_id,
+      u(line.currency_code),
+      lineDate,
+      lineDate,
+    ]
+  );
+  return (result.rows || []).map(hydrateTemplateRow);
+}
+
+function templateAcceptsLineAmount(template, line) {
+  const amount = Number(line?.amount || 0);
+  const policy = u(template.direction_policy || "BOTH");
+  if (policy === "OUTFLOW_ONLY" && !(amount < 0)) return false;
+  if (policy === "INFLOW_ONLY" && !(amount > 0)) return false;
+  const amountAbs = Math.abs(amount);
+  if (template.min_amount_abs !== null && amountAbs < template.min_amount_abs) return false;
+  if (template.max_amount_abs !== null && amountAbs > template.max_amount_abs) return false;
+  return true;
+}
+
+/**
+ * Picks the auto-post template whose bank transaction code matches the line's
+ * code. Bank-account scoped templates win over legal-entity ones; within a
+ * scope an exact code wins over a wildcard, and the longer literal pattern
+ * over the shorter one.
+ */
+export async function findPostingTemplateForBankTransactionCode({
+  tenantId,
+  line,
+  runQuery = query,
+}) {
+  const code = u(line?.bank_transaction_code);
+  if (!code) return null;
+  const templates = await listApprovedTemplatesForLine({
+    tenantId,
+    line,
+    extraSql: "AND t.bank_transaction_code IS NOT NULL",
+    runQuery,
+  });
+  const scored = templates
+    .filter(
+      (template) =>
+        bankTransactionCodeMatches(template.bank_transaction_code, code) &&
+        templateAcceptsLineAmount(template, line)
+    )
+    .map((template) => ({
+      template,
+      scopeRank: u(template.scope_type) === "BANK_ACCOUNT" ? 0 : 1,
+      exact: u(template.bank_transaction_code) === code ? 0 : 1,
+      literalLength: u(template.bank_transaction_code).replace(/\*/g, "").length,
+    }));
+  scored.sort(
+    (a, b) =>
+      a.scopeRank - b.scopeRank ||
+      a.exact - b.exact ||
+      b.literalLength - a.literalLength ||
+      parsePositiveInt(a.template.id) - parsePositiveInt(b.template.id)
+  );
+  return scored[0]?.template || null;
+}
+
+export async function findRealisedFxTemplateForStatementLine({ tenantId, line, runQuery = query }) {
+  const templates = await listApprovedTemplatesForLine({
+    tenantId,
+    line,
+    extraSql: "AND t.fx_gain_account_id IS NOT NULL AND t.fx_loss_account_id IS NOT NULL",
+    runQuery,
+  });
+  return templates[0] || null;
+}
+
 async function maybeStagePostingTemplateApproval({
   req,
   tenantId,
@@ -641,6 +820,9 @@ async function maybeStagePostingTemplateApproval({
       entry_kind: row.entry_kind,
       direction_policy: row.direction_policy,
       counter_account_id: row.counter_account_id,
+      bank_transaction_code: row.bank_transaction_code || null,
+      fx_gain_account_id: row.fx_gain_account_id || null,
+      fx_loss_account_id: row.fx_loss_account_id || null,
       currency_code: row.currency_code || null,
     }),
     policyOverride: gov,
@@ -697,4 +879,6 @@ export default {
   createPostingTemplate,
   updatePostingTemplate,
   getPostingTemplateByIdForAutoPost,
+  findPostingTemplateForBankTransactionCode,
+  findRealisedFxTemplateForStatementLine,
 };
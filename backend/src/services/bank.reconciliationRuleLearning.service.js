@@ -0,0 +1,1013 @@
+import crypto from "node:crypto";
+import { query } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { resolveBankAccountScope } from "./bank.accounts.service.js";
+import { createReconciliationRule } from "./bank.reconciliationRules.service.js";
+import { ruleConditionsMatchLine } from "./bank.reconciliationEngine.service.js";
+
+const HISTORY_ROW_LIMIT = 5000;
+const STATEMENT_LINE_SCAN_LIMIT = 20000;
+const PATTERN_MAX_TOKENS = 3;
+const PATTERN_MIN_TOKEN_LENGTH = 3;
+const AMOUNT_RANGE_PADDING = 0.1;
+const COUNTERPARTY_MIN_SHARE = 0.8;
+const FULL_CONFIDENCE_SUPPORT = 10;
+const SAMPLE_LIMIT = 5;
+const LEARNED_RULE_PRIORITY = 500;
+
+function u(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+function toAmount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Number(n.toFixed(6)) : 0;
+}
+
+function round2(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function parseJson(value, fallback = null) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function hydrateProposalRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    conditions_json: parseJson(row.conditions_json, {}),
+    action_payload_json: parseJson(row.action_payload_json, {}),
+    sample_json: parseJson(row.sample_json, []),
+  };
+}
+
+function lineDirection(amount) {
+  return Number(amount) < 0 ? "OUT" : "IN";
+}
+
+export function descriptionPatternTokens(description) {
+  return u(description)
+    .split(/[^0-9A-ZÇĞİÖŞÜ]+/u)
+    .filter((token) => token.length >= PATTERN_MIN_TOKEN_LENGTH && !/\d/.test(token));
+}
+
+function remittanceCounterpartyName(line) {
+  const remittance = parseJson(line?.remittance_info_json, null) || {};
+  return u(remittance.counterpartyName) || null;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (!value) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return { value: best, count: bestCount };
+}
+
+function inPlaceholders(values) {
+  return values.map(() => "?").join(", ");
+}
+
+/**
+ * Picks the statement-description needle for a cluster: the joined signature
+ * when every supporting line contains it verbatim, otherwise the longest
+ * signature token shared by all of them.
+ */
+export function pickDescriptionNeedle(signatureTokens, descriptions) {
+  const texts = descriptions.map((text) => u(text));
+  const phrase = signatureTokens.join(" ");
+  if (phrase && texts.every((text) => text.includes(phrase))) return phrase;
+  const shared = signatureTokens
+    .filter((token) => texts.every((text) => text.includes(token)))
+    .sort((a, b) => b.length - a.length);
+  return shared[0] || null;
+}
+
+/**
+ * Confidence (0-100) combines how consistently the cluster was matched to the
+ * same target, how many other manual matches the proposed conditions would
+ * have contradicted, and how much history backs the pattern.
+ */
+export function scoreProposalConfidence({
+  supportCount,
+  clusterSize,
+  coveredSupportCount,
+  conflictingCount,
+}) {
+  if (!(clusterSize > 0) || !(supportCount > 0)) return 0;
+  const consistency = supportCount / clusterSize;
+  const precision = coveredSupportCount / Math.max(1, coveredSupportCount + conflictingCount);
+  const volume = Math.min(1, supportCount / FULL_CONFIDENCE_SUPPORT);
+  return round2(Math.min(100, 100 * consistency * precision * (0.6 + 0.4 * volume)));
+}
+
+function isManualMatchPayload(payload) {
+  if (!payload || typeof payload !== "object") return false;
+  if (u(payload.matchType) === "AUTO_RULE") return false;
+  if (parsePositiveInt(payload.reconciliationRuleId)) return false;
+  return true;
+}
+
+function singleTargetFromPayload(payload) {
+  if (Array.isArray(payload.matches)) {
+    // Grouped matches only teach a rule when this line maps to one target.
+    if (payload.matches.length !== 1) return null;
+    const [match] = payload.matches;
+    return {
+      matchId: parsePositiveInt(match?.matchId),
+      entityType: u(match?.matchedEntityType),
+      entityId: parsePositiveInt(match?.matchedEntityId),
+    };
+  }
+  return {
+    matchId: parsePositiveInt(payload.matchId),
+    entityType: u(payload.matchedEntityType),
+    entityId: parsePositiveInt(payload.matchedEntityId),
+  };
+}
+
+async function loadManualMatchHistory({
+  req,
+  tenantId,
+  legalEntityId,
+  bankAccountId,
+  lookbackDays,
+  buildScopeFilter,
+}) {
+  const params = [tenantId];
+  const where = ["a.tenant_id = ?", "a.action = 'MATCHED'", "a.acted_by_user_id IS NOT NULL"];
+  where.push(buildScopeFilter(req, "legal_entity", "a.legal_entity_id", params));
+  where.push("a.acted_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)");
+  params.push(lookbackDays);
+  if (legalEntityId) {
+    where.push("a.legal_entity_id = ?");
+    params.push(legalEntityId);
+  }
+  if (bankAccountId) {
+    where.push("l.bank_account_id = ?");
+    params.push(bankAccountId);
+  }
+
+  const result = await query(
+    `SELECT
+        a.id AS audit_id,
+        a.statement_line_id,
+        a.payload_json,
+        l.legal_entity_id,
+        l.bank_account_id,
+        l.txn_date,
+        l.description,
+        l.reference_no,
+        l.remittance_info_json,
+        l.amount,
+        l.currency_code,
+        ba.gl_account_id AS bank_gl_account_id
+     FROM bank_reconciliation_audit a
+     JOIN bank_statement_lines l
+       ON l.tenant_id = a.tenant_id
+      AND l.legal_entity_id = a.legal_entity_id
+      AND l.id = a.statement_line_id
+     JOIN bank_accounts ba
+       ON ba.tenant_id = l.tenant_id
+      AND ba.legal_entity_id = l.legal_entity_id
+      AND ba.id = l.bank_account_id
+     WHERE ${where.join(" AND ")}
+     ORDER BY a.id DESC
+     LIMIT ${HISTORY_ROW_LIMIT}`,
+    params
+  );
+
+  // Latest manual match per statement line wins.
+  const byLine = new Map();
+  for (const row of result.rows || []) {
+    const lineId = parsePositiveInt(row.statement_line_id);
+    if (byLine.has(lineId)) continue;
+    const payload = parseJson(row.payload_json, null);
+    if (!isManualMatchPayload(payload)) continue;
+    const target = singleTargetFromPayload(payload);
+    if (!target?.matchId || !target.entityId) continue;
+    byLine.set(lineId, { ...row, statement_line_id: lineId, target });
+  }
+  const entries = Array.from(byLine.values());
+  if (entries.length === 0) return [];
+
+  // Matches that were later reversed are not evidence for a rule.
+  const matchIds = entries.map((entry) => entry.target.matchId);
+  const activeResult = await query(
+    `SELECT id
+     FROM bank_reconciliation_matches
+     WHERE tenant_id = ?
+       AND status = 'ACTIVE'
+       AND id IN (${inPlaceholders(matchIds)})`,
+    [tenantId, ...matchIds]
+  );
+  const activeMatchIds = new Set(
+    (activeResult.rows || []).map((row) => parsePositiveInt(row.id))
+  );
+  return entries.filter((entry) => activeMatchIds.has(entry.target.matchId));
+}
+
+async function loadJournalCounterAccounts({ tenantId, entries }) {
+  const journalIds = Array.from(
+    new Set(
+      entries
+        .filter((entry) => entry.target.entityType === "JOURNAL")
+        .map((entry) => entry.target.entityId)
+    )
+  );
+  const linesByJournal = new Map();
+  if (journalIds.length === 0) return linesByJournal;
+
+  const result = await query(
+    `SELECT jl.journal_entry_id, jl.account_id, jl.debit_base, jl.credit_base
+     FROM journal_lines jl
+     JOIN journal_entries je ON je.id = jl.journal_entry_id
+     WHERE je.tenant_id = ?
+       AND jl.journal_entry_id IN (${inPlaceholders(journalIds)})`,
+    [tenantId, ...journalIds]
+  );
+  for (const row of result.rows || []) {
+    const journalId = parsePositiveInt(row.journal_entry_id);
+    if (!linesByJournal.has(journalId)) linesByJournal.set(journalId, []);
+    linesByJournal.get(journalId).push({
+      accountId: parsePositiveInt(row.account_id),
+      amount: Math.abs(toAmount(row.debit_base) - toAmount(row.credit_base)),
+    });
+  }
+  return linesByJournal;
+}
+
+async function loadOpenItemCounterparties({ tenantId, entries }) {
+  const openItemIds = Array.from(
+    new Set(
+      entries
+        .filter((entry) => entry.target.entityType === "CARI_OPEN_ITEM")
+        .map((entry) => entry.target.entityId)
+    )
+  );
+  const byOpenItem = new Map();
+  if (openItemIds.length === 0) return byOpenItem;
+
+  const result = await query(
+    `SELECT oi.id, oi.counterparty_id, c.name AS counterparty_name
+     FROM cari_open_items oi
+     JOIN counterparties c
+       ON c.tenant_id = oi.tenant_id
+      AND c.legal_entity_id = oi.legal_entity_id
+      AND c.id = oi.counterparty_id
+     WHERE oi.tenant_id = ?
+       AND oi.id IN (${inPlaceholders(openItemIds)})`,
+    [tenantId, ...openItemIds]
+  );
+  for (const row of result.rows || []) {
+    byOpenItem.set(parsePositiveInt(row.id), {
+      counterpartyId: parsePositiveInt(row.counterparty_id),
+      counterpartyName: row.counterparty_name || null,
+    });
+  }
+  return byOpenItem;
+}
+
+function describeTarget(entry, { journalLines, openItems }) {
+  const { entityType, entityId } = entry.target;
+  if (entityType === "JOURNAL") {
+    const bankGlAccountId = parsePositiveInt(entry.bank_gl_account_id);
+    const counterLine = (journalLines.get(entityId) || [])
+      .filter((line) => line.accountId && line.accountId !== bankGlAccountId)
+      .sort((a, b) => b.amount - a.amount)[0];
+    const counterAccountId = counterLine?.accountId || null;
+    return { entityType, targetKey: `JOURNAL:${counterAccountId || "-"}`, counterAccountId };
+  }
+  if (entityType === "CARI_OPEN_ITEM") {
+    const openItem = openItems.get(entityId);
+    if (!openItem?.counterpartyId) return null;
+    return {
+      entityType,
+      targetKey: `CARI_OPEN_ITEM:${openItem.counterpartyId}`,
+      counterpartyId: openItem.counterpartyId,
+      counterpartyName: openItem.counterpartyName,
+    };
+  }
+  if (entityType === "PAYMENT_BATCH" || entityType === "CASH_TXN") {
+    return { entityType, targetKey: entityType };
+  }
+  return null;
+}
+
+async function findPostingTemplateForCluster({ tenantId, cluster, counterAccountId, amountMin, amountMax }) {
+  const result = await query(
+    `SELECT id, template_code, template_name, scope_type, min_amount_abs, max_amount_abs
+     FROM bank_reconciliation_posting_templates
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND counter_account_id = ?
+       AND status = 'ACTIVE'
+       AND (scope_type <> 'BANK_ACCOUNT' OR bank_account_id = ?)
+       AND direction_policy IN ('BOTH', ?)
+       AND (currency_code IS NULL OR currency_code = ?)
+       AND (effective_to IS NULL OR effective_to >= CURRENT_DATE)
+     ORDER BY (scope_type = 'BANK_ACCOUNT') DESC, id ASC`,
+    [
+      tenantId,
+      cluster.legalEntityId,
+      counterAccountId,
+      cluster.bankAccountId,
+      cluster.direction === "OUT" ? "OUTFLOW_ONLY" : "INFLOW_ONLY",
+      cluster.currencyCode,
+    ]
+  );
+  // The template's own amount filters must not reject lines the rule accepts.
+  return (
+    (result.rows || []).find((row) => {
+      const min = row.min_amount_abs === null ? null : toAmount(row.min_amount_abs);
+      const max = row.max_amount_abs === null ? null : toAmount(row.max_amount_abs);
+      return (min === null || min <= amountMin) && (max === null || max >= amountMax);
+    }) || null
+  );
+}
+
+function resolveRuleShape({ target, postingTemplate }) {
+  if (target.entityType === "JOURNAL") {
+    if (postingTemplate) {
+      return {
+        matchType: "JOURNAL_BY_TEXT_AND_AMOUNT",
+        actionType: "AUTO_POST_TEMPLATE",
+        actionPayload: { postingTemplateId: parsePositiveInt(postingTemplate.id) },
+      };
+    }
+    return { matchType: "JOURNAL_BY_TEXT_AND_AMOUNT", actionType: "AUTO_MATCH_JOURNAL", actionPayload: {} };
+  }
+  if (target.entityType === "PAYMENT_BATCH") {
+    return {
+      matchType: "PAYMENT_BY_TEXT_AND_AMOUNT",
+      actionType: "AUTO_MATCH_PAYMENT_BATCH",
+      actionPayload: {},
+    };
+  }
+  if (target.entityType === "CARI_OPEN_ITEM") {
+    return { matchType: "CARI_OPEN_ITEMS_BY_AMOUNT", actionType: "SUGGEST_ONLY", actionPayload: {} };
+  }
+  return { matchType: "CASH_TXNS_BY_AMOUNT", actionType: "SUGGEST_ONLY", actionPayload: {} };
+}
+
+async function loadStatementLinesForAccount({ tenantId, bankAccountId, lookbackDays }) {
+  const result = await query(
+    `SELECT
+        id, legal_entity_id, bank_account_id, txn_date, description, reference_no,
+        remittance_info_json, amount, currency_code
+     FROM bank_statement_lines
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND txn_date >= DATE_SUB(CURRENT_DATE, INTERVAL ? DAY)
+     ORDER BY id DESC
+     LIMIT ${STATEMENT_LINE_SCAN_LIMIT}`,
+    [tenantId, bankAccountId, lookbackDays]
+  );
+  return result.rows || [];
+}
+
+async function loadRulesForCoverage({ tenantId }) {
+  const result = await query(
+    `SELECT id, scope_type, legal_entity_id, bank_account_id, action_type,
+            conditions_json, action_payload_json
+     FROM bank_reconciliation_rules
+     WHERE tenant_id = ?
+       AND status <> 'DISABLED'`,
+    [tenantId]
+  );
+  return (result.rows || []).map((row) => ({
+    ...row,
+    conditions_json: parseJson(row.conditions_json, {}),
+    action_payload_json: parseJson(row.action_payload_json, {}),
+  }));
+}
+
+function ruleAlreadyCovers(rule, proposal) {
+  if (u(rule.action_type) !== proposal.actionType) return false;
+  const scope = u(rule.scope_type);
+  if (scope === "BANK_ACCOUNT" && parsePositiveInt(rule.bank_account_id) !== proposal.bankAccountId) {
+    return false;
+  }
+  if (scope === "LEGAL_ENTITY" && parsePositiveInt(rule.legal_entity_id) !== proposal.legalEntityId) {
+    return false;
+  }
+  if (
+    proposal.actionType === "AUTO_POST_TEMPLATE" &&
+    parsePositiveInt(rule.action_payload_json?.postingTemplateId) !==
+      proposal.actionPayload.postingTemplateId
+  ) {
+    return false;
+  }
+  const c = rule.conditions_json || {};
+  const needles = [
+    ...(c.descriptionIncludesAny || c.description_includes_any || []),
+    ...(c.textIncludesAny || c.text_includes_any || []),
+  ].map((needle) => u(needle));
+  return needles.some((needle) => needle && proposal.descriptionPattern.includes(needle));
+}
+
+function clusterHistory(samples) {
+  const clusters = new Map();
+  for (const sample of samples) {
+    const signature = descriptionPatternTokens(sample.description).slice(0, PATTERN_MAX_TOKENS);
+    if (signature.length === 0) continue;
+    const key = [
+      sample.bankAccountId,
+      sample.direction,
+      sample.currencyCode,
+      signature.join(" "),
+    ].join("|");
+    if (!clusters.has(key)) {
+      clusters.set(key, {
+        legalEntityId: sample.legalEntityId,
+        bankAccountId: sample.bankAccountId,
+        direction: sample.direction,
+        currencyCode: sample.currencyCode,
+        signature,
+        samples: [],
+      });
+    }
+    clusters.get(key).samples.push(sample);
+  }
+  return Array.from(clusters.values());
+}
+
+async function buildClusterProposal({ tenantId, cluster, minSupport, statementLines, samplesByLineId }) {
+  const topTarget = mostCommon(cluster.samples.map((sample) => sample.target.targetKey));
+  const supporting = cluster.samples.filter((sample) => sample.target.targetKey === topTarget.value);
+  if (supporting.length < minSupport) return { skipped: "LOW_SUPPORT" };
+
+  const needle = pickDescriptionNeedle(
+    cluster.signature,
+    supporting.map((sample) => sample.description)
+  );
+  if (!needle) return { skipped: "NO_PATTERN" };
+
+  const amounts = supporting.map((sample) => sample.amountAbs);
+  const amountMin = round2(Math.max(0, Math.min(...amounts) * (1 - AMOUNT_RANGE_PADDING)));
+  const amountMax = round2(Math.max(...amounts) * (1 + AMOUNT_RANGE_PADDING));
+
+  const counterparty = mostCommon(supporting.map((sample) => sample.counterpartyName));
+  const counterpartyName =
+    counterparty.value && counterparty.count / supporting.length >= COUNTERPARTY_MIN_SHARE
+      ? counterparty.value
+      : null;
+
+  const target = supporting[0].target;
+  const postingTemplate = target.counterAccountId
+    ? await findPostingTemplateForCluster({
+        tenantId,
+        cluster,
+        counterAccountId: target.counterAccountId,
+        amountMin,
+        amountMax,
+      })
+    : null;
+  const shape = resolveRuleShape({ target, postingTemplate });
+
+  const conditions = {
+    descriptionIncludesAny: [needle],
+    debitCredit: cluster.direction,
+    currencyCode: cluster.currencyCode,
+    amountMin,
+    amountMax,
+  };
+  if (counterpartyName) {
+    conditions.counterpartyIncludesAny = [counterpartyName];
+  }
+
+  const probeRule = {
+    scope_type: "BANK_ACCOUNT",
+    legal_entity_id: cluster.legalEntityId,
+    bank_account_id: cluster.bankAccountId,
+    conditions_json: conditions,
+  };
+  const supportingLineIds = new Set(supporting.map((sample) => sample.statementLineId));
+  let historicalMatchCount = 0;
+  let conflictingMatchCount = 0;
+  let coveredSupportCount = 0;
+  for (const line of statementLines) {
+    if (!ruleConditionsMatchLine(probeRule, line)) continue;
+    historicalMatchCount += 1;
+    const lineId = parsePositiveInt(line.id);
+    if (supportingLineIds.has(lineId)) {
+      coveredSupportCount += 1;
+      continue;
+    }
+    const manual = samplesByLineId.get(lineId);
+    if (manual && manual.target.targetKey !== topTarget.value) {
+      conflictingMatchCount += 1;
+    }
+  }
+
+  const confidence = scoreProposalConfidence({
+    supportCount: supporting.length,
+    clusterSize: cluster.samples.length,
+    coveredSupportCount,
+    conflictingCount: conflictingMatchCount,
+  });
+
+  const proposalKey = crypto
+    .createHash("sha256")
+    .update(
+      [cluster.bankAccountId, cluster.direction, cluster.currencyCode, needle, topTarget.value].join("|")
+    )
+    .digest("hex");
+
+  return {
+    proposal: {
+      proposalKey,
+      legalEntityId: cluster.legalEntityId,
+      bankAccountId: cluster.bankAccountId,
+      direction: cluster.direction,
+      currencyCode: cluster.currencyCode,
+      descriptionPattern: needle,
+      amountMin,
+      amountMax,
+      counterpartyName: counterpartyName || target.counterpartyName || null,
+      counterpartyId: target.counterpartyId || null,
+      targetEntityType: target.entityType,
+      counterAccountId: target.counterAccountId || null,
+      postingTemplateId: postingTemplate ? parsePositiveInt(postingTemplate.id) : null,
+      matchType: shape.matchType,
+      actionType: shape.actionType,
+      actionPayload: shape.actionPayload,
+      conditions,
+      confidence,
+      supportCount: supporting.length,
+      historicalMatchCount,
+      conflictingMatchCount,
+      samples: supporting.slice(0, SAMPLE_LIMIT).map((sample) => ({
+        statementLineId: sample.statementLineId,
+        txnDate: sample.txnDate,
+        amount: sample.amount,
+        description: sample.description,
+      })),
+    },
+  };
+}
+
+async function upsertProposal({ tenantId, userId, proposal }) {
+  const existing = await query(
+    `SELECT id, status
+     FROM bank_reconciliation_rule_proposals
+     WHERE tenant_id = ?
+       AND proposal_key = ?
+     LIMIT 1`,
+    [tenantId, proposal.proposalKey]
+  );
+  const current = existing.rows?.[0] || null;
+  // Accepted or dismissed proposals are decisions; regeneration must not revive them.
+  if (current && u(current.status) !== "PROPOSED") {
+    return { id: parsePositiveInt(current.id), outcome: "DECIDED" };
+  }
+
+  const values = [
+    proposal.direction,
+    proposal.currencyCode,
+    proposal.descriptionPattern,
+    proposal.amountMin,
+    proposal.amountMax,
+    proposal.counterpartyName ? proposal.counterpartyName.slice(0, 190) : null,
+    proposal.counterpartyId,
+    proposal.targetEntityType,
+    proposal.counterAccountId,
+    proposal.postingTemplateId,
+    proposal.matchType,
+    proposal.actionType,
+    JSON.stringify(proposal.conditions),
+    JSON.stringify(proposal.actionPayload || {}),
+    proposal.confidence,
+    proposal.supportCount,
+    proposal.historicalMatchCount,
+    proposal.conflictingMatchCount,
+    JSON.stringify(proposal.samples),
+    userId || null,
+  ];
+
+  if (current) {
+    await query(
+      `UPDATE bank_reconciliation_rule_proposals
+       SET direction = ?,
+           currency_code = ?,
+           description_pattern = ?,
+           amount_min = ?,
+           amount_max = ?,
+           counterparty_name = ?,
+           counterparty_id = ?,
+           target_entity_type = ?,
+           counter_account_id = ?,
+           posting_template_id = ?,
+           match_type = ?,
+           action_type = ?,
+           conditions_json = ?,
+           action_payload_json = ?,
+           confidence = ?,
+           support_count = ?,
+           historical_match_count = ?,
+           conflicting_match_count = ?,
+           sample_json = ?,
+           generated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [...values, tenantId, current.id]
+    );
+    return { id: parsePositiveInt(current.id), outcome: "UPDATED" };
+  }
+
+  const insertResult = await query(
+    `INSERT INTO bank_reconciliation_rule_proposals (
+        tenant_id,
+        legal_entity_id,
+        bank_account_id,
+        proposal_key,
+        status,
+        direction,
+        currency_code,
+        description_pattern,
+        amount_min,
+        amount_max,
+        counterparty_name,
+        counterparty_id,
+        target_entity_type,
+        counter_account_id,
+        posting_template_id,
+        match_type,
+        action_type,
+        conditions_json,
+        action_payload_json,
+        confidence,
+        support_count,
+        historical_match_count,
+        conflicting_match_count,
+        sample_json,
+        generated_by_user_id
+      ) VALUES (?, ?, ?, ?, 'PROPOSED', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tenantId, proposal.legalEntityId, proposal.bankAccountId, proposal.proposalKey, ...values]
+  );
+  return { id: parsePositiveInt(insertResult.rows?.insertId), outcome: "CREATED" };
+}
+
+async function resolveProposalFilterScope({ req, tenantId, legalEntityId, bankAccountId, assertScopeAccess }) {
+  if (legalEntityId) {
+    assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+  }
+  if (bankAccountId) {
+    const scope = await resolveBankAccountScope(bankAccountId, tenantId);
+    if (!scope) throw badRequest("bankAccountId not found");
+    assertScopeAccess(req, "legal_entity", scope.scopeId, "bankAccountId");
+    if (legalEntityId && parsePositiveInt(legalEntityId) !== parsePositiveInt(scope.scopeId)) {
+      throw badRequest("bankAccountId does not belong to legalEntityId");
+    }
+  }
+}
+
+export async function generateReconciliationRuleProposals({
+  req,
+  tenantId,
+  userId,
+  input,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  await resolveProposalFilterScope({
+    req,
+    tenantId,
+    legalEntityId: input.legalEntityId,
+    bankAccountId: input.bankAccountId,
+    assertScopeAccess,
+  });
+
+  const history = await loadManualMatchHistory({
+    req,
+    tenantId,
+    legalEntityId: input.legalEntityId,
+    bankAccountId: input.bankAccountId,
+    lookbackDays: input.lookbackDays,
+    buildScopeFilter,
+  });
+  const journalLines = await loadJournalCounterAccounts({ tenantId, entries: history });
+  const openItems = await loadOpenItemCounterparties({ tenantId, entries: history });
+
+  const samples = [];
+  for (const entry of history) {
+    const target = describeTarget(entry, { journalLines, openItems });
+    if (!target) continue;
+    samples.push({
+      statementLineId: entry.statement_line_id,
+      legalEntityId: parsePositiveInt(entry.legal_entity_id),
+      bankAccountId: parsePositiveInt(entry.bank_account_id),
+      direction: lineDirection(entry.amount),
+      currencyCode: u(entry.currency_code),
+      txnDate: entry.txn_date,
+      amount: toAmount(entry.amount),
+      amountAbs: Math.abs(toAmount(entry.amount)),
+      description: entry.description,
+      counterpartyName: remittanceCounterpartyName(entry),
+      target,
+    });
+  }
+  const samplesByLineId = new Map(samples.map((sample) => [sample.statementLineId, sample]));
+
+  const rules = await loadRulesForCoverage({ tenantId });
+  const statementLinesByAccount = new Map();
+  const summary = {
+    manualMatchCount: history.length,
+    clusterCount: 0,
+    created: 0,
+    updated: 0,
+    skippedLowSupport: 0,
+    skippedNoPattern: 0,
+    skippedCoveredByRule: 0,
+    skippedDecided: 0,
+  };
+  const proposalIds = [];
+
+  for (const cluster of clusterHistory(samples)) {
+    summary.clusterCount += 1;
+    if (cluster.samples.length < input.minSupport) {
+      summary.skippedLowSupport += 1;
+      continue;
+    }
+    if (!statementLinesByAccount.has(cluster.bankAccountId)) {
+      statementLinesByAccount.set(
+        cluster.bankAccountId,
+        await loadStatementLinesForAccount({
+          tenantId,
+          bankAccountId: cluster.bankAccountId,
+          lookbackDays: input.lookbackDays,
+        })
+      );
+    }
+    const built = await buildClusterProposal({
+      tenantId,
+      cluster,
+      minSupport: input.minSupport,
+      statementLines: statementLinesByAccount.get(cluster.bankAccountId),
+      samplesByLineId,
+    });
+    if (built.skipped === "LOW_SUPPORT") {
+      summary.skippedLowSupport += 1;
+      continue;
+    }
+    if (built.skipped === "NO_PATTERN") {
+      summary.skippedNoPattern += 1;
+      continue;
+    }
+    if (rules.some((rule) => ruleAlreadyCovers(rule, built.proposal))) {
+      summary.skippedCoveredByRule += 1;
+      continue;
+    }
+
+    const saved = await upsertProposal({ tenantId, userId, proposal: built.proposal });
+    if (saved.outcome === "DECIDED") {
+      summary.skippedDecided += 1;
+      continue;
+    }
+    if (saved.outcome === "CREATED") summary.created += 1;
+    if (saved.outcome === "UPDATED") summary.updated += 1;
+    proposalIds.push(saved.id);
+  }
+
+  let rows = [];
+  if (proposalIds.length > 0) {
+    const result = await query(
+      `SELECT p.*
+       FROM bank_reconciliation_rule_proposals p
+       WHERE p.tenant_id = ?
+         AND p.id IN (${inPlaceholders(proposalIds)})
+       ORDER BY p.confidence DESC, p.support_count DESC, p.id ASC`,
+      [tenantId, ...proposalIds]
+    );
+    rows = (result.rows || []).map(hydrateProposalRow);
+  }
+  return { summary, rows };
+}
+
+export async function listReconciliationRuleProposals({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  await resolveProposalFilterScope({
+    req,
+    tenantId,
+    legalEntityId: filters.legalEntityId,
+    bankAccountId: filters.bankAccountId,
+    assertScopeAccess,
+  });
+
+  const params = [tenantId];
+  const conditions = ["p.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "p.legal_entity_id", params));
+  if (filters.legalEntityId) {
+    conditions.push("p.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.bankAccountId) {
+    conditions.push("p.bank_account_id = ?");
+    params.push(filters.bankAccountId);
+  }
+  if (filters.status) {
+    conditions.push("p.status = ?");
+    params.push(filters.status);
+  }
+  const whereSql = conditions.join(" AND ");
+
+  const countResult = await query(
+    `SELECT COUNT(*) AS total
+     FROM bank_reconciliation_rule_proposals p
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(countResult.rows?.[0]?.total || 0);
+
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listResult = await query(
+    `SELECT p.*, ba.code AS bank_account_code, ba.name AS bank_account_name,
+            t.template_code AS posting_template_code
+     FROM bank_reconciliation_rule_proposals p
+     JOIN bank_accounts ba
+       ON ba.tenant_id = p.tenant_id
+      AND ba.legal_entity_id = p.legal_entity_id
+      AND ba.id = p.bank_account_id
+     LEFT JOIN bank_reconciliation_posting_templates t
+       ON t.tenant_id = p.tenant_id
+      AND t.id = p.posting_template_id
+     WHERE ${whereSql}
+     ORDER BY p.confidence DESC, p.support_count DESC, p.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+
+  return {
+    rows: (listResult.rows || []).map(hydrateProposalRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+async function getProposalForDecision({ req, tenantId, proposalId, assertScopeAccess }) {
+  const result = await query(
+    `SELECT *
+     FROM bank_reconciliation_rule_proposals
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, proposalId]
+  );
+  const row = hydrateProposalRow(result.rows?.[0] || null);
+  if (!row) {
+    throw badRequest("Rule proposal not found");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "proposalId");
+  if (u(row.status) !== "PROPOSED") {
+    throw badRequest(`Rule proposal is already ${u(row.status)}`);
+  }
+  return row;
+}
+
+async function markProposalDecided({ tenantId, proposalId, userId, status, acceptedRuleId = null }) {
+  const result = await query(
+    `UPDATE bank_reconciliation_rule_proposals
+     SET status = ?,
+         accepted_rule_id = ?,
+         decided_by_user_id = ?,
+         decided_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND id = ?
+       AND status = 'PROPOSED'`,
+    [status, acceptedRuleId, userId || null, tenantId, proposalId]
+  );
+  if (Number(result.rows?.affectedRows || 0) !== 1) {
+    throw badRequest("Rule proposal was decided concurrently");
+  }
+  const refreshed = await query(
+    `SELECT *
+     FROM bank_reconciliation_rule_proposals
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, proposalId]
+  );
+  return hydrateProposalRow(refreshed.rows?.[0] || null);
+}
+
+export async function acceptReconciliationRuleProposal({ req, input, assertScopeAccess }) {
+  const proposal = await getProposalForDecision({
+    req,
+    tenantId: input.tenantId,
+    proposalId: input.proposalId,
+    assertScopeAccess,
+  });
+
+  if (proposal.posting_template_id) {
+    const templateResult = await query(
+      `SELECT status
+       FROM bank_reconciliation_posting_templates
+       WHERE tenant_id = ?
+         AND id = ?
+       LIMIT 1`,
+      [input.tenantId, proposal.posting_template_id]
+    );
+    if (u(templateResult.rows?.[0]?.status) !== "ACTIVE") {
+      throw badRequest("Proposed posting template is no longer ACTIVE");
+    }
+  }
+
+  const ruleCode = input.ruleCode || `LEARNED-${proposal.id}`;
+  const existingRule = await query(
+    `SELECT id
+     FROM bank_reconciliation_rules
+     WHERE tenant_id = ?
+       AND rule_code = ?
+     LIMIT 1`,
+    [input.tenantId, ruleCode]
+  );
+  if (existingRule.rows?.[0]) {
+    throw badRequest(`ruleCode ${ruleCode} already exists`);
+  }
+
+  const result = await createReconciliationRule({
+    req,
+    input: {
+      tenantId: input.tenantId,
+      userId: input.userId,
+      ruleCode,
+      ruleName:
+        input.ruleName || `Learned: ${proposal.description_pattern}`.slice(0, 190),
+      status: "ACTIVE",
+      priority: input.priority || LEARNED_RULE_PRIORITY,
+      scopeType: "BANK_ACCOUNT",
+      legalEntityId: parsePositiveInt(proposal.legal_entity_id),
+      bankAccountId: parsePositiveInt(proposal.bank_account_id),
+      matchType: proposal.match_type,
+      conditions: proposal.conditions_json,
+      actionType: proposal.action_type,
+      actionPayload: proposal.action_payload_json,
+      stopOnMatch: true,
+      effectiveFrom: null,
+      effectiveTo: null,
+    },
+    assertScopeAccess,
+  });
+  const rule = result?.row || result || null;
+
+  const row = await markProposalDecided({
+    tenantId: input.tenantId,
+    proposalId: proposal.id,
+    userId: input.userId,
+    status: "ACCEPTED",
+    acceptedRuleId: parsePositiveInt(rule?.id),
+  });
+
+  return {
+    row,
+    rule,
+    approval_required: Boolean(result?.approval_required),
+    approval_request: result?.approval_request || null,
+  };
+}
+
+export async function dismissReconciliationRuleProposal({ req, input, assertScopeAccess }) {
+  const proposal = await getProposalForDecision({
+    req,
+    tenantId: input.tenantId,
+    proposalId: input.proposalId,
+    assertScopeAccess,
+  });
+  const row = await markProposalDecided({
+    tenantId: input.tenantId,
+    proposalId: proposal.id,
+    userId: input.userId,
+    status: "DISMISSED",
+  });
+  return { row };
+}
+
+export default {
+  generateReconciliationRuleProposals,
+  listReconciliationRuleProposals,
+  acceptReconciliationRuleProposal,
+  dismissReconciliationRuleProposal,
+};
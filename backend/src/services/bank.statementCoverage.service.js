@@ -0,0 +1,493 @@
+import crypto from "node:crypto";
+import { query, withTransaction } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+const DEFAULT_CALENDAR_DAYS = 90;
+const MAX_CALENDAR_DAYS = 366;
+
+function safeJson(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function addDays(dateText, days) {
+  const date = new Date(`${dateText}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromText, toText) {
+  const fromMs = Date.parse(`${fromText}T00:00:00Z`);
+  const toMs = Date.parse(`${toText}T00:00:00Z`);
+  return Math.round((toMs - fromMs) / 86400000);
+}
+
+function minDate(left, right) {
+  return left <= right ? left : right;
+}
+
+function toNullableAmount(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Number(parsed.toFixed(6)) : null;
+}
+
+function amountsMatch(left, right) {
+  return Math.abs(Number(left || 0) - Number(right || 0)) < 0.005;
+}
+
+function buildIssueKey(issue) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      [
+        issue.issue_type,
+        issue.import_id,
+        issue.related_import_id || "",
+        issue.range_start || "",
+        issue.range_end || "",
+      ].join("|"),
+      "utf8"
+    )
+    .digest("hex");
+}
+
+function parseRunningBalanceBreak(rawMetaJson) {
+  let meta = rawMetaJson;
+  if (typeof meta === "string") {
+    try {
+      meta = JSON.parse(meta);
+    } catch {
+      return null;
+    }
+  }
+  const found = meta?.running_balance_break;
+  if (!found || typeof found !== "object") {
+    return null;
+  }
+  return {
+    line_no: Number(found.line_no || 0) || null,
+    txn_date: toDateOnly(found.txn_date),
+    expected_balance: toNullableAmount(found.expected_balance),
+    actual_balance: toNullableAmount(found.actual_balance),
+  };
+}
+
+function normalizeImportRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    period_start: toDateOnly(row.period_start),
+    period_end: toDateOnly(row.period_end) || toDateOnly(row.period_start),
+    opening_balance: toNullableAmount(row.opening_balance),
+    closing_balance: toNullableAmount(row.closing_balance),
+    line_count_total: Number(row.line_count_total || 0),
+    line_count_duplicates: Number(row.line_count_duplicates || 0),
+    original_filename: row.original_filename || null,
+    import_source: row.import_source || null,
+    running_balance_break: parseRunningBalanceBreak(row.raw_meta_json),
+  };
+}
+
+// Walks the imports of one bank account in period order and reports every place where the
+// statement chain breaks: an opening balance that does not continue the latest earlier closing
+// balance, days no statement covers, and statements whose periods overlap an earlier import.
+// A day gap between two statements whose balances chain exactly is treated as a quiet period
+// (no transactions were booked), not as a missing statement. A CSV file whose own running
+// balance breaks is imported without statement balances and reported as a BALANCE_MISMATCH
+// with no related import.
+export function detectBankStatementCoverageIssues(importRows) {
+  const imports = (importRows || [])
+    .map(normalizeImportRow)
+    .filter((row) => row.id && row.period_start)
+    .sort(
+      (left, right) =>
+        left.period_start.localeCompare(right.period_start) ||
+        left.period_end.localeCompare(right.period_end) ||
+        left.id - right.id
+    );
+
+  const issues = [];
+  let coveredUntil = null;
+  let coveredBy = null;
+  let lastBalanced = null;
+
+  for (const row of imports) {
+    const overlapsEarlier = coveredUntil !== null && row.period_start <= coveredUntil;
+    const balanceChains =
+      row.opening_balance !== null &&
+      lastBalanced !== null &&
+      amountsMatch(lastBalanced.closing_balance, row.opening_balance);
+
+    if (overlapsEarlier) {
+      const rangeEnd = minDate(row.period_end, coveredUntil);
+      issues.push({
+        issue_type: "OVERLAP",
+        import_id: row.id,
+        related_import_id: coveredBy.id,
+        range_start: row.period_start,
+        range_end: rangeEnd,
+        day_count: daysBetween(row.period_start, rangeEnd) + 1,
+        expected_balance: null,
+        actual_balance: null,
+        difference_amount: null,
+        detail: {
+          duplicate_line_count: row.line_count_duplicates,
+          line_count_total: row.line_count_total,
+          same_period:
+            row.period_start === coveredBy.period_start && row.period_end === coveredBy.period_end,
+        },
+      });
+    } else if (coveredUntil !== null) {
+      const gapStart = addDays(coveredUntil, 1);
+      const gapEnd = addDays(row.period_start, -1);
+      const bridgedByBalances = balanceChains && lastBalanced.id === coveredBy.id;
+      if (gapStart <= gapEnd && !bridgedByBalances) {
+        issues.push({
+          issue_type: "DATE_GAP",
+          import_id: row.id,
+          related_import_id: coveredBy.id,
+          range_start: gapStart,
+          range_end: gapEnd,
+          day_count: daysBetween(gapStart, gapEnd) + 1,
+          expected_balance: null,
+          actual_balance: null,
+          difference_amount: null,
+          detail: null,
+        });
+      }
+    }
+
+    const runningBreak = row.running_balance_break;
+    if (runningBreak && runningBreak.expected_balance !== null && runningBreak.actual_balance !== null) {
+      const breakDate = runningBreak.txn_date || row.period_start;
+      issues.push({
+        issue_type: "BALANCE_MISMATCH",
+        import_id: row.id,
+        related_import_id: null,
+        range_start: breakDate,
+        range_end: breakDate,
+        day_count: null,
+        expected_balance: runningBreak.expected_balance,
+        actual_balance: runningBreak.actual_balance,
+        difference_amount: Number(
+          (runningBreak.actual_balance - runningBreak.expected_balance).toFixed(6)
+        ),
+        detail: { within_file: true, line_no: runningBreak.line_no },
+      });
+    }
+
+    if (
+      !overlapsEarlier &&
+      row.opening_balance !== null &&
+      lastBalanced !== null &&
+      !balanceChains
+    ) {
+      issues.push({
+        issue_type: "BALANCE_MISMATCH",
+        import_id: row.id,
+        related_import_id: lastBalanced.id,
+        range_start: lastBalanced.period_end,
+        range_end: row.period_start,
+        day_count: null,
+        expected_balance: lastBalanced.closing_balance,
+        actual_balance: row.opening_balance,
+        difference_amount: Number((row.opening_balance - lastBalanced.closing_balance).toFixed(6)),
+        detail: null,
+      });
+    }
+
+    if (coveredUntil === null || row.period_end > coveredUntil) {
+      coveredUntil = row.period_end;
+      coveredBy = row;
+    }
+    if (
+      row.closing_balance !== null &&
+      (lastBalanced === null || row.period_end >= lastBalanced.period_end)
+    ) {
+      lastBalanced = row;
+    }
+  }
+
+  return issues.map((issue) => ({ ...issue, issue_key: buildIssueKey(issue) }));
+}
+
+async function findBankAccountScope({ tenantId, bankAccountId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, legal_entity_id, code, name, currency_code
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, bankAccountId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function listCoverageImports({ tenantId, bankAccountId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+        id,
+        import_source,
+        original_filename,
+        period_start,
+        period_end,
+        opening_balance,
+        closing_balance,
+        balance_continuity_status,
+        line_count_total,
+        line_count_duplicates,
+        raw_meta_json
+     FROM bank_statement_imports
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND status = 'IMPORTED'
+       AND period_start IS NOT NULL
+     ORDER BY period_start, period_end, id`,
+    [tenantId, bankAccountId]
+  );
+  return result.rows || [];
+}
+
+// Re-derives the coverage issues of one bank account and syncs them into
+// bank_statement_coverage_issues: new findings are opened, findings that disappeared because a
+// missing statement was imported are marked RESOLVED. Safe to call inside an import transaction.
+export async function evaluateBankStatementCoverage({ tenantId, bankAccountId, runQuery = query }) {
+  const bankAccount = await findBankAccountScope({ tenantId, bankAccountId, runQuery });
+  if (!bankAccount) {
+    throw badRequest("bankAccountId not found");
+  }
+  const legalEntityId = parsePositiveInt(bankAccount.legal_entity_id);
+  const imports = await listCoverageImports({ tenantId, bankAccountId, runQuery });
+  const issues = detectBankStatementCoverageIssues(imports);
+
+  for (const issue of issues) {
+    // eslint-disable-next-line no-await-in-loop
+    await runQuery(
+      `INSERT INTO bank_statement_coverage_issues (
+          tenant_id,
+          legal_entity_id,
+          bank_account_id,
+          issue_type,
+          issue_key,
+          status,
+          import_id,
+          related_import_id,
+          range_start,
+          range_end,
+          day_count,
+          expected_balance,
+          actual_balance,
+          difference_amount,
+          detail_json
+        )
+        VALUES (?, ?, ?, ?, ?, 'OPEN', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          status = 'OPEN',
+          resolved_at = NULL,
+          detail_json = VALUES(detail_json),
+          last_detected_at = CURRENT_TIMESTAMP`,
+      [
+        tenantId,
+        legalEntityId,
+        bankAccountId,
+        issue.issue_type,
+        issue.issue_key,
+        issue.import_id,
+        issue.related_import_id,
+        issue.range_start,
+        issue.range_end,
+        issue.day_count,
+        issue.expected_balance,
+        issue.actual_balance,
+        issue.difference_amount,
+        issue.detail ? safeJson(issue.detail) : null,
+      ]
+    );
+  }
+
+  const resolveParams = [tenantId, bankAccountId];
+  let keepClause = "";
+  if (issues.length > 0) {
+    keepClause = `AND issue_key NOT IN (${issues.map(() => "?").join(", ")})`;
+    resolveParams.push(...issues.map((issue) => issue.issue_key));
+  }
+  const resolved = await runQuery(
+    `UPDATE bank_statement_coverage_issues
+     SET status = 'RESOLVED',
+         resolved_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND status = 'OPEN'
+       ${keepClause}`,
+    resolveParams
+  );
+
+  return {
+    bank_account_id: bankAccountId,
+    legal_entity_id: legalEntityId,
+    import_count: imports.length,
+    open_issue_count: issues.length,
+    resolved_issue_count: Number(resolved.rows?.affectedRows || 0),
+    issues,
+  };
+}
+
+export async function reevaluateBankStatementCoverage({ req, tenantId, bankAccountId, assertScopeAccess }) {
+  const bankAccount = await findBankAccountScope({ tenantId, bankAccountId });
+  if (!bankAccount) {
+    throw badRequest("bankAccountId not found");
+  }
+  assertScopeAccess(req, "legal_entity", bankAccount.legal_entity_id, "bankAccountId");
+
+  const result = await withTransaction((tx) =>
+    evaluateBankStatementCoverage({ tenantId, bankAccountId, runQuery: tx.query })
+  );
+  return {
+    bank_account_id: result.bank_account_id,
+    import_count: result.import_count,
+    open_issue_count: result.open_issue_count,
+    resolved_issue_count: result.resolved_issue_count,
+  };
+}
+
+function resolveCalendarWindow(filters, imports) {
+  const latestEnd = imports.reduce(
+    (latest, row) => (row.period_end && (!latest || row.period_end > latest) ? row.period_end : latest),
+    null
+  );
+  const dateTo = filters.dateTo || latestEnd || toDateOnly(new Date());
+  const dateFrom = filters.dateFrom || addDays(dateTo, -(DEFAULT_CALENDAR_DAYS - 1));
+  if (dateFrom > dateTo) {
+    throw badRequest("dateFrom cannot be after dateTo");
+  }
+  if (daysBetween(dateFrom, dateTo) + 1 > MAX_CALENDAR_DAYS) {
+    throw badRequest(`Coverage window cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+  return { dateFrom, dateTo };
+}
+
+// Per-day statement coverage for one bank account. Each day is COVERED (one import),
+// OVERLAP (several imports), GAP (inside an open DATE_GAP issue), QUIET (between statements
+// whose balances chain, so nothing was booked) or NONE (outside the imported history).
+export async function getBankStatementCoverage({ req, tenantId, filters, assertScopeAccess }) {
+  const bankAccount = await findBankAccountScope({ tenantId, bankAccountId: filters.bankAccountId });
+  if (!bankAccount) {
+    throw badRequest("bankAccountId not found");
+  }
+  assertScopeAccess(req, "legal_entity", bankAccount.legal_entity_id, "bankAccountId");
+
+  const imports = (await listCoverageImports({ tenantId, bankAccountId: filters.bankAccountId })).map(
+    (row) => ({
+      ...normalizeImportRow(row),
+      balance_continuity_status: row.balance_continuity_status || null,
+    })
+  );
+  const { dateFrom, dateTo } = resolveCalendarWindow(filters, imports);
+
+  const issueResult = await query(
+    `SELECT
+        id,
+        issue_type,
+        status,
+        import_id,
+        related_import_id,
+        range_start,
+        range_end,
+        day_count,
+        expected_balance,
+        actual_balance,
+        difference_amount,
+        detail_json,
+        first_detected_at,
+        last_detected_at,
+        resolved_at
+     FROM bank_statement_coverage_issues
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND (status = 'OPEN' OR (range_end >= ? AND range_start <= ?))
+     ORDER BY range_start, id`,
+    [tenantId, filters.bankAccountId, dateFrom, dateTo]
+  );
+  const issues = (issueResult.rows || []).map((row) => ({
+    ...row,
+    range_start: toDateOnly(row.range_start),
+    range_end: toDateOnly(row.range_end),
+  }));
+  const openGaps = issues.filter((row) => row.issue_type === "DATE_GAP" && row.status === "OPEN");
+
+  const firstStart = imports[0]?.period_start || null;
+  const lastEnd = imports.reduce(
+    (latest, row) => (!latest || row.period_end > latest ? row.period_end : latest),
+    null
+  );
+
+  const days = [];
+  for (let date = dateFrom; date <= dateTo; date = addDays(date, 1)) {
+    const importIds = imports
+      .filter((row) => row.period_start <= date && row.period_end >= date)
+      .map((row) => row.id);
+    let status = "NONE";
+    if (importIds.length > 1) {
+      status = "OVERLAP";
+    } else if (importIds.length === 1) {
+      status = "COVERED";
+    } else if (openGaps.some((gap) => gap.range_start <= date && gap.range_end >= date)) {
+      status = "GAP";
+    } else if (firstStart && date > firstStart && date < lastEnd) {
+      status = "QUIET";
+    }
+    days.push({ date, status, import_ids: importIds });
+  }
+
+  const openIssues = issues.filter((row) => row.status === "OPEN");
+  return {
+    bank_account: {
+      id: parsePositiveInt(bankAccount.id),
+      legal_entity_id: parsePositiveInt(bankAccount.legal_entity_id),
+      code: bankAccount.code,
+      name: bankAccount.name,
+      currency_code: bankAccount.currency_code,
+    },
+    date_from: dateFrom,
+    date_to: dateTo,
+    summary: {
+      import_count: imports.length,
+      first_period_start: firstStart,
+      last_period_end: lastEnd,
+      open_issue_count: openIssues.length,
+      open_balance_mismatches: openIssues.filter((row) => row.issue_type === "BALANCE_MISMATCH").length,
+      open_date_gaps: openIssues.filter((row) => row.issue_type === "DATE_GAP").length,
+      open_overlaps: openIssues.filter((row) => row.issue_type === "OVERLAP").length,
+    },
+    days,
+    imports: imports.filter((row) => row.period_end >= dateFrom && row.period_start <= dateTo),
+    issues,
+  };
+}
+
+export default {
+  detectBankStatementCoverageIssues,
+  evaluateBankStatementCoverage,
+  reevaluateBankStatementCoverage,
+  getBankStatementCoverage,
+};
@@ -10,7 +10,10 @@ import {
   toCursorDateOnly,
   toCursorDateTime,
 } from "../utils/cursorPagination.js";
+import { parseStatementCamt } from "./bank.parsers.camt.js";
 import { parseStatementCsv } from "./bank.parsers.csv.js";
+import { parseStatementMt940 } from "./bank.parsers.mt940.js";
+import { evaluateBankStatementCoverage } from "./bank.statementCoverage.service.js";
 
 function parseDbBoolean(value) {
   return value === true || value === 1 || value === "1";
@@ -32,9 +35,10 @@ function duplicateKeyName(err) {
   return keyMatch?.[1] || "";
 }
 
-function conflictError(message) {
+function conflictError(message, code = null) {
   const err = new Error(message);
   err.status = 409;
+  if (code) err.code = code;
   return err;
 }
 
@@ -125,7 +129,21 @@ function normalizeOptionalDateOnlyText(value, field) {
   return normalizeDateOnlyText(value, field);
 }
 
-function normalizeNormalizedStatementLine(line, lineNo) {
+function normalizeOptionalText(value, maxLength, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+  if (text.length > maxLength) {
+    throw badRequest(`${label} cannot exceed ${maxLength} characters`);
+  }
+  return text;
+}
+
+function normalizeNormalizedStatementLine(line, lineNo, rawSource = "B05_CONNECTOR") {
   if (!line || typeof line !== "object") {
     throw badRequest(`Line ${lineNo} is invalid`);
   }
@@ -169,22 +187,187 @@ function normalizeNormalizedStatementLine(line, lineNo) {
     balanceAfter = Number(parsedBalance.toFixed(6));
   }
 
+  const remittanceInfo = line.remittance_info ?? line.remittanceInfo ?? null;
+  const rawRow =
+    line.raw_row_json && typeof line.raw_row_json === "object" ? line.raw_row_json : line;
+
   return {
     line_no: lineNo,
     txn_date: txnDate,
     value_date: valueDate,
     description,
     reference_no: referenceNo,
+    bank_reference: normalizeOptionalText(
+      line.bank_reference ?? line.bankReference,
+      255,
+      `Line ${lineNo} bank_reference`
+    ),
+    end_to_end_id: normalizeOptionalText(
+      line.end_to_end_id ?? line.endToEndId,
+      120,
+      `Line ${lineNo} end_to_end_id`
+    ),
+    bank_transaction_code: normalizeUpperText(
+      normalizeOptionalText(
+        line.bank_transaction_code ?? line.bankTransactionCode ?? remittanceInfo?.transactionCode,
+        60,
+        `Line ${lineNo} bank_transaction_code`
+      )
+    ) || null,
+    remittance_info:
+      remittanceInfo && typeof remittanceInfo === "object" ? remittanceInfo : null,
     amount: Number(amount.toFixed(6)),
     currency_code: currencyCode,
     balance_after: balanceAfter,
     raw_row_json: {
-      source: "B05_CONNECTOR",
-      ...line,
+      source: rawSource,
+      ...rawRow,
     },
   };
 }
 
+function normalizeStatementBalances(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const toBalance = (amount, label) => {
+    if (amount === undefined || amount === null || amount === "") {
+      return null;
+    }
+    const parsed = Number(amount);
+    if (!Number.isFinite(parsed)) {
+      throw badRequest(`${label} must be numeric`);
+    }
+    return Number(parsed.toFixed(6));
+  };
+  return {
+    openingBalance: toBalance(value.openingBalance, "openingBalance"),
+    openingBalanceDate: normalizeOptionalDateOnlyText(value.openingBalanceDate, "openingBalanceDate"),
+    closingBalance: toBalance(value.closingBalance, "closingBalance"),
+    closingBalanceDate: normalizeOptionalDateOnlyText(value.closingBalanceDate, "closingBalanceDate"),
+  };
+}
+
+function amountsMatch(left, right) {
+  return Math.abs(Number(left || 0) - Number(right || 0)) < 0.005;
+}
+
+async function findPreviousImportWithClosingBalance({
+  tenantId,
+  bankAccountId,
+  onOrBeforeDate,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT id, closing_balance, closing_balance_date
+     FROM bank_statement_imports
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND status = 'IMPORTED'
+       AND closing_balance IS NOT NULL
+       AND closing_balance_date <= ?
+     ORDER BY closing_balance_date DESC, id DESC
+     LIMIT 1`,
+    [tenantId, bankAccountId, onOrBeforeDate]
+  );
+  return result.rows?.[0] || null;
+}
+
+// Opening balance of a new statement must equal the closing balance of the latest earlier import
+// for the same bank account; otherwise a statement is missing or the bank restated balances.
+async function checkOpeningBalanceContinuity({
+  tenantId,
+  bankAccountId,
+  balances,
+  periodStart,
+  allowMismatch,
+  runQuery,
+}) {
+  if (balances?.openingBalance === null || balances?.openingBalance === undefined) {
+    return { status: "NOT_CHECKED", previousImportId: null };
+  }
+  const previous = await findPreviousImportWithClosingBalance({
+    tenantId,
+    bankAccountId,
+    onOrBeforeDate: balances.openingBalanceDate || periodStart,
+    runQuery,
+  });
+  if (!previous) {
+    return { status: "NO_PREVIOUS", previousImportId: null };
+  }
+  const previousImportId = parsePositiveInt(previous.id);
+  if (amountsMatch(previous.closing_balance, balances.openingBalance)) {
+    return { status: "MATCHED", previousImportId };
+  }
+  if (!allowMismatch) {
+    throw conflictError(
+      `Opening balance ${Number(balances.openingBalance).toFixed(2)} does not match closing balance ${Number(
+        previous.closing_balance
+      ).toFixed(2)} of previous import #${previousImportId}`,
+      "OPENING_BALANCE_MISMATCH"
+    );
+  }
+  return { status: "MISMATCH", previousImportId };
+}
+
+// CSV exports carry a running balance per row instead of statement balances. When every row has
+// one, the chain must hold in file order (oldest first) or in reverse (newest first); the opening
+// and closing balances are then derived from its ends. A chain that holds in neither order leaves
+// the balances unknown and returns the first file-order break for the coverage issues.
+function deriveCsvStatementBalances(parsedRows, { periodStart, periodEnd }) {
+  if (
+    parsedRows.length === 0 ||
+    parsedRows.some((row) => row.balance_after === null || row.balance_after === undefined)
+  ) {
+    return { balances: null, runningBalanceBreak: null };
+  }
+  const chainBreakIndex = (rows) => {
+    for (let index = 1; index < rows.length; index += 1) {
+      const expected = Number(rows[index - 1].balance_after) + Number(rows[index].amount);
+      if (!amountsMatch(expected, rows[index].balance_after)) {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  let ordered = parsedRows;
+  const forwardBreak = chainBreakIndex(parsedRows);
+  if (forwardBreak !== -1) {
+    const reversed = [...parsedRows].reverse();
+    if (chainBreakIndex(reversed) !== -1) {
+      const previous = parsedRows[forwardBreak - 1];
+      const breakRow = parsedRows[forwardBreak];
+      return {
+        balances: null,
+        runningBalanceBreak: {
+          line_no: breakRow.line_no,
+          txn_date: breakRow.txn_date,
+          expected_balance: Number(
+            (Number(previous.balance_after) + Number(breakRow.amount)).toFixed(6)
+          ),
+          actual_balance: Number(Number(breakRow.balance_after).toFixed(6)),
+        },
+      };
+    }
+    ordered = reversed;
+  }
+
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  return {
+    balances: {
+      openingBalance: Number(
+        (Number(first.balance_after) - Number(first.amount)).toFixed(6)
+      ),
+      openingBalanceDate: periodStart,
+      closingBalance: Number(Number(last.balance_after).toFixed(6)),
+      closingBalanceDate: periodEnd,
+    },
+    runningBalanceBreak: null,
+  };
+}
+
 async function findBankAccountScopeById({ tenantId, bankAccountId, runQuery = query }) {
   const result = await runQuery(
     `SELECT id, legal_entity_id
@@ -206,6 +389,8 @@ async function findBankAccountForImport({ tenantId, bankAccountId, runQuery = qu
         ba.code,
         ba.name,
         ba.currency_code,
+        ba.iban,
+        ba.account_no,
         ba.is_active,
         le.code AS legal_entity_code,
         le.name AS legal_entity_name
@@ -257,6 +442,12 @@ async function findBankStatementImportById({ tenantId, importId, runQuery = quer
         i.file_checksum,
         i.period_start,
         i.period_end,
+        i.opening_balance,
+        i.opening_balance_date,
+        i.closing_balance,
+        i.closing_balance_date,
+        i.balance_continuity_status,
+        i.previous_import_id,
         i.status,
         i.line_count_total,
         i.line_count_inserted,
@@ -300,11 +491,15 @@ async function findBankStatementLineById({ tenantId, lineId, runQuery = query })
         l.value_date,
         l.description,
         l.reference_no,
+        l.bank_reference,
+        l.end_to_end_id,
+        l.bank_transaction_code,
         l.amount,
         l.currency_code,
         l.balance_after,
         l.line_hash,
         l.recon_status,
+        l.remittance_info_json,
         l.raw_row_json,
         l.created_at,
         i.original_filename,
@@ -443,7 +638,8 @@ export async function importBankStatementCsv({
   );
   if (existingImport.rows?.[0]?.id) {
     throw conflictError(
-      "This statement file was already imported for the selected bank account"
+      "This statement file was already imported for the selected bank account",
+      "DUPLICATE_STATEMENT"
     );
   }
 
@@ -466,9 +662,23 @@ export async function importBankStatementCsv({
   const txnDates = parsedRows.map((row) => String(row.txn_date)).sort();
   const periodStart = txnDates[0] || null;
   const periodEnd = txnDates[txnDates.length - 1] || null;
+  const { balances: statementBalances, runningBalanceBreak } = deriveCsvStatementBalances(
+    parsedRows,
+    { periodStart, periodEnd }
+  );
 
   try {
     const createdRow = await withTransaction(async (tx) => {
+      // CSV files are always imported; balance breaks surface as coverage issues instead.
+      const continuity = await checkOpeningBalanceContinuity({
+        tenantId: payload.tenantId,
+        bankAccountId: payload.bankAccountId,
+        balances: statementBalances,
+        periodStart,
+        allowMismatch: true,
+        runQuery: tx.query,
+      });
+
       const importInsert = await tx.query(
         `INSERT INTO bank_statement_imports (
             tenant_id,
@@ -479,11 +689,17 @@ export async function importBankStatementCsv({
             file_checksum,
             period_start,
             period_end,
+            opening_balance,
+            opening_balance_date,
+            closing_balance,
+            closing_balance_date,
+            balance_continuity_status,
+            previous_import_id,
             status,
             raw_meta_json,
             imported_by_user_id
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'IMPORTED', ?, ?)`,
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'IMPORTED', ?, ?)`,
         [
           payload.tenantId,
           bankAccount.legal_entity_id,
@@ -493,6 +709,12 @@ export async function importBankStatementCsv({
           fileChecksum,
           periodStart,
           periodEnd,
+          statementBalances?.openingBalance ?? null,
+          statementBalances?.openingBalanceDate ?? null,
+          statementBalances?.closingBalance ?? null,
+          statementBalances?.closingBalanceDate ?? null,
+          continuity.status,
+          continuity.previousImportId,
           safeJson({
             parser: "csv-v1",
             phase: "import_started",
@@ -524,6 +746,7 @@ export async function importBankStatementCsv({
                 value_date,
                 description,
                 reference_no,
+                bank_transaction_code,
                 amount,
                 currency_code,
                 balance_after,
@@ -531,7 +754,7 @@ export async function importBankStatementCsv({
                 recon_status,
                 raw_row_json
               )
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'UNMATCHED', ?)`,
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'UNMATCHED', ?)`,
             [
               payload.tenantId,
               bankAccount.legal_entity_id,
@@ -542,6 +765,7 @@ export async function importBankStatementCsv({
               row.value_date,
               row.description,
               row.reference_no,
+              row.bank_transaction_code || null,
               Number(row.amount).toFixed(6),
               row.currency_code,
               row.balance_after === null ? null : Number(row.balance_after).toFixed(6),
@@ -566,6 +790,7 @@ export async function importBankStatementCsv({
         duplicates,
         bankAccountCode: bankAccount.code,
         bankAccountCurrency: bankAccount.currency_code,
+        ...(runningBalanceBreak ? { running_balance_break: runningBalanceBreak } : {}),
       };
 
       await tx.query(
@@ -586,6 +811,12 @@ export async function importBankStatementCsv({
         ]
       );
 
+      await evaluateBankStatementCoverage({
+        tenantId: payload.tenantId,
+        bankAccountId: payload.bankAccountId,
+        runQuery: tx.query,
+      });
+
       return findBankStatementImportById({
         tenantId: payload.tenantId,
         importId,
@@ -600,7 +831,8 @@ export async function importBankStatementCsv({
   } catch (err) {
     if (isImportChecksumDuplicate(err)) {
       throw conflictError(
-        "This statement file was already imported for the selected bank account"
+        "This statement file was already imported for the selected bank account",
+        "DUPLICATE_STATEMENT"
       );
     }
     throw err;
@@ -624,13 +856,15 @@ export async function importNormalizedBankStatementLines({
     throw badRequest("Selected bank account is not active");
   }
 
+  const statementBalances = normalizeStatementBalances(payload?.statementBalances);
   const sourceLines = Array.isArray(payload?.lines) ? payload.lines : [];
-  if (sourceLines.length === 0) {
+  if (sourceLines.length === 0 && !statementBalances) {
     throw badRequest("lines must contain at least one row");
   }
 
+  const rawSource = String(payload?.rawSource || "B05_CONNECTOR");
   const normalizedLines = sourceLines.map((line, index) =>
-    normalizeNormalizedStatementLine(line, index + 1)
+    normalizeNormalizedStatementLine(line, index + 1, rawSource)
   );
 
   const mismatchedCurrency = normalizedLines.find(
@@ -649,8 +883,9 @@ export async function importNormalizedBankStatementLines({
   const sourceMeta = payload?.sourceMeta ?? payload?.source_meta ?? {};
 
   const periodDates = normalizedLines.map((row) => row.txn_date).sort();
-  const periodStart = periodDates[0] || null;
-  const periodEnd = periodDates[periodDates.length - 1] || null;
+  const periodStart = periodDates[0] || statementBalances?.openingBalanceDate || null;
+  const periodEnd =
+    periodDates[periodDates.length - 1] || statementBalances?.closingBalanceDate || null;
 
   const checksumSeed = {
     sourceRef: sourceRef || null,
@@ -660,10 +895,20 @@ export async function importNormalizedBankStatementLines({
       buildStatementLineHash(bankAccountId, row)
     ),
   };
-  const fileChecksum = sha256(safeJson(checksumSeed) || "");
+  const fileChecksum =
+    String(payload?.fileChecksum || "").trim() || sha256(safeJson(checksumSeed) || "");
 
   try {
     const importRow = await withTransaction(async (tx) => {
+      const continuity = await checkOpeningBalanceContinuity({
+        tenantId,
+        bankAccountId,
+        balances: statementBalances,
+        periodStart,
+        allowMismatch: payload?.allowBalanceMismatch === true,
+        runQuery: tx.query,
+      });
+
       const importInsert = await tx.query(
         `INSERT INTO bank_statement_imports (
             tenant_id,
@@ -674,11 +919,17 @@ export async function importNormalizedBankStatementLines({
             file_checksum,
             period_start,
             period_end,
+            opening_balance,
+            opening_balance_date,
+            closing_balance,
+            closing_balance_date,
+            balance_continuity_status,
+            previous_import_id,
             status,
             raw_meta_json,
             imported_by_user_id
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'IMPORTED', ?, ?)`,
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'IMPORTED', ?, ?)`,
         [
           tenantId,
           bankAccount.legal_entity_id,
@@ -688,8 +939,14 @@ export async function importNormalizedBankStatementLines({
           fileChecksum,
           periodStart,
           periodEnd,
+          statementBalances?.openingBalance ?? null,
+          statementBalances?.openingBalanceDate ?? null,
+          statementBalances?.closingBalance ?? null,
+          statementBalances?.closingBalanceDate ?? null,
+          continuity.status,
+          continuity.previousImportId,
           safeJson({
-            parser: "normalized-v1",
+            parser: payload?.parser || "normalized-v1",
             source_ref: sourceRef || null,
             source_meta: sourceMeta || {},
             totalRowsParsed: normalizedLines.length,
@@ -718,14 +975,18 @@ export async function importNormalizedBankStatementLines({
                 value_date,
                 description,
                 reference_no,
+                bank_reference,
+                end_to_end_id,
+                bank_transaction_code,
                 amount,
                 currency_code,
                 balance_after,
                 line_hash,
                 recon_status,
+                remittance_info_json,
                 raw_row_json
               )
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'UNMATCHED', ?)`,
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'UNMATCHED', ?, ?)`,
             [
               tenantId,
               bankAccount.legal_entity_id,
@@ -736,10 +997,14 @@ export async function importNormalizedBankStatementLines({
               row.value_date,
               row.description,
               row.reference_no,
+              row.bank_reference,
+              row.end_to_end_id,
+              row.bank_transaction_code,
               Number(row.amount).toFixed(6),
               row.currency_code,
               row.balance_after === null ? null : Number(row.balance_after).toFixed(6),
               lineHash,
+              row.remittance_info ? safeJson(row.remittance_info) : null,
               safeJson(row.raw_row_json),
             ]
           );
@@ -766,7 +1031,7 @@ export async function importNormalizedBankStatementLines({
           inserted,
           duplicates,
           safeJson({
-            parser: "normalized-v1",
+            parser: payload?.parser || "normalized-v1",
             source_ref: sourceRef || null,
             source_meta: sourceMeta || {},
             totalRowsParsed: normalizedLines.length,
@@ -780,6 +1045,8 @@ export async function importNormalizedBankStatementLines({
         ]
       );
 
+      await evaluateBankStatementCoverage({ tenantId, bankAccountId, runQuery: tx.query });
+
       return findBankStatementImportById({ tenantId, importId, runQuery: tx.query });
     });
 
@@ -794,12 +1061,236 @@ export async function importNormalizedBankStatementLines({
     };
   } catch (err) {
     if (isImportChecksumDuplicate(err)) {
-      throw conflictError("This normalized statement batch was already imported for the selected bank account");
+      throw conflictError(
+        "This normalized statement batch was already imported for the selected bank account",
+        "DUPLICATE_STATEMENT"
+      );
     }
     throw err;
   }
 }
 
+function normalizeAccountIdentifier(value) {
+  return String(value || "")
+    .replace(/[\s\-/]/g, "")
+    .toUpperCase();
+}
+
+function statementAccountMatchesBankAccount(identifier, bankAccount) {
+  const normalizedIdentifier = normalizeAccountIdentifier(identifier);
+  const iban = normalizeAccountIdentifier(bankAccount.iban);
+  const accountNo = normalizeAccountIdentifier(bankAccount.account_no);
+  if (!normalizedIdentifier || (!iban && !accountNo)) {
+    return true;
+  }
+  return Boolean(
+    (iban && normalizedIdentifier.includes(iban)) ||
+      (accountNo && normalizedIdentifier.endsWith(accountNo))
+  );
+}
+
+function parseStatementFile(statementFormat, fileText) {
+  if (statementFormat === "MT940") {
+    return parseStatementMt940(fileText);
+  }
+  const parsed = parseStatementCamt(fileText);
+  if (parsed.format !== statementFormat) {
+    throw new Error(`File is ${parsed.format}, not ${statementFormat}`);
+  }
+  return parsed;
+}
+
+// Flattens the statements of one MT940/camt file into normalized lines with running balances,
+// after checking that each statement reconciles and continues the one before it.
+function buildStatementFileLines(parsed, bankAccount) {
+  const lines = [];
+  let previousStatement = null;
+
+  parsed.statements.forEach((statement, index) => {
+    const label = `Statement ${index + 1}`;
+    if (!statementAccountMatchesBankAccount(statement.accountIdentifier, bankAccount)) {
+      throw badRequest(
+        `${label} account ${statement.accountIdentifier} does not match bank account ${bankAccount.code}`
+      );
+    }
+    if (normalizeUpperText(statement.currencyCode) !== normalizeUpperText(bankAccount.currency_code)) {
+      throw badRequest(
+        `Statement currency mismatch. Bank account currency=${bankAccount.currency_code}, statement currency=${statement.currencyCode}`
+      );
+    }
+    if (
+      previousStatement?.closingBalance &&
+      statement.openingBalance &&
+      !amountsMatch(previousStatement.closingBalance.amount, statement.openingBalance.amount)
+    ) {
+      throw badRequest(`${label} opening balance does not continue the previous statement closing balance`);
+    }
+
+    let runningBalance = statement.openingBalance ? Number(statement.openingBalance.amount) : null;
+    for (const line of statement.lines) {
+      if (runningBalance !== null) {
+        runningBalance = Number((runningBalance + Number(line.amount)).toFixed(6));
+      }
+      lines.push({
+        ...line,
+        balance_after: runningBalance,
+        raw_row_json: {
+          ...line.raw_row_json,
+          statement_ref: statement.statementRef,
+          statement_sequence_no: statement.sequenceNo,
+        },
+      });
+    }
+    if (
+      runningBalance !== null &&
+      statement.closingBalance &&
+      !amountsMatch(runningBalance, statement.closingBalance.amount)
+    ) {
+      throw badRequest(
+        `${label} entries do not reconcile: opening ${Number(statement.openingBalance.amount).toFixed(
+          2
+        )} + movements = ${runningBalance.toFixed(2)}, closing ${Number(
+          statement.closingBalance.amount
+        ).toFixed(2)}`
+      );
+    }
+    previousStatement = statement;
+  });
+
+  return lines;
+}
+
+// File connectors receive statements without a declared format: sniff it from the content and
+// return the account identifiers so the caller can route the file to a linked bank account.
+export function detectBankStatementFile(fileText) {
+  const text = String(fileText || "").replace(/^\uFEFF/, "").trim();
+  if (!text) {
+    throw badRequest("Statement file is empty");
+  }
+
+  let statementFormat = "CSV";
+  if (text.startsWith("<")) {
+    statementFormat = "CAMT";
+  } else if (/(^|\n|\{4:)\s*:20:/.test(text)) {
+    statementFormat = "MT940";
+  }
+
+  if (statementFormat === "CSV") {
+    try {
+      parseStatementCsv(text);
+    } catch (err) {
+      throw badRequest(`Unrecognised statement file: ${err?.message || "not MT940, camt or CSV"}`);
+    }
+    return { statementFormat, accountIdentifiers: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = statementFormat === "MT940" ? parseStatementMt940(text) : parseStatementCamt(text);
+  } catch (err) {
+    throw badRequest(`${statementFormat} parse failed: ${err?.message || "Invalid statement file"}`);
+  }
+  return {
+    statementFormat: parsed.format || statementFormat,
+    accountIdentifiers: [
+      ...new Set(parsed.statements.map((statement) => statement.accountIdentifier).filter(Boolean)),
+    ],
+  };
+}
+
+export async function importBankStatementFile({
+  req,
+  payload,
+  assertScopeAccess,
+}) {
+  const statementFormat = normalizeUpperText(payload.statementFormat || "CSV");
+  if (statementFormat === "CSV") {
+    return importBankStatementCsv({
+      req,
+      payload: { ...payload, csvText: payload.fileText ?? payload.csvText },
+      assertScopeAccess,
+    });
+  }
+
+  const bankAccount = await findBankAccountForImport({
+    tenantId: payload.tenantId,
+    bankAccountId: payload.bankAccountId,
+  });
+  if (!bankAccount) {
+    throw badRequest("bankAccountId not found");
+  }
+  assertScopeAccess(req, "legal_entity", bankAccount.legal_entity_id, "bankAccountId");
+  if (!parseDbBoolean(bankAccount.is_active)) {
+    throw badRequest("Selected bank account is not active");
+  }
+
+  const fileChecksum = sha256(payload.fileText);
+  const existingImport = await query(
+    `SELECT id
+     FROM bank_statement_imports
+     WHERE tenant_id = ?
+       AND bank_account_id = ?
+       AND file_checksum = ?
+     LIMIT 1`,
+    [payload.tenantId, payload.bankAccountId, fileChecksum]
+  );
+  if (existingImport.rows?.[0]?.id) {
+    throw conflictError(
+      "This statement file was already imported for the selected bank account",
+      "DUPLICATE_STATEMENT"
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = parseStatementFile(statementFormat, payload.fileText);
+  } catch (err) {
+    throw badRequest(`${statementFormat} parse failed: ${err?.message || "Invalid statement file"}`);
+  }
+
+  const lines = buildStatementFileLines(parsed, bankAccount);
+  const firstStatement = parsed.statements[0];
+  const lastStatement = parsed.statements[parsed.statements.length - 1];
+  const statementRefs = parsed.statements.map((statement) => statement.statementRef).filter(Boolean);
+
+  const result = await importNormalizedBankStatementLines({
+    payload: {
+      tenantId: payload.tenantId,
+      bankAccountId: payload.bankAccountId,
+      userId: payload.userId,
+      importSource: statementFormat,
+      parser: `${statementFormat.toLowerCase()}-v1`,
+      rawSource: statementFormat,
+      sourceRef: statementRefs.join("|").slice(0, 255),
+      sourceFilename: payload.originalFilename,
+      fileChecksum,
+      allowBalanceMismatch: payload.allowBalanceMismatch === true,
+      statementBalances: {
+        openingBalance: firstStatement.openingBalance?.amount ?? null,
+        openingBalanceDate: firstStatement.openingBalance?.date ?? null,
+        closingBalance: lastStatement.closingBalance?.amount ?? null,
+        closingBalanceDate: lastStatement.closingBalance?.date ?? null,
+      },
+      sourceMeta: {
+        format: parsed.format,
+        message_id: parsed.messageId || null,
+        statements: parsed.statements.map((statement) => ({
+          statement_ref: statement.statementRef,
+          sequence_no: statement.sequenceNo,
+          account_identifier: statement.accountIdentifier,
+          opening_balance: statement.openingBalance,
+          closing_balance: statement.closingBalance,
+          available_balance: statement.availableBalance,
+          line_count: statement.lines.length,
+        })),
+      },
+      lines,
+    },
+  });
+
+  return result.import_row;
+}
+
 export async function listBankStatementImportRows({
   req,
   tenantId,
@@ -880,6 +1371,12 @@ export async function listBankStatementImportRows({
         i.file_checksum,
         i.period_start,
         i.period_end,
+        i.opening_balance,
+        i.opening_balance_date,
+        i.closing_balance,
+        i.closing_balance_date,
+        i.balance_continuity_status,
+        i.previous_import_id,
         i.status,
         i.line_count_total,
         i.line_count_inserted,
@@ -1050,11 +1547,15 @@ export async function listBankStatementLineRows({
         l.value_date,
         l.description,
         l.reference_no,
+        l.bank_reference,
+        l.end_to_end_id,
+        l.bank_transaction_code,
         l.amount,
         l.currency_code,
         l.balance_after,
         l.line_hash,
         l.recon_status,
+        l.remittance_info_json,
         l.raw_row_json,
         l.created_at,
         i.original_filename,
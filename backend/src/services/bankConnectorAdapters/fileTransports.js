@@ -0,0 +1,247 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const DEFAULT_SFTP_PORT = 22;
+const DEFAULT_READY_TIMEOUT_MS = 15000;
+
+function transportError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Remote paths are always POSIX, relative paths are resolved against "/".
+export function joinRemotePath(...parts) {
+  const joined = path.posix.join("/", ...parts.map((part) => String(part || "")));
+  return path.posix.normalize(joined);
+}
+
+// LOCAL is only available when the operator sets BANK_CONNECTOR_LOCAL_ROOT, and connector
+// rootDir values are confined below it so tenant config cannot reach arbitrary server paths.
+function resolveLocalRoot(config = {}) {
+  const baseDir = String(process.env.BANK_CONNECTOR_LOCAL_ROOT || "").trim();
+  if (!baseDir) {
+    throw transportError("LOCAL transport is disabled (BANK_CONNECTOR_LOCAL_ROOT is not set)");
+  }
+  const resolvedBase = path.resolve(baseDir);
+  const rootDir = path.resolve(resolvedBase, String(config?.rootDir ?? "").trim() || ".");
+  if (rootDir !== resolvedBase && !rootDir.startsWith(`${resolvedBase}${path.sep}`)) {
+    throw transportError("rootDir must be inside BANK_CONNECTOR_LOCAL_ROOT");
+  }
+  return rootDir;
+}
+
+// Filesystem stand-in for an SFTP server: remote paths map below config.rootDir.
+function createLocalSession(config = {}) {
+  const rootDir = resolveLocalRoot(config);
+
+  function toLocalPath(remotePath) {
+    const relative = joinRemotePath(remotePath).replace(/^\/+/, "");
+    const resolved = path.resolve(rootDir, relative);
+    if (resolved !== rootDir && !resolved.startsWith(`${rootDir}${path.sep}`)) {
+      throw transportError(`Path escapes transport root: ${remotePath}`);
+    }
+    return resolved;
+  }
+
+  return {
+    transport: "LOCAL",
+    async exists(remotePath) {
+      try {
+        await fs.stat(toLocalPath(remotePath));
+        return true;
+      } catch (err) {
+        if (err?.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+    async ensureDir(remotePath) {
+      await fs.mkdir(toLocalPath(remotePath), { recursive: true });
+    },
+    async list(remotePath) {
+      const dirPath = toLocalPath(remotePath);
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        // eslint-disable-next-line no-await-in-loop
+        const stat = await fs.stat(path.join(dirPath, entry.name));
+        files.push({
+          name: entry.name,
+          size: stat.size,
+          modified_at: stat.mtime.toISOString(),
+        });
+      }
+      return files;
+    },
+    async read(remotePath) {
+      return fs.readFile(toLocalPath(remotePath));
+    },
+    async write(remotePath, content) {
+      const target = toLocalPath(remotePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.writeFile(target, content, { flag: "wx" });
+      } catch (err) {
+        if (err?.code === "EEXIST") {
+          throw transportError(`Remote file already exists: ${joinRemotePath(remotePath)}`, 409);
+        }
+        throw err;
+      }
+    },
+    async move(fromPath, toPath) {
+      const target = toLocalPath(toPath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(toLocalPath(fromPath), target);
+    },
+    async close() {},
+  };
+}
+
+function normalizeHostKeyFingerprint(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  return text.replace(/^SHA256:/i, "").replace(/=+$/, "");
+}
+
+// SFTP carries payment files and statements, so the server key must always be pinned to the
+// fingerprint the bank published (OpenSSH "SHA256:..." form, base64 of the 32-byte digest).
+function requireHostKeyFingerprint(config = {}) {
+  const fingerprint = normalizeHostKeyFingerprint(config?.hostKeySha256);
+  if (!fingerprint) {
+    throw transportError("hostKeySha256 is required in connector config for SFTP transport");
+  }
+  if (!/^[A-Za-z0-9+/]{43}$/.test(fingerprint)) {
+    throw transportError("hostKeySha256 must be an OpenSSH SHA256 fingerprint (SHA256:<base64>)");
+  }
+  return fingerprint;
+}
+
+export function assertFileTransportConfig(config = {}) {
+  const transport = String(config?.transport || "SFTP")
+    .trim()
+    .toUpperCase();
+  if (transport === "LOCAL") return;
+  if (transport !== "SFTP") {
+    throw transportError(`Unsupported file transport: ${config?.transport}`);
+  }
+  if (!String(config?.host || "").trim()) {
+    throw transportError("Missing host in connector config for SFTP transport");
+  }
+  requireHostKeyFingerprint(config);
+}
+
+function buildSftpConnectOptions(config = {}, credentials = {}) {
+  const host = String(config?.host || "").trim();
+  if (!host) {
+    throw transportError("Missing host in connector config for SFTP transport");
+  }
+  const expectedFingerprint = requireHostKeyFingerprint(config);
+  const username = String(credentials?.username ?? config?.username ?? "").trim();
+  if (!username) {
+    throw transportError("Missing SFTP username");
+  }
+  const password = String(credentials?.password || "");
+  const privateKey = String(credentials?.privateKey || "");
+  if (!password && !privateKey) {
+    throw transportError("Missing SFTP password or privateKey");
+  }
+
+  const port = Number(config?.port || DEFAULT_SFTP_PORT);
+  const readyTimeout = Number(config?.readyTimeoutMs || DEFAULT_READY_TIMEOUT_MS);
+  const options = {
+    host,
+    port: Number.isInteger(port) && port > 0 ? port : DEFAULT_SFTP_PORT,
+    username,
+    readyTimeout:
+      Number.isFinite(readyTimeout) && readyTimeout > 0
+        ? Math.min(readyTimeout, 120000)
+        : DEFAULT_READY_TIMEOUT_MS,
+  };
+  if (password) options.password = password;
+  if (privateKey) {
+    options.privateKey = privateKey;
+    if (credentials?.passphrase) options.passphrase = String(credentials.passphrase);
+  }
+
+  options.hostVerifier = (key) => {
+    const actual = crypto.createHash("sha256").update(key).digest("base64").replace(/=+$/, "");
+    return actual === expectedFingerprint;
+  };
+  return options;
+}
+
+async function createSftpSession(config = {}, credentials = {}) {
+  const options = buildSftpConnectOptions(config, credentials);
+  const { default: SftpClient } = await import("ssh2-sftp-client");
+  const client = new SftpClient(`bank-connector-${options.host}`);
+  try {
+    await client.connect(options);
+  } catch (err) {
+    throw transportError(`SFTP connect failed: ${err?.message || "unknown error"}`, 502);
+  }
+
+  async function ensureDir(remotePath) {
+    const target = joinRemotePath(remotePath);
+    if (!(await client.exists(target))) {
+      await client.mkdir(target, true);
+    }
+  }
+
+  return {
+    transport: "SFTP",
+    async exists(remotePath) {
+      return Boolean(await client.exists(joinRemotePath(remotePath)));
+    },
+    ensureDir,
+    async list(remotePath) {
+      const entries = await client.list(joinRemotePath(remotePath));
+      return entries
+        .filter((entry) => entry.type === "-")
+        .map((entry) => ({
+          name: entry.name,
+          size: Number(entry.size || 0),
+          modified_at: entry.modifyTime ? new Date(entry.modifyTime).toISOString() : null,
+        }));
+    },
+    async read(remotePath) {
+      return client.get(joinRemotePath(remotePath));
+    },
+    async write(remotePath, content) {
+      const target = joinRemotePath(remotePath);
+      if (await client.exists(target)) {
+        throw transportError(`Remote file already exists: ${target}`, 409);
+      }
+      await ensureDir(path.posix.dirname(target));
+      await client.put(Buffer.from(content), target);
+    },
+    async move(fromPath, toPath) {
+      const target = joinRemotePath(toPath);
+      await ensureDir(path.posix.dirname(target));
+      await client.rename(joinRemotePath(fromPath), target);
+    },
+    async close() {
+      await client.end().catch(() => {});
+    },
+  };
+}
+
+export async function openFileTransportSession({ config = {}, credentials = {} }) {
+  const transport = String(config?.transport || "SFTP")
+    .trim()
+    .toUpperCase();
+  if (transport === "LOCAL") {
+    return createLocalSession(config);
+  }
+  if (transport === "SFTP") {
+    return createSftpSession(config, credentials);
+  }
+  throw transportError(`Unsupported file transport: ${config?.transport}`);
+}
+
+export default {
+  assertFileTransportConfig,
+  joinRemotePath,
+  openFileTransportSession,
+};
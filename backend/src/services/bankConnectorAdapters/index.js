@@ -1,14 +1,24 @@
 import mockOpenBankingAdapter from "./mockOpenBanking.adapter.js";
 import sandboxOpenBankingAdapter from "./sandboxOpenBanking.adapter.js";
+import sftpFileAdapter from "./sftpFile.adapter.js";
 
-function getBankConnectorAdapter(providerCode) {
+// SFTP / host-to-host connectors are file based; any provider code on those connector types
+// uses the file adapter unless a dedicated provider adapter is registered above it.
+const FILE_CONNECTOR_TYPES = new Set(["SFTP", "HOST_TO_HOST"]);
+
+function getBankConnectorAdapter(providerCode, connectorType = null) {
   const normalized = String(providerCode || "").trim().toUpperCase();
   switch (normalized) {
     case "MOCK_OB":
       return mockOpenBankingAdapter;
     case "SANDBOX_OB":
       return sandboxOpenBankingAdapter;
+    case "SFTP_FILE":
+      return sftpFileAdapter;
     default: {
+      if (FILE_CONNECTOR_TYPES.has(String(connectorType || "").trim().toUpperCase())) {
+        return sftpFileAdapter;
+      }
       const err = new Error(`Unsupported bank connector provider: ${providerCode}`);
       err.status = 400;
       throw err;
@@ -16,8 +26,21 @@ function getBankConnectorAdapter(providerCode) {
   }
 }
 
-export { getBankConnectorAdapter };
+// Checked on connector create/update so a file connector cannot be saved with an unsafe config.
+// Other connector types keep their config free-form until an adapter is resolved at sync time.
+function assertBankConnectorConfig(providerCode, connectorType, config = {}) {
+  const normalizedProvider = String(providerCode || "").trim().toUpperCase();
+  const normalizedType = String(connectorType || "").trim().toUpperCase();
+  if (normalizedProvider !== "SFTP_FILE" && !FILE_CONNECTOR_TYPES.has(normalizedType)) return;
+  const adapter = getBankConnectorAdapter(providerCode, connectorType);
+  if (typeof adapter.validateConfig === "function") {
+    adapter.validateConfig(config || {});
+  }
+}
+
+export { assertBankConnectorConfig, getBankConnectorAdapter };
 
 export default {
+  assertBankConnectorConfig,
   getBankConnectorAdapter,
 };
@@ -0,0 +1,137 @@
+import {
+  assertFileTransportConfig,
+  joinRemotePath,
+  openFileTransportSession,
+} from "./fileTransports.js";
+
+const DEFAULT_INBOUND_DIR = "/inbound";
+const DEFAULT_OUTBOUND_DIR = "/outbound";
+const DEFAULT_ARCHIVE_DIR = "/archive";
+const DEFAULT_INBOUND_EXTENSIONS = [".sta", ".940", ".mt940", ".xml", ".csv", ".txt"];
+const DEFAULT_MAX_FILES_PER_RUN = 50;
+
+function resolveDirectories(config = {}) {
+  const archiveDir = joinRemotePath(config?.archiveDir || DEFAULT_ARCHIVE_DIR);
+  return {
+    inboundDir: joinRemotePath(config?.inboundDir || DEFAULT_INBOUND_DIR),
+    outboundDir: joinRemotePath(config?.outboundDir || DEFAULT_OUTBOUND_DIR),
+    archiveDir,
+    failedDir: joinRemotePath(config?.failedDir || `${archiveDir}/failed`),
+  };
+}
+
+function resolveInboundExtensions(config = {}) {
+  const configured = Array.isArray(config?.inboundExtensions) ? config.inboundExtensions : null;
+  const values = (configured || DEFAULT_INBOUND_EXTENSIONS)
+    .map((value) => String(value || "").trim().toLowerCase())
+    .filter(Boolean)
+    .map((value) => (value.startsWith(".") ? value : `.${value}`));
+  return values.length > 0 ? values : DEFAULT_INBOUND_EXTENSIONS;
+}
+
+function resolveMaxFiles(config = {}) {
+  const parsed = Number(config?.maxFilesPerRun);
+  if (!Number.isInteger(parsed) || parsed <= 0) return DEFAULT_MAX_FILES_PER_RUN;
+  return Math.min(parsed, 500);
+}
+
+// Archived files keep their name under a dated folder; the timestamp prefix avoids clashes
+// when a bank re-delivers a file with the same name.
+function buildArchivePath(baseDir, fileName) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const stamp = now.toISOString().replace(/[-:.TZ]/g, "").slice(0, 17);
+  return joinRemotePath(baseDir, day, `${stamp}-${fileName}`);
+}
+
+async function withSession({ config, credentials }, work) {
+  const session = await openFileTransportSession({ config, credentials });
+  try {
+    return await work(session);
+  } finally {
+    await session.close();
+  }
+}
+
+async function testConnection({ config = {}, credentials = {}, connectorType = "SFTP" }) {
+  const directories = resolveDirectories(config);
+  return withSession({ config, credentials }, async (session) => {
+    const missing = [];
+    for (const key of ["inboundDir", "outboundDir"]) {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await session.exists(directories[key]))) missing.push(`${key}=${directories[key]}`);
+    }
+    if (missing.length > 0) {
+      const err = new Error(`Remote directories not found: ${missing.join(", ")}`);
+      err.status = 400;
+      throw err;
+    }
+    const inboundFiles = await session.list(directories.inboundDir);
+    return {
+      ok: true,
+      providerCode: "SFTP_FILE",
+      connectorType: String(connectorType || "SFTP"),
+      transport: session.transport,
+      inboundDir: directories.inboundDir,
+      outboundDir: directories.outboundDir,
+      inboundFileCount: inboundFiles.length,
+      checkedAt: new Date().toISOString(),
+    };
+  });
+}
+
+// File connectors do not return normalized lines; the sync service opens a file session instead.
+async function openFileSession({ config = {}, credentials = {} }) {
+  const directories = resolveDirectories(config);
+  const extensions = resolveInboundExtensions(config);
+  const maxFiles = resolveMaxFiles(config);
+  const session = await openFileTransportSession({ config, credentials });
+
+  return {
+    transport: session.transport,
+    directories,
+    async listInboundFiles() {
+      const files = await session.list(directories.inboundDir);
+      return files
+        .filter((file) => extensions.some((extension) => file.name.toLowerCase().endsWith(extension)))
+        .sort((left, right) =>
+          String(left.modified_at || "").localeCompare(String(right.modified_at || "")) ||
+          left.name.localeCompare(right.name)
+        )
+        .slice(0, maxFiles)
+        .map((file) => ({ ...file, remote_path: joinRemotePath(directories.inboundDir, file.name) }));
+    },
+    async readInboundFile(file) {
+      const content = await session.read(file.remote_path);
+      return Buffer.isBuffer(content) ? content : Buffer.from(content);
+    },
+    async archiveInboundFile(file, { failed = false } = {}) {
+      const archivePath = buildArchivePath(
+        failed ? directories.failedDir : directories.archiveDir,
+        file.name
+      );
+      await session.move(file.remote_path, archivePath);
+      return archivePath;
+    },
+    async pushOutboundFile({ fileName, content }) {
+      const remotePath = joinRemotePath(directories.outboundDir, fileName);
+      await session.write(remotePath, Buffer.from(content, "utf8"));
+      return remotePath;
+    },
+    async close() {
+      await session.close();
+    },
+  };
+}
+
+function validateConfig(config = {}) {
+  assertFileTransportConfig(config);
+}
+
+export default {
+  provider_code: "SFTP_FILE",
+  file_transfer: true,
+  validateConfig,
+  testConnection,
+  openFileSession,
+};
@@ -0,0 +1,125 @@
+import { child, children, textOf } from "../../utils/xmlTree.js";
+import {
+  normalizeEndToEndId,
+  parseIsoAckDocument,
+  readAmount,
+  splitInstructionId,
+  toDateTimeOrNull,
+} from "./isoAck.common.js";
+import { describeIsoReasonCode } from "./isoReasonCodes.js";
+
+function entryStatus(entryNode) {
+  return String(textOf(entryNode, "Sts", "Cd") || textOf(entryNode, "Sts") || "BOOK")
+    .trim()
+    .toUpperCase();
+}
+
+function readTransactionAmount(transactionNode, entryNode, transactionCount) {
+  const candidates = [
+    child(transactionNode, "Amt"),
+    child(transactionNode, "AmtDtls", "TxAmt", "Amt"),
+    child(transactionNode, "AmtDtls", "InstdAmt", "Amt"),
+  ];
+  if (transactionCount === 1) {
+    candidates.push(child(entryNode, "Amt"));
+  }
+  const amountNode = candidates.find(Boolean) || null;
+  return readAmount(amountNode);
+}
+
+// Debits booked for our transfers confirm payment (PAID). Reversed debits and credits that
+// carry RtrInf are returns: they become REJECTED rows flagged as PAYMENT_RETURNED events.
+function classifyEntry(entryNode, transactionNode) {
+  const isReversal = String(textOf(entryNode, "RvslInd") || "").toLowerCase() === "true";
+  const indicator = String(textOf(entryNode, "CdtDbtInd") || "").toUpperCase();
+  const hasReturnInfo = Boolean(child(transactionNode, "RtrInf"));
+  if (indicator === "DBIT" && !isReversal && !hasReturnInfo) {
+    return { ackStatus: "PAID", returnEventType: null };
+  }
+  if ((indicator === "CRDT" && (hasReturnInfo || isReversal)) || (indicator === "DBIT" && isReversal)) {
+    return { ackStatus: "REJECTED", returnEventType: "PAYMENT_RETURNED" };
+  }
+  return null;
+}
+
+function readReturnReason(transactionNode, entryNode) {
+  const returnInfo = child(transactionNode, "RtrInf");
+  const code = textOf(returnInfo, "Rsn", "Cd") || textOf(returnInfo, "Rsn", "Prtry") || null;
+  const additional = children(returnInfo, "AddtlInf")
+    .map((node) => textOf(node))
+    .filter(Boolean)
+    .join(" ");
+  return {
+    code: code ? code.toUpperCase() : null,
+    message: additional || describeIsoReasonCode(code) || textOf(entryNode, "AddtlNtryInf") || null,
+  };
+}
+
+export function parseAcknowledgement({ ackText }) {
+  const messageNode = parseIsoAckDocument(ackText, "BkToCstmrDbtCdtNtfctn", "camt.054");
+
+  const rows = [];
+  for (const notification of children(messageNode, "Ntfctn")) {
+    for (const entryNode of children(notification, "Ntry")) {
+      if (entryStatus(entryNode) !== "BOOK") continue;
+
+      const transactions = children(child(entryNode, "NtryDtls"), "TxDtls");
+      const bookedAt =
+        toDateTimeOrNull(textOf(entryNode, "BookgDt", "Dt") || textOf(entryNode, "BookgDt", "DtTm")) ||
+        toDateTimeOrNull(textOf(entryNode, "ValDt", "Dt"));
+
+      for (const transactionNode of transactions) {
+        const classification = classifyEntry(entryNode, transactionNode);
+        if (!classification) continue;
+
+        const endToEndId = normalizeEndToEndId(textOf(transactionNode, "Refs", "EndToEndId"));
+        const instructionId = textOf(transactionNode, "Refs", "InstrId");
+        if (!endToEndId && !instructionId) continue;
+        const fallbackRef = endToEndId
+          ? { batch_no: null, line_no: null }
+          : splitInstructionId(instructionId);
+
+        const amount = readTransactionAmount(transactionNode, entryNode, transactions.length);
+        const returnReason = classification.returnEventType
+          ? readReturnReason(transactionNode, entryNode)
+          : { code: null, message: null };
+
+        rows.push({
+          row_no: rows.length + 1,
+          line_ref: endToEndId,
+          batch_no: fallbackRef.batch_no,
+          line_no: fallbackRef.line_no,
+          ack_status: classification.ackStatus,
+          ack_amount: amount.amount,
+          bank_reference:
+            textOf(transactionNode, "Refs", "AcctSvcrRef") || textOf(entryNode, "AcctSvcrRef") || null,
+          ack_code: returnReason.code,
+          ack_message: returnReason.message,
+          executed_at: classification.ackStatus === "PAID" ? bookedAt : null,
+          currency_code: amount.currencyCode,
+          return_event_type: classification.returnEventType,
+          raw_row: JSON.stringify({
+            notification_id: textOf(notification, "Id"),
+            entry_ref: textOf(entryNode, "NtryRef"),
+            credit_debit: textOf(entryNode, "CdtDbtInd"),
+            reversal: textOf(entryNode, "RvslInd"),
+            original_end_to_end_id: textOf(transactionNode, "Refs", "EndToEndId"),
+            original_instruction_id: instructionId,
+          }),
+        });
+      }
+    }
+  }
+
+  return {
+    rows,
+    group_status: null,
+    original_message_id: null,
+    message_id: textOf(messageNode, "GrpHdr", "MsgId"),
+  };
+}
+
+export default {
+  file_format_code: "CAMT054",
+  parseAcknowledgement,
+};
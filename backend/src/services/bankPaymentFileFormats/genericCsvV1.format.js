@@ -109,5 +109,7 @@ export function parseAcknowledgement({ ackText }) {
 
 export default {
   file_format_code: "GENERIC_CSV_V1",
+  export_format: "CSV",
+  file_extension: "csv",
   parseAcknowledgement,
 };
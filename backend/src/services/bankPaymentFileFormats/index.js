@@ -1,12 +1,33 @@
 import genericCsvV1 from "./genericCsvV1.format.js";
+import { pain001V03, pain001V09 } from "./pain001.format.js";
+import pain002 from "./pain002.format.js";
+import camt054 from "./camt054.format.js";
+
+export { toPaymentLineRef } from "./lineRef.js";
+
+const FORMATS = {
+  GENERIC_CSV_V1: genericCsvV1,
+  PAIN001_V03: pain001V03,
+  PAIN001_V09: pain001V09,
+  PAIN002: pain002,
+  CAMT054: camt054,
+};
+
+export const BANK_PAYMENT_FILE_FORMAT_CODES = Object.keys(FORMATS);
+export const BANK_PAYMENT_EXPORT_FORMAT_CODES = BANK_PAYMENT_FILE_FORMAT_CODES.filter(
+  (code) => Boolean(FORMATS[code].export_format)
+);
+export const BANK_PAYMENT_ACK_FORMAT_CODES = BANK_PAYMENT_FILE_FORMAT_CODES.filter(
+  (code) => typeof FORMATS[code].parseAcknowledgement === "function"
+);
 
 export function getBankPaymentFileFormat(formatCode) {
   const code = String(formatCode || "GENERIC_CSV_V1")
     .trim()
     .toUpperCase();
 
-  if (code === "GENERIC_CSV_V1") {
-    return genericCsvV1;
+  if (FORMATS[code]) {
+    return FORMATS[code];
   }
 
   const err = new Error(`Unsupported bank payment file format: ${code}`);
@@ -16,4 +37,7 @@ export function getBankPaymentFileFormat(formatCode) {
 
 export default {
   getBankPaymentFileFormat,
+  BANK_PAYMENT_FILE_FORMAT_CODES,
+  BANK_PAYMENT_EXPORT_FORMAT_CODES,
+  BANK_PAYMENT_ACK_FORMAT_CODES,
 };
@@ -0,0 +1,78 @@
+import { badRequest } from "../../routes/_utils.js";
+import { child, children, parseXmlTree, textOf } from "../../utils/xmlTree.js";
+import { describeIsoReasonCode } from "./isoReasonCodes.js";
+
+export function parseIsoAckDocument(ackText, rootName, label) {
+  const text = String(ackText || "").trim();
+  if (!text) {
+    throw badRequest("ackText is required");
+  }
+  let tree = null;
+  try {
+    tree = parseXmlTree(text);
+  } catch (err) {
+    throw badRequest(`${label} XML is not well-formed: ${err.message}`);
+  }
+  const messageNode = child(tree, "Document", rootName);
+  if (!messageNode) {
+    throw badRequest(`${label} must contain Document/${rootName}`);
+  }
+  return messageNode;
+}
+
+export function readAmount(amountNode) {
+  const raw = textOf(amountNode);
+  if (raw === null) return { amount: null, currencyCode: null };
+  const parsed = Number(raw);
+  if (!Number.isFinite(parsed)) {
+    throw badRequest(`Ack file contains invalid amount ${raw}`);
+  }
+  return {
+    amount: Number(Math.abs(parsed).toFixed(6)),
+    currencyCode: String(amountNode?.attributes?.Ccy || "").trim().toUpperCase() || null,
+  };
+}
+
+export function toDateTimeOrNull(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  const parsed = new Date(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00.000Z` : raw);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// First reason code plus the joined AddtlInf text; falls back to the ISO code description.
+export function readStatusReason(parentNode, reasonElementName = "StsRsnInf") {
+  const reasonNodes = children(parentNode, reasonElementName);
+  const first = reasonNodes[0] || null;
+  const code = textOf(first, "Rsn", "Cd") || textOf(first, "Rsn", "Prtry") || null;
+  const additional = reasonNodes
+    .flatMap((node) => children(node, "AddtlInf").map((entry) => textOf(entry)))
+    .filter(Boolean)
+    .join(" ");
+  return {
+    code: code ? code.toUpperCase() : null,
+    message: additional || describeIsoReasonCode(code) || null,
+  };
+}
+
+// pain.001 exports use InstrId = "{batch_no}-{line_no}"; used when EndToEndId is NOTPROVIDED.
+export function splitInstructionId(instructionId) {
+  const match = /^(.+)-(\d+)$/.exec(String(instructionId || "").trim());
+  if (!match) return { batch_no: null, line_no: null };
+  return { batch_no: match[1], line_no: Number(match[2]) };
+}
+
+export function normalizeEndToEndId(value) {
+  const text = String(value || "").trim();
+  return text && text.toUpperCase() !== "NOTPROVIDED" ? text : null;
+}
+
+export default {
+  parseIsoAckDocument,
+  readAmount,
+  toDateTimeOrNull,
+  readStatusReason,
+  splitInstructionId,
+  normalizeEndToEndId,
+};
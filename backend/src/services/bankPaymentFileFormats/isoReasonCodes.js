@@ -0,0 +1,45 @@
+// ExternalStatusReason1Code / ExternalReturnReason1Code descriptions for the codes banks send
+// most often. Used only to fill ack_message when the report carries no AddtlInf text.
+const ISO_REASON_DESCRIPTIONS = {
+  AC01: "Incorrect account number",
+  AC03: "Invalid creditor account number",
+  AC04: "Closed account number",
+  AC06: "Blocked account",
+  AC13: "Invalid debtor account type",
+  AG01: "Transaction forbidden on this account",
+  AG02: "Invalid bank operation code",
+  AM01: "Zero amount",
+  AM02: "Amount exceeds allowed maximum",
+  AM04: "Insufficient funds",
+  AM05: "Duplicate payment",
+  AM09: "Wrong amount",
+  BE01: "Creditor name does not match account",
+  BE04: "Missing creditor address",
+  BE05: "Unrecognised initiating party",
+  CUST: "Requested by customer",
+  DT01: "Invalid date",
+  DUPL: "Duplicate payment",
+  FF01: "Invalid file format",
+  FOCR: "Return following cancellation request",
+  MD07: "End customer deceased",
+  MS02: "Reason not specified (customer)",
+  MS03: "Reason not specified (agent)",
+  NARR: "See narrative",
+  RC01: "Incorrect bank identifier",
+  RR01: "Missing debtor account or identification",
+  RR02: "Missing debtor name or address",
+  RR03: "Missing creditor name or address",
+  RR04: "Regulatory reason",
+  TM01: "Received after cut-off time",
+};
+
+export function describeIsoReasonCode(code) {
+  const normalized = String(code || "")
+    .trim()
+    .toUpperCase();
+  return ISO_REASON_DESCRIPTIONS[normalized] || null;
+}
+
+export default {
+  describeIsoReasonCode,
+};
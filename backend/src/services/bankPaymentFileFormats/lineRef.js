@@ -0,0 +1,9 @@
+// Line reference shared by every export format. CSV files carry it as line_ref and
+// pain.001 files as EndToEndId, so bank acknowledgements can be matched back to lines.
+export function toPaymentLineRef(batchId, lineId) {
+  return `PB${batchId}-L${lineId}`;
+}
+
+export default {
+  toPaymentLineRef,
+};
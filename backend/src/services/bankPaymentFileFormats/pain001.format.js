@@ -0,0 +1,526 @@
+import { badRequest } from "../../routes/_utils.js";
+import { child, children, parseXmlTree, textOf } from "../../utils/xmlTree.js";
+import { toPaymentLineRef } from "./lineRef.js";
+
+export const PAIN001_CHARGE_BEARER_VALUES = ["DEBT", "CRED", "SHAR", "SLEV"];
+
+const MAX_REPORTED_ERRORS = 20;
+
+const VERSIONS = {
+  "03": {
+    fileFormatCode: "PAIN001_V03",
+    namespace: "urn:iso:std:iso:20022:tech:xsd:pain.001.001.03",
+    bicElement: "BIC",
+    bicType: "BICIdentifier",
+    dateWrappedExecution: false,
+  },
+  "09": {
+    fileFormatCode: "PAIN001_V09",
+    namespace: "urn:iso:std:iso:20022:tech:xsd:pain.001.001.09",
+    bicElement: "BICFI",
+    bicType: "BICFIDec2014Identifier",
+    dateWrappedExecution: true,
+  },
+};
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function compactUpper(value) {
+  return up(value).replace(/\s+/g, "");
+}
+
+function clip(value, maxLength) {
+  const text = String(value || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function isValidIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return false;
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function countDigits(value) {
+  return String(value).replace(/^0+(?=\d)/, "").replace(/\D/g, "").length;
+}
+
+export function isValidIbanChecksum(iban) {
+  const normalized = compactUpper(iban);
+  if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{1,30}$/.test(normalized)) return false;
+  const rearranged = `${normalized.slice(4)}${normalized.slice(0, 4)}`;
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = /[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Simple types from the pain.001 XSDs, limited to the ones this exporter emits.
+const SIMPLE_TYPES = {
+  Max34Text: (v) => v.length >= 1 && v.length <= 34,
+  Max35Text: (v) => v.length >= 1 && v.length <= 35,
+  Max140Text: (v) => v.length >= 1 && v.length <= 140,
+  Max15NumericText: (v) => /^[0-9]{1,15}$/.test(v),
+  ISODate: isValidIsoDate,
+  ISODateTime: (v) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v) &&
+    isValidIsoDate(v.slice(0, 10)),
+  DecimalNumber: (v) => /^\d+(\.\d{1,17})?$/.test(v) && countDigits(v) <= 18,
+  ActiveOrHistoricCurrencyAndAmount: (v) =>
+    /^\d+(\.\d{1,5})?$/.test(v) && countDigits(v) <= 18 && Number(v) > 0,
+  ActiveOrHistoricCurrencyCode: (v) => /^[A-Z]{3}$/.test(v),
+  IBAN2007Identifier: (v) => /^[A-Z]{2}[0-9]{2}[a-zA-Z0-9]{1,30}$/.test(v),
+  BICIdentifier: (v) => /^[A-Z]{6}[A-Z2-9][A-NP-Z0-9]([A-Z0-9]{3})?$/.test(v),
+  BICFIDec2014Identifier: (v) => /^[A-Z0-9]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(v),
+  ExternalServiceLevel1Code: (v) => v.length >= 1 && v.length <= 4,
+  PaymentMethod3Code: (v) => ["CHK", "TRF", "TRA"].includes(v),
+  ChargeBearerType1Code: (v) => PAIN001_CHARGE_BEARER_VALUES.includes(v),
+  TrueFalseIndicator: (v) => v === "true" || v === "false",
+};
+
+function el(name, typeOrFields, { min = 1, max = 1, attributes = null, oneOf = null } = {}) {
+  return Array.isArray(typeOrFields)
+    ? { name, fields: typeOrFields, min, max, oneOf }
+    : { name, type: typeOrFields, min, max, attributes };
+}
+
+function buildSchema(versionKey) {
+  const version = VERSIONS[versionKey];
+  const financialInstitution = el(
+    "FinInstnId",
+    [
+      el(version.bicElement, version.bicType, { min: 0 }),
+      el("Othr", [el("Id", "Max35Text")], { min: 0 }),
+    ],
+    { oneOf: [version.bicElement, "Othr"] }
+  );
+  const accountId = el(
+    "Id",
+    [el("IBAN", "IBAN2007Identifier", { min: 0 }), el("Othr", [el("Id", "Max34Text")], { min: 0 })],
+    { oneOf: ["IBAN", "Othr"] }
+  );
+  const partyName = [el("Nm", "Max140Text", { min: 0 })];
+
+  return el("Document", [
+    el("CstmrCdtTrfInitn", [
+      el("GrpHdr", [
+        el("MsgId", "Max35Text"),
+        el("CreDtTm", "ISODateTime"),
+        el("NbOfTxs", "Max15NumericText"),
+        el("CtrlSum", "DecimalNumber", { min: 0 }),
+        el("InitgPty", partyName),
+      ]),
+      el(
+        "PmtInf",
+        [
+          el("PmtInfId", "Max35Text"),
+          el("PmtMtd", "PaymentMethod3Code"),
+          el("BtchBookg", "TrueFalseIndicator", { min: 0 }),
+          el("NbOfTxs", "Max15NumericText", { min: 0 }),
+          el("CtrlSum", "DecimalNumber", { min: 0 }),
+          el("PmtTpInf", [el("SvcLvl", [el("Cd", "ExternalServiceLevel1Code")], { min: 0 })], {
+            min: 0,
+          }),
+          version.dateWrappedExecution
+            ? el("ReqdExctnDt", [el("Dt", "ISODate")])
+            : el("ReqdExctnDt", "ISODate"),
+          el("Dbtr", partyName),
+          el("DbtrAcct", [accountId, el("Ccy", "ActiveOrHistoricCurrencyCode", { min: 0 })]),
+          el("DbtrAgt", [financialInstitution]),
+          el("ChrgBr", "ChargeBearerType1Code", { min: 0 }),
+          el(
+            "CdtTrfTxInf",
+            [
+              el("PmtId", [el("InstrId", "Max35Text", { min: 0 }), el("EndToEndId", "Max35Text")]),
+              el("Amt", [
+                el("InstdAmt", "ActiveOrHistoricCurrencyAndAmount", {
+                  attributes: { Ccy: "ActiveOrHistoricCurrencyCode" },
+                }),
+              ]),
+              el("ChrgBr", "ChargeBearerType1Code", { min: 0 }),
+              el("CdtrAgt", [financialInstitution], { min: 0 }),
+              el("Cdtr", partyName),
+              el("CdtrAcct", [accountId]),
+              el("RmtInf", [el("Ustrd", "Max140Text", { min: 0, max: Infinity })], { min: 0 }),
+            ],
+            { max: Infinity }
+          ),
+        ],
+        { max: Infinity }
+      ),
+    ]),
+  ]);
+}
+
+function validateNode(node, spec, path, errors) {
+  const location = `${path}/${spec.name}`;
+
+  if (spec.type) {
+    if ((node.children || []).length > 0) {
+      errors.push(`${location} must not contain child elements`);
+      return;
+    }
+    const value = String(node.text || "").trim();
+    if (!SIMPLE_TYPES[spec.type](value)) {
+      errors.push(`${location} value "${value}" is not a valid ${spec.type}`);
+    }
+    for (const [attributeName, attributeType] of Object.entries(spec.attributes || {})) {
+      const attributeValue = String(node.attributes?.[attributeName] || "").trim();
+      if (!SIMPLE_TYPES[attributeType](attributeValue)) {
+        errors.push(`${location}/@${attributeName} is not a valid ${attributeType}`);
+      }
+    }
+    return;
+  }
+
+  if (String(node.text || "").trim()) {
+    errors.push(`${location} must not contain text`);
+  }
+
+  // Walk children against the xs:sequence: each element must match the current or a later field.
+  const counts = new Map();
+  let fieldIndex = 0;
+  for (const childNode of node.children || []) {
+    let matchIndex = -1;
+    for (let i = fieldIndex; i < spec.fields.length; i += 1) {
+      if (spec.fields[i].name === childNode.name) {
+        matchIndex = i;
+        break;
+      }
+    }
+    if (matchIndex < 0) {
+      const known = spec.fields.some((field) => field.name === childNode.name);
+      errors.push(
+        known
+          ? `${location}/${childNode.name} is out of sequence`
+          : `${location}/${childNode.name} is not allowed here`
+      );
+      continue;
+    }
+    fieldIndex = matchIndex;
+    const field = spec.fields[matchIndex];
+    const count = (counts.get(field.name) || 0) + 1;
+    counts.set(field.name, count);
+    if (count > field.max) {
+      errors.push(`${location}/${field.name} may occur at most ${field.max} time(s)`);
+      continue;
+    }
+    validateNode(childNode, field, location, errors);
+  }
+
+  for (const field of spec.fields) {
+    if ((counts.get(field.name) || 0) < field.min) {
+      errors.push(`${location}/${field.name} is required`);
+    }
+  }
+  if (spec.oneOf) {
+    const present = spec.oneOf.filter((name) => counts.has(name));
+    if (present.length !== 1) {
+      errors.push(`${location} must contain exactly one of ${spec.oneOf.join(", ")}`);
+    }
+  }
+}
+
+function sumAmounts(nodes) {
+  return nodes.reduce((total, node) => total + Number(textOf(node, "Amt", "InstdAmt") || 0), 0);
+}
+
+function validateTotals(messageNode, errors) {
+  const paymentInfos = children(messageNode, "PmtInf");
+  const allTransactions = paymentInfos.flatMap((paymentInfo) => children(paymentInfo, "CdtTrfTxInf"));
+
+  const checkTotals = (node, transactions, label) => {
+    const nbOfTxs = textOf(node, "NbOfTxs");
+    if (nbOfTxs !== null && Number(nbOfTxs) !== transactions.length) {
+      errors.push(`${label} NbOfTxs=${nbOfTxs} but ${transactions.length} transaction(s) present`);
+    }
+    const ctrlSum = textOf(node, "CtrlSum");
+    if (ctrlSum !== null && Math.abs(Number(ctrlSum) - sumAmounts(transactions)) > 0.005) {
+      errors.push(`${label} CtrlSum=${ctrlSum} does not equal the sum of InstdAmt`);
+    }
+  };
+
+  checkTotals(child(messageNode, "GrpHdr"), allTransactions, "GrpHdr");
+  paymentInfos.forEach((paymentInfo, index) => {
+    checkTotals(paymentInfo, children(paymentInfo, "CdtTrfTxInf"), `PmtInf[${index + 1}]`);
+    const debtorIban = textOf(paymentInfo, "DbtrAcct", "Id", "IBAN");
+    if (debtorIban && !isValidIbanChecksum(debtorIban)) {
+      errors.push(`PmtInf[${index + 1}] debtor IBAN ${debtorIban} fails the checksum`);
+    }
+  });
+
+  const endToEndIds = new Set();
+  allTransactions.forEach((transaction, index) => {
+    const endToEndId = textOf(transaction, "PmtId", "EndToEndId");
+    if (endToEndId && endToEndIds.has(endToEndId)) {
+      errors.push(`CdtTrfTxInf[${index + 1}] EndToEndId ${endToEndId} is not unique`);
+    }
+    endToEndIds.add(endToEndId);
+    const creditorIban = textOf(transaction, "CdtrAcct", "Id", "IBAN");
+    if (creditorIban && !isValidIbanChecksum(creditorIban)) {
+      errors.push(`CdtTrfTxInf[${index + 1}] creditor IBAN ${creditorIban} fails the checksum`);
+    }
+  });
+}
+
+export function validatePain001Xml(xmlText, versionKey) {
+  const version = VERSIONS[versionKey];
+  const errors = [];
+  let tree = null;
+  try {
+    tree = parseXmlTree(xmlText);
+  } catch (err) {
+    return [`XML is not well-formed: ${err.message}`];
+  }
+
+  const documentNode = child(tree, "Document");
+  if (!documentNode || (tree.children || []).length !== 1) {
+    return ["XML root element must be a single ISO 20022 Document"];
+  }
+  if (documentNode.attributes?.xmlns !== version.namespace) {
+    errors.push(`Document namespace must be ${version.namespace}`);
+  }
+
+  validateNode(documentNode, buildSchema(versionKey), "", errors);
+  const messageNode = child(documentNode, "CstmrCdtTrfInitn");
+  if (messageNode) {
+    validateTotals(messageNode, errors);
+  }
+  return errors;
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function xmlNode(name, content, attributes = null) {
+  return { name, content, attributes };
+}
+
+function serializeXmlNode(node, depth = 0) {
+  if (!node) return "";
+  const indent = "  ".repeat(depth);
+  const attributes = Object.entries(node.attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+  if (Array.isArray(node.content)) {
+    const inner = node.content
+      .filter(Boolean)
+      .map((entry) => serializeXmlNode(entry, depth + 1))
+      .join("\n");
+    return `${indent}<${node.name}${attributes}>\n${inner}\n${indent}</${node.name}>`;
+  }
+  return `${indent}<${node.name}${attributes}>${escapeXml(node.content)}</${node.name}>`;
+}
+
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function toCreationDateTime(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+function resolveCreditor(line) {
+  const isPayrollLine = up(line?.payable_entity_type) === "PAYROLL_LIABILITY";
+  const name =
+    (isPayrollLine ? line?.snap_account_holder_name : null) || line?.beneficiary_name || null;
+  const account = compactUpper(
+    isPayrollLine
+      ? line?.snap_iban || line?.snap_account_number || line?.beneficiary_bank_ref
+      : line?.beneficiary_bank_ref
+  );
+  const looksLikeIban = /^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(account);
+  return {
+    name: clip(name, 140),
+    iban: looksLikeIban ? account : null,
+    otherAccountId: !looksLikeIban && account ? account.slice(0, 34) : null,
+    bic: isPayrollLine ? compactUpper(line?.snap_swift_bic) || null : null,
+  };
+}
+
+function financialInstitutionNode(version, bic) {
+  return xmlNode("FinInstnId", [
+    bic
+      ? xmlNode(version.bicElement, bic)
+      : xmlNode("Othr", [xmlNode("Id", "NOTPROVIDED")]),
+  ]);
+}
+
+function accountIdNode({ iban, otherAccountId }) {
+  return xmlNode("Id", [
+    iban ? xmlNode("IBAN", iban) : xmlNode("Othr", [xmlNode("Id", otherAccountId)]),
+  ]);
+}
+
+function buildPain001Document(versionKey, { batch, options }) {
+  const version = VERSIONS[versionKey];
+  const currencyCode = up(batch?.currency_code);
+  const debtorIban = compactUpper(batch?.bank_account_iban);
+  if (!debtorIban) {
+    throw badRequest(
+      `Bank account ${batch?.bank_account_code || batch?.bank_account_id} has no IBAN; ${version.fileFormatCode} requires a debtor IBAN`
+    );
+  }
+
+  const lines = Array.isArray(batch?.lines) ? batch.lines : [];
+  if (lines.length === 0) {
+    throw badRequest("Payment batch has no lines to export");
+  }
+
+  const transactions = lines.map((line) => {
+    const creditor = resolveCreditor(line);
+    if (!creditor.iban && !creditor.otherAccountId) {
+      throw badRequest(`Payment batch line ${line?.line_no || line?.id} has no beneficiary account`);
+    }
+    const remittance = clip(
+      line?.external_payment_ref || line?.payable_ref || line?.notes || batch.batch_no,
+      140
+    );
+    return xmlNode("CdtTrfTxInf", [
+      xmlNode("PmtId", [
+        xmlNode("InstrId", clip(`${batch.batch_no}-${line.line_no}`, 35)),
+        xmlNode("EndToEndId", toPaymentLineRef(batch.id, line.id)),
+      ]),
+      xmlNode("Amt", [xmlNode("InstdAmt", formatAmount(line.amount), { Ccy: currencyCode })]),
+      creditor.bic ? xmlNode("CdtrAgt", [financialInstitutionNode(version, creditor.bic)]) : null,
+      xmlNode("Cdtr", [xmlNode("Nm", creditor.name)]),
+      xmlNode("CdtrAcct", [accountIdNode(creditor)]),
+      remittance ? xmlNode("RmtInf", [xmlNode("Ustrd", remittance)]) : null,
+    ]);
+  });
+
+  const controlSum = formatAmount(
+    lines.reduce((total, line) => total + Number(formatAmount(line.amount)), 0)
+  );
+  const createdAt = options?.createdAt instanceof Date ? options.createdAt : new Date();
+  const messageId = clip(
+    `${batch.batch_no}-${createdAt.toISOString().replace(/\D/g, "").slice(0, 14)}`,
+    35
+  );
+  const debtorName = clip(batch.legal_entity_name || batch.legal_entity_code, 140);
+  const requestedExecutionDate = options.requestedExecutionDate;
+
+  const documentNode = xmlNode(
+    "Document",
+    [
+      xmlNode("CstmrCdtTrfInitn", [
+        xmlNode("GrpHdr", [
+          xmlNode("MsgId", messageId),
+          xmlNode("CreDtTm", toCreationDateTime(createdAt)),
+          xmlNode("NbOfTxs", String(transactions.length)),
+          xmlNode("CtrlSum", controlSum),
+          xmlNode("InitgPty", [xmlNode("Nm", debtorName)]),
+        ]),
+        xmlNode("PmtInf", [
+          xmlNode("PmtInfId", clip(batch.batch_no, 35)),
+          xmlNode("PmtMtd", "TRF"),
+          xmlNode("BtchBookg", "true"),
+          xmlNode("NbOfTxs", String(transactions.length)),
+          xmlNode("CtrlSum", controlSum),
+          currencyCode === "EUR"
+            ? xmlNode("PmtTpInf", [xmlNode("SvcLvl", [xmlNode("Cd", "SEPA")])])
+            : null,
+          version.dateWrappedExecution
+            ? xmlNode("ReqdExctnDt", [xmlNode("Dt", requestedExecutionDate)])
+            : xmlNode("ReqdExctnDt", requestedExecutionDate),
+          xmlNode("Dbtr", [xmlNode("Nm", debtorName)]),
+          xmlNode("DbtrAcct", [
+            accountIdNode({ iban: debtorIban }),
+            xmlNode("Ccy", currencyCode),
+          ]),
+          xmlNode("DbtrAgt", [
+            financialInstitutionNode(version, compactUpper(batch.bank_account_swift_bic) || null),
+          ]),
+          xmlNode("ChrgBr", options.chargeBearer),
+          ...transactions,
+        ]),
+      ]),
+    ],
+    { xmlns: version.namespace }
+  );
+
+  return {
+    xml: `<?xml version="1.0" encoding="UTF-8"?>\n${serializeXmlNode(documentNode)}\n`,
+    messageId,
+    controlSum,
+    transactionCount: transactions.length,
+  };
+}
+
+export function resolvePain001ChargeBearer(batch, requested) {
+  const chargeBearer =
+    up(requested) ||
+    up(batch?.bank_account_payment_charge_bearer) ||
+    (up(batch?.currency_code) === "EUR" ? "SLEV" : "SHAR");
+  if (!PAIN001_CHARGE_BEARER_VALUES.includes(chargeBearer)) {
+    throw badRequest(`chargeBearer must be one of ${PAIN001_CHARGE_BEARER_VALUES.join(", ")}`);
+  }
+  return chargeBearer;
+}
+
+function createPain001Format(versionKey) {
+  const version = VERSIONS[versionKey];
+  return {
+    file_format_code: version.fileFormatCode,
+    export_format: "XML",
+    file_extension: "xml",
+    buildExport({ batch, options = {} }) {
+      const requestedExecutionDate =
+        options.requestedExecutionDate || new Date().toISOString().slice(0, 10);
+      const chargeBearer = resolvePain001ChargeBearer(batch, options.chargeBearer);
+      const built = buildPain001Document(versionKey, {
+        batch,
+        options: { ...options, requestedExecutionDate, chargeBearer },
+      });
+
+      const errors = validatePain001Xml(built.xml, versionKey);
+      if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+        const more = errors.length > shown.length ? ` (+${errors.length - shown.length} more)` : "";
+        const err = badRequest(
+          `${version.fileFormatCode} schema validation failed: ${shown.join("; ")}${more}`
+        );
+        err.validationErrors = errors;
+        throw err;
+      }
+
+      return {
+        payloadText: built.xml,
+        meta: {
+          message_id: built.messageId,
+          requested_execution_date: requestedExecutionDate,
+          charge_bearer: chargeBearer,
+          control_sum: built.controlSum,
+          transaction_count: built.transactionCount,
+          schema_version: version.namespace,
+        },
+      };
+    },
+  };
+}
+
+export const pain001V03 = createPain001Format("03");
+export const pain001V09 = createPain001Format("09");
+
+export default {
+  pain001V03,
+  pain001V09,
+  validatePain001Xml,
+  isValidIbanChecksum,
+  resolvePain001ChargeBearer,
+};
@@ -0,0 +1,123 @@
+import { badRequest } from "../../routes/_utils.js";
+import { child, children, textOf } from "../../utils/xmlTree.js";
+import {
+  normalizeEndToEndId,
+  parseIsoAckDocument,
+  readAmount,
+  readStatusReason,
+  splitInstructionId,
+  toDateTimeOrNull,
+} from "./isoAck.common.js";
+
+// ExternalPaymentTransactionStatus1Code -> B06 ack_status. RCVD/PDNG are interim and skipped.
+const TRANSACTION_STATUS_MAP = {
+  ACTC: "ACCEPTED",
+  ACCP: "ACCEPTED",
+  ACSP: "ACCEPTED",
+  ACWC: "ACCEPTED",
+  ACWP: "ACCEPTED",
+  ACSC: "PAID",
+  ACCC: "PAID",
+  PART: "PARTIAL",
+  RJCT: "REJECTED",
+};
+const INTERIM_STATUSES = new Set(["RCVD", "PDNG"]);
+
+function mapStatus(code) {
+  const normalized = String(code || "")
+    .trim()
+    .toUpperCase();
+  if (!normalized || INTERIM_STATUSES.has(normalized)) return null;
+  return TRANSACTION_STATUS_MAP[normalized] || normalized;
+}
+
+function readGroupStatus(statusNode, statusElementName, fallbackExecutedAt) {
+  const ackStatus = mapStatus(textOf(statusNode, statusElementName));
+  if (!ackStatus) return null;
+  const reason = readStatusReason(statusNode);
+  return {
+    iso_status: textOf(statusNode, statusElementName),
+    ack_status: ackStatus,
+    ack_code: reason.code,
+    ack_message: reason.message,
+    executed_at: ackStatus === "PAID" ? fallbackExecutedAt : null,
+  };
+}
+
+export function parseAcknowledgement({ ackText }) {
+  const messageNode = parseIsoAckDocument(ackText, "CstmrPmtStsRpt", "pain.002");
+  const createdAt = toDateTimeOrNull(textOf(messageNode, "GrpHdr", "CreDtTm"));
+  const originalGroup = child(messageNode, "OrgnlGrpInfAndSts");
+  if (!originalGroup) {
+    throw badRequest("pain.002 is missing OrgnlGrpInfAndSts");
+  }
+
+  const rows = [];
+  const paymentInfoStatuses = [];
+  for (const paymentInfo of children(messageNode, "OrgnlPmtInfAndSts")) {
+    const paymentInfoStatus = readGroupStatus(paymentInfo, "PmtInfSts", createdAt);
+    if (paymentInfoStatus) {
+      paymentInfoStatuses.push({
+        ...paymentInfoStatus,
+        original_payment_info_id: textOf(paymentInfo, "OrgnlPmtInfId"),
+      });
+    }
+
+    for (const transaction of children(paymentInfo, "TxInfAndSts")) {
+      const isoStatus = textOf(transaction, "TxSts") || paymentInfoStatus?.iso_status || null;
+      const ackStatus = mapStatus(isoStatus);
+      if (!ackStatus) continue;
+
+      const reason = readStatusReason(transaction);
+      const originalRef = child(transaction, "OrgnlTxRef");
+      const instructed = readAmount(child(originalRef, "Amt", "InstdAmt"));
+      const instructionId = textOf(transaction, "OrgnlInstrId");
+      const endToEndId = normalizeEndToEndId(textOf(transaction, "OrgnlEndToEndId"));
+      const fallbackRef = endToEndId ? { batch_no: null, line_no: null } : splitInstructionId(instructionId);
+
+      rows.push({
+        row_no: rows.length + 1,
+        line_ref: endToEndId,
+        batch_no: fallbackRef.batch_no,
+        line_no: fallbackRef.line_no,
+        ack_status: ackStatus,
+        ack_amount: ackStatus === "PAID" || ackStatus === "PARTIAL" ? instructed.amount : null,
+        bank_reference:
+          textOf(transaction, "AcctSvcrRef") ||
+          textOf(transaction, "ClrSysRef") ||
+          textOf(transaction, "StsId") ||
+          null,
+        ack_code: reason.code || paymentInfoStatus?.ack_code || null,
+        ack_message: reason.message || paymentInfoStatus?.ack_message || null,
+        executed_at:
+          ackStatus === "PAID"
+            ? toDateTimeOrNull(textOf(transaction, "AccptncDtTm")) || createdAt
+            : null,
+        currency_code: instructed.currencyCode,
+        raw_row: JSON.stringify({
+          iso_status: isoStatus,
+          original_instruction_id: instructionId,
+          original_end_to_end_id: textOf(transaction, "OrgnlEndToEndId"),
+          status_id: textOf(transaction, "StsId"),
+        }),
+      });
+    }
+  }
+
+  // Group/payment-info level statuses without transaction detail apply to every exported line.
+  const groupStatus =
+    readGroupStatus(originalGroup, "GrpSts", createdAt) ||
+    (paymentInfoStatuses.length === 1 ? paymentInfoStatuses[0] : null);
+
+  return {
+    rows,
+    group_status: groupStatus,
+    original_message_id: textOf(originalGroup, "OrgnlMsgId"),
+    message_id: textOf(messageNode, "GrpHdr", "MsgId"),
+  };
+}
+
+export default {
+  file_format_code: "PAIN002",
+  parseAcknowledgement,
+};
@@ -3,12 +3,28 @@ import {
   assertAccountBelongsToTenant,
   assertCurrencyExists,
   assertLegalEntityBelongsToTenant,
+  assertOperatingUnitBelongsToTenant,
 } from "../tenantGuards.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
 import {
   buildOffsetPaginationResult,
   resolveOffsetPagination,
 } from "../utils/pagination.js";
+import {
+  assertTaxAccountUsable,
+  resolveEffectiveTaxCode,
+  roundTaxAmount,
+  splitGrossAmountByTaxRate,
+} from "./gl.tax-codes.service.js";
+import {
+  buildDimensionSignature,
+  copyCariDocumentLineDimensionsTx,
+  copyJournalLineDimensionsTx,
+  insertJournalLineDimensionsTx,
+  loadCariDocumentLineDimensions,
+  replaceCariDocumentLineDimensionsTx,
+  validateLineDimensions,
+} from "./gl.dimensions.service.js";
 
 const DRAFT_STATUS = "DRAFT";
 const CANCELLED_STATUS = "CANCELLED";
@@ -34,6 +50,7 @@ const CARI_POSTING_PURPOSES = Object.freeze({
 });
 const POSITIVE_SIGN_DOCUMENT_TYPES = new Set(["INVOICE", "DEBIT_NOTE"]);
 const DUE_DATE_REQUIRED_TYPES = new Set(["INVOICE", "DEBIT_NOTE"]);
+const TAXABLE_DOCUMENT_TYPES = new Set(["INVOICE", "DEBIT_NOTE", "CREDIT_NOTE"]);
 const FROZEN_TRANSACTION_KEYS = new Set([
   "AR:INVOICE",
   "AR:DEBIT_NOTE",
@@ -241,6 +258,13 @@ function mapDocumentRow(row) {
     openAmountBase: toDecimalNumber(row.open_amount_base),
     currencyCode: row.currency_code,
     fxRate: toDecimalNumber(row.fx_rate),
+    taxCode: row.tax_code || null,
+    taxCodeId: parsePositiveInt(row.tax_code_id),
+    taxRatePct: toDecimalNumber(row.tax_rate_pct),
+    netAmountTxn: toDecimalNumber(row.net_amount_txn),
+    netAmountBase: toDecimalNumber(row.net_amount_base),
+    taxAmountTxn: toDecimalNumber(row.tax_amount_txn),
+    taxAmountBase: toDecimalNumber(row.tax_amount_base),
     counterpartyCodeSnapshot: row.counterparty_code_snapshot || null,
     counterpartyNameSnapshot: row.counterparty_name_snapshot || null,
     paymentTermSnapshot: row.payment_term_snapshot || null,
@@ -761,6 +785,520 @@ async function resolveCariPostingAccounts({
   };
 }
 
+async function resolveCariDocumentTaxSplit({
+  tenantId,
+  legalEntityId,
+  direction,
+  documentType,
+  taxCode,
+  documentDate,
+  amountTxn,
+  amountBase,
+  requirePostingAccount = false,
+  runQuery = query,
+}) {
+  const normalizedTaxCode = normalizeUpperText(taxCode);
+  if (!normalizedTaxCode) {
+    return null;
+  }
+
+  const normalizedType = normalizeUpperText(documentType);
+  if (!TAXABLE_DOCUMENT_TYPES.has(normalizedType)) {
+    throw badRequest(`taxCode is not allowed for documentType=${normalizedType}`);
+  }
+
+  const taxCodeRow = await resolveEffectiveTaxCode({
+    tenantId,
+    legalEntityId,
+    code: normalizedTaxCode,
+    asOfDate: normalizeDateInput(documentDate, "documentDate"),
+    runQuery,
+  });
+
+  // Output VAT is always fully payable; the deductible share only applies to input VAT.
+  const isInputTax = normalizeUpperText(direction) === "AP";
+  const deductiblePct = isInputTax ? taxCodeRow.deductiblePct : 100;
+  const txnSplit = splitGrossAmountByTaxRate(amountTxn, taxCodeRow.ratePct, deductiblePct);
+  const baseSplit = splitGrossAmountByTaxRate(amountBase, taxCodeRow.ratePct, deductiblePct);
+  const taxAccountId = isInputTax ? taxCodeRow.inputAccountId : taxCodeRow.outputAccountId;
+
+  const needsTaxAccount =
+    txnSplit.deductibleTaxAmount > AMOUNT_BALANCE_EPSILON ||
+    baseSplit.deductibleTaxAmount > AMOUNT_BALANCE_EPSILON;
+  if (requirePostingAccount && needsTaxAccount) {
+    const fieldLabel = isInputTax ? "inputAccountId" : "outputAccountId";
+    if (!taxAccountId) {
+      throw badRequest(`Setup required: configure ${fieldLabel} on taxCode ${normalizedTaxCode}`);
+    }
+    await assertTaxAccountUsable({
+      tenantId,
+      legalEntityId,
+      accountId: taxAccountId,
+      fieldLabel: `taxCode ${normalizedTaxCode} ${fieldLabel}`,
+      runQuery,
+    });
+  }
+
+  return {
+    taxCode: normalizedTaxCode,
+    taxCodeId: taxCodeRow.id,
+    taxRatePct: taxCodeRow.ratePct,
+    taxAccountId: taxAccountId || null,
+    netAmountTxn: txnSplit.netAmount,
+    netAmountBase: baseSplit.netAmount,
+    taxAmountTxn: txnSplit.taxAmount,
+    taxAmountBase: baseSplit.taxAmount,
+    deductibleTaxAmountTxn: txnSplit.deductibleTaxAmount,
+    deductibleTaxAmountBase: baseSplit.deductibleTaxAmount,
+    nonDeductibleTaxAmountTxn: txnSplit.nonDeductibleTaxAmount,
+    nonDeductibleTaxAmountBase: baseSplit.nonDeductibleTaxAmount,
+  };
+}
+
+function roundDocumentAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+function mapDocumentLineRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    lineNo: Number(row.line_no),
+    description: row.description,
+    quantity: toDecimalNumber(row.quantity),
+    unitPrice: toDecimalNumber(row.unit_price),
+    discountPct: toDecimalNumber(row.discount_pct),
+    taxCode: row.tax_code || null,
+    taxCodeId: parsePositiveInt(row.tax_code_id),
+    taxRatePct: toDecimalNumber(row.tax_rate_pct),
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    operatingUnitId: parsePositiveInt(row.operating_unit_id),
+    operatingUnitCode: row.operating_unit_code || null,
+    dimensions: row.dimensions || [],
+    netAmountTxn: toDecimalNumber(row.net_amount_txn),
+    taxAmountTxn: toDecimalNumber(row.tax_amount_txn),
+    grossAmountTxn: toDecimalNumber(row.gross_amount_txn),
+    netAmountBase: toDecimalNumber(row.net_amount_base),
+    taxAmountBase: toDecimalNumber(row.tax_amount_base),
+    grossAmountBase: toDecimalNumber(row.gross_amount_base),
+  };
+}
+
+async function fetchDocumentLineRows({ tenantId, documentId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+       l.id,
+       l.line_no,
+       l.description,
+       l.quantity,
+       l.unit_price,
+       l.discount_pct,
+       l.tax_code,
+       l.tax_code_id,
+       l.tax_rate_pct,
+       l.account_id,
+       a.code AS account_code,
+       l.operating_unit_id,
+       ou.code AS operating_unit_code,
+       l.net_amount_txn,
+       l.tax_amount_txn,
+       l.gross_amount_txn,
+       l.net_amount_base,
+       l.tax_amount_base,
+       l.gross_amount_base
+     FROM cari_document_lines l
+     LEFT JOIN accounts a ON a.id = l.account_id
+     LEFT JOIN operating_units ou ON ou.id = l.operating_unit_id
+     WHERE l.tenant_id = ?
+       AND l.document_id = ?
+     ORDER BY l.line_no ASC`,
+    [tenantId, documentId]
+  );
+  const rows = result.rows || [];
+  if (rows.length === 0) {
+    return rows;
+  }
+  const dimensionsByLineKey = await loadCariDocumentLineDimensions({
+    tenantId,
+    documentIds: [documentId],
+    runQuery,
+  });
+  return rows.map((row) => ({
+    ...row,
+    dimensions: dimensionsByLineKey.get(`${documentId}:${Number(row.line_no)}`) || [],
+  }));
+}
+
+function toDocumentLineInputs(lineRows) {
+  return (lineRows || []).map((row) => ({
+    description: row.description,
+    quantity: toDecimalNumber(row.quantity),
+    unitPrice: toDecimalNumber(row.unit_price),
+    discountPct: toDecimalNumber(row.discount_pct) || 0,
+    taxCode: row.tax_code || null,
+    accountId: parsePositiveInt(row.account_id),
+    operatingUnitId: parsePositiveInt(row.operating_unit_id),
+    dimensions: (row.dimensions || []).map((item) => ({
+      dimensionTypeId: item.dimensionTypeId,
+      dimensionValueId: item.dimensionValueId,
+    })),
+  }));
+}
+
+async function assertDocumentLineOperatingUnit({
+  tenantId,
+  legalEntityId,
+  operatingUnitId,
+  fieldLabel,
+}) {
+  const unit = await assertOperatingUnitBelongsToTenant(tenantId, operatingUnitId, fieldLabel);
+  if (parsePositiveInt(unit.legal_entity_id) !== parsePositiveInt(legalEntityId)) {
+    throw badRequest(`${fieldLabel} must belong to legalEntityId`);
+  }
+  if (normalizeUpperText(unit.status) !== "ACTIVE") {
+    throw badRequest(`${fieldLabel} must reference an ACTIVE operating unit`);
+  }
+}
+
+// Unit prices are net of VAT; each line adds its own tax on top. Base amounts are
+// allocated from the document total so rounding never unbalances the journal.
+async function resolveCariDocumentLineAmounts({
+  tenantId,
+  legalEntityId,
+  direction,
+  documentType,
+  documentDate,
+  defaultTaxCode = null,
+  lines,
+  amountBase = null,
+  baseFactor = null,
+  requirePostingAccount = false,
+  fallbackAccountId = null,
+  runQuery = query,
+}) {
+  const normalizedType = normalizeUpperText(documentType);
+  if (!TAXABLE_DOCUMENT_TYPES.has(normalizedType)) {
+    throw badRequest(`lines are not allowed for documentType=${normalizedType}`);
+  }
+
+  const isInputTax = normalizeUpperText(direction) === "AP";
+  const asOfDate = normalizeDateInput(documentDate, "documentDate");
+  const taxCodeCache = new Map();
+  const resolveLineTaxCode = async (code) => {
+    if (!taxCodeCache.has(code)) {
+      const taxCodeRow = await resolveEffectiveTaxCode({
+        tenantId,
+        legalEntityId,
+        code,
+        asOfDate,
+        runQuery,
+      });
+      taxCodeCache.set(code, taxCodeRow);
+    }
+    return taxCodeCache.get(code);
+  };
+
+  // Lines without an account post to the counterparty's default offset account, which
+  // is only known (and rule-checked) at post time.
+  const lineDimensions = await validateLineDimensions({
+    tenantId,
+    legalEntityId,
+    lines: lines.map((line, i) => ({
+      accountId: line.accountId || fallbackAccountId,
+      dimensions: line.dimensions || [],
+      label: `lines[${i}]`,
+    })),
+    runQuery,
+  });
+
+  const computedLines = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const label = `lines[${i}]`;
+    const taxCode = normalizeUpperText(line.taxCode || defaultTaxCode) || null;
+    // eslint-disable-next-line no-await-in-loop
+    const taxCodeRow = taxCode ? await resolveLineTaxCode(taxCode) : null;
+    if (line.accountId) {
+      // eslint-disable-next-line no-await-in-loop
+      await assertTaxAccountUsable({
+        tenantId,
+        legalEntityId,
+        accountId: line.accountId,
+        fieldLabel: `${label}.accountId`,
+        runQuery,
+      });
+    }
+    if (line.operatingUnitId) {
+      // eslint-disable-next-line no-await-in-loop
+      await assertDocumentLineOperatingUnit({
+        tenantId,
+        legalEntityId,
+        operatingUnitId: line.operatingUnitId,
+        fieldLabel: `${label}.operatingUnitId`,
+      });
+    }
+
+    const discountFraction = Number(line.discountPct || 0) / 100;
+    const netAmountTxn = roundDocumentAmount(
+      Number(line.quantity) * Number(line.unitPrice) * (1 - discountFraction)
+    );
+    // Line VAT is rounded to kuruş so the posted VAT equals the sum of the line totals shown.
+    const taxAmountTxn = taxCodeRow
+      ? roundTaxAmount((netAmountTxn * Number(taxCodeRow.ratePct || 0)) / 100)
+      : 0;
+    const taxAccountId = taxCodeRow
+      ? isInputTax
+        ? taxCodeRow.inputAccountId
+        : taxCodeRow.outputAccountId
+      : null;
+    if (requirePostingAccount && taxAmountTxn > AMOUNT_BALANCE_EPSILON) {
+      const fieldLabel = isInputTax ? "inputAccountId" : "outputAccountId";
+      if (!taxAccountId) {
+        throw badRequest(`Setup required: configure ${fieldLabel} on taxCode ${taxCode}`);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await assertTaxAccountUsable({
+        tenantId,
+        legalEntityId,
+        accountId: taxAccountId,
+        fieldLabel: `taxCode ${taxCode} ${fieldLabel}`,
+        runQuery,
+      });
+    }
+
+    computedLines.push({
+      lineNo: i + 1,
+      description: line.description,
+      quantity: Number(line.quantity),
+      unitPrice: Number(line.unitPrice),
+      discountPct: Number(line.discountPct || 0),
+      taxCode,
+      taxCodeId: taxCodeRow?.id || null,
+      taxRatePct: taxCodeRow ? taxCodeRow.ratePct : null,
+      deductiblePct: taxCodeRow && isInputTax ? Number(taxCodeRow.deductiblePct ?? 100) : 100,
+      taxAccountId: taxAccountId || null,
+      accountId: line.accountId || null,
+      operatingUnitId: line.operatingUnitId || null,
+      dimensions: lineDimensions[i],
+      netAmountTxn,
+      taxAmountTxn,
+      grossAmountTxn: roundDocumentAmount(netAmountTxn + taxAmountTxn),
+    });
+  }
+
+  const amountTxn = roundDocumentAmount(
+    computedLines.reduce((sum, line) => sum + line.grossAmountTxn, 0)
+  );
+  if (amountTxn <= AMOUNT_BALANCE_EPSILON) {
+    throw badRequest("Document lines total must be greater than 0");
+  }
+
+  let totalBase = null;
+  if (amountBase !== null && amountBase !== undefined) {
+    totalBase = normalizeAmount(amountBase, "amountBase");
+  } else if (baseFactor) {
+    totalBase = roundDocumentAmount(amountTxn * Number(baseFactor));
+  } else {
+    throw badRequest("amountBase or fxRate is required for foreign-currency document lines");
+  }
+
+  const factor = totalBase / amountTxn;
+  let allocatedBase = 0;
+  for (const line of computedLines) {
+    line.netAmountBase = roundDocumentAmount(line.netAmountTxn * factor);
+    line.taxAmountBase = roundTaxAmount(line.taxAmountTxn * factor);
+    allocatedBase += line.netAmountBase + line.taxAmountBase;
+  }
+  const residual = roundDocumentAmount(totalBase - allocatedBase);
+  if (Math.abs(residual) > AMOUNT_BALANCE_EPSILON) {
+    const absorbingLine =
+      [...computedLines].reverse().find((line) => line.netAmountBase + residual >= 0) ||
+      computedLines[computedLines.length - 1];
+    absorbingLine.netAmountBase = roundDocumentAmount(absorbingLine.netAmountBase + residual);
+  }
+  for (const line of computedLines) {
+    line.grossAmountBase = roundDocumentAmount(line.netAmountBase + line.taxAmountBase);
+  }
+
+  const distinctTaxCodes = [...new Set(computedLines.map((line) => line.taxCode))];
+  const commonTaxLine =
+    distinctTaxCodes.length === 1 && distinctTaxCodes[0] ? computedLines[0] : null;
+  const sumOf = (field) =>
+    roundDocumentAmount(computedLines.reduce((sum, line) => sum + line[field], 0));
+
+  return {
+    lines: computedLines,
+    amountTxn,
+    amountBase: totalBase,
+    // Header tax columns summarize the lines; the code is only kept when all lines share it.
+    taxCode: commonTaxLine?.taxCode || null,
+    taxCodeId: commonTaxLine?.taxCodeId || null,
+    taxRatePct: commonTaxLine ? commonTaxLine.taxRatePct : null,
+    netAmountTxn: sumOf("netAmountTxn"),
+    netAmountBase: sumOf("netAmountBase"),
+    taxAmountTxn: sumOf("taxAmountTxn"),
+    taxAmountBase: sumOf("taxAmountBase"),
+  };
+}
+
+async function replaceDocumentLinesTx(tx, { tenantId, legalEntityId, documentId, lines }) {
+  await tx.query(
+    `DELETE FROM cari_document_lines
+     WHERE tenant_id = ?
+       AND document_id = ?`,
+    [tenantId, documentId]
+  );
+  for (const line of lines || []) {
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `INSERT INTO cari_document_lines (
+          tenant_id,
+          legal_entity_id,
+          document_id,
+          line_no,
+          description,
+          quantity,
+          unit_price,
+          discount_pct,
+          tax_code,
+          tax_code_id,
+          tax_rate_pct,
+          account_id,
+          operating_unit_id,
+          net_amount_txn,
+          tax_amount_txn,
+          gross_amount_txn,
+          net_amount_base,
+          tax_amount_base,
+          gross_amount_base
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        documentId,
+        line.lineNo,
+        toNullableString(line.description, 255),
+        line.quantity,
+        line.unitPrice,
+        line.discountPct,
+        line.taxCode,
+        line.taxCodeId,
+        line.taxRatePct,
+        line.accountId,
+        line.operatingUnitId,
+        line.netAmountTxn,
+        line.taxAmountTxn,
+        line.grossAmountTxn,
+        line.netAmountBase,
+        line.taxAmountBase,
+        line.grossAmountBase,
+      ]
+    );
+  }
+  await replaceCariDocumentLineDimensionsTx(tx, { tenantId, documentId, lines });
+}
+
+function resolveDocumentLineBaseFactor({
+  functionalCurrencyCode,
+  currencyCode,
+  fxRate,
+  fallbackAmountTxn = null,
+  fallbackAmountBase = null,
+}) {
+  const parsedFxRate = Number(fxRate);
+  if (Number.isFinite(parsedFxRate) && parsedFxRate > 0) {
+    return parsedFxRate;
+  }
+  if (normalizeUpperText(currencyCode) === normalizeUpperText(functionalCurrencyCode)) {
+    return 1;
+  }
+  const fallbackTxn = Number(fallbackAmountTxn);
+  const fallbackBase = Number(fallbackAmountBase);
+  if (fallbackTxn > 0 && fallbackBase > 0) {
+    return fallbackBase / fallbackTxn;
+  }
+  return null;
+}
+
+function assertLineTotalMatchesAmountTxn(amountTxn, lineAmounts) {
+  if (amountTxn === undefined || amountTxn === null) {
+    return;
+  }
+  if (!amountsAreEqual(amountTxn, lineAmounts.amountTxn, AMOUNT_BALANCE_EPSILON)) {
+    throw badRequest(
+      `amountTxn must equal the document lines total (${lineAmounts.amountTxn.toFixed(2)})`
+    );
+  }
+}
+
+function mapDocumentWithLines(row, lineRows) {
+  return {
+    ...mapDocumentRow(row),
+    lines: (lineRows || []).map(mapDocumentLineRow),
+  };
+}
+
+function splitDeductibleAmount(taxAmount, deductiblePct) {
+  const deductible = roundTaxAmount((taxAmount * Math.min(Math.max(deductiblePct, 0), 100)) / 100);
+  return { deductible, nonDeductible: roundTaxAmount(taxAmount - deductible) };
+}
+
+// One offset entry per account bucket: net by (account, tax code, unit, dimensions), VAT by
+// (VAT account, tax code) and non-deductible VAT back onto the line's account.
+function buildCariLineOffsetEntries({ documentLines, offsetAccountId, lineDescription }) {
+  const buckets = new Map();
+  const addToBucket = (key, entry, amountTxn, amountBase) => {
+    const bucket = buckets.get(key) || { ...entry, amountTxn: 0, amountBase: 0 };
+    bucket.amountTxn = roundDocumentAmount(bucket.amountTxn + amountTxn);
+    bucket.amountBase = roundDocumentAmount(bucket.amountBase + amountBase);
+    buckets.set(key, bucket);
+  };
+
+  for (const line of documentLines) {
+    const accountId = line.accountId || offsetAccountId;
+    const operatingUnitId = line.operatingUnitId || null;
+    const dimensions = line.dimensions || [];
+    const dimensionSignature = buildDimensionSignature(dimensions);
+    addToBucket(
+      `NET|${accountId}|${line.taxCode || ""}|${operatingUnitId || ""}|${dimensionSignature}`,
+      { accountId, taxCode: line.taxCode, operatingUnitId, dimensions, description: lineDescription },
+      line.netAmountTxn,
+      line.netAmountBase
+    );
+    if (!line.taxCode) {
+      continue;
+    }
+    const txnSplit = splitDeductibleAmount(line.taxAmountTxn, line.deductiblePct);
+    const baseSplit = splitDeductibleAmount(line.taxAmountBase, line.deductiblePct);
+    addToBucket(
+      `TAX|${line.taxAccountId}|${line.taxCode}`,
+      {
+        accountId: line.taxAccountId,
+        taxCode: line.taxCode,
+        operatingUnitId: null,
+        description: `${lineDescription} VAT ${line.taxCode}`,
+      },
+      txnSplit.deductible,
+      baseSplit.deductible
+    );
+    addToBucket(
+      `NONDED|${accountId}|${line.taxCode}|${operatingUnitId || ""}|${dimensionSignature}`,
+      {
+        accountId,
+        taxCode: null,
+        operatingUnitId,
+        dimensions,
+        description: `${lineDescription} non-deductible VAT ${line.taxCode}`,
+      },
+      txnSplit.nonDeductible,
+      baseSplit.nonDeductible
+    );
+  }
+
+  return [...buckets.values()];
+}
+
 function buildCariPostingLines({
   direction,
   documentType,
@@ -771,6 +1309,8 @@ function buildCariPostingLines({
   lineDescription,
   subledgerReferenceNo,
   currencyCode,
+  taxSplit = null,
+  documentLines = null,
 }) {
   const normalizedDirection = normalizeUpperText(direction);
   const normalizedType = normalizeUpperText(documentType);
@@ -779,39 +1319,87 @@ function buildCariPostingLines({
   const postingAmountBase = normalizeAmount(amountBase, "amountBase");
 
   const isPositiveSign = POSITIVE_SIGN_DOCUMENT_TYPES.has(normalizedType);
-  let debitAccountId = null;
-  let creditAccountId = null;
-
+  let controlOnDebit = false;
   if (normalizedDirection === "AR") {
-    debitAccountId = isPositiveSign ? controlAccountId : offsetAccountId;
-    creditAccountId = isPositiveSign ? offsetAccountId : controlAccountId;
+    controlOnDebit = isPositiveSign;
   } else if (normalizedDirection === "AP") {
-    debitAccountId = isPositiveSign ? offsetAccountId : controlAccountId;
-    creditAccountId = isPositiveSign ? controlAccountId : offsetAccountId;
+    controlOnDebit = !isPositiveSign;
   } else {
     throw badRequest("direction must be AR or AP");
   }
 
-  const lines = [
-    {
-      accountId: parsePositiveInt(debitAccountId),
-      debitBase: postingAmountBase,
-      creditBase: 0,
-      amountTxn: postingAmountTxn,
-      description: toNullableString(lineDescription, 255),
+  const hasPostingAmount = (entry) =>
+    Math.abs(Number(entry.amountTxn || 0)) > AMOUNT_BALANCE_EPSILON ||
+    Math.abs(Number(entry.amountBase || 0)) > AMOUNT_BALANCE_EPSILON;
+  const offsetEntries = documentLines?.length
+    ? buildCariLineOffsetEntries({ documentLines, offsetAccountId, lineDescription }).filter(
+        hasPostingAmount
+      )
+    : taxSplit
+    ? [
+        {
+          accountId: offsetAccountId,
+          amountTxn: taxSplit.netAmountTxn,
+          amountBase: taxSplit.netAmountBase,
+          taxCode: taxSplit.taxCode,
+          description: lineDescription,
+        },
+        {
+          accountId: taxSplit.taxAccountId,
+          amountTxn: taxSplit.deductibleTaxAmountTxn,
+          amountBase: taxSplit.deductibleTaxAmountBase,
+          taxCode: taxSplit.taxCode,
+          description: `${lineDescription} VAT ${taxSplit.taxCode}`,
+        },
+        {
+          accountId: offsetAccountId,
+          amountTxn: taxSplit.nonDeductibleTaxAmountTxn,
+          amountBase: taxSplit.nonDeductibleTaxAmountBase,
+          taxCode: null,
+          description: `${lineDescription} non-deductible VAT ${taxSplit.taxCode}`,
+        },
+      ].filter(hasPostingAmount)
+    : [
+        {
+          accountId: offsetAccountId,
+          amountTxn: postingAmountTxn,
+          amountBase: postingAmountBase,
+          taxCode: null,
+          description: lineDescription,
+        },
+      ];
+
+  const toPostingLine = (entry, isDebit) => {
+    const lineAmountTxn = normalizeAmount(entry.amountTxn, "amountTxn", { allowZero: true });
+    const lineAmountBase = normalizeAmount(entry.amountBase, "amountBase", { allowZero: true });
+    return {
+      accountId: parsePositiveInt(entry.accountId),
+      operatingUnitId: parsePositiveInt(entry.operatingUnitId) || null,
+      debitBase: isDebit ? lineAmountBase : 0,
+      creditBase: isDebit ? 0 : lineAmountBase,
+      amountTxn: isDebit
+        ? lineAmountTxn
+        : Number((lineAmountTxn * -1).toFixed(AMOUNT_PRECISION_SCALE)),
+      description: toNullableString(entry.description, 255),
       subledgerReferenceNo: toNullableString(subledgerReferenceNo, 100),
       currencyCode: normalizedCurrency,
-    },
+      taxCode: entry.taxCode || null,
+      dimensions: entry.dimensions || [],
+    };
+  };
+
+  const controlLine = toPostingLine(
     {
-      accountId: parsePositiveInt(creditAccountId),
-      debitBase: 0,
-      creditBase: postingAmountBase,
-      amountTxn: Number((postingAmountTxn * -1).toFixed(AMOUNT_PRECISION_SCALE)),
-      description: toNullableString(lineDescription, 255),
-      subledgerReferenceNo: toNullableString(subledgerReferenceNo, 100),
-      currencyCode: normalizedCurrency,
+      accountId: controlAccountId,
+      amountTxn: postingAmountTxn,
+      amountBase: postingAmountBase,
+      taxCode: null,
+      description: lineDescription,
     },
-  ];
+    controlOnDebit
+  );
+  const offsetLines = offsetEntries.map((entry) => toPostingLine(entry, !controlOnDebit));
+  const lines = controlOnDebit ? [controlLine, ...offsetLines] : [...offsetLines, controlLine];
 
   for (const [index, line] of lines.entries()) {
     if (!line.accountId) {
@@ -885,20 +1473,27 @@ async function insertPostedJournalWithLinesTx(tx, payload) {
           credit_base,
           tax_code
        )
-       VALUES (?, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?, NULL)`,
+       VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?)`,
       [
         journalEntryId,
         i + 1,
         parsePositiveInt(line.accountId),
+        parsePositiveInt(line.operatingUnitId) || null,
         line.description || null,
         line.subledgerReferenceNo || null,
         line.currencyCode,
         normalizeSignedAmount(line.amountTxn, `line[${i}].amountTxn`),
         normalizeAmount(line.debitBase, `line[${i}].debitBase`, { allowZero: true }),
         normalizeAmount(line.creditBase, `line[${i}].creditBase`, { allowZero: true }),
+        toNullableString(line.taxCode, 40),
       ]
     );
   }
+  await insertJournalLineDimensionsTx(tx, {
+    tenantId: payload.tenantId,
+    journalEntryId,
+    lines: payload.lines,
+  });
 
   return {
     journalEntryId,
@@ -1250,20 +1845,28 @@ export async function getCariDocumentByIdForTenant({
     throw badRequest("Document not found");
   }
   assertScopeAccess(req, "legal_entity", row.legal_entity_id, "documentId");
-  return mapDocumentRow(row);
+  const lineRows = await fetchDocumentLineRows({ tenantId, documentId });
+  return mapDocumentWithLines(row, lineRows);
 }
 
+// afterCreateTx(tx, document) runs inside the draft transaction, so callers can link the new
+// draft to their own rows atomically with it.
 export async function createCariDraftDocument({
   req,
   payload,
   assertScopeAccess,
+  afterCreateTx = null,
 }) {
   const tenantId = payload.tenantId;
   const legalEntityId = payload.legalEntityId;
   const counterpartyId = payload.counterpartyId;
 
   assertFrozenTransactionType(payload.direction, payload.documentType);
-  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+  const legalEntity = await assertLegalEntityBelongsToTenant(
+    tenantId,
+    legalEntityId,
+    "legalEntityId"
+  );
   assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
   await assertCurrencyExists(payload.currencyCode, "currencyCode");
 
@@ -1300,6 +1903,44 @@ export async function createCariDraftDocument({
       dueDate: resolvedDueDate,
     });
 
+    const lineAmounts = payload.lines?.length
+      ? await resolveCariDocumentLineAmounts({
+          tenantId,
+          legalEntityId,
+          direction: payload.direction,
+          documentType: payload.documentType,
+          documentDate: payload.documentDate,
+          defaultTaxCode: payload.taxCode,
+          lines: payload.lines,
+          amountBase: payload.amountBase,
+          baseFactor: resolveDocumentLineBaseFactor({
+            functionalCurrencyCode: legalEntity.functional_currency_code,
+            currencyCode: payload.currencyCode,
+            fxRate: payload.fxRate,
+          }),
+          runQuery: tx.query,
+        })
+      : null;
+    if (lineAmounts) {
+      assertLineTotalMatchesAmountTxn(payload.amountTxn, lineAmounts);
+    }
+    const amountTxn = lineAmounts ? lineAmounts.amountTxn : payload.amountTxn;
+    const amountBase = lineAmounts ? lineAmounts.amountBase : payload.amountBase;
+
+    const taxSplit =
+      lineAmounts ||
+      (await resolveCariDocumentTaxSplit({
+        tenantId,
+        legalEntityId,
+        direction: payload.direction,
+        documentType: payload.documentType,
+        taxCode: payload.taxCode,
+        documentDate: payload.documentDate,
+        amountTxn,
+        amountBase,
+        runQuery: tx.query,
+      }));
+
     const draftNumbering = await reserveDraftSequence({
       tenantId,
       legalEntityId,
@@ -1329,6 +1970,13 @@ export async function createCariDraftDocument({
           open_amount_base,
           currency_code,
           fx_rate,
+          tax_code,
+          tax_code_id,
+          tax_rate_pct,
+          net_amount_txn,
+          net_amount_base,
+          tax_amount_txn,
+          tax_amount_base,
           counterparty_code_snapshot,
           counterparty_name_snapshot,
           payment_term_snapshot,
@@ -1336,7 +1984,7 @@ export async function createCariDraftDocument({
           currency_code_snapshot,
           fx_rate_snapshot
        )
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         tenantId,
         legalEntityId,
@@ -1351,12 +1999,19 @@ export async function createCariDraftDocument({
         DRAFT_STATUS,
         payload.documentDate,
         resolvedDueDate,
-        payload.amountTxn,
-        payload.amountBase,
-        payload.amountTxn,
-        payload.amountBase,
+        amountTxn,
+        amountBase,
+        amountTxn,
+        amountBase,
         payload.currencyCode,
         payload.fxRate,
+        taxSplit?.taxCode || null,
+        taxSplit?.taxCodeId || null,
+        taxSplit?.taxRatePct ?? null,
+        taxSplit?.netAmountTxn ?? null,
+        taxSplit?.netAmountBase ?? null,
+        taxSplit?.taxAmountTxn ?? null,
+        taxSplit?.taxAmountBase ?? null,
         counterparty.code,
         counterparty.name,
         paymentTerm?.code || null,
@@ -1369,6 +2024,14 @@ export async function createCariDraftDocument({
     if (!documentId) {
       throw new Error("Document create failed");
     }
+    if (lineAmounts) {
+      await replaceDocumentLinesTx(tx, {
+        tenantId,
+        legalEntityId,
+        documentId,
+        lines: lineAmounts.lines,
+      });
+    }
 
     const row = await fetchDocumentRow({
       tenantId,
@@ -1391,10 +2054,21 @@ export async function createCariDraftDocument({
         direction: row.direction,
         documentType: row.document_type,
         status: row.status,
+        taxCode: row.tax_code || null,
+        lineCount: lineAmounts?.lines.length || 0,
       },
     });
 
-    return mapDocumentRow(row);
+    const lineRows = await fetchDocumentLineRows({
+      tenantId,
+      documentId,
+      runQuery: tx.query,
+    });
+    const document = mapDocumentWithLines(row, lineRows);
+    if (afterCreateTx) {
+      await afterCreateTx(tx, document);
+    }
+    return document;
   });
 
   return created;
@@ -1449,9 +2123,22 @@ export async function updateCariDraftDocumentById({
   const nextCurrencyCode =
     payload.currencyCode === undefined ? existing.currency_code : payload.currencyCode;
   const nextFxRate = payload.fxRate === undefined ? existing.fx_rate : payload.fxRate;
+  const nextTaxCode = payload.taxCode === undefined ? existing.tax_code : payload.taxCode;
+
+  // Omitted lines keep the stored lines; an empty array switches back to a header amount.
+  const existingLineRows = await fetchDocumentLineRows({ tenantId, documentId });
+  const nextLineInputs =
+    payload.lines === undefined ? toDocumentLineInputs(existingLineRows) : payload.lines || [];
+  if (nextLineInputs.length > 0 && payload.lines === undefined && payload.taxCode !== undefined) {
+    throw badRequest("taxCode cannot be changed on a document with lines; update lines instead");
+  }
 
   assertFrozenTransactionType(nextDirection, nextDocumentType);
-  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+  const legalEntity = await assertLegalEntityBelongsToTenant(
+    tenantId,
+    legalEntityId,
+    "legalEntityId"
+  );
   await assertCurrencyExists(nextCurrencyCode, "currencyCode");
 
   const updated = await withTransaction(async (tx) => {
@@ -1491,6 +2178,46 @@ export async function updateCariDraftDocumentById({
       dueDate: resolvedDueDate,
     });
 
+    const lineAmounts = nextLineInputs.length
+      ? await resolveCariDocumentLineAmounts({
+          tenantId,
+          legalEntityId,
+          direction: nextDirection,
+          documentType: nextDocumentType,
+          documentDate: nextDocumentDate,
+          defaultTaxCode: payload.taxCode ?? null,
+          lines: nextLineInputs,
+          amountBase: payload.amountBase ?? null,
+          baseFactor: resolveDocumentLineBaseFactor({
+            functionalCurrencyCode: legalEntity.functional_currency_code,
+            currencyCode: nextCurrencyCode,
+            fxRate: nextFxRate,
+            fallbackAmountTxn: existing.amount_txn,
+            fallbackAmountBase: existing.amount_base,
+          }),
+          runQuery: tx.query,
+        })
+      : null;
+    if (lineAmounts) {
+      assertLineTotalMatchesAmountTxn(payload.amountTxn, lineAmounts);
+    }
+    const amountTxn = lineAmounts ? lineAmounts.amountTxn : nextAmountTxn;
+    const amountBase = lineAmounts ? lineAmounts.amountBase : nextAmountBase;
+
+    const taxSplit =
+      lineAmounts ||
+      (await resolveCariDocumentTaxSplit({
+        tenantId,
+        legalEntityId,
+        direction: nextDirection,
+        documentType: nextDocumentType,
+        taxCode: nextTaxCode,
+        documentDate: nextDocumentDate,
+        amountTxn,
+        amountBase,
+        runQuery: tx.query,
+      }));
+
     let sequenceNamespace = existing.sequence_namespace;
     let fiscalYear = Number(existing.fiscal_year);
     let sequenceNo = Number(existing.sequence_no);
@@ -1533,6 +2260,13 @@ export async function updateCariDraftDocumentById({
            open_amount_base = ?,
            currency_code = ?,
            fx_rate = ?,
+           tax_code = ?,
+           tax_code_id = ?,
+           tax_rate_pct = ?,
+           net_amount_txn = ?,
+           net_amount_base = ?,
+           tax_amount_txn = ?,
+           tax_amount_base = ?,
            counterparty_code_snapshot = ?,
            counterparty_name_snapshot = ?,
            payment_term_snapshot = ?,
@@ -1552,12 +2286,19 @@ export async function updateCariDraftDocumentById({
         documentNo,
         nextDocumentDate,
         resolvedDueDate,
-        nextAmountTxn,
-        nextAmountBase,
-        nextAmountTxn,
-        nextAmountBase,
+        amountTxn,
+        amountBase,
+        amountTxn,
+        amountBase,
         nextCurrencyCode,
         nextFxRate,
+        taxSplit?.taxCode || null,
+        taxSplit?.taxCodeId || null,
+        taxSplit?.taxRatePct ?? null,
+        taxSplit?.netAmountTxn ?? null,
+        taxSplit?.netAmountBase ?? null,
+        taxSplit?.taxAmountTxn ?? null,
+        taxSplit?.taxAmountBase ?? null,
         counterparty.code,
         counterparty.name,
         paymentTerm?.code || null,
@@ -1569,6 +2310,15 @@ export async function updateCariDraftDocumentById({
       ]
     );
 
+    if (payload.lines !== undefined || lineAmounts) {
+      await replaceDocumentLinesTx(tx, {
+        tenantId,
+        legalEntityId,
+        documentId,
+        lines: lineAmounts?.lines || [],
+      });
+    }
+
     const row = await fetchDocumentRow({
       tenantId,
       documentId,
@@ -1592,21 +2342,30 @@ export async function updateCariDraftDocumentById({
           documentType: existing.document_type,
           amountTxn: toDecimalNumber(existing.amount_txn),
           amountBase: toDecimalNumber(existing.amount_base),
+          taxCode: existing.tax_code || null,
           documentDate: existing.document_date,
           dueDate: existing.due_date,
+          lineCount: existingLineRows.length,
         },
         after: {
           direction: row.direction,
           documentType: row.document_type,
           amountTxn: toDecimalNumber(row.amount_txn),
           amountBase: toDecimalNumber(row.amount_base),
+          taxCode: row.tax_code || null,
           documentDate: row.document_date,
           dueDate: row.due_date,
+          lineCount: lineAmounts?.lines.length || 0,
         },
       },
     });
 
-    return mapDocumentRow(row);
+    const lineRows = await fetchDocumentLineRows({
+      tenantId,
+      documentId,
+      runQuery: tx.query,
+    });
+    return mapDocumentWithLines(row, lineRows);
   });
 
   return updated;
@@ -1791,9 +2550,57 @@ export async function postCariDocumentById({
       runQuery: tx.query,
     });
 
-    const amountTxn = normalizeAmount(lockedDocument.amount_txn, "amountTxn");
-    const amountBase = normalizeAmount(lockedDocument.amount_base, "amountBase");
+    const draftLineRows = await fetchDocumentLineRows({
+      tenantId,
+      documentId,
+      runQuery: tx.query,
+    });
+    // Line amounts are recomputed against the tax code version effective at post time.
+    const lineAmounts = draftLineRows.length
+      ? await resolveCariDocumentLineAmounts({
+          tenantId,
+          legalEntityId: lockedLegalEntityId,
+          direction,
+          documentType,
+          documentDate,
+          lines: toDocumentLineInputs(draftLineRows),
+          baseFactor:
+            toDecimalNumber(lockedDocument.amount_base) /
+            toDecimalNumber(lockedDocument.amount_txn),
+          requirePostingAccount: true,
+          fallbackAccountId: postingAccounts.offsetAccountId,
+          runQuery: tx.query,
+        })
+      : null;
+    const amountTxn = lineAmounts
+      ? lineAmounts.amountTxn
+      : normalizeAmount(lockedDocument.amount_txn, "amountTxn");
+    const amountBase = lineAmounts
+      ? lineAmounts.amountBase
+      : normalizeAmount(lockedDocument.amount_base, "amountBase");
     const subledgerReferenceNo = `${CARI_SUBLEDGER_REFERENCE_PREFIX}${documentId}`;
+    const taxSplit =
+      lineAmounts ||
+      (await resolveCariDocumentTaxSplit({
+        tenantId,
+        legalEntityId: lockedLegalEntityId,
+        direction,
+        documentType,
+        taxCode: lockedDocument.tax_code,
+        documentDate,
+        amountTxn,
+        amountBase,
+        requirePostingAccount: true,
+        runQuery: tx.query,
+      }));
+    if (lineAmounts) {
+      await replaceDocumentLinesTx(tx, {
+        tenantId,
+        legalEntityId: lockedLegalEntityId,
+        documentId,
+        lines: lineAmounts.lines,
+      });
+    }
 
     const postingLines = buildCariPostingLines({
       direction,
@@ -1805,6 +2612,8 @@ export async function postCariDocumentById({
       lineDescription: `Cari ${direction} ${documentType} ${postedNumbering.documentNo}`,
       subledgerReferenceNo,
       currencyCode,
+      taxSplit: lineAmounts ? null : taxSplit,
+      documentLines: lineAmounts?.lines || null,
     });
 
     const journalContext = await resolveBookAndOpenPeriodForDate({
@@ -1847,6 +2656,13 @@ export async function postCariDocumentById({
            open_amount_txn = ?,
            open_amount_base = ?,
            fx_rate = ?,
+           tax_code = ?,
+           tax_code_id = ?,
+           tax_rate_pct = ?,
+           net_amount_txn = ?,
+           net_amount_base = ?,
+           tax_amount_txn = ?,
+           tax_amount_base = ?,
            counterparty_code_snapshot = ?,
            counterparty_name_snapshot = ?,
            payment_term_snapshot = ?,
@@ -1870,6 +2686,13 @@ export async function postCariDocumentById({
         amountTxn,
         amountBase,
         fxPolicy.effectiveFxRate,
+        taxSplit?.taxCode || null,
+        taxSplit?.taxCodeId || null,
+        taxSplit?.taxRatePct ?? null,
+        taxSplit?.netAmountTxn ?? null,
+        taxSplit?.netAmountBase ?? null,
+        taxSplit?.taxAmountTxn ?? null,
+        taxSplit?.taxAmountBase ?? null,
         counterparty.code,
         counterparty.name,
         paymentTermSnapshot,
@@ -1926,6 +2749,11 @@ export async function postCariDocumentById({
     if (!row) {
       throw new Error("Document post readback failed");
     }
+    const postedLineRows = await fetchDocumentLineRows({
+      tenantId,
+      documentId,
+      runQuery: tx.query,
+    });
 
     await insertAuditLog({
       req,
@@ -1944,6 +2772,8 @@ export async function postCariDocumentById({
         postedJournalEntryId: journalResult.journalEntryId,
         subledgerReferenceNo,
         fxRate: fxPolicy.effectiveFxRate,
+        taxCode: taxSplit?.taxCode || null,
+        taxAmountBase: taxSplit?.taxAmountBase ?? null,
       },
     });
 
@@ -1971,7 +2801,7 @@ export async function postCariDocumentById({
     }
 
     return {
-      row: mapDocumentRow(row),
+      row: mapDocumentWithLines(row, postedLineRows),
       journal: {
         journalEntryId: journalResult.journalEntryId,
         bookId: journalContext.bookId,
@@ -2073,6 +2903,7 @@ export async function reverseCariPostedDocumentById({
       const reversalSubledgerReferenceNo = `${CARI_SUBLEDGER_REVERSE_REFERENCE_PREFIX}${documentId}`;
       const reversalLines = originalJournalLines.map((line) => ({
         accountId: parsePositiveInt(line.account_id),
+        operatingUnitId: parsePositiveInt(line.operating_unit_id) || null,
         debitBase: Number(line.credit_base || 0),
         creditBase: Number(line.debit_base || 0),
         amountTxn: Number((Number(line.amount_txn || 0) * -1).toFixed(AMOUNT_PRECISION_SCALE)),
@@ -2081,6 +2912,7 @@ export async function reverseCariPostedDocumentById({
           : `Reversal of ${original.document_no || `DOC-${documentId}`}`,
         subledgerReferenceNo: reversalSubledgerReferenceNo,
         currencyCode: normalizeUpperText(line.currency_code || original.currency_code),
+        taxCode: line.tax_code || null,
       }));
       ensureBalancedJournalLines(reversalLines);
 
@@ -2101,6 +2933,11 @@ export async function reverseCariPostedDocumentById({
         referenceNo: toNullableString(`REV:${original.document_no || documentId}`, 100),
         lines: reversalLines,
       });
+      await copyJournalLineDimensionsTx(tx, {
+        tenantId,
+        sourceJournalEntryId: parsePositiveInt(originalJournal.id),
+        targetJournalEntryId: reversalJournalResult.journalEntryId,
+      });
 
       const reverseJournalUpdateResult = await tx.query(
         `UPDATE journal_entries
@@ -2155,6 +2992,13 @@ export async function reverseCariPostedDocumentById({
             open_amount_base,
             currency_code,
             fx_rate,
+            tax_code,
+            tax_code_id,
+            tax_rate_pct,
+            net_amount_txn,
+            net_amount_base,
+            tax_amount_txn,
+            tax_amount_base,
             counterparty_code_snapshot,
             counterparty_name_snapshot,
             payment_term_snapshot,
@@ -2166,7 +3010,7 @@ export async function reverseCariPostedDocumentById({
             posted_at,
             reversed_at
          )
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0.000000, 0.000000, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0.000000, 0.000000, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
         [
           tenantId,
           lockedLegalEntityId,
@@ -2185,6 +3029,13 @@ export async function reverseCariPostedDocumentById({
           normalizeAmount(original.amount_base, "amountBase"),
           normalizeUpperText(original.currency_code),
           normalizeOptionalPositiveDecimal(original.fx_rate, "fxRate"),
+          original.tax_code || null,
+          parsePositiveInt(original.tax_code_id),
+          toDecimalNumber(original.tax_rate_pct),
+          toDecimalNumber(original.net_amount_txn),
+          toDecimalNumber(original.net_amount_base),
+          toDecimalNumber(original.tax_amount_txn),
+          toDecimalNumber(original.tax_amount_base),
           original.counterparty_code_snapshot,
           original.counterparty_name_snapshot,
           original.payment_term_snapshot,
@@ -2202,6 +3053,60 @@ export async function reverseCariPostedDocumentById({
         throw new Error("Reversal document create failed");
       }
 
+      await tx.query(
+        `INSERT INTO cari_document_lines (
+            tenant_id,
+            legal_entity_id,
+            document_id,
+            line_no,
+            description,
+            quantity,
+            unit_price,
+            discount_pct,
+            tax_code,
+            tax_code_id,
+            tax_rate_pct,
+            account_id,
+            operating_unit_id,
+            net_amount_txn,
+            tax_amount_txn,
+            gross_amount_txn,
+            net_amount_base,
+            tax_amount_base,
+            gross_amount_base
+         )
+         SELECT
+           tenant_id,
+           legal_entity_id,
+           ?,
+           line_no,
+           description,
+           quantity,
+           unit_price,
+           discount_pct,
+           tax_code,
+           tax_code_id,
+           tax_rate_pct,
+           account_id,
+           operating_unit_id,
+           net_amount_txn,
+           tax_amount_txn,
+           gross_amount_txn,
+           net_amount_base,
+           tax_amount_base,
+           gross_amount_base
+         FROM cari_document_lines
+         WHERE tenant_id = ?
+           AND document_id = ?
+         ORDER BY line_no ASC`,
+        [reversalDocumentId, tenantId, documentId]
+      );
+      await copyCariDocumentLineDimensionsTx(tx, {
+        tenantId,
+        sourceDocumentId: documentId,
+        targetDocumentId: reversalDocumentId,
+      });
+
       await tx.query(
         `UPDATE cari_documents
          SET status = ?,
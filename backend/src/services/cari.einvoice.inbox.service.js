@@ -0,0 +1,1143 @@
+import crypto from "node:crypto";
+import { query } from "../db.js";
+import { assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  buildOffsetPaginationResult,
+  resolveOffsetPagination,
+} from "../utils/pagination.js";
+import { createCariDraftDocument } from "./cari.document.service.js";
+import { createCounterparty } from "./cari.counterparty.service.js";
+import { assertTaxAccountUsable } from "./gl.tax-codes.service.js";
+import { parseUblTrInvoiceXml } from "./cari.parsers.ublTr.js";
+
+const SUPPORTED_INVOICE_TYPE_CODES = new Set(["SATIS", "ISTISNA"]);
+const CLOSED_INBOX_STATUSES = new Set(["DRAFT_CREATED", "DISMISSED"]);
+const AMOUNT_TOLERANCE = 0.01;
+
+function toDecimalNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function conflictError(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function roundMoney(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+function toAmountString(value) {
+  return Number(value || 0).toFixed(6);
+}
+
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function normalizeTaxId(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+function normalizeKeyword(value) {
+  return String(value || "")
+    .trim()
+    .toLocaleUpperCase("tr-TR");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value ?? ""), "utf8").digest("hex");
+}
+
+function parseJsonColumn(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === "object") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return JSON.stringify({
+      serializationError: "payload_json could not be serialized",
+    });
+  }
+}
+
+function resolveClientIp(req) {
+  const forwardedFor = String(req?.headers?.["x-forwarded-for"] || "").trim();
+  if (forwardedFor) {
+    const firstIp = forwardedFor
+      .split(",")
+      .map((segment) => segment.trim())
+      .find(Boolean);
+    if (firstIp) {
+      return firstIp.slice(0, 64);
+    }
+  }
+  return String(req?.ip || req?.socket?.remoteAddress || "unknown").slice(0, 64);
+}
+
+async function insertAuditLog({
+  req,
+  runQuery = query,
+  tenantId,
+  userId,
+  action,
+  legalEntityId,
+  inboxId,
+  payload,
+}) {
+  await runQuery(
+    `INSERT INTO audit_logs (
+        tenant_id,
+        user_id,
+        action,
+        resource_type,
+        resource_id,
+        scope_type,
+        scope_id,
+        request_id,
+        ip_address,
+        user_agent,
+        payload_json
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      userId || null,
+      action,
+      "cari_einvoice_inbox",
+      inboxId ? String(inboxId) : null,
+      legalEntityId ? "LEGAL_ENTITY" : null,
+      legalEntityId || null,
+      String(req?.requestId || req?.headers?.["x-request-id"] || "").slice(0, 80) || null,
+      resolveClientIp(req),
+      String(req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+      safeStringify(payload || null),
+    ]
+  );
+}
+
+function mapInboxRow(row, { includeXml = false } = {}) {
+  if (!row) {
+    return null;
+  }
+  const parsed = parseJsonColumn(row.parsed_json);
+  const counterpartyId = parsePositiveInt(row.counterparty_id);
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    ettn: row.ettn,
+    invoiceNo: row.invoice_no,
+    profileId: row.profile_id,
+    invoiceTypeCode: row.invoice_type_code,
+    issueDate: toDateOnly(row.issue_date),
+    dueDate: toDateOnly(row.due_date),
+    currencyCode: row.currency_code,
+    supplierTaxId: row.supplier_tax_id,
+    supplierName: row.supplier_name,
+    lineCount: Number(row.line_count || 0),
+    taxTotalTxn: toDecimalNumber(row.tax_total_txn),
+    payableAmountTxn: toDecimalNumber(row.payable_amount_txn),
+    counterpartyId,
+    counterpartyName: row.counterparty_name || null,
+    documentId: parsePositiveInt(row.document_id),
+    documentNo: row.document_no || null,
+    status: row.status,
+    statusMessage: row.status_message || null,
+    fileName: row.file_name || null,
+    fileChecksum: row.file_checksum,
+    importedByUserId: parsePositiveInt(row.imported_by_user_id),
+    processedByUserId: parsePositiveInt(row.processed_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+    // Payload for POST /cari/counterparties when the supplier VKN is not on file yet.
+    counterpartyProposal:
+      !counterpartyId && row.status === "NEEDS_COUNTERPARTY" && parsed?.supplier
+        ? buildCounterpartyProposal(row, parsed)
+        : null,
+    ...(includeXml ? { xml: row.xml_payload_text, parsed } : {}),
+  };
+}
+
+function mapRuleRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    counterpartyId: parsePositiveInt(row.counterparty_id),
+    itemKeyword: row.item_keyword || null,
+    taxRatePct: toDecimalNumber(row.tax_rate_pct),
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    taxCode: row.tax_code || null,
+    priority: Number(row.priority || 0),
+    status: row.status,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function buildInboxCounterpartyCode({ legalEntityId, taxId }) {
+  const suffix = crypto.randomBytes(2).toString("hex").toUpperCase();
+  return `CP-${legalEntityId}-VKN${taxId}-${suffix}`.slice(0, 60);
+}
+
+function buildCounterpartyProposal(row, parsed) {
+  const supplier = parsed.supplier;
+  const address = supplier.address || null;
+  const addressLine1 = address?.streetName || address?.citySubdivisionName || address?.cityName;
+  return {
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    name: String(supplier.name || "").slice(0, 255),
+    isCustomer: false,
+    isVendor: true,
+    taxId: supplier.taxId,
+    email: supplier.email ? String(supplier.email).slice(0, 255) : null,
+    phone: supplier.phone ? String(supplier.phone).slice(0, 80) : null,
+    notes: `Created from e-invoice ${row.invoice_no} (ETTN ${row.ettn})`,
+    addresses: addressLine1
+      ? [
+          {
+            addressType: "BILLING",
+            addressLine1: String(addressLine1).slice(0, 255),
+            addressLine2: null,
+            city: address.cityName ? String(address.cityName).slice(0, 120) : null,
+            stateRegion: address.citySubdivisionName
+              ? String(address.citySubdivisionName).slice(0, 120)
+              : null,
+            postalCode: address.postalZone ? String(address.postalZone).slice(0, 30) : null,
+            countryId: null,
+            isPrimary: true,
+            status: "ACTIVE",
+          },
+        ]
+      : [],
+  };
+}
+
+const INBOX_SELECT_SQL = `SELECT
+       i.*,
+       cp.name AS counterparty_name,
+       d.document_no
+     FROM cari_einvoice_inbox i
+     LEFT JOIN counterparties cp
+       ON cp.tenant_id = i.tenant_id
+      AND cp.legal_entity_id = i.legal_entity_id
+      AND cp.id = i.counterparty_id
+     LEFT JOIN cari_documents d
+       ON d.tenant_id = i.tenant_id
+      AND d.legal_entity_id = i.legal_entity_id
+      AND d.id = i.document_id`;
+
+async function fetchInboxRow({ tenantId, inboxId, runQuery = query }) {
+  const result = await runQuery(
+    `${INBOX_SELECT_SQL}
+     WHERE i.tenant_id = ?
+       AND i.id = ?
+     LIMIT 1`,
+    [tenantId, inboxId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function fetchRuleRow({ tenantId, ruleId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT r.*, a.code AS account_code
+     FROM cari_einvoice_inbox_rules r
+     JOIN accounts a ON a.id = r.account_id
+     WHERE r.tenant_id = ?
+       AND r.id = ?
+     LIMIT 1`,
+    [tenantId, ruleId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function assertRuleCounterparty({ tenantId, legalEntityId, counterpartyId }) {
+  if (!counterpartyId) {
+    return;
+  }
+  const result = await query(
+    `SELECT id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, counterpartyId]
+  );
+  if (!result.rows?.[0]) {
+    throw badRequest("counterpartyId must belong to legalEntityId");
+  }
+}
+
+async function fetchVendorCounterparty({ tenantId, legalEntityId, counterpartyId }) {
+  const result = await query(
+    `SELECT id, name, is_vendor, status, default_payment_term_id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, counterpartyId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function findVendorCounterpartyByTaxId({ tenantId, legalEntityId, taxId }) {
+  const result = await query(
+    `SELECT id, name, is_vendor, status, default_payment_term_id
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND status = 'ACTIVE'
+       AND REPLACE(REPLACE(REPLACE(COALESCE(tax_id, ''), ' ', ''), '-', ''), '.', '') = ?
+     ORDER BY is_vendor DESC, id ASC`,
+    [tenantId, legalEntityId, taxId]
+  );
+  return result.rows || [];
+}
+
+async function loadActiveRules({ tenantId, legalEntityId }) {
+  const result = await query(
+    `SELECT id, counterparty_id, item_keyword, tax_rate_pct, account_id, tax_code, priority
+     FROM cari_einvoice_inbox_rules
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND status = 'ACTIVE'
+     ORDER BY priority ASC, id ASC`,
+    [tenantId, legalEntityId]
+  );
+  return result.rows || [];
+}
+
+function ruleSpecificity(rule) {
+  return [rule.counterparty_id, rule.item_keyword, rule.tax_rate_pct].filter(
+    (value) => value !== null && value !== undefined && value !== ""
+  ).length;
+}
+
+// Lowest priority wins; on a tie the rule with more criteria (counterparty, keyword, rate) wins.
+export function findMatchingInboxRule(rules, { counterpartyId, description, taxRatePct }) {
+  const normalizedDescription = normalizeKeyword(description);
+  let best = null;
+  for (const rule of rules) {
+    if (rule.counterparty_id && parsePositiveInt(rule.counterparty_id) !== counterpartyId) {
+      continue;
+    }
+    if (rule.item_keyword && !normalizedDescription.includes(normalizeKeyword(rule.item_keyword))) {
+      continue;
+    }
+    if (
+      rule.tax_rate_pct !== null &&
+      rule.tax_rate_pct !== undefined &&
+      Math.abs(Number(rule.tax_rate_pct) - Number(taxRatePct || 0)) > 0.0001
+    ) {
+      continue;
+    }
+    if (
+      !best ||
+      Number(rule.priority) < Number(best.priority) ||
+      (Number(rule.priority) === Number(best.priority) &&
+        ruleSpecificity(rule) > ruleSpecificity(best))
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+async function resolveTaxCodeForRate({ tenantId, legalEntityId, ratePct, asOfDate, cache }) {
+  const cacheKey = Number(ratePct || 0).toFixed(4);
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+  const result = await query(
+    `SELECT code
+     FROM tax_codes
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND status = 'ACTIVE'
+       AND rate_pct = ?
+       AND effective_from <= ?
+       AND (effective_to IS NULL OR effective_to >= ?)
+     ORDER BY (tax_type = 'VAT') DESC, deductible_pct DESC, code ASC
+     LIMIT 1`,
+    [tenantId, legalEntityId, cacheKey, asOfDate, asOfDate]
+  );
+  const code = result.rows?.[0]?.code || null;
+  cache.set(cacheKey, code);
+  return code;
+}
+
+// Keeps the supplier's quantity and price; falls back to net / quantity when the
+// discount cannot be expressed as a percentage that reproduces the line net.
+export function toDraftLinePrice({
+  quantity,
+  unitPrice,
+  allowanceAmount,
+  allowanceFactor,
+  lineExtensionAmount,
+}) {
+  const qty = Number(quantity || 0);
+  const price = Number(unitPrice || 0);
+  const net = roundMoney(lineExtensionAmount);
+  const gross = qty * price;
+
+  let discountPct = 0;
+  if (allowanceFactor !== null && allowanceFactor !== undefined) {
+    discountPct = Number(allowanceFactor) * 100;
+  } else if (allowanceAmount > 0 && gross > 0) {
+    discountPct = (Number(allowanceAmount) / gross) * 100;
+  }
+  discountPct = Math.round(discountPct * 10000) / 10000;
+
+  if (
+    qty > 0 &&
+    discountPct >= 0 &&
+    discountPct <= 100 &&
+    Math.abs(roundMoney(gross * (1 - discountPct / 100)) - net) <= AMOUNT_TOLERANCE
+  ) {
+    return { quantity: qty, unitPrice: price, discountPct };
+  }
+  return { quantity: qty, unitPrice: qty > 0 ? net / qty : net, discountPct: 0 };
+}
+
+async function updateInboxStatus({
+  tenantId,
+  inboxId,
+  status,
+  statusMessage,
+  counterpartyId,
+  documentId = null,
+  userId,
+  runQuery = query,
+}) {
+  await runQuery(
+    `UPDATE cari_einvoice_inbox
+     SET status = ?,
+         status_message = ?,
+         counterparty_id = ?,
+         document_id = COALESCE(?, document_id),
+         processed_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      status,
+      statusMessage ? String(statusMessage).slice(0, 500) : null,
+      counterpartyId || null,
+      documentId,
+      userId || null,
+      tenantId,
+      inboxId,
+    ]
+  );
+}
+
+async function processInboxRow({
+  req,
+  row,
+  userId,
+  counterpartyId: explicitCounterpartyId,
+  assertScopeAccess,
+}) {
+  const tenantId = parsePositiveInt(row.tenant_id);
+  const legalEntityId = parsePositiveInt(row.legal_entity_id);
+  const inboxId = parsePositiveInt(row.id);
+  const parsed = parseJsonColumn(row.parsed_json);
+  if (!parsed) {
+    throw badRequest("Inbox item has no parsed invoice payload");
+  }
+
+  let counterparty = null;
+  const requestedCounterpartyId = explicitCounterpartyId || parsePositiveInt(row.counterparty_id);
+  if (requestedCounterpartyId) {
+    counterparty = await fetchVendorCounterparty({
+      tenantId,
+      legalEntityId,
+      counterpartyId: requestedCounterpartyId,
+    });
+    if (!counterparty) {
+      throw badRequest("counterpartyId must belong to the inbox legal entity");
+    }
+  } else {
+    const matches = await findVendorCounterpartyByTaxId({
+      tenantId,
+      legalEntityId,
+      taxId: parsed.supplier.taxId,
+    });
+    counterparty = matches[0] || null;
+  }
+
+  if (!counterparty) {
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "NEEDS_COUNTERPARTY",
+      statusMessage: `No counterparty with tax_id ${parsed.supplier.taxId}; create the vendor card or link one`,
+      counterpartyId: null,
+      userId,
+    });
+    return;
+  }
+  const counterpartyId = parsePositiveInt(counterparty.id);
+  if (!(counterparty.is_vendor === true || Number(counterparty.is_vendor) === 1)) {
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "NEEDS_COUNTERPARTY",
+      statusMessage: `Counterparty ${counterparty.name} is not flagged as a vendor`,
+      counterpartyId,
+      userId,
+    });
+    return;
+  }
+
+  const rules = await loadActiveRules({ tenantId, legalEntityId });
+  const taxCodeCache = new Map();
+  const unresolvedRates = new Set();
+  const lines = [];
+  for (const line of parsed.lines) {
+    const rule = findMatchingInboxRule(rules, {
+      counterpartyId,
+      description: line.description,
+      taxRatePct: line.taxRatePct,
+    });
+    let taxCode = rule?.tax_code || null;
+    if (!taxCode && Number(line.taxRatePct || 0) !== 0) {
+      // eslint-disable-next-line no-await-in-loop
+      taxCode = await resolveTaxCodeForRate({
+        tenantId,
+        legalEntityId,
+        ratePct: line.taxRatePct,
+        asOfDate: parsed.issueDate,
+        cache: taxCodeCache,
+      });
+      if (!taxCode) {
+        unresolvedRates.add(Number(line.taxRatePct));
+      }
+    }
+    const price = toDraftLinePrice(line);
+    lines.push({
+      description: String(line.description || `Line ${line.lineNo}`).slice(0, 255),
+      quantity: toAmountString(price.quantity),
+      unitPrice: toAmountString(price.unitPrice),
+      discountPct: toAmountString(price.discountPct),
+      taxCode,
+      accountId: parsePositiveInt(rule?.account_id),
+      operatingUnitId: null,
+    });
+  }
+
+  if (unresolvedRates.size > 0) {
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "NEEDS_MAPPING",
+      statusMessage: `No ACTIVE tax code for KDV ${[...unresolvedRates].join("%, ")}% on ${parsed.issueDate}; add a tax code or a mapping rule with taxCode`,
+      counterpartyId,
+      userId,
+    });
+    return;
+  }
+
+  const dueDate = parsed.dueDate || null;
+  const payable = roundMoney(parsed.totals?.payableAmount);
+  // The draft and the DRAFT_CREATED link commit together; the locked row check makes a retry
+  // (or a concurrent /process) fail instead of creating a second draft for the same invoice.
+  const linkDraftTx = async (tx, document) => {
+    const lockResult = await tx.query(
+      `SELECT document_id
+       FROM cari_einvoice_inbox
+       WHERE tenant_id = ?
+         AND id = ?
+       FOR UPDATE`,
+      [tenantId, inboxId]
+    );
+    if (parsePositiveInt(lockResult.rows?.[0]?.document_id)) {
+      throw conflictError(`Inbox item ${inboxId} already has a draft document`);
+    }
+    const draftTotal = roundMoney(document.amountTxn);
+    const statusMessage =
+      Math.abs(draftTotal - payable) > AMOUNT_TOLERANCE * Math.max(parsed.lines.length, 1)
+        ? `Draft total ${draftTotal.toFixed(2)} differs from invoice payable ${payable.toFixed(2)}; review before posting`
+        : null;
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "DRAFT_CREATED",
+      statusMessage,
+      counterpartyId,
+      documentId: parsePositiveInt(document.id),
+      userId,
+      runQuery: tx.query,
+    });
+    await insertAuditLog({
+      req,
+      runQuery: tx.query,
+      tenantId,
+      userId,
+      action: "cari.einvoice.inbox.draft",
+      legalEntityId,
+      inboxId,
+      payload: {
+        ettn: row.ettn,
+        invoiceNo: row.invoice_no,
+        documentId: document.id,
+        documentNo: document.documentNo,
+        amountTxn: document.amountTxn,
+        payableAmountTxn: payable,
+      },
+    });
+  };
+
+  try {
+    await createCariDraftDocument({
+      req,
+      payload: {
+        tenantId,
+        userId,
+        legalEntityId,
+        counterpartyId,
+        paymentTermId: dueDate ? null : parsePositiveInt(counterparty.default_payment_term_id),
+        direction: "AP",
+        documentType: "INVOICE",
+        documentDate: parsed.issueDate,
+        dueDate: dueDate || (counterparty.default_payment_term_id ? null : parsed.issueDate),
+        amountTxn: null,
+        amountBase: null,
+        currencyCode: parsed.currencyCode,
+        fxRate: parsed.fxRate ? Number(parsed.fxRate).toFixed(10) : null,
+        taxCode: null,
+        lines,
+      },
+      assertScopeAccess,
+      afterCreateTx: linkDraftTx,
+    });
+  } catch (err) {
+    if (Number(err?.status) !== 400) {
+      throw err;
+    }
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "NEEDS_MAPPING",
+      statusMessage: err.message,
+      counterpartyId,
+      userId,
+    });
+  }
+}
+
+export async function resolveCariEinvoiceInboxScope(inboxId, tenantId) {
+  const parsedInboxId = parsePositiveInt(inboxId);
+  if (!parsedInboxId) {
+    return null;
+  }
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM cari_einvoice_inbox
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, parsedInboxId]
+  );
+  const legalEntityId = parsePositiveInt(result.rows?.[0]?.legal_entity_id);
+  return legalEntityId ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId } : null;
+}
+
+export async function resolveCariEinvoiceInboxRuleScope(ruleId, tenantId) {
+  const parsedRuleId = parsePositiveInt(ruleId);
+  if (!parsedRuleId) {
+    return null;
+  }
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM cari_einvoice_inbox_rules
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, parsedRuleId]
+  );
+  const legalEntityId = parsePositiveInt(result.rows?.[0]?.legal_entity_id);
+  return legalEntityId ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId } : null;
+}
+
+export async function listCariEinvoiceInbox({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["i.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "i.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("i.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.status) {
+    conditions.push("i.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.supplierTaxId) {
+    conditions.push("i.supplier_tax_id = ?");
+    params.push(filters.supplierTaxId);
+  }
+  if (filters.q) {
+    conditions.push("(i.invoice_no LIKE ? OR i.supplier_name LIKE ? OR i.ettn LIKE ?)");
+    const like = `%${filters.q}%`;
+    params.push(like, like, like);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM cari_einvoice_inbox i
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const pagination = resolveOffsetPagination(filters, {
+    defaultLimit: 100,
+    defaultOffset: 0,
+    maxLimit: 300,
+  });
+
+  const rowsResult = await query(
+    `${INBOX_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY i.id DESC
+     LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+    params
+  );
+
+  return buildOffsetPaginationResult({
+    rows: (rowsResult.rows || []).map((row) => mapInboxRow(row)),
+    total,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+}
+
+export async function getCariEinvoiceInboxItemById({
+  req,
+  tenantId,
+  inboxId,
+  includeXml = false,
+  assertScopeAccess,
+}) {
+  const row = await fetchInboxRow({ tenantId, inboxId });
+  if (!row) {
+    throw badRequest("Inbox item not found");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "inboxId");
+  return mapInboxRow(row, { includeXml });
+}
+
+export async function importCariEinvoiceToInbox({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const legalEntityId = payload.legalEntityId;
+  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+  assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+
+  let parsed;
+  try {
+    parsed = parseUblTrInvoiceXml(payload.xmlText);
+  } catch (err) {
+    throw badRequest(`UBL-TR parse failed: ${err.message}`);
+  }
+
+  if (!SUPPORTED_INVOICE_TYPE_CODES.has(parsed.invoiceTypeCode)) {
+    throw badRequest(
+      `InvoiceTypeCode ${parsed.invoiceTypeCode} is not supported by the inbox; key it manually`
+    );
+  }
+  const legalEntityResult = await query(
+    `SELECT tax_id
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  const legalEntityTaxId = normalizeTaxId(legalEntityResult.rows?.[0]?.tax_id);
+  if (legalEntityTaxId && legalEntityTaxId !== parsed.customer.taxId) {
+    throw badRequest(
+      `Invoice is addressed to ${parsed.customer.schemeId} ${parsed.customer.taxId}, not to legalEntityId ${legalEntityId}`
+    );
+  }
+
+  const duplicateResult = await query(
+    `SELECT id, legal_entity_id, status, ettn, invoice_no
+     FROM cari_einvoice_inbox
+     WHERE tenant_id = ?
+       AND (
+         ettn = ?
+         OR (legal_entity_id = ? AND supplier_tax_id = ? AND invoice_no = ?)
+       )
+     LIMIT 1`,
+    [tenantId, parsed.ettn, legalEntityId, parsed.supplier.taxId, parsed.invoiceNo]
+  );
+  const duplicate = duplicateResult.rows?.[0] || null;
+  if (duplicate) {
+    const reason =
+      String(duplicate.ettn).toUpperCase() === parsed.ettn
+        ? `ETTN ${parsed.ettn}`
+        : `invoice ${parsed.invoiceNo} from ${parsed.supplier.taxId}`;
+    throw badRequest(
+      `Duplicate e-invoice: ${reason} was already imported (inbox #${duplicate.id}, status ${duplicate.status})`
+    );
+  }
+
+  const xmlText = String(payload.xmlText);
+  let inboxId;
+  try {
+    const insertResult = await query(
+      `INSERT INTO cari_einvoice_inbox (
+          tenant_id,
+          legal_entity_id,
+          ettn,
+          invoice_no,
+          profile_id,
+          invoice_type_code,
+          issue_date,
+          due_date,
+          currency_code,
+          supplier_tax_id,
+          supplier_name,
+          line_count,
+          tax_total_txn,
+          payable_amount_txn,
+          status,
+          file_name,
+          file_checksum,
+          xml_payload_text,
+          parsed_json,
+          imported_by_user_id
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'NEEDS_COUNTERPARTY', ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        parsed.ettn,
+        String(parsed.invoiceNo).slice(0, 40),
+        String(parsed.profileId || "").slice(0, 40),
+        parsed.invoiceTypeCode.slice(0, 20),
+        parsed.issueDate,
+        parsed.dueDate,
+        parsed.currencyCode,
+        parsed.supplier.taxId,
+        String(parsed.supplier.name).slice(0, 255),
+        parsed.lines.length,
+        toAmountString(parsed.totals.taxAmount),
+        toAmountString(parsed.totals.payableAmount),
+        payload.fileName,
+        sha256(xmlText),
+        xmlText,
+        safeStringify(parsed),
+        payload.userId,
+      ]
+    );
+    inboxId = parsePositiveInt(insertResult.rows?.insertId);
+  } catch (err) {
+    if (Number(err?.errno) === 1062) {
+      throw badRequest(`Duplicate e-invoice: ETTN ${parsed.ettn} was already imported`);
+    }
+    throw err;
+  }
+
+  await insertAuditLog({
+    req,
+    tenantId,
+    userId: payload.userId,
+    action: "cari.einvoice.inbox.import",
+    legalEntityId,
+    inboxId,
+    payload: {
+      ettn: parsed.ettn,
+      invoiceNo: parsed.invoiceNo,
+      supplierTaxId: parsed.supplier.taxId,
+      payableAmount: parsed.totals.payableAmount,
+    },
+  });
+
+  // Processing runs after the import has committed; a processing error keeps the imported row
+  // and parks it as FAILED for a retry through /process.
+  const row = await fetchInboxRow({ tenantId, inboxId });
+  try {
+    await processInboxRow({ req, row, userId: payload.userId, assertScopeAccess });
+  } catch (err) {
+    await updateInboxStatus({
+      tenantId,
+      inboxId,
+      status: "FAILED",
+      statusMessage: err?.message || "Inbox processing failed",
+      counterpartyId: null,
+      userId: payload.userId,
+    });
+  }
+  return mapInboxRow(await fetchInboxRow({ tenantId, inboxId }));
+}
+
+async function loadOpenInboxRow({ req, tenantId, inboxId, assertScopeAccess }) {
+  const row = await fetchInboxRow({ tenantId, inboxId });
+  if (!row) {
+    throw badRequest("Inbox item not found");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "inboxId");
+  if (CLOSED_INBOX_STATUSES.has(row.status)) {
+    throw badRequest(`Inbox item is already ${row.status}`);
+  }
+  return row;
+}
+
+export async function processCariEinvoiceInboxItem({ req, payload, assertScopeAccess }) {
+  const row = await loadOpenInboxRow({
+    req,
+    tenantId: payload.tenantId,
+    inboxId: payload.inboxId,
+    assertScopeAccess,
+  });
+  await processInboxRow({
+    req,
+    row,
+    userId: payload.userId,
+    counterpartyId: payload.counterpartyId,
+    assertScopeAccess,
+  });
+  return mapInboxRow(await fetchInboxRow({ tenantId: payload.tenantId, inboxId: payload.inboxId }));
+}
+
+export async function createCounterpartyFromInboxItem({ req, payload, assertScopeAccess }) {
+  const row = await loadOpenInboxRow({
+    req,
+    tenantId: payload.tenantId,
+    inboxId: payload.inboxId,
+    assertScopeAccess,
+  });
+  if (parsePositiveInt(row.counterparty_id)) {
+    throw badRequest("Inbox item is already linked to a counterparty");
+  }
+  const parsed = parseJsonColumn(row.parsed_json);
+  const proposal = buildCounterpartyProposal(row, parsed);
+  const counterparty = await createCounterparty({
+    req,
+    payload: {
+      ...proposal,
+      tenantId: payload.tenantId,
+      userId: payload.userId,
+      code:
+        payload.code ||
+        buildInboxCounterpartyCode({
+          legalEntityId: proposal.legalEntityId,
+          taxId: proposal.taxId,
+        }),
+      name: payload.name || proposal.name,
+      status: "ACTIVE",
+      defaultCurrencyCode: null,
+      defaultPaymentTermId: payload.defaultPaymentTermId || null,
+      arAccountId: null,
+      apAccountId: null,
+      defaultContactId: null,
+      defaultAddressId: null,
+      contacts: [],
+    },
+    assertScopeAccess,
+  });
+
+  await processInboxRow({
+    req,
+    row,
+    userId: payload.userId,
+    counterpartyId: parsePositiveInt(counterparty.id),
+    assertScopeAccess,
+  });
+  return {
+    counterparty,
+    row: mapInboxRow(await fetchInboxRow({ tenantId: payload.tenantId, inboxId: payload.inboxId })),
+  };
+}
+
+export async function dismissCariEinvoiceInboxItem({ req, payload, assertScopeAccess }) {
+  const row = await loadOpenInboxRow({
+    req,
+    tenantId: payload.tenantId,
+    inboxId: payload.inboxId,
+    assertScopeAccess,
+  });
+  await updateInboxStatus({
+    tenantId: payload.tenantId,
+    inboxId: payload.inboxId,
+    status: "DISMISSED",
+    statusMessage: payload.reason,
+    counterpartyId: parsePositiveInt(row.counterparty_id),
+    userId: payload.userId,
+  });
+  await insertAuditLog({
+    req,
+    tenantId: payload.tenantId,
+    userId: payload.userId,
+    action: "cari.einvoice.inbox.dismiss",
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    inboxId: payload.inboxId,
+    payload: { ettn: row.ettn, reason: payload.reason },
+  });
+  return mapInboxRow(await fetchInboxRow({ tenantId: payload.tenantId, inboxId: payload.inboxId }));
+}
+
+export async function listCariEinvoiceInboxRules({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["r.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "r.legal_entity_id", params));
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("r.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.status) {
+    conditions.push("r.status = ?");
+    params.push(filters.status);
+  }
+
+  const result = await query(
+    `SELECT r.*, a.code AS account_code
+     FROM cari_einvoice_inbox_rules r
+     JOIN accounts a ON a.id = r.account_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY r.legal_entity_id ASC, r.priority ASC, r.id ASC`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapRuleRow) };
+}
+
+async function assertRuleTargets({ tenantId, legalEntityId, rule }) {
+  if (rule.accountId) {
+    await assertTaxAccountUsable({
+      tenantId,
+      legalEntityId,
+      accountId: rule.accountId,
+      fieldLabel: "accountId",
+    });
+  }
+  await assertRuleCounterparty({ tenantId, legalEntityId, counterpartyId: rule.counterpartyId });
+}
+
+export async function createCariEinvoiceInboxRule({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const legalEntityId = payload.legalEntityId;
+  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+  assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+  await assertRuleTargets({ tenantId, legalEntityId, rule: payload });
+
+  const insertResult = await query(
+    `INSERT INTO cari_einvoice_inbox_rules (
+        tenant_id,
+        legal_entity_id,
+        counterparty_id,
+        item_keyword,
+        tax_rate_pct,
+        account_id,
+        tax_code,
+        priority,
+        status,
+        created_by_user_id,
+        updated_by_user_id
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      payload.counterpartyId,
+      payload.itemKeyword,
+      payload.taxRatePct,
+      payload.accountId,
+      payload.taxCode,
+      payload.priority,
+      payload.status,
+      payload.userId,
+      payload.userId,
+    ]
+  );
+  const ruleId = parsePositiveInt(insertResult.rows?.insertId);
+  return mapRuleRow(await fetchRuleRow({ tenantId, ruleId }));
+}
+
+export async function updateCariEinvoiceInboxRuleById({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const existing = await fetchRuleRow({ tenantId, ruleId: payload.ruleId });
+  if (!existing) {
+    throw badRequest("Inbox rule not found");
+  }
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "ruleId");
+  await assertRuleTargets({ tenantId, legalEntityId, rule: payload });
+
+  const assignments = [];
+  const params = [];
+  for (const [field, column] of [
+    ["counterpartyId", "counterparty_id"],
+    ["itemKeyword", "item_keyword"],
+    ["taxRatePct", "tax_rate_pct"],
+    ["accountId", "account_id"],
+    ["taxCode", "tax_code"],
+    ["priority", "priority"],
+    ["status", "status"],
+  ]) {
+    if (payload[field] !== undefined) {
+      assignments.push(`${column} = ?`);
+      params.push(payload[field]);
+    }
+  }
+  assignments.push("updated_by_user_id = ?");
+  params.push(payload.userId, tenantId, payload.ruleId);
+
+  await query(
+    `UPDATE cari_einvoice_inbox_rules
+     SET ${assignments.join(", ")}
+     WHERE tenant_id = ?
+       AND id = ?`,
+    params
+  );
+  return mapRuleRow(await fetchRuleRow({ tenantId, ruleId: payload.ruleId }));
+}
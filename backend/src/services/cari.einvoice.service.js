@@ -0,0 +1,1060 @@
+import crypto from "node:crypto";
+import { query, withTransaction } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  buildOffsetPaginationResult,
+  resolveOffsetPagination,
+} from "../utils/pagination.js";
+import { getEInvoiceAdapter } from "./eInvoiceAdapters/index.js";
+
+const EINVOICE_ELIGIBLE_STATUSES = new Set(["POSTED", "PARTIALLY_SETTLED", "SETTLED"]);
+const SUBMITTABLE_STATUSES = new Set(["GENERATED", "FAILED"]);
+const PROVIDER_STATUSES = new Set(["SUBMITTED", "ACCEPTED", "REJECTED", "FAILED"]);
+const DEFAULT_SERIES_PREFIX = "CRI";
+const DEFAULT_PROVIDER_CODE = "MOCK_EINVOICE";
+const UBL_TR_CUSTOMIZATION_ID = "TR1.2";
+const KDV_TAX_TYPE_CODE = "0015";
+const ZERO_RATE_EXEMPTION_CODE = "351";
+const HOME_CURRENCY_CODE = "TRY";
+
+function toDecimalNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeUpperText(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function toTimeOnly(value) {
+  if (value instanceof Date) {
+    return [value.getHours(), value.getMinutes(), value.getSeconds()]
+      .map((part) => String(part).padStart(2, "0"))
+      .join(":");
+  }
+  const match = String(value || "").match(/(\d{2}:\d{2}:\d{2})/);
+  return match ? match[1] : "00:00:00";
+}
+
+function roundMoney(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+function formatMoney(value) {
+  return roundMoney(value).toFixed(2);
+}
+
+function formatDecimal(value, maxScale = 6) {
+  const fixed = Number(value || 0).toFixed(maxScale);
+  const trimmed = fixed.replace(/0+$/, "").replace(/\.$/, "");
+  return trimmed;
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value ?? ""), "utf8").digest("hex");
+}
+
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return JSON.stringify({
+      serializationError: "payload_json could not be serialized",
+    });
+  }
+}
+
+function resolveClientIp(req) {
+  const forwardedFor = String(req?.headers?.["x-forwarded-for"] || "").trim();
+  if (forwardedFor) {
+    const firstIp = forwardedFor
+      .split(",")
+      .map((segment) => segment.trim())
+      .find(Boolean);
+    if (firstIp) {
+      return firstIp.slice(0, 64);
+    }
+  }
+  return String(req?.ip || req?.socket?.remoteAddress || "unknown").slice(0, 64);
+}
+
+// VKN is the 10-digit company tax number, TCKN the 11-digit personal id number.
+export function resolvePartyTaxIdentifier(taxId, label) {
+  const digits = String(taxId || "").replace(/\D/g, "");
+  if (digits.length === 10) {
+    return { schemeId: "VKN", value: digits };
+  }
+  if (digits.length === 11) {
+    return { schemeId: "TCKN", value: digits };
+  }
+  throw badRequest(`${label} tax_id must be a 10-digit VKN or 11-digit TCKN for e-invoicing`);
+}
+
+export function buildEinvoiceNumber({ seriesPrefix, fiscalYear, sequenceNo }) {
+  const prefix = normalizeUpperText(seriesPrefix || DEFAULT_SERIES_PREFIX);
+  if (!/^[A-Z0-9]{3}$/.test(prefix)) {
+    throw badRequest("seriesPrefix must be 3 letters or digits");
+  }
+  const year = Number(fiscalYear);
+  const sequence = Number(sequenceNo);
+  if (!Number.isInteger(year) || !Number.isInteger(sequence) || sequence <= 0) {
+    throw badRequest("Document has no posted sequence number");
+  }
+  return `${prefix}${year}${String(sequence).padStart(9, "0")}`;
+}
+
+function splitPersonName(name) {
+  const parts = String(name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (parts.length <= 1) {
+    return { firstName: parts[0] || "-", familyName: parts[0] || "-" };
+  }
+  return {
+    firstName: parts.slice(0, -1).join(" "),
+    familyName: parts[parts.length - 1],
+  };
+}
+
+function buildPartyXml(party, indent) {
+  const pad = " ".repeat(indent);
+  const lines = [
+    `${pad}<cac:Party>`,
+    `${pad}  <cac:PartyIdentification>`,
+    `${pad}    <cbc:ID schemeID="${party.identifier.schemeId}">${escapeXml(party.identifier.value)}</cbc:ID>`,
+    `${pad}  </cac:PartyIdentification>`,
+  ];
+  if (party.identifier.schemeId === "VKN") {
+    lines.push(
+      `${pad}  <cac:PartyName>`,
+      `${pad}    <cbc:Name>${escapeXml(party.name)}</cbc:Name>`,
+      `${pad}  </cac:PartyName>`
+    );
+  }
+  lines.push(`${pad}  <cac:PostalAddress>`);
+  if (party.address?.streetName) {
+    lines.push(`${pad}    <cbc:StreetName>${escapeXml(party.address.streetName)}</cbc:StreetName>`);
+  }
+  if (party.address?.citySubdivisionName) {
+    lines.push(
+      `${pad}    <cbc:CitySubdivisionName>${escapeXml(party.address.citySubdivisionName)}</cbc:CitySubdivisionName>`
+    );
+  }
+  if (party.address?.cityName) {
+    lines.push(`${pad}    <cbc:CityName>${escapeXml(party.address.cityName)}</cbc:CityName>`);
+  }
+  if (party.address?.postalZone) {
+    lines.push(`${pad}    <cbc:PostalZone>${escapeXml(party.address.postalZone)}</cbc:PostalZone>`);
+  }
+  lines.push(
+    `${pad}    <cac:Country>`,
+    `${pad}      <cbc:Name>${escapeXml(party.address?.countryName || "Turkiye")}</cbc:Name>`,
+    `${pad}    </cac:Country>`,
+    `${pad}  </cac:PostalAddress>`
+  );
+  if (party.taxOfficeName) {
+    lines.push(
+      `${pad}  <cac:PartyTaxScheme>`,
+      `${pad}    <cac:TaxScheme>`,
+      `${pad}      <cbc:Name>${escapeXml(party.taxOfficeName)}</cbc:Name>`,
+      `${pad}    </cac:TaxScheme>`,
+      `${pad}  </cac:PartyTaxScheme>`
+    );
+  }
+  if (party.telephone || party.email) {
+    lines.push(`${pad}  <cac:Contact>`);
+    if (party.telephone) {
+      lines.push(`${pad}    <cbc:Telephone>${escapeXml(party.telephone)}</cbc:Telephone>`);
+    }
+    if (party.email) {
+      lines.push(`${pad}    <cbc:ElectronicMail>${escapeXml(party.email)}</cbc:ElectronicMail>`);
+    }
+    lines.push(`${pad}  </cac:Contact>`);
+  }
+  if (party.identifier.schemeId === "TCKN") {
+    const person = splitPersonName(party.name);
+    lines.push(
+      `${pad}  <cac:Person>`,
+      `${pad}    <cbc:FirstName>${escapeXml(person.firstName)}</cbc:FirstName>`,
+      `${pad}    <cbc:FamilyName>${escapeXml(person.familyName)}</cbc:FamilyName>`,
+      `${pad}  </cac:Person>`
+    );
+  }
+  lines.push(`${pad}</cac:Party>`);
+  return lines;
+}
+
+function buildTaxSubtotalXml({ taxableAmount, taxAmount, percent, currencyCode }, indent) {
+  const pad = " ".repeat(indent);
+  const lines = [
+    `${pad}<cac:TaxSubtotal>`,
+    `${pad}  <cbc:TaxableAmount currencyID="${currencyCode}">${formatMoney(taxableAmount)}</cbc:TaxableAmount>`,
+    `${pad}  <cbc:TaxAmount currencyID="${currencyCode}">${formatMoney(taxAmount)}</cbc:TaxAmount>`,
+    `${pad}  <cbc:Percent>${formatDecimal(percent, 4)}</cbc:Percent>`,
+    `${pad}  <cac:TaxCategory>`,
+  ];
+  if (Number(percent) === 0) {
+    lines.push(
+      `${pad}    <cbc:TaxExemptionReasonCode>${ZERO_RATE_EXEMPTION_CODE}</cbc:TaxExemptionReasonCode>`,
+      `${pad}    <cbc:TaxExemptionReason>KDV - Istisna Olmayan Diger</cbc:TaxExemptionReason>`
+    );
+  }
+  lines.push(
+    `${pad}    <cac:TaxScheme>`,
+    `${pad}      <cbc:Name>KDV</cbc:Name>`,
+    `${pad}      <cbc:TaxTypeCode>${KDV_TAX_TYPE_CODE}</cbc:TaxTypeCode>`,
+    `${pad}    </cac:TaxScheme>`,
+    `${pad}  </cac:TaxCategory>`,
+    `${pad}</cac:TaxSubtotal>`
+  );
+  return lines;
+}
+
+function normalizeInvoiceLines(lines) {
+  return lines.map((line, index) => {
+    const quantity = Number(line.quantity || 1);
+    const unitPrice = Number(line.unitPrice || 0);
+    const netAmount = roundMoney(line.netAmount);
+    const grossLineAmount = roundMoney(quantity * unitPrice);
+    const allowanceAmount = roundMoney(Math.max(grossLineAmount - netAmount, 0));
+    return {
+      lineNo: index + 1,
+      description: line.description,
+      quantity,
+      unitPrice,
+      discountPct: Number(line.discountPct || 0),
+      taxRatePct: Number(line.taxRatePct || 0),
+      netAmount,
+      taxAmount: roundMoney(line.taxAmount),
+      allowanceAmount,
+      allowanceBaseAmount: grossLineAmount,
+    };
+  });
+}
+
+// Builds the unsigned UBL-TR 1.2 invoice; the integrator applies the XAdES signature.
+export function buildUblTrInvoiceXml(invoice) {
+  const currencyCode = normalizeUpperText(invoice.currencyCode);
+  const lines = normalizeInvoiceLines(invoice.lines || []);
+  if (lines.length === 0) {
+    throw badRequest("e-invoice requires at least one line");
+  }
+
+  const subtotalsByRate = new Map();
+  for (const line of lines) {
+    const key = formatDecimal(line.taxRatePct, 4);
+    const subtotal = subtotalsByRate.get(key) || {
+      percent: line.taxRatePct,
+      taxableAmount: 0,
+      taxAmount: 0,
+      currencyCode,
+    };
+    subtotal.taxableAmount = roundMoney(subtotal.taxableAmount + line.netAmount);
+    subtotal.taxAmount = roundMoney(subtotal.taxAmount + line.taxAmount);
+    subtotalsByRate.set(key, subtotal);
+  }
+  const subtotals = [...subtotalsByRate.values()].sort((left, right) => right.percent - left.percent);
+
+  // Posted documents pass their stored totals so the e-invoice ties to the GL posting.
+  const totals = invoice.totals || null;
+  const lineExtensionAmount = roundMoney(
+    totals ? totals.netAmount : lines.reduce((sum, line) => sum + line.netAmount, 0)
+  );
+  const taxTotalAmount = roundMoney(
+    totals ? totals.taxAmount : lines.reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+  const allowanceTotalAmount = roundMoney(
+    lines.reduce((sum, line) => sum + line.allowanceAmount, 0)
+  );
+  const taxInclusiveAmount = roundMoney(
+    totals ? totals.grossAmount : lineExtensionAmount + taxTotalAmount
+  );
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"` +
+      ` xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"` +
+      ` xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"` +
+      ` xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">`,
+    `  <ext:UBLExtensions>`,
+    `    <ext:UBLExtension>`,
+    `      <ext:ExtensionContent/>`,
+    `    </ext:UBLExtension>`,
+    `  </ext:UBLExtensions>`,
+    `  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>`,
+    `  <cbc:CustomizationID>${UBL_TR_CUSTOMIZATION_ID}</cbc:CustomizationID>`,
+    `  <cbc:ProfileID>${escapeXml(invoice.profileId)}</cbc:ProfileID>`,
+    `  <cbc:ID>${escapeXml(invoice.invoiceNo)}</cbc:ID>`,
+    `  <cbc:CopyIndicator>false</cbc:CopyIndicator>`,
+    `  <cbc:UUID>${escapeXml(invoice.ettn)}</cbc:UUID>`,
+    `  <cbc:IssueDate>${escapeXml(invoice.issueDate)}</cbc:IssueDate>`,
+    `  <cbc:IssueTime>${escapeXml(invoice.issueTime || "00:00:00")}</cbc:IssueTime>`,
+    `  <cbc:InvoiceTypeCode>${escapeXml(invoice.invoiceTypeCode || "SATIS")}</cbc:InvoiceTypeCode>`,
+  ];
+  for (const note of invoice.notes || []) {
+    xml.push(`  <cbc:Note>${escapeXml(note)}</cbc:Note>`);
+  }
+  xml.push(
+    `  <cbc:DocumentCurrencyCode>${currencyCode}</cbc:DocumentCurrencyCode>`,
+    `  <cbc:LineCountNumeric>${lines.length}</cbc:LineCountNumeric>`,
+    `  <cac:Signature>`,
+    `    <cbc:ID schemeID="VKN_TCKN">${escapeXml(invoice.supplier.identifier.value)}</cbc:ID>`,
+    `    <cac:SignatoryParty>`,
+    `      <cac:PartyIdentification>`,
+    `        <cbc:ID schemeID="${invoice.supplier.identifier.schemeId}">${escapeXml(invoice.supplier.identifier.value)}</cbc:ID>`,
+    `      </cac:PartyIdentification>`,
+    `      <cac:PostalAddress>`,
+    `        <cac:Country>`,
+    `          <cbc:Name>${escapeXml(invoice.supplier.address?.countryName || "Turkiye")}</cbc:Name>`,
+    `        </cac:Country>`,
+    `      </cac:PostalAddress>`,
+    `    </cac:SignatoryParty>`,
+    `    <cac:DigitalSignatureAttachment>`,
+    `      <cac:ExternalReference>`,
+    `        <cbc:URI>#Signature</cbc:URI>`,
+    `      </cac:ExternalReference>`,
+    `    </cac:DigitalSignatureAttachment>`,
+    `  </cac:Signature>`,
+    `  <cac:AccountingSupplierParty>`,
+    ...buildPartyXml(invoice.supplier, 4),
+    `  </cac:AccountingSupplierParty>`,
+    `  <cac:AccountingCustomerParty>`,
+    ...buildPartyXml(invoice.customer, 4),
+    `  </cac:AccountingCustomerParty>`
+  );
+  if (invoice.dueDate) {
+    xml.push(
+      `  <cac:PaymentMeans>`,
+      `    <cbc:PaymentMeansCode>1</cbc:PaymentMeansCode>`,
+      `    <cbc:PaymentDueDate>${escapeXml(invoice.dueDate)}</cbc:PaymentDueDate>`,
+      `  </cac:PaymentMeans>`
+    );
+  }
+  if (currencyCode !== HOME_CURRENCY_CODE && invoice.fxRate) {
+    xml.push(
+      `  <cac:PricingExchangeRate>`,
+      `    <cbc:SourceCurrencyCode>${currencyCode}</cbc:SourceCurrencyCode>`,
+      `    <cbc:TargetCurrencyCode>${HOME_CURRENCY_CODE}</cbc:TargetCurrencyCode>`,
+      `    <cbc:CalculationRate>${formatDecimal(invoice.fxRate, 6)}</cbc:CalculationRate>`,
+      `  </cac:PricingExchangeRate>`
+    );
+  }
+  xml.push(
+    `  <cac:TaxTotal>`,
+    `    <cbc:TaxAmount currencyID="${currencyCode}">${formatMoney(taxTotalAmount)}</cbc:TaxAmount>`
+  );
+  for (const subtotal of subtotals) {
+    xml.push(...buildTaxSubtotalXml(subtotal, 4));
+  }
+  xml.push(
+    `  </cac:TaxTotal>`,
+    `  <cac:LegalMonetaryTotal>`,
+    `    <cbc:LineExtensionAmount currencyID="${currencyCode}">${formatMoney(lineExtensionAmount)}</cbc:LineExtensionAmount>`,
+    `    <cbc:TaxExclusiveAmount currencyID="${currencyCode}">${formatMoney(lineExtensionAmount)}</cbc:TaxExclusiveAmount>`,
+    `    <cbc:TaxInclusiveAmount currencyID="${currencyCode}">${formatMoney(taxInclusiveAmount)}</cbc:TaxInclusiveAmount>`,
+    `    <cbc:AllowanceTotalAmount currencyID="${currencyCode}">${formatMoney(allowanceTotalAmount)}</cbc:AllowanceTotalAmount>`,
+    `    <cbc:PayableAmount currencyID="${currencyCode}">${formatMoney(taxInclusiveAmount)}</cbc:PayableAmount>`,
+    `  </cac:LegalMonetaryTotal>`
+  );
+  for (const line of lines) {
+    xml.push(
+      `  <cac:InvoiceLine>`,
+      `    <cbc:ID>${line.lineNo}</cbc:ID>`,
+      `    <cbc:InvoicedQuantity unitCode="C62">${formatDecimal(line.quantity)}</cbc:InvoicedQuantity>`,
+      `    <cbc:LineExtensionAmount currencyID="${currencyCode}">${formatMoney(line.netAmount)}</cbc:LineExtensionAmount>`
+    );
+    if (line.allowanceAmount > 0) {
+      xml.push(
+        `    <cac:AllowanceCharge>`,
+        `      <cbc:ChargeIndicator>false</cbc:ChargeIndicator>`,
+        `      <cbc:MultiplierFactorNumeric>${formatDecimal(line.discountPct / 100, 6)}</cbc:MultiplierFactorNumeric>`,
+        `      <cbc:Amount currencyID="${currencyCode}">${formatMoney(line.allowanceAmount)}</cbc:Amount>`,
+        `      <cbc:BaseAmount currencyID="${currencyCode}">${formatMoney(line.allowanceBaseAmount)}</cbc:BaseAmount>`,
+        `    </cac:AllowanceCharge>`
+      );
+    }
+    xml.push(
+      `    <cac:TaxTotal>`,
+      `      <cbc:TaxAmount currencyID="${currencyCode}">${formatMoney(line.taxAmount)}</cbc:TaxAmount>`,
+      ...buildTaxSubtotalXml(
+        {
+          taxableAmount: line.netAmount,
+          taxAmount: line.taxAmount,
+          percent: line.taxRatePct,
+          currencyCode,
+        },
+        6
+      ),
+      `    </cac:TaxTotal>`,
+      `    <cac:Item>`,
+      `      <cbc:Name>${escapeXml(line.description)}</cbc:Name>`,
+      `    </cac:Item>`,
+      `    <cac:Price>`,
+      `      <cbc:PriceAmount currencyID="${currencyCode}">${formatDecimal(line.unitPrice)}</cbc:PriceAmount>`,
+      `    </cac:Price>`,
+      `  </cac:InvoiceLine>`
+    );
+  }
+  xml.push(`</Invoice>`);
+  return `${xml.join("\n")}\n`;
+}
+
+function mapArtifactRow(row, { includeXml = false } = {}) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    documentId: parsePositiveInt(row.document_id),
+    documentNo: row.document_no || null,
+    counterpartyName: row.counterparty_name_snapshot || null,
+    profileId: row.profile_id,
+    invoiceTypeCode: row.invoice_type_code,
+    invoiceNo: row.invoice_no,
+    ettn: row.ettn,
+    fileName: row.file_name,
+    fileChecksum: row.file_checksum,
+    providerCode: row.provider_code || null,
+    submissionStatus: row.submission_status,
+    providerReference: row.provider_reference || null,
+    statusMessage: row.status_message || null,
+    submittedAt: row.submitted_at || null,
+    statusCheckedAt: row.status_checked_at || null,
+    generatedByUserId: parsePositiveInt(row.generated_by_user_id),
+    submittedByUserId: parsePositiveInt(row.submitted_by_user_id),
+    createdAt: row.created_at || null,
+    ...(includeXml ? { xml: row.xml_payload_text } : {}),
+  };
+}
+
+async function insertAuditLog({
+  req,
+  runQuery = query,
+  tenantId,
+  userId,
+  action,
+  legalEntityId,
+  documentId,
+  payload,
+}) {
+  await runQuery(
+    `INSERT INTO audit_logs (
+        tenant_id,
+        user_id,
+        action,
+        resource_type,
+        resource_id,
+        scope_type,
+        scope_id,
+        request_id,
+        ip_address,
+        user_agent,
+        payload_json
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      userId || null,
+      action,
+      "cari_document",
+      documentId ? String(documentId) : null,
+      legalEntityId ? "LEGAL_ENTITY" : null,
+      legalEntityId || null,
+      String(req?.requestId || req?.headers?.["x-request-id"] || "").slice(0, 80) || null,
+      resolveClientIp(req),
+      String(req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+      safeStringify(payload || null),
+    ]
+  );
+}
+
+async function fetchArtifactRow({ tenantId, documentId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `SELECT
+       a.*,
+       d.document_no,
+       d.counterparty_name_snapshot
+     FROM cari_einvoice_artifacts a
+     JOIN cari_documents d
+       ON d.tenant_id = a.tenant_id
+      AND d.legal_entity_id = a.legal_entity_id
+      AND d.id = a.document_id
+     WHERE a.tenant_id = ?
+       AND a.document_id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, documentId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function fetchEinvoiceSourceDocument({ tenantId, documentId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+       d.id,
+       d.tenant_id,
+       d.legal_entity_id,
+       d.counterparty_id,
+       d.direction,
+       d.document_type,
+       d.status,
+       d.document_no,
+       d.fiscal_year,
+       d.sequence_no,
+       d.sequence_namespace,
+       d.document_date,
+       d.due_date,
+       d.currency_code,
+       d.fx_rate,
+       d.amount_txn,
+       d.tax_code,
+       d.tax_rate_pct,
+       d.net_amount_txn,
+       d.tax_amount_txn,
+       d.counterparty_name_snapshot,
+       d.posted_at
+     FROM cari_documents d
+     WHERE d.tenant_id = ?
+       AND d.id = ?
+     LIMIT 1`,
+    [tenantId, documentId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function loadEinvoiceLines({ tenantId, document, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+       line_no,
+       description,
+       quantity,
+       unit_price,
+       discount_pct,
+       tax_rate_pct,
+       net_amount_txn,
+       tax_amount_txn
+     FROM cari_document_lines
+     WHERE tenant_id = ?
+       AND document_id = ?
+     ORDER BY line_no ASC`,
+    [tenantId, document.id]
+  );
+  const lineRows = result.rows || [];
+  if (lineRows.length > 0) {
+    return lineRows.map((row) => ({
+      description: row.description,
+      quantity: toDecimalNumber(row.quantity),
+      unitPrice: toDecimalNumber(row.unit_price),
+      discountPct: toDecimalNumber(row.discount_pct) || 0,
+      taxRatePct: toDecimalNumber(row.tax_rate_pct) || 0,
+      netAmount: toDecimalNumber(row.net_amount_txn),
+      taxAmount: toDecimalNumber(row.tax_amount_txn),
+    }));
+  }
+
+  // Header-only documents become a single line; without a tax code the gross is the net.
+  const netAmount = toDecimalNumber(document.net_amount_txn) ?? toDecimalNumber(document.amount_txn);
+  return [
+    {
+      description: `Cari ${document.document_type} ${document.document_no}`,
+      quantity: 1,
+      unitPrice: netAmount,
+      discountPct: 0,
+      taxRatePct: toDecimalNumber(document.tax_rate_pct) || 0,
+      netAmount,
+      taxAmount: toDecimalNumber(document.tax_amount_txn) || 0,
+    },
+  ];
+}
+
+function buildEinvoiceTotals(document) {
+  const grossAmount = toDecimalNumber(document.amount_txn);
+  return {
+    netAmount: toDecimalNumber(document.net_amount_txn) ?? grossAmount,
+    taxAmount: toDecimalNumber(document.tax_amount_txn) || 0,
+    grossAmount,
+  };
+}
+
+async function loadSupplierParty({ tenantId, legalEntityId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT le.name, le.tax_id, c.name AS country_name
+     FROM legal_entities le
+     JOIN countries c ON c.id = le.country_id
+     WHERE le.tenant_id = ?
+       AND le.id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  const row = result.rows?.[0];
+  if (!row) {
+    throw badRequest("Legal entity not found");
+  }
+  return {
+    name: row.name,
+    identifier: resolvePartyTaxIdentifier(row.tax_id, "Legal entity"),
+    address: { countryName: row.country_name },
+  };
+}
+
+async function loadCustomerParty({ tenantId, legalEntityId, counterpartyId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT cp.name, cp.tax_id, cp.email, cp.phone
+     FROM counterparties cp
+     WHERE cp.tenant_id = ?
+       AND cp.legal_entity_id = ?
+       AND cp.id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, counterpartyId]
+  );
+  const row = result.rows?.[0];
+  if (!row) {
+    throw badRequest("Counterparty not found");
+  }
+
+  const addressResult = await runQuery(
+    `SELECT
+       a.address_line1,
+       a.address_line2,
+       a.city,
+       a.state_region,
+       a.postal_code,
+       c.name AS country_name
+     FROM counterparty_addresses a
+     LEFT JOIN countries c ON c.id = a.country_id
+     WHERE a.tenant_id = ?
+       AND a.legal_entity_id = ?
+       AND a.counterparty_id = ?
+       AND a.status = 'ACTIVE'
+     ORDER BY (a.address_type = 'BILLING') DESC, a.is_primary DESC, a.id ASC
+     LIMIT 1`,
+    [tenantId, legalEntityId, counterpartyId]
+  );
+  const address = addressResult.rows?.[0] || null;
+
+  return {
+    name: row.name,
+    identifier: resolvePartyTaxIdentifier(row.tax_id, "Counterparty"),
+    email: row.email || null,
+    telephone: row.phone || null,
+    address: address
+      ? {
+          streetName: [address.address_line1, address.address_line2].filter(Boolean).join(" "),
+          citySubdivisionName: address.state_region || null,
+          cityName: address.city || null,
+          postalZone: address.postal_code || null,
+          countryName: address.country_name || null,
+        }
+      : null,
+  };
+}
+
+export async function listCariEinvoices({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["a.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "a.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("a.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.submissionStatus) {
+    conditions.push("a.submission_status = ?");
+    params.push(filters.submissionStatus);
+  }
+  if (filters.profileId) {
+    conditions.push("a.profile_id = ?");
+    params.push(filters.profileId);
+  }
+  if (filters.dateFrom) {
+    conditions.push("d.document_date >= ?");
+    params.push(filters.dateFrom);
+  }
+  if (filters.dateTo) {
+    conditions.push("d.document_date <= ?");
+    params.push(filters.dateTo);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const fromSql = `FROM cari_einvoice_artifacts a
+     JOIN cari_documents d
+       ON d.tenant_id = a.tenant_id
+      AND d.legal_entity_id = a.legal_entity_id
+      AND d.id = a.document_id`;
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     ${fromSql}
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const pagination = resolveOffsetPagination(filters, {
+    defaultLimit: 100,
+    defaultOffset: 0,
+    maxLimit: 300,
+  });
+
+  const rowsResult = await query(
+    `SELECT
+       a.id,
+       a.tenant_id,
+       a.legal_entity_id,
+       a.document_id,
+       a.profile_id,
+       a.invoice_type_code,
+       a.invoice_no,
+       a.ettn,
+       a.file_name,
+       a.file_checksum,
+       a.provider_code,
+       a.submission_status,
+       a.provider_reference,
+       a.status_message,
+       a.submitted_at,
+       a.status_checked_at,
+       a.generated_by_user_id,
+       a.submitted_by_user_id,
+       a.created_at,
+       d.document_no,
+       d.counterparty_name_snapshot
+     ${fromSql}
+     WHERE ${whereSql}
+     ORDER BY a.id DESC
+     LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+    params
+  );
+
+  return buildOffsetPaginationResult({
+    rows: (rowsResult.rows || []).map((row) => mapArtifactRow(row)),
+    total,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  });
+}
+
+export async function getCariEinvoiceByDocumentId({
+  req,
+  tenantId,
+  documentId,
+  includeXml = false,
+  assertScopeAccess,
+}) {
+  const row = await fetchArtifactRow({ tenantId, documentId });
+  if (!row) {
+    throw badRequest("e-invoice has not been generated for this document");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "documentId");
+  return mapArtifactRow(row, { includeXml });
+}
+
+export async function generateCariEinvoice({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const documentId = payload.documentId;
+
+  const document = await fetchEinvoiceSourceDocument({ tenantId, documentId });
+  if (!document) {
+    throw badRequest("Document not found");
+  }
+  const legalEntityId = parsePositiveInt(document.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "documentId");
+
+  // The artifact is immutable: a second call returns the stored XML and ETTN unchanged.
+  const existing = await fetchArtifactRow({ tenantId, documentId });
+  if (existing) {
+    return { row: mapArtifactRow(existing), created: false };
+  }
+
+  if (normalizeUpperText(document.direction) !== "AR") {
+    throw badRequest("Only AR documents can be issued as e-invoices");
+  }
+  if (normalizeUpperText(document.document_type) !== "INVOICE") {
+    throw badRequest("Only INVOICE documents can be issued as e-invoices");
+  }
+  if (!EINVOICE_ELIGIBLE_STATUSES.has(normalizeUpperText(document.status))) {
+    throw badRequest("Only posted, non-reversed invoices can be issued as e-invoices");
+  }
+
+  const [supplier, customer, lines] = await Promise.all([
+    loadSupplierParty({ tenantId, legalEntityId }),
+    loadCustomerParty({
+      tenantId,
+      legalEntityId,
+      counterpartyId: parsePositiveInt(document.counterparty_id),
+    }),
+    loadEinvoiceLines({ tenantId, document }),
+  ]);
+
+  const ettn = crypto.randomUUID().toUpperCase();
+  const invoiceNo = buildEinvoiceNumber({
+    seriesPrefix: payload.seriesPrefix,
+    fiscalYear: document.fiscal_year,
+    sequenceNo: document.sequence_no,
+  });
+  const xml = buildUblTrInvoiceXml({
+    profileId: payload.profileId,
+    invoiceTypeCode: "SATIS",
+    invoiceNo,
+    ettn,
+    issueDate: toDateOnly(document.document_date),
+    issueTime: toTimeOnly(document.posted_at),
+    dueDate: toDateOnly(document.due_date),
+    currencyCode: document.currency_code,
+    fxRate: toDecimalNumber(document.fx_rate),
+    notes: [`Cari ${document.document_no}`],
+    supplier,
+    customer,
+    lines,
+    totals: buildEinvoiceTotals(document),
+  });
+  const fileName = `${invoiceNo}_${ettn}.xml`;
+  const fileChecksum = sha256(xml);
+
+  try {
+    const created = await withTransaction(async (tx) => {
+      await tx.query(
+        `INSERT INTO cari_einvoice_artifacts (
+            tenant_id,
+            legal_entity_id,
+            document_id,
+            profile_id,
+            invoice_type_code,
+            invoice_no,
+            ettn,
+            file_name,
+            file_checksum,
+            xml_payload_text,
+            submission_status,
+            generated_by_user_id
+         )
+         VALUES (?, ?, ?, ?, 'SATIS', ?, ?, ?, ?, ?, 'GENERATED', ?)`,
+        [
+          tenantId,
+          legalEntityId,
+          documentId,
+          payload.profileId,
+          invoiceNo,
+          ettn,
+          fileName,
+          fileChecksum,
+          xml,
+          payload.userId,
+        ]
+      );
+      await insertAuditLog({
+        req,
+        runQuery: tx.query,
+        tenantId,
+        userId: payload.userId,
+        action: "cari.einvoice.generate",
+        legalEntityId,
+        documentId,
+        payload: {
+          profileId: payload.profileId,
+          invoiceNo,
+          ettn,
+          fileChecksum,
+        },
+      });
+      return fetchArtifactRow({ tenantId, documentId, runQuery: tx.query });
+    });
+    return { row: mapArtifactRow(created), created: true };
+  } catch (err) {
+    if (Number(err?.errno) === 1062 && String(err?.message || "").includes("uk_cari_einvoice_invoice_no")) {
+      throw badRequest(`e-invoice number ${invoiceNo} is already used; choose another seriesPrefix`);
+    }
+    if (Number(err?.errno) === 1062) {
+      const concurrent = await fetchArtifactRow({ tenantId, documentId });
+      if (concurrent) {
+        return { row: mapArtifactRow(concurrent), created: false };
+      }
+    }
+    throw err;
+  }
+}
+
+async function applyProviderResult(tx, { tenantId, artifactId, userId, result, submitted }) {
+  const status = normalizeUpperText(result?.status);
+  if (!PROVIDER_STATUSES.has(status)) {
+    throw badRequest(`e-invoice provider returned an unknown status: ${result?.status}`);
+  }
+  await tx.query(
+    `UPDATE cari_einvoice_artifacts
+     SET submission_status = ?,
+         provider_reference = COALESCE(?, provider_reference),
+         status_message = ?,
+         submitted_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE submitted_at END,
+         submitted_by_user_id = CASE WHEN ? THEN ? ELSE submitted_by_user_id END,
+         status_checked_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      status,
+      result?.providerReference ? String(result.providerReference).slice(0, 120) : null,
+      result?.message ? String(result.message).slice(0, 500) : null,
+      submitted,
+      submitted,
+      userId,
+      tenantId,
+      artifactId,
+    ]
+  );
+  return status;
+}
+
+export async function submitCariEinvoice({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const documentId = payload.documentId;
+  const existing = await fetchArtifactRow({ tenantId, documentId });
+  if (!existing) {
+    throw badRequest("e-invoice has not been generated for this document");
+  }
+  assertScopeAccess(req, "legal_entity", existing.legal_entity_id, "documentId");
+  if (!SUBMITTABLE_STATUSES.has(normalizeUpperText(existing.submission_status))) {
+    throw badRequest(`e-invoice in status ${existing.submission_status} cannot be submitted`);
+  }
+
+  const providerCode = normalizeUpperText(
+    payload.providerCode || process.env.EINVOICE_PROVIDER_CODE || DEFAULT_PROVIDER_CODE
+  );
+  const adapter = getEInvoiceAdapter(providerCode);
+  let result;
+  try {
+    result = await adapter.submitInvoice({
+      ettn: existing.ettn,
+      invoiceNo: existing.invoice_no,
+      profileId: existing.profile_id,
+      xml: existing.xml_payload_text,
+      config: payload.config || {},
+    });
+  } catch (err) {
+    result = { status: "FAILED", message: String(err?.message || "Submission failed") };
+  }
+
+  const updated = await withTransaction(async (tx) => {
+    const locked = await fetchArtifactRow({ tenantId, documentId, runQuery: tx.query, forUpdate: true });
+    if (!SUBMITTABLE_STATUSES.has(normalizeUpperText(locked?.submission_status))) {
+      throw badRequest("e-invoice was submitted concurrently");
+    }
+    await tx.query(
+      `UPDATE cari_einvoice_artifacts
+       SET provider_code = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [providerCode, tenantId, locked.id]
+    );
+    const status = await applyProviderResult(tx, {
+      tenantId,
+      artifactId: locked.id,
+      userId: payload.userId,
+      result,
+      submitted: true,
+    });
+    await insertAuditLog({
+      req,
+      runQuery: tx.query,
+      tenantId,
+      userId: payload.userId,
+      action: "cari.einvoice.submit",
+      legalEntityId: parsePositiveInt(locked.legal_entity_id),
+      documentId,
+      payload: {
+        providerCode,
+        ettn: locked.ettn,
+        submissionStatus: status,
+        providerReference: result?.providerReference || null,
+        message: result?.message || null,
+      },
+    });
+    return fetchArtifactRow({ tenantId, documentId, runQuery: tx.query });
+  });
+
+  return mapArtifactRow(updated);
+}
+
+export async function refreshCariEinvoiceStatus({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const documentId = payload.documentId;
+  const existing = await fetchArtifactRow({ tenantId, documentId });
+  if (!existing) {
+    throw badRequest("e-invoice has not been generated for this document");
+  }
+  assertScopeAccess(req, "legal_entity", existing.legal_entity_id, "documentId");
+  if (normalizeUpperText(existing.submission_status) !== "SUBMITTED") {
+    return mapArtifactRow(existing);
+  }
+
+  const adapter = getEInvoiceAdapter(existing.provider_code);
+  const result = await adapter.getInvoiceStatus({
+    ettn: existing.ettn,
+    providerReference: existing.provider_reference,
+    profileId: existing.profile_id,
+    config: payload.config || {},
+  });
+
+  const updated = await withTransaction(async (tx) => {
+    const status = await applyProviderResult(tx, {
+      tenantId,
+      artifactId: existing.id,
+      userId: payload.userId,
+      result,
+      submitted: false,
+    });
+    if (status !== "SUBMITTED") {
+      await insertAuditLog({
+        req,
+        runQuery: tx.query,
+        tenantId,
+        userId: payload.userId,
+        action: "cari.einvoice.status",
+        legalEntityId: parsePositiveInt(existing.legal_entity_id),
+        documentId,
+        payload: {
+          providerCode: existing.provider_code,
+          ettn: existing.ettn,
+          submissionStatus: status,
+          message: result?.message || null,
+        },
+      });
+    }
+    return fetchArtifactRow({ tenantId, documentId, runQuery: tx.query });
+  });
+
+  return mapArtifactRow(updated);
+}
@@ -0,0 +1,217 @@
+import { child, children, parseXmlTree, textOf } from "../utils/xmlTree.js";
+
+function parseDecimalText(value, fieldName, { required = false } = {}) {
+  if (value === null || value === undefined || value === "") {
+    if (required) {
+      throw new Error(`${fieldName} is required`);
+    }
+    return null;
+  }
+  const parsed = Number(String(value).trim());
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${fieldName} must be numeric`);
+  }
+  return parsed;
+}
+
+function parseDateText(value, fieldName, { required = false } = {}) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    if (required) {
+      throw new Error(`${fieldName} is required`);
+    }
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    throw new Error(`${fieldName} must be YYYY-MM-DD`);
+  }
+  return raw;
+}
+
+function parseParty(partyNode, label) {
+  if (!partyNode) {
+    throw new Error(`${label} party is missing`);
+  }
+
+  let identifier = null;
+  for (const identification of children(partyNode, "PartyIdentification")) {
+    const idNode = child(identification, "ID");
+    const schemeId = String(idNode?.attributes?.schemeID || "").toUpperCase();
+    if (schemeId === "VKN" || schemeId === "TCKN") {
+      identifier = { schemeId, value: String(textOf(idNode) || "").replace(/\D/g, "") };
+      break;
+    }
+  }
+  if (!identifier?.value) {
+    throw new Error(`${label} VKN/TCKN is missing`);
+  }
+
+  const personName = [
+    textOf(partyNode, "Person", "FirstName"),
+    textOf(partyNode, "Person", "FamilyName"),
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const name = textOf(partyNode, "PartyName", "Name") || personName || null;
+  if (!name) {
+    throw new Error(`${label} name is missing`);
+  }
+
+  const address = child(partyNode, "PostalAddress");
+  return {
+    schemeId: identifier.schemeId,
+    taxId: identifier.value,
+    name,
+    taxOfficeName: textOf(partyNode, "PartyTaxScheme", "TaxScheme", "Name"),
+    email: textOf(partyNode, "Contact", "ElectronicMail"),
+    phone: textOf(partyNode, "Contact", "Telephone"),
+    address: address
+      ? {
+          streetName: [textOf(address, "StreetName"), textOf(address, "BuildingNumber")]
+            .filter(Boolean)
+            .join(" ") || null,
+          citySubdivisionName: textOf(address, "CitySubdivisionName"),
+          cityName: textOf(address, "CityName"),
+          postalZone: textOf(address, "PostalZone"),
+          countryName: textOf(address, "Country", "Name"),
+        }
+      : null,
+  };
+}
+
+function parseLineTaxRate(lineNode, lineLabel) {
+  const subtotals = children(child(lineNode, "TaxTotal"), "TaxSubtotal").filter((subtotal) => {
+    const taxTypeCode = textOf(subtotal, "TaxCategory", "TaxScheme", "TaxTypeCode");
+    return !taxTypeCode || taxTypeCode === "0015";
+  });
+  if (subtotals.length === 0) {
+    return {
+      taxRatePct: 0,
+      taxAmount:
+        parseDecimalText(textOf(lineNode, "TaxTotal", "TaxAmount"), `${lineLabel} TaxAmount`) || 0,
+    };
+  }
+  if (subtotals.length > 1) {
+    throw new Error(`${lineLabel} has more than one KDV subtotal`);
+  }
+  return {
+    taxRatePct: parseDecimalText(textOf(subtotals[0], "Percent"), `${lineLabel} Percent`) || 0,
+    taxAmount:
+      parseDecimalText(textOf(subtotals[0], "TaxAmount"), `${lineLabel} TaxAmount`) || 0,
+  };
+}
+
+function parseInvoiceLine(lineNode, index) {
+  const lineLabel = `InvoiceLine ${index + 1}`;
+  const quantityNode = child(lineNode, "InvoicedQuantity");
+  const quantity = parseDecimalText(textOf(quantityNode), `${lineLabel} InvoicedQuantity`, {
+    required: true,
+  });
+  const lineExtensionAmount = parseDecimalText(
+    textOf(lineNode, "LineExtensionAmount"),
+    `${lineLabel} LineExtensionAmount`,
+    { required: true }
+  );
+  const unitPrice = parseDecimalText(
+    textOf(lineNode, "Price", "PriceAmount"),
+    `${lineLabel} PriceAmount`,
+    { required: true }
+  );
+
+  let allowanceAmount = 0;
+  let allowanceFactor = null;
+  for (const allowance of children(lineNode, "AllowanceCharge")) {
+    if (String(textOf(allowance, "ChargeIndicator") || "").toLowerCase() !== "false") {
+      continue;
+    }
+    allowanceAmount += parseDecimalText(textOf(allowance, "Amount"), `${lineLabel} allowance`) || 0;
+    allowanceFactor = parseDecimalText(
+      textOf(allowance, "MultiplierFactorNumeric"),
+      `${lineLabel} MultiplierFactorNumeric`
+    );
+  }
+
+  return {
+    lineNo: index + 1,
+    description:
+      textOf(lineNode, "Item", "Name") || textOf(lineNode, "Item", "Description") || lineLabel,
+    quantity,
+    unitCode: quantityNode?.attributes?.unitCode || null,
+    unitPrice,
+    allowanceAmount,
+    allowanceFactor,
+    lineExtensionAmount,
+    ...parseLineTaxRate(lineNode, lineLabel),
+  };
+}
+
+export function parseUblTrInvoiceXml(xmlText) {
+  const tree = parseXmlTree(xmlText);
+  const invoice = child(tree, "Invoice");
+  if (!invoice) {
+    throw new Error("XML root element must be a UBL Invoice");
+  }
+
+  const ettn = String(textOf(invoice, "UUID") || "").toUpperCase();
+  if (!/^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/.test(ettn)) {
+    throw new Error("UUID (ETTN) must be a valid UUID");
+  }
+  const invoiceNo = textOf(invoice, "ID");
+  if (!invoiceNo) {
+    throw new Error("Invoice ID is required");
+  }
+  const currencyCode = String(textOf(invoice, "DocumentCurrencyCode") || "").toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currencyCode)) {
+    throw new Error("DocumentCurrencyCode must be a 3-letter code");
+  }
+
+  const lines = children(invoice, "InvoiceLine").map(parseInvoiceLine);
+  if (lines.length === 0) {
+    throw new Error("Invoice has no InvoiceLine elements");
+  }
+
+  const monetaryTotal = child(invoice, "LegalMonetaryTotal");
+  return {
+    ettn,
+    invoiceNo,
+    customizationId: textOf(invoice, "CustomizationID"),
+    profileId: String(textOf(invoice, "ProfileID") || "").toUpperCase() || null,
+    invoiceTypeCode: String(textOf(invoice, "InvoiceTypeCode") || "SATIS").toUpperCase(),
+    issueDate: parseDateText(textOf(invoice, "IssueDate"), "IssueDate", { required: true }),
+    dueDate: parseDateText(textOf(invoice, "PaymentMeans", "PaymentDueDate"), "PaymentDueDate"),
+    currencyCode,
+    fxRate: parseDecimalText(
+      textOf(invoice, "PricingExchangeRate", "CalculationRate"),
+      "CalculationRate"
+    ),
+    notes: children(invoice, "Note")
+      .map((note) => textOf(note))
+      .filter(Boolean),
+    supplier: parseParty(child(invoice, "AccountingSupplierParty", "Party"), "Supplier"),
+    customer: parseParty(child(invoice, "AccountingCustomerParty", "Party"), "Customer"),
+    lines,
+    totals: {
+      taxAmount:
+        parseDecimalText(textOf(invoice, "TaxTotal", "TaxAmount"), "TaxTotal TaxAmount") || 0,
+      lineExtensionAmount: parseDecimalText(
+        textOf(monetaryTotal, "LineExtensionAmount"),
+        "LineExtensionAmount"
+      ),
+      taxExclusiveAmount: parseDecimalText(
+        textOf(monetaryTotal, "TaxExclusiveAmount"),
+        "TaxExclusiveAmount"
+      ),
+      taxInclusiveAmount: parseDecimalText(
+        textOf(monetaryTotal, "TaxInclusiveAmount"),
+        "TaxInclusiveAmount"
+      ),
+      payableAmount: parseDecimalText(textOf(monetaryTotal, "PayableAmount"), "PayableAmount", {
+        required: true,
+      }),
+    },
+  };
+}
+
+export default {
+  parseUblTrInvoiceXml,
+};
@@ -0,0 +1,2021 @@
+import { query, withTransaction } from "../db.js";
+import { assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  buildOffsetPaginationResult,
+  resolveOffsetPagination,
+} from "../utils/pagination.js";
+import {
+  applyCariSettlement,
+  reverseCariSettlementByIdTx,
+} from "./cari.settlement.service.js";
+import {
+  createCashTransaction,
+  postCashTransactionById,
+} from "./cash.transaction.service.js";
+import { matchReconciliationLine } from "./bank.reconciliation.service.js";
+
+const AMOUNT_EPSILON = 0.000001;
+const MATCH_TOLERANCE = 0.005;
+const RESOURCE_TYPE = "cari_portfolio_instrument";
+const SETTLEMENT_STATUS_POSTED = "POSTED";
+const OPEN_ITEM_STATUSES = ["OPEN", "PARTIALLY_SETTLED"];
+const DIRECTION_TO_OPEN_ITEM_DIRECTION = Object.freeze({
+  RECEIVED: "AR",
+  ISSUED: "AP",
+});
+// Holding account (journal purpose suffix) that carries the instrument in each live status.
+const HOLDING_PURPOSE_BY_STATUS = Object.freeze({
+  IN_PORTFOLIO: "RECEIVED",
+  IN_COLLECTION: "IN_COLLECTION",
+  COLLATERAL: "COLLATERAL",
+  ISSUED: "ISSUED",
+});
+const DISHONOURABLE_STATUSES = Object.freeze({
+  RECEIVED: new Set(["IN_PORTFOLIO", "IN_COLLECTION", "COLLATERAL", "ENDORSED"]),
+  ISSUED: new Set(["ISSUED"]),
+});
+const CANDIDATE_DUE_DATE_WINDOW_BEFORE_DAYS = 15;
+const CANDIDATE_DUE_DATE_WINDOW_AFTER_DAYS = 5;
+const CANDIDATE_LIMIT = 20;
+
+function normalizeUpperText(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDecimalNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(6));
+}
+
+function toAmountString(value) {
+  return Number(value || 0).toFixed(6);
+}
+
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function daysBetween(left, right) {
+  const leftMs = Date.parse(`${toDateOnly(left)}T00:00:00Z`);
+  const rightMs = Date.parse(`${toDateOnly(right)}T00:00:00Z`);
+  if (!Number.isFinite(leftMs) || !Number.isFinite(rightMs)) {
+    return null;
+  }
+  return Math.round((rightMs - leftMs) / 86400000);
+}
+
+function parseJsonColumn(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === "object") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return JSON.stringify({
+      serializationError: "payload_json could not be serialized",
+    });
+  }
+}
+
+function resolveClientIp(req) {
+  const forwardedFor = String(req?.headers?.["x-forwarded-for"] || "").trim();
+  if (forwardedFor) {
+    const firstIp = forwardedFor
+      .split(",")
+      .map((segment) => segment.trim())
+      .find(Boolean);
+    if (firstIp) {
+      return firstIp.slice(0, 64);
+    }
+  }
+  return String(req?.ip || req?.socket?.remoteAddress || "unknown").slice(0, 64);
+}
+
+function isDuplicateKeyError(err) {
+  return Number(err?.errno) === 1062 || String(err?.code || "") === "ER_DUP_ENTRY";
+}
+
+function buildPortfolioPurposeCode(instrumentType, holdingKey) {
+  return `CARI_PORTFOLIO_${normalizeUpperText(instrumentType)}_${holdingKey}`;
+}
+
+function buildPortfolioJournalNo(prefix, instrumentId) {
+  const stamp = Date.now().toString(36).toUpperCase();
+  return `${prefix}-${instrumentId}-${stamp}`.slice(0, 40);
+}
+
+async function insertAuditLog({
+  req,
+  runQuery = query,
+  tenantId,
+  userId,
+  action,
+  legalEntityId,
+  instrumentId,
+  payload,
+}) {
+  await runQuery(
+    `INSERT INTO audit_logs (
+        tenant_id,
+        user_id,
+        action,
+        resource_type,
+        resource_id,
+        scope_type,
+        scope_id,
+        request_id,
+        ip_address,
+        user_agent,
+        payload_json
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      userId || null,
+      action,
+      RESOURCE_TYPE,
+      instrumentId ? String(instrumentId) : null,
+      legalEntityId ? "LEGAL_ENTITY" : null,
+      legalEntityId || null,
+      String(req?.requestId || req?.headers?.["x-request-id"] || "").slice(0, 80) || null,
+      resolveClientIp(req),
+      String(req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+      safeStringify(payload || null),
+    ]
+  );
+}
+
+const INSTRUMENT_SELECT_SQL = `SELECT
+    i.*,
+    cp.code AS counterparty_code,
+    cp.name AS counterparty_name,
+    ecp.code AS endorsed_counterparty_code,
+    ecp.name AS endorsed_counterparty_name,
+    ba.code AS bank_account_code,
+    ba.name AS bank_account_name
+  FROM cari_portfolio_instruments i
+  JOIN counterparties cp
+    ON cp.tenant_id = i.tenant_id
+   AND cp.legal_entity_id = i.legal_entity_id
+   AND cp.id = i.counterparty_id
+  LEFT JOIN counterparties ecp
+    ON ecp.tenant_id = i.tenant_id
+   AND ecp.legal_entity_id = i.legal_entity_id
+   AND ecp.id = i.endorsed_counterparty_id
+  LEFT JOIN bank_accounts ba
+    ON ba.tenant_id = i.tenant_id
+   AND ba.legal_entity_id = i.legal_entity_id
+   AND ba.id = i.bank_account_id`;
+
+function mapInstrumentRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    direction: row.direction,
+    instrumentType: row.instrument_type,
+    serialNo: row.serial_no,
+    bankName: row.bank_name || null,
+    bankBranch: row.bank_branch || null,
+    drawerName: row.drawer_name || null,
+    drawerTaxId: row.drawer_tax_id || null,
+    issuePlace: row.issue_place || null,
+    issueDate: toDateOnly(row.issue_date),
+    dueDate: toDateOnly(row.due_date),
+    counterpartyId: parsePositiveInt(row.counterparty_id),
+    counterpartyCode: row.counterparty_code || null,
+    counterpartyName: row.counterparty_name || null,
+    currencyCode: row.currency_code,
+    amountTxn: toDecimalNumber(row.amount_txn),
+    amountBase: toDecimalNumber(row.amount_base),
+    status: row.status,
+    endorsedCounterpartyId: parsePositiveInt(row.endorsed_counterparty_id),
+    endorsedCounterpartyCode: row.endorsed_counterparty_code || null,
+    endorsedCounterpartyName: row.endorsed_counterparty_name || null,
+    bankAccountId: parsePositiveInt(row.bank_account_id),
+    bankAccountCode: row.bank_account_code || null,
+    bankAccountName: row.bank_account_name || null,
+    originSettlementBatchId: parsePositiveInt(row.origin_settlement_batch_id),
+    endorsementSettlementBatchId: parsePositiveInt(row.endorsement_settlement_batch_id),
+    closingJournalEntryId: parsePositiveInt(row.closing_journal_entry_id),
+    closingCashTransactionId: parsePositiveInt(row.closing_cash_transaction_id),
+    closingBankStatementLineId: parsePositiveInt(row.closing_bank_statement_line_id),
+    idempotencyKey: row.idempotency_key,
+    note: row.note || null,
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    updatedByUserId: parsePositiveInt(row.updated_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapEventRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    instrumentId: parsePositiveInt(row.instrument_id),
+    eventType: row.event_type,
+    fromStatus: row.from_status || null,
+    toStatus: row.to_status,
+    eventDate: toDateOnly(row.event_date),
+    counterpartyId: parsePositiveInt(row.counterparty_id),
+    bankAccountId: parsePositiveInt(row.bank_account_id),
+    settlementBatchId: parsePositiveInt(row.settlement_batch_id),
+    journalEntryId: parsePositiveInt(row.journal_entry_id),
+    cashTransactionId: parsePositiveInt(row.cash_transaction_id),
+    bankStatementLineId: parsePositiveInt(row.bank_statement_line_id),
+    reversedSettlementBatchIds: parseJsonColumn(row.reversed_settlement_batch_ids) || [],
+    note: row.note || null,
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    createdAt: row.created_at || null,
+  };
+}
+
+async function fetchInstrumentRow({ tenantId, instrumentId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `${INSTRUMENT_SELECT_SQL}
+     WHERE i.tenant_id = ?
+       AND i.id = ?
+     LIMIT 1
+     ${forUpdate ? "FOR UPDATE" : ""}`,
+    [tenantId, instrumentId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function fetchInstrumentRowByIdempotency({
+  tenantId,
+  legalEntityId,
+  idempotencyKey,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `${INSTRUMENT_SELECT_SQL}
+     WHERE i.tenant_id = ?
+       AND i.legal_entity_id = ?
+       AND i.idempotency_key = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, idempotencyKey]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function fetchInstrumentEvents({ tenantId, legalEntityId, instrumentId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT *
+     FROM cari_portfolio_instrument_events
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND instrument_id = ?
+     ORDER BY id ASC`,
+    [tenantId, legalEntityId, instrumentId]
+  );
+  return (result.rows || []).map(mapEventRow);
+}
+
+async function loadInstrumentWithEvents({ tenantId, instrumentId, runQuery = query }) {
+  const row = await fetchInstrumentRow({ tenantId, instrumentId, runQuery });
+  if (!row) {
+    throw badRequest("Portfolio instrument not found");
+  }
+  const instrument = mapInstrumentRow(row);
+  return {
+    ...instrument,
+    events: await fetchInstrumentEvents({
+      tenantId,
+      legalEntityId: instrument.legalEntityId,
+      instrumentId,
+      runQuery,
+    }),
+  };
+}
+
+async function fetchCounterpartyRow({ tenantId, legalEntityId, counterpartyId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, code, name, is_customer, is_vendor, status
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, counterpartyId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function assertCounterpartyRole({ tenantId, legalEntityId, counterpartyId, role, label }) {
+  const row = await fetchCounterpartyRow({ tenantId, legalEntityId, counterpartyId });
+  if (!row) {
+    throw badRequest(`${label} must belong to legalEntityId`);
+  }
+  if (normalizeUpperText(row.status) !== "ACTIVE") {
+    throw badRequest(`${label} must be ACTIVE`);
+  }
+  const flag = role === "VENDOR" ? row.is_vendor : row.is_customer;
+  if (!(flag === true || Number(flag) === 1)) {
+    throw badRequest(`${label} is not marked as ${role === "VENDOR" ? "vendor" : "customer"}`);
+  }
+  return row;
+}
+
+async function fetchBankAccountRow({ tenantId, legalEntityId, bankAccountId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, legal_entity_id, code, name, currency_code, gl_account_id, is_active
+     FROM bank_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, bankAccountId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function assertBankAccountUsable({ tenantId, legalEntityId, bankAccountId, currencyCode }) {
+  const row = await fetchBankAccountRow({ tenantId, legalEntityId, bankAccountId });
+  if (!row) {
+    throw badRequest("bankAccountId must belong to the instrument legal entity");
+  }
+  if (!(row.is_active === true || Number(row.is_active) === 1)) {
+    throw badRequest("bankAccountId must be active");
+  }
+  if (normalizeUpperText(row.currency_code) !== normalizeUpperText(currencyCode)) {
+    throw badRequest("bankAccountId currency must match the instrument currency");
+  }
+  if (!parsePositiveInt(row.gl_account_id)) {
+    throw badRequest("bankAccountId has no GL account");
+  }
+  return row;
+}
+
+async function resolvePortfolioAccount({ tenantId, legalEntityId, purposeCode, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT a.id AS account_id, a.code AS account_code
+     FROM journal_purpose_accounts jpa
+     JOIN accounts a ON a.id = jpa.account_id
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     WHERE jpa.tenant_id = ?
+       AND jpa.legal_entity_id = ?
+       AND jpa.purpose_code = ?
+       AND c.tenant_id = ?
+       AND c.legal_entity_id = ?
+       AND a.is_active = TRUE
+       AND a.allow_posting = TRUE
+     LIMIT 1`,
+    [tenantId, legalEntityId, purposeCode, tenantId, legalEntityId]
+  );
+  const accountId = parsePositiveInt(result.rows?.[0]?.account_id);
+  if (!accountId) {
+    throw badRequest(`Setup required: configure journal_purpose_accounts for ${purposeCode}`);
+  }
+  return { accountId, accountCode: String(result.rows[0].account_code || "") };
+}
+
+async function resolveHoldingAccount({ tenantId, row, status = row.status, runQuery = query }) {
+  const holdingKey = HOLDING_PURPOSE_BY_STATUS[status];
+  if (!holdingKey) {
+    throw badRequest(`Instrument status ${status} has no holding account`);
+  }
+  return resolvePortfolioAccount({
+    tenantId,
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    purposeCode: buildPortfolioPurposeCode(row.instrument_type, holdingKey),
+    runQuery,
+  });
+}
+
+async function resolveBookAndOpenPeriodForDate({ tenantId, legalEntityId, targetDate, runQuery }) {
+  const bookResult = await runQuery(
+    `SELECT id, calendar_id
+     FROM books
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+     ORDER BY
+       CASE WHEN book_type = 'LOCAL' THEN 0 ELSE 1 END,
+       id ASC
+     LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  const book = bookResult.rows?.[0] || null;
+  const bookId = parsePositiveInt(book?.id);
+  const calendarId = parsePositiveInt(book?.calendar_id);
+  if (!bookId || !calendarId) {
+    throw badRequest("No book found for portfolio legalEntityId");
+  }
+
+  const periodResult = await runQuery(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+       AND ? BETWEEN start_date AND end_date
+     ORDER BY is_adjustment ASC, id ASC
+     LIMIT 1`,
+    [calendarId, targetDate]
+  );
+  const fiscalPeriodId = parsePositiveInt(periodResult.rows?.[0]?.id);
+  if (!fiscalPeriodId) {
+    throw badRequest("No fiscal period found for portfolio event date");
+  }
+
+  const statusResult = await runQuery(
+    `SELECT status
+     FROM period_statuses
+     WHERE book_id = ?
+       AND fiscal_period_id = ?
+     LIMIT 1`,
+    [bookId, fiscalPeriodId]
+  );
+  const periodStatus = normalizeUpperText(statusResult.rows?.[0]?.status || "OPEN");
+  if (periodStatus !== "OPEN") {
+    throw badRequest(`Period is ${periodStatus}; cannot post portfolio event`);
+  }
+  return { bookId, fiscalPeriodId };
+}
+
+// Two-line journal moving the instrument's carrying amount from creditAccountId to debitAccountId.
+async function postPortfolioJournalTx(tx, {
+  row,
+  userId,
+  eventDate,
+  debitAccountId,
+  creditAccountId,
+  journalPrefix,
+  description,
+}) {
+  const tenantId = parsePositiveInt(row.tenant_id);
+  const legalEntityId = parsePositiveInt(row.legal_entity_id);
+  const instrumentId = parsePositiveInt(row.id);
+  if (debitAccountId === creditAccountId) {
+    throw badRequest("Portfolio posting debit and credit accounts must be different");
+  }
+  const { bookId, fiscalPeriodId } = await resolveBookAndOpenPeriodForDate({
+    tenantId,
+    legalEntityId,
+    targetDate: eventDate,
+    runQuery: tx.query,
+  });
+  const amountTxn = roundAmount(row.amount_txn);
+  const amountBase = roundAmount(row.amount_base);
+  const referenceNo = `PRT-${instrumentId}`;
+  const lineDescription = String(description || "").slice(0, 255);
+
+  const insertResult = await tx.query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at
+     )
+     VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      tenantId,
+      legalEntityId,
+      bookId,
+      fiscalPeriodId,
+      buildPortfolioJournalNo(journalPrefix, instrumentId),
+      eventDate,
+      eventDate,
+      row.currency_code,
+      String(description || "").slice(0, 500),
+      referenceNo,
+      amountBase,
+      amountBase,
+      userId,
+      userId,
+    ]
+  );
+  const journalEntryId = parsePositiveInt(insertResult.rows?.insertId);
+  if (!journalEntryId) {
+    throw badRequest("Failed to create portfolio journal entry");
+  }
+
+  const lines = [
+    { accountId: debitAccountId, amountTxn, debitBase: amountBase, creditBase: 0 },
+    { accountId: creditAccountId, amountTxn: roundAmount(amountTxn * -1), debitBase: 0, creditBase: amountBase },
+  ];
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          operating_unit_id,
+          counterparty_legal_entity_id,
+          description,
+          subledger_reference_no,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base,
+          tax_code
+       )
+       VALUES (?, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?, NULL)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        lineDescription || null,
+        referenceNo,
+        row.currency_code,
+        toAmountString(line.amountTxn),
+        toAmountString(line.debitBase),
+        toAmountString(line.creditBase),
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+async function insertEventTx(tx, {
+  row,
+  eventType,
+  fromStatus,
+  toStatus,
+  eventDate,
+  userId,
+  counterpartyId = null,
+  bankAccountId = null,
+  settlementBatchId = null,
+  journalEntryId = null,
+  cashTransactionId = null,
+  bankStatementLineId = null,
+  reversedSettlementBatchIds = null,
+  note = null,
+}) {
+  await tx.query(
+    `INSERT INTO cari_portfolio_instrument_events (
+        tenant_id,
+        legal_entity_id,
+        instrument_id,
+        event_type,
+        from_status,
+        to_status,
+        event_date,
+        counterparty_id,
+        bank_account_id,
+        settlement_batch_id,
+        journal_entry_id,
+        cash_transaction_id,
+        bank_statement_line_id,
+        reversed_settlement_batch_ids,
+        note,
+        created_by_user_id
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      parsePositiveInt(row.tenant_id),
+      parsePositiveInt(row.legal_entity_id),
+      parsePositiveInt(row.id),
+      eventType,
+      fromStatus,
+      toStatus,
+      eventDate,
+      counterpartyId,
+      bankAccountId,
+      settlementBatchId,
+      journalEntryId,
+      cashTransactionId,
+      bankStatementLineId,
+      reversedSettlementBatchIds ? safeStringify(reversedSettlementBatchIds) : null,
+      note,
+      userId,
+    ]
+  );
+}
+
+// Builds explicit allocations so the settlement never mixes AR and AP items of a dual-role card.
+async function buildInstrumentAllocations({
+  tenantId,
+  legalEntityId,
+  counterpartyId,
+  openItemDirection,
+  currencyCode,
+  amountTxn,
+  requestedAllocations,
+}) {
+  const result = await query(
+    `SELECT oi.id, oi.due_date, oi.residual_amount_txn
+     FROM cari_open_items oi
+     JOIN cari_documents d
+       ON d.tenant_id = oi.tenant_id
+      AND d.legal_entity_id = oi.legal_entity_id
+      AND d.id = oi.document_id
+     WHERE oi.tenant_id = ?
+       AND oi.legal_entity_id = ?
+       AND oi.counterparty_id = ?
+       AND oi.currency_code = ?
+       AND oi.status IN (?, ?)
+       AND oi.residual_amount_txn > 0
+       AND d.direction = ?
+     ORDER BY oi.due_date ASC, oi.id ASC`,
+    [
+      tenantId,
+      legalEntityId,
+      counterpartyId,
+      currencyCode,
+      ...OPEN_ITEM_STATUSES,
+      openItemDirection,
+    ]
+  );
+  const openItems = result.rows || [];
+  const residualById = new Map(
+    openItems.map((item) => [parsePositiveInt(item.id), roundAmount(item.residual_amount_txn)])
+  );
+
+  let allocations;
+  if (Array.isArray(requestedAllocations) && requestedAllocations.length > 0) {
+    allocations = requestedAllocations.map((entry) => {
+      if (!residualById.has(entry.openItemId)) {
+        throw badRequest(
+          `openItemId=${entry.openItemId} is not an open ${openItemDirection} item of this counterparty`
+        );
+      }
+      return { openItemId: entry.openItemId, amountTxn: roundAmount(entry.amountTxn) };
+    });
+  } else {
+    allocations = [];
+    let remaining = roundAmount(amountTxn);
+    for (const item of openItems) {
+      if (remaining <= AMOUNT_EPSILON) {
+        break;
+      }
+      const allocationTxn = roundAmount(Math.min(remaining, residualById.get(parsePositiveInt(item.id))));
+      allocations.push({ openItemId: parsePositiveInt(item.id), amountTxn: allocationTxn });
+      remaining = roundAmount(remaining - allocationTxn);
+    }
+  }
+
+  const allocatedTxn = roundAmount(
+    allocations.reduce((sum, entry) => sum + Number(entry.amountTxn), 0)
+  );
+  if (Math.abs(allocatedTxn - roundAmount(amountTxn)) > AMOUNT_EPSILON) {
+    throw badRequest(
+      `Instrument amount ${toAmountString(amountTxn)} must be fully allocated to open ${openItemDirection} items (allocatable ${toAmountString(allocatedTxn)})`
+    );
+  }
+  return allocations.map((entry) => ({
+    openItemId: entry.openItemId,
+    amountTxn: toAmountString(entry.amountTxn),
+  }));
+}
+
+function sumJournalDebitBase(settlementResult) {
+  return roundAmount(
+    (settlementResult?.journal?.lines || []).reduce(
+      (sum, line) => sum + Number(line.debitBase || 0),
+      0
+    )
+  );
+}
+
+async function fetchSettlementBatchStatus({ tenantId, settlementBatchId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT status
+     FROM cari_settlement_batches
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, settlementBatchId]
+  );
+  return normalizeUpperText(result.rows?.[0]?.status);
+}
+
+async function fetchStatementLineForMatch({ tenantId, lineId }) {
+  const result = await query(
+    `SELECT
+       l.id,
+       l.legal_entity_id,
+       l.bank_account_id,
+       l.txn_date,
+       l.amount,
+       l.currency_code,
+       l.recon_status,
+       l.description,
+       l.reference_no,
+       COALESCE((
+         SELECT SUM(m.matched_amount)
+         FROM bank_reconciliation_matches m
+         WHERE m.tenant_id = l.tenant_id
+           AND m.legal_entity_id = l.legal_entity_id
+           AND m.statement_line_id = l.id
+           AND m.status = 'ACTIVE'
+       ), 0) AS matched_total
+     FROM bank_statement_lines l
+     WHERE l.tenant_id = ?
+       AND l.id = ?
+     LIMIT 1`,
+    [tenantId, lineId]
+  );
+  return result.rows?.[0] || null;
+}
+
+function statementLineRemaining(line) {
+  return roundAmount(Math.abs(Number(line.amount || 0)) - Math.abs(Number(line.matched_total || 0)));
+}
+
+async function assertStatementLineMatchable({ tenantId, row, bankAccountId, lineId, expectedSign }) {
+  const line = await fetchStatementLineForMatch({ tenantId, lineId });
+  if (!line) {
+    throw badRequest("bankStatementLineId not found");
+  }
+  if (parsePositiveInt(line.bank_account_id) !== bankAccountId) {
+    throw badRequest("bankStatementLineId must belong to the instrument bank account");
+  }
+  if (normalizeUpperText(line.recon_status) === "IGNORED") {
+    throw badRequest("bankStatementLineId is IGNORED");
+  }
+  if (Math.sign(Number(line.amount || 0)) !== expectedSign) {
+    throw badRequest(
+      expectedSign > 0
+        ? "bankStatementLineId must be a credit (incoming) line"
+        : "bankStatementLineId must be a debit (outgoing) line"
+    );
+  }
+  if (normalizeUpperText(line.currency_code) !== normalizeUpperText(row.currency_code)) {
+    throw badRequest("bankStatementLineId currency must match the instrument currency");
+  }
+  if (statementLineRemaining(line) + MATCH_TOLERANCE < roundAmount(row.amount_txn)) {
+    throw badRequest("bankStatementLineId unmatched amount is smaller than the instrument amount");
+  }
+  return line;
+}
+
+async function lockInstrumentForTransition(tx, { tenantId, instrumentId, allowedStatuses, action }) {
+  const row = await fetchInstrumentRow({
+    tenantId,
+    instrumentId,
+    runQuery: tx.query,
+    forUpdate: true,
+  });
+  if (!row) {
+    throw badRequest("Portfolio instrument not found");
+  }
+  if (!allowedStatuses.has(row.status)) {
+    throw badRequest(`Cannot ${action} a ${row.direction} instrument in status ${row.status}`);
+  }
+  return row;
+}
+
+async function fetchInstrumentForTransition({
+  req,
+  tenantId,
+  instrumentId,
+  assertScopeAccess,
+  direction,
+  allowedStatuses,
+  action,
+}) {
+  const row = await fetchInstrumentRow({ tenantId, instrumentId });
+  if (!row) {
+    throw badRequest("Portfolio instrument not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "instrumentId");
+  if (direction && row.direction !== direction) {
+    throw badRequest(`Only ${direction} instruments can ${action}`);
+  }
+  if (!allowedStatuses.has(row.status)) {
+    throw badRequest(`Cannot ${action} a ${row.direction} instrument in status ${row.status}`);
+  }
+  return row;
+}
+
+async function finishTransition({
+  req,
+  tenantId,
+  userId,
+  row,
+  action,
+  auditPayload,
+}) {
+  await insertAuditLog({
+    req,
+    tenantId,
+    userId,
+    action: `cari.portfolio.${action}`,
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    instrumentId: parsePositiveInt(row.id),
+    payload: auditPayload,
+  });
+  return loadInstrumentWithEvents({ tenantId, instrumentId: parsePositiveInt(row.id) });
+}
+
+export async function resolveCariPortfolioInstrumentScope(instrumentId, tenantId) {
+  const parsedInstrumentId = parsePositiveInt(instrumentId);
+  if (!parsedInstrumentId) {
+    return null;
+  }
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM cari_portfolio_instruments
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, parsedInstrumentId]
+  );
+  const legalEntityId = parsePositiveInt(result.rows?.[0]?.legal_entity_id);
+  return legalEntityId ? { scopeType: "LEGAL_ENTITY", scopeId: legalEntityId } : null;
+}
+
+export async function listCariPortfolioInstruments({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["i.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "i.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("i.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.direction) {
+    conditions.push("i.direction = ?");
+    params.push(filters.direction);
+  }
+  if (filters.instrumentType) {
+    conditions.push("i.instrument_type = ?");
+    params.push(filters.instrumentType);
+  }
+  if (filters.status) {
+    conditions.push("i.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.counterpartyId) {
+    conditions.push("(i.counterparty_id = ? OR i.endorsed_counterparty_id = ?)");
+    params.push(filters.counterpartyId, filters.counterpartyId);
+  }
+  if (filters.bankAccountId) {
+    conditions.push("i.bank_account_id = ?");
+    params.push(filters.bankAccountId);
+  }
+  if (filters.dueDateFrom) {
+    conditions.push("i.due_date >= ?");
+    params.push(filters.dueDateFrom);
+  }
+  if (filters.dueDateTo) {
+    conditions.push("i.due_date <= ?");
+    params.push(filters.dueDateTo);
+  }
+  if (filters.q) {
+    conditions.push("(i.serial_no LIKE ? OR i.drawer_name LIKE ? OR i.bank_name LIKE ?)");
+    const like = `%${filters.q}%`;
+    params.push(like, like, like);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT
+       COUNT(*) AS row_count,
+       i.currency_code,
+       COALESCE(SUM(i.amount_txn), 0) AS amount_txn
+     FROM cari_portfolio_instruments i
+     WHERE ${whereSql}
+     GROUP BY i.currency_code
+     ORDER BY i.currency_code ASC`,
+    params
+  );
+  const totalsByCurrency = (totalResult.rows || []).map((row) => ({
+    currencyCode: row.currency_code,
+    count: Number(row.row_count || 0),
+    amountTxn: toDecimalNumber(row.amount_txn),
+  }));
+  const total = totalsByCurrency.reduce((sum, entry) => sum + entry.count, 0);
+
+  const pagination = resolveOffsetPagination(filters, {
+    defaultLimit: 100,
+    defaultOffset: 0,
+    maxLimit: 300,
+  });
+  const rowsResult = await query(
+    `${INSTRUMENT_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY i.due_date ASC, i.id ASC
+     LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+    params
+  );
+
+  return {
+    ...buildOffsetPaginationResult({
+      rows: (rowsResult.rows || []).map(mapInstrumentRow),
+      total,
+      limit: pagination.limit,
+      offset: pagination.offset,
+    }),
+    totalsByCurrency,
+  };
+}
+
+export async function getCariPortfolioInstrumentById({
+  req,
+  tenantId,
+  instrumentId,
+  assertScopeAccess,
+}) {
+  const row = await fetchInstrumentRow({ tenantId, instrumentId });
+  if (!row) {
+    throw badRequest("Portfolio instrument not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "instrumentId");
+  return loadInstrumentWithEvents({ tenantId, instrumentId });
+}
+
+export async function registerCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const legalEntityId = payload.legalEntityId;
+  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+  assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+
+  const existing = await fetchInstrumentRowByIdempotency({
+    tenantId,
+    legalEntityId,
+    idempotencyKey: payload.idempotencyKey,
+  });
+  if (existing) {
+    return {
+      row: await loadInstrumentWithEvents({ tenantId, instrumentId: parsePositiveInt(existing.id) }),
+      idempotentReplay: true,
+    };
+  }
+
+  const isReceived = payload.direction === "RECEIVED";
+  await assertCounterpartyRole({
+    tenantId,
+    legalEntityId,
+    counterpartyId: payload.counterpartyId,
+    role: isReceived ? "CUSTOMER" : "VENDOR",
+    label: "counterpartyId",
+  });
+  if (payload.bankAccountId) {
+    await assertBankAccountUsable({
+      tenantId,
+      legalEntityId,
+      bankAccountId: payload.bankAccountId,
+      currencyCode: payload.currencyCode,
+    });
+  }
+
+  const duplicateResult = await query(
+    `SELECT id
+     FROM cari_portfolio_instruments
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND direction = ?
+       AND instrument_type = ?
+       AND bank_name = ?
+       AND serial_no = ?
+     LIMIT 1`,
+    [
+      tenantId,
+      legalEntityId,
+      payload.direction,
+      payload.instrumentType,
+      payload.bankName || "",
+      payload.serialNo,
+    ]
+  );
+  if (duplicateResult.rows?.[0]) {
+    throw badRequest(
+      `Duplicate instrument: ${payload.instrumentType} ${payload.serialNo} is already registered (instrument #${duplicateResult.rows[0].id})`
+    );
+  }
+
+  const offsetPurposeCode = buildPortfolioPurposeCode(
+    payload.instrumentType,
+    isReceived ? "RECEIVED" : "ISSUED"
+  );
+  await resolvePortfolioAccount({ tenantId, legalEntityId, purposeCode: offsetPurposeCode });
+  const allocations = await buildInstrumentAllocations({
+    tenantId,
+    legalEntityId,
+    counterpartyId: payload.counterpartyId,
+    openItemDirection: DIRECTION_TO_OPEN_ITEM_DIRECTION[payload.direction],
+    currencyCode: payload.currencyCode,
+    amountTxn: payload.amountTxn,
+    requestedAllocations: payload.allocations,
+  });
+
+  const initialStatus = isReceived ? "IN_PORTFOLIO" : "ISSUED";
+  // Runs inside the settlement transaction, so a failed insert never leaves a posted settlement
+  // without its instrument.
+  const insertInstrumentTx = async (tx, settlementResult) => {
+    const settlementBatchId = parsePositiveInt(settlementResult.row?.id);
+    const journalEntryId = parsePositiveInt(settlementResult.row?.postedJournalEntryId);
+    const amountBase = sumJournalDebitBase(settlementResult);
+    const insertResult = await tx.query(
+      `INSERT INTO cari_portfolio_instruments (
+          tenant_id,
+          legal_entity_id,
+          direction,
+          instrument_type,
+          serial_no,
+          bank_name,
+          bank_branch,
+          drawer_name,
+          drawer_tax_id,
+          issue_place,
+          issue_date,
+          due_date,
+          counterparty_id,
+          currency_code,
+          amount_txn,
+          amount_base,
+          status,
+          bank_account_id,
+          origin_settlement_batch_id,
+          idempotency_key,
+          note,
+          created_by_user_id,
+          updated_by_user_id
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        payload.direction,
+        payload.instrumentType,
+        payload.serialNo,
+        payload.bankName || "",
+        payload.bankBranch,
+        payload.drawerName,
+        payload.drawerTaxId,
+        payload.issuePlace,
+        payload.issueDate,
+        payload.dueDate,
+        payload.counterpartyId,
+        payload.currencyCode,
+        toAmountString(payload.amountTxn),
+        toAmountString(amountBase),
+        initialStatus,
+        payload.bankAccountId,
+        settlementBatchId,
+        payload.idempotencyKey,
+        payload.note,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    const createdId = parsePositiveInt(insertResult.rows?.insertId);
+    await insertEventTx(tx, {
+      row: { tenant_id: tenantId, legal_entity_id: legalEntityId, id: createdId },
+      eventType: isReceived ? "RECEIVE" : "ISSUE",
+      fromStatus: null,
+      toStatus: initialStatus,
+      eventDate: payload.eventDate,
+      userId: payload.userId,
+      counterpartyId: payload.counterpartyId,
+      bankAccountId: payload.bankAccountId,
+      settlementBatchId,
+      journalEntryId,
+      note: payload.note,
+    });
+    return createdId;
+  };
+
+  let settlement;
+  let instrumentId;
+  try {
+    settlement = await applyCariSettlement({
+      req,
+      payload: {
+        tenantId,
+        userId: payload.userId,
+        legalEntityId,
+        counterpartyId: payload.counterpartyId,
+        idempotencyKey: `PRT-REG-${payload.idempotencyKey}`.slice(0, 100),
+        paymentChannel: "MANUAL",
+        settlementDate: payload.eventDate,
+        currencyCode: payload.currencyCode,
+        incomingAmountTxn: payload.amountTxn,
+        useUnappliedCash: false,
+        autoAllocate: false,
+        allocations,
+        fxRate: payload.fxRate,
+        sourceModule: "PORTFOLIO",
+        sourceEntityType: RESOURCE_TYPE,
+        sourceEntityId: payload.idempotencyKey,
+        portfolioOffsetPurposeCode: offsetPurposeCode,
+        note: `${payload.instrumentType} ${payload.serialNo}`,
+      },
+      assertScopeAccess,
+      afterPostTx: insertInstrumentTx,
+    });
+    instrumentId = parsePositiveInt(settlement.afterPostResult);
+    if (settlement.idempotentReplay) {
+      const replay = await fetchInstrumentRowByIdempotency({
+        tenantId,
+        legalEntityId,
+        idempotencyKey: payload.idempotencyKey,
+      });
+      if (replay) {
+        return {
+          row: await loadInstrumentWithEvents({ tenantId, instrumentId: parsePositiveInt(replay.id) }),
+          idempotentReplay: true,
+        };
+      }
+      // Settlement posted without an instrument by an earlier failed request: attach it now.
+      instrumentId = await withTransaction((tx) => insertInstrumentTx(tx, settlement));
+    }
+  } catch (err) {
+    if (isDuplicateKeyError(err)) {
+      const replay = await fetchInstrumentRowByIdempotency({
+        tenantId,
+        legalEntityId,
+        idempotencyKey: payload.idempotencyKey,
+      });
+      if (replay) {
+        return {
+          row: await loadInstrumentWithEvents({ tenantId, instrumentId: parsePositiveInt(replay.id) }),
+          idempotentReplay: true,
+        };
+      }
+      throw badRequest(
+        `Duplicate instrument: ${payload.instrumentType} ${payload.serialNo} is already registered`
+      );
+    }
+    throw err;
+  }
+
+  await insertAuditLog({
+    req,
+    tenantId,
+    userId: payload.userId,
+    action: isReceived ? "cari.portfolio.receive" : "cari.portfolio.issue",
+    legalEntityId,
+    instrumentId,
+    payload: {
+      instrumentType: payload.instrumentType,
+      serialNo: payload.serialNo,
+      amountTxn: payload.amountTxn,
+      currencyCode: payload.currencyCode,
+      settlementBatchId: parsePositiveInt(settlement.row?.id),
+      allocations,
+    },
+  });
+
+  return {
+    row: await loadInstrumentWithEvents({ tenantId, instrumentId }),
+    idempotentReplay: false,
+  };
+}
+
+export async function endorseCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const allowedStatuses = new Set(["IN_PORTFOLIO"]);
+  const row = await fetchInstrumentForTransition({
+    req,
+    tenantId,
+    instrumentId: payload.instrumentId,
+    assertScopeAccess,
+    direction: "RECEIVED",
+    allowedStatuses,
+    action: "endorse",
+  });
+  const legalEntityId = parsePositiveInt(row.legal_entity_id);
+  await assertCounterpartyRole({
+    tenantId,
+    legalEntityId,
+    counterpartyId: payload.vendorCounterpartyId,
+    role: "VENDOR",
+    label: "vendorCounterpartyId",
+  });
+  const offsetPurposeCode = buildPortfolioPurposeCode(row.instrument_type, "RECEIVED");
+  const allocations = await buildInstrumentAllocations({
+    tenantId,
+    legalEntityId,
+    counterpartyId: payload.vendorCounterpartyId,
+    openItemDirection: "AP",
+    currencyCode: row.currency_code,
+    amountTxn: row.amount_txn,
+    requestedAllocations: payload.allocations,
+  });
+
+  // The carrying rate relieves the portfolio account at exactly amount_base.
+  const carryingFxRate = Number(row.amount_base) / Number(row.amount_txn);
+  // The instrument moves to ENDORSED in the settlement transaction, so the vendor settlement
+  // and the status change commit or roll back together.
+  const endorseInstrumentTx = async (tx, settlementResult) => {
+    const settlementBatchId = parsePositiveInt(settlementResult.row?.id);
+    const current = await lockInstrumentForTransition(tx, {
+      tenantId,
+      instrumentId: payload.instrumentId,
+      allowedStatuses,
+      action: "endorse",
+    });
+    await tx.query(
+      `UPDATE cari_portfolio_instruments
+       SET status = 'ENDORSED',
+           endorsed_counterparty_id = ?,
+           endorsement_settlement_batch_id = ?,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [payload.vendorCounterpartyId, settlementBatchId, payload.userId, tenantId, current.id]
+    );
+    await insertEventTx(tx, {
+      row: current,
+      eventType: "ENDORSE",
+      fromStatus: current.status,
+      toStatus: "ENDORSED",
+      eventDate: payload.eventDate,
+      userId: payload.userId,
+      counterpartyId: payload.vendorCounterpartyId,
+      settlementBatchId,
+      journalEntryId: parsePositiveInt(settlementResult.row?.postedJournalEntryId),
+      note: payload.note,
+    });
+    return current;
+  };
+  const settlement = await applyCariSettlement({
+    req,
+    payload: {
+      tenantId,
+      userId: payload.userId,
+      legalEntityId,
+      counterpartyId: payload.vendorCounterpartyId,
+      idempotencyKey: `PRT-END-${row.id}`,
+      paymentChannel: "MANUAL",
+      settlementDate: payload.eventDate,
+      currencyCode: row.currency_code,
+      incomingAmountTxn: toAmountString(row.amount_txn),
+      useUnappliedCash: false,
+      autoAllocate: false,
+      allocations,
+      fxRate: Number(carryingFxRate.toFixed(10)),
+      sourceModule: "PORTFOLIO",
+      sourceEntityType: RESOURCE_TYPE,
+      sourceEntityId: String(row.id),
+      portfolioOffsetPurposeCode: offsetPurposeCode,
+      note: `Endorsed ${row.instrument_type} ${row.serial_no}`,
+    },
+    assertScopeAccess,
+    afterPostTx: endorseInstrumentTx,
+  });
+  const settlementBatchId = parsePositiveInt(settlement.row?.id);
+  // A replayed settlement means the endorsement already committed, or was posted without its
+  // status change by an earlier failed request.
+  const locked = settlement.idempotentReplay
+    ? await withTransaction((tx) => endorseInstrumentTx(tx, settlement))
+    : settlement.afterPostResult;
+
+  return finishTransition({
+    req,
+    tenantId,
+    userId: payload.userId,
+    row: locked,
+    action: "endorse",
+    auditPayload: {
+      vendorCounterpartyId: payload.vendorCounterpartyId,
+      settlementBatchId,
+      allocations,
+    },
+  });
+}
+
+async function moveReceivedInstrument({
+  req,
+  payload,
+  assertScopeAccess,
+  fromStatus,
+  toStatus,
+  eventType,
+  action,
+  requireBankAccount,
+}) {
+  const tenantId = payload.tenantId;
+  const allowedStatuses = new Set([fromStatus]);
+  const row = await fetchInstrumentForTransition({
+    req,
+    tenantId,
+    instrumentId: payload.instrumentId,
+    assertScopeAccess,
+    direction: "RECEIVED",
+    allowedStatuses,
+    action,
+  });
+  const legalEntityId = parsePositiveInt(row.legal_entity_id);
+  if (requireBankAccount) {
+    await assertBankAccountUsable({
+      tenantId,
+      legalEntityId,
+      bankAccountId: payload.bankAccountId,
+      currencyCode: row.currency_code,
+    });
+  }
+  const fromAccount = await resolveHoldingAccount({ tenantId, row, status: fromStatus });
+  const toAccount = await resolveHoldingAccount({ tenantId, row, status: toStatus });
+
+  const locked = await withTransaction(async (tx) => {
+    const current = await lockInstrumentForTransition(tx, {
+      tenantId,
+      instrumentId: payload.instrumentId,
+      allowedStatuses,
+      action,
+    });
+    const journalEntryId = await postPortfolioJournalTx(tx, {
+      row: current,
+      userId: payload.userId,
+      eventDate: payload.eventDate,
+      debitAccountId: toAccount.accountId,
+      creditAccountId: fromAccount.accountId,
+      journalPrefix: "CARI-PRT-MOV",
+      description: `${current.instrument_type} ${current.serial_no} ${fromStatus} -> ${toStatus}`,
+    });
+    const nextBankAccountId = requireBankAccount ? payload.bankAccountId : null;
+    await tx.query(
+      `UPDATE cari_portfolio_instruments
+       SET status = ?,
+           bank_account_id = ?,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [toStatus, nextBankAccountId, payload.userId, tenantId, current.id]
+    );
+    await insertEventTx(tx, {
+      row: current,
+      eventType,
+      fromStatus,
+      toStatus,
+      eventDate: payload.eventDate,
+      userId: payload.userId,
+      bankAccountId: nextBankAccountId || parsePositiveInt(current.bank_account_id),
+      journalEntryId,
+      note: payload.note,
+    });
+    return { ...current, journalEntryId };
+  });
+
+  return finishTransition({
+    req,
+    tenantId,
+    userId: payload.userId,
+    row: locked,
+    action,
+    auditPayload: {
+      fromStatus,
+      toStatus,
+      bankAccountId: payload.bankAccountId || null,
+      journalEntryId: locked.journalEntryId,
+    },
+  });
+}
+
+export async function sendCariPortfolioInstrumentToCollection({ req, payload, assertScopeAccess }) {
+  return moveReceivedInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    fromStatus: "IN_PORTFOLIO",
+    toStatus: "IN_COLLECTION",
+    eventType: "SEND_TO_COLLECTION",
+    action: "send_to_collection",
+    requireBankAccount: true,
+  });
+}
+
+export async function giveCariPortfolioInstrumentAsCollateral({ req, payload, assertScopeAccess }) {
+  return moveReceivedInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    fromStatus: "IN_PORTFOLIO",
+    toStatus: "COLLATERAL",
+    eventType: "GIVE_AS_COLLATERAL",
+    action: "give_as_collateral",
+    requireBankAccount: true,
+  });
+}
+
+export async function returnCariPortfolioInstrumentFromCollateral({
+  req,
+  payload,
+  assertScopeAccess,
+}) {
+  return moveReceivedInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    fromStatus: "COLLATERAL",
+    toStatus: "IN_PORTFOLIO",
+    eventType: "RETURN_FROM_COLLATERAL",
+    action: "return_from_collateral",
+    requireBankAccount: false,
+  });
+}
+
+async function assertCashRegisterInLegalEntity({ tenantId, legalEntityId, cashRegisterId }) {
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM cash_registers
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, cashRegisterId]
+  );
+  if (parsePositiveInt(result.rows?.[0]?.legal_entity_id) !== legalEntityId) {
+    throw badRequest("cashRegisterId must belong to the instrument legal entity");
+  }
+}
+
+// Cash-desk settlement of an instrument: the cash transaction posts against the holding account.
+async function createPostedCashTransactionForInstrument({
+  req,
+  payload,
+  assertScopeAccess,
+  row,
+  txnType,
+  holdingAccountId,
+  idempotencyKey,
+}) {
+  const isReceipt = txnType === "RECEIPT";
+  const created = await createCashTransaction({
+    req,
+    payload: {
+      tenantId: payload.tenantId,
+      userId: payload.userId,
+      registerId: payload.cashRegisterId,
+      cashSessionId: payload.cashSessionId || null,
+      txnType,
+      txnDatetime: `${payload.eventDate} 12:00:00`,
+      bookDate: payload.eventDate,
+      amount: toAmountString(row.amount_txn),
+      currencyCode: row.currency_code,
+      description: `${row.instrument_type} ${row.serial_no} ${isReceipt ? "collected" : "paid"} at cash desk`.slice(0, 500),
+      referenceNo: `PRT-${row.id}`,
+      sourceDocType: isReceipt ? "AR_RECEIPT" : "AP_PAYMENT",
+      sourceDocId: String(row.id),
+      sourceModule: "PORTFOLIO",
+      sourceEntityType: RESOURCE_TYPE,
+      sourceEntityId: String(row.id),
+      integrationLinkStatus: "LINKED",
+      counterpartyType: isReceipt ? "CUSTOMER" : "VENDOR",
+      counterpartyId: parsePositiveInt(row.counterparty_id),
+      counterAccountId: holdingAccountId,
+      counterCashRegisterId: null,
+      idempotencyKey,
+      integrationEventUid: idempotencyKey,
+    },
+    assertScopeAccess,
+  });
+  const cashTransactionId = parsePositiveInt(created.row?.id);
+  if (!cashTransactionId) {
+    throw new Error("Failed to create portfolio cash transaction");
+  }
+  const posted = await postCashTransactionById({
+    req,
+    payload: {
+      tenantId: payload.tenantId,
+      userId: payload.userId,
+      transactionId: cashTransactionId,
+      overrideCashControl: false,
+      overrideReason: null,
+    },
+    assertScopeAccess,
+  });
+  return {
+    cashTransactionId,
+    journalEntryId: parsePositiveInt(posted.row?.posted_journal_entry_id),
+  };
+}
+
+async function closeInstrument({
+  req,
+  payload,
+  assertScopeAccess,
+  direction,
+  allowedStatuses,
+  toStatus,
+  eventType,
+  action,
+}) {
+  const tenantId = payload.tenantId;
+  const row = await fetchInstrumentForTransition({
+    req,
+    tenantId,
+    instrumentId: payload.instrumentId,
+    assertScopeAccess,
+    direction,
+    allowedStatuses,
+    action,
+  });
+  const legalEntityId = parsePositiveInt(row.legal_entity_id);
+  const holdingAccount = await resolveHoldingAccount({ tenantId, row });
+  const isReceived = direction === "RECEIVED";
+
+  if (payload.cashRegisterId) {
+    if (row.status === "IN_COLLECTION") {
+      throw badRequest("Instruments in bank collection are collected through the bank account");
+    }
+    if (payload.bankStatementLineId) {
+      throw badRequest("bankStatementLineId cannot be combined with cashRegisterId");
+    }
+    await assertCashRegisterInLegalEntity({
+      tenantId,
+      legalEntityId,
+      cashRegisterId: payload.cashRegisterId,
+    });
+    const cash = await createPostedCashTransactionForInstrument({
+      req,
+      payload,
+      assertScopeAccess,
+      row,
+      txnType: isReceived ? "RECEIPT" : "PAYOUT",
+      holdingAccountId: holdingAccount.accountId,
+      idempotencyKey: `PRT-${isReceived ? "COL" : "PAY"}-${row.id}`,
+    });
+    const locked = await withTransaction(async (tx) => {
+      const current = await lockInstrumentForTransition(tx, {
+        tenantId,
+        instrumentId: payload.instrumentId,
+        allowedStatuses,
+        action,
+      });
+      await tx.query(
+        `UPDATE cari_portfolio_instruments
+         SET status = ?,
+             closing_journal_entry_id = ?,
+             closing_cash_transaction_id = ?,
+             updated_by_user_id = ?
+         WHERE tenant_id = ?
+           AND id = ?`,
+        [toStatus, cash.journalEntryId, cash.cashTransactionId, payload.userId, tenantId, current.id]
+      );
+      await insertEventTx(tx, {
+        row: current,
+        eventType,
+        fromStatus: current.status,
+        toStatus,
+        eventDate: payload.eventDate,
+        userId: payload.userId,
+        journalEntryId: cash.journalEntryId,
+        cashTransactionId: cash.cashTransactionId,
+        note: payload.note,
+      });
+      return current;
+    });
+    return finishTransition({
+      req,
+      tenantId,
+      userId: payload.userId,
+      row: locked,
+      action,
+      auditPayload: { channel: "CASH", ...cash },
+    });
+  }
+
+  const bankAccountId =
+    payload.bankAccountId ||
+    (row.status === "IN_COLLECTION" || !isReceived ? parsePositiveInt(row.bank_account_id) : null);
+  if (!bankAccountId) {
+    throw badRequest("bankAccountId or cashRegisterId is required");
+  }
+  if (row.status === "IN_COLLECTION" && bankAccountId !== parsePositiveInt(row.bank_account_id)) {
+    throw badRequest("Instrument must be collected through the bank it was sent to");
+  }
+  const bankAccount = await assertBankAccountUsable({
+    tenantId,
+    legalEntityId,
+    bankAccountId,
+    currencyCode: row.currency_code,
+  });
+  if (payload.bankStatementLineId) {
+    await assertStatementLineMatchable({
+      tenantId,
+      row,
+      bankAccountId,
+      lineId: payload.bankStatementLineId,
+      expectedSign: isReceived ? 1 : -1,
+    });
+  }
+  const bankGlAccountId = parsePositiveInt(bankAccount.gl_account_id);
+
+  const locked = await withTransaction(async (tx) => {
+    const current = await lockInstrumentForTransition(tx, {
+      tenantId,
+      instrumentId: payload.instrumentId,
+      allowedStatuses,
+      action,
+    });
+    const journalEntryId = await postPortfolioJournalTx(tx, {
+      row: current,
+      userId: payload.userId,
+      eventDate: payload.eventDate,
+      debitAccountId: isReceived ? bankGlAccountId : holdingAccount.accountId,
+      creditAccountId: isReceived ? holdingAccount.accountId : bankGlAccountId,
+      journalPrefix: isReceived ? "CARI-PRT-COL" : "CARI-PRT-PAY",
+      description: `${current.instrument_type} ${current.serial_no} ${isReceived ? "collected" : "paid"} via ${bankAccount.code}`,
+    });
+    await tx.query(
+      `UPDATE cari_portfolio_instruments
+       SET status = ?,
+           bank_account_id = ?,
+           closing_journal_entry_id = ?,
+           closing_bank_statement_line_id = ?,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [
+        toStatus,
+        bankAccountId,
+        journalEntryId,
+        payload.bankStatementLineId || null,
+        payload.userId,
+        tenantId,
+        current.id,
+      ]
+    );
+    await insertEventTx(tx, {
+      row: current,
+      eventType,
+      fromStatus: current.status,
+      toStatus,
+      eventDate: payload.eventDate,
+      userId: payload.userId,
+      bankAccountId,
+      journalEntryId,
+      bankStatementLineId: payload.bankStatementLineId || null,
+      note: payload.note,
+    });
+    return { ...current, journalEntryId };
+  });
+
+  let reconciliation = null;
+  if (payload.bankStatementLineId) {
+    await matchReconciliationLine({
+      req,
+      tenantId,
+      lineId: payload.bankStatementLineId,
+      matchInput: {
+        matchType: "MANUAL",
+        matchedEntityType: "JOURNAL",
+        matchedEntityId: locked.journalEntryId,
+        matchedAmount: roundAmount(locked.amount_txn),
+        notes: `Portfolio ${locked.instrument_type} ${locked.serial_no}`.slice(0, 500),
+        reconciliationMethod: "PORTFOLIO",
+      },
+      userId: payload.userId,
+      assertScopeAccess,
+    });
+    reconciliation = {
+      bankStatementLineId: payload.bankStatementLineId,
+      journalEntryId: locked.journalEntryId,
+    };
+  }
+
+  return finishTransition({
+    req,
+    tenantId,
+    userId: payload.userId,
+    row: locked,
+    action,
+    auditPayload: {
+      channel: "BANK",
+      bankAccountId,
+      journalEntryId: locked.journalEntryId,
+      reconciliation,
+    },
+  });
+}
+
+export async function collectCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  return closeInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    direction: "RECEIVED",
+    allowedStatuses: new Set(["IN_PORTFOLIO", "IN_COLLECTION"]),
+    toStatus: "COLLECTED",
+    eventType: "COLLECT",
+    action: "collect",
+  });
+}
+
+export async function payCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  return closeInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    direction: "ISSUED",
+    allowedStatuses: new Set(["ISSUED"]),
+    toStatus: "PAID",
+    eventType: "PAY",
+    action: "pay",
+  });
+}
+
+async function reverseSettlementIfPostedTx(tx, { req, tenantId, userId, settlementBatchId, eventDate, reason }) {
+  if (!settlementBatchId) {
+    return null;
+  }
+  const status = await fetchSettlementBatchStatus({ tenantId, settlementBatchId, runQuery: tx.query });
+  if (status !== SETTLEMENT_STATUS_POSTED) {
+    return null;
+  }
+  await reverseCariSettlementByIdTx(tx, {
+    req,
+    tenantId,
+    userId,
+    settlementBatchId,
+    reason,
+    reversalDate: eventDate,
+  });
+  return settlementBatchId;
+}
+
+// Bounce/protest reopens the original open items by reversing the settlements that consumed them.
+async function dishonourInstrument({ req, payload, assertScopeAccess, toStatus, eventType, action }) {
+  const tenantId = payload.tenantId;
+  const probe = await fetchInstrumentRow({ tenantId, instrumentId: payload.instrumentId });
+  if (!probe) {
+    throw badRequest("Portfolio instrument not found");
+  }
+  const allowedStatuses = new Set(DISHONOURABLE_STATUSES[probe.direction] || []);
+  if (toStatus === "PROTESTED") {
+    allowedStatuses.add("BOUNCED");
+  }
+  const row = await fetchInstrumentForTransition({
+    req,
+    tenantId,
+    instrumentId: payload.instrumentId,
+    assertScopeAccess,
+    direction: null,
+    allowedStatuses,
+    action,
+  });
+
+  if (row.status === "BOUNCED") {
+    const locked = await withTransaction(async (tx) => {
+      const current = await lockInstrumentForTransition(tx, {
+        tenantId,
+        instrumentId: payload.instrumentId,
+        allowedStatuses: new Set(["BOUNCED"]),
+        action,
+      });
+      await tx.query(
+        `UPDATE cari_portfolio_instruments
+         SET status = ?,
+             updated_by_user_id = ?
+         WHERE tenant_id = ?
+           AND id = ?`,
+        [toStatus, payload.userId, tenantId, current.id]
+      );
+      await insertEventTx(tx, {
+        row: current,
+        eventType,
+        fromStatus: current.status,
+        toStatus,
+        eventDate: payload.eventDate,
+        userId: payload.userId,
+        note: payload.note,
+      });
+      return current;
+    });
+    return finishTransition({
+      req,
+      tenantId,
+      userId: payload.userId,
+      row: locked,
+      action,
+      auditPayload: { fromStatus: "BOUNCED", toStatus },
+    });
+  }
+
+  const needsReclass = row.direction === "RECEIVED" && ["IN_COLLECTION", "COLLATERAL"].includes(row.status);
+  const fromAccount = needsReclass ? await resolveHoldingAccount({ tenantId, row }) : null;
+  const portfolioAccount = needsReclass
+    ? await resolveHoldingAccount({ tenantId, row, status: "IN_PORTFOLIO" })
+    : null;
+
+  const reason = `${row.instrument_type} ${row.serial_no} ${toStatus.toLowerCase()}: ${payload.note || "dishonoured"}`.slice(0, 255);
+  const locked = await withTransaction(async (tx) => {
+    const current = await lockInstrumentForTransition(tx, {
+      tenantId,
+      instrumentId: payload.instrumentId,
+      allowedStatuses: new Set([row.status]),
+      action,
+    });
+    // Settlement reversals share the instrument transaction, so the open items are never
+    // reopened without the instrument moving to its dishonoured status.
+    const reversedSettlementBatchIds = [];
+    if (current.status === "ENDORSED") {
+      const reversedEndorsement = await reverseSettlementIfPostedTx(tx, {
+        req,
+        tenantId,
+        userId: payload.userId,
+        settlementBatchId: parsePositiveInt(current.endorsement_settlement_batch_id),
+        eventDate: payload.eventDate,
+        reason,
+      });
+      if (reversedEndorsement) {
+        reversedSettlementBatchIds.push(reversedEndorsement);
+      }
+    }
+    const reversedOrigin = await reverseSettlementIfPostedTx(tx, {
+      req,
+      tenantId,
+      userId: payload.userId,
+      settlementBatchId: parsePositiveInt(current.origin_settlement_batch_id),
+      eventDate: payload.eventDate,
+      reason,
+    });
+    if (reversedOrigin) {
+      reversedSettlementBatchIds.push(reversedOrigin);
+    }
+
+    const journalEntryId = needsReclass
+      ? await postPortfolioJournalTx(tx, {
+          row: current,
+          userId: payload.userId,
+          eventDate: payload.eventDate,
+          debitAccountId: portfolioAccount.accountId,
+          creditAccountId: fromAccount.accountId,
+          journalPrefix: "CARI-PRT-DSH",
+          description: `${current.instrument_type} ${current.serial_no} returned unpaid from ${current.status}`,
+        })
+      : null;
+    await tx.query(
+      `UPDATE cari_portfolio_instruments
+       SET status = ?,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [toStatus, payload.userId, tenantId, current.id]
+    );
+    await insertEventTx(tx, {
+      row: current,
+      eventType,
+      fromStatus: current.status,
+      toStatus,
+      eventDate: payload.eventDate,
+      userId: payload.userId,
+      counterpartyId: parsePositiveInt(current.counterparty_id),
+      bankAccountId: parsePositiveInt(current.bank_account_id),
+      journalEntryId,
+      reversedSettlementBatchIds,
+      note: payload.note,
+    });
+    return { ...current, journalEntryId, reversedSettlementBatchIds };
+  });
+
+  return finishTransition({
+    req,
+    tenantId,
+    userId: payload.userId,
+    row: locked,
+    action,
+    auditPayload: {
+      fromStatus: row.status,
+      toStatus,
+      reversedSettlementBatchIds: locked.reversedSettlementBatchIds,
+      journalEntryId: locked.journalEntryId,
+    },
+  });
+}
+
+export async function bounceCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  return dishonourInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    toStatus: "BOUNCED",
+    eventType: "BOUNCE",
+    action: "bounce",
+  });
+}
+
+export async function protestCariPortfolioInstrument({ req, payload, assertScopeAccess }) {
+  return dishonourInstrument({
+    req,
+    payload,
+    assertScopeAccess,
+    toStatus: "PROTESTED",
+    eventType: "PROTEST",
+    action: "protest",
+  });
+}
+
+export async function listCariPortfolioStatementLineCandidates({
+  req,
+  tenantId,
+  bankStatementLineId,
+  assertScopeAccess,
+}) {
+  const line = await fetchStatementLineForMatch({ tenantId, lineId: bankStatementLineId });
+  if (!line) {
+    throw badRequest("bankStatementLineId not found");
+  }
+  const legalEntityId = parsePositiveInt(line.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "bankStatementLineId");
+
+  const lineAmount = Number(line.amount || 0);
+  const remaining = statementLineRemaining(line);
+  const isCredit = lineAmount > 0;
+  const txnDate = toDateOnly(line.txn_date);
+  const params = [
+    tenantId,
+    legalEntityId,
+    normalizeUpperText(line.currency_code),
+    toAmountString(remaining + MATCH_TOLERANCE),
+    txnDate,
+    txnDate,
+  ];
+  const statusSql = isCredit
+    ? `i.direction = 'RECEIVED' AND i.status = 'IN_COLLECTION' AND i.bank_account_id = ?`
+    : `i.direction = 'ISSUED' AND i.status = 'ISSUED' AND (i.bank_account_id = ? OR i.bank_account_id IS NULL)`;
+  params.push(parsePositiveInt(line.bank_account_id));
+
+  const result = await query(
+    `${INSTRUMENT_SELECT_SQL}
+     WHERE i.tenant_id = ?
+       AND i.legal_entity_id = ?
+       AND i.currency_code = ?
+       AND i.amount_txn <= ?
+       AND i.due_date BETWEEN DATE_SUB(?, INTERVAL ${CANDIDATE_DUE_DATE_WINDOW_BEFORE_DAYS} DAY)
+                          AND DATE_ADD(?, INTERVAL ${CANDIDATE_DUE_DATE_WINDOW_AFTER_DAYS} DAY)
+       AND ${statusSql}
+     ORDER BY i.due_date ASC, i.id ASC
+     LIMIT ${CANDIDATE_LIMIT}`,
+    params
+  );
+
+  const rows = (result.rows || [])
+    .map((row) => {
+      const instrument = mapInstrumentRow(row);
+      const exactAmount = Math.abs(Number(instrument.amountTxn) - remaining) <= MATCH_TOLERANCE;
+      const dayGap = Math.abs(daysBetween(instrument.dueDate, txnDate) || 0);
+      return {
+        ...instrument,
+        suggestedAction: isCredit ? "COLLECT" : "PAY",
+        exactAmount,
+        dueDateGapDays: dayGap,
+        score: Math.max(0, (exactAmount ? 100 : 60) - dayGap * 2),
+      };
+    })
+    .sort((left, right) => right.score - left.score || left.id - right.id);
+
+  return {
+    line: {
+      id: parsePositiveInt(line.id),
+      legalEntityId,
+      bankAccountId: parsePositiveInt(line.bank_account_id),
+      txnDate,
+      amount: toDecimalNumber(line.amount),
+      currencyCode: line.currency_code,
+      description: line.description || null,
+      referenceNo: line.reference_no || null,
+      reconStatus: line.recon_status,
+      remainingAmount: remaining,
+    },
+    rows,
+  };
+}
@@ -15,6 +15,13 @@ import {
   generateCashTxnNoForLegalEntityYearTx,
   insertCashTransaction,
 } from "./cash.queries.js";
+import {
+  buildCariReceiptAllocations,
+  fetchStatementLineForPayerIdentification,
+  findReferencedDocumentIds,
+  identifyCariPayerForStatementLine,
+  listOpenReceivablesForPayer,
+} from "./cari.virtual-account.service.js";
 
 const AMOUNT_SCALE = 6;
 const AMOUNT_EPSILON = 0.000001;
@@ -49,6 +56,7 @@ const DIRECTION_TO_CASH_COUNTERPARTY_TYPE = Object.freeze({
 });
 const BANK_ATTACH_TARGET_SETTLEMENT = "SETTLEMENT";
 const BANK_ATTACH_TARGET_UNAPPLIED_CASH = "UNAPPLIED_CASH";
+const BANK_ATTACH_TARGET_AUTO_RECEIPT = "AUTO_RECEIPT";
 const RESOURCE_TYPE_SETTLEMENT_BATCH = "cari_settlement_batch";
 const RESOURCE_TYPE_UNAPPLIED_CASH = "cari_unapplied_cash";
 const RESOURCE_TYPE_CASH_TRANSACTION = "cash_transaction";
@@ -59,6 +67,7 @@ const SETTLEMENT_POSTING_SOURCE_CONTEXT = Object.freeze({
   CASH_LINKED: "CASH_LINKED",
   MANUAL: "MANUAL",
   ON_ACCOUNT_APPLY: "ON_ACCOUNT_APPLY",
+  PORTFOLIO: "PORTFOLIO",
 });
 const FOLLOW_UP_RISKS = Object.freeze([
   "Posting depends on configured journal_purpose_accounts mappings. Engine tries context codes first (for CASH, MANUAL, ON_ACCOUNT) and falls back to base mappings (CARI_AR_CONTROL/CARI_AR_OFFSET/CARI_AP_CONTROL/CARI_AP_OFFSET). Missing setup blocks posting.",
@@ -256,10 +265,11 @@ function normalizeSettlementPostingSourceContext(value) {
   if (
     normalized !== SETTLEMENT_POSTING_SOURCE_CONTEXT.CASH_LINKED &&
     normalized !== SETTLEMENT_POSTING_SOURCE_CONTEXT.MANUAL &&
-    normalized !== SETTLEMENT_POSTING_SOURCE_CONTEXT.ON_ACCOUNT_APPLY
+    normalized !== SETTLEMENT_POSTING_SOURCE_CONTEXT.ON_ACCOUNT_APPLY &&
+    normalized !== SETTLEMENT_POSTING_SOURCE_CONTEXT.PORTFOLIO
   ) {
     throw badRequest(
-      "Settlement posting source context must be CASH_LINKED, MANUAL, or ON_ACCOUNT_APPLY"
+      "Settlement posting source context must be CASH_LINKED, MANUAL, ON_ACCOUNT_APPLY, or PORTFOLIO"
     );
   }
   return normalized;
@@ -273,6 +283,9 @@ function deriveSettlementPostingSourceContext({
 }) {
   const normalizedPaymentChannel = normalizePaymentChannel(paymentChannel);
   const normalizedSourceModule = normalizeUpperText(sourceModule);
+  if (normalizedSourceModule === "PORTFOLIO") {
+    return SETTLEMENT_POSTING_SOURCE_CONTEXT.PORTFOLIO;
+  }
   if (
     parsePositiveInt(cashTransactionId) ||
     normalizedPaymentChannel === PAYMENT_CHANNEL_CASH ||
@@ -289,6 +302,7 @@ function deriveSettlementPostingSourceContext({
 function buildSettlementPostingPurposeCandidates({
   direction,
   sourceContext,
+  portfolioOffsetPurposeCode = null,
 }) {
   const normalizedDirection = normalizeUpperText(direction);
   const normalizedSourceContext =
@@ -299,6 +313,19 @@ function buildSettlementPostingPurposeCandidates({
   }
 
   const prefix = normalizedDirection === "AR" ? "CARI_AR" : "CARI_AP";
+  if (normalizedSourceContext === SETTLEMENT_POSTING_SOURCE_CONTEXT.PORTFOLIO) {
+    // Cheques/notes never fall back to the generic offset: the portfolio account is the offset.
+    const offsetPurposeCode = normalizeUpperText(portfolioOffsetPurposeCode);
+    if (!offsetPurposeCode) {
+      throw badRequest("Portfolio settlements require a portfolio offset purpose code");
+    }
+    return {
+      controlCandidates: [basePurposes.control],
+      offsetCandidates: [offsetPurposeCode],
+      normalizedDirection,
+      normalizedSourceContext,
+    };
+  }
   if (normalizedSourceContext === SETTLEMENT_POSTING_SOURCE_CONTEXT.CASH_LINKED) {
     return {
       controlCandidates: [`${prefix}_CONTROL_CASH`, basePurposes.control],
@@ -924,12 +951,14 @@ async function resolveSettlementPostingAccounts({
   legalEntityId,
   direction,
   sourceContext = SETTLEMENT_POSTING_SOURCE_CONTEXT.MANUAL,
+  portfolioOffsetPurposeCode = null,
   counterpartyRow = null,
   runQuery = query,
 }) {
   const purposeCandidates = buildSettlementPostingPurposeCandidates({
     direction,
     sourceContext,
+    portfolioOffsetPurposeCode,
   });
   const requestedPurposes = Array.from(
     new Set([
@@ -2629,10 +2658,16 @@ export async function resolveCariSettlementScope(settlementBatchId, tenantId) {
 }
 
 export const CARI_SETTLEMENT_FOLLOW_UP_RISKS = FOLLOW_UP_RISKS;
+// beforePostTx(tx) runs first inside the settlement transaction, so callers can lock and re-check
+// their own rows before anything is posted.
+// afterPostTx(tx, result) runs inside the settlement transaction once a new settlement is posted,
+// so callers can write their own rows atomically with it; it is not called on idempotent replays.
 export async function applyCariSettlement({
   req,
   payload,
   assertScopeAccess,
+  beforePostTx = null,
+  afterPostTx = null,
 }) {
   const tenantId = payload.tenantId;
   const legalEntityId = payload.legalEntityId;
@@ -2761,6 +2796,9 @@ export async function applyCariSettlement({
 
   try {
     const created = await withTransaction(async (tx) => {
+      if (beforePostTx) {
+        await beforePostTx(tx);
+      }
       const replayBatchIdByApply = await findSettlementBatchIdByApplyIdempotency({
         tenantId,
         legalEntityId,
@@ -3092,6 +3130,7 @@ export async function applyCariSettlement({
         legalEntityId,
         direction,
         sourceContext: postingSourceContext,
+        portfolioOffsetPurposeCode: payload.portfolioOffsetPurposeCode,
         counterpartyRow: counterparty,
         runQuery: tx.query,
       });
@@ -3551,9 +3590,11 @@ export async function applyCariSettlement({
         result,
         runQuery: tx.query,
       });
+      const afterPostResult = afterPostTx ? await afterPostTx(tx, resultWithCash) : null;
 
       return {
         ...resultWithCash,
+        afterPostResult,
         idempotentReplay: false,
         followUpRisks: FOLLOW_UP_RISKS,
         metrics: {
@@ -3681,6 +3722,202 @@ export async function applyCariSettlement({
   }
 }
 
+/**
+ * Creates an AR receipt for an incoming bank statement line whose payer is
+ * identified through counterparty virtual accounts. The receipt is applied to
+ * the invoices referenced on the line, or FIFO to the oldest open items, and
+ * any remainder is kept as unapplied cash. The statement line is locked for
+ * the posting, and afterPostTx(tx, result) lets the caller reconcile the line
+ * in the same transaction as the receipt.
+ */
+export async function createCariReceiptFromStatementLine({
+  req,
+  payload,
+  assertScopeAccess,
+  afterPostTx = null,
+}) {
+  const tenantId = payload.tenantId;
+  const legalEntityId = payload.legalEntityId;
+  const idempotencyKey = toNullableString(payload.idempotencyKey, 100);
+  const bankStatementLineId = normalizeOptionalPositiveInt(
+    payload.bankStatementLineId,
+    "bankStatementLineId"
+  );
+
+  if (!idempotencyKey) {
+    throw badRequest("idempotencyKey is required");
+  }
+  if (!bankStatementLineId) {
+    throw badRequest("bankStatementLineId is required for an automatic receipt");
+  }
+
+  assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+
+  const line = await fetchStatementLineForPayerIdentification({
+    tenantId,
+    legalEntityId,
+    statementLineId: bankStatementLineId,
+  });
+  if (!line) {
+    throw badRequest("bankStatementLineId must belong to legalEntityId");
+  }
+  const lineAmount = roundAmount(line.amount);
+  if (lineAmount <= AMOUNT_EPSILON) {
+    throw badRequest("Only incoming bank statement lines can create an AR receipt");
+  }
+  const amountTxn =
+    payload.amountTxn === undefined || payload.amountTxn === null
+      ? lineAmount
+      : normalizeAmount(payload.amountTxn, "amountTxn");
+  if (amountTxn > lineAmount + AMOUNT_EPSILON) {
+    throw badRequest("amountTxn cannot exceed the bank statement line amount");
+  }
+
+  const identification = await identifyCariPayerForStatementLine({
+    tenantId,
+    legalEntityId,
+    line,
+  });
+  const settlementPayload = {
+    tenantId,
+    userId: payload.userId,
+    legalEntityId,
+    counterpartyId: identification.counterpartyId,
+    idempotencyKey,
+    paymentChannel: PAYMENT_CHANNEL_MANUAL,
+    settlementDate:
+      toDateOnlyString(line.value_date, "valueDate") ||
+      toDateOnlyString(line.txn_date, "txnDate"),
+    currencyCode: normalizeUpperText(line.currency_code),
+    incomingAmountTxn: amountTxn,
+    autoAllocate: false,
+    useUnappliedCash: false,
+    bankApplyIdempotencyKey: idempotencyKey,
+    bankStatementLineId,
+    bankTransactionRef: toNullableString(line.reference_no, 100),
+    note: toNullableString(payload.note, 500),
+  };
+
+  const existingBatchId = await findSettlementBatchIdByBankApplyIdempotency({
+    tenantId,
+    legalEntityId,
+    bankApplyIdempotencyKey: idempotencyKey,
+  });
+  if (existingBatchId) {
+    const replay = await loadSettlementResult({
+      tenantId,
+      settlementBatchId: existingBatchId,
+      includeApplyAudit: true,
+    });
+    return {
+      ...replay,
+      idempotentReplay: true,
+      identification,
+      allocationMode: null,
+      referencedDocumentNos: [],
+    };
+  }
+
+  if (identification.status === "AMBIGUOUS") {
+    const codes = identification.candidates
+      .map((entry) => entry.counterpartyCode || entry.counterpartyId)
+      .join(", ");
+    throw badRequest(`Payer is ambiguous for bank statement line (${codes})`);
+  }
+  if (identification.status !== "IDENTIFIED") {
+    throw badRequest("Payer could not be identified from bank statement line");
+  }
+
+  const findOtherLineReceipt = async (runQuery, forUpdate = false) => {
+    const result = await runQuery(
+      `SELECT id, settlement_no
+       FROM cari_settlement_batches
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND bank_statement_line_id = ?
+         AND status = 'POSTED'
+         AND (bank_apply_idempotency_key IS NULL OR bank_apply_idempotency_key <> ?)
+       LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+      [tenantId, legalEntityId, bankStatementLineId, idempotencyKey]
+    );
+    const row = result.rows?.[0] || null;
+    if (row) {
+      throw badRequest(`bankStatementLineId is already applied by settlement ${row.settlement_no}`);
+    }
+  };
+  await findOtherLineReceipt(query);
+
+  const openItems = await listOpenReceivablesForPayer({
+    tenantId,
+    legalEntityId,
+    counterpartyId: identification.counterpartyId,
+    currencyCode: settlementPayload.currencyCode,
+  });
+  if (openItems.length === 0) {
+    throw badRequest(
+      `No open AR items in ${settlementPayload.currencyCode} for counterparty ${
+        identification.counterpartyCode || identification.counterpartyId
+      }`
+    );
+  }
+  const plan = buildCariReceiptAllocations({
+    openItems,
+    amountTxn,
+    referencedDocumentIds: findReferencedDocumentIds(line, openItems),
+  });
+
+  const result = await applyCariSettlement({
+    req,
+    payload: {
+      ...settlementPayload,
+      allocations: plan.allocations,
+    },
+    assertScopeAccess,
+    beforePostTx: async (tx) => {
+      // Serialize receipts per statement line; the check above is only a fast path.
+      await tx.query(
+        `SELECT id
+         FROM bank_statement_lines
+         WHERE tenant_id = ?
+           AND id = ?
+         FOR UPDATE`,
+        [tenantId, bankStatementLineId]
+      );
+      await findOtherLineReceipt(tx.query, true);
+    },
+    afterPostTx: async (tx, posted) => {
+      await insertAuditLog({
+        req,
+        runQuery: tx.query,
+        tenantId,
+        userId: payload.userId,
+        action: "cari.bank.auto_receipt",
+        legalEntityId,
+        resourceId: posted.row?.id,
+        payload: {
+          bankStatementLineId,
+          counterpartyId: identification.counterpartyId,
+          matchedBy: identification.matchedBy,
+          allocationMode: plan.allocationMode,
+          referencedDocumentNos: plan.referencedDocumentNos,
+          allocations: plan.allocations,
+          unappliedAmountTxn: plan.unappliedAmountTxn,
+          idempotencyKey,
+        },
+      });
+      return afterPostTx ? afterPostTx(tx, posted) : null;
+    },
+  });
+
+  return {
+    ...result,
+    identification,
+    allocationMode: plan.allocationMode,
+    referencedDocumentNos: plan.referencedDocumentNos,
+  };
+}
+
 export async function attachCariBankReference({
   req,
   payload,
@@ -3706,11 +3943,31 @@ export async function attachCariBankReference({
   if (!bankStatementLineId && !bankTransactionRef) {
     throw badRequest("bankStatementLineId or bankTransactionRef is required");
   }
+  if (targetType === BANK_ATTACH_TARGET_AUTO_RECEIPT) {
+    const receipt = await createCariReceiptFromStatementLine({
+      req,
+      payload,
+      assertScopeAccess,
+    });
+    return {
+      targetType,
+      settlement: receipt.row || null,
+      unappliedCash: Array.isArray(receipt.unappliedCash) ? receipt.unappliedCash[0] || null : null,
+      idempotentReplay: Boolean(receipt.idempotentReplay),
+      autoReceipt: {
+        identification: receipt.identification,
+        allocationMode: receipt.allocationMode,
+        referencedDocumentNos: receipt.referencedDocumentNos,
+        allocations: Array.isArray(receipt.allocations) ? receipt.allocations : [],
+        journal: receipt.journal || null,
+      },
+    };
+  }
   if (
     targetType !== BANK_ATTACH_TARGET_SETTLEMENT &&
     targetType !== BANK_ATTACH_TARGET_UNAPPLIED_CASH
   ) {
-    throw badRequest("targetType must be SETTLEMENT or UNAPPLIED_CASH");
+    throw badRequest("targetType must be SETTLEMENT, UNAPPLIED_CASH or AUTO_RECEIPT");
   }
 
   assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
@@ -4043,545 +4300,563 @@ export async function attachCariBankReference({
   }
 }
 
-export async function reverseCariSettlementById({
+// Transaction-scoped reversal so callers can reverse settlements together with their own writes.
+// Scope checks stay with the caller; the batch is re-read FOR UPDATE here.
+export async function reverseCariSettlementByIdTx(tx, {
   req,
-  payload,
-  assertScopeAccess,
+  tenantId,
+  userId,
+  settlementBatchId,
+  reason,
+  reversalDate,
 }) {
-  const tenantId = payload.tenantId;
-  const settlementBatchId = payload.settlementBatchId;
-  const reason = toNullableString(payload.reason, 255) || "Manual settlement reversal";
-  const reversalDate = payload.reversalDate
-    ? normalizeDateInput(payload.reversalDate, "reversalDate")
-    : toDateOnlyString(new Date(), "reversalDate");
-
-  const existing = await fetchSettlementBatchRow({
+  const original = await fetchSettlementBatchRow({
     tenantId,
     settlementBatchId,
+    runQuery: tx.query,
+    forUpdate: true,
   });
-  if (!existing) {
+  if (!original) {
     throw badRequest("Settlement batch not found");
   }
-  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
-  assertScopeAccess(req, "legal_entity", legalEntityId, "settlementBatchId");
-  if (normalizeUpperText(existing.status) !== SETTLEMENT_STATUS_POSTED) {
+  if (normalizeUpperText(original.status) !== SETTLEMENT_STATUS_POSTED) {
     throw badRequest("Only POSTED settlements can be reversed");
   }
-
-  try {
-    const reversed = await withTransaction(async (tx) => {
-      const original = await fetchSettlementBatchRow({
-        tenantId,
-        settlementBatchId,
-        runQuery: tx.query,
-        forUpdate: true,
-      });
-      if (!original) {
-        throw badRequest("Settlement batch not found");
-      }
-      if (normalizeUpperText(original.status) !== SETTLEMENT_STATUS_POSTED) {
-        throw badRequest("Only POSTED settlements can be reversed");
-      }
-      const lockedLegalEntityId = parsePositiveInt(original.legal_entity_id);
-      const originalJournalEntryId = parsePositiveInt(original.posted_journal_entry_id);
-      const linkedCashTransactionId = parsePositiveInt(original.cash_transaction_id);
-      if (linkedCashTransactionId) {
-        const linkedCashTxn = await fetchCashTransactionForSettlementLink({
-          tenantId,
-          cashTransactionId: linkedCashTransactionId,
-          runQuery: tx.query,
-          forUpdate: true,
-        });
-        if (linkedCashTxn && normalizeUpperText(linkedCashTxn.status) === "POSTED") {
-          throw badRequest(
-            `Settlement cannot be reversed while linked cash transaction ${linkedCashTransactionId} is POSTED. Reverse cash transaction first.`
-          );
-        }
-      }
-      if (!originalJournalEntryId) {
-        throw badRequest("Settlement posted journal linkage is missing");
-      }
-
-      const existingReversalBatchId = await findReversalSettlementBatchId({
-        tenantId,
-        originalSettlementBatchId: settlementBatchId,
-        runQuery: tx.query,
-      });
-      if (existingReversalBatchId) {
-        throw badRequest("Settlement is already reversed");
-      }
-
-      const allocations = await fetchSettlementAllocationsByBatchId({
-        tenantId,
-        settlementBatchId,
-        runQuery: tx.query,
-      });
-      if (!allocations.length) {
-        throw badRequest("Settlement has no allocations to reverse");
-      }
-      const openItemIds = allocations
-        .map((row) => parsePositiveInt(row.open_item_id))
-        .filter(Boolean)
-        .sort((left, right) => left - right);
-      const lockedOpenItems = await fetchOpenItemsByIdsForUpdate({
-        tenantId,
-        legalEntityId: lockedLegalEntityId,
-        openItemIds,
-        runQuery: tx.query,
-      });
-      const openItemById = new Map(
-        lockedOpenItems.map((row) => [parsePositiveInt(row.id), row])
+  const lockedLegalEntityId = parsePositiveInt(original.legal_entity_id);
+  const originalJournalEntryId = parsePositiveInt(original.posted_journal_entry_id);
+  const linkedCashTransactionId = parsePositiveInt(original.cash_transaction_id);
+  if (linkedCashTransactionId) {
+    const linkedCashTxn = await fetchCashTransactionForSettlementLink({
+      tenantId,
+      cashTransactionId: linkedCashTransactionId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (linkedCashTxn && normalizeUpperText(linkedCashTxn.status) === "POSTED") {
+      throw badRequest(
+        `Settlement cannot be reversed while linked cash transaction ${linkedCashTransactionId} is POSTED. Reverse cash transaction first.`
       );
+    }
+  }
+  if (!originalJournalEntryId) {
+    throw badRequest("Settlement posted journal linkage is missing");
+  }
 
-      const touchedDocumentIds = [];
-      for (const allocation of allocations) {
-        const openItemId = parsePositiveInt(allocation.open_item_id);
-        const lockedOpenItem = openItemById.get(openItemId);
-        if (!lockedOpenItem) {
-          throw badRequest(`openItemId=${openItemId} no longer exists for reversal`);
-        }
+  const existingReversalBatchId = await findReversalSettlementBatchId({
+    tenantId,
+    originalSettlementBatchId: settlementBatchId,
+    runQuery: tx.query,
+  });
+  if (existingReversalBatchId) {
+    throw badRequest("Settlement is already reversed");
+  }
 
-        const allocationTxn = normalizeAmount(
-          allocation.allocation_amount_txn,
-          "allocationAmountTxn"
-        );
-        const allocationBase = normalizeAmount(
-          allocation.allocation_amount_base,
-          "allocationAmountBase"
-        );
-        const originalAmountTxn = normalizeAmount(
-          lockedOpenItem.original_amount_txn,
-          "openItem.originalAmountTxn"
-        );
-        const originalAmountBase = normalizeAmount(
-          lockedOpenItem.original_amount_base,
-          "openItem.originalAmountBase"
-        );
-        const currentResidualTxn = normalizeAmount(
-          lockedOpenItem.residual_amount_txn,
-          "openItem.residualAmountTxn",
-          { allowZero: true }
-        );
-        const currentResidualBase = normalizeAmount(
-          lockedOpenItem.residual_amount_base,
-          "openItem.residualAmountBase",
-          { allowZero: true }
-        );
-        let nextResidualTxn = roundAmount(currentResidualTxn + allocationTxn);
-        let nextResidualBase = roundAmount(currentResidualBase + allocationBase);
-        if (nextResidualTxn > originalAmountTxn && nextResidualTxn - originalAmountTxn <= AMOUNT_EPSILON) {
-          nextResidualTxn = originalAmountTxn;
-        }
-        if (nextResidualBase > originalAmountBase && nextResidualBase - originalAmountBase <= AMOUNT_EPSILON) {
-          nextResidualBase = originalAmountBase;
-        }
-        if (
-          nextResidualTxn > originalAmountTxn + AMOUNT_EPSILON ||
-          nextResidualBase > originalAmountBase + AMOUNT_EPSILON
-        ) {
-          throw badRequest(
-            `Cannot reverse settlement because open item ${openItemId} has progressed beyond reversible state`
-          );
-        }
-        const nextSettledTxn = roundAmount(originalAmountTxn - nextResidualTxn);
-        const nextSettledBase = roundAmount(originalAmountBase - nextResidualBase);
-        const nextStatus = normalizeOpenItemStatus({
-          originalAmountTxn,
-          residualAmountTxn: nextResidualTxn,
-          settledAmountTxn: nextSettledTxn,
-        });
+  const allocations = await fetchSettlementAllocationsByBatchId({
+    tenantId,
+    settlementBatchId,
+    runQuery: tx.query,
+  });
+  if (!allocations.length) {
+    throw badRequest("Settlement has no allocations to reverse");
+  }
+  const openItemIds = allocations
+    .map((row) => parsePositiveInt(row.open_item_id))
+    .filter(Boolean)
+    .sort((left, right) => left - right);
+  const lockedOpenItems = await fetchOpenItemsByIdsForUpdate({
+    tenantId,
+    legalEntityId: lockedLegalEntityId,
+    openItemIds,
+    runQuery: tx.query,
+  });
+  const openItemById = new Map(
+    lockedOpenItems.map((row) => [parsePositiveInt(row.id), row])
+  );
 
-        // eslint-disable-next-line no-await-in-loop
-        await tx.query(
-          `UPDATE cari_open_items
-           SET status = ?,
-               residual_amount_txn = ?,
-               residual_amount_base = ?,
-               settled_amount_txn = ?,
-               settled_amount_base = ?
-           WHERE tenant_id = ?
-             AND legal_entity_id = ?
-             AND id = ?`,
-          [
-            nextStatus,
-            nextResidualTxn,
-            nextResidualBase,
-            nextSettledTxn,
-            nextSettledBase,
-            tenantId,
-            lockedLegalEntityId,
-            openItemId,
-          ]
-        );
-        touchedDocumentIds.push(parsePositiveInt(lockedOpenItem.document_id));
-      }
+  const touchedDocumentIds = [];
+  for (const allocation of allocations) {
+    const openItemId = parsePositiveInt(allocation.open_item_id);
+    const lockedOpenItem = openItemById.get(openItemId);
+    if (!lockedOpenItem) {
+      throw badRequest(`openItemId=${openItemId} no longer exists for reversal`);
+    }
 
-      await refreshDocumentBalancesTx({
-        tx,
-        tenantId,
-        legalEntityId: lockedLegalEntityId,
-        documentIds: touchedDocumentIds,
-      });
+    const allocationTxn = normalizeAmount(
+      allocation.allocation_amount_txn,
+      "allocationAmountTxn"
+    );
+    const allocationBase = normalizeAmount(
+      allocation.allocation_amount_base,
+      "allocationAmountBase"
+    );
+    const originalAmountTxn = normalizeAmount(
+      lockedOpenItem.original_amount_txn,
+      "openItem.originalAmountTxn"
+    );
+    const originalAmountBase = normalizeAmount(
+      lockedOpenItem.original_amount_base,
+      "openItem.originalAmountBase"
+    );
+    const currentResidualTxn = normalizeAmount(
+      lockedOpenItem.residual_amount_txn,
+      "openItem.residualAmountTxn",
+      { allowZero: true }
+    );
+    const currentResidualBase = normalizeAmount(
+      lockedOpenItem.residual_amount_base,
+      "openItem.residualAmountBase",
+      { allowZero: true }
+    );
+    let nextResidualTxn = roundAmount(currentResidualTxn + allocationTxn);
+    let nextResidualBase = roundAmount(currentResidualBase + allocationBase);
+    if (nextResidualTxn > originalAmountTxn && nextResidualTxn - originalAmountTxn <= AMOUNT_EPSILON) {
+      nextResidualTxn = originalAmountTxn;
+    }
+    if (nextResidualBase > originalAmountBase && nextResidualBase - originalAmountBase <= AMOUNT_EPSILON) {
+      nextResidualBase = originalAmountBase;
+    }
+    if (
+      nextResidualTxn > originalAmountTxn + AMOUNT_EPSILON ||
+      nextResidualBase > originalAmountBase + AMOUNT_EPSILON
+    ) {
+      throw badRequest(
+        `Cannot reverse settlement because open item ${openItemId} has progressed beyond reversible state`
+      );
+    }
+    const nextSettledTxn = roundAmount(originalAmountTxn - nextResidualTxn);
+    const nextSettledBase = roundAmount(originalAmountBase - nextResidualBase);
+    const nextStatus = normalizeOpenItemStatus({
+      originalAmountTxn,
+      residualAmountTxn: nextResidualTxn,
+      settledAmountTxn: nextSettledTxn,
+    });
 
-      const applyAuditPayload = await fetchApplyAuditPayloadForSettlement({
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `UPDATE cari_open_items
+       SET status = ?,
+           residual_amount_txn = ?,
+           residual_amount_base = ?,
+           settled_amount_txn = ?,
+           settled_amount_base = ?
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?`,
+      [
+        nextStatus,
+        nextResidualTxn,
+        nextResidualBase,
+        nextSettledTxn,
+        nextSettledBase,
         tenantId,
-        settlementBatchId,
-        runQuery: tx.query,
-      });
-      const unappliedConsumed = Array.isArray(applyAuditPayload?.unappliedConsumed)
-        ? applyAuditPayload.unappliedConsumed
-        : [];
-      const createdUnappliedCashId = parsePositiveInt(
-        applyAuditPayload?.createdUnappliedCashId
-      );
+        lockedLegalEntityId,
+        openItemId,
+      ]
+    );
+    touchedDocumentIds.push(parsePositiveInt(lockedOpenItem.document_id));
+  }
 
-      for (const consumed of unappliedConsumed.sort(
-        (left, right) =>
-          parsePositiveInt(left?.unappliedCashId) - parsePositiveInt(right?.unappliedCashId)
-      )) {
-        const unappliedCashId = parsePositiveInt(consumed?.unappliedCashId);
-        if (!unappliedCashId) {
-          continue;
-        }
-        const consumeTxn = normalizeAmount(consumed?.consumeTxn || 0, "consumeTxn", {
-          allowZero: true,
-        });
-        const consumeBase = normalizeAmount(consumed?.consumeBase || 0, "consumeBase", {
-          allowZero: true,
-        });
-        if (consumeTxn <= AMOUNT_EPSILON && consumeBase <= AMOUNT_EPSILON) {
-          continue;
-        }
-
-        // eslint-disable-next-line no-await-in-loop
-        const rowResult = await tx.query(
-          `SELECT
-             id,
-             amount_txn,
-             amount_base,
-             residual_amount_txn,
-             residual_amount_base,
-             status,
-             note
-           FROM cari_unapplied_cash
-           WHERE tenant_id = ?
-             AND legal_entity_id = ?
-             AND id = ?
-           LIMIT 1
-           FOR UPDATE`,
-          [tenantId, lockedLegalEntityId, unappliedCashId]
-        );
-        const row = rowResult.rows?.[0] || null;
-        if (!row) {
-          throw badRequest(
-            `Cannot reverse settlement because unapplied cash ${unappliedCashId} no longer exists`
-          );
-        }
-
-        const amountTxn = normalizeAmount(row.amount_txn, "unapplied.amountTxn");
-        const amountBase = normalizeAmount(row.amount_base, "unapplied.amountBase");
-        const residualTxn = normalizeAmount(
-          row.residual_amount_txn,
-          "unapplied.residualAmountTxn"
-        );
-        const residualBase = normalizeAmount(
-          row.residual_amount_base,
-          "unapplied.residualAmountBase"
-        );
-        let nextResidualTxn = roundAmount(residualTxn + consumeTxn);
-        let nextResidualBase = roundAmount(residualBase + consumeBase);
-        if (nextResidualTxn > amountTxn && nextResidualTxn - amountTxn <= AMOUNT_EPSILON) {
-          nextResidualTxn = amountTxn;
-        }
-        if (nextResidualBase > amountBase && nextResidualBase - amountBase <= AMOUNT_EPSILON) {
-          nextResidualBase = amountBase;
-        }
-        if (
-          nextResidualTxn > amountTxn + AMOUNT_EPSILON ||
-          nextResidualBase > amountBase + AMOUNT_EPSILON
-        ) {
-          throw badRequest(
-            `Cannot reverse settlement because unapplied cash ${unappliedCashId} was consumed by later operations`
-          );
-        }
-        const nextStatus = normalizeUnappliedStatus({
-          residualAmountTxn: nextResidualTxn,
-          amountTxn,
-        });
+  await refreshDocumentBalancesTx({
+    tx,
+    tenantId,
+    legalEntityId: lockedLegalEntityId,
+    documentIds: touchedDocumentIds,
+  });
 
-        // eslint-disable-next-line no-await-in-loop
-        await tx.query(
-          `UPDATE cari_unapplied_cash
-           SET status = ?,
-               residual_amount_txn = ?,
-               residual_amount_base = ?,
-               note = ?
-           WHERE tenant_id = ?
-             AND legal_entity_id = ?
-             AND id = ?`,
-          [
-            nextStatus,
-            nextResidualTxn,
-            nextResidualBase,
-            toNullableString(
-              `${row.note || ""}${row.note ? " | " : ""}Restored by reversal of settlement ${
-                original.settlement_no
-              }`,
-              500
-            ),
-            tenantId,
-            lockedLegalEntityId,
-            unappliedCashId,
-          ]
-        );
-      }
+  const applyAuditPayload = await fetchApplyAuditPayloadForSettlement({
+    tenantId,
+    settlementBatchId,
+    runQuery: tx.query,
+  });
+  const unappliedConsumed = Array.isArray(applyAuditPayload?.unappliedConsumed)
+    ? applyAuditPayload.unappliedConsumed
+    : [];
+  const createdUnappliedCashId = parsePositiveInt(
+    applyAuditPayload?.createdUnappliedCashId
+  );
 
-      if (createdUnappliedCashId) {
-        const createdUnappliedRowResult = await tx.query(
-          `SELECT
-             id,
-             amount_txn,
-             amount_base,
-             residual_amount_txn,
-             residual_amount_base,
-             status,
-             note
-           FROM cari_unapplied_cash
-           WHERE tenant_id = ?
-             AND legal_entity_id = ?
-             AND id = ?
-           LIMIT 1
-           FOR UPDATE`,
-          [tenantId, lockedLegalEntityId, createdUnappliedCashId]
-        );
-        const createdRow = createdUnappliedRowResult.rows?.[0] || null;
-        if (createdRow) {
-          const amountTxn = normalizeAmount(createdRow.amount_txn, "unapplied.amountTxn");
-          const amountBase = normalizeAmount(createdRow.amount_base, "unapplied.amountBase");
-          const residualTxn = normalizeAmount(
-            createdRow.residual_amount_txn,
-            "unapplied.residualAmountTxn"
-          );
-          const residualBase = normalizeAmount(
-            createdRow.residual_amount_base,
-            "unapplied.residualAmountBase"
-          );
-          if (
-            !amountsAreEqual(residualTxn, amountTxn) ||
-            !amountsAreEqual(residualBase, amountBase)
-          ) {
-            throw badRequest(
-              `Cannot reverse settlement because created unapplied cash ${createdUnappliedCashId} is already consumed`
-            );
-          }
-          await tx.query(
-            `UPDATE cari_unapplied_cash
-             SET status = ?,
-                 residual_amount_txn = 0.000000,
-                 residual_amount_base = 0.000000,
-                 note = ?
-             WHERE tenant_id = ?
-               AND legal_entity_id = ?
-               AND id = ?`,
-            [
-              UNAPPLIED_STATUS_REVERSED,
-              toNullableString(
-                `${createdRow.note || ""}${createdRow.note ? " | " : ""}Reversed by settlement ${
-                  original.settlement_no
-                }`,
-                500
-              ),
-              tenantId,
-              lockedLegalEntityId,
-              createdUnappliedCashId,
-            ]
-          );
-        }
-      }
+  for (const consumed of unappliedConsumed.sort(
+    (left, right) =>
+      parsePositiveInt(left?.unappliedCashId) - parsePositiveInt(right?.unappliedCashId)
+  )) {
+    const unappliedCashId = parsePositiveInt(consumed?.unappliedCashId);
+    if (!unappliedCashId) {
+      continue;
+    }
+    const consumeTxn = normalizeAmount(consumed?.consumeTxn || 0, "consumeTxn", {
+      allowZero: true,
+    });
+    const consumeBase = normalizeAmount(consumed?.consumeBase || 0, "consumeBase", {
+      allowZero: true,
+    });
+    if (consumeTxn <= AMOUNT_EPSILON && consumeBase <= AMOUNT_EPSILON) {
+      continue;
+    }
 
-      const originalJournalWithLines = await fetchPostedJournalWithLines({
-        tenantId,
-        journalEntryId: originalJournalEntryId,
-        runQuery: tx.query,
-      });
-      const originalJournal = originalJournalWithLines?.journal || null;
-      const originalJournalLines = originalJournalWithLines?.lines || [];
-      if (!originalJournal) {
-        throw badRequest("Original settlement posted journal not found");
-      }
-      if (normalizeUpperText(originalJournal.status) !== "POSTED") {
-        throw badRequest("Only POSTED journals can be reversed");
-      }
-      if (parsePositiveInt(originalJournal.reversal_journal_entry_id)) {
-        throw badRequest("Settlement journal is already reversed");
-      }
-      if (!originalJournalLines.length) {
-        throw badRequest("Original settlement journal has no lines to reverse");
-      }
+    // eslint-disable-next-line no-await-in-loop
+    const rowResult = await tx.query(
+      `SELECT
+         id,
+         amount_txn,
+         amount_base,
+         residual_amount_txn,
+         residual_amount_base,
+         status,
+         note
+       FROM cari_unapplied_cash
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, lockedLegalEntityId, unappliedCashId]
+    );
+    const row = rowResult.rows?.[0] || null;
+    if (!row) {
+      throw badRequest(
+        `Cannot reverse settlement because unapplied cash ${unappliedCashId} no longer exists`
+      );
+    }
 
-      const reversalPeriodContext = await resolveBookAndOpenPeriodForDate({
-        tenantId,
-        legalEntityId: lockedLegalEntityId,
-        targetDate: reversalDate,
-        preferredBookId: parsePositiveInt(originalJournal.book_id),
-        runQuery: tx.query,
-      });
+    const amountTxn = normalizeAmount(row.amount_txn, "unapplied.amountTxn");
+    const amountBase = normalizeAmount(row.amount_base, "unapplied.amountBase");
+    const residualTxn = normalizeAmount(
+      row.residual_amount_txn,
+      "unapplied.residualAmountTxn"
+    );
+    const residualBase = normalizeAmount(
+      row.residual_amount_base,
+      "unapplied.residualAmountBase"
+    );
+    let nextResidualTxn = roundAmount(residualTxn + consumeTxn);
+    let nextResidualBase = roundAmount(residualBase + consumeBase);
+    if (nextResidualTxn > amountTxn && nextResidualTxn - amountTxn <= AMOUNT_EPSILON) {
+      nextResidualTxn = amountTxn;
+    }
+    if (nextResidualBase > amountBase && nextResidualBase - amountBase <= AMOUNT_EPSILON) {
+      nextResidualBase = amountBase;
+    }
+    if (
+      nextResidualTxn > amountTxn + AMOUNT_EPSILON ||
+      nextResidualBase > amountBase + AMOUNT_EPSILON
+    ) {
+      throw badRequest(
+        `Cannot reverse settlement because unapplied cash ${unappliedCashId} was consumed by later operations`
+      );
+    }
+    const nextStatus = normalizeUnappliedStatus({
+      residualAmountTxn: nextResidualTxn,
+      amountTxn,
+    });
 
-      const reversalSubledgerReferenceNo = `${CARI_SETTLEMENT_REVERSE_REFERENCE_PREFIX}${settlementBatchId}`;
-      const reversalLines = originalJournalLines.map((line) => ({
-        accountId: parsePositiveInt(line.account_id),
-        debitBase: Number(line.credit_base || 0),
-        creditBase: Number(line.debit_base || 0),
-        amountTxn: roundAmount(Number(line.amount_txn || 0) * -1),
-        description: line.description
-          ? String(line.description).slice(0, 255)
-          : `Reversal of ${original.settlement_no || `SETTLEMENT-${settlementBatchId}`}`,
-        subledgerReferenceNo: reversalSubledgerReferenceNo,
-        currencyCode: normalizeUpperText(line.currency_code || original.currency_code),
-      }));
-      ensureBalancedJournalLines(reversalLines);
-
-      const reversalJournalResult = await insertPostedJournalWithLinesTx(tx, {
-        tenantId,
-        legalEntityId: lockedLegalEntityId,
-        bookId: reversalPeriodContext.bookId,
-        fiscalPeriodId: reversalPeriodContext.fiscalPeriodId,
-        userId: payload.userId,
-        journalNo: buildCariJournalNo("CARI-SET-REV", settlementBatchId),
-        entryDate: reversalDate,
-        documentDate: reversalDate,
-        currencyCode: normalizeUpperText(original.currency_code),
-        description: `Reversal of ${original.settlement_no || `SETTLEMENT-${settlementBatchId}`}`.slice(
-          0,
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `UPDATE cari_unapplied_cash
+       SET status = ?,
+           residual_amount_txn = ?,
+           residual_amount_base = ?,
+           note = ?
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?`,
+      [
+        nextStatus,
+        nextResidualTxn,
+        nextResidualBase,
+        toNullableString(
+          `${row.note || ""}${row.note ? " | " : ""}Restored by reversal of settlement ${
+            original.settlement_no
+          }`,
           500
         ),
-        referenceNo: toNullableString(`REV:${original.settlement_no || settlementBatchId}`, 100),
-        lines: reversalLines,
-      });
+        tenantId,
+        lockedLegalEntityId,
+        unappliedCashId,
+      ]
+    );
+  }
 
-      const reverseJournalUpdateResult = await tx.query(
-        `UPDATE journal_entries
-         SET status = 'REVERSED',
-             reversed_by_user_id = ?,
-             reversed_at = CURRENT_TIMESTAMP,
-             reversal_journal_entry_id = ?,
-             reverse_reason = ?
-         WHERE tenant_id = ?
-           AND id = ?
-           AND status = 'POSTED'
-           AND reversal_journal_entry_id IS NULL`,
-        [
-          payload.userId,
-          reversalJournalResult.journalEntryId,
-          reason,
-          tenantId,
-          originalJournalEntryId,
-        ]
+  if (createdUnappliedCashId) {
+    const createdUnappliedRowResult = await tx.query(
+      `SELECT
+         id,
+         amount_txn,
+         amount_base,
+         residual_amount_txn,
+         residual_amount_base,
+         status,
+         note
+       FROM cari_unapplied_cash
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, lockedLegalEntityId, createdUnappliedCashId]
+    );
+    const createdRow = createdUnappliedRowResult.rows?.[0] || null;
+    if (createdRow) {
+      const amountTxn = normalizeAmount(createdRow.amount_txn, "unapplied.amountTxn");
+      const amountBase = normalizeAmount(createdRow.amount_base, "unapplied.amountBase");
+      const residualTxn = normalizeAmount(
+        createdRow.residual_amount_txn,
+        "unapplied.residualAmountTxn"
       );
-      if (Number(reverseJournalUpdateResult.rows?.affectedRows || 0) === 0) {
-        throw badRequest("Settlement journal is already reversed");
-      }
-
-      const reversalSequence = await reserveSettlementSequence({
-        tenantId,
-        legalEntityId: lockedLegalEntityId,
-        settlementDate: reversalDate,
-        runQuery: tx.query,
-      });
-      const reversalInsert = await tx.query(
-        `INSERT INTO cari_settlement_batches (
-            tenant_id,
-            legal_entity_id,
-            counterparty_id,
-            sequence_namespace,
-            fiscal_year,
-            sequence_no,
-            settlement_no,
-            settlement_date,
-            status,
-            total_allocated_txn,
-            total_allocated_base,
-            currency_code,
-            posted_journal_entry_id,
-            reversal_of_settlement_batch_id,
-            bank_statement_line_id,
-            bank_transaction_ref,
-            bank_attach_idempotency_key,
-            bank_apply_idempotency_key,
-            posted_at,
-            reversed_at
-         )
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, NULL, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-        [
-          tenantId,
-          lockedLegalEntityId,
-          parsePositiveInt(original.counterparty_id),
-          reversalSequence.sequenceNamespace,
-          reversalSequence.fiscalYear,
-          reversalSequence.sequenceNo,
-          reversalSequence.settlementNo,
-          reversalDate,
-          SETTLEMENT_STATUS_REVERSED,
-          normalizeAmount(original.total_allocated_txn, "totalAllocatedTxn"),
-          normalizeAmount(original.total_allocated_base, "totalAllocatedBase"),
-          normalizeUpperText(original.currency_code),
-          reversalJournalResult.journalEntryId,
-          settlementBatchId,
-        ]
+      const residualBase = normalizeAmount(
+        createdRow.residual_amount_base,
+        "unapplied.residualAmountBase"
       );
-      const reversalSettlementBatchId = parsePositiveInt(reversalInsert.rows?.insertId);
-      if (!reversalSettlementBatchId) {
-        throw new Error("Reversal settlement batch create failed");
+      if (
+        !amountsAreEqual(residualTxn, amountTxn) ||
+        !amountsAreEqual(residualBase, amountBase)
+      ) {
+        throw badRequest(
+          `Cannot reverse settlement because created unapplied cash ${createdUnappliedCashId} is already consumed`
+        );
       }
-
       await tx.query(
-        `UPDATE cari_settlement_batches
+        `UPDATE cari_unapplied_cash
          SET status = ?,
-             reversed_at = CURRENT_TIMESTAMP
+             residual_amount_txn = 0.000000,
+             residual_amount_base = 0.000000,
+             note = ?
          WHERE tenant_id = ?
+           AND legal_entity_id = ?
            AND id = ?`,
-        [SETTLEMENT_STATUS_REVERSED, tenantId, settlementBatchId]
+        [
+          UNAPPLIED_STATUS_REVERSED,
+          toNullableString(
+            `${createdRow.note || ""}${createdRow.note ? " | " : ""}Reversed by settlement ${
+              original.settlement_no
+            }`,
+            500
+          ),
+          tenantId,
+          lockedLegalEntityId,
+          createdUnappliedCashId,
+        ]
       );
+    }
+  }
 
-      await insertAuditLog({
+  const originalJournalWithLines = await fetchPostedJournalWithLines({
+    tenantId,
+    journalEntryId: originalJournalEntryId,
+    runQuery: tx.query,
+  });
+  const originalJournal = originalJournalWithLines?.journal || null;
+  const originalJournalLines = originalJournalWithLines?.lines || [];
+  if (!originalJournal) {
+    throw badRequest("Original settlement posted journal not found");
+  }
+  if (normalizeUpperText(originalJournal.status) !== "POSTED") {
+    throw badRequest("Only POSTED journals can be reversed");
+  }
+  if (parsePositiveInt(originalJournal.reversal_journal_entry_id)) {
+    throw badRequest("Settlement journal is already reversed");
+  }
+  if (!originalJournalLines.length) {
+    throw badRequest("Original settlement journal has no lines to reverse");
+  }
+
+  const reversalPeriodContext = await resolveBookAndOpenPeriodForDate({
+    tenantId,
+    legalEntityId: lockedLegalEntityId,
+    targetDate: reversalDate,
+    preferredBookId: parsePositiveInt(originalJournal.book_id),
+    runQuery: tx.query,
+  });
+
+  const reversalSubledgerReferenceNo = `${CARI_SETTLEMENT_REVERSE_REFERENCE_PREFIX}${settlementBatchId}`;
+  const reversalLines = originalJournalLines.map((line) => ({
+    accountId: parsePositiveInt(line.account_id),
+    debitBase: Number(line.credit_base || 0),
+    creditBase: Number(line.debit_base || 0),
+    amountTxn: roundAmount(Number(line.amount_txn || 0) * -1),
+    description: line.description
+      ? String(line.description).slice(0, 255)
+      : `Reversal of ${original.settlement_no || `SETTLEMENT-${settlementBatchId}`}`,
+    subledgerReferenceNo: reversalSubledgerReferenceNo,
+    currencyCode: normalizeUpperText(line.currency_code || original.currency_code),
+  }));
+  ensureBalancedJournalLines(reversalLines);
+
+  const reversalJournalResult = await insertPostedJournalWithLinesTx(tx, {
+    tenantId,
+    legalEntityId: lockedLegalEntityId,
+    bookId: reversalPeriodContext.bookId,
+    fiscalPeriodId: reversalPeriodContext.fiscalPeriodId,
+    userId,
+    journalNo: buildCariJournalNo("CARI-SET-REV", settlementBatchId),
+    entryDate: reversalDate,
+    documentDate: reversalDate,
+    currencyCode: normalizeUpperText(original.currency_code),
+    description: `Reversal of ${original.settlement_no || `SETTLEMENT-${settlementBatchId}`}`.slice(
+      0,
+      500
+    ),
+    referenceNo: toNullableString(`REV:${original.settlement_no || settlementBatchId}`, 100),
+    lines: reversalLines,
+  });
+
+  const reverseJournalUpdateResult = await tx.query(
+    `UPDATE journal_entries
+     SET status = 'REVERSED',
+         reversed_by_user_id = ?,
+         reversed_at = CURRENT_TIMESTAMP,
+         reversal_journal_entry_id = ?,
+         reverse_reason = ?
+     WHERE tenant_id = ?
+       AND id = ?
+       AND status = 'POSTED'
+       AND reversal_journal_entry_id IS NULL`,
+    [
+      userId,
+      reversalJournalResult.journalEntryId,
+      reason,
+      tenantId,
+      originalJournalEntryId,
+    ]
+  );
+  if (Number(reverseJournalUpdateResult.rows?.affectedRows || 0) === 0) {
+    throw badRequest("Settlement journal is already reversed");
+  }
+
+  const reversalSequence = await reserveSettlementSequence({
+    tenantId,
+    legalEntityId: lockedLegalEntityId,
+    settlementDate: reversalDate,
+    runQuery: tx.query,
+  });
+  const reversalInsert = await tx.query(
+    `INSERT INTO cari_settlement_batches (
+        tenant_id,
+        legal_entity_id,
+        counterparty_id,
+        sequence_namespace,
+        fiscal_year,
+        sequence_no,
+        settlement_no,
+        settlement_date,
+        status,
+        total_allocated_txn,
+        total_allocated_base,
+        currency_code,
+        posted_journal_entry_id,
+        reversal_of_settlement_batch_id,
+        bank_statement_line_id,
+        bank_transaction_ref,
+        bank_attach_idempotency_key,
+        bank_apply_idempotency_key,
+        posted_at,
+        reversed_at
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, NULL, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [
+      tenantId,
+      lockedLegalEntityId,
+      parsePositiveInt(original.counterparty_id),
+      reversalSequence.sequenceNamespace,
+      reversalSequence.fiscalYear,
+      reversalSequence.sequenceNo,
+      reversalSequence.settlementNo,
+      reversalDate,
+      SETTLEMENT_STATUS_REVERSED,
+      normalizeAmount(original.total_allocated_txn, "totalAllocatedTxn"),
+      normalizeAmount(original.total_allocated_base, "totalAllocatedBase"),
+      normalizeUpperText(original.currency_code),
+      reversalJournalResult.journalEntryId,
+      settlementBatchId,
+    ]
+  );
+  const reversalSettlementBatchId = parsePositiveInt(reversalInsert.rows?.insertId);
+  if (!reversalSettlementBatchId) {
+    throw new Error("Reversal settlement batch create failed");
+  }
+
+  await tx.query(
+    `UPDATE cari_settlement_batches
+     SET status = ?,
+         reversed_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [SETTLEMENT_STATUS_REVERSED, tenantId, settlementBatchId]
+  );
+
+  await insertAuditLog({
+    req,
+    runQuery: tx.query,
+    tenantId,
+    userId,
+    action: "cari.settlement.reverse",
+    legalEntityId: lockedLegalEntityId,
+    resourceId: settlementBatchId,
+    payload: {
+      reason,
+      originalSettlementBatchId: settlementBatchId,
+      reversalSettlementBatchId,
+      originalPostedJournalEntryId: originalJournalEntryId,
+      reversalPostedJournalEntryId: reversalJournalResult.journalEntryId,
+      followUpRisks: FOLLOW_UP_RISKS,
+    },
+  });
+
+  const originalResult = await loadSettlementResult({
+    tenantId,
+    settlementBatchId,
+    runQuery: tx.query,
+  });
+  const reversalResult = await loadSettlementResult({
+    tenantId,
+    settlementBatchId: reversalSettlementBatchId,
+    runQuery: tx.query,
+  });
+
+  return {
+    row: reversalResult.row,
+    original: originalResult.row,
+    journal: reversalResult.journal,
+    idempotentReplay: false,
+    followUpRisks: FOLLOW_UP_RISKS,
+  };
+}
+
+export async function reverseCariSettlementById({
+  req,
+  payload,
+  assertScopeAccess,
+}) {
+  const tenantId = payload.tenantId;
+  const settlementBatchId = payload.settlementBatchId;
+  const reason = toNullableString(payload.reason, 255) || "Manual settlement reversal";
+  const reversalDate = payload.reversalDate
+    ? normalizeDateInput(payload.reversalDate, "reversalDate")
+    : toDateOnlyString(new Date(), "reversalDate");
+
+  const existing = await fetchSettlementBatchRow({
+    tenantId,
+    settlementBatchId,
+  });
+  if (!existing) {
+    throw badRequest("Settlement batch not found");
+  }
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "settlementBatchId");
+  if (normalizeUpperText(existing.status) !== SETTLEMENT_STATUS_POSTED) {
+    throw badRequest("Only POSTED settlements can be reversed");
+  }
+
+  try {
+    return await withTransaction((tx) =>
+      reverseCariSettlementByIdTx(tx, {
         req,
-        runQuery: tx.query,
         tenantId,
         userId: payload.userId,
-        action: "cari.settlement.reverse",
-        legalEntityId: lockedLegalEntityId,
-        resourceId: settlementBatchId,
-        payload: {
-          reason,
-          originalSettlementBatchId: settlementBatchId,
-          reversalSettlementBatchId,
-          originalPostedJournalEntryId: originalJournalEntryId,
-          reversalPostedJournalEntryId: reversalJournalResult.journalEntryId,
-          followUpRisks: FOLLOW_UP_RISKS,
-        },
-      });
-
-      const originalResult = await loadSettlementResult({
-        tenantId,
         settlementBatchId,
-        runQuery: tx.query,
-      });
-      const reversalResult = await loadSettlementResult({
-        tenantId,
-        settlementBatchId: reversalSettlementBatchId,
-        runQuery: tx.query,
-      });
-
-      return {
-        row: reversalResult.row,
-        original: originalResult.row,
-        journal: reversalResult.journal,
-        idempotentReplay: false,
-        followUpRisks: FOLLOW_UP_RISKS,
-      };
-    });
-
-    return reversed;
+        reason,
+        reversalDate,
+      })
+    );
   } catch (err) {
     if (isDuplicateKeyError(err, "uk_cari_settle_batches_single_reversal")) {
       throw badRequest("Settlement is already reversed");
@@ -0,0 +1,693 @@
+import { query } from "../db.js";
+import { assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+const AMOUNT_SCALE = 6;
+const AMOUNT_EPSILON = 0.000001;
+const IDENTIFIER_TYPE_PRIORITY = Object.freeze([
+  "VIRTUAL_IBAN",
+  "IBAN_SUFFIX",
+  "REFERENCE_CODE",
+  "REFERENCE_PATTERN",
+]);
+const IBAN_TOKEN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+const MIN_IBAN_SUFFIX_LENGTH = 4;
+const MIN_PATTERN_LITERAL_LENGTH = 3;
+const MIN_DOCUMENT_NO_LENGTH = 4;
+const MIN_COMPACT_DOCUMENT_NO_LENGTH = 8;
+const RESOURCE_TYPE_VIRTUAL_ACCOUNT = "cari_counterparty_virtual_account";
+
+function normalizeUpperText(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_SCALE));
+}
+
+function toNullableString(value, maxLength = 255) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const normalized = String(value).trim();
+  if (!normalized) {
+    return null;
+  }
+  return normalized.slice(0, maxLength);
+}
+
+function isDuplicateConstraintError(err) {
+  return Number(err?.errno) === 1062;
+}
+
+function resolveClientIp(req) {
+  const forwardedFor = String(req?.headers?.["x-forwarded-for"] || "").trim();
+  if (forwardedFor) {
+    const firstIp = forwardedFor
+      .split(",")
+      .map((segment) => segment.trim())
+      .find(Boolean);
+    if (firstIp) {
+      return firstIp.slice(0, 64);
+    }
+  }
+  return String(req?.ip || req?.socket?.remoteAddress || "unknown").slice(0, 64);
+}
+
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return JSON.stringify({
+      serializationError: "payload_json could not be serialized",
+    });
+  }
+}
+
+function parseJsonObject(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === "object") {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(String(value));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compactAlphanumeric(value) {
+  return normalizeUpperText(value).replace(/[^A-Z0-9]/g, "");
+}
+
+function containsToken(text, token) {
+  if (!text || !token) {
+    return false;
+  }
+  return new RegExp(`(^|[^A-Z0-9])${escapeRegExp(token)}([^A-Z0-9]|$)`).test(text);
+}
+
+export function normalizeVirtualAccountIdentifier(identifierType, value) {
+  const raw = normalizeUpperText(value);
+  if (identifierType === "VIRTUAL_IBAN" || identifierType === "IBAN_SUFFIX") {
+    return raw.replace(/[\s-]/g, "");
+  }
+  if (identifierType === "REFERENCE_PATTERN") {
+    return raw.replace(/\s+/g, " ");
+  }
+  return raw.replace(/\s+/g, "");
+}
+
+export function assertVirtualAccountIdentifier(identifierType, normalizedValue) {
+  if (!normalizedValue) {
+    throw badRequest("identifierValue is required");
+  }
+  if (identifierType === "VIRTUAL_IBAN" && !/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(normalizedValue)) {
+    throw badRequest("identifierValue must be a valid IBAN when identifierType=VIRTUAL_IBAN");
+  }
+  if (
+    identifierType === "IBAN_SUFFIX" &&
+    !new RegExp(`^[A-Z0-9]{${MIN_IBAN_SUFFIX_LENGTH},30}$`).test(normalizedValue)
+  ) {
+    throw badRequest(
+      `identifierValue must be ${MIN_IBAN_SUFFIX_LENGTH}-30 letters/digits when identifierType=IBAN_SUFFIX`
+    );
+  }
+  if (identifierType === "REFERENCE_PATTERN") {
+    const literalLength = normalizedValue.replace(/[*?#\s]/g, "").length;
+    if (literalLength < MIN_PATTERN_LITERAL_LENGTH) {
+      throw badRequest(
+        `REFERENCE_PATTERN must contain at least ${MIN_PATTERN_LITERAL_LENGTH} literal characters`
+      );
+    }
+  }
+}
+
+// Patterns use `*` for any run of non-space characters, `?` for one character
+// and `#` for one digit; everything else is matched literally.
+function compileReferencePattern(pattern) {
+  const body = Array.from(pattern)
+    .map((char) => {
+      if (char === "*") return "[^\\s]*";
+      if (char === "?") return "[^\\s]";
+      if (char === "#") return "\\d";
+      if (char === " ") return "\\s+";
+      return escapeRegExp(char);
+    })
+    .join("");
+  return new RegExp(`(^|[^A-Z0-9])${body}([^A-Z0-9]|$)`);
+}
+
+function mapVirtualAccountRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    counterpartyId: parsePositiveInt(row.counterparty_id),
+    bankAccountId: parsePositiveInt(row.bank_account_id),
+    bankAccountCode: row.bank_account_code || null,
+    identifierType: row.identifier_type,
+    identifierValue: row.identifier_value,
+    normalizedValue: row.normalized_value,
+    status: row.status,
+    note: row.note || null,
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+async function insertAuditLog({
+  req,
+  runQuery = query,
+  tenantId,
+  userId,
+  action,
+  legalEntityId,
+  resourceId,
+  payload,
+}) {
+  await runQuery(
+    `INSERT INTO audit_logs (
+        tenant_id,
+        user_id,
+        action,
+        resource_type,
+        resource_id,
+        scope_type,
+        scope_id,
+        request_id,
+        ip_address,
+        user_agent,
+        payload_json
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      userId || null,
+      action,
+      RESOURCE_TYPE_VIRTUAL_ACCOUNT,
+      resourceId ? String(resourceId) : null,
+      legalEntityId ? "LEGAL_ENTITY" : null,
+      legalEntityId || null,
+      toNullableString(req?.requestId || req?.headers?.["x-request-id"], 80),
+      resolveClientIp(req),
+      toNullableString(req?.headers?.["user-agent"], 255),
+      safeStringify(payload || null),
+    ]
+  );
+}
+
+async function fetchCounterpartyScopeRow({ tenantId, counterpartyId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, legal_entity_id, code, name, status
+     FROM counterparties
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [tenantId, counterpartyId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function fetchVirtualAccountRow({
+  tenantId,
+  counterpartyId,
+  virtualAccountId,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT va.*, ba.code AS bank_account_code
+     FROM cari_counterparty_virtual_accounts va
+     LEFT JOIN bank_accounts ba
+       ON ba.tenant_id = va.tenant_id
+      AND ba.legal_entity_id = va.legal_entity_id
+      AND ba.id = va.bank_account_id
+     WHERE va.tenant_id = ?
+       AND va.counterparty_id = ?
+       AND va.id = ?
+     LIMIT 1`,
+    [tenantId, counterpartyId, virtualAccountId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireCounterpartyInScope({ req, tenantId, counterpartyId, assertScopeAccess }) {
+  const counterparty = await fetchCounterpartyScopeRow({ tenantId, counterpartyId });
+  if (!counterparty) {
+    throw badRequest("Counterparty not found");
+  }
+  const legalEntityId = parsePositiveInt(counterparty.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "counterpartyId");
+  return { counterparty, legalEntityId };
+}
+
+export async function listCounterpartyVirtualAccounts({
+  req,
+  tenantId,
+  counterpartyId,
+  filters = {},
+  assertScopeAccess,
+}) {
+  const { legalEntityId } = await requireCounterpartyInScope({
+    req,
+    tenantId,
+    counterpartyId,
+    assertScopeAccess,
+  });
+
+  const params = [tenantId, legalEntityId, counterpartyId];
+  let statusSql = "";
+  if (filters.status) {
+    statusSql = "AND va.status = ?";
+    params.push(filters.status);
+  }
+  const result = await query(
+    `SELECT va.*, ba.code AS bank_account_code
+     FROM cari_counterparty_virtual_accounts va
+     LEFT JOIN bank_accounts ba
+       ON ba.tenant_id = va.tenant_id
+      AND ba.legal_entity_id = va.legal_entity_id
+      AND ba.id = va.bank_account_id
+     WHERE va.tenant_id = ?
+       AND va.legal_entity_id = ?
+       AND va.counterparty_id = ?
+       ${statusSql}
+     ORDER BY va.status ASC, va.identifier_type ASC, va.id ASC`,
+    params
+  );
+
+  return {
+    counterpartyId,
+    legalEntityId,
+    rows: (result.rows || []).map(mapVirtualAccountRow),
+  };
+}
+
+export async function createCounterpartyVirtualAccount({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const counterpartyId = payload.counterpartyId;
+  const identifierType = payload.identifierType;
+  const { legalEntityId } = await requireCounterpartyInScope({
+    req,
+    tenantId,
+    counterpartyId,
+    assertScopeAccess,
+  });
+  await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+
+  const bankAccountId = parsePositiveInt(payload.bankAccountId);
+  if (bankAccountId) {
+    const bankResult = await query(
+      `SELECT id
+       FROM bank_accounts
+       WHERE tenant_id = ?
+         AND legal_entity_id = ?
+         AND id = ?
+       LIMIT 1`,
+      [tenantId, legalEntityId, bankAccountId]
+    );
+    if (!bankResult.rows?.[0]) {
+      throw badRequest("bankAccountId must belong to the counterparty legal entity");
+    }
+  }
+
+  const normalizedValue = normalizeVirtualAccountIdentifier(
+    identifierType,
+    payload.identifierValue
+  );
+  assertVirtualAccountIdentifier(identifierType, normalizedValue);
+
+  let insertId = null;
+  try {
+    const insertResult = await query(
+      `INSERT INTO cari_counterparty_virtual_accounts (
+          tenant_id,
+          legal_entity_id,
+          counterparty_id,
+          bank_account_id,
+          identifier_type,
+          identifier_value,
+          normalized_value,
+          status,
+          note,
+          created_by_user_id
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        counterpartyId,
+        bankAccountId || null,
+        identifierType,
+        toNullableString(payload.identifierValue, 120),
+        normalizedValue,
+        toNullableString(payload.note, 255),
+        payload.userId || null,
+      ]
+    );
+    insertId = parsePositiveInt(insertResult.rows?.insertId);
+  } catch (err) {
+    if (isDuplicateConstraintError(err)) {
+      throw badRequest(
+        `${identifierType} ${normalizedValue} is already registered in this legal entity (including inactive identifiers)`
+      );
+    }
+    throw err;
+  }
+
+  await insertAuditLog({
+    req,
+    tenantId,
+    userId: payload.userId,
+    action: "cari.counterparty.virtual_account.create",
+    legalEntityId,
+    resourceId: insertId,
+    payload: {
+      counterpartyId,
+      identifierType,
+      normalizedValue,
+      bankAccountId: bankAccountId || null,
+    },
+  });
+
+  return mapVirtualAccountRow(
+    await fetchVirtualAccountRow({ tenantId, counterpartyId, virtualAccountId: insertId })
+  );
+}
+
+export async function updateCounterpartyVirtualAccountStatus({ req, payload, assertScopeAccess }) {
+  const tenantId = payload.tenantId;
+  const counterpartyId = payload.counterpartyId;
+  const virtualAccountId = payload.virtualAccountId;
+  const { legalEntityId } = await requireCounterpartyInScope({
+    req,
+    tenantId,
+    counterpartyId,
+    assertScopeAccess,
+  });
+
+  const existing = await fetchVirtualAccountRow({ tenantId, counterpartyId, virtualAccountId });
+  if (!existing) {
+    throw badRequest("Virtual account not found for counterparty");
+  }
+  if (existing.status === payload.status) {
+    return mapVirtualAccountRow(existing);
+  }
+
+  await query(
+    `UPDATE cari_counterparty_virtual_accounts
+     SET status = ?
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?`,
+    [payload.status, tenantId, legalEntityId, virtualAccountId]
+  );
+
+  await insertAuditLog({
+    req,
+    tenantId,
+    userId: payload.userId,
+    action: "cari.counterparty.virtual_account.status",
+    legalEntityId,
+    resourceId: virtualAccountId,
+    payload: {
+      counterpartyId,
+      previousStatus: existing.status,
+      status: payload.status,
+    },
+  });
+
+  return mapVirtualAccountRow(
+    await fetchVirtualAccountRow({ tenantId, counterpartyId, virtualAccountId })
+  );
+}
+
+export async function fetchStatementLineForPayerIdentification({
+  tenantId,
+  legalEntityId,
+  statementLineId,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT
+        l.id,
+        l.tenant_id,
+        l.legal_entity_id,
+        l.bank_account_id,
+        l.txn_date,
+        l.value_date,
+        l.description,
+        l.reference_no,
+        l.bank_reference,
+        l.end_to_end_id,
+        l.remittance_info_json,
+        l.amount,
+        l.currency_code,
+        l.recon_status
+     FROM bank_statement_lines l
+     WHERE l.tenant_id = ?
+       AND l.legal_entity_id = ?
+       AND l.id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, statementLineId]
+  );
+  return result.rows?.[0] || null;
+}
+
+function collectStatementLineEvidence(line) {
+  const remittance = parseJsonObject(line?.remittance_info_json);
+  const structuredReferences = Array.isArray(remittance.structuredReferences)
+    ? remittance.structuredReferences
+    : [];
+  const texts = [
+    { source: "referenceNo", text: line?.reference_no },
+    { source: "bankReference", text: line?.bank_reference },
+    { source: "endToEndId", text: line?.end_to_end_id },
+    { source: "structuredReference", text: remittance.structuredReference },
+    ...structuredReferences.map((text) => ({ source: "structuredReference", text })),
+    { source: "remittance", text: remittance.unstructured },
+    { source: "additionalInfo", text: remittance.additionalInfo },
+    { source: "description", text: line?.description },
+  ]
+    .map((entry) => ({ source: entry.source, text: normalizeUpperText(entry.text) }))
+    .filter((entry) => entry.text);
+
+  const ibans = [];
+  const pushIban = (source, value) => {
+    const normalized = normalizeVirtualAccountIdentifier("VIRTUAL_IBAN", value);
+    if (normalized && !ibans.some((entry) => entry.iban === normalized)) {
+      ibans.push({ source, iban: normalized });
+    }
+  };
+  if (remittance.ownAccount) pushIban("ownAccount", remittance.ownAccount);
+  if (remittance.counterpartyAccount) pushIban("counterpartyAccount", remittance.counterpartyAccount);
+  for (const entry of texts) {
+    for (const token of entry.text.match(IBAN_TOKEN_PATTERN) || []) {
+      pushIban(entry.source, token);
+    }
+  }
+
+  return { texts, ibans };
+}
+
+function matchIdentifierAgainstEvidence(row, evidence) {
+  const value = row.normalized_value;
+  if (row.identifier_type === "VIRTUAL_IBAN") {
+    return evidence.ibans.find((entry) => entry.iban === value)?.source || null;
+  }
+  if (row.identifier_type === "IBAN_SUFFIX") {
+    return evidence.ibans.find((entry) => entry.iban.endsWith(value))?.source || null;
+  }
+  if (row.identifier_type === "REFERENCE_CODE") {
+    return evidence.texts.find((entry) => containsToken(entry.text, value))?.source || null;
+  }
+  if (row.identifier_type === "REFERENCE_PATTERN") {
+    const pattern = compileReferencePattern(value);
+    return evidence.texts.find((entry) => pattern.test(entry.text))?.source || null;
+  }
+  return null;
+}
+
+/**
+ * Resolves the paying counterparty of a bank statement line from the virtual
+ * IBANs and reference identifiers registered on counterparties. Only the
+ * strongest identifier type that matched is considered; when it points at
+ * more than one counterparty the result is AMBIGUOUS.
+ */
+export async function identifyCariPayerForStatementLine({
+  tenantId,
+  legalEntityId,
+  line,
+  runQuery = query,
+}) {
+  const evidence = collectStatementLineEvidence(line);
+  const result = await runQuery(
+    `SELECT
+        va.id,
+        va.counterparty_id,
+        va.bank_account_id,
+        va.identifier_type,
+        va.identifier_value,
+        va.normalized_value,
+        c.code AS counterparty_code,
+        c.name AS counterparty_name
+     FROM cari_counterparty_virtual_accounts va
+     JOIN counterparties c
+       ON c.tenant_id = va.tenant_id
+      AND c.legal_entity_id = va.legal_entity_id
+      AND c.id = va.counterparty_id
+     WHERE va.tenant_id = ?
+       AND va.legal_entity_id = ?
+       AND va.status = 'ACTIVE'
+       AND c.status = 'ACTIVE'
+       AND c.is_customer = TRUE
+       AND (va.bank_account_id IS NULL OR va.bank_account_id = ?)
+     ORDER BY va.id ASC`,
+    [tenantId, legalEntityId, parsePositiveInt(line?.bank_account_id) || 0]
+  );
+
+  const matches = [];
+  for (const row of result.rows || []) {
+    const source = matchIdentifierAgainstEvidence(row, evidence);
+    if (!source) {
+      continue;
+    }
+    matches.push({
+      counterpartyId: parsePositiveInt(row.counterparty_id),
+      counterpartyCode: row.counterparty_code || null,
+      counterpartyName: row.counterparty_name || null,
+      virtualAccountId: parsePositiveInt(row.id),
+      identifierType: row.identifier_type,
+      identifierValue: row.identifier_value,
+      source,
+    });
+  }
+
+  const strongestType = IDENTIFIER_TYPE_PRIORITY.find((type) =>
+    matches.some((entry) => entry.identifierType === type)
+  );
+  const candidates = strongestType
+    ? matches.filter((entry) => entry.identifierType === strongestType)
+    : [];
+  const counterpartyIds = new Set(candidates.map((entry) => entry.counterpartyId));
+
+  if (counterpartyIds.size === 0) {
+    return { status: "NOT_IDENTIFIED", counterpartyId: null, matchedBy: null, candidates: [] };
+  }
+  if (counterpartyIds.size > 1) {
+    return { status: "AMBIGUOUS", counterpartyId: null, matchedBy: null, candidates };
+  }
+  const matchedBy = candidates[0];
+  return {
+    status: "IDENTIFIED",
+    counterpartyId: matchedBy.counterpartyId,
+    counterpartyCode: matchedBy.counterpartyCode,
+    counterpartyName: matchedBy.counterpartyName,
+    matchedBy,
+    candidates,
+  };
+}
+
+export async function listOpenReceivablesForPayer({
+  tenantId,
+  legalEntityId,
+  counterpartyId,
+  currencyCode,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT
+        oi.id,
+        oi.document_id,
+        oi.document_date,
+        oi.due_date,
+        oi.residual_amount_txn,
+        d.document_no
+     FROM cari_open_items oi
+     JOIN cari_documents d
+       ON d.tenant_id = oi.tenant_id
+      AND d.legal_entity_id = oi.legal_entity_id
+      AND d.id = oi.document_id
+     WHERE oi.tenant_id = ?
+       AND oi.legal_entity_id = ?
+       AND oi.counterparty_id = ?
+       AND oi.currency_code = ?
+       AND oi.status IN ('OPEN', 'PARTIALLY_SETTLED')
+       AND oi.residual_amount_txn > 0
+       AND d.direction = 'AR'
+     ORDER BY oi.due_date ASC, oi.document_date ASC, oi.id ASC`,
+    [tenantId, legalEntityId, counterpartyId, normalizeUpperText(currencyCode)]
+  );
+  return result.rows || [];
+}
+
+export function findReferencedDocumentIds(line, openItems) {
+  const { texts } = collectStatementLineEvidence(line);
+  const compactText = compactAlphanumeric(texts.map((entry) => entry.text).join(" "));
+  const referenced = new Set();
+  for (const item of openItems || []) {
+    const documentNo = normalizeUpperText(item.document_no);
+    if (documentNo.length < MIN_DOCUMENT_NO_LENGTH) {
+      continue;
+    }
+    const compactDocumentNo = compactAlphanumeric(documentNo);
+    const exactHit = texts.some((entry) => containsToken(entry.text, documentNo));
+    const compactHit =
+      compactDocumentNo.length >= MIN_COMPACT_DOCUMENT_NO_LENGTH &&
+      compactText.includes(compactDocumentNo);
+    if (exactHit || compactHit) {
+      referenced.add(parsePositiveInt(item.document_id));
+    }
+  }
+  return referenced;
+}
+
+/**
+ * Builds the allocation list for an identified receipt. A remittance that names
+ * one or more open invoices is applied to those invoices only; otherwise the
+ * amount is applied to the oldest open items first. Whatever is left stays on
+ * the settlement as unapplied cash.
+ */
+export function buildCariReceiptAllocations({ openItems, amountTxn, referencedDocumentIds }) {
+  const referenced = referencedDocumentIds || new Set();
+  const targets =
+    referenced.size > 0
+      ? openItems.filter((item) => referenced.has(parsePositiveInt(item.document_id)))
+      : openItems;
+  let remaining = roundAmount(amountTxn);
+  const allocations = [];
+  for (const item of targets) {
+    if (remaining <= AMOUNT_EPSILON) {
+      break;
+    }
+    const residual = roundAmount(item.residual_amount_txn);
+    const allocation = roundAmount(Math.min(residual, remaining));
+    if (allocation <= AMOUNT_EPSILON) {
+      continue;
+    }
+    allocations.push({ openItemId: parsePositiveInt(item.id), amountTxn: allocation });
+    remaining = roundAmount(remaining - allocation);
+  }
+  return {
+    allocationMode: referenced.size > 0 ? "REFERENCED_INVOICE" : "FIFO",
+    referencedDocumentNos: targets
+      .filter((item) => referenced.has(parsePositiveInt(item.document_id)))
+      .map((item) => item.document_no)
+      .filter((value, index, list) => list.indexOf(value) === index),
+    allocations,
+    unappliedAmountTxn: remaining > AMOUNT_EPSILON ? remaining : 0,
+  };
+}
@@ -6,6 +6,10 @@ import {
   toIsoDate,
   validateJournalLineScope,
 } from "../routes/gl.js";
+import {
+  insertJournalLineDimensionsTx,
+  loadCashTransactionDimensions,
+} from "./gl.dimensions.service.js";
 
 const BALANCE_EPSILON = 0.0001;
 const CASH_TXN_SUBLEDGER_PREFIX = "CASH_TXN:";
@@ -568,6 +572,24 @@ export async function createAndPostCashJournalTx(tx, payload) {
     );
   }
 
+  // Transaction dimensions land on the counter-account side; reversals reuse the original's.
+  const dimensionSourceTxnId = parsePositiveInt(cashTxn.reversal_of_transaction_id) || txnId;
+  const dimensionsByTxnId = await loadCashTransactionDimensions({
+    tenantId,
+    cashTransactionIds: [dimensionSourceTxnId],
+    runQuery: tx.query,
+  });
+  const txnDimensions = dimensionsByTxnId.get(dimensionSourceTxnId) || [];
+  const counterAccountId = parsePositiveInt(cashTxn.counter_account_id);
+  await insertJournalLineDimensionsTx(tx, {
+    tenantId,
+    journalEntryId,
+    lines: lines.map((line) => ({
+      dimensions:
+        counterAccountId && parsePositiveInt(line.accountId) === counterAccountId ? txnDimensions : [],
+    })),
+  });
+
   return {
     journalEntryId,
     bookId: journalContext.bookId,
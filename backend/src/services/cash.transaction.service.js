@@ -37,6 +37,11 @@ import {
 } from "./cash.queries.js";
 import { assertRegisterOperationalConfig } from "./cash.register.service.js";
 import { createAndPostCashJournalTx } from "./cash.service.js";
+import {
+  insertCashTransactionDimensions,
+  loadCashTransactionDimensions,
+  validateLineDimensions,
+} from "./gl.dimensions.service.js";
 import {
   CARI_SETTLEMENT_FOLLOW_UP_RISKS,
   applyCariSettlement,
@@ -804,7 +809,14 @@ export async function getCashTransactionByIdForTenant({
     assertScopeAccess(req, "operating_unit", row.operating_unit_id, "transactionId");
   }
 
-  return row;
+  const dimensionsByTxnId = await loadCashTransactionDimensions({
+    tenantId,
+    cashTransactionIds: [transactionId],
+  });
+  return {
+    ...row,
+    dimensions: dimensionsByTxnId.get(parsePositiveInt(transactionId)) || [],
+  };
 }
 
 async function loadTransitTransferBundle({
@@ -1505,6 +1517,20 @@ export async function createCashTransaction({
   if (payload.counterAccountId) {
     await assertAccountBelongsToTenant(payload.tenantId, payload.counterAccountId, "counterAccountId");
   }
+  if (payload.dimensions?.length && !payload.counterAccountId) {
+    throw badRequest("dimensions require counterAccountId");
+  }
+  const [dimensions] = await validateLineDimensions({
+    tenantId: payload.tenantId,
+    legalEntityId: parsePositiveInt(register.legal_entity_id),
+    lines: [
+      {
+        accountId: payload.counterAccountId,
+        dimensions: payload.dimensions || [],
+        label: "cash transaction",
+      },
+    ],
+  });
 
   if (payload.counterCashRegisterId) {
     const counterRegister = await findCashRegisterById({
@@ -1714,6 +1740,12 @@ export async function createCashTransaction({
         },
         runQuery: tx.query,
       });
+      await insertCashTransactionDimensions({
+        tenantId: payload.tenantId,
+        cashTransactionId: transactionId,
+        dimensions,
+        runQuery: tx.query,
+      });
 
       if (linkedSettlement) {
         const settlementLinkUpdate = await tx.query(
@@ -0,0 +1,20 @@
+import mockEInvoiceAdapter from "./mockEInvoice.adapter.js";
+
+function getEInvoiceAdapter(providerCode) {
+  const normalized = String(providerCode || "").trim().toUpperCase();
+  switch (normalized) {
+    case "MOCK_EINVOICE":
+      return mockEInvoiceAdapter;
+    default: {
+      const err = new Error(`Unsupported e-invoice provider: ${providerCode}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+export { getEInvoiceAdapter };
+
+export default {
+  getEInvoiceAdapter,
+};
@@ -0,0 +1,40 @@
+// Integrator contract:
+//   submitInvoice({ ettn, invoiceNo, profileId, xml, config }) -> { providerReference, status, message }
+//   getInvoiceStatus({ ettn, providerReference, profileId, config }) -> { status, message }
+// status is one of SUBMITTED | ACCEPTED | REJECTED | FAILED.
+
+function requireEttnInPayload(ettn, xml) {
+  const normalizedEttn = String(ettn || "").trim();
+  if (!normalizedEttn || !String(xml || "").includes(`<cbc:UUID>${normalizedEttn}</cbc:UUID>`)) {
+    const err = new Error("Invoice XML does not carry the expected ETTN");
+    err.status = 400;
+    throw err;
+  }
+  return normalizedEttn;
+}
+
+async function submitInvoice({ ettn, invoiceNo, profileId, xml }) {
+  const normalizedEttn = requireEttnInPayload(ettn, xml);
+  return {
+    providerReference: `MOCK-EF-${normalizedEttn}`,
+    status: "SUBMITTED",
+    message: `Mock integrator queued ${profileId || "TEMELFATURA"} ${invoiceNo || ""}`.trim(),
+  };
+}
+
+async function getInvoiceStatus({ providerReference, config = {} }) {
+  const reference = String(providerReference || "").trim();
+  if (!reference.startsWith("MOCK-EF-")) {
+    return { status: "FAILED", message: "Unknown mock integrator reference" };
+  }
+  if (config?.rejectReason) {
+    return { status: "REJECTED", message: String(config.rejectReason).slice(0, 500) };
+  }
+  return { status: "ACCEPTED", message: "Mock integrator accepted the invoice" };
+}
+
+export default {
+  provider_code: "MOCK_EINVOICE",
+  submitInvoice,
+  getInvoiceStatus,
+};
@@ -77,6 +77,16 @@ function formatIsoDate(date) {
   return date.toISOString().slice(0, 10);
 }
 
+function formatDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
 function addDays(date, days) {
   const next = new Date(date.getTime());
   next.setUTCDate(next.getUTCDate() + Number(days || 0));
@@ -179,6 +189,13 @@ function mapBankReturnSeverity(eventType, reasonCode) {
   return "LOW";
 }
 
+function mapBankStatementCoverageSeverity(issueType) {
+  const type = u(issueType);
+  if (type === "BALANCE_MISMATCH") return "HIGH";
+  if (type === "DATE_GAP") return "MEDIUM";
+  return "LOW";
+}
+
 function mapPayrollImportStatus(jobStatus) {
   const status = u(jobStatus);
   if (status === "APPLIED") return "RESOLVED";
@@ -502,6 +519,109 @@ async function collectBankPaymentReturnItems({
   });
 }
 
+async function collectBankStatementCoverageItems({
+  req,
+  tenantId,
+  filters,
+  window,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [];
+  const where = buildScopedLegalEntityWhere({
+    req,
+    tenantId,
+    filters,
+    alias: "ci",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("ci.first_detected_at >= ?");
+  params.push(window.startTs);
+  where.push("ci.first_detected_at < ?");
+  params.push(window.endExclusiveTs);
+
+  const res = await query(
+    `SELECT
+        ci.id,
+        ci.tenant_id,
+        ci.legal_entity_id,
+        ci.bank_account_id,
+        ci.issue_type,
+        ci.status AS source_status,
+        ci.import_id,
+        ci.related_import_id,
+        ci.range_start,
+        ci.range_end,
+        ci.day_count,
+        ci.expected_balance,
+        ci.actual_balance,
+        ci.difference_amount,
+        ci.detail_json,
+        ci.first_detected_at,
+        ci.last_detected_at,
+        ci.resolved_at,
+        ba.code AS bank_account_code
+     FROM bank_statement_coverage_issues ci
+     JOIN bank_accounts ba
+       ON ba.tenant_id = ci.tenant_id
+      AND ba.id = ci.bank_account_id
+     WHERE ${where.join(" AND ")}`,
+    params
+  );
+
+  return (res.rows || []).map((row) => {
+    const issueType = u(row.issue_type);
+    const severity = mapBankStatementCoverageSeverity(issueType);
+    const rangeStart = formatDateOnly(row.range_start);
+    const rangeEnd = formatDateOnly(row.range_end);
+    let description = `Import #${row.import_id} overlaps import #${row.related_import_id} (${rangeStart}..${rangeEnd})`;
+    if (issueType === "BALANCE_MISMATCH" && !row.related_import_id) {
+      const lineNo = parseJson(row.detail_json, null)?.line_no;
+      description = `Running balance of import #${row.import_id} breaks${lineNo ? ` at line ${lineNo}` : ""}: expected ${Number(row.expected_balance || 0).toFixed(2)}, file shows ${Number(row.actual_balance || 0).toFixed(2)}`;
+    } else if (issueType === "BALANCE_MISMATCH") {
+      description = `Opening balance ${Number(row.actual_balance || 0).toFixed(2)} of import #${row.import_id} does not continue closing balance ${Number(row.expected_balance || 0).toFixed(2)} of import #${row.related_import_id}`;
+    } else if (issueType === "DATE_GAP") {
+      description = `No statement covers ${rangeStart}..${rangeEnd} (${toInt(row.day_count, 0)} day(s))`;
+    }
+    return {
+      tenant_id: parsePositiveInt(row.tenant_id),
+      legal_entity_id: parsePositiveInt(row.legal_entity_id),
+      module_code: "BANK",
+      exception_type: `BANK_STATEMENT_${issueType}`,
+      source_type: "BANK_STATEMENT_COVERAGE_ISSUE",
+      source_key: `BANK:STATEMENT_COVERAGE_ISSUE:${row.id}`,
+      source_ref: `${row.bank_account_code || `BANK_ACCOUNT:${row.bank_account_id}`}:${rangeStart || "-"}`,
+      source_ref_id: parsePositiveInt(row.id),
+      source_status_code: u(row.source_status),
+      severity,
+      sla_due_at: computeSlaDueAt({
+        severity,
+        anchorAt: row.first_detected_at || row.last_detected_at,
+      }),
+      status: u(row.source_status) === "RESOLVED" ? "RESOLVED" : "OPEN",
+      owner_user_id: null,
+      title: `Bank statement coverage: ${issueType}`,
+      description,
+      payload_json: {
+        bank_account_id: parsePositiveInt(row.bank_account_id) || null,
+        import_id: parsePositiveInt(row.import_id) || null,
+        related_import_id: parsePositiveInt(row.related_import_id) || null,
+        range_start: rangeStart,
+        range_end: rangeEnd,
+        day_count: row.day_count === null ? null : toInt(row.day_count, 0),
+        expected_balance: row.expected_balance === null ? null : Number(row.expected_balance),
+        actual_balance: row.actual_balance === null ? null : Number(row.actual_balance),
+        difference_amount: row.difference_amount === null ? null : Number(row.difference_amount),
+        detail: parseJson(row.detail_json, null),
+        first_detected_at: row.first_detected_at || null,
+        resolved_at: row.resolved_at || null,
+      },
+    };
+  });
+}
+
 async function collectPayrollImportExceptionItems({
   req,
   tenantId,
@@ -762,6 +882,14 @@ export async function refreshExceptionWorkbench({
       buildScopeFilter,
       assertScopeAccess,
     }),
+    collectBankStatementCoverageItems({
+      req,
+      tenantId,
+      filters,
+      window,
+      buildScopeFilter,
+      assertScopeAccess,
+    }),
     collectPayrollImportExceptionItems({
       req,
       tenantId,
@@ -796,8 +924,9 @@ export async function refreshExceptionWorkbench({
     by_source: {
       bank_reconciliation_exceptions: sources[0].length,
       bank_payment_return_events: sources[1].length,
-      payroll_provider_import_jobs: sources[2].length,
-      payroll_close_checks: sources[3].length,
+      bank_statement_coverage_issues: sources[2].length,
+      payroll_provider_import_jobs: sources[3].length,
+      payroll_close_checks: sources[4].length,
     },
   };
 }
@@ -168,10 +168,20 @@ function buildSnapshotItem(itemCode, rows, { periodStart, periodEnd } = {}) {
   };
 }
 
-function buildSnapshotHash({ tenantId, legalEntityId, closeId, periodStart, periodEnd, items }) {
+function buildSnapshotHash({
+  tenantId,
+  legalEntityId,
+  snapshotType,
+  closeId,
+  periodStart,
+  periodEnd,
+  items,
+}) {
   const signature = {
     tenant_id: tenantId,
     legal_entity_id: legalEntityId,
+    // Close-period snapshots keep their original signature so existing hashes stay comparable.
+    ...(snapshotType && snapshotType !== "PAYROLL_CLOSE_PERIOD" ? { snapshot_type: snapshotType } : {}),
     payroll_period_close_id: closeId,
     period_start: periodStart,
     period_end: periodEnd,
@@ -277,6 +287,146 @@ async function collectSnapshotDatasets({
     PAYROLL_CLOSE_AUDIT: auditRes.rows || [],
   };
 }
+
+/**
+ * Returns the snapshot already recorded under an idempotency key of the legal entity, with its
+ * items, or null. Callers run it inside their transaction before building a new snapshot.
+ */
+export async function findSnapshotByIdempotencyKeyTx(tx, { tenantId, legalEntityId, idempotencyKey }) {
+  if (!idempotencyKey) return null;
+  const existingRes = await tx.query(
+    `SELECT id
+     FROM period_export_snapshots
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND idempotency_key = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, idempotencyKey]
+  );
+  const existingId = parsePositiveInt(existingRes.rows?.[0]?.id);
+  if (!existingId) return null;
+  const snapshot = await findSnapshotRow({
+    tenantId,
+    snapshotId: existingId,
+    runQuery: tx.query,
+  });
+  const items = await listSnapshotItems({
+    tenantId,
+    snapshotId: existingId,
+    runQuery: tx.query,
+  });
+  return {
+    snapshot,
+    items,
+    idempotent: true,
+  };
+}
+
+/**
+ * Writes a READY snapshot header and its items inside the caller's transaction. Items are
+ * `{ item_code, item_count, item_hash, payload_json }`; the snapshot hash is derived from them.
+ */
+export async function insertPeriodExportSnapshotTx(
+  tx,
+  {
+    tenantId,
+    legalEntityId,
+    snapshotType,
+    periodStart,
+    periodEnd,
+    closeId = null,
+    items = [],
+    meta = null,
+    idempotencyKey = null,
+    userId,
+  }
+) {
+  const snapshotHash = buildSnapshotHash({
+    tenantId,
+    legalEntityId,
+    snapshotType,
+    closeId,
+    periodStart,
+    periodEnd,
+    items,
+  });
+
+  const ins = await tx.query(
+    `INSERT INTO period_export_snapshots (
+       tenant_id,
+       legal_entity_id,
+       snapshot_type,
+       period_start,
+       period_end,
+       payroll_period_close_id,
+       status,
+       snapshot_hash,
+       snapshot_meta_json,
+       idempotency_key,
+       created_by_user_id,
+       created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, 'READY', ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      tenantId,
+      legalEntityId,
+      snapshotType,
+      periodStart,
+      periodEnd,
+      closeId,
+      snapshotHash,
+      safeJson(meta),
+      idempotencyKey,
+      userId,
+    ]
+  );
+
+  const snapshotId = parsePositiveInt(ins.rows?.insertId);
+  if (!snapshotId) {
+    throw new Error("Period export snapshot could not be created");
+  }
+
+  for (const item of items) {
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `INSERT INTO period_export_snapshot_items (
+         tenant_id,
+         legal_entity_id,
+         period_export_snapshot_id,
+         item_code,
+         item_count,
+         item_hash,
+         payload_json,
+         created_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        tenantId,
+        legalEntityId,
+        snapshotId,
+        item.item_code,
+        Number(item.item_count || 0),
+        item.item_hash,
+        safeJson(item.payload_json),
+      ]
+    );
+  }
+
+  const snapshot = await findSnapshotRow({
+    tenantId,
+    snapshotId,
+    runQuery: tx.query,
+  });
+  const snapshotItems = await listSnapshotItems({
+    tenantId,
+    snapshotId,
+    runQuery: tx.query,
+  });
+
+  return {
+    snapshot,
+    items: snapshotItems,
+  };
+}
+
 export async function resolvePayrollCloseScopeForSnapshot(closeId, tenantId) {
   const cId = parsePositiveInt(closeId);
   const tId = parsePositiveInt(tenantId);
@@ -347,6 +497,12 @@ export async function listPeriodExportSnapshotRows({
     params.push(closeId);
   }
 
+  const snapshotType = up(filters.snapshotType);
+  if (snapshotType) {
+    where.push("s.snapshot_type = ?");
+    params.push(snapshotType);
+  }
+
   const status = up(filters.status);
   if (status) {
     where.push("s.status = ?");
@@ -469,33 +625,12 @@ export async function createPayrollPeriodExportSnapshot({
     const periodEnd = toDateOnly(close.period_end);
 
     if (finalIdempotencyKey) {
-      const existingRes = await tx.query(
-        `SELECT id
-         FROM period_export_snapshots
-         WHERE tenant_id = ?
-           AND legal_entity_id = ?
-           AND idempotency_key = ?
-         LIMIT 1`,
-        [tId, legalEntityId, finalIdempotencyKey]
-      );
-      const existingId = parsePositiveInt(existingRes.rows?.[0]?.id);
-      if (existingId) {
-        const snapshot = await findSnapshotRow({
-          tenantId: tId,
-          snapshotId: existingId,
-          runQuery: tx.query,
-        });
-        const items = await listSnapshotItems({
-          tenantId: tId,
-          snapshotId: existingId,
-          runQuery: tx.query,
-        });
-        return {
-          snapshot,
-          items,
-          idempotent: true,
-        };
-      }
+      const existing = await findSnapshotByIdempotencyKeyTx(tx, {
+        tenantId: tId,
+        legalEntityId,
+        idempotencyKey: finalIdempotencyKey,
+      });
+      if (existing) return existing;
     }
 
     const datasets = await collectSnapshotDatasets({
@@ -511,15 +646,6 @@ export async function createPayrollPeriodExportSnapshot({
       buildSnapshotItem(itemCode, rows, { periodStart, periodEnd })
     );
 
-    const snapshotHash = buildSnapshotHash({
-      tenantId: tId,
-      legalEntityId,
-      closeId,
-      periodStart,
-      periodEnd,
-      items,
-    });
-
     const snapshotMeta = {
       generated_at: new Date().toISOString(),
       payroll_period_close_status: up(close.status),
@@ -530,85 +656,29 @@ export async function createPayrollPeriodExportSnapshot({
       row_count_total: items.reduce((sum, item) => sum + Number(item.item_count || 0), 0),
     };
 
-    const ins = await tx.query(
-      `INSERT INTO period_export_snapshots (
-         tenant_id,
-         legal_entity_id,
-         snapshot_type,
-         period_start,
-         period_end,
-         payroll_period_close_id,
-         status,
-         snapshot_hash,
-         snapshot_meta_json,
-         idempotency_key,
-         created_by_user_id,
-         created_at
-       ) VALUES (?, ?, ?, ?, ?, ?, 'READY', ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-      [
-        tId,
-        legalEntityId,
-        snapshotType,
-        periodStart,
-        periodEnd,
-        closeId,
-        snapshotHash,
-        safeJson(snapshotMeta),
-        finalIdempotencyKey,
-        actorId,
-      ]
-    );
-
-    const snapshotId = parsePositiveInt(ins.rows?.insertId);
-    if (!snapshotId) {
-      throw new Error("Period export snapshot could not be created");
-    }
-
-    for (const item of items) {
-      // eslint-disable-next-line no-await-in-loop
-      await tx.query(
-        `INSERT INTO period_export_snapshot_items (
-           tenant_id,
-           legal_entity_id,
-           period_export_snapshot_id,
-           item_code,
-           item_count,
-           item_hash,
-           payload_json,
-           created_at
-         ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [
-          tId,
-          legalEntityId,
-          snapshotId,
-          item.item_code,
-          Number(item.item_count || 0),
-          item.item_hash,
-          safeJson(item.payload_json),
-        ]
-      );
-    }
-
-    const snapshot = await findSnapshotRow({
+    const created = await insertPeriodExportSnapshotTx(tx, {
       tenantId: tId,
-      snapshotId,
-      runQuery: tx.query,
-    });
-    const snapshotItems = await listSnapshotItems({
-      tenantId: tId,
-      snapshotId,
-      runQuery: tx.query,
+      legalEntityId,
+      snapshotType,
+      periodStart,
+      periodEnd,
+      closeId,
+      items,
+      meta: snapshotMeta,
+      idempotencyKey: finalIdempotencyKey,
+      userId: actorId,
     });
 
     return {
-      snapshot,
-      items: snapshotItems,
+      ...created,
       idempotent: false,
     };
   });
 }
 
 export default {
+  findSnapshotByIdempotencyKeyTx,
+  insertPeriodExportSnapshotTx,
   resolvePayrollCloseScopeForSnapshot,
   resolvePeriodExportSnapshotScope,
   listPeriodExportSnapshotRows,
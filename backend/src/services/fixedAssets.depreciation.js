@@ -0,0 +1,138 @@
+export const DEPRECIATION_METHODS = Object.freeze([
+  "STRAIGHT_LINE",
+  "DECLINING_BALANCE",
+  "VUK_NORMAL",
+  "VUK_DECLINING",
+]);
+
+export const DEFAULT_DECLINING_FACTOR = 2;
+
+// VUK md. 318: the declining-balance rate is twice the normal rate but never above 50%.
+const VUK_DECLINING_MAX_RATE = 0.5;
+
+function roundMoney(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function parseYearMonth(dateOnly) {
+  const [year, month] = String(dateOnly || "")
+    .slice(0, 10)
+    .split("-")
+    .map(Number);
+  return { year, month };
+}
+
+export function monthsInService(startDate, throughDate) {
+  const start = parseYearMonth(startDate);
+  const through = parseYearMonth(throughDate);
+  return (through.year - start.year) * 12 + (through.month - start.month) + 1;
+}
+
+function straightLineCumulative({ depreciableAmount, usefulLifeMonths, elapsedMonths }) {
+  return (depreciableAmount * Math.min(elapsedMonths, usefulLifeMonths)) / usefulLifeMonths;
+}
+
+// Monthly declining balance on net book value, switching to straight line over the
+// remaining life as soon as that gives the larger charge.
+function decliningBalanceCumulative({
+  acquisitionCost,
+  salvageValue,
+  usefulLifeMonths,
+  decliningFactor,
+  elapsedMonths,
+}) {
+  const monthlyRate = decliningFactor / usefulLifeMonths;
+  let netBookValue = acquisitionCost;
+  let cumulative = 0;
+  for (let month = 0; month < Math.min(elapsedMonths, usefulLifeMonths); month += 1) {
+    const remainingMonths = usefulLifeMonths - month;
+    const decliningCharge = netBookValue * monthlyRate;
+    const straightLineCharge = (netBookValue - salvageValue) / remainingMonths;
+    const charge = Math.min(Math.max(decliningCharge, straightLineCharge), netBookValue - salvageValue);
+    netBookValue -= charge;
+    cumulative += charge;
+  }
+  return cumulative;
+}
+
+// VUK amortisation is yearly. The full annual charge is taken in the acquisition year
+// (spread over its remaining months) and each later year is spread over twelve months.
+function vukCumulative({ depreciableAmount, usefulLifeMonths, startDate, throughDate, declining }) {
+  const usefulLifeYears = usefulLifeMonths / 12;
+  const start = parseYearMonth(startDate);
+  const through = parseYearMonth(throughDate);
+  const yearIndex = through.year - start.year;
+  if (yearIndex >= usefulLifeYears) {
+    return depreciableAmount;
+  }
+
+  const normalRate = 1 / usefulLifeYears;
+  const rate = declining ? Math.min(normalRate * 2, VUK_DECLINING_MAX_RATE) : normalRate;
+  const annualCharge = (yearNo, remaining) => {
+    if (!declining) {
+      return depreciableAmount * normalRate;
+    }
+    return yearNo === usefulLifeYears - 1 ? remaining : remaining * rate;
+  };
+
+  let cumulative = 0;
+  for (let yearNo = 0; yearNo < yearIndex; yearNo += 1) {
+    cumulative += annualCharge(yearNo, depreciableAmount - cumulative);
+  }
+  const monthsInYear = yearIndex === 0 ? 13 - start.month : 12;
+  const elapsedInYear = yearIndex === 0 ? through.month - start.month + 1 : through.month;
+  cumulative +=
+    (annualCharge(yearIndex, depreciableAmount - cumulative) * elapsedInYear) / monthsInYear;
+  return cumulative;
+}
+
+// Depreciation that should have been booked from depreciationStartDate through the month
+// of throughDate, rounded to cents and capped at cost less salvage.
+export function computeCumulativeDepreciation({
+  method,
+  acquisitionCost,
+  salvageValue = 0,
+  usefulLifeMonths,
+  decliningFactor = null,
+  depreciationStartDate,
+  throughDate,
+}) {
+  const cost = Number(acquisitionCost);
+  const salvage = Number(salvageValue || 0);
+  const life = Number(usefulLifeMonths);
+  const depreciableAmount = cost - salvage;
+  const elapsedMonths = monthsInService(depreciationStartDate, throughDate);
+  if (elapsedMonths <= 0 || depreciableAmount <= 0 || !(life > 0)) {
+    return 0;
+  }
+
+  let cumulative;
+  if (method === "STRAIGHT_LINE") {
+    cumulative = straightLineCumulative({ depreciableAmount, usefulLifeMonths: life, elapsedMonths });
+  } else if (method === "DECLINING_BALANCE") {
+    cumulative = decliningBalanceCumulative({
+      acquisitionCost: cost,
+      salvageValue: salvage,
+      usefulLifeMonths: life,
+      decliningFactor: Number(decliningFactor || DEFAULT_DECLINING_FACTOR),
+      elapsedMonths,
+    });
+  } else if (method === "VUK_NORMAL" || method === "VUK_DECLINING") {
+    cumulative = vukCumulative({
+      depreciableAmount,
+      usefulLifeMonths: life,
+      startDate: depreciationStartDate,
+      throughDate,
+      declining: method === "VUK_DECLINING",
+    });
+  } else {
+    throw new Error(`Unsupported depreciation method ${method}`);
+  }
+
+  return Math.min(roundMoney(cumulative), roundMoney(depreciableAmount));
+}
+
+export default {
+  computeCumulativeDepreciation,
+  monthsInService,
+};
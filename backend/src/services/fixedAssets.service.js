@@ -0,0 +1,2018 @@
+import { query, withTransaction } from "../db.js";
+import {
+  assertLegalEntityBelongsToTenant,
+  assertOperatingUnitBelongsToTenant,
+} from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { computeCumulativeDepreciation } from "./fixedAssets.depreciation.js";
+
+const AMOUNT_PRECISION_SCALE = 6;
+const AMOUNT_EPSILON = 0.005;
+const VUK_METHODS = new Set(["VUK_NORMAL", "VUK_DECLINING"]);
+const DECLINING_METHODS = new Set(["DECLINING_BALANCE"]);
+const ACQUIRABLE_DOCUMENT_STATUSES = new Set(["POSTED", "PARTIALLY_SETTLED", "SETTLED"]);
+const DEPRECIABLE_ASSET_STATUS = "ACTIVE";
+const AP_OFFSET_PURPOSE_CODE = "CARI_AP_OFFSET";
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+function roundMoney(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+function toAmountString(value) {
+  return Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE);
+}
+
+function toDateOnlyString(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function normalizeUpperText(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function makeConflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function isDuplicateKeyError(err, constraintName = null) {
+  if (Number(err?.errno) !== 1062 && String(err?.code || "") !== "ER_DUP_ENTRY") {
+    return false;
+  }
+  return constraintName ? String(err?.message || "").includes(constraintName) : true;
+}
+
+function buildFixedAssetJournalNo(prefix, id) {
+  const stamp = Date.now().toString(36).toUpperCase();
+  return `${prefix}-${id}-${stamp}`.slice(0, 40);
+}
+
+function buildDefaultRunNo(periodEndDate) {
+  const stamp = Date.now().toString(36).toUpperCase();
+  return `DEP-${String(periodEndDate).slice(0, 7)}-${stamp}`.slice(0, 80);
+}
+
+function mapClassRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    code: row.code,
+    name: row.name,
+    depreciationMethod: row.depreciation_method,
+    usefulLifeMonths: Number(row.useful_life_months),
+    decliningFactor: row.declining_factor === null ? null : Number(row.declining_factor),
+    assetAccountId: parsePositiveInt(row.asset_account_id),
+    accumulatedDepreciationAccountId: parsePositiveInt(row.accumulated_depreciation_account_id),
+    depreciationExpenseAccountId: parsePositiveInt(row.depreciation_expense_account_id),
+    disposalGainAccountId: parsePositiveInt(row.disposal_gain_account_id),
+    disposalLossAccountId: parsePositiveInt(row.disposal_loss_account_id),
+    status: row.status,
+    assetCount: Number(row.asset_count || 0),
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    updatedByUserId: parsePositiveInt(row.updated_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapAssetRow(row) {
+  const acquisitionCost = roundAmount(row.acquisition_cost);
+  const accumulatedDepreciation = roundAmount(row.accumulated_depreciation);
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    assetClassId: parsePositiveInt(row.asset_class_id),
+    assetClassCode: row.asset_class_code || null,
+    assetNo: row.asset_no,
+    name: row.name,
+    operatingUnitId: parsePositiveInt(row.operating_unit_id),
+    operatingUnitCode: row.operating_unit_code || null,
+    status: row.status,
+    currencyCode: row.currency_code,
+    acquisitionDate: toDateOnlyString(row.acquisition_date),
+    depreciationStartDate: toDateOnlyString(row.depreciation_start_date),
+    acquisitionCost,
+    salvageValue: roundAmount(row.salvage_value),
+    depreciationMethod: row.depreciation_method,
+    usefulLifeMonths: Number(row.useful_life_months),
+    decliningFactor: row.declining_factor === null ? null : Number(row.declining_factor),
+    openingAccumulatedDepreciation: roundAmount(row.opening_accumulated_depreciation),
+    accumulatedDepreciation,
+    netBookValue: roundAmount(acquisitionCost - accumulatedDepreciation),
+    sourceType: row.source_type,
+    sourceCariDocumentId: parsePositiveInt(row.source_cari_document_id),
+    sourceCariDocumentLineId: parsePositiveInt(row.source_cari_document_line_id),
+    sourceDocumentNo: row.source_document_no || null,
+    acquisitionJournalEntryId: parsePositiveInt(row.acquisition_journal_entry_id),
+    disposalDate: toDateOnlyString(row.disposal_date),
+    disposalProceeds: row.disposal_proceeds === null ? null : roundAmount(row.disposal_proceeds),
+    disposalProceedsAccountId: parsePositiveInt(row.disposal_proceeds_account_id),
+    disposalGainLoss: row.disposal_gain_loss === null ? null : roundAmount(row.disposal_gain_loss),
+    disposalJournalEntryId: parsePositiveInt(row.disposal_journal_entry_id),
+    disposalNote: row.disposal_note || null,
+    disposedByUserId: parsePositiveInt(row.disposed_by_user_id),
+    disposedAt: row.disposed_at || null,
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    updatedByUserId: parsePositiveInt(row.updated_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapRunRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    bookId: parsePositiveInt(row.book_id),
+    fiscalPeriodId: parsePositiveInt(row.fiscal_period_id),
+    runNo: row.run_no,
+    status: row.status,
+    periodStartDate: toDateOnlyString(row.period_start_date),
+    periodEndDate: toDateOnlyString(row.period_end_date),
+    currencyCode: row.currency_code,
+    assetCount: Number(row.asset_count || 0),
+    totalAmount: roundAmount(row.total_amount),
+    postedJournalEntryId: parsePositiveInt(row.posted_journal_entry_id),
+    reversalJournalEntryId: parsePositiveInt(row.reversal_journal_entry_id),
+    reverseReason: row.reverse_reason || null,
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    postedByUserId: parsePositiveInt(row.posted_by_user_id),
+    reversedByUserId: parsePositiveInt(row.reversed_by_user_id),
+    postedAt: row.posted_at || null,
+    reversedAt: row.reversed_at || null,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapRunLineRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    lineNo: Number(row.line_no),
+    assetId: parsePositiveInt(row.asset_id),
+    assetNo: row.asset_no || null,
+    assetName: row.asset_name || null,
+    depreciationAmount: roundAmount(row.depreciation_amount),
+    accumulatedBefore: roundAmount(row.accumulated_before),
+    accumulatedAfter: roundAmount(row.accumulated_after),
+    netBookValueAfter: roundAmount(row.net_book_value_after),
+    expenseAccountId: parsePositiveInt(row.expense_account_id),
+    accumulatedDepreciationAccountId: parsePositiveInt(row.accumulated_depreciation_account_id),
+    operatingUnitId: parsePositiveInt(row.operating_unit_id),
+  };
+}
+
+const CLASS_SELECT_SQL = `
+  SELECT
+    c.*,
+    (
+      SELECT COUNT(*)
+      FROM fa_assets a
+      WHERE a.tenant_id = c.tenant_id
+        AND a.asset_class_id = c.id
+    ) AS asset_count
+  FROM fa_asset_classes c`;
+
+const ASSET_SELECT_SQL = `
+  SELECT
+    a.*,
+    c.code AS asset_class_code,
+    ou.code AS operating_unit_code,
+    d.document_no AS source_document_no
+  FROM fa_assets a
+  JOIN fa_asset_classes c
+    ON c.tenant_id = a.tenant_id
+   AND c.id = a.asset_class_id
+  LEFT JOIN operating_units ou ON ou.id = a.operating_unit_id
+  LEFT JOIN cari_documents d
+    ON d.tenant_id = a.tenant_id
+   AND d.id = a.source_cari_document_id`;
+
+async function fetchClassRow({ tenantId, classId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `${CLASS_SELECT_SQL}
+     WHERE c.tenant_id = ?
+       AND c.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, classId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireClassRow({ req, tenantId, classId, assertScopeAccess, runQuery = query, forUpdate = false }) {
+  const row = await fetchClassRow({ tenantId, classId, runQuery, forUpdate });
+  if (!row) {
+    throw badRequest("Asset class not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "assetClassId");
+  return row;
+}
+
+async function fetchAssetRow({ tenantId, assetId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `${ASSET_SELECT_SQL}
+     WHERE a.tenant_id = ?
+       AND a.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, assetId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireAssetRow({ req, tenantId, assetId, assertScopeAccess, runQuery = query, forUpdate = false }) {
+  const row = await fetchAssetRow({ tenantId, assetId, runQuery, forUpdate });
+  if (!row) {
+    throw badRequest("Fixed asset not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "assetId");
+  return row;
+}
+
+async function fetchRunRow({ tenantId, runId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `SELECT *
+     FROM fa_depreciation_runs
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, runId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireRunRow({ req, tenantId, runId, assertScopeAccess, runQuery = query, forUpdate = false }) {
+  const row = await fetchRunRow({ tenantId, runId, runQuery, forUpdate });
+  if (!row) {
+    throw badRequest("Depreciation run not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "runId");
+  return row;
+}
+
+async function fetchRunLines({ tenantId, runId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+       l.*,
+       a.asset_no,
+       a.name AS asset_name
+     FROM fa_depreciation_run_lines l
+     JOIN fa_assets a
+       ON a.tenant_id = l.tenant_id
+      AND a.id = l.asset_id
+     WHERE l.tenant_id = ?
+       AND l.run_id = ?
+     ORDER BY l.line_no ASC`,
+    [tenantId, runId]
+  );
+  return result.rows || [];
+}
+
+async function loadEntityAccounts({ tenantId, legalEntityId, accountIds, runQuery = query }) {
+  const ids = [...new Set(accountIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const placeholders = ids.map(() => "?").join(", ");
+  const result = await runQuery(
+    `SELECT a.id, a.code, a.is_active, a.allow_posting
+     FROM accounts a
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     WHERE c.tenant_id = ?
+       AND c.legal_entity_id = ?
+       AND a.id IN (${placeholders})`,
+    [tenantId, legalEntityId, ...ids]
+  );
+  return new Map((result.rows || []).map((row) => [parsePositiveInt(row.id), row]));
+}
+
+async function assertPostingAccounts({ tenantId, legalEntityId, accounts, runQuery = query }) {
+  const accountsById = await loadEntityAccounts({
+    tenantId,
+    legalEntityId,
+    accountIds: Object.values(accounts),
+    runQuery,
+  });
+  for (const [label, accountId] of Object.entries(accounts)) {
+    const account = accountsById.get(accountId);
+    if (!account) {
+      throw badRequest(`${label} must be an account of the legal entity chart of accounts`);
+    }
+    if (!Number(account.is_active) || !Number(account.allow_posting)) {
+      throw badRequest(`${label} (${account.code}) must be an active posting account`);
+    }
+  }
+}
+
+async function assertOperatingUnitInEntity({ tenantId, legalEntityId, operatingUnitId }) {
+  if (!operatingUnitId) {
+    return;
+  }
+  const unit = await assertOperatingUnitBelongsToTenant(tenantId, operatingUnitId, "operatingUnitId");
+  if (parsePositiveInt(unit.legal_entity_id) !== legalEntityId) {
+    throw badRequest("operatingUnitId must belong to the asset legal entity");
+  }
+}
+
+function assertDepreciationTerms({ depreciationMethod, usefulLifeMonths, decliningFactor }) {
+  if (VUK_METHODS.has(depreciationMethod) && usefulLifeMonths % 12 !== 0) {
+    throw badRequest("usefulLifeMonths must be whole years (a multiple of 12) for VUK methods");
+  }
+  if (decliningFactor !== null && decliningFactor !== undefined && !DECLINING_METHODS.has(depreciationMethod)) {
+    throw badRequest("decliningFactor only applies to DECLINING_BALANCE");
+  }
+}
+
+function assertAssetAmounts({ acquisitionCost, salvageValue, openingAccumulatedDepreciation }) {
+  if (salvageValue >= acquisitionCost) {
+    throw badRequest("salvageValue must be less than acquisitionCost");
+  }
+  if (openingAccumulatedDepreciation > acquisitionCost - salvageValue + 0.000001) {
+    throw badRequest("openingAccumulatedDepreciation cannot exceed acquisitionCost less salvageValue");
+  }
+}
+
+async function resolveEntityBook({ tenantId, legalEntityId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, calendar_id, base_currency_code
+     FROM books
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+     ORDER BY
+       CASE WHEN book_type = 'LOCAL' THEN 0 ELSE 1 END,
+       id ASC
+     LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  const book = result.rows?.[0] || null;
+  if (!book) {
+    throw badRequest("No book found for legalEntityId");
+  }
+  return book;
+}
+
+async function ensurePeriodOpenForBook({ bookId, fiscalPeriodId, actionLabel, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT status
+     FROM period_statuses
+     WHERE book_id = ?
+       AND fiscal_period_id = ?
+     LIMIT 1`,
+    [bookId, fiscalPeriodId]
+  );
+  const status = normalizeUpperText(result.rows?.[0]?.status || "OPEN");
+  if (status !== "OPEN") {
+    throw badRequest(`Period is ${status}; cannot ${actionLabel}`);
+  }
+}
+
+async function resolveOpenPeriodForDate({ tenantId, legalEntityId, targetDate, actionLabel, runQuery = query }) {
+  const book = await resolveEntityBook({ tenantId, legalEntityId, runQuery });
+  const result = await runQuery(
+    `SELECT id
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+       AND ? BETWEEN start_date AND end_date
+     ORDER BY is_adjustment ASC, id ASC
+     LIMIT 1`,
+    [book.calendar_id, targetDate]
+  );
+  const fiscalPeriodId = parsePositiveInt(result.rows?.[0]?.id);
+  if (!fiscalPeriodId) {
+    throw badRequest(`No fiscal period found for ${targetDate}`);
+  }
+  const bookId = parsePositiveInt(book.id);
+  await ensurePeriodOpenForBook({ bookId, fiscalPeriodId, actionLabel, runQuery });
+  return { bookId, fiscalPeriodId, currencyCode: book.base_currency_code };
+}
+
+async function resolveRunPeriod({ tenantId, legalEntityId, fiscalPeriodId, runQuery = query }) {
+  const book = await resolveEntityBook({ tenantId, legalEntityId, runQuery });
+  const result = await runQuery(
+    `SELECT id, start_date, end_date, is_adjustment
+     FROM fiscal_periods
+     WHERE calendar_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [book.calendar_id, fiscalPeriodId]
+  );
+  const period = result.rows?.[0] || null;
+  if (!period) {
+    throw badRequest("fiscalPeriodId is not a period of the legal entity book calendar");
+  }
+  if (Number(period.is_adjustment)) {
+    throw badRequest("Depreciation runs cannot target an adjustment period");
+  }
+  return {
+    bookId: parsePositiveInt(book.id),
+    currencyCode: book.base_currency_code,
+    fiscalPeriodId,
+    periodStartDate: toDateOnlyString(period.start_date),
+    periodEndDate: toDateOnlyString(period.end_date),
+  };
+}
+
+async function fetchLastPostedRunEndDate({ tenantId, legalEntityId, assetId = null, runQuery = query }) {
+  const params = [tenantId, legalEntityId];
+  let assetSql = "";
+  if (assetId) {
+    assetSql = `AND EXISTS (
+         SELECT 1
+         FROM fa_depreciation_run_lines l
+         WHERE l.tenant_id = r.tenant_id
+           AND l.run_id = r.id
+           AND l.asset_id = ?
+       )`;
+    params.push(assetId);
+  }
+  const result = await runQuery(
+    `SELECT MAX(r.period_end_date) AS last_end_date
+     FROM fa_depreciation_runs r
+     WHERE r.tenant_id = ?
+       AND r.legal_entity_id = ?
+       AND r.status = 'POSTED'
+       ${assetSql}`,
+    params
+  );
+  return toDateOnlyString(result.rows?.[0]?.last_end_date);
+}
+
+// Journal lines are { accountId, operatingUnitId, debitBase, creditBase, description }.
+async function insertPostedJournalTx(tx, {
+  tenantId,
+  legalEntityId,
+  bookId,
+  fiscalPeriodId,
+  journalNo,
+  entryDate,
+  currencyCode,
+  description,
+  referenceNo,
+  userId,
+  lines,
+}) {
+  const postedLines = lines.filter(
+    (line) => roundMoney(line.debitBase) !== 0 || roundMoney(line.creditBase) !== 0
+  );
+  const totalDebit = roundMoney(postedLines.reduce((sum, line) => sum + Number(line.debitBase || 0), 0));
+  const totalCredit = roundMoney(postedLines.reduce((sum, line) => sum + Number(line.creditBase || 0), 0));
+  if (postedLines.length < 2 || Math.abs(totalDebit - totalCredit) > 0.000001) {
+    throw badRequest("Fixed asset journal is not balanced");
+  }
+
+  const insertResult = await tx.query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at
+     )
+     VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      tenantId,
+      legalEntityId,
+      bookId,
+      fiscalPeriodId,
+      journalNo,
+      entryDate,
+      entryDate,
+      currencyCode,
+      String(description || "").slice(0, 500),
+      referenceNo,
+      toAmountString(totalDebit),
+      toAmountString(totalCredit),
+      userId,
+      userId,
+    ]
+  );
+  const journalEntryId = parsePositiveInt(insertResult.rows?.insertId);
+  if (!journalEntryId) {
+    throw badRequest("Failed to create fixed asset journal entry");
+  }
+
+  for (let i = 0; i < postedLines.length; i += 1) {
+    const line = postedLines[i];
+    const debitBase = roundMoney(line.debitBase);
+    const creditBase = roundMoney(line.creditBase);
+    // eslint-disable-next-line no-await-in-loop
+    await tx.query(
+      `INSERT INTO journal_lines (
+          journal_entry_id,
+          line_no,
+          account_id,
+          operating_unit_id,
+          counterparty_legal_entity_id,
+          description,
+          subledger_reference_no,
+          currency_code,
+          amount_txn,
+          debit_base,
+          credit_base,
+          tax_code
+       )
+       VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, NULL)`,
+      [
+        journalEntryId,
+        i + 1,
+        line.accountId,
+        line.operatingUnitId || null,
+        String(line.description || description || "").slice(0, 255) || null,
+        referenceNo,
+        currencyCode,
+        toAmountString(debitBase - creditBase),
+        toAmountString(debitBase),
+        toAmountString(creditBase),
+      ]
+    );
+  }
+  return journalEntryId;
+}
+
+async function reverseJournalTx(tx, {
+  tenantId,
+  legalEntityId,
+  journalEntryId,
+  bookId,
+  fiscalPeriodId,
+  entryDate,
+  journalNo,
+  description,
+  reason,
+  userId,
+}) {
+  const journalResult = await tx.query(
+    `SELECT id, status, currency_code, reference_no, reversal_journal_entry_id
+     FROM journal_entries
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1
+     FOR UPDATE`,
+    [tenantId, journalEntryId]
+  );
+  const journal = journalResult.rows?.[0] || null;
+  if (!journal || normalizeUpperText(journal.status) !== "POSTED") {
+    throw makeConflict("Original depreciation journal is not POSTED");
+  }
+  const linesResult = await tx.query(
+    `SELECT account_id, operating_unit_id, description, debit_base, credit_base
+     FROM journal_lines
+     WHERE journal_entry_id = ?
+     ORDER BY line_no ASC`,
+    [journalEntryId]
+  );
+  const reversalJournalEntryId = await insertPostedJournalTx(tx, {
+    tenantId,
+    legalEntityId,
+    bookId,
+    fiscalPeriodId,
+    journalNo,
+    entryDate,
+    currencyCode: journal.currency_code,
+    description,
+    referenceNo: journal.reference_no,
+    userId,
+    lines: (linesResult.rows || []).map((line) => ({
+      accountId: parsePositiveInt(line.account_id),
+      operatingUnitId: parsePositiveInt(line.operating_unit_id),
+      debitBase: Number(line.credit_base || 0),
+      creditBase: Number(line.debit_base || 0),
+      description: line.description,
+    })),
+  });
+  await tx.query(
+    `UPDATE journal_entries
+     SET status = 'REVERSED',
+         reversed_by_user_id = ?,
+         reversed_at = CURRENT_TIMESTAMP,
+         reversal_journal_entry_id = ?,
+         reverse_reason = ?
+     WHERE tenant_id = ?
+       AND id = ?
+       AND status = 'POSTED'`,
+    [userId, reversalJournalEntryId, String(reason).slice(0, 255), tenantId, journalEntryId]
+  );
+  return reversalJournalEntryId;
+}
+
+export async function resolveFixedAssetClassScope(classId, tenantId) {
+  return resolveEntityScope("fa_asset_classes", classId, tenantId);
+}
+
+export async function resolveFixedAssetScope(assetId, tenantId) {
+  return resolveEntityScope("fa_assets", assetId, tenantId);
+}
+
+export async function resolveDepreciationRunScope(runId, tenantId) {
+  return resolveEntityScope("fa_depreciation_runs", runId, tenantId);
+}
+
+async function resolveEntityScope(tableName, id, tenantId) {
+  const parsedId = parsePositiveInt(id);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedId || !parsedTenantId) {
+    return null;
+  }
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM ${tableName}
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [parsedTenantId, parsedId]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    return null;
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function listFixedAssetClasses({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["c.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "c.legal_entity_id", params));
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("c.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.status) {
+    conditions.push("c.status = ?");
+    params.push(filters.status);
+  }
+
+  const result = await query(
+    `${CLASS_SELECT_SQL}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY c.legal_entity_id ASC, c.code ASC, c.id ASC`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapClassRow) };
+}
+
+export async function getFixedAssetClassById({ req, tenantId, classId, assertScopeAccess }) {
+  return mapClassRow(await requireClassRow({ req, tenantId, classId, assertScopeAccess }));
+}
+
+export async function createFixedAssetClass({ req, payload, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId);
+  assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+  assertDepreciationTerms(payload);
+  await assertPostingAccounts({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    accounts: {
+      assetAccountId: payload.assetAccountId,
+      accumulatedDepreciationAccountId: payload.accumulatedDepreciationAccountId,
+      depreciationExpenseAccountId: payload.depreciationExpenseAccountId,
+      disposalGainAccountId: payload.disposalGainAccountId,
+      disposalLossAccountId: payload.disposalLossAccountId,
+    },
+  });
+  if (payload.assetAccountId === payload.accumulatedDepreciationAccountId) {
+    throw badRequest("assetAccountId and accumulatedDepreciationAccountId must be different");
+  }
+
+  let classId;
+  try {
+    const result = await query(
+      `INSERT INTO fa_asset_classes (
+         tenant_id,
+         legal_entity_id,
+         code,
+         name,
+         depreciation_method,
+         useful_life_months,
+         declining_factor,
+         asset_account_id,
+         accumulated_depreciation_account_id,
+         depreciation_expense_account_id,
+         disposal_gain_account_id,
+         disposal_loss_account_id,
+         status,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        payload.legalEntityId,
+        payload.code,
+        payload.name,
+        payload.depreciationMethod,
+        payload.usefulLifeMonths,
+        payload.decliningFactor,
+        payload.assetAccountId,
+        payload.accumulatedDepreciationAccountId,
+        payload.depreciationExpenseAccountId,
+        payload.disposalGainAccountId,
+        payload.disposalLossAccountId,
+        payload.status,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    classId = parsePositiveInt(result.rows?.insertId);
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_fa_asset_classes_code")) {
+      throw badRequest(`Asset class ${payload.code} already exists for legalEntityId`);
+    }
+    throw err;
+  }
+  return getFixedAssetClassById({ req, tenantId: payload.tenantId, classId, assertScopeAccess });
+}
+
+export async function updateFixedAssetClass({ req, payload, assertScopeAccess }) {
+  const existing = await requireClassRow({
+    req,
+    tenantId: payload.tenantId,
+    classId: payload.classId,
+    assertScopeAccess,
+  });
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  const next = {
+    name: payload.name ?? existing.name,
+    depreciationMethod: payload.depreciationMethod ?? existing.depreciation_method,
+    usefulLifeMonths: payload.usefulLifeMonths ?? Number(existing.useful_life_months),
+    decliningFactor:
+      payload.decliningFactor === undefined
+        ? existing.declining_factor === null
+          ? null
+          : Number(existing.declining_factor)
+        : payload.decliningFactor,
+    assetAccountId: payload.assetAccountId ?? parsePositiveInt(existing.asset_account_id),
+    accumulatedDepreciationAccountId:
+      payload.accumulatedDepreciationAccountId ??
+      parsePositiveInt(existing.accumulated_depreciation_account_id),
+    depreciationExpenseAccountId:
+      payload.depreciationExpenseAccountId ?? parsePositiveInt(existing.depreciation_expense_account_id),
+    disposalGainAccountId: payload.disposalGainAccountId ?? parsePositiveInt(existing.disposal_gain_account_id),
+    disposalLossAccountId: payload.disposalLossAccountId ?? parsePositiveInt(existing.disposal_loss_account_id),
+    status: payload.status ?? existing.status,
+  };
+  if (!DECLINING_METHODS.has(next.depreciationMethod)) {
+    next.decliningFactor = null;
+  }
+  assertDepreciationTerms(next);
+
+  // Cost and accumulated depreciation already sit on these accounts for live assets.
+  const balanceAccountsChanged =
+    next.assetAccountId !== parsePositiveInt(existing.asset_account_id) ||
+    next.accumulatedDepreciationAccountId !==
+      parsePositiveInt(existing.accumulated_depreciation_account_id);
+  if (balanceAccountsChanged) {
+    const liveResult = await query(
+      `SELECT COUNT(*) AS live_count
+       FROM fa_assets
+       WHERE tenant_id = ?
+         AND asset_class_id = ?
+         AND status <> 'DISPOSED'`,
+      [payload.tenantId, payload.classId]
+    );
+    if (Number(liveResult.rows?.[0]?.live_count || 0) > 0) {
+      throw makeConflict(
+        "assetAccountId and accumulatedDepreciationAccountId cannot change while the class has undisposed assets"
+      );
+    }
+  }
+  await assertPostingAccounts({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    accounts: {
+      assetAccountId: next.assetAccountId,
+      accumulatedDepreciationAccountId: next.accumulatedDepreciationAccountId,
+      depreciationExpenseAccountId: next.depreciationExpenseAccountId,
+      disposalGainAccountId: next.disposalGainAccountId,
+      disposalLossAccountId: next.disposalLossAccountId,
+    },
+  });
+  if (next.assetAccountId === next.accumulatedDepreciationAccountId) {
+    throw badRequest("assetAccountId and accumulatedDepreciationAccountId must be different");
+  }
+
+  await query(
+    `UPDATE fa_asset_classes
+     SET name = ?,
+         depreciation_method = ?,
+         useful_life_months = ?,
+         declining_factor = ?,
+         asset_account_id = ?,
+         accumulated_depreciation_account_id = ?,
+         depreciation_expense_account_id = ?,
+         disposal_gain_account_id = ?,
+         disposal_loss_account_id = ?,
+         status = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      next.name,
+      next.depreciationMethod,
+      next.usefulLifeMonths,
+      next.decliningFactor,
+      next.assetAccountId,
+      next.accumulatedDepreciationAccountId,
+      next.depreciationExpenseAccountId,
+      next.disposalGainAccountId,
+      next.disposalLossAccountId,
+      next.status,
+      payload.userId,
+      payload.tenantId,
+      payload.classId,
+    ]
+  );
+  return getFixedAssetClassById({
+    req,
+    tenantId: payload.tenantId,
+    classId: payload.classId,
+    assertScopeAccess,
+  });
+}
+
+export async function listFixedAssets({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["a.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "a.legal_entity_id", params));
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("a.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.assetClassId) {
+    conditions.push("a.asset_class_id = ?");
+    params.push(filters.assetClassId);
+  }
+  if (filters.operatingUnitId) {
+    conditions.push("a.operating_unit_id = ?");
+    params.push(filters.operatingUnitId);
+  }
+  if (filters.status) {
+    conditions.push("a.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.q) {
+    conditions.push("(a.asset_no LIKE ? OR a.name LIKE ?)");
+    const like = `%${filters.q}%`;
+    params.push(like, like);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM fa_assets a
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+
+  const result = await query(
+    `${ASSET_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY a.legal_entity_id ASC, a.asset_no ASC, a.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (result.rows || []).map(mapAssetRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+export async function getFixedAssetById({ req, tenantId, assetId, assertScopeAccess }) {
+  const row = await requireAssetRow({ req, tenantId, assetId, assertScopeAccess });
+  const historyResult = await query(
+    `SELECT
+       r.id AS run_id,
+       r.run_no,
+       r.status,
+       r.fiscal_period_id,
+       r.period_end_date,
+       r.posted_journal_entry_id,
+       l.depreciation_amount,
+       l.accumulated_after
+     FROM fa_depreciation_run_lines l
+     JOIN fa_depreciation_runs r
+       ON r.tenant_id = l.tenant_id
+      AND r.id = l.run_id
+     WHERE l.tenant_id = ?
+       AND l.asset_id = ?
+       AND r.status IN ('POSTED','REVERSED')
+     ORDER BY r.period_end_date ASC, r.id ASC`,
+    [tenantId, assetId]
+  );
+  return {
+    ...mapAssetRow(row),
+    depreciationHistory: (historyResult.rows || []).map((entry) => ({
+      runId: parsePositiveInt(entry.run_id),
+      runNo: entry.run_no,
+      status: entry.status,
+      fiscalPeriodId: parsePositiveInt(entry.fiscal_period_id),
+      periodEndDate: toDateOnlyString(entry.period_end_date),
+      postedJournalEntryId: parsePositiveInt(entry.posted_journal_entry_id),
+      depreciationAmount: roundAmount(entry.depreciation_amount),
+      accumulatedAfter: roundAmount(entry.accumulated_after),
+    })),
+  };
+}
+
+// Class defaults fill depreciation terms the request leaves out.
+function resolveAssetTerms(payload, classRow) {
+  const depreciationMethod = payload.depreciationMethod || classRow.depreciation_method;
+  const terms = {
+    depreciationMethod,
+    usefulLifeMonths: payload.usefulLifeMonths || Number(classRow.useful_life_months),
+    decliningFactor: DECLINING_METHODS.has(depreciationMethod)
+      ? payload.decliningFactor ??
+        (classRow.declining_factor === null ? null : Number(classRow.declining_factor))
+      : null,
+  };
+  assertDepreciationTerms(terms);
+  return terms;
+}
+
+async function insertAssetTx(tx, { payload, classRow, terms, acquisitionCost, currencyCode, source }) {
+  const depreciable = roundAmount(acquisitionCost - payload.salvageValue);
+  const openingAccumulated = roundAmount(payload.openingAccumulatedDepreciation || 0);
+  const status =
+    Math.abs(depreciable - openingAccumulated) < AMOUNT_EPSILON ? "FULLY_DEPRECIATED" : "ACTIVE";
+  try {
+    const result = await tx.query(
+      `INSERT INTO fa_assets (
+         tenant_id,
+         legal_entity_id,
+         asset_class_id,
+         asset_no,
+         name,
+         operating_unit_id,
+         status,
+         currency_code,
+         acquisition_date,
+         depreciation_start_date,
+         acquisition_cost,
+         salvage_value,
+         depreciation_method,
+         useful_life_months,
+         declining_factor,
+         opening_accumulated_depreciation,
+         accumulated_depreciation,
+         source_type,
+         source_cari_document_id,
+         source_cari_document_line_id,
+         acquisition_journal_entry_id,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        parsePositiveInt(classRow.legal_entity_id),
+        parsePositiveInt(classRow.id),
+        payload.assetNo,
+        payload.name,
+        payload.operatingUnitId || null,
+        status,
+        currencyCode,
+        payload.acquisitionDate,
+        payload.depreciationStartDate || payload.acquisitionDate,
+        toAmountString(acquisitionCost),
+        toAmountString(payload.salvageValue),
+        terms.depreciationMethod,
+        terms.usefulLifeMonths,
+        terms.decliningFactor,
+        toAmountString(openingAccumulated),
+        toAmountString(openingAccumulated),
+        source.sourceType,
+        source.cariDocumentId || null,
+        source.cariDocumentLineId || null,
+        source.acquisitionJournalEntryId || null,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    return parsePositiveInt(result.rows?.insertId);
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_fa_assets_asset_no")) {
+      throw badRequest(`Asset number ${payload.assetNo} already exists for the legal entity`);
+    }
+    if (isDuplicateKeyError(err, "uk_fa_assets_source_line")) {
+      throw makeConflict("This AP document line is already capitalised as a fixed asset");
+    }
+    throw err;
+  }
+}
+
+async function requireActiveClass({ req, tenantId, classId, assertScopeAccess }) {
+  const classRow = await requireClassRow({ req, tenantId, classId, assertScopeAccess });
+  if (normalizeUpperText(classRow.status) !== "ACTIVE") {
+    throw badRequest("Asset class is INACTIVE");
+  }
+  return classRow;
+}
+
+// Registers an asset whose cost is already on the class asset account (e.g. opening balances).
+export async function createFixedAsset({ req, payload, assertScopeAccess }) {
+  const classRow = await requireActiveClass({
+    req,
+    tenantId: payload.tenantId,
+    classId: payload.assetClassId,
+    assertScopeAccess,
+  });
+  const legalEntityId = parsePositiveInt(classRow.legal_entity_id);
+  if (payload.legalEntityId && payload.legalEntityId !== legalEntityId) {
+    throw badRequest("assetClassId must belong to legalEntityId");
+  }
+  await assertOperatingUnitInEntity({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    operatingUnitId: payload.operatingUnitId,
+  });
+  const terms = resolveAssetTerms(payload, classRow);
+  const acquisitionCost = Number(payload.acquisitionCost);
+  assertAssetAmounts({
+    acquisitionCost,
+    salvageValue: Number(payload.salvageValue),
+    openingAccumulatedDepreciation: Number(payload.openingAccumulatedDepreciation || 0),
+  });
+  const book = await resolveEntityBook({ tenantId: payload.tenantId, legalEntityId });
+
+  const assetId = await withTransaction(async (tx) =>
+    insertAssetTx(tx, {
+      payload,
+      classRow,
+      terms,
+      acquisitionCost,
+      currencyCode: book.base_currency_code,
+      source: { sourceType: "MANUAL" },
+    })
+  );
+  return getFixedAssetById({ req, tenantId: payload.tenantId, assetId, assertScopeAccess });
+}
+
+async function resolveApOffsetAccountId({ tenantId, legalEntityId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT account_id
+     FROM journal_purpose_accounts
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND purpose_code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, AP_OFFSET_PURPOSE_CODE]
+  );
+  const accountId = parsePositiveInt(result.rows?.[0]?.account_id);
+  if (!accountId) {
+    throw badRequest(`Setup required: configure journal_purpose_accounts for ${AP_OFFSET_PURPOSE_CODE}`);
+  }
+  return accountId;
+}
+
+// Capitalises a posted AP invoice (or one of its lines). The AP posting already debited
+// the line account; when that is not the class asset account the amount is reclassed.
+export async function acquireFixedAssetFromApDocument({ req, payload, assertScopeAccess }) {
+  const classRow = await requireActiveClass({
+    req,
+    tenantId: payload.tenantId,
+    classId: payload.assetClassId,
+    assertScopeAccess,
+  });
+  const legalEntityId = parsePositiveInt(classRow.legal_entity_id);
+  const assetAccountId = parsePositiveInt(classRow.asset_account_id);
+  const terms = resolveAssetTerms(payload, classRow);
+
+  const assetId = await withTransaction(async (tx) => {
+    const documentResult = await tx.query(
+      `SELECT
+         id,
+         legal_entity_id,
+         direction,
+         document_type,
+         status,
+         document_no,
+         document_date,
+         amount_base,
+         net_amount_base
+       FROM cari_documents
+       WHERE tenant_id = ?
+         AND id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [payload.tenantId, payload.cariDocumentId]
+    );
+    const document = documentResult.rows?.[0] || null;
+    if (!document) {
+      throw badRequest("cariDocumentId not found");
+    }
+    if (parsePositiveInt(document.legal_entity_id) !== legalEntityId) {
+      throw badRequest("cariDocumentId must belong to the asset class legal entity");
+    }
+    if (normalizeUpperText(document.direction) !== "AP" || normalizeUpperText(document.document_type) !== "INVOICE") {
+      throw badRequest("Only AP INVOICE documents can be capitalised");
+    }
+    if (!ACQUIRABLE_DOCUMENT_STATUSES.has(normalizeUpperText(document.status))) {
+      throw badRequest(`Document status ${document.status} cannot be capitalised; post it first`);
+    }
+
+    const linesResult = await tx.query(
+      `SELECT id, line_no, description, account_id, operating_unit_id, net_amount_base
+       FROM cari_document_lines
+       WHERE tenant_id = ?
+         AND document_id = ?
+       ORDER BY line_no ASC`,
+      [payload.tenantId, payload.cariDocumentId]
+    );
+    const documentLines = linesResult.rows || [];
+    let acquisitionCost;
+    let sourceAccountId = null;
+    let operatingUnitId = payload.operatingUnitId || null;
+    let sourceLine = null;
+    if (documentLines.length > 0) {
+      if (!payload.cariDocumentLineId) {
+        throw badRequest("cariDocumentLineId is required for documents with lines");
+      }
+      sourceLine = documentLines.find((line) => parsePositiveInt(line.id) === payload.cariDocumentLineId);
+      if (!sourceLine) {
+        throw badRequest("cariDocumentLineId does not belong to cariDocumentId");
+      }
+      acquisitionCost = roundAmount(sourceLine.net_amount_base);
+      sourceAccountId = parsePositiveInt(sourceLine.account_id);
+      operatingUnitId = operatingUnitId || parsePositiveInt(sourceLine.operating_unit_id);
+    } else {
+      if (payload.cariDocumentLineId) {
+        throw badRequest("cariDocumentLineId given but the document has no lines");
+      }
+      acquisitionCost = roundAmount(document.net_amount_base ?? document.amount_base);
+    }
+    if (!(acquisitionCost > 0)) {
+      throw badRequest("Document amount to capitalise must be positive");
+    }
+    if (!sourceAccountId) {
+      sourceAccountId = await resolveApOffsetAccountId({
+        tenantId: payload.tenantId,
+        legalEntityId,
+        runQuery: tx.query,
+      });
+    }
+    await assertOperatingUnitInEntity({ tenantId: payload.tenantId, legalEntityId, operatingUnitId });
+    assertAssetAmounts({
+      acquisitionCost,
+      salvageValue: Number(payload.salvageValue),
+      openingAccumulatedDepreciation: 0,
+    });
+
+    const acquisitionDate = toDateOnlyString(document.document_date);
+    const assetPayload = {
+      ...payload,
+      operatingUnitId,
+      acquisitionDate,
+      depreciationStartDate: payload.depreciationStartDate || acquisitionDate,
+      openingAccumulatedDepreciation: 0,
+    };
+    if (assetPayload.depreciationStartDate < acquisitionDate) {
+      throw badRequest("depreciationStartDate cannot be before the document date");
+    }
+
+    let acquisitionJournalEntryId = null;
+    const book = await resolveEntityBook({ tenantId: payload.tenantId, legalEntityId, runQuery: tx.query });
+    if (sourceAccountId !== assetAccountId) {
+      const { bookId, fiscalPeriodId, currencyCode } = await resolveOpenPeriodForDate({
+        tenantId: payload.tenantId,
+        legalEntityId,
+        targetDate: acquisitionDate,
+        actionLabel: "capitalise fixed asset",
+        runQuery: tx.query,
+      });
+      const description = `Capitalise ${payload.assetNo} from ${document.document_no}`;
+      acquisitionJournalEntryId = await insertPostedJournalTx(tx, {
+        tenantId: payload.tenantId,
+        legalEntityId,
+        bookId,
+        fiscalPeriodId,
+        journalNo: buildFixedAssetJournalNo("FAACQ", payload.cariDocumentId),
+        entryDate: acquisitionDate,
+        currencyCode,
+        description,
+        referenceNo: String(document.document_no || "").slice(0, 100) || null,
+        userId: payload.userId,
+        lines: [
+          { accountId: assetAccountId, operatingUnitId, debitBase: acquisitionCost, creditBase: 0 },
+          { accountId: sourceAccountId, operatingUnitId, debitBase: 0, creditBase: acquisitionCost },
+        ],
+      });
+    }
+
+    return insertAssetTx(tx, {
+      payload: assetPayload,
+      classRow,
+      terms,
+      acquisitionCost,
+      currencyCode: book.base_currency_code,
+      source: {
+        sourceType: "AP_DOCUMENT",
+        cariDocumentId: payload.cariDocumentId,
+        cariDocumentLineId: sourceLine ? parsePositiveInt(sourceLine.id) : null,
+        acquisitionJournalEntryId,
+      },
+    });
+  });
+  return getFixedAssetById({ req, tenantId: payload.tenantId, assetId, assertScopeAccess });
+}
+
+export async function updateFixedAsset({ req, payload, assertScopeAccess }) {
+  const existing = await requireAssetRow({
+    req,
+    tenantId: payload.tenantId,
+    assetId: payload.assetId,
+    assertScopeAccess,
+  });
+  if (normalizeUpperText(existing.status) === "DISPOSED") {
+    throw makeConflict("Disposed assets cannot be changed");
+  }
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  if (payload.operatingUnitId) {
+    await assertOperatingUnitInEntity({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      operatingUnitId: payload.operatingUnitId,
+    });
+  }
+
+  const termsChanged = [
+    "depreciationMethod",
+    "usefulLifeMonths",
+    "decliningFactor",
+    "salvageValue",
+    "depreciationStartDate",
+  ].some((key) => payload[key] !== undefined);
+  const next = {
+    name: payload.name ?? existing.name,
+    operatingUnitId:
+      payload.operatingUnitId === undefined
+        ? parsePositiveInt(existing.operating_unit_id)
+        : payload.operatingUnitId,
+    depreciationMethod: payload.depreciationMethod ?? existing.depreciation_method,
+    usefulLifeMonths: payload.usefulLifeMonths ?? Number(existing.useful_life_months),
+    decliningFactor:
+      payload.decliningFactor === undefined
+        ? existing.declining_factor === null
+          ? null
+          : Number(existing.declining_factor)
+        : payload.decliningFactor,
+    salvageValue: payload.salvageValue ?? roundAmount(existing.salvage_value),
+    depreciationStartDate: payload.depreciationStartDate ?? toDateOnlyString(existing.depreciation_start_date),
+  };
+  if (!DECLINING_METHODS.has(next.depreciationMethod)) {
+    next.decliningFactor = null;
+  }
+
+  if (termsChanged) {
+    // Terms drive the cumulative schedule; once depreciation is posted they are frozen.
+    const lastPostedEndDate = await fetchLastPostedRunEndDate({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      assetId: payload.assetId,
+    });
+    if (lastPostedEndDate) {
+      throw makeConflict("Depreciation terms cannot change after depreciation has been posted");
+    }
+    assertDepreciationTerms(next);
+    assertAssetAmounts({
+      acquisitionCost: Number(existing.acquisition_cost),
+      salvageValue: Number(next.salvageValue),
+      openingAccumulatedDepreciation: Number(existing.opening_accumulated_depreciation),
+    });
+    if (next.depreciationStartDate < toDateOnlyString(existing.acquisition_date)) {
+      throw badRequest("depreciationStartDate cannot be before acquisitionDate");
+    }
+  }
+
+  await query(
+    `UPDATE fa_assets
+     SET name = ?,
+         operating_unit_id = ?,
+         depreciation_method = ?,
+         useful_life_months = ?,
+         declining_factor = ?,
+         salvage_value = ?,
+         depreciation_start_date = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      next.name,
+      next.operatingUnitId || null,
+      next.depreciationMethod,
+      next.usefulLifeMonths,
+      next.decliningFactor,
+      toAmountString(next.salvageValue),
+      next.depreciationStartDate,
+      payload.userId,
+      payload.tenantId,
+      payload.assetId,
+    ]
+  );
+  return getFixedAssetById({ req, tenantId: payload.tenantId, assetId: payload.assetId, assertScopeAccess });
+}
+
+// Retires the asset at its current accumulated depreciation: cost and accumulated
+// depreciation are cleared, proceeds booked, and the difference goes to gain or loss.
+export async function disposeFixedAsset({ req, payload, assertScopeAccess }) {
+  await requireAssetRow({ req, tenantId: payload.tenantId, assetId: payload.assetId, assertScopeAccess });
+
+  await withTransaction(async (tx) => {
+    const asset = await fetchAssetRow({
+      tenantId: payload.tenantId,
+      assetId: payload.assetId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (normalizeUpperText(asset.status) === "DISPOSED") {
+      throw makeConflict("Asset is already DISPOSED");
+    }
+    const legalEntityId = parsePositiveInt(asset.legal_entity_id);
+    if (payload.disposalDate < toDateOnlyString(asset.acquisition_date)) {
+      throw badRequest("disposalDate cannot be before acquisitionDate");
+    }
+    const lastPostedEndDate = await fetchLastPostedRunEndDate({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      assetId: payload.assetId,
+      runQuery: tx.query,
+    });
+    if (lastPostedEndDate && payload.disposalDate <= lastPostedEndDate) {
+      throw badRequest(`disposalDate must be after the last depreciated period (${lastPostedEndDate})`);
+    }
+    const draftResult = await tx.query(
+      `SELECT r.run_no
+       FROM fa_depreciation_run_lines l
+       JOIN fa_depreciation_runs r
+         ON r.tenant_id = l.tenant_id
+        AND r.id = l.run_id
+       WHERE l.tenant_id = ?
+         AND l.asset_id = ?
+         AND r.status = 'DRAFT'
+       LIMIT 1`,
+      [payload.tenantId, payload.assetId]
+    );
+    if (draftResult.rows?.[0]) {
+      throw makeConflict(
+        `Asset is included in DRAFT depreciation run ${draftResult.rows[0].run_no}; post or cancel it first`
+      );
+    }
+
+    const classRow = await fetchClassRow({
+      tenantId: payload.tenantId,
+      classId: parsePositiveInt(asset.asset_class_id),
+      runQuery: tx.query,
+    });
+    const proceeds = roundMoney(payload.proceedsAmount || 0);
+    if (proceeds > 0) {
+      await assertPostingAccounts({
+        tenantId: payload.tenantId,
+        legalEntityId,
+        accounts: { proceedsAccountId: payload.proceedsAccountId },
+        runQuery: tx.query,
+      });
+    }
+    const cost = roundMoney(asset.acquisition_cost);
+    const accumulated = roundMoney(asset.accumulated_depreciation);
+    const gainLoss = roundMoney(proceeds - (cost - accumulated));
+    const operatingUnitId = parsePositiveInt(asset.operating_unit_id);
+    const lines = [
+      {
+        accountId: parsePositiveInt(classRow.accumulated_depreciation_account_id),
+        operatingUnitId,
+        debitBase: accumulated,
+        creditBase: 0,
+      },
+      { accountId: payload.proceedsAccountId, operatingUnitId, debitBase: proceeds, creditBase: 0 },
+      {
+        accountId: parsePositiveInt(classRow.asset_account_id),
+        operatingUnitId,
+        debitBase: 0,
+        creditBase: cost,
+      },
+    ];
+    if (gainLoss > 0) {
+      lines.push({
+        accountId: parsePositiveInt(classRow.disposal_gain_account_id),
+        operatingUnitId,
+        debitBase: 0,
+        creditBase: gainLoss,
+      });
+    } else if (gainLoss < 0) {
+      lines.push({
+        accountId: parsePositiveInt(classRow.disposal_loss_account_id),
+        operatingUnitId,
+        debitBase: Math.abs(gainLoss),
+        creditBase: 0,
+      });
+    }
+
+    const { bookId, fiscalPeriodId, currencyCode } = await resolveOpenPeriodForDate({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      targetDate: payload.disposalDate,
+      actionLabel: "dispose fixed asset",
+      runQuery: tx.query,
+    });
+    const journalEntryId = await insertPostedJournalTx(tx, {
+      tenantId: payload.tenantId,
+      legalEntityId,
+      bookId,
+      fiscalPeriodId,
+      journalNo: buildFixedAssetJournalNo("FADSP", payload.assetId),
+      entryDate: payload.disposalDate,
+      currencyCode,
+      description: `Disposal of fixed asset ${asset.asset_no}`,
+      referenceNo: String(asset.asset_no).slice(0, 100),
+      userId: payload.userId,
+      lines,
+    });
+
+    await tx.query(
+      `UPDATE fa_assets
+       SET status = 'DISPOSED',
+           disposal_date = ?,
+           disposal_proceeds = ?,
+           disposal_proceeds_account_id = ?,
+           disposal_gain_loss = ?,
+           disposal_journal_entry_id = ?,
+           disposal_note = ?,
+           disposed_by_user_id = ?,
+           disposed_at = CURRENT_TIMESTAMP,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [
+        payload.disposalDate,
+        toAmountString(proceeds),
+        proceeds > 0 ? payload.proceedsAccountId : null,
+        toAmountString(gainLoss),
+        journalEntryId,
+        payload.note,
+        payload.userId,
+        payload.userId,
+        payload.tenantId,
+        payload.assetId,
+      ]
+    );
+  });
+  return getFixedAssetById({ req, tenantId: payload.tenantId, assetId: payload.assetId, assertScopeAccess });
+}
+
+// Depreciation owed for the period is the scheduled cumulative amount through the
+// period end less what has been booked, so missed or reversed months catch up.
+async function computeDepreciationLines({ tenantId, legalEntityId, periodEndDate, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `SELECT
+       a.id,
+       a.asset_no,
+       a.name,
+       a.operating_unit_id,
+       a.depreciation_method,
+       a.acquisition_cost,
+       a.salvage_value,
+       a.useful_life_months,
+       a.declining_factor,
+       a.depreciation_start_date,
+       a.accumulated_depreciation,
+       c.depreciation_expense_account_id,
+       c.accumulated_depreciation_account_id
+     FROM fa_assets a
+     JOIN fa_asset_classes c
+       ON c.tenant_id = a.tenant_id
+      AND c.id = a.asset_class_id
+     WHERE a.tenant_id = ?
+       AND a.legal_entity_id = ?
+       AND a.status = ?
+       AND a.depreciation_start_date <= ?
+     ORDER BY a.asset_no ASC, a.id ASC${forUpdate ? "\n     FOR UPDATE" : ""}`,
+    [tenantId, legalEntityId, DEPRECIABLE_ASSET_STATUS, periodEndDate]
+  );
+
+  const lines = [];
+  for (const asset of result.rows || []) {
+    const accumulatedBefore = roundMoney(asset.accumulated_depreciation);
+    const scheduled = computeCumulativeDepreciation({
+      method: asset.depreciation_method,
+      acquisitionCost: Number(asset.acquisition_cost),
+      salvageValue: Number(asset.salvage_value),
+      usefulLifeMonths: Number(asset.useful_life_months),
+      decliningFactor: asset.declining_factor === null ? null : Number(asset.declining_factor),
+      depreciationStartDate: toDateOnlyString(asset.depreciation_start_date),
+      throughDate: periodEndDate,
+    });
+    const amount = roundMoney(scheduled - accumulatedBefore);
+    if (amount < AMOUNT_EPSILON) {
+      continue;
+    }
+    const accumulatedAfter = roundMoney(accumulatedBefore + amount);
+    lines.push({
+      lineNo: lines.length + 1,
+      assetId: parsePositiveInt(asset.id),
+      assetNo: asset.asset_no,
+      assetName: asset.name,
+      depreciationAmount: amount,
+      accumulatedBefore,
+      accumulatedAfter,
+      netBookValueAfter: roundMoney(Number(asset.acquisition_cost) - accumulatedAfter),
+      expenseAccountId: parsePositiveInt(asset.depreciation_expense_account_id),
+      accumulatedDepreciationAccountId: parsePositiveInt(asset.accumulated_depreciation_account_id),
+      operatingUnitId: parsePositiveInt(asset.operating_unit_id),
+    });
+  }
+  return lines;
+}
+
+async function assertRunPeriodIsNext({ tenantId, legalEntityId, periodEndDate, runQuery = query }) {
+  const lastPostedEndDate = await fetchLastPostedRunEndDate({ tenantId, legalEntityId, runQuery });
+  if (lastPostedEndDate && periodEndDate <= lastPostedEndDate) {
+    throw makeConflict(`Depreciation is already posted through ${lastPostedEndDate}`);
+  }
+}
+
+export async function previewDepreciationRun({ req, payload, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId);
+  assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+  const period = await resolveRunPeriod(payload);
+  await assertRunPeriodIsNext({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    periodEndDate: period.periodEndDate,
+  });
+  const lines = await computeDepreciationLines({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    periodEndDate: period.periodEndDate,
+  });
+  return {
+    legalEntityId: payload.legalEntityId,
+    fiscalPeriodId: payload.fiscalPeriodId,
+    periodStartDate: period.periodStartDate,
+    periodEndDate: period.periodEndDate,
+    currencyCode: period.currencyCode,
+    assetCount: lines.length,
+    totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.depreciationAmount, 0)),
+    lines,
+  };
+}
+
+export async function listDepreciationRuns({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["r.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "r.legal_entity_id", params));
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("r.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.fiscalPeriodId) {
+    conditions.push("r.fiscal_period_id = ?");
+    params.push(filters.fiscalPeriodId);
+  }
+  if (filters.status) {
+    conditions.push("r.status = ?");
+    params.push(filters.status);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM fa_depreciation_runs r
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const result = await query(
+    `SELECT r.*
+     FROM fa_depreciation_runs r
+     WHERE ${whereSql}
+     ORDER BY r.period_end_date DESC, r.id DESC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (result.rows || []).map(mapRunRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+export async function getDepreciationRunById({ req, tenantId, runId, assertScopeAccess }) {
+  const row = await requireRunRow({ req, tenantId, runId, assertScopeAccess });
+  const lines = await fetchRunLines({ tenantId, runId });
+  return {
+    ...mapRunRow(row),
+    lines: lines.map(mapRunLineRow),
+  };
+}
+
+export async function createDepreciationRun({ req, payload, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId);
+  assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+
+  let runId;
+  try {
+    runId = await withTransaction(async (tx) => {
+      const period = await resolveRunPeriod({ ...payload, runQuery: tx.query });
+      await assertRunPeriodIsNext({
+        tenantId: payload.tenantId,
+        legalEntityId: payload.legalEntityId,
+        periodEndDate: period.periodEndDate,
+        runQuery: tx.query,
+      });
+      const lines = await computeDepreciationLines({
+        tenantId: payload.tenantId,
+        legalEntityId: payload.legalEntityId,
+        periodEndDate: period.periodEndDate,
+        runQuery: tx.query,
+      });
+      if (lines.length === 0) {
+        throw badRequest("No depreciation is due for this period");
+      }
+      const totalAmount = roundMoney(lines.reduce((sum, line) => sum + line.depreciationAmount, 0));
+
+      const runInsert = await tx.query(
+        `INSERT INTO fa_depreciation_runs (
+           tenant_id,
+           legal_entity_id,
+           book_id,
+           fiscal_period_id,
+           run_no,
+           status,
+           period_start_date,
+           period_end_date,
+           currency_code,
+           asset_count,
+           total_amount,
+           created_by_user_id
+         ) VALUES (?, ?, ?, ?, ?, 'DRAFT', ?, ?, ?, ?, ?, ?)`,
+        [
+          payload.tenantId,
+          payload.legalEntityId,
+          period.bookId,
+          payload.fiscalPeriodId,
+          payload.runNo || buildDefaultRunNo(period.periodEndDate),
+          period.periodStartDate,
+          period.periodEndDate,
+          period.currencyCode,
+          lines.length,
+          toAmountString(totalAmount),
+          payload.userId,
+        ]
+      );
+      const createdRunId = parsePositiveInt(runInsert.rows?.insertId);
+      if (!createdRunId) {
+        throw new Error("Failed to create depreciation run");
+      }
+      for (const line of lines) {
+        // eslint-disable-next-line no-await-in-loop
+        await tx.query(
+          `INSERT INTO fa_depreciation_run_lines (
+             tenant_id,
+             legal_entity_id,
+             run_id,
+             asset_id,
+             line_no,
+             depreciation_amount,
+             accumulated_before,
+             accumulated_after,
+             net_book_value_after,
+             expense_account_id,
+             accumulated_depreciation_account_id,
+             operating_unit_id
+           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            payload.tenantId,
+            payload.legalEntityId,
+            createdRunId,
+            line.assetId,
+            line.lineNo,
+            toAmountString(line.depreciationAmount),
+            toAmountString(line.accumulatedBefore),
+            toAmountString(line.accumulatedAfter),
+            toAmountString(line.netBookValueAfter),
+            line.expenseAccountId,
+            line.accumulatedDepreciationAccountId,
+            line.operatingUnitId,
+          ]
+        );
+      }
+      return createdRunId;
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_fa_dep_runs_open_period")) {
+      throw makeConflict("A DRAFT or POSTED depreciation run already exists for this period");
+    }
+    if (isDuplicateKeyError(err, "uk_fa_dep_runs_run_no")) {
+      throw badRequest("runNo must be unique in legalEntity scope");
+    }
+    throw err;
+  }
+  return getDepreciationRunById({ req, tenantId: payload.tenantId, runId, assertScopeAccess });
+}
+
+export async function postDepreciationRun({ req, payload, assertScopeAccess }) {
+  await requireRunRow({ req, tenantId: payload.tenantId, runId: payload.runId, assertScopeAccess });
+
+  const journalEntryId = await withTransaction(async (tx) => {
+    const run = await fetchRunRow({
+      tenantId: payload.tenantId,
+      runId: payload.runId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (normalizeUpperText(run.status) !== "DRAFT") {
+      throw makeConflict(`Run status ${run.status} cannot be posted`);
+    }
+    const legalEntityId = parsePositiveInt(run.legal_entity_id);
+    const bookId = parsePositiveInt(run.book_id);
+    const fiscalPeriodId = parsePositiveInt(run.fiscal_period_id);
+    const periodEndDate = toDateOnlyString(run.period_end_date);
+    await ensurePeriodOpenForBook({
+      bookId,
+      fiscalPeriodId,
+      actionLabel: "post depreciation run",
+      runQuery: tx.query,
+    });
+    await assertRunPeriodIsNext({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      periodEndDate,
+      runQuery: tx.query,
+    });
+
+    // Assets may have changed since the draft was computed; posting a stale draft
+    // would book the wrong amounts.
+    const draftLines = await fetchRunLines({ tenantId: payload.tenantId, runId: payload.runId, runQuery: tx.query });
+    const currentLines = await computeDepreciationLines({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      periodEndDate,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    const currentByAsset = new Map(currentLines.map((line) => [line.assetId, line]));
+    const stale =
+      currentLines.length !== draftLines.length ||
+      draftLines.some((line) => {
+        const current = currentByAsset.get(parsePositiveInt(line.asset_id));
+        return (
+          !current ||
+          Math.abs(current.depreciationAmount - Number(line.depreciation_amount)) >= AMOUNT_EPSILON ||
+          Math.abs(current.accumulatedBefore - Number(line.accumulated_before)) >= AMOUNT_EPSILON
+        );
+      });
+    if (stale) {
+      throw makeConflict("Assets changed since the run was created; cancel it and create a new run");
+    }
+
+    // One expense line per account and operating unit, one credit per accumulated account.
+    const buckets = new Map();
+    const addToBucket = (accountId, operatingUnitId, debitBase, creditBase) => {
+      const key = `${accountId}:${operatingUnitId || 0}:${debitBase > 0 ? "D" : "C"}`;
+      const bucket = buckets.get(key) || { accountId, operatingUnitId, debitBase: 0, creditBase: 0 };
+      bucket.debitBase = roundMoney(bucket.debitBase + debitBase);
+      bucket.creditBase = roundMoney(bucket.creditBase + creditBase);
+      buckets.set(key, bucket);
+    };
+    for (const line of draftLines) {
+      const amount = roundMoney(line.depreciation_amount);
+      const operatingUnitId = parsePositiveInt(line.operating_unit_id);
+      addToBucket(parsePositiveInt(line.expense_account_id), operatingUnitId, amount, 0);
+      addToBucket(parsePositiveInt(line.accumulated_depreciation_account_id), operatingUnitId, 0, amount);
+    }
+
+    const postedJournalEntryId = await insertPostedJournalTx(tx, {
+      tenantId: payload.tenantId,
+      legalEntityId,
+      bookId,
+      fiscalPeriodId,
+      journalNo: buildFixedAssetJournalNo("FADEP", payload.runId),
+      entryDate: periodEndDate,
+      currencyCode: run.currency_code,
+      description: `Depreciation run ${run.run_no}`,
+      referenceNo: String(run.run_no).slice(0, 100),
+      userId: payload.userId,
+      lines: [...buckets.values()],
+    });
+
+    for (const line of draftLines) {
+      const accumulatedAfter = roundMoney(line.accumulated_after);
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `UPDATE fa_assets
+         SET accumulated_depreciation = ?,
+             status = CASE
+               WHEN acquisition_cost - salvage_value - ? < ? THEN 'FULLY_DEPRECIATED'
+               ELSE status
+             END
+         WHERE tenant_id = ?
+           AND id = ?`,
+        [
+          toAmountString(accumulatedAfter),
+          toAmountString(accumulatedAfter),
+          AMOUNT_EPSILON,
+          payload.tenantId,
+          parsePositiveInt(line.asset_id),
+        ]
+      );
+    }
+
+    await tx.query(
+      `UPDATE fa_depreciation_runs
+       SET status = 'POSTED',
+           posted_journal_entry_id = ?,
+           posted_by_user_id = ?,
+           posted_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [postedJournalEntryId, payload.userId, payload.tenantId, payload.runId]
+    );
+    return postedJournalEntryId;
+  });
+
+  return {
+    row: await getDepreciationRunById({
+      req,
+      tenantId: payload.tenantId,
+      runId: payload.runId,
+      assertScopeAccess,
+    }),
+    journal: { journalEntryId },
+  };
+}
+
+export async function cancelDepreciationRun({ req, payload, assertScopeAccess }) {
+  await requireRunRow({ req, tenantId: payload.tenantId, runId: payload.runId, assertScopeAccess });
+  await withTransaction(async (tx) => {
+    const run = await fetchRunRow({
+      tenantId: payload.tenantId,
+      runId: payload.runId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (normalizeUpperText(run.status) !== "DRAFT") {
+      throw makeConflict(`Run status ${run.status} cannot be cancelled`);
+    }
+    await tx.query(
+      `UPDATE fa_depreciation_runs
+       SET status = 'CANCELLED'
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [payload.tenantId, payload.runId]
+    );
+  });
+  return getDepreciationRunById({ req, tenantId: payload.tenantId, runId: payload.runId, assertScopeAccess });
+}
+
+// Runs are reversed newest first so accumulated depreciation stays in step with the GL.
+export async function reverseDepreciationRun({ req, payload, assertScopeAccess }) {
+  await requireRunRow({ req, tenantId: payload.tenantId, runId: payload.runId, assertScopeAccess });
+
+  const reversalJournalEntryId = await withTransaction(async (tx) => {
+    const run = await fetchRunRow({
+      tenantId: payload.tenantId,
+      runId: payload.runId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (normalizeUpperText(run.status) !== "POSTED") {
+      throw makeConflict("Reverse is allowed only from POSTED status");
+    }
+    const legalEntityId = parsePositiveInt(run.legal_entity_id);
+    const periodEndDate = toDateOnlyString(run.period_end_date);
+    const lastPostedEndDate = await fetchLastPostedRunEndDate({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      runQuery: tx.query,
+    });
+    if (lastPostedEndDate && lastPostedEndDate > periodEndDate) {
+      throw makeConflict(`Reverse the later depreciation run (through ${lastPostedEndDate}) first`);
+    }
+
+    const runLines = await fetchRunLines({ tenantId: payload.tenantId, runId: payload.runId, runQuery: tx.query });
+    const disposedResult = await tx.query(
+      `SELECT a.asset_no
+       FROM fa_depreciation_run_lines l
+       JOIN fa_assets a
+         ON a.tenant_id = l.tenant_id
+        AND a.id = l.asset_id
+       WHERE l.tenant_id = ?
+         AND l.run_id = ?
+         AND a.status = 'DISPOSED'
+       LIMIT 1`,
+      [payload.tenantId, payload.runId]
+    );
+    if (disposedResult.rows?.[0]) {
+      throw makeConflict(`Asset ${disposedResult.rows[0].asset_no} was disposed after this run`);
+    }
+
+    const reversalPeriodId = payload.reversalPeriodId || parsePositiveInt(run.fiscal_period_id);
+    const reversalPeriod = await resolveRunPeriod({
+      tenantId: payload.tenantId,
+      legalEntityId,
+      fiscalPeriodId: reversalPeriodId,
+      runQuery: tx.query,
+    });
+    if (reversalPeriod.periodEndDate < periodEndDate) {
+      throw badRequest("reversalPeriodId cannot be before the run period");
+    }
+    await ensurePeriodOpenForBook({
+      bookId: reversalPeriod.bookId,
+      fiscalPeriodId: reversalPeriodId,
+      actionLabel: "reverse depreciation run",
+      runQuery: tx.query,
+    });
+
+    const reason = payload.reason || "Depreciation run reversal";
+    const reversalId = await reverseJournalTx(tx, {
+      tenantId: payload.tenantId,
+      legalEntityId,
+      journalEntryId: parsePositiveInt(run.posted_journal_entry_id),
+      bookId: reversalPeriod.bookId,
+      fiscalPeriodId: reversalPeriodId,
+      entryDate: reversalPeriod.periodEndDate,
+      journalNo: buildFixedAssetJournalNo("FADEPR", payload.runId),
+      description: `Reversal of depreciation run ${run.run_no}`,
+      reason,
+      userId: payload.userId,
+    });
+
+    for (const line of runLines) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `UPDATE fa_assets
+         SET accumulated_depreciation = accumulated_depreciation - ?,
+             status = 'ACTIVE'
+         WHERE tenant_id = ?
+           AND id = ?`,
+        [toAmountString(line.depreciation_amount), payload.tenantId, parsePositiveInt(line.asset_id)]
+      );
+    }
+
+    await tx.query(
+      `UPDATE fa_depreciation_runs
+       SET status = 'REVERSED',
+           reversal_journal_entry_id = ?,
+           reverse_reason = ?,
+           reversed_by_user_id = ?,
+           reversed_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [reversalId, String(reason).slice(0, 255), payload.userId, payload.tenantId, payload.runId]
+    );
+    return reversalId;
+  });
+
+  return {
+    row: await getDepreciationRunById({
+      req,
+      tenantId: payload.tenantId,
+      runId: payload.runId,
+      assertScopeAccess,
+    }),
+    journal: { reversalJournalEntryId },
+  };
+}
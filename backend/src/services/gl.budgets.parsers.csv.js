@@ -0,0 +1,112 @@
+function parseCsvLine(line) {
+  const out = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (ch === "," && !inQuotes) {
+      out.push(current);
+      current = "";
+      continue;
+    }
+
+    current += ch;
+  }
+
+  out.push(current);
+  return out.map((value) => String(value ?? "").trim());
+}
+
+const REQUIRED_COLUMNS = ["account_code", "period_no", "amount"];
+const OPTIONAL_COLUMNS = ["operating_unit_code", "note"];
+
+function normalizeHeaderCell(value) {
+  // Accept camelCase headers (accountCode) as well as snake_case.
+  return String(value || "")
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+}
+
+function parseAmountCell(value) {
+  const normalized = String(value ?? "")
+    .trim()
+    .replace(/,/g, "");
+  if (normalized === "") {
+    return null;
+  }
+  const parsed = Number(normalized);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return Number(parsed.toFixed(6));
+}
+
+// Returns one entry per data row; cell-level problems are reported in `error`
+// so the caller can list every bad row instead of stopping at the first one.
+export function parseBudgetCsv(csvText) {
+  const text = String(csvText || "").replace(/\r\n/g, "\n").trim();
+  if (!text) {
+    throw new Error("CSV is empty");
+  }
+
+  const lines = text.split("\n");
+  const header = parseCsvLine(lines[0]).map(normalizeHeaderCell);
+  for (const column of REQUIRED_COLUMNS) {
+    if (!header.includes(column)) {
+      throw new Error(`Missing CSV column: ${column}`);
+    }
+  }
+
+  const columnIndex = Object.fromEntries(
+    [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].map((column) => [column, header.indexOf(column)])
+  );
+  const cell = (cols, column) =>
+    columnIndex[column] >= 0 ? String(cols[columnIndex[column]] ?? "").trim() : "";
+
+  const rows = [];
+  for (let lineIndex = 1; lineIndex < lines.length; lineIndex += 1) {
+    const cols = parseCsvLine(lines[lineIndex]);
+    if (cols.every((value) => value === "")) {
+      continue;
+    }
+
+    const rowNo = lineIndex + 1;
+    const accountCode = cell(cols, "account_code").toUpperCase();
+    const operatingUnitCode = cell(cols, "operating_unit_code").toUpperCase() || null;
+    const periodNo = Number(cell(cols, "period_no"));
+    const amount = parseAmountCell(cell(cols, "amount"));
+    const note = cell(cols, "note").slice(0, 255) || null;
+
+    let error = null;
+    if (!accountCode) {
+      error = "account_code is required";
+    } else if (!Number.isInteger(periodNo) || periodNo <= 0) {
+      error = "period_no must be a positive integer";
+    } else if (amount === null) {
+      error = "amount must be numeric";
+    }
+
+    rows.push({ rowNo, accountCode, operatingUnitCode, periodNo, amount, note, error });
+  }
+
+  if (rows.length === 0) {
+    throw new Error("CSV must include header and at least one row");
+  }
+  return rows;
+}
+
+export default {
+  parseBudgetCsv,
+};
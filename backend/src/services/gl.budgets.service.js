@@ -0,0 +1,1395 @@
+import { query, withTransaction } from "../db.js";
+import { assertBookBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { evaluateApprovalNeed, submitApprovalRequest } from "./approvalPolicies.service.js";
+import { parseBudgetCsv } from "./gl.budgets.parsers.csv.js";
+
+const AMOUNT_PRECISION_SCALE = 6;
+const EDITABLE_STATUSES = new Set(["DRAFT"]);
+const APPROVAL_MODULE_CODE = "GL";
+const APPROVAL_TARGET_TYPE = "BUDGET_VERSION";
+const APPROVAL_ACTION_TYPE = "APPROVE";
+const MAX_CSV_ERRORS_REPORTED = 200;
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+function toDateOnlyString(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? "");
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(header, rows) {
+  return [header.join(","), ...rows.map((row) => row.map(escapeCsvValue).join(","))].join("\n");
+}
+
+function makeConflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function noopScopeAccess() {
+  return true;
+}
+
+function percentUsed(actualAmount, budgetAmount) {
+  if (Math.abs(budgetAmount) < 0.000001) {
+    return null;
+  }
+  return Number(((actualAmount / budgetAmount) * 100).toFixed(2));
+}
+
+// Budgets are entered in the account's natural direction (expense as a positive
+// debit, revenue as a positive credit), so actuals are signed the same way.
+function signedActualAmount(normalSide, debitBase, creditBase) {
+  const debit = Number(debitBase || 0);
+  const credit = Number(creditBase || 0);
+  return roundAmount(String(normalSide || "").toUpperCase() === "CREDIT" ? credit - debit : debit - credit);
+}
+
+const VERSION_SELECT_SQL = `
+  SELECT
+    v.*,
+    b.code AS book_code,
+    base.code AS base_version_code,
+    (
+      SELECT COUNT(*)
+      FROM gl_budget_lines bl
+      WHERE bl.budget_version_id = v.id
+    ) AS line_count,
+    (
+      SELECT COALESCE(SUM(bl.amount), 0)
+      FROM gl_budget_lines bl
+      WHERE bl.budget_version_id = v.id
+    ) AS total_amount
+  FROM gl_budget_versions v
+  JOIN books b ON b.id = v.book_id
+  LEFT JOIN gl_budget_versions base
+    ON base.tenant_id = v.tenant_id
+   AND base.id = v.base_version_id`;
+
+function mapVersionRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    bookId: parsePositiveInt(row.book_id),
+    bookCode: row.book_code || null,
+    fiscalYear: Number(row.fiscal_year),
+    code: row.code,
+    name: row.name,
+    versionType: row.version_type,
+    status: row.status,
+    baseVersionId: parsePositiveInt(row.base_version_id),
+    baseVersionCode: row.base_version_code || null,
+    currencyCode: row.currency_code,
+    submissionNo: Number(row.submission_no || 0),
+    approvalRequestId: parsePositiveInt(row.approval_request_id),
+    submittedByUserId: parsePositiveInt(row.submitted_by_user_id),
+    submittedAt: row.submitted_at || null,
+    approvedByUserId: parsePositiveInt(row.approved_by_user_id),
+    approvedAt: row.approved_at || null,
+    note: row.note || null,
+    lineCount: Number(row.line_count || 0),
+    totalAmount: roundAmount(row.total_amount),
+    createdByUserId: parsePositiveInt(row.created_by_user_id),
+    updatedByUserId: parsePositiveInt(row.updated_by_user_id),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapLineRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    budgetVersionId: parsePositiveInt(row.budget_version_id),
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    accountName: row.account_name || null,
+    operatingUnitId: parsePositiveInt(row.operating_unit_id),
+    operatingUnitCode: row.operating_unit_code || null,
+    fiscalPeriodId: parsePositiveInt(row.fiscal_period_id),
+    periodNo: Number(row.period_no),
+    periodName: row.period_name || null,
+    amount: roundAmount(row.amount),
+    note: row.note || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+async function fetchVersionRow({ tenantId, versionId, runQuery = query, forUpdate = false }) {
+  const result = await runQuery(
+    `${VERSION_SELECT_SQL}
+     WHERE v.tenant_id = ?
+       AND v.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, versionId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireVersionRow({ req, tenantId, versionId, assertScopeAccess, runQuery = query, forUpdate = false }) {
+  const row = await fetchVersionRow({ tenantId, versionId, runQuery, forUpdate });
+  if (!row) {
+    throw badRequest("Budget version not found");
+  }
+  assertScopeAccess(req, "legal_entity", parsePositiveInt(row.legal_entity_id), "versionId");
+  return row;
+}
+
+function assertVersionEditable(versionRow) {
+  const status = String(versionRow.status || "").toUpperCase();
+  if (!EDITABLE_STATUSES.has(status)) {
+    throw makeConflict(`Budget version lines can only be changed while DRAFT (current: ${status})`);
+  }
+}
+
+async function loadVersionPeriods({ versionRow, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT fp.id, fp.period_no, fp.period_name, fp.start_date, fp.end_date
+     FROM fiscal_periods fp
+     JOIN books b ON b.calendar_id = fp.calendar_id
+     WHERE b.id = ?
+       AND fp.fiscal_year = ?
+       AND fp.is_adjustment = FALSE
+     ORDER BY fp.period_no ASC`,
+    [versionRow.book_id, versionRow.fiscal_year]
+  );
+  return (result.rows || []).map((row) => ({
+    id: parsePositiveInt(row.id),
+    periodNo: Number(row.period_no),
+    periodName: row.period_name || null,
+    startDate: toDateOnlyString(row.start_date),
+    endDate: toDateOnlyString(row.end_date),
+  }));
+}
+
+async function loadBudgetAccounts({ tenantId, legalEntityId, accountIds = [], accountCodes = [], runQuery = query }) {
+  if (accountIds.length === 0 && accountCodes.length === 0) {
+    return [];
+  }
+  const values = accountIds.length > 0 ? accountIds : accountCodes;
+  const placeholders = values.map(() => "?").join(", ");
+  const matchSql = accountIds.length > 0 ? `a.id IN (${placeholders})` : `a.code IN (${placeholders})`;
+  const result = await runQuery(
+    `SELECT
+       a.id,
+       a.code,
+       a.name,
+       a.account_type,
+       a.normal_side,
+       a.allow_posting,
+       a.is_active
+     FROM accounts a
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     WHERE c.tenant_id = ?
+       AND c.scope = 'LEGAL_ENTITY'
+       AND c.legal_entity_id = ?
+       AND ${matchSql}`,
+    [tenantId, legalEntityId, ...values]
+  );
+  return result.rows || [];
+}
+
+async function loadOperatingUnits({ tenantId, legalEntityId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id, code, status
+     FROM operating_units
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?`,
+    [tenantId, legalEntityId]
+  );
+  return result.rows || [];
+}
+
+function accountProblem(account) {
+  if (!account) {
+    return "account not found in a legal entity chart of accounts";
+  }
+  if (!Number(account.is_active)) {
+    return `account ${account.code} is not ACTIVE`;
+  }
+  if (!Number(account.allow_posting)) {
+    return `account ${account.code} does not allow posting`;
+  }
+  return null;
+}
+
+// Resolves id-based line input against the version's legal entity and year.
+async function resolveLineInputs({ tenantId, versionRow, lines, runQuery = query }) {
+  const legalEntityId = parsePositiveInt(versionRow.legal_entity_id);
+  const periods = await loadVersionPeriods({ versionRow, runQuery });
+  const periodIds = new Set(periods.map((period) => period.id));
+  const accounts = await loadBudgetAccounts({
+    tenantId,
+    legalEntityId,
+    accountIds: [...new Set(lines.map((line) => line.accountId))],
+    runQuery,
+  });
+  const accountsById = new Map(accounts.map((row) => [parsePositiveInt(row.id), row]));
+  const units = await loadOperatingUnits({ tenantId, legalEntityId, runQuery });
+  const unitIds = new Set(units.map((row) => parsePositiveInt(row.id)));
+
+  return lines.map((line, index) => {
+    const label = `lines[${index}]`;
+    const problem = accountProblem(accountsById.get(line.accountId));
+    if (problem) {
+      throw badRequest(`${label}.accountId: ${problem}`);
+    }
+    if (line.operatingUnitId && !unitIds.has(line.operatingUnitId)) {
+      throw badRequest(`${label}.operatingUnitId must belong to the budget legal entity`);
+    }
+    if (!periodIds.has(line.fiscalPeriodId)) {
+      throw badRequest(`${label}.fiscalPeriodId must be a fiscal period of ${versionRow.fiscal_year}`);
+    }
+    return line;
+  });
+}
+
+async function upsertLinesTx({ tx, versionRow, lines, userId }) {
+  for (const line of lines) {
+    await tx.query(
+      `INSERT INTO gl_budget_lines (
+         tenant_id,
+         legal_entity_id,
+         budget_version_id,
+         account_id,
+         operating_unit_id,
+         fiscal_period_id,
+         amount,
+         note,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         amount = VALUES(amount),
+         note = VALUES(note),
+         updated_by_user_id = VALUES(updated_by_user_id)`,
+      [
+        versionRow.tenant_id,
+        versionRow.legal_entity_id,
+        versionRow.id,
+        line.accountId,
+        line.operatingUnitId || null,
+        line.fiscalPeriodId,
+        line.amount,
+        line.note || null,
+        userId,
+        userId,
+      ]
+    );
+  }
+}
+
+export async function resolveGlBudgetVersionScope(versionId, tenantId) {
+  const parsedVersionId = parsePositiveInt(versionId);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedVersionId || !parsedTenantId) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM gl_budget_versions
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [parsedTenantId, parsedVersionId]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    return null;
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function listGlBudgetVersions({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["v.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "v.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("v.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.bookId) {
+    conditions.push("v.book_id = ?");
+    params.push(filters.bookId);
+  }
+  if (filters.fiscalYear) {
+    conditions.push("v.fiscal_year = ?");
+    params.push(filters.fiscalYear);
+  }
+  if (filters.versionType) {
+    conditions.push("v.version_type = ?");
+    params.push(filters.versionType);
+  }
+  if (filters.status) {
+    conditions.push("v.status = ?");
+    params.push(filters.status);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM gl_budget_versions v
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const safeLimit =
+    Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset =
+    Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+
+  const result = await query(
+    `${VERSION_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY v.fiscal_year DESC, v.legal_entity_id ASC, v.code ASC, v.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+
+  return {
+    rows: (result.rows || []).map(mapVersionRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+export async function getGlBudgetVersionById({ req, tenantId, versionId, assertScopeAccess }) {
+  const row = await requireVersionRow({ req, tenantId, versionId, assertScopeAccess });
+  return mapVersionRow(row);
+}
+
+export async function createGlBudgetVersion({ req, payload, assertScopeAccess }) {
+  const book = await assertBookBelongsToTenant(payload.tenantId, payload.bookId, "bookId");
+  const legalEntityId = parsePositiveInt(book.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "bookId");
+
+  let baseVersion = null;
+  if (payload.baseVersionId) {
+    baseVersion = await requireVersionRow({
+      req,
+      tenantId: payload.tenantId,
+      versionId: payload.baseVersionId,
+      assertScopeAccess,
+    });
+    if (
+      parsePositiveInt(baseVersion.book_id) !== payload.bookId ||
+      Number(baseVersion.fiscal_year) !== payload.fiscalYear
+    ) {
+      throw badRequest("baseVersionId must belong to the same book and fiscal year");
+    }
+  } else if (payload.versionType === "REVISED") {
+    throw badRequest("baseVersionId is required for REVISED budget versions");
+  }
+
+  const versionId = await withTransaction(async (tx) => {
+    const existing = await tx.query(
+      `SELECT id
+       FROM gl_budget_versions
+       WHERE tenant_id = ?
+         AND book_id = ?
+         AND fiscal_year = ?
+         AND code = ?
+       LIMIT 1`,
+      [payload.tenantId, payload.bookId, payload.fiscalYear, payload.code]
+    );
+    if (existing.rows?.[0]) {
+      throw badRequest(`Budget version ${payload.code} already exists for ${payload.fiscalYear}`);
+    }
+
+    const insertResult = await tx.query(
+      `INSERT INTO gl_budget_versions (
+         tenant_id,
+         legal_entity_id,
+         book_id,
+         fiscal_year,
+         code,
+         name,
+         version_type,
+         status,
+         base_version_id,
+         currency_code,
+         note,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, 'DRAFT', ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        legalEntityId,
+        payload.bookId,
+        payload.fiscalYear,
+        payload.code,
+        payload.name,
+        payload.versionType,
+        payload.baseVersionId,
+        book.base_currency_code,
+        payload.note,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    const insertedId = Number(insertResult.rows?.insertId || 0);
+    if (!Number.isInteger(insertedId) || insertedId <= 0) {
+      throw badRequest("Failed to create budget version");
+    }
+
+    // Revisions and forecasts start as a copy of their base version.
+    if (baseVersion) {
+      await tx.query(
+        `INSERT INTO gl_budget_lines (
+           tenant_id,
+           legal_entity_id,
+           budget_version_id,
+           account_id,
+           operating_unit_id,
+           fiscal_period_id,
+           amount,
+           note,
+           created_by_user_id,
+           updated_by_user_id
+         )
+         SELECT
+           tenant_id,
+           legal_entity_id,
+           ?,
+           account_id,
+           operating_unit_id,
+           fiscal_period_id,
+           amount,
+           note,
+           ?,
+           ?
+         FROM gl_budget_lines
+         WHERE tenant_id = ?
+           AND budget_version_id = ?`,
+        [insertedId, payload.userId, payload.userId, payload.tenantId, baseVersion.id]
+      );
+    }
+    return insertedId;
+  });
+
+  return getGlBudgetVersionById({
+    req,
+    tenantId: payload.tenantId,
+    versionId,
+    assertScopeAccess,
+  });
+}
+
+export async function updateGlBudgetVersion({ req, payload, assertScopeAccess }) {
+  const row = await requireVersionRow({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+  assertVersionEditable(row);
+
+  await query(
+    `UPDATE gl_budget_versions
+     SET name = ?,
+         note = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      payload.name === undefined ? row.name : payload.name,
+      payload.note === undefined ? row.note : payload.note,
+      payload.userId,
+      payload.tenantId,
+      payload.versionId,
+    ]
+  );
+
+  return getGlBudgetVersionById({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+}
+
+export async function listGlBudgetLines({ req, tenantId, filters, assertScopeAccess }) {
+  await requireVersionRow({ req, tenantId, versionId: filters.versionId, assertScopeAccess });
+
+  const params = [tenantId, filters.versionId];
+  const conditions = ["bl.tenant_id = ?", "bl.budget_version_id = ?"];
+  if (filters.accountId) {
+    conditions.push("bl.account_id = ?");
+    params.push(filters.accountId);
+  }
+  if (filters.operatingUnitId) {
+    conditions.push("bl.operating_unit_id = ?");
+    params.push(filters.operatingUnitId);
+  }
+  if (filters.fiscalPeriodId) {
+    conditions.push("bl.fiscal_period_id = ?");
+    params.push(filters.fiscalPeriodId);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM gl_budget_lines bl
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const result = await query(
+    `SELECT
+       bl.*,
+       a.code AS account_code,
+       a.name AS account_name,
+       ou.code AS operating_unit_code,
+       fp.period_no,
+       fp.period_name
+     FROM gl_budget_lines bl
+     JOIN accounts a ON a.id = bl.account_id
+     JOIN fiscal_periods fp ON fp.id = bl.fiscal_period_id
+     LEFT JOIN operating_units ou ON ou.id = bl.operating_unit_id
+     WHERE ${whereSql}
+     ORDER BY a.code ASC, ou.code ASC, fp.period_no ASC, bl.id ASC
+     LIMIT ${filters.limit} OFFSET ${filters.offset}`,
+    params
+  );
+
+  return {
+    versionId: filters.versionId,
+    rows: (result.rows || []).map(mapLineRow),
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export async function upsertGlBudgetLines({ req, payload, assertScopeAccess }) {
+  const versionRow = await requireVersionRow({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+  assertVersionEditable(versionRow);
+  const lines = await resolveLineInputs({
+    tenantId: payload.tenantId,
+    versionRow,
+    lines: payload.lines,
+  });
+
+  await withTransaction(async (tx) => {
+    const locked = await fetchVersionRow({
+      tenantId: payload.tenantId,
+      versionId: payload.versionId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    assertVersionEditable(locked);
+    await upsertLinesTx({ tx, versionRow: locked, lines, userId: payload.userId });
+    await tx.query(
+      `UPDATE gl_budget_versions
+       SET updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [payload.userId, payload.tenantId, payload.versionId]
+    );
+  });
+
+  return getGlBudgetVersionById({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+}
+
+export async function deleteGlBudgetLine({ req, payload, assertScopeAccess }) {
+  const versionRow = await requireVersionRow({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+  assertVersionEditable(versionRow);
+
+  const result = await query(
+    `DELETE FROM gl_budget_lines
+     WHERE tenant_id = ?
+       AND budget_version_id = ?
+       AND id = ?`,
+    [payload.tenantId, payload.versionId, payload.lineId]
+  );
+  if (!Number(result.rows?.affectedRows || 0)) {
+    throw badRequest("Budget line not found");
+  }
+
+  return getGlBudgetVersionById({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+}
+
+export async function importGlBudgetLinesCsv({ req, payload, assertScopeAccess }) {
+  const versionRow = await requireVersionRow({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+  assertVersionEditable(versionRow);
+  const legalEntityId = parsePositiveInt(versionRow.legal_entity_id);
+
+  let parsedRows;
+  try {
+    parsedRows = parseBudgetCsv(payload.csvText);
+  } catch (err) {
+    throw badRequest(err?.message || "CSV could not be parsed");
+  }
+
+  const periods = await loadVersionPeriods({ versionRow });
+  const periodsByNo = new Map(periods.map((period) => [period.periodNo, period]));
+  const accountRows = await loadBudgetAccounts({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    accountCodes: [...new Set(parsedRows.map((row) => row.accountCode).filter(Boolean))],
+  });
+  const accountsByCode = new Map();
+  for (const account of accountRows) {
+    const code = String(account.code || "").toUpperCase();
+    accountsByCode.set(code, accountsByCode.has(code) ? "AMBIGUOUS" : account);
+  }
+  const unitsByCode = new Map(
+    (await loadOperatingUnits({ tenantId: payload.tenantId, legalEntityId })).map((row) => [
+      String(row.code || "").toUpperCase(),
+      row,
+    ])
+  );
+
+  const errors = [];
+  const linesByCell = new Map();
+  for (const row of parsedRows) {
+    let error = row.error;
+    const account = accountsByCode.get(row.accountCode);
+    const unit = row.operatingUnitCode ? unitsByCode.get(row.operatingUnitCode) : null;
+    const period = periodsByNo.get(row.periodNo);
+    if (!error && account === "AMBIGUOUS") {
+      error = `account_code ${row.accountCode} matches more than one chart of accounts`;
+    }
+    if (!error) {
+      error = accountProblem(account);
+    }
+    if (!error && row.operatingUnitCode && !unit) {
+      error = `operating_unit_code ${row.operatingUnitCode} not found for legal entity`;
+    }
+    if (!error && !period) {
+      error = `period_no ${row.periodNo} is not a fiscal period of ${versionRow.fiscal_year}`;
+    }
+    if (error) {
+      errors.push({ rowNo: row.rowNo, message: error });
+      continue;
+    }
+
+    const line = {
+      accountId: parsePositiveInt(account.id),
+      operatingUnitId: unit ? parsePositiveInt(unit.id) : null,
+      fiscalPeriodId: period.id,
+      amount: row.amount,
+      note: row.note,
+    };
+    const cellKey = `${line.accountId}:${line.operatingUnitId || 0}:${line.fiscalPeriodId}`;
+    if (linesByCell.has(cellKey)) {
+      errors.push({
+        rowNo: row.rowNo,
+        message: `duplicate of row ${linesByCell.get(cellKey).rowNo} (same account, operating unit and period)`,
+      });
+      continue;
+    }
+    linesByCell.set(cellKey, { ...line, rowNo: row.rowNo });
+  }
+
+  if (errors.length > 0) {
+    const err = badRequest(`Budget CSV has ${errors.length} invalid row(s)`);
+    err.details = { errors: errors.slice(0, MAX_CSV_ERRORS_REPORTED) };
+    throw err;
+  }
+
+  const lines = [...linesByCell.values()];
+  const importedAmount = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (!payload.dryRun) {
+    await withTransaction(async (tx) => {
+      const locked = await fetchVersionRow({
+        tenantId: payload.tenantId,
+        versionId: payload.versionId,
+        runQuery: tx.query,
+        forUpdate: true,
+      });
+      assertVersionEditable(locked);
+      if (payload.mode === "REPLACE") {
+        await tx.query(
+          `DELETE FROM gl_budget_lines
+           WHERE tenant_id = ?
+             AND budget_version_id = ?`,
+          [payload.tenantId, payload.versionId]
+        );
+      }
+      await upsertLinesTx({ tx, versionRow: locked, lines, userId: payload.userId });
+      await tx.query(
+        `UPDATE gl_budget_versions
+         SET updated_by_user_id = ?
+         WHERE tenant_id = ?
+           AND id = ?`,
+        [payload.userId, payload.tenantId, payload.versionId]
+      );
+    });
+  }
+
+  return {
+    version: await getGlBudgetVersionById({
+      req,
+      tenantId: payload.tenantId,
+      versionId: payload.versionId,
+      assertScopeAccess,
+    }),
+    mode: payload.mode,
+    dryRun: payload.dryRun,
+    rowCount: lines.length,
+    importedAmount,
+  };
+}
+
+export async function approveGlBudgetVersion({
+  req,
+  tenantId,
+  userId,
+  versionId,
+  note = null,
+  assertScopeAccess,
+  skipUnifiedApprovalGate = false,
+  approvalRequestId = null,
+}) {
+  const preview = await requireVersionRow({ req, tenantId, versionId, assertScopeAccess });
+  if (Number(preview.line_count || 0) === 0) {
+    throw badRequest("Budget version has no lines to approve");
+  }
+
+  if (!skipUnifiedApprovalGate) {
+    assertVersionEditable(preview);
+    const legalEntityId = parsePositiveInt(preview.legal_entity_id);
+    const thresholdAmount = Math.abs(roundAmount(preview.total_amount));
+    const gov = await evaluateApprovalNeed({
+      moduleCode: APPROVAL_MODULE_CODE,
+      tenantId,
+      targetType: APPROVAL_TARGET_TYPE,
+      actionType: APPROVAL_ACTION_TYPE,
+      legalEntityId,
+      thresholdAmount,
+      currencyCode: preview.currency_code,
+    });
+    if (gov?.approval_required || gov?.approvalRequired) {
+      const submissionNo = Number(preview.submission_no || 0) + 1;
+      const submitRes = await submitApprovalRequest({
+        tenantId,
+        userId,
+        requestInput: {
+          moduleCode: APPROVAL_MODULE_CODE,
+          requestKey: `GLBUD:APPROVE:${tenantId}:${versionId}:${submissionNo}`,
+          targetType: APPROVAL_TARGET_TYPE,
+          targetId: versionId,
+          actionType: APPROVAL_ACTION_TYPE,
+          legalEntityId,
+          thresholdAmount,
+          currencyCode: preview.currency_code,
+          actionPayload: {
+            versionId,
+            submissionNo,
+            note: note || null,
+          },
+          targetSnapshot: {
+            module_code: APPROVAL_MODULE_CODE,
+            target_type: APPROVAL_TARGET_TYPE,
+            target_id: versionId,
+            legal_entity_id: legalEntityId,
+            book_id: parsePositiveInt(preview.book_id),
+            fiscal_year: Number(preview.fiscal_year),
+            code: preview.code,
+            version_type: preview.version_type,
+            line_count: Number(preview.line_count || 0),
+            total_amount: roundAmount(preview.total_amount),
+            currency_code: preview.currency_code,
+          },
+        },
+      });
+      await query(
+        `UPDATE gl_budget_versions
+         SET status = 'PENDING_APPROVAL',
+             submission_no = ?,
+             approval_request_id = ?,
+             submitted_by_user_id = ?,
+             submitted_at = CURRENT_TIMESTAMP,
+             updated_by_user_id = ?
+         WHERE tenant_id = ?
+           AND id = ?
+           AND status = 'DRAFT'`,
+        [
+          submissionNo,
+          parsePositiveInt(submitRes?.item?.id) || null,
+          userId,
+          userId,
+          tenantId,
+          versionId,
+        ]
+      );
+      return {
+        row: await getGlBudgetVersionById({ req, tenantId, versionId, assertScopeAccess }),
+        approval_required: true,
+        approval_request: submitRes?.item || null,
+        idempotent: Boolean(submitRes?.idempotent),
+      };
+    }
+  }
+
+  await withTransaction(async (tx) => {
+    const locked = await fetchVersionRow({
+      tenantId,
+      versionId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    const status = String(locked.status || "").toUpperCase();
+    if (skipUnifiedApprovalGate) {
+      const lockedRequestId = parsePositiveInt(locked.approval_request_id);
+      if (status === "APPROVED" && lockedRequestId === parsePositiveInt(approvalRequestId)) {
+        return;
+      }
+      if (status !== "PENDING_APPROVAL" || lockedRequestId !== parsePositiveInt(approvalRequestId)) {
+        throw makeConflict(
+          `Budget version is no longer awaiting this approval request (current: ${status})`
+        );
+      }
+    } else {
+      assertVersionEditable(locked);
+    }
+
+    await tx.query(
+      `UPDATE gl_budget_versions
+       SET status = 'APPROVED',
+           approved_by_user_id = ?,
+           approved_at = CURRENT_TIMESTAMP,
+           note = COALESCE(?, note),
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [userId, note, userId, tenantId, versionId]
+    );
+  });
+
+  return {
+    row: await getGlBudgetVersionById({ req, tenantId, versionId, assertScopeAccess }),
+    approval_required: false,
+    approval_request: null,
+    idempotent: false,
+  };
+}
+
+export async function executeApprovedGlBudgetVersionApproval({
+  tenantId,
+  approvalRequestId,
+  approvedByUserId,
+  payload = {},
+}) {
+  const versionId = parsePositiveInt(payload?.versionId ?? payload?.version_id);
+  if (!versionId) {
+    throw badRequest("Approved budget version payload is missing versionId");
+  }
+  return approveGlBudgetVersion({
+    req: null,
+    tenantId,
+    userId: parsePositiveInt(approvedByUserId) || null,
+    versionId,
+    note: String(payload?.note || "").trim() || null,
+    assertScopeAccess: noopScopeAccess,
+    skipUnifiedApprovalGate: true,
+    approvalRequestId,
+  });
+}
+
+async function transitionVersionStatus({
+  req,
+  payload,
+  assertScopeAccess,
+  fromStatuses,
+  toStatus,
+  clearApproval = false,
+}) {
+  await withTransaction(async (tx) => {
+    const locked = await fetchVersionRow({
+      tenantId: payload.tenantId,
+      versionId: payload.versionId,
+      runQuery: tx.query,
+      forUpdate: true,
+    });
+    if (!locked) {
+      throw badRequest("Budget version not found");
+    }
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(locked.legal_entity_id), "versionId");
+    const status = String(locked.status || "").toUpperCase();
+    if (!fromStatuses.includes(status)) {
+      throw makeConflict(
+        `Budget version must be ${fromStatuses.join(" or ")} to move to ${toStatus} (current: ${status})`
+      );
+    }
+
+    await tx.query(
+      `UPDATE gl_budget_versions
+       SET status = ?,
+           approval_request_id = ${clearApproval ? "NULL" : "approval_request_id"},
+           note = COALESCE(?, note),
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [toStatus, payload.note, payload.userId, payload.tenantId, payload.versionId]
+    );
+  });
+
+  return getGlBudgetVersionById({
+    req,
+    tenantId: payload.tenantId,
+    versionId: payload.versionId,
+    assertScopeAccess,
+  });
+}
+
+// Pulls a submitted version back for edits (e.g. after the request was rejected);
+// the stale request can no longer execute because its id is cleared.
+export async function returnGlBudgetVersionToDraft({ req, payload, assertScopeAccess }) {
+  return transitionVersionStatus({
+    req,
+    payload,
+    assertScopeAccess,
+    fromStatuses: ["PENDING_APPROVAL"],
+    toStatus: "DRAFT",
+    clearApproval: true,
+  });
+}
+
+export async function archiveGlBudgetVersion({ req, payload, assertScopeAccess }) {
+  return transitionVersionStatus({
+    req,
+    payload,
+    assertScopeAccess,
+    fromStatuses: ["DRAFT", "APPROVED"],
+    toStatus: "ARCHIVED",
+  });
+}
+
+function selectReportPeriods(periods, filters) {
+  let selected = periods;
+  if (filters.fiscalPeriodId) {
+    selected = periods.filter((period) => period.id === filters.fiscalPeriodId);
+    if (selected.length === 0) {
+      throw badRequest("fiscalPeriodId is not a fiscal period of the budget year");
+    }
+    return selected;
+  }
+  if (filters.periodNoFrom) {
+    selected = selected.filter((period) => period.periodNo >= filters.periodNoFrom);
+  }
+  if (filters.periodNoTo) {
+    selected = selected.filter((period) => period.periodNo <= filters.periodNoTo);
+  }
+  if (selected.length === 0) {
+    throw badRequest("No fiscal periods in the requested range");
+  }
+  return selected;
+}
+
+function buildGroupKey(groupBy, cell) {
+  if (groupBy === "ACCOUNT") {
+    return `${cell.accountId}`;
+  }
+  if (groupBy === "ACCOUNT_UNIT") {
+    return `${cell.accountId}:${cell.operatingUnitId || 0}`;
+  }
+  return `${cell.accountId}:${cell.operatingUnitId || 0}:${cell.fiscalPeriodId}`;
+}
+
+export async function getGlBudgetVsActualReport({
+  req,
+  tenantId,
+  filters,
+  assertScopeAccess,
+  runQuery = query,
+}) {
+  const versionRow = await requireVersionRow({
+    req,
+    tenantId,
+    versionId: filters.versionId,
+    assertScopeAccess,
+    runQuery,
+  });
+  const periods = selectReportPeriods(await loadVersionPeriods({ versionRow, runQuery }), filters);
+  const periodsById = new Map(periods.map((period) => [period.id, period]));
+  const periodIds = periods.map((period) => period.id);
+  const periodPlaceholders = periodIds.map(() => "?").join(", ");
+
+  const budgetParams = [tenantId, filters.versionId, ...periodIds];
+  const budgetConditions = [
+    "bl.tenant_id = ?",
+    "bl.budget_version_id = ?",
+    `bl.fiscal_period_id IN (${periodPlaceholders})`,
+  ];
+  if (filters.accountId) {
+    budgetConditions.push("bl.account_id = ?");
+    budgetParams.push(filters.accountId);
+  }
+  if (filters.operatingUnitId) {
+    budgetConditions.push("bl.operating_unit_id = ?");
+    budgetParams.push(filters.operatingUnitId);
+  }
+  const budgetResult = await runQuery(
+    `SELECT bl.account_id, bl.operating_unit_id, bl.fiscal_period_id, bl.amount
+     FROM gl_budget_lines bl
+     WHERE ${budgetConditions.join(" AND ")}`,
+    budgetParams
+  );
+
+  // Actuals only for accounts this version budgets; cancelled postings stay in
+  // as REVERSED originals offset by their POSTED reversal entries.
+  const actualParams = [tenantId, versionRow.book_id, ...periodIds, tenantId, filters.versionId];
+  const actualConditions = [
+    "je.tenant_id = ?",
+    "je.book_id = ?",
+    "je.status IN ('POSTED', 'REVERSED')",
+    `je.fiscal_period_id IN (${periodPlaceholders})`,
+    `jl.account_id IN (
+       SELECT DISTINCT account_id
+       FROM gl_budget_lines
+       WHERE tenant_id = ?
+         AND budget_version_id = ?
+     )`,
+  ];
+  if (filters.accountId) {
+    actualConditions.push("jl.account_id = ?");
+    actualParams.push(filters.accountId);
+  }
+  if (filters.operatingUnitId) {
+    actualConditions.push("jl.operating_unit_id = ?");
+    actualParams.push(filters.operatingUnitId);
+  }
+  const actualResult = await runQuery(
+    `SELECT
+       jl.account_id,
+       jl.operating_unit_id,
+       je.fiscal_period_id,
+       SUM(jl.debit_base) AS debit_base,
+       SUM(jl.credit_base) AS credit_base
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     WHERE ${actualConditions.join(" AND ")}
+     GROUP BY jl.account_id, jl.operating_unit_id, je.fiscal_period_id`,
+    actualParams
+  );
+
+  const budgetRows = budgetResult.rows || [];
+  const actualRows = actualResult.rows || [];
+  const accountIds = [
+    ...new Set(
+      [...budgetRows, ...actualRows].map((row) => parsePositiveInt(row.account_id)).filter(Boolean)
+    ),
+  ];
+  const accountsById = new Map(
+    (
+      await loadBudgetAccounts({
+        tenantId,
+        legalEntityId: parsePositiveInt(versionRow.legal_entity_id),
+        accountIds,
+        runQuery,
+      })
+    ).map((row) => [parsePositiveInt(row.id), row])
+  );
+  const unitsById = new Map(
+    (
+      await loadOperatingUnits({
+        tenantId,
+        legalEntityId: parsePositiveInt(versionRow.legal_entity_id),
+        runQuery,
+      })
+    ).map((row) => [parsePositiveInt(row.id), row])
+  );
+
+  // Accounts budgeted without an operating unit compare against actuals of all
+  // units combined; accounts with unit-level budget lines compare unit by unit.
+  const accountsWithUnitDetail = new Set(
+    budgetRows
+      .filter((row) => parsePositiveInt(row.operating_unit_id))
+      .map((row) => parsePositiveInt(row.account_id))
+  );
+
+  const groups = new Map();
+  const touchGroup = (cell) => {
+    const key = buildGroupKey(filters.groupBy, cell);
+    if (!groups.has(key)) {
+      const account = accountsById.get(cell.accountId) || {};
+      const unit = cell.operatingUnitId ? unitsById.get(cell.operatingUnitId) || {} : null;
+      const period = periodsById.get(cell.fiscalPeriodId) || {};
+      const byPeriod = filters.groupBy === "ACCOUNT_UNIT_PERIOD";
+      groups.set(key, {
+        accountId: cell.accountId,
+        accountCode: account.code || null,
+        accountName: account.name || null,
+        accountType: account.account_type || null,
+        normalSide: account.normal_side || null,
+        operatingUnitId: filters.groupBy === "ACCOUNT" ? null : cell.operatingUnitId || null,
+        operatingUnitCode: filters.groupBy === "ACCOUNT" ? null : unit?.code || null,
+        fiscalPeriodId: byPeriod ? cell.fiscalPeriodId : null,
+        periodNo: byPeriod ? period.periodNo ?? null : null,
+        periodName: byPeriod ? period.periodName || null : null,
+        budgetAmount: 0,
+        actualAmount: 0,
+      });
+    }
+    return groups.get(key);
+  };
+
+  for (const row of budgetRows) {
+    const group = touchGroup({
+      accountId: parsePositiveInt(row.account_id),
+      operatingUnitId: parsePositiveInt(row.operating_unit_id),
+      fiscalPeriodId: parsePositiveInt(row.fiscal_period_id),
+    });
+    group.budgetAmount += Number(row.amount || 0);
+  }
+  for (const row of actualRows) {
+    const accountId = parsePositiveInt(row.account_id);
+    const keepUnit = accountsWithUnitDetail.has(accountId) || Boolean(filters.operatingUnitId);
+    const group = touchGroup({
+      accountId,
+      operatingUnitId: keepUnit ? parsePositiveInt(row.operating_unit_id) : null,
+      fiscalPeriodId: parsePositiveInt(row.fiscal_period_id),
+    });
+    group.actualAmount += signedActualAmount(
+      accountsById.get(accountId)?.normal_side,
+      row.debit_base,
+      row.credit_base
+    );
+  }
+
+  const rows = [...groups.values()]
+    .map((group) => {
+      const budgetAmount = roundAmount(group.budgetAmount);
+      const actualAmount = roundAmount(group.actualAmount);
+      return {
+        ...group,
+        budgetAmount,
+        actualAmount,
+        varianceAmount: roundAmount(actualAmount - budgetAmount),
+        percentUsed: percentUsed(actualAmount, budgetAmount),
+      };
+    })
+    .sort(
+      (left, right) =>
+        String(left.accountCode || "").localeCompare(String(right.accountCode || "")) ||
+        String(left.operatingUnitCode || "").localeCompare(String(right.operatingUnitCode || "")) ||
+        Number(left.periodNo || 0) - Number(right.periodNo || 0)
+    );
+
+  // Revenue and expense budgets do not net meaningfully, so totals stay per type.
+  const totalsByAccountType = new Map();
+  for (const row of rows) {
+    const type = row.accountType || "UNKNOWN";
+    const totals = totalsByAccountType.get(type) || { accountType: type, budgetAmount: 0, actualAmount: 0 };
+    totals.budgetAmount = roundAmount(totals.budgetAmount + row.budgetAmount);
+    totals.actualAmount = roundAmount(totals.actualAmount + row.actualAmount);
+    totalsByAccountType.set(type, totals);
+  }
+
+  return {
+    version: mapVersionRow(versionRow),
+    groupBy: filters.groupBy,
+    periods,
+    rows,
+    totalsByAccountType: [...totalsByAccountType.values()].map((totals) => ({
+      ...totals,
+      varianceAmount: roundAmount(totals.actualAmount - totals.budgetAmount),
+      percentUsed: percentUsed(totals.actualAmount, totals.budgetAmount),
+    })),
+  };
+}
+
+export function buildGlBudgetVsActualCsv(report) {
+  const header = [
+    "account_code",
+    "account_name",
+    "operating_unit_code",
+    "period_no",
+    "budget_amount",
+    "actual_amount",
+    "variance_amount",
+    "percent_used",
+  ];
+  const rows = report.rows.map((row) => [
+    row.accountCode,
+    row.accountName,
+    row.operatingUnitCode || "",
+    row.periodNo ?? "",
+    row.budgetAmount.toFixed(2),
+    row.actualAmount.toFixed(2),
+    row.varianceAmount.toFixed(2),
+    row.percentUsed === null ? "" : row.percentUsed.toFixed(2),
+  ]);
+  return toCsv(header, rows);
+}
+
+export async function listGlBudgetActualLines({
+  req,
+  tenantId,
+  filters,
+  assertScopeAccess,
+  runQuery = query,
+}) {
+  const versionRow = await requireVersionRow({
+    req,
+    tenantId,
+    versionId: filters.versionId,
+    assertScopeAccess,
+    runQuery,
+  });
+  const periods = selectReportPeriods(await loadVersionPeriods({ versionRow, runQuery }), filters);
+  const accountRow = (
+    await loadBudgetAccounts({
+      tenantId,
+      legalEntityId: parsePositiveInt(versionRow.legal_entity_id),
+      accountIds: [filters.accountId],
+      runQuery,
+    })
+  )[0];
+  if (!accountRow) {
+    throw badRequest("accountId not found for budget legal entity");
+  }
+
+  const periodIds = periods.map((period) => period.id);
+  const params = [tenantId, versionRow.book_id, ...periodIds, filters.accountId];
+  const conditions = [
+    "je.tenant_id = ?",
+    "je.book_id = ?",
+    "je.status IN ('POSTED', 'REVERSED')",
+    `je.fiscal_period_id IN (${periodIds.map(() => "?").join(", ")})`,
+    "jl.account_id = ?",
+  ];
+  if (filters.operatingUnitId) {
+    conditions.push("jl.operating_unit_id = ?");
+    params.push(filters.operatingUnitId);
+  } else if (filters.withoutOperatingUnit) {
+    conditions.push("jl.operating_unit_id IS NULL");
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await runQuery(
+    `SELECT
+       COUNT(*) AS row_count,
+       COALESCE(SUM(jl.debit_base), 0) AS debit_base,
+       COALESCE(SUM(jl.credit_base), 0) AS credit_base
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     WHERE ${whereSql}`,
+    params
+  );
+  const totalRow = totalResult.rows?.[0] || {};
+
+  const result = await runQuery(
+    `SELECT
+       je.id AS journal_entry_id,
+       je.journal_no,
+       je.entry_date,
+       je.fiscal_period_id,
+       je.source_type,
+       je.status AS journal_status,
+       je.reference_no,
+       jl.id AS journal_line_id,
+       jl.line_no,
+       jl.description,
+       jl.operating_unit_id,
+       ou.code AS operating_unit_code,
+       jl.debit_base,
+       jl.credit_base
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     LEFT JOIN operating_units ou ON ou.id = jl.operating_unit_id
+     WHERE ${whereSql}
+     ORDER BY je.entry_date ASC, je.id ASC, jl.line_no ASC
+     LIMIT ${filters.limit} OFFSET ${filters.offset}`,
+    params
+  );
+
+  const periodsById = new Map(periods.map((period) => [period.id, period]));
+  return {
+    versionId: filters.versionId,
+    account: {
+      id: parsePositiveInt(accountRow.id),
+      code: accountRow.code,
+      name: accountRow.name,
+      normalSide: accountRow.normal_side,
+    },
+    periods,
+    rows: (result.rows || []).map((row) => ({
+      journalEntryId: parsePositiveInt(row.journal_entry_id),
+      journalNo: row.journal_no,
+      journalStatus: row.journal_status,
+      entryDate: toDateOnlyString(row.entry_date),
+      fiscalPeriodId: parsePositiveInt(row.fiscal_period_id),
+      periodNo: periodsById.get(parsePositiveInt(row.fiscal_period_id))?.periodNo ?? null,
+      sourceType: row.source_type,
+      referenceNo: row.reference_no || null,
+      journalLineId: parsePositiveInt(row.journal_line_id),
+      lineNo: Number(row.line_no),
+      description: row.description || null,
+      operatingUnitId: parsePositiveInt(row.operating_unit_id),
+      operatingUnitCode: row.operating_unit_code || null,
+      debitBase: roundAmount(row.debit_base),
+      creditBase: roundAmount(row.credit_base),
+      actualAmount: signedActualAmount(accountRow.normal_side, row.debit_base, row.credit_base),
+    })),
+    actualAmount: signedActualAmount(accountRow.normal_side, totalRow.debit_base, totalRow.credit_base),
+    total: Number(totalRow.row_count || 0),
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
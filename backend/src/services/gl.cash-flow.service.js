@@ -0,0 +1,742 @@
+import { query, withTransaction } from "../db.js";
+import { assertBookBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+const AMOUNT_PRECISION_SCALE = 6;
+const BALANCE_EPSILON = 0.0001;
+const PROFIT_AND_LOSS_TYPES = new Set(["REVENUE", "EXPENSE"]);
+const BALANCE_SHEET_TYPES = new Set(["ASSET", "LIABILITY", "EQUITY"]);
+const MAX_PARENT_DEPTH = 20;
+
+// Operating activities hold both non-cash adjustments and working-capital movements.
+const CATEGORY_SECTIONS = {
+  NON_CASH: "OPERATING",
+  WORKING_CAPITAL: "OPERATING",
+  INVESTING: "INVESTING",
+  FINANCING: "FINANCING",
+};
+
+const DIRECT_PNL_LINES = {
+  REVENUE: { lineCode: "REVENUE_RECEIPTS", lineName: "Cash received from revenue" },
+  EXPENSE: { lineCode: "EXPENSE_PAYMENTS", lineName: "Cash paid for expenses" },
+};
+
+const UNCLASSIFIED_LINE = { lineCode: "UNCLASSIFIED", lineName: "Unclassified balance sheet movements" };
+
+// Period-close carry-forward and year-end journals only move balances, never cash.
+const EXCLUDE_CLOSE_RUN_JOURNALS_SQL =
+  "(je.reference_no IS NULL OR je.reference_no NOT LIKE 'PERIOD_CLOSE_RUN:%')";
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+function isNearlyZero(value) {
+  return Math.abs(Number(value || 0)) < BALANCE_EPSILON;
+}
+
+function toDateOnlyString(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function placeholders(values) {
+  return values.map(() => "?").join(", ");
+}
+
+function uniquePositiveIds(values) {
+  return Array.from(new Set((values || []).map((value) => parsePositiveInt(value)).filter(Boolean)));
+}
+
+function mapMappingRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    accountName: row.account_name || null,
+    accountType: row.account_type || null,
+    coaId: parsePositiveInt(row.coa_id),
+    category: row.category,
+    lineCode: row.line_code || null,
+    lineName: row.line_name || null,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+const MAPPING_SELECT_SQL = `SELECT
+    m.id,
+    m.tenant_id,
+    m.account_id,
+    a.code AS account_code,
+    a.name AS account_name,
+    a.account_type,
+    a.coa_id,
+    m.category,
+    m.line_code,
+    m.line_name,
+    m.created_at,
+    m.updated_at
+ FROM cash_flow_account_mappings m
+ JOIN accounts a ON a.id = m.account_id`;
+
+export async function listCashFlowMappings({ tenantId, filters = {} }) {
+  const conditions = ["m.tenant_id = ?"];
+  const params = [tenantId];
+  if (filters.coaId) {
+    conditions.push("a.coa_id = ?");
+    params.push(filters.coaId);
+  }
+  if (filters.category) {
+    conditions.push("m.category = ?");
+    params.push(filters.category);
+  }
+  const result = await query(
+    `${MAPPING_SELECT_SQL}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY a.coa_id, a.code`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapMappingRow) };
+}
+
+export async function upsertCashFlowMappings({ payload }) {
+  const accountIds = uniquePositiveIds(payload.mappings.map((item) => item.accountId));
+  const accountResult = await query(
+    `SELECT a.id, a.code, a.account_type
+     FROM accounts a
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     WHERE c.tenant_id = ?
+       AND a.id IN (${placeholders(accountIds)})`,
+    [payload.tenantId, ...accountIds]
+  );
+  const accountById = new Map(
+    (accountResult.rows || []).map((row) => [parsePositiveInt(row.id), row])
+  );
+  payload.mappings.forEach((item, index) => {
+    const account = accountById.get(item.accountId);
+    if (!account) {
+      throw badRequest(`mappings[${index}].accountId not found for tenant`);
+    }
+    if (!BALANCE_SHEET_TYPES.has(String(account.account_type || "").toUpperCase())) {
+      throw badRequest(
+        `mappings[${index}].accountId ${account.code} is a P&L account; P&L accounts always flow through net income`
+      );
+    }
+  });
+
+  await withTransaction(async (tx) => {
+    for (const item of payload.mappings) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `INSERT INTO cash_flow_account_mappings (
+           tenant_id,
+           account_id,
+           category,
+           line_code,
+           line_name,
+           created_by_user_id,
+           updated_by_user_id
+         ) VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           category = VALUES(category),
+           line_code = VALUES(line_code),
+           line_name = VALUES(line_name),
+           updated_by_user_id = VALUES(updated_by_user_id)`,
+        [
+          payload.tenantId,
+          item.accountId,
+          item.category,
+          item.lineCode,
+          item.lineName,
+          payload.userId,
+          payload.userId,
+        ]
+      );
+    }
+  });
+
+  const result = await query(
+    `${MAPPING_SELECT_SQL}
+     WHERE m.tenant_id = ?
+       AND m.account_id IN (${placeholders(accountIds)})
+     ORDER BY a.coa_id, a.code`,
+    [payload.tenantId, ...accountIds]
+  );
+  return { rows: (result.rows || []).map(mapMappingRow) };
+}
+
+export async function deleteCashFlowMapping({ payload }) {
+  const result = await query(
+    `DELETE FROM cash_flow_account_mappings
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [payload.tenantId, payload.mappingId]
+  );
+  if (Number(result.rows?.affectedRows || 0) === 0) {
+    throw badRequest("Cash-flow mapping not found");
+  }
+  return { deleted: true, mappingId: payload.mappingId };
+}
+
+// Resolves the cash-flow category of each account from its own mapping or the nearest
+// mapped parent, so a mapping on a header account (e.g. 12 Ticari Alacaklar) covers its
+// children. Accounts without any mapped ancestor come back with category null.
+export async function loadCashFlowClassification({ tenantId, accountIds, runQuery = query }) {
+  const ids = uniquePositiveIds(accountIds);
+  const classification = new Map();
+  if (ids.length === 0) {
+    return classification;
+  }
+  const result = await runQuery(
+    `SELECT
+       a.id,
+       a.parent_account_id,
+       a.code,
+       a.name,
+       a.account_type,
+       m.category,
+       m.line_code,
+       m.line_name
+     FROM accounts a
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     LEFT JOIN cash_flow_account_mappings m
+       ON m.tenant_id = c.tenant_id
+      AND m.account_id = a.id
+     WHERE c.tenant_id = ?
+       AND a.coa_id IN (
+         SELECT DISTINCT src.coa_id
+         FROM accounts src
+         WHERE src.id IN (${placeholders(ids)})
+       )`,
+    [tenantId, ...ids]
+  );
+  const accountById = new Map(
+    (result.rows || []).map((row) => [parsePositiveInt(row.id), row])
+  );
+
+  for (const accountId of ids) {
+    const account = accountById.get(accountId);
+    if (!account) {
+      continue;
+    }
+    let mapped = null;
+    let cursor = account;
+    for (let depth = 0; cursor && depth < MAX_PARENT_DEPTH; depth += 1) {
+      if (cursor.category) {
+        mapped = cursor;
+        break;
+      }
+      cursor = accountById.get(parsePositiveInt(cursor.parent_account_id));
+    }
+    classification.set(accountId, {
+      accountId,
+      accountCode: account.code,
+      accountName: account.name,
+      accountType: String(account.account_type || "").toUpperCase(),
+      category: mapped?.category || null,
+      mappedAccountId: mapped ? parsePositiveInt(mapped.id) : null,
+      lineCode: mapped ? mapped.line_code || mapped.code : null,
+      lineName: mapped ? mapped.line_name || mapped.name : null,
+    });
+  }
+  return classification;
+}
+
+function createLineCollector() {
+  const lines = new Map();
+  return {
+    add(lineCode, lineName, account, amount) {
+      if (!lines.has(lineCode)) {
+        lines.set(lineCode, { lineCode, lineName, amount: 0, inflow: 0, outflow: 0, accounts: new Map() });
+      }
+      const line = lines.get(lineCode);
+      line.amount += amount;
+      if (amount >= 0) {
+        line.inflow += amount;
+      } else {
+        line.outflow -= amount;
+      }
+      if (!line.accounts.has(account.accountId)) {
+        line.accounts.set(account.accountId, {
+          accountId: account.accountId,
+          accountCode: account.accountCode,
+          accountName: account.accountName,
+          amount: 0,
+        });
+      }
+      line.accounts.get(account.accountId).amount += amount;
+    },
+    toSection({ includeZero, withFlows = false }) {
+      const rows = Array.from(lines.values())
+        .map((line) => ({
+          lineCode: line.lineCode,
+          lineName: line.lineName,
+          amount: roundAmount(line.amount),
+          ...(withFlows
+            ? { inflow: roundAmount(line.inflow), outflow: roundAmount(line.outflow) }
+            : {}),
+          accounts: Array.from(line.accounts.values())
+            .map((item) => ({ ...item, amount: roundAmount(item.amount) }))
+            .filter((item) => includeZero || !isNearlyZero(item.amount))
+            .sort((left, right) => String(left.accountCode).localeCompare(String(right.accountCode))),
+        }))
+        .filter(
+          (line) =>
+            includeZero ||
+            !isNearlyZero(line.amount) ||
+            (withFlows && (!isNearlyZero(line.inflow) || !isNearlyZero(line.outflow)))
+        )
+        .sort((left, right) => String(left.lineCode).localeCompare(String(right.lineCode)));
+      return {
+        lines: rows,
+        total: roundAmount(rows.reduce((sum, line) => sum + line.amount, 0)),
+      };
+    },
+  };
+}
+
+function classificationFor(classification, row) {
+  const accountId = parsePositiveInt(row.accountId);
+  return (
+    classification.get(accountId) || {
+      accountId,
+      accountCode: row.accountCode || `ACC-${accountId}`,
+      accountName: row.accountName || null,
+      accountType: String(row.accountType || "").toUpperCase(),
+      category: null,
+      mappedAccountId: null,
+      lineCode: null,
+      lineName: null,
+    }
+  );
+}
+
+function collectUnmapped(unmapped, account) {
+  if (!unmapped.has(account.accountId)) {
+    unmapped.set(account.accountId, {
+      accountId: account.accountId,
+      accountCode: account.accountCode,
+      accountName: account.accountName,
+      accountType: account.accountType,
+    });
+  }
+}
+
+function sortedUnmapped(unmapped) {
+  return Array.from(unmapped.values()).sort((left, right) =>
+    String(left.accountCode).localeCompare(String(right.accountCode))
+  );
+}
+
+// Indirect method. movements are signed debit-minus-credit amounts per account for the
+// period. Every non-cash movement is mirrored in cash, so net income plus the negated
+// balance sheet movements equals the movement of the CASH accounts.
+export function buildIndirectCashFlowStatement({
+  movements,
+  classification,
+  openingCash = null,
+  includeZero = false,
+}) {
+  const adjustments = createLineCollector();
+  const workingCapital = createLineCollector();
+  const unclassified = createLineCollector();
+  const investing = createLineCollector();
+  const financing = createLineCollector();
+  const unmapped = new Map();
+  let netIncome = 0;
+  let cashMovement = 0;
+
+  for (const row of movements || []) {
+    const movement = Number(row.movement || 0);
+    if (isNearlyZero(movement)) {
+      continue;
+    }
+    const account = classificationFor(classification, row);
+    if (PROFIT_AND_LOSS_TYPES.has(account.accountType)) {
+      netIncome -= movement;
+      continue;
+    }
+    if (account.category === "CASH") {
+      cashMovement += movement;
+      continue;
+    }
+    const cashEffect = -movement;
+    if (account.category === "NON_CASH") {
+      adjustments.add(account.lineCode, account.lineName, account, cashEffect);
+    } else if (account.category === "WORKING_CAPITAL") {
+      workingCapital.add(account.lineCode, account.lineName, account, cashEffect);
+    } else if (account.category === "INVESTING") {
+      investing.add(account.lineCode, account.lineName, account, cashEffect);
+    } else if (account.category === "FINANCING") {
+      financing.add(account.lineCode, account.lineName, account, cashEffect);
+    } else {
+      collectUnmapped(unmapped, account);
+      unclassified.add(UNCLASSIFIED_LINE.lineCode, UNCLASSIFIED_LINE.lineName, account, cashEffect);
+    }
+  }
+
+  const operating = {
+    netIncome: roundAmount(netIncome),
+    adjustments: adjustments.toSection({ includeZero }),
+    workingCapital: workingCapital.toSection({ includeZero }),
+    unclassified: unclassified.toSection({ includeZero }),
+  };
+  operating.total = roundAmount(
+    operating.netIncome +
+      operating.adjustments.total +
+      operating.workingCapital.total +
+      operating.unclassified.total
+  );
+  const investingSection = investing.toSection({ includeZero });
+  const financingSection = financing.toSection({ includeZero });
+  const netCashFlow = roundAmount(operating.total + investingSection.total + financingSection.total);
+
+  return {
+    method: "INDIRECT",
+    operating,
+    investing: investingSection,
+    financing: financingSection,
+    netCashFlow,
+    cash: buildCashSummary(openingCash, cashMovement),
+    reconciliationDelta: roundAmount(netCashFlow - cashMovement),
+    unmappedAccounts: sortedUnmapped(unmapped),
+  };
+}
+
+function buildCashSummary(openingCash, cashMovement) {
+  const movement = roundAmount(cashMovement);
+  if (openingCash === null || openingCash === undefined) {
+    return { opening: null, movement, closing: null };
+  }
+  const opening = roundAmount(openingCash);
+  return { opening, movement, closing: roundAmount(opening + movement) };
+}
+
+export function resolveCashFlowJournalSource(journal) {
+  const sourceType = String(journal.sourceType || "").toUpperCase();
+  const journalNo = String(journal.journalNo || "").toUpperCase();
+  if (sourceType === "CASH") {
+    return "CASH";
+  }
+  if (journalNo.startsWith("BAP-") || journalNo.startsWith("BDIFF-")) {
+    return "BANK_AUTO_POSTING";
+  }
+  if (journalNo.startsWith("PAYB-")) {
+    return "PAYMENT_BATCH";
+  }
+  return "OTHER";
+}
+
+// Direct method. Works journal by journal: in a balanced journal the non-cash lines
+// mirror the cash lines, so each counter line's negated movement is the cash it
+// explains. Journals that only move money between CASH accounts are counted as
+// internal transfers and left out of the sections.
+export function buildDirectCashFlowStatement({
+  journalLines,
+  classification,
+  openingCash = null,
+  includeZero = false,
+}) {
+  const journals = new Map();
+  for (const row of journalLines || []) {
+    const journalEntryId = parsePositiveInt(row.journalEntryId);
+    if (!journals.has(journalEntryId)) {
+      journals.set(journalEntryId, {
+        journalEntryId,
+        journalNo: row.journalNo,
+        sourceType: row.sourceType,
+        lines: [],
+      });
+    }
+    journals.get(journalEntryId).lines.push(row);
+  }
+
+  const sections = {
+    OPERATING: createLineCollector(),
+    INVESTING: createLineCollector(),
+    FINANCING: createLineCollector(),
+  };
+  const bySource = new Map();
+  const unmapped = new Map();
+  let cashMovement = 0;
+  let internalTransferCount = 0;
+
+  for (const journal of journals.values()) {
+    let journalCash = 0;
+    const counterLines = [];
+    for (const line of journal.lines) {
+      const account = classificationFor(classification, line);
+      const movement = Number(line.movement || 0);
+      if (account.category === "CASH") {
+        journalCash += movement;
+      } else if (!isNearlyZero(movement)) {
+        counterLines.push({ account, cashEffect: -movement });
+      }
+    }
+    if (counterLines.length === 0) {
+      internalTransferCount += 1;
+      continue;
+    }
+    cashMovement += journalCash;
+
+    const source = resolveCashFlowJournalSource(journal);
+    if (!bySource.has(source)) {
+      bySource.set(source, { source, journalCount: 0, netCashFlow: 0 });
+    }
+    const sourceTotals = bySource.get(source);
+    sourceTotals.journalCount += 1;
+    sourceTotals.netCashFlow += journalCash;
+
+    for (const { account, cashEffect } of counterLines) {
+      if (PROFIT_AND_LOSS_TYPES.has(account.accountType)) {
+        const pnlLine = DIRECT_PNL_LINES[account.accountType];
+        sections.OPERATING.add(pnlLine.lineCode, pnlLine.lineName, account, cashEffect);
+      } else if (CATEGORY_SECTIONS[account.category]) {
+        sections[CATEGORY_SECTIONS[account.category]].add(
+          account.lineCode,
+          account.lineName,
+          account,
+          cashEffect
+        );
+      } else {
+        collectUnmapped(unmapped, account);
+        sections.OPERATING.add(
+          UNCLASSIFIED_LINE.lineCode,
+          UNCLASSIFIED_LINE.lineName,
+          account,
+          cashEffect
+        );
+      }
+    }
+  }
+
+  const operating = sections.OPERATING.toSection({ includeZero, withFlows: true });
+  const investing = sections.INVESTING.toSection({ includeZero, withFlows: true });
+  const financing = sections.FINANCING.toSection({ includeZero, withFlows: true });
+  const netCashFlow = roundAmount(operating.total + investing.total + financing.total);
+
+  return {
+    method: "DIRECT",
+    operating,
+    investing,
+    financing,
+    netCashFlow,
+    cash: buildCashSummary(openingCash, cashMovement),
+    reconciliationDelta: roundAmount(netCashFlow - cashMovement),
+    bySource: Array.from(bySource.values())
+      .map((item) => ({ ...item, netCashFlow: roundAmount(item.netCashFlow) }))
+      .sort((left, right) => left.source.localeCompare(right.source)),
+    internalTransferCount,
+    unmappedAccounts: sortedUnmapped(unmapped),
+  };
+}
+
+async function loadPeriodAccountMovements({ tenantId, bookId, fiscalPeriodId, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT
+       jl.account_id,
+       a.code AS account_code,
+       a.name AS account_name,
+       a.account_type,
+       SUM(jl.debit_base - jl.credit_base) AS movement
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     JOIN accounts a ON a.id = jl.account_id
+     WHERE je.tenant_id = ?
+       AND je.book_id = ?
+       AND je.fiscal_period_id = ?
+       AND je.status = 'POSTED'
+       AND ${EXCLUDE_CLOSE_RUN_JOURNALS_SQL}
+     GROUP BY jl.account_id, a.code, a.name, a.account_type`,
+    [tenantId, bookId, fiscalPeriodId]
+  );
+  return (result.rows || []).map((row) => ({
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code,
+    accountName: row.account_name,
+    accountType: row.account_type,
+    movement: Number(row.movement || 0),
+  }));
+}
+
+// Opening cash is rebuilt from real activity of earlier periods; carry-forward journals
+// would count the same balances twice.
+async function loadOpeningBalanceSheetMovements({
+  tenantId,
+  bookId,
+  calendarId,
+  periodStartDate,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT
+       jl.account_id,
+       SUM(jl.debit_base - jl.credit_base) AS movement
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     JOIN accounts a ON a.id = jl.account_id
+     JOIN fiscal_periods fp ON fp.id = je.fiscal_period_id
+     WHERE je.tenant_id = ?
+       AND je.book_id = ?
+       AND je.status = 'POSTED'
+       AND fp.calendar_id = ?
+       AND fp.start_date < ?
+       AND a.account_type IN ('ASSET', 'LIABILITY', 'EQUITY')
+       AND ${EXCLUDE_CLOSE_RUN_JOURNALS_SQL}
+     GROUP BY jl.account_id`,
+    [tenantId, bookId, calendarId, periodStartDate]
+  );
+  return (result.rows || []).map((row) => ({
+    accountId: parsePositiveInt(row.account_id),
+    movement: Number(row.movement || 0),
+  }));
+}
+
+async function loadCashJournalLines({
+  tenantId,
+  bookId,
+  fiscalPeriodId,
+  cashAccountIds,
+  runQuery = query,
+}) {
+  if (cashAccountIds.length === 0) {
+    return [];
+  }
+  const result = await runQuery(
+    `SELECT
+       je.id AS journal_entry_id,
+       je.journal_no,
+       je.source_type,
+       jl.account_id,
+       a.code AS account_code,
+       a.name AS account_name,
+       a.account_type,
+       jl.debit_base - jl.credit_base AS movement
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     JOIN accounts a ON a.id = jl.account_id
+     WHERE je.tenant_id = ?
+       AND je.book_id = ?
+       AND je.fiscal_period_id = ?
+       AND je.status = 'POSTED'
+       AND ${EXCLUDE_CLOSE_RUN_JOURNALS_SQL}
+       AND EXISTS (
+         SELECT 1
+         FROM journal_lines cl
+         WHERE cl.journal_entry_id = je.id
+           AND cl.account_id IN (${placeholders(cashAccountIds)})
+       )
+     ORDER BY je.id, jl.line_no`,
+    [tenantId, bookId, fiscalPeriodId, ...cashAccountIds]
+  );
+  return (result.rows || []).map((row) => ({
+    journalEntryId: parsePositiveInt(row.journal_entry_id),
+    journalNo: row.journal_no,
+    sourceType: row.source_type,
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code,
+    accountName: row.account_name,
+    accountType: row.account_type,
+    movement: Number(row.movement || 0),
+  }));
+}
+
+export async function getGlCashFlowStatement({ req, tenantId, filters, assertScopeAccess }) {
+  const book = await assertBookBelongsToTenant(tenantId, filters.bookId, "bookId");
+  const legalEntityId = parsePositiveInt(book.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "bookId");
+
+  const periodResult = await query(
+    `SELECT id, fiscal_year, period_no, period_name, start_date, end_date
+     FROM fiscal_periods
+     WHERE id = ?
+       AND calendar_id = ?
+     LIMIT 1`,
+    [filters.fiscalPeriodId, book.calendar_id]
+  );
+  const period = periodResult.rows?.[0];
+  if (!period) {
+    throw badRequest("fiscalPeriodId not found for book calendar");
+  }
+  const periodStartDate = toDateOnlyString(period.start_date);
+
+  const movements = await loadPeriodAccountMovements({
+    tenantId,
+    bookId: filters.bookId,
+    fiscalPeriodId: filters.fiscalPeriodId,
+  });
+  const openingMovements = await loadOpeningBalanceSheetMovements({
+    tenantId,
+    bookId: filters.bookId,
+    calendarId: book.calendar_id,
+    periodStartDate,
+  });
+  const classification = await loadCashFlowClassification({
+    tenantId,
+    accountIds: [...movements, ...openingMovements].map((row) => row.accountId),
+  });
+  const isCashAccount = (accountId) => classification.get(accountId)?.category === "CASH";
+  const openingCash = openingMovements
+    .filter((row) => isCashAccount(row.accountId))
+    .reduce((sum, row) => sum + row.movement, 0);
+
+  let statement;
+  if (filters.method === "DIRECT") {
+    const cashAccountIds = uniquePositiveIds(
+      [...movements, ...openingMovements]
+        .map((row) => row.accountId)
+        .filter((accountId) => isCashAccount(accountId))
+    );
+    const journalLines = await loadCashJournalLines({
+      tenantId,
+      bookId: filters.bookId,
+      fiscalPeriodId: filters.fiscalPeriodId,
+      cashAccountIds,
+    });
+    const counterClassification = await loadCashFlowClassification({
+      tenantId,
+      accountIds: journalLines.map((row) => row.accountId),
+    });
+    statement = buildDirectCashFlowStatement({
+      journalLines,
+      classification: new Map([...classification, ...counterClassification]),
+      openingCash,
+      includeZero: filters.includeZero,
+    });
+  } else {
+    statement = buildIndirectCashFlowStatement({
+      movements,
+      classification,
+      openingCash,
+      includeZero: filters.includeZero,
+    });
+  }
+
+  return {
+    bookId: filters.bookId,
+    legalEntityId,
+    currencyCode: String(book.base_currency_code || "").toUpperCase(),
+    fiscalPeriod: {
+      id: parsePositiveInt(period.id),
+      fiscalYear: Number(period.fiscal_year),
+      periodNo: Number(period.period_no),
+      periodName: period.period_name || null,
+      startDate: periodStartDate,
+      endDate: toDateOnlyString(period.end_date),
+    },
+    ...statement,
+  };
+}
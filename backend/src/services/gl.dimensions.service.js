@@ -0,0 +1,874 @@
+import { query, withTransaction } from "../db.js";
+import {
+  assertAccountBelongsToTenant,
+  assertLegalEntityBelongsToTenant,
+} from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+const RULE_REQUIRED = "REQUIRED";
+const RULE_FORBIDDEN = "FORBIDDEN";
+
+function toDbBoolean(value) {
+  return value === true || Number(value) === 1;
+}
+
+function isDuplicateKeyError(err, constraintName = null) {
+  if (Number(err?.errno) !== 1062 && String(err?.code || "") !== "ER_DUP_ENTRY") {
+    return false;
+  }
+  return constraintName ? String(err?.message || "").includes(constraintName) : true;
+}
+
+function placeholders(values) {
+  return values.map(() => "?").join(", ");
+}
+
+function uniquePositiveIds(values) {
+  return Array.from(new Set((values || []).map((value) => parsePositiveInt(value)).filter(Boolean)));
+}
+
+function mapTypeRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    code: row.code,
+    name: row.name,
+    description: row.description || null,
+    status: row.status,
+    isPayrollCostCenter: toDbBoolean(row.is_payroll_cost_center),
+    valueCount: Number(row.value_count || 0),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapValueRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    dimensionTypeId: parsePositiveInt(row.dimension_type_id),
+    dimensionTypeCode: row.dimension_type_code || null,
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    code: row.code,
+    name: row.name,
+    status: row.status,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function mapRuleRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    dimensionTypeId: parsePositiveInt(row.dimension_type_id),
+    dimensionTypeCode: row.dimension_type_code || null,
+    ruleType: row.rule_type,
+  };
+}
+
+function mapAssignmentRow(row) {
+  return {
+    dimensionTypeId: parsePositiveInt(row.dimension_type_id),
+    dimensionTypeCode: row.dimension_type_code || null,
+    dimensionValueId: parsePositiveInt(row.dimension_value_id),
+    dimensionValueCode: row.dimension_value_code || null,
+    dimensionValueName: row.dimension_value_name || null,
+  };
+}
+
+function groupAssignmentRows(rows, keyOf) {
+  const byKey = new Map();
+  for (const row of rows || []) {
+    const key = keyOf(row);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(mapAssignmentRow(row));
+  }
+  return byKey;
+}
+
+const TYPE_SELECT_SQL = `SELECT
+    t.id,
+    t.tenant_id,
+    t.code,
+    t.name,
+    t.description,
+    t.status,
+    t.is_payroll_cost_center,
+    t.created_at,
+    t.updated_at,
+    (SELECT COUNT(*) FROM analytic_dimension_values v WHERE v.dimension_type_id = t.id) AS value_count
+ FROM analytic_dimension_types t`;
+
+const VALUE_SELECT_SQL = `SELECT
+    v.id,
+    v.tenant_id,
+    v.dimension_type_id,
+    t.code AS dimension_type_code,
+    v.legal_entity_id,
+    v.code,
+    v.name,
+    v.status,
+    v.created_at,
+    v.updated_at
+ FROM analytic_dimension_values v
+ JOIN analytic_dimension_types t ON t.id = v.dimension_type_id`;
+
+const ASSIGNMENT_JOIN_SQL = `JOIN analytic_dimension_types t ON t.id = d.dimension_type_id
+ JOIN analytic_dimension_values v ON v.id = d.dimension_value_id`;
+
+const ASSIGNMENT_COLUMNS_SQL = `d.dimension_type_id,
+    t.code AS dimension_type_code,
+    d.dimension_value_id,
+    v.code AS dimension_value_code,
+    v.name AS dimension_value_name`;
+
+async function fetchTypeRow({ tenantId, dimensionTypeId, runQuery = query }) {
+  const result = await runQuery(
+    `${TYPE_SELECT_SQL}
+     WHERE t.tenant_id = ?
+       AND t.id = ?
+     LIMIT 1`,
+    [tenantId, dimensionTypeId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireTypeRow({ tenantId, dimensionTypeId, runQuery = query }) {
+  const row = await fetchTypeRow({ tenantId, dimensionTypeId, runQuery });
+  if (!row) {
+    throw badRequest("Dimension type not found");
+  }
+  return row;
+}
+
+async function fetchValueRow({ tenantId, dimensionValueId, runQuery = query }) {
+  const result = await runQuery(
+    `${VALUE_SELECT_SQL}
+     WHERE v.tenant_id = ?
+       AND v.id = ?
+     LIMIT 1`,
+    [tenantId, dimensionValueId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function requireValueRow({ req, tenantId, dimensionValueId, assertScopeAccess }) {
+  const row = await fetchValueRow({ tenantId, dimensionValueId });
+  if (!row) {
+    throw badRequest("Dimension value not found");
+  }
+  if (row.legal_entity_id) {
+    assertScopeAccess(req, "legal_entity", row.legal_entity_id, "dimensionValueId");
+  }
+  return row;
+}
+
+export async function resolveDimensionValueScope(dimensionValueId, tenantId) {
+  const parsedValueId = parsePositiveInt(dimensionValueId);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedValueId || !parsedTenantId) {
+    return null;
+  }
+  const row = await fetchValueRow({ tenantId: parsedTenantId, dimensionValueId: parsedValueId });
+  if (!row) {
+    return null;
+  }
+  if (!row.legal_entity_id) {
+    return { scopeType: "TENANT", scopeId: parsedTenantId };
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function listDimensionTypes({ tenantId, filters }) {
+  const params = [tenantId];
+  const conditions = ["t.tenant_id = ?"];
+  if (filters.status) {
+    conditions.push("t.status = ?");
+    params.push(filters.status);
+  }
+  const result = await query(
+    `${TYPE_SELECT_SQL}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY t.code ASC, t.id ASC`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapTypeRow) };
+}
+
+export async function createDimensionType({ payload }) {
+  let dimensionTypeId;
+  try {
+    const result = await query(
+      `INSERT INTO analytic_dimension_types (
+         tenant_id,
+         code,
+         name,
+         description,
+         status,
+         is_payroll_cost_center,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        payload.code,
+        payload.name,
+        payload.description,
+        payload.status,
+        payload.isPayrollCostCenter,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    dimensionTypeId = parsePositiveInt(result.rows?.insertId);
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_analytic_dimension_types_code")) {
+      throw badRequest(`Dimension type ${payload.code} already exists`);
+    }
+    if (isDuplicateKeyError(err, "uk_analytic_dimension_types_payroll")) {
+      throw badRequest("Another dimension type is already the payroll cost center dimension");
+    }
+    throw err;
+  }
+  return mapTypeRow(await requireTypeRow({ tenantId: payload.tenantId, dimensionTypeId }));
+}
+
+export async function updateDimensionType({ payload }) {
+  const existing = await requireTypeRow({
+    tenantId: payload.tenantId,
+    dimensionTypeId: payload.dimensionTypeId,
+  });
+  const next = {
+    name: payload.name ?? existing.name,
+    description: payload.description === undefined ? existing.description : payload.description,
+    status: payload.status ?? existing.status,
+    isPayrollCostCenter:
+      payload.isPayrollCostCenter ?? toDbBoolean(existing.is_payroll_cost_center),
+  };
+  try {
+    await query(
+      `UPDATE analytic_dimension_types
+       SET name = ?,
+           description = ?,
+           status = ?,
+           is_payroll_cost_center = ?,
+           updated_by_user_id = ?
+       WHERE tenant_id = ?
+         AND id = ?`,
+      [
+        next.name,
+        next.description,
+        next.status,
+        next.isPayrollCostCenter,
+        payload.userId,
+        payload.tenantId,
+        payload.dimensionTypeId,
+      ]
+    );
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_analytic_dimension_types_payroll")) {
+      throw badRequest("Another dimension type is already the payroll cost center dimension");
+    }
+    throw err;
+  }
+  return mapTypeRow(
+    await requireTypeRow({ tenantId: payload.tenantId, dimensionTypeId: payload.dimensionTypeId })
+  );
+}
+
+export async function listDimensionValues({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  await requireTypeRow({ tenantId, dimensionTypeId: filters.dimensionTypeId });
+  const params = [tenantId, filters.dimensionTypeId];
+  const conditions = ["v.tenant_id = ?", "v.dimension_type_id = ?"];
+  conditions.push(
+    `(v.legal_entity_id IS NULL OR ${buildScopeFilter(req, "legal_entity", "v.legal_entity_id", params)})`
+  );
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    // Tenant-wide values are usable by every legal entity.
+    conditions.push("(v.legal_entity_id IS NULL OR v.legal_entity_id = ?)");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.status) {
+    conditions.push("v.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.q) {
+    conditions.push("(v.code LIKE ? OR v.name LIKE ?)");
+    params.push(`%${filters.q}%`, `%${filters.q}%`);
+  }
+  const result = await query(
+    `${VALUE_SELECT_SQL}
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY v.code ASC, v.id ASC`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapValueRow) };
+}
+
+export async function createDimensionValue({ req, payload, assertScopeAccess }) {
+  await requireTypeRow({ tenantId: payload.tenantId, dimensionTypeId: payload.dimensionTypeId });
+  if (payload.legalEntityId) {
+    await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId, "legalEntityId");
+    assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+  }
+
+  let dimensionValueId;
+  try {
+    const result = await query(
+      `INSERT INTO analytic_dimension_values (
+         tenant_id,
+         dimension_type_id,
+         legal_entity_id,
+         code,
+         name,
+         status,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        payload.dimensionTypeId,
+        payload.legalEntityId,
+        payload.code,
+        payload.name,
+        payload.status,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    dimensionValueId = parsePositiveInt(result.rows?.insertId);
+  } catch (err) {
+    if (isDuplicateKeyError(err, "uk_analytic_dimension_values_code")) {
+      throw badRequest(`Dimension value ${payload.code} already exists for this dimension type`);
+    }
+    throw err;
+  }
+  return mapValueRow(await fetchValueRow({ tenantId: payload.tenantId, dimensionValueId }));
+}
+
+export async function updateDimensionValue({ req, payload, assertScopeAccess }) {
+  const existing = await requireValueRow({
+    req,
+    tenantId: payload.tenantId,
+    dimensionValueId: payload.dimensionValueId,
+    assertScopeAccess,
+  });
+  await query(
+    `UPDATE analytic_dimension_values
+     SET name = ?,
+         status = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      payload.name ?? existing.name,
+      payload.status ?? existing.status,
+      payload.userId,
+      payload.tenantId,
+      payload.dimensionValueId,
+    ]
+  );
+  return mapValueRow(
+    await fetchValueRow({ tenantId: payload.tenantId, dimensionValueId: payload.dimensionValueId })
+  );
+}
+
+export async function listAccountDimensionRules({ tenantId, filters }) {
+  const params = [tenantId];
+  const conditions = ["r.tenant_id = ?"];
+  if (filters.accountId) {
+    conditions.push("r.account_id = ?");
+    params.push(filters.accountId);
+  }
+  if (filters.dimensionTypeId) {
+    conditions.push("r.dimension_type_id = ?");
+    params.push(filters.dimensionTypeId);
+  }
+  const result = await query(
+    `SELECT
+       r.id,
+       r.account_id,
+       a.code AS account_code,
+       r.dimension_type_id,
+       t.code AS dimension_type_code,
+       r.rule_type
+     FROM account_dimension_rules r
+     JOIN accounts a ON a.id = r.account_id
+     JOIN analytic_dimension_types t ON t.id = r.dimension_type_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY a.code ASC, t.code ASC`,
+    params
+  );
+  return { rows: (result.rows || []).map(mapRuleRow) };
+}
+
+// Replaces the full rule set of one account; an empty list clears it.
+export async function replaceAccountDimensionRules({ payload }) {
+  await assertAccountBelongsToTenant(payload.tenantId, payload.accountId, "accountId");
+  for (const rule of payload.rules) {
+    // eslint-disable-next-line no-await-in-loop
+    await requireTypeRow({ tenantId: payload.tenantId, dimensionTypeId: rule.dimensionTypeId });
+  }
+
+  await withTransaction(async (tx) => {
+    await tx.query(
+      `DELETE FROM account_dimension_rules
+       WHERE tenant_id = ?
+         AND account_id = ?`,
+      [payload.tenantId, payload.accountId]
+    );
+    for (const rule of payload.rules) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `INSERT INTO account_dimension_rules (
+           tenant_id,
+           account_id,
+           dimension_type_id,
+           rule_type,
+           created_by_user_id,
+           updated_by_user_id
+         ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          payload.tenantId,
+          payload.accountId,
+          rule.dimensionTypeId,
+          rule.ruleType,
+          payload.userId,
+          payload.userId,
+        ]
+      );
+    }
+  });
+
+  return listAccountDimensionRules({
+    tenantId: payload.tenantId,
+    filters: { accountId: payload.accountId },
+  });
+}
+
+// Checks that every assigned value exists, is ACTIVE, belongs to its type and is usable by
+// legalEntityId. Returns the assignments enriched with codes, ordered by dimension type.
+export async function resolveDimensionAssignments({
+  tenantId,
+  legalEntityId,
+  assignments,
+  label = "dimensions",
+  runQuery = query,
+}) {
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    return [];
+  }
+  const valueIds = uniquePositiveIds(assignments.map((item) => item.dimensionValueId));
+  const result = await runQuery(
+    `SELECT
+       v.id,
+       v.dimension_type_id,
+       v.legal_entity_id,
+       v.code,
+       v.name,
+       v.status,
+       t.code AS dimension_type_code,
+       t.status AS dimension_type_status
+     FROM analytic_dimension_values v
+     JOIN analytic_dimension_types t ON t.id = v.dimension_type_id
+     WHERE v.tenant_id = ?
+       AND v.id IN (${placeholders(valueIds)})`,
+    [tenantId, ...valueIds]
+  );
+  const valueById = new Map((result.rows || []).map((row) => [parsePositiveInt(row.id), row]));
+
+  const resolved = assignments.map((item, index) => {
+    const itemLabel = `${label}[${index}]`;
+    const row = valueById.get(parsePositiveInt(item.dimensionValueId));
+    if (!row) {
+      throw badRequest(`${itemLabel}.dimensionValueId not found for tenant`);
+    }
+    if (parsePositiveInt(row.dimension_type_id) !== parsePositiveInt(item.dimensionTypeId)) {
+      throw badRequest(`${itemLabel}.dimensionValueId does not belong to dimensionTypeId`);
+    }
+    if (row.dimension_type_status !== "ACTIVE" || row.status !== "ACTIVE") {
+      throw badRequest(`${itemLabel} must reference an ACTIVE dimension type and value`);
+    }
+    const valueLegalEntityId = parsePositiveInt(row.legal_entity_id);
+    if (valueLegalEntityId && valueLegalEntityId !== parsePositiveInt(legalEntityId)) {
+      throw badRequest(`${itemLabel}.dimensionValueId is restricted to another legal entity`);
+    }
+    return {
+      dimensionTypeId: parsePositiveInt(row.dimension_type_id),
+      dimensionTypeCode: row.dimension_type_code,
+      dimensionValueId: parsePositiveInt(row.id),
+      dimensionValueCode: row.code,
+      dimensionValueName: row.name,
+    };
+  });
+  return resolved.sort((left, right) => left.dimensionTypeId - right.dimensionTypeId);
+}
+
+async function loadAccountRules({ tenantId, accountIds, runQuery = query }) {
+  const ids = uniquePositiveIds(accountIds);
+  const rulesByAccountId = new Map();
+  if (ids.length === 0) {
+    return rulesByAccountId;
+  }
+  const result = await runQuery(
+    `SELECT
+       r.account_id,
+       r.dimension_type_id,
+       r.rule_type,
+       t.code AS dimension_type_code
+     FROM account_dimension_rules r
+     JOIN analytic_dimension_types t ON t.id = r.dimension_type_id
+     WHERE r.tenant_id = ?
+       AND t.status = 'ACTIVE'
+       AND r.account_id IN (${placeholders(ids)})`,
+    [tenantId, ...ids]
+  );
+  for (const row of result.rows || []) {
+    const accountId = parsePositiveInt(row.account_id);
+    if (!rulesByAccountId.has(accountId)) {
+      rulesByAccountId.set(accountId, []);
+    }
+    rulesByAccountId.get(accountId).push({
+      dimensionTypeId: parsePositiveInt(row.dimension_type_id),
+      dimensionTypeCode: row.dimension_type_code,
+      ruleType: row.rule_type,
+    });
+  }
+  return rulesByAccountId;
+}
+
+// Validates dimension assignments of a batch of lines ({ accountId, dimensions, label })
+// and enforces the REQUIRED/FORBIDDEN rules of each line's account. Returns the resolved
+// assignments in line order.
+export async function validateLineDimensions({ tenantId, legalEntityId, lines, runQuery = query }) {
+  const rulesByAccountId = await loadAccountRules({
+    tenantId,
+    accountIds: lines.map((line) => line.accountId),
+    runQuery,
+  });
+
+  const resolvedLines = [];
+  for (const line of lines) {
+    // eslint-disable-next-line no-await-in-loop
+    const resolved = await resolveDimensionAssignments({
+      tenantId,
+      legalEntityId,
+      assignments: line.dimensions,
+      label: `${line.label}.dimensions`,
+      runQuery,
+    });
+    const assignedTypeIds = new Set(resolved.map((item) => item.dimensionTypeId));
+    for (const rule of rulesByAccountId.get(parsePositiveInt(line.accountId)) || []) {
+      if (rule.ruleType === RULE_REQUIRED && !assignedTypeIds.has(rule.dimensionTypeId)) {
+        throw badRequest(`${line.label} requires dimension ${rule.dimensionTypeCode} for its account`);
+      }
+      if (rule.ruleType === RULE_FORBIDDEN && assignedTypeIds.has(rule.dimensionTypeId)) {
+        throw badRequest(`${line.label} cannot carry dimension ${rule.dimensionTypeCode} for its account`);
+      }
+    }
+    resolvedLines.push(resolved);
+  }
+  return resolvedLines;
+}
+
+// Builds a stable key so lines with the same dimension set can be aggregated together.
+export function buildDimensionSignature(dimensions) {
+  return (dimensions || [])
+    .map((item) => `${parsePositiveInt(item.dimensionTypeId)}=${parsePositiveInt(item.dimensionValueId)}`)
+    .sort()
+    .join(",");
+}
+
+async function insertAssignmentRows(runQuery, tableName, columns, rows) {
+  for (const values of rows) {
+    // eslint-disable-next-line no-await-in-loop
+    await runQuery(
+      `INSERT INTO ${tableName} (${columns.join(", ")})
+       VALUES (${placeholders(columns)})`,
+      values
+    );
+  }
+}
+
+// lines[i] is stored as journal line_no i + 1, matching how every posting path numbers lines.
+export async function insertJournalLineDimensionsTx(tx, { tenantId, journalEntryId, lines }) {
+  if (!(lines || []).some((line) => Array.isArray(line?.dimensions) && line.dimensions.length > 0)) {
+    return;
+  }
+  const lineResult = await tx.query(
+    `SELECT id, line_no
+     FROM journal_lines
+     WHERE journal_entry_id = ?`,
+    [journalEntryId]
+  );
+  const lineIdByNo = new Map(
+    (lineResult.rows || []).map((row) => [Number(row.line_no), parsePositiveInt(row.id)])
+  );
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    const journalLineId = lineIdByNo.get(index + 1);
+    if (!journalLineId) {
+      return;
+    }
+    for (const item of line.dimensions || []) {
+      rows.push([tenantId, journalEntryId, journalLineId, item.dimensionTypeId, item.dimensionValueId]);
+    }
+  });
+  await insertAssignmentRows(
+    tx.query.bind(tx),
+    "journal_line_dimensions",
+    ["tenant_id", "journal_entry_id", "journal_line_id", "dimension_type_id", "dimension_value_id"],
+    rows
+  );
+}
+
+// Reversal journals keep the original line order, so dimensions follow line_no.
+export async function copyJournalLineDimensionsTx(tx, {
+  tenantId,
+  sourceJournalEntryId,
+  targetJournalEntryId,
+}) {
+  await tx.query(
+    `INSERT INTO journal_line_dimensions (
+       tenant_id,
+       journal_entry_id,
+       journal_line_id,
+       dimension_type_id,
+       dimension_value_id
+     )
+     SELECT d.tenant_id, ?, tl.id, d.dimension_type_id, d.dimension_value_id
+     FROM journal_line_dimensions d
+     JOIN journal_lines sl ON sl.id = d.journal_line_id
+     JOIN journal_lines tl
+       ON tl.journal_entry_id = ?
+      AND tl.line_no = sl.line_no
+      AND tl.account_id = sl.account_id
+     WHERE d.tenant_id = ?
+       AND d.journal_entry_id = ?`,
+    [targetJournalEntryId, targetJournalEntryId, tenantId, sourceJournalEntryId]
+  );
+}
+
+export async function loadJournalLineDimensions({ tenantId, journalEntryIds, runQuery = query }) {
+  const ids = uniquePositiveIds(journalEntryIds);
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const result = await runQuery(
+    `SELECT
+       d.journal_line_id,
+       ${ASSIGNMENT_COLUMNS_SQL}
+     FROM journal_line_dimensions d
+     ${ASSIGNMENT_JOIN_SQL}
+     WHERE d.tenant_id = ?
+       AND d.journal_entry_id IN (${placeholders(ids)})
+     ORDER BY d.journal_line_id, d.dimension_type_id`,
+    [tenantId, ...ids]
+  );
+  return groupAssignmentRows(result.rows, (row) => parsePositiveInt(row.journal_line_id));
+}
+
+export async function replaceCariDocumentLineDimensionsTx(tx, { tenantId, documentId, lines }) {
+  await tx.query(
+    `DELETE FROM cari_document_line_dimensions
+     WHERE tenant_id = ?
+       AND document_id = ?`,
+    [tenantId, documentId]
+  );
+  const rows = [];
+  for (const line of lines || []) {
+    for (const item of line.dimensions || []) {
+      rows.push([tenantId, documentId, line.lineNo, item.dimensionTypeId, item.dimensionValueId]);
+    }
+  }
+  await insertAssignmentRows(
+    tx.query.bind(tx),
+    "cari_document_line_dimensions",
+    ["tenant_id", "document_id", "line_no", "dimension_type_id", "dimension_value_id"],
+    rows
+  );
+}
+
+export async function copyCariDocumentLineDimensionsTx(tx, {
+  tenantId,
+  sourceDocumentId,
+  targetDocumentId,
+}) {
+  await tx.query(
+    `INSERT INTO cari_document_line_dimensions (
+       tenant_id,
+       document_id,
+       line_no,
+       dimension_type_id,
+       dimension_value_id
+     )
+     SELECT tenant_id, ?, line_no, dimension_type_id, dimension_value_id
+     FROM cari_document_line_dimensions
+     WHERE tenant_id = ?
+       AND document_id = ?`,
+    [targetDocumentId, tenantId, sourceDocumentId]
+  );
+}
+
+// Keyed by `${documentId}:${lineNo}`.
+export async function loadCariDocumentLineDimensions({ tenantId, documentIds, runQuery = query }) {
+  const ids = uniquePositiveIds(documentIds);
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const result = await runQuery(
+    `SELECT
+       d.document_id,
+       d.line_no,
+       ${ASSIGNMENT_COLUMNS_SQL}
+     FROM cari_document_line_dimensions d
+     ${ASSIGNMENT_JOIN_SQL}
+     WHERE d.tenant_id = ?
+       AND d.document_id IN (${placeholders(ids)})
+     ORDER BY d.document_id, d.line_no, d.dimension_type_id`,
+    [tenantId, ...ids]
+  );
+  return groupAssignmentRows(
+    result.rows,
+    (row) => `${parsePositiveInt(row.document_id)}:${Number(row.line_no)}`
+  );
+}
+
+export async function insertCashTransactionDimensions({
+  tenantId,
+  cashTransactionId,
+  dimensions,
+  runQuery = query,
+}) {
+  await insertAssignmentRows(
+    runQuery,
+    "cash_transaction_dimensions",
+    ["tenant_id", "cash_transaction_id", "dimension_type_id", "dimension_value_id"],
+    (dimensions || []).map((item) => [
+      tenantId,
+      cashTransactionId,
+      item.dimensionTypeId,
+      item.dimensionValueId,
+    ])
+  );
+}
+
+export async function loadCashTransactionDimensions({
+  tenantId,
+  cashTransactionIds,
+  runQuery = query,
+}) {
+  const ids = uniquePositiveIds(cashTransactionIds);
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const result = await runQuery(
+    `SELECT
+       d.cash_transaction_id,
+       ${ASSIGNMENT_COLUMNS_SQL}
+     FROM cash_transaction_dimensions d
+     ${ASSIGNMENT_JOIN_SQL}
+     WHERE d.tenant_id = ?
+       AND d.cash_transaction_id IN (${placeholders(ids)})
+     ORDER BY d.cash_transaction_id, d.dimension_type_id`,
+    [tenantId, ...ids]
+  );
+  return groupAssignmentRows(result.rows, (row) => parsePositiveInt(row.cash_transaction_id));
+}
+
+export async function replacePayrollMappingDimensionsTx(tx, {
+  tenantId,
+  legalEntityId,
+  mappingId,
+  dimensions,
+}) {
+  await tx.query(
+    `DELETE FROM payroll_component_mapping_dimensions
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND mapping_id = ?`,
+    [tenantId, legalEntityId, mappingId]
+  );
+  await insertAssignmentRows(
+    tx.query.bind(tx),
+    "payroll_component_mapping_dimensions",
+    ["tenant_id", "legal_entity_id", "mapping_id", "dimension_type_id", "dimension_value_id"],
+    (dimensions || []).map((item) => [
+      tenantId,
+      legalEntityId,
+      mappingId,
+      item.dimensionTypeId,
+      item.dimensionValueId,
+    ])
+  );
+}
+
+export async function loadPayrollMappingDimensions({ tenantId, mappingIds, runQuery = query }) {
+  const ids = uniquePositiveIds(mappingIds);
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const result = await runQuery(
+    `SELECT
+       d.mapping_id,
+       ${ASSIGNMENT_COLUMNS_SQL}
+     FROM payroll_component_mapping_dimensions d
+     ${ASSIGNMENT_JOIN_SQL}
+     WHERE d.tenant_id = ?
+       AND d.mapping_id IN (${placeholders(ids)})
+     ORDER BY d.mapping_id, d.dimension_type_id`,
+    [tenantId, ...ids]
+  );
+  return groupAssignmentRows(result.rows, (row) => parsePositiveInt(row.mapping_id));
+}
+
+// The tenant's payroll cost center dimension with its ACTIVE values usable by legalEntityId,
+// keyed by upper-cased value code. Returns null when no type is flagged.
+export async function findPayrollCostCenterDimension({ tenantId, legalEntityId, runQuery = query }) {
+  const typeResult = await runQuery(
+    `SELECT id, code
+     FROM analytic_dimension_types
+     WHERE tenant_id = ?
+       AND is_payroll_cost_center = TRUE
+       AND status = 'ACTIVE'
+     LIMIT 1`,
+    [tenantId]
+  );
+  const typeRow = typeResult.rows?.[0] || null;
+  if (!typeRow) {
+    return null;
+  }
+  const valueResult = await runQuery(
+    `SELECT id, code, name
+     FROM analytic_dimension_values
+     WHERE tenant_id = ?
+       AND dimension_type_id = ?
+       AND status = 'ACTIVE'
+       AND (legal_entity_id IS NULL OR legal_entity_id = ?)`,
+    [tenantId, parsePositiveInt(typeRow.id), legalEntityId]
+  );
+  const valuesByCode = new Map();
+  for (const row of valueResult.rows || []) {
+    valuesByCode.set(String(row.code || "").trim().toUpperCase(), {
+      dimensionTypeId: parsePositiveInt(typeRow.id),
+      dimensionTypeCode: typeRow.code,
+      dimensionValueId: parsePositiveInt(row.id),
+      dimensionValueCode: row.code,
+      dimensionValueName: row.name,
+    });
+  }
+  return {
+    dimensionTypeId: parsePositiveInt(typeRow.id),
+    dimensionTypeCode: typeRow.code,
+    valuesByCode,
+  };
+}
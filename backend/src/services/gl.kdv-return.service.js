@@ -0,0 +1,989 @@
+import { query } from "../db.js";
+import {
+  assertBookBelongsToTenant,
+  assertFiscalPeriodBelongsToCalendar,
+  assertLegalEntityBelongsToTenant,
+} from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { assertTaxAccountUsable } from "./gl.tax-codes.service.js";
+
+const AMOUNT_PRECISION_SCALE = 6;
+const FINAL_PERIOD_STATUSES = new Set(["SOFT_CLOSED", "HARD_CLOSED"]);
+const CARI_SUBLEDGER_REFERENCE_PREFIXES = ["CARI_DOC:", "CARI_DOC_REV:"];
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+function toDateOnlyString(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? "");
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(header, rows) {
+  return [header.join(","), ...rows.map((row) => row.map(escapeCsvValue).join(","))].join("\n");
+}
+
+function mapBoxMappingRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    boxCode: row.box_code,
+    boxName: row.box_name,
+    section: row.section,
+    taxCode: row.tax_code || null,
+    accountId: parsePositiveInt(row.account_id),
+    accountCode: row.account_code || null,
+    amountBasis: row.amount_basis,
+    sortOrder: Number(row.sort_order || 0),
+    status: row.status,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+const BOX_MAPPING_SELECT_SQL = `SELECT
+    m.id,
+    m.tenant_id,
+    m.legal_entity_id,
+    m.box_code,
+    m.box_name,
+    m.section,
+    m.tax_code,
+    m.account_id,
+    a.code AS account_code,
+    m.amount_basis,
+    m.sort_order,
+    m.status,
+    m.created_at,
+    m.updated_at
+ FROM kdv_return_box_mappings m
+ LEFT JOIN accounts a ON a.id = m.account_id`;
+
+async function fetchBoxMappingRow({ tenantId, mappingId, runQuery = query }) {
+  const result = await runQuery(
+    `${BOX_MAPPING_SELECT_SQL}
+     WHERE m.tenant_id = ?
+       AND m.id = ?
+     LIMIT 1`,
+    [tenantId, mappingId]
+  );
+  return result.rows?.[0] || null;
+}
+
+async function assertTaxCodeKnown({ tenantId, legalEntityId, taxCode, runQuery = query }) {
+  const result = await runQuery(
+    `SELECT id
+     FROM tax_codes
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, taxCode]
+  );
+  if (!result.rows?.[0]) {
+    throw badRequest(`taxCode ${taxCode} not found for legalEntityId`);
+  }
+}
+
+async function assertBoxMappingConsistent({
+  tenantId,
+  legalEntityId,
+  next,
+  excludeMappingId = null,
+  runQuery = query,
+}) {
+  const params = [tenantId, legalEntityId, next.boxCode];
+  let excludeSql = "";
+  if (excludeMappingId) {
+    excludeSql = "AND id <> ?";
+    params.push(excludeMappingId);
+  }
+  const result = await runQuery(
+    `SELECT id, section, tax_code, account_id, amount_basis, status
+     FROM kdv_return_box_mappings
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND box_code = ?
+       ${excludeSql}`,
+    params
+  );
+
+  for (const row of result.rows || []) {
+    if (String(row.section) !== next.section) {
+      throw badRequest(`boxCode ${next.boxCode} is already mapped under section ${row.section}`);
+    }
+    const sameMatcher =
+      (row.tax_code || null) === (next.taxCode || null) &&
+      parsePositiveInt(row.account_id) === parsePositiveInt(next.accountId) &&
+      String(row.amount_basis) === next.amountBasis;
+    if (sameMatcher && row.status === "ACTIVE" && next.status === "ACTIVE") {
+      throw badRequest(`boxCode ${next.boxCode} already has an ACTIVE mapping for this matcher`);
+    }
+  }
+}
+
+async function assertBoxMappingReferences({ tenantId, legalEntityId, next, runQuery = query }) {
+  if (!next.taxCode && !next.accountId) {
+    throw badRequest("taxCode or accountId is required");
+  }
+  if (next.taxCode) {
+    await assertTaxCodeKnown({ tenantId, legalEntityId, taxCode: next.taxCode, runQuery });
+  }
+  if (next.accountId) {
+    await assertTaxAccountUsable({
+      tenantId,
+      legalEntityId,
+      accountId: next.accountId,
+      fieldLabel: "accountId",
+      runQuery,
+    });
+  }
+}
+
+export async function resolveKdvBoxMappingScope(mappingId, tenantId) {
+  const parsedMappingId = parsePositiveInt(mappingId);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedMappingId || !parsedTenantId) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM kdv_return_box_mappings
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [parsedTenantId, parsedMappingId]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    return null;
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function listKdvBoxMappings({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["m.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "m.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("m.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.section) {
+    conditions.push("m.section = ?");
+    params.push(filters.section);
+  }
+  if (filters.status) {
+    conditions.push("m.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.taxCode) {
+    conditions.push("m.tax_code = ?");
+    params.push(filters.taxCode);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM kdv_return_box_mappings m
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const safeLimit =
+    Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset =
+    Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+
+  const result = await query(
+    `${BOX_MAPPING_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY m.legal_entity_id ASC, m.sort_order ASC, m.box_code ASC, m.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+
+  return {
+    rows: (result.rows || []).map(mapBoxMappingRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+export async function getKdvBoxMappingByIdForTenant({
+  req,
+  tenantId,
+  mappingId,
+  assertScopeAccess,
+}) {
+  const row = await fetchBoxMappingRow({ tenantId, mappingId });
+  if (!row) {
+    throw badRequest("KDV return box mapping not found");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "mappingId");
+  return mapBoxMappingRow(row);
+}
+
+export async function createKdvBoxMapping({ req, payload, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId, "legalEntityId");
+  assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+  await assertBoxMappingReferences({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    next: payload,
+  });
+  await assertBoxMappingConsistent({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    next: payload,
+  });
+
+  const insertResult = await query(
+    `INSERT INTO kdv_return_box_mappings (
+       tenant_id,
+       legal_entity_id,
+       box_code,
+       box_name,
+       section,
+       tax_code,
+       account_id,
+       amount_basis,
+       sort_order,
+       status,
+       created_by_user_id,
+       updated_by_user_id
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      payload.tenantId,
+      payload.legalEntityId,
+      payload.boxCode,
+      payload.boxName,
+      payload.section,
+      payload.taxCode,
+      payload.accountId,
+      payload.amountBasis,
+      payload.sortOrder,
+      payload.status,
+      payload.userId,
+      payload.userId,
+    ]
+  );
+  const mappingId = Number(insertResult.rows?.insertId || 0);
+  if (!Number.isInteger(mappingId) || mappingId <= 0) {
+    throw badRequest("Failed to create KDV return box mapping");
+  }
+
+  return getKdvBoxMappingByIdForTenant({
+    req,
+    tenantId: payload.tenantId,
+    mappingId,
+    assertScopeAccess,
+  });
+}
+
+export async function updateKdvBoxMappingById({ req, payload, assertScopeAccess }) {
+  const existing = await fetchBoxMappingRow({
+    tenantId: payload.tenantId,
+    mappingId: payload.mappingId,
+  });
+  if (!existing) {
+    throw badRequest("KDV return box mapping not found");
+  }
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "mappingId");
+
+  const next = {
+    boxCode: existing.box_code,
+    boxName: payload.boxName === undefined ? existing.box_name : payload.boxName,
+    section: payload.section === undefined ? existing.section : payload.section,
+    taxCode: payload.taxCode === undefined ? existing.tax_code || null : payload.taxCode,
+    accountId:
+      payload.accountId === undefined ? parsePositiveInt(existing.account_id) : payload.accountId,
+    amountBasis: payload.amountBasis === undefined ? existing.amount_basis : payload.amountBasis,
+    sortOrder: payload.sortOrder === undefined ? Number(existing.sort_order || 0) : payload.sortOrder,
+    status: payload.status === undefined ? existing.status : payload.status,
+  };
+
+  await assertBoxMappingReferences({ tenantId: payload.tenantId, legalEntityId, next });
+  await assertBoxMappingConsistent({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    next,
+    excludeMappingId: payload.mappingId,
+  });
+
+  await query(
+    `UPDATE kdv_return_box_mappings
+     SET box_name = ?,
+         section = ?,
+         tax_code = ?,
+         account_id = ?,
+         amount_basis = ?,
+         sort_order = ?,
+         status = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      next.boxName,
+      next.section,
+      next.taxCode,
+      next.accountId,
+      next.amountBasis,
+      next.sortOrder,
+      next.status,
+      payload.userId,
+      payload.tenantId,
+      payload.mappingId,
+    ]
+  );
+
+  return getKdvBoxMappingByIdForTenant({
+    req,
+    tenantId: payload.tenantId,
+    mappingId: payload.mappingId,
+    assertScopeAccess,
+  });
+}
+
+async function loadReportContext({ tenantId, bookId, fiscalPeriodId, runQuery = query }) {
+  const book = await assertBookBelongsToTenant(tenantId, bookId, "bookId");
+  const calendarId = parsePositiveInt(book.calendar_id);
+  await assertFiscalPeriodBelongsToCalendar(calendarId, fiscalPeriodId, "fiscalPeriodId");
+
+  const legalEntityId = parsePositiveInt(book.legal_entity_id);
+  if (!legalEntityId) {
+    throw badRequest("KDV return requires a book bound to a legal entity");
+  }
+
+  const periodResult = await runQuery(
+    `SELECT
+       fp.id,
+       fp.fiscal_year,
+       fp.period_no,
+       fp.period_name,
+       fp.start_date,
+       fp.end_date,
+       COALESCE(ps.status, 'OPEN') AS period_status
+     FROM fiscal_periods fp
+     LEFT JOIN period_statuses ps
+       ON ps.book_id = ?
+      AND ps.fiscal_period_id = fp.id
+     WHERE fp.calendar_id = ?
+       AND fp.end_date <= (
+         SELECT target.end_date FROM fiscal_periods target WHERE target.id = ?
+       )
+     ORDER BY fp.start_date ASC, fp.end_date ASC, fp.id ASC`,
+    [bookId, calendarId, fiscalPeriodId]
+  );
+  const periods = (periodResult.rows || []).map((row) => ({
+    id: parsePositiveInt(row.id),
+    fiscalYear: Number(row.fiscal_year),
+    periodNo: Number(row.period_no),
+    periodName: row.period_name || null,
+    startDate: toDateOnlyString(row.start_date),
+    endDate: toDateOnlyString(row.end_date),
+    status: String(row.period_status || "OPEN").toUpperCase(),
+  }));
+  const period = periods.find((row) => row.id === fiscalPeriodId);
+  if (!period) {
+    throw badRequest("fiscalPeriodId not found for calendar");
+  }
+  // Carry-forward only rolls from periods that end before this one starts.
+  const priorPeriods = periods.filter((row) => row.endDate < period.startDate);
+
+  const mappingResult = await runQuery(
+    `${BOX_MAPPING_SELECT_SQL}
+     WHERE m.tenant_id = ?
+       AND m.legal_entity_id = ?
+       AND m.status = 'ACTIVE'
+     ORDER BY m.sort_order ASC, m.box_code ASC, m.id ASC`,
+    [tenantId, legalEntityId]
+  );
+  const mappings = (mappingResult.rows || []).map(mapBoxMappingRow);
+
+  const taxAccountResult = await runQuery(
+    `SELECT code, input_account_id, output_account_id
+     FROM tax_codes
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?`,
+    [tenantId, legalEntityId]
+  );
+  const taxAccountsByCode = new Map();
+  for (const row of taxAccountResult.rows || []) {
+    const code = String(row.code || "");
+    const accounts = taxAccountsByCode.get(code) || { input: new Set(), output: new Set() };
+    const inputAccountId = parsePositiveInt(row.input_account_id);
+    const outputAccountId = parsePositiveInt(row.output_account_id);
+    if (inputAccountId) {
+      accounts.input.add(inputAccountId);
+    }
+    if (outputAccountId) {
+      accounts.output.add(outputAccountId);
+    }
+    taxAccountsByCode.set(code, accounts);
+  }
+
+  return {
+    book,
+    legalEntityId,
+    period,
+    priorPeriods,
+    mappings,
+    taxAccountsByCode,
+  };
+}
+
+function resolveLineBasis(taxAccountsByCode, taxCode, accountId) {
+  if (!taxCode) {
+    return null;
+  }
+  const accounts = taxAccountsByCode.get(taxCode);
+  return accounts?.input.has(accountId) || accounts?.output.has(accountId) ? "TAX" : "BASE";
+}
+
+// Net lines carry no VAT account, so the OUTPUT/INPUT side is resolved per journal and
+// tax code: cari direction first, then whichever VAT account the tax line hit. Untagged
+// lines (withholding accounts) take the side of their journal when it has only one.
+function resolveJournalTaxSides(taxAccountsByCode, lines) {
+  const sides = new Map();
+  const journalSides = new Map();
+  for (const line of lines) {
+    if (line.cariDirection === "AR" || line.cariDirection === "AP") {
+      journalSides.set(
+        line.journalEntryId,
+        new Set([line.cariDirection === "AR" ? "OUTPUT" : "INPUT"])
+      );
+    }
+    if (!line.taxCode) {
+      continue;
+    }
+    const key = `${line.journalEntryId}:${line.taxCode}`;
+    if (line.cariDirection === "AR" || line.cariDirection === "AP") {
+      sides.set(key, line.cariDirection === "AR" ? "OUTPUT" : "INPUT");
+      continue;
+    }
+    if (sides.has(key)) {
+      continue;
+    }
+    const accounts = taxAccountsByCode.get(line.taxCode);
+    if (accounts?.output.has(line.accountId)) {
+      sides.set(key, "OUTPUT");
+    } else if (accounts?.input.has(line.accountId)) {
+      sides.set(key, "INPUT");
+    }
+  }
+  for (const [key, side] of sides.entries()) {
+    const journalEntryId = Number(key.split(":")[0]);
+    if (!journalSides.has(journalEntryId)) {
+      journalSides.set(journalEntryId, new Set());
+    }
+    journalSides.get(journalEntryId).add(side);
+  }
+  for (const line of lines) {
+    if (line.taxCode) {
+      line.side = sides.get(`${line.journalEntryId}:${line.taxCode}`) || null;
+      continue;
+    }
+    const journalSide = journalSides.get(line.journalEntryId);
+    line.side = journalSide?.size === 1 ? [...journalSide][0] : null;
+  }
+  return lines;
+}
+
+function mappingMatchesLine(mapping, line) {
+  if (mapping.taxCode && mapping.taxCode !== line.taxCode) {
+    return false;
+  }
+  if (mapping.accountId) {
+    return mapping.accountId === line.accountId;
+  }
+  if (mapping.section !== "WITHHOLDING" && mapping.section !== line.side) {
+    return false;
+  }
+  return mapping.amountBasis === line.basis;
+}
+
+// VAT withheld by a customer on a sale (OUTPUT side) is a debit on the withholding account;
+// VAT withheld on a purchase (sorumlu sifatiyla, INPUT side or manual) is a credit.
+function isSalesWithholding(section, side) {
+  return section === "WITHHOLDING" && side === "OUTPUT";
+}
+
+function signedAmountForSection(section, debitBase, creditBase, side = null) {
+  return section === "INPUT" || isSalesWithholding(section, side)
+    ? roundAmount(debitBase - creditBase)
+    : roundAmount(creditBase - debitBase);
+}
+
+function buildLineCandidateSql(mappings, params) {
+  const mappedAccountIds = [
+    ...new Set(mappings.map((mapping) => mapping.accountId).filter(Boolean)),
+  ];
+  if (mappedAccountIds.length === 0) {
+    return "jl.tax_code IS NOT NULL";
+  }
+  params.push(...mappedAccountIds);
+  return `(jl.tax_code IS NOT NULL OR jl.account_id IN (${mappedAccountIds
+    .map(() => "?")
+    .join(", ")}))`;
+}
+
+function summarizeBoxes(context, lineGroups) {
+  const boxesByCode = new Map();
+  for (const mapping of context.mappings) {
+    if (!boxesByCode.has(mapping.boxCode)) {
+      boxesByCode.set(mapping.boxCode, {
+        boxCode: mapping.boxCode,
+        boxName: mapping.boxName,
+        section: mapping.section,
+        sortOrder: mapping.sortOrder,
+        baseAmount: 0,
+        taxAmount: 0,
+        taxCodes: new Set(),
+      });
+    }
+  }
+
+  const unmapped = [];
+  const withholding = { sales: 0, purchase: 0 };
+  for (const line of lineGroups) {
+    // Each box counts a line group once even when several of its mappings match it.
+    const matchedBoxes = new Map();
+    for (const mapping of context.mappings) {
+      if (mappingMatchesLine(mapping, line) && !matchedBoxes.has(mapping.boxCode)) {
+        matchedBoxes.set(mapping.boxCode, mapping);
+      }
+    }
+    if (matchedBoxes.size === 0) {
+      unmapped.push(line);
+      continue;
+    }
+    for (const mapping of matchedBoxes.values()) {
+      const box = boxesByCode.get(mapping.boxCode);
+      const amount = signedAmountForSection(
+        box.section,
+        line.debitBase,
+        line.creditBase,
+        line.side
+      );
+      if (mapping.amountBasis === "BASE") {
+        box.baseAmount = roundAmount(box.baseAmount + amount);
+      } else {
+        box.taxAmount = roundAmount(box.taxAmount + amount);
+        if (box.section === "WITHHOLDING") {
+          const kind = isSalesWithholding(box.section, line.side) ? "sales" : "purchase";
+          withholding[kind] = roundAmount(withholding[kind] + amount);
+        }
+      }
+      if (line.taxCode) {
+        box.taxCodes.add(line.taxCode);
+      }
+    }
+  }
+
+  const boxes = [...boxesByCode.values()]
+    .map((box) => ({ ...box, taxCodes: [...box.taxCodes].sort() }))
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.boxCode.localeCompare(b.boxCode));
+
+  const totals = {
+    outputTax: 0,
+    inputTax: 0,
+    withholdingTax: withholding.purchase,
+    salesWithholdingTax: withholding.sales,
+  };
+  for (const box of boxes) {
+    if (box.section === "OUTPUT") {
+      totals.outputTax = roundAmount(totals.outputTax + box.taxAmount);
+    } else if (box.section === "INPUT") {
+      totals.inputTax = roundAmount(totals.inputTax + box.taxAmount);
+    }
+  }
+
+  return { boxes, unmapped, totals };
+}
+
+async function loadLineGroupsByPeriod({ tenantId, context, runQuery = query }) {
+  const periodIds = [...context.priorPeriods, context.period].map((row) => row.id);
+  // REVERSED originals stay in scope; their POSTED reversal journals offset them.
+  const params = [tenantId, context.book.id, ...periodIds];
+  const matcherSql = buildLineCandidateSql(context.mappings, params);
+
+  const result = await runQuery(
+    `SELECT
+       je.fiscal_period_id,
+       je.id AS journal_entry_id,
+       jl.tax_code,
+       jl.account_id,
+       a.code AS account_code,
+       cd.direction AS cari_direction,
+       SUM(jl.debit_base) AS debit_total,
+       SUM(jl.credit_base) AS credit_total
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     JOIN accounts a ON a.id = jl.account_id
+     LEFT JOIN cari_documents cd
+       ON cd.tenant_id = je.tenant_id
+      AND cd.posted_journal_entry_id = je.id
+     WHERE je.tenant_id = ?
+       AND je.book_id = ?
+       AND je.fiscal_period_id IN (${periodIds.map(() => "?").join(", ")})
+       AND je.status IN ('POSTED', 'REVERSED')
+       AND ${matcherSql}
+     GROUP BY je.fiscal_period_id, je.id, jl.tax_code, jl.account_id, a.code, cd.direction`,
+    params
+  );
+
+  const lines = resolveJournalTaxSides(
+    context.taxAccountsByCode,
+    (result.rows || []).map((row) => {
+      const taxCode = row.tax_code || null;
+      const accountId = parsePositiveInt(row.account_id);
+      return {
+        periodId: parsePositiveInt(row.fiscal_period_id),
+        journalEntryId: parsePositiveInt(row.journal_entry_id),
+        taxCode,
+        accountId,
+        accountCode: row.account_code || null,
+        cariDirection: row.cari_direction || null,
+        basis: resolveLineBasis(context.taxAccountsByCode, taxCode, accountId),
+        debitBase: roundAmount(row.debit_total),
+        creditBase: roundAmount(row.credit_total),
+      };
+    })
+  );
+
+  // Collapse journal-level rows into one group per period/code/account/side/basis.
+  const groupsByPeriodId = new Map();
+  for (const line of lines) {
+    const groups = groupsByPeriodId.get(line.periodId) || new Map();
+    const key = [line.taxCode, line.accountId, line.side, line.basis].join("|");
+    const group = groups.get(key) || {
+      taxCode: line.taxCode,
+      accountId: line.accountId,
+      accountCode: line.accountCode,
+      side: line.side,
+      basis: line.basis,
+      debitBase: 0,
+      creditBase: 0,
+    };
+    group.debitBase = roundAmount(group.debitBase + line.debitBase);
+    group.creditBase = roundAmount(group.creditBase + line.creditBase);
+    groups.set(key, group);
+    groupsByPeriodId.set(line.periodId, groups);
+  }
+  return new Map(
+    [...groupsByPeriodId.entries()].map(([periodId, groups]) => [periodId, [...groups.values()]])
+  );
+}
+
+// The buyer pays the withheld part of a sale, so it leaves the seller's payable output VAT.
+// VAT withheld on purchases is declared and paid on KDV-2; its deduction already sits in
+// the INPUT boxes with the full invoice VAT, so it does not move the KDV-1 position.
+function settlePeriod(totals, carryForwardIn) {
+  const netPosition = roundAmount(
+    totals.outputTax - totals.salesWithholdingTax - totals.inputTax - carryForwardIn
+  );
+  return {
+    netPosition,
+    payableTax: netPosition > 0 ? netPosition : 0,
+    carryForwardOut: netPosition < 0 ? roundAmount(-netPosition) : 0,
+  };
+}
+
+export async function getKdvReturnReport({
+  req,
+  tenantId,
+  bookId,
+  fiscalPeriodId,
+  assertScopeAccess,
+  runQuery = query,
+}) {
+  const context = await loadReportContext({ tenantId, bookId, fiscalPeriodId, runQuery });
+  assertScopeAccess(req, "legal_entity", context.legalEntityId, "bookId");
+
+  const groupsByPeriodId = await loadLineGroupsByPeriod({ tenantId, context, runQuery });
+
+  let carryForwardIn = 0;
+  let carryForwardIsFinal = true;
+  for (const priorPeriod of context.priorPeriods) {
+    const { totals } = summarizeBoxes(context, groupsByPeriodId.get(priorPeriod.id) || []);
+    carryForwardIn = settlePeriod(totals, carryForwardIn).carryForwardOut;
+    if (!FINAL_PERIOD_STATUSES.has(priorPeriod.status)) {
+      carryForwardIsFinal = false;
+    }
+  }
+
+  const { boxes, unmapped, totals } = summarizeBoxes(
+    context,
+    groupsByPeriodId.get(context.period.id) || []
+  );
+  const settlement = settlePeriod(totals, carryForwardIn);
+  const isFinal = FINAL_PERIOD_STATUSES.has(context.period.status);
+
+  return {
+    bookId,
+    legalEntityId: context.legalEntityId,
+    currencyCode: context.book.base_currency_code || null,
+    period: context.period,
+    periodStatus: context.period.status,
+    isFinal,
+    carryForwardIsFinal,
+    summary: {
+      outputTax: totals.outputTax,
+      inputTax: totals.inputTax,
+      carryForwardIn,
+      netPosition: settlement.netPosition,
+      payableTax: settlement.payableTax,
+      carryForwardOut: settlement.carryForwardOut,
+      withholdingTax: totals.withholdingTax,
+      salesWithholdingTax: totals.salesWithholdingTax,
+    },
+    boxes,
+    unmappedRows: unmapped,
+  };
+}
+
+export function buildKdvReturnCsv(report) {
+  const header = ["section", "box_code", "box_name", "base_amount", "tax_amount", "tax_codes"];
+  const rows = report.boxes.map((box) => [
+    box.section,
+    box.boxCode,
+    box.boxName,
+    box.baseAmount.toFixed(2),
+    box.taxAmount.toFixed(2),
+    box.taxCodes.join(" "),
+  ]);
+  for (const [key, value] of Object.entries(report.summary)) {
+    rows.push(["SUMMARY", key, "", "", Number(value || 0).toFixed(2), ""]);
+  }
+  rows.push(["SUMMARY", "periodStatus", report.periodStatus, "", "", ""]);
+  rows.push(["SUMMARY", "isFinal", String(report.isFinal), "", "", ""]);
+  for (const line of report.unmappedRows) {
+    rows.push([
+      "UNMAPPED",
+      line.taxCode || "",
+      line.accountCode || "",
+      line.debitBase.toFixed(2),
+      line.creditBase.toFixed(2),
+      [line.side, line.basis].filter(Boolean).join(" "),
+    ]);
+  }
+  return toCsv(header, rows);
+}
+
+function parseCariDocumentIdFromReference(referenceNo) {
+  const text = String(referenceNo || "");
+  for (const prefix of CARI_SUBLEDGER_REFERENCE_PREFIXES) {
+    if (text.startsWith(prefix)) {
+      return parsePositiveInt(text.slice(prefix.length));
+    }
+  }
+  return null;
+}
+
+export async function listKdvReturnLines({
+  req,
+  tenantId,
+  filters,
+  assertScopeAccess,
+  runQuery = query,
+}) {
+  const context = await loadReportContext({
+    tenantId,
+    bookId: filters.bookId,
+    fiscalPeriodId: filters.fiscalPeriodId,
+    runQuery,
+  });
+  assertScopeAccess(req, "legal_entity", context.legalEntityId, "bookId");
+
+  let mappings = context.mappings;
+  if (filters.boxCode) {
+    mappings = mappings.filter((mapping) => mapping.boxCode === filters.boxCode);
+    if (mappings.length === 0) {
+      throw badRequest(`boxCode ${filters.boxCode} has no ACTIVE mapping for legal entity`);
+    }
+  }
+
+  const params = [tenantId, filters.bookId, filters.fiscalPeriodId];
+  const conditions = [
+    "je.tenant_id = ?",
+    "je.book_id = ?",
+    "je.fiscal_period_id = ?",
+    "je.status IN ('POSTED', 'REVERSED')",
+  ];
+  conditions.push(buildLineCandidateSql(context.mappings, params));
+  if (filters.taxCode) {
+    conditions.push("jl.tax_code = ?");
+    params.push(filters.taxCode);
+  }
+
+  const result = await runQuery(
+    `SELECT
+       jl.id AS journal_line_id,
+       jl.line_no,
+       jl.tax_code,
+       jl.account_id,
+       a.code AS account_code,
+       a.name AS account_name,
+       jl.description,
+       jl.subledger_reference_no,
+       jl.debit_base,
+       jl.credit_base,
+       je.id AS journal_entry_id,
+       je.journal_no,
+       je.entry_date,
+       je.source_type,
+       cd.id AS cari_document_id,
+       cd.document_no AS cari_document_no,
+       cd.document_type AS cari_document_type,
+       cd.direction AS cari_direction,
+       cd.counterparty_code_snapshot,
+       cd.counterparty_name_snapshot
+     FROM journal_entries je
+     JOIN journal_lines jl ON jl.journal_entry_id = je.id
+     JOIN accounts a ON a.id = jl.account_id
+     LEFT JOIN cari_documents cd
+       ON cd.tenant_id = je.tenant_id
+      AND cd.posted_journal_entry_id = je.id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY je.entry_date ASC, je.id ASC, jl.line_no ASC`,
+    params
+  );
+
+  const lines = resolveJournalTaxSides(
+    context.taxAccountsByCode,
+    (result.rows || []).map((row) => {
+      const taxCode = row.tax_code || null;
+      const accountId = parsePositiveInt(row.account_id);
+      return {
+        row,
+        journalEntryId: parsePositiveInt(row.journal_entry_id),
+        taxCode,
+        accountId,
+        cariDirection: row.cari_direction || null,
+        basis: resolveLineBasis(context.taxAccountsByCode, taxCode, accountId),
+      };
+    })
+  );
+
+  const rows = [];
+  for (const line of lines) {
+    const { row } = line;
+    const matchedMappings = mappings.filter((mapping) => mappingMatchesLine(mapping, line));
+    if (filters.boxCode && matchedMappings.length === 0) {
+      continue;
+    }
+
+    rows.push({
+      journalLineId: parsePositiveInt(row.journal_line_id),
+      journalEntryId: parsePositiveInt(row.journal_entry_id),
+      journalNo: row.journal_no,
+      entryDate: toDateOnlyString(row.entry_date),
+      sourceType: row.source_type,
+      lineNo: Number(row.line_no),
+      taxCode: line.taxCode,
+      side: line.side,
+      basis: line.basis,
+      accountId: line.accountId,
+      accountCode: row.account_code,
+      accountName: row.account_name,
+      description: row.description || null,
+      subledgerReferenceNo: row.subledger_reference_no || null,
+      debitBase: roundAmount(row.debit_base),
+      creditBase: roundAmount(row.credit_base),
+      boxCodes: [...new Set(matchedMappings.map((mapping) => mapping.boxCode))],
+      cariDocumentId:
+        parsePositiveInt(row.cari_document_id) ||
+        parseCariDocumentIdFromReference(row.subledger_reference_no),
+      cariDocumentNo: row.cari_document_no || null,
+      cariDocumentType: row.cari_document_type || null,
+      cariDirection: row.cari_direction || null,
+      counterpartyCode: row.counterparty_code_snapshot || null,
+      counterpartyName: row.counterparty_name_snapshot || null,
+    });
+  }
+
+  const total = rows.length;
+  return {
+    bookId: filters.bookId,
+    legalEntityId: context.legalEntityId,
+    period: context.period,
+    isFinal: FINAL_PERIOD_STATUSES.has(context.period.status),
+    rows: rows.slice(filters.offset, filters.offset + filters.limit),
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export function buildKdvReturnLinesCsv(result) {
+  const header = [
+    "journal_no",
+    "entry_date",
+    "line_no",
+    "tax_code",
+    "side",
+    "basis",
+    "account_code",
+    "debit_base",
+    "credit_base",
+    "box_codes",
+    "cari_document_no",
+    "cari_document_type",
+    "counterparty_code",
+    "counterparty_name",
+  ];
+  const rows = result.rows.map((row) => [
+    row.journalNo,
+    row.entryDate,
+    row.lineNo,
+    row.taxCode || "",
+    row.side || "",
+    row.basis || "",
+    row.accountCode,
+    row.debitBase.toFixed(2),
+    row.creditBase.toFixed(2),
+    row.boxCodes.join(" "),
+    row.cariDocumentNo || "",
+    row.cariDocumentType || "",
+    row.counterpartyCode || "",
+    row.counterpartyName || "",
+  ]);
+  return toCsv(header, rows);
+}
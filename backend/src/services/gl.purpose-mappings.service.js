@@ -21,9 +21,20 @@ const CARI_CONTEXT_PURPOSE_CODES = Object.freeze([
   "CARI_AP_CONTROL_ON_ACCOUNT",
   "CARI_AP_OFFSET_ON_ACCOUNT",
 ]);
+const CARI_PORTFOLIO_PURPOSE_CODES = Object.freeze([
+  "CARI_PORTFOLIO_CHEQUE_RECEIVED",
+  "CARI_PORTFOLIO_CHEQUE_IN_COLLECTION",
+  "CARI_PORTFOLIO_CHEQUE_COLLATERAL",
+  "CARI_PORTFOLIO_CHEQUE_ISSUED",
+  "CARI_PORTFOLIO_NOTE_RECEIVED",
+  "CARI_PORTFOLIO_NOTE_IN_COLLECTION",
+  "CARI_PORTFOLIO_NOTE_COLLATERAL",
+  "CARI_PORTFOLIO_NOTE_ISSUED",
+]);
 const CARI_PURPOSE_CODES = Object.freeze([
   ...CARI_REQUIRED_PURPOSE_CODES,
   ...CARI_CONTEXT_PURPOSE_CODES,
+  ...CARI_PORTFOLIO_PURPOSE_CODES,
 ]);
 const CARI_PURPOSE_CODE_SET = new Set(CARI_PURPOSE_CODES);
 const SHAREHOLDER_PURPOSE_PREFIX = "SHAREHOLDER_";
@@ -0,0 +1,533 @@
+import { query } from "../db.js";
+import { assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+const AMOUNT_PRECISION_SCALE = 6;
+const TAX_TYPE_VAT_EXEMPT = "VAT_EXEMPT";
+
+function toDbBoolean(value) {
+  return value === true || Number(value) === 1;
+}
+
+function toDecimalNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toDateOnlyString(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      return null;
+    }
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function roundAmount(value) {
+  return Number(Number(value || 0).toFixed(AMOUNT_PRECISION_SCALE));
+}
+
+// VAT is invoiced, posted and declared in kuruş, so tax amounts use currency precision.
+export function roundTaxAmount(value) {
+  return Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+function mapTaxCodeRow(row) {
+  return {
+    id: parsePositiveInt(row.id),
+    tenantId: parsePositiveInt(row.tenant_id),
+    legalEntityId: parsePositiveInt(row.legal_entity_id),
+    code: row.code,
+    name: row.name,
+    taxType: row.tax_type,
+    ratePct: toDecimalNumber(row.rate_pct),
+    deductiblePct: toDecimalNumber(row.deductible_pct),
+    inputAccountId: parsePositiveInt(row.input_account_id),
+    inputAccountCode: row.input_account_code || null,
+    outputAccountId: parsePositiveInt(row.output_account_id),
+    outputAccountCode: row.output_account_code || null,
+    effectiveFrom: toDateOnlyString(row.effective_from),
+    effectiveTo: toDateOnlyString(row.effective_to),
+    status: row.status,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+const TAX_CODE_SELECT_SQL = `SELECT
+    tc.id,
+    tc.tenant_id,
+    tc.legal_entity_id,
+    tc.code,
+    tc.name,
+    tc.tax_type,
+    tc.rate_pct,
+    tc.deductible_pct,
+    tc.input_account_id,
+    ia.code AS input_account_code,
+    tc.output_account_id,
+    oa.code AS output_account_code,
+    tc.effective_from,
+    tc.effective_to,
+    tc.status,
+    tc.created_at,
+    tc.updated_at
+ FROM tax_codes tc
+ LEFT JOIN accounts ia ON ia.id = tc.input_account_id
+ LEFT JOIN accounts oa ON oa.id = tc.output_account_id`;
+
+async function fetchTaxCodeRow({ tenantId, taxCodeId, runQuery = query }) {
+  const result = await runQuery(
+    `${TAX_CODE_SELECT_SQL}
+     WHERE tc.tenant_id = ?
+       AND tc.id = ?
+     LIMIT 1`,
+    [tenantId, taxCodeId]
+  );
+  return result.rows?.[0] || null;
+}
+
+export async function assertTaxAccountUsable({
+  tenantId,
+  legalEntityId,
+  accountId,
+  fieldLabel,
+  runQuery = query,
+}) {
+  const result = await runQuery(
+    `SELECT
+       a.id,
+       a.code,
+       a.is_active,
+       a.allow_posting,
+       c.scope AS coa_scope,
+       c.legal_entity_id AS coa_legal_entity_id
+     FROM accounts a
+     JOIN charts_of_accounts c ON c.id = a.coa_id
+     WHERE a.id = ?
+       AND c.tenant_id = ?
+     LIMIT 1`,
+    [accountId, tenantId]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    throw badRequest(`${fieldLabel} not found for tenant`);
+  }
+  if (String(row.coa_scope || "").toUpperCase() !== "LEGAL_ENTITY") {
+    throw badRequest(`${fieldLabel} must belong to a LEGAL_ENTITY chart`);
+  }
+  if (parsePositiveInt(row.coa_legal_entity_id) !== parsePositiveInt(legalEntityId)) {
+    throw badRequest(`${fieldLabel} must belong to legalEntityId`);
+  }
+  if (!toDbBoolean(row.is_active)) {
+    throw badRequest(`${fieldLabel} must reference an ACTIVE account`);
+  }
+  if (!toDbBoolean(row.allow_posting)) {
+    throw badRequest(`${fieldLabel} must reference a postable account`);
+  }
+  return {
+    id: parsePositiveInt(row.id),
+    code: row.code || null,
+  };
+}
+
+function assertTaxCodeShape({ taxType, ratePct, inputAccountId, outputAccountId }) {
+  if (taxType === TAX_TYPE_VAT_EXEMPT) {
+    if (Number(ratePct) !== 0) {
+      throw badRequest("ratePct must be 0 for taxType=VAT_EXEMPT");
+    }
+    return;
+  }
+  if (Number(ratePct) > 0 && !inputAccountId && !outputAccountId) {
+    throw badRequest("inputAccountId or outputAccountId is required when ratePct > 0");
+  }
+}
+
+async function assertNoOverlappingVersion({
+  tenantId,
+  legalEntityId,
+  code,
+  effectiveFrom,
+  effectiveTo,
+  excludeTaxCodeId = null,
+  runQuery = query,
+}) {
+  const params = [tenantId, legalEntityId, code, effectiveTo || "9999-12-31", effectiveFrom];
+  let excludeSql = "";
+  if (excludeTaxCodeId) {
+    excludeSql = "AND id <> ?";
+    params.push(excludeTaxCodeId);
+  }
+  const result = await runQuery(
+    `SELECT id
+     FROM tax_codes
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND code = ?
+       AND effective_from <= ?
+       AND COALESCE(effective_to, '9999-12-31') >= ?
+       ${excludeSql}
+     LIMIT 1`,
+    params
+  );
+  if (result.rows?.[0]) {
+    throw badRequest(`Tax code ${code} already has a version overlapping the effective range`);
+  }
+}
+
+async function assertTaxCodeAccounts({ tenantId, legalEntityId, payload, runQuery = query }) {
+  if (payload.inputAccountId) {
+    await assertTaxAccountUsable({
+      tenantId,
+      legalEntityId,
+      accountId: payload.inputAccountId,
+      fieldLabel: "inputAccountId",
+      runQuery,
+    });
+  }
+  if (payload.outputAccountId) {
+    await assertTaxAccountUsable({
+      tenantId,
+      legalEntityId,
+      accountId: payload.outputAccountId,
+      fieldLabel: "outputAccountId",
+      runQuery,
+    });
+  }
+}
+
+export async function resolveTaxCodeScope(taxCodeId, tenantId) {
+  const parsedTaxCodeId = parsePositiveInt(taxCodeId);
+  const parsedTenantId = parsePositiveInt(tenantId);
+  if (!parsedTaxCodeId || !parsedTenantId) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT legal_entity_id
+     FROM tax_codes
+     WHERE tenant_id = ?
+       AND id = ?
+     LIMIT 1`,
+    [parsedTenantId, parsedTaxCodeId]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    return null;
+  }
+  return {
+    scopeType: "LEGAL_ENTITY",
+    scopeId: parsePositiveInt(row.legal_entity_id),
+  };
+}
+
+export async function listTaxCodes({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["tc.tenant_id = ?"];
+  conditions.push(buildScopeFilter(req, "legal_entity", "tc.legal_entity_id", params));
+
+  if (filters.legalEntityId) {
+    assertScopeAccess(req, "legal_entity", filters.legalEntityId, "legalEntityId");
+    conditions.push("tc.legal_entity_id = ?");
+    params.push(filters.legalEntityId);
+  }
+  if (filters.status) {
+    conditions.push("tc.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.taxType) {
+    conditions.push("tc.tax_type = ?");
+    params.push(filters.taxType);
+  }
+  if (filters.asOfDate) {
+    conditions.push("tc.effective_from <= ?");
+    conditions.push("(tc.effective_to IS NULL OR tc.effective_to >= ?)");
+    params.push(filters.asOfDate, filters.asOfDate);
+  }
+  if (filters.q) {
+    conditions.push("(tc.code LIKE ? OR tc.name LIKE ?)");
+    params.push(`%${filters.q}%`, `%${filters.q}%`);
+  }
+
+  const whereSql = conditions.join(" AND ");
+  const totalResult = await query(
+    `SELECT COUNT(*) AS row_count
+     FROM tax_codes tc
+     WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(totalResult.rows?.[0]?.row_count || 0);
+
+  const safeLimit =
+    Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset =
+    Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+
+  const result = await query(
+    `${TAX_CODE_SELECT_SQL}
+     WHERE ${whereSql}
+     ORDER BY tc.code ASC, tc.effective_from DESC, tc.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+
+  return {
+    rows: (result.rows || []).map(mapTaxCodeRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset,
+  };
+}
+
+export async function getTaxCodeByIdForTenant({
+  req,
+  tenantId,
+  taxCodeId,
+  assertScopeAccess,
+}) {
+  const row = await fetchTaxCodeRow({ tenantId, taxCodeId });
+  if (!row) {
+    throw badRequest("Tax code not found");
+  }
+  assertScopeAccess(req, "legal_entity", row.legal_entity_id, "taxCodeId");
+  return mapTaxCodeRow(row);
+}
+
+export async function createTaxCode({ req, payload, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(payload.tenantId, payload.legalEntityId, "legalEntityId");
+  assertScopeAccess(req, "legal_entity", payload.legalEntityId, "legalEntityId");
+  assertTaxCodeShape(payload);
+  await assertTaxCodeAccounts({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    payload,
+  });
+  await assertNoOverlappingVersion({
+    tenantId: payload.tenantId,
+    legalEntityId: payload.legalEntityId,
+    code: payload.code,
+    effectiveFrom: payload.effectiveFrom,
+    effectiveTo: payload.effectiveTo,
+  });
+
+  let taxCodeId = 0;
+  try {
+    const insertResult = await query(
+      `INSERT INTO tax_codes (
+         tenant_id,
+         legal_entity_id,
+         code,
+         name,
+         tax_type,
+         rate_pct,
+         deductible_pct,
+         input_account_id,
+         output_account_id,
+         effective_from,
+         effective_to,
+         status,
+         created_by_user_id,
+         updated_by_user_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.tenantId,
+        payload.legalEntityId,
+        payload.code,
+        payload.name,
+        payload.taxType,
+        payload.ratePct,
+        payload.deductiblePct,
+        payload.inputAccountId,
+        payload.outputAccountId,
+        payload.effectiveFrom,
+        payload.effectiveTo,
+        payload.status,
+        payload.userId,
+        payload.userId,
+      ]
+    );
+    taxCodeId = Number(insertResult.rows?.insertId || 0);
+  } catch (error) {
+    const code = Number(error?.errno || 0);
+    const message = String(error?.message || "").toLowerCase();
+    if (code === 1062 || message.includes("duplicate")) {
+      throw badRequest("Tax code version already exists for legalEntityId and effectiveFrom");
+    }
+    throw error;
+  }
+
+  if (!Number.isInteger(taxCodeId) || taxCodeId <= 0) {
+    throw badRequest("Failed to create tax code");
+  }
+
+  return getTaxCodeByIdForTenant({
+    req,
+    tenantId: payload.tenantId,
+    taxCodeId,
+    assertScopeAccess,
+  });
+}
+
+export async function updateTaxCodeById({ req, payload, assertScopeAccess }) {
+  const existing = await fetchTaxCodeRow({
+    tenantId: payload.tenantId,
+    taxCodeId: payload.taxCodeId,
+  });
+  if (!existing) {
+    throw badRequest("Tax code not found");
+  }
+  const legalEntityId = parsePositiveInt(existing.legal_entity_id);
+  assertScopeAccess(req, "legal_entity", legalEntityId, "taxCodeId");
+
+  const next = {
+    name: payload.name === undefined ? existing.name : payload.name,
+    taxType: payload.taxType === undefined ? existing.tax_type : payload.taxType,
+    ratePct: payload.ratePct === undefined ? existing.rate_pct : payload.ratePct,
+    deductiblePct:
+      payload.deductiblePct === undefined ? existing.deductible_pct : payload.deductiblePct,
+    inputAccountId:
+      payload.inputAccountId === undefined
+        ? parsePositiveInt(existing.input_account_id)
+        : payload.inputAccountId,
+    outputAccountId:
+      payload.outputAccountId === undefined
+        ? parsePositiveInt(existing.output_account_id)
+        : payload.outputAccountId,
+    effectiveFrom:
+      payload.effectiveFrom === undefined
+        ? toDateOnlyString(existing.effective_from)
+        : payload.effectiveFrom,
+    effectiveTo:
+      payload.effectiveTo === undefined
+        ? toDateOnlyString(existing.effective_to)
+        : payload.effectiveTo,
+    status: payload.status === undefined ? existing.status : payload.status,
+  };
+  if (next.effectiveTo && next.effectiveTo < next.effectiveFrom) {
+    throw badRequest("effectiveTo cannot be earlier than effectiveFrom");
+  }
+
+  assertTaxCodeShape(next);
+  await assertTaxCodeAccounts({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    payload: {
+      inputAccountId: payload.inputAccountId === undefined ? null : next.inputAccountId,
+      outputAccountId: payload.outputAccountId === undefined ? null : next.outputAccountId,
+    },
+  });
+  await assertNoOverlappingVersion({
+    tenantId: payload.tenantId,
+    legalEntityId,
+    code: existing.code,
+    effectiveFrom: next.effectiveFrom,
+    effectiveTo: next.effectiveTo,
+    excludeTaxCodeId: payload.taxCodeId,
+  });
+
+  await query(
+    `UPDATE tax_codes
+     SET name = ?,
+         tax_type = ?,
+         rate_pct = ?,
+         deductible_pct = ?,
+         input_account_id = ?,
+         output_account_id = ?,
+         effective_from = ?,
+         effective_to = ?,
+         status = ?,
+         updated_by_user_id = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [
+      next.name,
+      next.taxType,
+      next.ratePct,
+      next.deductiblePct,
+      next.inputAccountId,
+      next.outputAccountId,
+      next.effectiveFrom,
+      next.effectiveTo,
+      next.status,
+      payload.userId,
+      payload.tenantId,
+      payload.taxCodeId,
+    ]
+  );
+
+  return getTaxCodeByIdForTenant({
+    req,
+    tenantId: payload.tenantId,
+    taxCodeId: payload.taxCodeId,
+    assertScopeAccess,
+  });
+}
+
+export async function resolveEffectiveTaxCode({
+  tenantId,
+  legalEntityId,
+  code,
+  asOfDate,
+  runQuery = query,
+}) {
+  const normalizedCode = String(code || "")
+    .trim()
+    .toUpperCase();
+  if (!normalizedCode) {
+    throw badRequest("taxCode is required");
+  }
+
+  const result = await runQuery(
+    `${TAX_CODE_SELECT_SQL}
+     WHERE tc.tenant_id = ?
+       AND tc.legal_entity_id = ?
+       AND tc.code = ?
+       AND tc.status = 'ACTIVE'
+       AND tc.effective_from <= ?
+       AND (tc.effective_to IS NULL OR tc.effective_to >= ?)
+     ORDER BY tc.effective_from DESC, tc.id DESC
+     LIMIT 1`,
+    [tenantId, legalEntityId, normalizedCode, asOfDate, asOfDate]
+  );
+  const row = result.rows?.[0] || null;
+  if (!row) {
+    throw badRequest(`taxCode ${normalizedCode} has no ACTIVE version effective on ${asOfDate}`);
+  }
+  return mapTaxCodeRow(row);
+}
+
+export function splitGrossAmountByTaxRate(grossAmount, ratePct, deductiblePct = 100) {
+  const gross = roundAmount(grossAmount);
+  const rateFraction = Number(ratePct || 0) / 100;
+  if (!Number.isFinite(rateFraction) || rateFraction < 0 || rateFraction >= 1) {
+    throw badRequest("Tax rate must be >= 0 and < 100");
+  }
+
+  const taxAmount = roundTaxAmount(gross - gross / (1 + rateFraction));
+  // Net is the residual so net + tax always ties back to the gross amount.
+  const netAmount = roundAmount(gross - taxAmount);
+  const deductibleFraction = Math.min(Math.max(Number(deductiblePct ?? 100), 0), 100) / 100;
+  const deductibleTaxAmount = roundTaxAmount(taxAmount * deductibleFraction);
+  return {
+    netAmount,
+    taxAmount,
+    deductibleTaxAmount,
+    nonDeductibleTaxAmount: roundTaxAmount(taxAmount - deductibleTaxAmount),
+  };
+}
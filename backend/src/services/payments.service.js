@@ -6,6 +6,7 @@ import {
   assertLegalEntityBelongsToTenant,
 } from "../tenantGuards.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { getBankPaymentFileFormat } from "./bankPaymentFileFormats/index.js";
 
 const ACTIVE_BATCH_STATUSES = ["DRAFT", "APPROVED", "EXPORTED", "POSTED"];
 
@@ -225,6 +226,10 @@ async function findPaymentBatchHeaderById({ tenantId, batchId, runQuery = query
         ba.name AS bank_account_name,
         ba.gl_account_id AS bank_gl_account_id,
         ba.currency_code AS bank_account_currency_code,
+        ba.iban AS bank_account_iban,
+        ba.swift_bic AS bank_account_swift_bic,
+        ba.payment_file_format_code AS bank_account_payment_file_format_code,
+        ba.payment_charge_bearer AS bank_account_payment_charge_bearer,
         le.code AS legal_entity_code,
         le.name AS legal_entity_name
      FROM payment_batches pb
@@ -365,6 +370,7 @@ async function listPaymentBatchExportsByBatchId({ tenantId, batchId, runQuery =
         e.export_request_id,
         e.export_format,
         e.bank_file_format_code,
+        e.requested_execution_date,
         e.export_status,
         e.file_name,
         e.file_checksum,
@@ -528,7 +534,48 @@ async function nextPaymentBatchNo({ tenantId, legalEntityId, runQuery = query })
   return `PB-${String(legalEntityId)}-${String(nextSeq).padStart(6, "0")}`;
 }
 
+function assertPayrollBeneficiarySnapshots(batch) {
+  for (const line of batch.lines || []) {
+    const isPayrollLine = normalizeUpperText(line?.payable_entity_type) === "PAYROLL_LIABILITY";
+    if (isPayrollLine && !parsePositiveInt(line?.beneficiary_bank_snapshot_id)) {
+      throw conflictError(
+        `Missing beneficiary snapshot for payroll payment batch line ${line?.id || "?"}`
+      );
+    }
+  }
+}
+
+// Explicit fileFormatCode wins; otherwise the bank account default applies, falling back to
+// the generic CSV layout. A bare format=XML needs an XML default on the bank account.
+function resolveExportFileFormat({ batch, requestedFormat, fileFormatCode }) {
+  const accountDefault = normalizeUpperText(batch?.bank_account_payment_file_format_code);
+  let code = normalizeUpperText(fileFormatCode);
+  if (!code) {
+    const defaultFormat = accountDefault ? getBankPaymentFileFormat(accountDefault) : null;
+    if (requestedFormat === "CSV") {
+      code = defaultFormat?.export_format === "CSV" ? accountDefault : "GENERIC_CSV_V1";
+    } else if (requestedFormat === "XML") {
+      if (defaultFormat?.export_format !== "XML") {
+        throw badRequest("format=XML requires fileFormatCode or an XML payment file format on the bank account");
+      }
+      code = accountDefault;
+    } else {
+      code = accountDefault || "GENERIC_CSV_V1";
+    }
+  }
+
+  const fileFormat = getBankPaymentFileFormat(code);
+  if (!fileFormat.export_format) {
+    throw badRequest(`${code} is an acknowledgement format and cannot be exported`);
+  }
+  if (requestedFormat && fileFormat.export_format !== requestedFormat) {
+    throw badRequest(`fileFormatCode ${code} produces ${fileFormat.export_format}, not ${requestedFormat}`);
+  }
+  return fileFormat;
+}
+
 function buildExportCsv(batch) {
+  assertPayrollBeneficiarySnapshots(batch);
   const header = [
     "batch_no",
     "line_no",
@@ -545,12 +592,6 @@ function buildExportCsv(batch) {
 
   for (const line of batch.lines || []) {
     const isPayrollLine = normalizeUpperText(line?.payable_entity_type) === "PAYROLL_LIABILITY";
-    if (isPayrollLine && !parsePositiveInt(line?.beneficiary_bank_snapshot_id)) {
-      throw conflictError(
-        `Missing beneficiary snapshot for payroll payment batch line ${line?.id || "?"}`
-      );
-    }
-
     const exportBeneficiaryName =
       (isPayrollLine ? line?.snap_account_holder_name : null) || line.beneficiary_name;
     const exportBankRef =
@@ -1262,9 +1303,9 @@ export async function exportPaymentBatch({
   exportInput,
   assertScopeAccess,
 }) {
-  const format = normalizeUpperText(exportInput?.format || "CSV");
-  if (format !== "CSV") {
-    throw badRequest("Only CSV export is supported in v1");
+  const requestedFormat = normalizeUpperText(exportInput?.format || "");
+  if (requestedFormat && !["CSV", "XML"].includes(requestedFormat)) {
+    throw badRequest("format must be CSV or XML");
   }
 
   let exportResult = null;
@@ -1293,10 +1334,32 @@ export async function exportPaymentBatch({
       throw badRequest("Payment batch not found");
     }
 
-    const csv = buildExportCsv(batchDetail);
-    const checksum = sha256(csv);
-    const fileName = `${batchDetail.batch_no}.csv`;
+    const fileFormat = resolveExportFileFormat({
+      batch: batchDetail,
+      requestedFormat,
+      fileFormatCode: exportInput?.fileFormatCode,
+    });
+    const format = fileFormat.export_format;
+    let payloadText = null;
+    let formatMeta = {};
+    if (format === "CSV") {
+      payloadText = buildExportCsv(batchDetail);
+    } else {
+      assertPayrollBeneficiarySnapshots(batchDetail);
+      const built = fileFormat.buildExport({
+        batch: batchDetail,
+        options: {
+          requestedExecutionDate: exportInput?.requestedExecutionDate || null,
+          chargeBearer: exportInput?.chargeBearer || null,
+        },
+      });
+      payloadText = built.payloadText;
+      formatMeta = built.meta || {};
+    }
+    const checksum = sha256(payloadText);
+    const fileName = `${batchDetail.batch_no}.${fileFormat.file_extension}`;
     const lineCount = Array.isArray(batchDetail.lines) ? batchDetail.lines.length : 0;
+    const requestedExecutionDate = formatMeta.requested_execution_date || null;
 
     await tx.query(
       `UPDATE payment_batches
@@ -1316,6 +1379,8 @@ export async function exportPaymentBatch({
           legal_entity_id,
           batch_id,
           export_format,
+          bank_file_format_code,
+          requested_execution_date,
           export_status,
           file_name,
           file_checksum,
@@ -1323,16 +1388,18 @@ export async function exportPaymentBatch({
           raw_meta_json,
           exported_by_user_id
         )
-        VALUES (?, ?, ?, ?, 'GENERATED', ?, ?, ?, ?, ?)`,
+        VALUES (?, ?, ?, ?, ?, ?, 'GENERATED', ?, ?, ?, ?, ?)`,
       [
         tenantId,
         current.legal_entity_id,
         batchId,
         format,
+        fileFormat.file_format_code,
+        requestedExecutionDate,
         fileName,
         checksum,
-        csv,
-        safeJson({ lineCount }),
+        payloadText,
+        safeJson({ lineCount, ...formatMeta }),
         userId,
       ]
     );
@@ -1340,9 +1407,12 @@ export async function exportPaymentBatch({
     exportResult = {
       id: parsePositiveInt(exportInsert.rows?.insertId),
       format,
+      file_format_code: fileFormat.file_format_code,
       file_name: fileName,
       checksum,
-      csv,
+      requested_execution_date: requestedExecutionDate,
+      payload_text: payloadText,
+      csv: format === "CSV" ? payloadText : null,
     };
 
     await writePaymentBatchAudit({
@@ -1352,9 +1422,11 @@ export async function exportPaymentBatch({
       action: "EXPORTED",
       payload: {
         format,
+        file_format_code: fileFormat.file_format_code,
         file_name: fileName,
         checksum,
         lineCount,
+        ...formatMeta,
       },
       userId,
       runQuery: tx.query,
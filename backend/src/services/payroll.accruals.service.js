@@ -5,6 +5,28 @@ import {
   EXPECTED_SIDE_BY_COMPONENT,
   findApplicablePayrollComponentMapping,
 } from "./payroll.mappings.service.js";
+import {
+  copyJournalLineDimensionsTx,
+  findPayrollCostCenterDimension,
+  insertJournalLineDimensionsTx,
+  loadPayrollMappingDimensions,
+  validateLineDimensions,
+} from "./gl.dimensions.service.js";
+import {
+  checkPayrollEmployeesForPeriod,
+  refreshPayrollRunEmployeeChecks,
+} from "./payroll.employees.service.js";
+import { generatePayrollPayslipsForRunTx } from "./payroll.payslips.service.js";
+
+// Run-line columns behind each expense component, used to split it per cost center.
+const COST_CENTER_AMOUNT_COLUMNS = Object.freeze({
+  BASE_SALARY_EXPENSE: "base_salary",
+  OVERTIME_EXPENSE: "overtime_pay",
+  BONUS_EXPENSE: "bonus_pay",
+  ALLOWANCES_EXPENSE: "allowances_total",
+  EMPLOYER_TAX_EXPENSE: "employer_tax",
+  EMPLOYER_SOCIAL_SECURITY_EXPENSE: "employer_social_security",
+});
 
 function normalizeUpperText(value) {
   return String(value || "")
@@ -53,6 +75,12 @@ function toDateOnly(value) {
   return parsed.toISOString().slice(0, 10);
 }
 
+function addDays(dateOnly, days) {
+  const date = new Date(`${dateOnly}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
 async function findPayrollRunHeaderById({ tenantId, runId, runQuery = query }) {
   const result = await runQuery(
     `SELECT
@@ -189,7 +217,7 @@ async function resolveBookAndPeriodForPayrollPostingTx(tx, { tenantId, legalEnti
   }
 
   const periodResult = await tx.query(
-    `SELECT id, fiscal_year, period_no, period_name
+    `SELECT id, fiscal_year, period_no, period_name, start_date
      FROM fiscal_periods
      WHERE calendar_id = ?
        AND ? BETWEEN start_date AND end_date
@@ -238,26 +266,68 @@ function validateMappingAccountForAccrual({ mapping, run }) {
   return issues;
 }
 
-async function buildPayrollAccrualPreviewFromRun({
-  run,
-  runQuery = query,
-}) {
-  if (!run) {
-    throw badRequest("Payroll run not found");
+async function loadRunCostCenterTotals({ run, runQuery = query }) {
+  const amountColumnsSql = Object.values(COST_CENTER_AMOUNT_COLUMNS)
+    .map((column) => `SUM(${column}) AS ${column}`)
+    .join(",\n       ");
+  const result = await runQuery(
+    `SELECT
+       UPPER(COALESCE(TRIM(cost_center_code), '')) AS cost_center_code,
+       ${amountColumnsSql}
+     FROM payroll_run_lines
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND run_id = ?
+     GROUP BY UPPER(COALESCE(TRIM(cost_center_code), ''))
+     ORDER BY cost_center_code`,
+    [parsePositiveInt(run.tenant_id), parsePositiveInt(run.legal_entity_id), parsePositiveInt(run.id)]
+  );
+  return result.rows || [];
+}
+
+// Lines without a cost center stay in an unassigned share. Run totals are authoritative,
+// so any difference to the summed lines lands on the last share.
+function splitComponentByCostCenter({ componentCode, amount, costCenterTotals }) {
+  const column = COST_CENTER_AMOUNT_COLUMNS[componentCode];
+  const shares = costCenterTotals
+    .map((row) => ({
+      costCenterCode: normalizeUpperText(row.cost_center_code) || null,
+      amount: toAmount(row[column]),
+    }))
+    .filter((share) => share.amount > 0);
+  if (shares.length === 0) {
+    return [{ costCenterCode: null, amount }];
   }
+  const allocated = shares.reduce((sum, share) => sum + share.amount, 0);
+  const lastShare = shares[shares.length - 1];
+  lastShare.amount = toAmount(lastShare.amount + amount - allocated);
+  return shares.filter((share) => share.amount > 0);
+}
 
-  const componentAmounts = buildPayrollAccrualComponentAmountsFromRun(run);
+// Resolves the effective GL mapping of each component amount into posting lines. Components that
+// cannot be posted are reported in missingMappings instead of failing the whole preview.
+async function resolveComponentPostingLines({
+  tenantId,
+  legalEntityId,
+  providerCode = null,
+  currencyCode,
+  asOfDate,
+  componentAmounts,
+  costCenterDimension = null,
+  costCenterTotals = [],
+  runQuery = query,
+}) {
   const postingLines = [];
   const missingMappings = [];
 
   for (const component of componentAmounts) {
     const mapping = await findApplicablePayrollComponentMapping({
-      tenantId: parsePositiveInt(run.tenant_id),
-      legalEntityId: parsePositiveInt(run.legal_entity_id),
-      providerCode: run.provider_code,
-      currencyCode: normalizeUpperText(run.currency_code),
+      tenantId,
+      legalEntityId,
+      providerCode,
+      currencyCode,
       componentCode: component.componentCode,
-      asOfDate: toDateOnly(run.pay_date),
+      asOfDate,
       runQuery,
     });
 
@@ -293,7 +363,10 @@ async function buildPayrollAccrualPreviewFromRun({
       continue;
     }
 
-    const accountIssues = validateMappingAccountForAccrual({ mapping, run });
+    const accountIssues = validateMappingAccountForAccrual({
+      mapping,
+      run: { legal_entity_id: legalEntityId },
+    });
     if (accountIssues.length > 0) {
       missingMappings.push({
         component_code: component.componentCode,
@@ -305,19 +378,125 @@ async function buildPayrollAccrualPreviewFromRun({
       continue;
     }
 
-    postingLines.push({
-      component_code: component.componentCode,
-      entry_side: normalizeUpperText(component.entrySide),
-      amount: component.amount,
-      mapping_id: parsePositiveInt(mapping.id),
-      provider_code: mapping.provider_code || null,
-      gl_account_id: parsePositiveInt(mapping.gl_account_id),
-      gl_account_code: mapping.gl_account_code || null,
-      gl_account_name: mapping.gl_account_name || null,
-      currency_code: normalizeUpperText(run.currency_code),
+    const mappingId = parsePositiveInt(mapping.id);
+    const mappingDimensions = await loadPayrollMappingDimensions({
+      tenantId,
+      mappingIds: [mappingId],
+      runQuery,
+    });
+    const fixedDimensions = mappingDimensions.get(mappingId) || [];
+    // A fixed cost center on the mapping wins over the per-line split.
+    const splitByCostCenter =
+      costCenterDimension &&
+      COST_CENTER_AMOUNT_COLUMNS[component.componentCode] &&
+      !fixedDimensions.some(
+        (item) => item.dimensionTypeId === costCenterDimension.dimensionTypeId
+      );
+    const splits = splitByCostCenter
+      ? splitComponentByCostCenter({
+          componentCode: component.componentCode,
+          amount: component.amount,
+          costCenterTotals,
+        })
+      : [{ costCenterCode: null, amount: component.amount }];
+
+    const unknownCostCenters = splits
+      .map((split) => split.costCenterCode)
+      .filter((code) => code && !costCenterDimension.valuesByCode.has(code));
+    if (unknownCostCenters.length > 0) {
+      missingMappings.push({
+        component_code: component.componentCode,
+        entry_side: component.entrySide,
+        amount: component.amount,
+        issue: `unknown_cost_center:${unknownCostCenters.join("|")}`,
+        mapping_id: mappingId,
+      });
+      continue;
+    }
+
+    let splitDimensions;
+    try {
+      splitDimensions = await validateLineDimensions({
+        tenantId,
+        legalEntityId,
+        lines: splits.map((split) => ({
+          accountId: parsePositiveInt(mapping.gl_account_id),
+          dimensions: [
+            ...fixedDimensions,
+            ...(split.costCenterCode
+              ? [costCenterDimension.valuesByCode.get(split.costCenterCode)]
+              : []),
+          ],
+          label: component.componentCode,
+        })),
+        runQuery,
+      });
+    } catch (err) {
+      if (Number(err?.status) !== 400) {
+        throw err;
+      }
+      missingMappings.push({
+        component_code: component.componentCode,
+        entry_side: component.entrySide,
+        amount: component.amount,
+        issue: `dimension_rule_violation:${err.message}`,
+        mapping_id: mappingId,
+      });
+      continue;
+    }
+
+    splits.forEach((split, index) => {
+      postingLines.push({
+        component_code: component.componentCode,
+        entry_side: normalizeUpperText(component.entrySide),
+        amount: split.amount,
+        mapping_id: mappingId,
+        provider_code: mapping.provider_code || null,
+        gl_account_id: parsePositiveInt(mapping.gl_account_id),
+        gl_account_code: mapping.gl_account_code || null,
+        gl_account_name: mapping.gl_account_name || null,
+        currency_code: currencyCode,
+        cost_center_code: split.costCenterCode,
+        dimensions: splitDimensions[index],
+      });
     });
   }
 
+  return { postingLines, missingMappings };
+}
+
+async function buildPayrollAccrualPreviewFromRun({
+  run,
+  runQuery = query,
+}) {
+  if (!run) {
+    throw badRequest("Payroll run not found");
+  }
+
+  const componentAmounts = buildPayrollAccrualComponentAmountsFromRun(run);
+  const tenantId = parsePositiveInt(run.tenant_id);
+  const legalEntityId = parsePositiveInt(run.legal_entity_id);
+  const costCenterDimension = await findPayrollCostCenterDimension({
+    tenantId,
+    legalEntityId,
+    runQuery,
+  });
+  const costCenterTotals = costCenterDimension
+    ? await loadRunCostCenterTotals({ run, runQuery })
+    : [];
+
+  const { postingLines, missingMappings } = await resolveComponentPostingLines({
+    tenantId,
+    legalEntityId,
+    providerCode: run.provider_code,
+    currencyCode: normalizeUpperText(run.currency_code),
+    asOfDate: toDateOnly(run.pay_date),
+    componentAmounts,
+    costCenterDimension,
+    costCenterTotals,
+    runQuery,
+  });
+
   const debitTotal = toAmount(
     postingLines
       .filter((line) => line.entry_side === "DEBIT")
@@ -332,6 +511,22 @@ async function buildPayrollAccrualPreviewFromRun({
   const isBalanced = amountsEqual(debitTotal, creditTotal);
   const normalizedStatus = normalizeUpperText(run.status);
 
+  const employeeCodesResult = await runQuery(
+    `SELECT DISTINCT employee_code
+     FROM payroll_run_lines
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND run_id = ?`,
+    [tenantId, legalEntityId, parsePositiveInt(run.id)]
+  );
+  const employeeCheck = await checkPayrollEmployeesForPeriod({
+    tenantId,
+    legalEntityId,
+    employeeCodes: (employeeCodesResult.rows || []).map((row) => row.employee_code),
+    payrollPeriod: toDateOnly(run.payroll_period),
+    runQuery,
+  });
+
   return {
     run: {
       id: parsePositiveInt(run.id),
@@ -353,12 +548,14 @@ async function buildPayrollAccrualPreviewFromRun({
     })),
     posting_lines: postingLines,
     missing_mappings: missingMappings,
+    employee_issues: employeeCheck.issues,
     debit_total: debitTotal,
     credit_total: creditTotal,
     is_balanced: isBalanced,
     can_finalize:
       postingLines.length > 0 &&
       missingMappings.length === 0 &&
+      employeeCheck.issues.length === 0 &&
       isBalanced &&
       normalizedStatus === "REVIEWED",
   };
@@ -383,52 +580,22 @@ async function findExistingPayrollAccrualJournalTx(tx, {
   return result.rows?.[0] || null;
 }
 
-async function createPayrollAccrualJournalTx(tx, {
-  run,
-  preview,
+async function insertPayrollJournalTx(tx, {
   tenantId,
   legalEntityId,
-  userId,
+  journalContext,
+  journalNo,
   postingDate,
-  note = null,
+  currencyCode,
+  description,
+  referenceNo,
+  userId,
+  postingLines,
+  debitTotal,
+  creditTotal,
+  subledgerPrefix,
+  lineDescriptionPrefix,
 }) {
-  const journalContext = await resolveBookAndPeriodForPayrollPostingTx(tx, {
-    tenantId,
-    legalEntityId,
-    postDate: postingDate,
-  });
-
-  const bookBaseCurrencyCode = normalizeUpperText(journalContext.book?.base_currency_code);
-  const runCurrency = normalizeUpperText(run.currency_code);
-  if (bookBaseCurrencyCode && runCurrency && bookBaseCurrencyCode !== runCurrency) {
-    throw badRequest(
-      `Payroll run currency (${runCurrency}) must match book base currency (${bookBaseCurrencyCode})`
-    );
-  }
-
-  const journalNo = `PRACR-${run.id}`;
-  const existingJournal = await findExistingPayrollAccrualJournalTx(tx, {
-    tenantId,
-    legalEntityId,
-    bookId: journalContext.bookId,
-    journalNo,
-  });
-
-  if (existingJournal?.id) {
-    return {
-      journalEntryId: parsePositiveInt(existingJournal.id),
-      journalNo,
-      idempotentReplay: true,
-      bookId: journalContext.bookId,
-      fiscalPeriodId: journalContext.fiscalPeriodId,
-    };
-  }
-
-  const description = note || `Payroll accrual ${run.run_no}`;
-  const referenceNo = `PAYROLL-RUN:${run.id}`;
-  const debitTotal = toAmount(preview.debit_total);
-  const creditTotal = toAmount(preview.credit_total);
-
   const headerInsert = await tx.query(
     `INSERT INTO journal_entries (
         tenant_id,
@@ -458,11 +625,11 @@ async function createPayrollAccrualJournalTx(tx, {
       journalNo,
       postingDate,
       postingDate,
-      runCurrency,
+      currencyCode,
       description,
       referenceNo,
-      debitTotal,
-      creditTotal,
+      toAmount(debitTotal),
+      toAmount(creditTotal),
       userId,
       userId,
     ]
@@ -474,14 +641,14 @@ async function createPayrollAccrualJournalTx(tx, {
   }
 
   let lineNo = 1;
-  for (const line of preview.posting_lines || []) {
+  for (const line of postingLines) {
     const amount = toAmount(line.amount);
     const isDebit = normalizeUpperText(line.entry_side) === "DEBIT";
     const amountTxn = isDebit ? amount : -amount;
     const debitBase = isDebit ? amount : 0;
     const creditBase = isDebit ? 0 : amount;
-    const subledgerRef = `PAYROLL_RUN:${run.id}:${line.component_code}`;
-    const descriptionLine = `Payroll accrual ${run.run_no} ${line.component_code}`;
+    const subledgerRef = `${subledgerPrefix}:${line.component_code}`;
+    const descriptionLine = `${lineDescriptionPrefix} ${line.component_code}`;
 
     // eslint-disable-next-line no-await-in-loop
     await tx.query(
@@ -506,7 +673,7 @@ async function createPayrollAccrualJournalTx(tx, {
         parsePositiveInt(line.gl_account_id),
         descriptionLine,
         subledgerRef,
-        runCurrency,
+        currencyCode,
         amountTxn,
         debitBase,
         creditBase,
@@ -515,6 +682,72 @@ async function createPayrollAccrualJournalTx(tx, {
 
     lineNo += 1;
   }
+  await insertJournalLineDimensionsTx(tx, {
+    tenantId,
+    journalEntryId,
+    lines: postingLines,
+  });
+
+  return journalEntryId;
+}
+
+async function createPayrollAccrualJournalTx(tx, {
+  run,
+  preview,
+  tenantId,
+  legalEntityId,
+  userId,
+  postingDate,
+  note = null,
+}) {
+  const journalContext = await resolveBookAndPeriodForPayrollPostingTx(tx, {
+    tenantId,
+    legalEntityId,
+    postDate: postingDate,
+  });
+
+  const bookBaseCurrencyCode = normalizeUpperText(journalContext.book?.base_currency_code);
+  const runCurrency = normalizeUpperText(run.currency_code);
+  if (bookBaseCurrencyCode && runCurrency && bookBaseCurrencyCode !== runCurrency) {
+    throw badRequest(
+      `Payroll run currency (${runCurrency}) must match book base currency (${bookBaseCurrencyCode})`
+    );
+  }
+
+  const journalNo = `PRACR-${run.id}`;
+  const existingJournal = await findExistingPayrollAccrualJournalTx(tx, {
+    tenantId,
+    legalEntityId,
+    bookId: journalContext.bookId,
+    journalNo,
+  });
+
+  if (existingJournal?.id) {
+    return {
+      journalEntryId: parsePositiveInt(existingJournal.id),
+      journalNo,
+      idempotentReplay: true,
+      bookId: journalContext.bookId,
+      fiscalPeriodId: journalContext.fiscalPeriodId,
+    };
+  }
+
+  const journalEntryId = await insertPayrollJournalTx(tx, {
+    tenantId,
+    legalEntityId,
+    journalContext,
+    journalNo,
+    postingDate,
+    currencyCode: runCurrency,
+    description: note || `Payroll accrual ${run.run_no}`,
+    referenceNo: `PAYROLL-RUN:${run.id}`,
+    userId,
+    postingLines: preview.posting_lines || [],
+    debitTotal: preview.debit_total,
+    creditTotal: preview.credit_total,
+    subledgerPrefix: `PAYROLL_RUN:${run.id}`,
+    lineDescriptionPrefix: `Payroll accrual ${run.run_no}`,
+  });
 
   return {
     journalEntryId,
@@ -525,6 +758,235 @@ async function createPayrollAccrualJournalTx(tx, {
   };
 }
 
+// Provision journals carry the full period-end balance. The previous balance is reversed at the
+// start of the posting period, so the net P&L of each period is the provision delta.
+export async function postPayrollProvisionJournalTx(tx, {
+  tenantId,
+  legalEntityId,
+  userId,
+  provisionRunId,
+  postingDate,
+  currencyCode,
+  componentAmounts,
+  description,
+}) {
+  const journalContext = await resolveBookAndPeriodForPayrollPostingTx(tx, {
+    tenantId,
+    legalEntityId,
+    postDate: postingDate,
+  });
+
+  const bookBaseCurrencyCode = normalizeUpperText(journalContext.book?.base_currency_code);
+  const provisionCurrency = normalizeUpperText(currencyCode);
+  if (bookBaseCurrencyCode && provisionCurrency && bookBaseCurrencyCode !== provisionCurrency) {
+    throw badRequest(
+      `Payroll provision currency (${provisionCurrency}) must match book base currency (${bookBaseCurrencyCode})`
+    );
+  }
+
+  const journalNo = `PRPRV-${provisionRunId}`;
+  const existingJournal = await findExistingPayrollAccrualJournalTx(tx, {
+    tenantId,
+    legalEntityId,
+    bookId: journalContext.bookId,
+    journalNo,
+  });
+  if (existingJournal?.id) {
+    return {
+      journalEntryId: parsePositiveInt(existingJournal.id),
+      journalNo,
+      idempotentReplay: true,
+    };
+  }
+
+  const { postingLines, missingMappings } = await resolveComponentPostingLines({
+    tenantId,
+    legalEntityId,
+    currencyCode: provisionCurrency,
+    asOfDate: postingDate,
+    componentAmounts: componentAmounts.filter((component) => toAmount(component.amount) > 0),
+    runQuery: tx.query,
+  });
+  if (missingMappings.length > 0) {
+    throw badRequest(
+      `Payroll provision cannot be posted: ${missingMappings
+        .map((item) => `${item.component_code} (${item.issue})`)
+        .join(", ")}`
+    );
+  }
+  if (postingLines.length === 0) {
+    return { journalEntryId: null, journalNo, idempotentReplay: false };
+  }
+
+  const debitTotal = toAmount(
+    postingLines
+      .filter((line) => line.entry_side === "DEBIT")
+      .reduce((sum, line) => sum + toAmount(line.amount), 0)
+  );
+  const creditTotal = toAmount(
+    postingLines
+      .filter((line) => line.entry_side === "CREDIT")
+      .reduce((sum, line) => sum + toAmount(line.amount), 0)
+  );
+  if (!amountsEqual(debitTotal, creditTotal)) {
+    throw badRequest("Payroll provision journal is not balanced");
+  }
+
+  const journalEntryId = await insertPayrollJournalTx(tx, {
+    tenantId,
+    legalEntityId,
+    journalContext,
+    journalNo,
+    postingDate,
+    currencyCode: provisionCurrency,
+    description,
+    referenceNo: `PAYROLL-PROVISION:${provisionRunId}`,
+    userId,
+    postingLines,
+    debitTotal,
+    creditTotal,
+    subledgerPrefix: `PAYROLL_PROVISION:${provisionRunId}`,
+    lineDescriptionPrefix: description,
+  });
+
+  return { journalEntryId, journalNo, idempotentReplay: false };
+}
+
+// Reverses a superseded provision journal on the first day of the fiscal period in which the next
+// provision is posted, never before the day after the original entry.
+export async function reversePayrollProvisionJournalTx(tx, {
+  tenantId,
+  legalEntityId,
+  journalEntryId,
+  nextPostingDate,
+  userId,
+  reason,
+}) {
+  const headerResult = await tx.query(
+    `SELECT id, book_id, journal_no, status, entry_date, currency_code, reference_no,
+            total_debit_base, total_credit_base, reversal_journal_entry_id
+     FROM journal_entries
+     WHERE tenant_id = ?
+       AND legal_entity_id = ?
+       AND id = ?
+     LIMIT 1
+     FOR UPDATE`,
+    [tenantId, legalEntityId, journalEntryId]
+  );
+  const original = headerResult.rows?.[0] || null;
+  if (!original) {
+    throw badRequest("Payroll provision journal not found");
+  }
+  const existingReversalId = parsePositiveInt(original.reversal_journal_entry_id);
+  if (normalizeUpperText(original.status) === "REVERSED" && existingReversalId) {
+    return { journalEntryId: existingReversalId, idempotentReplay: true };
+  }
+  if (normalizeUpperText(original.status) !== "POSTED") {
+    throw badRequest(`Payroll provision journal ${journalEntryId} is not POSTED and cannot be reversed`);
+  }
+
+  const journalContext = await resolveBookAndPeriodForPayrollPostingTx(tx, {
+    tenantId,
+    legalEntityId,
+    postDate: nextPostingDate,
+  });
+  if (journalContext.bookId !== parsePositiveInt(original.book_id)) {
+    throw badRequest("Payroll provision journal belongs to a different book");
+  }
+  const periodStartDate = toDateOnly(journalContext.period.start_date);
+  const dayAfterOriginal = addDays(toDateOnly(original.entry_date), 1);
+  const postingDate = periodStartDate > dayAfterOriginal ? periodStartDate : dayAfterOriginal;
+
+  const reverseReason = String(reason || "Payroll provision reversal").slice(0, 255);
+  const insertResult = await tx.query(
+    `INSERT INTO journal_entries (
+        tenant_id,
+        legal_entity_id,
+        book_id,
+        fiscal_period_id,
+        journal_no,
+        source_type,
+        status,
+        entry_date,
+        document_date,
+        currency_code,
+        description,
+        reference_no,
+        total_debit_base,
+        total_credit_base,
+        created_by_user_id,
+        posted_by_user_id,
+        posted_at,
+        reverse_reason
+      )
+      VALUES (?, ?, ?, ?, ?, 'SYSTEM', 'POSTED', ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)`,
+    [
+      tenantId,
+      legalEntityId,
+      journalContext.bookId,
+      journalContext.fiscalPeriodId,
+      `${original.journal_no}-R`.slice(0, 40),
+      postingDate,
+      postingDate,
+      normalizeUpperText(original.currency_code),
+      `Reversal of ${original.journal_no}`,
+      original.reference_no || null,
+      toAmount(original.total_credit_base),
+      toAmount(original.total_debit_base),
+      userId,
+      userId,
+      reverseReason,
+    ]
+  );
+  const reversalJournalEntryId = parsePositiveInt(insertResult.rows?.insertId);
+  if (!reversalJournalEntryId) {
+    throw new Error("Failed to create payroll provision reversal journal");
+  }
+
+  await tx.query(
+    `INSERT INTO journal_lines (
+        journal_entry_id,
+        line_no,
+        account_id,
+        operating_unit_id,
+        counterparty_legal_entity_id,
+        description,
+        subledger_reference_no,
+        currency_code,
+        amount_txn,
+        debit_base,
+        credit_base,
+        tax_code
+      )
+      SELECT
+        ?, line_no, account_id, operating_unit_id, counterparty_legal_entity_id,
+        description, subledger_reference_no, currency_code,
+        amount_txn * -1, credit_base, debit_base, tax_code
+      FROM journal_lines
+      WHERE journal_entry_id = ?
+      ORDER BY line_no ASC`,
+    [reversalJournalEntryId, journalEntryId]
+  );
+  await copyJournalLineDimensionsTx(tx, {
+    tenantId,
+    sourceJournalEntryId: journalEntryId,
+    targetJournalEntryId: reversalJournalEntryId,
+  });
+  await tx.query(
+    `UPDATE journal_entries
+     SET status = 'REVERSED',
+         reversed_by_user_id = ?,
+         reversed_at = CURRENT_TIMESTAMP,
+         reversal_journal_entry_id = ?,
+         reverse_reason = ?
+     WHERE tenant_id = ?
+       AND id = ?`,
+    [userId, reversalJournalEntryId, reverseReason, tenantId, journalEntryId]
+  );
+
+  return { journalEntryId: reversalJournalEntryId, postingDate, idempotentReplay: false };
+}
+
 export async function getPayrollRunAccrualPreview({
   req,
   tenantId,
@@ -648,6 +1110,34 @@ export async function finalizePayrollRunAccrual({
       throw badRequest(`Payroll run status ${currentStatus} cannot be finalized`);
     }
 
+    const employeeCheck = await refreshPayrollRunEmployeeChecks({
+      tenantId,
+      legalEntityId: parsePositiveInt(current.legal_entity_id),
+      runId,
+      payrollPeriod: toDateOnly(current.payroll_period),
+      runQuery: tx.query,
+    });
+    if (employeeCheck.issues.length > 0) {
+      await writePayrollRunAudit({
+        tenantId,
+        legalEntityId: parsePositiveInt(current.legal_entity_id),
+        runId,
+        action: "VALIDATION",
+        payload: {
+          type: "ACCRUAL_FINALIZE_BLOCKED",
+          reason: "EMPLOYEE_MASTER_ISSUES",
+          employeeIssues: employeeCheck.issues,
+        },
+        userId,
+        runQuery: tx.query,
+      });
+      throw badRequest(
+        `Payroll run has employees not valid for the period: ${employeeCheck.issues
+          .map((issue) => `${issue.employee_code} (${issue.status})`)
+          .join(", ")}`
+      );
+    }
+
     const currentForPreview = {
       ...current,
       legal_entity_code: current.entity_code,
@@ -770,10 +1260,13 @@ export async function finalizePayrollRunAccrual({
       runQuery: tx.query,
     });
 
+    const payslips = await generatePayrollPayslipsForRunTx(tx, { tenantId, runId, userId });
+
     return {
       runId,
       accrualJournalEntryId: journalResult.journalEntryId,
       idempotentReplay: Boolean(journalResult.idempotentReplay),
+      payslipCount: payslips.createdCount + payslips.existingCount,
       preview,
     };
   });
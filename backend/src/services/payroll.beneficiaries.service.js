@@ -1,6 +1,10 @@
 import crypto from "node:crypto";
 import { query, withTransaction } from "../db.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  findPayrollEmployeeIdByCode,
+  isPayrollEmployeeMasterEnabled,
+} from "./payroll.employees.service.js";
 
 function normalizeUpperText(value) {
   return String(value || "")
@@ -406,6 +410,22 @@ export async function createPayrollEmployeeBeneficiaryBankAccount({
 
     const accountLast4 = maskLast4FromAccountLike(input);
     const accountFingerprint = fingerprintAccount(input);
+    const employeeId = await findPayrollEmployeeIdByCode({
+      tenantId,
+      legalEntityId: input.legalEntityId,
+      employeeCode: input.employeeCode,
+      runQuery: tx.query,
+    });
+    if (
+      !employeeId &&
+      (await isPayrollEmployeeMasterEnabled({
+        tenantId,
+        legalEntityId: input.legalEntityId,
+        runQuery: tx.query,
+      }))
+    ) {
+      throw badRequest("employeeCode is not in the payroll employee master of this legal entity");
+    }
 
     if (input.isPrimary) {
       await tx.query(
@@ -425,7 +445,7 @@ export async function createPayrollEmployeeBeneficiaryBankAccount({
 
     const ins = await tx.query(
       `INSERT INTO payroll_beneficiary_bank_accounts (
-          tenant_id, legal_entity_id, employee_code, employee_name,
+          tenant_id, legal_entity_id, employee_code, employee_id, employee_name,
           account_holder_name, bank_name, bank_branch_name, country_code, currency_code,
           iban, account_number, routing_number, swift_bic,
           account_last4, account_fingerprint,
@@ -433,11 +453,12 @@ export async function createPayrollEmployeeBeneficiaryBankAccount({
           verification_status, source_type, external_ref, payload_json,
           created_by_user_id, updated_by_user_id
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         tenantId,
         input.legalEntityId,
         normalizeEmployeeCode(input.employeeCode),
+        employeeId,
         input.employeeName || null,
         input.accountHolderName,
         input.bankName,
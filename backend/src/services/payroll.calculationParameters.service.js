@@ -0,0 +1,325 @@
+import { query, withTransaction } from "../db.js";
+import { assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { normalizeTrPayrollCalculationParameters } from "./payroll.providers.adapters/trGrossToNet.adapter.js";
+
+const PARAMETER_NORMALIZERS = Object.freeze({
+  TR: normalizeTrPayrollCalculationParameters,
+});
+
+const STATUS_TRANSITIONS = Object.freeze({
+  DRAFT: ["ACTIVE", "RETIRED"],
+  ACTIVE: ["RETIRED"],
+  RETIRED: [],
+});
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function parseJsonMaybe(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function isDup(err) {
+  return Number(err?.errno) === 1062 || up(err?.code) === "ER_DUP_ENTRY";
+}
+
+function assertLeScope(req, assertScopeAccess, legalEntityId, label = "legalEntityId") {
+  if (assertScopeAccess && parsePositiveInt(legalEntityId)) {
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(legalEntityId), label);
+  }
+}
+
+function normalizeParameters(countryCode, rawParameters) {
+  const normalizer = PARAMETER_NORMALIZERS[up(countryCode)];
+  if (!normalizer) {
+    throw badRequest(`Unsupported payroll calculation country: ${up(countryCode)}`);
+  }
+  try {
+    return normalizer(rawParameters);
+  } catch (err) {
+    throw badRequest(err?.message || "Invalid payroll calculation parameters");
+  }
+}
+
+function mapParameterSet(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    effective_from: toDateOnly(row.effective_from),
+    effective_to: toDateOnly(row.effective_to),
+    parameters_json: parseJsonMaybe(row.parameters_json),
+  };
+}
+
+async function findParameterSet({ tenantId, parameterSetId, runQuery = query, forUpdate = false }) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_calculation_parameter_sets
+     WHERE tenant_id = ? AND id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, parameterSetId]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function assertNoActiveOverlap({ tenantId, row, runQuery }) {
+  const params = [
+    tenantId,
+    up(row.country_code),
+    parsePositiveInt(row.id),
+    toDateOnly(row.effective_to) || "9999-12-31",
+    toDateOnly(row.effective_from),
+  ];
+  const leId = parsePositiveInt(row.legal_entity_id);
+  const leCondition = leId ? "legal_entity_id = ?" : "legal_entity_id IS NULL";
+  if (leId) params.push(leId);
+  const res = await runQuery(
+    `SELECT id, version_code
+     FROM payroll_calculation_parameter_sets
+     WHERE tenant_id = ? AND country_code = ? AND status = 'ACTIVE' AND id <> ?
+       AND effective_from <= ?
+       AND COALESCE(effective_to, '9999-12-31') >= ?
+       AND ${leCondition}
+     LIMIT 1`,
+    params
+  );
+  const overlap = res.rows?.[0] || null;
+  if (overlap) {
+    throw conflict(
+      `Effective dates overlap ACTIVE payroll calculation parameter set ${overlap.version_code}; retire it or set effectiveTo first`
+    );
+  }
+}
+
+export async function resolvePayrollCalculationParameterSetScope(parameterSetId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(parameterSetId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const row = await findParameterSet({ tenantId: t, parameterSetId: id, runQuery });
+  if (!parsePositiveInt(row?.legal_entity_id)) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function listPayrollCalculationParameterSets({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["p.tenant_id = ?"];
+  const leId = parsePositiveInt(filters?.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("(p.legal_entity_id IS NULL OR p.legal_entity_id = ?)");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(`(p.legal_entity_id IS NULL OR ${buildScopeFilter(req, "legal_entity", "p.legal_entity_id", params)})`);
+  }
+  if (filters.countryCode) {
+    conditions.push("p.country_code = ?");
+    params.push(filters.countryCode);
+  }
+  if (filters.status) {
+    conditions.push("p.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.effectiveOn) {
+    conditions.push("p.effective_from <= ? AND COALESCE(p.effective_to, '9999-12-31') >= ?");
+    params.push(filters.effectiveOn, filters.effectiveOn);
+  }
+  const whereSql = conditions.join(" AND ");
+  const countRes = await query(
+    `SELECT COUNT(*) AS total FROM payroll_calculation_parameter_sets p WHERE ${whereSql}`,
+    params
+  );
+  const total = Number(countRes.rows?.[0]?.total || 0);
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listRes = await query(
+    `SELECT p.*, le.code AS legal_entity_code, le.name AS legal_entity_name
+     FROM payroll_calculation_parameter_sets p
+     LEFT JOIN legal_entities le ON le.tenant_id = p.tenant_id AND le.id = p.legal_entity_id
+     WHERE ${whereSql}
+     ORDER BY p.country_code, p.effective_from DESC, p.id DESC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (listRes.rows || []).map(mapParameterSet),
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export async function createPayrollCalculationParameterSet({ req, tenantId, userId, input, assertScopeAccess }) {
+  const legalEntityId = parsePositiveInt(input.legalEntityId);
+  if (legalEntityId) {
+    await assertLegalEntityBelongsToTenant(tenantId, legalEntityId, "legalEntityId");
+    assertLeScope(req, assertScopeAccess, legalEntityId, "legalEntityId");
+  }
+  const countryCode = up(input.countryCode || "TR");
+  const parameters = normalizeParameters(countryCode, input.parametersJson);
+  if (input.effectiveTo && input.effectiveTo < input.effectiveFrom) {
+    throw badRequest("effectiveTo cannot be before effectiveFrom");
+  }
+  const status = up(input.status || "DRAFT");
+
+  let createdId = null;
+  try {
+    await withTransaction(async (tx) => {
+      const ins = await tx.query(
+        `INSERT INTO payroll_calculation_parameter_sets (
+            tenant_id, legal_entity_id, country_code, version_code,
+            effective_from, effective_to, status, parameters_json, note,
+            created_by_user_id, updated_by_user_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          tenantId,
+          legalEntityId || null,
+          countryCode,
+          input.versionCode,
+          input.effectiveFrom,
+          input.effectiveTo || null,
+          status,
+          JSON.stringify(parameters),
+          input.note || null,
+          userId,
+          userId,
+        ]
+      );
+      createdId = parsePositiveInt(ins.rows?.insertId);
+      if (status === "ACTIVE") {
+        const row = await findParameterSet({ tenantId, parameterSetId: createdId, runQuery: tx.query });
+        await assertNoActiveOverlap({ tenantId, row, runQuery: tx.query });
+      }
+    });
+  } catch (err) {
+    if (isDup(err)) {
+      throw conflict(`Payroll calculation parameter version ${input.versionCode} already exists for ${countryCode}`);
+    }
+    throw err;
+  }
+  return mapParameterSet(await findParameterSet({ tenantId, parameterSetId: createdId }));
+}
+
+export async function updatePayrollCalculationParameterSetStatus({
+  req,
+  tenantId,
+  userId,
+  parameterSetId,
+  input,
+  assertScopeAccess,
+}) {
+  await withTransaction(async (tx) => {
+    const row = await findParameterSet({ tenantId, parameterSetId, runQuery: tx.query, forUpdate: true });
+    if (!row) throw notFound("Payroll calculation parameter set not found");
+    assertLeScope(req, assertScopeAccess, row.legal_entity_id, "parameterSetId");
+
+    const fromStatus = up(row.status);
+    const toStatus = up(input.status);
+    const effectiveTo = input.effectiveTo === undefined ? toDateOnly(row.effective_to) : input.effectiveTo;
+    if (effectiveTo && effectiveTo < toDateOnly(row.effective_from)) {
+      throw badRequest("effectiveTo cannot be before effectiveFrom");
+    }
+    if (fromStatus !== toStatus && !(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      throw conflict(`Payroll calculation parameter set cannot move from ${fromStatus} to ${toStatus}`);
+    }
+    if (toStatus === "ACTIVE") {
+      await assertNoActiveOverlap({
+        tenantId,
+        row: { ...row, effective_to: effectiveTo },
+        runQuery: tx.query,
+      });
+    }
+    await tx.query(
+      `UPDATE payroll_calculation_parameter_sets
+       SET status = ?,
+           effective_to = ?,
+           note = COALESCE(?, note),
+           updated_by_user_id = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ? AND id = ?`,
+      [toStatus, effectiveTo || null, input.note || null, userId, tenantId, parameterSetId]
+    );
+  });
+  return mapParameterSet(await findParameterSet({ tenantId, parameterSetId }));
+}
+
+/**
+ * ACTIVE parameter set effective on the given date; a legal-entity specific set wins over the
+ * tenant-wide one. Returns null when none is effective.
+ */
+export async function resolveEffectivePayrollCalculationParameterSet({
+  tenantId,
+  legalEntityId,
+  countryCode,
+  effectiveDate,
+  runQuery = query,
+}) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_calculation_parameter_sets
+     WHERE tenant_id = ?
+       AND country_code = ?
+       AND status = 'ACTIVE'
+       AND (legal_entity_id IS NULL OR legal_entity_id = ?)
+       AND effective_from <= ?
+       AND COALESCE(effective_to, '9999-12-31') >= ?
+     ORDER BY legal_entity_id IS NULL ASC, effective_from DESC, id DESC
+     LIMIT 1`,
+    [tenantId, up(countryCode), parsePositiveInt(legalEntityId) || 0, effectiveDate, effectiveDate]
+  );
+  const row = mapParameterSet(res.rows?.[0] || null);
+  if (!row) return null;
+  return {
+    id: parsePositiveInt(row.id),
+    legal_entity_id: parsePositiveInt(row.legal_entity_id) || null,
+    country_code: up(row.country_code),
+    version_code: row.version_code,
+    effective_from: row.effective_from,
+    effective_to: row.effective_to,
+    parameters: row.parameters_json,
+  };
+}
+
+export default {
+  createPayrollCalculationParameterSet,
+  listPayrollCalculationParameterSets,
+  resolveEffectivePayrollCalculationParameterSet,
+  resolvePayrollCalculationParameterSetScope,
+  updatePayrollCalculationParameterSetStatus,
+};
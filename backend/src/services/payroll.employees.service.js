@@ -0,0 +1,655 @@
+import { query, withTransaction } from "../db.js";
+import { assertCurrencyExists, assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+
+// Per-line outcome of checking a payroll code against the employee master for the run period.
+export const EMPLOYEE_CHECK_STATUSES = Object.freeze({
+  MATCHED: "MATCHED",
+  UNKNOWN: "UNKNOWN",
+  TERMINATED: "TERMINATED",
+  NOT_HIRED: "NOT_HIRED",
+});
+
+const HISTORY_ATTRIBUTE_FIELDS = Object.freeze([
+  ["operatingUnitId", "operating_unit_id"],
+  ["costCenterCode", "cost_center_code"],
+  ["positionTitle", "position_title"],
+  ["baseSalary", "base_salary"],
+  ["salaryCurrencyCode", "salary_currency_code"],
+]);
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function addDays(dateOnly, days) {
+  const date = new Date(`${dateOnly}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function monthEnd(dateOnly) {
+  const date = new Date(`${dateOnly.slice(0, 7)}-01T00:00:00.000Z`);
+  date.setUTCMonth(date.getUTCMonth() + 1);
+  date.setUTCDate(0);
+  return date.toISOString().slice(0, 10);
+}
+
+function todayDateOnly() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function isDup(err) {
+  return Number(err?.errno) === 1062 || up(err?.code) === "ER_DUP_ENTRY";
+}
+
+function assertLeScope(req, assertScopeAccess, legalEntityId, label = "legalEntityId") {
+  if (assertScopeAccess && parsePositiveInt(legalEntityId)) {
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(legalEntityId), label);
+  }
+}
+
+function maskNationalId(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (text.length <= 4) return "*".repeat(text.length);
+  return `${"*".repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+function mapEmployee(row) {
+  if (!row) return null;
+  const { national_id: nationalId, ...rest } = row;
+  return {
+    ...rest,
+    national_id_masked: maskNationalId(nationalId),
+    hire_date: toDateOnly(row.hire_date),
+    termination_date: toDateOnly(row.termination_date),
+    effective_from: row.effective_from === undefined ? undefined : toDateOnly(row.effective_from),
+  };
+}
+
+function mapHistory(row) {
+  return {
+    ...row,
+    effective_from: toDateOnly(row.effective_from),
+    effective_to: toDateOnly(row.effective_to),
+  };
+}
+
+async function findEmployee({ tenantId, employeeId, runQuery = query, forUpdate = false }) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_employees
+     WHERE tenant_id = ? AND id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, employeeId]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function requireEmployee(args) {
+  const row = await findEmployee(args);
+  if (!row) throw notFound("Payroll employee not found");
+  return row;
+}
+
+async function listHistory({ tenantId, employeeId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT h.*, ou.code AS operating_unit_code, ou.name AS operating_unit_name
+     FROM payroll_employee_history h
+     LEFT JOIN operating_units ou ON ou.tenant_id = h.tenant_id AND ou.id = h.operating_unit_id
+     WHERE h.tenant_id = ? AND h.employee_id = ?
+     ORDER BY h.effective_from ASC, h.id ASC`,
+    [tenantId, employeeId]
+  );
+  return res.rows || [];
+}
+
+async function assertOperatingUnitInLegalEntity({ tenantId, legalEntityId, operatingUnitId, runQuery = query }) {
+  if (!parsePositiveInt(operatingUnitId)) return;
+  const res = await runQuery(
+    `SELECT id
+     FROM operating_units
+     WHERE tenant_id = ? AND legal_entity_id = ? AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, operatingUnitId]
+  );
+  if (!res.rows?.[0]) {
+    throw badRequest("operatingUnitId must belong to the employee legal entity");
+  }
+}
+
+// Each history row is a full snapshot; effective_to is always the day before the next row starts.
+async function rechainHistory({ tenantId, employeeId, runQuery }) {
+  const rows = await listHistory({ tenantId, employeeId, runQuery });
+  for (let i = 0; i < rows.length; i += 1) {
+    const next = rows[i + 1];
+    const effectiveTo = next ? addDays(toDateOnly(next.effective_from), -1) : null;
+    if (toDateOnly(rows[i].effective_to) === effectiveTo) continue;
+    // eslint-disable-next-line no-await-in-loop
+    await runQuery(
+      `UPDATE payroll_employee_history
+       SET effective_to = ?
+       WHERE tenant_id = ? AND id = ?`,
+      [effectiveTo, tenantId, rows[i].id]
+    );
+  }
+}
+
+async function insertHistoryRow({ tenantId, legalEntityId, employeeId, effectiveFrom, changeType, attributes, note, userId, runQuery }) {
+  try {
+    await runQuery(
+      `INSERT INTO payroll_employee_history (
+          tenant_id, legal_entity_id, employee_id, effective_from, change_type,
+          operating_unit_id, cost_center_code, position_title, base_salary, salary_currency_code,
+          note, created_by_user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        employeeId,
+        effectiveFrom,
+        changeType,
+        parsePositiveInt(attributes.operating_unit_id) || null,
+        attributes.cost_center_code || null,
+        attributes.position_title || null,
+        attributes.base_salary ?? null,
+        attributes.salary_currency_code || null,
+        note || null,
+        userId,
+      ]
+    );
+  } catch (err) {
+    if (isDup(err)) {
+      throw conflict(`An employment change is already recorded on ${effectiveFrom}; include all changes of that date in one entry`);
+    }
+    throw err;
+  }
+  await rechainHistory({ tenantId, employeeId, runQuery });
+}
+
+async function backfillEmployeeLinks({ tenantId, legalEntityId, employeeId, employeeCode, runQuery }) {
+  await runQuery(
+    `UPDATE payroll_beneficiary_bank_accounts
+     SET employee_id = ?
+     WHERE tenant_id = ? AND legal_entity_id = ? AND employee_code = ? AND employee_id IS NULL`,
+    [employeeId, tenantId, legalEntityId, employeeCode]
+  );
+  await runQuery(
+    `UPDATE payroll_run_lines
+     SET employee_id = ?
+     WHERE tenant_id = ? AND legal_entity_id = ? AND employee_code = ? AND employee_id IS NULL`,
+    [employeeId, tenantId, legalEntityId, employeeCode]
+  );
+}
+
+export async function resolvePayrollEmployeeScope(employeeId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(employeeId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const row = await findEmployee({ tenantId: t, employeeId: id, runQuery });
+  if (!row) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function isPayrollEmployeeMasterEnabled({ tenantId, legalEntityId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT id FROM payroll_employees WHERE tenant_id = ? AND legal_entity_id = ? LIMIT 1`,
+    [tenantId, legalEntityId]
+  );
+  return Boolean(res.rows?.[0]);
+}
+
+export async function findPayrollEmployeeIdByCode({ tenantId, legalEntityId, employeeCode, runQuery = query }) {
+  const code = up(employeeCode);
+  if (!code) return null;
+  const res = await runQuery(
+    `SELECT id
+     FROM payroll_employees
+     WHERE tenant_id = ? AND legal_entity_id = ? AND employee_code = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, code]
+  );
+  return parsePositiveInt(res.rows?.[0]?.id) || null;
+}
+
+export async function listPayrollEmployees({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const asOfDate = filters.asOfDate || todayDateOnly();
+  const params = [asOfDate, asOfDate, tenantId];
+  const conditions = ["e.tenant_id = ?"];
+  const leId = parsePositiveInt(filters.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("e.legal_entity_id = ?");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(buildScopeFilter(req, "legal_entity", "e.legal_entity_id", params));
+  }
+  if (filters.status) {
+    conditions.push("e.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.operatingUnitId) {
+    conditions.push("h.operating_unit_id = ?");
+    params.push(filters.operatingUnitId);
+  }
+  if (filters.q) {
+    conditions.push("(e.employee_code LIKE ? OR e.full_name LIKE ? OR e.sgk_number LIKE ?)");
+    const like = `%${filters.q}%`;
+    params.push(like, like, like);
+  }
+  const fromSql = `FROM payroll_employees e
+     JOIN legal_entities le ON le.tenant_id = e.tenant_id AND le.id = e.legal_entity_id
+     LEFT JOIN payroll_employee_history h
+       ON h.tenant_id = e.tenant_id
+      AND h.employee_id = e.id
+      AND h.effective_from <= ?
+      AND COALESCE(h.effective_to, '9999-12-31') >= ?
+     LEFT JOIN operating_units ou ON ou.tenant_id = h.tenant_id AND ou.id = h.operating_unit_id`;
+  const whereSql = conditions.join(" AND ");
+  const countRes = await query(`SELECT COUNT(*) AS total ${fromSql} WHERE ${whereSql}`, params);
+  const total = Number(countRes.rows?.[0]?.total || 0);
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listRes = await query(
+    `SELECT e.*,
+            le.code AS legal_entity_code,
+            h.effective_from,
+            h.operating_unit_id,
+            ou.code AS operating_unit_code,
+            h.cost_center_code,
+            h.position_title,
+            h.base_salary,
+            h.salary_currency_code
+     ${fromSql}
+     WHERE ${whereSql}
+     ORDER BY e.employee_code ASC, e.id ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    as_of_date: asOfDate,
+    rows: (listRes.rows || []).map(mapEmployee),
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export async function getPayrollEmployeeDetail({ req, tenantId, employeeId, assertScopeAccess }) {
+  const row = await requireEmployee({ tenantId, employeeId });
+  assertLeScope(req, assertScopeAccess, row.legal_entity_id, "employeeId");
+  const history = await listHistory({ tenantId, employeeId });
+  const beneficiaryRes = await query(
+    `SELECT id, bank_name, account_last4, currency_code, is_primary, status
+     FROM payroll_beneficiary_bank_accounts
+     WHERE tenant_id = ? AND legal_entity_id = ? AND employee_id = ?
+     ORDER BY is_primary DESC, id DESC`,
+    [tenantId, row.legal_entity_id, employeeId]
+  );
+  const leaveRes = await query(
+    `SELECT id, entry_date, entry_type, days, note, created_by_user_id, created_at
+     FROM payroll_employee_leave_entries
+     WHERE tenant_id = ? AND employee_id = ?
+     ORDER BY entry_date DESC, id DESC`,
+    [tenantId, employeeId]
+  );
+  return {
+    row: mapEmployee(row),
+    history: history.map(mapHistory),
+    beneficiary_accounts: beneficiaryRes.rows || [],
+    leave_entries: (leaveRes.rows || []).map((entry) => ({
+      ...entry,
+      entry_date: toDateOnly(entry.entry_date),
+    })),
+  };
+}
+
+export async function createPayrollEmployee({ req, tenantId, userId, input, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(tenantId, input.legalEntityId, "legalEntityId");
+  assertLeScope(req, assertScopeAccess, input.legalEntityId, "legalEntityId");
+  await assertOperatingUnitInLegalEntity({
+    tenantId,
+    legalEntityId: input.legalEntityId,
+    operatingUnitId: input.operatingUnitId,
+  });
+  if (input.salaryCurrencyCode) {
+    await assertCurrencyExists(input.salaryCurrencyCode, "salaryCurrencyCode");
+  }
+
+  let employeeId = null;
+  try {
+    await withTransaction(async (tx) => {
+      const ins = await tx.query(
+        `INSERT INTO payroll_employees (
+            tenant_id, legal_entity_id, employee_code, full_name, national_id, email, sgk_number,
+            hire_date, status, created_by_user_id, updated_by_user_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+        [
+          tenantId,
+          input.legalEntityId,
+          input.employeeCode,
+          input.fullName,
+          input.nationalId || null,
+          input.email || null,
+          input.sgkNumber || null,
+          input.hireDate,
+          userId,
+          userId,
+        ]
+      );
+      employeeId = parsePositiveInt(ins.rows?.insertId);
+      await insertHistoryRow({
+        tenantId,
+        legalEntityId: input.legalEntityId,
+        employeeId,
+        effectiveFrom: input.hireDate,
+        changeType: "HIRE",
+        attributes: {
+          operating_unit_id: input.operatingUnitId,
+          cost_center_code: input.costCenterCode,
+          position_title: input.positionTitle,
+          base_salary: input.baseSalary,
+          salary_currency_code: input.salaryCurrencyCode,
+        },
+        note: input.note,
+        userId,
+        runQuery: tx.query,
+      });
+      await backfillEmployeeLinks({
+        tenantId,
+        legalEntityId: input.legalEntityId,
+        employeeId,
+        employeeCode: input.employeeCode,
+        runQuery: tx.query,
+      });
+    });
+  } catch (err) {
+    if (isDup(err)) {
+      throw conflict(`Employee code ${input.employeeCode} already exists in this legal entity`);
+    }
+    throw err;
+  }
+  return getPayrollEmployeeDetail({ req, tenantId, employeeId, assertScopeAccess });
+}
+
+export async function updatePayrollEmployeeIdentity({ req, tenantId, userId, employeeId, input, assertScopeAccess }) {
+  const current = await requireEmployee({ tenantId, employeeId });
+  assertLeScope(req, assertScopeAccess, current.legal_entity_id, "employeeId");
+  const sets = [];
+  const params = [];
+  for (const [key, column] of [
+    ["fullName", "full_name"],
+    ["nationalId", "national_id"],
+    ["email", "email"],
+    ["sgkNumber", "sgk_number"],
+  ]) {
+    if (input[key] === undefined) continue;
+    sets.push(`${column} = ?`);
+    params.push(input[key] || null);
+  }
+  if (!sets.length) throw badRequest("At least one identity field is required");
+  if (input.fullName === null) throw badRequest("fullName cannot be cleared");
+  await query(
+    `UPDATE payroll_employees
+     SET ${sets.join(", ")}, updated_by_user_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE tenant_id = ? AND id = ?`,
+    [...params, userId, tenantId, employeeId]
+  );
+  return getPayrollEmployeeDetail({ req, tenantId, employeeId, assertScopeAccess });
+}
+
+/**
+ * Records an effective-dated employment change. The new history row starts from the attributes
+ * effective on that date and overrides only the fields supplied; TERMINATION and REHIRE also
+ * move the employment dates on the master row.
+ */
+export async function recordPayrollEmployeeChange({ req, tenantId, userId, employeeId, input, assertScopeAccess }) {
+  await withTransaction(async (tx) => {
+    const employee = await requireEmployee({ tenantId, employeeId, runQuery: tx.query, forUpdate: true });
+    const legalEntityId = parsePositiveInt(employee.legal_entity_id);
+    assertLeScope(req, assertScopeAccess, legalEntityId, "employeeId");
+
+    const changeType = up(input.changeType);
+    const effectiveFrom = input.effectiveFrom;
+    const hireDate = toDateOnly(employee.hire_date);
+    const terminationDate = toDateOnly(employee.termination_date);
+    const isTerminated = up(employee.status) === "TERMINATED";
+
+    if (changeType === "REHIRE") {
+      if (!isTerminated) throw conflict("Only a terminated employee can be rehired");
+      if (effectiveFrom <= terminationDate) {
+        throw badRequest("Rehire date must be after the termination date");
+      }
+    } else {
+      if (effectiveFrom < hireDate) throw badRequest("effectiveFrom cannot be before the hire date");
+      if (isTerminated && effectiveFrom > terminationDate) {
+        throw conflict("Employee is terminated; record a REHIRE before later changes");
+      }
+      if (changeType === "TERMINATION" && isTerminated) {
+        throw conflict("Employee is already terminated");
+      }
+    }
+
+    await assertOperatingUnitInLegalEntity({
+      tenantId,
+      legalEntityId,
+      operatingUnitId: input.operatingUnitId,
+      runQuery: tx.query,
+    });
+    if (input.salaryCurrencyCode) {
+      await assertCurrencyExists(input.salaryCurrencyCode, "salaryCurrencyCode");
+    }
+
+    const priorRes = await tx.query(
+      `SELECT *
+       FROM payroll_employee_history
+       WHERE tenant_id = ? AND employee_id = ? AND effective_from <= ?
+       ORDER BY effective_from DESC, id DESC
+       LIMIT 1`,
+      [tenantId, employeeId, effectiveFrom]
+    );
+    const prior = priorRes.rows?.[0] || {};
+    if (changeType === "TERMINATION") {
+      const laterRes = await tx.query(
+        `SELECT id
+         FROM payroll_employee_history
+         WHERE tenant_id = ? AND employee_id = ? AND effective_from > ?
+         LIMIT 1`,
+        [tenantId, employeeId, effectiveFrom]
+      );
+      if (laterRes.rows?.[0]) {
+        throw conflict("Employee has changes recorded after the termination date");
+      }
+    }
+    const attributes = {};
+    for (const [key, column] of HISTORY_ATTRIBUTE_FIELDS) {
+      attributes[column] = input[key] === undefined ? prior[column] ?? null : input[key];
+    }
+
+    if (changeType === "TERMINATION") {
+      await tx.query(
+        `UPDATE payroll_employees
+         SET status = 'TERMINATED', termination_date = ?, termination_reason = ?,
+             updated_by_user_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = ? AND id = ?`,
+        [effectiveFrom, input.terminationReason || null, userId, tenantId, employeeId]
+      );
+    } else if (changeType === "REHIRE") {
+      await tx.query(
+        `UPDATE payroll_employees
+         SET status = 'ACTIVE', hire_date = ?, termination_date = NULL, termination_reason = NULL,
+             updated_by_user_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = ? AND id = ?`,
+        [effectiveFrom, userId, tenantId, employeeId]
+      );
+    }
+
+    await insertHistoryRow({
+      tenantId,
+      legalEntityId,
+      employeeId,
+      effectiveFrom,
+      changeType,
+      attributes,
+      note: input.note || input.terminationReason,
+      userId,
+      runQuery: tx.query,
+    });
+  });
+  return getPayrollEmployeeDetail({ req, tenantId, employeeId, assertScopeAccess });
+}
+
+// Leave taken (USED) or granted outside the statutory entitlement (ADJUSTMENT, may be negative);
+// both feed the unused leave provision.
+export async function recordPayrollEmployeeLeaveEntry({ req, tenantId, userId, employeeId, input, assertScopeAccess }) {
+  const employee = await requireEmployee({ tenantId, employeeId });
+  assertLeScope(req, assertScopeAccess, employee.legal_entity_id, "employeeId");
+  if (input.entryDate < toDateOnly(employee.hire_date)) {
+    throw badRequest("entryDate cannot be before the hire date");
+  }
+  if (employee.termination_date && input.entryDate > toDateOnly(employee.termination_date)) {
+    throw badRequest("entryDate cannot be after the termination date");
+  }
+  await query(
+    `INSERT INTO payroll_employee_leave_entries (
+        tenant_id, legal_entity_id, employee_id, entry_date, entry_type, days, note, created_by_user_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      employee.legal_entity_id,
+      employeeId,
+      input.entryDate,
+      input.entryType,
+      input.days,
+      input.note || null,
+      userId,
+    ]
+  );
+  return getPayrollEmployeeDetail({ req, tenantId, employeeId, assertScopeAccess });
+}
+
+/**
+ * Checks payroll codes against the employee master for the calendar month of `payrollPeriod`.
+ * `masterEnabled` is false while the legal entity has no employees yet, so runs of entities that
+ * have not adopted the master are not blocked.
+ */
+export async function checkPayrollEmployeesForPeriod({
+  tenantId,
+  legalEntityId,
+  employeeCodes,
+  payrollPeriod,
+  runQuery = query,
+}) {
+  const masterEnabled = await isPayrollEmployeeMasterEnabled({ tenantId, legalEntityId, runQuery });
+  const codes = Array.from(new Set((employeeCodes || []).map(up).filter(Boolean))).sort();
+  const results = new Map();
+  if (!codes.length) return { masterEnabled, results, issues: [] };
+
+  const rowsRes = await runQuery(
+    `SELECT id, employee_code, full_name, hire_date, termination_date
+     FROM payroll_employees
+     WHERE tenant_id = ? AND legal_entity_id = ?
+       AND employee_code IN (${codes.map(() => "?").join(", ")})`,
+    [tenantId, legalEntityId, ...codes]
+  );
+  const byCode = new Map((rowsRes.rows || []).map((row) => [up(row.employee_code), row]));
+  const periodStart = toDateOnly(payrollPeriod);
+  const periodEnd = monthEnd(periodStart);
+  const issues = [];
+  for (const code of codes) {
+    const employee = byCode.get(code);
+    let status = EMPLOYEE_CHECK_STATUSES.MATCHED;
+    if (!employee) status = EMPLOYEE_CHECK_STATUSES.UNKNOWN;
+    else if (toDateOnly(employee.hire_date) > periodEnd) status = EMPLOYEE_CHECK_STATUSES.NOT_HIRED;
+    else if (employee.termination_date && toDateOnly(employee.termination_date) < periodStart) {
+      status = EMPLOYEE_CHECK_STATUSES.TERMINATED;
+    }
+    results.set(code, { employee_id: parsePositiveInt(employee?.id) || null, status });
+    if (status !== EMPLOYEE_CHECK_STATUSES.MATCHED) {
+      issues.push({
+        employee_code: code,
+        employee_id: parsePositiveInt(employee?.id) || null,
+        status,
+        hire_date: toDateOnly(employee?.hire_date),
+        termination_date: toDateOnly(employee?.termination_date),
+      });
+    }
+  }
+  return { masterEnabled, results, issues: masterEnabled ? issues : [] };
+}
+
+/**
+ * Re-checks every line of a run against the employee master and stores the employee link and
+ * check status on the lines. Returns the check so callers can gate on `issues`.
+ */
+export async function refreshPayrollRunEmployeeChecks({ tenantId, legalEntityId, runId, payrollPeriod, runQuery = query }) {
+  const linesRes = await runQuery(
+    `SELECT DISTINCT employee_code
+     FROM payroll_run_lines
+     WHERE tenant_id = ? AND legal_entity_id = ? AND run_id = ?`,
+    [tenantId, legalEntityId, runId]
+  );
+  const check = await checkPayrollEmployeesForPeriod({
+    tenantId,
+    legalEntityId,
+    employeeCodes: (linesRes.rows || []).map((row) => row.employee_code),
+    payrollPeriod,
+    runQuery,
+  });
+  for (const [code, result] of check.results) {
+    // eslint-disable-next-line no-await-in-loop
+    await runQuery(
+      `UPDATE payroll_run_lines
+       SET employee_id = ?, employee_check_status = ?
+       WHERE tenant_id = ? AND legal_entity_id = ? AND run_id = ? AND employee_code = ?`,
+      [
+        result.employee_id,
+        check.masterEnabled ? result.status : null,
+        tenantId,
+        legalEntityId,
+        runId,
+        code,
+      ]
+    );
+  }
+  return check;
+}
+
+export default {
+  checkPayrollEmployeesForPeriod,
+  createPayrollEmployee,
+  findPayrollEmployeeIdByCode,
+  getPayrollEmployeeDetail,
+  isPayrollEmployeeMasterEnabled,
+  listPayrollEmployees,
+  recordPayrollEmployeeChange,
+  recordPayrollEmployeeLeaveEntry,
+  refreshPayrollRunEmployeeChecks,
+  resolvePayrollEmployeeScope,
+  updatePayrollEmployeeIdentity,
+};
@@ -5,6 +5,11 @@ import {
   assertLegalEntityBelongsToTenant,
 } from "../tenantGuards.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  loadPayrollMappingDimensions,
+  replacePayrollMappingDimensionsTx,
+  validateLineDimensions,
+} from "./gl.dimensions.service.js";
 
 export const EXPECTED_SIDE_BY_COMPONENT = Object.freeze({
   BASE_SALARY_EXPENSE: "DEBIT",
@@ -19,6 +24,12 @@ export const EXPECTED_SIDE_BY_COMPONENT = Object.freeze({
   EMPLOYER_TAX_PAYABLE: "CREDIT",
   EMPLOYER_SOCIAL_SECURITY_PAYABLE: "CREDIT",
   OTHER_DEDUCTIONS_PAYABLE: "CREDIT",
+  SEVERANCE_PROVISION_EXPENSE: "DEBIT",
+  SEVERANCE_PROVISION_LIABILITY: "CREDIT",
+  NOTICE_PROVISION_EXPENSE: "DEBIT",
+  NOTICE_PROVISION_LIABILITY: "CREDIT",
+  LEAVE_PROVISION_EXPENSE: "DEBIT",
+  LEAVE_PROVISION_LIABILITY: "CREDIT",
 });
 
 function normalizeUpperText(value) {
@@ -194,11 +205,17 @@ async function findPayrollMappingById({ tenantId, mappingId, runQuery = query })
   if (!row) {
     return null;
   }
+  const dimensionsByMappingId = await loadPayrollMappingDimensions({
+    tenantId,
+    mappingIds: [mappingId],
+    runQuery,
+  });
   return {
     ...row,
     is_active: parseDbBoolean(row.is_active),
     effective_from: toDateOnly(row.effective_from),
     effective_to: toDateOnly(row.effective_to),
+    dimensions: dimensionsByMappingId.get(parsePositiveInt(mappingId)) || [],
   };
 }
 
@@ -346,6 +363,14 @@ export async function upsertPayrollComponentMapping({
       label: "glAccountId",
       runQuery: tx.query,
     });
+    // REQUIRED rules may still be met by the payroll cost center split, so only the
+    // assignments themselves are validated here; the accrual preview enforces the rules.
+    const [dimensions] = await validateLineDimensions({
+      tenantId: payload.tenantId,
+      legalEntityId: payload.legalEntityId,
+      lines: [{ accountId: null, dimensions: payload.dimensions || [], label: "mapping" }],
+      runQuery: tx.query,
+    });
 
     if (payload.closePreviousOpenMapping) {
       const previousOpen = await tx.query(
@@ -465,6 +490,12 @@ export async function upsertPayrollComponentMapping({
     if (!mappingId) {
       throw new Error("Failed to create payroll component mapping");
     }
+    await replacePayrollMappingDimensionsTx(tx, {
+      tenantId: payload.tenantId,
+      legalEntityId: payload.legalEntityId,
+      mappingId,
+      dimensions,
+    });
 
     await writePayrollMappingAudit({
       tenantId: payload.tenantId,
@@ -480,6 +511,10 @@ export async function upsertPayrollComponentMapping({
         effectiveFrom: payload.effectiveFrom,
         effectiveTo: payload.effectiveTo,
         notes: payload.notes,
+        dimensions: dimensions.map((item) => ({
+          dimensionTypeId: item.dimensionTypeId,
+          dimensionValueId: item.dimensionValueId,
+        })),
       },
       userId: payload.userId,
       runQuery: tx.query,
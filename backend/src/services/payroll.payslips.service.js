@@ -0,0 +1,567 @@
+import crypto from "node:crypto";
+import { query, withTransaction } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { maskString } from "../utils/redaction.js";
+import { buildTextPdf } from "../utils/textPdf.js";
+import { resolvePrimaryPayrollBeneficiaryBankAccount } from "./payroll.beneficiaries.service.js";
+import { writeSensitiveDataAudit } from "./security.sensitiveDataAudit.service.js";
+
+const EARNING_COMPONENTS = Object.freeze([
+  { key: "base_salary", label: "Base salary" },
+  { key: "overtime_pay", label: "Overtime" },
+  { key: "bonus_pay", label: "Bonus" },
+  { key: "allowances_total", label: "Allowances" },
+]);
+
+const DEDUCTION_COMPONENTS = Object.freeze([
+  { key: "employee_tax", label: "Income and stamp tax" },
+  { key: "employee_social_security", label: "Employee social security" },
+  { key: "other_deductions", label: "Other deductions" },
+]);
+
+const EMPLOYER_COMPONENTS = Object.freeze([
+  { key: "employer_tax", label: "Employer tax" },
+  { key: "employer_social_security", label: "Employer social security" },
+]);
+
+const AMOUNT_KEYS = Object.freeze([
+  ...EARNING_COMPONENTS.map((c) => c.key),
+  "gross_pay",
+  ...DEDUCTION_COMPONENTS.map((c) => c.key),
+  "net_pay",
+  ...EMPLOYER_COMPONENTS.map((c) => c.key),
+]);
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  const pad2 = (n) => String(n).padStart(2, "0");
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+  }
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Number(parsed.toFixed(6));
+}
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function parseOptionalJson(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function assertLeScope(req, assertScopeAccess, legalEntityId, label = "legalEntityId") {
+  if (assertScopeAccess && parsePositiveInt(legalEntityId)) {
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(legalEntityId), label);
+  }
+}
+
+function formatAmount(value) {
+  const [whole, fraction] = Math.abs(round2(value)).toFixed(2).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${round2(value) < 0 ? "-" : ""}${grouped}.${fraction}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
+}
+
+function maskIdentifier(value) {
+  const text = String(value || "").replace(/\s+/g, "");
+  return text ? maskString(text) : null;
+}
+
+function safeFileToken(value) {
+  return String(value || "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .slice(0, 80);
+}
+
+function sumAmounts(row, keys) {
+  return round2(keys.reduce((total, key) => total + toAmount(row?.[key]), 0));
+}
+
+function mapPayslip(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payroll_period: toDateOnly(row.payroll_period),
+    summary_json: parseOptionalJson(row.summary_json),
+  };
+}
+
+async function findRunHeader({ tenantId, runId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT r.*, le.code AS legal_entity_code, le.name AS legal_entity_name
+     FROM payroll_runs r
+     JOIN legal_entities le ON le.tenant_id = r.tenant_id AND le.id = r.legal_entity_id
+     WHERE r.tenant_id = ? AND r.id = ?
+     LIMIT 1`,
+    [tenantId, runId]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function loadRunLinesForPayslips({ tenantId, runId, runQuery }) {
+  const res = await runQuery(
+    `SELECT l.*, e.national_id, e.sgk_number
+     FROM payroll_run_lines l
+     LEFT JOIN payroll_employees e
+       ON e.tenant_id = l.tenant_id
+      AND e.legal_entity_id = l.legal_entity_id
+      AND e.id = l.employee_id
+     WHERE l.tenant_id = ? AND l.run_id = ?
+     ORDER BY l.line_no ASC, l.id ASC`,
+    [tenantId, runId]
+  );
+  return res.rows || [];
+}
+
+// Calendar-year totals per employee over FINALIZED runs up to and including this run. Reversal
+// runs carry negated lines, so a reversed month nets out of the year-to-date figures.
+async function loadYtdTotals({ tenantId, run, employeeCodes, runQuery }) {
+  if (!employeeCodes.length) return new Map();
+  const period = toDateOnly(run.payroll_period);
+  const placeholders = employeeCodes.map(() => "?").join(", ");
+  const res = await runQuery(
+    `SELECT l.employee_code,
+            ${AMOUNT_KEYS.map((key) => `SUM(l.${key}) AS ${key}`).join(",\n            ")}
+     FROM payroll_run_lines l
+     JOIN payroll_runs r ON r.tenant_id = l.tenant_id AND r.id = l.run_id
+     WHERE l.tenant_id = ? AND l.legal_entity_id = ?
+       AND l.employee_code IN (${placeholders})
+       AND r.status = 'FINALIZED'
+       AND r.currency_code = ?
+       AND r.payroll_period >= ?
+       AND (r.payroll_period < ? OR (r.payroll_period = ? AND r.id <= ?))
+     GROUP BY l.employee_code`,
+    [
+      tenantId,
+      run.legal_entity_id,
+      ...employeeCodes,
+      run.currency_code,
+      `${period.slice(0, 4)}-01-01`,
+      period,
+      period,
+      run.id,
+    ]
+  );
+  return new Map((res.rows || []).map((row) => [String(row.employee_code), row]));
+}
+
+function buildPayslipSummary({ run, line, ytdRow, bankAccount }) {
+  const current = {};
+  const ytd = {};
+  for (const key of AMOUNT_KEYS) {
+    current[key] = round2(toAmount(line[key]));
+    ytd[key] = round2(toAmount(ytdRow?.[key]));
+  }
+  const employerKeys = ["gross_pay", ...EMPLOYER_COMPONENTS.map((c) => c.key)];
+  const deductionKeys = DEDUCTION_COMPONENTS.map((c) => c.key);
+  current.total_deductions = sumAmounts(current, deductionKeys);
+  ytd.total_deductions = sumAmounts(ytd, deductionKeys);
+  current.total_employer_cost = sumAmounts(current, employerKeys);
+  ytd.total_employer_cost = sumAmounts(ytd, employerKeys);
+
+  return {
+    run_no: run.run_no,
+    run_type: up(run.run_type) || "REGULAR",
+    legal_entity_code: run.legal_entity_code,
+    legal_entity_name: run.legal_entity_name,
+    payroll_period: toDateOnly(run.payroll_period),
+    pay_date: toDateOnly(run.pay_date),
+    currency_code: up(run.currency_code),
+    employee_code: line.employee_code,
+    employee_name: line.employee_name || null,
+    cost_center_code: line.cost_center_code || null,
+    national_id_masked: maskIdentifier(line.national_id),
+    sgk_number_masked: maskIdentifier(line.sgk_number),
+    bank_account_masked: maskIdentifier(bankAccount?.iban || bankAccount?.account_number),
+    current,
+    ytd,
+  };
+}
+
+function payslipRows(summary) {
+  const row = (label, key) => ({ label, current: summary.current[key], ytd: summary.ytd[key] });
+  return [
+    {
+      title: "Earnings",
+      rows: [...EARNING_COMPONENTS.map((c) => row(c.label, c.key)), row("Gross pay", "gross_pay")],
+    },
+    {
+      title: "Deductions",
+      rows: [
+        ...DEDUCTION_COMPONENTS.map((c) => row(c.label, c.key)),
+        row("Total deductions", "total_deductions"),
+      ],
+    },
+    { title: "Net pay", rows: [row("Net pay", "net_pay")] },
+    {
+      title: "Employer costs",
+      rows: [
+        ...EMPLOYER_COMPONENTS.map((c) => row(c.label, c.key)),
+        row("Total employer cost", "total_employer_cost"),
+      ],
+    },
+  ];
+}
+
+function payslipHeaderFields(summary) {
+  return [
+    ["Legal entity", `${summary.legal_entity_code} ${summary.legal_entity_name || ""}`.trim()],
+    ["Payroll period", String(summary.payroll_period || "").slice(0, 7)],
+    ["Pay date", summary.pay_date || "-"],
+    ["Run", `${summary.run_no} (${summary.run_type})`],
+    ["Employee", `${summary.employee_code} ${summary.employee_name || ""}`.trim()],
+    ["National ID", summary.national_id_masked || "-"],
+    ["SGK number", summary.sgk_number_masked || "-"],
+    ["Bank account", summary.bank_account_masked || "-"],
+    ["Cost center", summary.cost_center_code || "-"],
+    ["Currency", summary.currency_code],
+  ];
+}
+
+function renderPayslipHtml(summary) {
+  const header = payslipHeaderFields(summary)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("\n");
+  const sections = payslipRows(summary)
+    .map((section) => {
+      const rows = section.rows
+        .map(
+          (r) =>
+            `<tr><td>${escapeHtml(r.label)}</td><td class="amt">${formatAmount(r.current)}</td>` +
+            `<td class="amt">${formatAmount(r.ytd)}</td></tr>`
+        )
+        .join("\n");
+      return (
+        `<h2>${escapeHtml(section.title)}</h2>\n<table>\n` +
+        `<tr><th></th><th class="amt">Current period</th><th class="amt">Year to date</th></tr>\n` +
+        `${rows}\n</table>`
+      );
+    })
+    .join("\n");
+  return [
+    "<!DOCTYPE html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>Payslip ${escapeHtml(summary.employee_code)} ${escapeHtml(String(summary.payroll_period).slice(0, 7))}</title>`,
+    "<style>body{font-family:sans-serif;font-size:12px}table{border-collapse:collapse;width:100%}" +
+      "th,td{border:1px solid #ccc;padding:4px;text-align:left}.amt{text-align:right}</style>",
+    "</head><body>",
+    "<h1>Payslip</h1>",
+    `<table>\n${header}\n</table>`,
+    sections,
+    "</body></html>",
+  ].join("\n");
+}
+
+function renderPayslipPdf(summary) {
+  const lines = ["PAYSLIP", ""];
+  for (const [label, value] of payslipHeaderFields(summary)) {
+    lines.push(`${label.padEnd(16)}${value}`);
+  }
+  for (const section of payslipRows(summary)) {
+    lines.push("", `${section.title.toUpperCase().padEnd(36)}${"Current".padStart(20)}${"YTD".padStart(20)}`);
+    for (const r of section.rows) {
+      lines.push(
+        `  ${r.label.padEnd(34)}${formatAmount(r.current).padStart(20)}${formatAmount(r.ytd).padStart(20)}`
+      );
+    }
+  }
+  return buildTextPdf({
+    title: `Payslip ${summary.employee_code} ${String(summary.payroll_period).slice(0, 7)}`,
+    lines,
+  });
+}
+
+/**
+ * Creates the missing payslips of a FINALIZED run inside the caller's transaction. Existing
+ * payslips are kept as issued, so calling this again after a partial failure is safe.
+ * Identifiers are masked before rendering; the stored documents never hold a full TCKN or IBAN.
+ */
+export async function generatePayrollPayslipsForRunTx(tx, { tenantId, runId, userId }) {
+  const run = await findRunHeader({ tenantId, runId, runQuery: tx.query });
+  if (!run) throw notFound("Payroll run not found");
+  if (up(run.status) !== "FINALIZED") {
+    throw badRequest("Payslips can only be generated for FINALIZED payroll runs");
+  }
+  if (up(run.run_type) === "REVERSAL") {
+    throw badRequest("Payslips are not generated for REVERSAL payroll runs");
+  }
+  const legalEntityId = parsePositiveInt(run.legal_entity_id);
+
+  const existingRes = await tx.query(
+    `SELECT run_line_id FROM payroll_payslips WHERE tenant_id = ? AND run_id = ?`,
+    [tenantId, runId]
+  );
+  const existingLineIds = new Set(
+    (existingRes.rows || []).map((row) => parsePositiveInt(row.run_line_id))
+  );
+  const lines = (await loadRunLinesForPayslips({ tenantId, runId, runQuery: tx.query })).filter(
+    (line) => !existingLineIds.has(parsePositiveInt(line.id))
+  );
+  const ytdByEmployee = await loadYtdTotals({
+    tenantId,
+    run,
+    employeeCodes: Array.from(new Set(lines.map((line) => String(line.employee_code)))),
+    runQuery: tx.query,
+  });
+
+  const createdIds = [];
+  for (const line of lines) {
+    // eslint-disable-next-line no-await-in-loop
+    const bankAccount = await resolvePrimaryPayrollBeneficiaryBankAccount({
+      tenantId,
+      legalEntityId,
+      employeeCode: line.employee_code,
+      currencyCode: run.currency_code,
+      asOfDate: toDateOnly(run.pay_date),
+      runQuery: tx.query,
+    });
+    const summary = buildPayslipSummary({
+      run,
+      line,
+      ytdRow: ytdByEmployee.get(String(line.employee_code)),
+      bankAccount,
+    });
+    const html = renderPayslipHtml(summary);
+    const pdf = renderPayslipPdf(summary);
+    // eslint-disable-next-line no-await-in-loop
+    const ins = await tx.query(
+      `INSERT INTO payroll_payslips (
+          tenant_id, legal_entity_id, run_id, run_line_id, employee_id, employee_code, employee_name,
+          payroll_period, currency_code, gross_pay, net_pay, total_employer_cost, summary_json,
+          html_content, html_checksum, pdf_content, pdf_checksum, generated_by_user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        legalEntityId,
+        runId,
+        line.id,
+        parsePositiveInt(line.employee_id),
+        line.employee_code,
+        line.employee_name || null,
+        summary.payroll_period,
+        summary.currency_code,
+        summary.current.gross_pay,
+        summary.current.net_pay,
+        summary.current.total_employer_cost,
+        JSON.stringify(summary),
+        html,
+        sha256(html),
+        pdf,
+        sha256(pdf),
+        parsePositiveInt(userId),
+      ]
+    );
+    createdIds.push(parsePositiveInt(ins.rows?.insertId));
+  }
+
+  if (createdIds.length > 0) {
+    await writeSensitiveDataAudit({
+      tenantId,
+      legalEntityId,
+      moduleCode: "PAYROLL",
+      objectType: "PAYROLL_RUN",
+      objectId: runId,
+      action: "PAYSLIPS_GENERATED",
+      payload: { run_no: run.run_no, created_count: createdIds.length },
+      note: "Masked payslips generated for finalized payroll run",
+      userId,
+      runQuery: tx.query,
+    });
+  }
+
+  return {
+    runId,
+    createdCount: createdIds.length,
+    existingCount: existingLineIds.size,
+  };
+}
+
+export async function resolvePayrollPayslipScope(payslipId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(payslipId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const res = await runQuery(
+    `SELECT legal_entity_id FROM payroll_payslips WHERE tenant_id = ? AND id = ? LIMIT 1`,
+    [t, id]
+  );
+  const row = res.rows?.[0];
+  if (!row) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function generatePayrollRunPayslips({ req, tenantId, userId, runId, assertScopeAccess }) {
+  const run = await findRunHeader({ tenantId, runId });
+  if (!run) throw notFound("Payroll run not found");
+  assertLeScope(req, assertScopeAccess, run.legal_entity_id, "runId");
+  return withTransaction(async (tx) => {
+    await tx.query(`SELECT id FROM payroll_runs WHERE tenant_id = ? AND id = ? FOR UPDATE`, [
+      tenantId,
+      runId,
+    ]);
+    return generatePayrollPayslipsForRunTx(tx, { tenantId, runId, userId });
+  });
+}
+
+export async function listPayrollPayslips({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["p.tenant_id = ?"];
+  const leId = parsePositiveInt(filters.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("p.legal_entity_id = ?");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(buildScopeFilter(req, "legal_entity", "p.legal_entity_id", params));
+  }
+  if (filters.runId) {
+    conditions.push("p.run_id = ?");
+    params.push(filters.runId);
+  }
+  if (filters.employeeCode) {
+    conditions.push("p.employee_code = ?");
+    params.push(filters.employeeCode);
+  }
+  if (filters.payrollPeriod) {
+    conditions.push("p.payroll_period = ?");
+    params.push(filters.payrollPeriod);
+  }
+  const whereSql = conditions.join(" AND ");
+  const countRes = await query(`SELECT COUNT(*) AS total FROM payroll_payslips p WHERE ${whereSql}`, params);
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listRes = await query(
+    `SELECT p.id, p.tenant_id, p.legal_entity_id, p.run_id, p.run_line_id, p.employee_id,
+            p.employee_code, p.employee_name, p.payroll_period, p.currency_code,
+            p.gross_pay, p.net_pay, p.total_employer_cost, p.summary_json,
+            p.html_checksum, p.pdf_checksum, p.download_count, p.last_downloaded_at,
+            p.generated_by_user_id, p.generated_at,
+            r.run_no, le.code AS legal_entity_code
+     FROM payroll_payslips p
+     JOIN payroll_runs r ON r.tenant_id = p.tenant_id AND r.id = p.run_id
+     JOIN legal_entities le ON le.tenant_id = p.tenant_id AND le.id = p.legal_entity_id
+     WHERE ${whereSql}
+     ORDER BY p.payroll_period DESC, p.run_id DESC, p.employee_code ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (listRes.rows || []).map(mapPayslip),
+    total: Number(countRes.rows?.[0]?.total || 0),
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+/**
+ * Returns one stored payslip document. Every call is recorded in sensitive_data_audit and counted
+ * on the payslip in the same transaction, so a download is never served without its audit row.
+ */
+export async function downloadPayrollPayslip({ req, tenantId, userId, payslipId, format, assertScopeAccess }) {
+  return withTransaction(async (tx) => {
+    const res = await tx.query(
+      `SELECT p.*, r.run_no
+       FROM payroll_payslips p
+       JOIN payroll_runs r ON r.tenant_id = p.tenant_id AND r.id = p.run_id
+       WHERE p.tenant_id = ? AND p.id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, payslipId]
+    );
+    const row = res.rows?.[0];
+    if (!row) throw notFound("Payslip not found");
+    assertLeScope(req, assertScopeAccess, row.legal_entity_id, "payslipId");
+
+    const isPdf = format === "PDF";
+    const content = isPdf ? Buffer.from(row.pdf_content) : String(row.html_content);
+    const checksum = isPdf ? row.pdf_checksum : row.html_checksum;
+    if (sha256(content) !== checksum) {
+      throw conflict("Stored payslip content does not match its checksum");
+    }
+
+    await tx.query(
+      `UPDATE payroll_payslips
+       SET download_count = download_count + 1, last_downloaded_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ? AND id = ?`,
+      [tenantId, payslipId]
+    );
+    await writeSensitiveDataAudit({
+      tenantId,
+      legalEntityId: row.legal_entity_id,
+      moduleCode: "PAYROLL",
+      objectType: "PAYSLIP",
+      objectId: payslipId,
+      action: "DOWNLOAD",
+      payload: {
+        format,
+        run_id: parsePositiveInt(row.run_id),
+        employee_code: row.employee_code,
+        payroll_period: toDateOnly(row.payroll_period),
+        checksum,
+      },
+      userId,
+      runQuery: tx.query,
+    });
+
+    const period = String(toDateOnly(row.payroll_period) || "").slice(0, 7);
+    return {
+      fileName: `payslip-${safeFileToken(row.employee_code)}-${period}-${safeFileToken(row.run_no)}.${
+        isPdf ? "pdf" : "html"
+      }`,
+      contentType: isPdf ? "application/pdf" : "text/html; charset=utf-8",
+      checksum,
+      content,
+    };
+  });
+}
+
+export default {
+  downloadPayrollPayslip,
+  generatePayrollPayslipsForRunTx,
+  generatePayrollRunPayslips,
+  listPayrollPayslips,
+  resolvePayrollPayslipScope,
+};
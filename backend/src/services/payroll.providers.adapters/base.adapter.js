@@ -7,6 +7,12 @@ class BasePayrollProviderAdapter {
       .toUpperCase();
   }
 
+  // Calculation providers return the statutory country code whose parameter set and
+  // year-to-date bases must be preloaded into the normalize context; importers return null.
+  calculationCountryCode() {
+    return null;
+  }
+
   parseRaw(_rawPayloadText, _context = {}) {
     throw new Error("parseRaw() not implemented");
   }
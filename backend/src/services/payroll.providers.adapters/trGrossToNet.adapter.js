@@ -0,0 +1,384 @@
+import BasePayrollProviderAdapter from "./base.adapter.js";
+
+const REQUIRED_RATE_KEYS = [
+  "sgk_employee_rate",
+  "unemployment_employee_rate",
+  "sgk_employer_rate",
+  "unemployment_employer_rate",
+  "stamp_tax_rate",
+];
+
+function round2(value) {
+  return Number((Math.round((Number(value) + Number.EPSILON) * 100) / 100).toFixed(2));
+}
+
+function toAmount(value, fieldName) {
+  const normalized = value === undefined || value === null || value === "" ? 0 : Number(value);
+  if (!Number.isFinite(normalized)) {
+    throw new Error(`${fieldName} is invalid number`);
+  }
+  return Number(normalized.toFixed(6));
+}
+
+function toRate(value, fieldName) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === "" || !Number.isFinite(n) || n < 0 || n >= 1) {
+    throw new Error(`${fieldName} must be a rate between 0 and 1`);
+  }
+  return n;
+}
+
+function toFlag(value, fallback = false) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value === "boolean") return value;
+  return ["1", "true", "yes", "y"].includes(String(value).trim().toLowerCase());
+}
+
+export function normalizeTrPayrollCalculationParameters(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Payroll calculation parameters must be a JSON object");
+  }
+  const minimumWageGross = Number(raw.minimum_wage_gross);
+  if (!Number.isFinite(minimumWageGross) || minimumWageGross <= 0) {
+    throw new Error("minimum_wage_gross must be a positive amount");
+  }
+  const rates = {};
+  for (const key of REQUIRED_RATE_KEYS) {
+    rates[key] = toRate(raw[key], key);
+  }
+  const sgkEmployerIncentiveRate =
+    raw.sgk_employer_incentive_rate === undefined || raw.sgk_employer_incentive_rate === null
+      ? 0
+      : toRate(raw.sgk_employer_incentive_rate, "sgk_employer_incentive_rate");
+  if (sgkEmployerIncentiveRate > rates.sgk_employer_rate) {
+    throw new Error("sgk_employer_incentive_rate cannot exceed sgk_employer_rate");
+  }
+
+  const ceilingAmountRaw = raw.sgk_ceiling_amount;
+  const ceilingMultiplierRaw = raw.sgk_ceiling_multiplier;
+  let sgkCeilingAmount = null;
+  if (ceilingAmountRaw !== undefined && ceilingAmountRaw !== null && ceilingAmountRaw !== "") {
+    sgkCeilingAmount = Number(ceilingAmountRaw);
+  } else if (ceilingMultiplierRaw !== undefined && ceilingMultiplierRaw !== null && ceilingMultiplierRaw !== "") {
+    sgkCeilingAmount = Number(ceilingMultiplierRaw) * minimumWageGross;
+  }
+  if (!Number.isFinite(sgkCeilingAmount) || sgkCeilingAmount < minimumWageGross) {
+    throw new Error("sgk_ceiling_amount or sgk_ceiling_multiplier must yield a ceiling at or above minimum_wage_gross");
+  }
+
+  if (!Array.isArray(raw.income_tax_brackets) || raw.income_tax_brackets.length === 0) {
+    throw new Error("income_tax_brackets must be a non-empty array");
+  }
+  const brackets = raw.income_tax_brackets.map((bracket, index) => {
+    const upTo =
+      bracket?.up_to === undefined || bracket?.up_to === null || bracket?.up_to === ""
+        ? null
+        : Number(bracket.up_to);
+    if (upTo !== null && (!Number.isFinite(upTo) || upTo <= 0)) {
+      throw new Error(`income_tax_brackets[${index}].up_to must be a positive amount or null`);
+    }
+    return { up_to: upTo, rate: toRate(bracket?.rate, `income_tax_brackets[${index}].rate`) };
+  });
+  brackets.forEach((bracket, index) => {
+    const isLast = index === brackets.length - 1;
+    if (isLast && bracket.up_to !== null) {
+      throw new Error("The last income tax bracket must have up_to = null");
+    }
+    if (!isLast && bracket.up_to === null) {
+      throw new Error("Only the last income tax bracket may have up_to = null");
+    }
+    if (index > 0 && !isLast && bracket.up_to <= brackets[index - 1].up_to) {
+      throw new Error("income_tax_brackets must be ordered by ascending up_to");
+    }
+  });
+
+  const overtimeMultiplier =
+    raw.overtime_multiplier === undefined || raw.overtime_multiplier === null
+      ? 1.5
+      : Number(raw.overtime_multiplier);
+  const monthlyWorkingHours =
+    raw.monthly_working_hours === undefined || raw.monthly_working_hours === null
+      ? 225
+      : Number(raw.monthly_working_hours);
+  if (!Number.isFinite(overtimeMultiplier) || overtimeMultiplier < 1) {
+    throw new Error("overtime_multiplier must be at least 1");
+  }
+  if (!Number.isFinite(monthlyWorkingHours) || monthlyWorkingHours <= 0) {
+    throw new Error("monthly_working_hours must be positive");
+  }
+  // Kıdem tazminatı ceiling; only the severance provision needs it, so it stays optional here.
+  const severanceCeilingRaw = raw.severance_ceiling_amount;
+  const severanceCeilingAmount =
+    severanceCeilingRaw === undefined || severanceCeilingRaw === null || severanceCeilingRaw === ""
+      ? null
+      : Number(severanceCeilingRaw);
+  if (severanceCeilingAmount !== null && (!Number.isFinite(severanceCeilingAmount) || severanceCeilingAmount <= 0)) {
+    throw new Error("severance_ceiling_amount must be a positive amount");
+  }
+
+  return {
+    minimum_wage_gross: minimumWageGross,
+    sgk_ceiling_amount: Number(sgkCeilingAmount.toFixed(6)),
+    ...rates,
+    sgk_employer_incentive_rate: sgkEmployerIncentiveRate,
+    income_tax_brackets: brackets,
+    minimum_wage_exemption_enabled: toFlag(raw.minimum_wage_exemption_enabled, true),
+    overtime_multiplier: overtimeMultiplier,
+    monthly_working_hours: monthlyWorkingHours,
+    severance_ceiling_amount: severanceCeilingAmount,
+  };
+}
+
+export function computeCumulativeIncomeTax(cumulativeBase, brackets) {
+  let remaining = Math.max(0, Number(cumulativeBase) || 0);
+  let lower = 0;
+  let tax = 0;
+  for (const bracket of brackets) {
+    if (remaining <= 0) break;
+    const width = bracket.up_to === null ? remaining : Math.max(0, bracket.up_to - lower);
+    const taxable = Math.min(remaining, width);
+    tax += taxable * bracket.rate;
+    remaining -= taxable;
+    if (bracket.up_to !== null) lower = bracket.up_to;
+  }
+  return tax;
+}
+
+function periodMonthIndex(payrollPeriod) {
+  const month = Number(String(payrollPeriod || "").slice(5, 7));
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error("payrollPeriod must be a YYYY-MM-DD date for gross-to-net calculation");
+  }
+  return month;
+}
+
+// Gross-to-net for one employee-month. SGK shares are charged on the gross clamped between the
+// day-prorated minimum wage and the SGK ceiling; income tax is the difference of the bracket tax on
+// the cumulative base after and before this month, less the minimum-wage exemption for the same month.
+function calculateEmployeeMonth({ row, rowNo, params, monthIndex, priorCumulativeBase, applyIncentive }) {
+  const baseSalary = toAmount(row.base_salary, `Row ${rowNo} base_salary`);
+  if (baseSalary < 0) throw new Error(`Row ${rowNo}: base_salary cannot be negative`);
+  const overtimeHours = toAmount(row.overtime_hours, `Row ${rowNo} overtime_hours`);
+  const overtimePay =
+    row.overtime_pay !== undefined && row.overtime_pay !== null && row.overtime_pay !== ""
+      ? toAmount(row.overtime_pay, `Row ${rowNo} overtime_pay`)
+      : round2((baseSalary / params.monthly_working_hours) * params.overtime_multiplier * overtimeHours);
+  const bonusPay = toAmount(row.bonus_pay, `Row ${rowNo} bonus_pay`);
+  const allowancesTotal = toAmount(row.allowances_total, `Row ${rowNo} allowances_total`);
+  const otherDeductions = toAmount(row.other_deductions, `Row ${rowNo} other_deductions`);
+  const sgkDays =
+    row.sgk_days === undefined || row.sgk_days === null || row.sgk_days === ""
+      ? 30
+      : Number(row.sgk_days);
+  if (!Number.isInteger(sgkDays) || sgkDays < 0 || sgkDays > 30) {
+    throw new Error(`Row ${rowNo}: sgk_days must be an integer between 0 and 30`);
+  }
+
+  const grossPay = round2(baseSalary + overtimePay + bonusPay + allowancesTotal);
+  const sgkFloor = (params.minimum_wage_gross * sgkDays) / 30;
+  const sgkCeiling = (params.sgk_ceiling_amount * sgkDays) / 30;
+  const sgkBase = round2(Math.min(Math.max(grossPay, sgkFloor), sgkCeiling));
+
+  const sgkEmployee = round2(sgkBase * params.sgk_employee_rate);
+  const unemploymentEmployee = round2(sgkBase * params.unemployment_employee_rate);
+  const employerSgkRate =
+    params.sgk_employer_rate - (applyIncentive ? params.sgk_employer_incentive_rate : 0);
+  const sgkEmployer = round2(sgkBase * employerSgkRate);
+  const unemploymentEmployer = round2(sgkBase * params.unemployment_employer_rate);
+
+  const incomeTaxBase = round2(Math.max(0, grossPay - sgkEmployee - unemploymentEmployee));
+  const cumulativeBefore = round2(priorCumulativeBase);
+  const cumulativeAfter = round2(cumulativeBefore + incomeTaxBase);
+  const incomeTaxCalculated = round2(
+    computeCumulativeIncomeTax(cumulativeAfter, params.income_tax_brackets) -
+      computeCumulativeIncomeTax(cumulativeBefore, params.income_tax_brackets)
+  );
+  const stampTaxCalculated = round2(grossPay * params.stamp_tax_rate);
+
+  let incomeTaxExemption = 0;
+  let stampTaxExemption = 0;
+  if (params.minimum_wage_exemption_enabled) {
+    const mwGross = params.minimum_wage_gross;
+    const mwMonthlyBase =
+      mwGross - mwGross * params.sgk_employee_rate - mwGross * params.unemployment_employee_rate;
+    const mwCumulativeBefore = mwMonthlyBase * (monthIndex - 1);
+    const mwMonthTax =
+      computeCumulativeIncomeTax(mwCumulativeBefore + mwMonthlyBase, params.income_tax_brackets) -
+      computeCumulativeIncomeTax(mwCumulativeBefore, params.income_tax_brackets);
+    incomeTaxExemption = round2(Math.min(incomeTaxCalculated, mwMonthTax));
+    stampTaxExemption = round2(Math.min(stampTaxCalculated, mwGross * params.stamp_tax_rate));
+  }
+  const incomeTax = round2(incomeTaxCalculated - incomeTaxExemption);
+  const stampTax = round2(stampTaxCalculated - stampTaxExemption);
+
+  const employeeTax = round2(incomeTax + stampTax);
+  const employeeSocialSecurity = round2(sgkEmployee + unemploymentEmployee);
+  const employerSocialSecurity = round2(sgkEmployer + unemploymentEmployer);
+  const netPay = round2(grossPay - employeeTax - employeeSocialSecurity - otherDeductions);
+
+  return {
+    amounts: {
+      base_salary: baseSalary,
+      overtime_pay: overtimePay,
+      bonus_pay: bonusPay,
+      allowances_total: allowancesTotal,
+      gross_pay: grossPay,
+      employee_tax: employeeTax,
+      employee_social_security: employeeSocialSecurity,
+      other_deductions: otherDeductions,
+      employer_tax: 0,
+      employer_social_security: employerSocialSecurity,
+      net_pay: netPay,
+    },
+    calculation: {
+      overtime_hours: overtimeHours,
+      sgk_days: sgkDays,
+      sgk_base: sgkBase,
+      sgk_ceiling_applied: grossPay > sgkCeiling,
+      sgk_employee: sgkEmployee,
+      unemployment_employee: unemploymentEmployee,
+      sgk_employer: sgkEmployer,
+      sgk_employer_incentive_applied: Boolean(applyIncentive && params.sgk_employer_incentive_rate > 0),
+      unemployment_employer: unemploymentEmployer,
+      income_tax_base: incomeTaxBase,
+      cumulative_income_tax_base_before: cumulativeBefore,
+      cumulative_income_tax_base: cumulativeAfter,
+      income_tax_calculated: incomeTaxCalculated,
+      income_tax_exemption: incomeTaxExemption,
+      income_tax: incomeTax,
+      stamp_tax_calculated: stampTaxCalculated,
+      stamp_tax_exemption: stampTaxExemption,
+      stamp_tax: stampTax,
+    },
+  };
+}
+
+class TrGrossToNetPayrollAdapter extends BasePayrollProviderAdapter {
+  calculationCountryCode() {
+    return "TR";
+  }
+
+  parseRaw(rawPayloadText) {
+    try {
+      return JSON.parse(String(rawPayloadText || ""));
+    } catch {
+      throw new Error("Invalid JSON payload");
+    }
+  }
+
+  validateSchema(parsed) {
+    const errors = [];
+    const warnings = [];
+    if (!parsed || typeof parsed !== "object") {
+      errors.push("JSON payload must be an object");
+      return { errors, warnings };
+    }
+    const rows = Array.isArray(parsed.employees) ? parsed.employees : null;
+    if (!rows) {
+      errors.push("JSON payload must include employees[]");
+      return { errors, warnings };
+    }
+    if (rows.length === 0) {
+      errors.push("JSON payload employees[] is empty");
+      return { errors, warnings };
+    }
+    const sample = rows[0] || {};
+    if (!("external_employee_id" in sample)) errors.push("Missing field: external_employee_id");
+    if (!("employee_name" in sample)) errors.push("Missing field: employee_name");
+    if (!("base_salary" in sample)) errors.push("Missing field: base_salary");
+    if (rows.some((row) => row && ("gross_pay" in row || "net_pay" in row))) {
+      warnings.push("gross_pay/net_pay are calculated by the engine; supplied values are ignored");
+    }
+    if (!("external_employee_code" in sample) && !("employee_code" in sample)) {
+      warnings.push(
+        "external_employee_code/employee_code field missing; fallback mapping by code will not be available"
+      );
+    }
+    return { errors, warnings };
+  }
+
+  normalizePayrollResults(parsed, context = {}) {
+    const parameterSet = context.calculationParameters;
+    if (!parameterSet?.parameters) {
+      throw new Error("No effective payroll calculation parameter set was supplied");
+    }
+    const params = normalizeTrPayrollCalculationParameters(parameterSet.parameters);
+    const monthIndex = periodMonthIndex(context.payrollPeriod);
+    const ytdBases = context.ytdIncomeTaxBases || {};
+    const defaultIncentive = toFlag(
+      this.settings.applySgkEmployerIncentive ?? this.settings.apply_sgk_employer_incentive,
+      false
+    );
+
+    const sourceRows = Array.isArray(parsed?.employees) ? parsed.employees : [];
+    const employees = [];
+    for (let i = 0; i < sourceRows.length; i += 1) {
+      const row = sourceRows[i] || {};
+      const rowNo = i + 1;
+      const externalEmployeeId = String(row.external_employee_id || "").trim();
+      const employeeName = String(row.employee_name || "").trim();
+      if (!externalEmployeeId) throw new Error(`Row ${rowNo}: external_employee_id is required`);
+      if (!employeeName) throw new Error(`Row ${rowNo}: employee_name is required`);
+
+      const priorCumulativeBase =
+        row.ytd_income_tax_base !== undefined && row.ytd_income_tax_base !== null && row.ytd_income_tax_base !== ""
+          ? toAmount(row.ytd_income_tax_base, `Row ${rowNo} ytd_income_tax_base`)
+          : toAmount(ytdBases[externalEmployeeId], `Row ${rowNo} prior cumulative income tax base`);
+      const { amounts, calculation } = calculateEmployeeMonth({
+        row,
+        rowNo,
+        params,
+        monthIndex,
+        priorCumulativeBase,
+        applyIncentive: toFlag(row.apply_sgk_employer_incentive, defaultIncentive),
+      });
+      employees.push({
+        external_employee_id: externalEmployeeId,
+        external_employee_code:
+          String(row.external_employee_code ?? row.employee_code ?? "").trim() || null,
+        employee_name: employeeName,
+        employee_email: String(row.employee_email || "").trim() || null,
+        cost_center_code: String(row.cost_center_code || "").trim() || null,
+        ...amounts,
+        calculation,
+        raw_row_json: row,
+      });
+    }
+
+    if (employees.length === 0) throw new Error("JSON payload has no valid employee rows");
+
+    return {
+      run: {
+        payroll_period: context.payrollPeriod || null,
+        pay_date: context.payDate || null,
+        currency_code: context.currencyCode || null,
+        source_batch_ref: context.sourceBatchRef || null,
+      },
+      calculation: {
+        country_code: "TR",
+        parameter_set_id: parameterSet.id || null,
+        parameter_version_code: parameterSet.version_code || null,
+        parameter_effective_from: parameterSet.effective_from || null,
+        month_index: monthIndex,
+      },
+      employees,
+      summary: {
+        employee_count: employees.length,
+        total_gross_pay: Number(
+          employees.reduce((s, r) => s + Number(r.gross_pay || 0), 0).toFixed(6)
+        ),
+        total_net_pay: Number(
+          employees.reduce((s, r) => s + Number(r.net_pay || 0), 0).toFixed(6)
+        ),
+        total_employer_tax: Number(
+          employees.reduce((s, r) => s + Number(r.employer_tax || 0), 0).toFixed(6)
+        ),
+        total_employer_social_security: Number(
+          employees.reduce((s, r) => s + Number(r.employer_social_security || 0), 0).toFixed(6)
+        ),
+      },
+    };
+  }
+}
+
+export default TrGrossToNetPayrollAdapter;
@@ -1,15 +1,18 @@
 import GenericCsvPayrollAdapter from "./payroll.providers.adapters/genericCsv.adapter.js";
 import GenericJsonPayrollAdapter from "./payroll.providers.adapters/genericJson.adapter.js";
+import TrGrossToNetPayrollAdapter from "./payroll.providers.adapters/trGrossToNet.adapter.js";
 
 const ADAPTERS = Object.freeze({
   GENERIC_CSV: GenericCsvPayrollAdapter,
   GENERIC_JSON: GenericJsonPayrollAdapter,
+  TR_GROSS_TO_NET: TrGrossToNetPayrollAdapter,
 });
 
 export function listSupportedPayrollProviderAdapters() {
   return Object.keys(ADAPTERS).map((providerCode) => ({
     provider_code: providerCode,
     adapter_class: ADAPTERS[providerCode].name,
+    calculation_country_code: ADAPTERS[providerCode].prototype.calculationCountryCode(),
   }));
 }
 
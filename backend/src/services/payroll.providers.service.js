@@ -23,6 +23,8 @@ import {
 } from "../utils/cryptoEnvelope.js";
 import { redactObject, redactRawPayloadText } from "../utils/redaction.js";
 import { evaluateApprovalNeed, submitApprovalRequest } from "./approvalPolicies.service.js";
+import { resolveEffectivePayrollCalculationParameterSet } from "./payroll.calculationParameters.service.js";
+import { checkPayrollEmployeesForPeriod } from "./payroll.employees.service.js";
 
 function up(value) {
   return String(value || "")
@@ -788,6 +790,53 @@ async function resolveEmployeeMappings({ tenantId, legalEntityId, providerCode,
   return { mappedEmployees, applyRows, matchErrors, matchWarnings };
 }
 
+// Cumulative income tax bases carried by earlier applied calculation jobs of the same calendar year,
+// keyed by external employee id; later periods (and later jobs within a period) overwrite earlier ones.
+// Only earlier periods count: a recalculation or correction of the same month must start from
+// the base before that month, not from a cumulative that already includes it.
+async function loadYtdIncomeTaxBases({ tenantId, legalEntityId, providerCode, payrollPeriod, runQuery = query }) {
+  const period = toDateOnly(payrollPeriod);
+  const res = await runQuery(
+    `SELECT id, payroll_period, normalized_payload_json
+     FROM payroll_provider_import_jobs
+     WHERE tenant_id = ? AND legal_entity_id = ? AND provider_code = ? AND status = 'APPLIED'
+       AND payroll_period >= ? AND payroll_period < ?
+     ORDER BY payroll_period ASC, id ASC`,
+    [tenantId, legalEntityId, providerCode, `${period.slice(0, 4)}-01-01`, period]
+  );
+  const bases = {};
+  for (const row of res.rows || []) {
+    const payload = parseJsonMaybe(row.normalized_payload_json) || {};
+    for (const employee of payload.employees || []) {
+      const extId = String(employee?.external_employee_id || "").trim();
+      const cumulative = employee?.calculation?.cumulative_income_tax_base;
+      if (extId && cumulative !== undefined && cumulative !== null) {
+        bases[extId] = toAmount(cumulative);
+      }
+    }
+  }
+  return bases;
+}
+
+async function loadCalculationContext({ tenantId, legalEntityId, providerCode, countryCode, payrollPeriod }) {
+  const parameterSet = await resolveEffectivePayrollCalculationParameterSet({
+    tenantId,
+    legalEntityId,
+    countryCode,
+    effectiveDate: payrollPeriod,
+  });
+  if (!parameterSet) {
+    throw new Error(`No ACTIVE ${countryCode} payroll calculation parameter set is effective on ${payrollPeriod}`);
+  }
+  const ytdIncomeTaxBases = await loadYtdIncomeTaxBases({
+    tenantId,
+    legalEntityId,
+    providerCode,
+    payrollPeriod,
+  });
+  return { calculationParameters: parameterSet, ytdIncomeTaxBases };
+}
+
 function buildPreviewSummary({ payload, applyRows, validationErrors, schemaWarnings, matchErrors, matchWarnings }) {
   const summary = payload?.summary || {};
   const employees = payload?.employees || [];
@@ -863,11 +912,22 @@ export async function previewPayrollProviderImport({ req, tenantId, userId, inpu
     schemaWarnings = (schema.warnings || []).map((v) => String(v));
     validationErrors = (schema.errors || []).map((v) => String(v));
     if (validationErrors.length === 0) {
+      const calculationCountryCode = adapter.calculationCountryCode();
+      const calculationContext = calculationCountryCode
+        ? await loadCalculationContext({
+            tenantId,
+            legalEntityId: connection.legal_entity_id,
+            providerCode,
+            countryCode: calculationCountryCode,
+            payrollPeriod: input.payrollPeriod,
+          })
+        : {};
       normalized = adapter.normalizePayrollResults(parsed, {
         payrollPeriod: input.payrollPeriod,
         payDate: input.payDate,
         currencyCode: input.currencyCode,
         sourceBatchRef: input.sourceBatchRef,
+        ...calculationContext,
       });
       const mapping = await resolveEmployeeMappings({
         tenantId,
@@ -879,6 +939,21 @@ export async function previewPayrollProviderImport({ req, tenantId, userId, inpu
       mappedEmployees = mapping.mappedEmployees || [];
       matchErrors = mapping.matchErrors || [];
       matchWarnings = mapping.matchWarnings || [];
+      const employeeCheck = await checkPayrollEmployeesForPeriod({
+        tenantId,
+        legalEntityId: connection.legal_entity_id,
+        employeeCodes: applyRows.map((row) => row.employee_code),
+        payrollPeriod: input.payrollPeriod,
+      });
+      for (const issue of employeeCheck.issues) {
+        matchWarnings.push({
+          warning: `Employee master check ${issue.status} for employee_code`,
+          employee_code: issue.employee_code,
+          employee_check_status: issue.status,
+          hire_date: issue.hire_date,
+          termination_date: issue.termination_date,
+        });
+      }
     }
   } catch (err) {
     validationErrors = [String(err?.message || "Provider import preview failed")];
@@ -902,6 +977,7 @@ export async function previewPayrollProviderImport({ req, tenantId, userId, inpu
       source_filename: input.sourceFilename || null,
       import_key: input.importKey || null,
     },
+    ...(normalized?.calculation ? { calculation: normalized.calculation } : {}),
     summary: normalized?.summary || {},
     employees: mappedEmployees,
     apply_rows: applyRows,
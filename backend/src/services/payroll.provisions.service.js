@@ -0,0 +1,687 @@
+import { query, withTransaction } from "../db.js";
+import { assertCurrencyExists, assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { resolveEffectivePayrollCalculationParameterSet } from "./payroll.calculationParameters.service.js";
+import {
+  postPayrollProvisionJournalTx,
+  reversePayrollProvisionJournalTx,
+} from "./payroll.accruals.service.js";
+
+// Expense/liability component pair posted for each provision category.
+const PROVISION_COMPONENTS = Object.freeze([
+  {
+    totalColumn: "total_severance",
+    expenseCode: "SEVERANCE_PROVISION_EXPENSE",
+    liabilityCode: "SEVERANCE_PROVISION_LIABILITY",
+  },
+  {
+    totalColumn: "total_notice",
+    expenseCode: "NOTICE_PROVISION_EXPENSE",
+    liabilityCode: "NOTICE_PROVISION_LIABILITY",
+  },
+  {
+    totalColumn: "total_leave",
+    expenseCode: "LEAVE_PROVISION_EXPENSE",
+    liabilityCode: "LEAVE_PROVISION_LIABILITY",
+  },
+]);
+
+// İş Kanunu md. 17: notice weeks by completed months of service.
+const NOTICE_WEEKS_BY_SERVICE_MONTHS = Object.freeze([
+  { belowMonths: 6, weeks: 2 },
+  { belowMonths: 18, weeks: 4 },
+  { belowMonths: 36, weeks: 6 },
+  { belowMonths: Infinity, weeks: 8 },
+]);
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Number(parsed.toFixed(6));
+}
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 10000) / 10000;
+}
+
+function daysBetween(fromDate, toDate) {
+  const from = Date.parse(`${fromDate}T00:00:00.000Z`);
+  const to = Date.parse(`${toDate}T00:00:00.000Z`);
+  return Math.round((to - from) / 86400000);
+}
+
+function addYears(dateOnly, years) {
+  const date = new Date(`${dateOnly}T00:00:00.000Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.toISOString().slice(0, 10);
+}
+
+function completedMonths(fromDate, toDate) {
+  const from = new Date(`${fromDate}T00:00:00.000Z`);
+  const to = new Date(`${toDate}T00:00:00.000Z`);
+  let months =
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  if (to.getUTCDate() < from.getUTCDate()) months -= 1;
+  return Math.max(0, months);
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function assertLeScope(req, assertScopeAccess, legalEntityId, label = "legalEntityId") {
+  if (assertScopeAccess && parsePositiveInt(legalEntityId)) {
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(legalEntityId), label);
+  }
+}
+
+function mapRun(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    period_end_date: toDateOnly(row.period_end_date),
+  };
+}
+
+function mapLine(row) {
+  return {
+    ...row,
+    hire_date: toDateOnly(row.hire_date),
+  };
+}
+
+// Annual leave days for service year `year` (1-based): 14 up to 5 years, 20 below 15, 26 from 15.
+function annualLeaveDaysForServiceYear(year) {
+  if (year <= 5) return 14;
+  if (year < 15) return 20;
+  return 26;
+}
+
+// Earned leave since hire: full entitlement for each completed service year plus the running
+// year pro-rated at that year's rate.
+function earnedLeaveDays(hireDate, periodEndDate) {
+  let completedYears = 0;
+  while (addYears(hireDate, completedYears + 1) <= periodEndDate) {
+    completedYears += 1;
+  }
+  let days = 0;
+  for (let year = 1; year <= completedYears; year += 1) {
+    days += annualLeaveDaysForServiceYear(year);
+  }
+  const yearStart = addYears(hireDate, completedYears);
+  const yearEnd = addYears(hireDate, completedYears + 1);
+  const fraction = daysBetween(yearStart, periodEndDate) / daysBetween(yearStart, yearEnd);
+  days += annualLeaveDaysForServiceYear(completedYears + 1) * fraction;
+  return round4(days);
+}
+
+function noticeWeeksForService(hireDate, periodEndDate) {
+  const months = completedMonths(hireDate, periodEndDate);
+  return NOTICE_WEEKS_BY_SERVICE_MONTHS.find((band) => months < band.belowMonths).weeks;
+}
+
+/**
+ * Per-employee provision at `periodEndDate`. Wages are monthly gross; daily wage = wage / 30.
+ * Kıdem uses the wage capped at the statutory ceiling for each year of service (days / 365).
+ */
+export function calculateEmployeeProvision({
+  hireDate,
+  periodEndDate,
+  wageBase,
+  severanceCeilingAmount,
+  usedLeaveDays = 0,
+  leaveAdjustmentDays = 0,
+}) {
+  const serviceDays = daysBetween(hireDate, periodEndDate) + 1;
+  const wage = toAmount(wageBase);
+  const dailyWage = wage / 30;
+  const severanceWageBase = Math.min(wage, toAmount(severanceCeilingAmount));
+  const severanceAmount = round2((severanceWageBase * serviceDays) / 365);
+
+  const noticeWeeks = noticeWeeksForService(hireDate, periodEndDate);
+  const noticeAmount = round2(dailyWage * 7 * noticeWeeks);
+
+  const entitledDays = earnedLeaveDays(hireDate, periodEndDate);
+  const unusedDays = round4(
+    Math.max(0, entitledDays + Number(leaveAdjustmentDays || 0) - Number(usedLeaveDays || 0))
+  );
+  const leaveAmount = round2(dailyWage * unusedDays);
+
+  return {
+    service_days: serviceDays,
+    severance_wage_base: toAmount(severanceWageBase),
+    severance_amount: severanceAmount,
+    notice_weeks: noticeWeeks,
+    notice_amount: noticeAmount,
+    leave_entitled_days: entitledDays,
+    leave_used_days: round4(Number(usedLeaveDays || 0)),
+    leave_unused_days: unusedDays,
+    leave_amount: leaveAmount,
+    total_amount: round2(severanceAmount + noticeAmount + leaveAmount),
+  };
+}
+
+async function findRun({ tenantId, runId, runQuery = query, forUpdate = false }) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_provision_runs
+     WHERE tenant_id = ? AND id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [tenantId, runId]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function requireRun(args) {
+  const row = await findRun(args);
+  if (!row) throw notFound("Payroll provision run not found");
+  return row;
+}
+
+async function findLatestPostedRunBefore({ tenantId, legalEntityId, periodEndDate, runQuery }) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_provision_runs
+     WHERE tenant_id = ? AND legal_entity_id = ? AND status = 'POSTED' AND period_end_date < ?
+     ORDER BY period_end_date DESC
+     LIMIT 1`,
+    [tenantId, legalEntityId, periodEndDate]
+  );
+  return res.rows?.[0] || null;
+}
+
+async function assertNoLaterPostedRun({ tenantId, legalEntityId, periodEndDate, runQuery }) {
+  const res = await runQuery(
+    `SELECT period_end_date
+     FROM payroll_provision_runs
+     WHERE tenant_id = ? AND legal_entity_id = ? AND status IN ('POSTED','REVERSED')
+       AND period_end_date > ?
+     ORDER BY period_end_date DESC
+     LIMIT 1`,
+    [tenantId, legalEntityId, periodEndDate]
+  );
+  const later = res.rows?.[0];
+  if (later) {
+    throw conflict(`A provision for ${toDateOnly(later.period_end_date)} is already posted`);
+  }
+}
+
+async function resolveSeveranceCeiling({ tenantId, legalEntityId, periodEndDate, runQuery }) {
+  const parameterSet = await resolveEffectivePayrollCalculationParameterSet({
+    tenantId,
+    legalEntityId,
+    countryCode: "TR",
+    effectiveDate: periodEndDate,
+    runQuery,
+  });
+  const ceiling = toAmount(parameterSet?.parameters?.severance_ceiling_amount);
+  if (!parameterSet || ceiling <= 0) {
+    throw badRequest(
+      `No ACTIVE TR calculation parameter set with severance_ceiling_amount is effective on ${periodEndDate}`
+    );
+  }
+  return ceiling;
+}
+
+// Employees on payroll at period end; an employee terminated on or before that date is settled.
+async function loadProvisionEmployees({ tenantId, legalEntityId, periodEndDate, currencyCode, runQuery }) {
+  const employeesRes = await runQuery(
+    `SELECT e.id, e.employee_code, e.hire_date, h.base_salary, h.salary_currency_code
+     FROM payroll_employees e
+     LEFT JOIN payroll_employee_history h
+       ON h.tenant_id = e.tenant_id
+      AND h.employee_id = e.id
+      AND h.effective_from <= ?
+      AND COALESCE(h.effective_to, '9999-12-31') >= ?
+     WHERE e.tenant_id = ? AND e.legal_entity_id = ?
+       AND e.hire_date <= ?
+       AND (e.termination_date IS NULL OR e.termination_date > ?)
+     ORDER BY e.employee_code ASC`,
+    [periodEndDate, periodEndDate, tenantId, legalEntityId, periodEndDate, periodEndDate]
+  );
+  const employees = employeesRes.rows || [];
+  if (!employees.length) return [];
+  const ids = employees.map((row) => parsePositiveInt(row.id));
+  const placeholders = ids.map(() => "?").join(", ");
+
+  // Latest regular, non-reversed payroll month up to the period end gives the wage base.
+  const wageRes = await runQuery(
+    `SELECT l.employee_id, l.base_salary, l.allowances_total
+     FROM payroll_run_lines l
+     JOIN payroll_runs r ON r.tenant_id = l.tenant_id AND r.id = l.run_id
+     WHERE l.tenant_id = ? AND l.legal_entity_id = ?
+       AND l.employee_id IN (${placeholders})
+       AND r.status = 'FINALIZED'
+       AND r.run_type = 'REGULAR'
+       AND r.is_reversed = 0
+       AND r.currency_code = ?
+       AND r.payroll_period <= ?
+     ORDER BY l.employee_id ASC, r.payroll_period DESC, r.id DESC`,
+    [tenantId, legalEntityId, ...ids, currencyCode, periodEndDate]
+  );
+  const wageByEmployee = new Map();
+  for (const row of wageRes.rows || []) {
+    const employeeId = parsePositiveInt(row.employee_id);
+    if (wageByEmployee.has(employeeId)) continue;
+    wageByEmployee.set(employeeId, toAmount(Number(row.base_salary) + Number(row.allowances_total)));
+  }
+
+  // Leave taken before a rehire belongs to the earlier employment and is ignored.
+  const leaveRes = await runQuery(
+    `SELECT le.employee_id,
+            SUM(CASE WHEN le.entry_type = 'USED' THEN le.days ELSE 0 END) AS used_days,
+            SUM(CASE WHEN le.entry_type = 'ADJUSTMENT' THEN le.days ELSE 0 END) AS adjustment_days
+     FROM payroll_employee_leave_entries le
+     JOIN payroll_employees e ON e.tenant_id = le.tenant_id AND e.id = le.employee_id
+     WHERE le.tenant_id = ?
+       AND le.employee_id IN (${placeholders})
+       AND le.entry_date >= e.hire_date
+       AND le.entry_date <= ?
+     GROUP BY le.employee_id`,
+    [tenantId, ...ids, periodEndDate]
+  );
+  const leaveByEmployee = new Map(
+    (leaveRes.rows || []).map((row) => [parsePositiveInt(row.employee_id), row])
+  );
+
+  return employees.map((row) => {
+    const employeeId = parsePositiveInt(row.id);
+    const payrollWage = wageByEmployee.get(employeeId);
+    const masterSalaryUsable =
+      row.base_salary !== null &&
+      row.base_salary !== undefined &&
+      (!row.salary_currency_code || up(row.salary_currency_code) === currencyCode);
+    let wageBase = 0;
+    let wageSource = "NONE";
+    if (payrollWage !== undefined) {
+      wageBase = payrollWage;
+      wageSource = "PAYROLL_RUN";
+    } else if (masterSalaryUsable) {
+      wageBase = toAmount(row.base_salary);
+      wageSource = "EMPLOYEE_MASTER";
+    }
+    const leave = leaveByEmployee.get(employeeId);
+    return {
+      employee_id: employeeId,
+      employee_code: row.employee_code,
+      hire_date: toDateOnly(row.hire_date),
+      wage_base: wageBase,
+      wage_source: wageSource,
+      used_leave_days: Number(leave?.used_days || 0),
+      leave_adjustment_days: Number(leave?.adjustment_days || 0),
+    };
+  });
+}
+
+async function loadRunLines({ tenantId, runId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT l.*, e.full_name
+     FROM payroll_provision_lines l
+     JOIN payroll_employees e ON e.tenant_id = l.tenant_id AND e.id = l.employee_id
+     WHERE l.tenant_id = ? AND l.provision_run_id = ?
+     ORDER BY l.employee_code ASC`,
+    [tenantId, runId]
+  );
+  return res.rows || [];
+}
+
+export async function resolvePayrollProvisionRunScope(runId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(runId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const row = await findRun({ tenantId: t, runId: id, runQuery });
+  if (!row) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function listPayrollProvisionRuns({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["r.tenant_id = ?"];
+  const leId = parsePositiveInt(filters.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("r.legal_entity_id = ?");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(buildScopeFilter(req, "legal_entity", "r.legal_entity_id", params));
+  }
+  if (filters.status) {
+    conditions.push("r.status = ?");
+    params.push(filters.status);
+  }
+  const whereSql = conditions.join(" AND ");
+  const countRes = await query(
+    `SELECT COUNT(*) AS total FROM payroll_provision_runs r WHERE ${whereSql}`,
+    params
+  );
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listRes = await query(
+    `SELECT r.*, le.code AS legal_entity_code
+     FROM payroll_provision_runs r
+     JOIN legal_entities le ON le.tenant_id = r.tenant_id AND le.id = r.legal_entity_id
+     WHERE ${whereSql}
+     ORDER BY r.period_end_date DESC, r.id DESC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (listRes.rows || []).map(mapRun),
+    total: Number(countRes.rows?.[0]?.total || 0),
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export async function getPayrollProvisionRunDetail({ req, tenantId, runId, assertScopeAccess }) {
+  const row = await requireRun({ tenantId, runId });
+  assertLeScope(req, assertScopeAccess, row.legal_entity_id, "runId");
+  const lines = await loadRunLines({ tenantId, runId });
+  return { row: mapRun(row), lines: lines.map(mapLine) };
+}
+
+/**
+ * Calculates the provision balance of every employee on payroll at `periodEndDate` into a DRAFT
+ * run. Deltas are measured against the latest POSTED run before that date. Recalculating replaces
+ * the DRAFT of the same period; a posted period cannot be recalculated.
+ */
+export async function calculatePayrollProvisionRun({ req, tenantId, userId, input, assertScopeAccess }) {
+  await assertLegalEntityBelongsToTenant(tenantId, input.legalEntityId, "legalEntityId");
+  assertLeScope(req, assertScopeAccess, input.legalEntityId, "legalEntityId");
+  const legalEntityId = input.legalEntityId;
+  const periodEndDate = input.periodEndDate;
+
+  let runId = null;
+  await withTransaction(async (tx) => {
+    let currencyCode = input.currencyCode;
+    if (currencyCode) {
+      await assertCurrencyExists(currencyCode, "currencyCode");
+    } else {
+      const leRes = await tx.query(
+        `SELECT functional_currency_code FROM legal_entities WHERE tenant_id = ? AND id = ? LIMIT 1`,
+        [tenantId, legalEntityId]
+      );
+      currencyCode = up(leRes.rows?.[0]?.functional_currency_code);
+    }
+
+    await assertNoLaterPostedRun({ tenantId, legalEntityId, periodEndDate, runQuery: tx.query });
+    const existingRes = await tx.query(
+      `SELECT id, status
+       FROM payroll_provision_runs
+       WHERE tenant_id = ? AND legal_entity_id = ? AND period_end_date = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, legalEntityId, periodEndDate]
+    );
+    const existing = existingRes.rows?.[0] || null;
+    if (existing && up(existing.status) !== "DRAFT") {
+      throw conflict(`Provision for ${periodEndDate} is already ${up(existing.status)}`);
+    }
+
+    const severanceCeilingAmount = await resolveSeveranceCeiling({
+      tenantId,
+      legalEntityId,
+      periodEndDate,
+      runQuery: tx.query,
+    });
+    const previousRun = await findLatestPostedRunBefore({
+      tenantId,
+      legalEntityId,
+      periodEndDate,
+      runQuery: tx.query,
+    });
+    if (previousRun && up(previousRun.currency_code) !== currencyCode) {
+      throw badRequest(
+        `Provision currency (${currencyCode}) must match the previous posted provision (${up(previousRun.currency_code)})`
+      );
+    }
+    const previousTotals = new Map();
+    if (previousRun) {
+      const prevLinesRes = await tx.query(
+        `SELECT employee_id, total_amount
+         FROM payroll_provision_lines
+         WHERE tenant_id = ? AND provision_run_id = ?`,
+        [tenantId, previousRun.id]
+      );
+      for (const row of prevLinesRes.rows || []) {
+        previousTotals.set(parsePositiveInt(row.employee_id), toAmount(row.total_amount));
+      }
+    }
+
+    const employees = await loadProvisionEmployees({
+      tenantId,
+      legalEntityId,
+      periodEndDate,
+      currencyCode,
+      runQuery: tx.query,
+    });
+    const missingWage = employees.filter((employee) => employee.wage_source === "NONE");
+    if (missingWage.length > 0) {
+      throw badRequest(
+        `No ${currencyCode} wage found for employees: ${missingWage.map((e) => e.employee_code).join(", ")}`
+      );
+    }
+
+    const lines = employees.map((employee) => {
+      const provision = calculateEmployeeProvision({
+        hireDate: employee.hire_date,
+        periodEndDate,
+        wageBase: employee.wage_base,
+        severanceCeilingAmount,
+        usedLeaveDays: employee.used_leave_days,
+        leaveAdjustmentDays: employee.leave_adjustment_days,
+      });
+      const previousTotal = previousTotals.get(employee.employee_id) || 0;
+      return {
+        ...employee,
+        ...provision,
+        previous_total_amount: previousTotal,
+        delta_amount: round2(provision.total_amount - previousTotal),
+      };
+    });
+    const sum = (key) => round2(lines.reduce((total, line) => total + Number(line[key] || 0), 0));
+    const totals = {
+      total_severance: sum("severance_amount"),
+      total_notice: sum("notice_amount"),
+      total_leave: sum("leave_amount"),
+    };
+    totals.total_provision = round2(totals.total_severance + totals.total_notice + totals.total_leave);
+    const deltas = {
+      delta_severance: round2(totals.total_severance - toAmount(previousRun?.total_severance)),
+      delta_notice: round2(totals.total_notice - toAmount(previousRun?.total_notice)),
+      delta_leave: round2(totals.total_leave - toAmount(previousRun?.total_leave)),
+      delta_total: round2(totals.total_provision - toAmount(previousRun?.total_provision)),
+    };
+    const headerValues = [
+      currencyCode,
+      lines.length,
+      severanceCeilingAmount,
+      totals.total_severance,
+      totals.total_notice,
+      totals.total_leave,
+      totals.total_provision,
+      parsePositiveInt(previousRun?.id) || null,
+      deltas.delta_severance,
+      deltas.delta_notice,
+      deltas.delta_leave,
+      deltas.delta_total,
+      userId,
+    ];
+
+    if (existing) {
+      runId = parsePositiveInt(existing.id);
+      await tx.query(
+        `DELETE FROM payroll_provision_lines WHERE tenant_id = ? AND provision_run_id = ?`,
+        [tenantId, runId]
+      );
+      await tx.query(
+        `UPDATE payroll_provision_runs
+         SET currency_code = ?, employee_count = ?, severance_ceiling_amount = ?,
+             total_severance = ?, total_notice = ?, total_leave = ?, total_provision = ?,
+             previous_run_id = ?, delta_severance = ?, delta_notice = ?, delta_leave = ?, delta_total = ?,
+             calculated_by_user_id = ?, calculated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = ? AND id = ?`,
+        [...headerValues, tenantId, runId]
+      );
+    } else {
+      const ins = await tx.query(
+        `INSERT INTO payroll_provision_runs (
+            tenant_id, legal_entity_id, period_end_date,
+            currency_code, employee_count, severance_ceiling_amount,
+            total_severance, total_notice, total_leave, total_provision,
+            previous_run_id, delta_severance, delta_notice, delta_leave, delta_total,
+            calculated_by_user_id, calculated_at, status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, 'DRAFT')`,
+        [tenantId, legalEntityId, periodEndDate, ...headerValues]
+      );
+      runId = parsePositiveInt(ins.rows?.insertId);
+    }
+
+    for (const line of lines) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `INSERT INTO payroll_provision_lines (
+            tenant_id, legal_entity_id, provision_run_id, employee_id, employee_code, hire_date,
+            service_days, wage_base, wage_source, severance_wage_base, severance_amount,
+            notice_weeks, notice_amount, leave_entitled_days, leave_used_days, leave_unused_days,
+            leave_amount, total_amount, previous_total_amount, delta_amount
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          tenantId,
+          legalEntityId,
+          runId,
+          line.employee_id,
+          line.employee_code,
+          line.hire_date,
+          line.service_days,
+          line.wage_base,
+          line.wage_source,
+          line.severance_wage_base,
+          line.severance_amount,
+          line.notice_weeks,
+          line.notice_amount,
+          line.leave_entitled_days,
+          line.leave_used_days,
+          line.leave_unused_days,
+          line.leave_amount,
+          line.total_amount,
+          line.previous_total_amount,
+          line.delta_amount,
+        ]
+      );
+    }
+  });
+  return getPayrollProvisionRunDetail({ req, tenantId, runId, assertScopeAccess });
+}
+
+/**
+ * Posts a DRAFT provision run. The previous POSTED run's journal is reversed in the posting period
+ * and the full balance is accrued at period end, so the period's P&L equals the run delta.
+ */
+export async function postPayrollProvisionRun({ req, tenantId, userId, runId, assertScopeAccess }) {
+  await withTransaction(async (tx) => {
+    const run = await requireRun({ tenantId, runId, runQuery: tx.query, forUpdate: true });
+    const legalEntityId = parsePositiveInt(run.legal_entity_id);
+    assertLeScope(req, assertScopeAccess, legalEntityId, "runId");
+    const status = up(run.status);
+    if (status === "POSTED") return;
+    if (status !== "DRAFT") throw conflict(`Provision run is ${status} and cannot be posted`);
+
+    const periodEndDate = toDateOnly(run.period_end_date);
+    await assertNoLaterPostedRun({ tenantId, legalEntityId, periodEndDate, runQuery: tx.query });
+    const previousRun = await findLatestPostedRunBefore({
+      tenantId,
+      legalEntityId,
+      periodEndDate,
+      runQuery: tx.query,
+    });
+    if (parsePositiveInt(previousRun?.id) !== parsePositiveInt(run.previous_run_id)) {
+      throw conflict("The previous provision changed since calculation; recalculate this run first");
+    }
+
+    if (previousRun) {
+      let reversal = null;
+      if (parsePositiveInt(previousRun.accrual_journal_entry_id)) {
+        reversal = await reversePayrollProvisionJournalTx(tx, {
+          tenantId,
+          legalEntityId,
+          journalEntryId: parsePositiveInt(previousRun.accrual_journal_entry_id),
+          nextPostingDate: periodEndDate,
+          userId,
+          reason: `Superseded by payroll provision ${periodEndDate}`,
+        });
+      }
+      await tx.query(
+        `UPDATE payroll_provision_runs
+         SET status = 'REVERSED', reversal_journal_entry_id = ?, reversed_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = ? AND id = ?`,
+        [reversal?.journalEntryId || null, tenantId, previousRun.id]
+      );
+    }
+
+    const componentAmounts = [];
+    for (const component of PROVISION_COMPONENTS) {
+      const amount = toAmount(run[component.totalColumn]);
+      componentAmounts.push(
+        { componentCode: component.expenseCode, entrySide: "DEBIT", amount },
+        { componentCode: component.liabilityCode, entrySide: "CREDIT", amount }
+      );
+    }
+    const journal = await postPayrollProvisionJournalTx(tx, {
+      tenantId,
+      legalEntityId,
+      userId,
+      provisionRunId: parsePositiveInt(run.id),
+      postingDate: periodEndDate,
+      currencyCode: run.currency_code,
+      componentAmounts,
+      description: `Payroll provision ${periodEndDate}`,
+    });
+
+    await tx.query(
+      `UPDATE payroll_provision_runs
+       SET status = 'POSTED', accrual_journal_entry_id = ?,
+           posted_by_user_id = ?, posted_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ? AND id = ?`,
+      [journal.journalEntryId, userId, tenantId, run.id]
+    );
+  });
+  return getPayrollProvisionRunDetail({ req, tenantId, runId, assertScopeAccess });
+}
+
+export default {
+  calculateEmployeeProvision,
+  calculatePayrollProvisionRun,
+  getPayrollProvisionRunDetail,
+  listPayrollProvisionRuns,
+  postPayrollProvisionRun,
+  resolvePayrollProvisionRunScope,
+};
@@ -3,6 +3,7 @@ import { query, withTransaction } from "../db.js";
 import { assertCurrencyExists, assertLegalEntityBelongsToTenant } from "../tenantGuards.js";
 import { badRequest, parsePositiveInt } from "../routes/_utils.js";
 import { parsePayrollCsv } from "./payroll.parsers.csv.js";
+import { refreshPayrollRunEmployeeChecks } from "./payroll.employees.service.js";
 
 function normalizeUpperText(value) {
   return String(value || "")
@@ -252,6 +253,8 @@ async function findPayrollRunLinesByRunId({ tenantId, runId, runQuery = query })
         l.run_id,
         l.line_no,
         l.employee_code,
+        l.employee_id,
+        l.employee_check_status,
         l.employee_name,
         l.cost_center_code,
         l.base_salary,
@@ -548,6 +551,10 @@ export async function listPayrollRunLineRows({
     conditions.push("l.cost_center_code = ?");
     params.push(filters.costCenterCode);
   }
+  if (filters.employeeCheckStatus) {
+    conditions.push("l.employee_check_status = ?");
+    params.push(filters.employeeCheckStatus);
+  }
   if (filters.q) {
     const like = `%${filters.q}%`;
     conditions.push("(l.employee_code LIKE ? OR l.employee_name LIKE ? OR l.cost_center_code LIKE ?)");
@@ -577,6 +584,8 @@ export async function listPayrollRunLineRows({
         l.run_id,
         l.line_no,
         l.employee_code,
+        l.employee_id,
+        l.employee_check_status,
         l.employee_name,
         l.cost_center_code,
         l.base_salary,
@@ -985,6 +994,14 @@ export async function importPayrollRunCsv({
         [insertedCount, duplicateCount, payload.tenantId, newRunId]
       );
 
+      const employeeCheck = await refreshPayrollRunEmployeeChecks({
+        tenantId: payload.tenantId,
+        legalEntityId: resolvedLegalEntityId,
+        runId: newRunId,
+        payrollPeriod: payload.payrollPeriod,
+        runQuery: tx.query,
+      });
+
       await writePayrollRunAudit({
         tenantId: payload.tenantId,
         legalEntityId: resolvedLegalEntityId,
@@ -992,8 +1009,11 @@ export async function importPayrollRunCsv({
         action: "VALIDATION",
         payload: {
           parser: "payroll.parsers.csv",
-          checks: ["gross_pay_consistency", "net_pay_consistency"],
+          checks: employeeCheck.masterEnabled
+            ? ["gross_pay_consistency", "net_pay_consistency", "employee_master"]
+            : ["gross_pay_consistency", "net_pay_consistency"],
           rowCount: parsedRows.length,
+          employeeIssues: employeeCheck.issues,
         },
         userId: payload.userId,
         runQuery: tx.query,
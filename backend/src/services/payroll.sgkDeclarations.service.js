@@ -0,0 +1,1127 @@
+import crypto from "node:crypto";
+import { query, withTransaction } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import {
+  findSnapshotByIdempotencyKeyTx,
+  getPeriodExportSnapshotDetail,
+  insertPeriodExportSnapshotTx,
+} from "./exportSnapshots.service.js";
+import { writeSensitiveDataAudit } from "./security.sensitiveDataAudit.service.js";
+
+export const SGK_DECLARATION_SNAPSHOT_TYPE = "PAYROLL_SGK_DECLARATION";
+
+const APHB_LAYOUT_VERSION = "APHB-XML-1";
+const MUHSGK_LAYOUT_VERSION = "MUHSGK-TXT-1";
+const DECLARATION_CURRENCY = "TRY";
+const FULL_MONTH_DAYS = 30;
+const RECONCILIATION_TOLERANCE = 0.01;
+const MAX_ERRORS_REPORTED = 20;
+
+// APHB document type 01 is the standard 4/a "all insurance branches" document. Law 5510 is
+// declared when the calculation applied the 5-point employer premium incentive.
+const APHB_DOCUMENT_TYPE = "01";
+const APHB_DEFAULT_LAW_NO = "00000";
+const APHB_INCENTIVE_LAW_NO = "05510";
+
+const DECLARATION_AMOUNT_KEYS = Object.freeze([
+  "sgk_base",
+  "bonus_pay",
+  "gross_pay",
+  "sgk_employee",
+  "unemployment_employee",
+  "sgk_employer",
+  "unemployment_employer",
+  "income_tax_base",
+  "income_tax_calculated",
+  "income_tax_exemption",
+  "income_tax",
+  "stamp_tax_calculated",
+  "stamp_tax_exemption",
+  "stamp_tax",
+]);
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toDateOnly(value) {
+  const pad2 = (n) => String(n).padStart(2, "0");
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+  }
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+function toAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Number(parsed.toFixed(6));
+}
+
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function parseOptionalJson(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message, details = null) {
+  const err = new Error(message);
+  err.status = 409;
+  if (details) err.details = details;
+  return err;
+}
+
+function isDuplicateKeyError(err) {
+  return Number(err?.errno) === 1062 || up(err?.code) === "ER_DUP_ENTRY";
+}
+
+function assertLeScope(req, assertScopeAccess, legalEntityId, label = "legalEntityId") {
+  if (assertScopeAccess && parsePositiveInt(legalEntityId)) {
+    assertScopeAccess(req, "legal_entity", parsePositiveInt(legalEntityId), label);
+  }
+}
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => XML_ENTITIES[ch]);
+}
+
+function formatDecimal(value) {
+  return round2(value).toFixed(2);
+}
+
+function safeFileToken(value) {
+  return String(value || "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .slice(0, 80);
+}
+
+function monthBounds(payrollPeriod) {
+  const date = toDateOnly(payrollPeriod);
+  if (!date) throw badRequest("payrollPeriod is required");
+  const year = Number(date.slice(0, 4));
+  const month = Number(date.slice(5, 7));
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    year,
+    month,
+    periodStart: `${date.slice(0, 7)}-01`,
+    periodEnd: `${date.slice(0, 7)}-${String(lastDay).padStart(2, "0")}`,
+  };
+}
+
+// SGK and GIB layouts carry given names and the surname separately; the master keeps one full name.
+function splitFullName(fullName) {
+  const parts = String(fullName || "")
+    .trim()
+    .toLocaleUpperCase("tr-TR")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (parts.length <= 1) return { firstName: parts[0] || "", lastName: "" };
+  return { firstName: parts.slice(0, -1).join(" "), lastName: parts[parts.length - 1] };
+}
+
+// Day of month when a date falls inside the declaration month, otherwise null.
+function dayInMonth(value, periodStart, periodEnd) {
+  const date = toDateOnly(value);
+  if (!date || date < periodStart || date > periodEnd) return null;
+  return Number(date.slice(8, 10));
+}
+
+function mapWorkplace(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    is_default: Boolean(Number(row.is_default || 0)),
+  };
+}
+
+function mapDeclarationFile(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payroll_period: toDateOnly(row.payroll_period),
+    totals_json: parseOptionalJson(row.totals_json),
+  };
+}
+
+async function findWorkplace({ tenantId, workplaceId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT w.*, ou.code AS operating_unit_code
+     FROM payroll_sgk_workplaces w
+     LEFT JOIN operating_units ou ON ou.tenant_id = w.tenant_id AND ou.id = w.operating_unit_id
+     WHERE w.tenant_id = ? AND w.id = ?
+     LIMIT 1`,
+    [tenantId, workplaceId]
+  );
+  return mapWorkplace(res.rows?.[0] || null);
+}
+
+async function assertOperatingUnitInLegalEntity({ tenantId, legalEntityId, operatingUnitId, runQuery = query }) {
+  if (!parsePositiveInt(operatingUnitId)) return;
+  const res = await runQuery(
+    `SELECT id
+     FROM operating_units
+     WHERE tenant_id = ? AND legal_entity_id = ? AND id = ?
+     LIMIT 1`,
+    [tenantId, legalEntityId, operatingUnitId]
+  );
+  if (!res.rows?.[0]) {
+    throw badRequest("operatingUnitId must belong to the workplace legal entity");
+  }
+}
+
+async function listDeclarationFiles({ tenantId, snapshotId, runQuery = query }) {
+  const res = await runQuery(
+    `SELECT f.id, f.tenant_id, f.legal_entity_id, f.period_export_snapshot_id, f.workplace_id,
+            f.payroll_period, f.file_type, f.layout_version, f.file_name, f.employee_count,
+            f.totals_json, f.content_checksum, f.download_count, f.last_downloaded_at,
+            f.created_by_user_id, f.created_at,
+            w.workplace_code, w.sgk_registration_no
+     FROM payroll_sgk_declaration_files f
+     JOIN payroll_sgk_workplaces w ON w.tenant_id = f.tenant_id AND w.id = f.workplace_id
+     WHERE f.tenant_id = ? AND f.period_export_snapshot_id = ?
+     ORDER BY w.workplace_code ASC, f.file_type ASC`,
+    [tenantId, snapshotId]
+  );
+  return (res.rows || []).map(mapDeclarationFile);
+}
+
+// Reversed runs and the reversal runs that cancel them net to zero, so only the surviving
+// regular, off-cycle and retro runs are declared; their corrected amounts are what SGK expects.
+async function loadDeclarationRuns({ tenantId, legalEntityId, periodStart, periodEnd, runQuery }) {
+  const res = await runQuery(
+    `SELECT id, run_no, run_type, currency_code, payroll_period, source_provider_import_job_id
+     FROM payroll_runs
+     WHERE tenant_id = ? AND legal_entity_id = ?
+       AND status = 'FINALIZED'
+       AND run_type <> 'REVERSAL'
+       AND is_reversed = 0
+       AND payroll_period BETWEEN ? AND ?
+     ORDER BY payroll_period ASC, id ASC`,
+    [tenantId, legalEntityId, periodStart, periodEnd]
+  );
+  const rows = res.rows || [];
+  return {
+    runs: rows.filter((run) => up(run.currency_code) === DECLARATION_CURRENCY),
+    skippedRuns: rows
+      .filter((run) => up(run.currency_code) !== DECLARATION_CURRENCY)
+      .map((run) => ({
+        run_id: parsePositiveInt(run.id),
+        run_no: run.run_no,
+        currency_code: up(run.currency_code),
+      })),
+  };
+}
+
+async function loadDeclarationLines({ tenantId, runIds, periodEnd, runQuery }) {
+  const placeholders = runIds.map(() => "?").join(", ");
+  const res = await runQuery(
+    `SELECT l.*, r.source_provider_import_job_id,
+            e.full_name AS master_full_name, e.national_id, e.sgk_number,
+            e.hire_date, e.termination_date, h.operating_unit_id
+     FROM payroll_run_lines l
+     JOIN payroll_runs r ON r.tenant_id = l.tenant_id AND r.id = l.run_id
+     LEFT JOIN payroll_employees e
+       ON e.tenant_id = l.tenant_id
+      AND e.legal_entity_id = l.legal_entity_id
+      AND e.id = l.employee_id
+     LEFT JOIN payroll_employee_history h
+       ON h.tenant_id = e.tenant_id
+      AND h.employee_id = e.id
+      AND h.effective_from <= ?
+      AND COALESCE(h.effective_to, '9999-12-31') >= ?
+     WHERE l.tenant_id = ? AND l.run_id IN (${placeholders})
+     ORDER BY l.employee_code ASC, l.run_id ASC, l.id ASC`,
+    [periodEnd, periodEnd, tenantId, ...runIds]
+  );
+  return res.rows || [];
+}
+
+// Per-employee calculation details (SGK days, premium base, tax split) recorded by calculating
+// providers on the import job, keyed by job id and then by internal employee code.
+async function loadJobCalculations({ tenantId, jobIds, runQuery }) {
+  const out = new Map();
+  if (!jobIds.length) return out;
+  const placeholders = jobIds.map(() => "?").join(", ");
+  const res = await runQuery(
+    `SELECT id, normalized_payload_json
+     FROM payroll_provider_import_jobs
+     WHERE tenant_id = ? AND id IN (${placeholders})`,
+    [tenantId, ...jobIds]
+  );
+  for (const row of res.rows || []) {
+    const payload = parseOptionalJson(row.normalized_payload_json) || {};
+    const byCode = new Map();
+    for (const employee of payload.employees || []) {
+      const code = String(employee?.internal_employee_code || "").trim();
+      if (code && employee?.calculation) byCode.set(code, employee.calculation);
+    }
+    out.set(parsePositiveInt(row.id), byCode);
+  }
+  return out;
+}
+
+async function loadWorkplaces({ tenantId, legalEntityId, runQuery }) {
+  const res = await runQuery(
+    `SELECT *
+     FROM payroll_sgk_workplaces
+     WHERE tenant_id = ? AND legal_entity_id = ? AND status = 'ACTIVE'
+     ORDER BY workplace_code ASC`,
+    [tenantId, legalEntityId]
+  );
+  return (res.rows || []).map(mapWorkplace);
+}
+
+async function loadLiabilityTotals({ tenantId, legalEntityId, runIds, runQuery }) {
+  const placeholders = runIds.map(() => "?").join(", ");
+  const res = await runQuery(
+    `SELECT run_id, liability_type, SUM(amount) AS amount, COUNT(*) AS row_count
+     FROM payroll_run_liabilities
+     WHERE tenant_id = ? AND legal_entity_id = ?
+       AND run_id IN (${placeholders})
+       AND status <> 'CANCELLED'
+     GROUP BY run_id, liability_type`,
+    [tenantId, legalEntityId, ...runIds]
+  );
+  return res.rows || [];
+}
+
+// One line's contribution to the declaration. Lines imported through a calculating provider carry
+// the exact SGK base and tax split; other lines fall back to a full month on the gross pay, with
+// all premiums on the SGK share and all employee tax declared as income tax.
+function lineDeclarationAmounts(line, calculation) {
+  if (calculation) {
+    return {
+      data_source: "CALCULATION",
+      sgk_days: Number(calculation.sgk_days ?? FULL_MONTH_DAYS),
+      incentive_applied: Boolean(calculation.sgk_employer_incentive_applied),
+      cumulative_income_tax_base: toAmount(calculation.cumulative_income_tax_base),
+      sgk_base: toAmount(calculation.sgk_base),
+      bonus_pay: toAmount(line.bonus_pay),
+      gross_pay: toAmount(line.gross_pay),
+      sgk_employee: toAmount(calculation.sgk_employee),
+      unemployment_employee: toAmount(calculation.unemployment_employee),
+      sgk_employer: toAmount(calculation.sgk_employer),
+      unemployment_employer: toAmount(calculation.unemployment_employer),
+      income_tax_base: toAmount(calculation.income_tax_base),
+      income_tax_calculated: toAmount(calculation.income_tax_calculated),
+      income_tax_exemption: toAmount(calculation.income_tax_exemption),
+      income_tax: toAmount(calculation.income_tax),
+      stamp_tax_calculated: toAmount(calculation.stamp_tax_calculated),
+      stamp_tax_exemption: toAmount(calculation.stamp_tax_exemption),
+      stamp_tax: toAmount(calculation.stamp_tax),
+    };
+  }
+  const grossPay = toAmount(line.gross_pay);
+  const employeeTax = toAmount(line.employee_tax);
+  return {
+    data_source: "RUN_LINE",
+    sgk_days: FULL_MONTH_DAYS,
+    incentive_applied: false,
+    cumulative_income_tax_base: null,
+    sgk_base: grossPay,
+    bonus_pay: toAmount(line.bonus_pay),
+    gross_pay: grossPay,
+    sgk_employee: toAmount(line.employee_social_security),
+    unemployment_employee: 0,
+    sgk_employer: toAmount(line.employer_social_security),
+    unemployment_employer: 0,
+    income_tax_base: round2(grossPay - toAmount(line.employee_social_security)),
+    income_tax_calculated: employeeTax,
+    income_tax_exemption: 0,
+    income_tax: employeeTax,
+    stamp_tax_calculated: 0,
+    stamp_tax_exemption: 0,
+    stamp_tax: 0,
+  };
+}
+
+function buildEmployeeDeclarations({ lines, calculations, workplaces, periodStart, periodEnd }) {
+  const byUnit = new Map();
+  let defaultWorkplace = null;
+  for (const workplace of workplaces) {
+    if (parsePositiveInt(workplace.operating_unit_id)) {
+      byUnit.set(parsePositiveInt(workplace.operating_unit_id), workplace);
+    }
+    if (workplace.is_default && !defaultWorkplace) defaultWorkplace = workplace;
+  }
+
+  const errors = [];
+  const byEmployee = new Map();
+  for (const line of lines) {
+    const employeeId = parsePositiveInt(line.employee_id);
+    if (!employeeId) {
+      errors.push({ employee_code: line.employee_code, reason: "Run line is not linked to the payroll employee master" });
+      continue;
+    }
+    const calculation =
+      calculations.get(parsePositiveInt(line.source_provider_import_job_id))?.get(String(line.employee_code)) ||
+      null;
+    const amounts = lineDeclarationAmounts(line, calculation);
+    const current = byEmployee.get(employeeId);
+    if (!current) {
+      byEmployee.set(employeeId, { line, run_ids: [parsePositiveInt(line.run_id)], ...amounts });
+      continue;
+    }
+    // Off-cycle runs in the same month add earnings and premiums but not insured days.
+    current.run_ids.push(parsePositiveInt(line.run_id));
+    current.sgk_days = Math.min(FULL_MONTH_DAYS, Math.max(current.sgk_days, amounts.sgk_days));
+    current.incentive_applied = current.incentive_applied || amounts.incentive_applied;
+    if (amounts.data_source !== current.data_source) current.data_source = "MIXED";
+    if (amounts.cumulative_income_tax_base !== null) {
+      current.cumulative_income_tax_base = Math.max(
+        toAmount(current.cumulative_income_tax_base),
+        amounts.cumulative_income_tax_base
+      );
+    }
+    for (const key of DECLARATION_AMOUNT_KEYS) {
+      current[key] = toAmount(current[key] + amounts[key]);
+    }
+  }
+
+  const rows = [];
+  for (const entry of byEmployee.values()) {
+    const { line } = entry;
+    const nationalId = String(line.national_id || "").replace(/\s+/g, "");
+    if (!/^\d{11}$/.test(nationalId)) {
+      errors.push({ employee_code: line.employee_code, reason: "Employee master has no valid 11-digit national_id" });
+      continue;
+    }
+    const workplace = byUnit.get(parsePositiveInt(line.operating_unit_id)) || defaultWorkplace;
+    if (!workplace) {
+      errors.push({
+        employee_code: line.employee_code,
+        reason: "No ACTIVE SGK workplace for the employee operating unit and no default workplace",
+      });
+      continue;
+    }
+    const { firstName, lastName } = splitFullName(line.master_full_name || line.employee_name);
+    const amounts = Object.fromEntries(DECLARATION_AMOUNT_KEYS.map((key) => [key, round2(entry[key])]));
+    rows.push({
+      workplace_id: parsePositiveInt(workplace.id),
+      employee_id: parsePositiveInt(line.employee_id),
+      employee_code: line.employee_code,
+      national_id: nationalId,
+      first_name: firstName,
+      last_name: lastName,
+      data_source: entry.data_source,
+      run_ids: entry.run_ids,
+      law_no: entry.incentive_applied ? APHB_INCENTIVE_LAW_NO : APHB_DEFAULT_LAW_NO,
+      sgk_days: entry.sgk_days,
+      missing_days: FULL_MONTH_DAYS - entry.sgk_days,
+      entry_day: dayInMonth(line.hire_date, periodStart, periodEnd),
+      exit_day: dayInMonth(line.termination_date, periodStart, periodEnd),
+      cumulative_income_tax_base:
+        entry.cumulative_income_tax_base === null ? null : round2(entry.cumulative_income_tax_base),
+      ...amounts,
+    });
+  }
+  rows.sort((a, b) => a.national_id.localeCompare(b.national_id));
+  return { rows, errors };
+}
+
+function sumRows(rows, keys) {
+  return round2(rows.reduce((total, row) => total + keys.reduce((s, key) => s + toAmount(row[key]), 0), 0));
+}
+
+function buildDeclarationTotals(rows) {
+  return {
+    employee_count: rows.length,
+    sgk_days: rows.reduce((total, row) => total + Number(row.sgk_days || 0), 0),
+    sgk_base: sumRows(rows, ["sgk_base"]),
+    gross_pay: sumRows(rows, ["gross_pay"]),
+    sgk_employee_premium: sumRows(rows, ["sgk_employee", "unemployment_employee"]),
+    sgk_employer_premium: sumRows(rows, ["sgk_employer", "unemployment_employer"]),
+    unemployment_employee: sumRows(rows, ["unemployment_employee"]),
+    unemployment_employer: sumRows(rows, ["unemployment_employer"]),
+    income_tax_base: sumRows(rows, ["income_tax_base"]),
+    income_tax: sumRows(rows, ["income_tax"]),
+    stamp_tax: sumRows(rows, ["stamp_tax"]),
+    withholding_tax: sumRows(rows, ["income_tax", "stamp_tax"]),
+  };
+}
+
+// Declared premiums and withholdings must agree with the payable liabilities built for the same
+// runs; a difference means lines or liabilities changed after calculation and blocks the export.
+function reconcileWithLiabilities({ runs, rows, liabilityRows }) {
+  const runsWithLiabilities = new Set(liabilityRows.map((row) => parsePositiveInt(row.run_id)));
+  const missing = runs.filter((run) => !runsWithLiabilities.has(parsePositiveInt(run.id)));
+  if (missing.length) {
+    throw conflict("Payroll liabilities must be built for every declared run before SGK declaration export", {
+      run_ids: missing.map((run) => parsePositiveInt(run.id)),
+    });
+  }
+
+  const liabilityTotal = (types) =>
+    round2(
+      liabilityRows
+        .filter((row) => types.includes(up(row.liability_type)))
+        .reduce((total, row) => total + toAmount(row.amount), 0)
+    );
+  const totals = buildDeclarationTotals(rows);
+  const checks = [
+    {
+      check_code: "SGK_EMPLOYEE_PREMIUM",
+      liability_types: ["EMPLOYEE_SOCIAL_SECURITY"],
+      declared_amount: totals.sgk_employee_premium,
+    },
+    {
+      check_code: "SGK_EMPLOYER_PREMIUM",
+      liability_types: ["EMPLOYER_SOCIAL_SECURITY"],
+      declared_amount: totals.sgk_employer_premium,
+    },
+    {
+      check_code: "WITHHOLDING_TAX",
+      liability_types: ["EMPLOYEE_TAX"],
+      declared_amount: totals.withholding_tax,
+    },
+  ].map((check) => {
+    const liabilityAmount = liabilityTotal(check.liability_types);
+    const difference = round2(check.declared_amount - liabilityAmount);
+    return {
+      ...check,
+      liability_amount: liabilityAmount,
+      difference,
+      status: Math.abs(difference) <= RECONCILIATION_TOLERANCE ? "MATCHED" : "MISMATCH",
+    };
+  });
+
+  const mismatches = checks.filter((check) => check.status !== "MATCHED");
+  if (mismatches.length) {
+    const err = conflict(
+      `SGK declaration totals do not reconcile to payroll liabilities (${mismatches
+        .map((check) => check.check_code)
+        .join(", ")})`,
+      { checks }
+    );
+    err.code = "SGK_DECLARATION_RECONCILIATION_FAILED";
+    throw err;
+  }
+  return { totals, checks };
+}
+
+function buildAphbXml({ legalEntity, workplace, bounds, rows }) {
+  const totals = buildDeclarationTotals(rows);
+  const tag = (name, value) => `<${name}>${escapeXml(value ?? "")}</${name}>`;
+  const insured = rows.map((row, index) => {
+    const bonus = Math.min(row.bonus_pay, row.sgk_base);
+    return [
+      "    <SIGORTALI>",
+      `      ${tag("SIRA_NO", index + 1)}`,
+      `      ${tag("TC_KIMLIK_NO", row.national_id)}`,
+      `      ${tag("AD", row.first_name)}`,
+      `      ${tag("SOYAD", row.last_name)}`,
+      `      ${tag("KANUN_NO", row.law_no)}`,
+      `      ${tag("PRIM_GUN", row.sgk_days)}`,
+      `      ${tag("HAK_EDILEN_UCRET", formatDecimal(row.sgk_base - bonus))}`,
+      `      ${tag("PRIM_IKRAMIYE", formatDecimal(bonus))}`,
+      `      ${tag("EKSIK_GUN_SAYISI", row.missing_days)}`,
+      `      ${tag("EKSIK_GUN_NEDENI", "")}`,
+      `      ${tag("GIRIS_GUNU", row.entry_day ?? "")}`,
+      `      ${tag("CIKIS_GUNU", row.exit_day ?? "")}`,
+      "    </SIGORTALI>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<AYLIK_PRIM_HIZMET_BELGESI LAYOUT="${APHB_LAYOUT_VERSION}">`,
+    "  <ISYERI>",
+    `    ${tag("ISYERI_SICIL_NO", workplace.sgk_registration_no)}`,
+    `    ${tag("ISYERI_KODU", workplace.workplace_code)}`,
+    `    ${tag("UNVAN", legalEntity.name)}`,
+    `    ${tag("VERGI_NO", legalEntity.tax_id)}`,
+    `    ${tag("DONEM_YIL", bounds.year)}`,
+    `    ${tag("DONEM_AY", String(bounds.month).padStart(2, "0"))}`,
+    `    ${tag("BELGE_TURU", APHB_DOCUMENT_TYPE)}`,
+    `    ${tag("BELGE_MAHIYETI", "ASIL")}`,
+    "  </ISYERI>",
+    "  <SIGORTALILAR>",
+    ...insured,
+    "  </SIGORTALILAR>",
+    "  <TOPLAMLAR>",
+    `    ${tag("SIGORTALI_SAYISI", totals.employee_count)}`,
+    `    ${tag("PRIM_GUN", totals.sgk_days)}`,
+    `    ${tag("PRIME_ESAS_KAZANC", formatDecimal(totals.sgk_base))}`,
+    `    ${tag("SIGORTALI_HISSESI", formatDecimal(totals.sgk_employee_premium - totals.unemployment_employee))}`,
+    `    ${tag("ISVEREN_HISSESI", formatDecimal(totals.sgk_employer_premium - totals.unemployment_employer))}`,
+    `    ${tag("ISSIZLIK_SIGORTALI", formatDecimal(totals.unemployment_employee))}`,
+    `    ${tag("ISSIZLIK_ISVEREN", formatDecimal(totals.unemployment_employer))}`,
+    "  </TOPLAMLAR>",
+    "</AYLIK_PRIM_HIZMET_BELGESI>",
+    "",
+  ].join("\n");
+}
+
+function txtField(value) {
+  return String(value ?? "").replace(/[;\r\n]+/g, " ");
+}
+
+// Semicolon-delimited H/D/T records with CRLF line endings, as read by the declaration import tool.
+function buildMuhsgkTxt({ legalEntity, workplace, bounds, rows }) {
+  const totals = buildDeclarationTotals(rows);
+  const records = [
+    [
+      "H",
+      MUHSGK_LAYOUT_VERSION,
+      legalEntity.tax_id,
+      workplace.sgk_registration_no,
+      bounds.year,
+      String(bounds.month).padStart(2, "0"),
+    ],
+    ...rows.map((row, index) => [
+      "D",
+      index + 1,
+      row.national_id,
+      row.first_name,
+      row.last_name,
+      row.law_no,
+      row.sgk_days,
+      formatDecimal(row.sgk_base),
+      formatDecimal(row.sgk_employee),
+      formatDecimal(row.unemployment_employee),
+      formatDecimal(row.gross_pay),
+      formatDecimal(row.income_tax_base),
+      row.cumulative_income_tax_base === null ? "" : formatDecimal(row.cumulative_income_tax_base),
+      formatDecimal(row.income_tax_calculated),
+      formatDecimal(row.income_tax_exemption),
+      formatDecimal(row.income_tax),
+      formatDecimal(row.stamp_tax_calculated),
+      formatDecimal(row.stamp_tax_exemption),
+      formatDecimal(row.stamp_tax),
+    ]),
+    [
+      "T",
+      totals.employee_count,
+      totals.sgk_days,
+      formatDecimal(totals.sgk_base),
+      formatDecimal(totals.sgk_employee_premium),
+      formatDecimal(totals.income_tax_base),
+      formatDecimal(totals.income_tax),
+      formatDecimal(totals.stamp_tax),
+    ],
+  ];
+  return `${records.map((record) => record.map(txtField).join(";")).join("\r\n")}\r\n`;
+}
+
+function buildDeclarationFiles({ legalEntity, workplaces, bounds, rows }) {
+  const files = [];
+  const period = `${bounds.year}${String(bounds.month).padStart(2, "0")}`;
+  for (const workplace of workplaces) {
+    const workplaceRows = rows.filter((row) => row.workplace_id === parsePositiveInt(workplace.id));
+    if (!workplaceRows.length) continue;
+    const totals = buildDeclarationTotals(workplaceRows);
+    const token = `${safeFileToken(legalEntity.code)}-${safeFileToken(workplace.workplace_code)}-${period}`;
+    const args = { legalEntity, workplace, bounds, rows: workplaceRows };
+    for (const [fileType, layoutVersion, fileName, content] of [
+      ["APHB_XML", APHB_LAYOUT_VERSION, `aphb-${token}.xml`, buildAphbXml(args)],
+      ["MUHSGK_TXT", MUHSGK_LAYOUT_VERSION, `muhsgk-${token}.txt`, buildMuhsgkTxt(args)],
+    ]) {
+      files.push({
+        workplace,
+        file_type: fileType,
+        layout_version: layoutVersion,
+        file_name: fileName,
+        employee_count: workplaceRows.length,
+        totals,
+        content,
+        content_checksum: sha256(content),
+      });
+    }
+  }
+  return files;
+}
+
+// Snapshot items hold counts, checksums and totals only; the identifying file content stays in
+// payroll_sgk_declaration_files behind the audited download.
+function buildSnapshotItems({ files, reconciliation, runs, bounds }) {
+  const items = files.map((file) => ({
+    item_code: `${file.file_type === "APHB_XML" ? "SGK_APHB" : "MUHSGK"}:${file.workplace.workplace_code}`,
+    item_count: file.employee_count,
+    item_hash: file.content_checksum,
+    payload_json: {
+      workplace_id: parsePositiveInt(file.workplace.id),
+      sgk_registration_no: file.workplace.sgk_registration_no,
+      file_type: file.file_type,
+      layout_version: file.layout_version,
+      file_name: file.file_name,
+      totals: file.totals,
+      period_start: bounds.periodStart,
+      period_end: bounds.periodEnd,
+    },
+  }));
+  const reconciliationPayload = {
+    run_ids: runs.map((run) => parsePositiveInt(run.id)),
+    totals: reconciliation.totals,
+    checks: reconciliation.checks,
+    tolerance: RECONCILIATION_TOLERANCE,
+    period_start: bounds.periodStart,
+    period_end: bounds.periodEnd,
+  };
+  items.push({
+    item_code: "SGK_TAX_RECONCILIATION",
+    item_count: reconciliation.checks.length,
+    item_hash: sha256(JSON.stringify(reconciliationPayload)),
+    payload_json: reconciliationPayload,
+  });
+  return items;
+}
+
+export async function resolvePayrollSgkWorkplaceScope(workplaceId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(workplaceId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const res = await runQuery(
+    `SELECT legal_entity_id FROM payroll_sgk_workplaces WHERE tenant_id = ? AND id = ? LIMIT 1`,
+    [t, id]
+  );
+  const row = res.rows?.[0];
+  if (!row) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function resolvePayrollSgkDeclarationFileScope(fileId, tenantId, runQuery = query) {
+  const id = parsePositiveInt(fileId);
+  const t = parsePositiveInt(tenantId);
+  if (!id || !t) return null;
+  const res = await runQuery(
+    `SELECT legal_entity_id FROM payroll_sgk_declaration_files WHERE tenant_id = ? AND id = ? LIMIT 1`,
+    [t, id]
+  );
+  const row = res.rows?.[0];
+  if (!row) return null;
+  return { scopeType: "LEGAL_ENTITY", scopeId: parsePositiveInt(row.legal_entity_id) };
+}
+
+export async function listPayrollSgkWorkplaces({ req, tenantId, filters, buildScopeFilter, assertScopeAccess }) {
+  const params = [tenantId];
+  const conditions = ["w.tenant_id = ?"];
+  const leId = parsePositiveInt(filters.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("w.legal_entity_id = ?");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(buildScopeFilter(req, "legal_entity", "w.legal_entity_id", params));
+  }
+  if (filters.status) {
+    conditions.push("w.status = ?");
+    params.push(filters.status);
+  }
+  const res = await query(
+    `SELECT w.*, le.code AS legal_entity_code, ou.code AS operating_unit_code
+     FROM payroll_sgk_workplaces w
+     JOIN legal_entities le ON le.tenant_id = w.tenant_id AND le.id = w.legal_entity_id
+     LEFT JOIN operating_units ou ON ou.tenant_id = w.tenant_id AND ou.id = w.operating_unit_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY le.code ASC, w.workplace_code ASC`,
+    params
+  );
+  return { rows: (res.rows || []).map(mapWorkplace) };
+}
+
+/**
+ * Creates the workplace or updates it in place when the legal entity already has the code.
+ * Marking a workplace as default clears the flag on the entity's other workplaces.
+ */
+export async function upsertPayrollSgkWorkplace({ req, tenantId, userId, input, assertScopeAccess }) {
+  const legalEntityId = parsePositiveInt(input.legalEntityId);
+  assertLeScope(req, assertScopeAccess, legalEntityId, "legalEntityId");
+  await assertOperatingUnitInLegalEntity({
+    tenantId,
+    legalEntityId,
+    operatingUnitId: input.operatingUnitId,
+  });
+
+  try {
+    return await withTransaction(async (tx) => {
+      const existingRes = await tx.query(
+        `SELECT id
+         FROM payroll_sgk_workplaces
+         WHERE tenant_id = ? AND legal_entity_id = ? AND workplace_code = ?
+         LIMIT 1
+         FOR UPDATE`,
+        [tenantId, legalEntityId, input.workplaceCode]
+      );
+      let workplaceId = parsePositiveInt(existingRes.rows?.[0]?.id);
+      if (input.isDefault) {
+        await tx.query(
+          `UPDATE payroll_sgk_workplaces
+           SET is_default = 0, updated_by_user_id = ?
+           WHERE tenant_id = ? AND legal_entity_id = ? AND is_default = 1`,
+          [userId, tenantId, legalEntityId]
+        );
+      }
+      if (workplaceId) {
+        await tx.query(
+          `UPDATE payroll_sgk_workplaces
+           SET workplace_name = ?, sgk_registration_no = ?, operating_unit_id = ?,
+               is_default = ?, status = ?, updated_by_user_id = ?
+           WHERE tenant_id = ? AND id = ?`,
+          [
+            input.workplaceName,
+            input.sgkRegistrationNo,
+            input.operatingUnitId,
+            input.isDefault ? 1 : 0,
+            input.status,
+            userId,
+            tenantId,
+            workplaceId,
+          ]
+        );
+      } else {
+        const ins = await tx.query(
+          `INSERT INTO payroll_sgk_workplaces (
+              tenant_id, legal_entity_id, workplace_code, workplace_name, sgk_registration_no,
+              operating_unit_id, is_default, status, created_by_user_id, updated_by_user_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            tenantId,
+            legalEntityId,
+            input.workplaceCode,
+            input.workplaceName,
+            input.sgkRegistrationNo,
+            input.operatingUnitId,
+            input.isDefault ? 1 : 0,
+            input.status,
+            userId,
+            userId,
+          ]
+        );
+        workplaceId = parsePositiveInt(ins.rows?.insertId);
+      }
+      return findWorkplace({ tenantId, workplaceId, runQuery: tx.query });
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) {
+      throw conflict("sgkRegistrationNo or operatingUnitId is already assigned to another SGK workplace");
+    }
+    throw err;
+  }
+}
+
+/**
+ * Builds the monthly APHB (XML) and MUHSGK (TXT) files of one legal entity, one pair per SGK
+ * workplace, from its FINALIZED TRY payroll runs. The export is blocked unless the declared
+ * premiums and withholdings reconcile to the run liabilities, and is recorded as a
+ * PAYROLL_SGK_DECLARATION period export snapshot.
+ */
+export async function createPayrollSgkDeclarationExport({ req, tenantId, userId, input, assertScopeAccess }) {
+  const legalEntityId = parsePositiveInt(input.legalEntityId);
+  assertLeScope(req, assertScopeAccess, legalEntityId, "legalEntityId");
+  const bounds = monthBounds(input.payrollPeriod);
+
+  return withTransaction(async (tx) => {
+    const leRes = await tx.query(
+      `SELECT id, code, name, tax_id
+       FROM legal_entities
+       WHERE tenant_id = ? AND id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, legalEntityId]
+    );
+    const legalEntity = leRes.rows?.[0];
+    if (!legalEntity) throw notFound("Legal entity not found");
+
+    const existing = await findSnapshotByIdempotencyKeyTx(tx, {
+      tenantId,
+      legalEntityId,
+      idempotencyKey: input.idempotencyKey,
+    });
+    if (existing) {
+      if (up(existing.snapshot?.snapshot_type) !== SGK_DECLARATION_SNAPSHOT_TYPE) {
+        throw conflict("idempotencyKey is already used by another export snapshot of this legal entity");
+      }
+      const files = await listDeclarationFiles({
+        tenantId,
+        snapshotId: parsePositiveInt(existing.snapshot?.id),
+        runQuery: tx.query,
+      });
+      return { ...existing, files };
+    }
+
+    if (!String(legalEntity.tax_id || "").trim()) {
+      throw badRequest("Legal entity tax_id is required for the MUHSGK declaration");
+    }
+
+    const { runs, skippedRuns } = await loadDeclarationRuns({
+      tenantId,
+      legalEntityId,
+      periodStart: bounds.periodStart,
+      periodEnd: bounds.periodEnd,
+      runQuery: tx.query,
+    });
+    if (!runs.length) {
+      throw conflict(`No FINALIZED ${DECLARATION_CURRENCY} payroll runs to declare for ${bounds.periodStart.slice(0, 7)}`);
+    }
+    const runIds = runs.map((run) => parsePositiveInt(run.id));
+
+    const lines = await loadDeclarationLines({
+      tenantId,
+      runIds,
+      periodEnd: bounds.periodEnd,
+      runQuery: tx.query,
+    });
+    const calculations = await loadJobCalculations({
+      tenantId,
+      jobIds: Array.from(
+        new Set(runs.map((run) => parsePositiveInt(run.source_provider_import_job_id)).filter(Boolean))
+      ),
+      runQuery: tx.query,
+    });
+    const workplaces = await loadWorkplaces({ tenantId, legalEntityId, runQuery: tx.query });
+    const liabilityRows = await loadLiabilityTotals({ tenantId, legalEntityId, runIds, runQuery: tx.query });
+
+    const { rows, errors } = buildEmployeeDeclarations({
+      lines,
+      calculations,
+      workplaces,
+      periodStart: bounds.periodStart,
+      periodEnd: bounds.periodEnd,
+    });
+    if (errors.length) {
+      const err = badRequest(`SGK declaration blocked: ${errors.length} employee(s) cannot be declared`);
+      err.details = { errors: errors.slice(0, MAX_ERRORS_REPORTED) };
+      throw err;
+    }
+
+    const reconciliation = reconcileWithLiabilities({ runs, rows, liabilityRows });
+    const files = buildDeclarationFiles({ legalEntity, workplaces, bounds, rows });
+    const items = buildSnapshotItems({ files, reconciliation, runs, bounds });
+
+    const { snapshot, items: snapshotItems } = await insertPeriodExportSnapshotTx(tx, {
+      tenantId,
+      legalEntityId,
+      snapshotType: SGK_DECLARATION_SNAPSHOT_TYPE,
+      periodStart: bounds.periodStart,
+      periodEnd: bounds.periodEnd,
+      items,
+      meta: {
+        generated_at: new Date().toISOString(),
+        aphb_layout_version: APHB_LAYOUT_VERSION,
+        muhsgk_layout_version: MUHSGK_LAYOUT_VERSION,
+        run_ids: runIds,
+        skipped_runs: skippedRuns,
+        workplace_count: new Set(files.map((file) => parsePositiveInt(file.workplace.id))).size,
+        employee_count: rows.length,
+        fallback_employee_count: rows.filter((row) => row.data_source !== "CALCULATION").length,
+      },
+      idempotencyKey: input.idempotencyKey,
+      userId,
+    });
+    const snapshotId = parsePositiveInt(snapshot?.id);
+
+    for (const file of files) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.query(
+        `INSERT INTO payroll_sgk_declaration_files (
+            tenant_id, legal_entity_id, period_export_snapshot_id, workplace_id, payroll_period,
+            file_type, layout_version, file_name, employee_count, totals_json, content,
+            content_checksum, created_by_user_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          tenantId,
+          legalEntityId,
+          snapshotId,
+          parsePositiveInt(file.workplace.id),
+          bounds.periodStart,
+          file.file_type,
+          file.layout_version,
+          file.file_name,
+          file.employee_count,
+          JSON.stringify(file.totals),
+          file.content,
+          file.content_checksum,
+          userId,
+        ]
+      );
+    }
+
+    await writeSensitiveDataAudit({
+      tenantId,
+      legalEntityId,
+      moduleCode: "PAYROLL",
+      objectType: "SGK_DECLARATION",
+      objectId: snapshotId,
+      action: "EXPORTED",
+      payload: {
+        payroll_period: bounds.periodStart,
+        run_ids: runIds,
+        employee_count: rows.length,
+        file_count: files.length,
+        snapshot_hash: snapshot?.snapshot_hash,
+      },
+      note: "SGK APHB and MUHSGK declaration files generated",
+      userId,
+      runQuery: tx.query,
+    });
+
+    return {
+      snapshot,
+      items: snapshotItems,
+      files: await listDeclarationFiles({ tenantId, snapshotId, runQuery: tx.query }),
+      idempotent: false,
+    };
+  });
+}
+
+export async function listPayrollSgkDeclarationFiles({
+  req,
+  tenantId,
+  filters,
+  buildScopeFilter,
+  assertScopeAccess,
+}) {
+  const params = [tenantId];
+  const conditions = ["f.tenant_id = ?"];
+  const leId = parsePositiveInt(filters.legalEntityId);
+  if (leId) {
+    assertLeScope(req, assertScopeAccess, leId, "legalEntityId");
+    conditions.push("f.legal_entity_id = ?");
+    params.push(leId);
+  } else if (typeof buildScopeFilter === "function") {
+    conditions.push(buildScopeFilter(req, "legal_entity", "f.legal_entity_id", params));
+  }
+  if (filters.payrollPeriod) {
+    conditions.push("f.payroll_period = ?");
+    params.push(monthBounds(filters.payrollPeriod).periodStart);
+  }
+  if (filters.snapshotId) {
+    conditions.push("f.period_export_snapshot_id = ?");
+    params.push(filters.snapshotId);
+  }
+  const whereSql = conditions.join(" AND ");
+  const countRes = await query(
+    `SELECT COUNT(*) AS total FROM payroll_sgk_declaration_files f WHERE ${whereSql}`,
+    params
+  );
+  const safeLimit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 100;
+  const safeOffset = Number.isInteger(filters.offset) && filters.offset >= 0 ? filters.offset : 0;
+  const listRes = await query(
+    `SELECT f.id, f.tenant_id, f.legal_entity_id, f.period_export_snapshot_id, f.workplace_id,
+            f.payroll_period, f.file_type, f.layout_version, f.file_name, f.employee_count,
+            f.totals_json, f.content_checksum, f.download_count, f.last_downloaded_at,
+            f.created_by_user_id, f.created_at,
+            w.workplace_code, w.sgk_registration_no, s.snapshot_hash,
+            le.code AS legal_entity_code
+     FROM payroll_sgk_declaration_files f
+     JOIN payroll_sgk_workplaces w ON w.tenant_id = f.tenant_id AND w.id = f.workplace_id
+     JOIN period_export_snapshots s ON s.tenant_id = f.tenant_id AND s.id = f.period_export_snapshot_id
+     JOIN legal_entities le ON le.tenant_id = f.tenant_id AND le.id = f.legal_entity_id
+     WHERE ${whereSql}
+     ORDER BY f.payroll_period DESC, f.period_export_snapshot_id DESC, w.workplace_code ASC, f.file_type ASC
+     LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+    params
+  );
+  return {
+    rows: (listRes.rows || []).map(mapDeclarationFile),
+    total: Number(countRes.rows?.[0]?.total || 0),
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+export async function getPayrollSgkDeclarationDetail({ req, tenantId, snapshotId, assertScopeAccess }) {
+  const detail = await getPeriodExportSnapshotDetail({ req, tenantId, snapshotId, assertScopeAccess });
+  if (up(detail.snapshot?.snapshot_type) !== SGK_DECLARATION_SNAPSHOT_TYPE) {
+    throw notFound("SGK declaration export not found");
+  }
+  return {
+    ...detail,
+    files: await listDeclarationFiles({ tenantId, snapshotId }),
+  };
+}
+
+/**
+ * Returns one stored declaration file. The files carry full national IDs, so every download is
+ * counted and written to sensitive_data_audit in the same transaction.
+ */
+export async function downloadPayrollSgkDeclarationFile({ req, tenantId, userId, fileId, assertScopeAccess }) {
+  return withTransaction(async (tx) => {
+    const res = await tx.query(
+      `SELECT *
+       FROM payroll_sgk_declaration_files
+       WHERE tenant_id = ? AND id = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [tenantId, fileId]
+    );
+    const row = res.rows?.[0];
+    if (!row) throw notFound("SGK declaration file not found");
+    assertLeScope(req, assertScopeAccess, row.legal_entity_id, "fileId");
+
+    const content = String(row.content);
+    if (sha256(content) !== row.content_checksum) {
+      throw conflict("Stored SGK declaration file does not match its checksum");
+    }
+
+    await tx.query(
+      `UPDATE payroll_sgk_declaration_files
+       SET download_count = download_count + 1, last_downloaded_at = CURRENT_TIMESTAMP
+       WHERE tenant_id = ? AND id = ?`,
+      [tenantId, fileId]
+    );
+    await writeSensitiveDataAudit({
+      tenantId,
+      legalEntityId: row.legal_entity_id,
+      moduleCode: "PAYROLL",
+      objectType: "SGK_DECLARATION_FILE",
+      objectId: fileId,
+      action: "DOWNLOAD",
+      payload: {
+        file_type: up(row.file_type),
+        period_export_snapshot_id: parsePositiveInt(row.period_export_snapshot_id),
+        payroll_period: toDateOnly(row.payroll_period),
+        checksum: row.content_checksum,
+      },
+      userId,
+      runQuery: tx.query,
+    });
+
+    return {
+      fileName: row.file_name,
+      contentType:
+        up(row.file_type) === "APHB_XML" ? "application/xml; charset=utf-8" : "text/plain; charset=utf-8",
+      checksum: row.content_checksum,
+      content,
+    };
+  });
+}
+
+export default {
+  createPayrollSgkDeclarationExport,
+  downloadPayrollSgkDeclarationFile,
+  getPayrollSgkDeclarationDetail,
+  listPayrollSgkDeclarationFiles,
+  listPayrollSgkWorkplaces,
+  resolvePayrollSgkDeclarationFileScope,
+  resolvePayrollSgkWorkplaceScope,
+  upsertPayrollSgkWorkplace,
+};
@@ -1,6 +1,12 @@
 import { query } from "../db.js";
 import { parsePositiveInt } from "../routes/_utils.js";
 
+function up(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
 function parseOptionalJson(value) {
   if (value === undefined || value === null || value === "") return null;
   if (typeof value !== "string") return value;
@@ -27,6 +33,48 @@ function buildScopeCondition({ req, filters, params, buildScopeFilter, assertSco
   return "1 = 1";
 }
 
+/**
+ * Appends one sensitive-data access row. Callers inside a transaction pass `runQuery: tx.query`
+ * so the audit row commits or rolls back with the access it records.
+ */
+export async function writeSensitiveDataAudit({
+  tenantId,
+  legalEntityId = null,
+  moduleCode,
+  objectType,
+  objectId,
+  action,
+  payload = null,
+  note = null,
+  userId = null,
+  runQuery = query,
+}) {
+  await runQuery(
+    `INSERT INTO sensitive_data_audit (
+        tenant_id,
+        legal_entity_id,
+        module_code,
+        object_type,
+        object_id,
+        action,
+        payload_json,
+        note,
+        acted_by_user_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId,
+      parsePositiveInt(legalEntityId),
+      up(moduleCode),
+      up(objectType),
+      parsePositiveInt(objectId),
+      up(action),
+      payload === null ? null : JSON.stringify(payload),
+      note || null,
+      parsePositiveInt(userId),
+    ]
+  );
+}
+
 export async function listSensitiveDataAuditRows({
   req,
   tenantId,
@@ -118,5 +166,6 @@ export async function listSensitiveDataAuditRows({
 
 export default {
   listSensitiveDataAuditRows,
+  writeSensitiveDataAudit,
 };
 
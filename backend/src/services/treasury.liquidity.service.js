@@ -0,0 +1,887 @@
+import { query } from "../db.js";
+import { badRequest, parsePositiveInt } from "../routes/_utils.js";
+import { sumPostedSessionMovement } from "./cash.queries.js";
+
+const DEFAULT_FORECAST_WEEKS = 13;
+const MAX_FORECAST_WEEKS = 26;
+const FX_RATE_FALLBACK_ORDER = ["SPOT", "CLOSING", "AVERAGE"];
+const AMOUNT_EPSILON = 0.005;
+
+const FORECAST_SOURCES = [
+  "AR_OPEN_ITEMS",
+  "AP_OPEN_ITEMS",
+  "PAYMENT_BATCHES",
+  "PAYROLL_LIABILITIES",
+  "CONTRACT_BILLING",
+];
+
+function u(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+function toNum(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function round2(value) {
+  return Math.round(toNum(value) * 100) / 100;
+}
+
+function round6(value) {
+  return Math.round(toNum(value) * 1000000) / 1000000;
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function dateToUtcMs(dateText) {
+  return Date.parse(`${dateText}T00:00:00.000Z`);
+}
+
+function addDays(dateText, days) {
+  const next = new Date(dateToUtcMs(dateText));
+  next.setUTCDate(next.getUTCDate() + Number(days || 0));
+  return next.toISOString().slice(0, 10);
+}
+
+function diffDays(fromDate, toDate) {
+  return Math.round((dateToUtcMs(toDate) - dateToUtcMs(fromDate)) / 86400000);
+}
+
+function todayDateOnly() {
+  return toDateOnly(new Date());
+}
+
+function buildLegalEntityScope({ req, tenantId, filters, alias, params, buildScopeFilter, assertScopeAccess }) {
+  const where = [`${alias}.tenant_id = ?`];
+  params.push(tenantId);
+
+  const legalEntityId = parsePositiveInt(filters.legalEntityId);
+  if (legalEntityId) {
+    if (typeof assertScopeAccess === "function") {
+      assertScopeAccess(req, "legal_entity", legalEntityId, "legalEntityId");
+    }
+    where.push(`${alias}.legal_entity_id = ?`);
+    params.push(legalEntityId);
+  } else if (typeof buildScopeFilter === "function") {
+    where.push(buildScopeFilter(req, "legal_entity", `${alias}.legal_entity_id`, params));
+  }
+
+  return where;
+}
+
+async function resolveGroupCurrencyCode({ tenantId, requestedCode, runQuery = query }) {
+  const explicit = u(requestedCode);
+  if (explicit) return { code: explicit, source: "REQUEST" };
+
+  const groupResult = await runQuery(
+    `SELECT presentation_currency_code
+     FROM consolidation_groups
+     WHERE tenant_id = ?
+       AND status = 'ACTIVE'
+     ORDER BY id
+     LIMIT 1`,
+    [tenantId]
+  );
+  const groupCode = u(groupResult.rows?.[0]?.presentation_currency_code);
+  if (groupCode) return { code: groupCode, source: "CONSOLIDATION_GROUP" };
+
+  const entityResult = await runQuery(
+    `SELECT functional_currency_code
+     FROM legal_entities
+     WHERE tenant_id = ?
+     ORDER BY id
+     LIMIT 1`,
+    [tenantId]
+  );
+  const entityCode = u(entityResult.rows?.[0]?.functional_currency_code);
+  if (entityCode) return { code: entityCode, source: "LEGAL_ENTITY" };
+
+  throw badRequest("groupCurrencyCode is required when no consolidation group exists");
+}
+
+function createFxConverter({ tenantId, groupCurrencyCode, rateDate, preferredRateType, runQuery = query }) {
+  const fallbackOrder = [u(preferredRateType), ...FX_RATE_FALLBACK_ORDER].filter(
+    (value, index, arr) => FX_RATE_FALLBACK_ORDER.includes(value) && arr.indexOf(value) === index
+  );
+  const cache = new Map();
+
+  async function findRate(fromCode, toCode) {
+    const result = await runQuery(
+      `SELECT rate, rate_type, rate_date
+       FROM fx_rates
+       WHERE tenant_id = ?
+         AND from_currency_code = ?
+         AND to_currency_code = ?
+         AND rate_type IN (${fallbackOrder.map(() => "?").join(", ")})
+         AND rate_date <= ?
+       ORDER BY rate_date DESC,
+                FIELD(rate_type, ${fallbackOrder.map(() => "?").join(", ")})
+       LIMIT 1`,
+      [tenantId, fromCode, toCode, ...fallbackOrder, rateDate, ...fallbackOrder]
+    );
+    return result.rows?.[0] || null;
+  }
+
+  async function resolveRate(currencyCode) {
+    const fromCode = u(currencyCode);
+    if (cache.has(fromCode)) return cache.get(fromCode);
+
+    let resolved = null;
+    if (fromCode === groupCurrencyCode) {
+      resolved = { rate: 1, rateType: "IDENTITY", rateDate, inverted: false };
+    } else {
+      const direct = await findRate(fromCode, groupCurrencyCode);
+      if (direct && toNum(direct.rate) > 0) {
+        resolved = {
+          rate: toNum(direct.rate),
+          rateType: String(direct.rate_type),
+          rateDate: toDateOnly(direct.rate_date),
+          inverted: false,
+        };
+      } else {
+        const inverse = await findRate(groupCurrencyCode, fromCode);
+        if (inverse && toNum(inverse.rate) > 0) {
+          resolved = {
+            rate: 1 / toNum(inverse.rate),
+            rateType: String(inverse.rate_type),
+            rateDate: toDateOnly(inverse.rate_date),
+            inverted: true,
+          };
+        }
+      }
+    }
+
+    cache.set(fromCode, resolved);
+    return resolved;
+  }
+
+  return {
+    async convert(amount, currencyCode) {
+      const rate = await resolveRate(currencyCode);
+      if (!rate) return null;
+      return round6(toNum(amount) * rate.rate);
+    },
+    summary() {
+      const rates = [];
+      const missingCurrencies = [];
+      for (const [currencyCode, rate] of cache.entries()) {
+        if (!rate) {
+          missingCurrencies.push(currencyCode);
+          continue;
+        }
+        rates.push({
+          currency_code: currencyCode,
+          rate: round6(rate.rate),
+          rate_type: rate.rateType,
+          rate_date: rate.rateDate,
+          inverted: rate.inverted,
+        });
+      }
+      rates.sort((a, b) => a.currency_code.localeCompare(b.currency_code));
+      missingCurrencies.sort();
+      return {
+        groupCurrencyCode,
+        rateDate,
+        preferredRateType: fallbackOrder[0],
+        rates,
+        missingCurrencies,
+        complete: missingCurrencies.length === 0,
+      };
+    },
+  };
+}
+
+async function loadBankAccountBalances({ req, tenantId, filters, asOfDate, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "ba",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("ba.is_active = TRUE");
+
+  const result = await runQuery(
+    `SELECT
+        ba.id,
+        ba.legal_entity_id,
+        ba.code,
+        ba.name,
+        ba.currency_code,
+        (
+          SELECT CONCAT(DATE_FORMAT(i.closing_balance_date, '%Y-%m-%d'), '|', i.closing_balance)
+          FROM bank_statement_imports i
+          WHERE i.tenant_id = ba.tenant_id
+            AND i.bank_account_id = ba.id
+            AND i.status = 'IMPORTED'
+            AND i.closing_balance IS NOT NULL
+            AND i.closing_balance_date IS NOT NULL
+            AND i.closing_balance_date <= ?
+          ORDER BY i.closing_balance_date DESC, i.id DESC
+          LIMIT 1
+        ) AS statement_closing,
+        (
+          SELECT CONCAT(DATE_FORMAT(l.txn_date, '%Y-%m-%d'), '|', l.balance_after)
+          FROM bank_statement_lines l
+          WHERE l.tenant_id = ba.tenant_id
+            AND l.bank_account_id = ba.id
+            AND l.balance_after IS NOT NULL
+            AND l.txn_date <= ?
+          ORDER BY l.txn_date DESC, l.id DESC
+          LIMIT 1
+        ) AS line_closing
+     FROM bank_accounts ba
+     WHERE ${where.join(" AND ")}
+     ORDER BY ba.legal_entity_id, ba.currency_code, ba.code, ba.id`,
+    [asOfDate, asOfDate, ...params]
+  );
+
+  return (result.rows || []).map((row) => {
+    const candidates = [
+      ["STATEMENT_CLOSING", row.statement_closing],
+      ["STATEMENT_LINE", row.line_closing],
+    ]
+      .filter(([, value]) => Boolean(value))
+      .map(([source, value]) => {
+        const [date, amount] = String(value).split("|");
+        return { source, date, amount: toNum(amount) };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const latest = candidates[0] || null;
+    return {
+      source_type: "BANK_ACCOUNT",
+      source_id: parsePositiveInt(row.id),
+      legal_entity_id: parsePositiveInt(row.legal_entity_id),
+      code: row.code,
+      name: row.name,
+      currency_code: u(row.currency_code),
+      balance: latest ? round6(latest.amount) : 0,
+      balance_date: latest ? latest.date : null,
+      balance_source: latest ? latest.source : "NO_STATEMENT",
+    };
+  });
+}
+
+async function loadCashRegisterBalances({ req, tenantId, filters, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "cr",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("cr.status = 'ACTIVE'");
+
+  const result = await runQuery(
+    `SELECT
+        cr.id,
+        cr.legal_entity_id,
+        cr.code,
+        cr.name,
+        cr.currency_code,
+        s.id AS session_id,
+        s.status AS session_status,
+        s.opening_amount,
+        s.expected_closing_amount,
+        s.counted_closing_amount,
+        COALESCE(DATE_FORMAT(s.closed_at, '%Y-%m-%d'), DATE_FORMAT(s.opened_at, '%Y-%m-%d')) AS session_date
+     FROM cash_registers cr
+     LEFT JOIN cash_sessions s
+       ON s.id = (
+         SELECT s2.id
+         FROM cash_sessions s2
+         WHERE s2.tenant_id = cr.tenant_id
+           AND s2.cash_register_id = cr.id
+           AND s2.status IN ('OPEN', 'CLOSED')
+         ORDER BY s2.opened_at DESC, s2.id DESC
+         LIMIT 1
+       )
+     WHERE ${where.join(" AND ")}
+     ORDER BY cr.legal_entity_id, cr.currency_code, cr.code, cr.id`,
+    params
+  );
+
+  const rows = [];
+  for (const row of result.rows || []) {
+    const registerId = parsePositiveInt(row.id);
+    const sessionId = parsePositiveInt(row.session_id);
+    let balance = 0;
+    let balanceSource = "NO_SESSION";
+    if (sessionId && u(row.session_status) === "OPEN") {
+      const movement = await sumPostedSessionMovement({
+        tenantId,
+        registerId,
+        sessionId,
+        runQuery,
+      });
+      balance = toNum(row.opening_amount) + movement;
+      balanceSource = "OPEN_SESSION";
+    } else if (sessionId) {
+      if (row.counted_closing_amount !== null && row.counted_closing_amount !== undefined) {
+        balance = toNum(row.counted_closing_amount);
+        balanceSource = "COUNTED_CLOSE";
+      } else {
+        balance = toNum(row.expected_closing_amount ?? row.opening_amount);
+        balanceSource = "EXPECTED_CLOSE";
+      }
+    }
+
+    rows.push({
+      source_type: "CASH_REGISTER",
+      source_id: registerId,
+      legal_entity_id: parsePositiveInt(row.legal_entity_id),
+      code: row.code,
+      name: row.name,
+      currency_code: u(row.currency_code),
+      balance: round6(balance),
+      balance_date: sessionId ? row.session_date || null : null,
+      balance_source: balanceSource,
+    });
+  }
+  return rows;
+}
+
+async function loadLegalEntityNames({ tenantId, legalEntityIds, runQuery }) {
+  const ids = Array.from(new Set(legalEntityIds.filter(Boolean)));
+  if (ids.length === 0) return new Map();
+  const result = await runQuery(
+    `SELECT id, code, name
+     FROM legal_entities
+     WHERE tenant_id = ?
+       AND id IN (${ids.map(() => "?").join(", ")})`,
+    [tenantId, ...ids]
+  );
+  return new Map(
+    (result.rows || []).map((row) => [parsePositiveInt(row.id), { code: row.code, name: row.name }])
+  );
+}
+
+async function buildCashPosition({ req, tenantId, filters, asOfDate, fx, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const accounts = [
+    ...(await loadBankAccountBalances({
+      req,
+      tenantId,
+      filters,
+      asOfDate,
+      buildScopeFilter,
+      assertScopeAccess,
+      runQuery,
+    })),
+    ...(await loadCashRegisterBalances({
+      req,
+      tenantId,
+      filters,
+      buildScopeFilter,
+      assertScopeAccess,
+      runQuery,
+    })),
+  ];
+
+  const entityNames = await loadLegalEntityNames({
+    tenantId,
+    legalEntityIds: accounts.map((row) => row.legal_entity_id),
+    runQuery,
+  });
+
+  const groups = new Map();
+  let totalGroup = 0;
+  for (const account of accounts) {
+    account.balance_group = await fx.convert(account.balance, account.currency_code);
+    if (account.balance_group !== null) totalGroup += account.balance_group;
+
+    const key = `${account.legal_entity_id}|${account.currency_code}`;
+    if (!groups.has(key)) {
+      const entity = entityNames.get(account.legal_entity_id) || {};
+      groups.set(key, {
+        legal_entity_id: account.legal_entity_id,
+        legal_entity_code: entity.code || null,
+        legal_entity_name: entity.name || null,
+        currency_code: account.currency_code,
+        bank_balance: 0,
+        cash_balance: 0,
+        total_balance: 0,
+        total_balance_group: 0,
+        bank_account_count: 0,
+        cash_register_count: 0,
+        fx_missing: false,
+      });
+    }
+    const group = groups.get(key);
+    if (account.source_type === "BANK_ACCOUNT") {
+      group.bank_balance += account.balance;
+      group.bank_account_count += 1;
+    } else {
+      group.cash_balance += account.balance;
+      group.cash_register_count += 1;
+    }
+    group.total_balance += account.balance;
+    if (account.balance_group === null) {
+      group.fx_missing = true;
+    } else {
+      group.total_balance_group += account.balance_group;
+    }
+  }
+
+  const rows = Array.from(groups.values()).map((row) => ({
+    ...row,
+    bank_balance: round2(row.bank_balance),
+    cash_balance: round2(row.cash_balance),
+    total_balance: round2(row.total_balance),
+    total_balance_group: row.fx_missing ? null : round2(row.total_balance_group),
+  }));
+
+  return {
+    rows,
+    accounts: accounts.map((row) => ({
+      ...row,
+      balance: round2(row.balance),
+      balance_group: row.balance_group === null ? null : round2(row.balance_group),
+    })),
+    totalGroup: round2(totalGroup),
+  };
+}
+
+function buildWeeks(asOfDate, weekCount) {
+  const weeks = [];
+  for (let index = 0; index < weekCount; index += 1) {
+    const weekStart = addDays(asOfDate, index * 7);
+    weeks.push({
+      week_no: index + 1,
+      week_start: weekStart,
+      week_end: addDays(weekStart, 6),
+    });
+  }
+  return weeks;
+}
+
+function resolveWeekIndex(asOfDate, weekCount, dueDate) {
+  if (!dueDate || dueDate < asOfDate) return 0;
+  const index = Math.floor(diffDays(asOfDate, dueDate) / 7);
+  return index < weekCount ? index : null;
+}
+
+async function loadOpenItemEntries({ req, tenantId, filters, asOfDate, horizonEnd, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "oi",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("oi.status IN ('OPEN', 'PARTIALLY_SETTLED')");
+  where.push("oi.residual_amount_txn > 0");
+  where.push("oi.due_date <= ?");
+  params.push(horizonEnd);
+  where.push("d.status NOT IN ('CANCELLED', 'REVERSED')");
+
+  const result = await runQuery(
+    `SELECT
+        oi.legal_entity_id,
+        oi.currency_code,
+        d.direction,
+        DATE_FORMAT(oi.due_date, '%Y-%m-%d') AS due_date,
+        SUM(oi.residual_amount_txn) AS amount,
+        COUNT(*) AS item_count
+     FROM cari_open_items oi
+     JOIN cari_documents d
+       ON d.tenant_id = oi.tenant_id
+      AND d.legal_entity_id = oi.legal_entity_id
+      AND d.id = oi.document_id
+     WHERE ${where.join(" AND ")}
+       AND NOT EXISTS (
+         SELECT 1
+         FROM payment_batch_lines pbl
+         JOIN payment_batches pb
+           ON pb.tenant_id = pbl.tenant_id
+          AND pb.legal_entity_id = pbl.legal_entity_id
+          AND pb.id = pbl.batch_id
+         WHERE pbl.tenant_id = oi.tenant_id
+           AND pbl.legal_entity_id = oi.legal_entity_id
+           AND pbl.payable_entity_type = 'CARI_OPEN_ITEM'
+           AND pbl.payable_entity_id = oi.id
+           AND pbl.status = 'PENDING'
+           AND pb.status = 'APPROVED'
+           AND pb.bank_export_status = 'NOT_EXPORTED'
+       )
+     GROUP BY oi.legal_entity_id, oi.currency_code, d.direction, oi.due_date`,
+    params
+  );
+
+  return (result.rows || []).map((row) => {
+    const isAr = u(row.direction) === "AR";
+    return {
+      source: isAr ? "AR_OPEN_ITEMS" : "AP_OPEN_ITEMS",
+      legal_entity_id: parsePositiveInt(row.legal_entity_id),
+      currency_code: u(row.currency_code),
+      date: toDateOnly(row.due_date),
+      overdue: toDateOnly(row.due_date) < asOfDate,
+      amount: isAr ? toNum(row.amount) : -toNum(row.amount),
+      item_count: Number(row.item_count || 0),
+    };
+  });
+}
+
+async function loadPaymentBatchEntries({ req, tenantId, filters, asOfDate, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "pb",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("pb.status = 'APPROVED'");
+  where.push("pb.bank_export_status = 'NOT_EXPORTED'");
+
+  const result = await runQuery(
+    `SELECT
+        pb.legal_entity_id,
+        pb.currency_code,
+        SUM(pb.total_amount) AS amount,
+        COUNT(*) AS item_count
+     FROM payment_batches pb
+     WHERE ${where.join(" AND ")}
+     GROUP BY pb.legal_entity_id, pb.currency_code`,
+    params
+  );
+
+  // Batches carry no execution date; an approved batch is expected to leave the bank in week 1.
+  return (result.rows || []).map((row) => ({
+    source: "PAYMENT_BATCHES",
+    legal_entity_id: parsePositiveInt(row.legal_entity_id),
+    currency_code: u(row.currency_code),
+    date: asOfDate,
+    overdue: false,
+    amount: -toNum(row.amount),
+    item_count: Number(row.item_count || 0),
+  }));
+}
+
+async function loadPayrollLiabilityEntries({ req, tenantId, filters, asOfDate, horizonEnd, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "l",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push(
+    "(l.status = 'OPEN' OR (l.status = 'PARTIALLY_PAID' AND l.reserved_payment_batch_id IS NULL))"
+  );
+  where.push("l.outstanding_amount > 0");
+  where.push("r.pay_date <= ?");
+  params.push(horizonEnd);
+
+  const result = await runQuery(
+    `SELECT
+        l.legal_entity_id,
+        l.currency_code,
+        DATE_FORMAT(r.pay_date, '%Y-%m-%d') AS pay_date,
+        SUM(l.outstanding_amount) AS amount,
+        COUNT(*) AS item_count
+     FROM payroll_run_liabilities l
+     JOIN payroll_runs r
+       ON r.tenant_id = l.tenant_id
+      AND r.legal_entity_id = l.legal_entity_id
+      AND r.id = l.run_id
+     WHERE ${where.join(" AND ")}
+     GROUP BY l.legal_entity_id, l.currency_code, r.pay_date`,
+    params
+  );
+
+  return (result.rows || []).map((row) => ({
+    source: "PAYROLL_LIABILITIES",
+    legal_entity_id: parsePositiveInt(row.legal_entity_id),
+    currency_code: u(row.currency_code),
+    date: toDateOnly(row.pay_date),
+    overdue: toDateOnly(row.pay_date) < asOfDate,
+    amount: -toNum(row.amount),
+    item_count: Number(row.item_count || 0),
+  }));
+}
+
+async function loadContractBillingEntries({ req, tenantId, filters, asOfDate, weeks, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const params = [];
+  const where = buildLegalEntityScope({
+    req,
+    tenantId,
+    filters,
+    alias: "c",
+    params,
+    buildScopeFilter,
+    assertScopeAccess,
+  });
+  where.push("c.status = 'ACTIVE'");
+  where.push("c.end_date IS NOT NULL");
+  where.push("c.end_date >= ?");
+  params.push(asOfDate);
+
+  const result = await runQuery(
+    `SELECT
+        c.id,
+        c.legal_entity_id,
+        c.contract_type,
+        c.currency_code,
+        DATE_FORMAT(c.start_date, '%Y-%m-%d') AS start_date,
+        DATE_FORMAT(c.end_date, '%Y-%m-%d') AS end_date,
+        c.total_amount_txn,
+        COALESCE((
+          SELECT SUM(l.linked_amount_txn + COALESCE((
+            SELECT SUM(e.delta_amount_txn)
+            FROM contract_document_link_events e
+            WHERE e.tenant_id = l.tenant_id
+              AND e.contract_document_link_id = l.id
+          ), 0))
+          FROM contract_document_links l
+          WHERE l.tenant_id = c.tenant_id
+            AND l.legal_entity_id = c.legal_entity_id
+            AND l.contract_id = c.id
+        ), 0) AS billed_amount_txn
+     FROM contracts c
+     WHERE ${where.join(" AND ")}`,
+    params
+  );
+
+  const horizonEnd = weeks[weeks.length - 1].week_end;
+  const entries = [];
+  for (const row of result.rows || []) {
+    const unbilled = toNum(row.total_amount_txn) - toNum(row.billed_amount_txn);
+    if (unbilled <= AMOUNT_EPSILON) continue;
+
+    // The unbilled remainder is spread evenly over the days left in the contract term.
+    const spreadStart = row.start_date > asOfDate ? row.start_date : asOfDate;
+    const spreadEnd = row.end_date;
+    const totalDays = diffDays(spreadStart, spreadEnd) + 1;
+    if (totalDays <= 0) continue;
+    const dailyAmount = unbilled / totalDays;
+    const sign = u(row.contract_type) === "CUSTOMER" ? 1 : -1;
+
+    for (const week of weeks) {
+      const overlapStart = week.week_start > spreadStart ? week.week_start : spreadStart;
+      const overlapEnd = week.week_end < spreadEnd ? week.week_end : spreadEnd;
+      if (overlapStart > overlapEnd || overlapStart > horizonEnd) continue;
+      const days = diffDays(overlapStart, overlapEnd) + 1;
+      entries.push({
+        source: "CONTRACT_BILLING",
+        legal_entity_id: parsePositiveInt(row.legal_entity_id),
+        currency_code: u(row.currency_code),
+        date: overlapStart,
+        overdue: false,
+        amount: sign * dailyAmount * days,
+        item_count: 1,
+      });
+    }
+  }
+  return entries;
+}
+
+async function buildForecast({ req, tenantId, filters, asOfDate, weekCount, openingBalanceGroup, fx, buildScopeFilter, assertScopeAccess, runQuery }) {
+  const weeks = buildWeeks(asOfDate, weekCount);
+  const horizonEnd = weeks[weeks.length - 1].week_end;
+  const context = {
+    req,
+    tenantId,
+    filters,
+    asOfDate,
+    horizonEnd,
+    weeks,
+    buildScopeFilter,
+    assertScopeAccess,
+    runQuery,
+  };
+
+  const entries = [
+    ...(await loadOpenItemEntries(context)),
+    ...(await loadPaymentBatchEntries(context)),
+    ...(await loadPayrollLiabilityEntries(context)),
+    ...(await loadContractBillingEntries(context)),
+  ];
+
+  const weekRows = weeks.map((week) => ({
+    ...week,
+    inflow_group: 0,
+    outflow_group: 0,
+    by_source: Object.fromEntries(FORECAST_SOURCES.map((source) => [source, 0])),
+  }));
+  const lineMap = new Map();
+  const overdue = Object.fromEntries(FORECAST_SOURCES.map((source) => [source, 0]));
+  let unconvertedCount = 0;
+
+  for (const entry of entries) {
+    const weekIndex = resolveWeekIndex(asOfDate, weekCount, entry.date);
+    if (weekIndex === null) continue;
+    const amountGroup = await fx.convert(entry.amount, entry.currency_code);
+
+    const lineKey = `${weekIndex}|${entry.legal_entity_id}|${entry.currency_code}|${entry.source}`;
+    if (!lineMap.has(lineKey)) {
+      lineMap.set(lineKey, {
+        week_no: weekIndex + 1,
+        legal_entity_id: entry.legal_entity_id,
+        currency_code: entry.currency_code,
+        source: entry.source,
+        amount: 0,
+        amount_group: 0,
+        item_count: 0,
+        fx_missing: false,
+      });
+    }
+    const line = lineMap.get(lineKey);
+    line.amount += entry.amount;
+    line.item_count += entry.item_count;
+
+    if (amountGroup === null) {
+      line.fx_missing = true;
+      unconvertedCount += 1;
+      continue;
+    }
+    line.amount_group += amountGroup;
+
+    const week = weekRows[weekIndex];
+    week.by_source[entry.source] += amountGroup;
+    if (amountGroup >= 0) {
+      week.inflow_group += amountGroup;
+    } else {
+      week.outflow_group += -amountGroup;
+    }
+    if (entry.overdue) overdue[entry.source] += amountGroup;
+  }
+
+  let running = openingBalanceGroup;
+  const weeksOut = weekRows.map((week) => {
+    const opening = running;
+    const net = week.inflow_group - week.outflow_group;
+    running = opening + net;
+    return {
+      week_no: week.week_no,
+      week_start: week.week_start,
+      week_end: week.week_end,
+      opening_balance_group: round2(opening),
+      inflow_group: round2(week.inflow_group),
+      outflow_group: round2(week.outflow_group),
+      net_flow_group: round2(net),
+      closing_balance_group: round2(running),
+      by_source: Object.fromEntries(
+        Object.entries(week.by_source).map(([source, amount]) => [source, round2(amount)])
+      ),
+    };
+  });
+
+  const lowest = weeksOut.reduce(
+    (min, week) => (min === null || week.closing_balance_group < min.closing_balance_group ? week : min),
+    null
+  );
+
+  return {
+    horizonStart: asOfDate,
+    horizonEnd,
+    weeks: weeksOut,
+    lines: Array.from(lineMap.values())
+      .map((line) => ({
+        ...line,
+        amount: round2(line.amount),
+        amount_group: line.fx_missing ? null : round2(line.amount_group),
+      }))
+      .sort(
+        (a, b) =>
+          a.week_no - b.week_no ||
+          a.legal_entity_id - b.legal_entity_id ||
+          a.currency_code.localeCompare(b.currency_code) ||
+          a.source.localeCompare(b.source)
+      ),
+    overdueInWeek1: Object.fromEntries(
+      Object.entries(overdue).map(([source, amount]) => [source, round2(amount)])
+    ),
+    closingBalanceGroup: round2(running),
+    lowestWeek: lowest
+      ? { week_no: lowest.week_no, closing_balance_group: lowest.closing_balance_group }
+      : null,
+    unconvertedEntryCount: unconvertedCount,
+  };
+}
+
+export async function getTreasuryLiquidityReport({
+  req,
+  tenantId,
+  filters = {},
+  buildScopeFilter,
+  assertScopeAccess,
+  runQuery = query,
+}) {
+  const asOfDate = filters.asOfDate || todayDateOnly();
+  const weekCount = Math.min(
+    Math.max(parsePositiveInt(filters.weeks) || DEFAULT_FORECAST_WEEKS, 1),
+    MAX_FORECAST_WEEKS
+  );
+  const groupCurrency = await resolveGroupCurrencyCode({
+    tenantId,
+    requestedCode: filters.groupCurrencyCode,
+    runQuery,
+  });
+  const fx = createFxConverter({
+    tenantId,
+    groupCurrencyCode: groupCurrency.code,
+    rateDate: asOfDate,
+    preferredRateType: filters.rateType,
+    runQuery,
+  });
+
+  const cashPosition = await buildCashPosition({
+    req,
+    tenantId,
+    filters,
+    asOfDate,
+    fx,
+    buildScopeFilter,
+    assertScopeAccess,
+    runQuery,
+  });
+  const forecast = await buildForecast({
+    req,
+    tenantId,
+    filters,
+    asOfDate,
+    weekCount,
+    openingBalanceGroup: cashPosition.totalGroup,
+    fx,
+    buildScopeFilter,
+    assertScopeAccess,
+    runQuery,
+  });
+
+  return {
+    asOfDate,
+    groupCurrencyCode: groupCurrency.code,
+    groupCurrencySource: groupCurrency.source,
+    legalEntityId: parsePositiveInt(filters.legalEntityId) || null,
+    cashPosition: {
+      rows: cashPosition.rows,
+      accounts: cashPosition.accounts,
+      totalBalanceGroup: cashPosition.totalGroup,
+    },
+    forecast,
+    fx: fx.summary(),
+  };
+}
@@ -0,0 +1,94 @@
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT);
+
+// The standard Courier font only covers WinAnsi; Turkish letters outside it are folded.
+const FOLDED_CHARS = {
+  ş: "s",
+  Ş: "S",
+  ğ: "g",
+  Ğ: "G",
+  ı: "i",
+  İ: "I",
+};
+
+function toPdfText(value) {
+  const folded = String(value ?? "").replace(/[şŞğĞıİ]/g, (ch) => FOLDED_CHARS[ch]);
+  let out = "";
+  for (const ch of folded) {
+    const code = ch.codePointAt(0);
+    if (ch === "\\" || ch === "(" || ch === ")") {
+      out += `\\${ch}`;
+    } else if (code >= 32 && code <= 126) {
+      out += ch;
+    } else if (code >= 160 && code <= 255) {
+      out += `\\${code.toString(8).padStart(3, "0")}`;
+    } else {
+      out += "?";
+    }
+  }
+  return out;
+}
+
+function buildPageContent(lines) {
+  const parts = [
+    "BT",
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`,
+  ];
+  for (const line of lines) {
+    parts.push(`(${toPdfText(line)}) Tj T*`);
+  }
+  parts.push("ET");
+  return parts.join("\n");
+}
+
+// Minimal PDF 1.4 writer for monospaced text documents (one Courier font, A4 pages).
+// Output is deterministic for the same input, so its checksum can be stored and re-verified.
+export function buildTextPdf({ title = "", lines = [] } = {}) {
+  const pages = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // 1 catalog, 2 page tree, 3 font, 4 info, then a page/content object pair per page.
+  const objects = [];
+  const pageObjectIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${
+    pages.length
+  } >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = `<< /Title (${toPdfText(title)}) >>`;
+  pages.forEach((pageLines, index) => {
+    const pageId = pageObjectIds[index];
+    const content = buildPageContent(pageLines);
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(body, "latin1");
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    body += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(body, "latin1");
+}
+
+export default {
+  buildTextPdf,
+};
@@ -0,0 +1,144 @@
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+function decodeXmlText(value) {
+  return String(value || "").replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint =
+        entity[1] === "x" || entity[1] === "X"
+          ? Number.parseInt(entity.slice(2), 16)
+          : Number.parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function toLocalName(qualifiedName) {
+  const separatorIndex = qualifiedName.indexOf(":");
+  return separatorIndex >= 0 ? qualifiedName.slice(separatorIndex + 1) : qualifiedName;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match = pattern.exec(source);
+  while (match) {
+    attributes[toLocalName(match[1])] = decodeXmlText(match[3] ?? match[4] ?? "");
+    match = pattern.exec(source);
+  }
+  return attributes;
+}
+
+// Small non-validating XML reader: elements, attributes, text and CDATA only.
+// Namespace prefixes are dropped so lookups use local names (Invoice, Stmt, Ntry...).
+export function parseXmlTree(xmlText) {
+  const source = String(xmlText || "").replace(/^\uFEFF/, "");
+  if (/<!DOCTYPE/i.test(source)) {
+    throw new Error("DOCTYPE declarations are not allowed");
+  }
+
+  const root = { name: "#document", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  let cursor = 0;
+
+  while (cursor < source.length) {
+    const tagStart = source.indexOf("<", cursor);
+    if (tagStart < 0) {
+      break;
+    }
+    if (tagStart > cursor) {
+      stack[stack.length - 1].text += decodeXmlText(source.slice(cursor, tagStart));
+    }
+
+    if (source.startsWith("<!--", tagStart)) {
+      const end = source.indexOf("-->", tagStart + 4);
+      if (end < 0) {
+        throw new Error("Unterminated XML comment");
+      }
+      cursor = end + 3;
+      continue;
+    }
+    if (source.startsWith("<![CDATA[", tagStart)) {
+      const end = source.indexOf("]]>", tagStart + 9);
+      if (end < 0) {
+        throw new Error("Unterminated CDATA section");
+      }
+      stack[stack.length - 1].text += source.slice(tagStart + 9, end);
+      cursor = end + 3;
+      continue;
+    }
+    if (source.startsWith("<?", tagStart)) {
+      const end = source.indexOf("?>", tagStart + 2);
+      if (end < 0) {
+        throw new Error("Unterminated XML declaration");
+      }
+      cursor = end + 2;
+      continue;
+    }
+
+    const tagEnd = source.indexOf(">", tagStart + 1);
+    if (tagEnd < 0) {
+      throw new Error("Unterminated XML tag");
+    }
+    const rawTag = source.slice(tagStart + 1, tagEnd);
+    cursor = tagEnd + 1;
+
+    if (rawTag.startsWith("/")) {
+      const closingName = toLocalName(rawTag.slice(1).trim());
+      const current = stack.pop();
+      if (!current || current === root || current.name !== closingName) {
+        throw new Error(`Unexpected closing tag </${rawTag.slice(1).trim()}>`);
+      }
+      continue;
+    }
+
+    const selfClosing = rawTag.endsWith("/");
+    const body = selfClosing ? rawTag.slice(0, -1) : rawTag;
+    const nameMatch = body.match(/^\s*([A-Za-z_][\w.:-]*)/);
+    if (!nameMatch) {
+      throw new Error("Invalid XML tag");
+    }
+    const node = {
+      name: toLocalName(nameMatch[1]),
+      attributes: parseAttributes(body.slice(nameMatch[0].length)),
+      children: [],
+      text: "",
+    };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) {
+      stack.push(node);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed XML element <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+export function child(node, ...path) {
+  let current = node;
+  for (const name of path) {
+    current = current?.children?.find((entry) => entry.name === name) || null;
+    if (!current) {
+      return null;
+    }
+  }
+  return current;
+}
+
+export function children(node, name) {
+  return (node?.children || []).filter((entry) => entry.name === name);
+}
+
+export function textOf(node, ...path) {
+  const target = path.length ? child(node, ...path) : node;
+  const value = String(target?.text || "").trim();
+  return value || null;
+}
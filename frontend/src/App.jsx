@@ -46,12 +46,18 @@ import PayrollRunDetailPage from "./pages/payroll/PayrollRunDetailPage.jsx";
 import PayrollComponentMappingsPage from "./pages/payroll/PayrollComponentMappingsPage.jsx";
 import PayrollLiabilitiesPage from "./pages/payroll/PayrollLiabilitiesPage.jsx";
 import PayrollBeneficiariesPage from "./pages/payroll/PayrollBeneficiariesPage.jsx";
+import PayrollEmployeesPage from "./pages/payroll/PayrollEmployeesPage.jsx";
+import PayrollProvisionsPage from "./pages/payroll/PayrollProvisionsPage.jsx";
+import PayrollPayslipsPage from "./pages/payroll/PayrollPayslipsPage.jsx";
+import PayrollSgkDeclarationsPage from "./pages/payroll/PayrollSgkDeclarationsPage.jsx";
 import PayrollCloseControlsPage from "./pages/payroll/PayrollCloseControlsPage.jsx";
 import CariCounterpartyPage from "./pages/cari/CariCounterpartyPage.jsx";
 import CariDocumentsPage from "./pages/cari/CariDocumentsPage.jsx";
 import CariReportsPage from "./pages/cari/CariReportsPage.jsx";
 import CariSettlementsPage from "./pages/cari/CariSettlementsPage.jsx";
 import CariAuditPage from "./pages/cari/CariAuditPage.jsx";
+import CariPortfolioPage from "./pages/cari/CariPortfolioPage.jsx";
+import CariEinvoiceInboxPage from "./pages/cari/CariEinvoiceInboxPage.jsx";
 import ContractsPage from "./pages/contracts/ContractsPage.jsx";
 import FutureYearRevenuePage from "./pages/revenue/FutureYearRevenuePage.jsx";
 import { collectSidebarLinks, sidebarItems } from "./layouts/sidebarConfig.js";
@@ -224,6 +230,26 @@ const implementedRoutes = [
     childPath: "payroll-beneficiaries",
     element: <PayrollBeneficiariesPage />,
   },
+  {
+    appPath: "/app/payroll-employees",
+    childPath: "payroll-employees",
+    element: <PayrollEmployeesPage />,
+  },
+  {
+    appPath: "/app/payroll-provisions",
+    childPath: "payroll-provisions",
+    element: <PayrollProvisionsPage />,
+  },
+  {
+    appPath: "/app/payroll-payslips",
+    childPath: "payroll-payslips",
+    element: <PayrollPayslipsPage />,
+  },
+  {
+    appPath: "/app/payroll-sgk-declarations",
+    childPath: "payroll-sgk-declarations",
+    element: <PayrollSgkDeclarationsPage />,
+  },
   {
     appPath: "/app/payroll-close-controls",
     childPath: "payroll-close-controls",
@@ -276,6 +302,16 @@ const implementedRoutes = [
     childPath: "cari-settlements",
     element: <CariSettlementsPage />,
   },
+  {
+    appPath: "/app/cari-cek-senet",
+    childPath: "cari-cek-senet",
+    element: <CariPortfolioPage />,
+  },
+  {
+    appPath: "/app/cari-e-fatura-gelen",
+    childPath: "cari-e-fatura-gelen",
+    element: <CariEinvoiceInboxPage />,
+  },
   {
     appPath: "/app/cari-audit",
     childPath: "cari-audit",
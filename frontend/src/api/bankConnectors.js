@@ -51,3 +51,11 @@ export async function syncBankConnectorStatements(connectorId, payload = {}) {
   const response = await api.post(`/api/v1/bank/connectors/${connectorId}/sync-statements`, payload);
   return response.data;
 }
+
+export async function pushBankConnectorPaymentFiles(connectorId, payload = {}) {
+  const response = await api.post(
+    `/api/v1/bank/connectors/${connectorId}/push-payment-files`,
+    payload
+  );
+  return response.data;
+}
@@ -41,3 +41,16 @@ export async function listReconciliationAudit(params = {}) {
   const response = await api.get(`/api/v1/bank/reconciliation/audit${toQueryString(params)}`);
   return response.data;
 }
+
+export async function matchReconciliationGroup(payload) {
+  const response = await api.post("/api/v1/bank/reconciliation/match-groups", payload);
+  return response.data;
+}
+
+export async function unmatchReconciliationGroup(groupId, payload = {}) {
+  const response = await api.post(
+    `/api/v1/bank/reconciliation/match-groups/${groupId}/unmatch`,
+    payload
+  );
+  return response.data;
+}
@@ -57,6 +57,34 @@ export async function retryReconciliationException(exceptionId, payload = {}) {
   return response.data;
 }
 
+export async function listReconciliationRuleProposals(params = {}) {
+  const response = await api.get(
+    `/api/v1/bank/reconciliation/rule-proposals${toQueryString(params)}`
+  );
+  return response.data;
+}
+
+export async function generateReconciliationRuleProposals(payload = {}) {
+  const response = await api.post("/api/v1/bank/reconciliation/rule-proposals/generate", payload);
+  return response.data;
+}
+
+export async function acceptReconciliationRuleProposal(proposalId, payload = {}) {
+  const response = await api.post(
+    `/api/v1/bank/reconciliation/rule-proposals/${proposalId}/accept`,
+    payload
+  );
+  return response.data;
+}
+
+export async function dismissReconciliationRuleProposal(proposalId, payload = {}) {
+  const response = await api.post(
+    `/api/v1/bank/reconciliation/rule-proposals/${proposalId}/dismiss`,
+    payload
+  );
+  return response.data;
+}
+
 export default {
   previewReconciliationAutoRun,
   applyReconciliationAutoRun,
@@ -65,4 +93,8 @@ export default {
   resolveReconciliationException,
   ignoreReconciliationExceptionItem,
   retryReconciliationException,
+  listReconciliationRuleProposals,
+  generateReconciliationRuleProposals,
+  acceptReconciliationRuleProposal,
+  dismissReconciliationRuleProposal,
 };
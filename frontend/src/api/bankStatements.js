@@ -12,7 +12,7 @@ function toQueryString(params = {}) {
   return query ? `?${query}` : "";
 }
 
-export async function importBankStatementCsv(payload) {
+export async function importBankStatementFile(payload) {
   const response = await api.post("/api/v1/bank/statements/import", payload);
   return response.data;
 }
@@ -36,3 +36,13 @@ export async function getBankStatementLine(lineId) {
   const response = await api.get(`/api/v1/bank/statements/lines/${lineId}`);
   return response.data;
 }
+
+export async function getBankStatementCoverage(params = {}) {
+  const response = await api.get(`/api/v1/bank/statements/coverage${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function evaluateBankStatementCoverage(payload) {
+  const response = await api.post("/api/v1/bank/statements/coverage/evaluate", payload);
+  return response.data;
+}
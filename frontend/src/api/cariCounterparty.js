@@ -46,3 +46,30 @@ export async function updateCariCounterparty(counterpartyId, payload) {
     )
   );
 }
+
+export async function listCariCounterpartyVirtualAccounts(counterpartyId, params = {}) {
+  return run(() =>
+    api.get(
+      `/api/v1/cari/counterparties/${counterpartyId}/virtual-accounts${toCariQueryString(params)}`
+    )
+  );
+}
+
+export async function createCariCounterpartyVirtualAccount(counterpartyId, payload) {
+  return run(() =>
+    api.post(`/api/v1/cari/counterparties/${counterpartyId}/virtual-accounts`, payload)
+  );
+}
+
+export async function updateCariCounterpartyVirtualAccountStatus(
+  counterpartyId,
+  virtualAccountId,
+  status
+) {
+  return run(() =>
+    api.patch(
+      `/api/v1/cari/counterparties/${counterpartyId}/virtual-accounts/${virtualAccountId}`,
+      { status }
+    )
+  );
+}
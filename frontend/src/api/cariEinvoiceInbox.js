@@ -0,0 +1,49 @@
+import { api } from "./client.js";
+import { parseCariApiError, toCariQueryString } from "./cariCommon.js";
+
+async function run(requestFn) {
+  try {
+    const response = await requestFn();
+    return response.data;
+  } catch (error) {
+    throw parseCariApiError(error);
+  }
+}
+
+export async function listCariEinvoiceInbox(params = {}) {
+  return run(() => api.get(`/api/v1/cari/einvoice-inbox${toCariQueryString(params)}`));
+}
+
+export async function getCariEinvoiceInboxItem(inboxId) {
+  return run(() => api.get(`/api/v1/cari/einvoice-inbox/${inboxId}`));
+}
+
+export async function importCariEinvoiceInboxXml(payload) {
+  return run(() => api.post("/api/v1/cari/einvoice-inbox", payload));
+}
+
+export async function processCariEinvoiceInboxItem(inboxId, payload = {}) {
+  return run(() => api.post(`/api/v1/cari/einvoice-inbox/${inboxId}/process`, payload));
+}
+
+export async function createCariEinvoiceInboxCounterparty(inboxId, payload = {}) {
+  return run(() =>
+    api.post(`/api/v1/cari/einvoice-inbox/${inboxId}/create-counterparty`, payload)
+  );
+}
+
+export async function dismissCariEinvoiceInboxItem(inboxId, payload) {
+  return run(() => api.post(`/api/v1/cari/einvoice-inbox/${inboxId}/dismiss`, payload));
+}
+
+export async function listCariEinvoiceInboxRules(params = {}) {
+  return run(() => api.get(`/api/v1/cari/einvoice-inbox/rules${toCariQueryString(params)}`));
+}
+
+export async function createCariEinvoiceInboxRule(payload) {
+  return run(() => api.post("/api/v1/cari/einvoice-inbox/rules", payload));
+}
+
+export async function updateCariEinvoiceInboxRule(ruleId, payload) {
+  return run(() => api.put(`/api/v1/cari/einvoice-inbox/rules/${ruleId}`, payload));
+}
@@ -0,0 +1,35 @@
+import { api } from "./client.js";
+import { parseCariApiError, toCariQueryString } from "./cariCommon.js";
+
+async function run(requestFn) {
+  try {
+    const response = await requestFn();
+    return response.data;
+  } catch (error) {
+    throw parseCariApiError(error);
+  }
+}
+
+export async function listCariPortfolioInstruments(params = {}) {
+  return run(() => api.get(`/api/v1/cari/portfolio${toCariQueryString(params)}`));
+}
+
+export async function getCariPortfolioInstrument(instrumentId) {
+  return run(() => api.get(`/api/v1/cari/portfolio/${instrumentId}`));
+}
+
+export async function registerCariPortfolioInstrument(payload) {
+  return run(() => api.post("/api/v1/cari/portfolio", payload));
+}
+
+export async function transitionCariPortfolioInstrument(instrumentId, action, payload = {}) {
+  return run(() => api.post(`/api/v1/cari/portfolio/${instrumentId}/${action}`, payload));
+}
+
+export async function listCariPortfolioStatementCandidates(bankStatementLineId) {
+  return run(() =>
+    api.get(
+      `/api/v1/cari/portfolio/statement-candidates${toCariQueryString({ bankStatementLineId })}`
+    )
+  );
+}
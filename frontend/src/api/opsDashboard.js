@@ -25,3 +25,8 @@ export async function getOpsJobsHealth(params = {}) {
   return response.data;
 }
 
+
+export async function getOpsTreasuryLiquidity(params = {}) {
+  const response = await api.get("/api/v1/ops/treasury/liquidity", { params });
+  return response.data;
+}
@@ -0,0 +1,41 @@
+import { api } from "./client.js";
+
+function toQueryString(params = {}) {
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    searchParams.set(key, String(value));
+  }
+  const query = searchParams.toString();
+  return query ? `?${query}` : "";
+}
+
+export async function listPayrollEmployees(params = {}) {
+  const response = await api.get(`/api/v1/payroll/employees${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function getPayrollEmployee(employeeId) {
+  const response = await api.get(`/api/v1/payroll/employees/${employeeId}`);
+  return response.data;
+}
+
+export async function createPayrollEmployee(payload = {}) {
+  const response = await api.post("/api/v1/payroll/employees", payload);
+  return response.data;
+}
+
+export async function updatePayrollEmployee(employeeId, payload = {}) {
+  const response = await api.patch(`/api/v1/payroll/employees/${employeeId}`, payload);
+  return response.data;
+}
+
+export async function recordPayrollEmployeeChange(employeeId, payload = {}) {
+  const response = await api.post(`/api/v1/payroll/employees/${employeeId}/changes`, payload);
+  return response.data;
+}
+
+export async function recordPayrollEmployeeLeaveEntry(employeeId, payload = {}) {
+  const response = await api.post(`/api/v1/payroll/employees/${employeeId}/leave-entries`, payload);
+  return response.data;
+}
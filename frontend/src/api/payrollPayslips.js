@@ -0,0 +1,29 @@
+import { api } from "./client.js";
+
+function toQueryString(params = {}) {
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    searchParams.set(key, String(value));
+  }
+  const query = searchParams.toString();
+  return query ? `?${query}` : "";
+}
+
+export async function listPayrollPayslips(params = {}) {
+  const response = await api.get(`/api/v1/payroll/payslips${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function generatePayrollRunPayslips(runId) {
+  const response = await api.post(`/api/v1/payroll/payslips/runs/${runId}/generate`, {});
+  return response.data;
+}
+
+export async function downloadPayrollPayslip(payslipId, format = "PDF") {
+  const response = await api.get(
+    `/api/v1/payroll/payslips/${payslipId}/download${toQueryString({ format })}`,
+    { responseType: "blob" }
+  );
+  return response.data;
+}
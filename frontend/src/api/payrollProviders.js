@@ -30,6 +30,24 @@ export async function updatePayrollProviderConnection(connectionId, payload) {
   return response.data;
 }
 
+export async function listPayrollCalculationParameterSets(params = {}) {
+  const response = await api.get(`/api/v1/payroll/calculation-parameter-sets${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function createPayrollCalculationParameterSet(payload) {
+  const response = await api.post("/api/v1/payroll/calculation-parameter-sets", payload);
+  return response.data;
+}
+
+export async function updatePayrollCalculationParameterSetStatus(parameterSetId, payload) {
+  const response = await api.post(
+    `/api/v1/payroll/calculation-parameter-sets/${parameterSetId}/status`,
+    payload
+  );
+  return response.data;
+}
+
 export async function listPayrollEmployeeProviderRefs(params = {}) {
   const response = await api.get(`/api/v1/payroll/employee-provider-refs${toQueryString(params)}`);
   return response.data;
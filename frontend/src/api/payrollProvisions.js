@@ -0,0 +1,31 @@
+import { api } from "./client.js";
+
+function toQueryString(params = {}) {
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    searchParams.set(key, String(value));
+  }
+  const query = searchParams.toString();
+  return query ? `?${query}` : "";
+}
+
+export async function listPayrollProvisionRuns(params = {}) {
+  const response = await api.get(`/api/v1/payroll/provisions${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function getPayrollProvisionRun(runId) {
+  const response = await api.get(`/api/v1/payroll/provisions/${runId}`);
+  return response.data;
+}
+
+export async function calculatePayrollProvisionRun(payload = {}) {
+  const response = await api.post("/api/v1/payroll/provisions/calculate", payload);
+  return response.data;
+}
+
+export async function postPayrollProvisionRun(runId) {
+  const response = await api.post(`/api/v1/payroll/provisions/${runId}/post`, {});
+  return response.data;
+}
@@ -0,0 +1,43 @@
+import { api } from "./client.js";
+
+function toQueryString(params = {}) {
+  const searchParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    searchParams.set(key, String(value));
+  }
+  const query = searchParams.toString();
+  return query ? `?${query}` : "";
+}
+
+export async function listPayrollSgkWorkplaces(params = {}) {
+  const response = await api.get(`/api/v1/payroll/sgk-declarations/workplaces${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function upsertPayrollSgkWorkplace(payload) {
+  const response = await api.post("/api/v1/payroll/sgk-declarations/workplaces", payload);
+  return response.data;
+}
+
+export async function listPayrollSgkDeclarationFiles(params = {}) {
+  const response = await api.get(`/api/v1/payroll/sgk-declarations${toQueryString(params)}`);
+  return response.data;
+}
+
+export async function createPayrollSgkDeclarationExport(payload) {
+  const response = await api.post("/api/v1/payroll/sgk-declarations", payload);
+  return response.data;
+}
+
+export async function getPayrollSgkDeclaration(snapshotId) {
+  const response = await api.get(`/api/v1/payroll/sgk-declarations/${snapshotId}`);
+  return response.data;
+}
+
+export async function downloadPayrollSgkDeclarationFile(fileId) {
+  const response = await api.get(`/api/v1/payroll/sgk-declarations/files/${fileId}/download`, {
+    responseType: "blob",
+  });
+  return response.data;
+}
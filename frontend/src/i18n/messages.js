@@ -184,6 +184,10 @@ export const messages = {
         "/app/payroll-mappings": "Bordro Mappingleri",
         "/app/payroll-liabilities": "Bordro Liabilities",
         "/app/payroll-beneficiaries": "Bordro Beneficiaries",
+        "/app/payroll-employees": "Bordro Calisanlari",
+        "/app/payroll-provisions": "Bordro Karsiliklari",
+        "/app/payroll-payslips": "Bordro Pusulalari",
+        "/app/payroll-sgk-declarations": "SGK ve MUHSGK Bildirgeleri",
         "/app/payroll-close-controls": "Bordro Kapanis Kontrolleri",
         "/app/cari-islemler": "Cari Islemler",
         "/app/alici-kart-olustur": "Alicilar Karti Olustur",
@@ -271,6 +275,24 @@ export const messages = {
         payrollImports: "Bordro Import Sagligi",
         payrollClose: "Bordro Kapanis Durumu",
         jobs: "Jobs Sagligi",
+        treasury: "Nakit Pozisyonu ve Likidite Tahmini",
+      },
+      treasury: {
+        asOf: "Tarih",
+        groupCurrency: "Grup para birimi",
+        totalCash: "Toplam nakit",
+        fxMissing: "Eksik kur (grup toplamlarina dahil edilmedi)",
+        legalEntity: "Sirket",
+        currency: "Para birimi",
+        bank: "Banka",
+        cash: "Kasa",
+        total: "Toplam",
+        totalGroup: "Toplam (grup)",
+        week: "Hafta",
+        opening: "Acilis",
+        inflow: "Giris",
+        outflow: "Cikis",
+        closing: "Kapanis",
       },
       messages: {
         loadFailed: "Ops dashboard verisi yuklenemedi",
@@ -1377,6 +1399,32 @@ export const messages = {
       mixedDirectionWarning:
         "Open-item satirlari AR/AP karisik. Auto-allocation icin tek direction secin.",
     },
+    cariPortfolio: {
+      title: "Cek / Senet Portfoyu",
+      subtitle:
+        "Alinan ve verilen cek/senetleri portfoy, ciro, tahsil, teminat ve karsiliksiz adimlarinda izleyin.",
+      register: "Evrak kaydet",
+      actions: {
+        endorse: "Saticiya ciro et",
+        "send-to-collection": "Tahsile ver",
+        "give-as-collateral": "Teminata ver",
+        "return-from-collateral": "Teminattan geri al",
+        collect: "Tahsil et",
+        pay: "Odendi",
+        bounce: "Karsiliksiz",
+        protest: "Protesto",
+      },
+    },
+    cariEinvoiceInbox: {
+      title: "Gelen e-Fatura Kutusu",
+      subtitle:
+        "Tedarikci UBL-TR faturalarini yukleyin, satici kartiyla eslestirin ve AP fatura taslagina donusturun.",
+      import: "XML yukle",
+      process: "Yeniden isle",
+      createCounterparty: "Satici karti olustur",
+      dismiss: "Kapat",
+      rules: "Gider eslestirme kurallari",
+    },
     modulePlaceholder: {
       defaultTitle: "Modul",
       description:
@@ -1617,6 +1665,10 @@ export const messages = {
         "/app/payroll-mappings": "Payroll Mappings",
         "/app/payroll-liabilities": "Payroll Liabilities",
         "/app/payroll-beneficiaries": "Payroll Beneficiaries",
+        "/app/payroll-employees": "Payroll Employees",
+        "/app/payroll-provisions": "Payroll Provisions",
+        "/app/payroll-payslips": "Payroll Payslips",
+        "/app/payroll-sgk-declarations": "SGK & MUHSGK Declarations",
         "/app/payroll-close-controls": "Payroll Close Controls",
         "/app/cari-islemler": "Current Accounts",
         "/app/alici-kart-olustur": "Create Customer Card",
@@ -1704,6 +1756,24 @@ export const messages = {
         payrollImports: "Payroll Import Health",
         payrollClose: "Payroll Close Status",
         jobs: "Jobs Health",
+        treasury: "Cash Position and Liquidity Forecast",
+      },
+      treasury: {
+        asOf: "As of",
+        groupCurrency: "Group currency",
+        totalCash: "Total cash",
+        fxMissing: "Missing FX rates (excluded from group totals)",
+        legalEntity: "Legal entity",
+        currency: "Currency",
+        bank: "Bank",
+        cash: "Cash",
+        total: "Total",
+        totalGroup: "Total (group)",
+        week: "Week",
+        opening: "Opening",
+        inflow: "Inflow",
+        outflow: "Outflow",
+        closing: "Closing",
       },
       messages: {
         loadFailed: "Ops dashboard data could not be loaded",
@@ -2812,6 +2882,32 @@ export const messages = {
       mixedDirectionWarning:
         "Open-item rows are mixed AR/AP. Select one direction before auto-allocation.",
     },
+    cariPortfolio: {
+      title: "Cheque / Note Portfolio",
+      subtitle:
+        "Track received and issued cheques and promissory notes through portfolio, endorsement, collection, collateral and dishonour.",
+      register: "Register instrument",
+      actions: {
+        endorse: "Endorse to vendor",
+        "send-to-collection": "Send to bank for collection",
+        "give-as-collateral": "Give as collateral",
+        "return-from-collateral": "Return from collateral",
+        collect: "Collect",
+        pay: "Mark paid",
+        bounce: "Bounced",
+        protest: "Protested",
+      },
+    },
+    cariEinvoiceInbox: {
+      title: "Incoming e-Invoice Inbox",
+      subtitle:
+        "Upload supplier UBL-TR invoices, match them to vendor cards and turn them into AP invoice drafts.",
+      import: "Upload XML",
+      process: "Process again",
+      createCounterparty: "Create vendor card",
+      dismiss: "Dismiss",
+      rules: "Expense mapping rules",
+    },
     modulePlaceholder: {
       defaultTitle: "Module",
       description:
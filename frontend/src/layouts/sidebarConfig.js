@@ -282,6 +282,18 @@ export const sidebarItems = [
             ],
             implemented: true,
           },
+          {
+            label: "Cek / Senet Portfoyu",
+            to: "/app/cari-cek-senet",
+            requiredPermissions: ["cari.portfolio.read"],
+            implemented: true,
+          },
+          {
+            label: "Gelen e-Fatura Kutusu",
+            to: "/app/cari-e-fatura-gelen",
+            requiredPermissions: ["cari.einvoice.read"],
+            implemented: true,
+          },
         ],
       },
       {
@@ -378,6 +390,30 @@ export const sidebarItems = [
         requiredPermissions: ["payroll.beneficiary.read"],
         implemented: true,
       },
+      {
+        label: "Bordro Calisanlari",
+        to: "/app/payroll-employees",
+        requiredPermissions: ["payroll.employee.read"],
+        implemented: true,
+      },
+      {
+        label: "Bordro Karsiliklari",
+        to: "/app/payroll-provisions",
+        requiredPermissions: ["payroll.provisions.read"],
+        implemented: true,
+      },
+      {
+        label: "Bordro Pusulalari",
+        to: "/app/payroll-payslips",
+        requiredPermissions: ["payroll.payslips.read"],
+        implemented: true,
+      },
+      {
+        label: "SGK ve MUHSGK Bildirgeleri",
+        to: "/app/payroll-sgk-declarations",
+        requiredPermissions: ["payroll.sgk.read"],
+        implemented: true,
+      },
       {
         label: "Bordro Kapanis Kontrolleri",
         to: "/app/payroll-close-controls",
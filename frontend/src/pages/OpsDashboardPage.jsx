@@ -5,6 +5,7 @@ import {
   getOpsJobsHealth,
   getOpsPayrollCloseStatus,
   getOpsPayrollImportHealth,
+  getOpsTreasuryLiquidity,
 } from "../api/opsDashboard.js";
 import { useWorkingContextDefaults } from "../context/useWorkingContextDefaults.js";
 import { usePersistedFilters } from "../hooks/usePersistedFilters.js";
@@ -14,6 +15,14 @@ function pretty(value) {
   return JSON.stringify(value ?? {}, null, 2);
 }
 
+function formatAmount(value) {
+  if (value === null || value === undefined) return "-";
+  return Number(value).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
 const OPS_DASHBOARD_CONTEXT_MAPPINGS = [
   { stateKey: "legalEntityId" },
   { stateKey: "dateFrom" },
@@ -44,6 +53,7 @@ export default function OpsDashboardPage() {
     payrollImports: null,
     payrollClose: null,
     jobs: null,
+    treasury: null,
   });
 
   useWorkingContextDefaults(setFilters, OPS_DASHBOARD_CONTEXT_MAPPINGS, [
@@ -83,17 +93,26 @@ export default function OpsDashboardPage() {
     return params;
   }, [filters.moduleCode, filters.queueName, queryParams]);
 
+  const treasuryQueryParams = useMemo(() => {
+    const params = {};
+    if (queryParams.legalEntityId) {
+      params.legalEntityId = queryParams.legalEntityId;
+    }
+    return params;
+  }, [queryParams.legalEntityId]);
+
   const load = useCallback(async () => {
     setLoading(true);
     setError("");
     try {
-      const [bankReconciliation, bankPayments, payrollImports, payrollClose, jobs] =
+      const [bankReconciliation, bankPayments, payrollImports, payrollClose, jobs, treasury] =
         await Promise.all([
           getOpsBankReconciliationSummary(queryParams),
           getOpsBankPaymentBatchesHealth(queryParams),
           getOpsPayrollImportHealth(queryParams),
           getOpsPayrollCloseStatus(queryParams),
           getOpsJobsHealth(jobQueryParams),
+          getOpsTreasuryLiquidity(treasuryQueryParams),
         ]);
 
       setData({
@@ -102,6 +121,7 @@ export default function OpsDashboardPage() {
         payrollImports,
         payrollClose,
         jobs,
+        treasury,
       });
     } catch (err) {
       setError(
@@ -110,7 +130,7 @@ export default function OpsDashboardPage() {
     } finally {
       setLoading(false);
     }
-  }, [jobQueryParams, queryParams, t]);
+  }, [jobQueryParams, queryParams, t, treasuryQueryParams]);
 
   useEffect(() => {
     load();
@@ -232,6 +252,87 @@ export default function OpsDashboardPage() {
         <h2 className="mb-2 font-medium">{t("opsDashboard.sections.jobs", "Jobs Health")}</h2>
         <pre className="overflow-auto rounded bg-slate-50 p-3 text-xs">{pretty(data.jobs)}</pre>
       </section>
+
+      <section className="rounded border bg-white p-4">
+        <h2 className="mb-2 font-medium">
+          {t("opsDashboard.sections.treasury", "Cash Position and Liquidity Forecast")}
+        </h2>
+        {data.treasury ? (
+          <div className="space-y-3 text-sm">
+            <div className="text-slate-600">
+              {t("opsDashboard.treasury.asOf", "As of")} {data.treasury.asOfDate} ·{" "}
+              {t("opsDashboard.treasury.groupCurrency", "Group currency")} {data.treasury.groupCurrencyCode} ·{" "}
+              {t("opsDashboard.treasury.totalCash", "Total cash")}{" "}
+              {formatAmount(data.treasury.cashPosition?.totalBalanceGroup)}
+            </div>
+            {data.treasury.fx?.complete === false ? (
+              <div className="text-amber-700">
+                {t("opsDashboard.treasury.fxMissing", "Missing FX rates (excluded from group totals)")}:{" "}
+                {(data.treasury.fx.missingCurrencies || []).join(", ")}
+              </div>
+            ) : null}
+            <div className="overflow-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="border-b text-left text-slate-600">
+                    <th className="px-2 py-1">{t("opsDashboard.treasury.legalEntity", "Legal entity")}</th>
+                    <th className="px-2 py-1">{t("opsDashboard.treasury.currency", "Currency")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.bank", "Bank")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.cash", "Cash")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.total", "Total")}</th>
+                    <th className="px-2 py-1 text-right">
+                      {t("opsDashboard.treasury.totalGroup", "Total (group)")}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(data.treasury.cashPosition?.rows || []).map((row) => (
+                    <tr key={`${row.legal_entity_id}-${row.currency_code}`} className="border-b">
+                      <td className="px-2 py-1">{row.legal_entity_code || row.legal_entity_id}</td>
+                      <td className="px-2 py-1">{row.currency_code}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(row.bank_balance)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(row.cash_balance)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(row.total_balance)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(row.total_balance_group)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="overflow-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="border-b text-left text-slate-600">
+                    <th className="px-2 py-1">{t("opsDashboard.treasury.week", "Week")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.opening", "Opening")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.inflow", "Inflow")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.outflow", "Outflow")}</th>
+                    <th className="px-2 py-1 text-right">{t("opsDashboard.treasury.closing", "Closing")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(data.treasury.forecast?.weeks || []).map((week) => (
+                    <tr
+                      key={week.week_no}
+                      className={`border-b ${week.closing_balance_group < 0 ? "text-red-600" : ""}`}
+                    >
+                      <td className="px-2 py-1">
+                        {week.week_no} ({week.week_start} – {week.week_end})
+                      </td>
+                      <td className="px-2 py-1 text-right">{formatAmount(week.opening_balance_group)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(week.inflow_group)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(week.outflow_group)}</td>
+                      <td className="px-2 py-1 text-right">{formatAmount(week.closing_balance_group)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <pre className="overflow-auto rounded bg-slate-50 p-3 text-xs">{pretty(data.treasury)}</pre>
+        )}
+      </section>
     </div>
   );
 }
@@ -8,6 +8,7 @@ import {
 } from "../../api/bankAccounts.js";
 import {
   listBankConnectors,
+  pushBankConnectorPaymentFiles,
   syncBankConnectorStatements,
   testBankConnectorConnection,
 } from "../../api/bankConnectors.js";
@@ -26,9 +27,20 @@ const EMPTY_FORM = {
   branchName: "",
   iban: "",
   accountNo: "",
+  swiftBic: "",
+  paymentFileFormatCode: "",
+  paymentChargeBearer: "",
   isActive: true,
 };
 
+const PAYMENT_FILE_FORMAT_OPTIONS = [
+  { value: "GENERIC_CSV_V1", label: "Generic CSV" },
+  { value: "PAIN001_V03", label: "ISO 20022 pain.001.001.03" },
+  { value: "PAIN001_V09", label: "ISO 20022 pain.001.001.09" },
+];
+
+const CHARGE_BEARER_OPTIONS = ["SHAR", "SLEV", "DEBT", "CRED"];
+
 function parseDbBoolean(value) {
   return value === true || value === 1 || value === "1";
 }
@@ -50,6 +62,9 @@ function mapRowToForm(row) {
     branchName: String(row?.branch_name || ""),
     iban: String(row?.iban || ""),
     accountNo: String(row?.account_no || ""),
+    swiftBic: String(row?.swift_bic || ""),
+    paymentFileFormatCode: String(row?.payment_file_format_code || ""),
+    paymentChargeBearer: String(row?.payment_charge_bearer || ""),
     isActive: parseDbBoolean(row?.is_active),
   };
 }
@@ -74,7 +89,11 @@ export default function BankAccountsPage() {
   const [saving, setSaving] = useState(false);
   const [statusBusyId, setStatusBusyId] = useState(null);
   const [connectorLoading, setConnectorLoading] = useState(false);
-  const [connectorActionBusy, setConnectorActionBusy] = useState({ testId: null, syncId: null });
+  const [connectorActionBusy, setConnectorActionBusy] = useState({
+    testId: null,
+    syncId: null,
+    pushId: null,
+  });
   const [error, setError] = useState("");
   const [message, setMessage] = useState("");
   const [connectorError, setConnectorError] = useState("");
@@ -257,6 +276,9 @@ export default function BankAccountsPage() {
       branchName: String(form.branchName || "").trim() || null,
       iban: String(form.iban || "").trim() || null,
       accountNo: String(form.accountNo || "").trim() || null,
+      swiftBic: String(form.swiftBic || "").trim() || null,
+      paymentFileFormatCode: form.paymentFileFormatCode || null,
+      paymentChargeBearer: form.paymentChargeBearer || null,
       isActive: Boolean(form.isActive),
     };
   }
@@ -378,6 +400,34 @@ export default function BankAccountsPage() {
     }
   }
 
+  async function handleConnectorPush(row) {
+    if (!canSyncConnectors) {
+      setConnectorError("Missing permission: bank.connectors.sync");
+      return;
+    }
+    const connectorId = toPositiveInt(row?.id);
+    if (!connectorId) {
+      setConnectorError("Invalid connectorId");
+      return;
+    }
+    setConnectorActionBusy((prev) => ({ ...prev, pushId: connectorId }));
+    setConnectorError("");
+    setConnectorMessage("");
+    try {
+      const response = await pushBankConnectorPaymentFiles(connectorId, {});
+      const pushStatus = response?.sync_run?.status || "DONE";
+      const pushedCount = Number(response?.sync_run?.imported_count || 0);
+      setConnectorMessage(
+        `Payment files pushed (${row?.connector_code || connectorId}) - ${pushStatus}, ${pushedCount} file(s)`
+      );
+      await loadConnectors();
+    } catch (err) {
+      setConnectorError(err?.response?.data?.message || "Payment file push failed");
+    } finally {
+      setConnectorActionBusy((prev) => ({ ...prev, pushId: null }));
+    }
+  }
+
   return (
     <div className="space-y-6">
       <div>
@@ -572,6 +622,60 @@ export default function BankAccountsPage() {
               </div>
             </div>
 
+            <div className="grid gap-3 sm:grid-cols-3">
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">BIC / SWIFT</label>
+                <input
+                  value={form.swiftBic}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, swiftBic: event.target.value }))
+                  }
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  disabled={!canWrite || saving}
+                />
+              </div>
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">
+                  Payment File Format
+                </label>
+                <select
+                  value={form.paymentFileFormatCode}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, paymentFileFormatCode: event.target.value }))
+                  }
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  disabled={!canWrite || saving}
+                >
+                  <option value="">Generic CSV (default)</option>
+                  {PAYMENT_FILE_FORMAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">
+                  Charge Bearer
+                </label>
+                <select
+                  value={form.paymentChargeBearer}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, paymentChargeBearer: event.target.value }))
+                  }
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  disabled={!canWrite || saving}
+                >
+                  <option value="">Auto (SLEV for EUR, else SHAR)</option>
+                  {CHARGE_BEARER_OPTIONS.map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             <label className="flex items-center gap-2 text-sm text-slate-700">
               <input
                 type="checkbox"
@@ -756,6 +860,10 @@ export default function BankAccountsPage() {
                 const connectorId = toPositiveInt(row?.id);
                 const testBusy = connectorActionBusy.testId === connectorId;
                 const syncBusy = connectorActionBusy.syncId === connectorId;
+                const pushBusy = connectorActionBusy.pushId === connectorId;
+                const isFileConnector = ["SFTP", "HOST_TO_HOST"].includes(
+                  String(row?.connector_type || "").toUpperCase()
+                );
                 return (
                   <tr key={connectorId || row.connector_code} className="border-t border-slate-100">
                     <td className="px-2 py-2">
@@ -790,7 +898,7 @@ export default function BankAccountsPage() {
                         <button
                           type="button"
                           onClick={() => handleConnectorTest(row)}
-                          disabled={!canSyncConnectors || testBusy || syncBusy}
+                          disabled={!canSyncConnectors || testBusy || syncBusy || pushBusy}
                           className="rounded border border-slate-300 px-2 py-1 text-xs text-slate-700 disabled:opacity-60"
                         >
                           {testBusy ? "..." : "Test"}
@@ -798,11 +906,21 @@ export default function BankAccountsPage() {
                         <button
                           type="button"
                           onClick={() => handleConnectorSync(row)}
-                          disabled={!canSyncConnectors || testBusy || syncBusy}
+                          disabled={!canSyncConnectors || testBusy || syncBusy || pushBusy}
                           className="rounded border border-slate-300 px-2 py-1 text-xs text-slate-700 disabled:opacity-60"
                         >
                           {syncBusy ? "..." : "Sync Now"}
                         </button>
+                        {isFileConnector ? (
+                          <button
+                            type="button"
+                            onClick={() => handleConnectorPush(row)}
+                            disabled={!canSyncConnectors || testBusy || syncBusy || pushBusy}
+                            className="rounded border border-slate-300 px-2 py-1 text-xs text-slate-700 disabled:opacity-60"
+                          >
+                            {pushBusy ? "..." : "Push Files"}
+                          </button>
+                        ) : null}
                       </div>
                     </td>
                   </tr>
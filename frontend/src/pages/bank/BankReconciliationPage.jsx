@@ -5,14 +5,20 @@ import {
   ignoreReconciliationLine,
   listReconciliationAudit,
   listReconciliationQueue,
+  matchReconciliationGroup,
   matchReconciliationLine,
+  unmatchReconciliationGroup,
   unmatchReconciliationLine,
 } from "../../api/bankReconciliation.js";
 import {
+  acceptReconciliationRuleProposal,
   applyReconciliationAutoRun,
   assignReconciliationException,
+  dismissReconciliationRuleProposal,
+  generateReconciliationRuleProposals,
   ignoreReconciliationExceptionItem,
   listReconciliationExceptions,
+  listReconciliationRuleProposals,
   previewReconciliationAutoRun,
   resolveReconciliationException,
   retryReconciliationException,
@@ -81,8 +87,11 @@ const EMPTY_B08_TEMPLATE_FORM = {
   templateName: "",
   status: "ACTIVE",
   entryKind: "BANK_MISC",
+  bankTransactionCode: "",
   directionPolicy: "BOTH",
   counterAccountId: "",
+  fxGainAccountId: "",
+  fxLossAccountId: "",
   descriptionMode: "USE_STATEMENT_TEXT",
   fixedDescription: "",
   descriptionPrefix: "",
@@ -126,8 +135,11 @@ function mapB08TemplateRowToForm(row) {
     templateName: String(row?.template_name || ""),
     status: String(row?.status || "ACTIVE"),
     entryKind: String(row?.entry_kind || "BANK_MISC"),
+    bankTransactionCode: String(row?.bank_transaction_code || ""),
     directionPolicy: String(row?.direction_policy || "BOTH"),
     counterAccountId: String(row?.counter_account_id || ""),
+    fxGainAccountId: String(row?.fx_gain_account_id || ""),
+    fxLossAccountId: String(row?.fx_loss_account_id || ""),
     descriptionMode: String(row?.description_mode || "USE_STATEMENT_TEXT"),
     fixedDescription: String(row?.fixed_description || ""),
     descriptionPrefix: String(row?.description_prefix || ""),
@@ -163,6 +175,8 @@ export default function BankReconciliationPage() {
   const canWrite = hasPermission("bank.reconcile.write");
   const canReadBanks = hasPermission("bank.accounts.read");
   const canAutoRun = hasPermission("bank.reconcile.auto.run");
+  const canReadRules = hasPermission("bank.reconcile.rules.read");
+  const canWriteRules = hasPermission("bank.reconcile.rules.write");
   const canReadTemplates = hasPermission("bank.reconcile.templates.read");
   const canWriteTemplates = hasPermission("bank.reconcile.templates.write");
   const canReadDiffProfiles = hasPermission("bank.reconcile.diffprofiles.read");
@@ -188,10 +202,15 @@ export default function BankReconciliationPage() {
   const [selectedLine, setSelectedLine] = useState(null);
   const [selectedMatches, setSelectedMatches] = useState([]);
   const [suggestions, setSuggestions] = useState([]);
+  const [groupSuggestions, setGroupSuggestions] = useState([]);
   const [auditRows, setAuditRows] = useState([]);
   const [autoPreviewRows, setAutoPreviewRows] = useState([]);
   const [autoPreviewSummary, setAutoPreviewSummary] = useState(null);
   const [autoRunBusy, setAutoRunBusy] = useState(false);
+  const [ruleProposals, setRuleProposals] = useState([]);
+  const [ruleProposalSummary, setRuleProposalSummary] = useState(null);
+  const [loadingRuleProposals, setLoadingRuleProposals] = useState(false);
+  const [ruleProposalBusy, setRuleProposalBusy] = useState(false);
   const [exceptions, setExceptions] = useState([]);
   const [exceptionsTotal, setExceptionsTotal] = useState(0);
   const [postingTemplates, setPostingTemplates] = useState([]);
@@ -313,6 +332,90 @@ export default function BankReconciliationPage() {
     }
   }
 
+  async function loadRuleProposals() {
+    if (!canReadRules) {
+      setRuleProposals([]);
+      return [];
+    }
+    setLoadingRuleProposals(true);
+    try {
+      const res = await listReconciliationRuleProposals({
+        limit: 50,
+        offset: 0,
+        bankAccountId: toPositiveInt(filters.bankAccountId) || undefined,
+        status: "PROPOSED",
+      });
+      const rows = res?.rows || [];
+      setRuleProposals(rows);
+      return rows;
+    } catch (err) {
+      setRuleProposals([]);
+      setError(err?.response?.data?.message || "Failed to load rule proposals");
+      return [];
+    } finally {
+      setLoadingRuleProposals(false);
+    }
+  }
+
+  async function handleGenerateRuleProposals() {
+    if (!canWriteRules || ruleProposalBusy) return;
+    setRuleProposalBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await generateReconciliationRuleProposals({
+        bankAccountId: toPositiveInt(filters.bankAccountId) || undefined,
+      });
+      setRuleProposalSummary(res?.summary || null);
+      await loadRuleProposals();
+      setMessage(
+        `Rule learning scanned ${res?.summary?.manualMatchCount ?? 0} manual matches: ${
+          res?.summary?.created ?? 0
+        } new, ${res?.summary?.updated ?? 0} refreshed`
+      );
+    } catch (err) {
+      setError(err?.response?.data?.message || "Rule learning failed");
+    } finally {
+      setRuleProposalBusy(false);
+    }
+  }
+
+  async function handleAcceptRuleProposal(proposal) {
+    if (!canWriteRules || ruleProposalBusy) return;
+    if (!window.confirm(`Create an ACTIVE rule for "${proposal.description_pattern}"?`)) return;
+    setRuleProposalBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await acceptReconciliationRuleProposal(proposal.id);
+      await loadRuleProposals();
+      setMessage(
+        `Rule ${res?.rule?.rule_code || ""} created${
+          res?.approval_required ? " (pending approval)" : ""
+        }`
+      );
+    } catch (err) {
+      setError(err?.response?.data?.message || "Accepting rule proposal failed");
+    } finally {
+      setRuleProposalBusy(false);
+    }
+  }
+
+  async function handleDismissRuleProposal(proposal) {
+    if (!canWriteRules || ruleProposalBusy) return;
+    setRuleProposalBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await dismissReconciliationRuleProposal(proposal.id);
+      await loadRuleProposals();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Dismissing rule proposal failed");
+    } finally {
+      setRuleProposalBusy(false);
+    }
+  }
+
   async function loadPostingTemplates() {
     if (!canReadTemplates) {
       setPostingTemplates([]);
@@ -377,6 +480,9 @@ export default function BankReconciliationPage() {
       entryKind: String(templateForm.entryKind || "BANK_MISC").trim().toUpperCase(),
       directionPolicy: String(templateForm.directionPolicy || "BOTH").trim().toUpperCase(),
       counterAccountId: toPositiveInt(templateForm.counterAccountId) || undefined,
+      bankTransactionCode: String(templateForm.bankTransactionCode || "").trim().toUpperCase() || null,
+      fxGainAccountId: toPositiveInt(templateForm.fxGainAccountId) || null,
+      fxLossAccountId: toPositiveInt(templateForm.fxLossAccountId) || null,
       descriptionMode: String(templateForm.descriptionMode || "USE_STATEMENT_TEXT").trim().toUpperCase(),
       fixedDescription: String(templateForm.fixedDescription || "").trim() || undefined,
       descriptionPrefix: String(templateForm.descriptionPrefix || "").trim() || undefined,
@@ -385,6 +491,9 @@ export default function BankReconciliationPage() {
     if (!payload.templateCode) throw new Error("templateCode is required");
     if (!payload.templateName) throw new Error("templateName is required");
     if (!payload.counterAccountId) throw new Error("counterAccountId is required");
+    if (Boolean(payload.fxGainAccountId) !== Boolean(payload.fxLossAccountId)) {
+      throw new Error("fxGainAccountId and fxLossAccountId must be set together");
+    }
     if (scopeType === "BANK_ACCOUNT" && !payload.bankAccountId) {
       throw new Error("bankAccountId is required for BANK_ACCOUNT scope");
     }
@@ -620,6 +729,7 @@ export default function BankReconciliationPage() {
       setSelectedLine(null);
       setSelectedMatches([]);
       setSuggestions([]);
+      setGroupSuggestions([]);
       setAuditRows([]);
       return;
     }
@@ -635,11 +745,13 @@ export default function BankReconciliationPage() {
       setSelectedLine(suggestRes?.line || queueLineFallback || null);
       setSelectedMatches(suggestRes?.matches || []);
       setSuggestions(suggestRes?.suggestions || []);
+      setGroupSuggestions(suggestRes?.groupSuggestions || []);
       setAuditRows(auditRes?.rows || []);
     } catch (err) {
       setSelectedLine(queueLineFallback || null);
       setSelectedMatches([]);
       setSuggestions([]);
+      setGroupSuggestions([]);
       setAuditRows([]);
       setError(err?.response?.data?.message || "Failed to load reconciliation details");
     } finally {
@@ -808,6 +920,50 @@ export default function BankReconciliationPage() {
     }
   }
 
+  async function handleMatchGroupSuggestion(suggestion) {
+    if (!selectedLine || !canWrite || actionBusy) {
+      return;
+    }
+    setActionBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await matchReconciliationGroup({
+        statementLineIds: suggestion.statementLineIds,
+        targets: (suggestion.targets || []).map((target) => ({
+          matchedEntityType: target.matchedEntityType,
+          matchedEntityId: target.matchedEntityId,
+          amount: target.amount,
+        })),
+        notes: "Matched from group suggestion",
+      });
+      setMessage("Grouped reconciliation match created");
+      await refreshAfterAction(selectedLine.id);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Group match failed");
+    } finally {
+      setActionBusy(false);
+    }
+  }
+
+  async function handleUnmatchGroup(groupId) {
+    if (!selectedLine || !canWrite || actionBusy || !groupId) {
+      return;
+    }
+    setActionBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await unmatchReconciliationGroup(groupId, {});
+      setMessage(`Match group #${groupId} reversed`);
+      await refreshAfterAction(selectedLine.id);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Group unmatch failed");
+    } finally {
+      setActionBusy(false);
+    }
+  }
+
   async function handleUnmatchAll() {
     if (!selectedLine || !canWrite || actionBusy) {
       return;
@@ -858,6 +1014,11 @@ export default function BankReconciliationPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [canReadExceptions, exceptionStatusFilter, filters.bankAccountId]);
 
+  useEffect(() => {
+    loadRuleProposals();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canReadRules, filters.bankAccountId]);
+
   useEffect(() => {
     loadPostingTemplates();
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -885,6 +1046,7 @@ export default function BankReconciliationPage() {
       setSelectedLine(null);
       setSelectedMatches([]);
       setSuggestions([]);
+      setGroupSuggestions([]);
       setAuditRows([]);
       return;
     }
@@ -1111,6 +1273,118 @@ export default function BankReconciliationPage() {
         </div>
       </section>
 
+      <section className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+        <div className="mb-3 flex items-start justify-between gap-3">
+          <div>
+            <h2 className="text-sm font-semibold text-slate-900">Learned Rule Proposals</h2>
+            <p className="text-xs text-slate-500">
+              Recurring manual matches grouped into candidate B07 rules. Accepting creates an ACTIVE
+              bank-account rule.
+            </p>
+          </div>
+          {canWriteRules ? (
+            <button
+              type="button"
+              onClick={handleGenerateRuleProposals}
+              disabled={ruleProposalBusy}
+              className="rounded border border-slate-300 px-3 py-2 text-sm text-slate-700 disabled:opacity-50"
+            >
+              {ruleProposalBusy ? "..." : "Learn from history"}
+            </button>
+          ) : (
+            <span className="text-xs text-slate-500">Missing: bank.reconcile.rules.write</span>
+          )}
+        </div>
+        {ruleProposalSummary ? (
+          <div className="mb-3 rounded border border-slate-200 bg-slate-50 p-3 text-xs text-slate-700">
+            manual matches {ruleProposalSummary.manualMatchCount || 0} | clusters{" "}
+            {ruleProposalSummary.clusterCount || 0} | new {ruleProposalSummary.created || 0} |
+            refreshed {ruleProposalSummary.updated || 0} | already covered{" "}
+            {ruleProposalSummary.skippedCoveredByRule || 0}
+          </div>
+        ) : null}
+        <div className="max-h-64 overflow-auto">
+          <table className="min-w-full text-left text-xs">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="px-2 py-2">Pattern</th>
+                <th className="px-2 py-2">Account</th>
+                <th className="px-2 py-2">Amount Range</th>
+                <th className="px-2 py-2">Counterparty</th>
+                <th className="px-2 py-2">Action</th>
+                <th className="px-2 py-2">Confidence</th>
+                <th className="px-2 py-2">History</th>
+                <th className="px-2 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {loadingRuleProposals ? (
+                <tr>
+                  <td className="px-2 py-2 text-slate-500" colSpan={8}>
+                    Loading...
+                  </td>
+                </tr>
+              ) : ruleProposals.length === 0 ? (
+                <tr>
+                  <td className="px-2 py-2 text-slate-500" colSpan={8}>
+                    No open rule proposals.
+                  </td>
+                </tr>
+              ) : (
+                ruleProposals.map((proposal) => (
+                  <tr key={`rule-proposal-${proposal.id}`} className="border-t">
+                    <td className="px-2 py-2">
+                      <code>{proposal.description_pattern}</code> ({proposal.direction})
+                    </td>
+                    <td className="px-2 py-2">
+                      {proposal.bank_account_code || proposal.bank_account_id}
+                    </td>
+                    <td className="px-2 py-2">
+                      {formatAmount(proposal.amount_min)} - {formatAmount(proposal.amount_max)}{" "}
+                      {proposal.currency_code}
+                    </td>
+                    <td className="px-2 py-2">{proposal.counterparty_name || "-"}</td>
+                    <td className="px-2 py-2">
+                      {proposal.action_type}
+                      {proposal.posting_template_code ? ` (${proposal.posting_template_code})` : ""}
+                    </td>
+                    <td className="px-2 py-2">{Number(proposal.confidence || 0).toFixed(0)}%</td>
+                    <td className="px-2 py-2">
+                      {proposal.support_count} matched / {proposal.historical_match_count} hits
+                      {Number(proposal.conflicting_match_count || 0) > 0
+                        ? `, ${proposal.conflicting_match_count} conflicts`
+                        : ""}
+                    </td>
+                    <td className="px-2 py-2">
+                      {canWriteRules ? (
+                        <div className="flex gap-1">
+                          <button
+                            type="button"
+                            onClick={() => handleAcceptRuleProposal(proposal)}
+                            disabled={ruleProposalBusy}
+                            className="rounded bg-slate-900 px-2 py-1 text-white disabled:opacity-50"
+                          >
+                            Accept
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDismissRuleProposal(proposal)}
+                            disabled={ruleProposalBusy}
+                            className="rounded border border-slate-300 px-2 py-1 text-slate-700 disabled:opacity-50"
+                          >
+                            Dismiss
+                          </button>
+                        </div>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
       <section className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
         <div className="mb-3 flex items-start justify-between gap-3">
           <div>
@@ -1118,7 +1392,8 @@ export default function BankReconciliationPage() {
             <p className="text-xs text-slate-500">
               Bank fees/charges/interest templates used by B07 rule action{" "}
               <code>AUTO_POST_TEMPLATE</code>. Rule <code>actionPayload</code> should include{" "}
-              <code>postingTemplateId</code>.
+              <code>postingTemplateId</code>, or use match type{" "}
+              <code>TEMPLATE_BY_BANK_TRANSACTION_CODE</code> to pick the template by bank transaction code.
             </p>
           </div>
           <button
@@ -1305,6 +1580,43 @@ export default function BankReconciliationPage() {
               </div>
             </div>
 
+            <div className="grid gap-3 sm:grid-cols-3">
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">Bank Transaction Code</label>
+                <input
+                  value={templateForm.bankTransactionCode}
+                  onChange={(e) => setTemplateForm((p) => ({ ...p, bankTransactionCode: e.target.value }))}
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="e.g. PMNT/CCRD/CHRG or NCHG or 8*"
+                  disabled={!canWriteTemplates || templateSaving}
+                />
+              </div>
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">FX Gain GL Account Id</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={templateForm.fxGainAccountId}
+                  onChange={(e) => setTemplateForm((p) => ({ ...p, fxGainAccountId: e.target.value }))}
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="e.g. 646 leaf account id"
+                  disabled={!canWriteTemplates || templateSaving}
+                />
+              </div>
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-700">FX Loss GL Account Id</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={templateForm.fxLossAccountId}
+                  onChange={(e) => setTemplateForm((p) => ({ ...p, fxLossAccountId: e.target.value }))}
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="e.g. 656 leaf account id"
+                  disabled={!canWriteTemplates || templateSaving}
+                />
+              </div>
+            </div>
+
             <div className="grid gap-3 sm:grid-cols-[1fr_2fr]">
               <div>
                 <label className="mb-1 block text-xs font-medium text-slate-700">Description Mode</label>
@@ -1404,6 +1716,11 @@ export default function BankReconciliationPage() {
                           <div className="max-w-[220px] truncate text-slate-500" title={row.template_name}>
                             {row.template_name}
                           </div>
+                          {row.bank_transaction_code ? (
+                            <div className="text-slate-500">
+                              BTC <code>{row.bank_transaction_code}</code>
+                            </div>
+                          ) : null}
                         </td>
                         <td className="px-2 py-2">
                           <div>{row.scope_type}</div>
@@ -2081,6 +2398,19 @@ export default function BankReconciliationPage() {
                         <div>
                           <strong>#{row.id}</strong> {row.matched_entity_type} / {row.matched_entity_id}
                         </div>
+                        {row.match_group_id ? (
+                          <div className="flex items-center gap-2 text-slate-600">
+                            Group #{row.match_group_id}
+                            <button
+                              type="button"
+                              onClick={() => handleUnmatchGroup(row.match_group_id)}
+                              disabled={!canWrite || actionBusy}
+                              className="rounded border border-slate-300 px-1 text-xs text-slate-700 disabled:opacity-50"
+                            >
+                              Unmatch group
+                            </button>
+                          </div>
+                        ) : null}
                         <div>
                           Amount: {formatAmount(row.matched_amount)} | Type: {row.match_type}
                         </div>
@@ -2144,6 +2474,52 @@ export default function BankReconciliationPage() {
                 )}
               </div>
 
+              <div>
+                <div className="mb-2 font-medium text-slate-900">Grouped suggestions</div>
+                {groupSuggestions.length === 0 ? (
+                  <div className="text-xs text-slate-500">No grouped suggestions.</div>
+                ) : (
+                  <div className="space-y-2">
+                    {groupSuggestions.map((g) => (
+                      <div
+                        key={`${g.groupType}-${g.statementLineIds.join(",")}-${g.targets
+                          .map((t) => `${t.matchedEntityType}${t.matchedEntityId}`)
+                          .join(",")}`}
+                        className="rounded border border-slate-200 p-2 text-xs"
+                      >
+                        <div className="font-medium text-slate-900">
+                          {g.groupType === "MANY_TO_ONE"
+                            ? `${g.statementLineIds.length} lines -> 1 target`
+                            : `1 line -> ${g.targets.length} targets`}
+                        </div>
+                        {g.targets.map((t) => (
+                          <div key={`${t.matchedEntityType}-${t.matchedEntityId}`} className="text-slate-600">
+                            {t.displayRef || `${t.matchedEntityType}#${t.matchedEntityId}`} |{" "}
+                            {formatAmount(t.amount)}
+                            {t.displayText ? ` | ${t.displayText}` : ""}
+                          </div>
+                        ))}
+                        {g.groupType === "MANY_TO_ONE" && (
+                          <div className="text-slate-600">Lines: {g.statementLineIds.join(", ")}</div>
+                        )}
+                        <div className="mt-1 text-slate-600">
+                          Score {g.score} | Lines {formatAmount(g.statementTotal)} | Targets{" "}
+                          {formatAmount(g.targetTotal)} | Diff {formatAmount(g.differenceAmount)}
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleMatchGroupSuggestion(g)}
+                          disabled={!canWrite || actionBusy}
+                          className="mt-2 rounded border border-slate-300 px-2 py-1 text-xs text-slate-700 disabled:opacity-50"
+                        >
+                          Match group
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               <div>
                 <div className="mb-2 font-medium text-slate-900">Audit</div>
                 <div className="max-h-64 space-y-2 overflow-auto">
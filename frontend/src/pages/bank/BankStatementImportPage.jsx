@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { Link } from "react-router-dom";
 import { listBankAccounts } from "../../api/bankAccounts.js";
-import { importBankStatementCsv } from "../../api/bankStatements.js";
+import { importBankStatementFile } from "../../api/bankStatements.js";
 import { useAuth } from "../../auth/useAuth.js";
 
 function parseDbBoolean(value) {
@@ -30,6 +30,28 @@ const SAMPLE_CSV = [
   "2026-02-02,2026-02-02,POS tahsilat,REF-002,2500.50,TRY,17500.50",
 ].join("\n");
 
+const STATEMENT_FORMATS = [
+  { value: "CSV", label: "CSV", accept: ".csv,text/csv", filename: "statement.csv" },
+  { value: "MT940", label: "SWIFT MT940", accept: ".sta,.mt940,.txt,.940", filename: "statement.sta" },
+  { value: "CAMT053", label: "ISO 20022 camt.053", accept: ".xml,text/xml", filename: "statement.xml" },
+  { value: "CAMT052", label: "ISO 20022 camt.052", accept: ".xml,text/xml", filename: "statement.xml" },
+];
+
+function guessStatementFormat(fileName, text) {
+  const name = String(fileName || "").toLowerCase();
+  const head = String(text || "").slice(0, 2000);
+  if (head.includes("BkToCstmrAcctRpt")) {
+    return "CAMT052";
+  }
+  if (head.includes("BkToCstmrStmt")) {
+    return "CAMT053";
+  }
+  if (/(^|\n|\{4:\s*):20:/.test(head) || /\.(sta|mt940|940)$/.test(name)) {
+    return "MT940";
+  }
+  return null;
+}
+
 export default function BankStatementImportPage() {
   const { hasPermission } = useAuth();
   const canImport = hasPermission("bank.statements.import");
@@ -43,9 +65,13 @@ export default function BankStatementImportPage() {
   const [resultRow, setResultRow] = useState(null);
   const [form, setForm] = useState({
     bankAccountId: "",
+    statementFormat: "CSV",
     originalFilename: "",
     csvText: "",
+    allowBalanceMismatch: false,
   });
+  const selectedFormat =
+    STATEMENT_FORMATS.find((row) => row.value === form.statementFormat) || STATEMENT_FORMATS[0];
 
   const bankOptions = useMemo(
     () =>
@@ -98,11 +124,12 @@ export default function BankStatementImportPage() {
       const text = await file.text();
       setForm((prev) => ({
         ...prev,
+        statementFormat: guessStatementFormat(file.name, text) || prev.statementFormat,
         originalFilename: file.name || prev.originalFilename,
         csvText: text,
       }));
     } catch {
-      setError("CSV file could not be read");
+      setError("Statement file could not be read");
     }
   }
 
@@ -123,11 +150,13 @@ export default function BankStatementImportPage() {
     setMessage("");
     setResultRow(null);
     try {
-      const res = await importBankStatementCsv({
+      const res = await importBankStatementFile({
         bankAccountId,
-        importSource: "CSV",
-        originalFilename: String(form.originalFilename || "").trim() || "statement.csv",
-        csvText: String(form.csvText || ""),
+        statementFormat: form.statementFormat,
+        importSource: form.statementFormat,
+        originalFilename: String(form.originalFilename || "").trim() || selectedFormat.filename,
+        fileText: String(form.csvText || ""),
+        allowBalanceMismatch: form.allowBalanceMismatch,
       });
       setResultRow(res?.row || null);
       setMessage("Statement imported successfully");
@@ -144,7 +173,8 @@ export default function BankStatementImportPage() {
         <div>
           <h1 className="text-xl font-semibold text-slate-900">Banka Ekstre Ice Aktar</h1>
           <p className="mt-1 text-sm text-slate-600">
-            PR-B02 CSV import (checksum idempotency + line dedupe).
+            CSV, MT940 ve camt.053/052 import (checksum idempotency + line dedupe + bakiye
+            devamlilik kontrolu).
           </p>
         </div>
         <Link
@@ -182,6 +212,7 @@ export default function BankStatementImportPage() {
                 onClick={() =>
                   setForm((prev) => ({
                     ...prev,
+                    statementFormat: "CSV",
                     originalFilename: prev.originalFilename || "sample-statement.csv",
                     csvText: SAMPLE_CSV,
                   }))
@@ -217,12 +248,28 @@ export default function BankStatementImportPage() {
               )}
             </div>
 
+            <div>
+              <label className="mb-1 block text-xs font-medium text-slate-700">Format</label>
+              <select
+                value={form.statementFormat}
+                onChange={(e) => setForm((prev) => ({ ...prev, statementFormat: e.target.value }))}
+                className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                disabled={!canImport || saving}
+              >
+                {STATEMENT_FORMATS.map((row) => (
+                  <option key={row.value} value={row.value}>
+                    {row.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="grid gap-3 md:grid-cols-2">
               <div>
-                <label className="mb-1 block text-xs font-medium text-slate-700">CSV File</label>
+                <label className="mb-1 block text-xs font-medium text-slate-700">Statement File</label>
                 <input
                   type="file"
-                  accept=".csv,text/csv"
+                  accept={selectedFormat.accept}
                   onChange={handleFileChange}
                   className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
                   disabled={!canImport || saving}
@@ -238,22 +285,36 @@ export default function BankStatementImportPage() {
                     setForm((prev) => ({ ...prev, originalFilename: e.target.value }))
                   }
                   className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
-                  placeholder="statement.csv"
+                  placeholder={selectedFormat.filename}
                 />
               </div>
             </div>
 
             <div>
-              <label className="mb-1 block text-xs font-medium text-slate-700">CSV Icerik</label>
+              <label className="mb-1 block text-xs font-medium text-slate-700">Dosya Icerik</label>
               <textarea
                 rows={12}
                 value={form.csvText}
                 onChange={(e) => setForm((prev) => ({ ...prev, csvText: e.target.value }))}
                 className="w-full rounded border border-slate-300 px-2 py-1.5 font-mono text-xs"
-                placeholder={SAMPLE_CSV}
+                placeholder={form.statementFormat === "CSV" ? SAMPLE_CSV : ""}
               />
             </div>
 
+            {form.statementFormat !== "CSV" ? (
+              <label className="flex items-center gap-2 text-xs text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={form.allowBalanceMismatch}
+                  onChange={(e) =>
+                    setForm((prev) => ({ ...prev, allowBalanceMismatch: e.target.checked }))
+                  }
+                  disabled={!canImport || saving}
+                />
+                Onceki ekstre kapanis bakiyesi ile acilis bakiyesi farkli olsa da ice aktar
+              </label>
+            ) : null}
+
             <button
               type="submit"
               disabled={!canImport || saving}
@@ -288,6 +349,18 @@ export default function BankStatementImportPage() {
               <div>
                 <strong>Duplicate:</strong> {resultRow.line_count_duplicates ?? 0}
               </div>
+              <div>
+                <strong>Format:</strong> {resultRow.import_source || "-"}
+              </div>
+              {resultRow.opening_balance !== null && resultRow.opening_balance !== undefined ? (
+                <div>
+                  <strong>Acilis / Kapanis:</strong> {resultRow.opening_balance} /{" "}
+                  {resultRow.closing_balance ?? "-"}
+                </div>
+              ) : null}
+              <div>
+                <strong>Bakiye Devamliligi:</strong> {resultRow.balance_continuity_status || "-"}
+              </div>
               <div>
                 <strong>Zaman:</strong> {formatDateTime(resultRow.imported_at)}
               </div>
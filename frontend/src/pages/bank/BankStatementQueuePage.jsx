@@ -1,6 +1,11 @@
 import { useEffect, useMemo, useState } from "react";
 import { listBankAccounts } from "../../api/bankAccounts.js";
-import { listBankStatementImports, listBankStatementLines } from "../../api/bankStatements.js";
+import {
+  evaluateBankStatementCoverage,
+  getBankStatementCoverage,
+  listBankStatementImports,
+  listBankStatementLines,
+} from "../../api/bankStatements.js";
 import { useAuth } from "../../auth/useAuth.js";
 
 function toPositiveInt(value) {
@@ -30,10 +35,52 @@ function formatAmount(value) {
   });
 }
 
+const COVERAGE_DAY_CLASSES = {
+  COVERED: "bg-emerald-400",
+  OVERLAP: "bg-amber-400",
+  GAP: "bg-rose-500",
+  QUIET: "bg-slate-300",
+  NONE: "bg-slate-100",
+};
+
+const COVERAGE_LEGEND = [
+  ["COVERED", "Ekstre var"],
+  ["OVERLAP", "Cakisan import"],
+  ["GAP", "Eksik tarih"],
+  ["QUIET", "Hareketsiz (bakiye tutarli)"],
+  ["NONE", "Import yok"],
+];
+
+function describeCoverageIssue(issue) {
+  if (issue.issue_type === "BALANCE_MISMATCH" && !issue.related_import_id) {
+    return `#${issue.import_id} yuruyen bakiye ${issue.range_start} tarihinde kopuyor: beklenen ${formatAmount(
+      issue.expected_balance
+    )}, dosyada ${formatAmount(issue.actual_balance)}`;
+  }
+  if (issue.issue_type === "BALANCE_MISMATCH") {
+    return `Acilis ${formatAmount(issue.actual_balance)} != onceki kapanis ${formatAmount(
+      issue.expected_balance
+    )} (#${issue.related_import_id} -> #${issue.import_id})`;
+  }
+  if (issue.issue_type === "DATE_GAP") {
+    return `${issue.range_start} - ${issue.range_end} arasi ekstre yok (${issue.day_count} gun)`;
+  }
+  return `#${issue.import_id} ile #${issue.related_import_id} cakisiyor (${issue.range_start} - ${issue.range_end})`;
+}
+
+function toCalendarCells(days) {
+  if (!days?.length) {
+    return [];
+  }
+  const firstWeekday = (new Date(`${days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return [...Array.from({ length: firstWeekday }, () => null), ...days];
+}
+
 export default function BankStatementQueuePage() {
   const { hasPermission } = useAuth();
   const canRead = hasPermission("bank.statements.read");
   const canReadBanks = hasPermission("bank.accounts.read");
+  const canEvaluateCoverage = hasPermission("bank.statements.import");
 
   const [bankAccounts, setBankAccounts] = useState([]);
   const [imports, setImports] = useState([]);
@@ -42,6 +89,8 @@ export default function BankStatementQueuePage() {
   const [loadingImports, setLoadingImports] = useState(false);
   const [loadingLines, setLoadingLines] = useState(false);
   const [error, setError] = useState("");
+  const [coverage, setCoverage] = useState(null);
+  const [loadingCoverage, setLoadingCoverage] = useState(false);
   const [filters, setFilters] = useState({
     bankAccountId: "",
     status: "",
@@ -73,6 +122,7 @@ export default function BankStatementQueuePage() {
       });
       const rows = res?.rows || [];
       setImports(rows);
+      loadCoverage();
       const nextId = rows[0]?.id ? String(rows[0].id) : "";
       setSelectedImportId(nextId);
       await loadLines(nextId);
@@ -84,6 +134,40 @@ export default function BankStatementQueuePage() {
     }
   }
 
+  async function loadCoverage() {
+    const bankAccountId = toPositiveInt(filters.bankAccountId);
+    if (!canRead || !bankAccountId) {
+      setCoverage(null);
+      return;
+    }
+    setLoadingCoverage(true);
+    try {
+      const res = await getBankStatementCoverage({ bankAccountId });
+      setCoverage(res || null);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to load statement coverage");
+      setCoverage(null);
+    } finally {
+      setLoadingCoverage(false);
+    }
+  }
+
+  async function reevaluateCoverage() {
+    const bankAccountId = toPositiveInt(filters.bankAccountId);
+    if (!bankAccountId) {
+      return;
+    }
+    setLoadingCoverage(true);
+    setError("");
+    try {
+      await evaluateBankStatementCoverage({ bankAccountId });
+      await loadCoverage();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to evaluate statement coverage");
+      setLoadingCoverage(false);
+    }
+  }
+
   async function loadLines(importIdToUse = selectedImportId) {
     if (!canRead) {
       setLines([]);
@@ -225,6 +309,87 @@ export default function BankStatementQueuePage() {
         </form>
       </section>
 
+      {canRead && toPositiveInt(filters.bankAccountId) ? (
+        <section className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+          <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <h2 className="text-sm font-semibold text-slate-900">Ekstre Kapsama Takvimi</h2>
+              <p className="text-xs text-slate-500">
+                {coverage
+                  ? `${coverage.bank_account?.code || ""} | ${coverage.date_from} - ${coverage.date_to} | ${
+                      coverage.summary?.import_count ?? 0
+                    } import`
+                  : "Kapsama bilgisi yok."}
+              </p>
+            </div>
+            {canEvaluateCoverage ? (
+              <button
+                type="button"
+                onClick={reevaluateCoverage}
+                disabled={loadingCoverage}
+                className="rounded border border-slate-300 px-3 py-1.5 text-xs font-medium text-slate-700"
+              >
+                {loadingCoverage ? "Kontrol ediliyor..." : "Yeniden kontrol et"}
+              </button>
+            ) : null}
+          </div>
+
+          {coverage ? (
+            <div className="grid gap-4 lg:grid-cols-[auto_minmax(0,1fr)]">
+              <div>
+                <div className="grid grid-cols-7 gap-1 text-center text-[10px] text-slate-500">
+                  {["Pt", "Sa", "Ca", "Pe", "Cu", "Ct", "Pz"].map((label) => (
+                    <div key={label}>{label}</div>
+                  ))}
+                  {toCalendarCells(coverage.days).map((day, index) =>
+                    day ? (
+                      <div
+                        key={day.date}
+                        title={`${day.date} ${day.status}${
+                          day.import_ids?.length ? ` #${day.import_ids.join(", #")}` : ""
+                        }`}
+                        className={`h-5 w-5 rounded-sm ${COVERAGE_DAY_CLASSES[day.status] || "bg-slate-100"}`}
+                      />
+                    ) : (
+                      <div key={`pad-${index}`} className="h-5 w-5" />
+                    )
+                  )}
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2 text-[11px] text-slate-600">
+                  {COVERAGE_LEGEND.map(([status, label]) => (
+                    <span key={status} className="inline-flex items-center gap-1">
+                      <span className={`inline-block h-3 w-3 rounded-sm ${COVERAGE_DAY_CLASSES[status]}`} />
+                      {label}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <div className="mb-2 text-xs text-slate-600">
+                  Acik sorunlar: {coverage.summary?.open_issue_count ?? 0} (bakiye{" "}
+                  {coverage.summary?.open_balance_mismatches ?? 0}, eksik tarih{" "}
+                  {coverage.summary?.open_date_gaps ?? 0}, cakisma {coverage.summary?.open_overlaps ?? 0})
+                </div>
+                <ul className="max-h-[220px] space-y-1 overflow-auto text-xs">
+                  {(coverage.issues || []).filter((issue) => issue.status === "OPEN").length === 0 ? (
+                    <li className="text-slate-500">Acik kapsama sorunu yok.</li>
+                  ) : (
+                    (coverage.issues || [])
+                      .filter((issue) => issue.status === "OPEN")
+                      .map((issue) => (
+                        <li key={issue.id} className="rounded border border-slate-200 px-2 py-1">
+                          <span className="font-medium text-slate-900">{issue.issue_type}</span>{" "}
+                          <span className="text-slate-600">{describeCoverageIssue(issue)}</span>
+                        </li>
+                      ))
+                  )}
+                </ul>
+              </div>
+            </div>
+          ) : null}
+        </section>
+      ) : null}
+
       <div className="grid gap-6 xl:grid-cols-[minmax(0,1.1fr)_minmax(0,1.4fr)]">
         <section className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
           <h2 className="mb-3 text-sm font-semibold text-slate-900">Importlar</h2>
@@ -13,6 +13,7 @@ import {
 import { listLegalEntities } from "../../api/orgAdmin.js";
 import { useAuth } from "../../auth/useAuth.js";
 import CounterpartyForm from "./CounterpartyForm.jsx";
+import CounterpartyVirtualAccountsPanel from "./CounterpartyVirtualAccountsPanel.jsx";
 import {
   COUNTERPARTY_LIST_SORT_DIRECTIONS,
   COUNTERPARTY_LIST_SORT_FIELDS,
@@ -1241,6 +1242,10 @@ export default function CariCounterpartyPage({ pageKey = "buyerList" }) {
           />
         ) : null}
 
+        {editingId && editingForm.isCustomer ? (
+          <CounterpartyVirtualAccountsPanel counterpartyId={editingId} canUpsert={canUpsert} />
+        ) : null}
+
         {editLoading ? (
           <div className="rounded-xl border border-slate-200 bg-white p-4 text-sm text-slate-600 shadow-sm">
             Loading counterparty detail...
@@ -28,11 +28,14 @@ import { useModuleReadiness } from "../../readiness/useModuleReadiness.js";
 import {
   buildDocumentListQuery,
   buildDocumentMutationPayload,
+  computeDocumentLineNetTotal,
+  createEmptyDocumentLine,
   DOCUMENT_DIRECTIONS,
   DOCUMENT_STATUSES,
   DOCUMENT_TYPES,
   mapDocumentRowToForm,
   requiresDueDate,
+  supportsDocumentLines,
   validateDocumentMutationForm,
 } from "./cariDocumentsUtils.js";
 import {
@@ -88,6 +91,8 @@ function createInitialDraftForm() {
     amountBase: "",
     currencyCode: "USD",
     fxRate: "",
+    taxCode: "",
+    lines: [],
   };
 }
 
@@ -219,6 +224,53 @@ function formatReadinessReason(reason) {
   }
 }
 
+function DocumentLinesGrid({ idPrefix, lines, onChange, disabled, currencyCode, className = "md:col-span-4" }) {
+  const inputClassName = "w-full rounded-md border border-slate-300 px-2 py-1 text-sm font-normal";
+  const netTotal = computeDocumentLineNetTotal(lines);
+
+  function updateLine(index, key, value) {
+    onChange(lines.map((line, lineIndex) => (lineIndex === index ? { ...line, [key]: value } : line)));
+  }
+
+  return (
+    <div className={`${className} rounded-md border border-slate-200 p-3`}>
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-600">Document Lines (optional)</p>
+        <button type="button" className="rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-700 disabled:opacity-50" onClick={() => onChange([...lines, createEmptyDocumentLine()])} disabled={disabled}>Add Line</button>
+      </div>
+      {lines.length === 0 ? (
+        <p className="mt-2 text-xs text-slate-500">No lines: the header Amount Txn / Amount Base are posted as a single gross amount.</p>
+      ) : (
+        <div className="mt-2 overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr><th className="px-2 py-1">#</th><th className="px-2 py-1">Description</th><th className="px-2 py-1">Qty</th><th className="px-2 py-1">Unit Price (net)</th><th className="px-2 py-1">Disc. %</th><th className="px-2 py-1">Tax Code</th><th className="px-2 py-1">Account ID</th><th className="px-2 py-1">Unit ID</th><th className="px-2 py-1" /></tr>
+            </thead>
+            <tbody>
+              {lines.map((line, index) => (
+                <tr key={`${idPrefix}-line-${index}`} className="border-t border-slate-100">
+                  <td className="px-2 py-1 font-mono text-xs">{index + 1}</td>
+                  <td className="px-2 py-1"><input type="text" maxLength={255} className={inputClassName} value={line.description} onChange={(event) => updateLine(index, "description", event.target.value)} disabled={disabled} required /></td>
+                  <td className="px-2 py-1"><input type="number" min="0.000001" step="0.000001" className={inputClassName} value={line.quantity} onChange={(event) => updateLine(index, "quantity", event.target.value)} disabled={disabled} /></td>
+                  <td className="px-2 py-1"><input type="number" min="0" step="0.000001" className={inputClassName} value={line.unitPrice} onChange={(event) => updateLine(index, "unitPrice", event.target.value)} disabled={disabled} required /></td>
+                  <td className="px-2 py-1"><input type="number" min="0" max="100" step="0.0001" className={inputClassName} value={line.discountPct} onChange={(event) => updateLine(index, "discountPct", event.target.value)} disabled={disabled} /></td>
+                  <td className="px-2 py-1"><input type="text" maxLength={40} className={`${inputClassName} uppercase`} value={line.taxCode} onChange={(event) => updateLine(index, "taxCode", event.target.value)} disabled={disabled} placeholder="header" /></td>
+                  <td className="px-2 py-1"><input type="number" min="1" className={inputClassName} value={line.accountId} onChange={(event) => updateLine(index, "accountId", event.target.value)} disabled={disabled} placeholder="default" /></td>
+                  <td className="px-2 py-1"><input type="number" min="1" className={inputClassName} value={line.operatingUnitId} onChange={(event) => updateLine(index, "operatingUnitId", event.target.value)} disabled={disabled} /></td>
+                  <td className="px-2 py-1"><button type="button" className="rounded-md border border-rose-300 px-2 py-1 text-xs font-medium text-rose-700 disabled:opacity-50" onClick={() => onChange(lines.filter((_, lineIndex) => lineIndex !== index))} disabled={disabled}>Remove</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-slate-600">
+            Net total (before VAT): {formatAmount(netTotal)} {currencyCode || ""}. VAT and the gross document amount are calculated on save; leave Amount Txn empty.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function CariDocumentsPage() {
   const { hasPermission } = useAuth();
   const { getModuleRow } = useModuleReadiness();
@@ -947,10 +999,20 @@ export default function CariDocumentsPage() {
             <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Document Type<select className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.documentType} onChange={(event) => setCreateForm((prev) => ({ ...prev, documentType: event.target.value }))} required>{DOCUMENT_TYPES.map((documentType) => <option key={`create-document-type-${documentType}`} value={documentType}>{documentType}</option>)}</select></label>
             <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Document Date<input type="date" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.documentDate} onChange={(event) => setCreateForm((prev) => ({ ...prev, documentDate: event.target.value }))} required /></label>
             <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Due Date {requiresDueDate(createForm.documentType) ? "(required for this type)" : "(optional)"}<input type="date" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.dueDate} onChange={(event) => setCreateForm((prev) => ({ ...prev, dueDate: event.target.value }))} required={requiresDueDate(createForm.documentType)} /></label>
-            <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Txn<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.amountTxn} onChange={(event) => setCreateForm((prev) => ({ ...prev, amountTxn: event.target.value }))} required /></label>
-            <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Base<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.amountBase} onChange={(event) => setCreateForm((prev) => ({ ...prev, amountBase: event.target.value }))} required /></label>
+            <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Txn{createForm.lines.length > 0 ? " (from lines)" : ""}<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.amountTxn} onChange={(event) => setCreateForm((prev) => ({ ...prev, amountTxn: event.target.value }))} required={createForm.lines.length === 0} /></label>
+            <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Base{createForm.lines.length > 0 ? " (optional with lines)" : ""}<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.amountBase} onChange={(event) => setCreateForm((prev) => ({ ...prev, amountBase: event.target.value }))} required={createForm.lines.length === 0} /></label>
             <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Currency<input type="text" maxLength={3} className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal uppercase" value={createForm.currencyCode} onChange={(event) => setCreateForm((prev) => ({ ...prev, currencyCode: event.target.value }))} required /></label>
             <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">FX Rate (optional)<input type="number" min="0.0000000001" step="0.0000000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={createForm.fxRate} onChange={(event) => setCreateForm((prev) => ({ ...prev, fxRate: event.target.value }))} /></label>
+            <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Tax Code (optional, gross split)<input type="text" maxLength={40} className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal uppercase" value={createForm.taxCode} onChange={(event) => setCreateForm((prev) => ({ ...prev, taxCode: event.target.value }))} placeholder="e.g. KDV20" /></label>
+            {supportsDocumentLines(createForm.documentType) ? (
+              <DocumentLinesGrid
+                idPrefix="create"
+                lines={createForm.lines}
+                onChange={(lines) => setCreateForm((prev) => ({ ...prev, lines }))}
+                disabled={createSaving}
+                currencyCode={createForm.currencyCode}
+              />
+            ) : null}
             <div className="md:col-span-4 flex gap-2">
               <button type="submit" className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white" disabled={createSaving}>{createSaving ? "Creating..." : "Create Draft Document"}</button>
               <button
@@ -1011,7 +1073,27 @@ export default function CariDocumentsPage() {
                 <dt className="font-semibold text-slate-600">dueDateSnapshot</dt><dd>{selectedSnapshot.dueDateSnapshot || "-"}</dd>
                 <dt className="font-semibold text-slate-600">currencyCodeSnapshot</dt><dd>{selectedSnapshot.currencyCodeSnapshot || "-"}</dd>
                 <dt className="font-semibold text-slate-600">fxRateSnapshot</dt><dd>{selectedSnapshot.fxRateSnapshot || "-"}</dd>
+                <dt className="font-semibold text-slate-600">taxCode</dt><dd>{selectedSnapshot.taxCode ? `${selectedSnapshot.taxCode} (${selectedSnapshot.taxRatePct ?? "-"}%)` : "-"}</dd>
+                <dt className="font-semibold text-slate-600">netAmountTxn</dt><dd>{selectedSnapshot.taxCode ? formatAmount(selectedSnapshot.netAmountTxn) : "-"}</dd>
+                <dt className="font-semibold text-slate-600">taxAmountTxn</dt><dd>{selectedSnapshot.taxCode ? formatAmount(selectedSnapshot.taxAmountTxn) : "-"}</dd>
               </dl>
+              {Array.isArray(selectedSnapshot.lines) && selectedSnapshot.lines.length > 0 ? (
+                <div className="mt-4 overflow-x-auto">
+                  <p className="text-xs font-semibold uppercase tracking-wide text-slate-700">Lines</p>
+                  <table className="mt-1 min-w-full text-sm">
+                    <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
+                      <tr><th className="px-2 py-1">#</th><th className="px-2 py-1">Description</th><th className="px-2 py-1">Qty</th><th className="px-2 py-1">Unit Price</th><th className="px-2 py-1">Disc. %</th><th className="px-2 py-1">Tax</th><th className="px-2 py-1">Account</th><th className="px-2 py-1">Unit</th><th className="px-2 py-1">Net</th><th className="px-2 py-1">VAT</th><th className="px-2 py-1">Gross</th></tr>
+                    </thead>
+                    <tbody>
+                      {selectedSnapshot.lines.map((line) => (
+                        <tr key={`detail-line-${line.id || line.lineNo}`} className="border-t border-slate-100">
+                          <td className="px-2 py-1 font-mono text-xs">{line.lineNo}</td><td className="px-2 py-1">{line.description}</td><td className="px-2 py-1">{line.quantity}</td><td className="px-2 py-1">{formatAmount(line.unitPrice)}</td><td className="px-2 py-1">{line.discountPct || "-"}</td><td className="px-2 py-1">{line.taxCode ? `${line.taxCode} (${line.taxRatePct ?? "-"}%)` : "-"}</td><td className="px-2 py-1">{line.accountCode || "-"}</td><td className="px-2 py-1">{line.operatingUnitCode || "-"}</td><td className="px-2 py-1">{formatAmount(line.netAmountTxn)}</td><td className="px-2 py-1">{formatAmount(line.taxAmountTxn)}</td><td className="px-2 py-1">{formatAmount(line.grossAmountTxn)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : null}
               <div className="mt-4 rounded-md border border-slate-200 bg-slate-50 px-3 py-2">
                 <p className="text-xs font-semibold uppercase tracking-wide text-slate-700">Lifecycle Snapshot</p>
                 <p className="mt-1 text-sm font-semibold text-slate-800">
@@ -1118,7 +1200,24 @@ export default function CariDocumentsPage() {
                     </div>
                   ) : null}
                   <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Document Type<select className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={editForm.documentType} onChange={(event) => setEditForm((prev) => ({ ...prev, documentType: event.target.value }))} disabled={!canEditOrCancelSelected || editSaving}>{DOCUMENT_TYPES.map((documentType) => <option key={`edit-document-type-${documentType}`} value={documentType}>{documentType}</option>)}</select></label>
+                  <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Tax Code<input type="text" maxLength={40} className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal uppercase" value={editForm.taxCode} onChange={(event) => setEditForm((prev) => ({ ...prev, taxCode: event.target.value }))} disabled={!canEditOrCancelSelected || editSaving} /></label>
                   <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Due Date<input type="date" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={editForm.dueDate} onChange={(event) => setEditForm((prev) => ({ ...prev, dueDate: event.target.value }))} disabled={!canEditOrCancelSelected || editSaving} required={requiresDueDate(editForm.documentType)} /></label>
+                  {editForm.lines.length === 0 ? (
+                    <>
+                      <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Txn<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={editForm.amountTxn} onChange={(event) => setEditForm((prev) => ({ ...prev, amountTxn: event.target.value }))} disabled={!canEditOrCancelSelected || editSaving} /></label>
+                      <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">Amount Base<input type="number" min="0.000001" step="0.000001" className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal" value={editForm.amountBase} onChange={(event) => setEditForm((prev) => ({ ...prev, amountBase: event.target.value }))} disabled={!canEditOrCancelSelected || editSaving} /></label>
+                    </>
+                  ) : null}
+                  {supportsDocumentLines(editForm.documentType) ? (
+                    <DocumentLinesGrid
+                      idPrefix="edit"
+                      lines={editForm.lines}
+                      onChange={(lines) => setEditForm((prev) => ({ ...prev, lines }))}
+                      disabled={!canEditOrCancelSelected || editSaving}
+                      currencyCode={editForm.currencyCode}
+                      className="md:col-span-2"
+                    />
+                  ) : null}
                   <button type="submit" className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white disabled:opacity-50" disabled={!canEditOrCancelSelected || editSaving}>{editSaving ? "Saving..." : "Update Draft Document"}</button>
                   <button type="button" className="rounded-md border border-rose-300 px-4 py-2 text-sm font-semibold text-rose-700 disabled:opacity-50" onClick={handleCancelDraft} disabled={!canEditOrCancelSelected || cancelSaving}>{cancelSaving ? "Cancelling..." : "Cancel Draft"}</button>
                 </form>
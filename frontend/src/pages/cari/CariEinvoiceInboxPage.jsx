@@ -0,0 +1,761 @@
+import { useEffect, useState } from "react";
+import { listCariCounterparties } from "../../api/cariCounterparty.js";
+import {
+  createCariEinvoiceInboxCounterparty,
+  createCariEinvoiceInboxRule,
+  dismissCariEinvoiceInboxItem,
+  getCariEinvoiceInboxItem,
+  importCariEinvoiceInboxXml,
+  listCariEinvoiceInbox,
+  listCariEinvoiceInboxRules,
+  processCariEinvoiceInboxItem,
+  updateCariEinvoiceInboxRule,
+} from "../../api/cariEinvoiceInbox.js";
+import { useAuth } from "../../auth/useAuth.js";
+import { useI18n } from "../../i18n/useI18n.js";
+import {
+  buildInlineCounterpartyCode,
+  normalizeLookupQuery,
+  prependOrReplaceCounterpartyOption,
+} from "./counterpartyInlineCreate.js";
+
+const DEFAULT_FILTERS = {
+  legalEntityId: "",
+  status: "",
+  q: "",
+  limit: 100,
+  offset: 0,
+};
+
+const DEFAULT_IMPORT_FORM = {
+  legalEntityId: "",
+  fileName: "",
+  xmlText: "",
+};
+
+const DEFAULT_RULE_FORM = {
+  counterpartyId: "",
+  itemKeyword: "",
+  taxRatePct: "",
+  accountId: "",
+  taxCode: "",
+  priority: "100",
+};
+
+const STATUS_VALUES = ["NEEDS_COUNTERPARTY", "NEEDS_MAPPING", "FAILED", "DRAFT_CREATED", "DISMISSED"];
+const CLOSED_STATUSES = new Set(["DRAFT_CREATED", "DISMISSED"]);
+
+const INPUT_CLASS = "mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal";
+const LABEL_CLASS = "text-xs font-semibold uppercase tracking-wide text-slate-600";
+const BUTTON_CLASS =
+  "rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white disabled:opacity-60";
+const SECONDARY_BUTTON_CLASS =
+  "rounded-md border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 disabled:opacity-60";
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function toOptionalInt(value) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+function normalizeApiError(error, fallback = "Request failed") {
+  const message = String(error?.message || error?.response?.data?.message || fallback).trim();
+  const requestId = String(error?.requestId || error?.response?.data?.requestId || "").trim();
+  return requestId ? `${message} (requestId: ${requestId})` : message;
+}
+
+function formatAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return "-";
+  }
+  return parsed.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function buildListQuery(filters) {
+  return {
+    legalEntityId: filters.legalEntityId || undefined,
+    status: filters.status || undefined,
+    q: String(filters.q || "").trim() || undefined,
+    limit: toPositiveInt(filters.limit, 100),
+    offset: Number(filters.offset || 0),
+  };
+}
+
+function buildRulePayload(form, legalEntityId) {
+  return {
+    legalEntityId: toOptionalInt(legalEntityId),
+    counterpartyId: toOptionalInt(form.counterpartyId) || null,
+    itemKeyword: String(form.itemKeyword || "").trim() || null,
+    taxRatePct: form.taxRatePct === "" ? null : Number(form.taxRatePct),
+    accountId: toOptionalInt(form.accountId),
+    taxCode: String(form.taxCode || "").trim() || null,
+    priority: toPositiveInt(form.priority, 100),
+  };
+}
+
+function statusBadgeClass(status) {
+  if (status === "DRAFT_CREATED") {
+    return "bg-emerald-100 text-emerald-800";
+  }
+  if (status === "FAILED") {
+    return "bg-rose-100 text-rose-800";
+  }
+  if (status === "DISMISSED") {
+    return "bg-slate-100 text-slate-600";
+  }
+  return "bg-amber-100 text-amber-800";
+}
+
+export default function CariEinvoiceInboxPage() {
+  const { hasPermission } = useAuth();
+  const { t, language } = useI18n();
+  const l = (en, tr) => (language === "tr" ? tr : en);
+  const canRead = hasPermission("cari.einvoice.read");
+  const canImport = hasPermission("cari.einvoice.import");
+  const canReadCards = hasPermission("cari.card.read");
+  const canUpsertCards = hasPermission("cari.card.upsert");
+
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [importForm, setImportForm] = useState(DEFAULT_IMPORT_FORM);
+  const [selected, setSelected] = useState(null);
+  const [vendorOptions, setVendorOptions] = useState([]);
+  const [vendorLookupQuery, setVendorLookupQuery] = useState("");
+  const [linkCounterpartyId, setLinkCounterpartyId] = useState("");
+  const [dismissReason, setDismissReason] = useState("");
+  const [rules, setRules] = useState([]);
+  const [ruleForm, setRuleForm] = useState(DEFAULT_RULE_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [info, setInfo] = useState("");
+
+  const selectedLegalEntityId = toPositiveInt(selected?.legalEntityId);
+  const rulesLegalEntityId = toPositiveInt(filters.legalEntityId) || selectedLegalEntityId;
+
+  async function loadInbox(nextFilters = filters) {
+    setLoading(true);
+    setError("");
+    try {
+      const payload = await listCariEinvoiceInbox(buildListQuery(nextFilters));
+      setRows(Array.isArray(payload?.rows) ? payload.rows : []);
+      setTotal(Number(payload?.total || 0));
+    } catch (err) {
+      setRows([]);
+      setTotal(0);
+      setError(normalizeApiError(err, l("Failed to load inbox.", "Gelen kutusu yuklenemedi.")));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadRules(legalEntityId = rulesLegalEntityId) {
+    if (!legalEntityId) {
+      setRules([]);
+      return;
+    }
+    try {
+      const payload = await listCariEinvoiceInboxRules({ legalEntityId });
+      setRules(Array.isArray(payload?.rows) ? payload.rows : []);
+    } catch (err) {
+      setRules([]);
+      setError(normalizeApiError(err, l("Failed to load rules.", "Kurallar yuklenemedi.")));
+    }
+  }
+
+  async function selectItem(inboxId) {
+    setError("");
+    try {
+      const payload = await getCariEinvoiceInboxItem(inboxId);
+      setSelected(payload?.row || null);
+      setVendorLookupQuery("");
+      setLinkCounterpartyId("");
+      setDismissReason("");
+    } catch (err) {
+      setError(normalizeApiError(err, l("Failed to load invoice.", "Fatura yuklenemedi.")));
+    }
+  }
+
+  useEffect(() => {
+    if (!canRead) {
+      return;
+    }
+    void loadInbox(DEFAULT_FILTERS);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead]);
+
+  useEffect(() => {
+    if (!canRead) {
+      return;
+    }
+    void loadRules(rulesLegalEntityId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead, rulesLegalEntityId]);
+
+  useEffect(() => {
+    if (!canReadCards || !selectedLegalEntityId) {
+      setVendorOptions([]);
+      return undefined;
+    }
+    let active = true;
+    async function loadVendorOptions() {
+      try {
+        const response = await listCariCounterparties({
+          legalEntityId: selectedLegalEntityId,
+          role: "VENDOR",
+          status: "ACTIVE",
+          sortBy: "NAME",
+          sortDir: "ASC",
+          limit: 300,
+          offset: 0,
+        });
+        if (active) {
+          setVendorOptions(Array.isArray(response?.rows) ? response.rows : []);
+        }
+      } catch {
+        if (active) {
+          setVendorOptions([]);
+        }
+      }
+    }
+    loadVendorOptions();
+    return () => {
+      active = false;
+    };
+  }, [canReadCards, selectedLegalEntityId]);
+
+  function applyFilters(event) {
+    event.preventDefault();
+    const nextFilters = { ...filters, offset: 0 };
+    setFilters(nextFilters);
+    void loadInbox(nextFilters);
+  }
+
+  async function handleFileChange(event) {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    const xmlText = await file.text();
+    setImportForm((prev) => ({ ...prev, fileName: file.name, xmlText }));
+  }
+
+  async function runAction(work, successMessage, failureMessage) {
+    setSaving(true);
+    setError("");
+    setInfo("");
+    try {
+      const payload = await work();
+      setSelected(payload?.row || null);
+      setInfo(successMessage(payload?.row));
+      await loadInbox();
+      return payload;
+    } catch (err) {
+      setError(normalizeApiError(err, failureMessage));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleImport(event) {
+    event.preventDefault();
+    const payload = await runAction(
+      () =>
+        importCariEinvoiceInboxXml({
+          legalEntityId: toOptionalInt(importForm.legalEntityId),
+          fileName: importForm.fileName || undefined,
+          xmlText: importForm.xmlText,
+        }),
+      (row) => l(`Invoice imported as #${row?.id} (${row?.status}).`, `Fatura #${row?.id} olarak alindi (${row?.status}).`),
+      l("Import failed.", "Aktarim basarisiz.")
+    );
+    if (payload) {
+      setImportForm((prev) => ({ ...DEFAULT_IMPORT_FORM, legalEntityId: prev.legalEntityId }));
+    }
+  }
+
+  async function handleProcess() {
+    if (!selected) {
+      return;
+    }
+    await runAction(
+      () =>
+        processCariEinvoiceInboxItem(selected.id, {
+          counterpartyId: toOptionalInt(linkCounterpartyId),
+        }),
+      (row) => l(`Invoice is now ${row?.status}.`, `Fatura durumu: ${row?.status}.`),
+      l("Processing failed.", "Isleme basarisiz.")
+    );
+  }
+
+  async function handleCreateCounterparty() {
+    if (!selected) {
+      return;
+    }
+    const name =
+      normalizeLookupQuery(vendorLookupQuery) || normalizeLookupQuery(selected.counterpartyProposal?.name);
+    if (!name) {
+      setError(l("Type a vendor name before creating.", "Olusturmadan once satici adi girin."));
+      return;
+    }
+    const payload = await runAction(
+      () =>
+        createCariEinvoiceInboxCounterparty(selected.id, {
+          code: buildInlineCounterpartyCode({ legalEntityId: selected.legalEntityId, name }),
+          name,
+        }),
+      (row) =>
+        l(
+          `Vendor card created; invoice is now ${row?.status}.`,
+          `Satici karti olusturuldu; fatura durumu: ${row?.status}.`
+        ),
+      l("Vendor card could not be created.", "Satici karti olusturulamadi.")
+    );
+    if (payload?.counterparty) {
+      setVendorOptions((prev) => prependOrReplaceCounterpartyOption(prev, payload.counterparty));
+      setVendorLookupQuery("");
+    }
+  }
+
+  async function handleDismiss(event) {
+    event.preventDefault();
+    if (!selected) {
+      return;
+    }
+    await runAction(
+      () => dismissCariEinvoiceInboxItem(selected.id, { reason: dismissReason }),
+      () => l("Invoice dismissed.", "Fatura kapatildi."),
+      l("Dismiss failed.", "Kapatma basarisiz.")
+    );
+  }
+
+  async function handleCreateRule(event) {
+    event.preventDefault();
+    setSaving(true);
+    setError("");
+    setInfo("");
+    try {
+      await createCariEinvoiceInboxRule(buildRulePayload(ruleForm, rulesLegalEntityId));
+      setRuleForm(DEFAULT_RULE_FORM);
+      setInfo(l("Mapping rule created.", "Eslestirme kurali olusturuldu."));
+      await loadRules();
+    } catch (err) {
+      setError(normalizeApiError(err, l("Rule could not be saved.", "Kural kaydedilemedi.")));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function toggleRuleStatus(rule) {
+    setSaving(true);
+    setError("");
+    try {
+      await updateCariEinvoiceInboxRule(rule.id, {
+        status: rule.status === "ACTIVE" ? "INACTIVE" : "ACTIVE",
+      });
+      await loadRules();
+    } catch (err) {
+      setError(normalizeApiError(err, l("Rule could not be updated.", "Kural guncellenemedi.")));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!canRead) {
+    return (
+      <div className="rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+        {l("Missing permission: `cari.einvoice.read`", "Eksik yetki: `cari.einvoice.read`")}
+      </div>
+    );
+  }
+
+  const isOpen = selected ? !CLOSED_STATUSES.has(selected.status) : false;
+  const lookupQuery = normalizeLookupQuery(vendorLookupQuery).toLowerCase();
+  const filteredVendorOptions = lookupQuery
+    ? vendorOptions.filter((row) =>
+        `${row.code || ""} ${row.name || ""} ${row.taxId || ""}`.toLowerCase().includes(lookupQuery)
+      )
+    : vendorOptions;
+  const parsedLines = Array.isArray(selected?.parsed?.lines) ? selected.parsed.lines : [];
+
+  return (
+    <div className="space-y-4">
+      <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+        <h1 className="text-xl font-semibold text-slate-900">{t("cariEinvoiceInbox.title")}</h1>
+        <p className="mt-1 text-sm text-slate-600">{t("cariEinvoiceInbox.subtitle")}</p>
+        {error ? (
+          <div className="mt-3 rounded-md border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+            {error}
+          </div>
+        ) : null}
+        {info ? (
+          <div className="mt-3 rounded-md border border-cyan-200 bg-cyan-50 px-3 py-2 text-sm text-cyan-800">
+            {info}
+          </div>
+        ) : null}
+        <form className="mt-4 grid gap-3 md:grid-cols-4" onSubmit={applyFilters}>
+          <label className={LABEL_CLASS}>
+            legalEntityId
+            <input
+              type="number"
+              min="1"
+              className={INPUT_CLASS}
+              value={filters.legalEntityId}
+              onChange={(event) => setFilters((prev) => ({ ...prev, legalEntityId: event.target.value }))}
+            />
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Status", "Durum")}
+            <select
+              className={INPUT_CLASS}
+              value={filters.status}
+              onChange={(event) => setFilters((prev) => ({ ...prev, status: event.target.value }))}
+            >
+              <option value="">{l("All", "Tumu")}</option>
+              {STATUS_VALUES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Search", "Ara")}
+            <input
+              type="text"
+              className={INPUT_CLASS}
+              value={filters.q}
+              placeholder={l("invoice no, ETTN, supplier", "fatura no, ETTN, satici")}
+              onChange={(event) => setFilters((prev) => ({ ...prev, q: event.target.value }))}
+            />
+          </label>
+          <div className="flex items-end gap-2">
+            <button type="submit" className={BUTTON_CLASS} disabled={loading}>
+              {loading ? l("Loading...", "Yukleniyor...") : l("Apply Filters", "Filtrele")}
+            </button>
+          </div>
+        </form>
+      </section>
+
+      {canImport ? (
+        <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-slate-900">{t("cariEinvoiceInbox.import")}</h2>
+          <form className="mt-3 grid gap-3 md:grid-cols-4" onSubmit={handleImport}>
+            <label className={LABEL_CLASS}>
+              legalEntityId
+              <input
+                type="number"
+                min="1"
+                className={INPUT_CLASS}
+                value={importForm.legalEntityId}
+                onChange={(event) =>
+                  setImportForm((prev) => ({ ...prev, legalEntityId: event.target.value }))
+                }
+              />
+            </label>
+            <label className={`${LABEL_CLASS} md:col-span-2`}>
+              {l("UBL-TR XML file", "UBL-TR XML dosyasi")}
+              <input
+                type="file"
+                accept=".xml,application/xml,text/xml"
+                className={INPUT_CLASS}
+                onChange={(event) => void handleFileChange(event)}
+              />
+            </label>
+            <div className="flex items-end">
+              <button
+                type="submit"
+                className={BUTTON_CLASS}
+                disabled={saving || !importForm.xmlText || !importForm.legalEntityId}
+              >
+                {t("cariEinvoiceInbox.import")}
+              </button>
+            </div>
+          </form>
+        </section>
+      ) : null}
+
+      <section className="rounded-xl border border-slate-200 bg-white shadow-sm">
+        <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3">
+          <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-700">
+            {l("Incoming invoices", "Gelen faturalar")}
+          </h2>
+          <p className="text-xs text-slate-500">
+            {l("Total", "Toplam")}: {total}
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-left text-slate-600">
+              <tr>
+                <th className="px-3 py-2">#</th>
+                <th className="px-3 py-2">{l("Invoice", "Fatura")}</th>
+                <th className="px-3 py-2">{l("Supplier", "Satici")}</th>
+                <th className="px-3 py-2">{l("Date", "Tarih")}</th>
+                <th className="px-3 py-2 text-right">{l("Payable", "Odenecek")}</th>
+                <th className="px-3 py-2">{l("Status", "Durum")}</th>
+                <th className="px-3 py-2">{l("Draft", "Taslak")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={`einvoice-inbox-row-${row.id}`}
+                  className={`cursor-pointer border-t border-slate-100 ${
+                    selected?.id === row.id ? "bg-cyan-50" : "hover:bg-slate-50"
+                  }`}
+                  onClick={() => selectItem(row.id)}
+                >
+                  <td className="px-3 py-2">{row.id}</td>
+                  <td className="px-3 py-2">
+                    <div>{row.invoiceNo}</div>
+                    <div className="text-xs text-slate-500">{row.ettn}</div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div>{row.counterpartyName || row.supplierName}</div>
+                    <div className="text-xs text-slate-500">{row.supplierTaxId}</div>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">{row.issueDate}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {formatAmount(row.payableAmountTxn)} {row.currencyCode}
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`rounded px-2 py-0.5 text-xs font-semibold ${statusBadgeClass(row.status)}`}>
+                      {row.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2">{row.documentNo || "-"}</td>
+                </tr>
+              ))}
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="px-3 py-4 text-slate-500">
+                    {loading
+                      ? l("Loading...", "Yukleniyor...")
+                      : l("No invoices for current filters.", "Secili filtreler icin fatura yok.")}
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {selected ? (
+        <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-slate-900">
+            #{selected.id} {selected.invoiceNo} - {selected.status}
+          </h2>
+          <p className="mt-1 text-sm text-slate-600">
+            {selected.supplierName} ({selected.supplierTaxId}) | {formatAmount(selected.payableAmountTxn)}{" "}
+            {selected.currencyCode} | {selected.issueDate}
+            {selected.documentNo ? ` | ${l("Draft", "Taslak")} ${selected.documentNo}` : ""}
+          </p>
+          {selected.statusMessage ? (
+            <div className="mt-3 rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+              {selected.statusMessage}
+            </div>
+          ) : null}
+
+          {canImport && isOpen ? (
+            <div className="mt-4 grid gap-3 md:grid-cols-4">
+              {canReadCards ? (
+                <>
+                  <label className={LABEL_CLASS}>
+                    {l("Vendor lookup", "Satici ara")}
+                    <input
+                      type="text"
+                      className={INPUT_CLASS}
+                      value={vendorLookupQuery}
+                      placeholder={selected.counterpartyProposal?.name || ""}
+                      onChange={(event) => setVendorLookupQuery(event.target.value)}
+                    />
+                  </label>
+                  <label className={LABEL_CLASS}>
+                    {l("Link vendor card", "Satici karti bagla")}
+                    <select
+                      className={INPUT_CLASS}
+                      value={linkCounterpartyId}
+                      onChange={(event) => setLinkCounterpartyId(event.target.value)}
+                    >
+                      <option value="">{l("Match by VKN", "VKN ile eslestir")}</option>
+                      {filteredVendorOptions.map((row) => (
+                        <option key={`einvoice-vendor-${row.id}`} value={row.id}>
+                          {row.code} - {row.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              ) : null}
+              <div className="flex items-end gap-2 md:col-span-2">
+                <button type="button" className={BUTTON_CLASS} disabled={saving} onClick={handleProcess}>
+                  {t("cariEinvoiceInbox.process")}
+                </button>
+                {canUpsertCards && selected.counterpartyProposal ? (
+                  <button
+                    type="button"
+                    className={SECONDARY_BUTTON_CLASS}
+                    disabled={saving}
+                    onClick={handleCreateCounterparty}
+                  >
+                    {t("cariEinvoiceInbox.createCounterparty")}
+                  </button>
+                ) : null}
+              </div>
+            </div>
+          ) : null}
+
+          {canImport && isOpen ? (
+            <form className="mt-3 grid gap-3 md:grid-cols-4" onSubmit={handleDismiss}>
+              <label className={`${LABEL_CLASS} md:col-span-3`}>
+                {l("Dismiss reason", "Kapatma sebebi")}
+                <input
+                  type="text"
+                  className={INPUT_CLASS}
+                  value={dismissReason}
+                  onChange={(event) => setDismissReason(event.target.value)}
+                />
+              </label>
+              <div className="flex items-end">
+                <button
+                  type="submit"
+                  className={SECONDARY_BUTTON_CLASS}
+                  disabled={saving || !dismissReason.trim()}
+                >
+                  {t("cariEinvoiceInbox.dismiss")}
+                </button>
+              </div>
+            </form>
+          ) : null}
+
+          <h3 className="mt-5 text-sm font-semibold uppercase tracking-wide text-slate-700">
+            {l("Invoice lines", "Fatura satirlari")}
+          </h3>
+          <div className="mt-2 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600">
+                <tr>
+                  <th className="px-3 py-2">#</th>
+                  <th className="px-3 py-2">{l("Description", "Aciklama")}</th>
+                  <th className="px-3 py-2 text-right">{l("Quantity", "Miktar")}</th>
+                  <th className="px-3 py-2 text-right">{l("Net", "Net")}</th>
+                  <th className="px-3 py-2 text-right">KDV %</th>
+                  <th className="px-3 py-2 text-right">KDV</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parsedLines.map((line) => (
+                  <tr key={`einvoice-line-${line.lineNo}`} className="border-t border-slate-100">
+                    <td className="px-3 py-2">{line.lineNo}</td>
+                    <td className="px-3 py-2">{line.description || "-"}</td>
+                    <td className="px-3 py-2 text-right">{line.quantity}</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(line.netAmount)}</td>
+                    <td className="px-3 py-2 text-right">{line.taxRatePct}</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(line.taxAmount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      ) : null}
+
+      <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+        <h2 className="text-lg font-semibold text-slate-900">{t("cariEinvoiceInbox.rules")}</h2>
+        <p className="mt-1 text-sm text-slate-600">
+          {rulesLegalEntityId
+            ? `legalEntityId ${rulesLegalEntityId}`
+            : l(
+                "Filter by legalEntityId or select an invoice to manage its rules.",
+                "Kurallar icin legalEntityId filtreleyin veya bir fatura secin."
+              )}
+        </p>
+        {rulesLegalEntityId ? (
+          <div className="mt-3 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600">
+                <tr>
+                  <th className="px-3 py-2">{l("Priority", "Oncelik")}</th>
+                  <th className="px-3 py-2">counterpartyId</th>
+                  <th className="px-3 py-2">{l("Keyword", "Anahtar kelime")}</th>
+                  <th className="px-3 py-2">KDV %</th>
+                  <th className="px-3 py-2">{l("Account", "Hesap")}</th>
+                  <th className="px-3 py-2">taxCode</th>
+                  <th className="px-3 py-2">{l("Status", "Durum")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule) => (
+                  <tr key={`einvoice-rule-${rule.id}`} className="border-t border-slate-100">
+                    <td className="px-3 py-2">{rule.priority}</td>
+                    <td className="px-3 py-2">{rule.counterpartyId || "-"}</td>
+                    <td className="px-3 py-2">{rule.itemKeyword || "-"}</td>
+                    <td className="px-3 py-2">{rule.taxRatePct ?? "-"}</td>
+                    <td className="px-3 py-2">{rule.accountCode || rule.accountId}</td>
+                    <td className="px-3 py-2">{rule.taxCode || "-"}</td>
+                    <td className="px-3 py-2">
+                      {canImport ? (
+                        <button
+                          type="button"
+                          className="text-xs font-semibold text-cyan-700 disabled:opacity-60"
+                          disabled={saving}
+                          onClick={() => toggleRuleStatus(rule)}
+                        >
+                          {rule.status}
+                        </button>
+                      ) : (
+                        rule.status
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {rules.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-3 py-4 text-slate-500">
+                      {l("No mapping rules yet.", "Henuz eslestirme kurali yok.")}
+                    </td>
+                  </tr>
+                ) : null}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+        {canImport && rulesLegalEntityId ? (
+          <form className="mt-4 grid gap-3 md:grid-cols-4" onSubmit={handleCreateRule}>
+            {[
+              ["counterpartyId", "counterpartyId", "number"],
+              ["itemKeyword", l("Item keyword", "Kalem anahtar kelimesi"), "text"],
+              ["taxRatePct", "KDV %", "number"],
+              ["accountId", l("Expense accountId", "Gider hesabi (accountId)"), "number"],
+              ["taxCode", "taxCode", "text"],
+              ["priority", l("Priority", "Oncelik"), "number"],
+            ].map(([field, label, type]) => (
+              <label key={`einvoice-rule-${field}`} className={LABEL_CLASS}>
+                {label}
+                <input
+                  type={type}
+                  className={INPUT_CLASS}
+                  value={ruleForm[field]}
+                  onChange={(event) => setRuleForm((prev) => ({ ...prev, [field]: event.target.value }))}
+                />
+              </label>
+            ))}
+            <div className="md:col-span-2 flex items-end">
+              <button type="submit" className={BUTTON_CLASS} disabled={saving || !ruleForm.accountId}>
+                {l("Add rule", "Kural ekle")}
+              </button>
+            </div>
+          </form>
+        ) : null}
+      </section>
+    </div>
+  );
+}
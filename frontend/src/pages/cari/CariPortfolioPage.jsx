@@ -0,0 +1,653 @@
+import { useEffect, useState } from "react";
+import {
+  getCariPortfolioInstrument,
+  listCariPortfolioInstruments,
+  registerCariPortfolioInstrument,
+  transitionCariPortfolioInstrument,
+} from "../../api/cariPortfolio.js";
+import { useAuth } from "../../auth/useAuth.js";
+import { useI18n } from "../../i18n/useI18n.js";
+
+const DEFAULT_FILTERS = {
+  legalEntityId: "",
+  direction: "",
+  instrumentType: "",
+  status: "",
+  dueDateFrom: "",
+  dueDateTo: "",
+  q: "",
+  limit: 100,
+  offset: 0,
+};
+
+const DEFAULT_REGISTER_FORM = {
+  legalEntityId: "",
+  direction: "RECEIVED",
+  instrumentType: "CHEQUE",
+  serialNo: "",
+  bankName: "",
+  bankBranch: "",
+  drawerName: "",
+  drawerTaxId: "",
+  issueDate: "",
+  dueDate: "",
+  counterpartyId: "",
+  currencyCode: "TRY",
+  amountTxn: "",
+  bankAccountId: "",
+  eventDate: "",
+  note: "",
+};
+
+const DEFAULT_ACTION_FORM = {
+  action: "",
+  eventDate: "",
+  vendorCounterpartyId: "",
+  bankAccountId: "",
+  cashRegisterId: "",
+  bankStatementLineId: "",
+  note: "",
+};
+
+const STATUS_VALUES = [
+  "IN_PORTFOLIO",
+  "ENDORSED",
+  "IN_COLLECTION",
+  "COLLATERAL",
+  "COLLECTED",
+  "ISSUED",
+  "PAID",
+  "BOUNCED",
+  "PROTESTED",
+];
+
+// Actions offered per status; the backend re-validates every transition.
+const ACTIONS_BY_STATUS = {
+  IN_PORTFOLIO: ["endorse", "send-to-collection", "give-as-collateral", "collect", "bounce", "protest"],
+  IN_COLLECTION: ["collect", "bounce", "protest"],
+  COLLATERAL: ["return-from-collateral", "bounce", "protest"],
+  ENDORSED: ["bounce", "protest"],
+  ISSUED: ["pay", "bounce", "protest"],
+  BOUNCED: ["protest"],
+};
+
+const ACTION_FIELDS = {
+  endorse: ["vendorCounterpartyId"],
+  "send-to-collection": ["bankAccountId"],
+  "give-as-collateral": ["bankAccountId"],
+  "return-from-collateral": [],
+  collect: ["bankAccountId", "cashRegisterId", "bankStatementLineId"],
+  pay: ["bankAccountId", "cashRegisterId", "bankStatementLineId"],
+  bounce: [],
+  protest: [],
+};
+
+const INPUT_CLASS = "mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-normal";
+const LABEL_CLASS = "text-xs font-semibold uppercase tracking-wide text-slate-600";
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function toOptionalInt(value) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+function normalizeApiError(error, fallback = "Request failed") {
+  const message = String(error?.message || error?.response?.data?.message || fallback).trim();
+  const requestId = String(error?.requestId || error?.response?.data?.requestId || "").trim();
+  return requestId ? `${message} (requestId: ${requestId})` : message;
+}
+
+function formatAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return "-";
+  }
+  return parsed.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function buildListQuery(filters) {
+  return {
+    legalEntityId: filters.legalEntityId || undefined,
+    direction: filters.direction || undefined,
+    instrumentType: filters.instrumentType || undefined,
+    status: filters.status || undefined,
+    dueDateFrom: filters.dueDateFrom || undefined,
+    dueDateTo: filters.dueDateTo || undefined,
+    q: String(filters.q || "").trim() || undefined,
+    limit: toPositiveInt(filters.limit, 100),
+    offset: Number(filters.offset || 0),
+  };
+}
+
+function buildRegisterPayload(form) {
+  return {
+    legalEntityId: toOptionalInt(form.legalEntityId),
+    direction: form.direction,
+    instrumentType: form.instrumentType,
+    serialNo: form.serialNo,
+    bankName: form.bankName || undefined,
+    bankBranch: form.bankBranch || undefined,
+    drawerName: form.drawerName || undefined,
+    drawerTaxId: form.drawerTaxId || undefined,
+    issueDate: form.issueDate,
+    dueDate: form.dueDate,
+    counterpartyId: toOptionalInt(form.counterpartyId),
+    currencyCode: form.currencyCode,
+    amountTxn: form.amountTxn,
+    bankAccountId: toOptionalInt(form.bankAccountId),
+    eventDate: form.eventDate || undefined,
+    note: form.note || undefined,
+    idempotencyKey: `CARI-PRT-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+  };
+}
+
+function buildActionPayload(form) {
+  const fields = ACTION_FIELDS[form.action] || [];
+  const payload = {
+    eventDate: form.eventDate || undefined,
+    note: form.note || undefined,
+  };
+  for (const field of fields) {
+    payload[field] = toOptionalInt(form[field]);
+  }
+  return payload;
+}
+
+export default function CariPortfolioPage() {
+  const { hasPermission } = useAuth();
+  const { t, language } = useI18n();
+  const l = (en, tr) => (language === "tr" ? tr : en);
+  const canRead = hasPermission("cari.portfolio.read");
+  const canManage = hasPermission("cari.portfolio.manage");
+
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [rows, setRows] = useState([]);
+  const [totalsByCurrency, setTotalsByCurrency] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [registerForm, setRegisterForm] = useState(DEFAULT_REGISTER_FORM);
+  const [selected, setSelected] = useState(null);
+  const [actionForm, setActionForm] = useState(DEFAULT_ACTION_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [info, setInfo] = useState("");
+
+  async function loadInstruments(nextFilters = filters) {
+    setLoading(true);
+    setError("");
+    try {
+      const payload = await listCariPortfolioInstruments(buildListQuery(nextFilters));
+      setRows(Array.isArray(payload?.rows) ? payload.rows : []);
+      setTotalsByCurrency(Array.isArray(payload?.totalsByCurrency) ? payload.totalsByCurrency : []);
+      setTotal(Number(payload?.total || 0));
+    } catch (err) {
+      setRows([]);
+      setTotalsByCurrency([]);
+      setTotal(0);
+      setError(normalizeApiError(err, l("Failed to load portfolio.", "Portfoy yuklenemedi.")));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function selectInstrument(instrumentId) {
+    setError("");
+    try {
+      const payload = await getCariPortfolioInstrument(instrumentId);
+      setSelected(payload?.row || null);
+      setActionForm(DEFAULT_ACTION_FORM);
+    } catch (err) {
+      setError(normalizeApiError(err, l("Failed to load instrument.", "Evrak yuklenemedi.")));
+    }
+  }
+
+  useEffect(() => {
+    if (!canRead) {
+      return;
+    }
+    void loadInstruments(DEFAULT_FILTERS);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canRead]);
+
+  function applyFilters(event) {
+    event.preventDefault();
+    const nextFilters = { ...filters, offset: 0 };
+    setFilters(nextFilters);
+    void loadInstruments(nextFilters);
+  }
+
+  async function handleRegister(event) {
+    event.preventDefault();
+    setSaving(true);
+    setError("");
+    setInfo("");
+    try {
+      const payload = await registerCariPortfolioInstrument(buildRegisterPayload(registerForm));
+      setInfo(
+        l(
+          `Instrument #${payload?.row?.id} registered.`,
+          `Evrak #${payload?.row?.id} kaydedildi.`
+        )
+      );
+      setRegisterForm((prev) => ({ ...DEFAULT_REGISTER_FORM, legalEntityId: prev.legalEntityId }));
+      setSelected(payload?.row || null);
+      await loadInstruments();
+    } catch (err) {
+      setError(normalizeApiError(err, l("Registration failed.", "Kayit basarisiz.")));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleAction(event) {
+    event.preventDefault();
+    if (!selected || !actionForm.action) {
+      return;
+    }
+    setSaving(true);
+    setError("");
+    setInfo("");
+    try {
+      const payload = await transitionCariPortfolioInstrument(
+        selected.id,
+        actionForm.action,
+        buildActionPayload(actionForm)
+      );
+      setSelected(payload?.row || null);
+      setActionForm(DEFAULT_ACTION_FORM);
+      setInfo(l(`Instrument is now ${payload?.row?.status}.`, `Evrak durumu: ${payload?.row?.status}.`));
+      await loadInstruments();
+    } catch (err) {
+      setError(normalizeApiError(err, l("Action failed.", "Islem basarisiz.")));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!canRead) {
+    return (
+      <div className="rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+        {l("Missing permission: `cari.portfolio.read`", "Eksik yetki: `cari.portfolio.read`")}
+      </div>
+    );
+  }
+
+  const availableActions = selected ? ACTIONS_BY_STATUS[selected.status] || [] : [];
+  const actionFields = ACTION_FIELDS[actionForm.action] || [];
+  const isDishonour = actionForm.action === "bounce" || actionForm.action === "protest";
+
+  return (
+    <div className="space-y-4">
+      <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+        <h1 className="text-xl font-semibold text-slate-900">{t("cariPortfolio.title")}</h1>
+        <p className="mt-1 text-sm text-slate-600">{t("cariPortfolio.subtitle")}</p>
+        {error ? (
+          <div className="mt-3 rounded-md border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+            {error}
+          </div>
+        ) : null}
+        {info ? (
+          <div className="mt-3 rounded-md border border-cyan-200 bg-cyan-50 px-3 py-2 text-sm text-cyan-800">
+            {info}
+          </div>
+        ) : null}
+        <form className="mt-4 grid gap-3 md:grid-cols-4" onSubmit={applyFilters}>
+          <label className={LABEL_CLASS}>
+            legalEntityId
+            <input
+              type="number"
+              min="1"
+              className={INPUT_CLASS}
+              value={filters.legalEntityId}
+              onChange={(event) => setFilters((prev) => ({ ...prev, legalEntityId: event.target.value }))}
+            />
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Direction", "Yon")}
+            <select
+              className={INPUT_CLASS}
+              value={filters.direction}
+              onChange={(event) => setFilters((prev) => ({ ...prev, direction: event.target.value }))}
+            >
+              <option value="">{l("All", "Tumu")}</option>
+              <option value="RECEIVED">{l("Received", "Alinan")}</option>
+              <option value="ISSUED">{l("Issued", "Verilen")}</option>
+            </select>
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Type", "Tur")}
+            <select
+              className={INPUT_CLASS}
+              value={filters.instrumentType}
+              onChange={(event) => setFilters((prev) => ({ ...prev, instrumentType: event.target.value }))}
+            >
+              <option value="">{l("All", "Tumu")}</option>
+              <option value="CHEQUE">{l("Cheque", "Cek")}</option>
+              <option value="NOTE">{l("Promissory note", "Senet")}</option>
+            </select>
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Status", "Durum")}
+            <select
+              className={INPUT_CLASS}
+              value={filters.status}
+              onChange={(event) => setFilters((prev) => ({ ...prev, status: event.target.value }))}
+            >
+              <option value="">{l("All", "Tumu")}</option>
+              {STATUS_VALUES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={LABEL_CLASS}>
+            dueDateFrom
+            <input
+              type="date"
+              className={INPUT_CLASS}
+              value={filters.dueDateFrom}
+              onChange={(event) => setFilters((prev) => ({ ...prev, dueDateFrom: event.target.value }))}
+            />
+          </label>
+          <label className={LABEL_CLASS}>
+            dueDateTo
+            <input
+              type="date"
+              className={INPUT_CLASS}
+              value={filters.dueDateTo}
+              onChange={(event) => setFilters((prev) => ({ ...prev, dueDateTo: event.target.value }))}
+            />
+          </label>
+          <label className={LABEL_CLASS}>
+            {l("Search", "Ara")}
+            <input
+              type="text"
+              className={INPUT_CLASS}
+              value={filters.q}
+              placeholder={l("serial, drawer, bank", "seri, kesideci, banka")}
+              onChange={(event) => setFilters((prev) => ({ ...prev, q: event.target.value }))}
+            />
+          </label>
+          <div className="flex items-end gap-2">
+            <button
+              type="submit"
+              className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+              disabled={loading}
+            >
+              {loading ? l("Loading...", "Yukleniyor...") : l("Apply Filters", "Filtrele")}
+            </button>
+          </div>
+        </form>
+        <div className="mt-3 flex flex-wrap gap-3">
+          {totalsByCurrency.map((entry) => (
+            <article
+              key={`portfolio-total-${entry.currencyCode}`}
+              className="rounded-lg border border-slate-200 px-3 py-2"
+            >
+              <p className="text-xs font-semibold uppercase tracking-wide text-slate-600">
+                {entry.currencyCode} ({entry.count})
+              </p>
+              <p className="mt-1 text-lg font-semibold text-slate-900">{formatAmount(entry.amountTxn)}</p>
+            </article>
+          ))}
+        </div>
+      </section>
+
+      {canManage ? (
+        <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-slate-900">{t("cariPortfolio.register")}</h2>
+          <form className="mt-3 grid gap-3 md:grid-cols-4" onSubmit={handleRegister}>
+            {[
+              ["legalEntityId", "legalEntityId", "number"],
+              ["counterpartyId", "counterpartyId", "number"],
+              ["serialNo", l("Serial no", "Seri no"), "text"],
+              ["bankName", l("Bank", "Banka"), "text"],
+              ["bankBranch", l("Branch", "Sube"), "text"],
+              ["drawerName", l("Drawer", "Kesideci"), "text"],
+              ["drawerTaxId", l("Drawer VKN/TCKN", "Kesideci VKN/TCKN"), "text"],
+              ["issueDate", l("Issue date", "Duzenleme tarihi"), "date"],
+              ["dueDate", l("Due date", "Vade"), "date"],
+              ["currencyCode", l("Currency", "Para birimi"), "text"],
+              ["amountTxn", l("Amount", "Tutar"), "number"],
+              ["bankAccountId", l("Own bank account (issued cheques)", "Kendi banka hesabi (verilen cek)"), "number"],
+              ["eventDate", l("Receipt/issue date", "Alis/verilis tarihi"), "date"],
+              ["note", l("Note", "Not"), "text"],
+            ].map(([field, label, type]) => (
+              <label key={`register-${field}`} className={LABEL_CLASS}>
+                {label}
+                <input
+                  type={type}
+                  step={field === "amountTxn" ? "0.01" : undefined}
+                  className={INPUT_CLASS}
+                  value={registerForm[field]}
+                  onChange={(event) =>
+                    setRegisterForm((prev) => ({ ...prev, [field]: event.target.value }))
+                  }
+                />
+              </label>
+            ))}
+            <label className={LABEL_CLASS}>
+              {l("Direction", "Yon")}
+              <select
+                className={INPUT_CLASS}
+                value={registerForm.direction}
+                onChange={(event) => setRegisterForm((prev) => ({ ...prev, direction: event.target.value }))}
+              >
+                <option value="RECEIVED">{l("Received from customer", "Musteriden alinan")}</option>
+                <option value="ISSUED">{l("Issued to vendor", "Saticiya verilen")}</option>
+              </select>
+            </label>
+            <label className={LABEL_CLASS}>
+              {l("Type", "Tur")}
+              <select
+                className={INPUT_CLASS}
+                value={registerForm.instrumentType}
+                onChange={(event) =>
+                  setRegisterForm((prev) => ({ ...prev, instrumentType: event.target.value }))
+                }
+              >
+                <option value="CHEQUE">{l("Cheque", "Cek")}</option>
+                <option value="NOTE">{l("Promissory note", "Senet")}</option>
+              </select>
+            </label>
+            <div className="md:col-span-2 flex items-end">
+              <button
+                type="submit"
+                className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+                disabled={saving}
+              >
+                {t("cariPortfolio.register")}
+              </button>
+            </div>
+          </form>
+        </section>
+      ) : null}
+
+      <section className="rounded-xl border border-slate-200 bg-white shadow-sm">
+        <div className="flex items-center justify-between border-b border-slate-200 px-4 py-3">
+          <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-700">
+            {l("Instruments", "Evraklar")}
+          </h2>
+          <p className="text-xs text-slate-500">
+            {l("Total", "Toplam")}: {total}
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-left text-slate-600">
+              <tr>
+                <th className="px-3 py-2">#</th>
+                <th className="px-3 py-2">{l("Type", "Tur")}</th>
+                <th className="px-3 py-2">{l("Serial", "Seri")}</th>
+                <th className="px-3 py-2">{l("Counterparty", "Cari")}</th>
+                <th className="px-3 py-2">{l("Due", "Vade")}</th>
+                <th className="px-3 py-2 text-right">{l("Amount", "Tutar")}</th>
+                <th className="px-3 py-2">{l("Status", "Durum")}</th>
+                <th className="px-3 py-2">{l("Bank account", "Banka hesabi")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={`portfolio-row-${row.id}`}
+                  className={`cursor-pointer border-t border-slate-100 ${
+                    selected?.id === row.id ? "bg-cyan-50" : "hover:bg-slate-50"
+                  }`}
+                  onClick={() => selectInstrument(row.id)}
+                >
+                  <td className="px-3 py-2">{row.id}</td>
+                  <td className="px-3 py-2">
+                    {row.direction}/{row.instrumentType}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div>{row.serialNo}</div>
+                    <div className="text-xs text-slate-500">{row.bankName || ""}</div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div>{row.counterpartyName || row.counterpartyId}</div>
+                    {row.endorsedCounterpartyName ? (
+                      <div className="text-xs text-slate-500">
+                        {l("Endorsed to", "Ciro edilen")}: {row.endorsedCounterpartyName}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">{row.dueDate}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {formatAmount(row.amountTxn)} {row.currencyCode}
+                  </td>
+                  <td className="px-3 py-2">{row.status}</td>
+                  <td className="px-3 py-2">{row.bankAccountCode || "-"}</td>
+                </tr>
+              ))}
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={8} className="px-3 py-4 text-slate-500">
+                    {loading
+                      ? l("Loading...", "Yukleniyor...")
+                      : l("No instruments for current filters.", "Secili filtreler icin evrak yok.")}
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {selected ? (
+        <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-slate-900">
+            #{selected.id} {selected.instrumentType} {selected.serialNo} - {selected.status}
+          </h2>
+          <p className="mt-1 text-sm text-slate-600">
+            {selected.counterpartyName} | {formatAmount(selected.amountTxn)} {selected.currencyCode} |{" "}
+            {l("Due", "Vade")} {selected.dueDate}
+          </p>
+
+          {canManage && availableActions.length > 0 ? (
+            <form className="mt-4 grid gap-3 md:grid-cols-4" onSubmit={handleAction}>
+              <label className={LABEL_CLASS}>
+                {l("Action", "Islem")}
+                <select
+                  className={INPUT_CLASS}
+                  value={actionForm.action}
+                  onChange={(event) => setActionForm({ ...DEFAULT_ACTION_FORM, action: event.target.value })}
+                >
+                  <option value="">-</option>
+                  {availableActions.map((action) => (
+                    <option key={action} value={action}>
+                      {t(`cariPortfolio.actions.${action}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className={LABEL_CLASS}>
+                eventDate
+                <input
+                  type="date"
+                  className={INPUT_CLASS}
+                  value={actionForm.eventDate}
+                  onChange={(event) => setActionForm((prev) => ({ ...prev, eventDate: event.target.value }))}
+                />
+              </label>
+              {actionFields.map((field) => (
+                <label key={`action-${field}`} className={LABEL_CLASS}>
+                  {field}
+                  <input
+                    type="number"
+                    min="1"
+                    className={INPUT_CLASS}
+                    value={actionForm[field]}
+                    onChange={(event) =>
+                      setActionForm((prev) => ({ ...prev, [field]: event.target.value }))
+                    }
+                  />
+                </label>
+              ))}
+              <label className={LABEL_CLASS}>
+                {isDishonour ? l("Reason (required)", "Sebep (zorunlu)") : l("Note", "Not")}
+                <input
+                  type="text"
+                  className={INPUT_CLASS}
+                  value={actionForm.note}
+                  onChange={(event) => setActionForm((prev) => ({ ...prev, note: event.target.value }))}
+                />
+              </label>
+              <div className="flex items-end">
+                <button
+                  type="submit"
+                  className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+                  disabled={saving || !actionForm.action}
+                >
+                  {l("Run", "Uygula")}
+                </button>
+              </div>
+            </form>
+          ) : null}
+
+          <h3 className="mt-5 text-sm font-semibold uppercase tracking-wide text-slate-700">
+            {l("History", "Hareketler")}
+          </h3>
+          <div className="mt-2 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-600">
+                <tr>
+                  <th className="px-3 py-2">{l("Date", "Tarih")}</th>
+                  <th className="px-3 py-2">{l("Event", "Hareket")}</th>
+                  <th className="px-3 py-2">{l("Status", "Durum")}</th>
+                  <th className="px-3 py-2">{l("Links", "Baglantilar")}</th>
+                  <th className="px-3 py-2">{l("Note", "Not")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(selected.events || []).map((event) => (
+                  <tr key={`portfolio-event-${event.id}`} className="border-t border-slate-100">
+                    <td className="px-3 py-2 whitespace-nowrap">{event.eventDate}</td>
+                    <td className="px-3 py-2">{event.eventType}</td>
+                    <td className="px-3 py-2">
+                      {event.fromStatus || "-"} → {event.toStatus}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-600">
+                      {event.settlementBatchId ? <div>settlement #{event.settlementBatchId}</div> : null}
+                      {event.journalEntryId ? <div>journal #{event.journalEntryId}</div> : null}
+                      {event.cashTransactionId ? <div>cash #{event.cashTransactionId}</div> : null}
+                      {event.bankStatementLineId ? <div>statement line #{event.bankStatementLineId}</div> : null}
+                      {event.reversedSettlementBatchIds?.length ? (
+                        <div>reversed: {event.reversedSettlementBatchIds.join(", ")}</div>
+                      ) : null}
+                    </td>
+                    <td className="px-3 py-2">{event.note || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      ) : null}
+    </div>
+  );
+}
@@ -1164,8 +1164,19 @@ export default function CariSettlementsPage() {
         setBankAttachError("settlementBatchId must be empty when targetType=UNAPPLIED_CASH.");
         return;
       }
+    } else if (targetType === "AUTO_RECEIPT") {
+      if (!toPositiveInt(bankAttachForm.bankStatementLineId)) {
+        setBankAttachError("bankStatementLineId is required when targetType=AUTO_RECEIPT.");
+        return;
+      }
+      if (settlementBatchId || unappliedCashId) {
+        setBankAttachError(
+          "settlementBatchId and unappliedCashId must be empty when targetType=AUTO_RECEIPT."
+        );
+        return;
+      }
     } else {
-      setBankAttachError("targetType must be SETTLEMENT or UNAPPLIED_CASH.");
+      setBankAttachError("targetType must be SETTLEMENT, UNAPPLIED_CASH or AUTO_RECEIPT.");
       return;
     }
 
@@ -1189,6 +1200,13 @@ export default function CariSettlementsPage() {
       setBankAttachResult(response);
       if (response?.idempotentReplay) {
         setBankAttachMessage("Bu istek daha once uygulanmis; mevcut sonuc gosteriliyor.");
+      } else if (response?.autoReceipt) {
+        const payer = response.autoReceipt.identification;
+        setBankAttachMessage(
+          `AR receipt created for ${payer?.counterpartyCode || payer?.counterpartyId || "-"} (${
+            response.autoReceipt.allocationMode || "-"
+          }).`
+        );
       } else {
         setBankAttachMessage("Bank attach completed.");
       }
@@ -2135,6 +2153,7 @@ export default function CariSettlementsPage() {
             >
               <option value="SETTLEMENT">SETTLEMENT</option>
               <option value="UNAPPLIED_CASH">UNAPPLIED_CASH</option>
+              <option value="AUTO_RECEIPT">AUTO_RECEIPT (virtual account)</option>
             </select>
           </label>
           <label className="text-xs font-semibold uppercase tracking-wide text-slate-600">
@@ -2150,7 +2169,7 @@ export default function CariSettlementsPage() {
               disabled={
                 !canBankAttach ||
                 bankAttachSubmitting ||
-                String(bankAttachForm.targetType || "") === "UNAPPLIED_CASH"
+                String(bankAttachForm.targetType || "") !== "SETTLEMENT"
               }
             />
           </label>
@@ -2167,7 +2186,7 @@ export default function CariSettlementsPage() {
               disabled={
                 !canBankAttach ||
                 bankAttachSubmitting ||
-                String(bankAttachForm.targetType || "") === "SETTLEMENT"
+                String(bankAttachForm.targetType || "") !== "UNAPPLIED_CASH"
               }
             />
           </label>
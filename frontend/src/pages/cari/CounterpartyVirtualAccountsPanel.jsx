@@ -0,0 +1,216 @@
+import { useEffect, useState } from "react";
+import {
+  createCariCounterpartyVirtualAccount,
+  listCariCounterpartyVirtualAccounts,
+  updateCariCounterpartyVirtualAccountStatus,
+} from "../../api/cariCounterparty.js";
+import { mapCounterpartyApiError } from "./counterpartyFormUtils.js";
+
+const IDENTIFIER_TYPES = [
+  { value: "VIRTUAL_IBAN", label: "Virtual IBAN" },
+  { value: "IBAN_SUFFIX", label: "IBAN suffix" },
+  { value: "REFERENCE_CODE", label: "Reference code" },
+  { value: "REFERENCE_PATTERN", label: "Reference pattern (* ? #)" },
+];
+
+const EMPTY_FORM = {
+  identifierType: "VIRTUAL_IBAN",
+  identifierValue: "",
+  bankAccountId: "",
+};
+
+export default function CounterpartyVirtualAccountsPanel({ counterpartyId, canUpsert }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  async function loadRows() {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await listCariCounterpartyVirtualAccounts(counterpartyId);
+      setRows(Array.isArray(response?.rows) ? response.rows : []);
+    } catch (err) {
+      setRows([]);
+      setError(mapCounterpartyApiError(err, "Failed to load virtual accounts."));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    setForm(EMPTY_FORM);
+    setMessage("");
+    loadRows();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [counterpartyId]);
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      await createCariCounterpartyVirtualAccount(counterpartyId, {
+        identifierType: form.identifierType,
+        identifierValue: form.identifierValue,
+        bankAccountId: form.bankAccountId ? Number(form.bankAccountId) : undefined,
+      });
+      setForm(EMPTY_FORM);
+      setMessage("Identifier added.");
+      await loadRows();
+    } catch (err) {
+      setError(mapCounterpartyApiError(err, "Failed to add identifier."));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleToggleStatus(row) {
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      await updateCariCounterpartyVirtualAccountStatus(
+        counterpartyId,
+        row.id,
+        row.status === "ACTIVE" ? "INACTIVE" : "ACTIVE"
+      );
+      await loadRows();
+    } catch (err) {
+      setError(mapCounterpartyApiError(err, "Failed to update identifier status."));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <section className="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">
+      <h2 className="text-base font-semibold text-slate-900">
+        Virtual Accounts & Collection References
+      </h2>
+      <p className="mt-1 text-sm text-slate-600">
+        Incoming bank lines carrying one of these identifiers are assigned to this counterparty
+        and booked as AR receipts.
+      </p>
+
+      {error ? (
+        <div className="mt-3 rounded-md border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+          {error}
+        </div>
+      ) : null}
+      {message ? (
+        <div className="mt-3 rounded-md border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full divide-y divide-slate-200 text-sm">
+          <thead className="bg-slate-50">
+            <tr>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Type</th>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Identifier</th>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Bank Account</th>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Status</th>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Note</th>
+              <th className="px-3 py-2 text-left font-semibold text-slate-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {rows.map((row) => (
+              <tr key={`virtual-account-${row.id}`}>
+                <td className="px-3 py-2">{row.identifierType}</td>
+                <td className="px-3 py-2 font-mono">{row.identifierValue}</td>
+                <td className="px-3 py-2">{row.bankAccountCode || "Any"}</td>
+                <td className="px-3 py-2">{row.status}</td>
+                <td className="px-3 py-2">{row.note || "-"}</td>
+                <td className="px-3 py-2">
+                  <button
+                    type="button"
+                    className="rounded-md border border-slate-300 px-2 py-1 text-xs font-semibold text-slate-700 disabled:opacity-50"
+                    onClick={() => handleToggleStatus(row)}
+                    disabled={!canUpsert || saving}
+                  >
+                    {row.status === "ACTIVE" ? "Deactivate" : "Activate"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 ? (
+              <tr>
+                <td className="px-3 py-3 text-slate-500" colSpan={6}>
+                  {loading ? "Loading..." : "No identifiers registered."}
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+
+      {canUpsert ? (
+        <form className="mt-4 grid gap-3 md:grid-cols-5" onSubmit={handleCreate}>
+          <div>
+            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-600">
+              Type
+            </label>
+            <select
+              className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+              value={form.identifierType}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, identifierType: event.target.value }))
+              }
+            >
+              {IDENTIFIER_TYPES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-600">
+              Identifier
+            </label>
+            <input
+              className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+              value={form.identifierValue}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, identifierValue: event.target.value }))
+              }
+              placeholder="TR.. / 123456 / ABC-001 / MUS-####"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-semibold uppercase tracking-wide text-slate-600">
+              Bank Account Id
+            </label>
+            <input
+              className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+              type="number"
+              min="1"
+              value={form.bankAccountId}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, bankAccountId: event.target.value }))
+              }
+              placeholder="Any"
+            />
+          </div>
+          <div className="flex items-end">
+            <button
+              type="submit"
+              className="w-full rounded-md bg-slate-900 px-3 py-2 text-sm font-semibold text-white disabled:opacity-50"
+              disabled={saving || !form.identifierValue.trim()}
+            >
+              {saving ? "Saving..." : "Add Identifier"}
+            </button>
+          </div>
+        </form>
+      ) : null}
+    </section>
+  );
+}
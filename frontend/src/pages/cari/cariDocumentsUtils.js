@@ -19,6 +19,8 @@ export const DOCUMENT_TYPES = [
 
 export const DUE_DATE_REQUIRED_TYPES = new Set(["INVOICE", "DEBIT_NOTE"]);
 
+export const LINE_ITEM_DOCUMENT_TYPES = new Set(["INVOICE", "DEBIT_NOTE", "CREDIT_NOTE"]);
+
 export function buildDocumentListQuery(filters) {
   return {
     legalEntityId: filters.legalEntityId || undefined,
@@ -51,7 +53,67 @@ export function toOptionalNumber(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
+export function supportsDocumentLines(documentType) {
+  return LINE_ITEM_DOCUMENT_TYPES.has(String(documentType || "").toUpperCase());
+}
+
+export function createEmptyDocumentLine() {
+  return {
+    description: "",
+    quantity: "1",
+    unitPrice: "",
+    discountPct: "",
+    taxCode: "",
+    accountId: "",
+    operatingUnitId: "",
+  };
+}
+
+function toFormString(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function mapDocumentLineToForm(line) {
+  return {
+    description: String(line?.description || ""),
+    quantity: toFormString(line?.quantity),
+    unitPrice: toFormString(line?.unitPrice),
+    discountPct: line?.discountPct ? String(line.discountPct) : "",
+    taxCode: String(line?.taxCode || ""),
+    accountId: line?.accountId ? String(line.accountId) : "",
+    operatingUnitId: line?.operatingUnitId ? String(line.operatingUnitId) : "",
+  };
+}
+
+export function buildDocumentLinePayload(line) {
+  return {
+    description: String(line.description || "").trim(),
+    quantity: toOptionalNumber(line.quantity) ?? 1,
+    unitPrice: toOptionalNumber(line.unitPrice),
+    discountPct: toOptionalNumber(line.discountPct) ?? 0,
+    taxCode:
+      String(line.taxCode || "")
+        .trim()
+        .toUpperCase() || null,
+    accountId: toPositiveInt(line.accountId),
+    operatingUnitId: toPositiveInt(line.operatingUnitId),
+  };
+}
+
+// Net preview only; VAT is resolved server-side from the effective tax code version.
+export function computeDocumentLineNetTotal(lines) {
+  return (lines || []).reduce((sum, line) => {
+    const payload = buildDocumentLinePayload(line);
+    if (payload.unitPrice === null) {
+      return sum;
+    }
+    return sum + payload.quantity * payload.unitPrice * (1 - payload.discountPct / 100);
+  }, 0);
+}
+
 export function mapDocumentRowToForm(row) {
+  // Line-based documents derive their totals server-side, so header amounts start blank.
+  const hasLines = Array.isArray(row?.lines) && row.lines.length > 0;
   return {
     legalEntityId: String(row?.legalEntityId || ""),
     counterpartyId: String(row?.counterpartyId || ""),
@@ -61,11 +123,11 @@ export function mapDocumentRowToForm(row) {
     documentDate: String(row?.documentDate || ""),
     dueDate: String(row?.dueDate || ""),
     amountTxn:
-      row?.amountTxn === null || row?.amountTxn === undefined
+      hasLines || row?.amountTxn === null || row?.amountTxn === undefined
         ? ""
         : String(row.amountTxn),
     amountBase:
-      row?.amountBase === null || row?.amountBase === undefined
+      hasLines || row?.amountBase === null || row?.amountBase === undefined
         ? ""
         : String(row.amountBase),
     currencyCode: String(row?.currencyCode || ""),
@@ -73,6 +135,8 @@ export function mapDocumentRowToForm(row) {
       row?.fxRate === null || row?.fxRate === undefined
         ? ""
         : String(row.fxRate),
+    taxCode: String(row?.taxCode || ""),
+    lines: Array.isArray(row?.lines) ? row.lines.map(mapDocumentLineToForm) : [],
   };
 }
 
@@ -90,6 +154,9 @@ export function buildDocumentMutationPayload(form) {
   const currencyCode = String(form.currencyCode || "")
     .trim()
     .toUpperCase();
+  const taxCode = String(form.taxCode || "")
+    .trim()
+    .toUpperCase();
 
   return {
     legalEntityId,
@@ -103,6 +170,8 @@ export function buildDocumentMutationPayload(form) {
     amountBase,
     currencyCode,
     fxRate,
+    taxCode: taxCode || null,
+    lines: (form.lines || []).map(buildDocumentLinePayload),
   };
 }
 
@@ -127,11 +196,38 @@ export function validateDocumentMutationForm(form) {
   if (requiresDueDate(payload.documentType) && !payload.dueDate) {
     errors.push(`dueDate is required for documentType=${payload.documentType}.`);
   }
-  if (payload.amountTxn === null || payload.amountTxn <= 0) {
-    errors.push("amountTxn must be > 0.");
-  }
-  if (payload.amountBase === null || payload.amountBase <= 0) {
-    errors.push("amountBase must be > 0.");
+  if (payload.lines.length > 0) {
+    if (!supportsDocumentLines(payload.documentType)) {
+      errors.push(`lines are not allowed for documentType=${payload.documentType}.`);
+    }
+    payload.lines.forEach((line, index) => {
+      const label = `Line ${index + 1}`;
+      if (!line.description) {
+        errors.push(`${label}: description is required.`);
+      }
+      if (line.quantity <= 0) {
+        errors.push(`${label}: quantity must be > 0.`);
+      }
+      if (line.unitPrice === null || line.unitPrice < 0) {
+        errors.push(`${label}: unitPrice must be >= 0.`);
+      }
+      if (line.discountPct < 0 || line.discountPct > 100) {
+        errors.push(`${label}: discountPct must be between 0 and 100.`);
+      }
+    });
+    if (payload.amountTxn !== null && payload.amountTxn <= 0) {
+      errors.push("amountTxn must be > 0 when provided.");
+    }
+    if (payload.amountBase !== null && payload.amountBase <= 0) {
+      errors.push("amountBase must be > 0 when provided.");
+    }
+  } else {
+    if (payload.amountTxn === null || payload.amountTxn <= 0) {
+      errors.push("amountTxn must be > 0.");
+    }
+    if (payload.amountBase === null || payload.amountBase <= 0) {
+      errors.push("amountBase must be > 0.");
+    }
   }
   if (!/^[A-Z]{3}$/.test(payload.currencyCode)) {
     errors.push("currencyCode must be a 3-letter code.");
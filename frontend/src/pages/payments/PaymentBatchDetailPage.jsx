@@ -40,6 +40,20 @@ function canApproveStatus(status) {
   return status === "DRAFT";
 }
 
+const PAYMENT_FILE_FORMAT_OPTIONS = [
+  { value: "GENERIC_CSV_V1", label: "Generic CSV" },
+  { value: "PAIN001_V03", label: "ISO 20022 pain.001.001.03" },
+  { value: "PAIN001_V09", label: "ISO 20022 pain.001.001.09" },
+];
+
+const CHARGE_BEARER_OPTIONS = ["SHAR", "SLEV", "DEBT", "CRED"];
+
+const ACK_FILE_FORMAT_OPTIONS = [
+  { value: "GENERIC_CSV_V1", label: "Generic CSV", fileName: "ack.csv" },
+  { value: "PAIN002", label: "ISO 20022 pain.002 (durum raporu)", fileName: "pain002.xml" },
+  { value: "CAMT054", label: "ISO 20022 camt.054 (borc bildirimi)", fileName: "camt054.xml" },
+];
+
 function canExportStatus(status) {
   return status === "APPROVED" || status === "EXPORTED";
 }
@@ -70,7 +84,11 @@ export default function PaymentBatchDetailPage() {
   const [error, setError] = useState("");
   const [message, setMessage] = useState("");
   const [exportPreview, setExportPreview] = useState("");
+  const [exportFileFormatCode, setExportFileFormatCode] = useState("");
+  const [requestedExecutionDate, setRequestedExecutionDate] = useState("");
+  const [chargeBearer, setChargeBearer] = useState("");
   const [ackText, setAckText] = useState("");
+  const [ackFileFormatCode, setAckFileFormatCode] = useState("GENERIC_CSV_V1");
   const [ackRequestId, setAckRequestId] = useState("");
   const [ackFileName, setAckFileName] = useState("ack.csv");
   const [ackImports, setAckImports] = useState([]);
@@ -162,11 +180,22 @@ export default function PaymentBatchDetailPage() {
     const res = await runAction("export", () =>
       canBankExportB06
         ? exportPaymentBatchFile(row.id, {
-            fileFormatCode: "GENERIC_CSV_V1",
+            fileFormatCode: exportFileFormatCode || undefined,
+            requestedExecutionDate: requestedExecutionDate || undefined,
+            chargeBearer: chargeBearer || undefined,
             exportRequestId: exportRequestId || undefined,
             markSent,
           })
-        : exportPaymentBatch(row.id, { format: "CSV" })
+        : exportPaymentBatch(row.id, {
+            format: exportFileFormatCode
+              ? exportFileFormatCode.startsWith("PAIN001")
+                ? "XML"
+                : "CSV"
+              : undefined,
+            fileFormatCode: exportFileFormatCode || undefined,
+            requestedExecutionDate: requestedExecutionDate || undefined,
+            chargeBearer: chargeBearer || undefined,
+          })
     );
     if (res) {
       if (res?.approval_required) {
@@ -178,8 +207,10 @@ export default function PaymentBatchDetailPage() {
             : "B09 onay talebi olusturuldu. Export onaydan sonra calisacak."
         );
       } else {
-        setExportPreview(String(res?.export?.csv || ""));
-        setMessage(canBankExportB06 ? "B06 banka export olusturuldu" : "CSV export olusturuldu");
+        setExportPreview(
+          String(res?.export?.payload_text || res?.export?.export_payload_text || res?.export?.csv || "")
+        );
+        setMessage(canBankExportB06 ? "B06 banka export olusturuldu" : "Export olusturuldu");
       }
     }
   }
@@ -189,19 +220,24 @@ export default function PaymentBatchDetailPage() {
       return;
     }
     if (!ackText.trim()) {
-      setError("Ack CSV metni gerekli");
+      setError("Ack dosya metni gerekli");
       return;
     }
     const res = await runAction("ack-import", () =>
       importPaymentBatchAck(row.id, {
-        fileFormatCode: "GENERIC_CSV_V1",
+        fileFormatCode: ackFileFormatCode,
         ackRequestId: ackRequestId || undefined,
         fileName: ackFileName || undefined,
         ackText,
       })
     );
     if (res) {
-      setMessage("Banka ack dosyasi ice aktarildi");
+      const returnEventsCreated = Number(res?.ack_import?.payload_json?.return_events_created || 0);
+      setMessage(
+        returnEventsCreated > 0
+          ? `Banka ack dosyasi ice aktarildi (${returnEventsCreated} iade/red olayi)`
+          : "Banka ack dosyasi ice aktarildi"
+      );
     }
   }
 
@@ -375,7 +411,7 @@ export default function PaymentBatchDetailPage() {
                   ? "Export..."
                   : canBankExportB06
                     ? "Bank Export (B06)"
-                    : "CSV Export"}
+                    : "Export"}
               </button>
               <button
                 type="button"
@@ -395,6 +431,53 @@ export default function PaymentBatchDetailPage() {
               </button>
             </div>
 
+            <div className="mt-3 flex flex-wrap items-end gap-3 text-sm">
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-slate-500">Dosya Formati</span>
+                <select
+                  className="rounded border px-2 py-1"
+                  value={exportFileFormatCode}
+                  onChange={(event) => setExportFileFormatCode(event.target.value)}
+                >
+                  <option value="">
+                    Banka hesabi varsayilani
+                    {row.bank_account_payment_file_format_code
+                      ? ` (${row.bank_account_payment_file_format_code})`
+                      : ""}
+                  </option>
+                  {PAYMENT_FILE_FORMAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-slate-500">Talep Edilen Odeme Tarihi</span>
+                <input
+                  type="date"
+                  className="rounded border px-2 py-1"
+                  value={requestedExecutionDate}
+                  onChange={(event) => setRequestedExecutionDate(event.target.value)}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-xs text-slate-500">Masraf (ChrgBr)</span>
+                <select
+                  className="rounded border px-2 py-1"
+                  value={chargeBearer}
+                  onChange={(event) => setChargeBearer(event.target.value)}
+                >
+                  <option value="">Varsayilan</option>
+                  {CHARGE_BEARER_OPTIONS.map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
             <div className="mt-2 flex flex-wrap gap-3 text-xs text-slate-500">
               {!canApprove ? <span>approve yetkisi yok</span> : null}
               {!canExport ? <span>export yetkisi yok</span> : null}
@@ -531,7 +614,29 @@ export default function PaymentBatchDetailPage() {
           <h2 className="mb-2 font-medium">Banka Ack Import (B06)</h2>
           {canBankAckImport ? (
             <div className="space-y-2 text-sm">
-              <div className="grid gap-2 md:grid-cols-2">
+              <div className="grid gap-2 md:grid-cols-3">
+                <label className="block">
+                  <div className="mb-1 text-xs text-slate-500">Ack Formati</div>
+                  <select
+                    className="w-full rounded border px-2 py-1"
+                    value={ackFileFormatCode}
+                    onChange={(e) => {
+                      const next = ACK_FILE_FORMAT_OPTIONS.find(
+                        (option) => option.value === e.target.value
+                      );
+                      setAckFileFormatCode(e.target.value);
+                      if (next) {
+                        setAckFileName(next.fileName);
+                      }
+                    }}
+                  >
+                    {ACK_FILE_FORMAT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
                 <label className="block">
                   <div className="mb-1 text-xs text-slate-500">Ack Request Id (opsiyonel)</div>
                   <input
@@ -553,7 +658,9 @@ export default function PaymentBatchDetailPage() {
               </div>
               <label className="block">
                 <div className="mb-1 text-xs text-slate-500">
-                  Ack CSV (line_ref veya batch_no+line_no + ack_status)
+                  {ackFileFormatCode === "GENERIC_CSV_V1"
+                    ? "Ack CSV (line_ref veya batch_no+line_no + ack_status)"
+                    : "Ack XML (EndToEndId ile eslestirilir)"}
                 </div>
                 <textarea
                   className="min-h-[160px] w-full rounded border p-2 font-mono text-xs"
@@ -77,6 +77,42 @@ const COMPONENT_OPTIONS = [
     label: "Other Deductions Payable",
     help: "Other payroll deductions to third parties.",
   },
+  {
+    code: "SEVERANCE_PROVISION_EXPENSE",
+    side: "DEBIT",
+    label: "Severance Provision Expense",
+    help: "Period change of the kidem tazminati provision.",
+  },
+  {
+    code: "SEVERANCE_PROVISION_LIABILITY",
+    side: "CREDIT",
+    label: "Severance Provision Liability",
+    help: "Accrued kidem tazminati obligation.",
+  },
+  {
+    code: "NOTICE_PROVISION_EXPENSE",
+    side: "DEBIT",
+    label: "Notice Provision Expense",
+    help: "Period change of the ihbar tazminati provision.",
+  },
+  {
+    code: "NOTICE_PROVISION_LIABILITY",
+    side: "CREDIT",
+    label: "Notice Provision Liability",
+    help: "Accrued ihbar tazminati obligation.",
+  },
+  {
+    code: "LEAVE_PROVISION_EXPENSE",
+    side: "DEBIT",
+    label: "Unused Leave Provision Expense",
+    help: "Period change of the unused annual leave provision.",
+  },
+  {
+    code: "LEAVE_PROVISION_LIABILITY",
+    side: "CREDIT",
+    label: "Unused Leave Provision Liability",
+    help: "Accrued unused annual leave obligation.",
+  },
 ];
 
 function toPositiveInt(value) {
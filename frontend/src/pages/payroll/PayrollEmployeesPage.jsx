@@ -0,0 +1,623 @@
+import { useState } from "react";
+import { useAuth } from "../../auth/useAuth.js";
+import {
+  createPayrollEmployee,
+  getPayrollEmployee,
+  listPayrollEmployees,
+  recordPayrollEmployeeChange,
+  recordPayrollEmployeeLeaveEntry,
+} from "../../api/payrollEmployees.js";
+
+const CHANGE_TYPES = ["TRANSFER", "SALARY_CHANGE", "POSITION_CHANGE", "UPDATE", "TERMINATION", "REHIRE"];
+
+const EMPTY_CHANGE_FORM = {
+  changeType: "TRANSFER",
+  effectiveFrom: "",
+  operatingUnitId: "",
+  costCenterCode: "",
+  positionTitle: "",
+  baseSalary: "",
+  salaryCurrencyCode: "",
+  terminationReason: "",
+  note: "",
+};
+
+const EMPTY_LEAVE_FORM = {
+  entryType: "USED",
+  entryDate: "",
+  days: "",
+  note: "",
+};
+
+function formatDate(value) {
+  if (!value) return "-";
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return String(value);
+  return parsed.toISOString().slice(0, 10);
+}
+
+// Only filled attributes are sent so the backend carries the rest forward from the prior history row.
+function buildChangePayload(form) {
+  const payload = {
+    changeType: form.changeType,
+    effectiveFrom: form.effectiveFrom,
+    note: form.note || undefined,
+  };
+  if (form.changeType === "TERMINATION") {
+    payload.terminationReason = form.terminationReason;
+  }
+  for (const key of ["operatingUnitId", "costCenterCode", "positionTitle", "baseSalary", "salaryCurrencyCode"]) {
+    if (String(form[key] || "").trim() !== "") payload[key] = form[key];
+  }
+  return payload;
+}
+
+export default function PayrollEmployeesPage() {
+  const { hasPermission } = useAuth();
+  const canRead = hasPermission("payroll.employee.read");
+  const canWrite = hasPermission("payroll.employee.write");
+
+  const [filters, setFilters] = useState({
+    legalEntityId: "",
+    status: "",
+    asOfDate: "",
+    q: "",
+  });
+  const [createForm, setCreateForm] = useState({
+    legalEntityId: "",
+    employeeCode: "",
+    fullName: "",
+    nationalId: "",
+    sgkNumber: "",
+    hireDate: "",
+    operatingUnitId: "",
+    costCenterCode: "",
+    positionTitle: "",
+    baseSalary: "",
+    salaryCurrencyCode: "TRY",
+  });
+  const [changeForm, setChangeForm] = useState(EMPTY_CHANGE_FORM);
+  const [leaveForm, setLeaveForm] = useState(EMPTY_LEAVE_FORM);
+  const [rows, setRows] = useState([]);
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function loadRows() {
+    if (!canRead) return;
+    setLoading(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await listPayrollEmployees({
+        legalEntityId: filters.legalEntityId || undefined,
+        status: filters.status || undefined,
+        asOfDate: filters.asOfDate || undefined,
+        q: filters.q || undefined,
+      });
+      setRows(res?.rows || []);
+    } catch (err) {
+      setRows([]);
+      setError(err?.response?.data?.message || "Calisan listesi yuklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadDetail(employeeId) {
+    setError("");
+    try {
+      const res = await getPayrollEmployee(employeeId);
+      setDetail(res);
+      setChangeForm(EMPTY_CHANGE_FORM);
+      setLeaveForm(EMPTY_LEAVE_FORM);
+    } catch (err) {
+      setDetail(null);
+      setError(err?.response?.data?.message || "Calisan detayi yuklenemedi");
+    }
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!canWrite) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await createPayrollEmployee({
+        ...createForm,
+        legalEntityId: Number(createForm.legalEntityId),
+        operatingUnitId: createForm.operatingUnitId ? Number(createForm.operatingUnitId) : undefined,
+        baseSalary: createForm.baseSalary || undefined,
+      });
+      setMessage(`Calisan ${res?.row?.employee_code || ""} olusturuldu.`);
+      setDetail(res);
+      await loadRows();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Calisan olusturulamadi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRecordChange(e) {
+    e.preventDefault();
+    if (!canWrite || !detail?.row) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await recordPayrollEmployeeChange(detail.row.id, buildChangePayload(changeForm));
+      setMessage(`${changeForm.changeType} kaydedildi.`);
+      setDetail(res);
+      setChangeForm(EMPTY_CHANGE_FORM);
+      await loadRows();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Degisiklik kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRecordLeave(e) {
+    e.preventDefault();
+    if (!canWrite || !detail?.row) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await recordPayrollEmployeeLeaveEntry(detail.row.id, {
+        ...leaveForm,
+        days: Number(leaveForm.days),
+        note: leaveForm.note || undefined,
+      });
+      setMessage("Izin kaydi eklendi.");
+      setDetail(res);
+      setLeaveForm(EMPTY_LEAVE_FORM);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Izin kaydi eklenemedi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold text-slate-900">Payroll Employees</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          Calisan master kaydi ve tarihli istihdam gecmisi (transfer, ucret, pozisyon, cikis, yeniden giris).
+        </p>
+      </div>
+
+      {!canRead ? (
+        <div className="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+          Missing permission: <code>payroll.employee.read</code>
+        </div>
+      ) : null}
+      {error ? (
+        <div className="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-800">
+          {error}
+        </div>
+      ) : null}
+      {message ? (
+        <div className="rounded border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="grid gap-6 xl:grid-cols-[1.2fr_1.2fr]">
+        <div className="space-y-6">
+          <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="text-sm font-semibold text-slate-900">Employees</h2>
+            <div className="mt-3 grid gap-3 md:grid-cols-2">
+              <input
+                value={filters.legalEntityId}
+                onChange={(e) => setFilters((p) => ({ ...p, legalEntityId: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="legalEntityId"
+              />
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters((p) => ({ ...p, status: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              >
+                <option value="">ALL</option>
+                <option value="ACTIVE">ACTIVE</option>
+                <option value="TERMINATED">TERMINATED</option>
+              </select>
+              <input
+                type="date"
+                value={filters.asOfDate}
+                onChange={(e) => setFilters((p) => ({ ...p, asOfDate: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              />
+              <input
+                value={filters.q}
+                onChange={(e) => setFilters((p) => ({ ...p, q: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="code / name / SGK no"
+              />
+            </div>
+            <div className="mt-3">
+              <button
+                type="button"
+                onClick={loadRows}
+                disabled={!canRead || loading}
+                className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+              >
+                {loading ? "Loading..." : "Load"}
+              </button>
+            </div>
+
+            <div className="mt-4 overflow-auto">
+              <table className="min-w-full border-collapse text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="p-2 text-left">Code</th>
+                    <th className="p-2 text-left">Name</th>
+                    <th className="p-2 text-left">Unit / Position</th>
+                    <th className="p-2 text-left">Employment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr
+                      key={row.id}
+                      className={`border-b ${Number(row.id) === Number(detail?.row?.id) ? "bg-slate-50" : ""}`}
+                    >
+                      <td className="p-2">
+                        <button type="button" className="underline" onClick={() => loadDetail(row.id)}>
+                          {row.employee_code}
+                        </button>
+                        <div className="text-xs text-slate-500">{row.legal_entity_code}</div>
+                      </td>
+                      <td className="p-2">{row.full_name}</td>
+                      <td className="p-2">
+                        <div>{row.operating_unit_code || "-"}</div>
+                        <div className="text-xs text-slate-500">{row.position_title || "-"}</div>
+                      </td>
+                      <td className="p-2">
+                        <div>{row.status}</div>
+                        <div className="text-xs text-slate-500">
+                          {formatDate(row.hire_date)} - {formatDate(row.termination_date)}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                  {rows.length === 0 ? (
+                    <tr>
+                      <td className="p-3 text-slate-500" colSpan={4}>
+                        No records.
+                      </td>
+                    </tr>
+                  ) : null}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <form onSubmit={handleCreate} className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="text-sm font-semibold text-slate-900">Hire Employee</h2>
+            <div className="mt-3 grid gap-3 md:grid-cols-2">
+              <input
+                value={createForm.legalEntityId}
+                onChange={(e) => setCreateForm((p) => ({ ...p, legalEntityId: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="legalEntityId *"
+                required
+              />
+              <input
+                value={createForm.employeeCode}
+                onChange={(e) => setCreateForm((p) => ({ ...p, employeeCode: e.target.value.toUpperCase() }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="employeeCode *"
+                required
+              />
+              <input
+                value={createForm.fullName}
+                onChange={(e) => setCreateForm((p) => ({ ...p, fullName: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="fullName *"
+                required
+              />
+              <input
+                type="date"
+                value={createForm.hireDate}
+                onChange={(e) => setCreateForm((p) => ({ ...p, hireDate: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                required
+              />
+              <input
+                value={createForm.nationalId}
+                onChange={(e) => setCreateForm((p) => ({ ...p, nationalId: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="nationalId"
+              />
+              <input
+                value={createForm.sgkNumber}
+                onChange={(e) => setCreateForm((p) => ({ ...p, sgkNumber: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="sgkNumber"
+              />
+              <input
+                value={createForm.operatingUnitId}
+                onChange={(e) => setCreateForm((p) => ({ ...p, operatingUnitId: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="operatingUnitId"
+              />
+              <input
+                value={createForm.costCenterCode}
+                onChange={(e) => setCreateForm((p) => ({ ...p, costCenterCode: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="costCenterCode"
+              />
+              <input
+                value={createForm.positionTitle}
+                onChange={(e) => setCreateForm((p) => ({ ...p, positionTitle: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="positionTitle"
+              />
+              <div className="flex gap-2">
+                <input
+                  value={createForm.baseSalary}
+                  onChange={(e) => setCreateForm((p) => ({ ...p, baseSalary: e.target.value }))}
+                  className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="baseSalary"
+                />
+                <input
+                  value={createForm.salaryCurrencyCode}
+                  onChange={(e) =>
+                    setCreateForm((p) => ({ ...p, salaryCurrencyCode: e.target.value.toUpperCase() }))
+                  }
+                  className="w-20 rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="CCY"
+                />
+              </div>
+            </div>
+            <div className="mt-3">
+              <button
+                type="submit"
+                disabled={!canWrite || saving}
+                className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+              >
+                {saving ? "Saving..." : "Hire"}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        <div className="space-y-6">
+          <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="text-sm font-semibold text-slate-900">Employment History</h2>
+            {!detail?.row ? (
+              <div className="mt-4 rounded border border-slate-200 bg-slate-50 px-3 py-2 text-sm text-slate-600">
+                Select an employee from the list.
+              </div>
+            ) : (
+              <>
+                <p className="mt-1 text-xs text-slate-500">
+                  {detail.row.employee_code} | {detail.row.full_name} | TCKN {detail.row.national_id_masked || "-"} |
+                  SGK {detail.row.sgk_number || "-"}
+                </p>
+                <div className="mt-3 overflow-auto">
+                  <table className="min-w-full border-collapse text-sm">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="p-2 text-left">Effective</th>
+                        <th className="p-2 text-left">Change</th>
+                        <th className="p-2 text-left">Unit / Cost Center</th>
+                        <th className="p-2 text-left">Position</th>
+                        <th className="p-2 text-right">Salary</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {(detail.history || []).map((row) => (
+                        <tr key={row.id} className="border-b">
+                          <td className="p-2">
+                            {formatDate(row.effective_from)} - {formatDate(row.effective_to)}
+                          </td>
+                          <td className="p-2">
+                            <div>{row.change_type}</div>
+                            <div className="text-xs text-slate-500">{row.note || ""}</div>
+                          </td>
+                          <td className="p-2">
+                            <div>{row.operating_unit_code || "-"}</div>
+                            <div className="text-xs text-slate-500">{row.cost_center_code || "-"}</div>
+                          </td>
+                          <td className="p-2">{row.position_title || "-"}</td>
+                          <td className="p-2 text-right">
+                            {row.base_salary ?? "-"} {row.salary_currency_code || ""}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="mt-3 text-xs text-slate-500">
+                  Linked beneficiary accounts: {(detail.beneficiary_accounts || []).length}
+                </div>
+                <h3 className="mt-4 text-sm font-semibold text-slate-900">Leave Entries</h3>
+                <div className="mt-2 overflow-auto">
+                  <table className="min-w-full border-collapse text-sm">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="p-2 text-left">Date</th>
+                        <th className="p-2 text-left">Type</th>
+                        <th className="p-2 text-right">Days</th>
+                        <th className="p-2 text-left">Note</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {(detail.leave_entries || []).map((row) => (
+                        <tr key={row.id} className="border-b">
+                          <td className="p-2">{formatDate(row.entry_date)}</td>
+                          <td className="p-2">{row.entry_type}</td>
+                          <td className="p-2 text-right">{row.days}</td>
+                          <td className="p-2">{row.note || "-"}</td>
+                        </tr>
+                      ))}
+                      {(detail.leave_entries || []).length === 0 ? (
+                        <tr>
+                          <td className="p-3 text-slate-500" colSpan={4}>
+                            No leave entries.
+                          </td>
+                        </tr>
+                      ) : null}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+
+          {detail?.row && canWrite ? (
+            <form
+              onSubmit={handleRecordChange}
+              className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm"
+            >
+              <h2 className="text-sm font-semibold text-slate-900">Record Change</h2>
+              <p className="mt-1 text-xs text-slate-500">
+                Bos birakilan alanlar onceki kayittan tasinir.
+              </p>
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                <select
+                  value={changeForm.changeType}
+                  onChange={(e) => setChangeForm((p) => ({ ...p, changeType: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                >
+                  {CHANGE_TYPES.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="date"
+                  value={changeForm.effectiveFrom}
+                  onChange={(e) => setChangeForm((p) => ({ ...p, effectiveFrom: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  required
+                />
+                {changeForm.changeType === "TERMINATION" ? (
+                  <input
+                    value={changeForm.terminationReason}
+                    onChange={(e) => setChangeForm((p) => ({ ...p, terminationReason: e.target.value }))}
+                    className="rounded border border-slate-300 px-2 py-1.5 text-sm md:col-span-2"
+                    placeholder="terminationReason *"
+                    required
+                  />
+                ) : (
+                  <>
+                    <input
+                      value={changeForm.operatingUnitId}
+                      onChange={(e) => setChangeForm((p) => ({ ...p, operatingUnitId: e.target.value }))}
+                      className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                      placeholder="operatingUnitId"
+                    />
+                    <input
+                      value={changeForm.costCenterCode}
+                      onChange={(e) => setChangeForm((p) => ({ ...p, costCenterCode: e.target.value }))}
+                      className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                      placeholder="costCenterCode"
+                    />
+                    <input
+                      value={changeForm.positionTitle}
+                      onChange={(e) => setChangeForm((p) => ({ ...p, positionTitle: e.target.value }))}
+                      className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                      placeholder="positionTitle"
+                    />
+                    <div className="flex gap-2">
+                      <input
+                        value={changeForm.baseSalary}
+                        onChange={(e) => setChangeForm((p) => ({ ...p, baseSalary: e.target.value }))}
+                        className="w-full rounded border border-slate-300 px-2 py-1.5 text-sm"
+                        placeholder="baseSalary"
+                      />
+                      <input
+                        value={changeForm.salaryCurrencyCode}
+                        onChange={(e) =>
+                          setChangeForm((p) => ({ ...p, salaryCurrencyCode: e.target.value.toUpperCase() }))
+                        }
+                        className="w-20 rounded border border-slate-300 px-2 py-1.5 text-sm"
+                        placeholder="CCY"
+                      />
+                    </div>
+                  </>
+                )}
+                <input
+                  value={changeForm.note}
+                  onChange={(e) => setChangeForm((p) => ({ ...p, note: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm md:col-span-2"
+                  placeholder="note"
+                />
+              </div>
+              <div className="mt-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+                >
+                  {saving ? "Saving..." : "Record"}
+                </button>
+              </div>
+            </form>
+          ) : null}
+
+          {detail?.row && canWrite ? (
+            <form
+              onSubmit={handleRecordLeave}
+              className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm"
+            >
+              <h2 className="text-sm font-semibold text-slate-900">Record Leave</h2>
+              <p className="mt-1 text-xs text-slate-500">
+                USED kullanilan izin gunu; ADJUSTMENT hakedis disi ek/eksi gun (negatif olabilir).
+              </p>
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                <select
+                  value={leaveForm.entryType}
+                  onChange={(e) => setLeaveForm((p) => ({ ...p, entryType: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                >
+                  <option value="USED">USED</option>
+                  <option value="ADJUSTMENT">ADJUSTMENT</option>
+                </select>
+                <input
+                  type="date"
+                  value={leaveForm.entryDate}
+                  onChange={(e) => setLeaveForm((p) => ({ ...p, entryDate: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  required
+                />
+                <input
+                  value={leaveForm.days}
+                  onChange={(e) => setLeaveForm((p) => ({ ...p, days: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="days *"
+                  required
+                />
+                <input
+                  value={leaveForm.note}
+                  onChange={(e) => setLeaveForm((p) => ({ ...p, note: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="note"
+                />
+              </div>
+              <div className="mt-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+                >
+                  {saving ? "Saving..." : "Record"}
+                </button>
+              </div>
+            </form>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
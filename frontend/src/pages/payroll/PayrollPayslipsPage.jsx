@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { useAuth } from "../../auth/useAuth.js";
+import {
+  downloadPayrollPayslip,
+  generatePayrollRunPayslips,
+  listPayrollPayslips,
+} from "../../api/payrollPayslips.js";
+
+function formatDate(value) {
+  if (!value) return "-";
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return String(value);
+  return parsed.toISOString().slice(0, 10);
+}
+
+function formatAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return "-";
+  return parsed.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default function PayrollPayslipsPage() {
+  const { hasPermission } = useAuth();
+  const canRead = hasPermission("payroll.payslips.read");
+  const canGenerate = hasPermission("payroll.payslips.generate");
+  const canDownload = hasPermission("payroll.payslips.download");
+
+  const [filters, setFilters] = useState({ legalEntityId: "", runId: "", employeeCode: "" });
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function loadRows() {
+    if (!canRead) return;
+    setLoading(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await listPayrollPayslips({
+        legalEntityId: filters.legalEntityId || undefined,
+        runId: filters.runId || undefined,
+        employeeCode: filters.employeeCode || undefined,
+      });
+      setRows(res?.rows || []);
+    } catch (err) {
+      setRows([]);
+      setError(err?.response?.data?.message || "Bordro pusulalari yuklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleGenerate() {
+    if (!canGenerate || !filters.runId) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await generatePayrollRunPayslips(Number(filters.runId));
+      setMessage(`${res?.createdCount || 0} pusula olusturuldu, ${res?.existingCount || 0} mevcut.`);
+      await loadRows();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Bordro pusulalari olusturulamadi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDownload(row, format) {
+    if (!canDownload) return;
+    setError("");
+    try {
+      const blob = await downloadPayrollPayslip(row.id, format);
+      const period = String(row.payroll_period || "").slice(0, 7);
+      saveBlob(blob, `payslip-${row.employee_code}-${period}.${format === "PDF" ? "pdf" : "html"}`);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Bordro pusulasi indirilemedi");
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold text-slate-900">Payslips</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          Kesinlesen bordrolardan calisan bazli pusulalar; kimlik ve IBAN maskelenir, her indirme denetim kaydina yazilir.
+        </p>
+      </div>
+
+      {!canRead ? (
+        <div className="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+          Missing permission: <code>payroll.payslips.read</code>
+        </div>
+      ) : null}
+      {error ? (
+        <div className="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-800">
+          {error}
+        </div>
+      ) : null}
+      {message ? (
+        <div className="rounded border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+        <h2 className="text-sm font-semibold text-slate-900">Payslip Register</h2>
+        <div className="mt-3 grid gap-3 md:grid-cols-3">
+          <input
+            value={filters.legalEntityId}
+            onChange={(e) => setFilters((p) => ({ ...p, legalEntityId: e.target.value }))}
+            className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+            placeholder="legalEntityId"
+          />
+          <input
+            value={filters.runId}
+            onChange={(e) => setFilters((p) => ({ ...p, runId: e.target.value }))}
+            className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+            placeholder="runId"
+          />
+          <input
+            value={filters.employeeCode}
+            onChange={(e) => setFilters((p) => ({ ...p, employeeCode: e.target.value }))}
+            className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+            placeholder="employeeCode"
+          />
+        </div>
+        <div className="mt-3 flex gap-2">
+          <button
+            type="button"
+            onClick={loadRows}
+            disabled={!canRead || loading}
+            className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+          >
+            {loading ? "Loading..." : "Load"}
+          </button>
+          {canGenerate ? (
+            <button
+              type="button"
+              onClick={handleGenerate}
+              disabled={saving || !filters.runId}
+              className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+            >
+              {saving ? "Generating..." : "Generate Missing"}
+            </button>
+          ) : null}
+        </div>
+
+        <div className="mt-4 overflow-auto">
+          <table className="min-w-full border-collapse text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="p-2 text-left">Employee</th>
+                <th className="p-2 text-left">Period</th>
+                <th className="p-2 text-left">Run</th>
+                <th className="p-2 text-right">Gross</th>
+                <th className="p-2 text-right">Net</th>
+                <th className="p-2 text-right">YTD Net</th>
+                <th className="p-2 text-right">Employer Cost</th>
+                <th className="p-2 text-left">Masked IDs</th>
+                <th className="p-2 text-right">Downloads</th>
+                <th className="p-2 text-left" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} className="border-b">
+                  <td className="p-2">
+                    <div>{row.employee_code}</div>
+                    <div className="text-xs text-slate-500">{row.employee_name}</div>
+                  </td>
+                  <td className="p-2">{formatDate(row.payroll_period)}</td>
+                  <td className="p-2">
+                    <div>{row.run_no}</div>
+                    <div className="text-xs text-slate-500">{row.legal_entity_code}</div>
+                  </td>
+                  <td className="p-2 text-right">{formatAmount(row.gross_pay)}</td>
+                  <td className="p-2 text-right">
+                    {formatAmount(row.net_pay)} {row.currency_code}
+                  </td>
+                  <td className="p-2 text-right">{formatAmount(row.summary_json?.ytd?.net_pay)}</td>
+                  <td className="p-2 text-right">{formatAmount(row.total_employer_cost)}</td>
+                  <td className="p-2 text-xs text-slate-600">
+                    <div>{row.summary_json?.national_id_masked || "-"}</div>
+                    <div>{row.summary_json?.bank_account_masked || "-"}</div>
+                  </td>
+                  <td className="p-2 text-right">{row.download_count}</td>
+                  <td className="p-2">
+                    {canDownload ? (
+                      <div className="flex gap-2">
+                        <button type="button" className="underline" onClick={() => handleDownload(row, "PDF")}>
+                          PDF
+                        </button>
+                        <button type="button" className="underline" onClick={() => handleDownload(row, "HTML")}>
+                          HTML
+                        </button>
+                      </div>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+              {rows.length === 0 ? (
+                <tr>
+                  <td className="p-3 text-slate-500" colSpan={10}>
+                    No records.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,348 @@
+import { useState } from "react";
+import { useAuth } from "../../auth/useAuth.js";
+import {
+  calculatePayrollProvisionRun,
+  getPayrollProvisionRun,
+  listPayrollProvisionRuns,
+  postPayrollProvisionRun,
+} from "../../api/payrollProvisions.js";
+
+function formatDate(value) {
+  if (!value) return "-";
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return String(value);
+  return parsed.toISOString().slice(0, 10);
+}
+
+function formatAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return "-";
+  return parsed.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export default function PayrollProvisionsPage() {
+  const { hasPermission } = useAuth();
+  const canRead = hasPermission("payroll.provisions.read");
+  const canPost = hasPermission("payroll.provisions.post");
+
+  const [filters, setFilters] = useState({ legalEntityId: "", status: "" });
+  const [calcForm, setCalcForm] = useState({ legalEntityId: "", periodEndDate: "", currencyCode: "" });
+  const [rows, setRows] = useState([]);
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function loadRows() {
+    if (!canRead) return;
+    setLoading(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await listPayrollProvisionRuns({
+        legalEntityId: filters.legalEntityId || undefined,
+        status: filters.status || undefined,
+      });
+      setRows(res?.rows || []);
+    } catch (err) {
+      setRows([]);
+      setError(err?.response?.data?.message || "Karsilik listesi yuklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadDetail(runId) {
+    setError("");
+    try {
+      setDetail(await getPayrollProvisionRun(runId));
+    } catch (err) {
+      setDetail(null);
+      setError(err?.response?.data?.message || "Karsilik detayi yuklenemedi");
+    }
+  }
+
+  async function handleCalculate(e) {
+    e.preventDefault();
+    if (!canPost) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await calculatePayrollProvisionRun({
+        legalEntityId: Number(calcForm.legalEntityId),
+        periodEndDate: calcForm.periodEndDate,
+        currencyCode: calcForm.currencyCode || undefined,
+      });
+      setMessage(`${formatDate(res?.row?.period_end_date)} karsiligi hesaplandi (DRAFT).`);
+      setDetail(res);
+      await loadRows();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Karsilik hesaplanamadi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handlePost() {
+    if (!canPost || !detail?.row) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await postPayrollProvisionRun(detail.row.id);
+      setMessage(`Karsilik fisi ${res?.row?.accrual_journal_entry_id || "-"} olarak kaydedildi.`);
+      setDetail(res);
+      await loadRows();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Karsilik kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const run = detail?.row || null;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold text-slate-900">Payroll Provisions</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          Kidem, ihbar ve kullanilmayan izin karsiliklari; donem sonu tahakkuk ve sonraki donemde ters kayit.
+        </p>
+      </div>
+
+      {!canRead ? (
+        <div className="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+          Missing permission: <code>payroll.provisions.read</code>
+        </div>
+      ) : null}
+      {error ? (
+        <div className="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-800">
+          {error}
+        </div>
+      ) : null}
+      {message ? (
+        <div className="rounded border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="grid gap-6 xl:grid-cols-[1fr_1.4fr]">
+        <div className="space-y-6">
+          <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <h2 className="text-sm font-semibold text-slate-900">Provision Runs</h2>
+            <div className="mt-3 grid gap-3 md:grid-cols-2">
+              <input
+                value={filters.legalEntityId}
+                onChange={(e) => setFilters((p) => ({ ...p, legalEntityId: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                placeholder="legalEntityId"
+              />
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters((p) => ({ ...p, status: e.target.value }))}
+                className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              >
+                <option value="">ALL</option>
+                <option value="DRAFT">DRAFT</option>
+                <option value="POSTED">POSTED</option>
+                <option value="REVERSED">REVERSED</option>
+              </select>
+            </div>
+            <div className="mt-3">
+              <button
+                type="button"
+                onClick={loadRows}
+                disabled={!canRead || loading}
+                className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+              >
+                {loading ? "Loading..." : "Load"}
+              </button>
+            </div>
+
+            <div className="mt-4 overflow-auto">
+              <table className="min-w-full border-collapse text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="p-2 text-left">Period End</th>
+                    <th className="p-2 text-left">Status</th>
+                    <th className="p-2 text-right">Total</th>
+                    <th className="p-2 text-right">Delta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr
+                      key={row.id}
+                      className={`border-b ${Number(row.id) === Number(run?.id) ? "bg-slate-50" : ""}`}
+                    >
+                      <td className="p-2">
+                        <button type="button" className="underline" onClick={() => loadDetail(row.id)}>
+                          {formatDate(row.period_end_date)}
+                        </button>
+                        <div className="text-xs text-slate-500">{row.legal_entity_code}</div>
+                      </td>
+                      <td className="p-2">{row.status}</td>
+                      <td className="p-2 text-right">
+                        {formatAmount(row.total_provision)} {row.currency_code}
+                      </td>
+                      <td className="p-2 text-right">{formatAmount(row.delta_total)}</td>
+                    </tr>
+                  ))}
+                  {rows.length === 0 ? (
+                    <tr>
+                      <td className="p-3 text-slate-500" colSpan={4}>
+                        No records.
+                      </td>
+                    </tr>
+                  ) : null}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {canPost ? (
+            <form onSubmit={handleCalculate} className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+              <h2 className="text-sm font-semibold text-slate-900">Calculate</h2>
+              <p className="mt-1 text-xs text-slate-500">
+                Ayni donemin DRAFT kaydi yeniden hesaplanir; kidem tavani TR parametre setinden alinir.
+              </p>
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                <input
+                  value={calcForm.legalEntityId}
+                  onChange={(e) => setCalcForm((p) => ({ ...p, legalEntityId: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="legalEntityId *"
+                  required
+                />
+                <input
+                  type="date"
+                  value={calcForm.periodEndDate}
+                  onChange={(e) => setCalcForm((p) => ({ ...p, periodEndDate: e.target.value }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  required
+                />
+                <input
+                  value={calcForm.currencyCode}
+                  onChange={(e) => setCalcForm((p) => ({ ...p, currencyCode: e.target.value.toUpperCase() }))}
+                  className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+                  placeholder="currencyCode (default: functional)"
+                />
+              </div>
+              <div className="mt-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+                >
+                  {saving ? "Calculating..." : "Calculate"}
+                </button>
+              </div>
+            </form>
+          ) : null}
+        </div>
+
+        <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+          <h2 className="text-sm font-semibold text-slate-900">Provision Detail</h2>
+          {!run ? (
+            <div className="mt-4 rounded border border-slate-200 bg-slate-50 px-3 py-2 text-sm text-slate-600">
+              Select a provision run from the list.
+            </div>
+          ) : (
+            <>
+              <div className="mt-3 grid gap-2 text-sm md:grid-cols-4">
+                <div>
+                  <div className="text-xs text-slate-500">Severance</div>
+                  <div>{formatAmount(run.total_severance)}</div>
+                  <div className="text-xs text-slate-500">delta {formatAmount(run.delta_severance)}</div>
+                </div>
+                <div>
+                  <div className="text-xs text-slate-500">Notice</div>
+                  <div>{formatAmount(run.total_notice)}</div>
+                  <div className="text-xs text-slate-500">delta {formatAmount(run.delta_notice)}</div>
+                </div>
+                <div>
+                  <div className="text-xs text-slate-500">Unused Leave</div>
+                  <div>{formatAmount(run.total_leave)}</div>
+                  <div className="text-xs text-slate-500">delta {formatAmount(run.delta_leave)}</div>
+                </div>
+                <div>
+                  <div className="text-xs text-slate-500">Total ({run.currency_code})</div>
+                  <div>{formatAmount(run.total_provision)}</div>
+                  <div className="text-xs text-slate-500">delta {formatAmount(run.delta_total)}</div>
+                </div>
+              </div>
+              <p className="mt-2 text-xs text-slate-500">
+                {run.status} | ceiling {formatAmount(run.severance_ceiling_amount)} | journal{" "}
+                {run.accrual_journal_entry_id || "-"} | reversal {run.reversal_journal_entry_id || "-"}
+              </p>
+              {run.status === "DRAFT" && canPost ? (
+                <div className="mt-3">
+                  <button
+                    type="button"
+                    onClick={handlePost}
+                    disabled={saving}
+                    className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+                  >
+                    {saving ? "Posting..." : "Post Accrual"}
+                  </button>
+                </div>
+              ) : null}
+              <div className="mt-4 overflow-auto">
+                <table className="min-w-full border-collapse text-sm">
+                  <thead>
+                    <tr className="border-b">
+                      <th className="p-2 text-left">Employee</th>
+                      <th className="p-2 text-right">Wage</th>
+                      <th className="p-2 text-right">Severance</th>
+                      <th className="p-2 text-right">Notice</th>
+                      <th className="p-2 text-right">Leave</th>
+                      <th className="p-2 text-right">Total</th>
+                      <th className="p-2 text-right">Delta</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(detail.lines || []).map((line) => (
+                      <tr key={line.id} className="border-b">
+                        <td className="p-2">
+                          <div>{line.employee_code}</div>
+                          <div className="text-xs text-slate-500">
+                            {line.full_name} | {formatDate(line.hire_date)} | {line.service_days} d
+                          </div>
+                        </td>
+                        <td className="p-2 text-right">
+                          <div>{formatAmount(line.wage_base)}</div>
+                          <div className="text-xs text-slate-500">{line.wage_source}</div>
+                        </td>
+                        <td className="p-2 text-right">{formatAmount(line.severance_amount)}</td>
+                        <td className="p-2 text-right">
+                          <div>{formatAmount(line.notice_amount)}</div>
+                          <div className="text-xs text-slate-500">{line.notice_weeks} wk</div>
+                        </td>
+                        <td className="p-2 text-right">
+                          <div>{formatAmount(line.leave_amount)}</div>
+                          <div className="text-xs text-slate-500">{line.leave_unused_days} d</div>
+                        </td>
+                        <td className="p-2 text-right">{formatAmount(line.total_amount)}</td>
+                        <td className="p-2 text-right">{formatAmount(line.delta_amount)}</td>
+                      </tr>
+                    ))}
+                    {(detail.lines || []).length === 0 ? (
+                      <tr>
+                        <td className="p-3 text-slate-500" colSpan={7}>
+                          No employees on payroll at period end.
+                        </td>
+                      </tr>
+                    ) : null}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,393 @@
+import { useState } from "react";
+import { useAuth } from "../../auth/useAuth.js";
+import {
+  createPayrollSgkDeclarationExport,
+  downloadPayrollSgkDeclarationFile,
+  listPayrollSgkDeclarationFiles,
+  listPayrollSgkWorkplaces,
+  upsertPayrollSgkWorkplace,
+} from "../../api/payrollSgkDeclarations.js";
+
+const EMPTY_WORKPLACE_FORM = {
+  workplaceCode: "",
+  workplaceName: "",
+  sgkRegistrationNo: "",
+  operatingUnitId: "",
+  isDefault: false,
+};
+
+function formatDate(value) {
+  if (!value) return "-";
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return String(value);
+  return parsed.toISOString().slice(0, 10);
+}
+
+function formatAmount(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return "-";
+  return parsed.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function errorMessage(err, fallback) {
+  const data = err?.response?.data;
+  const checks = data?.details?.checks || [];
+  const mismatches = checks.filter((check) => check.status !== "MATCHED");
+  if (mismatches.length) {
+    return `${data?.message || fallback}: ${mismatches
+      .map((check) => `${check.check_code} fark ${formatAmount(check.difference)}`)
+      .join(", ")}`;
+  }
+  const errors = data?.details?.errors || [];
+  if (errors.length) {
+    return `${data?.message || fallback}: ${errors
+      .map((row) => `${row.employee_code} (${row.reason})`)
+      .join("; ")}`;
+  }
+  return data?.message || fallback;
+}
+
+export default function PayrollSgkDeclarationsPage() {
+  const { hasPermission } = useAuth();
+  const canRead = hasPermission("payroll.sgk.read");
+  const canWriteWorkplace = hasPermission("payroll.sgk.workplace.write");
+  const canExport = hasPermission("payroll.sgk.export");
+  const canDownload = hasPermission("payroll.sgk.download");
+
+  const [filters, setFilters] = useState({ legalEntityId: "", payrollPeriod: "" });
+  const [workplaces, setWorkplaces] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [workplaceForm, setWorkplaceForm] = useState(EMPTY_WORKPLACE_FORM);
+  const [lastExport, setLastExport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function loadRows() {
+    if (!canRead) return;
+    setLoading(true);
+    setError("");
+    setMessage("");
+    try {
+      const params = { legalEntityId: filters.legalEntityId || undefined };
+      const [workplaceRes, fileRes] = await Promise.all([
+        listPayrollSgkWorkplaces(params),
+        listPayrollSgkDeclarationFiles({ ...params, payrollPeriod: filters.payrollPeriod || undefined }),
+      ]);
+      setWorkplaces(workplaceRes?.rows || []);
+      setFiles(fileRes?.rows || []);
+    } catch (err) {
+      setWorkplaces([]);
+      setFiles([]);
+      setError(errorMessage(err, "SGK bildirgeleri yuklenemedi"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleSaveWorkplace(event) {
+    event.preventDefault();
+    if (!canWriteWorkplace || !filters.legalEntityId) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      await upsertPayrollSgkWorkplace({
+        legalEntityId: Number(filters.legalEntityId),
+        workplaceCode: workplaceForm.workplaceCode,
+        workplaceName: workplaceForm.workplaceName,
+        sgkRegistrationNo: workplaceForm.sgkRegistrationNo,
+        operatingUnitId: workplaceForm.operatingUnitId ? Number(workplaceForm.operatingUnitId) : null,
+        isDefault: workplaceForm.isDefault,
+      });
+      setWorkplaceForm(EMPTY_WORKPLACE_FORM);
+      setMessage("Isyeri kaydedildi.");
+      await loadRows();
+    } catch (err) {
+      setError(errorMessage(err, "Isyeri kaydedilemedi"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleExport() {
+    if (!canExport || !filters.legalEntityId || !filters.payrollPeriod) return;
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await createPayrollSgkDeclarationExport({
+        legalEntityId: Number(filters.legalEntityId),
+        payrollPeriod: filters.payrollPeriod,
+      });
+      setLastExport(res);
+      setMessage(`${res?.files?.length || 0} bildirge dosyasi olusturuldu (snapshot #${res?.snapshot?.id}).`);
+      await loadRows();
+    } catch (err) {
+      setError(errorMessage(err, "SGK bildirgesi olusturulamadi"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDownload(row) {
+    if (!canDownload) return;
+    setError("");
+    try {
+      const blob = await downloadPayrollSgkDeclarationFile(row.id);
+      saveBlob(blob, row.file_name);
+    } catch (err) {
+      setError(errorMessage(err, "Bildirge dosyasi indirilemedi"));
+    }
+  }
+
+  const reconciliation =
+    lastExport?.items?.find((item) => item.item_code === "SGK_TAX_RECONCILIATION")?.payload_json || null;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold text-slate-900">SGK &amp; MUHSGK Declarations</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          Kesinlesen bordrolardan isyeri bazli APHB (XML) ve MUHSGK (TXT) dosyalari; toplamlar bordro
+          yukumlulukleriyle mutabik olmadan disa aktarim yapilmaz, her indirme denetim kaydina yazilir.
+        </p>
+      </div>
+
+      {!canRead ? (
+        <div className="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+          Missing permission: <code>payroll.sgk.read</code>
+        </div>
+      ) : null}
+      {error ? (
+        <div className="rounded border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-800">
+          {error}
+        </div>
+      ) : null}
+      {message ? (
+        <div className="rounded border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+        <h2 className="text-sm font-semibold text-slate-900">Declaration Period</h2>
+        <div className="mt-3 grid gap-3 md:grid-cols-3">
+          <input
+            value={filters.legalEntityId}
+            onChange={(e) => setFilters((p) => ({ ...p, legalEntityId: e.target.value }))}
+            className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+            placeholder="legalEntityId"
+          />
+          <input
+            type="month"
+            value={filters.payrollPeriod}
+            onChange={(e) => setFilters((p) => ({ ...p, payrollPeriod: e.target.value }))}
+            className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+          />
+        </div>
+        <div className="mt-3 flex gap-2">
+          <button
+            type="button"
+            onClick={loadRows}
+            disabled={!canRead || loading}
+            className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+          >
+            {loading ? "Loading..." : "Load"}
+          </button>
+          {canExport ? (
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={saving || !filters.legalEntityId || !filters.payrollPeriod}
+              className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+            >
+              {saving ? "Exporting..." : "Generate Declaration"}
+            </button>
+          ) : null}
+        </div>
+
+        {reconciliation ? (
+          <table className="mt-4 min-w-full border-collapse text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="p-2 text-left">Check</th>
+                <th className="p-2 text-right">Declared</th>
+                <th className="p-2 text-right">Liabilities</th>
+                <th className="p-2 text-right">Difference</th>
+                <th className="p-2 text-left">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reconciliation.checks.map((check) => (
+                <tr key={check.check_code} className="border-b">
+                  <td className="p-2">{check.check_code}</td>
+                  <td className="p-2 text-right">{formatAmount(check.declared_amount)}</td>
+                  <td className="p-2 text-right">{formatAmount(check.liability_amount)}</td>
+                  <td className="p-2 text-right">{formatAmount(check.difference)}</td>
+                  <td className="p-2">{check.status}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : null}
+      </div>
+
+      <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+        <h2 className="text-sm font-semibold text-slate-900">SGK Workplaces</h2>
+        {canWriteWorkplace ? (
+          <form onSubmit={handleSaveWorkplace} className="mt-3 grid gap-3 md:grid-cols-5">
+            <input
+              value={workplaceForm.workplaceCode}
+              onChange={(e) => setWorkplaceForm((p) => ({ ...p, workplaceCode: e.target.value }))}
+              className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              placeholder="workplaceCode"
+            />
+            <input
+              value={workplaceForm.workplaceName}
+              onChange={(e) => setWorkplaceForm((p) => ({ ...p, workplaceName: e.target.value }))}
+              className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              placeholder="workplaceName"
+            />
+            <input
+              value={workplaceForm.sgkRegistrationNo}
+              onChange={(e) => setWorkplaceForm((p) => ({ ...p, sgkRegistrationNo: e.target.value }))}
+              className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              placeholder="sgkRegistrationNo"
+            />
+            <input
+              value={workplaceForm.operatingUnitId}
+              onChange={(e) => setWorkplaceForm((p) => ({ ...p, operatingUnitId: e.target.value }))}
+              className="rounded border border-slate-300 px-2 py-1.5 text-sm"
+              placeholder="operatingUnitId"
+            />
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={workplaceForm.isDefault}
+                onChange={(e) => setWorkplaceForm((p) => ({ ...p, isDefault: e.target.checked }))}
+              />
+              Default
+            </label>
+            <div>
+              <button
+                type="submit"
+                disabled={saving || !filters.legalEntityId}
+                className="rounded border border-slate-300 px-3 py-1.5 text-sm"
+              >
+                Save Workplace
+              </button>
+            </div>
+          </form>
+        ) : null}
+
+        <div className="mt-4 overflow-auto">
+          <table className="min-w-full border-collapse text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="p-2 text-left">Code</th>
+                <th className="p-2 text-left">Name</th>
+                <th className="p-2 text-left">SGK Registration No</th>
+                <th className="p-2 text-left">Operating Unit</th>
+                <th className="p-2 text-left">Default</th>
+                <th className="p-2 text-left">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workplaces.map((row) => (
+                <tr key={row.id} className="border-b">
+                  <td className="p-2">
+                    <div>{row.workplace_code}</div>
+                    <div className="text-xs text-slate-500">{row.legal_entity_code}</div>
+                  </td>
+                  <td className="p-2">{row.workplace_name}</td>
+                  <td className="p-2">{row.sgk_registration_no}</td>
+                  <td className="p-2">{row.operating_unit_code || "-"}</td>
+                  <td className="p-2">{row.is_default ? "Yes" : "-"}</td>
+                  <td className="p-2">{row.status}</td>
+                </tr>
+              ))}
+              {workplaces.length === 0 ? (
+                <tr>
+                  <td className="p-3 text-slate-500" colSpan={6}>
+                    No records.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+        <h2 className="text-sm font-semibold text-slate-900">Declaration Files</h2>
+        <div className="mt-4 overflow-auto">
+          <table className="min-w-full border-collapse text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="p-2 text-left">Period</th>
+                <th className="p-2 text-left">Workplace</th>
+                <th className="p-2 text-left">File</th>
+                <th className="p-2 text-right">Employees</th>
+                <th className="p-2 text-right">SGK Base</th>
+                <th className="p-2 text-right">Withholding</th>
+                <th className="p-2 text-left">Snapshot</th>
+                <th className="p-2 text-right">Downloads</th>
+                <th className="p-2 text-left" />
+              </tr>
+            </thead>
+            <tbody>
+              {files.map((row) => (
+                <tr key={row.id} className="border-b">
+                  <td className="p-2">{formatDate(row.payroll_period)}</td>
+                  <td className="p-2">
+                    <div>{row.workplace_code}</div>
+                    <div className="text-xs text-slate-500">{row.sgk_registration_no}</div>
+                  </td>
+                  <td className="p-2">
+                    <div>{row.file_type}</div>
+                    <div className="text-xs text-slate-500">{row.file_name}</div>
+                  </td>
+                  <td className="p-2 text-right">{row.employee_count}</td>
+                  <td className="p-2 text-right">{formatAmount(row.totals_json?.sgk_base)}</td>
+                  <td className="p-2 text-right">{formatAmount(row.totals_json?.withholding_tax)}</td>
+                  <td className="p-2 text-xs text-slate-600">
+                    <div>#{row.period_export_snapshot_id}</div>
+                    <div>{String(row.snapshot_hash || "").slice(0, 12)}</div>
+                  </td>
+                  <td className="p-2 text-right">{row.download_count}</td>
+                  <td className="p-2">
+                    {canDownload ? (
+                      <button type="button" className="underline" onClick={() => handleDownload(row)}>
+                        Download
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+              {files.length === 0 ? (
+                <tr>
+                  <td className="p-3 text-slate-500" colSpan={9}>
+                    No records.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -471,6 +471,14 @@ const CARI_OPTIONAL_CONTEXT_PURPOSE_CODES = Object.freeze([
   "CARI_AR_OFFSET_ON_ACCOUNT",
   "CARI_AP_CONTROL_ON_ACCOUNT",
   "CARI_AP_OFFSET_ON_ACCOUNT",
+  "CARI_PORTFOLIO_CHEQUE_RECEIVED",
+  "CARI_PORTFOLIO_CHEQUE_IN_COLLECTION",
+  "CARI_PORTFOLIO_CHEQUE_COLLATERAL",
+  "CARI_PORTFOLIO_CHEQUE_ISSUED",
+  "CARI_PORTFOLIO_NOTE_RECEIVED",
+  "CARI_PORTFOLIO_NOTE_IN_COLLECTION",
+  "CARI_PORTFOLIO_NOTE_COLLATERAL",
+  "CARI_PORTFOLIO_NOTE_ISSUED",
 ]);
 const CARI_MANUAL_PURPOSE_CODES = Object.freeze([
   ...CARI_REQUIRED_PURPOSE_CODES,
@@ -575,6 +583,54 @@ const CARI_PURPOSE_UI_META = Object.freeze({
     exampleEn: "Example: clear vendor advance -> Dr 320, Cr 159",
     exampleTr: "Ornek: satici avans kapama -> Borc 320, Alacak 159",
   }),
+  CARI_PORTFOLIO_CHEQUE_RECEIVED: Object.freeze({
+    en: "Received cheques held in portfolio.",
+    tr: "Portfoydeki alinan cekler.",
+    exampleEn: "Example: customer cheque received -> Dr 101, Cr 120",
+    exampleTr: "Ornek: musteri ceki alindi -> Borc 101, Alacak 120",
+  }),
+  CARI_PORTFOLIO_CHEQUE_IN_COLLECTION: Object.freeze({
+    en: "Received cheques sent to the bank for collection.",
+    tr: "Tahsile verilen alinan cekler.",
+    exampleEn: "Example: send to bank -> Dr 101.02, Cr 101.01",
+    exampleTr: "Ornek: tahsile verildi -> Borc 101.02, Alacak 101.01",
+  }),
+  CARI_PORTFOLIO_CHEQUE_COLLATERAL: Object.freeze({
+    en: "Received cheques given to a bank as collateral.",
+    tr: "Teminata verilen alinan cekler.",
+    exampleEn: "Example: give as collateral -> Dr 101.03, Cr 101.01",
+    exampleTr: "Ornek: teminata verildi -> Borc 101.03, Alacak 101.01",
+  }),
+  CARI_PORTFOLIO_CHEQUE_ISSUED: Object.freeze({
+    en: "Own cheques issued to vendors, not yet paid by the bank.",
+    tr: "Saticiya verilen, bankadan henuz odenmemis cekler.",
+    exampleEn: "Example: cheque issued -> Dr 320, Cr 103",
+    exampleTr: "Ornek: cek verildi -> Borc 320, Alacak 103",
+  }),
+  CARI_PORTFOLIO_NOTE_RECEIVED: Object.freeze({
+    en: "Received promissory notes held in portfolio.",
+    tr: "Portfoydeki alacak senetleri.",
+    exampleEn: "Example: customer note received -> Dr 121, Cr 120",
+    exampleTr: "Ornek: musteri senedi alindi -> Borc 121, Alacak 120",
+  }),
+  CARI_PORTFOLIO_NOTE_IN_COLLECTION: Object.freeze({
+    en: "Received notes sent to the bank for collection.",
+    tr: "Tahsile verilen alacak senetleri.",
+    exampleEn: "Example: send to bank -> Dr 121.02, Cr 121.01",
+    exampleTr: "Ornek: tahsile verildi -> Borc 121.02, Alacak 121.01",
+  }),
+  CARI_PORTFOLIO_NOTE_COLLATERAL: Object.freeze({
+    en: "Received notes given to a bank as collateral.",
+    tr: "Teminata verilen alacak senetleri.",
+    exampleEn: "Example: give as collateral -> Dr 121.03, Cr 121.01",
+    exampleTr: "Ornek: teminata verildi -> Borc 121.03, Alacak 121.01",
+  }),
+  CARI_PORTFOLIO_NOTE_ISSUED: Object.freeze({
+    en: "Promissory notes issued to vendors (borc senetleri).",
+    tr: "Saticiya verilen borc senetleri.",
+    exampleEn: "Example: note issued -> Dr 320, Cr 321",
+    exampleTr: "Ornek: senet verildi -> Borc 320, Alacak 321",
+  }),
 });
 const SHAREHOLDER_REQUIRED_PURPOSE_CODES = Object.freeze([
   "SHAREHOLDER_CAPITAL_CREDIT_PARENT",